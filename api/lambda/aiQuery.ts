@@ -1,6 +1,10 @@
 import { Handler } from "aws-lambda";
 import * as gremlin from "gremlin";
 import { getUrlAndHeaders } from "gremlin-aws-sigv4/lib/utils";
+import { toErrorResult } from "./shared/errors";
+import { requireRole } from "./shared/roles";
+import { hiddenClassifications } from "./shared/classification";
+import { subgraphStrategy, validateGremlinQuery } from "./shared/gremlinScript";
 
 const Client = gremlin.driver.Client;
 
@@ -198,21 +202,7 @@ async function invokeBedrock(messages: BedrockMessage[]): Promise<string> {
   return output[0].text;
 }
 
-// Gremlin steps that mutate the graph — these are not allowed in read-only mode
-const MUTATION_PATTERN =
-  /\b(addV|addE|addVertex|addEdge|drop|property|iterate|sideEffect|inject)\s*\(/i;
-
-function validateGremlinQuery(queryString: string): void {
-  if (MUTATION_PATTERN.test(queryString)) {
-    throw new Error(
-      "Query contains mutation operations which are not allowed"
-    );
-  }
-}
-
-async function executeGremlin(queryString: string): Promise<unknown> {
-  validateGremlinQuery(queryString);
-
+async function submitScript(script: string): Promise<any[]> {
   const { url, headers } = getUrlAndHeaders(
     process.env.NEPTUNE_ENDPOINT,
     process.env.NEPTUNE_PORT,
@@ -229,7 +219,7 @@ async function executeGremlin(queryString: string): Promise<unknown> {
   try {
     // Submit the query string to the Gremlin server for server-side execution.
     // This avoids local JavaScript evaluation (no Function constructor / eval).
-    const result = await client.submit(`g.${queryString}`);
+    const result = await client.submit(script);
     return result.toArray ? result.toArray() : result;
   } finally {
     try {
@@ -240,6 +230,11 @@ async function executeGremlin(queryString: string): Promise<unknown> {
   }
 }
 
+async function executeGremlin(queryString: string, hidden: string[]): Promise<unknown> {
+  validateGremlinQuery(queryString);
+  return submitScript(`g.withStrategies(${subgraphStrategy(hidden)}).${queryString}`);
+}
+
 export const handler: Handler = async (event) => {
   console.log("AI Query event:", JSON.stringify(event));
 
@@ -248,6 +243,12 @@ export const handler: Handler = async (event) => {
     ? JSON.parse(event.arguments.history)
     : [];
 
+  try {
+    requireRole(event.identity, "Viewer", "askGraph");
+  } catch (error: unknown) {
+    return toErrorResult(error);
+  }
+
   if (!question) {
     return {
       answer:
@@ -317,9 +318,14 @@ export const handler: Handler = async (event) => {
 
     let queryResult;
     try {
-      queryResult = await executeGremlin(gremlinQuery);
+      queryResult = await executeGremlin(gremlinQuery, hiddenClassifications(event.identity));
     } catch (queryError: unknown) {
       console.error("Gremlin query error:", queryError);
+      // A stopped cluster is not the model's fault; report it as an error
+      const failure = toErrorResult(queryError);
+      if (failure.error.type === "CLUSTER_UNAVAILABLE") {
+        return failure;
+      }
       const errorMessage =
         queryError instanceof Error ? queryError.message : String(queryError);
       return {
@@ -355,12 +361,6 @@ export const handler: Handler = async (event) => {
     };
   } catch (error: unknown) {
     console.error("AI Query error:", error);
-    const errorMessage =
-      error instanceof Error ? error.message : String(error);
-    return {
-      answer: `Sorry, I encountered an error processing your question: ${errorMessage}`,
-      query: null,
-      data: null,
-    };
+    return toErrorResult(error);
   }
 };
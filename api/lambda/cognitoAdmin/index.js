@@ -0,0 +1,383 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.handler = void 0;
+const client_cognito_identity_provider_1 = require("@aws-sdk/client-cognito-identity-provider");
+const client_lambda_1 = require("@aws-sdk/client-lambda");
+const errors_1 = require("../shared/errors");
+const roles_1 = require("../shared/roles");
+const classification_1 = require("../shared/classification");
+const integration_1 = require("../shared/integration");
+const client = new client_cognito_identity_provider_1.CognitoIdentityProviderClient({});
+const lambda = new client_lambda_1.LambdaClient({});
+const USER_POOL_ID = process.env.USER_POOL_ID;
+const TOKEN_URL = process.env.TOKEN_URL;
+const AUDIT_FUNCTION_NAME = process.env.AUDIT_FUNCTION_NAME;
+// Integration clients are the app clients whose name has this prefix; the
+// web app's own client never does
+const CLIENT_NAME_PREFIX = "integration-";
+const CLIENT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 ._-]{0,63}$/;
+// Access tokens of integration clients expire after this many minutes, the
+// least Cognito allows. Revoking or rotating a client cannot recall tokens
+// it was already issued, so this is how long they keep working.
+const ACCESS_TOKEN_MINUTES = 5;
+// Cognito counts AccessTokenValidity in hours unless TokenValidityUnits says
+// otherwise
+const TOKEN_UNIT_MINUTES = { seconds: 1 / 60, minutes: 1, hours: 60, days: 24 * 60 };
+// Groups the user administration page may assign
+const ASSIGNABLE_GROUPS = [...roles_1.ROLES, ...classification_1.CLASSIFICATION_GROUPS];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// The pool signs in with username or email alias, so usernames must not
+// look like an email address
+const USERNAME_PATTERN = /^[A-Za-z0-9._+-]{1,128}$/;
+// ── Audit trail ──
+// Actions are recorded as AuditEvent vertices like graph mutations. The
+// record is written by the audit Lambda inside the VPC; a failure is logged
+// but does not undo the Cognito change that already happened.
+const recordAudit = async (identity, operation, target, before, after) => {
+    const entry = {
+        operation,
+        actor: {
+            sub: String(identity?.sub ?? "unknown"),
+            username: String(identity?.username ?? identity?.sub ?? "unknown"),
+        },
+        target,
+        before,
+        after,
+    };
+    try {
+        const response = await lambda.send(new client_lambda_1.InvokeCommand({
+            FunctionName: AUDIT_FUNCTION_NAME,
+            Payload: Buffer.from(JSON.stringify(entry)),
+        }));
+        if (response.FunctionError) {
+            throw new Error(Buffer.from(response.Payload ?? []).toString());
+        }
+    }
+    catch (error) {
+        console.error("Failed to record audit event:", JSON.stringify(entry), error);
+    }
+};
+// ── Integration clients ──
+const toIntegrationClient = (appClient) => ({
+    clientId: appClient.ClientId,
+    name: (appClient.ClientName ?? "").slice(CLIENT_NAME_PREFIX.length),
+    scopes: appClient.AllowedOAuthScopes ?? [],
+    createdAt: appClient.CreationDate?.toISOString() ?? null,
+    updatedAt: appClient.LastModifiedDate?.toISOString() ?? null,
+    accessTokenMinutes: Math.ceil((appClient.AccessTokenValidity ?? 1) * TOKEN_UNIT_MINUTES[appClient.TokenValidityUnits?.AccessToken ?? "hours"]),
+});
+const clientTarget = (clientId) => ({ id: `client:${clientId}`, label: "IntegrationClient" });
+const clientSnapshot = (appClient) => {
+    const { name, scopes } = toIntegrationClient(appClient);
+    return { name, scopes: scopes.join(" ") };
+};
+const describeClient = async (clientId) => {
+    try {
+        const { UserPoolClient } = await client.send(new client_cognito_identity_provider_1.DescribeUserPoolClientCommand({ UserPoolId: USER_POOL_ID, ClientId: clientId }));
+        if (UserPoolClient?.ClientName?.startsWith(CLIENT_NAME_PREFIX)) {
+            return UserPoolClient;
+        }
+    }
+    catch (error) {
+        if (error.name !== "ResourceNotFoundException")
+            throw error;
+    }
+    throw (0, errors_1.notFoundError)(`Integration client not found: ${clientId}`, { clientId });
+};
+// Creates a confidential app client limited to the client-credentials grant;
+// the secret is only ever returned here
+const createClient = async (name, scopes) => {
+    const { UserPoolClient } = await client.send(new client_cognito_identity_provider_1.CreateUserPoolClientCommand({
+        UserPoolId: USER_POOL_ID,
+        ClientName: `${CLIENT_NAME_PREFIX}${name}`,
+        GenerateSecret: true,
+        AllowedOAuthFlows: ["client_credentials"],
+        AllowedOAuthFlowsUserPoolClient: true,
+        AllowedOAuthScopes: scopes,
+        AccessTokenValidity: ACCESS_TOKEN_MINUTES,
+        TokenValidityUnits: { AccessToken: "minutes" },
+        PreventUserExistenceErrors: "ENABLED",
+    }));
+    return {
+        appClient: UserPoolClient,
+        credentials: {
+            client: toIntegrationClient(UserPoolClient),
+            clientSecret: UserPoolClient.ClientSecret,
+            tokenUrl: TOKEN_URL,
+        },
+    };
+};
+const validateScopes = (scopes) => {
+    const requested = scopes && scopes.length > 0 ? scopes : Object.keys(integration_1.INTEGRATION_SCOPES);
+    return requested.map((scope) => {
+        if (!(scope in integration_1.INTEGRATION_SCOPES)) {
+            throw (0, errors_1.validationError)(`Unknown scope "${scope}"; expected one of ${Object.keys(integration_1.INTEGRATION_SCOPES).join(", ")}`, { field: "scopes" });
+        }
+        return (0, integration_1.scopeName)(scope);
+    });
+};
+// ── Users ──
+const attribute = (attributes, name) => attributes?.find((a) => a.Name === name)?.Value ?? null;
+const groupsFor = async (username) => {
+    const groups = [];
+    let nextToken;
+    do {
+        const page = await client.send(new client_cognito_identity_provider_1.AdminListGroupsForUserCommand({
+            UserPoolId: USER_POOL_ID,
+            Username: username,
+            NextToken: nextToken,
+        }));
+        groups.push(...(page.Groups ?? []).map((group) => group.GroupName));
+        nextToken = page.NextToken;
+    } while (nextToken);
+    return groups.sort();
+};
+// Group memberships of every user, read one group at a time so listing
+// users costs a call per group instead of one per user. lib/constructs/
+// cognito.ts creates no groups beyond the assignable ones.
+const groupsByUser = async () => {
+    const memberships = new Map();
+    await Promise.all(ASSIGNABLE_GROUPS.map(async (groupName) => {
+        let nextToken;
+        do {
+            const page = await client.send(new client_cognito_identity_provider_1.ListUsersInGroupCommand({
+                UserPoolId: USER_POOL_ID,
+                GroupName: groupName,
+                NextToken: nextToken,
+            }));
+            for (const user of page.Users ?? []) {
+                const groups = memberships.get(user.Username) ?? [];
+                groups.push(groupName);
+                memberships.set(user.Username, groups);
+            }
+            nextToken = page.NextToken;
+        } while (nextToken);
+    }));
+    return memberships;
+};
+const readUser = async (username) => {
+    try {
+        const user = await client.send(new client_cognito_identity_provider_1.AdminGetUserCommand({ UserPoolId: USER_POOL_ID, Username: username }));
+        return {
+            username: user.Username,
+            email: attribute(user.UserAttributes, "email"),
+            status: user.UserStatus ?? "UNKNOWN",
+            enabled: user.Enabled ?? false,
+            groups: await groupsFor(user.Username),
+            createdAt: user.UserCreateDate?.toISOString() ?? null,
+        };
+    }
+    catch (error) {
+        if (error.name === "UserNotFoundException") {
+            throw (0, errors_1.notFoundError)(`User not found: ${username}`, { username });
+        }
+        throw error;
+    }
+};
+const userTarget = (username) => ({ id: `user:${username}`, label: "CognitoUser" });
+const userSnapshot = (user) => ({
+    email: user.email,
+    status: user.status,
+    enabled: user.enabled,
+    groups: user.groups.join(", "),
+});
+const validateGroups = (groups) => {
+    const requested = Array.from(new Set(groups ?? []));
+    for (const group of requested) {
+        if (!ASSIGNABLE_GROUPS.includes(group)) {
+            throw (0, errors_1.validationError)(`Unknown group "${group}"; expected one of ${ASSIGNABLE_GROUPS.join(", ")}`, { field: "groups" });
+        }
+    }
+    return requested;
+};
+// Admins cannot lock themselves out; another Admin has to do it
+const requireNotSelf = (identity, username, action) => {
+    if (identity?.username === username) {
+        throw (0, errors_1.forbiddenError)(`You cannot ${action} your own account`, { username });
+    }
+};
+// Admin-only management of the Cognito user pool, called from the admin UI
+const handler = async (event) => {
+    console.log("Cognito admin event:", JSON.stringify({ field: event.field, arguments: event.arguments }));
+    try {
+        (0, roles_1.requireRole)(event.identity, "Admin", event.field);
+        const audit = (operation, target, before, after) => recordAudit(event.identity, operation, target, before, after);
+        if (event.field === "getIntegrationClients") {
+            const clients = [];
+            let nextToken;
+            do {
+                const page = await client.send(new client_cognito_identity_provider_1.ListUserPoolClientsCommand({
+                    UserPoolId: USER_POOL_ID,
+                    MaxResults: 60,
+                    NextToken: nextToken,
+                }));
+                for (const summary of page.UserPoolClients ?? []) {
+                    if (summary.ClientName?.startsWith(CLIENT_NAME_PREFIX)) {
+                        clients.push(await describeClient(summary.ClientId));
+                    }
+                }
+                nextToken = page.NextToken;
+            } while (nextToken);
+            return clients
+                .map(toIntegrationClient)
+                .sort((a, b) => a.name.localeCompare(b.name));
+        }
+        if (event.field === "createIntegrationClient") {
+            const name = String(event.arguments.name ?? "").trim();
+            if (!CLIENT_NAME_PATTERN.test(name)) {
+                throw (0, errors_1.validationError)("name must be 1-64 letters, digits, spaces, dots, dashes or underscores", { field: "name" });
+            }
+            const scopes = validateScopes(event.arguments.scopes);
+            const { appClient, credentials } = await createClient(name, scopes);
+            await audit("createIntegrationClient", clientTarget(appClient.ClientId), null, clientSnapshot(appClient));
+            console.log("Created integration client:", appClient.ClientId, name, scopes);
+            return credentials;
+        }
+        // Cognito cannot replace the secret of an app client, so rotating
+        // creates a new client with the same name and scopes and deletes the old
+        // one; the caller gets a new client id and secret
+        if (event.field === "rotateIntegrationClient") {
+            const current = await describeClient(event.arguments.clientId);
+            const { name, scopes } = toIntegrationClient(current);
+            const { appClient, credentials } = await createClient(name, scopes);
+            await client.send(new client_cognito_identity_provider_1.DeleteUserPoolClientCommand({ UserPoolId: USER_POOL_ID, ClientId: current.ClientId }));
+            await audit("rotateIntegrationClient", clientTarget(current.ClientId), clientSnapshot(current), null);
+            await audit("rotateIntegrationClient", clientTarget(appClient.ClientId), null, clientSnapshot(appClient));
+            console.log("Rotated integration client:", current.ClientId, "->", appClient.ClientId);
+            return credentials;
+        }
+        if (event.field === "revokeIntegrationClient") {
+            const current = await describeClient(event.arguments.clientId);
+            await client.send(new client_cognito_identity_provider_1.DeleteUserPoolClientCommand({ UserPoolId: USER_POOL_ID, ClientId: current.ClientId }));
+            await audit("revokeIntegrationClient", clientTarget(current.ClientId), clientSnapshot(current), null);
+            console.log("Revoked integration client:", current.ClientId);
+            return toIntegrationClient(current);
+        }
+        if (event.field === "getUsers") {
+            const memberships = await groupsByUser();
+            const users = [];
+            let paginationToken;
+            do {
+                const page = await client.send(new client_cognito_identity_provider_1.ListUsersCommand({
+                    UserPoolId: USER_POOL_ID,
+                    Limit: 60,
+                    PaginationToken: paginationToken,
+                }));
+                for (const user of page.Users ?? []) {
+                    users.push({
+                        username: user.Username,
+                        email: attribute(user.Attributes, "email"),
+                        status: user.UserStatus ?? "UNKNOWN",
+                        enabled: user.Enabled ?? false,
+                        groups: (memberships.get(user.Username) ?? []).sort(),
+                        createdAt: user.UserCreateDate?.toISOString() ?? null,
+                    });
+                }
+                paginationToken = page.PaginationToken;
+            } while (paginationToken);
+            return users.sort((a, b) => a.username.localeCompare(b.username));
+        }
+        // Cognito emails the new user a temporary password
+        if (event.field === "inviteUser") {
+            const email = String(event.arguments.email ?? "").trim().toLowerCase();
+            if (!EMAIL_PATTERN.test(email)) {
+                throw (0, errors_1.validationError)(`Invalid email address: ${email}`, { field: "email" });
+            }
+            const username = String(event.arguments.username ?? "").trim() || email.split("@")[0];
+            if (!USERNAME_PATTERN.test(username)) {
+                throw (0, errors_1.validationError)("username may only contain letters, digits, dots, dashes, underscores and plus signs", { field: "username" });
+            }
+            const groups = validateGroups(event.arguments.groups);
+            try {
+                await client.send(new client_cognito_identity_provider_1.AdminCreateUserCommand({
+                    UserPoolId: USER_POOL_ID,
+                    Username: username,
+                    UserAttributes: [
+                        { Name: "email", Value: email },
+                        { Name: "email_verified", Value: "true" },
+                    ],
+                    DesiredDeliveryMediums: ["EMAIL"],
+                }));
+            }
+            catch (error) {
+                if (error.name === "UsernameExistsException") {
+                    throw (0, errors_1.conflictError)(`A user named ${username} or with email ${email} already exists`, {
+                        field: "username",
+                    });
+                }
+                throw error;
+            }
+            for (const group of groups) {
+                await client.send(new client_cognito_identity_provider_1.AdminAddUserToGroupCommand({ UserPoolId: USER_POOL_ID, Username: username, GroupName: group }));
+            }
+            const created = await readUser(username);
+            await audit("inviteUser", userTarget(username), null, userSnapshot(created));
+            console.log("Invited user:", username, groups);
+            return created;
+        }
+        if (event.field === "setUserGroups") {
+            const { username } = event.arguments;
+            const groups = validateGroups(event.arguments.groups);
+            const current = await readUser(username);
+            if (current.groups.includes("Admin") && !groups.includes("Admin")) {
+                requireNotSelf(event.identity, username, "remove the Admin role from");
+            }
+            // Groups outside ASSIGNABLE_GROUPS are left alone
+            const added = groups.filter((group) => !current.groups.includes(group));
+            const removed = current.groups.filter((group) => ASSIGNABLE_GROUPS.includes(group) && !groups.includes(group));
+            for (const group of added) {
+                await client.send(new client_cognito_identity_provider_1.AdminAddUserToGroupCommand({ UserPoolId: USER_POOL_ID, Username: username, GroupName: group }));
+            }
+            for (const group of removed) {
+                await client.send(new client_cognito_identity_provider_1.AdminRemoveUserFromGroupCommand({ UserPoolId: USER_POOL_ID, Username: username, GroupName: group }));
+            }
+            const updated = await readUser(username);
+            await audit("setUserGroups", userTarget(username), userSnapshot(current), userSnapshot(updated));
+            console.log("Set user groups:", username, { added, removed });
+            return updated;
+        }
+        if (event.field === "disableUser" || event.field === "enableUser") {
+            const { username } = event.arguments;
+            const enable = event.field === "enableUser";
+            if (!enable) {
+                requireNotSelf(event.identity, username, "disable");
+            }
+            const current = await readUser(username);
+            await client.send(enable
+                ? new client_cognito_identity_provider_1.AdminEnableUserCommand({ UserPoolId: USER_POOL_ID, Username: username })
+                : new client_cognito_identity_provider_1.AdminDisableUserCommand({ UserPoolId: USER_POOL_ID, Username: username }));
+            const updated = await readUser(username);
+            await audit(event.field, userTarget(username), userSnapshot(current), userSnapshot(updated));
+            console.log(enable ? "Enabled user:" : "Disabled user:", username);
+            return updated;
+        }
+        // A user who never signed in has no password to reset, so the invitation
+        // is sent again instead
+        if (event.field === "resetUserPassword") {
+            const { username } = event.arguments;
+            const current = await readUser(username);
+            if (current.status === "FORCE_CHANGE_PASSWORD") {
+                await client.send(new client_cognito_identity_provider_1.AdminCreateUserCommand({
+                    UserPoolId: USER_POOL_ID,
+                    Username: username,
+                    MessageAction: "RESEND",
+                    DesiredDeliveryMediums: ["EMAIL"],
+                }));
+            }
+            else {
+                await client.send(new client_cognito_identity_provider_1.AdminResetUserPasswordCommand({ UserPoolId: USER_POOL_ID, Username: username }));
+            }
+            const updated = await readUser(username);
+            await audit("resetUserPassword", userTarget(username), userSnapshot(current), userSnapshot(updated));
+            console.log("Reset password of user:", username);
+            return updated;
+        }
+        throw (0, errors_1.validationError)(`Unknown field: ${event.field}`);
+    }
+    catch (error) {
+        console.error("Cognito admin error:", error);
+        return (0, errors_1.toErrorResult)(error);
+    }
+};
+exports.handler = handler;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJpbmRleC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFDQSxnR0FtQm1EO0FBQ25ELDBEQUFxRTtBQUNyRSw2Q0FNMEI7QUFDMUIsMkNBQXFEO0FBQ3JELDZEQUFpRTtBQUNqRSx1REFJK0I7QUFHL0IsTUFBTSxNQUFNLEdBQUcsSUFBSSxnRUFBNkIsQ0FBQyxFQUFFLENBQUMsQ0FBQztBQUNyRCxNQUFNLE1BQU0sR0FBRyxJQUFJLDRCQUFZLENBQUMsRUFBRSxDQUFDLENBQUM7QUFDcEMsTUFBTSxZQUFZLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxZQUFhLENBQUM7QUFDL0MsTUFBTSxTQUFTLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxTQUFVLENBQUM7QUFDekMsTUFBTSxtQkFBbUIsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFvQixDQUFDO0FBRTdELDBFQUEwRTtBQUMxRSxrQ0FBa0M7QUFDbEMsTUFBTSxrQkFBa0IsR0FBRyxjQUFjLENBQUM7QUFDMUMsTUFBTSxtQkFBbUIsR0FBRyxvQ0FBb0MsQ0FBQztBQUVqRSwyRUFBMkU7QUFDM0UsMkVBQTJFO0FBQzNFLGdFQUFnRTtBQUNoRSxNQUFNLG9CQUFvQixHQUFHLENBQUMsQ0FBQztBQUUvQiw2RUFBNkU7QUFDN0UsWUFBWTtBQUNaLE1BQU0sa0JBQWtCLEdBQTJCLEVBQUUsT0FBTyxFQUFFLENBQUMsR0FBRyxFQUFFLEVBQUUsT0FBTyxFQUFFLENBQUMsRUFBRSxLQUFLLEVBQUUsRUFBRSxFQUFFLElBQUksRUFBRSxFQUFFLEdBQUcsRUFBRSxFQUFFLENBQUM7QUFFN0csaURBQWlEO0FBQ2pELE1BQU0saUJBQWlCLEdBQWEsQ0FBQyxHQUFHLGFBQUssRUFBRSxHQUFHLHNDQUFxQixDQUFDLENBQUM7QUFFekUsTUFBTSxhQUFhLEdBQUcsNEJBQTRCLENBQUM7QUFDbkQsd0VBQXdFO0FBQ3hFLDZCQUE2QjtBQUM3QixNQUFNLGdCQUFnQixHQUFHLDBCQUEwQixDQUFDO0FBSXBELG9CQUFvQjtBQUNwQix3RUFBd0U7QUFDeEUsNEVBQTRFO0FBQzVFLDhEQUE4RDtBQUM5RCxNQUFNLFdBQVcsR0FBRyxLQUFLLEVBQ3ZCLFFBQWEsRUFDYixTQUFpQixFQUNqQixNQUFxQyxFQUNyQyxNQUFnQixFQUNoQixLQUFlLEVBQ2YsRUFBRTtJQUNGLE1BQU0sS0FBSyxHQUFlO1FBQ3hCLFNBQVM7UUFDVCxLQUFLLEVBQUU7WUFDTCxHQUFHLEVBQUUsTUFBTSxDQUFDLFFBQVEsRUFBRSxHQUFHLElBQUksU0FBUyxDQUFDO1lBQ3ZDLFFBQVEsRUFBRSxNQUFNLENBQUMsUUFBUSxFQUFFLFFBQVEsSUFBSSxRQUFRLEVBQUUsR0FBRyxJQUFJLFNBQVMsQ0FBQztTQUNuRTtRQUNELE1BQU07UUFDTixNQUFNO1FBQ04sS0FBSztLQUNOLENBQUM7SUFDRixJQUFJLENBQUM7UUFDSCxNQUFNLFFBQVEsR0FBRyxNQUFNLE1BQU0sQ0FBQyxJQUFJLENBQ2hDLElBQUksNkJBQWEsQ0FBQztZQUNoQixZQUFZLEVBQUUsbUJBQW1CO1lBQ2pDLE9BQU8sRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUM7U0FDNUMsQ0FBQyxDQUNILENBQUM7UUFDRixJQUFJLFFBQVEsQ0FBQyxhQUFhLEVBQUUsQ0FBQztZQUMzQixNQUFNLElBQUksS0FBSyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLE9BQU8sSUFBSSxFQUFFLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO1FBQ2xFLENBQUM7SUFDSCxDQUFDO0lBQUMsT0FBTyxLQUFjLEVBQUUsQ0FBQztRQUN4QixPQUFPLENBQUMsS0FBSyxDQUFDLCtCQUErQixFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUM7SUFDL0UsQ0FBQztBQUNILENBQUMsQ0FBQztBQUVGLDRCQUE0QjtBQUM1QixNQUFNLG1CQUFtQixHQUFHLENBQUMsU0FBNkIsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUM5RCxRQUFRLEVBQUUsU0FBUyxDQUFDLFFBQVM7SUFDN0IsSUFBSSxFQUFFLENBQUMsU0FBUyxDQUFDLFVBQVUsSUFBSSxFQUFFLENBQUMsQ0FBQyxLQUFLLENBQUMsa0JBQWtCLENBQUMsTUFBTSxDQUFDO0lBQ25FLE1BQU0sRUFBRSxTQUFTLENBQUMsa0JBQWtCLElBQUksRUFBRTtJQUMxQyxTQUFTLEVBQUUsU0FBUyxDQUFDLFlBQVksRUFBRSxXQUFXLEVBQUUsSUFBSSxJQUFJO0lBQ3hELFNBQVMsRUFBRSxTQUFTLENBQUMsZ0JBQWdCLEVBQUUsV0FBVyxFQUFFLElBQUksSUFBSTtJQUM1RCxrQkFBa0IsRUFBRSxJQUFJLENBQUMsSUFBSSxDQUMzQixDQUFDLFNBQVMsQ0FBQyxtQkFBbUIsSUFBSSxDQUFDLENBQUMsR0FBRyxrQkFBa0IsQ0FBQyxTQUFTLENBQUMsa0JBQWtCLEVBQUUsV0FBVyxJQUFJLE9BQU8sQ0FBQyxDQUNoSDtDQUNGLENBQUMsQ0FBQztBQUVILE1BQU0sWUFBWSxHQUFHLENBQUMsUUFBZ0IsRUFBRSxFQUFFLENBQUMsQ0FBQyxFQUFFLEVBQUUsRUFBRSxVQUFVLFFBQVEsRUFBRSxFQUFFLEtBQUssRUFBRSxtQkFBbUIsRUFBRSxDQUFDLENBQUM7QUFFdEcsTUFBTSxjQUFjLEdBQUcsQ0FBQyxTQUE2QixFQUFZLEVBQUU7SUFDakUsTUFBTSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsR0FBRyxtQkFBbUIsQ0FBQyxTQUFTLENBQUMsQ0FBQztJQUN4RCxPQUFPLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUM7QUFDNUMsQ0FBQyxDQUFDO0FBRUYsTUFBTSxjQUFjLEdBQUcsS0FBSyxFQUFFLFFBQWdCLEVBQUUsRUFBRTtJQUNoRCxJQUFJLENBQUM7UUFDSCxNQUFNLEVBQUUsY0FBYyxFQUFFLEdBQUcsTUFBTSxNQUFNLENBQUMsSUFBSSxDQUMxQyxJQUFJLGdFQUE2QixDQUFDLEVBQUUsVUFBVSxFQUFFLFlBQVksRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLENBQUMsQ0FDcEYsQ0FBQztRQUNGLElBQUksY0FBYyxFQUFFLFVBQVUsRUFBRSxVQUFVLENBQUMsa0JBQWtCLENBQUMsRUFBRSxDQUFDO1lBQy9ELE9BQU8sY0FBYyxDQUFDO1FBQ3hCLENBQUM7SUFDSCxDQUFDO0lBQUMsT0FBTyxLQUFjLEVBQUUsQ0FBQztRQUN4QixJQUFLLEtBQTJCLENBQUMsSUFBSSxLQUFLLDJCQUEyQjtZQUFFLE1BQU0sS0FBSyxDQUFDO0lBQ3JGLENBQUM7SUFDRCxNQUFNLElBQUEsc0JBQWEsRUFBQyxpQ0FBaUMsUUFBUSxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsQ0FBQyxDQUFDO0FBQ2pGLENBQUMsQ0FBQztBQUVGLDZFQUE2RTtBQUM3RSx3Q0FBd0M7QUFDeEMsTUFBTSxZQUFZLEdBQUcsS0FBSyxFQUFFLElBQVksRUFBRSxNQUFnQixFQUFFLEVBQUU7SUFDNUQsTUFBTSxFQUFFLGNBQWMsRUFBRSxHQUFHLE1BQU0sTUFBTSxDQUFDLElBQUksQ0FDMUMsSUFBSSw4REFBMkIsQ0FBQztRQUM5QixVQUFVLEVBQUUsWUFBWTtRQUN4QixVQUFVLEVBQUUsR0FBRyxrQkFBa0IsR0FBRyxJQUFJLEVBQUU7UUFDMUMsY0FBYyxFQUFFLElBQUk7UUFDcEIsaUJBQWlCLEVBQUUsQ0FBQyxvQkFBb0IsQ0FBQztRQUN6QywrQkFBK0IsRUFBRSxJQUFJO1FBQ3JDLGtCQUFrQixFQUFFLE1BQU07UUFDMUIsbUJBQW1CLEVBQUUsb0JBQW9CO1FBQ3pDLGtCQUFrQixFQUFFLEVBQUUsV0FBVyxFQUFFLFNBQVMsRUFBRTtRQUM5QywwQkFBMEIsRUFBRSxTQUFTO0tBQ3RDLENBQUMsQ0FDSCxDQUFDO0lBQ0YsT0FBTztRQUNMLFNBQVMsRUFBRSxjQUFlO1FBQzFCLFdBQVcsRUFBRTtZQUNYLE1BQU0sRUFBRSxtQkFBbUIsQ0FBQyxjQUFlLENBQUM7WUFDNUMsWUFBWSxFQUFFLGNBQWUsQ0FBQyxZQUFhO1lBQzNDLFFBQVEsRUFBRSxTQUFTO1NBQ3BCO0tBQ0YsQ0FBQztBQUNKLENBQUMsQ0FBQztBQUVGLE1BQU0sY0FBYyxHQUFHLENBQUMsTUFBbUMsRUFBWSxFQUFFO0lBQ3ZFLE1BQU0sU0FBUyxHQUFHLE1BQU0sSUFBSSxNQUFNLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLGdDQUFrQixDQUFDLENBQUM7SUFDekYsT0FBTyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUMsS0FBSyxFQUFFLEVBQUU7UUFDN0IsSUFBSSxDQUFDLENBQUMsS0FBSyxJQUFJLGdDQUFrQixDQUFDLEVBQUUsQ0FBQztZQUNuQyxNQUFNLElBQUEsd0JBQWUsRUFDbkIsa0JBQWtCLEtBQUssc0JBQXNCLE1BQU0sQ0FBQyxJQUFJLENBQUMsZ0NBQWtCLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsRUFDekYsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLENBQ3BCLENBQUM7UUFDSixDQUFDO1FBQ0QsT0FBTyxJQUFBLHVCQUFTLEVBQUMsS0FBeUIsQ0FBQyxDQUFDO0lBQzlDLENBQUMsQ0FBQyxDQUFDO0FBQ0wsQ0FBQyxDQUFDO0FBRUYsY0FBYztBQUNkLE1BQU0sU0FBUyxHQUFHLENBQUMsVUFBdUMsRUFBRSxJQUFZLEVBQUUsRUFBRSxDQUMxRSxVQUFVLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxLQUFLLElBQUksQ0FBQyxFQUFFLEtBQUssSUFBSSxJQUFJLENBQUM7QUFFMUQsTUFBTSxTQUFTLEdBQUcsS0FBSyxFQUFFLFFBQWdCLEVBQXFCLEVBQUU7SUFDOUQsTUFBTSxNQUFNLEdBQWEsRUFBRSxDQUFDO0lBQzVCLElBQUksU0FBNkIsQ0FBQztJQUNsQyxHQUFHLENBQUM7UUFDRixNQUFNLElBQUksR0FBRyxNQUFNLE1BQU0sQ0FBQyxJQUFJLENBQzVCLElBQUksZ0VBQTZCLENBQUM7WUFDaEMsVUFBVSxFQUFFLFlBQVk7WUFDeEIsUUFBUSxFQUFFLFFBQVE7WUFDbEIsU0FBUyxFQUFFLFNBQVM7U0FDckIsQ0FBQyxDQUNILENBQUM7UUFDRixNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsTUFBTSxJQUFJLEVBQUUsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEtBQWdCLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxTQUFVLENBQUMsQ0FBQyxDQUFDO1FBQ2hGLFNBQVMsR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDO0lBQzdCLENBQUMsUUFBUSxTQUFTLEVBQUU7SUFDcEIsT0FBTyxNQUFNLENBQUMsSUFBSSxFQUFFLENBQUM7QUFDdkIsQ0FBQyxDQUFDO0FBRUYsdUVBQXVFO0FBQ3ZFLHdFQUF3RTtBQUN4RSwyREFBMkQ7QUFDM0QsTUFBTSxZQUFZLEdBQUcsS0FBSyxJQUFvQyxFQUFFO0lBQzlELE1BQU0sV0FBVyxHQUFHLElBQUksR0FBRyxFQUFvQixDQUFDO0lBQ2hELE1BQU0sT0FBTyxDQUFDLEdBQUcsQ0FDZixpQkFBaUIsQ0FBQyxHQUFHLENBQUMsS0FBSyxFQUFFLFNBQVMsRUFBRSxFQUFFO1FBQ3hDLElBQUksU0FBNkIsQ0FBQztRQUNsQyxHQUFHLENBQUM7WUFDRixNQUFNLElBQUksR0FBRyxNQUFNLE1BQU0sQ0FBQyxJQUFJLENBQzVCLElBQUksMERBQXVCLENBQUM7Z0JBQzFCLFVBQVUsRUFBRSxZQUFZO2dCQUN4QixTQUFTLEVBQUUsU0FBUztnQkFDcEIsU0FBUyxFQUFFLFNBQVM7YUFDckIsQ0FBQyxDQUNILENBQUM7WUFDRixLQUFLLE1BQU0sSUFBSSxJQUFJLElBQUksQ0FBQyxLQUFLLElBQUksRUFBRSxFQUFFLENBQUM7Z0JBQ3BDLE1BQU0sTUFBTSxHQUFHLFdBQVcsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLFFBQVMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztnQkFDckQsTUFBTSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQztnQkFDdkIsV0FBVyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsUUFBUyxFQUFFLE1BQU0sQ0FBQyxDQUFDO1lBQzFDLENBQUM7WUFDRCxTQUFTLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQztRQUM3QixDQUFDLFFBQVEsU0FBUyxFQUFFO0lBQ3RCLENBQUMsQ0FBQyxDQUNILENBQUM7SUFDRixPQUFPLFdBQVcsQ0FBQztBQUNyQixDQUFDLENBQUM7QUFFRixNQUFNLFFBQVEsR0FBRyxLQUFLLEVBQUUsUUFBZ0IsRUFBRSxFQUFFO0lBQzFDLElBQUksQ0FBQztRQUNILE1BQU0sSUFBSSxHQUFHLE1BQU0sTUFBTSxDQUFDLElBQUksQ0FDNUIsSUFBSSxzREFBbUIsQ0FBQyxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxDQUFDLENBQzFFLENBQUM7UUFDRixPQUFPO1lBQ0wsUUFBUSxFQUFFLElBQUksQ0FBQyxRQUFTO1lBQ3hCLEtBQUssRUFBRSxTQUFTLENBQUMsSUFBSSxDQUFDLGNBQWMsRUFBRSxPQUFPLENBQUM7WUFDOUMsTUFBTSxFQUFFLElBQUksQ0FBQyxVQUFVLElBQUksU0FBUztZQUNwQyxPQUFPLEVBQUUsSUFBSSxDQUFDLE9BQU8sSUFBSSxLQUFLO1lBQzlCLE1BQU0sRUFBRSxNQUFNLFNBQVMsQ0FBQyxJQUFJLENBQUMsUUFBUyxDQUFDO1lBQ3ZDLFNBQVMsRUFBRSxJQUFJLENBQUMsY0FBYyxFQUFFLFdBQVcsRUFBRSxJQUFJLElBQUk7U0FDdEQsQ0FBQztJQUNKLENBQUM7SUFBQyxPQUFPLEtBQWMsRUFBRSxDQUFDO1FBQ3hCLElBQUssS0FBMkIsQ0FBQyxJQUFJLEtBQUssdUJBQXVCLEVBQUUsQ0FBQztZQUNsRSxNQUFNLElBQUEsc0JBQWEsRUFBQyxtQkFBbUIsUUFBUSxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsQ0FBQyxDQUFDO1FBQ25FLENBQUM7UUFDRCxNQUFNLEtBQUssQ0FBQztJQUNkLENBQUM7QUFDSCxDQUFDLENBQUM7QUFJRixNQUFNLFVBQVUsR0FBRyxDQUFDLFFBQWdCLEVBQUUsRUFBRSxDQUFDLENBQUMsRUFBRSxFQUFFLEVBQUUsUUFBUSxRQUFRLEVBQUUsRUFBRSxLQUFLLEVBQUUsYUFBYSxFQUFFLENBQUMsQ0FBQztBQUU1RixNQUFNLFlBQVksR0FBRyxDQUFDLElBQVUsRUFBWSxFQUFFLENBQUMsQ0FBQztJQUM5QyxLQUFLLEVBQUUsSUFBSSxDQUFDLEtBQUs7SUFDakIsTUFBTSxFQUFFLElBQUksQ0FBQyxNQUFNO0lBQ25CLE9BQU8sRUFBRSxJQUFJLENBQUMsT0FBTztJQUNyQixNQUFNLEVBQUUsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDO0NBQy9CLENBQUMsQ0FBQztBQUVILE1BQU0sY0FBYyxHQUFHLENBQUMsTUFBbUMsRUFBWSxFQUFFO0lBQ3ZFLE1BQU0sU0FBUyxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxHQUFHLENBQUMsTUFBTSxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDcEQsS0FBSyxNQUFNLEtBQUssSUFBSSxTQUFTLEVBQUUsQ0FBQztRQUM5QixJQUFJLENBQUMsaUJBQWlCLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUM7WUFDdkMsTUFBTSxJQUFBLHdCQUFlLEVBQ25CLGtCQUFrQixLQUFLLHNCQUFzQixpQkFBaUIsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsRUFDM0UsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLENBQ3BCLENBQUM7UUFDSixDQUFDO0lBQ0gsQ0FBQztJQUNELE9BQU8sU0FBUyxDQUFDO0FBQ25CLENBQUMsQ0FBQztBQUVGLGdFQUFnRTtBQUNoRSxNQUFNLGNBQWMsR0FBRyxDQUFDLFFBQWEsRUFBRSxRQUFnQixFQUFFLE1BQWMsRUFBRSxFQUFFO0lBQ3pFLElBQUksUUFBUSxFQUFFLFFBQVEsS0FBSyxRQUFRLEVBQUUsQ0FBQztRQUNwQyxNQUFNLElBQUEsdUJBQWMsRUFBQyxjQUFjLE1BQU0sbUJBQW1CLEVBQUUsRUFBRSxRQUFRLEVBQUUsQ0FBQyxDQUFDO0lBQzlFLENBQUM7QUFDSCxDQUFDLENBQUM7QUFFRiwyRUFBMkU7QUFDcEUsTUFBTSxPQUFPLEdBQVksS0FBSyxFQUFFLEtBQUssRUFBRSxFQUFFO0lBQzlDLE9BQU8sQ0FBQyxHQUFHLENBQUMsc0JBQXNCLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsS0FBSyxFQUFFLFNBQVMsRUFBRSxLQUFLLENBQUMsU0FBUyxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBRXhHLElBQUksQ0FBQztRQUNILElBQUEsbUJBQVcsRUFBQyxLQUFLLENBQUMsUUFBUSxFQUFFLE9BQU8sRUFBRSxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDbEQsTUFBTSxLQUFLLEdBQUcsQ0FBQyxTQUFpQixFQUFFLE1BQXFDLEVBQUUsTUFBZ0IsRUFBRSxLQUFlLEVBQUUsRUFBRSxDQUM1RyxXQUFXLENBQUMsS0FBSyxDQUFDLFFBQVEsRUFBRSxTQUFTLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxLQUFLLENBQUMsQ0FBQztRQUVoRSxJQUFJLEtBQUssQ0FBQyxLQUFLLEtBQUssdUJBQXVCLEVBQUUsQ0FBQztZQUM1QyxNQUFNLE9BQU8sR0FBeUIsRUFBRSxDQUFDO1lBQ3pDLElBQUksU0FBNkIsQ0FBQztZQUNsQyxHQUFHLENBQUM7Z0JBQ0YsTUFBTSxJQUFJLEdBQUcsTUFBTSxNQUFNLENBQUMsSUFBSSxDQUM1QixJQUFJLDZEQUEwQixDQUFDO29CQUM3QixVQUFVLEVBQUUsWUFBWTtvQkFDeEIsVUFBVSxFQUFFLEVBQUU7b0JBQ2QsU0FBUyxFQUFFLFNBQVM7aUJBQ3JCLENBQUMsQ0FDSCxDQUFDO2dCQUNGLEtBQUssTUFBTSxPQUFPLElBQUksSUFBSSxDQUFDLGVBQWUsSUFBSSxFQUFFLEVBQUUsQ0FBQztvQkFDakQsSUFBSSxPQUFPLENBQUMsVUFBVSxFQUFFLFVBQVUsQ0FBQyxrQkFBa0IsQ0FBQyxFQUFFLENBQUM7d0JBQ3ZELE9BQU8sQ0FBQyxJQUFJLENBQUMsTUFBTSxjQUFjLENBQUMsT0FBTyxDQUFDLFFBQVMsQ0FBQyxDQUFDLENBQUM7b0JBQ3hELENBQUM7Z0JBQ0gsQ0FBQztnQkFDRCxTQUFTLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQztZQUM3QixDQUFDLFFBQVEsU0FBUyxFQUFFO1lBQ3BCLE9BQU8sT0FBTztpQkFDWCxHQUFHLENBQUMsbUJBQW1CLENBQUM7aUJBQ3hCLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBQ2xELENBQUM7UUFFRCxJQUFJLEtBQUssQ0FBQyxLQUFLLEtBQUsseUJBQXlCLEVBQUUsQ0FBQztZQUM5QyxNQUFNLElBQUksR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxJQUFJLElBQUksRUFBRSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7WUFDdkQsSUFBSSxDQUFDLG1CQUFtQixDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDO2dCQUNwQyxNQUFNLElBQUEsd0JBQWUsRUFDbkIsd0VBQXdFLEVBQ3hFLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxDQUNsQixDQUFDO1lBQ0osQ0FBQztZQUNELE1BQU0sTUFBTSxHQUFHLGNBQWMsQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQ3RELE1BQU0sRUFBRSxTQUFTLEVBQUUsV0FBVyxFQUFFLEdBQUcsTUFBTSxZQUFZLENBQUMsSUFBSSxFQUFFLE1BQU0sQ0FBQyxDQUFDO1lBQ3BFLE1BQU0sS0FBSyxDQUFDLHlCQUF5QixFQUFFLFlBQVksQ0FBQyxTQUFTLENBQUMsUUFBUyxDQUFDLEVBQUUsSUFBSSxFQUFFLGNBQWMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDO1lBQzNHLE9BQU8sQ0FBQyxHQUFHLENBQUMsNkJBQTZCLEVBQUUsU0FBUyxDQUFDLFFBQVEsRUFBRSxJQUFJLEVBQUUsTUFBTSxDQUFDLENBQUM7WUFDN0UsT0FBTyxXQUFXLENBQUM7UUFDckIsQ0FBQztRQUVELGtFQUFrRTtRQUNsRSx5RUFBeUU7UUFDekUsa0RBQWtEO1FBQ2xELElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyx5QkFBeUIsRUFBRSxDQUFDO1lBQzlDLE1BQU0sT0FBTyxHQUFHLE1BQU0sY0FBYyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLENBQUM7WUFDL0QsTUFBTSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsR0FBRyxtQkFBbUIsQ0FBQyxPQUFPLENBQUMsQ0FBQztZQUN0RCxNQUFNLEVBQUUsU0FBUyxFQUFFLFdBQVcsRUFBRSxHQUFHLE1BQU0sWUFBWSxDQUFDLElBQUksRUFBRSxNQUFNLENBQUMsQ0FBQztZQUNwRSxNQUFNLE1BQU0sQ0FBQyxJQUFJLENBQ2YsSUFBSSw4REFBMkIsQ0FBQyxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsUUFBUSxFQUFFLE9BQU8sQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUMxRixDQUFDO1lBQ0YsTUFBTSxLQUFLLENBQUMseUJBQXlCLEVBQUUsWUFBWSxDQUFDLE9BQU8sQ0FBQyxRQUFTLENBQUMsRUFBRSxjQUFjLENBQUMsT0FBTyxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUM7WUFDdkcsTUFBTSxLQUFLLENBQUMseUJBQXlCLEVBQUUsWUFBWSxDQUFDLFNBQVMsQ0FBQyxRQUFTLENBQUMsRUFBRSxJQUFJLEVBQUUsY0FBYyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7WUFDM0csT0FBTyxDQUFDLEdBQUcsQ0FBQyw2QkFBNkIsRUFBRSxPQUFPLENBQUMsUUFBUSxFQUFFLElBQUksRUFBRSxTQUFTLENBQUMsUUFBUSxDQUFDLENBQUM7WUFDdkYsT0FBTyxXQUFXLENBQUM7UUFDckIsQ0FBQztRQUVELElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyx5QkFBeUIsRUFBRSxDQUFDO1lBQzlDLE1BQU0sT0FBTyxHQUFHLE1BQU0sY0FBYyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLENBQUM7WUFDL0QsTUFBTSxNQUFNLENBQUMsSUFBSSxDQUNmLElBQUksOERBQTJCLENBQUMsRUFBRSxVQUFVLEVBQUUsWUFBWSxFQUFFLFFBQVEsRUFBRSxPQUFPLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FDMUYsQ0FBQztZQUNGLE1BQU0sS0FBSyxDQUFDLHlCQUF5QixFQUFFLFlBQVksQ0FBQyxPQUFPLENBQUMsUUFBUyxDQUFDLEVBQUUsY0FBYyxDQUFDLE9BQU8sQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDO1lBQ3ZHLE9BQU8sQ0FBQyxHQUFHLENBQUMsNkJBQTZCLEVBQUUsT0FBTyxDQUFDLFFBQVEsQ0FBQyxDQUFDO1lBQzdELE9BQU8sbUJBQW1CLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDdEMsQ0FBQztRQUVELElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxVQUFVLEVBQUUsQ0FBQztZQUMvQixNQUFNLFdBQVcsR0FBRyxNQUFNLFlBQVksRUFBRSxDQUFDO1lBQ3pDLE1BQU0sS0FBSyxHQUFXLEVBQUUsQ0FBQztZQUN6QixJQUFJLGVBQW1DLENBQUM7WUFDeEMsR0FBRyxDQUFDO2dCQUNGLE1BQU0sSUFBSSxHQUFHLE1BQU0sTUFBTSxDQUFDLElBQUksQ0FDNUIsSUFBSSxtREFBZ0IsQ0FBQztvQkFDbkIsVUFBVSxFQUFFLFlBQVk7b0JBQ3hCLEtBQUssRUFBRSxFQUFFO29CQUNULGVBQWUsRUFBRSxlQUFlO2lCQUNqQyxDQUFDLENBQ0gsQ0FBQztnQkFDRixLQUFLLE1BQU0sSUFBSSxJQUFJLElBQUksQ0FBQyxLQUFLLElBQUksRUFBRSxFQUFFLENBQUM7b0JBQ3BDLEtBQUssQ0FBQyxJQUFJLENBQUM7d0JBQ1QsUUFBUSxFQUFFLElBQUksQ0FBQyxRQUFTO3dCQUN4QixLQUFLLEVBQUUsU0FBUyxDQUFDLElBQUksQ0FBQyxVQUFVLEVBQUUsT0FBTyxDQUFDO3dCQUMxQyxNQUFNLEVBQUUsSUFBSSxDQUFDLFVBQVUsSUFBSSxTQUFTO3dCQUNwQyxPQUFPLEVBQUUsSUFBSSxDQUFDLE9BQU8sSUFBSSxLQUFLO3dCQUM5QixNQUFNLEVBQUUsQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxRQUFTLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUU7d0JBQ3RELFNBQVMsRUFBRSxJQUFJLENBQUMsY0FBYyxFQUFFLFdBQVcsRUFBRSxJQUFJLElBQUk7cUJBQ3RELENBQUMsQ0FBQztnQkFDTCxDQUFDO2dCQUNELGVBQWUsR0FBRyxJQUFJLENBQUMsZUFBZSxDQUFDO1lBQ3pDLENBQUMsUUFBUSxlQUFlLEVBQUU7WUFDMUIsT0FBTyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7UUFDcEUsQ0FBQztRQUVELG1EQUFtRDtRQUNuRCxJQUFJLEtBQUssQ0FBQyxLQUFLLEtBQUssWUFBWSxFQUFFLENBQUM7WUFDakMsTUFBTSxLQUFLLEdBQUcsTUFBTSxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsS0FBSyxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDO1lBQ3ZFLElBQUksQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUM7Z0JBQy9CLE1BQU0sSUFBQSx3QkFBZSxFQUFDLDBCQUEwQixLQUFLLEVBQUUsRUFBRSxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsQ0FBQyxDQUFDO1lBQy9FLENBQUM7WUFDRCxNQUFNLFFBQVEsR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxRQUFRLElBQUksRUFBRSxDQUFDLENBQUMsSUFBSSxFQUFFLElBQUksS0FBSyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN0RixJQUFJLENBQUMsZ0JBQWdCLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUM7Z0JBQ3JDLE1BQU0sSUFBQSx3QkFBZSxFQUNuQixxRkFBcUYsRUFDckYsRUFBRSxLQUFLLEVBQUUsVUFBVSxFQUFFLENBQ3RCLENBQUM7WUFDSixDQUFDO1lBQ0QsTUFBTSxNQUFNLEdBQUcsY0FBYyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLENBQUM7WUFDdEQsSUFBSSxDQUFDO2dCQUNILE1BQU0sTUFBTSxDQUFDLElBQUksQ0FDZixJQUFJLHlEQUFzQixDQUFDO29CQUN6QixVQUFVLEVBQUUsWUFBWTtvQkFDeEIsUUFBUSxFQUFFLFFBQVE7b0JBQ2xCLGNBQWMsRUFBRTt3QkFDZCxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRTt3QkFDL0IsRUFBRSxJQUFJLEVBQUUsZ0JBQWdCLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRTtxQkFDMUM7b0JBQ0Qsc0JBQXNCLEVBQUUsQ0FBQyxPQUFPLENBQUM7aUJBQ2xDLENBQUMsQ0FDSCxDQUFDO1lBQ0osQ0FBQztZQUFDLE9BQU8sS0FBYyxFQUFFLENBQUM7Z0JBQ3hCLElBQUssS0FBMkIsQ0FBQyxJQUFJLEtBQUsseUJBQXlCLEVBQUUsQ0FBQztvQkFDcEUsTUFBTSxJQUFBLHNCQUFhLEVBQUMsZ0JBQWdCLFFBQVEsa0JBQWtCLEtBQUssaUJBQWlCLEVBQUU7d0JBQ3BGLEtBQUssRUFBRSxVQUFVO3FCQUNsQixDQUFDLENBQUM7Z0JBQ0wsQ0FBQztnQkFDRCxNQUFNLEtBQUssQ0FBQztZQUNkLENBQUM7WUFDRCxLQUFLLE1BQU0sS0FBSyxJQUFJLE1BQU0sRUFBRSxDQUFDO2dCQUMzQixNQUFNLE1BQU0sQ0FBQyxJQUFJLENBQ2YsSUFBSSw2REFBMEIsQ0FBQyxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FDbkcsQ0FBQztZQUNKLENBQUM7WUFDRCxNQUFNLE9BQU8sR0FBRyxNQUFNLFFBQVEsQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUN6QyxNQUFNLEtBQUssQ0FBQyxZQUFZLEVBQUUsVUFBVSxDQUFDLFFBQVEsQ0FBQyxFQUFFLElBQUksRUFBRSxZQUFZLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztZQUM3RSxPQUFPLENBQUMsR0FBRyxDQUFDLGVBQWUsRUFBRSxRQUFRLEVBQUUsTUFBTSxDQUFDLENBQUM7WUFDL0MsT0FBTyxPQUFPLENBQUM7UUFDakIsQ0FBQztRQUVELElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxlQUFlLEVBQUUsQ0FBQztZQUNwQyxNQUFNLEVBQUUsUUFBUSxFQUFFLEdBQUcsS0FBSyxDQUFDLFNBQVMsQ0FBQztZQUNyQyxNQUFNLE1BQU0sR0FBRyxjQUFjLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsQ0FBQztZQUN0RCxNQUFNLE9BQU8sR0FBRyxNQUFNLFFBQVEsQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUN6QyxJQUFJLE9BQU8sQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDO2dCQUNsRSxjQUFjLENBQUMsS0FBSyxDQUFDLFFBQVEsRUFBRSxRQUFRLEVBQUUsNEJBQTRCLENBQUMsQ0FBQztZQUN6RSxDQUFDO1lBQ0Qsa0RBQWtEO1lBQ2xELE1BQU0sS0FBSyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztZQUN4RSxNQUFNLE9BQU8sR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FDbkMsQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLGlCQUFpQixDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDLENBQ3hFLENBQUM7WUFDRixLQUFLLE1BQU0sS0FBSyxJQUFJLEtBQUssRUFBRSxDQUFDO2dCQUMxQixNQUFNLE1BQU0sQ0FBQyxJQUFJLENBQ2YsSUFBSSw2REFBMEIsQ0FBQyxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FDbkcsQ0FBQztZQUNKLENBQUM7WUFDRCxLQUFLLE1BQU0sS0FBSyxJQUFJLE9BQU8sRUFBRSxDQUFDO2dCQUM1QixNQUFNLE1BQU0sQ0FBQyxJQUFJLENBQ2YsSUFBSSxrRUFBK0IsQ0FBQyxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FDeEcsQ0FBQztZQUNKLENBQUM7WUFDRCxNQUFNLE9BQU8sR0FBRyxNQUFNLFFBQVEsQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUN6QyxNQUFNLEtBQUssQ0FBQyxlQUFlLEVBQUUsVUFBVSxDQUFDLFFBQVEsQ0FBQyxFQUFFLFlBQVksQ0FBQyxPQUFPLENBQUMsRUFBRSxZQUFZLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztZQUNqRyxPQUFPLENBQUMsR0FBRyxDQUFDLGtCQUFrQixFQUFFLFFBQVEsRUFBRSxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsQ0FBQyxDQUFDO1lBQzlELE9BQU8sT0FBTyxDQUFDO1FBQ2pCLENBQUM7UUFFRCxJQUFJLEtBQUssQ0FBQyxLQUFLLEtBQUssYUFBYSxJQUFJLEtBQUssQ0FBQyxLQUFLLEtBQUssWUFBWSxFQUFFLENBQUM7WUFDbEUsTUFBTSxFQUFFLFFBQVEsRUFBRSxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUM7WUFDckMsTUFBTSxNQUFNLEdBQUcsS0FBSyxDQUFDLEtBQUssS0FBSyxZQUFZLENBQUM7WUFDNUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDO2dCQUNaLGNBQWMsQ0FBQyxLQUFLLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxTQUFTLENBQUMsQ0FBQztZQUN0RCxDQUFDO1lBQ0QsTUFBTSxPQUFPLEdBQUcsTUFBTSxRQUFRLENBQUMsUUFBUSxDQUFDLENBQUM7WUFDekMsTUFBTSxNQUFNLENBQUMsSUFBSSxDQUNmLE1BQU07Z0JBQ0osQ0FBQyxDQUFDLElBQUkseURBQXNCLENBQUMsRUFBRSxVQUFVLEVBQUUsWUFBWSxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsQ0FBQztnQkFDOUUsQ0FBQyxDQUFDLElBQUksMERBQXVCLENBQUMsRUFBRSxVQUFVLEVBQUUsWUFBWSxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsQ0FBQyxDQUNsRixDQUFDO1lBQ0YsTUFBTSxPQUFPLEdBQUcsTUFBTSxRQUFRLENBQUMsUUFBUSxDQUFDLENBQUM7WUFDekMsTUFBTSxLQUFLLENBQUMsS0FBSyxDQUFDLEtBQUssRUFBRSxVQUFVLENBQUMsUUFBUSxDQUFDLEVBQUUsWUFBWSxDQUFDLE9BQU8sQ0FBQyxFQUFFLFlBQVksQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO1lBQzdGLE9BQU8sQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDLGdCQUFnQixFQUFFLFFBQVEsQ0FBQyxDQUFDO1lBQ25FLE9BQU8sT0FBTyxDQUFDO1FBQ2pCLENBQUM7UUFFRCx5RUFBeUU7UUFDekUsd0JBQXdCO1FBQ3hCLElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxtQkFBbUIsRUFBRSxDQUFDO1lBQ3hDLE1BQU0sRUFBRSxRQUFRLEVBQUUsR0FBRyxLQUFLLENBQUMsU0FBUyxDQUFDO1lBQ3JDLE1BQU0sT0FBTyxHQUFHLE1BQU0sUUFBUSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1lBQ3pDLElBQUksT0FBTyxDQUFDLE1BQU0sS0FBSyx1QkFBdUIsRUFBRSxDQUFDO2dCQUMvQyxNQUFNLE1BQU0sQ0FBQyxJQUFJLENBQ2YsSUFBSSx5REFBc0IsQ0FBQztvQkFDekIsVUFBVSxFQUFFLFlBQVk7b0JBQ3hCLFFBQVEsRUFBRSxRQUFRO29CQUNsQixhQUFhLEVBQUUsUUFBUTtvQkFDdkIsc0JBQXNCLEVBQUUsQ0FBQyxPQUFPLENBQUM7aUJBQ2xDLENBQUMsQ0FDSCxDQUFDO1lBQ0osQ0FBQztpQkFBTSxDQUFDO2dCQUNOLE1BQU0sTUFBTSxDQUFDLElBQUksQ0FDZixJQUFJLGdFQUE2QixDQUFDLEVBQUUsVUFBVSxFQUFFLFlBQVksRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLENBQUMsQ0FDcEYsQ0FBQztZQUNKLENBQUM7WUFDRCxNQUFNLE9BQU8sR0FBRyxNQUFNLFFBQVEsQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUN6QyxNQUFNLEtBQUssQ0FBQyxtQkFBbUIsRUFBRSxVQUFVLENBQUMsUUFBUSxDQUFDLEVBQUUsWUFBWSxDQUFDLE9BQU8sQ0FBQyxFQUFFLFlBQVksQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO1lBQ3JHLE9BQU8sQ0FBQyxHQUFHLENBQUMseUJBQXlCLEVBQUUsUUFBUSxDQUFDLENBQUM7WUFDakQsT0FBTyxPQUFPLENBQUM7UUFDakIsQ0FBQztRQUVELE1BQU0sSUFBQSx3QkFBZSxFQUFDLGtCQUFrQixLQUFLLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQztJQUN6RCxDQUFDO0lBQUMsT0FBTyxLQUFjLEVBQUUsQ0FBQztRQUN4QixPQUFPLENBQUMsS0FBSyxDQUFDLHNCQUFzQixFQUFFLEtBQUssQ0FBQyxDQUFDO1FBQzdDLE9BQU8sSUFBQSxzQkFBYSxFQUFDLEtBQUssQ0FBQyxDQUFDO0lBQzlCLENBQUM7QUFDSCxDQUFDLENBQUM7QUE1TlcsUUFBQSxPQUFPLFdBNE5sQiIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IEhhbmRsZXIgfSBmcm9tIFwiYXdzLWxhbWJkYVwiO1xuaW1wb3J0IHtcbiAgQWRtaW5BZGRVc2VyVG9Hcm91cENvbW1hbmQsXG4gIEFkbWluQ3JlYXRlVXNlckNvbW1hbmQsXG4gIEFkbWluRGlzYWJsZVVzZXJDb21tYW5kLFxuICBBZG1pbkVuYWJsZVVzZXJDb21tYW5kLFxuICBBZG1pbkdldFVzZXJDb21tYW5kLFxuICBBZG1pbkxpc3RHcm91cHNGb3JVc2VyQ29tbWFuZCxcbiAgQWRtaW5SZW1vdmVVc2VyRnJvbUdyb3VwQ29tbWFuZCxcbiAgQWRtaW5SZXNldFVzZXJQYXNzd29yZENvbW1hbmQsXG4gIEF0dHJpYnV0ZVR5cGUsXG4gIENvZ25pdG9JZGVudGl0eVByb3ZpZGVyQ2xpZW50LFxuICBDcmVhdGVVc2VyUG9vbENsaWVudENvbW1hbmQsXG4gIERlbGV0ZVVzZXJQb29sQ2xpZW50Q29tbWFuZCxcbiAgRGVzY3JpYmVVc2VyUG9vbENsaWVudENvbW1hbmQsXG4gIEdyb3VwVHlwZSxcbiAgTGlzdFVzZXJQb29sQ2xpZW50c0NvbW1hbmQsXG4gIExpc3RVc2Vyc0NvbW1hbmQsXG4gIExpc3RVc2Vyc0luR3JvdXBDb21tYW5kLFxuICBVc2VyUG9vbENsaWVudFR5cGUsXG59IGZyb20gXCJAYXdzLXNkay9jbGllbnQtY29nbml0by1pZGVudGl0eS1wcm92aWRlclwiO1xuaW1wb3J0IHsgSW52b2tlQ29tbWFuZCwgTGFtYmRhQ2xpZW50IH0gZnJvbSBcIkBhd3Mtc2RrL2NsaWVudC1sYW1iZGFcIjtcbmltcG9ydCB7XG4gIGNvbmZsaWN0RXJyb3IsXG4gIGZvcmJpZGRlbkVycm9yLFxuICBub3RGb3VuZEVycm9yLFxuICB0b0Vycm9yUmVzdWx0LFxuICB2YWxpZGF0aW9uRXJyb3IsXG59IGZyb20gXCIuLi9zaGFyZWQvZXJyb3JzXCI7XG5pbXBvcnQgeyBST0xFUywgcmVxdWlyZVJvbGUgfSBmcm9tIFwiLi4vc2hhcmVkL3JvbGVzXCI7XG5pbXBvcnQgeyBDTEFTU0lGSUNBVElPTl9HUk9VUFMgfSBmcm9tIFwiLi4vc2hhcmVkL2NsYXNzaWZpY2F0aW9uXCI7XG5pbXBvcnQge1xuICBJTlRFR1JBVElPTl9TQ09QRVMsXG4gIEludGVncmF0aW9uU2NvcGUsXG4gIHNjb3BlTmFtZSxcbn0gZnJvbSBcIi4uL3NoYXJlZC9pbnRlZ3JhdGlvblwiO1xuaW1wb3J0IHR5cGUgeyBBdWRpdEVudHJ5IH0gZnJvbSBcIi4uL3JlY29yZEF1ZGl0XCI7XG5cbmNvbnN0IGNsaWVudCA9IG5ldyBDb2duaXRvSWRlbnRpdHlQcm92aWRlckNsaWVudCh7fSk7XG5jb25zdCBsYW1iZGEgPSBuZXcgTGFtYmRhQ2xpZW50KHt9KTtcbmNvbnN0IFVTRVJfUE9PTF9JRCA9IHByb2Nlc3MuZW52LlVTRVJfUE9PTF9JRCE7XG5jb25zdCBUT0tFTl9VUkwgPSBwcm9jZXNzLmVudi5UT0tFTl9VUkwhO1xuY29uc3QgQVVESVRfRlVOQ1RJT05fTkFNRSA9IHByb2Nlc3MuZW52LkFVRElUX0ZVTkNUSU9OX05BTUUhO1xuXG4vLyBJbnRlZ3JhdGlvbiBjbGllbnRzIGFyZSB0aGUgYXBwIGNsaWVudHMgd2hvc2UgbmFtZSBoYXMgdGhpcyBwcmVmaXg7IHRoZVxuLy8gd2ViIGFwcCdzIG93biBjbGllbnQgbmV2ZXIgZG9lc1xuY29uc3QgQ0xJRU5UX05BTUVfUFJFRklYID0gXCJpbnRlZ3JhdGlvbi1cIjtcbmNvbnN0IENMSUVOVF9OQU1FX1BBVFRFUk4gPSAvXltBLVphLXowLTldW0EtWmEtejAtOSAuXy1dezAsNjN9JC87XG5cbi8vIEFjY2VzcyB0b2tlbnMgb2YgaW50ZWdyYXRpb24gY2xpZW50cyBleHBpcmUgYWZ0ZXIgdGhpcyBtYW55IG1pbnV0ZXMsIHRoZVxuLy8gbGVhc3QgQ29nbml0byBhbGxvd3MuIFJldm9raW5nIG9yIHJvdGF0aW5nIGEgY2xpZW50IGNhbm5vdCByZWNhbGwgdG9rZW5zXG4vLyBpdCB3YXMgYWxyZWFkeSBpc3N1ZWQsIHNvIHRoaXMgaXMgaG93IGxvbmcgdGhleSBrZWVwIHdvcmtpbmcuXG5jb25zdCBBQ0NFU1NfVE9LRU5fTUlOVVRFUyA9IDU7XG5cbi8vIENvZ25pdG8gY291bnRzIEFjY2Vzc1Rva2VuVmFsaWRpdHkgaW4gaG91cnMgdW5sZXNzIFRva2VuVmFsaWRpdHlVbml0cyBzYXlzXG4vLyBvdGhlcndpc2VcbmNvbnN0IFRPS0VOX1VOSVRfTUlOVVRFUzogUmVjb3JkPHN0cmluZywgbnVtYmVyPiA9IHsgc2Vjb25kczogMSAvIDYwLCBtaW51dGVzOiAxLCBob3VyczogNjAsIGRheXM6IDI0ICogNjAgfTtcblxuLy8gR3JvdXBzIHRoZSB1c2VyIGFkbWluaXN0cmF0aW9uIHBhZ2UgbWF5IGFzc2lnblxuY29uc3QgQVNTSUdOQUJMRV9HUk9VUFM6IHN0cmluZ1tdID0gWy4uLlJPTEVTLCAuLi5DTEFTU0lGSUNBVElPTl9HUk9VUFNdO1xuXG5jb25zdCBFTUFJTF9QQVRURVJOID0gL15bXlxcc0BdK0BbXlxcc0BdK1xcLlteXFxzQF0rJC87XG4vLyBUaGUgcG9vbCBzaWducyBpbiB3aXRoIHVzZXJuYW1lIG9yIGVtYWlsIGFsaWFzLCBzbyB1c2VybmFtZXMgbXVzdCBub3Rcbi8vIGxvb2sgbGlrZSBhbiBlbWFpbCBhZGRyZXNzXG5jb25zdCBVU0VSTkFNRV9QQVRURVJOID0gL15bQS1aYS16MC05Ll8rLV17MSwxMjh9JC87XG5cbnR5cGUgU25hcHNob3QgPSBSZWNvcmQ8c3RyaW5nLCB1bmtub3duPiB8IG51bGw7XG5cbi8vIOKUgOKUgCBBdWRpdCB0cmFpbCDilIDilIBcbi8vIEFjdGlvbnMgYXJlIHJlY29yZGVkIGFzIEF1ZGl0RXZlbnQgdmVydGljZXMgbGlrZSBncmFwaCBtdXRhdGlvbnMuIFRoZVxuLy8gcmVjb3JkIGlzIHdyaXR0ZW4gYnkgdGhlIGF1ZGl0IExhbWJkYSBpbnNpZGUgdGhlIFZQQzsgYSBmYWlsdXJlIGlzIGxvZ2dlZFxuLy8gYnV0IGRvZXMgbm90IHVuZG8gdGhlIENvZ25pdG8gY2hhbmdlIHRoYXQgYWxyZWFkeSBoYXBwZW5lZC5cbmNvbnN0IHJlY29yZEF1ZGl0ID0gYXN5bmMgKFxuICBpZGVudGl0eTogYW55LFxuICBvcGVyYXRpb246IHN0cmluZyxcbiAgdGFyZ2V0OiB7IGlkOiBzdHJpbmc7IGxhYmVsOiBzdHJpbmcgfSxcbiAgYmVmb3JlOiBTbmFwc2hvdCxcbiAgYWZ0ZXI6IFNuYXBzaG90XG4pID0+IHtcbiAgY29uc3QgZW50cnk6IEF1ZGl0RW50cnkgPSB7XG4gICAgb3BlcmF0aW9uLFxuICAgIGFjdG9yOiB7XG4gICAgICBzdWI6IFN0cmluZyhpZGVudGl0eT8uc3ViID8/IFwidW5rbm93blwiKSxcbiAgICAgIHVzZXJuYW1lOiBTdHJpbmcoaWRlbnRpdHk/LnVzZXJuYW1lID8/IGlkZW50aXR5Py5zdWIgPz8gXCJ1bmtub3duXCIpLFxuICAgIH0sXG4gICAgdGFyZ2V0LFxuICAgIGJlZm9yZSxcbiAgICBhZnRlcixcbiAgfTtcbiAgdHJ5IHtcbiAgICBjb25zdCByZXNwb25zZSA9IGF3YWl0IGxhbWJkYS5zZW5kKFxuICAgICAgbmV3IEludm9rZUNvbW1hbmQoe1xuICAgICAgICBGdW5jdGlvbk5hbWU6IEFVRElUX0ZVTkNUSU9OX05BTUUsXG4gICAgICAgIFBheWxvYWQ6IEJ1ZmZlci5mcm9tKEpTT04uc3RyaW5naWZ5KGVudHJ5KSksXG4gICAgICB9KVxuICAgICk7XG4gICAgaWYgKHJlc3BvbnNlLkZ1bmN0aW9uRXJyb3IpIHtcbiAgICAgIHRocm93IG5ldyBFcnJvcihCdWZmZXIuZnJvbShyZXNwb25zZS5QYXlsb2FkID8/IFtdKS50b1N0cmluZygpKTtcbiAgICB9XG4gIH0gY2F0Y2ggKGVycm9yOiB1bmtub3duKSB7XG4gICAgY29uc29sZS5lcnJvcihcIkZhaWxlZCB0byByZWNvcmQgYXVkaXQgZXZlbnQ6XCIsIEpTT04uc3RyaW5naWZ5KGVudHJ5KSwgZXJyb3IpO1xuICB9XG59O1xuXG4vLyDilIDilIAgSW50ZWdyYXRpb24gY2xpZW50cyDilIDilIBcbmNvbnN0IHRvSW50ZWdyYXRpb25DbGllbnQgPSAoYXBwQ2xpZW50OiBVc2VyUG9vbENsaWVudFR5cGUpID0+ICh7XG4gIGNsaWVudElkOiBhcHBDbGllbnQuQ2xpZW50SWQhLFxuICBuYW1lOiAoYXBwQ2xpZW50LkNsaWVudE5hbWUgPz8gXCJcIikuc2xpY2UoQ0xJRU5UX05BTUVfUFJFRklYLmxlbmd0aCksXG4gIHNjb3BlczogYXBwQ2xpZW50LkFsbG93ZWRPQXV0aFNjb3BlcyA/PyBbXSxcbiAgY3JlYXRlZEF0OiBhcHBDbGllbnQuQ3JlYXRpb25EYXRlPy50b0lTT1N0cmluZygpID8/IG51bGwsXG4gIHVwZGF0ZWRBdDogYXBwQ2xpZW50Lkxhc3RNb2RpZmllZERhdGU/LnRvSVNPU3RyaW5nKCkgPz8gbnVsbCxcbiAgYWNjZXNzVG9rZW5NaW51dGVzOiBNYXRoLmNlaWwoXG4gICAgKGFwcENsaWVudC5BY2Nlc3NUb2tlblZhbGlkaXR5ID8/IDEpICogVE9LRU5fVU5JVF9NSU5VVEVTW2FwcENsaWVudC5Ub2tlblZhbGlkaXR5VW5pdHM/LkFjY2Vzc1Rva2VuID8/IFwiaG91cnNcIl1cbiAgKSxcbn0pO1xuXG5jb25zdCBjbGllbnRUYXJnZXQgPSAoY2xpZW50SWQ6IHN0cmluZykgPT4gKHsgaWQ6IGBjbGllbnQ6JHtjbGllbnRJZH1gLCBsYWJlbDogXCJJbnRlZ3JhdGlvbkNsaWVudFwiIH0pO1xuXG5jb25zdCBjbGllbnRTbmFwc2hvdCA9IChhcHBDbGllbnQ6IFVzZXJQb29sQ2xpZW50VHlwZSk6IFNuYXBzaG90ID0+IHtcbiAgY29uc3QgeyBuYW1lLCBzY29wZXMgfSA9IHRvSW50ZWdyYXRpb25DbGllbnQoYXBwQ2xpZW50KTtcbiAgcmV0dXJuIHsgbmFtZSwgc2NvcGVzOiBzY29wZXMuam9pbihcIiBcIikgfTtcbn07XG5cbmNvbnN0IGRlc2NyaWJlQ2xpZW50ID0gYXN5bmMgKGNsaWVudElkOiBzdHJpbmcpID0+IHtcbiAgdHJ5IHtcbiAgICBjb25zdCB7IFVzZXJQb29sQ2xpZW50IH0gPSBhd2FpdCBjbGllbnQuc2VuZChcbiAgICAgIG5ldyBEZXNjcmliZVVzZXJQb29sQ2xpZW50Q29tbWFuZCh7IFVzZXJQb29sSWQ6IFVTRVJfUE9PTF9JRCwgQ2xpZW50SWQ6IGNsaWVudElkIH0pXG4gICAgKTtcbiAgICBpZiAoVXNlclBvb2xDbGllbnQ/LkNsaWVudE5hbWU/LnN0YXJ0c1dpdGgoQ0xJRU5UX05BTUVfUFJFRklYKSkge1xuICAgICAgcmV0dXJuIFVzZXJQb29sQ2xpZW50O1xuICAgIH1cbiAgfSBjYXRjaCAoZXJyb3I6IHVua25vd24pIHtcbiAgICBpZiAoKGVycm9yIGFzIHsgbmFtZT86IHN0cmluZyB9KS5uYW1lICE9PSBcIlJlc291cmNlTm90Rm91bmRFeGNlcHRpb25cIikgdGhyb3cgZXJyb3I7XG4gIH1cbiAgdGhyb3cgbm90Rm91bmRFcnJvcihgSW50ZWdyYXRpb24gY2xpZW50IG5vdCBmb3VuZDogJHtjbGllbnRJZH1gLCB7IGNsaWVudElkIH0pO1xufTtcblxuLy8gQ3JlYXRlcyBhIGNvbmZpZGVudGlhbCBhcHAgY2xpZW50IGxpbWl0ZWQgdG8gdGhlIGNsaWVudC1jcmVkZW50aWFscyBncmFudDtcbi8vIHRoZSBzZWNyZXQgaXMgb25seSBldmVyIHJldHVybmVkIGhlcmVcbmNvbnN0IGNyZWF0ZUNsaWVudCA9IGFzeW5jIChuYW1lOiBzdHJpbmcsIHNjb3Blczogc3RyaW5nW10pID0+IHtcbiAgY29uc3QgeyBVc2VyUG9vbENsaWVudCB9ID0gYXdhaXQgY2xpZW50LnNlbmQoXG4gICAgbmV3IENyZWF0ZVVzZXJQb29sQ2xpZW50Q29tbWFuZCh7XG4gICAgICBVc2VyUG9vbElkOiBVU0VSX1BPT0xfSUQsXG4gICAgICBDbGllbnROYW1lOiBgJHtDTElFTlRfTkFNRV9QUkVGSVh9JHtuYW1lfWAsXG4gICAgICBHZW5lcmF0ZVNlY3JldDogdHJ1ZSxcbiAgICAgIEFsbG93ZWRPQXV0aEZsb3dzOiBbXCJjbGllbnRfY3JlZGVudGlhbHNcIl0sXG4gICAgICBBbGxvd2VkT0F1dGhGbG93c1VzZXJQb29sQ2xpZW50OiB0cnVlLFxuICAgICAgQWxsb3dlZE9BdXRoU2NvcGVzOiBzY29wZXMsXG4gICAgICBBY2Nlc3NUb2tlblZhbGlkaXR5OiBBQ0NFU1NfVE9LRU5fTUlOVVRFUyxcbiAgICAgIFRva2VuVmFsaWRpdHlVbml0czogeyBBY2Nlc3NUb2tlbjogXCJtaW51dGVzXCIgfSxcbiAgICAgIFByZXZlbnRVc2VyRXhpc3RlbmNlRXJyb3JzOiBcIkVOQUJMRURcIixcbiAgICB9KVxuICApO1xuICByZXR1cm4ge1xuICAgIGFwcENsaWVudDogVXNlclBvb2xDbGllbnQhLFxuICAgIGNyZWRlbnRpYWxzOiB7XG4gICAgICBjbGllbnQ6IHRvSW50ZWdyYXRpb25DbGllbnQoVXNlclBvb2xDbGllbnQhKSxcbiAgICAgIGNsaWVudFNlY3JldDogVXNlclBvb2xDbGllbnQhLkNsaWVudFNlY3JldCEsXG4gICAgICB0b2tlblVybDogVE9LRU5fVVJMLFxuICAgIH0sXG4gIH07XG59O1xuXG5jb25zdCB2YWxpZGF0ZVNjb3BlcyA9IChzY29wZXM6IHN0cmluZ1tdIHwgbnVsbCB8IHVuZGVmaW5lZCk6IHN0cmluZ1tdID0+IHtcbiAgY29uc3QgcmVxdWVzdGVkID0gc2NvcGVzICYmIHNjb3Blcy5sZW5ndGggPiAwID8gc2NvcGVzIDogT2JqZWN0LmtleXMoSU5URUdSQVRJT05fU0NPUEVTKTtcbiAgcmV0dXJuIHJlcXVlc3RlZC5tYXAoKHNjb3BlKSA9PiB7XG4gICAgaWYgKCEoc2NvcGUgaW4gSU5URUdSQVRJT05fU0NPUEVTKSkge1xuICAgICAgdGhyb3cgdmFsaWRhdGlvbkVycm9yKFxuICAgICAgICBgVW5rbm93biBzY29wZSBcIiR7c2NvcGV9XCI7IGV4cGVjdGVkIG9uZSBvZiAke09iamVjdC5rZXlzKElOVEVHUkFUSU9OX1NDT1BFUykuam9pbihcIiwgXCIpfWAsXG4gICAgICAgIHsgZmllbGQ6IFwic2NvcGVzXCIgfVxuICAgICAgKTtcbiAgICB9XG4gICAgcmV0dXJuIHNjb3BlTmFtZShzY29wZSBhcyBJbnRlZ3JhdGlvblNjb3BlKTtcbiAgfSk7XG59O1xuXG4vLyDilIDilIAgVXNlcnMg4pSA4pSAXG5jb25zdCBhdHRyaWJ1dGUgPSAoYXR0cmlidXRlczogQXR0cmlidXRlVHlwZVtdIHwgdW5kZWZpbmVkLCBuYW1lOiBzdHJpbmcpID0+XG4gIGF0dHJpYnV0ZXM/LmZpbmQoKGEpID0+IGEuTmFtZSA9PT0gbmFtZSk/LlZhbHVlID8/IG51bGw7XG5cbmNvbnN0IGdyb3Vwc0ZvciA9IGFzeW5jICh1c2VybmFtZTogc3RyaW5nKTogUHJvbWlzZTxzdHJpbmdbXT4gPT4ge1xuICBjb25zdCBncm91cHM6IHN0cmluZ1tdID0gW107XG4gIGxldCBuZXh0VG9rZW46IHN0cmluZyB8IHVuZGVmaW5lZDtcbiAgZG8ge1xuICAgIGNvbnN0IHBhZ2UgPSBhd2FpdCBjbGllbnQuc2VuZChcbiAgICAgIG5ldyBBZG1pbkxpc3RHcm91cHNGb3JVc2VyQ29tbWFuZCh7XG4gICAgICAgIFVzZXJQb29sSWQ6IFVTRVJfUE9PTF9JRCxcbiAgICAgICAgVXNlcm5hbWU6IHVzZXJuYW1lLFxuICAgICAgICBOZXh0VG9rZW46IG5leHRUb2tlbixcbiAgICAgIH0pXG4gICAgKTtcbiAgICBncm91cHMucHVzaCguLi4ocGFnZS5Hcm91cHMgPz8gW10pLm1hcCgoZ3JvdXA6IEdyb3VwVHlwZSkgPT4gZ3JvdXAuR3JvdXBOYW1lISkpO1xuICAgIG5leHRUb2tlbiA9IHBhZ2UuTmV4dFRva2VuO1xuICB9IHdoaWxlIChuZXh0VG9rZW4pO1xuICByZXR1cm4gZ3JvdXBzLnNvcnQoKTtcbn07XG5cbi8vIEdyb3VwIG1lbWJlcnNoaXBzIG9mIGV2ZXJ5IHVzZXIsIHJlYWQgb25lIGdyb3VwIGF0IGEgdGltZSBzbyBsaXN0aW5nXG4vLyB1c2VycyBjb3N0cyBhIGNhbGwgcGVyIGdyb3VwIGluc3RlYWQgb2Ygb25lIHBlciB1c2VyLiBsaWIvY29uc3RydWN0cy9cbi8vIGNvZ25pdG8udHMgY3JlYXRlcyBubyBncm91cHMgYmV5b25kIHRoZSBhc3NpZ25hYmxlIG9uZXMuXG5jb25zdCBncm91cHNCeVVzZXIgPSBhc3luYyAoKTogUHJvbWlzZTxNYXA8c3RyaW5nLCBzdHJpbmdbXT4+ID0+IHtcbiAgY29uc3QgbWVtYmVyc2hpcHMgPSBuZXcgTWFwPHN0cmluZywgc3RyaW5nW10+KCk7XG4gIGF3YWl0IFByb21pc2UuYWxsKFxuICAgIEFTU0lHTkFCTEVfR1JPVVBTLm1hcChhc3luYyAoZ3JvdXBOYW1lKSA9PiB7XG4gICAgICBsZXQgbmV4dFRva2VuOiBzdHJpbmcgfCB1bmRlZmluZWQ7XG4gICAgICBkbyB7XG4gICAgICAgIGNvbnN0IHBhZ2UgPSBhd2FpdCBjbGllbnQuc2VuZChcbiAgICAgICAgICBuZXcgTGlzdFVzZXJzSW5Hcm91cENvbW1hbmQoe1xuICAgICAgICAgICAgVXNlclBvb2xJZDogVVNFUl9QT09MX0lELFxuICAgICAgICAgICAgR3JvdXBOYW1lOiBncm91cE5hbWUsXG4gICAgICAgICAgICBOZXh0VG9rZW46IG5leHRUb2tlbixcbiAgICAgICAgICB9KVxuICAgICAgICApO1xuICAgICAgICBmb3IgKGNvbnN0IHVzZXIgb2YgcGFnZS5Vc2VycyA/PyBbXSkge1xuICAgICAgICAgIGNvbnN0IGdyb3VwcyA9IG1lbWJlcnNoaXBzLmdldCh1c2VyLlVzZXJuYW1lISkgPz8gW107XG4gICAgICAgICAgZ3JvdXBzLnB1c2goZ3JvdXBOYW1lKTtcbiAgICAgICAgICBtZW1iZXJzaGlwcy5zZXQodXNlci5Vc2VybmFtZSEsIGdyb3Vwcyk7XG4gICAgICAgIH1cbiAgICAgICAgbmV4dFRva2VuID0gcGFnZS5OZXh0VG9rZW47XG4gICAgICB9IHdoaWxlIChuZXh0VG9rZW4pO1xuICAgIH0pXG4gICk7XG4gIHJldHVybiBtZW1iZXJzaGlwcztcbn07XG5cbmNvbnN0IHJlYWRVc2VyID0gYXN5bmMgKHVzZXJuYW1lOiBzdHJpbmcpID0+IHtcbiAgdHJ5IHtcbiAgICBjb25zdCB1c2VyID0gYXdhaXQgY2xpZW50LnNlbmQoXG4gICAgICBuZXcgQWRtaW5HZXRVc2VyQ29tbWFuZCh7IFVzZXJQb29sSWQ6IFVTRVJfUE9PTF9JRCwgVXNlcm5hbWU6IHVzZXJuYW1lIH0pXG4gICAgKTtcbiAgICByZXR1cm4ge1xuICAgICAgdXNlcm5hbWU6IHVzZXIuVXNlcm5hbWUhLFxuICAgICAgZW1haWw6IGF0dHJpYnV0ZSh1c2VyLlVzZXJBdHRyaWJ1dGVzLCBcImVtYWlsXCIpLFxuICAgICAgc3RhdHVzOiB1c2VyLlVzZXJTdGF0dXMgPz8gXCJVTktOT1dOXCIsXG4gICAgICBlbmFibGVkOiB1c2VyLkVuYWJsZWQgPz8gZmFsc2UsXG4gICAgICBncm91cHM6IGF3YWl0IGdyb3Vwc0Zvcih1c2VyLlVzZXJuYW1lISksXG4gICAgICBjcmVhdGVkQXQ6IHVzZXIuVXNlckNyZWF0ZURhdGU/LnRvSVNPU3RyaW5nKCkgPz8gbnVsbCxcbiAgICB9O1xuICB9IGNhdGNoIChlcnJvcjogdW5rbm93bikge1xuICAgIGlmICgoZXJyb3IgYXMgeyBuYW1lPzogc3RyaW5nIH0pLm5hbWUgPT09IFwiVXNlck5vdEZvdW5kRXhjZXB0aW9uXCIpIHtcbiAgICAgIHRocm93IG5vdEZvdW5kRXJyb3IoYFVzZXIgbm90IGZvdW5kOiAke3VzZXJuYW1lfWAsIHsgdXNlcm5hbWUgfSk7XG4gICAgfVxuICAgIHRocm93IGVycm9yO1xuICB9XG59O1xuXG50eXBlIFVzZXIgPSBBd2FpdGVkPFJldHVyblR5cGU8dHlwZW9mIHJlYWRVc2VyPj47XG5cbmNvbnN0IHVzZXJUYXJnZXQgPSAodXNlcm5hbWU6IHN0cmluZykgPT4gKHsgaWQ6IGB1c2VyOiR7dXNlcm5hbWV9YCwgbGFiZWw6IFwiQ29nbml0b1VzZXJcIiB9KTtcblxuY29uc3QgdXNlclNuYXBzaG90ID0gKHVzZXI6IFVzZXIpOiBTbmFwc2hvdCA9PiAoe1xuICBlbWFpbDogdXNlci5lbWFpbCxcbiAgc3RhdHVzOiB1c2VyLnN0YXR1cyxcbiAgZW5hYmxlZDogdXNlci5lbmFibGVkLFxuICBncm91cHM6IHVzZXIuZ3JvdXBzLmpvaW4oXCIsIFwiKSxcbn0pO1xuXG5jb25zdCB2YWxpZGF0ZUdyb3VwcyA9IChncm91cHM6IHN0cmluZ1tdIHwgbnVsbCB8IHVuZGVmaW5lZCk6IHN0cmluZ1tdID0+IHtcbiAgY29uc3QgcmVxdWVzdGVkID0gQXJyYXkuZnJvbShuZXcgU2V0KGdyb3VwcyA/PyBbXSkpO1xuICBmb3IgKGNvbnN0IGdyb3VwIG9mIHJlcXVlc3RlZCkge1xuICAgIGlmICghQVNTSUdOQUJMRV9HUk9VUFMuaW5jbHVkZXMoZ3JvdXApKSB7XG4gICAgICB0aHJvdyB2YWxpZGF0aW9uRXJyb3IoXG4gICAgICAgIGBVbmtub3duIGdyb3VwIFwiJHtncm91cH1cIjsgZXhwZWN0ZWQgb25lIG9mICR7QVNTSUdOQUJMRV9HUk9VUFMuam9pbihcIiwgXCIpfWAsXG4gICAgICAgIHsgZmllbGQ6IFwiZ3JvdXBzXCIgfVxuICAgICAgKTtcbiAgICB9XG4gIH1cbiAgcmV0dXJuIHJlcXVlc3RlZDtcbn07XG5cbi8vIEFkbWlucyBjYW5ub3QgbG9jayB0aGVtc2VsdmVzIG91dDsgYW5vdGhlciBBZG1pbiBoYXMgdG8gZG8gaXRcbmNvbnN0IHJlcXVpcmVOb3RTZWxmID0gKGlkZW50aXR5OiBhbnksIHVzZXJuYW1lOiBzdHJpbmcsIGFjdGlvbjogc3RyaW5nKSA9PiB7XG4gIGlmIChpZGVudGl0eT8udXNlcm5hbWUgPT09IHVzZXJuYW1lKSB7XG4gICAgdGhyb3cgZm9yYmlkZGVuRXJyb3IoYFlvdSBjYW5ub3QgJHthY3Rpb259IHlvdXIgb3duIGFjY291bnRgLCB7IHVzZXJuYW1lIH0pO1xuICB9XG59O1xuXG4vLyBBZG1pbi1vbmx5IG1hbmFnZW1lbnQgb2YgdGhlIENvZ25pdG8gdXNlciBwb29sLCBjYWxsZWQgZnJvbSB0aGUgYWRtaW4gVUlcbmV4cG9ydCBjb25zdCBoYW5kbGVyOiBIYW5kbGVyID0gYXN5bmMgKGV2ZW50KSA9PiB7XG4gIGNvbnNvbGUubG9nKFwiQ29nbml0byBhZG1pbiBldmVudDpcIiwgSlNPTi5zdHJpbmdpZnkoeyBmaWVsZDogZXZlbnQuZmllbGQsIGFyZ3VtZW50czogZXZlbnQuYXJndW1lbnRzIH0pKTtcblxuICB0cnkge1xuICAgIHJlcXVpcmVSb2xlKGV2ZW50LmlkZW50aXR5LCBcIkFkbWluXCIsIGV2ZW50LmZpZWxkKTtcbiAgICBjb25zdCBhdWRpdCA9IChvcGVyYXRpb246IHN0cmluZywgdGFyZ2V0OiB7IGlkOiBzdHJpbmc7IGxhYmVsOiBzdHJpbmcgfSwgYmVmb3JlOiBTbmFwc2hvdCwgYWZ0ZXI6IFNuYXBzaG90KSA9PlxuICAgICAgcmVjb3JkQXVkaXQoZXZlbnQuaWRlbnRpdHksIG9wZXJhdGlvbiwgdGFyZ2V0LCBiZWZvcmUsIGFmdGVyKTtcblxuICAgIGlmIChldmVudC5maWVsZCA9PT0gXCJnZXRJbnRlZ3JhdGlvbkNsaWVudHNcIikge1xuICAgICAgY29uc3QgY2xpZW50czogVXNlclBvb2xDbGllbnRUeXBlW10gPSBbXTtcbiAgICAgIGxldCBuZXh0VG9rZW46IHN0cmluZyB8IHVuZGVmaW5lZDtcbiAgICAgIGRvIHtcbiAgICAgICAgY29uc3QgcGFnZSA9IGF3YWl0IGNsaWVudC5zZW5kKFxuICAgICAgICAgIG5ldyBMaXN0VXNlclBvb2xDbGllbnRzQ29tbWFuZCh7XG4gICAgICAgICAgICBVc2VyUG9vbElkOiBVU0VSX1BPT0xfSUQsXG4gICAgICAgICAgICBNYXhSZXN1bHRzOiA2MCxcbiAgICAgICAgICAgIE5leHRUb2tlbjogbmV4dFRva2VuLFxuICAgICAgICAgIH0pXG4gICAgICAgICk7XG4gICAgICAgIGZvciAoY29uc3Qgc3VtbWFyeSBvZiBwYWdlLlVzZXJQb29sQ2xpZW50cyA/PyBbXSkge1xuICAgICAgICAgIGlmIChzdW1tYXJ5LkNsaWVudE5hbWU/LnN0YXJ0c1dpdGgoQ0xJRU5UX05BTUVfUFJFRklYKSkge1xuICAgICAgICAgICAgY2xpZW50cy5wdXNoKGF3YWl0IGRlc2NyaWJlQ2xpZW50KHN1bW1hcnkuQ2xpZW50SWQhKSk7XG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICAgIG5leHRUb2tlbiA9IHBhZ2UuTmV4dFRva2VuO1xuICAgICAgfSB3aGlsZSAobmV4dFRva2VuKTtcbiAgICAgIHJldHVybiBjbGllbnRzXG4gICAgICAgIC5tYXAodG9JbnRlZ3JhdGlvbkNsaWVudClcbiAgICAgICAgLnNvcnQoKGEsIGIpID0+IGEubmFtZS5sb2NhbGVDb21wYXJlKGIubmFtZSkpO1xuICAgIH1cblxuICAgIGlmIChldmVudC5maWVsZCA9PT0gXCJjcmVhdGVJbnRlZ3JhdGlvbkNsaWVudFwiKSB7XG4gICAgICBjb25zdCBuYW1lID0gU3RyaW5nKGV2ZW50LmFyZ3VtZW50cy5uYW1lID8/IFwiXCIpLnRyaW0oKTtcbiAgICAgIGlmICghQ0xJRU5UX05BTUVfUEFUVEVSTi50ZXN0KG5hbWUpKSB7XG4gICAgICAgIHRocm93IHZhbGlkYXRpb25FcnJvcihcbiAgICAgICAgICBcIm5hbWUgbXVzdCBiZSAxLTY0IGxldHRlcnMsIGRpZ2l0cywgc3BhY2VzLCBkb3RzLCBkYXNoZXMgb3IgdW5kZXJzY29yZXNcIixcbiAgICAgICAgICB7IGZpZWxkOiBcIm5hbWVcIiB9XG4gICAgICAgICk7XG4gICAgICB9XG4gICAgICBjb25zdCBzY29wZXMgPSB2YWxpZGF0ZVNjb3BlcyhldmVudC5hcmd1bWVudHMuc2NvcGVzKTtcbiAgICAgIGNvbnN0IHsgYXBwQ2xpZW50LCBjcmVkZW50aWFscyB9ID0gYXdhaXQgY3JlYXRlQ2xpZW50KG5hbWUsIHNjb3Blcyk7XG4gICAgICBhd2FpdCBhdWRpdChcImNyZWF0ZUludGVncmF0aW9uQ2xpZW50XCIsIGNsaWVudFRhcmdldChhcHBDbGllbnQuQ2xpZW50SWQhKSwgbnVsbCwgY2xpZW50U25hcHNob3QoYXBwQ2xpZW50KSk7XG4gICAgICBjb25zb2xlLmxvZyhcIkNyZWF0ZWQgaW50ZWdyYXRpb24gY2xpZW50OlwiLCBhcHBDbGllbnQuQ2xpZW50SWQsIG5hbWUsIHNjb3Blcyk7XG4gICAgICByZXR1cm4gY3JlZGVudGlhbHM7XG4gICAgfVxuXG4gICAgLy8gQ29nbml0byBjYW5ub3QgcmVwbGFjZSB0aGUgc2VjcmV0IG9mIGFuIGFwcCBjbGllbnQsIHNvIHJvdGF0aW5nXG4gICAgLy8gY3JlYXRlcyBhIG5ldyBjbGllbnQgd2l0aCB0aGUgc2FtZSBuYW1lIGFuZCBzY29wZXMgYW5kIGRlbGV0ZXMgdGhlIG9sZFxuICAgIC8vIG9uZTsgdGhlIGNhbGxlciBnZXRzIGEgbmV3IGNsaWVudCBpZCBhbmQgc2VjcmV0XG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcInJvdGF0ZUludGVncmF0aW9uQ2xpZW50XCIpIHtcbiAgICAgIGNvbnN0IGN1cnJlbnQgPSBhd2FpdCBkZXNjcmliZUNsaWVudChldmVudC5hcmd1bWVudHMuY2xpZW50SWQpO1xuICAgICAgY29uc3QgeyBuYW1lLCBzY29wZXMgfSA9IHRvSW50ZWdyYXRpb25DbGllbnQoY3VycmVudCk7XG4gICAgICBjb25zdCB7IGFwcENsaWVudCwgY3JlZGVudGlhbHMgfSA9IGF3YWl0IGNyZWF0ZUNsaWVudChuYW1lLCBzY29wZXMpO1xuICAgICAgYXdhaXQgY2xpZW50LnNlbmQoXG4gICAgICAgIG5ldyBEZWxldGVVc2VyUG9vbENsaWVudENvbW1hbmQoeyBVc2VyUG9vbElkOiBVU0VSX1BPT0xfSUQsIENsaWVudElkOiBjdXJyZW50LkNsaWVudElkIH0pXG4gICAgICApO1xuICAgICAgYXdhaXQgYXVkaXQoXCJyb3RhdGVJbnRlZ3JhdGlvbkNsaWVudFwiLCBjbGllbnRUYXJnZXQoY3VycmVudC5DbGllbnRJZCEpLCBjbGllbnRTbmFwc2hvdChjdXJyZW50KSwgbnVsbCk7XG4gICAgICBhd2FpdCBhdWRpdChcInJvdGF0ZUludGVncmF0aW9uQ2xpZW50XCIsIGNsaWVudFRhcmdldChhcHBDbGllbnQuQ2xpZW50SWQhKSwgbnVsbCwgY2xpZW50U25hcHNob3QoYXBwQ2xpZW50KSk7XG4gICAgICBjb25zb2xlLmxvZyhcIlJvdGF0ZWQgaW50ZWdyYXRpb24gY2xpZW50OlwiLCBjdXJyZW50LkNsaWVudElkLCBcIi0+XCIsIGFwcENsaWVudC5DbGllbnRJZCk7XG4gICAgICByZXR1cm4gY3JlZGVudGlhbHM7XG4gICAgfVxuXG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcInJldm9rZUludGVncmF0aW9uQ2xpZW50XCIpIHtcbiAgICAgIGNvbnN0IGN1cnJlbnQgPSBhd2FpdCBkZXNjcmliZUNsaWVudChldmVudC5hcmd1bWVudHMuY2xpZW50SWQpO1xuICAgICAgYXdhaXQgY2xpZW50LnNlbmQoXG4gICAgICAgIG5ldyBEZWxldGVVc2VyUG9vbENsaWVudENvbW1hbmQoeyBVc2VyUG9vbElkOiBVU0VSX1BPT0xfSUQsIENsaWVudElkOiBjdXJyZW50LkNsaWVudElkIH0pXG4gICAgICApO1xuICAgICAgYXdhaXQgYXVkaXQoXCJyZXZva2VJbnRlZ3JhdGlvbkNsaWVudFwiLCBjbGllbnRUYXJnZXQoY3VycmVudC5DbGllbnRJZCEpLCBjbGllbnRTbmFwc2hvdChjdXJyZW50KSwgbnVsbCk7XG4gICAgICBjb25zb2xlLmxvZyhcIlJldm9rZWQgaW50ZWdyYXRpb24gY2xpZW50OlwiLCBjdXJyZW50LkNsaWVudElkKTtcbiAgICAgIHJldHVybiB0b0ludGVncmF0aW9uQ2xpZW50KGN1cnJlbnQpO1xuICAgIH1cblxuICAgIGlmIChldmVudC5maWVsZCA9PT0gXCJnZXRVc2Vyc1wiKSB7XG4gICAgICBjb25zdCBtZW1iZXJzaGlwcyA9IGF3YWl0IGdyb3Vwc0J5VXNlcigpO1xuICAgICAgY29uc3QgdXNlcnM6IFVzZXJbXSA9IFtdO1xuICAgICAgbGV0IHBhZ2luYXRpb25Ub2tlbjogc3RyaW5nIHwgdW5kZWZpbmVkO1xuICAgICAgZG8ge1xuICAgICAgICBjb25zdCBwYWdlID0gYXdhaXQgY2xpZW50LnNlbmQoXG4gICAgICAgICAgbmV3IExpc3RVc2Vyc0NvbW1hbmQoe1xuICAgICAgICAgICAgVXNlclBvb2xJZDogVVNFUl9QT09MX0lELFxuICAgICAgICAgICAgTGltaXQ6IDYwLFxuICAgICAgICAgICAgUGFnaW5hdGlvblRva2VuOiBwYWdpbmF0aW9uVG9rZW4sXG4gICAgICAgICAgfSlcbiAgICAgICAgKTtcbiAgICAgICAgZm9yIChjb25zdCB1c2VyIG9mIHBhZ2UuVXNlcnMgPz8gW10pIHtcbiAgICAgICAgICB1c2Vycy5wdXNoKHtcbiAgICAgICAgICAgIHVzZXJuYW1lOiB1c2VyLlVzZXJuYW1lISxcbiAgICAgICAgICAgIGVtYWlsOiBhdHRyaWJ1dGUodXNlci5BdHRyaWJ1dGVzLCBcImVtYWlsXCIpLFxuICAgICAgICAgICAgc3RhdHVzOiB1c2VyLlVzZXJTdGF0dXMgPz8gXCJVTktOT1dOXCIsXG4gICAgICAgICAgICBlbmFibGVkOiB1c2VyLkVuYWJsZWQgPz8gZmFsc2UsXG4gICAgICAgICAgICBncm91cHM6IChtZW1iZXJzaGlwcy5nZXQodXNlci5Vc2VybmFtZSEpID8/IFtdKS5zb3J0KCksXG4gICAgICAgICAgICBjcmVhdGVkQXQ6IHVzZXIuVXNlckNyZWF0ZURhdGU/LnRvSVNPU3RyaW5nKCkgPz8gbnVsbCxcbiAgICAgICAgICB9KTtcbiAgICAgICAgfVxuICAgICAgICBwYWdpbmF0aW9uVG9rZW4gPSBwYWdlLlBhZ2luYXRpb25Ub2tlbjtcbiAgICAgIH0gd2hpbGUgKHBhZ2luYXRpb25Ub2tlbik7XG4gICAgICByZXR1cm4gdXNlcnMuc29ydCgoYSwgYikgPT4gYS51c2VybmFtZS5sb2NhbGVDb21wYXJlKGIudXNlcm5hbWUpKTtcbiAgICB9XG5cbiAgICAvLyBDb2duaXRvIGVtYWlscyB0aGUgbmV3IHVzZXIgYSB0ZW1wb3JhcnkgcGFzc3dvcmRcbiAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwiaW52aXRlVXNlclwiKSB7XG4gICAgICBjb25zdCBlbWFpbCA9IFN0cmluZyhldmVudC5hcmd1bWVudHMuZW1haWwgPz8gXCJcIikudHJpbSgpLnRvTG93ZXJDYXNlKCk7XG4gICAgICBpZiAoIUVNQUlMX1BBVFRFUk4udGVzdChlbWFpbCkpIHtcbiAgICAgICAgdGhyb3cgdmFsaWRhdGlvbkVycm9yKGBJbnZhbGlkIGVtYWlsIGFkZHJlc3M6ICR7ZW1haWx9YCwgeyBmaWVsZDogXCJlbWFpbFwiIH0pO1xuICAgICAgfVxuICAgICAgY29uc3QgdXNlcm5hbWUgPSBTdHJpbmcoZXZlbnQuYXJndW1lbnRzLnVzZXJuYW1lID8/IFwiXCIpLnRyaW0oKSB8fCBlbWFpbC5zcGxpdChcIkBcIilbMF07XG4gICAgICBpZiAoIVVTRVJOQU1FX1BBVFRFUk4udGVzdCh1c2VybmFtZSkpIHtcbiAgICAgICAgdGhyb3cgdmFsaWRhdGlvbkVycm9yKFxuICAgICAgICAgIFwidXNlcm5hbWUgbWF5IG9ubHkgY29udGFpbiBsZXR0ZXJzLCBkaWdpdHMsIGRvdHMsIGRhc2hlcywgdW5kZXJzY29yZXMgYW5kIHBsdXMgc2lnbnNcIixcbiAgICAgICAgICB7IGZpZWxkOiBcInVzZXJuYW1lXCIgfVxuICAgICAgICApO1xuICAgICAgfVxuICAgICAgY29uc3QgZ3JvdXBzID0gdmFsaWRhdGVHcm91cHMoZXZlbnQuYXJndW1lbnRzLmdyb3Vwcyk7XG4gICAgICB0cnkge1xuICAgICAgICBhd2FpdCBjbGllbnQuc2VuZChcbiAgICAgICAgICBuZXcgQWRtaW5DcmVhdGVVc2VyQ29tbWFuZCh7XG4gICAgICAgICAgICBVc2VyUG9vbElkOiBVU0VSX1BPT0xfSUQsXG4gICAgICAgICAgICBVc2VybmFtZTogdXNlcm5hbWUsXG4gICAgICAgICAgICBVc2VyQXR0cmlidXRlczogW1xuICAgICAgICAgICAgICB7IE5hbWU6IFwiZW1haWxcIiwgVmFsdWU6IGVtYWlsIH0sXG4gICAgICAgICAgICAgIHsgTmFtZTogXCJlbWFpbF92ZXJpZmllZFwiLCBWYWx1ZTogXCJ0cnVlXCIgfSxcbiAgICAgICAgICAgIF0sXG4gICAgICAgICAgICBEZXNpcmVkRGVsaXZlcnlNZWRpdW1zOiBbXCJFTUFJTFwiXSxcbiAgICAgICAgICB9KVxuICAgICAgICApO1xuICAgICAgfSBjYXRjaCAoZXJyb3I6IHVua25vd24pIHtcbiAgICAgICAgaWYgKChlcnJvciBhcyB7IG5hbWU/OiBzdHJpbmcgfSkubmFtZSA9PT0gXCJVc2VybmFtZUV4aXN0c0V4Y2VwdGlvblwiKSB7XG4gICAgICAgICAgdGhyb3cgY29uZmxpY3RFcnJvcihgQSB1c2VyIG5hbWVkICR7dXNlcm5hbWV9IG9yIHdpdGggZW1haWwgJHtlbWFpbH0gYWxyZWFkeSBleGlzdHNgLCB7XG4gICAgICAgICAgICBmaWVsZDogXCJ1c2VybmFtZVwiLFxuICAgICAgICAgIH0pO1xuICAgICAgICB9XG4gICAgICAgIHRocm93IGVycm9yO1xuICAgICAgfVxuICAgICAgZm9yIChjb25zdCBncm91cCBvZiBncm91cHMpIHtcbiAgICAgICAgYXdhaXQgY2xpZW50LnNlbmQoXG4gICAgICAgICAgbmV3IEFkbWluQWRkVXNlclRvR3JvdXBDb21tYW5kKHsgVXNlclBvb2xJZDogVVNFUl9QT09MX0lELCBVc2VybmFtZTogdXNlcm5hbWUsIEdyb3VwTmFtZTogZ3JvdXAgfSlcbiAgICAgICAgKTtcbiAgICAgIH1cbiAgICAgIGNvbnN0IGNyZWF0ZWQgPSBhd2FpdCByZWFkVXNlcih1c2VybmFtZSk7XG4gICAgICBhd2FpdCBhdWRpdChcImludml0ZVVzZXJcIiwgdXNlclRhcmdldCh1c2VybmFtZSksIG51bGwsIHVzZXJTbmFwc2hvdChjcmVhdGVkKSk7XG4gICAgICBjb25zb2xlLmxvZyhcIkludml0ZWQgdXNlcjpcIiwgdXNlcm5hbWUsIGdyb3Vwcyk7XG4gICAgICByZXR1cm4gY3JlYXRlZDtcbiAgICB9XG5cbiAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwic2V0VXNlckdyb3Vwc1wiKSB7XG4gICAgICBjb25zdCB7IHVzZXJuYW1lIH0gPSBldmVudC5hcmd1bWVudHM7XG4gICAgICBjb25zdCBncm91cHMgPSB2YWxpZGF0ZUdyb3VwcyhldmVudC5hcmd1bWVudHMuZ3JvdXBzKTtcbiAgICAgIGNvbnN0IGN1cnJlbnQgPSBhd2FpdCByZWFkVXNlcih1c2VybmFtZSk7XG4gICAgICBpZiAoY3VycmVudC5ncm91cHMuaW5jbHVkZXMoXCJBZG1pblwiKSAmJiAhZ3JvdXBzLmluY2x1ZGVzKFwiQWRtaW5cIikpIHtcbiAgICAgICAgcmVxdWlyZU5vdFNlbGYoZXZlbnQuaWRlbnRpdHksIHVzZXJuYW1lLCBcInJlbW92ZSB0aGUgQWRtaW4gcm9sZSBmcm9tXCIpO1xuICAgICAgfVxuICAgICAgLy8gR3JvdXBzIG91dHNpZGUgQVNTSUdOQUJMRV9HUk9VUFMgYXJlIGxlZnQgYWxvbmVcbiAgICAgIGNvbnN0IGFkZGVkID0gZ3JvdXBzLmZpbHRlcigoZ3JvdXApID0+ICFjdXJyZW50Lmdyb3Vwcy5pbmNsdWRlcyhncm91cCkpO1xuICAgICAgY29uc3QgcmVtb3ZlZCA9IGN1cnJlbnQuZ3JvdXBzLmZpbHRlcihcbiAgICAgICAgKGdyb3VwKSA9PiBBU1NJR05BQkxFX0dST1VQUy5pbmNsdWRlcyhncm91cCkgJiYgIWdyb3Vwcy5pbmNsdWRlcyhncm91cClcbiAgICAgICk7XG4gICAgICBmb3IgKGNvbnN0IGdyb3VwIG9mIGFkZGVkKSB7XG4gICAgICAgIGF3YWl0IGNsaWVudC5zZW5kKFxuICAgICAgICAgIG5ldyBBZG1pbkFkZFVzZXJUb0dyb3VwQ29tbWFuZCh7IFVzZXJQb29sSWQ6IFVTRVJfUE9PTF9JRCwgVXNlcm5hbWU6IHVzZXJuYW1lLCBHcm91cE5hbWU6IGdyb3VwIH0pXG4gICAgICAgICk7XG4gICAgICB9XG4gICAgICBmb3IgKGNvbnN0IGdyb3VwIG9mIHJlbW92ZWQpIHtcbiAgICAgICAgYXdhaXQgY2xpZW50LnNlbmQoXG4gICAgICAgICAgbmV3IEFkbWluUmVtb3ZlVXNlckZyb21Hcm91cENvbW1hbmQoeyBVc2VyUG9vbElkOiBVU0VSX1BPT0xfSUQsIFVzZXJuYW1lOiB1c2VybmFtZSwgR3JvdXBOYW1lOiBncm91cCB9KVxuICAgICAgICApO1xuICAgICAgfVxuICAgICAgY29uc3QgdXBkYXRlZCA9IGF3YWl0IHJlYWRVc2VyKHVzZXJuYW1lKTtcbiAgICAgIGF3YWl0IGF1ZGl0KFwic2V0VXNlckdyb3Vwc1wiLCB1c2VyVGFyZ2V0KHVzZXJuYW1lKSwgdXNlclNuYXBzaG90KGN1cnJlbnQpLCB1c2VyU25hcHNob3QodXBkYXRlZCkpO1xuICAgICAgY29uc29sZS5sb2coXCJTZXQgdXNlciBncm91cHM6XCIsIHVzZXJuYW1lLCB7IGFkZGVkLCByZW1vdmVkIH0pO1xuICAgICAgcmV0dXJuIHVwZGF0ZWQ7XG4gICAgfVxuXG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcImRpc2FibGVVc2VyXCIgfHwgZXZlbnQuZmllbGQgPT09IFwiZW5hYmxlVXNlclwiKSB7XG4gICAgICBjb25zdCB7IHVzZXJuYW1lIH0gPSBldmVudC5hcmd1bWVudHM7XG4gICAgICBjb25zdCBlbmFibGUgPSBldmVudC5maWVsZCA9PT0gXCJlbmFibGVVc2VyXCI7XG4gICAgICBpZiAoIWVuYWJsZSkge1xuICAgICAgICByZXF1aXJlTm90U2VsZihldmVudC5pZGVudGl0eSwgdXNlcm5hbWUsIFwiZGlzYWJsZVwiKTtcbiAgICAgIH1cbiAgICAgIGNvbnN0IGN1cnJlbnQgPSBhd2FpdCByZWFkVXNlcih1c2VybmFtZSk7XG4gICAgICBhd2FpdCBjbGllbnQuc2VuZChcbiAgICAgICAgZW5hYmxlXG4gICAgICAgICAgPyBuZXcgQWRtaW5FbmFibGVVc2VyQ29tbWFuZCh7IFVzZXJQb29sSWQ6IFVTRVJfUE9PTF9JRCwgVXNlcm5hbWU6IHVzZXJuYW1lIH0pXG4gICAgICAgICAgOiBuZXcgQWRtaW5EaXNhYmxlVXNlckNvbW1hbmQoeyBVc2VyUG9vbElkOiBVU0VSX1BPT0xfSUQsIFVzZXJuYW1lOiB1c2VybmFtZSB9KVxuICAgICAgKTtcbiAgICAgIGNvbnN0IHVwZGF0ZWQgPSBhd2FpdCByZWFkVXNlcih1c2VybmFtZSk7XG4gICAgICBhd2FpdCBhdWRpdChldmVudC5maWVsZCwgdXNlclRhcmdldCh1c2VybmFtZSksIHVzZXJTbmFwc2hvdChjdXJyZW50KSwgdXNlclNuYXBzaG90KHVwZGF0ZWQpKTtcbiAgICAgIGNvbnNvbGUubG9nKGVuYWJsZSA/IFwiRW5hYmxlZCB1c2VyOlwiIDogXCJEaXNhYmxlZCB1c2VyOlwiLCB1c2VybmFtZSk7XG4gICAgICByZXR1cm4gdXBkYXRlZDtcbiAgICB9XG5cbiAgICAvLyBBIHVzZXIgd2hvIG5ldmVyIHNpZ25lZCBpbiBoYXMgbm8gcGFzc3dvcmQgdG8gcmVzZXQsIHNvIHRoZSBpbnZpdGF0aW9uXG4gICAgLy8gaXMgc2VudCBhZ2FpbiBpbnN0ZWFkXG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcInJlc2V0VXNlclBhc3N3b3JkXCIpIHtcbiAgICAgIGNvbnN0IHsgdXNlcm5hbWUgfSA9IGV2ZW50LmFyZ3VtZW50cztcbiAgICAgIGNvbnN0IGN1cnJlbnQgPSBhd2FpdCByZWFkVXNlcih1c2VybmFtZSk7XG4gICAgICBpZiAoY3VycmVudC5zdGF0dXMgPT09IFwiRk9SQ0VfQ0hBTkdFX1BBU1NXT1JEXCIpIHtcbiAgICAgICAgYXdhaXQgY2xpZW50LnNlbmQoXG4gICAgICAgICAgbmV3IEFkbWluQ3JlYXRlVXNlckNvbW1hbmQoe1xuICAgICAgICAgICAgVXNlclBvb2xJZDogVVNFUl9QT09MX0lELFxuICAgICAgICAgICAgVXNlcm5hbWU6IHVzZXJuYW1lLFxuICAgICAgICAgICAgTWVzc2FnZUFjdGlvbjogXCJSRVNFTkRcIixcbiAgICAgICAgICAgIERlc2lyZWREZWxpdmVyeU1lZGl1bXM6IFtcIkVNQUlMXCJdLFxuICAgICAgICAgIH0pXG4gICAgICAgICk7XG4gICAgICB9IGVsc2Uge1xuICAgICAgICBhd2FpdCBjbGllbnQuc2VuZChcbiAgICAgICAgICBuZXcgQWRtaW5SZXNldFVzZXJQYXNzd29yZENvbW1hbmQoeyBVc2VyUG9vbElkOiBVU0VSX1BPT0xfSUQsIFVzZXJuYW1lOiB1c2VybmFtZSB9KVxuICAgICAgICApO1xuICAgICAgfVxuICAgICAgY29uc3QgdXBkYXRlZCA9IGF3YWl0IHJlYWRVc2VyKHVzZXJuYW1lKTtcbiAgICAgIGF3YWl0IGF1ZGl0KFwicmVzZXRVc2VyUGFzc3dvcmRcIiwgdXNlclRhcmdldCh1c2VybmFtZSksIHVzZXJTbmFwc2hvdChjdXJyZW50KSwgdXNlclNuYXBzaG90KHVwZGF0ZWQpKTtcbiAgICAgIGNvbnNvbGUubG9nKFwiUmVzZXQgcGFzc3dvcmQgb2YgdXNlcjpcIiwgdXNlcm5hbWUpO1xuICAgICAgcmV0dXJuIHVwZGF0ZWQ7XG4gICAgfVxuXG4gICAgdGhyb3cgdmFsaWRhdGlvbkVycm9yKGBVbmtub3duIGZpZWxkOiAke2V2ZW50LmZpZWxkfWApO1xuICB9IGNhdGNoIChlcnJvcjogdW5rbm93bikge1xuICAgIGNvbnNvbGUuZXJyb3IoXCJDb2duaXRvIGFkbWluIGVycm9yOlwiLCBlcnJvcik7XG4gICAgcmV0dXJuIHRvRXJyb3JSZXN1bHQoZXJyb3IpO1xuICB9XG59O1xuIl19
\ No newline at end of file
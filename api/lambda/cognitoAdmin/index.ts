@@ -0,0 +1,499 @@
+import { Handler } from "aws-lambda";
+import {
+  AdminAddUserToGroupCommand,
+  AdminCreateUserCommand,
+  AdminDisableUserCommand,
+  AdminEnableUserCommand,
+  AdminGetUserCommand,
+  AdminListGroupsForUserCommand,
+  AdminRemoveUserFromGroupCommand,
+  AdminResetUserPasswordCommand,
+  AttributeType,
+  CognitoIdentityProviderClient,
+  CreateUserPoolClientCommand,
+  DeleteUserPoolClientCommand,
+  DescribeUserPoolClientCommand,
+  GroupType,
+  ListUserPoolClientsCommand,
+  ListUsersCommand,
+  ListUsersInGroupCommand,
+  UserPoolClientType,
+} from "@aws-sdk/client-cognito-identity-provider";
+import { InvokeCommand, LambdaClient } from "@aws-sdk/client-lambda";
+import {
+  conflictError,
+  forbiddenError,
+  notFoundError,
+  toErrorResult,
+  validationError,
+} from "../shared/errors";
+import { ROLES, requireRole } from "../shared/roles";
+import { CLASSIFICATION_GROUPS } from "../shared/classification";
+import {
+  INTEGRATION_SCOPES,
+  IntegrationScope,
+  scopeName,
+} from "../shared/integration";
+import type { AuditEntry } from "../recordAudit";
+
+const client = new CognitoIdentityProviderClient({});
+const lambda = new LambdaClient({});
+const USER_POOL_ID = process.env.USER_POOL_ID!;
+const TOKEN_URL = process.env.TOKEN_URL!;
+const AUDIT_FUNCTION_NAME = process.env.AUDIT_FUNCTION_NAME!;
+
+// Integration clients are the app clients whose name has this prefix; the
+// web app's own client never does
+const CLIENT_NAME_PREFIX = "integration-";
+const CLIENT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 ._-]{0,63}$/;
+
+// Access tokens of integration clients expire after this many minutes, the
+// least Cognito allows. Revoking or rotating a client cannot recall tokens
+// it was already issued, so this is how long they keep working.
+const ACCESS_TOKEN_MINUTES = 5;
+
+// Cognito counts AccessTokenValidity in hours unless TokenValidityUnits says
+// otherwise
+const TOKEN_UNIT_MINUTES: Record<string, number> = { seconds: 1 / 60, minutes: 1, hours: 60, days: 24 * 60 };
+
+// Groups the user administration page may assign
+const ASSIGNABLE_GROUPS: string[] = [...ROLES, ...CLASSIFICATION_GROUPS];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// The pool signs in with username or email alias, so usernames must not
+// look like an email address
+const USERNAME_PATTERN = /^[A-Za-z0-9._+-]{1,128}$/;
+
+type Snapshot = Record<string, unknown> | null;
+
+// ── Audit trail ──
+// Actions are recorded as AuditEvent vertices like graph mutations. The
+// record is written by the audit Lambda inside the VPC; a failure is logged
+// but does not undo the Cognito change that already happened.
+const recordAudit = async (
+  identity: any,
+  operation: string,
+  target: { id: string; label: string },
+  before: Snapshot,
+  after: Snapshot
+) => {
+  const entry: AuditEntry = {
+    operation,
+    actor: {
+      sub: String(identity?.sub ?? "unknown"),
+      username: String(identity?.username ?? identity?.sub ?? "unknown"),
+    },
+    target,
+    before,
+    after,
+  };
+  try {
+    const response = await lambda.send(
+      new InvokeCommand({
+        FunctionName: AUDIT_FUNCTION_NAME,
+        Payload: Buffer.from(JSON.stringify(entry)),
+      })
+    );
+    if (response.FunctionError) {
+      throw new Error(Buffer.from(response.Payload ?? []).toString());
+    }
+  } catch (error: unknown) {
+    console.error("Failed to record audit event:", JSON.stringify(entry), error);
+  }
+};
+
+// ── Integration clients ──
+const toIntegrationClient = (appClient: UserPoolClientType) => ({
+  clientId: appClient.ClientId!,
+  name: (appClient.ClientName ?? "").slice(CLIENT_NAME_PREFIX.length),
+  scopes: appClient.AllowedOAuthScopes ?? [],
+  createdAt: appClient.CreationDate?.toISOString() ?? null,
+  updatedAt: appClient.LastModifiedDate?.toISOString() ?? null,
+  accessTokenMinutes: Math.ceil(
+    (appClient.AccessTokenValidity ?? 1) * TOKEN_UNIT_MINUTES[appClient.TokenValidityUnits?.AccessToken ?? "hours"]
+  ),
+});
+
+const clientTarget = (clientId: string) => ({ id: `client:${clientId}`, label: "IntegrationClient" });
+
+const clientSnapshot = (appClient: UserPoolClientType): Snapshot => {
+  const { name, scopes } = toIntegrationClient(appClient);
+  return { name, scopes: scopes.join(" ") };
+};
+
+const describeClient = async (clientId: string) => {
+  try {
+    const { UserPoolClient } = await client.send(
+      new DescribeUserPoolClientCommand({ UserPoolId: USER_POOL_ID, ClientId: clientId })
+    );
+    if (UserPoolClient?.ClientName?.startsWith(CLIENT_NAME_PREFIX)) {
+      return UserPoolClient;
+    }
+  } catch (error: unknown) {
+    if ((error as { name?: string }).name !== "ResourceNotFoundException") throw error;
+  }
+  throw notFoundError(`Integration client not found: ${clientId}`, { clientId });
+};
+
+// Creates a confidential app client limited to the client-credentials grant;
+// the secret is only ever returned here
+const createClient = async (name: string, scopes: string[]) => {
+  const { UserPoolClient } = await client.send(
+    new CreateUserPoolClientCommand({
+      UserPoolId: USER_POOL_ID,
+      ClientName: `${CLIENT_NAME_PREFIX}${name}`,
+      GenerateSecret: true,
+      AllowedOAuthFlows: ["client_credentials"],
+      AllowedOAuthFlowsUserPoolClient: true,
+      AllowedOAuthScopes: scopes,
+      AccessTokenValidity: ACCESS_TOKEN_MINUTES,
+      TokenValidityUnits: { AccessToken: "minutes" },
+      PreventUserExistenceErrors: "ENABLED",
+    })
+  );
+  return {
+    appClient: UserPoolClient!,
+    credentials: {
+      client: toIntegrationClient(UserPoolClient!),
+      clientSecret: UserPoolClient!.ClientSecret!,
+      tokenUrl: TOKEN_URL,
+    },
+  };
+};
+
+const validateScopes = (scopes: string[] | null | undefined): string[] => {
+  const requested = scopes && scopes.length > 0 ? scopes : Object.keys(INTEGRATION_SCOPES);
+  return requested.map((scope) => {
+    if (!(scope in INTEGRATION_SCOPES)) {
+      throw validationError(
+        `Unknown scope "${scope}"; expected one of ${Object.keys(INTEGRATION_SCOPES).join(", ")}`,
+        { field: "scopes" }
+      );
+    }
+    return scopeName(scope as IntegrationScope);
+  });
+};
+
+// ── Users ──
+const attribute = (attributes: AttributeType[] | undefined, name: string) =>
+  attributes?.find((a) => a.Name === name)?.Value ?? null;
+
+const groupsFor = async (username: string): Promise<string[]> => {
+  const groups: string[] = [];
+  let nextToken: string | undefined;
+  do {
+    const page = await client.send(
+      new AdminListGroupsForUserCommand({
+        UserPoolId: USER_POOL_ID,
+        Username: username,
+        NextToken: nextToken,
+      })
+    );
+    groups.push(...(page.Groups ?? []).map((group: GroupType) => group.GroupName!));
+    nextToken = page.NextToken;
+  } while (nextToken);
+  return groups.sort();
+};
+
+// Group memberships of every user, read one group at a time so listing
+// users costs a call per group instead of one per user. lib/constructs/
+// cognito.ts creates no groups beyond the assignable ones.
+const groupsByUser = async (): Promise<Map<string, string[]>> => {
+  const memberships = new Map<string, string[]>();
+  await Promise.all(
+    ASSIGNABLE_GROUPS.map(async (groupName) => {
+      let nextToken: string | undefined;
+      do {
+        const page = await client.send(
+          new ListUsersInGroupCommand({
+            UserPoolId: USER_POOL_ID,
+            GroupName: groupName,
+            NextToken: nextToken,
+          })
+        );
+        for (const user of page.Users ?? []) {
+          const groups = memberships.get(user.Username!) ?? [];
+          groups.push(groupName);
+          memberships.set(user.Username!, groups);
+        }
+        nextToken = page.NextToken;
+      } while (nextToken);
+    })
+  );
+  return memberships;
+};
+
+const readUser = async (username: string) => {
+  try {
+    const user = await client.send(
+      new AdminGetUserCommand({ UserPoolId: USER_POOL_ID, Username: username })
+    );
+    return {
+      username: user.Username!,
+      email: attribute(user.UserAttributes, "email"),
+      status: user.UserStatus ?? "UNKNOWN",
+      enabled: user.Enabled ?? false,
+      groups: await groupsFor(user.Username!),
+      createdAt: user.UserCreateDate?.toISOString() ?? null,
+    };
+  } catch (error: unknown) {
+    if ((error as { name?: string }).name === "UserNotFoundException") {
+      throw notFoundError(`User not found: ${username}`, { username });
+    }
+    throw error;
+  }
+};
+
+type User = Awaited<ReturnType<typeof readUser>>;
+
+const userTarget = (username: string) => ({ id: `user:${username}`, label: "CognitoUser" });
+
+const userSnapshot = (user: User): Snapshot => ({
+  email: user.email,
+  status: user.status,
+  enabled: user.enabled,
+  groups: user.groups.join(", "),
+});
+
+const validateGroups = (groups: string[] | null | undefined): string[] => {
+  const requested = Array.from(new Set(groups ?? []));
+  for (const group of requested) {
+    if (!ASSIGNABLE_GROUPS.includes(group)) {
+      throw validationError(
+        `Unknown group "${group}"; expected one of ${ASSIGNABLE_GROUPS.join(", ")}`,
+        { field: "groups" }
+      );
+    }
+  }
+  return requested;
+};
+
+// Admins cannot lock themselves out; another Admin has to do it
+const requireNotSelf = (identity: any, username: string, action: string) => {
+  if (identity?.username === username) {
+    throw forbiddenError(`You cannot ${action} your own account`, { username });
+  }
+};
+
+// Admin-only management of the Cognito user pool, called from the admin UI
+export const handler: Handler = async (event) => {
+  console.log("Cognito admin event:", JSON.stringify({ field: event.field, arguments: event.arguments }));
+
+  try {
+    requireRole(event.identity, "Admin", event.field);
+    const audit = (operation: string, target: { id: string; label: string }, before: Snapshot, after: Snapshot) =>
+      recordAudit(event.identity, operation, target, before, after);
+
+    if (event.field === "getIntegrationClients") {
+      const clients: UserPoolClientType[] = [];
+      let nextToken: string | undefined;
+      do {
+        const page = await client.send(
+          new ListUserPoolClientsCommand({
+            UserPoolId: USER_POOL_ID,
+            MaxResults: 60,
+            NextToken: nextToken,
+          })
+        );
+        for (const summary of page.UserPoolClients ?? []) {
+          if (summary.ClientName?.startsWith(CLIENT_NAME_PREFIX)) {
+            clients.push(await describeClient(summary.ClientId!));
+          }
+        }
+        nextToken = page.NextToken;
+      } while (nextToken);
+      return clients
+        .map(toIntegrationClient)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    if (event.field === "createIntegrationClient") {
+      const name = String(event.arguments.name ?? "").trim();
+      if (!CLIENT_NAME_PATTERN.test(name)) {
+        throw validationError(
+          "name must be 1-64 letters, digits, spaces, dots, dashes or underscores",
+          { field: "name" }
+        );
+      }
+      const scopes = validateScopes(event.arguments.scopes);
+      const { appClient, credentials } = await createClient(name, scopes);
+      await audit("createIntegrationClient", clientTarget(appClient.ClientId!), null, clientSnapshot(appClient));
+      console.log("Created integration client:", appClient.ClientId, name, scopes);
+      return credentials;
+    }
+
+    // Cognito cannot replace the secret of an app client, so rotating
+    // creates a new client with the same name and scopes and deletes the old
+    // one; the caller gets a new client id and secret
+    if (event.field === "rotateIntegrationClient") {
+      const current = await describeClient(event.arguments.clientId);
+      const { name, scopes } = toIntegrationClient(current);
+      const { appClient, credentials } = await createClient(name, scopes);
+      await client.send(
+        new DeleteUserPoolClientCommand({ UserPoolId: USER_POOL_ID, ClientId: current.ClientId })
+      );
+      await audit("rotateIntegrationClient", clientTarget(current.ClientId!), clientSnapshot(current), null);
+      await audit("rotateIntegrationClient", clientTarget(appClient.ClientId!), null, clientSnapshot(appClient));
+      console.log("Rotated integration client:", current.ClientId, "->", appClient.ClientId);
+      return credentials;
+    }
+
+    if (event.field === "revokeIntegrationClient") {
+      const current = await describeClient(event.arguments.clientId);
+      await client.send(
+        new DeleteUserPoolClientCommand({ UserPoolId: USER_POOL_ID, ClientId: current.ClientId })
+      );
+      await audit("revokeIntegrationClient", clientTarget(current.ClientId!), clientSnapshot(current), null);
+      console.log("Revoked integration client:", current.ClientId);
+      return toIntegrationClient(current);
+    }
+
+    if (event.field === "getUsers") {
+      const memberships = await groupsByUser();
+      const users: User[] = [];
+      let paginationToken: string | undefined;
+      do {
+        const page = await client.send(
+          new ListUsersCommand({
+            UserPoolId: USER_POOL_ID,
+            Limit: 60,
+            PaginationToken: paginationToken,
+          })
+        );
+        for (const user of page.Users ?? []) {
+          users.push({
+            username: user.Username!,
+            email: attribute(user.Attributes, "email"),
+            status: user.UserStatus ?? "UNKNOWN",
+            enabled: user.Enabled ?? false,
+            groups: (memberships.get(user.Username!) ?? []).sort(),
+            createdAt: user.UserCreateDate?.toISOString() ?? null,
+          });
+        }
+        paginationToken = page.PaginationToken;
+      } while (paginationToken);
+      return users.sort((a, b) => a.username.localeCompare(b.username));
+    }
+
+    // Cognito emails the new user a temporary password
+    if (event.field === "inviteUser") {
+      const email = String(event.arguments.email ?? "").trim().toLowerCase();
+      if (!EMAIL_PATTERN.test(email)) {
+        throw validationError(`Invalid email address: ${email}`, { field: "email" });
+      }
+      const username = String(event.arguments.username ?? "").trim() || email.split("@")[0];
+      if (!USERNAME_PATTERN.test(username)) {
+        throw validationError(
+          "username may only contain letters, digits, dots, dashes, underscores and plus signs",
+          { field: "username" }
+        );
+      }
+      const groups = validateGroups(event.arguments.groups);
+      try {
+        await client.send(
+          new AdminCreateUserCommand({
+            UserPoolId: USER_POOL_ID,
+            Username: username,
+            UserAttributes: [
+              { Name: "email", Value: email },
+              { Name: "email_verified", Value: "true" },
+            ],
+            DesiredDeliveryMediums: ["EMAIL"],
+          })
+        );
+      } catch (error: unknown) {
+        if ((error as { name?: string }).name === "UsernameExistsException") {
+          throw conflictError(`A user named ${username} or with email ${email} already exists`, {
+            field: "username",
+          });
+        }
+        throw error;
+      }
+      for (const group of groups) {
+        await client.send(
+          new AdminAddUserToGroupCommand({ UserPoolId: USER_POOL_ID, Username: username, GroupName: group })
+        );
+      }
+      const created = await readUser(username);
+      await audit("inviteUser", userTarget(username), null, userSnapshot(created));
+      console.log("Invited user:", username, groups);
+      return created;
+    }
+
+    if (event.field === "setUserGroups") {
+      const { username } = event.arguments;
+      const groups = validateGroups(event.arguments.groups);
+      const current = await readUser(username);
+      if (current.groups.includes("Admin") && !groups.includes("Admin")) {
+        requireNotSelf(event.identity, username, "remove the Admin role from");
+      }
+      // Groups outside ASSIGNABLE_GROUPS are left alone
+      const added = groups.filter((group) => !current.groups.includes(group));
+      const removed = current.groups.filter(
+        (group) => ASSIGNABLE_GROUPS.includes(group) && !groups.includes(group)
+      );
+      for (const group of added) {
+        await client.send(
+          new AdminAddUserToGroupCommand({ UserPoolId: USER_POOL_ID, Username: username, GroupName: group })
+        );
+      }
+      for (const group of removed) {
+        await client.send(
+          new AdminRemoveUserFromGroupCommand({ UserPoolId: USER_POOL_ID, Username: username, GroupName: group })
+        );
+      }
+      const updated = await readUser(username);
+      await audit("setUserGroups", userTarget(username), userSnapshot(current), userSnapshot(updated));
+      console.log("Set user groups:", username, { added, removed });
+      return updated;
+    }
+
+    if (event.field === "disableUser" || event.field === "enableUser") {
+      const { username } = event.arguments;
+      const enable = event.field === "enableUser";
+      if (!enable) {
+        requireNotSelf(event.identity, username, "disable");
+      }
+      const current = await readUser(username);
+      await client.send(
+        enable
+          ? new AdminEnableUserCommand({ UserPoolId: USER_POOL_ID, Username: username })
+          : new AdminDisableUserCommand({ UserPoolId: USER_POOL_ID, Username: username })
+      );
+      const updated = await readUser(username);
+      await audit(event.field, userTarget(username), userSnapshot(current), userSnapshot(updated));
+      console.log(enable ? "Enabled user:" : "Disabled user:", username);
+      return updated;
+    }
+
+    // A user who never signed in has no password to reset, so the invitation
+    // is sent again instead
+    if (event.field === "resetUserPassword") {
+      const { username } = event.arguments;
+      const current = await readUser(username);
+      if (current.status === "FORCE_CHANGE_PASSWORD") {
+        await client.send(
+          new AdminCreateUserCommand({
+            UserPoolId: USER_POOL_ID,
+            Username: username,
+            MessageAction: "RESEND",
+            DesiredDeliveryMediums: ["EMAIL"],
+          })
+        );
+      } else {
+        await client.send(
+          new AdminResetUserPasswordCommand({ UserPoolId: USER_POOL_ID, Username: username })
+        );
+      }
+      const updated = await readUser(username);
+      await audit("resetUserPassword", userTarget(username), userSnapshot(current), userSnapshot(updated));
+      console.log("Reset password of user:", username);
+      return updated;
+    }
+
+    throw validationError(`Unknown field: ${event.field}`);
+  } catch (error: unknown) {
+    console.error("Cognito admin error:", error);
+    return toErrorResult(error);
+  }
+};
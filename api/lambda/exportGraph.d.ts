@@ -0,0 +1,20 @@
+import { Handler } from "aws-lambda";
+export interface ExportFile {
+    s3Uri: string;
+    kind: "vertex" | "edge";
+    label: string;
+    rows: number;
+}
+export interface ExportManifest {
+    exportId: string;
+    status: "RUNNING" | "COMPLETED" | "FAILED";
+    startedBy: string;
+    startedAt: string;
+    finishedAt: string | null;
+    prefix: string;
+    vertexCount: number;
+    edgeCount: number;
+    files: ExportFile[];
+    error: string | null;
+}
+export declare const handler: Handler;
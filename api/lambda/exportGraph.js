@@ -0,0 +1,330 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.handler = void 0;
+const crypto_1 = require("crypto");
+const fs_1 = require("fs");
+const events_1 = require("events");
+const path_1 = require("path");
+const readline_1 = require("readline");
+const gremlin = require("gremlin");
+const utils_1 = require("gremlin-aws-sigv4/lib/utils");
+const client_s3_1 = require("@aws-sdk/client-s3");
+const schemaRegistry_1 = require("./shared/schemaRegistry");
+const errors_1 = require("./shared/errors");
+const roles_1 = require("./shared/roles");
+const graphModel_1 = require("./shared/graphModel");
+const DriverRemoteConnection = gremlin.driver.DriverRemoteConnection;
+const traversal = gremlin.process.AnonymousTraversalSource.traversal;
+const __ = gremlin.process.statics;
+const P = gremlin.process.P;
+const t = gremlin.process.t;
+// Logical backup of the graph as Neptune bulk-load CSV, one file per vertex
+// and edge label under s3://EXPORT_BUCKET/exports/<export id>/. Loading
+// vertices/ and then edges/ with the Function URL recreates the graph.
+// Started by the exportGraph mutation (invoked asynchronously by AppSync)
+// or by the weekly schedule; manifest.json tracks each export.
+const s3 = new client_s3_1.S3Client({});
+const EXPORT_BUCKET = process.env.EXPORT_BUCKET;
+const EXPORT_PREFIX = "exports/";
+// Elements read per round trip
+const EXPORT_PAGE_SIZE = 2000;
+const DEFAULT_EXPORT_LIMIT = 20;
+// Rows are staged in /tmp until a label's columns are known
+const WORK_DIR = "/tmp/export";
+// Separator of array values; a literal one is escaped with a backslash
+const ARRAY_SEPARATOR = ";";
+const NUMERIC_TYPES = ["Byte", "Short", "Int", "Long", "Float", "Double"];
+const INTEGER_TYPES = ["Byte", "Short", "Int", "Long"];
+const field = (row, key) => (row instanceof Map ? row.get(key) : row[key]);
+// Properties that belong in an export, by the rules of toPropertyList
+const entriesOf = (props) => (props instanceof Map ? Array.from(props.entries()) : Object.entries(props ?? {})).filter(([name]) => !(0, graphModel_1.isInternalProperty)(String(name)));
+const valueType = (value) => {
+    if (typeof value === "boolean")
+        return "Bool";
+    if (value instanceof Date)
+        return "Date";
+    if (typeof value === "number") {
+        if (!Number.isInteger(value))
+            return "Double";
+        return Math.abs(value) <= 2147483647 ? "Int" : "Long";
+    }
+    return "String";
+};
+// The narrowest type that holds values of both types
+const widen = (a, b) => {
+    if (a === b)
+        return a;
+    if (NUMERIC_TYPES.includes(a) && NUMERIC_TYPES.includes(b)) {
+        return INTEGER_TYPES.includes(a) && INTEGER_TYPES.includes(b) ? "Long" : "Double";
+    }
+    return "String";
+};
+/**
+ * The header type of a column. Stored values decide, but numbers lose their
+ * width on the way out of Neptune (2.0 arrives as 2), so a numeric type in
+ * the schema registry wins over a narrower inferred one.
+ */
+const headerType = (kind, label, name, inferred) => {
+    const schemas = kind === "vertex" ? schemaRegistry_1.VERTEX_SCHEMAS : schemaRegistry_1.EDGE_SCHEMAS;
+    const declared = label
+        .split(ARRAY_SEPARATOR)
+        .map((one) => schemas[one]?.[name]?.type)
+        .find(Boolean);
+    if (!declared || !NUMERIC_TYPES.includes(declared) || !NUMERIC_TYPES.includes(inferred)) {
+        return inferred;
+    }
+    if (INTEGER_TYPES.includes(declared) && inferred === "Double")
+        return "Double";
+    if (INTEGER_TYPES.includes(declared) && inferred === "Long")
+        return "Long";
+    return declared;
+};
+const formatValue = (value) => value instanceof Date ? value.toISOString() : String(value);
+const csvCell = (text) => /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+const fileName = (label) => `${label.replace(/[^A-Za-z0-9_-]/g, "_")}.csv`;
+const writeManifest = (manifest) => s3.send(new client_s3_1.PutObjectCommand({
+    Bucket: EXPORT_BUCKET,
+    Key: `${EXPORT_PREFIX}${manifest.exportId}/manifest.json`,
+    Body: JSON.stringify(manifest, null, 2),
+    ContentType: "application/json",
+}));
+/**
+ * Pages through the live vertices or edges of the schema registry's labels
+ * in id order and stages one JSON line per element in a file per label,
+ * recording each property's type. Audit events and tombstoned elements are
+ * left out; each page starts after the last id of the one before.
+ */
+const stageElements = async (g, kind) => {
+    const files = new Map();
+    let lastId = null;
+    for (;;) {
+        let elements = kind === "vertex" ? g.V().hasLabel(...graphModel_1.VERTEX_LABELS) : g.E().hasLabel(...graphModel_1.EDGE_LABELS);
+        elements = elements.hasNot(graphModel_1.TOMBSTONE_PROPERTY);
+        if (lastId !== null)
+            elements = elements.has(t.id, P.gt(lastId));
+        elements = elements.order().by(t.id).limit(EXPORT_PAGE_SIZE);
+        const page = kind === "vertex"
+            ? await elements
+                .project("id", "label", "props")
+                .by(__.id())
+                .by(__.label())
+                .by(__.valueMap())
+                .toList()
+            : await elements
+                .project("id", "label", "from", "to", "props")
+                .by(__.id())
+                .by(__.label())
+                .by(__.outV().id())
+                .by(__.inV().id())
+                .by(__.valueMap())
+                .toList();
+        for (const row of page) {
+            lastId = String(field(row, "id"));
+            // Neptune joins the labels of a multi-label vertex with "::"
+            const label = String(field(row, "label")).split("::").join(ARRAY_SEPARATOR);
+            let file = files.get(label);
+            if (!file) {
+                const path = (0, path_1.join)(WORK_DIR, `${kind}-${files.size}.jsonl`);
+                file = { label, path, stream: (0, fs_1.createWriteStream)(path), columns: new Map(), rows: 0 };
+                files.set(label, file);
+            }
+            const props = {};
+            for (const [name, raw] of entriesOf(field(row, "props"))) {
+                const values = Array.isArray(raw) ? raw : [raw];
+                if (values.length === 0)
+                    continue;
+                props[name] = values;
+                const column = file.columns.get(name);
+                const type = values.map(valueType).reduce(widen);
+                file.columns.set(name, {
+                    type: column ? widen(column.type, type) : type,
+                    array: (column?.array ?? false) || values.length > 1,
+                });
+            }
+            const line = JSON.stringify({
+                id: String(field(row, "id")),
+                from: kind === "edge" ? String(field(row, "from")) : undefined,
+                to: kind === "edge" ? String(field(row, "to")) : undefined,
+                // Dates do not survive JSON; they are written as ISO-8601 anyway
+                props: Object.fromEntries(Object.entries(props).map(([name, values]) => [name, values.map(formatValue)])),
+            });
+            if (!file.stream.write(`${line}\n`))
+                await (0, events_1.once)(file.stream, "drain");
+            file.rows++;
+        }
+        if (page.length < EXPORT_PAGE_SIZE)
+            break;
+    }
+    for (const file of files.values()) {
+        file.stream.end();
+        await (0, events_1.once)(file.stream, "finish");
+    }
+    return files;
+};
+/** Turns a staged label file into a bulk-load CSV and uploads it. */
+const uploadLabelFile = async (kind, file, prefix) => {
+    const names = Array.from(file.columns.keys()).sort();
+    const types = names.map((name) => {
+        const column = file.columns.get(name);
+        return { ...column, type: headerType(kind, file.label, name, column.type) };
+    });
+    const system = kind === "vertex" ? ["~id", "~label"] : ["~id", "~from", "~to", "~label"];
+    const header = [
+        ...system,
+        ...names.map((name, i) => `${name}:${types[i].type}${types[i].array ? "[]" : ""}`),
+    ];
+    const csvPath = `${file.path}.csv`;
+    const out = (0, fs_1.createWriteStream)(csvPath);
+    out.write(`${header.map(csvCell).join(",")}\n`);
+    for await (const line of (0, readline_1.createInterface)({ input: (0, fs_1.createReadStream)(file.path) })) {
+        if (!line)
+            continue;
+        const element = JSON.parse(line);
+        const systemCells = kind === "vertex"
+            ? [element.id, file.label]
+            : [element.id, element.from, element.to, file.label];
+        const propertyCells = names.map((name, i) => {
+            const values = element.props[name];
+            if (!values)
+                return "";
+            return types[i].array
+                ? values.map((value) => value.split(ARRAY_SEPARATOR).join(`\\${ARRAY_SEPARATOR}`)).join(ARRAY_SEPARATOR)
+                : values[0];
+        });
+        const row = [...systemCells, ...propertyCells].map(csvCell).join(",");
+        if (!out.write(`${row}\n`))
+            await (0, events_1.once)(out, "drain");
+    }
+    out.end();
+    await (0, events_1.once)(out, "finish");
+    const key = `${prefix}${kind === "vertex" ? "vertices" : "edges"}/${fileName(file.label)}`;
+    const { size } = await fs_1.promises.stat(csvPath);
+    await s3.send(new client_s3_1.PutObjectCommand({
+        Bucket: EXPORT_BUCKET,
+        Key: key,
+        Body: (0, fs_1.createReadStream)(csvPath),
+        ContentLength: size,
+        ContentType: "text/csv",
+    }));
+    await fs_1.promises.rm(csvPath);
+    await fs_1.promises.rm(file.path);
+    return { s3Uri: `s3://${EXPORT_BUCKET}/${key}`, kind, label: file.label, rows: file.rows };
+};
+const runExport = async (exportId, startedBy) => {
+    const prefix = `${EXPORT_PREFIX}${exportId}/`;
+    const manifest = {
+        exportId,
+        status: "RUNNING",
+        startedBy,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        prefix: `s3://${EXPORT_BUCKET}/${prefix}`,
+        vertexCount: 0,
+        edgeCount: 0,
+        files: [],
+        error: null,
+    };
+    await writeManifest(manifest);
+    const { url, headers } = (0, utils_1.getUrlAndHeaders)(process.env.NEPTUNE_ENDPOINT, process.env.NEPTUNE_PORT, {}, "/gremlin", "wss");
+    const conn = new DriverRemoteConnection(url, {
+        mimeType: "application/vnd.gremlin-v2.0+json",
+        headers: headers,
+    });
+    const g = traversal().withRemote(conn);
+    try {
+        await fs_1.promises.rm(WORK_DIR, { recursive: true, force: true });
+        await fs_1.promises.mkdir(WORK_DIR, { recursive: true });
+        for (const kind of ["vertex", "edge"]) {
+            const files = await stageElements(g, kind);
+            for (const file of files.values()) {
+                const exported = await uploadLabelFile(kind, file, prefix);
+                manifest.files.push(exported);
+                if (kind === "vertex")
+                    manifest.vertexCount += exported.rows;
+                else
+                    manifest.edgeCount += exported.rows;
+            }
+        }
+        manifest.status = "COMPLETED";
+    }
+    catch (error) {
+        console.error("Export failed:", error);
+        manifest.status = "FAILED";
+        manifest.error = error instanceof Error ? error.message : String(error);
+    }
+    finally {
+        await conn.close();
+        await fs_1.promises.rm(WORK_DIR, { recursive: true, force: true });
+    }
+    manifest.finishedAt = new Date().toISOString();
+    await writeManifest(manifest);
+    console.log("Export finished:", JSON.stringify({ ...manifest, files: manifest.files.length }));
+    return manifest;
+};
+// Manifests of the most recent exports; export ids sort by start time
+const listExports = async (limit) => {
+    const ids = [];
+    let token;
+    do {
+        const page = await s3.send(new client_s3_1.ListObjectsV2Command({
+            Bucket: EXPORT_BUCKET,
+            Prefix: EXPORT_PREFIX,
+            Delimiter: "/",
+            ContinuationToken: token,
+        }));
+        for (const common of page.CommonPrefixes ?? []) {
+            ids.push(common.Prefix.slice(EXPORT_PREFIX.length, -1));
+        }
+        token = page.NextContinuationToken;
+    } while (token);
+    const recent = ids.sort().reverse().slice(0, limit);
+    const manifests = await Promise.all(recent.map(async (exportId) => {
+        try {
+            const { Body } = await s3.send(new client_s3_1.GetObjectCommand({
+                Bucket: EXPORT_BUCKET,
+                Key: `${EXPORT_PREFIX}${exportId}/manifest.json`,
+            }));
+            return JSON.parse((await Body.transformToString("utf8")) || "null");
+        }
+        catch (error) {
+            console.warn("Unreadable export manifest", exportId, error);
+            return null;
+        }
+    }));
+    return manifests.filter((manifest) => manifest !== null);
+};
+// Sortable and unique, e.g. 2024-06-01T19-00-00Z-1a2b3c4d; exportGraph.vtl
+// builds the same shape
+const EXPORT_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}Z-[0-9a-f]{8}$/;
+const newExportId = () => `${new Date().toISOString().replace(/\.\d+Z$/, "Z").replace(/:/g, "-")}-${(0, crypto_1.randomUUID)().slice(0, 8)}`;
+const handler = async (event) => {
+    // AppSync resolvers carry the field; the schedule sends { source }
+    if (!event.field) {
+        return runExport(newExportId(), String(event.source ?? "schedule"));
+    }
+    console.log("Export event:", JSON.stringify({ field: event.field, arguments: event.arguments }));
+    try {
+        if (event.field === "getExports") {
+            (0, roles_1.requireRole)(event.identity, "Admin", event.field);
+            const limit = Math.min(Math.max(event.arguments.limit ?? DEFAULT_EXPORT_LIMIT, 1), 100);
+            return await listExports(limit);
+        }
+        if (event.field === "exportGraph") {
+            // Invoked asynchronously: the resolver already answered with the id
+            // from the request mapping template, so nothing is returned
+            (0, roles_1.requireRole)(event.identity, "Admin", event.field);
+            if (!EXPORT_ID_PATTERN.test(String(event.exportId))) {
+                throw (0, errors_1.validationError)(`Invalid export id: ${event.exportId}`);
+            }
+            await runExport(event.exportId, String(event.identity?.username ?? event.identity?.sub ?? "unknown"));
+            return null;
+        }
+        throw (0, errors_1.validationError)(`Unknown field: ${event.field}`);
+    }
+    catch (error) {
+        console.error("Export error:", error);
+        return (0, errors_1.toErrorResult)(error);
+    }
+};
+exports.handler = handler;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZXhwb3J0R3JhcGguanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJleHBvcnRHcmFwaC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFFQSxtQ0FBb0M7QUFDcEMsMkJBQXlFO0FBQ3pFLG1DQUE4QjtBQUM5QiwrQkFBNEI7QUFDNUIsdUNBQTJDO0FBQzNDLG1DQUFtQztBQUNuQyx1REFBK0Q7QUFDL0Qsa0RBSzRCO0FBQzVCLDREQUFxRjtBQUNyRiw0Q0FBaUU7QUFDakUsMENBQTZDO0FBQzdDLG9EQUs2QjtBQUU3QixNQUFNLHNCQUFzQixHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsc0JBQXNCLENBQUM7QUFDckUsTUFBTSxTQUFTLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyx3QkFBd0IsQ0FBQyxTQUFTLENBQUM7QUFDckUsTUFBTSxFQUFFLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUM7QUFDbkMsTUFBTSxDQUFDLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7QUFDNUIsTUFBTSxDQUFDLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7QUFFNUIsNEVBQTRFO0FBQzVFLHdFQUF3RTtBQUN4RSx1RUFBdUU7QUFDdkUsMEVBQTBFO0FBQzFFLCtEQUErRDtBQUUvRCxNQUFNLEVBQUUsR0FBRyxJQUFJLG9CQUFRLENBQUMsRUFBRSxDQUFDLENBQUM7QUFDNUIsTUFBTSxhQUFhLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxhQUFjLENBQUM7QUFDakQsTUFBTSxhQUFhLEdBQUcsVUFBVSxDQUFDO0FBRWpDLCtCQUErQjtBQUMvQixNQUFNLGdCQUFnQixHQUFHLElBQUksQ0FBQztBQUM5QixNQUFNLG9CQUFvQixHQUFHLEVBQUUsQ0FBQztBQUVoQyw0REFBNEQ7QUFDNUQsTUFBTSxRQUFRLEdBQUcsYUFBYSxDQUFDO0FBRS9CLHVFQUF1RTtBQUN2RSxNQUFNLGVBQWUsR0FBRyxHQUFHLENBQUM7QUFFNUIsTUFBTSxhQUFhLEdBQW1CLENBQUMsTUFBTSxFQUFFLE9BQU8sRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLE9BQU8sRUFBRSxRQUFRLENBQUMsQ0FBQztBQUMxRixNQUFNLGFBQWEsR0FBbUIsQ0FBQyxNQUFNLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxNQUFNLENBQUMsQ0FBQztBQXFDdkUsTUFBTSxLQUFLLEdBQUcsQ0FBQyxHQUFRLEVBQUUsR0FBVyxFQUFFLEVBQUUsQ0FBQyxDQUFDLEdBQUcsWUFBWSxHQUFHLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO0FBRXhGLHNFQUFzRTtBQUN0RSxNQUFNLFNBQVMsR0FBRyxDQUFDLEtBQVUsRUFBNEIsRUFBRSxDQUN6RCxDQUFDLEtBQUssWUFBWSxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsS0FBSyxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUN2RixDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBQSwrQkFBa0IsRUFBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FDOUMsQ0FBQztBQUVKLE1BQU0sU0FBUyxHQUFHLENBQUMsS0FBYyxFQUFnQixFQUFFO0lBQ2pELElBQUksT0FBTyxLQUFLLEtBQUssU0FBUztRQUFFLE9BQU8sTUFBTSxDQUFDO0lBQzlDLElBQUksS0FBSyxZQUFZLElBQUk7UUFBRSxPQUFPLE1BQU0sQ0FBQztJQUN6QyxJQUFJLE9BQU8sS0FBSyxLQUFLLFFBQVEsRUFBRSxDQUFDO1FBQzlCLElBQUksQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQztZQUFFLE9BQU8sUUFBUSxDQUFDO1FBQzlDLE9BQU8sSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsSUFBSSxVQUFVLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDO0lBQ3hELENBQUM7SUFDRCxPQUFPLFFBQVEsQ0FBQztBQUNsQixDQUFDLENBQUM7QUFFRixxREFBcUQ7QUFDckQsTUFBTSxLQUFLLEdBQUcsQ0FBQyxDQUFlLEVBQUUsQ0FBZSxFQUFnQixFQUFFO0lBQy9ELElBQUksQ0FBQyxLQUFLLENBQUM7UUFBRSxPQUFPLENBQUMsQ0FBQztJQUN0QixJQUFJLGFBQWEsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLElBQUksYUFBYSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO1FBQzNELE9BQU8sYUFBYSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsSUFBSSxhQUFhLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQztJQUNwRixDQUFDO0lBQ0QsT0FBTyxRQUFRLENBQUM7QUFDbEIsQ0FBQyxDQUFDO0FBRUY7Ozs7R0FJRztBQUNILE1BQU0sVUFBVSxHQUFHLENBQ2pCLElBQXVCLEVBQ3ZCLEtBQWEsRUFDYixJQUFZLEVBQ1osUUFBc0IsRUFDUixFQUFFO0lBQ2hCLE1BQU0sT0FBTyxHQUFHLElBQUksS0FBSyxRQUFRLENBQUMsQ0FBQyxDQUFDLCtCQUFjLENBQUMsQ0FBQyxDQUFDLDZCQUFZLENBQUM7SUFDbEUsTUFBTSxRQUFRLEdBQUcsS0FBSztTQUNuQixLQUFLLENBQUMsZUFBZSxDQUFDO1NBQ3RCLEdBQUcsQ0FBQyxDQUFDLEdBQUcsRUFBRSxFQUFFLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxDQUFDO1NBQ3hDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUNqQixJQUFJLENBQUMsUUFBUSxJQUFJLENBQUMsYUFBYSxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxRQUFRLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQztRQUN4RixPQUFPLFFBQVEsQ0FBQztJQUNsQixDQUFDO0lBQ0QsSUFBSSxhQUFhLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxJQUFJLFFBQVEsS0FBSyxRQUFRO1FBQUUsT0FBTyxRQUFRLENBQUM7SUFDL0UsSUFBSSxhQUFhLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxJQUFJLFFBQVEsS0FBSyxNQUFNO1FBQUUsT0FBTyxNQUFNLENBQUM7SUFDM0UsT0FBTyxRQUFRLENBQUM7QUFDbEIsQ0FBQyxDQUFDO0FBRUYsTUFBTSxXQUFXLEdBQUcsQ0FBQyxLQUFjLEVBQVUsRUFBRSxDQUM3QyxLQUFLLFlBQVksSUFBSSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztBQUU5RCxNQUFNLE9BQU8sR0FBRyxDQUFDLElBQVksRUFBVSxFQUFFLENBQ3ZDLGtCQUFrQixDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7QUFFekUsTUFBTSxRQUFRLEdBQUcsQ0FBQyxLQUFhLEVBQUUsRUFBRSxDQUFDLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQyxpQkFBaUIsRUFBRSxHQUFHLENBQUMsTUFBTSxDQUFDO0FBRW5GLE1BQU0sYUFBYSxHQUFHLENBQUMsUUFBd0IsRUFBRSxFQUFFLENBQ2pELEVBQUUsQ0FBQyxJQUFJLENBQ0wsSUFBSSw0QkFBZ0IsQ0FBQztJQUNuQixNQUFNLEVBQUUsYUFBYTtJQUNyQixHQUFHLEVBQUUsR0FBRyxhQUFhLEdBQUcsUUFBUSxDQUFDLFFBQVEsZ0JBQWdCO0lBQ3pELElBQUksRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLFFBQVEsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBQ3ZDLFdBQVcsRUFBRSxrQkFBa0I7Q0FDaEMsQ0FBQyxDQUNILENBQUM7QUFFSjs7Ozs7R0FLRztBQUNILE1BQU0sYUFBYSxHQUFHLEtBQUssRUFBRSxDQUFNLEVBQUUsSUFBdUIsRUFBbUMsRUFBRTtJQUMvRixNQUFNLEtBQUssR0FBRyxJQUFJLEdBQUcsRUFBcUIsQ0FBQztJQUMzQyxJQUFJLE1BQU0sR0FBa0IsSUFBSSxDQUFDO0lBQ2pDLFNBQVMsQ0FBQztRQUNSLElBQUksUUFBUSxHQUNWLElBQUksS0FBSyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsR0FBRywwQkFBYSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsR0FBRyx3QkFBVyxDQUFDLENBQUM7UUFDeEYsUUFBUSxHQUFHLFFBQVEsQ0FBQyxNQUFNLENBQUMsK0JBQWtCLENBQUMsQ0FBQztRQUMvQyxJQUFJLE1BQU0sS0FBSyxJQUFJO1lBQUUsUUFBUSxHQUFHLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7UUFDakUsUUFBUSxHQUFHLFFBQVEsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDO1FBQzdELE1BQU0sSUFBSSxHQUNSLElBQUksS0FBSyxRQUFRO1lBQ2YsQ0FBQyxDQUFDLE1BQU0sUUFBUTtpQkFDWCxPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sRUFBRSxPQUFPLENBQUM7aUJBQy9CLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7aUJBQ1gsRUFBRSxDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsQ0FBQztpQkFDZCxFQUFFLENBQUMsRUFBRSxDQUFDLFFBQVEsRUFBRSxDQUFDO2lCQUNqQixNQUFNLEVBQUU7WUFDYixDQUFDLENBQUMsTUFBTSxRQUFRO2lCQUNYLE9BQU8sQ0FBQyxJQUFJLEVBQUUsT0FBTyxFQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUUsT0FBTyxDQUFDO2lCQUM3QyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDO2lCQUNYLEVBQUUsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUM7aUJBQ2QsRUFBRSxDQUFDLEVBQUUsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztpQkFDbEIsRUFBRSxDQUFDLEVBQUUsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztpQkFDakIsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLEVBQUUsQ0FBQztpQkFDakIsTUFBTSxFQUFFLENBQUM7UUFFbEIsS0FBSyxNQUFNLEdBQUcsSUFBSSxJQUFhLEVBQUUsQ0FBQztZQUNoQyxNQUFNLEdBQUcsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQztZQUNsQyw2REFBNkQ7WUFDN0QsTUFBTSxLQUFLLEdBQUcsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLEVBQUUsT0FBTyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxDQUFDO1lBQzVFLElBQUksSUFBSSxHQUFHLEtBQUssQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDNUIsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDO2dCQUNWLE1BQU0sSUFBSSxHQUFHLElBQUEsV0FBSSxFQUFDLFFBQVEsRUFBRSxHQUFHLElBQUksSUFBSSxLQUFLLENBQUMsSUFBSSxRQUFRLENBQUMsQ0FBQztnQkFDM0QsSUFBSSxHQUFHLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsSUFBQSxzQkFBaUIsRUFBQyxJQUFJLENBQUMsRUFBRSxPQUFPLEVBQUUsSUFBSSxHQUFHLEVBQUUsRUFBRSxJQUFJLEVBQUUsQ0FBQyxFQUFFLENBQUM7Z0JBQ3JGLEtBQUssQ0FBQyxHQUFHLENBQUMsS0FBSyxFQUFFLElBQUksQ0FBQyxDQUFDO1lBQ3pCLENBQUM7WUFDRCxNQUFNLEtBQUssR0FBOEIsRUFBRSxDQUFDO1lBQzVDLEtBQUssTUFBTSxDQUFDLElBQUksRUFBRSxHQUFHLENBQUMsSUFBSSxTQUFTLENBQUMsS0FBSyxDQUFDLEdBQUcsRUFBRSxPQUFPLENBQUMsQ0FBQyxFQUFFLENBQUM7Z0JBQ3pELE1BQU0sTUFBTSxHQUFHLEtBQUssQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQztnQkFDaEQsSUFBSSxNQUFNLENBQUMsTUFBTSxLQUFLLENBQUM7b0JBQUUsU0FBUztnQkFDbEMsS0FBSyxDQUFDLElBQUksQ0FBQyxHQUFHLE1BQU0sQ0FBQztnQkFDckIsTUFBTSxNQUFNLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUM7Z0JBQ3RDLE1BQU0sSUFBSSxHQUFHLE1BQU0sQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUNqRCxJQUFJLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLEVBQUU7b0JBQ3JCLElBQUksRUFBRSxNQUFNLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJO29CQUM5QyxLQUFLLEVBQUUsQ0FBQyxNQUFNLEVBQUUsS0FBSyxJQUFJLEtBQUssQ0FBQyxJQUFJLE1BQU0sQ0FBQyxNQUFNLEdBQUcsQ0FBQztpQkFDckQsQ0FBQyxDQUFDO1lBQ0wsQ0FBQztZQUNELE1BQU0sSUFBSSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUM7Z0JBQzFCLEVBQUUsRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsRUFBRSxJQUFJLENBQUMsQ0FBQztnQkFDNUIsSUFBSSxFQUFFLElBQUksS0FBSyxNQUFNLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVM7Z0JBQzlELEVBQUUsRUFBRSxJQUFJLEtBQUssTUFBTSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTO2dCQUMxRCxpRUFBaUU7Z0JBQ2pFLEtBQUssRUFBRSxNQUFNLENBQUMsV0FBVyxDQUN2QixNQUFNLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLE1BQU0sQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxNQUFNLENBQUMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FDL0U7YUFDRixDQUFDLENBQUM7WUFDSCxJQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxJQUFJLElBQUksQ0FBQztnQkFBRSxNQUFNLElBQUEsYUFBSSxFQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsT0FBTyxDQUFDLENBQUM7WUFDdEUsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDO1FBQ2QsQ0FBQztRQUNELElBQUksSUFBSSxDQUFDLE1BQU0sR0FBRyxnQkFBZ0I7WUFBRSxNQUFNO0lBQzVDLENBQUM7SUFDRCxLQUFLLE1BQU0sSUFBSSxJQUFJLEtBQUssQ0FBQyxNQUFNLEVBQUUsRUFBRSxDQUFDO1FBQ2xDLElBQUksQ0FBQyxNQUFNLENBQUMsR0FBRyxFQUFFLENBQUM7UUFDbEIsTUFBTSxJQUFBLGFBQUksRUFBQyxJQUFJLENBQUMsTUFBTSxFQUFFLFFBQVEsQ0FBQyxDQUFDO0lBQ3BDLENBQUM7SUFDRCxPQUFPLEtBQUssQ0FBQztBQUNmLENBQUMsQ0FBQztBQUVGLHFFQUFxRTtBQUNyRSxNQUFNLGVBQWUsR0FBRyxLQUFLLEVBQzNCLElBQXVCLEVBQ3ZCLElBQWUsRUFDZixNQUFjLEVBQ08sRUFBRTtJQUN2QixNQUFNLEtBQUssR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztJQUNyRCxNQUFNLEtBQUssR0FBRyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLEVBQUU7UUFDL0IsTUFBTSxNQUFNLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFFLENBQUM7UUFDdkMsT0FBTyxFQUFFLEdBQUcsTUFBTSxFQUFFLElBQUksRUFBRSxVQUFVLENBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxLQUFLLEVBQUUsSUFBSSxFQUFFLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDO0lBQzlFLENBQUMsQ0FBQyxDQUFDO0lBQ0gsTUFBTSxNQUFNLEdBQUcsSUFBSSxLQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLEVBQUUsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxLQUFLLEVBQUUsUUFBUSxDQUFDLENBQUM7SUFDekYsTUFBTSxNQUFNLEdBQUc7UUFDYixHQUFHLE1BQU07UUFDVCxHQUFHLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxHQUFHLElBQUksSUFBSSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxHQUFHLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUM7S0FDbkYsQ0FBQztJQUVGLE1BQU0sT0FBTyxHQUFHLEdBQUcsSUFBSSxDQUFDLElBQUksTUFBTSxDQUFDO0lBQ25DLE1BQU0sR0FBRyxHQUFHLElBQUEsc0JBQWlCLEVBQUMsT0FBTyxDQUFDLENBQUM7SUFDdkMsR0FBRyxDQUFDLEtBQUssQ0FBQyxHQUFHLE1BQU0sQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNoRCxJQUFJLEtBQUssRUFBRSxNQUFNLElBQUksSUFBSSxJQUFBLDBCQUFlLEVBQUMsRUFBRSxLQUFLLEVBQUUsSUFBQSxxQkFBZ0IsRUFBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUM7UUFDakYsSUFBSSxDQUFDLElBQUk7WUFBRSxTQUFTO1FBQ3BCLE1BQU0sT0FBTyxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDakMsTUFBTSxXQUFXLEdBQ2YsSUFBSSxLQUFLLFFBQVE7WUFDZixDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsRUFBRSxFQUFFLElBQUksQ0FBQyxLQUFLLENBQUM7WUFDMUIsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLEVBQUUsRUFBRSxPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxFQUFFLEVBQUUsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ3pELE1BQU0sYUFBYSxHQUFHLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxFQUFFLEVBQUU7WUFDMUMsTUFBTSxNQUFNLEdBQXlCLE9BQU8sQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUM7WUFDekQsSUFBSSxDQUFDLE1BQU07Z0JBQUUsT0FBTyxFQUFFLENBQUM7WUFDdkIsT0FBTyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSztnQkFDbkIsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsZUFBZSxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssZUFBZSxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxlQUFlLENBQUM7Z0JBQ3hHLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDaEIsQ0FBQyxDQUFDLENBQUM7UUFDSCxNQUFNLEdBQUcsR0FBRyxDQUFDLEdBQUcsV0FBVyxFQUFFLEdBQUcsYUFBYSxDQUFDLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUN0RSxJQUFJLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxHQUFHLEdBQUcsSUFBSSxDQUFDO1lBQUUsTUFBTSxJQUFBLGFBQUksRUFBQyxHQUFHLEVBQUUsT0FBTyxDQUFDLENBQUM7SUFDdkQsQ0FBQztJQUNELEdBQUcsQ0FBQyxHQUFHLEVBQUUsQ0FBQztJQUNWLE1BQU0sSUFBQSxhQUFJLEVBQUMsR0FBRyxFQUFFLFFBQVEsQ0FBQyxDQUFDO0lBRTFCLE1BQU0sR0FBRyxHQUFHLEdBQUcsTUFBTSxHQUFHLElBQUksS0FBSyxRQUFRLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsT0FBTyxJQUFJLFFBQVEsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQztJQUMzRixNQUFNLEVBQUUsSUFBSSxFQUFFLEdBQUcsTUFBTSxhQUFFLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQ3hDLE1BQU0sRUFBRSxDQUFDLElBQUksQ0FDWCxJQUFJLDRCQUFnQixDQUFDO1FBQ25CLE1BQU0sRUFBRSxhQUFhO1FBQ3JCLEdBQUcsRUFBRSxHQUFHO1FBQ1IsSUFBSSxFQUFFLElBQUEscUJBQWdCLEVBQUMsT0FBTyxDQUFDO1FBQy9CLGFBQWEsRUFBRSxJQUFJO1FBQ25CLFdBQVcsRUFBRSxVQUFVO0tBQ3hCLENBQUMsQ0FDSCxDQUFDO0lBQ0YsTUFBTSxhQUFFLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQ3JCLE1BQU0sYUFBRSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDdkIsT0FBTyxFQUFFLEtBQUssRUFBRSxRQUFRLGFBQWEsSUFBSSxHQUFHLEVBQUUsRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLElBQUksQ0FBQyxLQUFLLEVBQUUsSUFBSSxFQUFFLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztBQUM3RixDQUFDLENBQUM7QUFFRixNQUFNLFNBQVMsR0FBRyxLQUFLLEVBQUUsUUFBZ0IsRUFBRSxTQUFpQixFQUEyQixFQUFFO0lBQ3ZGLE1BQU0sTUFBTSxHQUFHLEdBQUcsYUFBYSxHQUFHLFFBQVEsR0FBRyxDQUFDO0lBQzlDLE1BQU0sUUFBUSxHQUFtQjtRQUMvQixRQUFRO1FBQ1IsTUFBTSxFQUFFLFNBQVM7UUFDakIsU0FBUztRQUNULFNBQVMsRUFBRSxJQUFJLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRTtRQUNuQyxVQUFVLEVBQUUsSUFBSTtRQUNoQixNQUFNLEVBQUUsUUFBUSxhQUFhLElBQUksTUFBTSxFQUFFO1FBQ3pDLFdBQVcsRUFBRSxDQUFDO1FBQ2QsU0FBUyxFQUFFLENBQUM7UUFDWixLQUFLLEVBQUUsRUFBRTtRQUNULEtBQUssRUFBRSxJQUFJO0tBQ1osQ0FBQztJQUNGLE1BQU0sYUFBYSxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBRTlCLE1BQU0sRUFBRSxHQUFHLEVBQUUsT0FBTyxFQUFFLEdBQUcsSUFBQSx3QkFBZ0IsRUFDdkMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxnQkFBZ0IsRUFDNUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxZQUFZLEVBQ3hCLEVBQUUsRUFDRixVQUFVLEVBQ1YsS0FBSyxDQUNOLENBQUM7SUFDRixNQUFNLElBQUksR0FBRyxJQUFJLHNCQUFzQixDQUFDLEdBQUcsRUFBRTtRQUMzQyxRQUFRLEVBQUUsbUNBQW1DO1FBQzdDLE9BQU8sRUFBRSxPQUFPO0tBQ2pCLENBQUMsQ0FBQztJQUNILE1BQU0sQ0FBQyxHQUFHLFNBQVMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUV2QyxJQUFJLENBQUM7UUFDSCxNQUFNLGFBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxFQUFFLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztRQUN4RCxNQUFNLGFBQUUsQ0FBQyxLQUFLLENBQUMsUUFBUSxFQUFFLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7UUFDOUMsS0FBSyxNQUFNLElBQUksSUFBSSxDQUFDLFFBQVEsRUFBRSxNQUFNLENBQVUsRUFBRSxDQUFDO1lBQy9DLE1BQU0sS0FBSyxHQUFHLE1BQU0sYUFBYSxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsQ0FBQztZQUMzQyxLQUFLLE1BQU0sSUFBSSxJQUFJLEtBQUssQ0FBQyxNQUFNLEVBQUUsRUFBRSxDQUFDO2dCQUNsQyxNQUFNLFFBQVEsR0FBRyxNQUFNLGVBQWUsQ0FBQyxJQUFJLEVBQUUsSUFBSSxFQUFFLE1BQU0sQ0FBQyxDQUFDO2dCQUMzRCxRQUFRLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQztnQkFDOUIsSUFBSSxJQUFJLEtBQUssUUFBUTtvQkFBRSxRQUFRLENBQUMsV0FBVyxJQUFJLFFBQVEsQ0FBQyxJQUFJLENBQUM7O29CQUN4RCxRQUFRLENBQUMsU0FBUyxJQUFJLFFBQVEsQ0FBQyxJQUFJLENBQUM7WUFDM0MsQ0FBQztRQUNILENBQUM7UUFDRCxRQUFRLENBQUMsTUFBTSxHQUFHLFdBQVcsQ0FBQztJQUNoQyxDQUFDO0lBQUMsT0FBTyxLQUFjLEVBQUUsQ0FBQztRQUN4QixPQUFPLENBQUMsS0FBSyxDQUFDLGdCQUFnQixFQUFFLEtBQUssQ0FBQyxDQUFDO1FBQ3ZDLFFBQVEsQ0FBQyxNQUFNLEdBQUcsUUFBUSxDQUFDO1FBQzNCLFFBQVEsQ0FBQyxLQUFLLEdBQUcsS0FBSyxZQUFZLEtBQUssQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQzFFLENBQUM7WUFBUyxDQUFDO1FBQ1QsTUFBTSxJQUFJLENBQUMsS0FBSyxFQUFFLENBQUM7UUFDbkIsTUFBTSxhQUFFLENBQUMsRUFBRSxDQUFDLFFBQVEsRUFBRSxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7SUFDMUQsQ0FBQztJQUNELFFBQVEsQ0FBQyxVQUFVLEdBQUcsSUFBSSxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQztJQUMvQyxNQUFNLGFBQWEsQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUM5QixPQUFPLENBQUMsR0FBRyxDQUFDLGtCQUFrQixFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsRUFBRSxHQUFHLFFBQVEsRUFBRSxLQUFLLEVBQUUsUUFBUSxDQUFDLEtBQUssQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDL0YsT0FBTyxRQUFRLENBQUM7QUFDbEIsQ0FBQyxDQUFDO0FBRUYsc0VBQXNFO0FBQ3RFLE1BQU0sV0FBVyxHQUFHLEtBQUssRUFBRSxLQUFhLEVBQTZCLEVBQUU7SUFDckUsTUFBTSxHQUFHLEdBQWEsRUFBRSxDQUFDO0lBQ3pCLElBQUksS0FBeUIsQ0FBQztJQUM5QixHQUFHLENBQUM7UUFDRixNQUFNLElBQUksR0FBRyxNQUFNLEVBQUUsQ0FBQyxJQUFJLENBQ3hCLElBQUksZ0NBQW9CLENBQUM7WUFDdkIsTUFBTSxFQUFFLGFBQWE7WUFDckIsTUFBTSxFQUFFLGFBQWE7WUFDckIsU0FBUyxFQUFFLEdBQUc7WUFDZCxpQkFBaUIsRUFBRSxLQUFLO1NBQ3pCLENBQUMsQ0FDSCxDQUFDO1FBQ0YsS0FBSyxNQUFNLE1BQU0sSUFBSSxJQUFJLENBQUMsY0FBYyxJQUFJLEVBQUUsRUFBRSxDQUFDO1lBQy9DLEdBQUcsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLE1BQU8sQ0FBQyxLQUFLLENBQUMsYUFBYSxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDM0QsQ0FBQztRQUNELEtBQUssR0FBRyxJQUFJLENBQUMscUJBQXFCLENBQUM7SUFDckMsQ0FBQyxRQUFRLEtBQUssRUFBRTtJQUVoQixNQUFNLE1BQU0sR0FBRyxHQUFHLENBQUMsSUFBSSxFQUFFLENBQUMsT0FBTyxFQUFFLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQztJQUNwRCxNQUFNLFNBQVMsR0FBRyxNQUFNLE9BQU8sQ0FBQyxHQUFHLENBQ2pDLE1BQU0sQ0FBQyxHQUFHLENBQUMsS0FBSyxFQUFFLFFBQVEsRUFBRSxFQUFFO1FBQzVCLElBQUksQ0FBQztZQUNILE1BQU0sRUFBRSxJQUFJLEVBQUUsR0FBRyxNQUFNLEVBQUUsQ0FBQyxJQUFJLENBQzVCLElBQUksNEJBQWdCLENBQUM7Z0JBQ25CLE1BQU0sRUFBRSxhQUFhO2dCQUNyQixHQUFHLEVBQUUsR0FBRyxhQUFhLEdBQUcsUUFBUSxnQkFBZ0I7YUFDakQsQ0FBQyxDQUNILENBQUM7WUFDRixPQUFPLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxNQUFNLElBQUssQ0FBQyxpQkFBaUIsQ0FBQyxNQUFNLENBQUMsQ0FBQyxJQUFJLE1BQU0sQ0FBbUIsQ0FBQztRQUN6RixDQUFDO1FBQUMsT0FBTyxLQUFjLEVBQUUsQ0FBQztZQUN4QixPQUFPLENBQUMsSUFBSSxDQUFDLDRCQUE0QixFQUFFLFFBQVEsRUFBRSxLQUFLLENBQUMsQ0FBQztZQUM1RCxPQUFPLElBQUksQ0FBQztRQUNkLENBQUM7SUFDSCxDQUFDLENBQUMsQ0FDSCxDQUFDO0lBQ0YsT0FBTyxTQUFTLENBQUMsTUFBTSxDQUFDLENBQUMsUUFBUSxFQUE4QixFQUFFLENBQUMsUUFBUSxLQUFLLElBQUksQ0FBQyxDQUFDO0FBQ3ZGLENBQUMsQ0FBQztBQUVGLDJFQUEyRTtBQUMzRSx3QkFBd0I7QUFDeEIsTUFBTSxpQkFBaUIsR0FBRyxvREFBb0QsQ0FBQztBQUUvRSxNQUFNLFdBQVcsR0FBRyxHQUFHLEVBQUUsQ0FDdkIsR0FBRyxJQUFJLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxHQUFHLENBQUMsSUFBSSxJQUFBLG1CQUFVLEdBQUUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLENBQUM7QUFFaEcsTUFBTSxPQUFPLEdBQVksS0FBSyxFQUFFLEtBQUssRUFBRSxFQUFFO0lBQzlDLG1FQUFtRTtJQUNuRSxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssRUFBRSxDQUFDO1FBQ2pCLE9BQU8sU0FBUyxDQUFDLFdBQVcsRUFBRSxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsTUFBTSxJQUFJLFVBQVUsQ0FBQyxDQUFDLENBQUM7SUFDdEUsQ0FBQztJQUVELE9BQU8sQ0FBQyxHQUFHLENBQUMsZUFBZSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxDQUFDLEtBQUssRUFBRSxTQUFTLEVBQUUsS0FBSyxDQUFDLFNBQVMsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUNqRyxJQUFJLENBQUM7UUFDSCxJQUFJLEtBQUssQ0FBQyxLQUFLLEtBQUssWUFBWSxFQUFFLENBQUM7WUFDakMsSUFBQSxtQkFBVyxFQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUNsRCxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxLQUFLLElBQUksb0JBQW9CLEVBQUUsQ0FBQyxDQUFDLEVBQUUsR0FBRyxDQUFDLENBQUM7WUFDeEYsT0FBTyxNQUFNLFdBQVcsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNsQyxDQUFDO1FBRUQsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLGFBQWEsRUFBRSxDQUFDO1lBQ2xDLG9FQUFvRTtZQUNwRSw0REFBNEQ7WUFDNUQsSUFBQSxtQkFBVyxFQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUNsRCxJQUFJLENBQUMsaUJBQWlCLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLENBQUMsRUFBRSxDQUFDO2dCQUNwRCxNQUFNLElBQUEsd0JBQWUsRUFBQyxzQkFBc0IsS0FBSyxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUM7WUFDaEUsQ0FBQztZQUNELE1BQU0sU0FBUyxDQUNiLEtBQUssQ0FBQyxRQUFRLEVBQ2QsTUFBTSxDQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsUUFBUSxJQUFJLEtBQUssQ0FBQyxRQUFRLEVBQUUsR0FBRyxJQUFJLFNBQVMsQ0FBQyxDQUNyRSxDQUFDO1lBQ0YsT0FBTyxJQUFJLENBQUM7UUFDZCxDQUFDO1FBRUQsTUFBTSxJQUFBLHdCQUFlLEVBQUMsa0JBQWtCLEtBQUssQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDO0lBQ3pELENBQUM7SUFBQyxPQUFPLEtBQWMsRUFBRSxDQUFDO1FBQ3hCLE9BQU8sQ0FBQyxLQUFLLENBQUMsZUFBZSxFQUFFLEtBQUssQ0FBQyxDQUFDO1FBQ3RDLE9BQU8sSUFBQSxzQkFBYSxFQUFDLEtBQUssQ0FBQyxDQUFDO0lBQzlCLENBQUM7QUFDSCxDQUFDLENBQUM7QUFqQ1csUUFBQSxPQUFPLFdBaUNsQiIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IEhhbmRsZXIgfSBmcm9tIFwiYXdzLWxhbWJkYVwiO1xuXG5pbXBvcnQgeyByYW5kb21VVUlEIH0gZnJvbSBcImNyeXB0b1wiO1xuaW1wb3J0IHsgY3JlYXRlUmVhZFN0cmVhbSwgY3JlYXRlV3JpdGVTdHJlYW0sIHByb21pc2VzIGFzIGZzIH0gZnJvbSBcImZzXCI7XG5pbXBvcnQgeyBvbmNlIH0gZnJvbSBcImV2ZW50c1wiO1xuaW1wb3J0IHsgam9pbiB9IGZyb20gXCJwYXRoXCI7XG5pbXBvcnQgeyBjcmVhdGVJbnRlcmZhY2UgfSBmcm9tIFwicmVhZGxpbmVcIjtcbmltcG9ydCAqIGFzIGdyZW1saW4gZnJvbSBcImdyZW1saW5cIjtcbmltcG9ydCB7IGdldFVybEFuZEhlYWRlcnMgfSBmcm9tIFwiZ3JlbWxpbi1hd3Mtc2lndjQvbGliL3V0aWxzXCI7XG5pbXBvcnQge1xuICBHZXRPYmplY3RDb21tYW5kLFxuICBMaXN0T2JqZWN0c1YyQ29tbWFuZCxcbiAgUHV0T2JqZWN0Q29tbWFuZCxcbiAgUzNDbGllbnQsXG59IGZyb20gXCJAYXdzLXNkay9jbGllbnQtczNcIjtcbmltcG9ydCB7IEVER0VfU0NIRU1BUywgUHJvcGVydHlUeXBlLCBWRVJURVhfU0NIRU1BUyB9IGZyb20gXCIuL3NoYXJlZC9zY2hlbWFSZWdpc3RyeVwiO1xuaW1wb3J0IHsgdG9FcnJvclJlc3VsdCwgdmFsaWRhdGlvbkVycm9yIH0gZnJvbSBcIi4vc2hhcmVkL2Vycm9yc1wiO1xuaW1wb3J0IHsgcmVxdWlyZVJvbGUgfSBmcm9tIFwiLi9zaGFyZWQvcm9sZXNcIjtcbmltcG9ydCB7XG4gIEVER0VfTEFCRUxTLFxuICBUT01CU1RPTkVfUFJPUEVSVFksXG4gIFZFUlRFWF9MQUJFTFMsXG4gIGlzSW50ZXJuYWxQcm9wZXJ0eSxcbn0gZnJvbSBcIi4vc2hhcmVkL2dyYXBoTW9kZWxcIjtcblxuY29uc3QgRHJpdmVyUmVtb3RlQ29ubmVjdGlvbiA9IGdyZW1saW4uZHJpdmVyLkRyaXZlclJlbW90ZUNvbm5lY3Rpb247XG5jb25zdCB0cmF2ZXJzYWwgPSBncmVtbGluLnByb2Nlc3MuQW5vbnltb3VzVHJhdmVyc2FsU291cmNlLnRyYXZlcnNhbDtcbmNvbnN0IF9fID0gZ3JlbWxpbi5wcm9jZXNzLnN0YXRpY3M7XG5jb25zdCBQID0gZ3JlbWxpbi5wcm9jZXNzLlA7XG5jb25zdCB0ID0gZ3JlbWxpbi5wcm9jZXNzLnQ7XG5cbi8vIExvZ2ljYWwgYmFja3VwIG9mIHRoZSBncmFwaCBhcyBOZXB0dW5lIGJ1bGstbG9hZCBDU1YsIG9uZSBmaWxlIHBlciB2ZXJ0ZXhcbi8vIGFuZCBlZGdlIGxhYmVsIHVuZGVyIHMzOi8vRVhQT1JUX0JVQ0tFVC9leHBvcnRzLzxleHBvcnQgaWQ+Ly4gTG9hZGluZ1xuLy8gdmVydGljZXMvIGFuZCB0aGVuIGVkZ2VzLyB3aXRoIHRoZSBGdW5jdGlvbiBVUkwgcmVjcmVhdGVzIHRoZSBncmFwaC5cbi8vIFN0YXJ0ZWQgYnkgdGhlIGV4cG9ydEdyYXBoIG11dGF0aW9uIChpbnZva2VkIGFzeW5jaHJvbm91c2x5IGJ5IEFwcFN5bmMpXG4vLyBvciBieSB0aGUgd2Vla2x5IHNjaGVkdWxlOyBtYW5pZmVzdC5qc29uIHRyYWNrcyBlYWNoIGV4cG9ydC5cblxuY29uc3QgczMgPSBuZXcgUzNDbGllbnQoe30pO1xuY29uc3QgRVhQT1JUX0JVQ0tFVCA9IHByb2Nlc3MuZW52LkVYUE9SVF9CVUNLRVQhO1xuY29uc3QgRVhQT1JUX1BSRUZJWCA9IFwiZXhwb3J0cy9cIjtcblxuLy8gRWxlbWVudHMgcmVhZCBwZXIgcm91bmQgdHJpcFxuY29uc3QgRVhQT1JUX1BBR0VfU0laRSA9IDIwMDA7XG5jb25zdCBERUZBVUxUX0VYUE9SVF9MSU1JVCA9IDIwO1xuXG4vLyBSb3dzIGFyZSBzdGFnZWQgaW4gL3RtcCB1bnRpbCBhIGxhYmVsJ3MgY29sdW1ucyBhcmUga25vd25cbmNvbnN0IFdPUktfRElSID0gXCIvdG1wL2V4cG9ydFwiO1xuXG4vLyBTZXBhcmF0b3Igb2YgYXJyYXkgdmFsdWVzOyBhIGxpdGVyYWwgb25lIGlzIGVzY2FwZWQgd2l0aCBhIGJhY2tzbGFzaFxuY29uc3QgQVJSQVlfU0VQQVJBVE9SID0gXCI7XCI7XG5cbmNvbnN0IE5VTUVSSUNfVFlQRVM6IFByb3BlcnR5VHlwZVtdID0gW1wiQnl0ZVwiLCBcIlNob3J0XCIsIFwiSW50XCIsIFwiTG9uZ1wiLCBcIkZsb2F0XCIsIFwiRG91YmxlXCJdO1xuY29uc3QgSU5URUdFUl9UWVBFUzogUHJvcGVydHlUeXBlW10gPSBbXCJCeXRlXCIsIFwiU2hvcnRcIiwgXCJJbnRcIiwgXCJMb25nXCJdO1xuXG5leHBvcnQgaW50ZXJmYWNlIEV4cG9ydEZpbGUge1xuICBzM1VyaTogc3RyaW5nO1xuICBraW5kOiBcInZlcnRleFwiIHwgXCJlZGdlXCI7XG4gIGxhYmVsOiBzdHJpbmc7XG4gIHJvd3M6IG51bWJlcjtcbn1cblxuZXhwb3J0IGludGVyZmFjZSBFeHBvcnRNYW5pZmVzdCB7XG4gIGV4cG9ydElkOiBzdHJpbmc7XG4gIHN0YXR1czogXCJSVU5OSU5HXCIgfCBcIkNPTVBMRVRFRFwiIHwgXCJGQUlMRURcIjtcbiAgc3RhcnRlZEJ5OiBzdHJpbmc7XG4gIHN0YXJ0ZWRBdDogc3RyaW5nO1xuICBmaW5pc2hlZEF0OiBzdHJpbmcgfCBudWxsO1xuICAvLyBzMzovLyBVUkkgb2YgdGhlIGV4cG9ydCBmb2xkZXJcbiAgcHJlZml4OiBzdHJpbmc7XG4gIHZlcnRleENvdW50OiBudW1iZXI7XG4gIGVkZ2VDb3VudDogbnVtYmVyO1xuICBmaWxlczogRXhwb3J0RmlsZVtdO1xuICBlcnJvcjogc3RyaW5nIHwgbnVsbDtcbn1cblxuaW50ZXJmYWNlIENvbHVtbiB7XG4gIHR5cGU6IFByb3BlcnR5VHlwZTtcbiAgYXJyYXk6IGJvb2xlYW47XG59XG5cbi8vIFJvd3Mgb2Ygb25lIGxhYmVsIHdoaWxlIGFuIGV4cG9ydCBydW5zXG5pbnRlcmZhY2UgTGFiZWxGaWxlIHtcbiAgbGFiZWw6IHN0cmluZztcbiAgcGF0aDogc3RyaW5nO1xuICBzdHJlYW06IFJldHVyblR5cGU8dHlwZW9mIGNyZWF0ZVdyaXRlU3RyZWFtPjtcbiAgY29sdW1uczogTWFwPHN0cmluZywgQ29sdW1uPjtcbiAgcm93czogbnVtYmVyO1xufVxuXG5jb25zdCBmaWVsZCA9IChyb3c6IGFueSwga2V5OiBzdHJpbmcpID0+IChyb3cgaW5zdGFuY2VvZiBNYXAgPyByb3cuZ2V0KGtleSkgOiByb3dba2V5XSk7XG5cbi8vIFByb3BlcnRpZXMgdGhhdCBiZWxvbmcgaW4gYW4gZXhwb3J0LCBieSB0aGUgcnVsZXMgb2YgdG9Qcm9wZXJ0eUxpc3RcbmNvbnN0IGVudHJpZXNPZiA9IChwcm9wczogYW55KTogQXJyYXk8W3N0cmluZywgdW5rbm93bl0+ID0+XG4gIChwcm9wcyBpbnN0YW5jZW9mIE1hcCA/IEFycmF5LmZyb20ocHJvcHMuZW50cmllcygpKSA6IE9iamVjdC5lbnRyaWVzKHByb3BzID8/IHt9KSkuZmlsdGVyKFxuICAgIChbbmFtZV0pID0+ICFpc0ludGVybmFsUHJvcGVydHkoU3RyaW5nKG5hbWUpKVxuICApO1xuXG5jb25zdCB2YWx1ZVR5cGUgPSAodmFsdWU6IHVua25vd24pOiBQcm9wZXJ0eVR5cGUgPT4ge1xuICBpZiAodHlwZW9mIHZhbHVlID09PSBcImJvb2xlYW5cIikgcmV0dXJuIFwiQm9vbFwiO1xuICBpZiAodmFsdWUgaW5zdGFuY2VvZiBEYXRlKSByZXR1cm4gXCJEYXRlXCI7XG4gIGlmICh0eXBlb2YgdmFsdWUgPT09IFwibnVtYmVyXCIpIHtcbiAgICBpZiAoIU51bWJlci5pc0ludGVnZXIodmFsdWUpKSByZXR1cm4gXCJEb3VibGVcIjtcbiAgICByZXR1cm4gTWF0aC5hYnModmFsdWUpIDw9IDIxNDc0ODM2NDcgPyBcIkludFwiIDogXCJMb25nXCI7XG4gIH1cbiAgcmV0dXJuIFwiU3RyaW5nXCI7XG59O1xuXG4vLyBUaGUgbmFycm93ZXN0IHR5cGUgdGhhdCBob2xkcyB2YWx1ZXMgb2YgYm90aCB0eXBlc1xuY29uc3Qgd2lkZW4gPSAoYTogUHJvcGVydHlUeXBlLCBiOiBQcm9wZXJ0eVR5cGUpOiBQcm9wZXJ0eVR5cGUgPT4ge1xuICBpZiAoYSA9PT0gYikgcmV0dXJuIGE7XG4gIGlmIChOVU1FUklDX1RZUEVTLmluY2x1ZGVzKGEpICYmIE5VTUVSSUNfVFlQRVMuaW5jbHVkZXMoYikpIHtcbiAgICByZXR1cm4gSU5URUdFUl9UWVBFUy5pbmNsdWRlcyhhKSAmJiBJTlRFR0VSX1RZUEVTLmluY2x1ZGVzKGIpID8gXCJMb25nXCIgOiBcIkRvdWJsZVwiO1xuICB9XG4gIHJldHVybiBcIlN0cmluZ1wiO1xufTtcblxuLyoqXG4gKiBUaGUgaGVhZGVyIHR5cGUgb2YgYSBjb2x1bW4uIFN0b3JlZCB2YWx1ZXMgZGVjaWRlLCBidXQgbnVtYmVycyBsb3NlIHRoZWlyXG4gKiB3aWR0aCBvbiB0aGUgd2F5IG91dCBvZiBOZXB0dW5lICgyLjAgYXJyaXZlcyBhcyAyKSwgc28gYSBudW1lcmljIHR5cGUgaW5cbiAqIHRoZSBzY2hlbWEgcmVnaXN0cnkgd2lucyBvdmVyIGEgbmFycm93ZXIgaW5mZXJyZWQgb25lLlxuICovXG5jb25zdCBoZWFkZXJUeXBlID0gKFxuICBraW5kOiBcInZlcnRleFwiIHwgXCJlZGdlXCIsXG4gIGxhYmVsOiBzdHJpbmcsXG4gIG5hbWU6IHN0cmluZyxcbiAgaW5mZXJyZWQ6IFByb3BlcnR5VHlwZVxuKTogUHJvcGVydHlUeXBlID0+IHtcbiAgY29uc3Qgc2NoZW1hcyA9IGtpbmQgPT09IFwidmVydGV4XCIgPyBWRVJURVhfU0NIRU1BUyA6IEVER0VfU0NIRU1BUztcbiAgY29uc3QgZGVjbGFyZWQgPSBsYWJlbFxuICAgIC5zcGxpdChBUlJBWV9TRVBBUkFUT1IpXG4gICAgLm1hcCgob25lKSA9PiBzY2hlbWFzW29uZV0/LltuYW1lXT8udHlwZSlcbiAgICAuZmluZChCb29sZWFuKTtcbiAgaWYgKCFkZWNsYXJlZCB8fCAhTlVNRVJJQ19UWVBFUy5pbmNsdWRlcyhkZWNsYXJlZCkgfHwgIU5VTUVSSUNfVFlQRVMuaW5jbHVkZXMoaW5mZXJyZWQpKSB7XG4gICAgcmV0dXJuIGluZmVycmVkO1xuICB9XG4gIGlmIChJTlRFR0VSX1RZUEVTLmluY2x1ZGVzKGRlY2xhcmVkKSAmJiBpbmZlcnJlZCA9PT0gXCJEb3VibGVcIikgcmV0dXJuIFwiRG91YmxlXCI7XG4gIGlmIChJTlRFR0VSX1RZUEVTLmluY2x1ZGVzKGRlY2xhcmVkKSAmJiBpbmZlcnJlZCA9PT0gXCJMb25nXCIpIHJldHVybiBcIkxvbmdcIjtcbiAgcmV0dXJuIGRlY2xhcmVkO1xufTtcblxuY29uc3QgZm9ybWF0VmFsdWUgPSAodmFsdWU6IHVua25vd24pOiBzdHJpbmcgPT5cbiAgdmFsdWUgaW5zdGFuY2VvZiBEYXRlID8gdmFsdWUudG9JU09TdHJpbmcoKSA6IFN0cmluZyh2YWx1ZSk7XG5cbmNvbnN0IGNzdkNlbGwgPSAodGV4dDogc3RyaW5nKTogc3RyaW5nID0+XG4gIC9bXCIsXFxyXFxuXXxeXFxzfFxccyQvLnRlc3QodGV4dCkgPyBgXCIke3RleHQucmVwbGFjZSgvXCIvZywgJ1wiXCInKX1cImAgOiB0ZXh0O1xuXG5jb25zdCBmaWxlTmFtZSA9IChsYWJlbDogc3RyaW5nKSA9PiBgJHtsYWJlbC5yZXBsYWNlKC9bXkEtWmEtejAtOV8tXS9nLCBcIl9cIil9LmNzdmA7XG5cbmNvbnN0IHdyaXRlTWFuaWZlc3QgPSAobWFuaWZlc3Q6IEV4cG9ydE1hbmlmZXN0KSA9PlxuICBzMy5zZW5kKFxuICAgIG5ldyBQdXRPYmplY3RDb21tYW5kKHtcbiAgICAgIEJ1Y2tldDogRVhQT1JUX0JVQ0tFVCxcbiAgICAgIEtleTogYCR7RVhQT1JUX1BSRUZJWH0ke21hbmlmZXN0LmV4cG9ydElkfS9tYW5pZmVzdC5qc29uYCxcbiAgICAgIEJvZHk6IEpTT04uc3RyaW5naWZ5KG1hbmlmZXN0LCBudWxsLCAyKSxcbiAgICAgIENvbnRlbnRUeXBlOiBcImFwcGxpY2F0aW9uL2pzb25cIixcbiAgICB9KVxuICApO1xuXG4vKipcbiAqIFBhZ2VzIHRocm91Z2ggdGhlIGxpdmUgdmVydGljZXMgb3IgZWRnZXMgb2YgdGhlIHNjaGVtYSByZWdpc3RyeSdzIGxhYmVsc1xuICogaW4gaWQgb3JkZXIgYW5kIHN0YWdlcyBvbmUgSlNPTiBsaW5lIHBlciBlbGVtZW50IGluIGEgZmlsZSBwZXIgbGFiZWwsXG4gKiByZWNvcmRpbmcgZWFjaCBwcm9wZXJ0eSdzIHR5cGUuIEF1ZGl0IGV2ZW50cyBhbmQgdG9tYnN0b25lZCBlbGVtZW50cyBhcmVcbiAqIGxlZnQgb3V0OyBlYWNoIHBhZ2Ugc3RhcnRzIGFmdGVyIHRoZSBsYXN0IGlkIG9mIHRoZSBvbmUgYmVmb3JlLlxuICovXG5jb25zdCBzdGFnZUVsZW1lbnRzID0gYXN5bmMgKGc6IGFueSwga2luZDogXCJ2ZXJ0ZXhcIiB8IFwiZWRnZVwiKTogUHJvbWlzZTxNYXA8c3RyaW5nLCBMYWJlbEZpbGU+PiA9PiB7XG4gIGNvbnN0IGZpbGVzID0gbmV3IE1hcDxzdHJpbmcsIExhYmVsRmlsZT4oKTtcbiAgbGV0IGxhc3RJZDogc3RyaW5nIHwgbnVsbCA9IG51bGw7XG4gIGZvciAoOzspIHtcbiAgICBsZXQgZWxlbWVudHMgPVxuICAgICAga2luZCA9PT0gXCJ2ZXJ0ZXhcIiA/IGcuVigpLmhhc0xhYmVsKC4uLlZFUlRFWF9MQUJFTFMpIDogZy5FKCkuaGFzTGFiZWwoLi4uRURHRV9MQUJFTFMpO1xuICAgIGVsZW1lbnRzID0gZWxlbWVudHMuaGFzTm90KFRPTUJTVE9ORV9QUk9QRVJUWSk7XG4gICAgaWYgKGxhc3RJZCAhPT0gbnVsbCkgZWxlbWVudHMgPSBlbGVtZW50cy5oYXModC5pZCwgUC5ndChsYXN0SWQpKTtcbiAgICBlbGVtZW50cyA9IGVsZW1lbnRzLm9yZGVyKCkuYnkodC5pZCkubGltaXQoRVhQT1JUX1BBR0VfU0laRSk7XG4gICAgY29uc3QgcGFnZSA9XG4gICAgICBraW5kID09PSBcInZlcnRleFwiXG4gICAgICAgID8gYXdhaXQgZWxlbWVudHNcbiAgICAgICAgICAgIC5wcm9qZWN0KFwiaWRcIiwgXCJsYWJlbFwiLCBcInByb3BzXCIpXG4gICAgICAgICAgICAuYnkoX18uaWQoKSlcbiAgICAgICAgICAgIC5ieShfXy5sYWJlbCgpKVxuICAgICAgICAgICAgLmJ5KF9fLnZhbHVlTWFwKCkpXG4gICAgICAgICAgICAudG9MaXN0KClcbiAgICAgICAgOiBhd2FpdCBlbGVtZW50c1xuICAgICAgICAgICAgLnByb2plY3QoXCJpZFwiLCBcImxhYmVsXCIsIFwiZnJvbVwiLCBcInRvXCIsIFwicHJvcHNcIilcbiAgICAgICAgICAgIC5ieShfXy5pZCgpKVxuICAgICAgICAgICAgLmJ5KF9fLmxhYmVsKCkpXG4gICAgICAgICAgICAuYnkoX18ub3V0VigpLmlkKCkpXG4gICAgICAgICAgICAuYnkoX18uaW5WKCkuaWQoKSlcbiAgICAgICAgICAgIC5ieShfXy52YWx1ZU1hcCgpKVxuICAgICAgICAgICAgLnRvTGlzdCgpO1xuXG4gICAgZm9yIChjb25zdCByb3cgb2YgcGFnZSBhcyBhbnlbXSkge1xuICAgICAgbGFzdElkID0gU3RyaW5nKGZpZWxkKHJvdywgXCJpZFwiKSk7XG4gICAgICAvLyBOZXB0dW5lIGpvaW5zIHRoZSBsYWJlbHMgb2YgYSBtdWx0aS1sYWJlbCB2ZXJ0ZXggd2l0aCBcIjo6XCJcbiAgICAgIGNvbnN0IGxhYmVsID0gU3RyaW5nKGZpZWxkKHJvdywgXCJsYWJlbFwiKSkuc3BsaXQoXCI6OlwiKS5qb2luKEFSUkFZX1NFUEFSQVRPUik7XG4gICAgICBsZXQgZmlsZSA9IGZpbGVzLmdldChsYWJlbCk7XG4gICAgICBpZiAoIWZpbGUpIHtcbiAgICAgICAgY29uc3QgcGF0aCA9IGpvaW4oV09SS19ESVIsIGAke2tpbmR9LSR7ZmlsZXMuc2l6ZX0uanNvbmxgKTtcbiAgICAgICAgZmlsZSA9IHsgbGFiZWwsIHBhdGgsIHN0cmVhbTogY3JlYXRlV3JpdGVTdHJlYW0ocGF0aCksIGNvbHVtbnM6IG5ldyBNYXAoKSwgcm93czogMCB9O1xuICAgICAgICBmaWxlcy5zZXQobGFiZWwsIGZpbGUpO1xuICAgICAgfVxuICAgICAgY29uc3QgcHJvcHM6IFJlY29yZDxzdHJpbmcsIHVua25vd25bXT4gPSB7fTtcbiAgICAgIGZvciAoY29uc3QgW25hbWUsIHJhd10gb2YgZW50cmllc09mKGZpZWxkKHJvdywgXCJwcm9wc1wiKSkpIHtcbiAgICAgICAgY29uc3QgdmFsdWVzID0gQXJyYXkuaXNBcnJheShyYXcpID8gcmF3IDogW3Jhd107XG4gICAgICAgIGlmICh2YWx1ZXMubGVuZ3RoID09PSAwKSBjb250aW51ZTtcbiAgICAgICAgcHJvcHNbbmFtZV0gPSB2YWx1ZXM7XG4gICAgICAgIGNvbnN0IGNvbHVtbiA9IGZpbGUuY29sdW1ucy5nZXQobmFtZSk7XG4gICAgICAgIGNvbnN0IHR5cGUgPSB2YWx1ZXMubWFwKHZhbHVlVHlwZSkucmVkdWNlKHdpZGVuKTtcbiAgICAgICAgZmlsZS5jb2x1bW5zLnNldChuYW1lLCB7XG4gICAgICAgICAgdHlwZTogY29sdW1uID8gd2lkZW4oY29sdW1uLnR5cGUsIHR5cGUpIDogdHlwZSxcbiAgICAgICAgICBhcnJheTogKGNvbHVtbj8uYXJyYXkgPz8gZmFsc2UpIHx8IHZhbHVlcy5sZW5ndGggPiAxLFxuICAgICAgICB9KTtcbiAgICAgIH1cbiAgICAgIGNvbnN0IGxpbmUgPSBKU09OLnN0cmluZ2lmeSh7XG4gICAgICAgIGlkOiBTdHJpbmcoZmllbGQocm93LCBcImlkXCIpKSxcbiAgICAgICAgZnJvbToga2luZCA9PT0gXCJlZGdlXCIgPyBTdHJpbmcoZmllbGQocm93LCBcImZyb21cIikpIDogdW5kZWZpbmVkLFxuICAgICAgICB0bzoga2luZCA9PT0gXCJlZGdlXCIgPyBTdHJpbmcoZmllbGQocm93LCBcInRvXCIpKSA6IHVuZGVmaW5lZCxcbiAgICAgICAgLy8gRGF0ZXMgZG8gbm90IHN1cnZpdmUgSlNPTjsgdGhleSBhcmUgd3JpdHRlbiBhcyBJU08tODYwMSBhbnl3YXlcbiAgICAgICAgcHJvcHM6IE9iamVjdC5mcm9tRW50cmllcyhcbiAgICAgICAgICBPYmplY3QuZW50cmllcyhwcm9wcykubWFwKChbbmFtZSwgdmFsdWVzXSkgPT4gW25hbWUsIHZhbHVlcy5tYXAoZm9ybWF0VmFsdWUpXSlcbiAgICAgICAgKSxcbiAgICAgIH0pO1xuICAgICAgaWYgKCFmaWxlLnN0cmVhbS53cml0ZShgJHtsaW5lfVxcbmApKSBhd2FpdCBvbmNlKGZpbGUuc3RyZWFtLCBcImRyYWluXCIpO1xuICAgICAgZmlsZS5yb3dzKys7XG4gICAgfVxuICAgIGlmIChwYWdlLmxlbmd0aCA8IEVYUE9SVF9QQUdFX1NJWkUpIGJyZWFrO1xuICB9XG4gIGZvciAoY29uc3QgZmlsZSBvZiBmaWxlcy52YWx1ZXMoKSkge1xuICAgIGZpbGUuc3RyZWFtLmVuZCgpO1xuICAgIGF3YWl0IG9uY2UoZmlsZS5zdHJlYW0sIFwiZmluaXNoXCIpO1xuICB9XG4gIHJldHVybiBmaWxlcztcbn07XG5cbi8qKiBUdXJucyBhIHN0YWdlZCBsYWJlbCBmaWxlIGludG8gYSBidWxrLWxvYWQgQ1NWIGFuZCB1cGxvYWRzIGl0LiAqL1xuY29uc3QgdXBsb2FkTGFiZWxGaWxlID0gYXN5bmMgKFxuICBraW5kOiBcInZlcnRleFwiIHwgXCJlZGdlXCIsXG4gIGZpbGU6IExhYmVsRmlsZSxcbiAgcHJlZml4OiBzdHJpbmdcbik6IFByb21pc2U8RXhwb3J0RmlsZT4gPT4ge1xuICBjb25zdCBuYW1lcyA9IEFycmF5LmZyb20oZmlsZS5jb2x1bW5zLmtleXMoKSkuc29ydCgpO1xuICBjb25zdCB0eXBlcyA9IG5hbWVzLm1hcCgobmFtZSkgPT4ge1xuICAgIGNvbnN0IGNvbHVtbiA9IGZpbGUuY29sdW1ucy5nZXQobmFtZSkhO1xuICAgIHJldHVybiB7IC4uLmNvbHVtbiwgdHlwZTogaGVhZGVyVHlwZShraW5kLCBmaWxlLmxhYmVsLCBuYW1lLCBjb2x1bW4udHlwZSkgfTtcbiAgfSk7XG4gIGNvbnN0IHN5c3RlbSA9IGtpbmQgPT09IFwidmVydGV4XCIgPyBbXCJ+aWRcIiwgXCJ+bGFiZWxcIl0gOiBbXCJ+aWRcIiwgXCJ+ZnJvbVwiLCBcIn50b1wiLCBcIn5sYWJlbFwiXTtcbiAgY29uc3QgaGVhZGVyID0gW1xuICAgIC4uLnN5c3RlbSxcbiAgICAuLi5uYW1lcy5tYXAoKG5hbWUsIGkpID0+IGAke25hbWV9OiR7dHlwZXNbaV0udHlwZX0ke3R5cGVzW2ldLmFycmF5ID8gXCJbXVwiIDogXCJcIn1gKSxcbiAgXTtcblxuICBjb25zdCBjc3ZQYXRoID0gYCR7ZmlsZS5wYXRofS5jc3ZgO1xuICBjb25zdCBvdXQgPSBjcmVhdGVXcml0ZVN0cmVhbShjc3ZQYXRoKTtcbiAgb3V0LndyaXRlKGAke2hlYWRlci5tYXAoY3N2Q2VsbCkuam9pbihcIixcIil9XFxuYCk7XG4gIGZvciBhd2FpdCAoY29uc3QgbGluZSBvZiBjcmVhdGVJbnRlcmZhY2UoeyBpbnB1dDogY3JlYXRlUmVhZFN0cmVhbShmaWxlLnBhdGgpIH0pKSB7XG4gICAgaWYgKCFsaW5lKSBjb250aW51ZTtcbiAgICBjb25zdCBlbGVtZW50ID0gSlNPTi5wYXJzZShsaW5lKTtcbiAgICBjb25zdCBzeXN0ZW1DZWxscyA9XG4gICAgICBraW5kID09PSBcInZlcnRleFwiXG4gICAgICAgID8gW2VsZW1lbnQuaWQsIGZpbGUubGFiZWxdXG4gICAgICAgIDogW2VsZW1lbnQuaWQsIGVsZW1lbnQuZnJvbSwgZWxlbWVudC50bywgZmlsZS5sYWJlbF07XG4gICAgY29uc3QgcHJvcGVydHlDZWxscyA9IG5hbWVzLm1hcCgobmFtZSwgaSkgPT4ge1xuICAgICAgY29uc3QgdmFsdWVzOiBzdHJpbmdbXSB8IHVuZGVmaW5lZCA9IGVsZW1lbnQucHJvcHNbbmFtZV07XG4gICAgICBpZiAoIXZhbHVlcykgcmV0dXJuIFwiXCI7XG4gICAgICByZXR1cm4gdHlwZXNbaV0uYXJyYXlcbiAgICAgICAgPyB2YWx1ZXMubWFwKCh2YWx1ZSkgPT4gdmFsdWUuc3BsaXQoQVJSQVlfU0VQQVJBVE9SKS5qb2luKGBcXFxcJHtBUlJBWV9TRVBBUkFUT1J9YCkpLmpvaW4oQVJSQVlfU0VQQVJBVE9SKVxuICAgICAgICA6IHZhbHVlc1swXTtcbiAgICB9KTtcbiAgICBjb25zdCByb3cgPSBbLi4uc3lzdGVtQ2VsbHMsIC4uLnByb3BlcnR5Q2VsbHNdLm1hcChjc3ZDZWxsKS5qb2luKFwiLFwiKTtcbiAgICBpZiAoIW91dC53cml0ZShgJHtyb3d9XFxuYCkpIGF3YWl0IG9uY2Uob3V0LCBcImRyYWluXCIpO1xuICB9XG4gIG91dC5lbmQoKTtcbiAgYXdhaXQgb25jZShvdXQsIFwiZmluaXNoXCIpO1xuXG4gIGNvbnN0IGtleSA9IGAke3ByZWZpeH0ke2tpbmQgPT09IFwidmVydGV4XCIgPyBcInZlcnRpY2VzXCIgOiBcImVkZ2VzXCJ9LyR7ZmlsZU5hbWUoZmlsZS5sYWJlbCl9YDtcbiAgY29uc3QgeyBzaXplIH0gPSBhd2FpdCBmcy5zdGF0KGNzdlBhdGgpO1xuICBhd2FpdCBzMy5zZW5kKFxuICAgIG5ldyBQdXRPYmplY3RDb21tYW5kKHtcbiAgICAgIEJ1Y2tldDogRVhQT1JUX0JVQ0tFVCxcbiAgICAgIEtleToga2V5LFxuICAgICAgQm9keTogY3JlYXRlUmVhZFN0cmVhbShjc3ZQYXRoKSxcbiAgICAgIENvbnRlbnRMZW5ndGg6IHNpemUsXG4gICAgICBDb250ZW50VHlwZTogXCJ0ZXh0L2NzdlwiLFxuICAgIH0pXG4gICk7XG4gIGF3YWl0IGZzLnJtKGNzdlBhdGgpO1xuICBhd2FpdCBmcy5ybShmaWxlLnBhdGgpO1xuICByZXR1cm4geyBzM1VyaTogYHMzOi8vJHtFWFBPUlRfQlVDS0VUfS8ke2tleX1gLCBraW5kLCBsYWJlbDogZmlsZS5sYWJlbCwgcm93czogZmlsZS5yb3dzIH07XG59O1xuXG5jb25zdCBydW5FeHBvcnQgPSBhc3luYyAoZXhwb3J0SWQ6IHN0cmluZywgc3RhcnRlZEJ5OiBzdHJpbmcpOiBQcm9taXNlPEV4cG9ydE1hbmlmZXN0PiA9PiB7XG4gIGNvbnN0IHByZWZpeCA9IGAke0VYUE9SVF9QUkVGSVh9JHtleHBvcnRJZH0vYDtcbiAgY29uc3QgbWFuaWZlc3Q6IEV4cG9ydE1hbmlmZXN0ID0ge1xuICAgIGV4cG9ydElkLFxuICAgIHN0YXR1czogXCJSVU5OSU5HXCIsXG4gICAgc3RhcnRlZEJ5LFxuICAgIHN0YXJ0ZWRBdDogbmV3IERhdGUoKS50b0lTT1N0cmluZygpLFxuICAgIGZpbmlzaGVkQXQ6IG51bGwsXG4gICAgcHJlZml4OiBgczM6Ly8ke0VYUE9SVF9CVUNLRVR9LyR7cHJlZml4fWAsXG4gICAgdmVydGV4Q291bnQ6IDAsXG4gICAgZWRnZUNvdW50OiAwLFxuICAgIGZpbGVzOiBbXSxcbiAgICBlcnJvcjogbnVsbCxcbiAgfTtcbiAgYXdhaXQgd3JpdGVNYW5pZmVzdChtYW5pZmVzdCk7XG5cbiAgY29uc3QgeyB1cmwsIGhlYWRlcnMgfSA9IGdldFVybEFuZEhlYWRlcnMoXG4gICAgcHJvY2Vzcy5lbnYuTkVQVFVORV9FTkRQT0lOVCxcbiAgICBwcm9jZXNzLmVudi5ORVBUVU5FX1BPUlQsXG4gICAge30sXG4gICAgXCIvZ3JlbWxpblwiLFxuICAgIFwid3NzXCJcbiAgKTtcbiAgY29uc3QgY29ubiA9IG5ldyBEcml2ZXJSZW1vdGVDb25uZWN0aW9uKHVybCwge1xuICAgIG1pbWVUeXBlOiBcImFwcGxpY2F0aW9uL3ZuZC5ncmVtbGluLXYyLjAranNvblwiLFxuICAgIGhlYWRlcnM6IGhlYWRlcnMsXG4gIH0pO1xuICBjb25zdCBnID0gdHJhdmVyc2FsKCkud2l0aFJlbW90ZShjb25uKTtcblxuICB0cnkge1xuICAgIGF3YWl0IGZzLnJtKFdPUktfRElSLCB7IHJlY3Vyc2l2ZTogdHJ1ZSwgZm9yY2U6IHRydWUgfSk7XG4gICAgYXdhaXQgZnMubWtkaXIoV09SS19ESVIsIHsgcmVjdXJzaXZlOiB0cnVlIH0pO1xuICAgIGZvciAoY29uc3Qga2luZCBvZiBbXCJ2ZXJ0ZXhcIiwgXCJlZGdlXCJdIGFzIGNvbnN0KSB7XG4gICAgICBjb25zdCBmaWxlcyA9IGF3YWl0IHN0YWdlRWxlbWVudHMoZywga2luZCk7XG4gICAgICBmb3IgKGNvbnN0IGZpbGUgb2YgZmlsZXMudmFsdWVzKCkpIHtcbiAgICAgICAgY29uc3QgZXhwb3J0ZWQgPSBhd2FpdCB1cGxvYWRMYWJlbEZpbGUoa2luZCwgZmlsZSwgcHJlZml4KTtcbiAgICAgICAgbWFuaWZlc3QuZmlsZXMucHVzaChleHBvcnRlZCk7XG4gICAgICAgIGlmIChraW5kID09PSBcInZlcnRleFwiKSBtYW5pZmVzdC52ZXJ0ZXhDb3VudCArPSBleHBvcnRlZC5yb3dzO1xuICAgICAgICBlbHNlIG1hbmlmZXN0LmVkZ2VDb3VudCArPSBleHBvcnRlZC5yb3dzO1xuICAgICAgfVxuICAgIH1cbiAgICBtYW5pZmVzdC5zdGF0dXMgPSBcIkNPTVBMRVRFRFwiO1xuICB9IGNhdGNoIChlcnJvcjogdW5rbm93bikge1xuICAgIGNvbnNvbGUuZXJyb3IoXCJFeHBvcnQgZmFpbGVkOlwiLCBlcnJvcik7XG4gICAgbWFuaWZlc3Quc3RhdHVzID0gXCJGQUlMRURcIjtcbiAgICBtYW5pZmVzdC5lcnJvciA9IGVycm9yIGluc3RhbmNlb2YgRXJyb3IgPyBlcnJvci5tZXNzYWdlIDogU3RyaW5nKGVycm9yKTtcbiAgfSBmaW5hbGx5IHtcbiAgICBhd2FpdCBjb25uLmNsb3NlKCk7XG4gICAgYXdhaXQgZnMucm0oV09SS19ESVIsIHsgcmVjdXJzaXZlOiB0cnVlLCBmb3JjZTogdHJ1ZSB9KTtcbiAgfVxuICBtYW5pZmVzdC5maW5pc2hlZEF0ID0gbmV3IERhdGUoKS50b0lTT1N0cmluZygpO1xuICBhd2FpdCB3cml0ZU1hbmlmZXN0KG1hbmlmZXN0KTtcbiAgY29uc29sZS5sb2coXCJFeHBvcnQgZmluaXNoZWQ6XCIsIEpTT04uc3RyaW5naWZ5KHsgLi4ubWFuaWZlc3QsIGZpbGVzOiBtYW5pZmVzdC5maWxlcy5sZW5ndGggfSkpO1xuICByZXR1cm4gbWFuaWZlc3Q7XG59O1xuXG4vLyBNYW5pZmVzdHMgb2YgdGhlIG1vc3QgcmVjZW50IGV4cG9ydHM7IGV4cG9ydCBpZHMgc29ydCBieSBzdGFydCB0aW1lXG5jb25zdCBsaXN0RXhwb3J0cyA9IGFzeW5jIChsaW1pdDogbnVtYmVyKTogUHJvbWlzZTxFeHBvcnRNYW5pZmVzdFtdPiA9PiB7XG4gIGNvbnN0IGlkczogc3RyaW5nW10gPSBbXTtcbiAgbGV0IHRva2VuOiBzdHJpbmcgfCB1bmRlZmluZWQ7XG4gIGRvIHtcbiAgICBjb25zdCBwYWdlID0gYXdhaXQgczMuc2VuZChcbiAgICAgIG5ldyBMaXN0T2JqZWN0c1YyQ29tbWFuZCh7XG4gICAgICAgIEJ1Y2tldDogRVhQT1JUX0JVQ0tFVCxcbiAgICAgICAgUHJlZml4OiBFWFBPUlRfUFJFRklYLFxuICAgICAgICBEZWxpbWl0ZXI6IFwiL1wiLFxuICAgICAgICBDb250aW51YXRpb25Ub2tlbjogdG9rZW4sXG4gICAgICB9KVxuICAgICk7XG4gICAgZm9yIChjb25zdCBjb21tb24gb2YgcGFnZS5Db21tb25QcmVmaXhlcyA/PyBbXSkge1xuICAgICAgaWRzLnB1c2goY29tbW9uLlByZWZpeCEuc2xpY2UoRVhQT1JUX1BSRUZJWC5sZW5ndGgsIC0xKSk7XG4gICAgfVxuICAgIHRva2VuID0gcGFnZS5OZXh0Q29udGludWF0aW9uVG9rZW47XG4gIH0gd2hpbGUgKHRva2VuKTtcblxuICBjb25zdCByZWNlbnQgPSBpZHMuc29ydCgpLnJldmVyc2UoKS5zbGljZSgwLCBsaW1pdCk7XG4gIGNvbnN0IG1hbmlmZXN0cyA9IGF3YWl0IFByb21pc2UuYWxsKFxuICAgIHJlY2VudC5tYXAoYXN5bmMgKGV4cG9ydElkKSA9PiB7XG4gICAgICB0cnkge1xuICAgICAgICBjb25zdCB7IEJvZHkgfSA9IGF3YWl0IHMzLnNlbmQoXG4gICAgICAgICAgbmV3IEdldE9iamVjdENvbW1hbmQoe1xuICAgICAgICAgICAgQnVja2V0OiBFWFBPUlRfQlVDS0VULFxuICAgICAgICAgICAgS2V5OiBgJHtFWFBPUlRfUFJFRklYfSR7ZXhwb3J0SWR9L21hbmlmZXN0Lmpzb25gLFxuICAgICAgICAgIH0pXG4gICAgICAgICk7XG4gICAgICAgIHJldHVybiBKU09OLnBhcnNlKChhd2FpdCBCb2R5IS50cmFuc2Zvcm1Ub1N0cmluZyhcInV0ZjhcIikpIHx8IFwibnVsbFwiKSBhcyBFeHBvcnRNYW5pZmVzdDtcbiAgICAgIH0gY2F0Y2ggKGVycm9yOiB1bmtub3duKSB7XG4gICAgICAgIGNvbnNvbGUud2FybihcIlVucmVhZGFibGUgZXhwb3J0IG1hbmlmZXN0XCIsIGV4cG9ydElkLCBlcnJvcik7XG4gICAgICAgIHJldHVybiBudWxsO1xuICAgICAgfVxuICAgIH0pXG4gICk7XG4gIHJldHVybiBtYW5pZmVzdHMuZmlsdGVyKChtYW5pZmVzdCk6IG1hbmlmZXN0IGlzIEV4cG9ydE1hbmlmZXN0ID0+IG1hbmlmZXN0ICE9PSBudWxsKTtcbn07XG5cbi8vIFNvcnRhYmxlIGFuZCB1bmlxdWUsIGUuZy4gMjAyNC0wNi0wMVQxOS0wMC0wMFotMWEyYjNjNGQ7IGV4cG9ydEdyYXBoLnZ0bFxuLy8gYnVpbGRzIHRoZSBzYW1lIHNoYXBlXG5jb25zdCBFWFBPUlRfSURfUEFUVEVSTiA9IC9eXFxkezR9LVxcZHsyfS1cXGR7Mn1UXFxkezJ9LVxcZHsyfS1cXGR7Mn1aLVswLTlhLWZdezh9JC87XG5cbmNvbnN0IG5ld0V4cG9ydElkID0gKCkgPT5cbiAgYCR7bmV3IERhdGUoKS50b0lTT1N0cmluZygpLnJlcGxhY2UoL1xcLlxcZCtaJC8sIFwiWlwiKS5yZXBsYWNlKC86L2csIFwiLVwiKX0tJHtyYW5kb21VVUlEKCkuc2xpY2UoMCwgOCl9YDtcblxuZXhwb3J0IGNvbnN0IGhhbmRsZXI6IEhhbmRsZXIgPSBhc3luYyAoZXZlbnQpID0+IHtcbiAgLy8gQXBwU3luYyByZXNvbHZlcnMgY2FycnkgdGhlIGZpZWxkOyB0aGUgc2NoZWR1bGUgc2VuZHMgeyBzb3VyY2UgfVxuICBpZiAoIWV2ZW50LmZpZWxkKSB7XG4gICAgcmV0dXJuIHJ1bkV4cG9ydChuZXdFeHBvcnRJZCgpLCBTdHJpbmcoZXZlbnQuc291cmNlID8/IFwic2NoZWR1bGVcIikpO1xuICB9XG5cbiAgY29uc29sZS5sb2coXCJFeHBvcnQgZXZlbnQ6XCIsIEpTT04uc3RyaW5naWZ5KHsgZmllbGQ6IGV2ZW50LmZpZWxkLCBhcmd1bWVudHM6IGV2ZW50LmFyZ3VtZW50cyB9KSk7XG4gIHRyeSB7XG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcImdldEV4cG9ydHNcIikge1xuICAgICAgcmVxdWlyZVJvbGUoZXZlbnQuaWRlbnRpdHksIFwiQWRtaW5cIiwgZXZlbnQuZmllbGQpO1xuICAgICAgY29uc3QgbGltaXQgPSBNYXRoLm1pbihNYXRoLm1heChldmVudC5hcmd1bWVudHMubGltaXQgPz8gREVGQVVMVF9FWFBPUlRfTElNSVQsIDEpLCAxMDApO1xuICAgICAgcmV0dXJuIGF3YWl0IGxpc3RFeHBvcnRzKGxpbWl0KTtcbiAgICB9XG5cbiAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwiZXhwb3J0R3JhcGhcIikge1xuICAgICAgLy8gSW52b2tlZCBhc3luY2hyb25vdXNseTogdGhlIHJlc29sdmVyIGFscmVhZHkgYW5zd2VyZWQgd2l0aCB0aGUgaWRcbiAgICAgIC8vIGZyb20gdGhlIHJlcXVlc3QgbWFwcGluZyB0ZW1wbGF0ZSwgc28gbm90aGluZyBpcyByZXR1cm5lZFxuICAgICAgcmVxdWlyZVJvbGUoZXZlbnQuaWRlbnRpdHksIFwiQWRtaW5cIiwgZXZlbnQuZmllbGQpO1xuICAgICAgaWYgKCFFWFBPUlRfSURfUEFUVEVSTi50ZXN0KFN0cmluZyhldmVudC5leHBvcnRJZCkpKSB7XG4gICAgICAgIHRocm93IHZhbGlkYXRpb25FcnJvcihgSW52YWxpZCBleHBvcnQgaWQ6ICR7ZXZlbnQuZXhwb3J0SWR9YCk7XG4gICAgICB9XG4gICAgICBhd2FpdCBydW5FeHBvcnQoXG4gICAgICAgIGV2ZW50LmV4cG9ydElkLFxuICAgICAgICBTdHJpbmcoZXZlbnQuaWRlbnRpdHk/LnVzZXJuYW1lID8/IGV2ZW50LmlkZW50aXR5Py5zdWIgPz8gXCJ1bmtub3duXCIpXG4gICAgICApO1xuICAgICAgcmV0dXJuIG51bGw7XG4gICAgfVxuXG4gICAgdGhyb3cgdmFsaWRhdGlvbkVycm9yKGBVbmtub3duIGZpZWxkOiAke2V2ZW50LmZpZWxkfWApO1xuICB9IGNhdGNoIChlcnJvcjogdW5rbm93bikge1xuICAgIGNvbnNvbGUuZXJyb3IoXCJFeHBvcnQgZXJyb3I6XCIsIGVycm9yKTtcbiAgICByZXR1cm4gdG9FcnJvclJlc3VsdChlcnJvcik7XG4gIH1cbn07XG4iXX0=
\ No newline at end of file
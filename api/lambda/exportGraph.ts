@@ -0,0 +1,425 @@
+import { Handler } from "aws-lambda";
+
+import { randomUUID } from "crypto";
+import { createReadStream, createWriteStream, promises as fs } from "fs";
+import { once } from "events";
+import { join } from "path";
+import { createInterface } from "readline";
+import * as gremlin from "gremlin";
+import { getUrlAndHeaders } from "gremlin-aws-sigv4/lib/utils";
+import {
+  GetObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+import { EDGE_SCHEMAS, PropertyType, VERTEX_SCHEMAS } from "./shared/schemaRegistry";
+import { toErrorResult, validationError } from "./shared/errors";
+import { requireRole } from "./shared/roles";
+import {
+  EDGE_LABELS,
+  TOMBSTONE_PROPERTY,
+  VERTEX_LABELS,
+  isInternalProperty,
+} from "./shared/graphModel";
+
+const DriverRemoteConnection = gremlin.driver.DriverRemoteConnection;
+const traversal = gremlin.process.AnonymousTraversalSource.traversal;
+const __ = gremlin.process.statics;
+const P = gremlin.process.P;
+const t = gremlin.process.t;
+
+// Logical backup of the graph as Neptune bulk-load CSV, one file per vertex
+// and edge label under s3://EXPORT_BUCKET/exports/<export id>/. Loading
+// vertices/ and then edges/ with the Function URL recreates the graph.
+// Started by the exportGraph mutation (invoked asynchronously by AppSync)
+// or by the weekly schedule; manifest.json tracks each export.
+
+const s3 = new S3Client({});
+const EXPORT_BUCKET = process.env.EXPORT_BUCKET!;
+const EXPORT_PREFIX = "exports/";
+
+// Elements read per round trip
+const EXPORT_PAGE_SIZE = 2000;
+const DEFAULT_EXPORT_LIMIT = 20;
+
+// Rows are staged in /tmp until a label's columns are known
+const WORK_DIR = "/tmp/export";
+
+// Separator of array values; a literal one is escaped with a backslash
+const ARRAY_SEPARATOR = ";";
+
+const NUMERIC_TYPES: PropertyType[] = ["Byte", "Short", "Int", "Long", "Float", "Double"];
+const INTEGER_TYPES: PropertyType[] = ["Byte", "Short", "Int", "Long"];
+
+export interface ExportFile {
+  s3Uri: string;
+  kind: "vertex" | "edge";
+  label: string;
+  rows: number;
+}
+
+export interface ExportManifest {
+  exportId: string;
+  status: "RUNNING" | "COMPLETED" | "FAILED";
+  startedBy: string;
+  startedAt: string;
+  finishedAt: string | null;
+  // s3:// URI of the export folder
+  prefix: string;
+  vertexCount: number;
+  edgeCount: number;
+  files: ExportFile[];
+  error: string | null;
+}
+
+interface Column {
+  type: PropertyType;
+  array: boolean;
+}
+
+// Rows of one label while an export runs
+interface LabelFile {
+  label: string;
+  path: string;
+  stream: ReturnType<typeof createWriteStream>;
+  columns: Map<string, Column>;
+  rows: number;
+}
+
+const field = (row: any, key: string) => (row instanceof Map ? row.get(key) : row[key]);
+
+// Properties that belong in an export, by the rules of toPropertyList
+const entriesOf = (props: any): Array<[string, unknown]> =>
+  (props instanceof Map ? Array.from(props.entries()) : Object.entries(props ?? {})).filter(
+    ([name]) => !isInternalProperty(String(name))
+  );
+
+const valueType = (value: unknown): PropertyType => {
+  if (typeof value === "boolean") return "Bool";
+  if (value instanceof Date) return "Date";
+  if (typeof value === "number") {
+    if (!Number.isInteger(value)) return "Double";
+    return Math.abs(value) <= 2147483647 ? "Int" : "Long";
+  }
+  return "String";
+};
+
+// The narrowest type that holds values of both types
+const widen = (a: PropertyType, b: PropertyType): PropertyType => {
+  if (a === b) return a;
+  if (NUMERIC_TYPES.includes(a) && NUMERIC_TYPES.includes(b)) {
+    return INTEGER_TYPES.includes(a) && INTEGER_TYPES.includes(b) ? "Long" : "Double";
+  }
+  return "String";
+};
+
+/**
+ * The header type of a column. Stored values decide, but numbers lose their
+ * width on the way out of Neptune (2.0 arrives as 2), so a numeric type in
+ * the schema registry wins over a narrower inferred one.
+ */
+const headerType = (
+  kind: "vertex" | "edge",
+  label: string,
+  name: string,
+  inferred: PropertyType
+): PropertyType => {
+  const schemas = kind === "vertex" ? VERTEX_SCHEMAS : EDGE_SCHEMAS;
+  const declared = label
+    .split(ARRAY_SEPARATOR)
+    .map((one) => schemas[one]?.[name]?.type)
+    .find(Boolean);
+  if (!declared || !NUMERIC_TYPES.includes(declared) || !NUMERIC_TYPES.includes(inferred)) {
+    return inferred;
+  }
+  if (INTEGER_TYPES.includes(declared) && inferred === "Double") return "Double";
+  if (INTEGER_TYPES.includes(declared) && inferred === "Long") return "Long";
+  return declared;
+};
+
+const formatValue = (value: unknown): string =>
+  value instanceof Date ? value.toISOString() : String(value);
+
+const csvCell = (text: string): string =>
+  /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+
+const fileName = (label: string) => `${label.replace(/[^A-Za-z0-9_-]/g, "_")}.csv`;
+
+const writeManifest = (manifest: ExportManifest) =>
+  s3.send(
+    new PutObjectCommand({
+      Bucket: EXPORT_BUCKET,
+      Key: `${EXPORT_PREFIX}${manifest.exportId}/manifest.json`,
+      Body: JSON.stringify(manifest, null, 2),
+      ContentType: "application/json",
+    })
+  );
+
+/**
+ * Pages through the live vertices or edges of the schema registry's labels
+ * in id order and stages one JSON line per element in a file per label,
+ * recording each property's type. Audit events and tombstoned elements are
+ * left out; each page starts after the last id of the one before.
+ */
+const stageElements = async (g: any, kind: "vertex" | "edge"): Promise<Map<string, LabelFile>> => {
+  const files = new Map<string, LabelFile>();
+  let lastId: string | null = null;
+  for (;;) {
+    let elements =
+      kind === "vertex" ? g.V().hasLabel(...VERTEX_LABELS) : g.E().hasLabel(...EDGE_LABELS);
+    elements = elements.hasNot(TOMBSTONE_PROPERTY);
+    if (lastId !== null) elements = elements.has(t.id, P.gt(lastId));
+    elements = elements.order().by(t.id).limit(EXPORT_PAGE_SIZE);
+    const page =
+      kind === "vertex"
+        ? await elements
+            .project("id", "label", "props")
+            .by(__.id())
+            .by(__.label())
+            .by(__.valueMap())
+            .toList()
+        : await elements
+            .project("id", "label", "from", "to", "props")
+            .by(__.id())
+            .by(__.label())
+            .by(__.outV().id())
+            .by(__.inV().id())
+            .by(__.valueMap())
+            .toList();
+
+    for (const row of page as any[]) {
+      lastId = String(field(row, "id"));
+      // Neptune joins the labels of a multi-label vertex with "::"
+      const label = String(field(row, "label")).split("::").join(ARRAY_SEPARATOR);
+      let file = files.get(label);
+      if (!file) {
+        const path = join(WORK_DIR, `${kind}-${files.size}.jsonl`);
+        file = { label, path, stream: createWriteStream(path), columns: new Map(), rows: 0 };
+        files.set(label, file);
+      }
+      const props: Record<string, unknown[]> = {};
+      for (const [name, raw] of entriesOf(field(row, "props"))) {
+        const values = Array.isArray(raw) ? raw : [raw];
+        if (values.length === 0) continue;
+        props[name] = values;
+        const column = file.columns.get(name);
+        const type = values.map(valueType).reduce(widen);
+        file.columns.set(name, {
+          type: column ? widen(column.type, type) : type,
+          array: (column?.array ?? false) || values.length > 1,
+        });
+      }
+      const line = JSON.stringify({
+        id: String(field(row, "id")),
+        from: kind === "edge" ? String(field(row, "from")) : undefined,
+        to: kind === "edge" ? String(field(row, "to")) : undefined,
+        // Dates do not survive JSON; they are written as ISO-8601 anyway
+        props: Object.fromEntries(
+          Object.entries(props).map(([name, values]) => [name, values.map(formatValue)])
+        ),
+      });
+      if (!file.stream.write(`${line}\n`)) await once(file.stream, "drain");
+      file.rows++;
+    }
+    if (page.length < EXPORT_PAGE_SIZE) break;
+  }
+  for (const file of files.values()) {
+    file.stream.end();
+    await once(file.stream, "finish");
+  }
+  return files;
+};
+
+/** Turns a staged label file into a bulk-load CSV and uploads it. */
+const uploadLabelFile = async (
+  kind: "vertex" | "edge",
+  file: LabelFile,
+  prefix: string
+): Promise<ExportFile> => {
+  const names = Array.from(file.columns.keys()).sort();
+  const types = names.map((name) => {
+    const column = file.columns.get(name)!;
+    return { ...column, type: headerType(kind, file.label, name, column.type) };
+  });
+  const system = kind === "vertex" ? ["~id", "~label"] : ["~id", "~from", "~to", "~label"];
+  const header = [
+    ...system,
+    ...names.map((name, i) => `${name}:${types[i].type}${types[i].array ? "[]" : ""}`),
+  ];
+
+  const csvPath = `${file.path}.csv`;
+  const out = createWriteStream(csvPath);
+  out.write(`${header.map(csvCell).join(",")}\n`);
+  for await (const line of createInterface({ input: createReadStream(file.path) })) {
+    if (!line) continue;
+    const element = JSON.parse(line);
+    const systemCells =
+      kind === "vertex"
+        ? [element.id, file.label]
+        : [element.id, element.from, element.to, file.label];
+    const propertyCells = names.map((name, i) => {
+      const values: string[] | undefined = element.props[name];
+      if (!values) return "";
+      return types[i].array
+        ? values.map((value) => value.split(ARRAY_SEPARATOR).join(`\\${ARRAY_SEPARATOR}`)).join(ARRAY_SEPARATOR)
+        : values[0];
+    });
+    const row = [...systemCells, ...propertyCells].map(csvCell).join(",");
+    if (!out.write(`${row}\n`)) await once(out, "drain");
+  }
+  out.end();
+  await once(out, "finish");
+
+  const key = `${prefix}${kind === "vertex" ? "vertices" : "edges"}/${fileName(file.label)}`;
+  const { size } = await fs.stat(csvPath);
+  await s3.send(
+    new PutObjectCommand({
+      Bucket: EXPORT_BUCKET,
+      Key: key,
+      Body: createReadStream(csvPath),
+      ContentLength: size,
+      ContentType: "text/csv",
+    })
+  );
+  await fs.rm(csvPath);
+  await fs.rm(file.path);
+  return { s3Uri: `s3://${EXPORT_BUCKET}/${key}`, kind, label: file.label, rows: file.rows };
+};
+
+const runExport = async (exportId: string, startedBy: string): Promise<ExportManifest> => {
+  const prefix = `${EXPORT_PREFIX}${exportId}/`;
+  const manifest: ExportManifest = {
+    exportId,
+    status: "RUNNING",
+    startedBy,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    prefix: `s3://${EXPORT_BUCKET}/${prefix}`,
+    vertexCount: 0,
+    edgeCount: 0,
+    files: [],
+    error: null,
+  };
+  await writeManifest(manifest);
+
+  const { url, headers } = getUrlAndHeaders(
+    process.env.NEPTUNE_ENDPOINT,
+    process.env.NEPTUNE_PORT,
+    {},
+    "/gremlin",
+    "wss"
+  );
+  const conn = new DriverRemoteConnection(url, {
+    mimeType: "application/vnd.gremlin-v2.0+json",
+    headers: headers,
+  });
+  const g = traversal().withRemote(conn);
+
+  try {
+    await fs.rm(WORK_DIR, { recursive: true, force: true });
+    await fs.mkdir(WORK_DIR, { recursive: true });
+    for (const kind of ["vertex", "edge"] as const) {
+      const files = await stageElements(g, kind);
+      for (const file of files.values()) {
+        const exported = await uploadLabelFile(kind, file, prefix);
+        manifest.files.push(exported);
+        if (kind === "vertex") manifest.vertexCount += exported.rows;
+        else manifest.edgeCount += exported.rows;
+      }
+    }
+    manifest.status = "COMPLETED";
+  } catch (error: unknown) {
+    console.error("Export failed:", error);
+    manifest.status = "FAILED";
+    manifest.error = error instanceof Error ? error.message : String(error);
+  } finally {
+    await conn.close();
+    await fs.rm(WORK_DIR, { recursive: true, force: true });
+  }
+  manifest.finishedAt = new Date().toISOString();
+  await writeManifest(manifest);
+  console.log("Export finished:", JSON.stringify({ ...manifest, files: manifest.files.length }));
+  return manifest;
+};
+
+// Manifests of the most recent exports; export ids sort by start time
+const listExports = async (limit: number): Promise<ExportManifest[]> => {
+  const ids: string[] = [];
+  let token: string | undefined;
+  do {
+    const page = await s3.send(
+      new ListObjectsV2Command({
+        Bucket: EXPORT_BUCKET,
+        Prefix: EXPORT_PREFIX,
+        Delimiter: "/",
+        ContinuationToken: token,
+      })
+    );
+    for (const common of page.CommonPrefixes ?? []) {
+      ids.push(common.Prefix!.slice(EXPORT_PREFIX.length, -1));
+    }
+    token = page.NextContinuationToken;
+  } while (token);
+
+  const recent = ids.sort().reverse().slice(0, limit);
+  const manifests = await Promise.all(
+    recent.map(async (exportId) => {
+      try {
+        const { Body } = await s3.send(
+          new GetObjectCommand({
+            Bucket: EXPORT_BUCKET,
+            Key: `${EXPORT_PREFIX}${exportId}/manifest.json`,
+          })
+        );
+        return JSON.parse((await Body!.transformToString("utf8")) || "null") as ExportManifest;
+      } catch (error: unknown) {
+        console.warn("Unreadable export manifest", exportId, error);
+        return null;
+      }
+    })
+  );
+  return manifests.filter((manifest): manifest is ExportManifest => manifest !== null);
+};
+
+// Sortable and unique, e.g. 2024-06-01T19-00-00Z-1a2b3c4d; exportGraph.vtl
+// builds the same shape
+const EXPORT_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}Z-[0-9a-f]{8}$/;
+
+const newExportId = () =>
+  `${new Date().toISOString().replace(/\.\d+Z$/, "Z").replace(/:/g, "-")}-${randomUUID().slice(0, 8)}`;
+
+export const handler: Handler = async (event) => {
+  // AppSync resolvers carry the field; the schedule sends { source }
+  if (!event.field) {
+    return runExport(newExportId(), String(event.source ?? "schedule"));
+  }
+
+  console.log("Export event:", JSON.stringify({ field: event.field, arguments: event.arguments }));
+  try {
+    if (event.field === "getExports") {
+      requireRole(event.identity, "Admin", event.field);
+      const limit = Math.min(Math.max(event.arguments.limit ?? DEFAULT_EXPORT_LIMIT, 1), 100);
+      return await listExports(limit);
+    }
+
+    if (event.field === "exportGraph") {
+      // Invoked asynchronously: the resolver already answered with the id
+      // from the request mapping template, so nothing is returned
+      requireRole(event.identity, "Admin", event.field);
+      if (!EXPORT_ID_PATTERN.test(String(event.exportId))) {
+        throw validationError(`Invalid export id: ${event.exportId}`);
+      }
+      await runExport(
+        event.exportId,
+        String(event.identity?.username ?? event.identity?.sub ?? "unknown")
+      );
+      return null;
+    }
+
+    throw validationError(`Unknown field: ${event.field}`);
+  } catch (error: unknown) {
+    console.error("Export error:", error);
+    return toErrorResult(error);
+  }
+};
@@ -0,0 +1,33 @@
+import { LoadRecord } from "./loadHistory";
+export declare const IMPORT_PREFIX = "imports/";
+export interface ImportUpload {
+    fileName: string;
+    key: string;
+    s3Uri: string;
+    uploadUrl: string;
+}
+export interface ImportStatus {
+    importId: string;
+    status: "STARTING" | "INVALID" | "LOADING" | "COMPLETED" | "FAILED";
+    startedBy: string;
+    startedAt: string;
+    finishedAt: string | null;
+    loads: LoadRecord[];
+    validation: string | null;
+    trackingTimedOut?: boolean;
+    reindexStarted?: boolean;
+    error: string | null;
+}
+export declare class ImportError extends Error {
+    constructor(message: string);
+}
+/** The `s3://` URI prefix of the staging area, for the allowed sources. */
+export declare const importSourcePrefix: () => string;
+/** One presigned PUT URL per file, all under a new upload id. */
+export declare const createUploads: (fileNames: string[], owner: string) => Promise<ImportUpload[]>;
+/** S3 URIs of staged keys, which must be uploads of `owner`. */
+export declare const importSources: (keys: string[], owner: string) => string[];
+export declare const isImportId: (importId: string) => boolean;
+export declare const writeImportStatus: (owner: string, status: ImportStatus) => Promise<void>;
+/** The import of `owner` with this id, or null if there is none. */
+export declare const readImportStatus: (owner: string, importId: string) => Promise<ImportStatus | null>;
@@ -0,0 +1,125 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.readImportStatus = exports.writeImportStatus = exports.isImportId = exports.importSources = exports.createUploads = exports.importSourcePrefix = exports.ImportError = exports.IMPORT_PREFIX = void 0;
+const crypto_1 = require("crypto");
+const client_s3_1 = require("@aws-sdk/client-s3");
+const signature_v4_1 = require("@smithy/signature-v4");
+const credential_provider_node_1 = require("@aws-sdk/credential-provider-node");
+const sha256_js_1 = require("@aws-crypto/sha256-js");
+const protocol_http_1 = require("@smithy/protocol-http");
+const loadTracker_1 = require("./loadTracker");
+// Staging uploads of the Import page. Each batch of files goes to
+// imports/<user sub>/<upload id>/ in the IMPORT_BUCKET bucket through
+// presigned PUT URLs, and loads may only use the caller's own objects. The
+// progress of each import is kept next to them, in
+// imports/<user sub>/<import id>/import.json.
+const s3 = new client_s3_1.S3Client({});
+const IMPORT_BUCKET = process.env.IMPORT_BUCKET;
+exports.IMPORT_PREFIX = "imports/";
+// Import ids come from $util.autoId() in startImport.vtl
+const IMPORT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+// Long enough to upload large files over a slow connection
+const UPLOAD_URL_EXPIRES_SECONDS = 15 * 60;
+const MAX_FILES_PER_UPLOAD = 20;
+const signer = new signature_v4_1.SignatureV4({
+    region: loadTracker_1.region,
+    service: "s3",
+    sha256: sha256_js_1.Sha256,
+    credentials: (0, credential_provider_node_1.defaultProvider)(),
+    // Keys are encoded once, as S3 expects
+    uriEscapePath: false,
+});
+class ImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "ImportError";
+    }
+}
+exports.ImportError = ImportError;
+/** The `s3://` URI prefix of the staging area, for the allowed sources. */
+const importSourcePrefix = () => `s3://${IMPORT_BUCKET}/${exports.IMPORT_PREFIX}`;
+exports.importSourcePrefix = importSourcePrefix;
+const ownerPrefix = (owner) => `${exports.IMPORT_PREFIX}${owner}/`;
+// Keeps names readable in S3 and in the load history
+const safeFileName = (fileName) => {
+    const base = fileName.split(/[\\/]/).pop().replace(/[^A-Za-z0-9._-]/g, "_");
+    if (!base.toLowerCase().endsWith(".csv")) {
+        throw new ImportError(`Only .csv files can be imported: ${fileName}`);
+    }
+    return base;
+};
+const presignPut = async (key) => {
+    const hostname = `${IMPORT_BUCKET}.s3.${loadTracker_1.region}.amazonaws.com`;
+    const path = `/${key.split("/").map(encodeURIComponent).join("/")}`;
+    const request = await signer.presign(new protocol_http_1.HttpRequest({
+        method: "PUT",
+        protocol: "https:",
+        hostname,
+        path,
+        headers: { host: hostname, "x-amz-content-sha256": "UNSIGNED-PAYLOAD" },
+    }), { expiresIn: UPLOAD_URL_EXPIRES_SECONDS });
+    const query = new URLSearchParams(request.query);
+    return `https://${hostname}${path}?${query}`;
+};
+/** One presigned PUT URL per file, all under a new upload id. */
+const createUploads = async (fileNames, owner) => {
+    if (fileNames.length === 0 || fileNames.length > MAX_FILES_PER_UPLOAD) {
+        throw new ImportError(`Upload between 1 and ${MAX_FILES_PER_UPLOAD} files`);
+    }
+    const names = fileNames.map(safeFileName);
+    if (new Set(names).size !== names.length) {
+        throw new ImportError("File names must be unique");
+    }
+    const folder = `${ownerPrefix(owner)}${(0, crypto_1.randomUUID)()}/`;
+    return Promise.all(fileNames.map(async (fileName, i) => {
+        const key = `${folder}${names[i]}`;
+        return {
+            fileName,
+            key,
+            s3Uri: `s3://${IMPORT_BUCKET}/${key}`,
+            uploadUrl: await presignPut(key),
+        };
+    }));
+};
+exports.createUploads = createUploads;
+// A key createUploads issued: <upload id>/<file name> under the owner's
+// prefix. The loader reads a source as a prefix, so anything shorter would
+// load every object under it, other uploads and import.json included.
+const UPLOAD_KEY_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\/[A-Za-z0-9._-]+\.csv$/i;
+/** S3 URIs of staged keys, which must be uploads of `owner`. */
+const importSources = (keys, owner) => keys.map((key) => {
+    const prefix = ownerPrefix(owner);
+    if (!key.startsWith(prefix) || !UPLOAD_KEY_PATTERN.test(key.slice(prefix.length))) {
+        throw new ImportError(`Not one of your uploads: ${key}`);
+    }
+    return `s3://${IMPORT_BUCKET}/${key}`;
+});
+exports.importSources = importSources;
+const isImportId = (importId) => IMPORT_ID_PATTERN.test(importId);
+exports.isImportId = isImportId;
+const statusKey = (owner, importId) => `${ownerPrefix(owner)}${importId}/import.json`;
+const writeImportStatus = async (owner, status) => {
+    await s3.send(new client_s3_1.PutObjectCommand({
+        Bucket: IMPORT_BUCKET,
+        Key: statusKey(owner, status.importId),
+        Body: JSON.stringify(status),
+        ContentType: "application/json",
+    }));
+};
+exports.writeImportStatus = writeImportStatus;
+/** The import of `owner` with this id, or null if there is none. */
+const readImportStatus = async (owner, importId) => {
+    if (!(0, exports.isImportId)(importId))
+        return null;
+    try {
+        const { Body } = await s3.send(new client_s3_1.GetObjectCommand({ Bucket: IMPORT_BUCKET, Key: statusKey(owner, importId) }));
+        return JSON.parse(await Body.transformToString("utf8"));
+    }
+    catch (error) {
+        if (error instanceof Error && error.name === "NoSuchKey")
+            return null;
+        throw error;
+    }
+};
+exports.readImportStatus = readImportStatus;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW1wb3J0cy5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImltcG9ydHMudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBQUEsbUNBQW9DO0FBQ3BDLGtEQUFrRjtBQUNsRix1REFBbUQ7QUFDbkQsZ0ZBQW9FO0FBQ3BFLHFEQUErQztBQUMvQyx5REFBb0Q7QUFDcEQsK0NBQXVDO0FBR3ZDLGtFQUFrRTtBQUNsRSxzRUFBc0U7QUFDdEUsMkVBQTJFO0FBQzNFLG1EQUFtRDtBQUNuRCw4Q0FBOEM7QUFFOUMsTUFBTSxFQUFFLEdBQUcsSUFBSSxvQkFBUSxDQUFDLEVBQUUsQ0FBQyxDQUFDO0FBQzVCLE1BQU0sYUFBYSxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsYUFBYyxDQUFDO0FBQ3BDLFFBQUEsYUFBYSxHQUFHLFVBQVUsQ0FBQztBQUV4Qyx5REFBeUQ7QUFDekQsTUFBTSxpQkFBaUIsR0FBRyxnRUFBZ0UsQ0FBQztBQUUzRiwyREFBMkQ7QUFDM0QsTUFBTSwwQkFBMEIsR0FBRyxFQUFFLEdBQUcsRUFBRSxDQUFDO0FBQzNDLE1BQU0sb0JBQW9CLEdBQUcsRUFBRSxDQUFDO0FBRWhDLE1BQU0sTUFBTSxHQUFHLElBQUksMEJBQVcsQ0FBQztJQUM3QixNQUFNLEVBQU4sb0JBQU07SUFDTixPQUFPLEVBQUUsSUFBSTtJQUNiLE1BQU0sRUFBRSxrQkFBTTtJQUNkLFdBQVcsRUFBRSxJQUFBLDBDQUFlLEdBQUU7SUFDOUIsdUNBQXVDO0lBQ3ZDLGFBQWEsRUFBRSxLQUFLO0NBQ3JCLENBQUMsQ0FBQztBQXdCSCxNQUFhLFdBQVksU0FBUSxLQUFLO0lBQ3BDLFlBQVksT0FBZTtRQUN6QixLQUFLLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDZixJQUFJLENBQUMsSUFBSSxHQUFHLGFBQWEsQ0FBQztJQUM1QixDQUFDO0NBQ0Y7QUFMRCxrQ0FLQztBQUVELDJFQUEyRTtBQUNwRSxNQUFNLGtCQUFrQixHQUFHLEdBQUcsRUFBRSxDQUFDLFFBQVEsYUFBYSxJQUFJLHFCQUFhLEVBQUUsQ0FBQztBQUFwRSxRQUFBLGtCQUFrQixzQkFBa0Q7QUFFakYsTUFBTSxXQUFXLEdBQUcsQ0FBQyxLQUFhLEVBQUUsRUFBRSxDQUFDLEdBQUcscUJBQWEsR0FBRyxLQUFLLEdBQUcsQ0FBQztBQUVuRSxxREFBcUQ7QUFDckQsTUFBTSxZQUFZLEdBQUcsQ0FBQyxRQUFnQixFQUFFLEVBQUU7SUFDeEMsTUFBTSxJQUFJLEdBQUcsUUFBUSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxHQUFHLEVBQUcsQ0FBQyxPQUFPLENBQUMsa0JBQWtCLEVBQUUsR0FBRyxDQUFDLENBQUM7SUFDN0UsSUFBSSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQztRQUN6QyxNQUFNLElBQUksV0FBVyxDQUFDLG9DQUFvQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO0lBQ3hFLENBQUM7SUFDRCxPQUFPLElBQUksQ0FBQztBQUNkLENBQUMsQ0FBQztBQUVGLE1BQU0sVUFBVSxHQUFHLEtBQUssRUFBRSxHQUFXLEVBQW1CLEVBQUU7SUFDeEQsTUFBTSxRQUFRLEdBQUcsR0FBRyxhQUFhLE9BQU8sb0JBQU0sZ0JBQWdCLENBQUM7SUFDL0QsTUFBTSxJQUFJLEdBQUcsSUFBSSxHQUFHLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDO0lBQ3BFLE1BQU0sT0FBTyxHQUFHLE1BQU0sTUFBTSxDQUFDLE9BQU8sQ0FDbEMsSUFBSSwyQkFBVyxDQUFDO1FBQ2QsTUFBTSxFQUFFLEtBQUs7UUFDYixRQUFRLEVBQUUsUUFBUTtRQUNsQixRQUFRO1FBQ1IsSUFBSTtRQUNKLE9BQU8sRUFBRSxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsc0JBQXNCLEVBQUUsa0JBQWtCLEVBQUU7S0FDeEUsQ0FBQyxFQUNGLEVBQUUsU0FBUyxFQUFFLDBCQUEwQixFQUFFLENBQzFDLENBQUM7SUFDRixNQUFNLEtBQUssR0FBRyxJQUFJLGVBQWUsQ0FBQyxPQUFPLENBQUMsS0FBK0IsQ0FBQyxDQUFDO0lBQzNFLE9BQU8sV0FBVyxRQUFRLEdBQUcsSUFBSSxJQUFJLEtBQUssRUFBRSxDQUFDO0FBQy9DLENBQUMsQ0FBQztBQUVGLGlFQUFpRTtBQUMxRCxNQUFNLGFBQWEsR0FBRyxLQUFLLEVBQ2hDLFNBQW1CLEVBQ25CLEtBQWEsRUFDWSxFQUFFO0lBQzNCLElBQUksU0FBUyxDQUFDLE1BQU0sS0FBSyxDQUFDLElBQUksU0FBUyxDQUFDLE1BQU0sR0FBRyxvQkFBb0IsRUFBRSxDQUFDO1FBQ3RFLE1BQU0sSUFBSSxXQUFXLENBQUMsd0JBQXdCLG9CQUFvQixRQUFRLENBQUMsQ0FBQztJQUM5RSxDQUFDO0lBQ0QsTUFBTSxLQUFLLEdBQUcsU0FBUyxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsQ0FBQztJQUMxQyxJQUFJLElBQUksR0FBRyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksS0FBSyxLQUFLLENBQUMsTUFBTSxFQUFFLENBQUM7UUFDekMsTUFBTSxJQUFJLFdBQVcsQ0FBQywyQkFBMkIsQ0FBQyxDQUFDO0lBQ3JELENBQUM7SUFDRCxNQUFNLE1BQU0sR0FBRyxHQUFHLFdBQVcsQ0FBQyxLQUFLLENBQUMsR0FBRyxJQUFBLG1CQUFVLEdBQUUsR0FBRyxDQUFDO0lBQ3ZELE9BQU8sT0FBTyxDQUFDLEdBQUcsQ0FDaEIsU0FBUyxDQUFDLEdBQUcsQ0FBQyxLQUFLLEVBQUUsUUFBUSxFQUFFLENBQUMsRUFBRSxFQUFFO1FBQ2xDLE1BQU0sR0FBRyxHQUFHLEdBQUcsTUFBTSxHQUFHLEtBQUssQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO1FBQ25DLE9BQU87WUFDTCxRQUFRO1lBQ1IsR0FBRztZQUNILEtBQUssRUFBRSxRQUFRLGFBQWEsSUFBSSxHQUFHLEVBQUU7WUFDckMsU0FBUyxFQUFFLE1BQU0sVUFBVSxDQUFDLEdBQUcsQ0FBQztTQUNqQyxDQUFDO0lBQ0osQ0FBQyxDQUFDLENBQ0gsQ0FBQztBQUNKLENBQUMsQ0FBQztBQXZCVyxRQUFBLGFBQWEsaUJBdUJ4QjtBQUVGLHdFQUF3RTtBQUN4RSwyRUFBMkU7QUFDM0Usc0VBQXNFO0FBQ3RFLE1BQU0sa0JBQWtCLEdBQ3RCLHVGQUF1RixDQUFDO0FBRTFGLGdFQUFnRTtBQUN6RCxNQUFNLGFBQWEsR0FBRyxDQUFDLElBQWMsRUFBRSxLQUFhLEVBQVksRUFBRSxDQUN2RSxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxFQUFFLEVBQUU7SUFDZixNQUFNLE1BQU0sR0FBRyxXQUFXLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDbEMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsRUFBRSxDQUFDO1FBQ2xGLE1BQU0sSUFBSSxXQUFXLENBQUMsNEJBQTRCLEdBQUcsRUFBRSxDQUFDLENBQUM7SUFDM0QsQ0FBQztJQUNELE9BQU8sUUFBUSxhQUFhLElBQUksR0FBRyxFQUFFLENBQUM7QUFDeEMsQ0FBQyxDQUFDLENBQUM7QUFQUSxRQUFBLGFBQWEsaUJBT3JCO0FBRUUsTUFBTSxVQUFVLEdBQUcsQ0FBQyxRQUFnQixFQUFXLEVBQUUsQ0FBQyxpQkFBaUIsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7QUFBN0UsUUFBQSxVQUFVLGNBQW1FO0FBRTFGLE1BQU0sU0FBUyxHQUFHLENBQUMsS0FBYSxFQUFFLFFBQWdCLEVBQUUsRUFBRSxDQUNwRCxHQUFHLFdBQVcsQ0FBQyxLQUFLLENBQUMsR0FBRyxRQUFRLGNBQWMsQ0FBQztBQUUxQyxNQUFNLGlCQUFpQixHQUFHLEtBQUssRUFBRSxLQUFhLEVBQUUsTUFBb0IsRUFBaUIsRUFBRTtJQUM1RixNQUFNLEVBQUUsQ0FBQyxJQUFJLENBQ1gsSUFBSSw0QkFBZ0IsQ0FBQztRQUNuQixNQUFNLEVBQUUsYUFBYTtRQUNyQixHQUFHLEVBQUUsU0FBUyxDQUFDLEtBQUssRUFBRSxNQUFNLENBQUMsUUFBUSxDQUFDO1FBQ3RDLElBQUksRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQztRQUM1QixXQUFXLEVBQUUsa0JBQWtCO0tBQ2hDLENBQUMsQ0FDSCxDQUFDO0FBQ0osQ0FBQyxDQUFDO0FBVFcsUUFBQSxpQkFBaUIscUJBUzVCO0FBRUYsb0VBQW9FO0FBQzdELE1BQU0sZ0JBQWdCLEdBQUcsS0FBSyxFQUNuQyxLQUFhLEVBQ2IsUUFBZ0IsRUFDYyxFQUFFO0lBQ2hDLElBQUksQ0FBQyxJQUFBLGtCQUFVLEVBQUMsUUFBUSxDQUFDO1FBQUUsT0FBTyxJQUFJLENBQUM7SUFDdkMsSUFBSSxDQUFDO1FBQ0gsTUFBTSxFQUFFLElBQUksRUFBRSxHQUFHLE1BQU0sRUFBRSxDQUFDLElBQUksQ0FDNUIsSUFBSSw0QkFBZ0IsQ0FBQyxFQUFFLE1BQU0sRUFBRSxhQUFhLEVBQUUsR0FBRyxFQUFFLFNBQVMsQ0FBQyxLQUFLLEVBQUUsUUFBUSxDQUFDLEVBQUUsQ0FBQyxDQUNqRixDQUFDO1FBQ0YsT0FBTyxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sSUFBSyxDQUFDLGlCQUFpQixDQUFDLE1BQU0sQ0FBQyxDQUFpQixDQUFDO0lBQzNFLENBQUM7SUFBQyxPQUFPLEtBQWMsRUFBRSxDQUFDO1FBQ3hCLElBQUksS0FBSyxZQUFZLEtBQUssSUFBSSxLQUFLLENBQUMsSUFBSSxLQUFLLFdBQVc7WUFBRSxPQUFPLElBQUksQ0FBQztRQUN0RSxNQUFNLEtBQUssQ0FBQztJQUNkLENBQUM7QUFDSCxDQUFDLENBQUM7QUFkVyxRQUFBLGdCQUFnQixvQkFjM0IiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyByYW5kb21VVUlEIH0gZnJvbSBcImNyeXB0b1wiO1xuaW1wb3J0IHsgR2V0T2JqZWN0Q29tbWFuZCwgUHV0T2JqZWN0Q29tbWFuZCwgUzNDbGllbnQgfSBmcm9tIFwiQGF3cy1zZGsvY2xpZW50LXMzXCI7XG5pbXBvcnQgeyBTaWduYXR1cmVWNCB9IGZyb20gXCJAc21pdGh5L3NpZ25hdHVyZS12NFwiO1xuaW1wb3J0IHsgZGVmYXVsdFByb3ZpZGVyIH0gZnJvbSBcIkBhd3Mtc2RrL2NyZWRlbnRpYWwtcHJvdmlkZXItbm9kZVwiO1xuaW1wb3J0IHsgU2hhMjU2IH0gZnJvbSBcIkBhd3MtY3J5cHRvL3NoYTI1Ni1qc1wiO1xuaW1wb3J0IHsgSHR0cFJlcXVlc3QgfSBmcm9tIFwiQHNtaXRoeS9wcm90b2NvbC1odHRwXCI7XG5pbXBvcnQgeyByZWdpb24gfSBmcm9tIFwiLi9sb2FkVHJhY2tlclwiO1xuaW1wb3J0IHsgTG9hZFJlY29yZCB9IGZyb20gXCIuL2xvYWRIaXN0b3J5XCI7XG5cbi8vIFN0YWdpbmcgdXBsb2FkcyBvZiB0aGUgSW1wb3J0IHBhZ2UuIEVhY2ggYmF0Y2ggb2YgZmlsZXMgZ29lcyB0b1xuLy8gaW1wb3J0cy88dXNlciBzdWI+Lzx1cGxvYWQgaWQ+LyBpbiB0aGUgSU1QT1JUX0JVQ0tFVCBidWNrZXQgdGhyb3VnaFxuLy8gcHJlc2lnbmVkIFBVVCBVUkxzLCBhbmQgbG9hZHMgbWF5IG9ubHkgdXNlIHRoZSBjYWxsZXIncyBvd24gb2JqZWN0cy4gVGhlXG4vLyBwcm9ncmVzcyBvZiBlYWNoIGltcG9ydCBpcyBrZXB0IG5leHQgdG8gdGhlbSwgaW5cbi8vIGltcG9ydHMvPHVzZXIgc3ViPi88aW1wb3J0IGlkPi9pbXBvcnQuanNvbi5cblxuY29uc3QgczMgPSBuZXcgUzNDbGllbnQoe30pO1xuY29uc3QgSU1QT1JUX0JVQ0tFVCA9IHByb2Nlc3MuZW52LklNUE9SVF9CVUNLRVQhO1xuZXhwb3J0IGNvbnN0IElNUE9SVF9QUkVGSVggPSBcImltcG9ydHMvXCI7XG5cbi8vIEltcG9ydCBpZHMgY29tZSBmcm9tICR1dGlsLmF1dG9JZCgpIGluIHN0YXJ0SW1wb3J0LnZ0bFxuY29uc3QgSU1QT1JUX0lEX1BBVFRFUk4gPSAvXlswLTlhLWZdezh9LVswLTlhLWZdezR9LVswLTlhLWZdezR9LVswLTlhLWZdezR9LVswLTlhLWZdezEyfSQvO1xuXG4vLyBMb25nIGVub3VnaCB0byB1cGxvYWQgbGFyZ2UgZmlsZXMgb3ZlciBhIHNsb3cgY29ubmVjdGlvblxuY29uc3QgVVBMT0FEX1VSTF9FWFBJUkVTX1NFQ09ORFMgPSAxNSAqIDYwO1xuY29uc3QgTUFYX0ZJTEVTX1BFUl9VUExPQUQgPSAyMDtcblxuY29uc3Qgc2lnbmVyID0gbmV3IFNpZ25hdHVyZVY0KHtcbiAgcmVnaW9uLFxuICBzZXJ2aWNlOiBcInMzXCIsXG4gIHNoYTI1NjogU2hhMjU2LFxuICBjcmVkZW50aWFsczogZGVmYXVsdFByb3ZpZGVyKCksXG4gIC8vIEtleXMgYXJlIGVuY29kZWQgb25jZSwgYXMgUzMgZXhwZWN0c1xuICB1cmlFc2NhcGVQYXRoOiBmYWxzZSxcbn0pO1xuXG5leHBvcnQgaW50ZXJmYWNlIEltcG9ydFVwbG9hZCB7XG4gIGZpbGVOYW1lOiBzdHJpbmc7XG4gIGtleTogc3RyaW5nO1xuICBzM1VyaTogc3RyaW5nO1xuICB1cGxvYWRVcmw6IHN0cmluZztcbn1cblxuLy8gUHJvZ3Jlc3Mgb2Ygb25lIGltcG9ydDsgc2VlIEltcG9ydFJlc3VsdCBpbiBzY2hlbWEuZ3JhcGhxbFxuZXhwb3J0IGludGVyZmFjZSBJbXBvcnRTdGF0dXMge1xuICBpbXBvcnRJZDogc3RyaW5nO1xuICBzdGF0dXM6IFwiU1RBUlRJTkdcIiB8IFwiSU5WQUxJRFwiIHwgXCJMT0FESU5HXCIgfCBcIkNPTVBMRVRFRFwiIHwgXCJGQUlMRURcIjtcbiAgc3RhcnRlZEJ5OiBzdHJpbmc7XG4gIHN0YXJ0ZWRBdDogc3RyaW5nO1xuICBmaW5pc2hlZEF0OiBzdHJpbmcgfCBudWxsO1xuICBsb2FkczogTG9hZFJlY29yZFtdO1xuICAvLyBKU09OIG9mIHRoZSB2YWxpZGF0aW9uIHJlcG9ydFxuICB2YWxpZGF0aW9uOiBzdHJpbmcgfCBudWxsO1xuICB0cmFja2luZ1RpbWVkT3V0PzogYm9vbGVhbjtcbiAgcmVpbmRleFN0YXJ0ZWQ/OiBib29sZWFuO1xuICBlcnJvcjogc3RyaW5nIHwgbnVsbDtcbn1cblxuZXhwb3J0IGNsYXNzIEltcG9ydEVycm9yIGV4dGVuZHMgRXJyb3Ige1xuICBjb25zdHJ1Y3RvcihtZXNzYWdlOiBzdHJpbmcpIHtcbiAgICBzdXBlcihtZXNzYWdlKTtcbiAgICB0aGlzLm5hbWUgPSBcIkltcG9ydEVycm9yXCI7XG4gIH1cbn1cblxuLyoqIFRoZSBgczM6Ly9gIFVSSSBwcmVmaXggb2YgdGhlIHN0YWdpbmcgYXJlYSwgZm9yIHRoZSBhbGxvd2VkIHNvdXJjZXMuICovXG5leHBvcnQgY29uc3QgaW1wb3J0U291cmNlUHJlZml4ID0gKCkgPT4gYHMzOi8vJHtJTVBPUlRfQlVDS0VUfS8ke0lNUE9SVF9QUkVGSVh9YDtcblxuY29uc3Qgb3duZXJQcmVmaXggPSAob3duZXI6IHN0cmluZykgPT4gYCR7SU1QT1JUX1BSRUZJWH0ke293bmVyfS9gO1xuXG4vLyBLZWVwcyBuYW1lcyByZWFkYWJsZSBpbiBTMyBhbmQgaW4gdGhlIGxvYWQgaGlzdG9yeVxuY29uc3Qgc2FmZUZpbGVOYW1lID0gKGZpbGVOYW1lOiBzdHJpbmcpID0+IHtcbiAgY29uc3QgYmFzZSA9IGZpbGVOYW1lLnNwbGl0KC9bXFxcXC9dLykucG9wKCkhLnJlcGxhY2UoL1teQS1aYS16MC05Ll8tXS9nLCBcIl9cIik7XG4gIGlmICghYmFzZS50b0xvd2VyQ2FzZSgpLmVuZHNXaXRoKFwiLmNzdlwiKSkge1xuICAgIHRocm93IG5ldyBJbXBvcnRFcnJvcihgT25seSAuY3N2IGZpbGVzIGNhbiBiZSBpbXBvcnRlZDogJHtmaWxlTmFtZX1gKTtcbiAgfVxuICByZXR1cm4gYmFzZTtcbn07XG5cbmNvbnN0IHByZXNpZ25QdXQgPSBhc3luYyAoa2V5OiBzdHJpbmcpOiBQcm9taXNlPHN0cmluZz4gPT4ge1xuICBjb25zdCBob3N0bmFtZSA9IGAke0lNUE9SVF9CVUNLRVR9LnMzLiR7cmVnaW9ufS5hbWF6b25hd3MuY29tYDtcbiAgY29uc3QgcGF0aCA9IGAvJHtrZXkuc3BsaXQoXCIvXCIpLm1hcChlbmNvZGVVUklDb21wb25lbnQpLmpvaW4oXCIvXCIpfWA7XG4gIGNvbnN0IHJlcXVlc3QgPSBhd2FpdCBzaWduZXIucHJlc2lnbihcbiAgICBuZXcgSHR0cFJlcXVlc3Qoe1xuICAgICAgbWV0aG9kOiBcIlBVVFwiLFxuICAgICAgcHJvdG9jb2w6IFwiaHR0cHM6XCIsXG4gICAgICBob3N0bmFtZSxcbiAgICAgIHBhdGgsXG4gICAgICBoZWFkZXJzOiB7IGhvc3Q6IGhvc3RuYW1lLCBcIngtYW16LWNvbnRlbnQtc2hhMjU2XCI6IFwiVU5TSUdORUQtUEFZTE9BRFwiIH0sXG4gICAgfSksXG4gICAgeyBleHBpcmVzSW46IFVQTE9BRF9VUkxfRVhQSVJFU19TRUNPTkRTIH1cbiAgKTtcbiAgY29uc3QgcXVlcnkgPSBuZXcgVVJMU2VhcmNoUGFyYW1zKHJlcXVlc3QucXVlcnkgYXMgUmVjb3JkPHN0cmluZywgc3RyaW5nPik7XG4gIHJldHVybiBgaHR0cHM6Ly8ke2hvc3RuYW1lfSR7cGF0aH0/JHtxdWVyeX1gO1xufTtcblxuLyoqIE9uZSBwcmVzaWduZWQgUFVUIFVSTCBwZXIgZmlsZSwgYWxsIHVuZGVyIGEgbmV3IHVwbG9hZCBpZC4gKi9cbmV4cG9ydCBjb25zdCBjcmVhdGVVcGxvYWRzID0gYXN5bmMgKFxuICBmaWxlTmFtZXM6IHN0cmluZ1tdLFxuICBvd25lcjogc3RyaW5nXG4pOiBQcm9taXNlPEltcG9ydFVwbG9hZFtdPiA9PiB7XG4gIGlmIChmaWxlTmFtZXMubGVuZ3RoID09PSAwIHx8IGZpbGVOYW1lcy5sZW5ndGggPiBNQVhfRklMRVNfUEVSX1VQTE9BRCkge1xuICAgIHRocm93IG5ldyBJbXBvcnRFcnJvcihgVXBsb2FkIGJldHdlZW4gMSBhbmQgJHtNQVhfRklMRVNfUEVSX1VQTE9BRH0gZmlsZXNgKTtcbiAgfVxuICBjb25zdCBuYW1lcyA9IGZpbGVOYW1lcy5tYXAoc2FmZUZpbGVOYW1lKTtcbiAgaWYgKG5ldyBTZXQobmFtZXMpLnNpemUgIT09IG5hbWVzLmxlbmd0aCkge1xuICAgIHRocm93IG5ldyBJbXBvcnRFcnJvcihcIkZpbGUgbmFtZXMgbXVzdCBiZSB1bmlxdWVcIik7XG4gIH1cbiAgY29uc3QgZm9sZGVyID0gYCR7b3duZXJQcmVmaXgob3duZXIpfSR7cmFuZG9tVVVJRCgpfS9gO1xuICByZXR1cm4gUHJvbWlzZS5hbGwoXG4gICAgZmlsZU5hbWVzLm1hcChhc3luYyAoZmlsZU5hbWUsIGkpID0+IHtcbiAgICAgIGNvbnN0IGtleSA9IGAke2ZvbGRlcn0ke25hbWVzW2ldfWA7XG4gICAgICByZXR1cm4ge1xuICAgICAgICBmaWxlTmFtZSxcbiAgICAgICAga2V5LFxuICAgICAgICBzM1VyaTogYHMzOi8vJHtJTVBPUlRfQlVDS0VUfS8ke2tleX1gLFxuICAgICAgICB1cGxvYWRVcmw6IGF3YWl0IHByZXNpZ25QdXQoa2V5KSxcbiAgICAgIH07XG4gICAgfSlcbiAgKTtcbn07XG5cbi8vIEEga2V5IGNyZWF0ZVVwbG9hZHMgaXNzdWVkOiA8dXBsb2FkIGlkPi88ZmlsZSBuYW1lPiB1bmRlciB0aGUgb3duZXInc1xuLy8gcHJlZml4LiBUaGUgbG9hZGVyIHJlYWRzIGEgc291cmNlIGFzIGEgcHJlZml4LCBzbyBhbnl0aGluZyBzaG9ydGVyIHdvdWxkXG4vLyBsb2FkIGV2ZXJ5IG9iamVjdCB1bmRlciBpdCwgb3RoZXIgdXBsb2FkcyBhbmQgaW1wb3J0Lmpzb24gaW5jbHVkZWQuXG5jb25zdCBVUExPQURfS0VZX1BBVFRFUk4gPVxuICAvXlswLTlhLWZdezh9LVswLTlhLWZdezR9LVswLTlhLWZdezR9LVswLTlhLWZdezR9LVswLTlhLWZdezEyfVxcL1tBLVphLXowLTkuXy1dK1xcLmNzdiQvaTtcblxuLyoqIFMzIFVSSXMgb2Ygc3RhZ2VkIGtleXMsIHdoaWNoIG11c3QgYmUgdXBsb2FkcyBvZiBgb3duZXJgLiAqL1xuZXhwb3J0IGNvbnN0IGltcG9ydFNvdXJjZXMgPSAoa2V5czogc3RyaW5nW10sIG93bmVyOiBzdHJpbmcpOiBzdHJpbmdbXSA9PlxuICBrZXlzLm1hcCgoa2V5KSA9PiB7XG4gICAgY29uc3QgcHJlZml4ID0gb3duZXJQcmVmaXgob3duZXIpO1xuICAgIGlmICgha2V5LnN0YXJ0c1dpdGgocHJlZml4KSB8fCAhVVBMT0FEX0tFWV9QQVRURVJOLnRlc3Qoa2V5LnNsaWNlKHByZWZpeC5sZW5ndGgpKSkge1xuICAgICAgdGhyb3cgbmV3IEltcG9ydEVycm9yKGBOb3Qgb25lIG9mIHlvdXIgdXBsb2FkczogJHtrZXl9YCk7XG4gICAgfVxuICAgIHJldHVybiBgczM6Ly8ke0lNUE9SVF9CVUNLRVR9LyR7a2V5fWA7XG4gIH0pO1xuXG5leHBvcnQgY29uc3QgaXNJbXBvcnRJZCA9IChpbXBvcnRJZDogc3RyaW5nKTogYm9vbGVhbiA9PiBJTVBPUlRfSURfUEFUVEVSTi50ZXN0KGltcG9ydElkKTtcblxuY29uc3Qgc3RhdHVzS2V5ID0gKG93bmVyOiBzdHJpbmcsIGltcG9ydElkOiBzdHJpbmcpID0+XG4gIGAke293bmVyUHJlZml4KG93bmVyKX0ke2ltcG9ydElkfS9pbXBvcnQuanNvbmA7XG5cbmV4cG9ydCBjb25zdCB3cml0ZUltcG9ydFN0YXR1cyA9IGFzeW5jIChvd25lcjogc3RyaW5nLCBzdGF0dXM6IEltcG9ydFN0YXR1cyk6IFByb21pc2U8dm9pZD4gPT4ge1xuICBhd2FpdCBzMy5zZW5kKFxuICAgIG5ldyBQdXRPYmplY3RDb21tYW5kKHtcbiAgICAgIEJ1Y2tldDogSU1QT1JUX0JVQ0tFVCxcbiAgICAgIEtleTogc3RhdHVzS2V5KG93bmVyLCBzdGF0dXMuaW1wb3J0SWQpLFxuICAgICAgQm9keTogSlNPTi5zdHJpbmdpZnkoc3RhdHVzKSxcbiAgICAgIENvbnRlbnRUeXBlOiBcImFwcGxpY2F0aW9uL2pzb25cIixcbiAgICB9KVxuICApO1xufTtcblxuLyoqIFRoZSBpbXBvcnQgb2YgYG93bmVyYCB3aXRoIHRoaXMgaWQsIG9yIG51bGwgaWYgdGhlcmUgaXMgbm9uZS4gKi9cbmV4cG9ydCBjb25zdCByZWFkSW1wb3J0U3RhdHVzID0gYXN5bmMgKFxuICBvd25lcjogc3RyaW5nLFxuICBpbXBvcnRJZDogc3RyaW5nXG4pOiBQcm9taXNlPEltcG9ydFN0YXR1cyB8IG51bGw+ID0+IHtcbiAgaWYgKCFpc0ltcG9ydElkKGltcG9ydElkKSkgcmV0dXJuIG51bGw7XG4gIHRyeSB7XG4gICAgY29uc3QgeyBCb2R5IH0gPSBhd2FpdCBzMy5zZW5kKFxuICAgICAgbmV3IEdldE9iamVjdENvbW1hbmQoeyBCdWNrZXQ6IElNUE9SVF9CVUNLRVQsIEtleTogc3RhdHVzS2V5KG93bmVyLCBpbXBvcnRJZCkgfSlcbiAgICApO1xuICAgIHJldHVybiBKU09OLnBhcnNlKGF3YWl0IEJvZHkhLnRyYW5zZm9ybVRvU3RyaW5nKFwidXRmOFwiKSkgYXMgSW1wb3J0U3RhdHVzO1xuICB9IGNhdGNoIChlcnJvcjogdW5rbm93bikge1xuICAgIGlmIChlcnJvciBpbnN0YW5jZW9mIEVycm9yICYmIGVycm9yLm5hbWUgPT09IFwiTm9TdWNoS2V5XCIpIHJldHVybiBudWxsO1xuICAgIHRocm93IGVycm9yO1xuICB9XG59O1xuIl19
\ No newline at end of file
@@ -0,0 +1,169 @@
+import { randomUUID } from "crypto";
+import { GetObjectCommand, PutObjectCommand, S3Client } from "@aws-sdk/client-s3";
+import { SignatureV4 } from "@smithy/signature-v4";
+import { defaultProvider } from "@aws-sdk/credential-provider-node";
+import { Sha256 } from "@aws-crypto/sha256-js";
+import { HttpRequest } from "@smithy/protocol-http";
+import { region } from "./loadTracker";
+import { LoadRecord } from "./loadHistory";
+
+// Staging uploads of the Import page. Each batch of files goes to
+// imports/<user sub>/<upload id>/ in the IMPORT_BUCKET bucket through
+// presigned PUT URLs, and loads may only use the caller's own objects. The
+// progress of each import is kept next to them, in
+// imports/<user sub>/<import id>/import.json.
+
+const s3 = new S3Client({});
+const IMPORT_BUCKET = process.env.IMPORT_BUCKET!;
+export const IMPORT_PREFIX = "imports/";
+
+// Import ids come from $util.autoId() in startImport.vtl
+const IMPORT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Long enough to upload large files over a slow connection
+const UPLOAD_URL_EXPIRES_SECONDS = 15 * 60;
+const MAX_FILES_PER_UPLOAD = 20;
+
+const signer = new SignatureV4({
+  region,
+  service: "s3",
+  sha256: Sha256,
+  credentials: defaultProvider(),
+  // Keys are encoded once, as S3 expects
+  uriEscapePath: false,
+});
+
+export interface ImportUpload {
+  fileName: string;
+  key: string;
+  s3Uri: string;
+  uploadUrl: string;
+}
+
+// Progress of one import; see ImportResult in schema.graphql
+export interface ImportStatus {
+  importId: string;
+  status: "STARTING" | "INVALID" | "LOADING" | "COMPLETED" | "FAILED";
+  startedBy: string;
+  startedAt: string;
+  finishedAt: string | null;
+  loads: LoadRecord[];
+  // JSON of the validation report
+  validation: string | null;
+  trackingTimedOut?: boolean;
+  reindexStarted?: boolean;
+  error: string | null;
+}
+
+export class ImportError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "ImportError";
+  }
+}
+
+/** The `s3://` URI prefix of the staging area, for the allowed sources. */
+export const importSourcePrefix = () => `s3://${IMPORT_BUCKET}/${IMPORT_PREFIX}`;
+
+const ownerPrefix = (owner: string) => `${IMPORT_PREFIX}${owner}/`;
+
+// Keeps names readable in S3 and in the load history
+const safeFileName = (fileName: string) => {
+  const base = fileName.split(/[\\/]/).pop()!.replace(/[^A-Za-z0-9._-]/g, "_");
+  if (!base.toLowerCase().endsWith(".csv")) {
+    throw new ImportError(`Only .csv files can be imported: ${fileName}`);
+  }
+  return base;
+};
+
+const presignPut = async (key: string): Promise<string> => {
+  const hostname = `${IMPORT_BUCKET}.s3.${region}.amazonaws.com`;
+  const path = `/${key.split("/").map(encodeURIComponent).join("/")}`;
+  const request = await signer.presign(
+    new HttpRequest({
+      method: "PUT",
+      protocol: "https:",
+      hostname,
+      path,
+      headers: { host: hostname, "x-amz-content-sha256": "UNSIGNED-PAYLOAD" },
+    }),
+    { expiresIn: UPLOAD_URL_EXPIRES_SECONDS }
+  );
+  const query = new URLSearchParams(request.query as Record<string, string>);
+  return `https://${hostname}${path}?${query}`;
+};
+
+/** One presigned PUT URL per file, all under a new upload id. */
+export const createUploads = async (
+  fileNames: string[],
+  owner: string
+): Promise<ImportUpload[]> => {
+  if (fileNames.length === 0 || fileNames.length > MAX_FILES_PER_UPLOAD) {
+    throw new ImportError(`Upload between 1 and ${MAX_FILES_PER_UPLOAD} files`);
+  }
+  const names = fileNames.map(safeFileName);
+  if (new Set(names).size !== names.length) {
+    throw new ImportError("File names must be unique");
+  }
+  const folder = `${ownerPrefix(owner)}${randomUUID()}/`;
+  return Promise.all(
+    fileNames.map(async (fileName, i) => {
+      const key = `${folder}${names[i]}`;
+      return {
+        fileName,
+        key,
+        s3Uri: `s3://${IMPORT_BUCKET}/${key}`,
+        uploadUrl: await presignPut(key),
+      };
+    })
+  );
+};
+
+// A key createUploads issued: <upload id>/<file name> under the owner's
+// prefix. The loader reads a source as a prefix, so anything shorter would
+// load every object under it, other uploads and import.json included.
+const UPLOAD_KEY_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\/[A-Za-z0-9._-]+\.csv$/i;
+
+/** S3 URIs of staged keys, which must be uploads of `owner`. */
+export const importSources = (keys: string[], owner: string): string[] =>
+  keys.map((key) => {
+    const prefix = ownerPrefix(owner);
+    if (!key.startsWith(prefix) || !UPLOAD_KEY_PATTERN.test(key.slice(prefix.length))) {
+      throw new ImportError(`Not one of your uploads: ${key}`);
+    }
+    return `s3://${IMPORT_BUCKET}/${key}`;
+  });
+
+export const isImportId = (importId: string): boolean => IMPORT_ID_PATTERN.test(importId);
+
+const statusKey = (owner: string, importId: string) =>
+  `${ownerPrefix(owner)}${importId}/import.json`;
+
+export const writeImportStatus = async (owner: string, status: ImportStatus): Promise<void> => {
+  await s3.send(
+    new PutObjectCommand({
+      Bucket: IMPORT_BUCKET,
+      Key: statusKey(owner, status.importId),
+      Body: JSON.stringify(status),
+      ContentType: "application/json",
+    })
+  );
+};
+
+/** The import of `owner` with this id, or null if there is none. */
+export const readImportStatus = async (
+  owner: string,
+  importId: string
+): Promise<ImportStatus | null> => {
+  if (!isImportId(importId)) return null;
+  try {
+    const { Body } = await s3.send(
+      new GetObjectCommand({ Bucket: IMPORT_BUCKET, Key: statusKey(owner, importId) })
+    );
+    return JSON.parse(await Body!.transformToString("utf8")) as ImportStatus;
+  } catch (error: unknown) {
+    if (error instanceof Error && error.name === "NoSuchKey") return null;
+    throw error;
+  }
+};
@@ -1,95 +1,124 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.handler = void 0;
-const signature_v4_1 = require("@smithy/signature-v4");
-const credential_provider_node_1 = require("@aws-sdk/credential-provider-node");
-const sha256_js_1 = require("@aws-crypto/sha256-js");
-const protocol_http_1 = require("@smithy/protocol-http");
-const signer = new signature_v4_1.SignatureV4({
-    region: "us-east-1",
-    service: "neptune-db",
-    sha256: sha256_js_1.Sha256,
-    credentials: (0, credential_provider_node_1.defaultProvider)(),
-});
+const loadRequest_1 = require("./loadRequest");
+const loadTracker_1 = require("./loadTracker");
+const loadHistory_1 = require("./loadHistory");
+const validateSources_1 = require("./validateSources");
+const csvValidator_1 = require("../shared/csvValidator");
 const vertexUri = process.env.VERTEX;
 const edgeUri = process.env.EDGE;
 const iamRoleArn = process.env.ROLE_ARN;
-const url = `${process.env.NEPTUNE_ENDPOINT}:${process.env.NEPTUNE_PORT}`;
+// S3 URI prefixes sources must be under, comma-separated
+const allowedPrefixes = (process.env.ALLOWED_SOURCE_PREFIXES ?? "")
+    .split(",")
+    .map((prefix) => prefix.trim())
+    .filter(Boolean);
+// How long one request follows its loads, across all sources. Loads still
+// running afterwards continue in Neptune and the /loads page picks them up.
+const trackTimeoutMs = Number(process.env.LOAD_TRACK_TIMEOUT_SECONDS ?? 840) * 1000;
+// The Function URL passes the body as a string, base64-encoded for binary
+// content types; GET requests have none
+const readLoadRequest = (event) => {
+    let body;
+    if (event.body) {
+        const text = event.isBase64Encoded
+            ? Buffer.from(event.body, "base64").toString("utf8")
+            : event.body;
+        try {
+            body = JSON.parse(text);
+        }
+        catch {
+            throw new loadRequest_1.LoadRequestError("Request body is not valid JSON");
+        }
+    }
+    return (0, loadRequest_1.parseLoadRequest)(body, {
+        sources: [vertexUri, edgeUri],
+        allowedPrefixes,
+    });
+};
+// IAM principal that signed the Function URL request
+const callerOf = (event) => {
+    const iam = event.requestContext?.authorizer?.iam;
+    return String(iam?.userArn ?? iam?.callerId ?? "unknown");
+};
+const describeCounts = (status) => [
+    `records: ${status.totalRecords ?? 0}`,
+    `duplicates: ${status.totalDuplicates ?? 0}`,
+    `parsing errors: ${status.parsingErrors ?? 0}`,
+    `datatype mismatches: ${status.datatypeMismatchErrors ?? 0}`,
+    `insert errors: ${status.insertErrors ?? 0}`,
+].join(", ");
 exports.handler = awslambda.streamifyResponse(async (event, responseStream) => {
     try {
         console.log(JSON.stringify(event.body));
         console.log("Start streaming response");
         responseStream.write("Start streaming response\n");
-        for await (const source of [vertexUri, edgeUri]) {
-            const input = {
-                source,
-                format: "csv",
-                iamRoleArn,
-                region: "us-east-1",
-                failOnError: "FALSE",
-                parallelism: "MEDIUM",
-                updateSingleCardinalityProperties: "FALSE",
-                queueRequest: "TRUE",
-            };
+        const request = readLoadRequest(event);
+        const startedBy = callerOf(event);
+        console.log("Load request:", JSON.stringify(request), "by", startedBy);
+        const deadline = Date.now() + trackTimeoutMs;
+        if (request.validate) {
+            responseStream.write(`Validating ${request.sources.join(", ")}\n`);
+            const report = await (0, validateSources_1.validateSources)(request.sources);
+            responseStream.write(`${(0, csvValidator_1.describeReport)(report)}\n`);
+            responseStream.write(`Validation report: ${JSON.stringify(report)}\n`);
+            if (!report.valid) {
+                responseStream.write("ERROR: validation failed; nothing was loaded\n");
+                return;
+            }
+        }
+        // Sources load one after another, e.g. edges after their vertices, so
+        // a failed load stops the rest
+        for (const source of request.sources) {
+            const body = (0, loadRequest_1.loaderBody)(request, source, { iamRoleArn, region: loadTracker_1.region });
             responseStream.write(`Start bulk load of ${source}\n`);
-            const req = await signer.sign(new protocol_http_1.HttpRequest({
-                method: "POST",
-                protocol: "https:",
-                path: "/loader",
-                hostname: url,
-                headers: {
-                    "Content-Type": "application/json",
-                    host: url,
+            const loadId = await (0, loadTracker_1.startLoad)(body);
+            await (0, loadHistory_1.recordStart)({
+                loadId,
+                source,
+                format: body.format,
+                options: (0, loadRequest_1.loaderOptionsJson)(body),
+                startedBy,
+            });
+            responseStream.write(`Load status checking of ${source} (load id ${loadId})\n`);
+            responseStream.write("Waiting for load status change ....");
+            let lastStatus = "";
+            const { status, timedOut } = await (0, loadTracker_1.trackLoad)(loadId, {
+                timeoutMs: Math.max(deadline - Date.now(), 0),
+                onPoll: async (current) => {
+                    console.log(JSON.stringify(current));
+                    if (current.status !== lastStatus) {
+                        lastStatus = current.status;
+                        await (0, loadHistory_1.recordStatus)(current);
+                        responseStream.write(`\n${current.status} `);
+                    }
+                    responseStream.write("....");
                 },
-                body: JSON.stringify(input),
-            }));
-            const res = await fetch(`${req.protocol}${req.hostname}${req.path}`, {
-                method: req.method,
-                body: req.body,
-                headers: req.headers,
             });
-            const response = await res.json();
-            console.log(response);
-            if (!response.payload || !response.payload.loadId) {
-                throw new Error(`Bulk load failed: ${JSON.stringify(response)}`);
+            responseStream.write("\n");
+            if (timedOut) {
+                await (0, loadHistory_1.recordStatus)(status, { trackingTimedOut: true });
+                responseStream.write(`Stopped tracking ${loadId} after the timeout; it is still ${status.status}. Follow it on the Loads page.\n`);
+                break;
             }
-            const loadId = response.payload.loadId;
-            const loadCheckReq = await signer.sign(new protocol_http_1.HttpRequest({
-                method: "GET",
-                protocol: "https:",
-                path: `/loader/${loadId}`,
-                hostname: url,
-                headers: {
-                    "Content-Type": "application/json",
-                    host: url,
-                },
-            }));
-            let status = "";
-            responseStream.write(`Load status checking of ${source}\n`);
-            responseStream.write("Waiting for load status change ....");
-            while (status !== "LOAD_COMPLETED") {
-                const loadRes = await fetch(`${loadCheckReq.protocol}${loadCheckReq.hostname}${loadCheckReq.path}`, {
-                    method: loadCheckReq.method,
-                    body: loadCheckReq.body,
-                    headers: loadCheckReq.headers,
-                });
-                const loadStatus = await loadRes.json();
-                console.log(loadStatus);
-                responseStream.write("....");
-                status = loadStatus.payload.overallStatus.status;
+            await (0, loadHistory_1.recordStatus)(status, { finished: true });
+            responseStream.write(`${status.status} (${describeCounts(status)})\n`);
+            for (const error of status.errors) {
+                responseStream.write(`  ${error.errorCode}: ${error.errorMessage} (${error.fileName}, record ${error.recordNum})\n`);
+            }
+            if (!(0, loadTracker_1.isSuccess)(status.status)) {
+                responseStream.write(`ERROR: load of ${source} ended with ${status.status}\n`);
+                break;
             }
-            responseStream.write("\n");
             responseStream.write("Load completed\n");
-            responseStream.write(response.status);
-            responseStream.write("\n");
         }
     }
     catch (error) {
         console.log({ error });
-        responseStream.write(`ERROR: ${error}`);
-        responseStream.end();
+        responseStream.write(`ERROR: ${error}\n`);
     }
     responseStream.write("End streaming response");
     responseStream.end();
 });
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJpbmRleC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFDQSx1REFBbUQ7QUFDbkQsZ0ZBQW9FO0FBQ3BFLHFEQUErQztBQUMvQyx5REFBb0Q7QUFnQnBELE1BQU0sTUFBTSxHQUFHLElBQUksMEJBQVcsQ0FBQztJQUM3QixNQUFNLEVBQUUsV0FBVztJQUNuQixPQUFPLEVBQUUsWUFBWTtJQUNyQixNQUFNLEVBQUUsa0JBQU07SUFDZCxXQUFXLEVBQUUsSUFBQSwwQ0FBZSxHQUFFO0NBQy9CLENBQUMsQ0FBQztBQUNILE1BQU0sU0FBUyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsTUFBTyxDQUFDO0FBQ3RDLE1BQU0sT0FBTyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsSUFBSyxDQUFDO0FBQ2xDLE1BQU0sVUFBVSxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDO0FBQ3hDLE1BQU0sR0FBRyxHQUFHLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxnQkFBZ0IsSUFBSSxPQUFPLENBQUMsR0FBRyxDQUFDLFlBQVksRUFBRSxDQUFDO0FBQzdELFFBQUEsT0FBTyxHQUFZLFNBQVMsQ0FBQyxpQkFBaUIsQ0FDekQsS0FBSyxFQUFFLEtBQUssRUFBRSxjQUFjLEVBQUUsRUFBRTtJQUM5QixJQUFJLENBQUM7UUFDSCxPQUFPLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7UUFDeEMsT0FBTyxDQUFDLEdBQUcsQ0FBQywwQkFBMEIsQ0FBQyxDQUFDO1FBQ3hDLGNBQWMsQ0FBQyxLQUFLLENBQUMsNEJBQTRCLENBQUMsQ0FBQztRQUNuRCxJQUFJLEtBQUssRUFBRSxNQUFNLE1BQU0sSUFBSSxDQUFDLFNBQVMsRUFBRSxPQUFPLENBQUMsRUFBRSxDQUFDO1lBQ2hELE1BQU0sS0FBSyxHQUFHO2dCQUNaLE1BQU07Z0JBQ04sTUFBTSxFQUFFLEtBQUs7Z0JBQ2IsVUFBVTtnQkFDVixNQUFNLEVBQUUsV0FBVztnQkFDbkIsV0FBVyxFQUFFLE9BQU87Z0JBQ3BCLFdBQVcsRUFBRSxRQUFRO2dCQUNyQixpQ0FBaUMsRUFBRSxPQUFPO2dCQUMxQyxZQUFZLEVBQUUsTUFBTTthQUNyQixDQUFDO1lBQ0YsY0FBYyxDQUFDLEtBQUssQ0FBQyxzQkFBc0IsTUFBTSxJQUFJLENBQUMsQ0FBQztZQUN2RCxNQUFNLEdBQUcsR0FBRyxNQUFNLE1BQU0sQ0FBQyxJQUFJLENBQzNCLElBQUksMkJBQVcsQ0FBQztnQkFDZCxNQUFNLEVBQUUsTUFBTTtnQkFDZCxRQUFRLEVBQUUsUUFBUTtnQkFDbEIsSUFBSSxFQUFFLFNBQVM7Z0JBQ2YsUUFBUSxFQUFFLEdBQUc7Z0JBRWIsT0FBTyxFQUFFO29CQUNQLGNBQWMsRUFBRSxrQkFBa0I7b0JBQ2xDLElBQUksRUFBRSxHQUFHO2lCQUNWO2dCQUNELElBQUksRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQzthQUM1QixDQUFDLENBQ0gsQ0FBQztZQUNGLE1BQU0sR0FBRyxHQUFHLE1BQU0sS0FBSyxDQUFDLEdBQUcsR0FBRyxDQUFDLFFBQVEsR0FBRyxHQUFHLENBQUMsUUFBUSxHQUFHLEdBQUcsQ0FBQyxJQUFJLEVBQUUsRUFBRTtnQkFDbkUsTUFBTSxFQUFFLEdBQUcsQ0FBQyxNQUFNO2dCQUNsQixJQUFJLEVBQUUsR0FBRyxDQUFDLElBQUk7Z0JBQ2QsT0FBTyxFQUFFLEdBQUcsQ0FBQyxPQUFPO2FBQ3JCLENBQUMsQ0FBQztZQUNILE1BQU0sUUFBUSxHQUFxQixNQUFNLEdBQUcsQ0FBQyxJQUFJLEVBQUUsQ0FBQztZQUNwRCxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxDQUFDO1lBRXRCLElBQUksQ0FBQyxRQUFRLENBQUMsT0FBTyxJQUFJLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsQ0FBQztnQkFDbEQsTUFBTSxJQUFJLEtBQUssQ0FBQyxxQkFBcUIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDbkUsQ0FBQztZQUVELE1BQU0sTUFBTSxHQUFHLFFBQVEsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDO1lBRXZDLE1BQU0sWUFBWSxHQUFHLE1BQU0sTUFBTSxDQUFDLElBQUksQ0FDcEMsSUFBSSwyQkFBVyxDQUFDO2dCQUNkLE1BQU0sRUFBRSxLQUFLO2dCQUNiLFFBQVEsRUFBRSxRQUFRO2dCQUNsQixJQUFJLEVBQUUsV0FBVyxNQUFNLEVBQUU7Z0JBQ3pCLFFBQVEsRUFBRSxHQUFHO2dCQUViLE9BQU8sRUFBRTtvQkFDUCxjQUFjLEVBQUUsa0JBQWtCO29CQUNsQyxJQUFJLEVBQUUsR0FBRztpQkFDVjthQUNGLENBQUMsQ0FDSCxDQUFDO1lBQ0YsSUFBSSxNQUFNLEdBQVcsRUFBRSxDQUFDO1lBQ3hCLGNBQWMsQ0FBQyxLQUFLLENBQUMsMkJBQTJCLE1BQU0sSUFBSSxDQUFDLENBQUM7WUFDNUQsY0FBYyxDQUFDLEtBQUssQ0FBQyxxQ0FBcUMsQ0FBQyxDQUFDO1lBQzVELE9BQU8sTUFBTSxLQUFLLGdCQUFnQixFQUFFLENBQUM7Z0JBQ25DLE1BQU0sT0FBTyxHQUFHLE1BQU0sS0FBSyxDQUN6QixHQUFHLFlBQVksQ0FBQyxRQUFRLEdBQUcsWUFBWSxDQUFDLFFBQVEsR0FBRyxZQUFZLENBQUMsSUFBSSxFQUFFLEVBQ3RFO29CQUNFLE1BQU0sRUFBRSxZQUFZLENBQUMsTUFBTTtvQkFDM0IsSUFBSSxFQUFFLFlBQVksQ0FBQyxJQUFJO29CQUN2QixPQUFPLEVBQUUsWUFBWSxDQUFDLE9BQU87aUJBQzlCLENBQ0YsQ0FBQztnQkFDRixNQUFNLFVBQVUsR0FBRyxNQUFNLE9BQU8sQ0FBQyxJQUFJLEVBQUUsQ0FBQztnQkFFeEMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQztnQkFFeEIsY0FBYyxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQztnQkFDN0IsTUFBTSxHQUFHLFVBQVUsQ0FBQyxPQUFPLENBQUMsYUFBYSxDQUFDLE1BQU0sQ0FBQztZQUNuRCxDQUFDO1lBQ0QsY0FBYyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUMzQixjQUFjLENBQUMsS0FBSyxDQUFDLGtCQUFrQixDQUFDLENBQUM7WUFFekMsY0FBYyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUM7WUFDdEMsY0FBYyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUM3QixDQUFDO0lBQ0gsQ0FBQztJQUFDLE9BQU8sS0FBVSxFQUFFLENBQUM7UUFDcEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUM7UUFDdkIsY0FBYyxDQUFDLEtBQUssQ0FBQyxVQUFVLEtBQUssRUFBRSxDQUFDLENBQUM7UUFDeEMsY0FBYyxDQUFDLEdBQUcsRUFBRSxDQUFDO0lBQ3ZCLENBQUM7SUFDRCxjQUFjLENBQUMsS0FBSyxDQUFDLHdCQUF3QixDQUFDLENBQUM7SUFDL0MsY0FBYyxDQUFDLEdBQUcsRUFBRSxDQUFDO0FBQ3ZCLENBQUMsQ0FDRixDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgSGFuZGxlciB9IGZyb20gXCJhd3MtbGFtYmRhXCI7XG5pbXBvcnQgeyBTaWduYXR1cmVWNCB9IGZyb20gXCJAc21pdGh5L3NpZ25hdHVyZS12NFwiO1xuaW1wb3J0IHsgZGVmYXVsdFByb3ZpZGVyIH0gZnJvbSBcIkBhd3Mtc2RrL2NyZWRlbnRpYWwtcHJvdmlkZXItbm9kZVwiO1xuaW1wb3J0IHsgU2hhMjU2IH0gZnJvbSBcIkBhd3MtY3J5cHRvL3NoYTI1Ni1qc1wiO1xuaW1wb3J0IHsgSHR0cFJlcXVlc3QgfSBmcm9tIFwiQHNtaXRoeS9wcm90b2NvbC1odHRwXCI7XG5kZWNsYXJlIGdsb2JhbCB7XG4gIG5hbWVzcGFjZSBhd3NsYW1iZGEge1xuICAgIGZ1bmN0aW9uIHN0cmVhbWlmeVJlc3BvbnNlKFxuICAgICAgZjogKGV2ZW50OiBhbnksIHJlc3BvbnNlU3RyZWFtOiBOb2RlSlMuV3JpdGFibGVTdHJlYW0pID0+IFByb21pc2U8dm9pZD5cbiAgICApOiBIYW5kbGVyO1xuICB9XG59XG5cbnR5cGUgUGF5bG9hZCA9IHtcbiAgbG9hZElkOiBzdHJpbmc7XG59O1xudHlwZSBCdWxrTG9hZFJlc3BvbnNlID0ge1xuICBzdGF0dXM6IHN0cmluZztcbiAgcGF5bG9hZDogUGF5bG9hZDtcbn07XG5jb25zdCBzaWduZXIgPSBuZXcgU2lnbmF0dXJlVjQoe1xuICByZWdpb246IFwidXMtZWFzdC0xXCIsXG4gIHNlcnZpY2U6IFwibmVwdHVuZS1kYlwiLFxuICBzaGEyNTY6IFNoYTI1NixcbiAgY3JlZGVudGlhbHM6IGRlZmF1bHRQcm92aWRlcigpLFxufSk7XG5jb25zdCB2ZXJ0ZXhVcmkgPSBwcm9jZXNzLmVudi5WRVJURVghO1xuY29uc3QgZWRnZVVyaSA9IHByb2Nlc3MuZW52LkVER0UhO1xuY29uc3QgaWFtUm9sZUFybiA9IHByb2Nlc3MuZW52LlJPTEVfQVJOO1xuY29uc3QgdXJsID0gYCR7cHJvY2Vzcy5lbnYuTkVQVFVORV9FTkRQT0lOVH06JHtwcm9jZXNzLmVudi5ORVBUVU5FX1BPUlR9YDtcbmV4cG9ydCBjb25zdCBoYW5kbGVyOiBIYW5kbGVyID0gYXdzbGFtYmRhLnN0cmVhbWlmeVJlc3BvbnNlKFxuICBhc3luYyAoZXZlbnQsIHJlc3BvbnNlU3RyZWFtKSA9PiB7XG4gICAgdHJ5IHtcbiAgICAgIGNvbnNvbGUubG9nKEpTT04uc3RyaW5naWZ5KGV2ZW50LmJvZHkpKTtcbiAgICAgIGNvbnNvbGUubG9nKFwiU3RhcnQgc3RyZWFtaW5nIHJlc3BvbnNlXCIpO1xuICAgICAgcmVzcG9uc2VTdHJlYW0ud3JpdGUoXCJTdGFydCBzdHJlYW1pbmcgcmVzcG9uc2VcXG5cIik7XG4gICAgICBmb3IgYXdhaXQgKGNvbnN0IHNvdXJjZSBvZiBbdmVydGV4VXJpLCBlZGdlVXJpXSkge1xuICAgICAgICBjb25zdCBpbnB1dCA9IHtcbiAgICAgICAgICBzb3VyY2UsXG4gICAgICAgICAgZm9ybWF0OiBcImNzdlwiLFxuICAgICAgICAgIGlhbVJvbGVBcm4sXG4gICAgICAgICAgcmVnaW9uOiBcInVzLWVhc3QtMVwiLFxuICAgICAgICAgIGZhaWxPbkVycm9yOiBcIkZBTFNFXCIsXG4gICAgICAgICAgcGFyYWxsZWxpc206IFwiTUVESVVNXCIsXG4gICAgICAgICAgdXBkYXRlU2luZ2xlQ2FyZGluYWxpdHlQcm9wZXJ0aWVzOiBcIkZBTFNFXCIsXG4gICAgICAgICAgcXVldWVSZXF1ZXN0OiBcIlRSVUVcIixcbiAgICAgICAgfTtcbiAgICAgICAgcmVzcG9uc2VTdHJlYW0ud3JpdGUoYFN0YXJ0IGJ1bGsgbG9hZCBvZiAke3NvdXJjZX1cXG5gKTtcbiAgICAgICAgY29uc3QgcmVxID0gYXdhaXQgc2lnbmVyLnNpZ24oXG4gICAgICAgICAgbmV3IEh0dHBSZXF1ZXN0KHtcbiAgICAgICAgICAgIG1ldGhvZDogXCJQT1NUXCIsXG4gICAgICAgICAgICBwcm90b2NvbDogXCJodHRwczpcIixcbiAgICAgICAgICAgIHBhdGg6IFwiL2xvYWRlclwiLFxuICAgICAgICAgICAgaG9zdG5hbWU6IHVybCxcblxuICAgICAgICAgICAgaGVhZGVyczoge1xuICAgICAgICAgICAgICBcIkNvbnRlbnQtVHlwZVwiOiBcImFwcGxpY2F0aW9uL2pzb25cIixcbiAgICAgICAgICAgICAgaG9zdDogdXJsLFxuICAgICAgICAgICAgfSxcbiAgICAgICAgICAgIGJvZHk6IEpTT04uc3RyaW5naWZ5KGlucHV0KSxcbiAgICAgICAgICB9KVxuICAgICAgICApO1xuICAgICAgICBjb25zdCByZXMgPSBhd2FpdCBmZXRjaChgJHtyZXEucHJvdG9jb2x9JHtyZXEuaG9zdG5hbWV9JHtyZXEucGF0aH1gLCB7XG4gICAgICAgICAgbWV0aG9kOiByZXEubWV0aG9kLFxuICAgICAgICAgIGJvZHk6IHJlcS5ib2R5LFxuICAgICAgICAgIGhlYWRlcnM6IHJlcS5oZWFkZXJzLFxuICAgICAgICB9KTtcbiAgICAgICAgY29uc3QgcmVzcG9uc2U6IEJ1bGtMb2FkUmVzcG9uc2UgPSBhd2FpdCByZXMuanNvbigpO1xuICAgICAgICBjb25zb2xlLmxvZyhyZXNwb25zZSk7XG4gICAgICAgIFxuICAgICAgICBpZiAoIXJlc3BvbnNlLnBheWxvYWQgfHwgIXJlc3BvbnNlLnBheWxvYWQubG9hZElkKSB7XG4gICAgICAgICAgdGhyb3cgbmV3IEVycm9yKGBCdWxrIGxvYWQgZmFpbGVkOiAke0pTT04uc3RyaW5naWZ5KHJlc3BvbnNlKX1gKTtcbiAgICAgICAgfVxuICAgICAgICBcbiAgICAgICAgY29uc3QgbG9hZElkID0gcmVzcG9uc2UucGF5bG9hZC5sb2FkSWQ7XG5cbiAgICAgICAgY29uc3QgbG9hZENoZWNrUmVxID0gYXdhaXQgc2lnbmVyLnNpZ24oXG4gICAgICAgICAgbmV3IEh0dHBSZXF1ZXN0KHtcbiAgICAgICAgICAgIG1ldGhvZDogXCJHRVRcIixcbiAgICAgICAgICAgIHByb3RvY29sOiBcImh0dHBzOlwiLFxuICAgICAgICAgICAgcGF0aDogYC9sb2FkZXIvJHtsb2FkSWR9YCxcbiAgICAgICAgICAgIGhvc3RuYW1lOiB1cmwsXG5cbiAgICAgICAgICAgIGhlYWRlcnM6IHtcbiAgICAgICAgICAgICAgXCJDb250ZW50LVR5cGVcIjogXCJhcHBsaWNhdGlvbi9qc29uXCIsXG4gICAgICAgICAgICAgIGhvc3Q6IHVybCxcbiAgICAgICAgICAgIH0sXG4gICAgICAgICAgfSlcbiAgICAgICAgKTtcbiAgICAgICAgbGV0IHN0YXR1czogc3RyaW5nID0gXCJcIjtcbiAgICAgICAgcmVzcG9uc2VTdHJlYW0ud3JpdGUoYExvYWQgc3RhdHVzIGNoZWNraW5nIG9mICR7c291cmNlfVxcbmApO1xuICAgICAgICByZXNwb25zZVN0cmVhbS53cml0ZShcIldhaXRpbmcgZm9yIGxvYWQgc3RhdHVzIGNoYW5nZSAuLi4uXCIpO1xuICAgICAgICB3aGlsZSAoc3RhdHVzICE9PSBcIkxPQURfQ09NUExFVEVEXCIpIHtcbiAgICAgICAgICBjb25zdCBsb2FkUmVzID0gYXdhaXQgZmV0Y2goXG4gICAgICAgICAgICBgJHtsb2FkQ2hlY2tSZXEucHJvdG9jb2x9JHtsb2FkQ2hlY2tSZXEuaG9zdG5hbWV9JHtsb2FkQ2hlY2tSZXEucGF0aH1gLFxuICAgICAgICAgICAge1xuICAgICAgICAgICAgICBtZXRob2Q6IGxvYWRDaGVja1JlcS5tZXRob2QsXG4gICAgICAgICAgICAgIGJvZHk6IGxvYWRDaGVja1JlcS5ib2R5LFxuICAgICAgICAgICAgICBoZWFkZXJzOiBsb2FkQ2hlY2tSZXEuaGVhZGVycyxcbiAgICAgICAgICAgIH1cbiAgICAgICAgICApO1xuICAgICAgICAgIGNvbnN0IGxvYWRTdGF0dXMgPSBhd2FpdCBsb2FkUmVzLmpzb24oKTtcblxuICAgICAgICAgIGNvbnNvbGUubG9nKGxvYWRTdGF0dXMpO1xuXG4gICAgICAgICAgcmVzcG9uc2VTdHJlYW0ud3JpdGUoXCIuLi4uXCIpO1xuICAgICAgICAgIHN0YXR1cyA9IGxvYWRTdGF0dXMucGF5bG9hZC5vdmVyYWxsU3RhdHVzLnN0YXR1cztcbiAgICAgICAgfVxuICAgICAgICByZXNwb25zZVN0cmVhbS53cml0ZShcIlxcblwiKTtcbiAgICAgICAgcmVzcG9uc2VTdHJlYW0ud3JpdGUoXCJMb2FkIGNvbXBsZXRlZFxcblwiKTtcblxuICAgICAgICByZXNwb25zZVN0cmVhbS53cml0ZShyZXNwb25zZS5zdGF0dXMpO1xuICAgICAgICByZXNwb25zZVN0cmVhbS53cml0ZShcIlxcblwiKTtcbiAgICAgIH1cbiAgICB9IGNhdGNoIChlcnJvcjogYW55KSB7XG4gICAgICBjb25zb2xlLmxvZyh7IGVycm9yIH0pO1xuICAgICAgcmVzcG9uc2VTdHJlYW0ud3JpdGUoYEVSUk9SOiAke2Vycm9yfWApO1xuICAgICAgcmVzcG9uc2VTdHJlYW0uZW5kKCk7XG4gICAgfVxuICAgIHJlc3BvbnNlU3RyZWFtLndyaXRlKFwiRW5kIHN0cmVhbWluZyByZXNwb25zZVwiKTtcbiAgICByZXNwb25zZVN0cmVhbS5lbmQoKTtcbiAgfVxuKTtcbiJdfQ==
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJpbmRleC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFDQSwrQ0FNdUI7QUFDdkIsK0NBTXVCO0FBQ3ZCLCtDQUEwRDtBQUMxRCx1REFBb0Q7QUFDcEQseURBQXdEO0FBU3hELE1BQU0sU0FBUyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsTUFBTyxDQUFDO0FBQ3RDLE1BQU0sT0FBTyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsSUFBSyxDQUFDO0FBQ2xDLE1BQU0sVUFBVSxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDO0FBQ3hDLHlEQUF5RDtBQUN6RCxNQUFNLGVBQWUsR0FBRyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsdUJBQXVCLElBQUksRUFBRSxDQUFDO0tBQ2hFLEtBQUssQ0FBQyxHQUFHLENBQUM7S0FDVixHQUFHLENBQUMsQ0FBQyxNQUFNLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLEVBQUUsQ0FBQztLQUM5QixNQUFNLENBQUMsT0FBTyxDQUFDLENBQUM7QUFDbkIsMEVBQTBFO0FBQzFFLDRFQUE0RTtBQUM1RSxNQUFNLGNBQWMsR0FBRyxNQUFNLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQywwQkFBMEIsSUFBSSxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUM7QUFFcEYsMEVBQTBFO0FBQzFFLHdDQUF3QztBQUN4QyxNQUFNLGVBQWUsR0FBRyxDQUFDLEtBQVUsRUFBZSxFQUFFO0lBQ2xELElBQUksSUFBYSxDQUFDO0lBQ2xCLElBQUksS0FBSyxDQUFDLElBQUksRUFBRSxDQUFDO1FBQ2YsTUFBTSxJQUFJLEdBQUcsS0FBSyxDQUFDLGVBQWU7WUFDaEMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksRUFBRSxRQUFRLENBQUMsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDO1lBQ3BELENBQUMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDO1FBQ2YsSUFBSSxDQUFDO1lBQ0gsSUFBSSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDMUIsQ0FBQztRQUFDLE1BQU0sQ0FBQztZQUNQLE1BQU0sSUFBSSw4QkFBZ0IsQ0FBQyxnQ0FBZ0MsQ0FBQyxDQUFDO1FBQy9ELENBQUM7SUFDSCxDQUFDO0lBQ0QsT0FBTyxJQUFBLDhCQUFnQixFQUFDLElBQUksRUFBRTtRQUM1QixPQUFPLEVBQUUsQ0FBQyxTQUFTLEVBQUUsT0FBTyxDQUFDO1FBQzdCLGVBQWU7S0FDaEIsQ0FBQyxDQUFDO0FBQ0wsQ0FBQyxDQUFDO0FBRUYscURBQXFEO0FBQ3JELE1BQU0sUUFBUSxHQUFHLENBQUMsS0FBVSxFQUFVLEVBQUU7SUFDdEMsTUFBTSxHQUFHLEdBQUcsS0FBSyxDQUFDLGNBQWMsRUFBRSxVQUFVLEVBQUUsR0FBRyxDQUFDO0lBQ2xELE9BQU8sTUFBTSxDQUFDLEdBQUcsRUFBRSxPQUFPLElBQUksR0FBRyxFQUFFLFFBQVEsSUFBSSxTQUFTLENBQUMsQ0FBQztBQUM1RCxDQUFDLENBQUM7QUFFRixNQUFNLGNBQWMsR0FBRyxDQUFDLE1BQWtCLEVBQVUsRUFBRSxDQUNwRDtJQUNFLFlBQVksTUFBTSxDQUFDLFlBQVksSUFBSSxDQUFDLEVBQUU7SUFDdEMsZUFBZSxNQUFNLENBQUMsZUFBZSxJQUFJLENBQUMsRUFBRTtJQUM1QyxtQkFBbUIsTUFBTSxDQUFDLGFBQWEsSUFBSSxDQUFDLEVBQUU7SUFDOUMsd0JBQXdCLE1BQU0sQ0FBQyxzQkFBc0IsSUFBSSxDQUFDLEVBQUU7SUFDNUQsa0JBQWtCLE1BQU0sQ0FBQyxZQUFZLElBQUksQ0FBQyxFQUFFO0NBQzdDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO0FBRUYsUUFBQSxPQUFPLEdBQVksU0FBUyxDQUFDLGlCQUFpQixDQUN6RCxLQUFLLEVBQUUsS0FBSyxFQUFFLGNBQWMsRUFBRSxFQUFFO0lBQzlCLElBQUksQ0FBQztRQUNILE9BQU8sQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUN4QyxPQUFPLENBQUMsR0FBRyxDQUFDLDBCQUEwQixDQUFDLENBQUM7UUFDeEMsY0FBYyxDQUFDLEtBQUssQ0FBQyw0QkFBNEIsQ0FBQyxDQUFDO1FBQ25ELE1BQU0sT0FBTyxHQUFHLGVBQWUsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUN2QyxNQUFNLFNBQVMsR0FBRyxRQUFRLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDbEMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxlQUFlLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxPQUFPLENBQUMsRUFBRSxJQUFJLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFDdkUsTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLEdBQUcsRUFBRSxHQUFHLGNBQWMsQ0FBQztRQUU3QyxJQUFJLE9BQU8sQ0FBQyxRQUFRLEVBQUUsQ0FBQztZQUNyQixjQUFjLENBQUMsS0FBSyxDQUFDLGNBQWMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO1lBQ25FLE1BQU0sTUFBTSxHQUFHLE1BQU0sSUFBQSxpQ0FBZSxFQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQztZQUN0RCxjQUFjLENBQUMsS0FBSyxDQUFDLEdBQUcsSUFBQSw2QkFBYyxFQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUNwRCxjQUFjLENBQUMsS0FBSyxDQUFDLHNCQUFzQixJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUN2RSxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssRUFBRSxDQUFDO2dCQUNsQixjQUFjLENBQUMsS0FBSyxDQUFDLGdEQUFnRCxDQUFDLENBQUM7Z0JBQ3ZFLE9BQU87WUFDVCxDQUFDO1FBQ0gsQ0FBQztRQUVELHNFQUFzRTtRQUN0RSwrQkFBK0I7UUFDL0IsS0FBSyxNQUFNLE1BQU0sSUFBSSxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUM7WUFDckMsTUFBTSxJQUFJLEdBQUcsSUFBQSx3QkFBVSxFQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFOLG9CQUFNLEVBQUUsQ0FBQyxDQUFDO1lBQ2pFLGNBQWMsQ0FBQyxLQUFLLENBQUMsc0JBQXNCLE1BQU0sSUFBSSxDQUFDLENBQUM7WUFDdkQsTUFBTSxNQUFNLEdBQUcsTUFBTSxJQUFBLHVCQUFTLEVBQUMsSUFBSSxDQUFDLENBQUM7WUFDckMsTUFBTSxJQUFBLHlCQUFXLEVBQUM7Z0JBQ2hCLE1BQU07Z0JBQ04sTUFBTTtnQkFDTixNQUFNLEVBQUUsSUFBSSxDQUFDLE1BQU07Z0JBQ25CLE9BQU8sRUFBRSxJQUFBLCtCQUFpQixFQUFDLElBQUksQ0FBQztnQkFDaEMsU0FBUzthQUNWLENBQUMsQ0FBQztZQUVILGNBQWMsQ0FBQyxLQUFLLENBQUMsMkJBQTJCLE1BQU0sYUFBYSxNQUFNLEtBQUssQ0FBQyxDQUFDO1lBQ2hGLGNBQWMsQ0FBQyxLQUFLLENBQUMscUNBQXFDLENBQUMsQ0FBQztZQUM1RCxJQUFJLFVBQVUsR0FBRyxFQUFFLENBQUM7WUFDcEIsTUFBTSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsR0FBRyxNQUFNLElBQUEsdUJBQVMsRUFBQyxNQUFNLEVBQUU7Z0JBQ25ELFNBQVMsRUFBRSxJQUFJLENBQUMsR0FBRyxDQUFDLFFBQVEsR0FBRyxJQUFJLENBQUMsR0FBRyxFQUFFLEVBQUUsQ0FBQyxDQUFDO2dCQUM3QyxNQUFNLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxFQUFFO29CQUN4QixPQUFPLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztvQkFDckMsSUFBSSxPQUFPLENBQUMsTUFBTSxLQUFLLFVBQVUsRUFBRSxDQUFDO3dCQUNsQyxVQUFVLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQzt3QkFDNUIsTUFBTSxJQUFBLDBCQUFZLEVBQUMsT0FBTyxDQUFDLENBQUM7d0JBQzVCLGNBQWMsQ0FBQyxLQUFLLENBQUMsS0FBSyxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQztvQkFDL0MsQ0FBQztvQkFDRCxjQUFjLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDO2dCQUMvQixDQUFDO2FBQ0YsQ0FBQyxDQUFDO1lBQ0gsY0FBYyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUUzQixJQUFJLFFBQVEsRUFBRSxDQUFDO2dCQUNiLE1BQU0sSUFBQSwwQkFBWSxFQUFDLE1BQU0sRUFBRSxFQUFFLGdCQUFnQixFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7Z0JBQ3ZELGNBQWMsQ0FBQyxLQUFLLENBQ2xCLG9CQUFvQixNQUFNLG1DQUFtQyxNQUFNLENBQUMsTUFBTSxrQ0FBa0MsQ0FDN0csQ0FBQztnQkFDRixNQUFNO1lBQ1IsQ0FBQztZQUNELE1BQU0sSUFBQSwwQkFBWSxFQUFDLE1BQU0sRUFBRSxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO1lBQy9DLGNBQWMsQ0FBQyxLQUFLLENBQUMsR0FBRyxNQUFNLENBQUMsTUFBTSxLQUFLLGNBQWMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDdkUsS0FBSyxNQUFNLEtBQUssSUFBSSxNQUFNLENBQUMsTUFBTSxFQUFFLENBQUM7Z0JBQ2xDLGNBQWMsQ0FBQyxLQUFLLENBQ2xCLEtBQUssS0FBSyxDQUFDLFNBQVMsS0FBSyxLQUFLLENBQUMsWUFBWSxLQUFLLEtBQUssQ0FBQyxRQUFRLFlBQVksS0FBSyxDQUFDLFNBQVMsS0FBSyxDQUMvRixDQUFDO1lBQ0osQ0FBQztZQUNELElBQUksQ0FBQyxJQUFBLHVCQUFTLEVBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUM7Z0JBQzlCLGNBQWMsQ0FBQyxLQUFLLENBQUMsa0JBQWtCLE1BQU0sZUFBZSxNQUFNLENBQUMsTUFBTSxJQUFJLENBQUMsQ0FBQztnQkFDL0UsTUFBTTtZQUNSLENBQUM7WUFDRCxjQUFjLENBQUMsS0FBSyxDQUFDLGtCQUFrQixDQUFDLENBQUM7UUFDM0MsQ0FBQztJQUNILENBQUM7SUFBQyxPQUFPLEtBQVUsRUFBRSxDQUFDO1FBQ3BCLE9BQU8sQ0FBQyxHQUFHLENBQUMsRUFBRSxLQUFLLEVBQUUsQ0FBQyxDQUFDO1FBQ3ZCLGNBQWMsQ0FBQyxLQUFLLENBQUMsVUFBVSxLQUFLLElBQUksQ0FBQyxDQUFDO0lBQzVDLENBQUM7SUFDRCxjQUFjLENBQUMsS0FBSyxDQUFDLHdCQUF3QixDQUFDLENBQUM7SUFDL0MsY0FBYyxDQUFDLEdBQUcsRUFBRSxDQUFDO0FBQ3ZCLENBQUMsQ0FDRixDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgSGFuZGxlciB9IGZyb20gXCJhd3MtbGFtYmRhXCI7XG5pbXBvcnQge1xuICBMb2FkUmVxdWVzdCxcbiAgTG9hZFJlcXVlc3RFcnJvcixcbiAgbG9hZGVyQm9keSxcbiAgbG9hZGVyT3B0aW9uc0pzb24sXG4gIHBhcnNlTG9hZFJlcXVlc3QsXG59IGZyb20gXCIuL2xvYWRSZXF1ZXN0XCI7XG5pbXBvcnQge1xuICBMb2FkU3RhdHVzLFxuICBpc1N1Y2Nlc3MsXG4gIHJlZ2lvbixcbiAgc3RhcnRMb2FkLFxuICB0cmFja0xvYWQsXG59IGZyb20gXCIuL2xvYWRUcmFja2VyXCI7XG5pbXBvcnQgeyByZWNvcmRTdGFydCwgcmVjb3JkU3RhdHVzIH0gZnJvbSBcIi4vbG9hZEhpc3RvcnlcIjtcbmltcG9ydCB7IHZhbGlkYXRlU291cmNlcyB9IGZyb20gXCIuL3ZhbGlkYXRlU291cmNlc1wiO1xuaW1wb3J0IHsgZGVzY3JpYmVSZXBvcnQgfSBmcm9tIFwiLi4vc2hhcmVkL2NzdlZhbGlkYXRvclwiO1xuZGVjbGFyZSBnbG9iYWwge1xuICBuYW1lc3BhY2UgYXdzbGFtYmRhIHtcbiAgICBmdW5jdGlvbiBzdHJlYW1pZnlSZXNwb25zZShcbiAgICAgIGY6IChldmVudDogYW55LCByZXNwb25zZVN0cmVhbTogTm9kZUpTLldyaXRhYmxlU3RyZWFtKSA9PiBQcm9taXNlPHZvaWQ+XG4gICAgKTogSGFuZGxlcjtcbiAgfVxufVxuXG5jb25zdCB2ZXJ0ZXhVcmkgPSBwcm9jZXNzLmVudi5WRVJURVghO1xuY29uc3QgZWRnZVVyaSA9IHByb2Nlc3MuZW52LkVER0UhO1xuY29uc3QgaWFtUm9sZUFybiA9IHByb2Nlc3MuZW52LlJPTEVfQVJOO1xuLy8gUzMgVVJJIHByZWZpeGVzIHNvdXJjZXMgbXVzdCBiZSB1bmRlciwgY29tbWEtc2VwYXJhdGVkXG5jb25zdCBhbGxvd2VkUHJlZml4ZXMgPSAocHJvY2Vzcy5lbnYuQUxMT1dFRF9TT1VSQ0VfUFJFRklYRVMgPz8gXCJcIilcbiAgLnNwbGl0KFwiLFwiKVxuICAubWFwKChwcmVmaXgpID0+IHByZWZpeC50cmltKCkpXG4gIC5maWx0ZXIoQm9vbGVhbik7XG4vLyBIb3cgbG9uZyBvbmUgcmVxdWVzdCBmb2xsb3dzIGl0cyBsb2FkcywgYWNyb3NzIGFsbCBzb3VyY2VzLiBMb2FkcyBzdGlsbFxuLy8gcnVubmluZyBhZnRlcndhcmRzIGNvbnRpbnVlIGluIE5lcHR1bmUgYW5kIHRoZSAvbG9hZHMgcGFnZSBwaWNrcyB0aGVtIHVwLlxuY29uc3QgdHJhY2tUaW1lb3V0TXMgPSBOdW1iZXIocHJvY2Vzcy5lbnYuTE9BRF9UUkFDS19USU1FT1VUX1NFQ09ORFMgPz8gODQwKSAqIDEwMDA7XG5cbi8vIFRoZSBGdW5jdGlvbiBVUkwgcGFzc2VzIHRoZSBib2R5IGFzIGEgc3RyaW5nLCBiYXNlNjQtZW5jb2RlZCBmb3IgYmluYXJ5XG4vLyBjb250ZW50IHR5cGVzOyBHRVQgcmVxdWVzdHMgaGF2ZSBub25lXG5jb25zdCByZWFkTG9hZFJlcXVlc3QgPSAoZXZlbnQ6IGFueSk6IExvYWRSZXF1ZXN0ID0+IHtcbiAgbGV0IGJvZHk6IHVua25vd247XG4gIGlmIChldmVudC5ib2R5KSB7XG4gICAgY29uc3QgdGV4dCA9IGV2ZW50LmlzQmFzZTY0RW5jb2RlZFxuICAgICAgPyBCdWZmZXIuZnJvbShldmVudC5ib2R5LCBcImJhc2U2NFwiKS50b1N0cmluZyhcInV0ZjhcIilcbiAgICAgIDogZXZlbnQuYm9keTtcbiAgICB0cnkge1xuICAgICAgYm9keSA9IEpTT04ucGFyc2UodGV4dCk7XG4gICAgfSBjYXRjaCB7XG4gICAgICB0aHJvdyBuZXcgTG9hZFJlcXVlc3RFcnJvcihcIlJlcXVlc3QgYm9keSBpcyBub3QgdmFsaWQgSlNPTlwiKTtcbiAgICB9XG4gIH1cbiAgcmV0dXJuIHBhcnNlTG9hZFJlcXVlc3QoYm9keSwge1xuICAgIHNvdXJjZXM6IFt2ZXJ0ZXhVcmksIGVkZ2VVcmldLFxuICAgIGFsbG93ZWRQcmVmaXhlcyxcbiAgfSk7XG59O1xuXG4vLyBJQU0gcHJpbmNpcGFsIHRoYXQgc2lnbmVkIHRoZSBGdW5jdGlvbiBVUkwgcmVxdWVzdFxuY29uc3QgY2FsbGVyT2YgPSAoZXZlbnQ6IGFueSk6IHN0cmluZyA9PiB7XG4gIGNvbnN0IGlhbSA9IGV2ZW50LnJlcXVlc3RDb250ZXh0Py5hdXRob3JpemVyPy5pYW07XG4gIHJldHVybiBTdHJpbmcoaWFtPy51c2VyQXJuID8/IGlhbT8uY2FsbGVySWQgPz8gXCJ1bmtub3duXCIpO1xufTtcblxuY29uc3QgZGVzY3JpYmVDb3VudHMgPSAoc3RhdHVzOiBMb2FkU3RhdHVzKTogc3RyaW5nID0+XG4gIFtcbiAgICBgcmVjb3JkczogJHtzdGF0dXMudG90YWxSZWNvcmRzID8/IDB9YCxcbiAgICBgZHVwbGljYXRlczogJHtzdGF0dXMudG90YWxEdXBsaWNhdGVzID8/IDB9YCxcbiAgICBgcGFyc2luZyBlcnJvcnM6ICR7c3RhdHVzLnBhcnNpbmdFcnJvcnMgPz8gMH1gLFxuICAgIGBkYXRhdHlwZSBtaXNtYXRjaGVzOiAke3N0YXR1cy5kYXRhdHlwZU1pc21hdGNoRXJyb3JzID8/IDB9YCxcbiAgICBgaW5zZXJ0IGVycm9yczogJHtzdGF0dXMuaW5zZXJ0RXJyb3JzID8/IDB9YCxcbiAgXS5qb2luKFwiLCBcIik7XG5cbmV4cG9ydCBjb25zdCBoYW5kbGVyOiBIYW5kbGVyID0gYXdzbGFtYmRhLnN0cmVhbWlmeVJlc3BvbnNlKFxuICBhc3luYyAoZXZlbnQsIHJlc3BvbnNlU3RyZWFtKSA9PiB7XG4gICAgdHJ5IHtcbiAgICAgIGNvbnNvbGUubG9nKEpTT04uc3RyaW5naWZ5KGV2ZW50LmJvZHkpKTtcbiAgICAgIGNvbnNvbGUubG9nKFwiU3RhcnQgc3RyZWFtaW5nIHJlc3BvbnNlXCIpO1xuICAgICAgcmVzcG9uc2VTdHJlYW0ud3JpdGUoXCJTdGFydCBzdHJlYW1pbmcgcmVzcG9uc2VcXG5cIik7XG4gICAgICBjb25zdCByZXF1ZXN0ID0gcmVhZExvYWRSZXF1ZXN0KGV2ZW50KTtcbiAgICAgIGNvbnN0IHN0YXJ0ZWRCeSA9IGNhbGxlck9mKGV2ZW50KTtcbiAgICAgIGNvbnNvbGUubG9nKFwiTG9hZCByZXF1ZXN0OlwiLCBKU09OLnN0cmluZ2lmeShyZXF1ZXN0KSwgXCJieVwiLCBzdGFydGVkQnkpO1xuICAgICAgY29uc3QgZGVhZGxpbmUgPSBEYXRlLm5vdygpICsgdHJhY2tUaW1lb3V0TXM7XG5cbiAgICAgIGlmIChyZXF1ZXN0LnZhbGlkYXRlKSB7XG4gICAgICAgIHJlc3BvbnNlU3RyZWFtLndyaXRlKGBWYWxpZGF0aW5nICR7cmVxdWVzdC5zb3VyY2VzLmpvaW4oXCIsIFwiKX1cXG5gKTtcbiAgICAgICAgY29uc3QgcmVwb3J0ID0gYXdhaXQgdmFsaWRhdGVTb3VyY2VzKHJlcXVlc3Quc291cmNlcyk7XG4gICAgICAgIHJlc3BvbnNlU3RyZWFtLndyaXRlKGAke2Rlc2NyaWJlUmVwb3J0KHJlcG9ydCl9XFxuYCk7XG4gICAgICAgIHJlc3BvbnNlU3RyZWFtLndyaXRlKGBWYWxpZGF0aW9uIHJlcG9ydDogJHtKU09OLnN0cmluZ2lmeShyZXBvcnQpfVxcbmApO1xuICAgICAgICBpZiAoIXJlcG9ydC52YWxpZCkge1xuICAgICAgICAgIHJlc3BvbnNlU3RyZWFtLndyaXRlKFwiRVJST1I6IHZhbGlkYXRpb24gZmFpbGVkOyBub3RoaW5nIHdhcyBsb2FkZWRcXG5cIik7XG4gICAgICAgICAgcmV0dXJuO1xuICAgICAgICB9XG4gICAgICB9XG5cbiAgICAgIC8vIFNvdXJjZXMgbG9hZCBvbmUgYWZ0ZXIgYW5vdGhlciwgZS5nLiBlZGdlcyBhZnRlciB0aGVpciB2ZXJ0aWNlcywgc29cbiAgICAgIC8vIGEgZmFpbGVkIGxvYWQgc3RvcHMgdGhlIHJlc3RcbiAgICAgIGZvciAoY29uc3Qgc291cmNlIG9mIHJlcXVlc3Quc291cmNlcykge1xuICAgICAgICBjb25zdCBib2R5ID0gbG9hZGVyQm9keShyZXF1ZXN0LCBzb3VyY2UsIHsgaWFtUm9sZUFybiwgcmVnaW9uIH0pO1xuICAgICAgICByZXNwb25zZVN0cmVhbS53cml0ZShgU3RhcnQgYnVsayBsb2FkIG9mICR7c291cmNlfVxcbmApO1xuICAgICAgICBjb25zdCBsb2FkSWQgPSBhd2FpdCBzdGFydExvYWQoYm9keSk7XG4gICAgICAgIGF3YWl0IHJlY29yZFN0YXJ0KHtcbiAgICAgICAgICBsb2FkSWQsXG4gICAgICAgICAgc291cmNlLFxuICAgICAgICAgIGZvcm1hdDogYm9keS5mb3JtYXQsXG4gICAgICAgICAgb3B0aW9uczogbG9hZGVyT3B0aW9uc0pzb24oYm9keSksXG4gICAgICAgICAgc3RhcnRlZEJ5LFxuICAgICAgICB9KTtcblxuICAgICAgICByZXNwb25zZVN0cmVhbS53cml0ZShgTG9hZCBzdGF0dXMgY2hlY2tpbmcgb2YgJHtzb3VyY2V9IChsb2FkIGlkICR7bG9hZElkfSlcXG5gKTtcbiAgICAgICAgcmVzcG9uc2VTdHJlYW0ud3JpdGUoXCJXYWl0aW5nIGZvciBsb2FkIHN0YXR1cyBjaGFuZ2UgLi4uLlwiKTtcbiAgICAgICAgbGV0IGxhc3RTdGF0dXMgPSBcIlwiO1xuICAgICAgICBjb25zdCB7IHN0YXR1cywgdGltZWRPdXQgfSA9IGF3YWl0IHRyYWNrTG9hZChsb2FkSWQsIHtcbiAgICAgICAgICB0aW1lb3V0TXM6IE1hdGgubWF4KGRlYWRsaW5lIC0gRGF0ZS5ub3coKSwgMCksXG4gICAgICAgICAgb25Qb2xsOiBhc3luYyAoY3VycmVudCkgPT4ge1xuICAgICAgICAgICAgY29uc29sZS5sb2coSlNPTi5zdHJpbmdpZnkoY3VycmVudCkpO1xuICAgICAgICAgICAgaWYgKGN1cnJlbnQuc3RhdHVzICE9PSBsYXN0U3RhdHVzKSB7XG4gICAgICAgICAgICAgIGxhc3RTdGF0dXMgPSBjdXJyZW50LnN0YXR1cztcbiAgICAgICAgICAgICAgYXdhaXQgcmVjb3JkU3RhdHVzKGN1cnJlbnQpO1xuICAgICAgICAgICAgICByZXNwb25zZVN0cmVhbS53cml0ZShgXFxuJHtjdXJyZW50LnN0YXR1c30gYCk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICByZXNwb25zZVN0cmVhbS53cml0ZShcIi4uLi5cIik7XG4gICAgICAgICAgfSxcbiAgICAgICAgfSk7XG4gICAgICAgIHJlc3BvbnNlU3RyZWFtLndyaXRlKFwiXFxuXCIpO1xuXG4gICAgICAgIGlmICh0aW1lZE91dCkge1xuICAgICAgICAgIGF3YWl0IHJlY29yZFN0YXR1cyhzdGF0dXMsIHsgdHJhY2tpbmdUaW1lZE91dDogdHJ1ZSB9KTtcbiAgICAgICAgICByZXNwb25zZVN0cmVhbS53cml0ZShcbiAgICAgICAgICAgIGBTdG9wcGVkIHRyYWNraW5nICR7bG9hZElkfSBhZnRlciB0aGUgdGltZW91dDsgaXQgaXMgc3RpbGwgJHtzdGF0dXMuc3RhdHVzfS4gRm9sbG93IGl0IG9uIHRoZSBMb2FkcyBwYWdlLlxcbmBcbiAgICAgICAgICApO1xuICAgICAgICAgIGJyZWFrO1xuICAgICAgICB9XG4gICAgICAgIGF3YWl0IHJlY29yZFN0YXR1cyhzdGF0dXMsIHsgZmluaXNoZWQ6IHRydWUgfSk7XG4gICAgICAgIHJlc3BvbnNlU3RyZWFtLndyaXRlKGAke3N0YXR1cy5zdGF0dXN9ICgke2Rlc2NyaWJlQ291bnRzKHN0YXR1cyl9KVxcbmApO1xuICAgICAgICBmb3IgKGNvbnN0IGVycm9yIG9mIHN0YXR1cy5lcnJvcnMpIHtcbiAgICAgICAgICByZXNwb25zZVN0cmVhbS53cml0ZShcbiAgICAgICAgICAgIGAgICR7ZXJyb3IuZXJyb3JDb2RlfTogJHtlcnJvci5lcnJvck1lc3NhZ2V9ICgke2Vycm9yLmZpbGVOYW1lfSwgcmVjb3JkICR7ZXJyb3IucmVjb3JkTnVtfSlcXG5gXG4gICAgICAgICAgKTtcbiAgICAgICAgfVxuICAgICAgICBpZiAoIWlzU3VjY2VzcyhzdGF0dXMuc3RhdHVzKSkge1xuICAgICAgICAgIHJlc3BvbnNlU3RyZWFtLndyaXRlKGBFUlJPUjogbG9hZCBvZiAke3NvdXJjZX0gZW5kZWQgd2l0aCAke3N0YXR1cy5zdGF0dXN9XFxuYCk7XG4gICAgICAgICAgYnJlYWs7XG4gICAgICAgIH1cbiAgICAgICAgcmVzcG9uc2VTdHJlYW0ud3JpdGUoXCJMb2FkIGNvbXBsZXRlZFxcblwiKTtcbiAgICAgIH1cbiAgICB9IGNhdGNoIChlcnJvcjogYW55KSB7XG4gICAgICBjb25zb2xlLmxvZyh7IGVycm9yIH0pO1xuICAgICAgcmVzcG9uc2VTdHJlYW0ud3JpdGUoYEVSUk9SOiAke2Vycm9yfVxcbmApO1xuICAgIH1cbiAgICByZXNwb25zZVN0cmVhbS53cml0ZShcIkVuZCBzdHJlYW1pbmcgcmVzcG9uc2VcIik7XG4gICAgcmVzcG9uc2VTdHJlYW0uZW5kKCk7XG4gIH1cbik7XG4iXX0=
\ No newline at end of file
@@ -1,8 +1,21 @@
 import { Handler } from "aws-lambda";
-import { SignatureV4 } from "@smithy/signature-v4";
-import { defaultProvider } from "@aws-sdk/credential-provider-node";
-import { Sha256 } from "@aws-crypto/sha256-js";
-import { HttpRequest } from "@smithy/protocol-http";
+import {
+  LoadRequest,
+  LoadRequestError,
+  loaderBody,
+  loaderOptionsJson,
+  parseLoadRequest,
+} from "./loadRequest";
+import {
+  LoadStatus,
+  isSuccess,
+  region,
+  startLoad,
+  trackLoad,
+} from "./loadTracker";
+import { recordStart, recordStatus } from "./loadHistory";
+import { validateSources } from "./validateSources";
+import { describeReport } from "../shared/csvValidator";
 declare global {
   namespace awslambda {
     function streamifyResponse(
@@ -11,111 +24,129 @@ declare global {
   }
 }
 
-type Payload = {
-  loadId: string;
-};
-type BulkLoadResponse = {
-  status: string;
-  payload: Payload;
-};
-const signer = new SignatureV4({
-  region: "us-east-1",
-  service: "neptune-db",
-  sha256: Sha256,
-  credentials: defaultProvider(),
-});
 const vertexUri = process.env.VERTEX!;
 const edgeUri = process.env.EDGE!;
 const iamRoleArn = process.env.ROLE_ARN;
-const url = `${process.env.NEPTUNE_ENDPOINT}:${process.env.NEPTUNE_PORT}`;
+// S3 URI prefixes sources must be under, comma-separated
+const allowedPrefixes = (process.env.ALLOWED_SOURCE_PREFIXES ?? "")
+  .split(",")
+  .map((prefix) => prefix.trim())
+  .filter(Boolean);
+// How long one request follows its loads, across all sources. Loads still
+// running afterwards continue in Neptune and the /loads page picks them up.
+const trackTimeoutMs = Number(process.env.LOAD_TRACK_TIMEOUT_SECONDS ?? 840) * 1000;
+
+// The Function URL passes the body as a string, base64-encoded for binary
+// content types; GET requests have none
+const readLoadRequest = (event: any): LoadRequest => {
+  let body: unknown;
+  if (event.body) {
+    const text = event.isBase64Encoded
+      ? Buffer.from(event.body, "base64").toString("utf8")
+      : event.body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      throw new LoadRequestError("Request body is not valid JSON");
+    }
+  }
+  return parseLoadRequest(body, {
+    sources: [vertexUri, edgeUri],
+    allowedPrefixes,
+  });
+};
+
+// IAM principal that signed the Function URL request
+const callerOf = (event: any): string => {
+  const iam = event.requestContext?.authorizer?.iam;
+  return String(iam?.userArn ?? iam?.callerId ?? "unknown");
+};
+
+const describeCounts = (status: LoadStatus): string =>
+  [
+    `records: ${status.totalRecords ?? 0}`,
+    `duplicates: ${status.totalDuplicates ?? 0}`,
+    `parsing errors: ${status.parsingErrors ?? 0}`,
+    `datatype mismatches: ${status.datatypeMismatchErrors ?? 0}`,
+    `insert errors: ${status.insertErrors ?? 0}`,
+  ].join(", ");
+
 export const handler: Handler = awslambda.streamifyResponse(
   async (event, responseStream) => {
     try {
       console.log(JSON.stringify(event.body));
       console.log("Start streaming response");
       responseStream.write("Start streaming response\n");
-      for await (const source of [vertexUri, edgeUri]) {
-        const input = {
-          source,
-          format: "csv",
-          iamRoleArn,
-          region: "us-east-1",
-          failOnError: "FALSE",
-          parallelism: "MEDIUM",
-          updateSingleCardinalityProperties: "FALSE",
-          queueRequest: "TRUE",
-        };
-        responseStream.write(`Start bulk load of ${source}\n`);
-        const req = await signer.sign(
-          new HttpRequest({
-            method: "POST",
-            protocol: "https:",
-            path: "/loader",
-            hostname: url,
+      const request = readLoadRequest(event);
+      const startedBy = callerOf(event);
+      console.log("Load request:", JSON.stringify(request), "by", startedBy);
+      const deadline = Date.now() + trackTimeoutMs;
 
-            headers: {
-              "Content-Type": "application/json",
-              host: url,
-            },
-            body: JSON.stringify(input),
-          })
-        );
-        const res = await fetch(`${req.protocol}${req.hostname}${req.path}`, {
-          method: req.method,
-          body: req.body,
-          headers: req.headers,
-        });
-        const response: BulkLoadResponse = await res.json();
-        console.log(response);
-        
-        if (!response.payload || !response.payload.loadId) {
-          throw new Error(`Bulk load failed: ${JSON.stringify(response)}`);
+      if (request.validate) {
+        responseStream.write(`Validating ${request.sources.join(", ")}\n`);
+        const report = await validateSources(request.sources);
+        responseStream.write(`${describeReport(report)}\n`);
+        responseStream.write(`Validation report: ${JSON.stringify(report)}\n`);
+        if (!report.valid) {
+          responseStream.write("ERROR: validation failed; nothing was loaded\n");
+          return;
         }
-        
-        const loadId = response.payload.loadId;
+      }
 
-        const loadCheckReq = await signer.sign(
-          new HttpRequest({
-            method: "GET",
-            protocol: "https:",
-            path: `/loader/${loadId}`,
-            hostname: url,
+      // Sources load one after another, e.g. edges after their vertices, so
+      // a failed load stops the rest
+      for (const source of request.sources) {
+        const body = loaderBody(request, source, { iamRoleArn, region });
+        responseStream.write(`Start bulk load of ${source}\n`);
+        const loadId = await startLoad(body);
+        await recordStart({
+          loadId,
+          source,
+          format: body.format,
+          options: loaderOptionsJson(body),
+          startedBy,
+        });
 
-            headers: {
-              "Content-Type": "application/json",
-              host: url,
-            },
-          })
-        );
-        let status: string = "";
-        responseStream.write(`Load status checking of ${source}\n`);
+        responseStream.write(`Load status checking of ${source} (load id ${loadId})\n`);
         responseStream.write("Waiting for load status change ....");
-        while (status !== "LOAD_COMPLETED") {
-          const loadRes = await fetch(
-            `${loadCheckReq.protocol}${loadCheckReq.hostname}${loadCheckReq.path}`,
-            {
-              method: loadCheckReq.method,
-              body: loadCheckReq.body,
-              headers: loadCheckReq.headers,
+        let lastStatus = "";
+        const { status, timedOut } = await trackLoad(loadId, {
+          timeoutMs: Math.max(deadline - Date.now(), 0),
+          onPoll: async (current) => {
+            console.log(JSON.stringify(current));
+            if (current.status !== lastStatus) {
+              lastStatus = current.status;
+              await recordStatus(current);
+              responseStream.write(`\n${current.status} `);
             }
-          );
-          const loadStatus = await loadRes.json();
-
-          console.log(loadStatus);
+            responseStream.write("....");
+          },
+        });
+        responseStream.write("\n");
 
-          responseStream.write("....");
-          status = loadStatus.payload.overallStatus.status;
+        if (timedOut) {
+          await recordStatus(status, { trackingTimedOut: true });
+          responseStream.write(
+            `Stopped tracking ${loadId} after the timeout; it is still ${status.status}. Follow it on the Loads page.\n`
+          );
+          break;
+        }
+        await recordStatus(status, { finished: true });
+        responseStream.write(`${status.status} (${describeCounts(status)})\n`);
+        for (const error of status.errors) {
+          responseStream.write(
+            `  ${error.errorCode}: ${error.errorMessage} (${error.fileName}, record ${error.recordNum})\n`
+          );
+        }
+        if (!isSuccess(status.status)) {
+          responseStream.write(`ERROR: load of ${source} ended with ${status.status}\n`);
+          break;
         }
-        responseStream.write("\n");
         responseStream.write("Load completed\n");
-
-        responseStream.write(response.status);
-        responseStream.write("\n");
       }
     } catch (error: any) {
       console.log({ error });
-      responseStream.write(`ERROR: ${error}`);
-      responseStream.end();
+      responseStream.write(`ERROR: ${error}\n`);
     }
     responseStream.write("End streaming response");
     responseStream.end();
@@ -0,0 +1,24 @@
+import { LoadStatus } from "./loadTracker";
+export declare const STARTED_AT_INDEX = "byStartedAt";
+export interface LoadRecord extends Omit<LoadStatus, "errors"> {
+    errors: LoadStatus["errors"];
+    source: string;
+    format: string;
+    options: string;
+    startedBy: string;
+    startedAt: string;
+    updatedAt: string;
+    finishedAt?: string;
+    trackingTimedOut?: boolean;
+    cancelledBy?: string;
+}
+export declare const recordStart: (record: Pick<LoadRecord, "loadId" | "source" | "format" | "options" | "startedBy">) => Promise<LoadRecord>;
+/** Stores the latest status; a terminal status also sets finishedAt. */
+export declare const recordStatus: (status: LoadStatus, extra?: {
+    finished?: boolean;
+    trackingTimedOut?: boolean;
+    cancelledBy?: string;
+}) => Promise<void>;
+export declare const getLoadRecord: (loadId: string) => Promise<LoadRecord | null>;
+/** The most recent loads, newest first. */
+export declare const listLoadRecords: (limit: number) => Promise<LoadRecord[]>;
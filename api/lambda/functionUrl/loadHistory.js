@@ -0,0 +1,86 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.listLoadRecords = exports.getLoadRecord = exports.recordStatus = exports.recordStart = exports.STARTED_AT_INDEX = void 0;
+const client_dynamodb_1 = require("@aws-sdk/client-dynamodb");
+const lib_dynamodb_1 = require("@aws-sdk/lib-dynamodb");
+// History of bulk loads in the LOAD_HISTORY_TABLE DynamoDB table, one item
+// per Neptune load id. Neptune only keeps recent loads and does not know who
+// started them, so the Function URL records each load here and keeps its
+// status, counts and first errors up to date.
+const documentClient = lib_dynamodb_1.DynamoDBDocumentClient.from(new client_dynamodb_1.DynamoDBClient({}), {
+    marshallOptions: { removeUndefinedValues: true },
+});
+const TABLE_NAME = process.env.LOAD_HISTORY_TABLE;
+// Every item shares this partition in the byStartedAt index, which lists
+// loads newest first
+const KIND = "load";
+exports.STARTED_AT_INDEX = "byStartedAt";
+const recordStart = async (record) => {
+    const now = new Date().toISOString();
+    const item = {
+        ...record,
+        status: "LOAD_NOT_STARTED",
+        totalRecords: null,
+        totalDuplicates: null,
+        parsingErrors: null,
+        datatypeMismatchErrors: null,
+        insertErrors: null,
+        totalTimeSpent: null,
+        errors: [],
+        startedAt: now,
+        updatedAt: now,
+    };
+    await documentClient.send(new lib_dynamodb_1.PutCommand({ TableName: TABLE_NAME, Item: { ...item, kind: KIND } }));
+    return item;
+};
+exports.recordStart = recordStart;
+/** Stores the latest status; a terminal status also sets finishedAt. */
+const recordStatus = async (status, extra = {}) => {
+    const now = new Date().toISOString();
+    const values = {
+        status: status.status,
+        totalRecords: status.totalRecords,
+        totalDuplicates: status.totalDuplicates,
+        parsingErrors: status.parsingErrors,
+        datatypeMismatchErrors: status.datatypeMismatchErrors,
+        insertErrors: status.insertErrors,
+        totalTimeSpent: status.totalTimeSpent,
+        errors: status.errors,
+        updatedAt: now,
+    };
+    if (extra.finished)
+        values.finishedAt = now;
+    if (extra.trackingTimedOut !== undefined)
+        values.trackingTimedOut = extra.trackingTimedOut;
+    if (extra.cancelledBy)
+        values.cancelledBy = extra.cancelledBy;
+    const keys = Object.keys(values);
+    await documentClient.send(new lib_dynamodb_1.UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { loadId: status.loadId },
+        UpdateExpression: `SET ${keys.map((key) => `#${key} = :${key}`).join(", ")}`,
+        ExpressionAttributeNames: Object.fromEntries(keys.map((key) => [`#${key}`, key])),
+        ExpressionAttributeValues: Object.fromEntries(keys.map((key) => [`:${key}`, values[key]])),
+    }));
+};
+exports.recordStatus = recordStatus;
+const getLoadRecord = async (loadId) => {
+    const { Item } = await documentClient.send(new lib_dynamodb_1.GetCommand({ TableName: TABLE_NAME, Key: { loadId } }));
+    return Item ?? null;
+};
+exports.getLoadRecord = getLoadRecord;
+/** The most recent loads, newest first. */
+const listLoadRecords = async (limit) => {
+    const { Items } = await documentClient.send(new lib_dynamodb_1.QueryCommand({
+        TableName: TABLE_NAME,
+        IndexName: exports.STARTED_AT_INDEX,
+        KeyConditionExpression: "#kind = :kind",
+        ExpressionAttributeNames: { "#kind": "kind" },
+        ExpressionAttributeValues: { ":kind": KIND },
+        ScanIndexForward: false,
+        Limit: limit,
+    }));
+    return (Items ?? []);
+};
+exports.listLoadRecords = listLoadRecords;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibG9hZEhpc3RvcnkuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJsb2FkSGlzdG9yeS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFBQSw4REFBMEQ7QUFDMUQsd0RBTStCO0FBRy9CLDJFQUEyRTtBQUMzRSw2RUFBNkU7QUFDN0UseUVBQXlFO0FBQ3pFLDhDQUE4QztBQUU5QyxNQUFNLGNBQWMsR0FBRyxxQ0FBc0IsQ0FBQyxJQUFJLENBQUMsSUFBSSxnQ0FBYyxDQUFDLEVBQUUsQ0FBQyxFQUFFO0lBQ3pFLGVBQWUsRUFBRSxFQUFFLHFCQUFxQixFQUFFLElBQUksRUFBRTtDQUNqRCxDQUFDLENBQUM7QUFDSCxNQUFNLFVBQVUsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLGtCQUFtQixDQUFDO0FBRW5ELHlFQUF5RTtBQUN6RSxxQkFBcUI7QUFDckIsTUFBTSxJQUFJLEdBQUcsTUFBTSxDQUFDO0FBQ1AsUUFBQSxnQkFBZ0IsR0FBRyxhQUFhLENBQUM7QUFpQnZDLE1BQU0sV0FBVyxHQUFHLEtBQUssRUFDOUIsTUFBa0YsRUFDN0QsRUFBRTtJQUN2QixNQUFNLEdBQUcsR0FBRyxJQUFJLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDO0lBQ3JDLE1BQU0sSUFBSSxHQUFlO1FBQ3ZCLEdBQUcsTUFBTTtRQUNULE1BQU0sRUFBRSxrQkFBa0I7UUFDMUIsWUFBWSxFQUFFLElBQUk7UUFDbEIsZUFBZSxFQUFFLElBQUk7UUFDckIsYUFBYSxFQUFFLElBQUk7UUFDbkIsc0JBQXNCLEVBQUUsSUFBSTtRQUM1QixZQUFZLEVBQUUsSUFBSTtRQUNsQixjQUFjLEVBQUUsSUFBSTtRQUNwQixNQUFNLEVBQUUsRUFBRTtRQUNWLFNBQVMsRUFBRSxHQUFHO1FBQ2QsU0FBUyxFQUFFLEdBQUc7S0FDZixDQUFDO0lBQ0YsTUFBTSxjQUFjLENBQUMsSUFBSSxDQUN2QixJQUFJLHlCQUFVLENBQUMsRUFBRSxTQUFTLEVBQUUsVUFBVSxFQUFFLElBQUksRUFBRSxFQUFFLEdBQUcsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsRUFBRSxDQUFDLENBQ3pFLENBQUM7SUFDRixPQUFPLElBQUksQ0FBQztBQUNkLENBQUMsQ0FBQztBQXJCVyxRQUFBLFdBQVcsZUFxQnRCO0FBRUYsd0VBQXdFO0FBQ2pFLE1BQU0sWUFBWSxHQUFHLEtBQUssRUFDL0IsTUFBa0IsRUFDbEIsUUFBa0YsRUFBRSxFQUNyRSxFQUFFO0lBQ2pCLE1BQU0sR0FBRyxHQUFHLElBQUksSUFBSSxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUM7SUFDckMsTUFBTSxNQUFNLEdBQTRCO1FBQ3RDLE1BQU0sRUFBRSxNQUFNLENBQUMsTUFBTTtRQUNyQixZQUFZLEVBQUUsTUFBTSxDQUFDLFlBQVk7UUFDakMsZUFBZSxFQUFFLE1BQU0sQ0FBQyxlQUFlO1FBQ3ZDLGFBQWEsRUFBRSxNQUFNLENBQUMsYUFBYTtRQUNuQyxzQkFBc0IsRUFBRSxNQUFNLENBQUMsc0JBQXNCO1FBQ3JELFlBQVksRUFBRSxNQUFNLENBQUMsWUFBWTtRQUNqQyxjQUFjLEVBQUUsTUFBTSxDQUFDLGNBQWM7UUFDckMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxNQUFNO1FBQ3JCLFNBQVMsRUFBRSxHQUFHO0tBQ2YsQ0FBQztJQUNGLElBQUksS0FBSyxDQUFDLFFBQVE7UUFBRSxNQUFNLENBQUMsVUFBVSxHQUFHLEdBQUcsQ0FBQztJQUM1QyxJQUFJLEtBQUssQ0FBQyxnQkFBZ0IsS0FBSyxTQUFTO1FBQUUsTUFBTSxDQUFDLGdCQUFnQixHQUFHLEtBQUssQ0FBQyxnQkFBZ0IsQ0FBQztJQUMzRixJQUFJLEtBQUssQ0FBQyxXQUFXO1FBQUUsTUFBTSxDQUFDLFdBQVcsR0FBRyxLQUFLLENBQUMsV0FBVyxDQUFDO0lBRTlELE1BQU0sSUFBSSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDakMsTUFBTSxjQUFjLENBQUMsSUFBSSxDQUN2QixJQUFJLDRCQUFhLENBQUM7UUFDaEIsU0FBUyxFQUFFLFVBQVU7UUFDckIsR0FBRyxFQUFFLEVBQUUsTUFBTSxFQUFFLE1BQU0sQ0FBQyxNQUFNLEVBQUU7UUFDOUIsZ0JBQWdCLEVBQUUsT0FBTyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxFQUFFLEVBQUUsQ0FBQyxJQUFJLEdBQUcsT0FBTyxHQUFHLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRTtRQUM1RSx3QkFBd0IsRUFBRSxNQUFNLENBQUMsV0FBVyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxHQUFHLEVBQUUsRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQ2pGLHlCQUF5QixFQUFFLE1BQU0sQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLEdBQUcsRUFBRSxFQUFFLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7S0FDM0YsQ0FBQyxDQUNILENBQUM7QUFDSixDQUFDLENBQUM7QUE5QlcsUUFBQSxZQUFZLGdCQThCdkI7QUFFSyxNQUFNLGFBQWEsR0FBRyxLQUFLLEVBQUUsTUFBYyxFQUE4QixFQUFFO0lBQ2hGLE1BQU0sRUFBRSxJQUFJLEVBQUUsR0FBRyxNQUFNLGNBQWMsQ0FBQyxJQUFJLENBQ3hDLElBQUkseUJBQVUsQ0FBQyxFQUFFLFNBQVMsRUFBRSxVQUFVLEVBQUUsR0FBRyxFQUFFLEVBQUUsTUFBTSxFQUFFLEVBQUUsQ0FBQyxDQUMzRCxDQUFDO0lBQ0YsT0FBUSxJQUErQixJQUFJLElBQUksQ0FBQztBQUNsRCxDQUFDLENBQUM7QUFMVyxRQUFBLGFBQWEsaUJBS3hCO0FBRUYsMkNBQTJDO0FBQ3BDLE1BQU0sZUFBZSxHQUFHLEtBQUssRUFBRSxLQUFhLEVBQXlCLEVBQUU7SUFDNUUsTUFBTSxFQUFFLEtBQUssRUFBRSxHQUFHLE1BQU0sY0FBYyxDQUFDLElBQUksQ0FDekMsSUFBSSwyQkFBWSxDQUFDO1FBQ2YsU0FBUyxFQUFFLFVBQVU7UUFDckIsU0FBUyxFQUFFLHdCQUFnQjtRQUMzQixzQkFBc0IsRUFBRSxlQUFlO1FBQ3ZDLHdCQUF3QixFQUFFLEVBQUUsT0FBTyxFQUFFLE1BQU0sRUFBRTtRQUM3Qyx5QkFBeUIsRUFBRSxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUU7UUFDNUMsZ0JBQWdCLEVBQUUsS0FBSztRQUN2QixLQUFLLEVBQUUsS0FBSztLQUNiLENBQUMsQ0FDSCxDQUFDO0lBQ0YsT0FBTyxDQUFDLEtBQUssSUFBSSxFQUFFLENBQWlCLENBQUM7QUFDdkMsQ0FBQyxDQUFDO0FBYlcsUUFBQSxlQUFlLG1CQWExQiIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IER5bmFtb0RCQ2xpZW50IH0gZnJvbSBcIkBhd3Mtc2RrL2NsaWVudC1keW5hbW9kYlwiO1xuaW1wb3J0IHtcbiAgRHluYW1vREJEb2N1bWVudENsaWVudCxcbiAgR2V0Q29tbWFuZCxcbiAgUHV0Q29tbWFuZCxcbiAgUXVlcnlDb21tYW5kLFxuICBVcGRhdGVDb21tYW5kLFxufSBmcm9tIFwiQGF3cy1zZGsvbGliLWR5bmFtb2RiXCI7XG5pbXBvcnQgeyBMb2FkU3RhdHVzIH0gZnJvbSBcIi4vbG9hZFRyYWNrZXJcIjtcblxuLy8gSGlzdG9yeSBvZiBidWxrIGxvYWRzIGluIHRoZSBMT0FEX0hJU1RPUllfVEFCTEUgRHluYW1vREIgdGFibGUsIG9uZSBpdGVtXG4vLyBwZXIgTmVwdHVuZSBsb2FkIGlkLiBOZXB0dW5lIG9ubHkga2VlcHMgcmVjZW50IGxvYWRzIGFuZCBkb2VzIG5vdCBrbm93IHdob1xuLy8gc3RhcnRlZCB0aGVtLCBzbyB0aGUgRnVuY3Rpb24gVVJMIHJlY29yZHMgZWFjaCBsb2FkIGhlcmUgYW5kIGtlZXBzIGl0c1xuLy8gc3RhdHVzLCBjb3VudHMgYW5kIGZpcnN0IGVycm9ycyB1cCB0byBkYXRlLlxuXG5jb25zdCBkb2N1bWVudENsaWVudCA9IER5bmFtb0RCRG9jdW1lbnRDbGllbnQuZnJvbShuZXcgRHluYW1vREJDbGllbnQoe30pLCB7XG4gIG1hcnNoYWxsT3B0aW9uczogeyByZW1vdmVVbmRlZmluZWRWYWx1ZXM6IHRydWUgfSxcbn0pO1xuY29uc3QgVEFCTEVfTkFNRSA9IHByb2Nlc3MuZW52LkxPQURfSElTVE9SWV9UQUJMRSE7XG5cbi8vIEV2ZXJ5IGl0ZW0gc2hhcmVzIHRoaXMgcGFydGl0aW9uIGluIHRoZSBieVN0YXJ0ZWRBdCBpbmRleCwgd2hpY2ggbGlzdHNcbi8vIGxvYWRzIG5ld2VzdCBmaXJzdFxuY29uc3QgS0lORCA9IFwibG9hZFwiO1xuZXhwb3J0IGNvbnN0IFNUQVJURURfQVRfSU5ERVggPSBcImJ5U3RhcnRlZEF0XCI7XG5cbmV4cG9ydCBpbnRlcmZhY2UgTG9hZFJlY29yZCBleHRlbmRzIE9taXQ8TG9hZFN0YXR1cywgXCJlcnJvcnNcIj4ge1xuICBlcnJvcnM6IExvYWRTdGF0dXNbXCJlcnJvcnNcIl07XG4gIHNvdXJjZTogc3RyaW5nO1xuICBmb3JtYXQ6IHN0cmluZztcbiAgLy8gSlNPTiBvZiB0aGUgbG9hZGVyIG9wdGlvbnMgb3RoZXIgdGhhbiBzb3VyY2UgYW5kIGZvcm1hdFxuICBvcHRpb25zOiBzdHJpbmc7XG4gIHN0YXJ0ZWRCeTogc3RyaW5nO1xuICBzdGFydGVkQXQ6IHN0cmluZztcbiAgdXBkYXRlZEF0OiBzdHJpbmc7XG4gIGZpbmlzaGVkQXQ/OiBzdHJpbmc7XG4gIC8vIFNldCB3aGVuIHRoZSB0cmFja2VyIGdhdmUgdXAgYmVmb3JlIHRoZSBsb2FkIGVuZGVkXG4gIHRyYWNraW5nVGltZWRPdXQ/OiBib29sZWFuO1xuICBjYW5jZWxsZWRCeT86IHN0cmluZztcbn1cblxuZXhwb3J0IGNvbnN0IHJlY29yZFN0YXJ0ID0gYXN5bmMgKFxuICByZWNvcmQ6IFBpY2s8TG9hZFJlY29yZCwgXCJsb2FkSWRcIiB8IFwic291cmNlXCIgfCBcImZvcm1hdFwiIHwgXCJvcHRpb25zXCIgfCBcInN0YXJ0ZWRCeVwiPlxuKTogUHJvbWlzZTxMb2FkUmVjb3JkPiA9PiB7XG4gIGNvbnN0IG5vdyA9IG5ldyBEYXRlKCkudG9JU09TdHJpbmcoKTtcbiAgY29uc3QgaXRlbTogTG9hZFJlY29yZCA9IHtcbiAgICAuLi5yZWNvcmQsXG4gICAgc3RhdHVzOiBcIkxPQURfTk9UX1NUQVJURURcIixcbiAgICB0b3RhbFJlY29yZHM6IG51bGwsXG4gICAgdG90YWxEdXBsaWNhdGVzOiBudWxsLFxuICAgIHBhcnNpbmdFcnJvcnM6IG51bGwsXG4gICAgZGF0YXR5cGVNaXNtYXRjaEVycm9yczogbnVsbCxcbiAgICBpbnNlcnRFcnJvcnM6IG51bGwsXG4gICAgdG90YWxUaW1lU3BlbnQ6IG51bGwsXG4gICAgZXJyb3JzOiBbXSxcbiAgICBzdGFydGVkQXQ6IG5vdyxcbiAgICB1cGRhdGVkQXQ6IG5vdyxcbiAgfTtcbiAgYXdhaXQgZG9jdW1lbnRDbGllbnQuc2VuZChcbiAgICBuZXcgUHV0Q29tbWFuZCh7IFRhYmxlTmFtZTogVEFCTEVfTkFNRSwgSXRlbTogeyAuLi5pdGVtLCBraW5kOiBLSU5EIH0gfSlcbiAgKTtcbiAgcmV0dXJuIGl0ZW07XG59O1xuXG4vKiogU3RvcmVzIHRoZSBsYXRlc3Qgc3RhdHVzOyBhIHRlcm1pbmFsIHN0YXR1cyBhbHNvIHNldHMgZmluaXNoZWRBdC4gKi9cbmV4cG9ydCBjb25zdCByZWNvcmRTdGF0dXMgPSBhc3luYyAoXG4gIHN0YXR1czogTG9hZFN0YXR1cyxcbiAgZXh0cmE6IHsgZmluaXNoZWQ/OiBib29sZWFuOyB0cmFja2luZ1RpbWVkT3V0PzogYm9vbGVhbjsgY2FuY2VsbGVkQnk/OiBzdHJpbmcgfSA9IHt9XG4pOiBQcm9taXNlPHZvaWQ+ID0+IHtcbiAgY29uc3Qgbm93ID0gbmV3IERhdGUoKS50b0lTT1N0cmluZygpO1xuICBjb25zdCB2YWx1ZXM6IFJlY29yZDxzdHJpbmcsIHVua25vd24+ID0ge1xuICAgIHN0YXR1czogc3RhdHVzLnN0YXR1cyxcbiAgICB0b3RhbFJlY29yZHM6IHN0YXR1cy50b3RhbFJlY29yZHMsXG4gICAgdG90YWxEdXBsaWNhdGVzOiBzdGF0dXMudG90YWxEdXBsaWNhdGVzLFxuICAgIHBhcnNpbmdFcnJvcnM6IHN0YXR1cy5wYXJzaW5nRXJyb3JzLFxuICAgIGRhdGF0eXBlTWlzbWF0Y2hFcnJvcnM6IHN0YXR1cy5kYXRhdHlwZU1pc21hdGNoRXJyb3JzLFxuICAgIGluc2VydEVycm9yczogc3RhdHVzLmluc2VydEVycm9ycyxcbiAgICB0b3RhbFRpbWVTcGVudDogc3RhdHVzLnRvdGFsVGltZVNwZW50LFxuICAgIGVycm9yczogc3RhdHVzLmVycm9ycyxcbiAgICB1cGRhdGVkQXQ6IG5vdyxcbiAgfTtcbiAgaWYgKGV4dHJhLmZpbmlzaGVkKSB2YWx1ZXMuZmluaXNoZWRBdCA9IG5vdztcbiAgaWYgKGV4dHJhLnRyYWNraW5nVGltZWRPdXQgIT09IHVuZGVmaW5lZCkgdmFsdWVzLnRyYWNraW5nVGltZWRPdXQgPSBleHRyYS50cmFja2luZ1RpbWVkT3V0O1xuICBpZiAoZXh0cmEuY2FuY2VsbGVkQnkpIHZhbHVlcy5jYW5jZWxsZWRCeSA9IGV4dHJhLmNhbmNlbGxlZEJ5O1xuXG4gIGNvbnN0IGtleXMgPSBPYmplY3Qua2V5cyh2YWx1ZXMpO1xuICBhd2FpdCBkb2N1bWVudENsaWVudC5zZW5kKFxuICAgIG5ldyBVcGRhdGVDb21tYW5kKHtcbiAgICAgIFRhYmxlTmFtZTogVEFCTEVfTkFNRSxcbiAgICAgIEtleTogeyBsb2FkSWQ6IHN0YXR1cy5sb2FkSWQgfSxcbiAgICAgIFVwZGF0ZUV4cHJlc3Npb246IGBTRVQgJHtrZXlzLm1hcCgoa2V5KSA9PiBgIyR7a2V5fSA9IDoke2tleX1gKS5qb2luKFwiLCBcIil9YCxcbiAgICAgIEV4cHJlc3Npb25BdHRyaWJ1dGVOYW1lczogT2JqZWN0LmZyb21FbnRyaWVzKGtleXMubWFwKChrZXkpID0+IFtgIyR7a2V5fWAsIGtleV0pKSxcbiAgICAgIEV4cHJlc3Npb25BdHRyaWJ1dGVWYWx1ZXM6IE9iamVjdC5mcm9tRW50cmllcyhrZXlzLm1hcCgoa2V5KSA9PiBbYDoke2tleX1gLCB2YWx1ZXNba2V5XV0pKSxcbiAgICB9KVxuICApO1xufTtcblxuZXhwb3J0IGNvbnN0IGdldExvYWRSZWNvcmQgPSBhc3luYyAobG9hZElkOiBzdHJpbmcpOiBQcm9taXNlPExvYWRSZWNvcmQgfCBudWxsPiA9PiB7XG4gIGNvbnN0IHsgSXRlbSB9ID0gYXdhaXQgZG9jdW1lbnRDbGllbnQuc2VuZChcbiAgICBuZXcgR2V0Q29tbWFuZCh7IFRhYmxlTmFtZTogVEFCTEVfTkFNRSwgS2V5OiB7IGxvYWRJZCB9IH0pXG4gICk7XG4gIHJldHVybiAoSXRlbSBhcyBMb2FkUmVjb3JkIHwgdW5kZWZpbmVkKSA/PyBudWxsO1xufTtcblxuLyoqIFRoZSBtb3N0IHJlY2VudCBsb2FkcywgbmV3ZXN0IGZpcnN0LiAqL1xuZXhwb3J0IGNvbnN0IGxpc3RMb2FkUmVjb3JkcyA9IGFzeW5jIChsaW1pdDogbnVtYmVyKTogUHJvbWlzZTxMb2FkUmVjb3JkW10+ID0+IHtcbiAgY29uc3QgeyBJdGVtcyB9ID0gYXdhaXQgZG9jdW1lbnRDbGllbnQuc2VuZChcbiAgICBuZXcgUXVlcnlDb21tYW5kKHtcbiAgICAgIFRhYmxlTmFtZTogVEFCTEVfTkFNRSxcbiAgICAgIEluZGV4TmFtZTogU1RBUlRFRF9BVF9JTkRFWCxcbiAgICAgIEtleUNvbmRpdGlvbkV4cHJlc3Npb246IFwiI2tpbmQgPSA6a2luZFwiLFxuICAgICAgRXhwcmVzc2lvbkF0dHJpYnV0ZU5hbWVzOiB7IFwiI2tpbmRcIjogXCJraW5kXCIgfSxcbiAgICAgIEV4cHJlc3Npb25BdHRyaWJ1dGVWYWx1ZXM6IHsgXCI6a2luZFwiOiBLSU5EIH0sXG4gICAgICBTY2FuSW5kZXhGb3J3YXJkOiBmYWxzZSxcbiAgICAgIExpbWl0OiBsaW1pdCxcbiAgICB9KVxuICApO1xuICByZXR1cm4gKEl0ZW1zID8/IFtdKSBhcyBMb2FkUmVjb3JkW107XG59O1xuIl19
\ No newline at end of file
@@ -0,0 +1,118 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { LoadStatus } from "./loadTracker";
+
+// History of bulk loads in the LOAD_HISTORY_TABLE DynamoDB table, one item
+// per Neptune load id. Neptune only keeps recent loads and does not know who
+// started them, so the Function URL records each load here and keeps its
+// status, counts and first errors up to date.
+
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+});
+const TABLE_NAME = process.env.LOAD_HISTORY_TABLE!;
+
+// Every item shares this partition in the byStartedAt index, which lists
+// loads newest first
+const KIND = "load";
+export const STARTED_AT_INDEX = "byStartedAt";
+
+export interface LoadRecord extends Omit<LoadStatus, "errors"> {
+  errors: LoadStatus["errors"];
+  source: string;
+  format: string;
+  // JSON of the loader options other than source and format
+  options: string;
+  startedBy: string;
+  startedAt: string;
+  updatedAt: string;
+  finishedAt?: string;
+  // Set when the tracker gave up before the load ended
+  trackingTimedOut?: boolean;
+  cancelledBy?: string;
+}
+
+export const recordStart = async (
+  record: Pick<LoadRecord, "loadId" | "source" | "format" | "options" | "startedBy">
+): Promise<LoadRecord> => {
+  const now = new Date().toISOString();
+  const item: LoadRecord = {
+    ...record,
+    status: "LOAD_NOT_STARTED",
+    totalRecords: null,
+    totalDuplicates: null,
+    parsingErrors: null,
+    datatypeMismatchErrors: null,
+    insertErrors: null,
+    totalTimeSpent: null,
+    errors: [],
+    startedAt: now,
+    updatedAt: now,
+  };
+  await documentClient.send(
+    new PutCommand({ TableName: TABLE_NAME, Item: { ...item, kind: KIND } })
+  );
+  return item;
+};
+
+/** Stores the latest status; a terminal status also sets finishedAt. */
+export const recordStatus = async (
+  status: LoadStatus,
+  extra: { finished?: boolean; trackingTimedOut?: boolean; cancelledBy?: string } = {}
+): Promise<void> => {
+  const now = new Date().toISOString();
+  const values: Record<string, unknown> = {
+    status: status.status,
+    totalRecords: status.totalRecords,
+    totalDuplicates: status.totalDuplicates,
+    parsingErrors: status.parsingErrors,
+    datatypeMismatchErrors: status.datatypeMismatchErrors,
+    insertErrors: status.insertErrors,
+    totalTimeSpent: status.totalTimeSpent,
+    errors: status.errors,
+    updatedAt: now,
+  };
+  if (extra.finished) values.finishedAt = now;
+  if (extra.trackingTimedOut !== undefined) values.trackingTimedOut = extra.trackingTimedOut;
+  if (extra.cancelledBy) values.cancelledBy = extra.cancelledBy;
+
+  const keys = Object.keys(values);
+  await documentClient.send(
+    new UpdateCommand({
+      TableName: TABLE_NAME,
+      Key: { loadId: status.loadId },
+      UpdateExpression: `SET ${keys.map((key) => `#${key} = :${key}`).join(", ")}`,
+      ExpressionAttributeNames: Object.fromEntries(keys.map((key) => [`#${key}`, key])),
+      ExpressionAttributeValues: Object.fromEntries(keys.map((key) => [`:${key}`, values[key]])),
+    })
+  );
+};
+
+export const getLoadRecord = async (loadId: string): Promise<LoadRecord | null> => {
+  const { Item } = await documentClient.send(
+    new GetCommand({ TableName: TABLE_NAME, Key: { loadId } })
+  );
+  return (Item as LoadRecord | undefined) ?? null;
+};
+
+/** The most recent loads, newest first. */
+export const listLoadRecords = async (limit: number): Promise<LoadRecord[]> => {
+  const { Items } = await documentClient.send(
+    new QueryCommand({
+      TableName: TABLE_NAME,
+      IndexName: STARTED_AT_INDEX,
+      KeyConditionExpression: "#kind = :kind",
+      ExpressionAttributeNames: { "#kind": "kind" },
+      ExpressionAttributeValues: { ":kind": KIND },
+      ScanIndexForward: false,
+      Limit: limit,
+    })
+  );
+  return (Items ?? []) as LoadRecord[];
+};
@@ -0,0 +1,52 @@
+export declare const LOAD_FORMATS: readonly ["csv", "opencypher", "ntriples", "nquads", "rdfxml", "turtle"];
+export declare const PARALLELISM: readonly ["LOW", "MEDIUM", "HIGH", "OVERSUBSCRIBE"];
+export declare const LOAD_MODES: readonly ["NEW", "RESUME", "AUTO"];
+export interface LoadRequest {
+    sources: string[];
+    format: (typeof LOAD_FORMATS)[number];
+    parallelism: (typeof PARALLELISM)[number];
+    updateSingleCardinalityProperties: boolean;
+    failOnError: boolean;
+    mode: (typeof LOAD_MODES)[number];
+    namedGraphUri?: string;
+    baseUri?: string;
+    validate: boolean;
+}
+export declare class LoadRequestError extends Error {
+    constructor(message: string);
+}
+/**
+ * Whether `source` is inside one of `prefixes`. A prefix ending in "/" is a
+ * folder; any other prefix matches itself and the objects under it as a
+ * folder, so "s3://bucket/data" does not admit "s3://bucket/data-other".
+ */
+export declare const isAllowedSource: (source: string, prefixes: string[]) => boolean;
+/** Validates a parsed request body and fills in the defaults. */
+export declare const parseLoadRequest: (body: unknown, defaults: {
+    sources: string[];
+    allowedPrefixes: string[];
+}) => LoadRequest;
+/**
+ * The POST /loader body for one source of `request`. A load with
+ * `dependencies` waits in the queue until those loads complete, and fails
+ * if one of them does not.
+ */
+export declare const loaderBody: (request: LoadRequest, source: string, options: {
+    iamRoleArn?: string;
+    region: string;
+    dependencies?: string[];
+}) => {
+    parserConfiguration?: Record<string, string> | undefined;
+    dependencies?: string[] | undefined;
+    source: string;
+    format: "csv" | "opencypher" | "ntriples" | "nquads" | "rdfxml" | "turtle";
+    iamRoleArn: string | undefined;
+    region: string;
+    mode: "NEW" | "RESUME" | "AUTO";
+    failOnError: string;
+    parallelism: "LOW" | "MEDIUM" | "HIGH" | "OVERSUBSCRIBE";
+    updateSingleCardinalityProperties: string;
+    queueRequest: string;
+};
+/** The options of a loaderBody() result as kept in the load history. */
+export declare const loaderOptionsJson: (body: ReturnType<typeof loaderBody>) => string;
@@ -0,0 +1,164 @@
+"use strict";
+// Request body accepted by the bulk-load Function URL and its translation to
+// Neptune loader requests. Every field is optional; an empty body loads the
+// VERTEX and EDGE sources with the defaults below.
+//
+// {
+//   "sources": ["s3://bucket/prefix/vertex.csv", "s3://bucket/prefix/edge.csv"],
+//   "format": "csv",
+//   "parallelism": "MEDIUM",
+//   "updateSingleCardinalityProperties": false,
+//   "failOnError": false,
+//   "mode": "AUTO",
+//   "namedGraphUri": "http://example.org/graph",
+//   "baseUri": "http://example.org/",
+//   "validate": true
+// }
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.loaderOptionsJson = exports.loaderBody = exports.parseLoadRequest = exports.isAllowedSource = exports.LoadRequestError = exports.LOAD_MODES = exports.PARALLELISM = exports.LOAD_FORMATS = void 0;
+exports.LOAD_FORMATS = [
+    "csv",
+    "opencypher",
+    "ntriples",
+    "nquads",
+    "rdfxml",
+    "turtle",
+];
+exports.PARALLELISM = ["LOW", "MEDIUM", "HIGH", "OVERSUBSCRIBE"];
+exports.LOAD_MODES = ["NEW", "RESUME", "AUTO"];
+// Formats whose triples have no graph of their own; only these take a
+// namedGraphUri
+const RDF_TRIPLE_FORMATS = ["ntriples", "rdfxml", "turtle"];
+const RDF_FORMATS = [...RDF_TRIPLE_FORMATS, "nquads"];
+class LoadRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "LoadRequestError";
+    }
+}
+exports.LoadRequestError = LoadRequestError;
+const oneOf = (name, value, allowed, fallback) => {
+    if (value === undefined || value === null)
+        return fallback;
+    const normalized = String(value);
+    const match = allowed.find((option) => option.toLowerCase() === normalized.toLowerCase());
+    if (!match) {
+        throw new LoadRequestError(`${name} must be one of ${allowed.join(", ")}; got "${normalized}"`);
+    }
+    return match;
+};
+const flag = (name, value, fallback) => {
+    if (value === undefined || value === null)
+        return fallback;
+    if (typeof value === "boolean")
+        return value;
+    if (value === "TRUE" || value === "true")
+        return true;
+    if (value === "FALSE" || value === "false")
+        return false;
+    throw new LoadRequestError(`${name} must be true or false`);
+};
+const optionalUri = (name, value) => {
+    if (value === undefined || value === null || value === "")
+        return undefined;
+    const uri = String(value);
+    try {
+        new URL(uri);
+    }
+    catch {
+        throw new LoadRequestError(`${name} must be an absolute URI; got "${uri}"`);
+    }
+    return uri;
+};
+/**
+ * Whether `source` is inside one of `prefixes`. A prefix ending in "/" is a
+ * folder; any other prefix matches itself and the objects under it as a
+ * folder, so "s3://bucket/data" does not admit "s3://bucket/data-other".
+ */
+const isAllowedSource = (source, prefixes) => prefixes.some((prefix) => prefix.endsWith("/")
+    ? source.startsWith(prefix)
+    : source === prefix || source.startsWith(`${prefix}/`));
+exports.isAllowedSource = isAllowedSource;
+const validateSource = (source, prefixes) => {
+    const uri = String(source ?? "").trim();
+    if (!/^s3:\/\/[a-z0-9][a-z0-9.-]{1,61}[a-z0-9](\/.*)?$/.test(uri)) {
+        throw new LoadRequestError(`Invalid S3 URI: "${uri}"`);
+    }
+    if (uri.split("/").some((segment) => segment === "..")) {
+        throw new LoadRequestError(`S3 URI must not contain "..": "${uri}"`);
+    }
+    if (!(0, exports.isAllowedSource)(uri, prefixes)) {
+        throw new LoadRequestError(`${uri} is outside the allowed prefixes: ${prefixes.join(", ")}`);
+    }
+    return uri;
+};
+/** Validates a parsed request body and fills in the defaults. */
+const parseLoadRequest = (body, defaults) => {
+    if (body !== undefined && body !== null && (typeof body !== "object" || Array.isArray(body))) {
+        throw new LoadRequestError("Request body must be a JSON object");
+    }
+    const input = (body ?? {});
+    const rawSources = input.sources ?? defaults.sources;
+    if (!Array.isArray(rawSources) || rawSources.length === 0) {
+        throw new LoadRequestError("sources must be a non-empty array of S3 URIs");
+    }
+    const sources = rawSources.map((source) => validateSource(source, defaults.allowedPrefixes));
+    const format = oneOf("format", input.format, exports.LOAD_FORMATS, "csv");
+    const namedGraphUri = optionalUri("namedGraphUri", input.namedGraphUri);
+    if (namedGraphUri && !RDF_TRIPLE_FORMATS.includes(format)) {
+        throw new LoadRequestError(`namedGraphUri only applies to the ${RDF_TRIPLE_FORMATS.join(", ")} formats`);
+    }
+    const baseUri = optionalUri("baseUri", input.baseUri);
+    if (baseUri && !RDF_FORMATS.includes(format)) {
+        throw new LoadRequestError(`baseUri only applies to the ${RDF_FORMATS.join(", ")} formats`);
+    }
+    const validate = flag("validate", input.validate, false);
+    if (validate && format !== "csv") {
+        throw new LoadRequestError("validate only applies to the csv format");
+    }
+    return {
+        sources,
+        format,
+        parallelism: oneOf("parallelism", input.parallelism, exports.PARALLELISM, "MEDIUM"),
+        updateSingleCardinalityProperties: flag("updateSingleCardinalityProperties", input.updateSingleCardinalityProperties, false),
+        failOnError: flag("failOnError", input.failOnError, false),
+        mode: oneOf("mode", input.mode, exports.LOAD_MODES, "AUTO"),
+        namedGraphUri,
+        baseUri,
+        validate,
+    };
+};
+exports.parseLoadRequest = parseLoadRequest;
+/**
+ * The POST /loader body for one source of `request`. A load with
+ * `dependencies` waits in the queue until those loads complete, and fails
+ * if one of them does not.
+ */
+const loaderBody = (request, source, options) => {
+    const parserConfiguration = {};
+    if (request.namedGraphUri)
+        parserConfiguration.namedGraphUri = request.namedGraphUri;
+    if (request.baseUri)
+        parserConfiguration.baseUri = request.baseUri;
+    return {
+        source,
+        format: request.format,
+        iamRoleArn: options.iamRoleArn,
+        region: options.region,
+        mode: request.mode,
+        failOnError: request.failOnError ? "TRUE" : "FALSE",
+        parallelism: request.parallelism,
+        updateSingleCardinalityProperties: request.updateSingleCardinalityProperties ? "TRUE" : "FALSE",
+        queueRequest: "TRUE",
+        ...(options.dependencies?.length ? { dependencies: options.dependencies } : {}),
+        ...(Object.keys(parserConfiguration).length > 0 ? { parserConfiguration } : {}),
+    };
+};
+exports.loaderBody = loaderBody;
+/** The options of a loaderBody() result as kept in the load history. */
+const loaderOptionsJson = (body) => {
+    const { source, format, iamRoleArn, region, ...options } = body;
+    return JSON.stringify(options);
+};
+exports.loaderOptionsJson = loaderOptionsJson;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibG9hZFJlcXVlc3QuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJsb2FkUmVxdWVzdC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiO0FBQUEsNkVBQTZFO0FBQzdFLDRFQUE0RTtBQUM1RSxtREFBbUQ7QUFDbkQsRUFBRTtBQUNGLElBQUk7QUFDSixpRkFBaUY7QUFDakYscUJBQXFCO0FBQ3JCLDZCQUE2QjtBQUM3QixnREFBZ0Q7QUFDaEQsMEJBQTBCO0FBQzFCLG9CQUFvQjtBQUNwQixpREFBaUQ7QUFDakQsc0NBQXNDO0FBQ3RDLHFCQUFxQjtBQUNyQixJQUFJOzs7QUFFUyxRQUFBLFlBQVksR0FBRztJQUMxQixLQUFLO0lBQ0wsWUFBWTtJQUNaLFVBQVU7SUFDVixRQUFRO0lBQ1IsUUFBUTtJQUNSLFFBQVE7Q0FDQSxDQUFDO0FBRUUsUUFBQSxXQUFXLEdBQUcsQ0FBQyxLQUFLLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxlQUFlLENBQVUsQ0FBQztBQUVsRSxRQUFBLFVBQVUsR0FBRyxDQUFDLEtBQUssRUFBRSxRQUFRLEVBQUUsTUFBTSxDQUFVLENBQUM7QUFFN0Qsc0VBQXNFO0FBQ3RFLGdCQUFnQjtBQUNoQixNQUFNLGtCQUFrQixHQUFHLENBQUMsVUFBVSxFQUFFLFFBQVEsRUFBRSxRQUFRLENBQUMsQ0FBQztBQUM1RCxNQUFNLFdBQVcsR0FBRyxDQUFDLEdBQUcsa0JBQWtCLEVBQUUsUUFBUSxDQUFDLENBQUM7QUFldEQsTUFBYSxnQkFBaUIsU0FBUSxLQUFLO0lBQ3pDLFlBQVksT0FBZTtRQUN6QixLQUFLLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDZixJQUFJLENBQUMsSUFBSSxHQUFHLGtCQUFrQixDQUFDO0lBQ2pDLENBQUM7Q0FDRjtBQUxELDRDQUtDO0FBRUQsTUFBTSxLQUFLLEdBQUcsQ0FDWixJQUFZLEVBQ1osS0FBYyxFQUNkLE9BQXFCLEVBQ3JCLFFBQVcsRUFDUixFQUFFO0lBQ0wsSUFBSSxLQUFLLEtBQUssU0FBUyxJQUFJLEtBQUssS0FBSyxJQUFJO1FBQUUsT0FBTyxRQUFRLENBQUM7SUFDM0QsTUFBTSxVQUFVLEdBQUcsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ2pDLE1BQU0sS0FBSyxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxXQUFXLEVBQUUsS0FBSyxVQUFVLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQztJQUMxRixJQUFJLENBQUMsS0FBSyxFQUFFLENBQUM7UUFDWCxNQUFNLElBQUksZ0JBQWdCLENBQUMsR0FBRyxJQUFJLG1CQUFtQixPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxVQUFVLFVBQVUsR0FBRyxDQUFDLENBQUM7SUFDbEcsQ0FBQztJQUNELE9BQU8sS0FBSyxDQUFDO0FBQ2YsQ0FBQyxDQUFDO0FBRUYsTUFBTSxJQUFJLEdBQUcsQ0FBQyxJQUFZLEVBQUUsS0FBYyxFQUFFLFFBQWlCLEVBQVcsRUFBRTtJQUN4RSxJQUFJLEtBQUssS0FBSyxTQUFTLElBQUksS0FBSyxLQUFLLElBQUk7UUFBRSxPQUFPLFFBQVEsQ0FBQztJQUMzRCxJQUFJLE9BQU8sS0FBSyxLQUFLLFNBQVM7UUFBRSxPQUFPLEtBQUssQ0FBQztJQUM3QyxJQUFJLEtBQUssS0FBSyxNQUFNLElBQUksS0FBSyxLQUFLLE1BQU07UUFBRSxPQUFPLElBQUksQ0FBQztJQUN0RCxJQUFJLEtBQUssS0FBSyxPQUFPLElBQUksS0FBSyxLQUFLLE9BQU87UUFBRSxPQUFPLEtBQUssQ0FBQztJQUN6RCxNQUFNLElBQUksZ0JBQWdCLENBQUMsR0FBRyxJQUFJLHdCQUF3QixDQUFDLENBQUM7QUFDOUQsQ0FBQyxDQUFDO0FBRUYsTUFBTSxXQUFXLEdBQUcsQ0FBQyxJQUFZLEVBQUUsS0FBYyxFQUFzQixFQUFFO0lBQ3ZFLElBQUksS0FBSyxLQUFLLFNBQVMsSUFBSSxLQUFLLEtBQUssSUFBSSxJQUFJLEtBQUssS0FBSyxFQUFFO1FBQUUsT0FBTyxTQUFTLENBQUM7SUFDNUUsTUFBTSxHQUFHLEdBQUcsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQzFCLElBQUksQ0FBQztRQUNILElBQUksR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ2YsQ0FBQztJQUFDLE1BQU0sQ0FBQztRQUNQLE1BQU0sSUFBSSxnQkFBZ0IsQ0FBQyxHQUFHLElBQUksa0NBQWtDLEdBQUcsR0FBRyxDQUFDLENBQUM7SUFDOUUsQ0FBQztJQUNELE9BQU8sR0FBRyxDQUFDO0FBQ2IsQ0FBQyxDQUFDO0FBRUY7Ozs7R0FJRztBQUNJLE1BQU0sZUFBZSxHQUFHLENBQUMsTUFBYyxFQUFFLFFBQWtCLEVBQVcsRUFBRSxDQUM3RSxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FDdkIsTUFBTSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUM7SUFDbEIsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxVQUFVLENBQUMsTUFBTSxDQUFDO0lBQzNCLENBQUMsQ0FBQyxNQUFNLEtBQUssTUFBTSxJQUFJLE1BQU0sQ0FBQyxVQUFVLENBQUMsR0FBRyxNQUFNLEdBQUcsQ0FBQyxDQUN6RCxDQUFDO0FBTFMsUUFBQSxlQUFlLG1CQUt4QjtBQUVKLE1BQU0sY0FBYyxHQUFHLENBQUMsTUFBZSxFQUFFLFFBQWtCLEVBQVUsRUFBRTtJQUNyRSxNQUFNLEdBQUcsR0FBRyxNQUFNLENBQUMsTUFBTSxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO0lBQ3hDLElBQUksQ0FBQyxrREFBa0QsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQztRQUNsRSxNQUFNLElBQUksZ0JBQWdCLENBQUMsb0JBQW9CLEdBQUcsR0FBRyxDQUFDLENBQUM7SUFDekQsQ0FBQztJQUNELElBQUksR0FBRyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxPQUFPLEVBQUUsRUFBRSxDQUFDLE9BQU8sS0FBSyxJQUFJLENBQUMsRUFBRSxDQUFDO1FBQ3ZELE1BQU0sSUFBSSxnQkFBZ0IsQ0FBQyxrQ0FBa0MsR0FBRyxHQUFHLENBQUMsQ0FBQztJQUN2RSxDQUFDO0lBQ0QsSUFBSSxDQUFDLElBQUEsdUJBQWUsRUFBQyxHQUFHLEVBQUUsUUFBUSxDQUFDLEVBQUUsQ0FBQztRQUNwQyxNQUFNLElBQUksZ0JBQWdCLENBQ3hCLEdBQUcsR0FBRyxxQ0FBcUMsUUFBUSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUNqRSxDQUFDO0lBQ0osQ0FBQztJQUNELE9BQU8sR0FBRyxDQUFDO0FBQ2IsQ0FBQyxDQUFDO0FBRUYsaUVBQWlFO0FBQzFELE1BQU0sZ0JBQWdCLEdBQUcsQ0FDOUIsSUFBYSxFQUNiLFFBQTBELEVBQzdDLEVBQUU7SUFDZixJQUFJLElBQUksS0FBSyxTQUFTLElBQUksSUFBSSxLQUFLLElBQUksSUFBSSxDQUFDLE9BQU8sSUFBSSxLQUFLLFFBQVEsSUFBSSxLQUFLLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLEVBQUUsQ0FBQztRQUM3RixNQUFNLElBQUksZ0JBQWdCLENBQUMsb0NBQW9DLENBQUMsQ0FBQztJQUNuRSxDQUFDO0lBQ0QsTUFBTSxLQUFLLEdBQUcsQ0FBQyxJQUFJLElBQUksRUFBRSxDQUE0QixDQUFDO0lBRXRELE1BQU0sVUFBVSxHQUFHLEtBQUssQ0FBQyxPQUFPLElBQUksUUFBUSxDQUFDLE9BQU8sQ0FBQztJQUNyRCxJQUFJLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxVQUFVLENBQUMsSUFBSSxVQUFVLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSxDQUFDO1FBQzFELE1BQU0sSUFBSSxnQkFBZ0IsQ0FBQyw4Q0FBOEMsQ0FBQyxDQUFDO0lBQzdFLENBQUM7SUFDRCxNQUFNLE9BQU8sR0FBRyxVQUFVLENBQUMsR0FBRyxDQUFDLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxjQUFjLENBQUMsTUFBTSxFQUFFLFFBQVEsQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDO0lBRTdGLE1BQU0sTUFBTSxHQUFHLEtBQUssQ0FBQyxRQUFRLEVBQUUsS0FBSyxDQUFDLE1BQU0sRUFBRSxvQkFBWSxFQUFFLEtBQUssQ0FBQyxDQUFDO0lBQ2xFLE1BQU0sYUFBYSxHQUFHLFdBQVcsQ0FBQyxlQUFlLEVBQUUsS0FBSyxDQUFDLGFBQWEsQ0FBQyxDQUFDO0lBQ3hFLElBQUksYUFBYSxJQUFJLENBQUMsa0JBQWtCLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUM7UUFDMUQsTUFBTSxJQUFJLGdCQUFnQixDQUN4QixxQ0FBcUMsa0JBQWtCLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxVQUFVLENBQzdFLENBQUM7SUFDSixDQUFDO0lBQ0QsTUFBTSxPQUFPLEdBQUcsV0FBVyxDQUFDLFNBQVMsRUFBRSxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDdEQsSUFBSSxPQUFPLElBQUksQ0FBQyxXQUFXLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUM7UUFDN0MsTUFBTSxJQUFJLGdCQUFnQixDQUFDLCtCQUErQixXQUFXLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQztJQUM5RixDQUFDO0lBRUQsTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLFVBQVUsRUFBRSxLQUFLLENBQUMsUUFBUSxFQUFFLEtBQUssQ0FBQyxDQUFDO0lBQ3pELElBQUksUUFBUSxJQUFJLE1BQU0sS0FBSyxLQUFLLEVBQUUsQ0FBQztRQUNqQyxNQUFNLElBQUksZ0JBQWdCLENBQUMseUNBQXlDLENBQUMsQ0FBQztJQUN4RSxDQUFDO0lBRUQsT0FBTztRQUNMLE9BQU87UUFDUCxNQUFNO1FBQ04sV0FBVyxFQUFFLEtBQUssQ0FBQyxhQUFhLEVBQUUsS0FBSyxDQUFDLFdBQVcsRUFBRSxtQkFBVyxFQUFFLFFBQVEsQ0FBQztRQUMzRSxpQ0FBaUMsRUFBRSxJQUFJLENBQ3JDLG1DQUFtQyxFQUNuQyxLQUFLLENBQUMsaUNBQWlDLEVBQ3ZDLEtBQUssQ0FDTjtRQUNELFdBQVcsRUFBRSxJQUFJLENBQUMsYUFBYSxFQUFFLEtBQUssQ0FBQyxXQUFXLEVBQUUsS0FBSyxDQUFDO1FBQzFELElBQUksRUFBRSxLQUFLLENBQUMsTUFBTSxFQUFFLEtBQUssQ0FBQyxJQUFJLEVBQUUsa0JBQVUsRUFBRSxNQUFNLENBQUM7UUFDbkQsYUFBYTtRQUNiLE9BQU87UUFDUCxRQUFRO0tBQ1QsQ0FBQztBQUNKLENBQUMsQ0FBQztBQS9DVyxRQUFBLGdCQUFnQixvQkErQzNCO0FBRUY7Ozs7R0FJRztBQUNJLE1BQU0sVUFBVSxHQUFHLENBQ3hCLE9BQW9CLEVBQ3BCLE1BQWMsRUFDZCxPQUF5RSxFQUN6RSxFQUFFO0lBQ0YsTUFBTSxtQkFBbUIsR0FBMkIsRUFBRSxDQUFDO0lBQ3ZELElBQUksT0FBTyxDQUFDLGFBQWE7UUFBRSxtQkFBbUIsQ0FBQyxhQUFhLEdBQUcsT0FBTyxDQUFDLGFBQWEsQ0FBQztJQUNyRixJQUFJLE9BQU8sQ0FBQyxPQUFPO1FBQUUsbUJBQW1CLENBQUMsT0FBTyxHQUFHLE9BQU8sQ0FBQyxPQUFPLENBQUM7SUFDbkUsT0FBTztRQUNMLE1BQU07UUFDTixNQUFNLEVBQUUsT0FBTyxDQUFDLE1BQU07UUFDdEIsVUFBVSxFQUFFLE9BQU8sQ0FBQyxVQUFVO1FBQzlCLE1BQU0sRUFBRSxPQUFPLENBQUMsTUFBTTtRQUN0QixJQUFJLEVBQUUsT0FBTyxDQUFDLElBQUk7UUFDbEIsV0FBVyxFQUFFLE9BQU8sQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsT0FBTztRQUNuRCxXQUFXLEVBQUUsT0FBTyxDQUFDLFdBQVc7UUFDaEMsaUNBQWlDLEVBQUUsT0FBTyxDQUFDLGlDQUFpQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLE9BQU87UUFDL0YsWUFBWSxFQUFFLE1BQU07UUFDcEIsR0FBRyxDQUFDLE9BQU8sQ0FBQyxZQUFZLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLFlBQVksRUFBRSxPQUFPLENBQUMsWUFBWSxFQUFFLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztRQUMvRSxHQUFHLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsbUJBQW1CLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO0tBQ2hGLENBQUM7QUFDSixDQUFDLENBQUM7QUFyQlcsUUFBQSxVQUFVLGNBcUJyQjtBQUVGLHdFQUF3RTtBQUNqRSxNQUFNLGlCQUFpQixHQUFHLENBQUMsSUFBbUMsRUFBVSxFQUFFO0lBQy9FLE1BQU0sRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxNQUFNLEVBQUUsR0FBRyxPQUFPLEVBQUUsR0FBRyxJQUFJLENBQUM7SUFDaEUsT0FBTyxJQUFJLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxDQUFDO0FBQ2pDLENBQUMsQ0FBQztBQUhXLFFBQUEsaUJBQWlCLHFCQUc1QiIsInNvdXJjZXNDb250ZW50IjpbIi8vIFJlcXVlc3QgYm9keSBhY2NlcHRlZCBieSB0aGUgYnVsay1sb2FkIEZ1bmN0aW9uIFVSTCBhbmQgaXRzIHRyYW5zbGF0aW9uIHRvXG4vLyBOZXB0dW5lIGxvYWRlciByZXF1ZXN0cy4gRXZlcnkgZmllbGQgaXMgb3B0aW9uYWw7IGFuIGVtcHR5IGJvZHkgbG9hZHMgdGhlXG4vLyBWRVJURVggYW5kIEVER0Ugc291cmNlcyB3aXRoIHRoZSBkZWZhdWx0cyBiZWxvdy5cbi8vXG4vLyB7XG4vLyAgIFwic291cmNlc1wiOiBbXCJzMzovL2J1Y2tldC9wcmVmaXgvdmVydGV4LmNzdlwiLCBcInMzOi8vYnVja2V0L3ByZWZpeC9lZGdlLmNzdlwiXSxcbi8vICAgXCJmb3JtYXRcIjogXCJjc3ZcIixcbi8vICAgXCJwYXJhbGxlbGlzbVwiOiBcIk1FRElVTVwiLFxuLy8gICBcInVwZGF0ZVNpbmdsZUNhcmRpbmFsaXR5UHJvcGVydGllc1wiOiBmYWxzZSxcbi8vICAgXCJmYWlsT25FcnJvclwiOiBmYWxzZSxcbi8vICAgXCJtb2RlXCI6IFwiQVVUT1wiLFxuLy8gICBcIm5hbWVkR3JhcGhVcmlcIjogXCJodHRwOi8vZXhhbXBsZS5vcmcvZ3JhcGhcIixcbi8vICAgXCJiYXNlVXJpXCI6IFwiaHR0cDovL2V4YW1wbGUub3JnL1wiLFxuLy8gICBcInZhbGlkYXRlXCI6IHRydWVcbi8vIH1cblxuZXhwb3J0IGNvbnN0IExPQURfRk9STUFUUyA9IFtcbiAgXCJjc3ZcIixcbiAgXCJvcGVuY3lwaGVyXCIsXG4gIFwibnRyaXBsZXNcIixcbiAgXCJucXVhZHNcIixcbiAgXCJyZGZ4bWxcIixcbiAgXCJ0dXJ0bGVcIixcbl0gYXMgY29uc3Q7XG5cbmV4cG9ydCBjb25zdCBQQVJBTExFTElTTSA9IFtcIkxPV1wiLCBcIk1FRElVTVwiLCBcIkhJR0hcIiwgXCJPVkVSU1VCU0NSSUJFXCJdIGFzIGNvbnN0O1xuXG5leHBvcnQgY29uc3QgTE9BRF9NT0RFUyA9IFtcIk5FV1wiLCBcIlJFU1VNRVwiLCBcIkFVVE9cIl0gYXMgY29uc3Q7XG5cbi8vIEZvcm1hdHMgd2hvc2UgdHJpcGxlcyBoYXZlIG5vIGdyYXBoIG9mIHRoZWlyIG93bjsgb25seSB0aGVzZSB0YWtlIGFcbi8vIG5hbWVkR3JhcGhVcmlcbmNvbnN0IFJERl9UUklQTEVfRk9STUFUUyA9IFtcIm50cmlwbGVzXCIsIFwicmRmeG1sXCIsIFwidHVydGxlXCJdO1xuY29uc3QgUkRGX0ZPUk1BVFMgPSBbLi4uUkRGX1RSSVBMRV9GT1JNQVRTLCBcIm5xdWFkc1wiXTtcblxuZXhwb3J0IGludGVyZmFjZSBMb2FkUmVxdWVzdCB7XG4gIHNvdXJjZXM6IHN0cmluZ1tdO1xuICBmb3JtYXQ6ICh0eXBlb2YgTE9BRF9GT1JNQVRTKVtudW1iZXJdO1xuICBwYXJhbGxlbGlzbTogKHR5cGVvZiBQQVJBTExFTElTTSlbbnVtYmVyXTtcbiAgdXBkYXRlU2luZ2xlQ2FyZGluYWxpdHlQcm9wZXJ0aWVzOiBib29sZWFuO1xuICBmYWlsT25FcnJvcjogYm9vbGVhbjtcbiAgbW9kZTogKHR5cGVvZiBMT0FEX01PREVTKVtudW1iZXJdO1xuICBuYW1lZEdyYXBoVXJpPzogc3RyaW5nO1xuICBiYXNlVXJpPzogc3RyaW5nO1xuICAvLyBDaGVjayBjc3Ygc291cmNlcyB3aXRoIHRoZSBDU1YgdmFsaWRhdG9yIGFuZCBsb2FkIG5vdGhpbmcgaWYgdGhleSBmYWlsXG4gIHZhbGlkYXRlOiBib29sZWFuO1xufVxuXG5leHBvcnQgY2xhc3MgTG9hZFJlcXVlc3RFcnJvciBleHRlbmRzIEVycm9yIHtcbiAgY29uc3RydWN0b3IobWVzc2FnZTogc3RyaW5nKSB7XG4gICAgc3VwZXIobWVzc2FnZSk7XG4gICAgdGhpcy5uYW1lID0gXCJMb2FkUmVxdWVzdEVycm9yXCI7XG4gIH1cbn1cblxuY29uc3Qgb25lT2YgPSA8VCBleHRlbmRzIHN0cmluZz4oXG4gIG5hbWU6IHN0cmluZyxcbiAgdmFsdWU6IHVua25vd24sXG4gIGFsbG93ZWQ6IHJlYWRvbmx5IFRbXSxcbiAgZmFsbGJhY2s6IFRcbik6IFQgPT4ge1xuICBpZiAodmFsdWUgPT09IHVuZGVmaW5lZCB8fCB2YWx1ZSA9PT0gbnVsbCkgcmV0dXJuIGZhbGxiYWNrO1xuICBjb25zdCBub3JtYWxpemVkID0gU3RyaW5nKHZhbHVlKTtcbiAgY29uc3QgbWF0Y2ggPSBhbGxvd2VkLmZpbmQoKG9wdGlvbikgPT4gb3B0aW9uLnRvTG93ZXJDYXNlKCkgPT09IG5vcm1hbGl6ZWQudG9Mb3dlckNhc2UoKSk7XG4gIGlmICghbWF0Y2gpIHtcbiAgICB0aHJvdyBuZXcgTG9hZFJlcXVlc3RFcnJvcihgJHtuYW1lfSBtdXN0IGJlIG9uZSBvZiAke2FsbG93ZWQuam9pbihcIiwgXCIpfTsgZ290IFwiJHtub3JtYWxpemVkfVwiYCk7XG4gIH1cbiAgcmV0dXJuIG1hdGNoO1xufTtcblxuY29uc3QgZmxhZyA9IChuYW1lOiBzdHJpbmcsIHZhbHVlOiB1bmtub3duLCBmYWxsYmFjazogYm9vbGVhbik6IGJvb2xlYW4gPT4ge1xuICBpZiAodmFsdWUgPT09IHVuZGVmaW5lZCB8fCB2YWx1ZSA9PT0gbnVsbCkgcmV0dXJuIGZhbGxiYWNrO1xuICBpZiAodHlwZW9mIHZhbHVlID09PSBcImJvb2xlYW5cIikgcmV0dXJuIHZhbHVlO1xuICBpZiAodmFsdWUgPT09IFwiVFJVRVwiIHx8IHZhbHVlID09PSBcInRydWVcIikgcmV0dXJuIHRydWU7XG4gIGlmICh2YWx1ZSA9PT0gXCJGQUxTRVwiIHx8IHZhbHVlID09PSBcImZhbHNlXCIpIHJldHVybiBmYWxzZTtcbiAgdGhyb3cgbmV3IExvYWRSZXF1ZXN0RXJyb3IoYCR7bmFtZX0gbXVzdCBiZSB0cnVlIG9yIGZhbHNlYCk7XG59O1xuXG5jb25zdCBvcHRpb25hbFVyaSA9IChuYW1lOiBzdHJpbmcsIHZhbHVlOiB1bmtub3duKTogc3RyaW5nIHwgdW5kZWZpbmVkID0+IHtcbiAgaWYgKHZhbHVlID09PSB1bmRlZmluZWQgfHwgdmFsdWUgPT09IG51bGwgfHwgdmFsdWUgPT09IFwiXCIpIHJldHVybiB1bmRlZmluZWQ7XG4gIGNvbnN0IHVyaSA9IFN0cmluZyh2YWx1ZSk7XG4gIHRyeSB7XG4gICAgbmV3IFVSTCh1cmkpO1xuICB9IGNhdGNoIHtcbiAgICB0aHJvdyBuZXcgTG9hZFJlcXVlc3RFcnJvcihgJHtuYW1lfSBtdXN0IGJlIGFuIGFic29sdXRlIFVSSTsgZ290IFwiJHt1cml9XCJgKTtcbiAgfVxuICByZXR1cm4gdXJpO1xufTtcblxuLyoqXG4gKiBXaGV0aGVyIGBzb3VyY2VgIGlzIGluc2lkZSBvbmUgb2YgYHByZWZpeGVzYC4gQSBwcmVmaXggZW5kaW5nIGluIFwiL1wiIGlzIGFcbiAqIGZvbGRlcjsgYW55IG90aGVyIHByZWZpeCBtYXRjaGVzIGl0c2VsZiBhbmQgdGhlIG9iamVjdHMgdW5kZXIgaXQgYXMgYVxuICogZm9sZGVyLCBzbyBcInMzOi8vYnVja2V0L2RhdGFcIiBkb2VzIG5vdCBhZG1pdCBcInMzOi8vYnVja2V0L2RhdGEtb3RoZXJcIi5cbiAqL1xuZXhwb3J0IGNvbnN0IGlzQWxsb3dlZFNvdXJjZSA9IChzb3VyY2U6IHN0cmluZywgcHJlZml4ZXM6IHN0cmluZ1tdKTogYm9vbGVhbiA9PlxuICBwcmVmaXhlcy5zb21lKChwcmVmaXgpID0+XG4gICAgcHJlZml4LmVuZHNXaXRoKFwiL1wiKVxuICAgICAgPyBzb3VyY2Uuc3RhcnRzV2l0aChwcmVmaXgpXG4gICAgICA6IHNvdXJjZSA9PT0gcHJlZml4IHx8IHNvdXJjZS5zdGFydHNXaXRoKGAke3ByZWZpeH0vYClcbiAgKTtcblxuY29uc3QgdmFsaWRhdGVTb3VyY2UgPSAoc291cmNlOiB1bmtub3duLCBwcmVmaXhlczogc3RyaW5nW10pOiBzdHJpbmcgPT4ge1xuICBjb25zdCB1cmkgPSBTdHJpbmcoc291cmNlID8/IFwiXCIpLnRyaW0oKTtcbiAgaWYgKCEvXnMzOlxcL1xcL1thLXowLTldW2EtejAtOS4tXXsxLDYxfVthLXowLTldKFxcLy4qKT8kLy50ZXN0KHVyaSkpIHtcbiAgICB0aHJvdyBuZXcgTG9hZFJlcXVlc3RFcnJvcihgSW52YWxpZCBTMyBVUkk6IFwiJHt1cml9XCJgKTtcbiAgfVxuICBpZiAodXJpLnNwbGl0KFwiL1wiKS5zb21lKChzZWdtZW50KSA9PiBzZWdtZW50ID09PSBcIi4uXCIpKSB7XG4gICAgdGhyb3cgbmV3IExvYWRSZXF1ZXN0RXJyb3IoYFMzIFVSSSBtdXN0IG5vdCBjb250YWluIFwiLi5cIjogXCIke3VyaX1cImApO1xuICB9XG4gIGlmICghaXNBbGxvd2VkU291cmNlKHVyaSwgcHJlZml4ZXMpKSB7XG4gICAgdGhyb3cgbmV3IExvYWRSZXF1ZXN0RXJyb3IoXG4gICAgICBgJHt1cml9IGlzIG91dHNpZGUgdGhlIGFsbG93ZWQgcHJlZml4ZXM6ICR7cHJlZml4ZXMuam9pbihcIiwgXCIpfWBcbiAgICApO1xuICB9XG4gIHJldHVybiB1cmk7XG59O1xuXG4vKiogVmFsaWRhdGVzIGEgcGFyc2VkIHJlcXVlc3QgYm9keSBhbmQgZmlsbHMgaW4gdGhlIGRlZmF1bHRzLiAqL1xuZXhwb3J0IGNvbnN0IHBhcnNlTG9hZFJlcXVlc3QgPSAoXG4gIGJvZHk6IHVua25vd24sXG4gIGRlZmF1bHRzOiB7IHNvdXJjZXM6IHN0cmluZ1tdOyBhbGxvd2VkUHJlZml4ZXM6IHN0cmluZ1tdIH1cbik6IExvYWRSZXF1ZXN0ID0+IHtcbiAgaWYgKGJvZHkgIT09IHVuZGVmaW5lZCAmJiBib2R5ICE9PSBudWxsICYmICh0eXBlb2YgYm9keSAhPT0gXCJvYmplY3RcIiB8fCBBcnJheS5pc0FycmF5KGJvZHkpKSkge1xuICAgIHRocm93IG5ldyBMb2FkUmVxdWVzdEVycm9yKFwiUmVxdWVzdCBib2R5IG11c3QgYmUgYSBKU09OIG9iamVjdFwiKTtcbiAgfVxuICBjb25zdCBpbnB1dCA9IChib2R5ID8/IHt9KSBhcyBSZWNvcmQ8c3RyaW5nLCB1bmtub3duPjtcblxuICBjb25zdCByYXdTb3VyY2VzID0gaW5wdXQuc291cmNlcyA/PyBkZWZhdWx0cy5zb3VyY2VzO1xuICBpZiAoIUFycmF5LmlzQXJyYXkocmF3U291cmNlcykgfHwgcmF3U291cmNlcy5sZW5ndGggPT09IDApIHtcbiAgICB0aHJvdyBuZXcgTG9hZFJlcXVlc3RFcnJvcihcInNvdXJjZXMgbXVzdCBiZSBhIG5vbi1lbXB0eSBhcnJheSBvZiBTMyBVUklzXCIpO1xuICB9XG4gIGNvbnN0IHNvdXJjZXMgPSByYXdTb3VyY2VzLm1hcCgoc291cmNlKSA9PiB2YWxpZGF0ZVNvdXJjZShzb3VyY2UsIGRlZmF1bHRzLmFsbG93ZWRQcmVmaXhlcykpO1xuXG4gIGNvbnN0IGZvcm1hdCA9IG9uZU9mKFwiZm9ybWF0XCIsIGlucHV0LmZvcm1hdCwgTE9BRF9GT1JNQVRTLCBcImNzdlwiKTtcbiAgY29uc3QgbmFtZWRHcmFwaFVyaSA9IG9wdGlvbmFsVXJpKFwibmFtZWRHcmFwaFVyaVwiLCBpbnB1dC5uYW1lZEdyYXBoVXJpKTtcbiAgaWYgKG5hbWVkR3JhcGhVcmkgJiYgIVJERl9UUklQTEVfRk9STUFUUy5pbmNsdWRlcyhmb3JtYXQpKSB7XG4gICAgdGhyb3cgbmV3IExvYWRSZXF1ZXN0RXJyb3IoXG4gICAgICBgbmFtZWRHcmFwaFVyaSBvbmx5IGFwcGxpZXMgdG8gdGhlICR7UkRGX1RSSVBMRV9GT1JNQVRTLmpvaW4oXCIsIFwiKX0gZm9ybWF0c2BcbiAgICApO1xuICB9XG4gIGNvbnN0IGJhc2VVcmkgPSBvcHRpb25hbFVyaShcImJhc2VVcmlcIiwgaW5wdXQuYmFzZVVyaSk7XG4gIGlmIChiYXNlVXJpICYmICFSREZfRk9STUFUUy5pbmNsdWRlcyhmb3JtYXQpKSB7XG4gICAgdGhyb3cgbmV3IExvYWRSZXF1ZXN0RXJyb3IoYGJhc2VVcmkgb25seSBhcHBsaWVzIHRvIHRoZSAke1JERl9GT1JNQVRTLmpvaW4oXCIsIFwiKX0gZm9ybWF0c2ApO1xuICB9XG5cbiAgY29uc3QgdmFsaWRhdGUgPSBmbGFnKFwidmFsaWRhdGVcIiwgaW5wdXQudmFsaWRhdGUsIGZhbHNlKTtcbiAgaWYgKHZhbGlkYXRlICYmIGZvcm1hdCAhPT0gXCJjc3ZcIikge1xuICAgIHRocm93IG5ldyBMb2FkUmVxdWVzdEVycm9yKFwidmFsaWRhdGUgb25seSBhcHBsaWVzIHRvIHRoZSBjc3YgZm9ybWF0XCIpO1xuICB9XG5cbiAgcmV0dXJuIHtcbiAgICBzb3VyY2VzLFxuICAgIGZvcm1hdCxcbiAgICBwYXJhbGxlbGlzbTogb25lT2YoXCJwYXJhbGxlbGlzbVwiLCBpbnB1dC5wYXJhbGxlbGlzbSwgUEFSQUxMRUxJU00sIFwiTUVESVVNXCIpLFxuICAgIHVwZGF0ZVNpbmdsZUNhcmRpbmFsaXR5UHJvcGVydGllczogZmxhZyhcbiAgICAgIFwidXBkYXRlU2luZ2xlQ2FyZGluYWxpdHlQcm9wZXJ0aWVzXCIsXG4gICAgICBpbnB1dC51cGRhdGVTaW5nbGVDYXJkaW5hbGl0eVByb3BlcnRpZXMsXG4gICAgICBmYWxzZVxuICAgICksXG4gICAgZmFpbE9uRXJyb3I6IGZsYWcoXCJmYWlsT25FcnJvclwiLCBpbnB1dC5mYWlsT25FcnJvciwgZmFsc2UpLFxuICAgIG1vZGU6IG9uZU9mKFwibW9kZVwiLCBpbnB1dC5tb2RlLCBMT0FEX01PREVTLCBcIkFVVE9cIiksXG4gICAgbmFtZWRHcmFwaFVyaSxcbiAgICBiYXNlVXJpLFxuICAgIHZhbGlkYXRlLFxuICB9O1xufTtcblxuLyoqXG4gKiBUaGUgUE9TVCAvbG9hZGVyIGJvZHkgZm9yIG9uZSBzb3VyY2Ugb2YgYHJlcXVlc3RgLiBBIGxvYWQgd2l0aFxuICogYGRlcGVuZGVuY2llc2Agd2FpdHMgaW4gdGhlIHF1ZXVlIHVudGlsIHRob3NlIGxvYWRzIGNvbXBsZXRlLCBhbmQgZmFpbHNcbiAqIGlmIG9uZSBvZiB0aGVtIGRvZXMgbm90LlxuICovXG5leHBvcnQgY29uc3QgbG9hZGVyQm9keSA9IChcbiAgcmVxdWVzdDogTG9hZFJlcXVlc3QsXG4gIHNvdXJjZTogc3RyaW5nLFxuICBvcHRpb25zOiB7IGlhbVJvbGVBcm4/OiBzdHJpbmc7IHJlZ2lvbjogc3RyaW5nOyBkZXBlbmRlbmNpZXM/OiBzdHJpbmdbXSB9XG4pID0+IHtcbiAgY29uc3QgcGFyc2VyQ29uZmlndXJhdGlvbjogUmVjb3JkPHN0cmluZywgc3RyaW5nPiA9IHt9O1xuICBpZiAocmVxdWVzdC5uYW1lZEdyYXBoVXJpKSBwYXJzZXJDb25maWd1cmF0aW9uLm5hbWVkR3JhcGhVcmkgPSByZXF1ZXN0Lm5hbWVkR3JhcGhVcmk7XG4gIGlmIChyZXF1ZXN0LmJhc2VVcmkpIHBhcnNlckNvbmZpZ3VyYXRpb24uYmFzZVVyaSA9IHJlcXVlc3QuYmFzZVVyaTtcbiAgcmV0dXJuIHtcbiAgICBzb3VyY2UsXG4gICAgZm9ybWF0OiByZXF1ZXN0LmZvcm1hdCxcbiAgICBpYW1Sb2xlQXJuOiBvcHRpb25zLmlhbVJvbGVBcm4sXG4gICAgcmVnaW9uOiBvcHRpb25zLnJlZ2lvbixcbiAgICBtb2RlOiByZXF1ZXN0Lm1vZGUsXG4gICAgZmFpbE9uRXJyb3I6IHJlcXVlc3QuZmFpbE9uRXJyb3IgPyBcIlRSVUVcIiA6IFwiRkFMU0VcIixcbiAgICBwYXJhbGxlbGlzbTogcmVxdWVzdC5wYXJhbGxlbGlzbSxcbiAgICB1cGRhdGVTaW5nbGVDYXJkaW5hbGl0eVByb3BlcnRpZXM6IHJlcXVlc3QudXBkYXRlU2luZ2xlQ2FyZGluYWxpdHlQcm9wZXJ0aWVzID8gXCJUUlVFXCIgOiBcIkZBTFNFXCIsXG4gICAgcXVldWVSZXF1ZXN0OiBcIlRSVUVcIixcbiAgICAuLi4ob3B0aW9ucy5kZXBlbmRlbmNpZXM/Lmxlbmd0aCA/IHsgZGVwZW5kZW5jaWVzOiBvcHRpb25zLmRlcGVuZGVuY2llcyB9IDoge30pLFxuICAgIC4uLihPYmplY3Qua2V5cyhwYXJzZXJDb25maWd1cmF0aW9uKS5sZW5ndGggPiAwID8geyBwYXJzZXJDb25maWd1cmF0aW9uIH0gOiB7fSksXG4gIH07XG59O1xuXG4vKiogVGhlIG9wdGlvbnMgb2YgYSBsb2FkZXJCb2R5KCkgcmVzdWx0IGFzIGtlcHQgaW4gdGhlIGxvYWQgaGlzdG9yeS4gKi9cbmV4cG9ydCBjb25zdCBsb2FkZXJPcHRpb25zSnNvbiA9IChib2R5OiBSZXR1cm5UeXBlPHR5cGVvZiBsb2FkZXJCb2R5Pik6IHN0cmluZyA9PiB7XG4gIGNvbnN0IHsgc291cmNlLCBmb3JtYXQsIGlhbVJvbGVBcm4sIHJlZ2lvbiwgLi4ub3B0aW9ucyB9ID0gYm9keTtcbiAgcmV0dXJuIEpTT04uc3RyaW5naWZ5KG9wdGlvbnMpO1xufTtcbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,199 @@
+// Request body accepted by the bulk-load Function URL and its translation to
+// Neptune loader requests. Every field is optional; an empty body loads the
+// VERTEX and EDGE sources with the defaults below.
+//
+// {
+//   "sources": ["s3://bucket/prefix/vertex.csv", "s3://bucket/prefix/edge.csv"],
+//   "format": "csv",
+//   "parallelism": "MEDIUM",
+//   "updateSingleCardinalityProperties": false,
+//   "failOnError": false,
+//   "mode": "AUTO",
+//   "namedGraphUri": "http://example.org/graph",
+//   "baseUri": "http://example.org/",
+//   "validate": true
+// }
+
+export const LOAD_FORMATS = [
+  "csv",
+  "opencypher",
+  "ntriples",
+  "nquads",
+  "rdfxml",
+  "turtle",
+] as const;
+
+export const PARALLELISM = ["LOW", "MEDIUM", "HIGH", "OVERSUBSCRIBE"] as const;
+
+export const LOAD_MODES = ["NEW", "RESUME", "AUTO"] as const;
+
+// Formats whose triples have no graph of their own; only these take a
+// namedGraphUri
+const RDF_TRIPLE_FORMATS = ["ntriples", "rdfxml", "turtle"];
+const RDF_FORMATS = [...RDF_TRIPLE_FORMATS, "nquads"];
+
+export interface LoadRequest {
+  sources: string[];
+  format: (typeof LOAD_FORMATS)[number];
+  parallelism: (typeof PARALLELISM)[number];
+  updateSingleCardinalityProperties: boolean;
+  failOnError: boolean;
+  mode: (typeof LOAD_MODES)[number];
+  namedGraphUri?: string;
+  baseUri?: string;
+  // Check csv sources with the CSV validator and load nothing if they fail
+  validate: boolean;
+}
+
+export class LoadRequestError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "LoadRequestError";
+  }
+}
+
+const oneOf = <T extends string>(
+  name: string,
+  value: unknown,
+  allowed: readonly T[],
+  fallback: T
+): T => {
+  if (value === undefined || value === null) return fallback;
+  const normalized = String(value);
+  const match = allowed.find((option) => option.toLowerCase() === normalized.toLowerCase());
+  if (!match) {
+    throw new LoadRequestError(`${name} must be one of ${allowed.join(", ")}; got "${normalized}"`);
+  }
+  return match;
+};
+
+const flag = (name: string, value: unknown, fallback: boolean): boolean => {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value === "boolean") return value;
+  if (value === "TRUE" || value === "true") return true;
+  if (value === "FALSE" || value === "false") return false;
+  throw new LoadRequestError(`${name} must be true or false`);
+};
+
+const optionalUri = (name: string, value: unknown): string | undefined => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const uri = String(value);
+  try {
+    new URL(uri);
+  } catch {
+    throw new LoadRequestError(`${name} must be an absolute URI; got "${uri}"`);
+  }
+  return uri;
+};
+
+/**
+ * Whether `source` is inside one of `prefixes`. A prefix ending in "/" is a
+ * folder; any other prefix matches itself and the objects under it as a
+ * folder, so "s3://bucket/data" does not admit "s3://bucket/data-other".
+ */
+export const isAllowedSource = (source: string, prefixes: string[]): boolean =>
+  prefixes.some((prefix) =>
+    prefix.endsWith("/")
+      ? source.startsWith(prefix)
+      : source === prefix || source.startsWith(`${prefix}/`)
+  );
+
+const validateSource = (source: unknown, prefixes: string[]): string => {
+  const uri = String(source ?? "").trim();
+  if (!/^s3:\/\/[a-z0-9][a-z0-9.-]{1,61}[a-z0-9](\/.*)?$/.test(uri)) {
+    throw new LoadRequestError(`Invalid S3 URI: "${uri}"`);
+  }
+  if (uri.split("/").some((segment) => segment === "..")) {
+    throw new LoadRequestError(`S3 URI must not contain "..": "${uri}"`);
+  }
+  if (!isAllowedSource(uri, prefixes)) {
+    throw new LoadRequestError(
+      `${uri} is outside the allowed prefixes: ${prefixes.join(", ")}`
+    );
+  }
+  return uri;
+};
+
+/** Validates a parsed request body and fills in the defaults. */
+export const parseLoadRequest = (
+  body: unknown,
+  defaults: { sources: string[]; allowedPrefixes: string[] }
+): LoadRequest => {
+  if (body !== undefined && body !== null && (typeof body !== "object" || Array.isArray(body))) {
+    throw new LoadRequestError("Request body must be a JSON object");
+  }
+  const input = (body ?? {}) as Record<string, unknown>;
+
+  const rawSources = input.sources ?? defaults.sources;
+  if (!Array.isArray(rawSources) || rawSources.length === 0) {
+    throw new LoadRequestError("sources must be a non-empty array of S3 URIs");
+  }
+  const sources = rawSources.map((source) => validateSource(source, defaults.allowedPrefixes));
+
+  const format = oneOf("format", input.format, LOAD_FORMATS, "csv");
+  const namedGraphUri = optionalUri("namedGraphUri", input.namedGraphUri);
+  if (namedGraphUri && !RDF_TRIPLE_FORMATS.includes(format)) {
+    throw new LoadRequestError(
+      `namedGraphUri only applies to the ${RDF_TRIPLE_FORMATS.join(", ")} formats`
+    );
+  }
+  const baseUri = optionalUri("baseUri", input.baseUri);
+  if (baseUri && !RDF_FORMATS.includes(format)) {
+    throw new LoadRequestError(`baseUri only applies to the ${RDF_FORMATS.join(", ")} formats`);
+  }
+
+  const validate = flag("validate", input.validate, false);
+  if (validate && format !== "csv") {
+    throw new LoadRequestError("validate only applies to the csv format");
+  }
+
+  return {
+    sources,
+    format,
+    parallelism: oneOf("parallelism", input.parallelism, PARALLELISM, "MEDIUM"),
+    updateSingleCardinalityProperties: flag(
+      "updateSingleCardinalityProperties",
+      input.updateSingleCardinalityProperties,
+      false
+    ),
+    failOnError: flag("failOnError", input.failOnError, false),
+    mode: oneOf("mode", input.mode, LOAD_MODES, "AUTO"),
+    namedGraphUri,
+    baseUri,
+    validate,
+  };
+};
+
+/**
+ * The POST /loader body for one source of `request`. A load with
+ * `dependencies` waits in the queue until those loads complete, and fails
+ * if one of them does not.
+ */
+export const loaderBody = (
+  request: LoadRequest,
+  source: string,
+  options: { iamRoleArn?: string; region: string; dependencies?: string[] }
+) => {
+  const parserConfiguration: Record<string, string> = {};
+  if (request.namedGraphUri) parserConfiguration.namedGraphUri = request.namedGraphUri;
+  if (request.baseUri) parserConfiguration.baseUri = request.baseUri;
+  return {
+    source,
+    format: request.format,
+    iamRoleArn: options.iamRoleArn,
+    region: options.region,
+    mode: request.mode,
+    failOnError: request.failOnError ? "TRUE" : "FALSE",
+    parallelism: request.parallelism,
+    updateSingleCardinalityProperties: request.updateSingleCardinalityProperties ? "TRUE" : "FALSE",
+    queueRequest: "TRUE",
+    ...(options.dependencies?.length ? { dependencies: options.dependencies } : {}),
+    ...(Object.keys(parserConfiguration).length > 0 ? { parserConfiguration } : {}),
+  };
+};
+
+/** The options of a loaderBody() result as kept in the load history. */
+export const loaderOptionsJson = (body: ReturnType<typeof loaderBody>): string => {
+  const { source, format, iamRoleArn, region, ...options } = body;
+  return JSON.stringify(options);
+};
@@ -0,0 +1,43 @@
+export declare const region: string;
+export declare const RUNNING_STATUSES: string[];
+export declare const isTerminal: (status: string) => boolean;
+export declare const isSuccess: (status: string) => boolean;
+export interface LoadError {
+    errorCode: string | null;
+    errorMessage: string | null;
+    fileName: string | null;
+    recordNum: number | null;
+}
+export interface LoadStatus {
+    loadId: string;
+    status: string;
+    totalRecords: number | null;
+    totalDuplicates: number | null;
+    parsingErrors: number | null;
+    datatypeMismatchErrors: number | null;
+    insertErrors: number | null;
+    totalTimeSpent: number | null;
+    errors: LoadError[];
+}
+export declare class LoaderError extends Error {
+    readonly statusCode?: number | undefined;
+    constructor(message: string, statusCode?: number | undefined);
+}
+/** Queues a load and returns its id. `body` is a loaderBody() result. */
+export declare const startLoad: (body: Record<string, unknown>) => Promise<string>;
+export declare const getLoadStatus: (loadId: string) => Promise<LoadStatus>;
+/** Cancels a queued or running load. */
+export declare const cancelLoad: (loadId: string) => Promise<void>;
+/**
+ * Polls a load with exponential backoff until it reaches a terminal status
+ * or `timeoutMs` passes. `onPoll` sees every status, e.g. to stream progress
+ * or persist counts. Returns the last status and whether tracking timed out;
+ * a timed-out load keeps running in Neptune.
+ */
+export declare const trackLoad: (loadId: string, options: {
+    timeoutMs: number;
+    onPoll?: (status: LoadStatus) => Promise<void> | void;
+}) => Promise<{
+    status: LoadStatus;
+    timedOut: boolean;
+}>;
@@ -0,0 +1,134 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.trackLoad = exports.cancelLoad = exports.getLoadStatus = exports.startLoad = exports.LoaderError = exports.isSuccess = exports.isTerminal = exports.RUNNING_STATUSES = exports.region = void 0;
+const signature_v4_1 = require("@smithy/signature-v4");
+const credential_provider_node_1 = require("@aws-sdk/credential-provider-node");
+const sha256_js_1 = require("@aws-crypto/sha256-js");
+const protocol_http_1 = require("@smithy/protocol-http");
+// Client for the Neptune bulk loader API (/loader) and the polling logic
+// that follows a load until it ends. Used by the Function URL, which starts
+// loads, and by the loads Lambda behind the /loads page.
+// Region of the stack, and so of the cluster and the allowed buckets
+exports.region = process.env.NEPTUNE_REGION ?? process.env.AWS_REGION;
+const signer = new signature_v4_1.SignatureV4({
+    region: exports.region,
+    service: "neptune-db",
+    sha256: sha256_js_1.Sha256,
+    credentials: (0, credential_provider_node_1.defaultProvider)(),
+});
+const host = `${process.env.NEPTUNE_ENDPOINT}:${process.env.NEPTUNE_PORT}`;
+// The loader has not finished with these yet
+exports.RUNNING_STATUSES = ["LOAD_NOT_STARTED", "LOAD_IN_QUEUE", "LOAD_IN_PROGRESS"];
+const isTerminal = (status) => !exports.RUNNING_STATUSES.includes(status);
+exports.isTerminal = isTerminal;
+const isSuccess = (status) => status === "LOAD_COMPLETED";
+exports.isSuccess = isSuccess;
+// Per-record errors fetched with a status; the full list stays in Neptune
+const ERRORS_PER_PAGE = 50;
+// Polling starts fast and backs off, since large loads run for many minutes
+const INITIAL_POLL_MS = 1000;
+const MAX_POLL_MS = 30000;
+class LoaderError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.statusCode = statusCode;
+        this.name = "LoaderError";
+    }
+}
+exports.LoaderError = LoaderError;
+const loaderRequest = async (method, path, options = {}) => {
+    const req = await signer.sign(new protocol_http_1.HttpRequest({
+        method,
+        protocol: "https:",
+        path,
+        query: options.query,
+        hostname: host,
+        headers: {
+            "Content-Type": "application/json",
+            host,
+        },
+        body: options.body === undefined ? undefined : JSON.stringify(options.body),
+    }));
+    const query = options.query ? `?${new URLSearchParams(options.query)}` : "";
+    const res = await fetch(`${req.protocol}//${req.hostname}${req.path}${query}`, {
+        method: req.method,
+        body: req.body,
+        headers: req.headers,
+    });
+    const response = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        throw new LoaderError(`Neptune loader ${method} ${path} failed with ${res.status}: ${response.detailedMessage ?? response.message ?? JSON.stringify(response)}`, res.status);
+    }
+    return response;
+};
+/** Queues a load and returns its id. `body` is a loaderBody() result. */
+const startLoad = async (body) => {
+    const response = await loaderRequest("POST", "/loader", { body });
+    const loadId = response.payload?.loadId;
+    if (!loadId) {
+        throw new LoaderError(`Bulk load failed: ${JSON.stringify(response)}`);
+    }
+    return String(loadId);
+};
+exports.startLoad = startLoad;
+const count = (value) => value === undefined || value === null ? null : Number(value);
+const getLoadStatus = async (loadId) => {
+    const response = await loaderRequest("GET", `/loader/${encodeURIComponent(loadId)}`, {
+        query: {
+            details: "true",
+            errors: "true",
+            page: "1",
+            errorsPerPage: String(ERRORS_PER_PAGE),
+        },
+    });
+    const overall = response.payload?.overallStatus ?? {};
+    const errorLogs = response.payload?.errors?.errorLogs ?? [];
+    return {
+        loadId,
+        status: String(overall.status ?? "UNKNOWN"),
+        totalRecords: count(overall.totalRecords),
+        totalDuplicates: count(overall.totalDuplicates),
+        parsingErrors: count(overall.parsingErrors),
+        datatypeMismatchErrors: count(overall.datatypeMismatchErrors),
+        insertErrors: count(overall.insertErrors),
+        totalTimeSpent: count(overall.totalTimeSpent),
+        errors: errorLogs.map((log) => ({
+            errorCode: log.errorCode ?? null,
+            errorMessage: log.errorMessage ?? null,
+            fileName: log.fileName ?? null,
+            recordNum: count(log.recordNum),
+        })),
+    };
+};
+exports.getLoadStatus = getLoadStatus;
+/** Cancels a queued or running load. */
+const cancelLoad = async (loadId) => {
+    await loaderRequest("DELETE", `/loader/${encodeURIComponent(loadId)}`);
+};
+exports.cancelLoad = cancelLoad;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+/**
+ * Polls a load with exponential backoff until it reaches a terminal status
+ * or `timeoutMs` passes. `onPoll` sees every status, e.g. to stream progress
+ * or persist counts. Returns the last status and whether tracking timed out;
+ * a timed-out load keeps running in Neptune.
+ */
+const trackLoad = async (loadId, options) => {
+    const deadline = Date.now() + options.timeoutMs;
+    let delay = INITIAL_POLL_MS;
+    for (;;) {
+        const status = await (0, exports.getLoadStatus)(loadId);
+        await options.onPoll?.(status);
+        if ((0, exports.isTerminal)(status.status)) {
+            return { status, timedOut: false };
+        }
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+            return { status, timedOut: true };
+        }
+        await sleep(Math.min(delay, remaining));
+        delay = Math.min(delay * 2, MAX_POLL_MS);
+    }
+};
+exports.trackLoad = trackLoad;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibG9hZFRyYWNrZXIuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJsb2FkVHJhY2tlci50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFBQSx1REFBbUQ7QUFDbkQsZ0ZBQW9FO0FBQ3BFLHFEQUErQztBQUMvQyx5REFBb0Q7QUFFcEQseUVBQXlFO0FBQ3pFLDRFQUE0RTtBQUM1RSx5REFBeUQ7QUFFekQscUVBQXFFO0FBQ3hELFFBQUEsTUFBTSxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsY0FBYyxJQUFJLE9BQU8sQ0FBQyxHQUFHLENBQUMsVUFBVyxDQUFDO0FBRTVFLE1BQU0sTUFBTSxHQUFHLElBQUksMEJBQVcsQ0FBQztJQUM3QixNQUFNLEVBQU4sY0FBTTtJQUNOLE9BQU8sRUFBRSxZQUFZO0lBQ3JCLE1BQU0sRUFBRSxrQkFBTTtJQUNkLFdBQVcsRUFBRSxJQUFBLDBDQUFlLEdBQUU7Q0FDL0IsQ0FBQyxDQUFDO0FBQ0gsTUFBTSxJQUFJLEdBQUcsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLGdCQUFnQixJQUFJLE9BQU8sQ0FBQyxHQUFHLENBQUMsWUFBWSxFQUFFLENBQUM7QUFFM0UsNkNBQTZDO0FBQ2hDLFFBQUEsZ0JBQWdCLEdBQUcsQ0FBQyxrQkFBa0IsRUFBRSxlQUFlLEVBQUUsa0JBQWtCLENBQUMsQ0FBQztBQUVuRixNQUFNLFVBQVUsR0FBRyxDQUFDLE1BQWMsRUFBVyxFQUFFLENBQUMsQ0FBQyx3QkFBZ0IsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUM7QUFBN0UsUUFBQSxVQUFVLGNBQW1FO0FBRW5GLE1BQU0sU0FBUyxHQUFHLENBQUMsTUFBYyxFQUFXLEVBQUUsQ0FBQyxNQUFNLEtBQUssZ0JBQWdCLENBQUM7QUFBckUsUUFBQSxTQUFTLGFBQTREO0FBRWxGLDBFQUEwRTtBQUMxRSxNQUFNLGVBQWUsR0FBRyxFQUFFLENBQUM7QUFFM0IsNEVBQTRFO0FBQzVFLE1BQU0sZUFBZSxHQUFHLElBQUksQ0FBQztBQUM3QixNQUFNLFdBQVcsR0FBRyxLQUFLLENBQUM7QUFzQjFCLE1BQWEsV0FBWSxTQUFRLEtBQUs7SUFDcEMsWUFBWSxPQUFlLEVBQVcsVUFBbUI7UUFDdkQsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBRHFCLGVBQVUsR0FBVixVQUFVLENBQVM7UUFFdkQsSUFBSSxDQUFDLElBQUksR0FBRyxhQUFhLENBQUM7SUFDNUIsQ0FBQztDQUNGO0FBTEQsa0NBS0M7QUFFRCxNQUFNLGFBQWEsR0FBRyxLQUFLLEVBQ3pCLE1BQWlDLEVBQ2pDLElBQVksRUFDWixVQUE4RCxFQUFFLEVBQ2xELEVBQUU7SUFDaEIsTUFBTSxHQUFHLEdBQUcsTUFBTSxNQUFNLENBQUMsSUFBSSxDQUMzQixJQUFJLDJCQUFXLENBQUM7UUFDZCxNQUFNO1FBQ04sUUFBUSxFQUFFLFFBQVE7UUFDbEIsSUFBSTtRQUNKLEtBQUssRUFBRSxPQUFPLENBQUMsS0FBSztRQUNwQixRQUFRLEVBQUUsSUFBSTtRQUNkLE9BQU8sRUFBRTtZQUNQLGNBQWMsRUFBRSxrQkFBa0I7WUFDbEMsSUFBSTtTQUNMO1FBQ0QsSUFBSSxFQUFFLE9BQU8sQ0FBQyxJQUFJLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQztLQUM1RSxDQUFDLENBQ0gsQ0FBQztJQUNGLE1BQU0sS0FBSyxHQUFHLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLElBQUksSUFBSSxlQUFlLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztJQUM1RSxNQUFNLEdBQUcsR0FBRyxNQUFNLEtBQUssQ0FBQyxHQUFHLEdBQUcsQ0FBQyxRQUFRLEtBQUssR0FBRyxDQUFDLFFBQVEsR0FBRyxHQUFHLENBQUMsSUFBSSxHQUFHLEtBQUssRUFBRSxFQUFFO1FBQzdFLE1BQU0sRUFBRSxHQUFHLENBQUMsTUFBTTtRQUNsQixJQUFJLEVBQUUsR0FBRyxDQUFDLElBQUk7UUFDZCxPQUFPLEVBQUUsR0FBRyxDQUFDLE9BQU87S0FDckIsQ0FBQyxDQUFDO0lBQ0gsTUFBTSxRQUFRLEdBQUcsTUFBTSxHQUFHLENBQUMsSUFBSSxFQUFFLENBQUMsS0FBSyxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUNwRCxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsRUFBRSxDQUFDO1FBQ1osTUFBTSxJQUFJLFdBQVcsQ0FDbkIsa0JBQWtCLE1BQU0sSUFBSSxJQUFJLGdCQUFnQixHQUFHLENBQUMsTUFBTSxLQUFLLFFBQVEsQ0FBQyxlQUFlLElBQUksUUFBUSxDQUFDLE9BQU8sSUFBSSxJQUFJLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxFQUFFLEVBQ3pJLEdBQUcsQ0FBQyxNQUFNLENBQ1gsQ0FBQztJQUNKLENBQUM7SUFDRCxPQUFPLFFBQVEsQ0FBQztBQUNsQixDQUFDLENBQUM7QUFFRix5RUFBeUU7QUFDbEUsTUFBTSxTQUFTLEdBQUcsS0FBSyxFQUFFLElBQTZCLEVBQW1CLEVBQUU7SUFDaEYsTUFBTSxRQUFRLEdBQUcsTUFBTSxhQUFhLENBQUMsTUFBTSxFQUFFLFNBQVMsRUFBRSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7SUFDbEUsTUFBTSxNQUFNLEdBQUcsUUFBUSxDQUFDLE9BQU8sRUFBRSxNQUFNLENBQUM7SUFDeEMsSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDO1FBQ1osTUFBTSxJQUFJLFdBQVcsQ0FBQyxxQkFBcUIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUM7SUFDekUsQ0FBQztJQUNELE9BQU8sTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0FBQ3hCLENBQUMsQ0FBQztBQVBXLFFBQUEsU0FBUyxhQU9wQjtBQUVGLE1BQU0sS0FBSyxHQUFHLENBQUMsS0FBYyxFQUFpQixFQUFFLENBQzlDLEtBQUssS0FBSyxTQUFTLElBQUksS0FBSyxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7QUFFeEQsTUFBTSxhQUFhLEdBQUcsS0FBSyxFQUFFLE1BQWMsRUFBdUIsRUFBRTtJQUN6RSxNQUFNLFFBQVEsR0FBRyxNQUFNLGFBQWEsQ0FBQyxLQUFLLEVBQUUsV0FBVyxrQkFBa0IsQ0FBQyxNQUFNLENBQUMsRUFBRSxFQUFFO1FBQ25GLEtBQUssRUFBRTtZQUNMLE9BQU8sRUFBRSxNQUFNO1lBQ2YsTUFBTSxFQUFFLE1BQU07WUFDZCxJQUFJLEVBQUUsR0FBRztZQUNULGFBQWEsRUFBRSxNQUFNLENBQUMsZUFBZSxDQUFDO1NBQ3ZDO0tBQ0YsQ0FBQyxDQUFDO0lBQ0gsTUFBTSxPQUFPLEdBQUcsUUFBUSxDQUFDLE9BQU8sRUFBRSxhQUFhLElBQUksRUFBRSxDQUFDO0lBQ3RELE1BQU0sU0FBUyxHQUFVLFFBQVEsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLFNBQVMsSUFBSSxFQUFFLENBQUM7SUFDbkUsT0FBTztRQUNMLE1BQU07UUFDTixNQUFNLEVBQUUsTUFBTSxDQUFDLE9BQU8sQ0FBQyxNQUFNLElBQUksU0FBUyxDQUFDO1FBQzNDLFlBQVksRUFBRSxLQUFLLENBQUMsT0FBTyxDQUFDLFlBQVksQ0FBQztRQUN6QyxlQUFlLEVBQUUsS0FBSyxDQUFDLE9BQU8sQ0FBQyxlQUFlLENBQUM7UUFDL0MsYUFBYSxFQUFFLEtBQUssQ0FBQyxPQUFPLENBQUMsYUFBYSxDQUFDO1FBQzNDLHNCQUFzQixFQUFFLEtBQUssQ0FBQyxPQUFPLENBQUMsc0JBQXNCLENBQUM7UUFDN0QsWUFBWSxFQUFFLEtBQUssQ0FBQyxPQUFPLENBQUMsWUFBWSxDQUFDO1FBQ3pDLGNBQWMsRUFBRSxLQUFLLENBQUMsT0FBTyxDQUFDLGNBQWMsQ0FBQztRQUM3QyxNQUFNLEVBQUUsU0FBUyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsRUFBRSxFQUFFLENBQUMsQ0FBQztZQUM5QixTQUFTLEVBQUUsR0FBRyxDQUFDLFNBQVMsSUFBSSxJQUFJO1lBQ2hDLFlBQVksRUFBRSxHQUFHLENBQUMsWUFBWSxJQUFJLElBQUk7WUFDdEMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxRQUFRLElBQUksSUFBSTtZQUM5QixTQUFTLEVBQUUsS0FBSyxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUM7U0FDaEMsQ0FBQyxDQUFDO0tBQ0osQ0FBQztBQUNKLENBQUMsQ0FBQztBQTNCVyxRQUFBLGFBQWEsaUJBMkJ4QjtBQUVGLHdDQUF3QztBQUNqQyxNQUFNLFVBQVUsR0FBRyxLQUFLLEVBQUUsTUFBYyxFQUFpQixFQUFFO0lBQ2hFLE1BQU0sYUFBYSxDQUFDLFFBQVEsRUFBRSxXQUFXLGtCQUFrQixDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsQ0FBQztBQUN6RSxDQUFDLENBQUM7QUFGVyxRQUFBLFVBQVUsY0FFckI7QUFFRixNQUFNLEtBQUssR0FBRyxDQUFDLEVBQVUsRUFBRSxFQUFFLENBQUMsSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsRUFBRSxDQUFDLFVBQVUsQ0FBQyxPQUFPLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQztBQUVoRjs7Ozs7R0FLRztBQUNJLE1BQU0sU0FBUyxHQUFHLEtBQUssRUFDNUIsTUFBYyxFQUNkLE9BQXFGLEVBQ2pDLEVBQUU7SUFDdEQsTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLEdBQUcsRUFBRSxHQUFHLE9BQU8sQ0FBQyxTQUFTLENBQUM7SUFDaEQsSUFBSSxLQUFLLEdBQUcsZUFBZSxDQUFDO0lBQzVCLFNBQVMsQ0FBQztRQUNSLE1BQU0sTUFBTSxHQUFHLE1BQU0sSUFBQSxxQkFBYSxFQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQzNDLE1BQU0sT0FBTyxDQUFDLE1BQU0sRUFBRSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQy9CLElBQUksSUFBQSxrQkFBVSxFQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDO1lBQzlCLE9BQU8sRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxDQUFDO1FBQ3JDLENBQUM7UUFDRCxNQUFNLFNBQVMsR0FBRyxRQUFRLEdBQUcsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDO1FBQ3hDLElBQUksU0FBUyxJQUFJLENBQUMsRUFBRSxDQUFDO1lBQ25CLE9BQU8sRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSxDQUFDO1FBQ3BDLENBQUM7UUFDRCxNQUFNLEtBQUssQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEtBQUssRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDO1FBQ3hDLEtBQUssR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLEtBQUssR0FBRyxDQUFDLEVBQUUsV0FBVyxDQUFDLENBQUM7SUFDM0MsQ0FBQztBQUNILENBQUMsQ0FBQztBQW5CVyxRQUFBLFNBQVMsYUFtQnBCIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgU2lnbmF0dXJlVjQgfSBmcm9tIFwiQHNtaXRoeS9zaWduYXR1cmUtdjRcIjtcbmltcG9ydCB7IGRlZmF1bHRQcm92aWRlciB9IGZyb20gXCJAYXdzLXNkay9jcmVkZW50aWFsLXByb3ZpZGVyLW5vZGVcIjtcbmltcG9ydCB7IFNoYTI1NiB9IGZyb20gXCJAYXdzLWNyeXB0by9zaGEyNTYtanNcIjtcbmltcG9ydCB7IEh0dHBSZXF1ZXN0IH0gZnJvbSBcIkBzbWl0aHkvcHJvdG9jb2wtaHR0cFwiO1xuXG4vLyBDbGllbnQgZm9yIHRoZSBOZXB0dW5lIGJ1bGsgbG9hZGVyIEFQSSAoL2xvYWRlcikgYW5kIHRoZSBwb2xsaW5nIGxvZ2ljXG4vLyB0aGF0IGZvbGxvd3MgYSBsb2FkIHVudGlsIGl0IGVuZHMuIFVzZWQgYnkgdGhlIEZ1bmN0aW9uIFVSTCwgd2hpY2ggc3RhcnRzXG4vLyBsb2FkcywgYW5kIGJ5IHRoZSBsb2FkcyBMYW1iZGEgYmVoaW5kIHRoZSAvbG9hZHMgcGFnZS5cblxuLy8gUmVnaW9uIG9mIHRoZSBzdGFjaywgYW5kIHNvIG9mIHRoZSBjbHVzdGVyIGFuZCB0aGUgYWxsb3dlZCBidWNrZXRzXG5leHBvcnQgY29uc3QgcmVnaW9uID0gcHJvY2Vzcy5lbnYuTkVQVFVORV9SRUdJT04gPz8gcHJvY2Vzcy5lbnYuQVdTX1JFR0lPTiE7XG5cbmNvbnN0IHNpZ25lciA9IG5ldyBTaWduYXR1cmVWNCh7XG4gIHJlZ2lvbixcbiAgc2VydmljZTogXCJuZXB0dW5lLWRiXCIsXG4gIHNoYTI1NjogU2hhMjU2LFxuICBjcmVkZW50aWFsczogZGVmYXVsdFByb3ZpZGVyKCksXG59KTtcbmNvbnN0IGhvc3QgPSBgJHtwcm9jZXNzLmVudi5ORVBUVU5FX0VORFBPSU5UfToke3Byb2Nlc3MuZW52Lk5FUFRVTkVfUE9SVH1gO1xuXG4vLyBUaGUgbG9hZGVyIGhhcyBub3QgZmluaXNoZWQgd2l0aCB0aGVzZSB5ZXRcbmV4cG9ydCBjb25zdCBSVU5OSU5HX1NUQVRVU0VTID0gW1wiTE9BRF9OT1RfU1RBUlRFRFwiLCBcIkxPQURfSU5fUVVFVUVcIiwgXCJMT0FEX0lOX1BST0dSRVNTXCJdO1xuXG5leHBvcnQgY29uc3QgaXNUZXJtaW5hbCA9IChzdGF0dXM6IHN0cmluZyk6IGJvb2xlYW4gPT4gIVJVTk5JTkdfU1RBVFVTRVMuaW5jbHVkZXMoc3RhdHVzKTtcblxuZXhwb3J0IGNvbnN0IGlzU3VjY2VzcyA9IChzdGF0dXM6IHN0cmluZyk6IGJvb2xlYW4gPT4gc3RhdHVzID09PSBcIkxPQURfQ09NUExFVEVEXCI7XG5cbi8vIFBlci1yZWNvcmQgZXJyb3JzIGZldGNoZWQgd2l0aCBhIHN0YXR1czsgdGhlIGZ1bGwgbGlzdCBzdGF5cyBpbiBOZXB0dW5lXG5jb25zdCBFUlJPUlNfUEVSX1BBR0UgPSA1MDtcblxuLy8gUG9sbGluZyBzdGFydHMgZmFzdCBhbmQgYmFja3Mgb2ZmLCBzaW5jZSBsYXJnZSBsb2FkcyBydW4gZm9yIG1hbnkgbWludXRlc1xuY29uc3QgSU5JVElBTF9QT0xMX01TID0gMTAwMDtcbmNvbnN0IE1BWF9QT0xMX01TID0gMzAwMDA7XG5cbmV4cG9ydCBpbnRlcmZhY2UgTG9hZEVycm9yIHtcbiAgZXJyb3JDb2RlOiBzdHJpbmcgfCBudWxsO1xuICBlcnJvck1lc3NhZ2U6IHN0cmluZyB8IG51bGw7XG4gIGZpbGVOYW1lOiBzdHJpbmcgfCBudWxsO1xuICByZWNvcmROdW06IG51bWJlciB8IG51bGw7XG59XG5cbi8vIENvdW50cyBhbmQgZXJyb3JzIG9mIG9uZSBsb2FkIGFzIHJlcG9ydGVkIGJ5IEdFVCAvbG9hZGVyL3tsb2FkSWR9XG5leHBvcnQgaW50ZXJmYWNlIExvYWRTdGF0dXMge1xuICBsb2FkSWQ6IHN0cmluZztcbiAgc3RhdHVzOiBzdHJpbmc7XG4gIHRvdGFsUmVjb3JkczogbnVtYmVyIHwgbnVsbDtcbiAgdG90YWxEdXBsaWNhdGVzOiBudW1iZXIgfCBudWxsO1xuICBwYXJzaW5nRXJyb3JzOiBudW1iZXIgfCBudWxsO1xuICBkYXRhdHlwZU1pc21hdGNoRXJyb3JzOiBudW1iZXIgfCBudWxsO1xuICBpbnNlcnRFcnJvcnM6IG51bWJlciB8IG51bGw7XG4gIHRvdGFsVGltZVNwZW50OiBudW1iZXIgfCBudWxsO1xuICBlcnJvcnM6IExvYWRFcnJvcltdO1xufVxuXG5leHBvcnQgY2xhc3MgTG9hZGVyRXJyb3IgZXh0ZW5kcyBFcnJvciB7XG4gIGNvbnN0cnVjdG9yKG1lc3NhZ2U6IHN0cmluZywgcmVhZG9ubHkgc3RhdHVzQ29kZT86IG51bWJlcikge1xuICAgIHN1cGVyKG1lc3NhZ2UpO1xuICAgIHRoaXMubmFtZSA9IFwiTG9hZGVyRXJyb3JcIjtcbiAgfVxufVxuXG5jb25zdCBsb2FkZXJSZXF1ZXN0ID0gYXN5bmMgKFxuICBtZXRob2Q6IFwiR0VUXCIgfCBcIlBPU1RcIiB8IFwiREVMRVRFXCIsXG4gIHBhdGg6IHN0cmluZyxcbiAgb3B0aW9uczogeyBxdWVyeT86IFJlY29yZDxzdHJpbmcsIHN0cmluZz47IGJvZHk/OiB1bmtub3duIH0gPSB7fVxuKTogUHJvbWlzZTxhbnk+ID0+IHtcbiAgY29uc3QgcmVxID0gYXdhaXQgc2lnbmVyLnNpZ24oXG4gICAgbmV3IEh0dHBSZXF1ZXN0KHtcbiAgICAgIG1ldGhvZCxcbiAgICAgIHByb3RvY29sOiBcImh0dHBzOlwiLFxuICAgICAgcGF0aCxcbiAgICAgIHF1ZXJ5OiBvcHRpb25zLnF1ZXJ5LFxuICAgICAgaG9zdG5hbWU6IGhvc3QsXG4gICAgICBoZWFkZXJzOiB7XG4gICAgICAgIFwiQ29udGVudC1UeXBlXCI6IFwiYXBwbGljYXRpb24vanNvblwiLFxuICAgICAgICBob3N0LFxuICAgICAgfSxcbiAgICAgIGJvZHk6IG9wdGlvbnMuYm9keSA9PT0gdW5kZWZpbmVkID8gdW5kZWZpbmVkIDogSlNPTi5zdHJpbmdpZnkob3B0aW9ucy5ib2R5KSxcbiAgICB9KVxuICApO1xuICBjb25zdCBxdWVyeSA9IG9wdGlvbnMucXVlcnkgPyBgPyR7bmV3IFVSTFNlYXJjaFBhcmFtcyhvcHRpb25zLnF1ZXJ5KX1gIDogXCJcIjtcbiAgY29uc3QgcmVzID0gYXdhaXQgZmV0Y2goYCR7cmVxLnByb3RvY29sfS8vJHtyZXEuaG9zdG5hbWV9JHtyZXEucGF0aH0ke3F1ZXJ5fWAsIHtcbiAgICBtZXRob2Q6IHJlcS5tZXRob2QsXG4gICAgYm9keTogcmVxLmJvZHksXG4gICAgaGVhZGVyczogcmVxLmhlYWRlcnMsXG4gIH0pO1xuICBjb25zdCByZXNwb25zZSA9IGF3YWl0IHJlcy5qc29uKCkuY2F0Y2goKCkgPT4gKHt9KSk7XG4gIGlmICghcmVzLm9rKSB7XG4gICAgdGhyb3cgbmV3IExvYWRlckVycm9yKFxuICAgICAgYE5lcHR1bmUgbG9hZGVyICR7bWV0aG9kfSAke3BhdGh9IGZhaWxlZCB3aXRoICR7cmVzLnN0YXR1c306ICR7cmVzcG9uc2UuZGV0YWlsZWRNZXNzYWdlID8/IHJlc3BvbnNlLm1lc3NhZ2UgPz8gSlNPTi5zdHJpbmdpZnkocmVzcG9uc2UpfWAsXG4gICAgICByZXMuc3RhdHVzXG4gICAgKTtcbiAgfVxuICByZXR1cm4gcmVzcG9uc2U7XG59O1xuXG4vKiogUXVldWVzIGEgbG9hZCBhbmQgcmV0dXJucyBpdHMgaWQuIGBib2R5YCBpcyBhIGxvYWRlckJvZHkoKSByZXN1bHQuICovXG5leHBvcnQgY29uc3Qgc3RhcnRMb2FkID0gYXN5bmMgKGJvZHk6IFJlY29yZDxzdHJpbmcsIHVua25vd24+KTogUHJvbWlzZTxzdHJpbmc+ID0+IHtcbiAgY29uc3QgcmVzcG9uc2UgPSBhd2FpdCBsb2FkZXJSZXF1ZXN0KFwiUE9TVFwiLCBcIi9sb2FkZXJcIiwgeyBib2R5IH0pO1xuICBjb25zdCBsb2FkSWQgPSByZXNwb25zZS5wYXlsb2FkPy5sb2FkSWQ7XG4gIGlmICghbG9hZElkKSB7XG4gICAgdGhyb3cgbmV3IExvYWRlckVycm9yKGBCdWxrIGxvYWQgZmFpbGVkOiAke0pTT04uc3RyaW5naWZ5KHJlc3BvbnNlKX1gKTtcbiAgfVxuICByZXR1cm4gU3RyaW5nKGxvYWRJZCk7XG59O1xuXG5jb25zdCBjb3VudCA9ICh2YWx1ZTogdW5rbm93bik6IG51bWJlciB8IG51bGwgPT5cbiAgdmFsdWUgPT09IHVuZGVmaW5lZCB8fCB2YWx1ZSA9PT0gbnVsbCA/IG51bGwgOiBOdW1iZXIodmFsdWUpO1xuXG5leHBvcnQgY29uc3QgZ2V0TG9hZFN0YXR1cyA9IGFzeW5jIChsb2FkSWQ6IHN0cmluZyk6IFByb21pc2U8TG9hZFN0YXR1cz4gPT4ge1xuICBjb25zdCByZXNwb25zZSA9IGF3YWl0IGxvYWRlclJlcXVlc3QoXCJHRVRcIiwgYC9sb2FkZXIvJHtlbmNvZGVVUklDb21wb25lbnQobG9hZElkKX1gLCB7XG4gICAgcXVlcnk6IHtcbiAgICAgIGRldGFpbHM6IFwidHJ1ZVwiLFxuICAgICAgZXJyb3JzOiBcInRydWVcIixcbiAgICAgIHBhZ2U6IFwiMVwiLFxuICAgICAgZXJyb3JzUGVyUGFnZTogU3RyaW5nKEVSUk9SU19QRVJfUEFHRSksXG4gICAgfSxcbiAgfSk7XG4gIGNvbnN0IG92ZXJhbGwgPSByZXNwb25zZS5wYXlsb2FkPy5vdmVyYWxsU3RhdHVzID8/IHt9O1xuICBjb25zdCBlcnJvckxvZ3M6IGFueVtdID0gcmVzcG9uc2UucGF5bG9hZD8uZXJyb3JzPy5lcnJvckxvZ3MgPz8gW107XG4gIHJldHVybiB7XG4gICAgbG9hZElkLFxuICAgIHN0YXR1czogU3RyaW5nKG92ZXJhbGwuc3RhdHVzID8/IFwiVU5LTk9XTlwiKSxcbiAgICB0b3RhbFJlY29yZHM6IGNvdW50KG92ZXJhbGwudG90YWxSZWNvcmRzKSxcbiAgICB0b3RhbER1cGxpY2F0ZXM6IGNvdW50KG92ZXJhbGwudG90YWxEdXBsaWNhdGVzKSxcbiAgICBwYXJzaW5nRXJyb3JzOiBjb3VudChvdmVyYWxsLnBhcnNpbmdFcnJvcnMpLFxuICAgIGRhdGF0eXBlTWlzbWF0Y2hFcnJvcnM6IGNvdW50KG92ZXJhbGwuZGF0YXR5cGVNaXNtYXRjaEVycm9ycyksXG4gICAgaW5zZXJ0RXJyb3JzOiBjb3VudChvdmVyYWxsLmluc2VydEVycm9ycyksXG4gICAgdG90YWxUaW1lU3BlbnQ6IGNvdW50KG92ZXJhbGwudG90YWxUaW1lU3BlbnQpLFxuICAgIGVycm9yczogZXJyb3JMb2dzLm1hcCgobG9nKSA9PiAoe1xuICAgICAgZXJyb3JDb2RlOiBsb2cuZXJyb3JDb2RlID8/IG51bGwsXG4gICAgICBlcnJvck1lc3NhZ2U6IGxvZy5lcnJvck1lc3NhZ2UgPz8gbnVsbCxcbiAgICAgIGZpbGVOYW1lOiBsb2cuZmlsZU5hbWUgPz8gbnVsbCxcbiAgICAgIHJlY29yZE51bTogY291bnQobG9nLnJlY29yZE51bSksXG4gICAgfSkpLFxuICB9O1xufTtcblxuLyoqIENhbmNlbHMgYSBxdWV1ZWQgb3IgcnVubmluZyBsb2FkLiAqL1xuZXhwb3J0IGNvbnN0IGNhbmNlbExvYWQgPSBhc3luYyAobG9hZElkOiBzdHJpbmcpOiBQcm9taXNlPHZvaWQ+ID0+IHtcbiAgYXdhaXQgbG9hZGVyUmVxdWVzdChcIkRFTEVURVwiLCBgL2xvYWRlci8ke2VuY29kZVVSSUNvbXBvbmVudChsb2FkSWQpfWApO1xufTtcblxuY29uc3Qgc2xlZXAgPSAobXM6IG51bWJlcikgPT4gbmV3IFByb21pc2UoKHJlc29sdmUpID0+IHNldFRpbWVvdXQocmVzb2x2ZSwgbXMpKTtcblxuLyoqXG4gKiBQb2xscyBhIGxvYWQgd2l0aCBleHBvbmVudGlhbCBiYWNrb2ZmIHVudGlsIGl0IHJlYWNoZXMgYSB0ZXJtaW5hbCBzdGF0dXNcbiAqIG9yIGB0aW1lb3V0TXNgIHBhc3Nlcy4gYG9uUG9sbGAgc2VlcyBldmVyeSBzdGF0dXMsIGUuZy4gdG8gc3RyZWFtIHByb2dyZXNzXG4gKiBvciBwZXJzaXN0IGNvdW50cy4gUmV0dXJucyB0aGUgbGFzdCBzdGF0dXMgYW5kIHdoZXRoZXIgdHJhY2tpbmcgdGltZWQgb3V0O1xuICogYSB0aW1lZC1vdXQgbG9hZCBrZWVwcyBydW5uaW5nIGluIE5lcHR1bmUuXG4gKi9cbmV4cG9ydCBjb25zdCB0cmFja0xvYWQgPSBhc3luYyAoXG4gIGxvYWRJZDogc3RyaW5nLFxuICBvcHRpb25zOiB7IHRpbWVvdXRNczogbnVtYmVyOyBvblBvbGw/OiAoc3RhdHVzOiBMb2FkU3RhdHVzKSA9PiBQcm9taXNlPHZvaWQ+IHwgdm9pZCB9XG4pOiBQcm9taXNlPHsgc3RhdHVzOiBMb2FkU3RhdHVzOyB0aW1lZE91dDogYm9vbGVhbiB9PiA9PiB7XG4gIGNvbnN0IGRlYWRsaW5lID0gRGF0ZS5ub3coKSArIG9wdGlvbnMudGltZW91dE1zO1xuICBsZXQgZGVsYXkgPSBJTklUSUFMX1BPTExfTVM7XG4gIGZvciAoOzspIHtcbiAgICBjb25zdCBzdGF0dXMgPSBhd2FpdCBnZXRMb2FkU3RhdHVzKGxvYWRJZCk7XG4gICAgYXdhaXQgb3B0aW9ucy5vblBvbGw/LihzdGF0dXMpO1xuICAgIGlmIChpc1Rlcm1pbmFsKHN0YXR1cy5zdGF0dXMpKSB7XG4gICAgICByZXR1cm4geyBzdGF0dXMsIHRpbWVkT3V0OiBmYWxzZSB9O1xuICAgIH1cbiAgICBjb25zdCByZW1haW5pbmcgPSBkZWFkbGluZSAtIERhdGUubm93KCk7XG4gICAgaWYgKHJlbWFpbmluZyA8PSAwKSB7XG4gICAgICByZXR1cm4geyBzdGF0dXMsIHRpbWVkT3V0OiB0cnVlIH07XG4gICAgfVxuICAgIGF3YWl0IHNsZWVwKE1hdGgubWluKGRlbGF5LCByZW1haW5pbmcpKTtcbiAgICBkZWxheSA9IE1hdGgubWluKGRlbGF5ICogMiwgTUFYX1BPTExfTVMpO1xuICB9XG59O1xuIl19
\ No newline at end of file
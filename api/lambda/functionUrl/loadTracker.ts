@@ -0,0 +1,171 @@
+import { SignatureV4 } from "@smithy/signature-v4";
+import { defaultProvider } from "@aws-sdk/credential-provider-node";
+import { Sha256 } from "@aws-crypto/sha256-js";
+import { HttpRequest } from "@smithy/protocol-http";
+
+// Client for the Neptune bulk loader API (/loader) and the polling logic
+// that follows a load until it ends. Used by the Function URL, which starts
+// loads, and by the loads Lambda behind the /loads page.
+
+// Region of the stack, and so of the cluster and the allowed buckets
+export const region = process.env.NEPTUNE_REGION ?? process.env.AWS_REGION!;
+
+const signer = new SignatureV4({
+  region,
+  service: "neptune-db",
+  sha256: Sha256,
+  credentials: defaultProvider(),
+});
+const host = `${process.env.NEPTUNE_ENDPOINT}:${process.env.NEPTUNE_PORT}`;
+
+// The loader has not finished with these yet
+export const RUNNING_STATUSES = ["LOAD_NOT_STARTED", "LOAD_IN_QUEUE", "LOAD_IN_PROGRESS"];
+
+export const isTerminal = (status: string): boolean => !RUNNING_STATUSES.includes(status);
+
+export const isSuccess = (status: string): boolean => status === "LOAD_COMPLETED";
+
+// Per-record errors fetched with a status; the full list stays in Neptune
+const ERRORS_PER_PAGE = 50;
+
+// Polling starts fast and backs off, since large loads run for many minutes
+const INITIAL_POLL_MS = 1000;
+const MAX_POLL_MS = 30000;
+
+export interface LoadError {
+  errorCode: string | null;
+  errorMessage: string | null;
+  fileName: string | null;
+  recordNum: number | null;
+}
+
+// Counts and errors of one load as reported by GET /loader/{loadId}
+export interface LoadStatus {
+  loadId: string;
+  status: string;
+  totalRecords: number | null;
+  totalDuplicates: number | null;
+  parsingErrors: number | null;
+  datatypeMismatchErrors: number | null;
+  insertErrors: number | null;
+  totalTimeSpent: number | null;
+  errors: LoadError[];
+}
+
+export class LoaderError extends Error {
+  constructor(message: string, readonly statusCode?: number) {
+    super(message);
+    this.name = "LoaderError";
+  }
+}
+
+const loaderRequest = async (
+  method: "GET" | "POST" | "DELETE",
+  path: string,
+  options: { query?: Record<string, string>; body?: unknown } = {}
+): Promise<any> => {
+  const req = await signer.sign(
+    new HttpRequest({
+      method,
+      protocol: "https:",
+      path,
+      query: options.query,
+      hostname: host,
+      headers: {
+        "Content-Type": "application/json",
+        host,
+      },
+      body: options.body === undefined ? undefined : JSON.stringify(options.body),
+    })
+  );
+  const query = options.query ? `?${new URLSearchParams(options.query)}` : "";
+  const res = await fetch(`${req.protocol}//${req.hostname}${req.path}${query}`, {
+    method: req.method,
+    body: req.body,
+    headers: req.headers,
+  });
+  const response = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new LoaderError(
+      `Neptune loader ${method} ${path} failed with ${res.status}: ${response.detailedMessage ?? response.message ?? JSON.stringify(response)}`,
+      res.status
+    );
+  }
+  return response;
+};
+
+/** Queues a load and returns its id. `body` is a loaderBody() result. */
+export const startLoad = async (body: Record<string, unknown>): Promise<string> => {
+  const response = await loaderRequest("POST", "/loader", { body });
+  const loadId = response.payload?.loadId;
+  if (!loadId) {
+    throw new LoaderError(`Bulk load failed: ${JSON.stringify(response)}`);
+  }
+  return String(loadId);
+};
+
+const count = (value: unknown): number | null =>
+  value === undefined || value === null ? null : Number(value);
+
+export const getLoadStatus = async (loadId: string): Promise<LoadStatus> => {
+  const response = await loaderRequest("GET", `/loader/${encodeURIComponent(loadId)}`, {
+    query: {
+      details: "true",
+      errors: "true",
+      page: "1",
+      errorsPerPage: String(ERRORS_PER_PAGE),
+    },
+  });
+  const overall = response.payload?.overallStatus ?? {};
+  const errorLogs: any[] = response.payload?.errors?.errorLogs ?? [];
+  return {
+    loadId,
+    status: String(overall.status ?? "UNKNOWN"),
+    totalRecords: count(overall.totalRecords),
+    totalDuplicates: count(overall.totalDuplicates),
+    parsingErrors: count(overall.parsingErrors),
+    datatypeMismatchErrors: count(overall.datatypeMismatchErrors),
+    insertErrors: count(overall.insertErrors),
+    totalTimeSpent: count(overall.totalTimeSpent),
+    errors: errorLogs.map((log) => ({
+      errorCode: log.errorCode ?? null,
+      errorMessage: log.errorMessage ?? null,
+      fileName: log.fileName ?? null,
+      recordNum: count(log.recordNum),
+    })),
+  };
+};
+
+/** Cancels a queued or running load. */
+export const cancelLoad = async (loadId: string): Promise<void> => {
+  await loaderRequest("DELETE", `/loader/${encodeURIComponent(loadId)}`);
+};
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Polls a load with exponential backoff until it reaches a terminal status
+ * or `timeoutMs` passes. `onPoll` sees every status, e.g. to stream progress
+ * or persist counts. Returns the last status and whether tracking timed out;
+ * a timed-out load keeps running in Neptune.
+ */
+export const trackLoad = async (
+  loadId: string,
+  options: { timeoutMs: number; onPoll?: (status: LoadStatus) => Promise<void> | void }
+): Promise<{ status: LoadStatus; timedOut: boolean }> => {
+  const deadline = Date.now() + options.timeoutMs;
+  let delay = INITIAL_POLL_MS;
+  for (;;) {
+    const status = await getLoadStatus(loadId);
+    await options.onPoll?.(status);
+    if (isTerminal(status.status)) {
+      return { status, timedOut: false };
+    }
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      return { status, timedOut: true };
+    }
+    await sleep(Math.min(delay, remaining));
+    delay = Math.min(delay * 2, MAX_POLL_MS);
+  }
+};
@@ -0,0 +1,2 @@
+import { Handler } from "aws-lambda";
+export declare const handler: Handler;
@@ -0,0 +1,236 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.handler = void 0;
+const client_lambda_1 = require("@aws-sdk/client-lambda");
+const errors_1 = require("../shared/errors");
+const roles_1 = require("../shared/roles");
+const loadTracker_1 = require("./loadTracker");
+const loadHistory_1 = require("./loadHistory");
+const loadRequest_1 = require("./loadRequest");
+const imports_1 = require("./imports");
+const validateSources_1 = require("./validateSources");
+const lambda = new client_lambda_1.LambdaClient({});
+const iamRoleArn = process.env.ROLE_ARN;
+const REINDEX_FUNCTION_NAME = process.env.REINDEX_FUNCTION_NAME;
+// Time kept back from the Lambda timeout to record how an import ended
+const RESULT_MARGIN_MS = 30 * 1000;
+// Bounds for getLoads
+const DEFAULT_LOAD_LIMIT = 50;
+const MAX_LOAD_LIMIT = 200;
+// Records of loads the Function URL stopped tracking can be stale, so
+// running ones are refreshed from Neptune before they are returned
+const refresh = async (record) => {
+    if ((0, loadTracker_1.isTerminal)(record.status))
+        return record;
+    try {
+        const status = await (0, loadTracker_1.getLoadStatus)(record.loadId);
+        const finished = (0, loadTracker_1.isTerminal)(status.status);
+        await (0, loadHistory_1.recordStatus)(status, { finished });
+        return {
+            ...record,
+            ...status,
+            updatedAt: new Date().toISOString(),
+            ...(finished ? { finishedAt: new Date().toISOString() } : {}),
+        };
+    }
+    catch (error) {
+        // Neptune forgets old loads; keep the last known state
+        console.warn("Could not refresh load", record.loadId, error);
+        return record;
+    }
+};
+const callerName = (identity) => String(identity?.username ?? identity?.sub ?? "unknown");
+// Follows the loads in order and updates them in place with their last
+// status; true when tracking timed out before they all ended
+const followLoads = async (loads, timeoutMs) => {
+    const deadline = Date.now() + timeoutMs;
+    for (const [i, load] of loads.entries()) {
+        let lastStatus = load.status;
+        const { status, timedOut } = await (0, loadTracker_1.trackLoad)(load.loadId, {
+            timeoutMs: Math.max(deadline - Date.now(), 0),
+            onPoll: async (current) => {
+                if (current.status !== lastStatus) {
+                    lastStatus = current.status;
+                    await (0, loadHistory_1.recordStatus)(current);
+                }
+            },
+        });
+        await (0, loadHistory_1.recordStatus)(status, timedOut ? { trackingTimedOut: true } : { finished: true });
+        loads[i] = { ...load, ...status, updatedAt: new Date().toISOString() };
+        if (timedOut)
+            return true;
+    }
+    return false;
+};
+// Vertices loaded from CSV have no search_* shadow properties until the
+// search index Lambda has run
+const startReindex = async (importId, identity) => {
+    await lambda.send(new client_lambda_1.InvokeCommand({
+        FunctionName: REINDEX_FUNCTION_NAME,
+        InvocationType: "Event",
+        Payload: Buffer.from(JSON.stringify({
+            importId,
+            actor: { sub: String(identity?.sub ?? "unknown"), username: callerName(identity) },
+        })),
+    }));
+};
+/**
+ * Loads staged files of the Import page: vertex files first, then edge files
+ * that wait for them. With `validate`, nothing is loaded unless the CSV
+ * validator passes the files as one set. Runs in the background, since
+ * validation and loading outlast AppSync's 30 seconds; the progress goes to
+ * the import's status object, which getImport reads. Once every load has
+ * ended and at least one completed, the search index is rebuilt.
+ */
+const runImport = async (identity, input, importId, remainingMs) => {
+    const owner = String(identity?.sub ?? "");
+    const startedBy = callerName(identity);
+    const result = {
+        importId,
+        status: "STARTING",
+        startedBy,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        loads: [],
+        validation: null,
+        error: null,
+    };
+    await (0, imports_1.writeImportStatus)(owner, result);
+    try {
+        const vertexSources = (0, imports_1.importSources)(input.vertexKeys ?? [], owner);
+        const edgeSources = (0, imports_1.importSources)(input.edgeKeys ?? [], owner);
+        const request = (0, loadRequest_1.parseLoadRequest)({
+            sources: [...vertexSources, ...edgeSources],
+            format: "csv",
+            failOnError: input.failOnError,
+            updateSingleCardinalityProperties: input.updateSingleCardinalityProperties,
+            validate: input.validate ?? true,
+        }, { sources: [], allowedPrefixes: [(0, imports_1.importSourcePrefix)()] });
+        if (request.validate) {
+            const validation = await (0, validateSources_1.validateSources)(request.sources);
+            result.validation = JSON.stringify(validation);
+            if (!validation.valid) {
+                result.status = "INVALID";
+                result.finishedAt = new Date().toISOString();
+                await (0, imports_1.writeImportStatus)(owner, result);
+                return result;
+            }
+        }
+        const start = async (source, dependencies) => {
+            const body = (0, loadRequest_1.loaderBody)(request, source, { iamRoleArn, region: loadTracker_1.region, dependencies });
+            const loadId = await (0, loadTracker_1.startLoad)(body);
+            result.loads.push(await (0, loadHistory_1.recordStart)({
+                loadId,
+                source,
+                format: body.format,
+                options: (0, loadRequest_1.loaderOptionsJson)(body),
+                startedBy,
+            }));
+            return loadId;
+        };
+        const vertexLoadIds = [];
+        for (const source of vertexSources) {
+            vertexLoadIds.push(await start(source, []));
+        }
+        for (const source of edgeSources) {
+            await start(source, vertexLoadIds);
+        }
+        console.log("Started import", importId, result.loads.map((load) => load.loadId), "by", startedBy);
+        result.status = "LOADING";
+        await (0, imports_1.writeImportStatus)(owner, result);
+        if (await followLoads(result.loads, remainingMs - RESULT_MARGIN_MS)) {
+            // The loads go on in Neptune; an Admin rebuilds the index from the
+            // Loads page once they end
+            result.trackingTimedOut = true;
+        }
+        else {
+            result.status = result.loads.every((load) => (0, loadTracker_1.isSuccess)(load.status))
+                ? "COMPLETED"
+                : "FAILED";
+            if (result.loads.some((load) => (0, loadTracker_1.isSuccess)(load.status))) {
+                await startReindex(importId, identity);
+                result.reindexStarted = true;
+            }
+            result.finishedAt = new Date().toISOString();
+        }
+    }
+    catch (error) {
+        console.error("Import failed:", importId, error);
+        result.status = "FAILED";
+        result.error = error instanceof Error ? error.message : String(error);
+        result.finishedAt = new Date().toISOString();
+    }
+    await (0, imports_1.writeImportStatus)(owner, result);
+    console.log("Import", importId, "ended with", result.status);
+    return result;
+};
+// Resolvers of the /loads and /import pages: load history, cancellation and
+// imports of uploaded files
+const handler = async (event, context) => {
+    console.log("Loads event:", JSON.stringify({ field: event.field, arguments: event.arguments }));
+    try {
+        if (event.field === "getLoads") {
+            (0, roles_1.requireRole)(event.identity, "Viewer", event.field);
+            const limit = Math.min(Math.max(event.arguments.limit ?? DEFAULT_LOAD_LIMIT, 1), MAX_LOAD_LIMIT);
+            const records = await (0, loadHistory_1.listLoadRecords)(limit);
+            return Promise.all(records.map(refresh));
+        }
+        if (event.field === "getLoad") {
+            (0, roles_1.requireRole)(event.identity, "Viewer", event.field);
+            const record = await (0, loadHistory_1.getLoadRecord)(event.arguments.loadId);
+            return record && refresh(record);
+        }
+        if (event.field === "createImportUploads") {
+            (0, roles_1.requireRole)(event.identity, "Editor", event.field);
+            return await (0, imports_1.createUploads)(event.arguments.fileNames, String(event.identity?.sub ?? ""));
+        }
+        if (event.field === "startImport") {
+            // Invoked asynchronously: the resolver already answered with the id
+            // from the request mapping template, so nothing is returned
+            (0, roles_1.requireRole)(event.identity, "Editor", event.field);
+            if (!(0, imports_1.isImportId)(String(event.importId))) {
+                throw (0, errors_1.validationError)(`Invalid import id: ${event.importId}`);
+            }
+            await runImport(event.identity, event.arguments.input, event.importId, context.getRemainingTimeInMillis());
+            return null;
+        }
+        if (event.field === "getImport") {
+            (0, roles_1.requireRole)(event.identity, "Editor", event.field);
+            return await (0, imports_1.readImportStatus)(String(event.identity?.sub ?? ""), String(event.arguments.importId));
+        }
+        if (event.field === "cancelLoad") {
+            (0, roles_1.requireRole)(event.identity, "Editor", event.field);
+            const { loadId } = event.arguments;
+            const record = await (0, loadHistory_1.getLoadRecord)(loadId);
+            if (!record) {
+                throw (0, errors_1.notFoundError)(`Load not found: ${loadId}`, { loadId });
+            }
+            const current = await refresh(record);
+            if ((0, loadTracker_1.isTerminal)(current.status)) {
+                throw (0, errors_1.conflictError)(`Load ${loadId} already ended with ${current.status}`, {
+                    loadId,
+                    status: current.status,
+                });
+            }
+            await (0, loadTracker_1.cancelLoad)(loadId);
+            const cancelledBy = callerName(event.identity);
+            // The loader reports the cancellation asynchronously
+            const status = await (0, loadTracker_1.getLoadStatus)(loadId);
+            await (0, loadHistory_1.recordStatus)(status, { finished: (0, loadTracker_1.isTerminal)(status.status), cancelledBy });
+            console.log("Cancelled load:", loadId, "by", cancelledBy);
+            return { ...current, ...status, cancelledBy };
+        }
+        throw (0, errors_1.validationError)(`Unknown field: ${event.field}`);
+    }
+    catch (error) {
+        console.error("Loads error:", error);
+        if (error instanceof loadRequest_1.LoadRequestError ||
+            error instanceof imports_1.ImportError ||
+            error instanceof validateSources_1.SourceValidationError) {
+            return (0, errors_1.toErrorResult)((0, errors_1.validationError)(error.message));
+        }
+        return (0, errors_1.toErrorResult)(error);
+    }
+};
+exports.handler = handler;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibG9hZHMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJsb2Fkcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFDQSwwREFBcUU7QUFDckUsNkNBQWdHO0FBQ2hHLDJDQUE4QztBQUM5QywrQ0FRdUI7QUFDdkIsK0NBTXVCO0FBQ3ZCLCtDQUt1QjtBQUN2Qix1Q0FTbUI7QUFDbkIsdURBQTJFO0FBRTNFLE1BQU0sTUFBTSxHQUFHLElBQUksNEJBQVksQ0FBQyxFQUFFLENBQUMsQ0FBQztBQUNwQyxNQUFNLFVBQVUsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQztBQUN4QyxNQUFNLHFCQUFxQixHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMscUJBQXNCLENBQUM7QUFFakUsdUVBQXVFO0FBQ3ZFLE1BQU0sZ0JBQWdCLEdBQUcsRUFBRSxHQUFHLElBQUksQ0FBQztBQUVuQyxzQkFBc0I7QUFDdEIsTUFBTSxrQkFBa0IsR0FBRyxFQUFFLENBQUM7QUFDOUIsTUFBTSxjQUFjLEdBQUcsR0FBRyxDQUFDO0FBRTNCLHNFQUFzRTtBQUN0RSxtRUFBbUU7QUFDbkUsTUFBTSxPQUFPLEdBQUcsS0FBSyxFQUFFLE1BQWtCLEVBQXVCLEVBQUU7SUFDaEUsSUFBSSxJQUFBLHdCQUFVLEVBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQztRQUFFLE9BQU8sTUFBTSxDQUFDO0lBQzdDLElBQUksQ0FBQztRQUNILE1BQU0sTUFBTSxHQUFHLE1BQU0sSUFBQSwyQkFBYSxFQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUNsRCxNQUFNLFFBQVEsR0FBRyxJQUFBLHdCQUFVLEVBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQzNDLE1BQU0sSUFBQSwwQkFBWSxFQUFDLE1BQU0sRUFBRSxFQUFFLFFBQVEsRUFBRSxDQUFDLENBQUM7UUFDekMsT0FBTztZQUNMLEdBQUcsTUFBTTtZQUNULEdBQUcsTUFBTTtZQUNULFNBQVMsRUFBRSxJQUFJLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRTtZQUNuQyxHQUFHLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxFQUFFLFVBQVUsRUFBRSxJQUFJLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztTQUM5RCxDQUFDO0lBQ0osQ0FBQztJQUFDLE9BQU8sS0FBYyxFQUFFLENBQUM7UUFDeEIsdURBQXVEO1FBQ3ZELE9BQU8sQ0FBQyxJQUFJLENBQUMsd0JBQXdCLEVBQUUsTUFBTSxDQUFDLE1BQU0sRUFBRSxLQUFLLENBQUMsQ0FBQztRQUM3RCxPQUFPLE1BQU0sQ0FBQztJQUNoQixDQUFDO0FBQ0gsQ0FBQyxDQUFDO0FBRUYsTUFBTSxVQUFVLEdBQUcsQ0FBQyxRQUFhLEVBQVUsRUFBRSxDQUMzQyxNQUFNLENBQUMsUUFBUSxFQUFFLFFBQVEsSUFBSSxRQUFRLEVBQUUsR0FBRyxJQUFJLFNBQVMsQ0FBQyxDQUFDO0FBRTNELHVFQUF1RTtBQUN2RSw2REFBNkQ7QUFDN0QsTUFBTSxXQUFXLEdBQUcsS0FBSyxFQUFFLEtBQW1CLEVBQUUsU0FBaUIsRUFBRSxFQUFFO0lBQ25FLE1BQU0sUUFBUSxHQUFHLElBQUksQ0FBQyxHQUFHLEVBQUUsR0FBRyxTQUFTLENBQUM7SUFDeEMsS0FBSyxNQUFNLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxJQUFJLEtBQUssQ0FBQyxPQUFPLEVBQUUsRUFBRSxDQUFDO1FBQ3hDLElBQUksVUFBVSxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUM7UUFDN0IsTUFBTSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsR0FBRyxNQUFNLElBQUEsdUJBQVMsRUFBQyxJQUFJLENBQUMsTUFBTSxFQUFFO1lBQ3hELFNBQVMsRUFBRSxJQUFJLENBQUMsR0FBRyxDQUFDLFFBQVEsR0FBRyxJQUFJLENBQUMsR0FBRyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1lBQzdDLE1BQU0sRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLEVBQUU7Z0JBQ3hCLElBQUksT0FBTyxDQUFDLE1BQU0sS0FBSyxVQUFVLEVBQUUsQ0FBQztvQkFDbEMsVUFBVSxHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUM7b0JBQzVCLE1BQU0sSUFBQSwwQkFBWSxFQUFDLE9BQU8sQ0FBQyxDQUFDO2dCQUM5QixDQUFDO1lBQ0gsQ0FBQztTQUNGLENBQUMsQ0FBQztRQUNILE1BQU0sSUFBQSwwQkFBWSxFQUFDLE1BQU0sRUFBRSxRQUFRLENBQUMsQ0FBQyxDQUFDLEVBQUUsZ0JBQWdCLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7UUFDdkYsS0FBSyxDQUFDLENBQUMsQ0FBQyxHQUFHLEVBQUUsR0FBRyxJQUFJLEVBQUUsR0FBRyxNQUFNLEVBQUUsU0FBUyxFQUFFLElBQUksSUFBSSxFQUFFLENBQUMsV0FBVyxFQUFFLEVBQUUsQ0FBQztRQUN2RSxJQUFJLFFBQVE7WUFBRSxPQUFPLElBQUksQ0FBQztJQUM1QixDQUFDO0lBQ0QsT0FBTyxLQUFLLENBQUM7QUFDZixDQUFDLENBQUM7QUFFRix3RUFBd0U7QUFDeEUsOEJBQThCO0FBQzlCLE1BQU0sWUFBWSxHQUFHLEtBQUssRUFBRSxRQUFnQixFQUFFLFFBQWEsRUFBRSxFQUFFO0lBQzdELE1BQU0sTUFBTSxDQUFDLElBQUksQ0FDZixJQUFJLDZCQUFhLENBQUM7UUFDaEIsWUFBWSxFQUFFLHFCQUFxQjtRQUNuQyxjQUFjLEVBQUUsT0FBTztRQUN2QixPQUFPLEVBQUUsTUFBTSxDQUFDLElBQUksQ0FDbEIsSUFBSSxDQUFDLFNBQVMsQ0FBQztZQUNiLFFBQVE7WUFDUixLQUFLLEVBQUUsRUFBRSxHQUFHLEVBQUUsTUFBTSxDQUFDLFFBQVEsRUFBRSxHQUFHLElBQUksU0FBUyxDQUFDLEVBQUUsUUFBUSxFQUFFLFVBQVUsQ0FBQyxRQUFRLENBQUMsRUFBRTtTQUNuRixDQUFDLENBQ0g7S0FDRixDQUFDLENBQ0gsQ0FBQztBQUNKLENBQUMsQ0FBQztBQUVGOzs7Ozs7O0dBT0c7QUFDSCxNQUFNLFNBQVMsR0FBRyxLQUFLLEVBQ3JCLFFBQWEsRUFDYixLQUFVLEVBQ1YsUUFBZ0IsRUFDaEIsV0FBbUIsRUFDSSxFQUFFO0lBQ3pCLE1BQU0sS0FBSyxHQUFHLE1BQU0sQ0FBQyxRQUFRLEVBQUUsR0FBRyxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBQzFDLE1BQU0sU0FBUyxHQUFHLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUN2QyxNQUFNLE1BQU0sR0FBaUI7UUFDM0IsUUFBUTtRQUNSLE1BQU0sRUFBRSxVQUFVO1FBQ2xCLFNBQVM7UUFDVCxTQUFTLEVBQUUsSUFBSSxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUU7UUFDbkMsVUFBVSxFQUFFLElBQUk7UUFDaEIsS0FBSyxFQUFFLEVBQUU7UUFDVCxVQUFVLEVBQUUsSUFBSTtRQUNoQixLQUFLLEVBQUUsSUFBSTtLQUNaLENBQUM7SUFDRixNQUFNLElBQUEsMkJBQWlCLEVBQUMsS0FBSyxFQUFFLE1BQU0sQ0FBQyxDQUFDO0lBRXZDLElBQUksQ0FBQztRQUNILE1BQU0sYUFBYSxHQUFHLElBQUEsdUJBQWEsRUFBQyxLQUFLLENBQUMsVUFBVSxJQUFJLEVBQUUsRUFBRSxLQUFLLENBQUMsQ0FBQztRQUNuRSxNQUFNLFdBQVcsR0FBRyxJQUFBLHVCQUFhLEVBQUMsS0FBSyxDQUFDLFFBQVEsSUFBSSxFQUFFLEVBQUUsS0FBSyxDQUFDLENBQUM7UUFDL0QsTUFBTSxPQUFPLEdBQUcsSUFBQSw4QkFBZ0IsRUFDOUI7WUFDRSxPQUFPLEVBQUUsQ0FBQyxHQUFHLGFBQWEsRUFBRSxHQUFHLFdBQVcsQ0FBQztZQUMzQyxNQUFNLEVBQUUsS0FBSztZQUNiLFdBQVcsRUFBRSxLQUFLLENBQUMsV0FBVztZQUM5QixpQ0FBaUMsRUFBRSxLQUFLLENBQUMsaUNBQWlDO1lBQzFFLFFBQVEsRUFBRSxLQUFLLENBQUMsUUFBUSxJQUFJLElBQUk7U0FDakMsRUFDRCxFQUFFLE9BQU8sRUFBRSxFQUFFLEVBQUUsZUFBZSxFQUFFLENBQUMsSUFBQSw0QkFBa0IsR0FBRSxDQUFDLEVBQUUsQ0FDekQsQ0FBQztRQUVGLElBQUksT0FBTyxDQUFDLFFBQVEsRUFBRSxDQUFDO1lBQ3JCLE1BQU0sVUFBVSxHQUFHLE1BQU0sSUFBQSxpQ0FBZSxFQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQztZQUMxRCxNQUFNLENBQUMsVUFBVSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsVUFBVSxDQUFDLENBQUM7WUFDL0MsSUFBSSxDQUFDLFVBQVUsQ0FBQyxLQUFLLEVBQUUsQ0FBQztnQkFDdEIsTUFBTSxDQUFDLE1BQU0sR0FBRyxTQUFTLENBQUM7Z0JBQzFCLE1BQU0sQ0FBQyxVQUFVLEdBQUcsSUFBSSxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQztnQkFDN0MsTUFBTSxJQUFBLDJCQUFpQixFQUFDLEtBQUssRUFBRSxNQUFNLENBQUMsQ0FBQztnQkFDdkMsT0FBTyxNQUFNLENBQUM7WUFDaEIsQ0FBQztRQUNILENBQUM7UUFFRCxNQUFNLEtBQUssR0FBRyxLQUFLLEVBQUUsTUFBYyxFQUFFLFlBQXNCLEVBQUUsRUFBRTtZQUM3RCxNQUFNLElBQUksR0FBRyxJQUFBLHdCQUFVLEVBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFLFVBQVUsRUFBRSxNQUFNLEVBQU4sb0JBQU0sRUFBRSxZQUFZLEVBQUUsQ0FBQyxDQUFDO1lBQy9FLE1BQU0sTUFBTSxHQUFHLE1BQU0sSUFBQSx1QkFBUyxFQUFDLElBQUksQ0FBQyxDQUFDO1lBQ3JDLE1BQU0sQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUNmLE1BQU0sSUFBQSx5QkFBVyxFQUFDO2dCQUNoQixNQUFNO2dCQUNOLE1BQU07Z0JBQ04sTUFBTSxFQUFFLElBQUksQ0FBQyxNQUFNO2dCQUNuQixPQUFPLEVBQUUsSUFBQSwrQkFBaUIsRUFBQyxJQUFJLENBQUM7Z0JBQ2hDLFNBQVM7YUFDVixDQUFDLENBQ0gsQ0FBQztZQUNGLE9BQU8sTUFBTSxDQUFDO1FBQ2hCLENBQUMsQ0FBQztRQUNGLE1BQU0sYUFBYSxHQUFhLEVBQUUsQ0FBQztRQUNuQyxLQUFLLE1BQU0sTUFBTSxJQUFJLGFBQWEsRUFBRSxDQUFDO1lBQ25DLGFBQWEsQ0FBQyxJQUFJLENBQUMsTUFBTSxLQUFLLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7UUFDOUMsQ0FBQztRQUNELEtBQUssTUFBTSxNQUFNLElBQUksV0FBVyxFQUFFLENBQUM7WUFDakMsTUFBTSxLQUFLLENBQUMsTUFBTSxFQUFFLGFBQWEsQ0FBQyxDQUFDO1FBQ3JDLENBQUM7UUFDRCxPQUFPLENBQUMsR0FBRyxDQUFDLGdCQUFnQixFQUFFLFFBQVEsRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxFQUFFLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFLElBQUksRUFBRSxTQUFTLENBQUMsQ0FBQztRQUNsRyxNQUFNLENBQUMsTUFBTSxHQUFHLFNBQVMsQ0FBQztRQUMxQixNQUFNLElBQUEsMkJBQWlCLEVBQUMsS0FBSyxFQUFFLE1BQU0sQ0FBQyxDQUFDO1FBRXZDLElBQUksTUFBTSxXQUFXLENBQUMsTUFBTSxDQUFDLEtBQUssRUFBRSxXQUFXLEdBQUcsZ0JBQWdCLENBQUMsRUFBRSxDQUFDO1lBQ3BFLG1FQUFtRTtZQUNuRSwyQkFBMkI7WUFDM0IsTUFBTSxDQUFDLGdCQUFnQixHQUFHLElBQUksQ0FBQztRQUNqQyxDQUFDO2FBQU0sQ0FBQztZQUNOLE1BQU0sQ0FBQyxNQUFNLEdBQUcsTUFBTSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLElBQUEsdUJBQVMsRUFBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7Z0JBQ2xFLENBQUMsQ0FBQyxXQUFXO2dCQUNiLENBQUMsQ0FBQyxRQUFRLENBQUM7WUFDYixJQUFJLE1BQU0sQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxJQUFBLHVCQUFTLEVBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEVBQUUsQ0FBQztnQkFDeEQsTUFBTSxZQUFZLENBQUMsUUFBUSxFQUFFLFFBQVEsQ0FBQyxDQUFDO2dCQUN2QyxNQUFNLENBQUMsY0FBYyxHQUFHLElBQUksQ0FBQztZQUMvQixDQUFDO1lBQ0QsTUFBTSxDQUFDLFVBQVUsR0FBRyxJQUFJLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDO1FBQy9DLENBQUM7SUFDSCxDQUFDO0lBQUMsT0FBTyxLQUFjLEVBQUUsQ0FBQztRQUN4QixPQUFPLENBQUMsS0FBSyxDQUFDLGdCQUFnQixFQUFFLFFBQVEsRUFBRSxLQUFLLENBQUMsQ0FBQztRQUNqRCxNQUFNLENBQUMsTUFBTSxHQUFHLFFBQVEsQ0FBQztRQUN6QixNQUFNLENBQUMsS0FBSyxHQUFHLEtBQUssWUFBWSxLQUFLLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUN0RSxNQUFNLENBQUMsVUFBVSxHQUFHLElBQUksSUFBSSxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUM7SUFDL0MsQ0FBQztJQUNELE1BQU0sSUFBQSwyQkFBaUIsRUFBQyxLQUFLLEVBQUUsTUFBTSxDQUFDLENBQUM7SUFDdkMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsUUFBUSxFQUFFLFlBQVksRUFBRSxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDN0QsT0FBTyxNQUFNLENBQUM7QUFDaEIsQ0FBQyxDQUFDO0FBRUYsNEVBQTRFO0FBQzVFLDRCQUE0QjtBQUNyQixNQUFNLE9BQU8sR0FBWSxLQUFLLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxFQUFFO0lBQ3ZELE9BQU8sQ0FBQyxHQUFHLENBQUMsY0FBYyxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxDQUFDLEtBQUssRUFBRSxTQUFTLEVBQUUsS0FBSyxDQUFDLFNBQVMsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUVoRyxJQUFJLENBQUM7UUFDSCxJQUFJLEtBQUssQ0FBQyxLQUFLLEtBQUssVUFBVSxFQUFFLENBQUM7WUFDL0IsSUFBQSxtQkFBVyxFQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsUUFBUSxFQUFFLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUNuRCxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsR0FBRyxDQUNwQixJQUFJLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsS0FBSyxJQUFJLGtCQUFrQixFQUFFLENBQUMsQ0FBQyxFQUN4RCxjQUFjLENBQ2YsQ0FBQztZQUNGLE1BQU0sT0FBTyxHQUFHLE1BQU0sSUFBQSw2QkFBZSxFQUFDLEtBQUssQ0FBQyxDQUFDO1lBQzdDLE9BQU8sT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7UUFDM0MsQ0FBQztRQUVELElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxTQUFTLEVBQUUsQ0FBQztZQUM5QixJQUFBLG1CQUFXLEVBQUMsS0FBSyxDQUFDLFFBQVEsRUFBRSxRQUFRLEVBQUUsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO1lBQ25ELE1BQU0sTUFBTSxHQUFHLE1BQU0sSUFBQSwyQkFBYSxFQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLENBQUM7WUFDM0QsT0FBTyxNQUFNLElBQUksT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQ25DLENBQUM7UUFFRCxJQUFJLEtBQUssQ0FBQyxLQUFLLEtBQUsscUJBQXFCLEVBQUUsQ0FBQztZQUMxQyxJQUFBLG1CQUFXLEVBQUMsS0FBSyxDQUFDLFFBQVEsRUFBRSxRQUFRLEVBQUUsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO1lBQ25ELE9BQU8sTUFBTSxJQUFBLHVCQUFhLEVBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxTQUFTLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsR0FBRyxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUM7UUFDM0YsQ0FBQztRQUVELElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxhQUFhLEVBQUUsQ0FBQztZQUNsQyxvRUFBb0U7WUFDcEUsNERBQTREO1lBQzVELElBQUEsbUJBQVcsRUFBQyxLQUFLLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDbkQsSUFBSSxDQUFDLElBQUEsb0JBQVUsRUFBQyxNQUFNLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxDQUFDLEVBQUUsQ0FBQztnQkFDeEMsTUFBTSxJQUFBLHdCQUFlLEVBQUMsc0JBQXNCLEtBQUssQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO1lBQ2hFLENBQUM7WUFDRCxNQUFNLFNBQVMsQ0FDYixLQUFLLENBQUMsUUFBUSxFQUNkLEtBQUssQ0FBQyxTQUFTLENBQUMsS0FBSyxFQUNyQixLQUFLLENBQUMsUUFBUSxFQUNkLE9BQU8sQ0FBQyx3QkFBd0IsRUFBRSxDQUNuQyxDQUFDO1lBQ0YsT0FBTyxJQUFJLENBQUM7UUFDZCxDQUFDO1FBRUQsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLFdBQVcsRUFBRSxDQUFDO1lBQ2hDLElBQUEsbUJBQVcsRUFBQyxLQUFLLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDbkQsT0FBTyxNQUFNLElBQUEsMEJBQWdCLEVBQzNCLE1BQU0sQ0FBQyxLQUFLLENBQUMsUUFBUSxFQUFFLEdBQUcsSUFBSSxFQUFFLENBQUMsRUFDakMsTUFBTSxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLENBQ2pDLENBQUM7UUFDSixDQUFDO1FBRUQsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLFlBQVksRUFBRSxDQUFDO1lBQ2pDLElBQUEsbUJBQVcsRUFBQyxLQUFLLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDbkQsTUFBTSxFQUFFLE1BQU0sRUFBRSxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUM7WUFDbkMsTUFBTSxNQUFNLEdBQUcsTUFBTSxJQUFBLDJCQUFhLEVBQUMsTUFBTSxDQUFDLENBQUM7WUFDM0MsSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDO2dCQUNaLE1BQU0sSUFBQSxzQkFBYSxFQUFDLG1CQUFtQixNQUFNLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSxDQUFDLENBQUM7WUFDL0QsQ0FBQztZQUNELE1BQU0sT0FBTyxHQUFHLE1BQU0sT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQ3RDLElBQUksSUFBQSx3QkFBVSxFQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDO2dCQUMvQixNQUFNLElBQUEsc0JBQWEsRUFBQyxRQUFRLE1BQU0sdUJBQXVCLE9BQU8sQ0FBQyxNQUFNLEVBQUUsRUFBRTtvQkFDekUsTUFBTTtvQkFDTixNQUFNLEVBQUUsT0FBTyxDQUFDLE1BQU07aUJBQ3ZCLENBQUMsQ0FBQztZQUNMLENBQUM7WUFDRCxNQUFNLElBQUEsd0JBQVUsRUFBQyxNQUFNLENBQUMsQ0FBQztZQUN6QixNQUFNLFdBQVcsR0FBRyxVQUFVLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxDQUFDO1lBQy9DLHFEQUFxRDtZQUNyRCxNQUFNLE1BQU0sR0FBRyxNQUFNLElBQUEsMkJBQWEsRUFBQyxNQUFNLENBQUMsQ0FBQztZQUMzQyxNQUFNLElBQUEsMEJBQVksRUFBQyxNQUFNLEVBQUUsRUFBRSxRQUFRLEVBQUUsSUFBQSx3QkFBVSxFQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxXQUFXLEVBQUUsQ0FBQyxDQUFDO1lBQ2pGLE9BQU8sQ0FBQyxHQUFHLENBQUMsaUJBQWlCLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxXQUFXLENBQUMsQ0FBQztZQUMxRCxPQUFPLEVBQUUsR0FBRyxPQUFPLEVBQUUsR0FBRyxNQUFNLEVBQUUsV0FBVyxFQUFFLENBQUM7UUFDaEQsQ0FBQztRQUVELE1BQU0sSUFBQSx3QkFBZSxFQUFDLGtCQUFrQixLQUFLLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQztJQUN6RCxDQUFDO0lBQUMsT0FBTyxLQUFjLEVBQUUsQ0FBQztRQUN4QixPQUFPLENBQUMsS0FBSyxDQUFDLGNBQWMsRUFBRSxLQUFLLENBQUMsQ0FBQztRQUNyQyxJQUNFLEtBQUssWUFBWSw4QkFBZ0I7WUFDakMsS0FBSyxZQUFZLHFCQUFXO1lBQzVCLEtBQUssWUFBWSx1Q0FBcUIsRUFDdEMsQ0FBQztZQUNELE9BQU8sSUFBQSxzQkFBYSxFQUFDLElBQUEsd0JBQWUsRUFBQyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztRQUN2RCxDQUFDO1FBQ0QsT0FBTyxJQUFBLHNCQUFhLEVBQUMsS0FBSyxDQUFDLENBQUM7SUFDOUIsQ0FBQztBQUNILENBQUMsQ0FBQztBQXBGVyxRQUFBLE9BQU8sV0FvRmxCIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgSGFuZGxlciB9IGZyb20gXCJhd3MtbGFtYmRhXCI7XG5pbXBvcnQgeyBJbnZva2VDb21tYW5kLCBMYW1iZGFDbGllbnQgfSBmcm9tIFwiQGF3cy1zZGsvY2xpZW50LWxhbWJkYVwiO1xuaW1wb3J0IHsgbm90Rm91bmRFcnJvciwgY29uZmxpY3RFcnJvciwgdG9FcnJvclJlc3VsdCwgdmFsaWRhdGlvbkVycm9yIH0gZnJvbSBcIi4uL3NoYXJlZC9lcnJvcnNcIjtcbmltcG9ydCB7IHJlcXVpcmVSb2xlIH0gZnJvbSBcIi4uL3NoYXJlZC9yb2xlc1wiO1xuaW1wb3J0IHtcbiAgY2FuY2VsTG9hZCxcbiAgZ2V0TG9hZFN0YXR1cyxcbiAgaXNTdWNjZXNzLFxuICBpc1Rlcm1pbmFsLFxuICByZWdpb24sXG4gIHN0YXJ0TG9hZCxcbiAgdHJhY2tMb2FkLFxufSBmcm9tIFwiLi9sb2FkVHJhY2tlclwiO1xuaW1wb3J0IHtcbiAgTG9hZFJlY29yZCxcbiAgZ2V0TG9hZFJlY29yZCxcbiAgbGlzdExvYWRSZWNvcmRzLFxuICByZWNvcmRTdGFydCxcbiAgcmVjb3JkU3RhdHVzLFxufSBmcm9tIFwiLi9sb2FkSGlzdG9yeVwiO1xuaW1wb3J0IHtcbiAgTG9hZFJlcXVlc3RFcnJvcixcbiAgbG9hZGVyQm9keSxcbiAgbG9hZGVyT3B0aW9uc0pzb24sXG4gIHBhcnNlTG9hZFJlcXVlc3QsXG59IGZyb20gXCIuL2xvYWRSZXF1ZXN0XCI7XG5pbXBvcnQge1xuICBJbXBvcnRFcnJvcixcbiAgSW1wb3J0U3RhdHVzLFxuICBjcmVhdGVVcGxvYWRzLFxuICBpbXBvcnRTb3VyY2VQcmVmaXgsXG4gIGltcG9ydFNvdXJjZXMsXG4gIGlzSW1wb3J0SWQsXG4gIHJlYWRJbXBvcnRTdGF0dXMsXG4gIHdyaXRlSW1wb3J0U3RhdHVzLFxufSBmcm9tIFwiLi9pbXBvcnRzXCI7XG5pbXBvcnQgeyBTb3VyY2VWYWxpZGF0aW9uRXJyb3IsIHZhbGlkYXRlU291cmNlcyB9IGZyb20gXCIuL3ZhbGlkYXRlU291cmNlc1wiO1xuXG5jb25zdCBsYW1iZGEgPSBuZXcgTGFtYmRhQ2xpZW50KHt9KTtcbmNvbnN0IGlhbVJvbGVBcm4gPSBwcm9jZXNzLmVudi5ST0xFX0FSTjtcbmNvbnN0IFJFSU5ERVhfRlVOQ1RJT05fTkFNRSA9IHByb2Nlc3MuZW52LlJFSU5ERVhfRlVOQ1RJT05fTkFNRSE7XG5cbi8vIFRpbWUga2VwdCBiYWNrIGZyb20gdGhlIExhbWJkYSB0aW1lb3V0IHRvIHJlY29yZCBob3cgYW4gaW1wb3J0IGVuZGVkXG5jb25zdCBSRVNVTFRfTUFSR0lOX01TID0gMzAgKiAxMDAwO1xuXG4vLyBCb3VuZHMgZm9yIGdldExvYWRzXG5jb25zdCBERUZBVUxUX0xPQURfTElNSVQgPSA1MDtcbmNvbnN0IE1BWF9MT0FEX0xJTUlUID0gMjAwO1xuXG4vLyBSZWNvcmRzIG9mIGxvYWRzIHRoZSBGdW5jdGlvbiBVUkwgc3RvcHBlZCB0cmFja2luZyBjYW4gYmUgc3RhbGUsIHNvXG4vLyBydW5uaW5nIG9uZXMgYXJlIHJlZnJlc2hlZCBmcm9tIE5lcHR1bmUgYmVmb3JlIHRoZXkgYXJlIHJldHVybmVkXG5jb25zdCByZWZyZXNoID0gYXN5bmMgKHJlY29yZDogTG9hZFJlY29yZCk6IFByb21pc2U8TG9hZFJlY29yZD4gPT4ge1xuICBpZiAoaXNUZXJtaW5hbChyZWNvcmQuc3RhdHVzKSkgcmV0dXJuIHJlY29yZDtcbiAgdHJ5IHtcbiAgICBjb25zdCBzdGF0dXMgPSBhd2FpdCBnZXRMb2FkU3RhdHVzKHJlY29yZC5sb2FkSWQpO1xuICAgIGNvbnN0IGZpbmlzaGVkID0gaXNUZXJtaW5hbChzdGF0dXMuc3RhdHVzKTtcbiAgICBhd2FpdCByZWNvcmRTdGF0dXMoc3RhdHVzLCB7IGZpbmlzaGVkIH0pO1xuICAgIHJldHVybiB7XG4gICAgICAuLi5yZWNvcmQsXG4gICAgICAuLi5zdGF0dXMsXG4gICAgICB1cGRhdGVkQXQ6IG5ldyBEYXRlKCkudG9JU09TdHJpbmcoKSxcbiAgICAgIC4uLihmaW5pc2hlZCA/IHsgZmluaXNoZWRBdDogbmV3IERhdGUoKS50b0lTT1N0cmluZygpIH0gOiB7fSksXG4gICAgfTtcbiAgfSBjYXRjaCAoZXJyb3I6IHVua25vd24pIHtcbiAgICAvLyBOZXB0dW5lIGZvcmdldHMgb2xkIGxvYWRzOyBrZWVwIHRoZSBsYXN0IGtub3duIHN0YXRlXG4gICAgY29uc29sZS53YXJuKFwiQ291bGQgbm90IHJlZnJlc2ggbG9hZFwiLCByZWNvcmQubG9hZElkLCBlcnJvcik7XG4gICAgcmV0dXJuIHJlY29yZDtcbiAgfVxufTtcblxuY29uc3QgY2FsbGVyTmFtZSA9IChpZGVudGl0eTogYW55KTogc3RyaW5nID0+XG4gIFN0cmluZyhpZGVudGl0eT8udXNlcm5hbWUgPz8gaWRlbnRpdHk/LnN1YiA/PyBcInVua25vd25cIik7XG5cbi8vIEZvbGxvd3MgdGhlIGxvYWRzIGluIG9yZGVyIGFuZCB1cGRhdGVzIHRoZW0gaW4gcGxhY2Ugd2l0aCB0aGVpciBsYXN0XG4vLyBzdGF0dXM7IHRydWUgd2hlbiB0cmFja2luZyB0aW1lZCBvdXQgYmVmb3JlIHRoZXkgYWxsIGVuZGVkXG5jb25zdCBmb2xsb3dMb2FkcyA9IGFzeW5jIChsb2FkczogTG9hZFJlY29yZFtdLCB0aW1lb3V0TXM6IG51bWJlcikgPT4ge1xuICBjb25zdCBkZWFkbGluZSA9IERhdGUubm93KCkgKyB0aW1lb3V0TXM7XG4gIGZvciAoY29uc3QgW2ksIGxvYWRdIG9mIGxvYWRzLmVudHJpZXMoKSkge1xuICAgIGxldCBsYXN0U3RhdHVzID0gbG9hZC5zdGF0dXM7XG4gICAgY29uc3QgeyBzdGF0dXMsIHRpbWVkT3V0IH0gPSBhd2FpdCB0cmFja0xvYWQobG9hZC5sb2FkSWQsIHtcbiAgICAgIHRpbWVvdXRNczogTWF0aC5tYXgoZGVhZGxpbmUgLSBEYXRlLm5vdygpLCAwKSxcbiAgICAgIG9uUG9sbDogYXN5bmMgKGN1cnJlbnQpID0+IHtcbiAgICAgICAgaWYgKGN1cnJlbnQuc3RhdHVzICE9PSBsYXN0U3RhdHVzKSB7XG4gICAgICAgICAgbGFzdFN0YXR1cyA9IGN1cnJlbnQuc3RhdHVzO1xuICAgICAgICAgIGF3YWl0IHJlY29yZFN0YXR1cyhjdXJyZW50KTtcbiAgICAgICAgfVxuICAgICAgfSxcbiAgICB9KTtcbiAgICBhd2FpdCByZWNvcmRTdGF0dXMoc3RhdHVzLCB0aW1lZE91dCA/IHsgdHJhY2tpbmdUaW1lZE91dDogdHJ1ZSB9IDogeyBmaW5pc2hlZDogdHJ1ZSB9KTtcbiAgICBsb2Fkc1tpXSA9IHsgLi4ubG9hZCwgLi4uc3RhdHVzLCB1cGRhdGVkQXQ6IG5ldyBEYXRlKCkudG9JU09TdHJpbmcoKSB9O1xuICAgIGlmICh0aW1lZE91dCkgcmV0dXJuIHRydWU7XG4gIH1cbiAgcmV0dXJuIGZhbHNlO1xufTtcblxuLy8gVmVydGljZXMgbG9hZGVkIGZyb20gQ1NWIGhhdmUgbm8gc2VhcmNoXyogc2hhZG93IHByb3BlcnRpZXMgdW50aWwgdGhlXG4vLyBzZWFyY2ggaW5kZXggTGFtYmRhIGhhcyBydW5cbmNvbnN0IHN0YXJ0UmVpbmRleCA9IGFzeW5jIChpbXBvcnRJZDogc3RyaW5nLCBpZGVudGl0eTogYW55KSA9PiB7XG4gIGF3YWl0IGxhbWJkYS5zZW5kKFxuICAgIG5ldyBJbnZva2VDb21tYW5kKHtcbiAgICAgIEZ1bmN0aW9uTmFtZTogUkVJTkRFWF9GVU5DVElPTl9OQU1FLFxuICAgICAgSW52b2NhdGlvblR5cGU6IFwiRXZlbnRcIixcbiAgICAgIFBheWxvYWQ6IEJ1ZmZlci5mcm9tKFxuICAgICAgICBKU09OLnN0cmluZ2lmeSh7XG4gICAgICAgICAgaW1wb3J0SWQsXG4gICAgICAgICAgYWN0b3I6IHsgc3ViOiBTdHJpbmcoaWRlbnRpdHk/LnN1YiA/PyBcInVua25vd25cIiksIHVzZXJuYW1lOiBjYWxsZXJOYW1lKGlkZW50aXR5KSB9LFxuICAgICAgICB9KVxuICAgICAgKSxcbiAgICB9KVxuICApO1xufTtcblxuLyoqXG4gKiBMb2FkcyBzdGFnZWQgZmlsZXMgb2YgdGhlIEltcG9ydCBwYWdlOiB2ZXJ0ZXggZmlsZXMgZmlyc3QsIHRoZW4gZWRnZSBmaWxlc1xuICogdGhhdCB3YWl0IGZvciB0aGVtLiBXaXRoIGB2YWxpZGF0ZWAsIG5vdGhpbmcgaXMgbG9hZGVkIHVubGVzcyB0aGUgQ1NWXG4gKiB2YWxpZGF0b3IgcGFzc2VzIHRoZSBmaWxlcyBhcyBvbmUgc2V0LiBSdW5zIGluIHRoZSBiYWNrZ3JvdW5kLCBzaW5jZVxuICogdmFsaWRhdGlvbiBhbmQgbG9hZGluZyBvdXRsYXN0IEFwcFN5bmMncyAzMCBzZWNvbmRzOyB0aGUgcHJvZ3Jlc3MgZ29lcyB0b1xuICogdGhlIGltcG9ydCdzIHN0YXR1cyBvYmplY3QsIHdoaWNoIGdldEltcG9ydCByZWFkcy4gT25jZSBldmVyeSBsb2FkIGhhc1xuICogZW5kZWQgYW5kIGF0IGxlYXN0IG9uZSBjb21wbGV0ZWQsIHRoZSBzZWFyY2ggaW5kZXggaXMgcmVidWlsdC5cbiAqL1xuY29uc3QgcnVuSW1wb3J0ID0gYXN5bmMgKFxuICBpZGVudGl0eTogYW55LFxuICBpbnB1dDogYW55LFxuICBpbXBvcnRJZDogc3RyaW5nLFxuICByZW1haW5pbmdNczogbnVtYmVyXG4pOiBQcm9taXNlPEltcG9ydFN0YXR1cz4gPT4ge1xuICBjb25zdCBvd25lciA9IFN0cmluZyhpZGVudGl0eT8uc3ViID8/IFwiXCIpO1xuICBjb25zdCBzdGFydGVkQnkgPSBjYWxsZXJOYW1lKGlkZW50aXR5KTtcbiAgY29uc3QgcmVzdWx0OiBJbXBvcnRTdGF0dXMgPSB7XG4gICAgaW1wb3J0SWQsXG4gICAgc3RhdHVzOiBcIlNUQVJUSU5HXCIsXG4gICAgc3RhcnRlZEJ5LFxuICAgIHN0YXJ0ZWRBdDogbmV3IERhdGUoKS50b0lTT1N0cmluZygpLFxuICAgIGZpbmlzaGVkQXQ6IG51bGwsXG4gICAgbG9hZHM6IFtdLFxuICAgIHZhbGlkYXRpb246IG51bGwsXG4gICAgZXJyb3I6IG51bGwsXG4gIH07XG4gIGF3YWl0IHdyaXRlSW1wb3J0U3RhdHVzKG93bmVyLCByZXN1bHQpO1xuXG4gIHRyeSB7XG4gICAgY29uc3QgdmVydGV4U291cmNlcyA9IGltcG9ydFNvdXJjZXMoaW5wdXQudmVydGV4S2V5cyA/PyBbXSwgb3duZXIpO1xuICAgIGNvbnN0IGVkZ2VTb3VyY2VzID0gaW1wb3J0U291cmNlcyhpbnB1dC5lZGdlS2V5cyA/PyBbXSwgb3duZXIpO1xuICAgIGNvbnN0IHJlcXVlc3QgPSBwYXJzZUxvYWRSZXF1ZXN0KFxuICAgICAge1xuICAgICAgICBzb3VyY2VzOiBbLi4udmVydGV4U291cmNlcywgLi4uZWRnZVNvdXJjZXNdLFxuICAgICAgICBmb3JtYXQ6IFwiY3N2XCIsXG4gICAgICAgIGZhaWxPbkVycm9yOiBpbnB1dC5mYWlsT25FcnJvcixcbiAgICAgICAgdXBkYXRlU2luZ2xlQ2FyZGluYWxpdHlQcm9wZXJ0aWVzOiBpbnB1dC51cGRhdGVTaW5nbGVDYXJkaW5hbGl0eVByb3BlcnRpZXMsXG4gICAgICAgIHZhbGlkYXRlOiBpbnB1dC52YWxpZGF0ZSA/PyB0cnVlLFxuICAgICAgfSxcbiAgICAgIHsgc291cmNlczogW10sIGFsbG93ZWRQcmVmaXhlczogW2ltcG9ydFNvdXJjZVByZWZpeCgpXSB9XG4gICAgKTtcblxuICAgIGlmIChyZXF1ZXN0LnZhbGlkYXRlKSB7XG4gICAgICBjb25zdCB2YWxpZGF0aW9uID0gYXdhaXQgdmFsaWRhdGVTb3VyY2VzKHJlcXVlc3Quc291cmNlcyk7XG4gICAgICByZXN1bHQudmFsaWRhdGlvbiA9IEpTT04uc3RyaW5naWZ5KHZhbGlkYXRpb24pO1xuICAgICAgaWYgKCF2YWxpZGF0aW9uLnZhbGlkKSB7XG4gICAgICAgIHJlc3VsdC5zdGF0dXMgPSBcIklOVkFMSURcIjtcbiAgICAgICAgcmVzdWx0LmZpbmlzaGVkQXQgPSBuZXcgRGF0ZSgpLnRvSVNPU3RyaW5nKCk7XG4gICAgICAgIGF3YWl0IHdyaXRlSW1wb3J0U3RhdHVzKG93bmVyLCByZXN1bHQpO1xuICAgICAgICByZXR1cm4gcmVzdWx0O1xuICAgICAgfVxuICAgIH1cblxuICAgIGNvbnN0IHN0YXJ0ID0gYXN5bmMgKHNvdXJjZTogc3RyaW5nLCBkZXBlbmRlbmNpZXM6IHN0cmluZ1tdKSA9PiB7XG4gICAgICBjb25zdCBib2R5ID0gbG9hZGVyQm9keShyZXF1ZXN0LCBzb3VyY2UsIHsgaWFtUm9sZUFybiwgcmVnaW9uLCBkZXBlbmRlbmNpZXMgfSk7XG4gICAgICBjb25zdCBsb2FkSWQgPSBhd2FpdCBzdGFydExvYWQoYm9keSk7XG4gICAgICByZXN1bHQubG9hZHMucHVzaChcbiAgICAgICAgYXdhaXQgcmVjb3JkU3RhcnQoe1xuICAgICAgICAgIGxvYWRJZCxcbiAgICAgICAgICBzb3VyY2UsXG4gICAgICAgICAgZm9ybWF0OiBib2R5LmZvcm1hdCxcbiAgICAgICAgICBvcHRpb25zOiBsb2FkZXJPcHRpb25zSnNvbihib2R5KSxcbiAgICAgICAgICBzdGFydGVkQnksXG4gICAgICAgIH0pXG4gICAgICApO1xuICAgICAgcmV0dXJuIGxvYWRJZDtcbiAgICB9O1xuICAgIGNvbnN0IHZlcnRleExvYWRJZHM6IHN0cmluZ1tdID0gW107XG4gICAgZm9yIChjb25zdCBzb3VyY2Ugb2YgdmVydGV4U291cmNlcykge1xuICAgICAgdmVydGV4TG9hZElkcy5wdXNoKGF3YWl0IHN0YXJ0KHNvdXJjZSwgW10pKTtcbiAgICB9XG4gICAgZm9yIChjb25zdCBzb3VyY2Ugb2YgZWRnZVNvdXJjZXMpIHtcbiAgICAgIGF3YWl0IHN0YXJ0KHNvdXJjZSwgdmVydGV4TG9hZElkcyk7XG4gICAgfVxuICAgIGNvbnNvbGUubG9nKFwiU3RhcnRlZCBpbXBvcnRcIiwgaW1wb3J0SWQsIHJlc3VsdC5sb2Fkcy5tYXAoKGxvYWQpID0+IGxvYWQubG9hZElkKSwgXCJieVwiLCBzdGFydGVkQnkpO1xuICAgIHJlc3VsdC5zdGF0dXMgPSBcIkxPQURJTkdcIjtcbiAgICBhd2FpdCB3cml0ZUltcG9ydFN0YXR1cyhvd25lciwgcmVzdWx0KTtcblxuICAgIGlmIChhd2FpdCBmb2xsb3dMb2FkcyhyZXN1bHQubG9hZHMsIHJlbWFpbmluZ01zIC0gUkVTVUxUX01BUkdJTl9NUykpIHtcbiAgICAgIC8vIFRoZSBsb2FkcyBnbyBvbiBpbiBOZXB0dW5lOyBhbiBBZG1pbiByZWJ1aWxkcyB0aGUgaW5kZXggZnJvbSB0aGVcbiAgICAgIC8vIExvYWRzIHBhZ2Ugb25jZSB0aGV5IGVuZFxuICAgICAgcmVzdWx0LnRyYWNraW5nVGltZWRPdXQgPSB0cnVlO1xuICAgIH0gZWxzZSB7XG4gICAgICByZXN1bHQuc3RhdHVzID0gcmVzdWx0LmxvYWRzLmV2ZXJ5KChsb2FkKSA9PiBpc1N1Y2Nlc3MobG9hZC5zdGF0dXMpKVxuICAgICAgICA/IFwiQ09NUExFVEVEXCJcbiAgICAgICAgOiBcIkZBSUxFRFwiO1xuICAgICAgaWYgKHJlc3VsdC5sb2Fkcy5zb21lKChsb2FkKSA9PiBpc1N1Y2Nlc3MobG9hZC5zdGF0dXMpKSkge1xuICAgICAgICBhd2FpdCBzdGFydFJlaW5kZXgoaW1wb3J0SWQsIGlkZW50aXR5KTtcbiAgICAgICAgcmVzdWx0LnJlaW5kZXhTdGFydGVkID0gdHJ1ZTtcbiAgICAgIH1cbiAgICAgIHJlc3VsdC5maW5pc2hlZEF0ID0gbmV3IERhdGUoKS50b0lTT1N0cmluZygpO1xuICAgIH1cbiAgfSBjYXRjaCAoZXJyb3I6IHVua25vd24pIHtcbiAgICBjb25zb2xlLmVycm9yKFwiSW1wb3J0IGZhaWxlZDpcIiwgaW1wb3J0SWQsIGVycm9yKTtcbiAgICByZXN1bHQuc3RhdHVzID0gXCJGQUlMRURcIjtcbiAgICByZXN1bHQuZXJyb3IgPSBlcnJvciBpbnN0YW5jZW9mIEVycm9yID8gZXJyb3IubWVzc2FnZSA6IFN0cmluZyhlcnJvcik7XG4gICAgcmVzdWx0LmZpbmlzaGVkQXQgPSBuZXcgRGF0ZSgpLnRvSVNPU3RyaW5nKCk7XG4gIH1cbiAgYXdhaXQgd3JpdGVJbXBvcnRTdGF0dXMob3duZXIsIHJlc3VsdCk7XG4gIGNvbnNvbGUubG9nKFwiSW1wb3J0XCIsIGltcG9ydElkLCBcImVuZGVkIHdpdGhcIiwgcmVzdWx0LnN0YXR1cyk7XG4gIHJldHVybiByZXN1bHQ7XG59O1xuXG4vLyBSZXNvbHZlcnMgb2YgdGhlIC9sb2FkcyBhbmQgL2ltcG9ydCBwYWdlczogbG9hZCBoaXN0b3J5LCBjYW5jZWxsYXRpb24gYW5kXG4vLyBpbXBvcnRzIG9mIHVwbG9hZGVkIGZpbGVzXG5leHBvcnQgY29uc3QgaGFuZGxlcjogSGFuZGxlciA9IGFzeW5jIChldmVudCwgY29udGV4dCkgPT4ge1xuICBjb25zb2xlLmxvZyhcIkxvYWRzIGV2ZW50OlwiLCBKU09OLnN0cmluZ2lmeSh7IGZpZWxkOiBldmVudC5maWVsZCwgYXJndW1lbnRzOiBldmVudC5hcmd1bWVudHMgfSkpO1xuXG4gIHRyeSB7XG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcImdldExvYWRzXCIpIHtcbiAgICAgIHJlcXVpcmVSb2xlKGV2ZW50LmlkZW50aXR5LCBcIlZpZXdlclwiLCBldmVudC5maWVsZCk7XG4gICAgICBjb25zdCBsaW1pdCA9IE1hdGgubWluKFxuICAgICAgICBNYXRoLm1heChldmVudC5hcmd1bWVudHMubGltaXQgPz8gREVGQVVMVF9MT0FEX0xJTUlULCAxKSxcbiAgICAgICAgTUFYX0xPQURfTElNSVRcbiAgICAgICk7XG4gICAgICBjb25zdCByZWNvcmRzID0gYXdhaXQgbGlzdExvYWRSZWNvcmRzKGxpbWl0KTtcbiAgICAgIHJldHVybiBQcm9taXNlLmFsbChyZWNvcmRzLm1hcChyZWZyZXNoKSk7XG4gICAgfVxuXG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcImdldExvYWRcIikge1xuICAgICAgcmVxdWlyZVJvbGUoZXZlbnQuaWRlbnRpdHksIFwiVmlld2VyXCIsIGV2ZW50LmZpZWxkKTtcbiAgICAgIGNvbnN0IHJlY29yZCA9IGF3YWl0IGdldExvYWRSZWNvcmQoZXZlbnQuYXJndW1lbnRzLmxvYWRJZCk7XG4gICAgICByZXR1cm4gcmVjb3JkICYmIHJlZnJlc2gocmVjb3JkKTtcbiAgICB9XG5cbiAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwiY3JlYXRlSW1wb3J0VXBsb2Fkc1wiKSB7XG4gICAgICByZXF1aXJlUm9sZShldmVudC5pZGVudGl0eSwgXCJFZGl0b3JcIiwgZXZlbnQuZmllbGQpO1xuICAgICAgcmV0dXJuIGF3YWl0IGNyZWF0ZVVwbG9hZHMoZXZlbnQuYXJndW1lbnRzLmZpbGVOYW1lcywgU3RyaW5nKGV2ZW50LmlkZW50aXR5Py5zdWIgPz8gXCJcIikpO1xuICAgIH1cblxuICAgIGlmIChldmVudC5maWVsZCA9PT0gXCJzdGFydEltcG9ydFwiKSB7XG4gICAgICAvLyBJbnZva2VkIGFzeW5jaHJvbm91c2x5OiB0aGUgcmVzb2x2ZXIgYWxyZWFkeSBhbnN3ZXJlZCB3aXRoIHRoZSBpZFxuICAgICAgLy8gZnJvbSB0aGUgcmVxdWVzdCBtYXBwaW5nIHRlbXBsYXRlLCBzbyBub3RoaW5nIGlzIHJldHVybmVkXG4gICAgICByZXF1aXJlUm9sZShldmVudC5pZGVudGl0eSwgXCJFZGl0b3JcIiwgZXZlbnQuZmllbGQpO1xuICAgICAgaWYgKCFpc0ltcG9ydElkKFN0cmluZyhldmVudC5pbXBvcnRJZCkpKSB7XG4gICAgICAgIHRocm93IHZhbGlkYXRpb25FcnJvcihgSW52YWxpZCBpbXBvcnQgaWQ6ICR7ZXZlbnQuaW1wb3J0SWR9YCk7XG4gICAgICB9XG4gICAgICBhd2FpdCBydW5JbXBvcnQoXG4gICAgICAgIGV2ZW50LmlkZW50aXR5LFxuICAgICAgICBldmVudC5hcmd1bWVudHMuaW5wdXQsXG4gICAgICAgIGV2ZW50LmltcG9ydElkLFxuICAgICAgICBjb250ZXh0LmdldFJlbWFpbmluZ1RpbWVJbk1pbGxpcygpXG4gICAgICApO1xuICAgICAgcmV0dXJuIG51bGw7XG4gICAgfVxuXG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcImdldEltcG9ydFwiKSB7XG4gICAgICByZXF1aXJlUm9sZShldmVudC5pZGVudGl0eSwgXCJFZGl0b3JcIiwgZXZlbnQuZmllbGQpO1xuICAgICAgcmV0dXJuIGF3YWl0IHJlYWRJbXBvcnRTdGF0dXMoXG4gICAgICAgIFN0cmluZyhldmVudC5pZGVudGl0eT8uc3ViID8/IFwiXCIpLFxuICAgICAgICBTdHJpbmcoZXZlbnQuYXJndW1lbnRzLmltcG9ydElkKVxuICAgICAgKTtcbiAgICB9XG5cbiAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwiY2FuY2VsTG9hZFwiKSB7XG4gICAgICByZXF1aXJlUm9sZShldmVudC5pZGVudGl0eSwgXCJFZGl0b3JcIiwgZXZlbnQuZmllbGQpO1xuICAgICAgY29uc3QgeyBsb2FkSWQgfSA9IGV2ZW50LmFyZ3VtZW50cztcbiAgICAgIGNvbnN0IHJlY29yZCA9IGF3YWl0IGdldExvYWRSZWNvcmQobG9hZElkKTtcbiAgICAgIGlmICghcmVjb3JkKSB7XG4gICAgICAgIHRocm93IG5vdEZvdW5kRXJyb3IoYExvYWQgbm90IGZvdW5kOiAke2xvYWRJZH1gLCB7IGxvYWRJZCB9KTtcbiAgICAgIH1cbiAgICAgIGNvbnN0IGN1cnJlbnQgPSBhd2FpdCByZWZyZXNoKHJlY29yZCk7XG4gICAgICBpZiAoaXNUZXJtaW5hbChjdXJyZW50LnN0YXR1cykpIHtcbiAgICAgICAgdGhyb3cgY29uZmxpY3RFcnJvcihgTG9hZCAke2xvYWRJZH0gYWxyZWFkeSBlbmRlZCB3aXRoICR7Y3VycmVudC5zdGF0dXN9YCwge1xuICAgICAgICAgIGxvYWRJZCxcbiAgICAgICAgICBzdGF0dXM6IGN1cnJlbnQuc3RhdHVzLFxuICAgICAgICB9KTtcbiAgICAgIH1cbiAgICAgIGF3YWl0IGNhbmNlbExvYWQobG9hZElkKTtcbiAgICAgIGNvbnN0IGNhbmNlbGxlZEJ5ID0gY2FsbGVyTmFtZShldmVudC5pZGVudGl0eSk7XG4gICAgICAvLyBUaGUgbG9hZGVyIHJlcG9ydHMgdGhlIGNhbmNlbGxhdGlvbiBhc3luY2hyb25vdXNseVxuICAgICAgY29uc3Qgc3RhdHVzID0gYXdhaXQgZ2V0TG9hZFN0YXR1cyhsb2FkSWQpO1xuICAgICAgYXdhaXQgcmVjb3JkU3RhdHVzKHN0YXR1cywgeyBmaW5pc2hlZDogaXNUZXJtaW5hbChzdGF0dXMuc3RhdHVzKSwgY2FuY2VsbGVkQnkgfSk7XG4gICAgICBjb25zb2xlLmxvZyhcIkNhbmNlbGxlZCBsb2FkOlwiLCBsb2FkSWQsIFwiYnlcIiwgY2FuY2VsbGVkQnkpO1xuICAgICAgcmV0dXJuIHsgLi4uY3VycmVudCwgLi4uc3RhdHVzLCBjYW5jZWxsZWRCeSB9O1xuICAgIH1cblxuICAgIHRocm93IHZhbGlkYXRpb25FcnJvcihgVW5rbm93biBmaWVsZDogJHtldmVudC5maWVsZH1gKTtcbiAgfSBjYXRjaCAoZXJyb3I6IHVua25vd24pIHtcbiAgICBjb25zb2xlLmVycm9yKFwiTG9hZHMgZXJyb3I6XCIsIGVycm9yKTtcbiAgICBpZiAoXG4gICAgICBlcnJvciBpbnN0YW5jZW9mIExvYWRSZXF1ZXN0RXJyb3IgfHxcbiAgICAgIGVycm9yIGluc3RhbmNlb2YgSW1wb3J0RXJyb3IgfHxcbiAgICAgIGVycm9yIGluc3RhbmNlb2YgU291cmNlVmFsaWRhdGlvbkVycm9yXG4gICAgKSB7XG4gICAgICByZXR1cm4gdG9FcnJvclJlc3VsdCh2YWxpZGF0aW9uRXJyb3IoZXJyb3IubWVzc2FnZSkpO1xuICAgIH1cbiAgICByZXR1cm4gdG9FcnJvclJlc3VsdChlcnJvcik7XG4gIH1cbn07XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,302 @@
+import { Handler } from "aws-lambda";
+import { InvokeCommand, LambdaClient } from "@aws-sdk/client-lambda";
+import { notFoundError, conflictError, toErrorResult, validationError } from "../shared/errors";
+import { requireRole } from "../shared/roles";
+import {
+  cancelLoad,
+  getLoadStatus,
+  isSuccess,
+  isTerminal,
+  region,
+  startLoad,
+  trackLoad,
+} from "./loadTracker";
+import {
+  LoadRecord,
+  getLoadRecord,
+  listLoadRecords,
+  recordStart,
+  recordStatus,
+} from "./loadHistory";
+import {
+  LoadRequestError,
+  loaderBody,
+  loaderOptionsJson,
+  parseLoadRequest,
+} from "./loadRequest";
+import {
+  ImportError,
+  ImportStatus,
+  createUploads,
+  importSourcePrefix,
+  importSources,
+  isImportId,
+  readImportStatus,
+  writeImportStatus,
+} from "./imports";
+import { SourceValidationError, validateSources } from "./validateSources";
+
+const lambda = new LambdaClient({});
+const iamRoleArn = process.env.ROLE_ARN;
+const REINDEX_FUNCTION_NAME = process.env.REINDEX_FUNCTION_NAME!;
+
+// Time kept back from the Lambda timeout to record how an import ended
+const RESULT_MARGIN_MS = 30 * 1000;
+
+// Bounds for getLoads
+const DEFAULT_LOAD_LIMIT = 50;
+const MAX_LOAD_LIMIT = 200;
+
+// Records of loads the Function URL stopped tracking can be stale, so
+// running ones are refreshed from Neptune before they are returned
+const refresh = async (record: LoadRecord): Promise<LoadRecord> => {
+  if (isTerminal(record.status)) return record;
+  try {
+    const status = await getLoadStatus(record.loadId);
+    const finished = isTerminal(status.status);
+    await recordStatus(status, { finished });
+    return {
+      ...record,
+      ...status,
+      updatedAt: new Date().toISOString(),
+      ...(finished ? { finishedAt: new Date().toISOString() } : {}),
+    };
+  } catch (error: unknown) {
+    // Neptune forgets old loads; keep the last known state
+    console.warn("Could not refresh load", record.loadId, error);
+    return record;
+  }
+};
+
+const callerName = (identity: any): string =>
+  String(identity?.username ?? identity?.sub ?? "unknown");
+
+// Follows the loads in order and updates them in place with their last
+// status; true when tracking timed out before they all ended
+const followLoads = async (loads: LoadRecord[], timeoutMs: number) => {
+  const deadline = Date.now() + timeoutMs;
+  for (const [i, load] of loads.entries()) {
+    let lastStatus = load.status;
+    const { status, timedOut } = await trackLoad(load.loadId, {
+      timeoutMs: Math.max(deadline - Date.now(), 0),
+      onPoll: async (current) => {
+        if (current.status !== lastStatus) {
+          lastStatus = current.status;
+          await recordStatus(current);
+        }
+      },
+    });
+    await recordStatus(status, timedOut ? { trackingTimedOut: true } : { finished: true });
+    loads[i] = { ...load, ...status, updatedAt: new Date().toISOString() };
+    if (timedOut) return true;
+  }
+  return false;
+};
+
+// Vertices loaded from CSV have no search_* shadow properties until the
+// search index Lambda has run
+const startReindex = async (importId: string, identity: any) => {
+  await lambda.send(
+    new InvokeCommand({
+      FunctionName: REINDEX_FUNCTION_NAME,
+      InvocationType: "Event",
+      Payload: Buffer.from(
+        JSON.stringify({
+          importId,
+          actor: { sub: String(identity?.sub ?? "unknown"), username: callerName(identity) },
+        })
+      ),
+    })
+  );
+};
+
+/**
+ * Loads staged files of the Import page: vertex files first, then edge files
+ * that wait for them. With `validate`, nothing is loaded unless the CSV
+ * validator passes the files as one set. Runs in the background, since
+ * validation and loading outlast AppSync's 30 seconds; the progress goes to
+ * the import's status object, which getImport reads. Once every load has
+ * ended and at least one completed, the search index is rebuilt.
+ */
+const runImport = async (
+  identity: any,
+  input: any,
+  importId: string,
+  remainingMs: number
+): Promise<ImportStatus> => {
+  const owner = String(identity?.sub ?? "");
+  const startedBy = callerName(identity);
+  const result: ImportStatus = {
+    importId,
+    status: "STARTING",
+    startedBy,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    loads: [],
+    validation: null,
+    error: null,
+  };
+  await writeImportStatus(owner, result);
+
+  try {
+    const vertexSources = importSources(input.vertexKeys ?? [], owner);
+    const edgeSources = importSources(input.edgeKeys ?? [], owner);
+    const request = parseLoadRequest(
+      {
+        sources: [...vertexSources, ...edgeSources],
+        format: "csv",
+        failOnError: input.failOnError,
+        updateSingleCardinalityProperties: input.updateSingleCardinalityProperties,
+        validate: input.validate ?? true,
+      },
+      { sources: [], allowedPrefixes: [importSourcePrefix()] }
+    );
+
+    if (request.validate) {
+      const validation = await validateSources(request.sources);
+      result.validation = JSON.stringify(validation);
+      if (!validation.valid) {
+        result.status = "INVALID";
+        result.finishedAt = new Date().toISOString();
+        await writeImportStatus(owner, result);
+        return result;
+      }
+    }
+
+    const start = async (source: string, dependencies: string[]) => {
+      const body = loaderBody(request, source, { iamRoleArn, region, dependencies });
+      const loadId = await startLoad(body);
+      result.loads.push(
+        await recordStart({
+          loadId,
+          source,
+          format: body.format,
+          options: loaderOptionsJson(body),
+          startedBy,
+        })
+      );
+      return loadId;
+    };
+    const vertexLoadIds: string[] = [];
+    for (const source of vertexSources) {
+      vertexLoadIds.push(await start(source, []));
+    }
+    for (const source of edgeSources) {
+      await start(source, vertexLoadIds);
+    }
+    console.log("Started import", importId, result.loads.map((load) => load.loadId), "by", startedBy);
+    result.status = "LOADING";
+    await writeImportStatus(owner, result);
+
+    if (await followLoads(result.loads, remainingMs - RESULT_MARGIN_MS)) {
+      // The loads go on in Neptune; an Admin rebuilds the index from the
+      // Loads page once they end
+      result.trackingTimedOut = true;
+    } else {
+      result.status = result.loads.every((load) => isSuccess(load.status))
+        ? "COMPLETED"
+        : "FAILED";
+      if (result.loads.some((load) => isSuccess(load.status))) {
+        await startReindex(importId, identity);
+        result.reindexStarted = true;
+      }
+      result.finishedAt = new Date().toISOString();
+    }
+  } catch (error: unknown) {
+    console.error("Import failed:", importId, error);
+    result.status = "FAILED";
+    result.error = error instanceof Error ? error.message : String(error);
+    result.finishedAt = new Date().toISOString();
+  }
+  await writeImportStatus(owner, result);
+  console.log("Import", importId, "ended with", result.status);
+  return result;
+};
+
+// Resolvers of the /loads and /import pages: load history, cancellation and
+// imports of uploaded files
+export const handler: Handler = async (event, context) => {
+  console.log("Loads event:", JSON.stringify({ field: event.field, arguments: event.arguments }));
+
+  try {
+    if (event.field === "getLoads") {
+      requireRole(event.identity, "Viewer", event.field);
+      const limit = Math.min(
+        Math.max(event.arguments.limit ?? DEFAULT_LOAD_LIMIT, 1),
+        MAX_LOAD_LIMIT
+      );
+      const records = await listLoadRecords(limit);
+      return Promise.all(records.map(refresh));
+    }
+
+    if (event.field === "getLoad") {
+      requireRole(event.identity, "Viewer", event.field);
+      const record = await getLoadRecord(event.arguments.loadId);
+      return record && refresh(record);
+    }
+
+    if (event.field === "createImportUploads") {
+      requireRole(event.identity, "Editor", event.field);
+      return await createUploads(event.arguments.fileNames, String(event.identity?.sub ?? ""));
+    }
+
+    if (event.field === "startImport") {
+      // Invoked asynchronously: the resolver already answered with the id
+      // from the request mapping template, so nothing is returned
+      requireRole(event.identity, "Editor", event.field);
+      if (!isImportId(String(event.importId))) {
+        throw validationError(`Invalid import id: ${event.importId}`);
+      }
+      await runImport(
+        event.identity,
+        event.arguments.input,
+        event.importId,
+        context.getRemainingTimeInMillis()
+      );
+      return null;
+    }
+
+    if (event.field === "getImport") {
+      requireRole(event.identity, "Editor", event.field);
+      return await readImportStatus(
+        String(event.identity?.sub ?? ""),
+        String(event.arguments.importId)
+      );
+    }
+
+    if (event.field === "cancelLoad") {
+      requireRole(event.identity, "Editor", event.field);
+      const { loadId } = event.arguments;
+      const record = await getLoadRecord(loadId);
+      if (!record) {
+        throw notFoundError(`Load not found: ${loadId}`, { loadId });
+      }
+      const current = await refresh(record);
+      if (isTerminal(current.status)) {
+        throw conflictError(`Load ${loadId} already ended with ${current.status}`, {
+          loadId,
+          status: current.status,
+        });
+      }
+      await cancelLoad(loadId);
+      const cancelledBy = callerName(event.identity);
+      // The loader reports the cancellation asynchronously
+      const status = await getLoadStatus(loadId);
+      await recordStatus(status, { finished: isTerminal(status.status), cancelledBy });
+      console.log("Cancelled load:", loadId, "by", cancelledBy);
+      return { ...current, ...status, cancelledBy };
+    }
+
+    throw validationError(`Unknown field: ${event.field}`);
+  } catch (error: unknown) {
+    console.error("Loads error:", error);
+    if (
+      error instanceof LoadRequestError ||
+      error instanceof ImportError ||
+      error instanceof SourceValidationError
+    ) {
+      return toErrorResult(validationError(error.message));
+    }
+    return toErrorResult(error);
+  }
+};
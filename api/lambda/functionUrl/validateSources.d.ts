@@ -0,0 +1,6 @@
+import { ValidationReport } from "../shared/csvValidator";
+export declare class SourceValidationError extends Error {
+    constructor(message: string);
+}
+/** Reads every CSV file of `sources` and validates them as one set. */
+export declare const validateSources: (sources: string[]) => Promise<ValidationReport>;
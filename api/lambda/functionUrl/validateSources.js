@@ -0,0 +1,60 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.validateSources = exports.SourceValidationError = void 0;
+const client_s3_1 = require("@aws-sdk/client-s3");
+const csvValidator_1 = require("../shared/csvValidator");
+// Runs the CSV validator on the S3 sources of a load request. A source is an
+// object or, like for the loader, a prefix whose .csv objects are all read.
+const s3 = new client_s3_1.S3Client({});
+// Files are validated in memory; larger sets are checked locally with
+// `npm run validateCsv` instead
+const MAX_VALIDATE_BYTES = 100 * 1024 * 1024;
+class SourceValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "SourceValidationError";
+    }
+}
+exports.SourceValidationError = SourceValidationError;
+const parseS3Uri = (uri) => {
+    const [bucket, ...key] = uri.replace(/^s3:\/\//, "").split("/");
+    return { bucket, key: key.join("/") };
+};
+const listCsvObjects = async (source) => {
+    const { bucket, key } = parseS3Uri(source);
+    const objects = [];
+    let token;
+    do {
+        const page = await s3.send(new client_s3_1.ListObjectsV2Command({ Bucket: bucket, Prefix: key, ContinuationToken: token }));
+        for (const object of page.Contents ?? []) {
+            // An exact key is the file itself; under a prefix only .csv files load
+            if (object.Key === key || object.Key.toLowerCase().endsWith(".csv")) {
+                objects.push({ bucket, key: object.Key, size: object.Size ?? 0 });
+            }
+        }
+        token = page.NextContinuationToken;
+    } while (token);
+    return objects;
+};
+/** Reads every CSV file of `sources` and validates them as one set. */
+const validateSources = async (sources) => {
+    const objects = (await Promise.all(sources.map(listCsvObjects))).flat();
+    if (objects.length === 0) {
+        throw new SourceValidationError(`No CSV files found under ${sources.join(", ")}`);
+    }
+    const total = objects.reduce((sum, object) => sum + object.size, 0);
+    if (total > MAX_VALIDATE_BYTES) {
+        throw new SourceValidationError(`Sources hold ${total} bytes, more than the ${MAX_VALIDATE_BYTES} that can be validated here; run npm run validateCsv locally`);
+    }
+    const files = [];
+    for (const object of objects) {
+        const { Body } = await s3.send(new client_s3_1.GetObjectCommand({ Bucket: object.bucket, Key: object.key }));
+        files.push({
+            name: `s3://${object.bucket}/${object.key}`,
+            content: (await Body?.transformToString("utf8")) ?? "",
+        });
+    }
+    return (0, csvValidator_1.validateCsvFiles)(files);
+};
+exports.validateSources = validateSources;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidmFsaWRhdGVTb3VyY2VzLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsidmFsaWRhdGVTb3VyY2VzLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7OztBQUFBLGtEQUk0QjtBQUM1Qix5REFBcUY7QUFFckYsNkVBQTZFO0FBQzdFLDRFQUE0RTtBQUU1RSxNQUFNLEVBQUUsR0FBRyxJQUFJLG9CQUFRLENBQUMsRUFBRSxDQUFDLENBQUM7QUFFNUIsc0VBQXNFO0FBQ3RFLGdDQUFnQztBQUNoQyxNQUFNLGtCQUFrQixHQUFHLEdBQUcsR0FBRyxJQUFJLEdBQUcsSUFBSSxDQUFDO0FBRTdDLE1BQWEscUJBQXNCLFNBQVEsS0FBSztJQUM5QyxZQUFZLE9BQWU7UUFDekIsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ2YsSUFBSSxDQUFDLElBQUksR0FBRyx1QkFBdUIsQ0FBQztJQUN0QyxDQUFDO0NBQ0Y7QUFMRCxzREFLQztBQUVELE1BQU0sVUFBVSxHQUFHLENBQUMsR0FBVyxFQUFFLEVBQUU7SUFDakMsTUFBTSxDQUFDLE1BQU0sRUFBRSxHQUFHLEdBQUcsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxPQUFPLENBQUMsVUFBVSxFQUFFLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUNoRSxPQUFPLEVBQUUsTUFBTSxFQUFFLEdBQUcsRUFBRSxHQUFHLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUM7QUFDeEMsQ0FBQyxDQUFDO0FBRUYsTUFBTSxjQUFjLEdBQUcsS0FBSyxFQUFFLE1BQWMsRUFBRSxFQUFFO0lBQzlDLE1BQU0sRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLEdBQUcsVUFBVSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQzNDLE1BQU0sT0FBTyxHQUF5RCxFQUFFLENBQUM7SUFDekUsSUFBSSxLQUF5QixDQUFDO0lBQzlCLEdBQUcsQ0FBQztRQUNGLE1BQU0sSUFBSSxHQUFHLE1BQU0sRUFBRSxDQUFDLElBQUksQ0FDeEIsSUFBSSxnQ0FBb0IsQ0FBQyxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLEdBQUcsRUFBRSxpQkFBaUIsRUFBRSxLQUFLLEVBQUUsQ0FBQyxDQUNwRixDQUFDO1FBQ0YsS0FBSyxNQUFNLE1BQU0sSUFBSSxJQUFJLENBQUMsUUFBUSxJQUFJLEVBQUUsRUFBRSxDQUFDO1lBQ3pDLHVFQUF1RTtZQUN2RSxJQUFJLE1BQU0sQ0FBQyxHQUFHLEtBQUssR0FBRyxJQUFJLE1BQU0sQ0FBQyxHQUFJLENBQUMsV0FBVyxFQUFFLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUM7Z0JBQ3JFLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLE1BQU0sQ0FBQyxHQUFJLEVBQUUsSUFBSSxFQUFFLE1BQU0sQ0FBQyxJQUFJLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztZQUNyRSxDQUFDO1FBQ0gsQ0FBQztRQUNELEtBQUssR0FBRyxJQUFJLENBQUMscUJBQXFCLENBQUM7SUFDckMsQ0FBQyxRQUFRLEtBQUssRUFBRTtJQUNoQixPQUFPLE9BQU8sQ0FBQztBQUNqQixDQUFDLENBQUM7QUFFRix1RUFBdUU7QUFDaEUsTUFBTSxlQUFlLEdBQUcsS0FBSyxFQUFFLE9BQWlCLEVBQTZCLEVBQUU7SUFDcEYsTUFBTSxPQUFPLEdBQUcsQ0FBQyxNQUFNLE9BQU8sQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7SUFDeEUsSUFBSSxPQUFPLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSxDQUFDO1FBQ3pCLE1BQU0sSUFBSSxxQkFBcUIsQ0FBQyw0QkFBNEIsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7SUFDcEYsQ0FBQztJQUNELE1BQU0sS0FBSyxHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLEVBQUUsTUFBTSxFQUFFLEVBQUUsQ0FBQyxHQUFHLEdBQUcsTUFBTSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQztJQUNwRSxJQUFJLEtBQUssR0FBRyxrQkFBa0IsRUFBRSxDQUFDO1FBQy9CLE1BQU0sSUFBSSxxQkFBcUIsQ0FDN0IsZ0JBQWdCLEtBQUsseUJBQXlCLGtCQUFrQiw4REFBOEQsQ0FDL0gsQ0FBQztJQUNKLENBQUM7SUFDRCxNQUFNLEtBQUssR0FBYyxFQUFFLENBQUM7SUFDNUIsS0FBSyxNQUFNLE1BQU0sSUFBSSxPQUFPLEVBQUUsQ0FBQztRQUM3QixNQUFNLEVBQUUsSUFBSSxFQUFFLEdBQUcsTUFBTSxFQUFFLENBQUMsSUFBSSxDQUM1QixJQUFJLDRCQUFnQixDQUFDLEVBQUUsTUFBTSxFQUFFLE1BQU0sQ0FBQyxNQUFNLEVBQUUsR0FBRyxFQUFFLE1BQU0sQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUNqRSxDQUFDO1FBQ0YsS0FBSyxDQUFDLElBQUksQ0FBQztZQUNULElBQUksRUFBRSxRQUFRLE1BQU0sQ0FBQyxNQUFNLElBQUksTUFBTSxDQUFDLEdBQUcsRUFBRTtZQUMzQyxPQUFPLEVBQUUsQ0FBQyxNQUFNLElBQUksRUFBRSxpQkFBaUIsQ0FBQyxNQUFNLENBQUMsQ0FBQyxJQUFJLEVBQUU7U0FDdkQsQ0FBQyxDQUFDO0lBQ0wsQ0FBQztJQUNELE9BQU8sSUFBQSwrQkFBZ0IsRUFBQyxLQUFLLENBQUMsQ0FBQztBQUNqQyxDQUFDLENBQUM7QUF0QlcsUUFBQSxlQUFlLG1CQXNCMUIiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQge1xuICBHZXRPYmplY3RDb21tYW5kLFxuICBMaXN0T2JqZWN0c1YyQ29tbWFuZCxcbiAgUzNDbGllbnQsXG59IGZyb20gXCJAYXdzLXNkay9jbGllbnQtczNcIjtcbmltcG9ydCB7IENzdkZpbGUsIFZhbGlkYXRpb25SZXBvcnQsIHZhbGlkYXRlQ3N2RmlsZXMgfSBmcm9tIFwiLi4vc2hhcmVkL2NzdlZhbGlkYXRvclwiO1xuXG4vLyBSdW5zIHRoZSBDU1YgdmFsaWRhdG9yIG9uIHRoZSBTMyBzb3VyY2VzIG9mIGEgbG9hZCByZXF1ZXN0LiBBIHNvdXJjZSBpcyBhblxuLy8gb2JqZWN0IG9yLCBsaWtlIGZvciB0aGUgbG9hZGVyLCBhIHByZWZpeCB3aG9zZSAuY3N2IG9iamVjdHMgYXJlIGFsbCByZWFkLlxuXG5jb25zdCBzMyA9IG5ldyBTM0NsaWVudCh7fSk7XG5cbi8vIEZpbGVzIGFyZSB2YWxpZGF0ZWQgaW4gbWVtb3J5OyBsYXJnZXIgc2V0cyBhcmUgY2hlY2tlZCBsb2NhbGx5IHdpdGhcbi8vIGBucG0gcnVuIHZhbGlkYXRlQ3N2YCBpbnN0ZWFkXG5jb25zdCBNQVhfVkFMSURBVEVfQllURVMgPSAxMDAgKiAxMDI0ICogMTAyNDtcblxuZXhwb3J0IGNsYXNzIFNvdXJjZVZhbGlkYXRpb25FcnJvciBleHRlbmRzIEVycm9yIHtcbiAgY29uc3RydWN0b3IobWVzc2FnZTogc3RyaW5nKSB7XG4gICAgc3VwZXIobWVzc2FnZSk7XG4gICAgdGhpcy5uYW1lID0gXCJTb3VyY2VWYWxpZGF0aW9uRXJyb3JcIjtcbiAgfVxufVxuXG5jb25zdCBwYXJzZVMzVXJpID0gKHVyaTogc3RyaW5nKSA9PiB7XG4gIGNvbnN0IFtidWNrZXQsIC4uLmtleV0gPSB1cmkucmVwbGFjZSgvXnMzOlxcL1xcLy8sIFwiXCIpLnNwbGl0KFwiL1wiKTtcbiAgcmV0dXJuIHsgYnVja2V0LCBrZXk6IGtleS5qb2luKFwiL1wiKSB9O1xufTtcblxuY29uc3QgbGlzdENzdk9iamVjdHMgPSBhc3luYyAoc291cmNlOiBzdHJpbmcpID0+IHtcbiAgY29uc3QgeyBidWNrZXQsIGtleSB9ID0gcGFyc2VTM1VyaShzb3VyY2UpO1xuICBjb25zdCBvYmplY3RzOiBBcnJheTx7IGJ1Y2tldDogc3RyaW5nOyBrZXk6IHN0cmluZzsgc2l6ZTogbnVtYmVyIH0+ID0gW107XG4gIGxldCB0b2tlbjogc3RyaW5nIHwgdW5kZWZpbmVkO1xuICBkbyB7XG4gICAgY29uc3QgcGFnZSA9IGF3YWl0IHMzLnNlbmQoXG4gICAgICBuZXcgTGlzdE9iamVjdHNWMkNvbW1hbmQoeyBCdWNrZXQ6IGJ1Y2tldCwgUHJlZml4OiBrZXksIENvbnRpbnVhdGlvblRva2VuOiB0b2tlbiB9KVxuICAgICk7XG4gICAgZm9yIChjb25zdCBvYmplY3Qgb2YgcGFnZS5Db250ZW50cyA/PyBbXSkge1xuICAgICAgLy8gQW4gZXhhY3Qga2V5IGlzIHRoZSBmaWxlIGl0c2VsZjsgdW5kZXIgYSBwcmVmaXggb25seSAuY3N2IGZpbGVzIGxvYWRcbiAgICAgIGlmIChvYmplY3QuS2V5ID09PSBrZXkgfHwgb2JqZWN0LktleSEudG9Mb3dlckNhc2UoKS5lbmRzV2l0aChcIi5jc3ZcIikpIHtcbiAgICAgICAgb2JqZWN0cy5wdXNoKHsgYnVja2V0LCBrZXk6IG9iamVjdC5LZXkhLCBzaXplOiBvYmplY3QuU2l6ZSA/PyAwIH0pO1xuICAgICAgfVxuICAgIH1cbiAgICB0b2tlbiA9IHBhZ2UuTmV4dENvbnRpbnVhdGlvblRva2VuO1xuICB9IHdoaWxlICh0b2tlbik7XG4gIHJldHVybiBvYmplY3RzO1xufTtcblxuLyoqIFJlYWRzIGV2ZXJ5IENTViBmaWxlIG9mIGBzb3VyY2VzYCBhbmQgdmFsaWRhdGVzIHRoZW0gYXMgb25lIHNldC4gKi9cbmV4cG9ydCBjb25zdCB2YWxpZGF0ZVNvdXJjZXMgPSBhc3luYyAoc291cmNlczogc3RyaW5nW10pOiBQcm9taXNlPFZhbGlkYXRpb25SZXBvcnQ+ID0+IHtcbiAgY29uc3Qgb2JqZWN0cyA9IChhd2FpdCBQcm9taXNlLmFsbChzb3VyY2VzLm1hcChsaXN0Q3N2T2JqZWN0cykpKS5mbGF0KCk7XG4gIGlmIChvYmplY3RzLmxlbmd0aCA9PT0gMCkge1xuICAgIHRocm93IG5ldyBTb3VyY2VWYWxpZGF0aW9uRXJyb3IoYE5vIENTViBmaWxlcyBmb3VuZCB1bmRlciAke3NvdXJjZXMuam9pbihcIiwgXCIpfWApO1xuICB9XG4gIGNvbnN0IHRvdGFsID0gb2JqZWN0cy5yZWR1Y2UoKHN1bSwgb2JqZWN0KSA9PiBzdW0gKyBvYmplY3Quc2l6ZSwgMCk7XG4gIGlmICh0b3RhbCA+IE1BWF9WQUxJREFURV9CWVRFUykge1xuICAgIHRocm93IG5ldyBTb3VyY2VWYWxpZGF0aW9uRXJyb3IoXG4gICAgICBgU291cmNlcyBob2xkICR7dG90YWx9IGJ5dGVzLCBtb3JlIHRoYW4gdGhlICR7TUFYX1ZBTElEQVRFX0JZVEVTfSB0aGF0IGNhbiBiZSB2YWxpZGF0ZWQgaGVyZTsgcnVuIG5wbSBydW4gdmFsaWRhdGVDc3YgbG9jYWxseWBcbiAgICApO1xuICB9XG4gIGNvbnN0IGZpbGVzOiBDc3ZGaWxlW10gPSBbXTtcbiAgZm9yIChjb25zdCBvYmplY3Qgb2Ygb2JqZWN0cykge1xuICAgIGNvbnN0IHsgQm9keSB9ID0gYXdhaXQgczMuc2VuZChcbiAgICAgIG5ldyBHZXRPYmplY3RDb21tYW5kKHsgQnVja2V0OiBvYmplY3QuYnVja2V0LCBLZXk6IG9iamVjdC5rZXkgfSlcbiAgICApO1xuICAgIGZpbGVzLnB1c2goe1xuICAgICAgbmFtZTogYHMzOi8vJHtvYmplY3QuYnVja2V0fS8ke29iamVjdC5rZXl9YCxcbiAgICAgIGNvbnRlbnQ6IChhd2FpdCBCb2R5Py50cmFuc2Zvcm1Ub1N0cmluZyhcInV0ZjhcIikpID8/IFwiXCIsXG4gICAgfSk7XG4gIH1cbiAgcmV0dXJuIHZhbGlkYXRlQ3N2RmlsZXMoZmlsZXMpO1xufTtcbiJdfQ==
\ No newline at end of file
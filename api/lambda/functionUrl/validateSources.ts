@@ -0,0 +1,71 @@
+import {
+  GetObjectCommand,
+  ListObjectsV2Command,
+  S3Client,
+} from "@aws-sdk/client-s3";
+import { CsvFile, ValidationReport, validateCsvFiles } from "../shared/csvValidator";
+
+// Runs the CSV validator on the S3 sources of a load request. A source is an
+// object or, like for the loader, a prefix whose .csv objects are all read.
+
+const s3 = new S3Client({});
+
+// Files are validated in memory; larger sets are checked locally with
+// `npm run validateCsv` instead
+const MAX_VALIDATE_BYTES = 100 * 1024 * 1024;
+
+export class SourceValidationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "SourceValidationError";
+  }
+}
+
+const parseS3Uri = (uri: string) => {
+  const [bucket, ...key] = uri.replace(/^s3:\/\//, "").split("/");
+  return { bucket, key: key.join("/") };
+};
+
+const listCsvObjects = async (source: string) => {
+  const { bucket, key } = parseS3Uri(source);
+  const objects: Array<{ bucket: string; key: string; size: number }> = [];
+  let token: string | undefined;
+  do {
+    const page = await s3.send(
+      new ListObjectsV2Command({ Bucket: bucket, Prefix: key, ContinuationToken: token })
+    );
+    for (const object of page.Contents ?? []) {
+      // An exact key is the file itself; under a prefix only .csv files load
+      if (object.Key === key || object.Key!.toLowerCase().endsWith(".csv")) {
+        objects.push({ bucket, key: object.Key!, size: object.Size ?? 0 });
+      }
+    }
+    token = page.NextContinuationToken;
+  } while (token);
+  return objects;
+};
+
+/** Reads every CSV file of `sources` and validates them as one set. */
+export const validateSources = async (sources: string[]): Promise<ValidationReport> => {
+  const objects = (await Promise.all(sources.map(listCsvObjects))).flat();
+  if (objects.length === 0) {
+    throw new SourceValidationError(`No CSV files found under ${sources.join(", ")}`);
+  }
+  const total = objects.reduce((sum, object) => sum + object.size, 0);
+  if (total > MAX_VALIDATE_BYTES) {
+    throw new SourceValidationError(
+      `Sources hold ${total} bytes, more than the ${MAX_VALIDATE_BYTES} that can be validated here; run npm run validateCsv locally`
+    );
+  }
+  const files: CsvFile[] = [];
+  for (const object of objects) {
+    const { Body } = await s3.send(
+      new GetObjectCommand({ Bucket: object.bucket, Key: object.key })
+    );
+    files.push({
+      name: `s3://${object.bucket}/${object.key}`,
+      content: (await Body?.transformToString("utf8")) ?? "",
+    });
+  }
+  return validateCsvFiles(files);
+};
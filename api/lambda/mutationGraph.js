@@ -1,11 +1,38 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.handler = void 0;
+const crypto_1 = require("crypto");
 const gremlin = require("gremlin");
 const utils_1 = require("gremlin-aws-sigv4/lib/utils");
+const searchIndex_1 = require("./shared/searchIndex");
+const graphModel_1 = require("./shared/graphModel");
+const schemaRegistry_1 = require("./shared/schemaRegistry");
+const errors_1 = require("./shared/errors");
+const roles_1 = require("./shared/roles");
+const upsert_1 = require("./shared/upsert");
+const transaction_1 = require("./shared/transaction");
+const restore_1 = require("./shared/restore");
+const endpoints_1 = require("./shared/endpoints");
+const classification_1 = require("./shared/classification");
+const integration_1 = require("./shared/integration");
 const DriverRemoteConnection = gremlin.driver.DriverRemoteConnection;
 const traversal = gremlin.process.AnonymousTraversalSource.traversal;
 const __ = gremlin.process.statics;
+const P = gremlin.process.P;
+const cardinality = gremlin.process.cardinality;
+// Keys that updateVertex/updateEdge never accept from callers
+const RESERVED_PROPERTY_KEYS = [
+    'id',
+    'label',
+    '~id',
+    '~label',
+    '~from',
+    '~to',
+    graphModel_1.IDEMPOTENCY_KEY_PROPERTY,
+    ...graphModel_1.TOMBSTONE_KEYS,
+];
+// Upper bound on the operations in one batchMutate transaction
+const MAX_BATCH_OPERATIONS = 100;
 const handler = async (event) => {
     let conn = null;
     const getConnectionDetails = () => {
@@ -31,28 +58,679 @@ const handler = async (event) => {
     let g;
     const id = gremlin.process.t.id;
     try {
+        if ((0, integration_1.isIntegrationClient)(event.identity)) {
+            (0, integration_1.requireIntegrationScope)(event.identity, event.field);
+        }
+        else {
+            (0, roles_1.requireRole)(event.identity, 'Editor', event.field);
+        }
         if (conn == null) {
             console.info("Initializing connection");
             conn = createRemoteConnection();
             g = traversal().withRemote(conn);
         }
+        // ── Audit trail ──
+        // Every mutation records who changed what as an AuditEvent vertex. Audit
+        // vertices have no edges, so they outlive the elements they describe.
+        // Integration clients are recorded by their app client id
+        const identity = event.identity ?? {};
+        const actor = (0, integration_1.isIntegrationClient)(identity)
+            ? {
+                sub: (0, integration_1.integrationClientId)(identity),
+                username: `client:${(0, integration_1.integrationClientId)(identity)}`,
+            }
+            : {
+                sub: String(identity.sub ?? 'unknown'),
+                username: String(identity.username ?? identity.sub ?? 'unknown'),
+            };
+        // Each mutation runs in a transaction (inTransaction) and writes its
+        // AuditEvent in it, so a change is never committed without its record
+        const recordAudit = async (operation, target, before, after, gt) => {
+            await gt.addV(graphModel_1.AUDIT_LABEL)
+                .property(id, `audit_${(0, crypto_1.randomUUID)()}`)
+                .property('at', new Date().toISOString())
+                .property('actor', actor.sub)
+                .property('actorName', actor.username)
+                .property('operation', operation)
+                .property('targetId', target.id)
+                .property('targetLabel', target.label ?? '')
+                .property('before', JSON.stringify(before))
+                .property('after', JSON.stringify(after))
+                .iterate();
+        };
+        // Property values of a readVertex/readEdge record
+        const snapshot = (record) => record ? Object.fromEntries(record.properties.map((p) => [p.key, p.value])) : null;
+        // ── Project mutations ──
+        const readProject = async (projectId, gt = g) => {
+            let t = gt.V(projectId)
+                .hasLabel('Project_Data')
+                .hasNot(graphModel_1.TOMBSTONE_PROPERTY)
+                .project('id', 'archived', ...graphModel_1.PROJECT_FIELDS)
+                .by(__.id())
+                .by(__.coalesce(__.values('archived'), __.constant(false)));
+            for (const field of graphModel_1.PROJECT_FIELDS) {
+                t = t.by(__.coalesce(__.values(field), __.constant('')));
+            }
+            const rows = await t.toList();
+            if (rows.length === 0)
+                return null;
+            const r = rows[0];
+            const project = {};
+            for (const key of ['id', 'archived', ...graphModel_1.PROJECT_FIELDS]) {
+                project[key] = r[key] ?? (r.get ? r.get(key) : undefined);
+            }
+            // Projects the caller may not read do not exist as far as they know
+            if (!(0, classification_1.canSeeClassification)(event.identity, project.DataClassification))
+                return null;
+            return project;
+        };
+        const projectSnapshot = (project) => project && Object.fromEntries(Object.entries(project).filter(([key]) => key !== 'id'));
+        // Trims the input and checks Tier/DataClassification against the
+        // allowed values; empty strings clear the field
+        const validateProjectInput = (input) => {
+            const values = {};
+            for (const [key, val] of Object.entries(input ?? {})) {
+                if (!graphModel_1.PROJECT_FIELDS.includes(key)) {
+                    throw (0, errors_1.validationError)(`Unknown project field: ${key}`, { field: key });
+                }
+                if (val === undefined || val === null)
+                    continue;
+                values[key] = String(val).trim();
+            }
+            if ('projectName' in values && !values.projectName) {
+                throw (0, errors_1.validationError)('projectName cannot be empty', { field: 'projectName' });
+            }
+            if (values.Tier && !graphModel_1.PROJECT_TIERS.includes(values.Tier)) {
+                throw (0, errors_1.validationError)(`Invalid Tier "${values.Tier}"; expected one of ${graphModel_1.PROJECT_TIERS.join(', ')}`, {
+                    field: 'Tier',
+                });
+            }
+            if (values.DataClassification && !graphModel_1.DATA_CLASSIFICATIONS.includes(values.DataClassification)) {
+                throw (0, errors_1.validationError)(`Invalid DataClassification "${values.DataClassification}"; expected one of ${graphModel_1.DATA_CLASSIFICATIONS.join(', ')}`, { field: 'DataClassification' });
+            }
+            if (!(0, classification_1.canSeeClassification)(event.identity, values.DataClassification)) {
+                throw (0, errors_1.forbiddenError)(`Only members of a reader group for ${values.DataClassification} projects can classify a project as ${values.DataClassification}`, { field: 'DataClassification' });
+            }
+            return values;
+        };
+        // Deleted projects do not hold on to their names; restoreVertex checks
+        // the name again before bringing one back
+        const requireUniqueProjectName = async (projectName, exceptId, gt = g) => {
+            let t = gt.V()
+                .hasLabel('Project_Data')
+                .has('projectName', projectName)
+                .hasNot(graphModel_1.TOMBSTONE_PROPERTY);
+            if (exceptId) {
+                t = t.not(__.hasId(exceptId));
+            }
+            const existing = await t.id().limit(1).toList();
+            if (existing.length > 0) {
+                throw (0, errors_1.conflictError)(`A project named "${projectName}" already exists`, { field: 'projectName' });
+            }
+        };
+        if (event.field === "createProject") {
+            const values = validateProjectInput(event.arguments.input);
+            if (!values.projectName) {
+                throw (0, errors_1.validationError)('projectName is required', { field: 'projectName' });
+            }
+            const projectId = `project_data_${(0, crypto_1.randomUUID)()}`;
+            const created = await (0, transaction_1.inTransaction)(g, async (gtx) => {
+                await requireUniqueProjectName(values.projectName, undefined, gtx);
+                let t = gtx.addV('Project_Data').property(id, projectId);
+                for (const [key, val] of Object.entries(values)) {
+                    if (val !== '') {
+                        t = t.property(key, val);
+                    }
+                }
+                for (const [key, val] of Object.entries((0, searchIndex_1.searchProperties)(values))) {
+                    t = t.property(key, val);
+                }
+                await t.next();
+                const project = await readProject(projectId, gtx);
+                await recordAudit('createProject', { id: projectId, label: 'Project_Data' }, null, projectSnapshot(project), gtx);
+                return project;
+            });
+            console.log("Created project:", projectId, values);
+            return created;
+        }
+        if (event.field === "updateProject") {
+            const { id: projectId } = event.arguments;
+            const values = validateProjectInput(event.arguments.input);
+            const updated = await (0, transaction_1.inTransaction)(g, async (gtx) => {
+                const current = await readProject(projectId, gtx);
+                if (!current) {
+                    throw (0, errors_1.notFoundError)(`Project not found: ${projectId}`, { id: projectId });
+                }
+                if (values.projectName && values.projectName !== current.projectName) {
+                    await requireUniqueProjectName(values.projectName, projectId, gtx);
+                }
+                const cleared = Object.keys(values).filter((key) => values[key] === '');
+                let t = gtx.V(projectId);
+                if (cleared.length > 0) {
+                    t = t.sideEffect(__.properties(...cleared).drop());
+                }
+                for (const [key, val] of Object.entries(values)) {
+                    if (val !== '') {
+                        t = t.property(cardinality.single, key, val);
+                    }
+                }
+                for (const [key, val] of Object.entries((0, searchIndex_1.searchProperties)(values))) {
+                    t = t.property(cardinality.single, key, val);
+                }
+                await t.iterate();
+                const project = await readProject(projectId, gtx);
+                await recordAudit('updateProject', { id: projectId, label: 'Project_Data' }, projectSnapshot(current), projectSnapshot(project), gtx);
+                return project;
+            });
+            console.log("Updated project:", projectId, values);
+            return updated;
+        }
+        if (event.field === "archiveProject") {
+            const { id: projectId } = event.arguments;
+            const archived = await (0, transaction_1.inTransaction)(g, async (gtx) => {
+                const current = await readProject(projectId, gtx);
+                if (!current) {
+                    throw (0, errors_1.notFoundError)(`Project not found: ${projectId}`, { id: projectId });
+                }
+                await gtx.V(projectId)
+                    .property(cardinality.single, 'archived', true)
+                    .property(cardinality.single, 'archivedAt', new Date().toISOString())
+                    .iterate();
+                const project = await readProject(projectId, gtx);
+                await recordAudit('archiveProject', { id: projectId, label: 'Project_Data' }, projectSnapshot(current), projectSnapshot(project), gtx);
+                return project;
+            });
+            console.log("Archived project:", projectId);
+            return archived;
+        }
+        // ── Vertex and edge maintenance ──
+        const field = (r, key) => r[key] ?? (r.get ? r.get(key) : undefined);
+        // DataClassification of a business service, '' for any other vertex
+        const classificationOf = (vertex) => __.coalesce(vertex.hasLabel('Project_Data').values('DataClassification'), __.constant(''));
+        // Helpers take the traversal source so batchMutate can run them inside
+        // its transaction. Like readProject, they treat business services the
+        // caller may not read, and edges to them, as not found.
+        const readVertex = async (vertexId, gt = g) => {
+            const rows = await gt.V(vertexId)
+                .project('id', 'label', 'classification', 'properties')
+                .by(__.id())
+                .by(__.label())
+                .by(classificationOf(__.identity()))
+                .by(__.valueMap())
+                .toList();
+            if (rows.length === 0)
+                return null;
+            const r = rows[0];
+            if (!(0, classification_1.canSeeClassification)(event.identity, field(r, 'classification')))
+                return null;
+            return {
+                id: field(r, 'id'),
+                label: field(r, 'label'),
+                properties: (0, graphModel_1.toPropertyList)(field(r, 'properties')),
+            };
+        };
+        const readEdge = async (edgeId, gt = g) => {
+            const rows = await gt.E(edgeId)
+                .project('id', 'label', 'source', 'target', 'sourceClassification', 'targetClassification', 'properties')
+                .by(__.id())
+                .by(__.label())
+                .by(__.outV().id())
+                .by(__.inV().id())
+                .by(classificationOf(__.outV()))
+                .by(classificationOf(__.inV()))
+                .by(__.valueMap())
+                .toList();
+            if (rows.length === 0)
+                return null;
+            const r = rows[0];
+            if (!(0, classification_1.canSeeClassification)(event.identity, field(r, 'sourceClassification')) ||
+                !(0, classification_1.canSeeClassification)(event.identity, field(r, 'targetClassification'))) {
+                return null;
+            }
+            return {
+                id: field(r, 'id'),
+                label: field(r, 'label'),
+                source: field(r, 'source'),
+                target: field(r, 'target'),
+                properties: (0, graphModel_1.toPropertyList)(field(r, 'properties')),
+            };
+        };
+        // Looks up the element and checks its label against the known labels
+        // and, when given, the label the caller expects to be editing
+        const requireElement = async (kind, elementId, expectedLabel, gt = g) => {
+            const record = kind === 'vertex' ? await readVertex(elementId, gt) : await readEdge(elementId, gt);
+            // Tombstoned elements count as deleted
+            if (!record || record.properties.some((p) => p.key === graphModel_1.TOMBSTONE_PROPERTY)) {
+                throw (0, errors_1.notFoundError)(`${kind === 'vertex' ? 'Vertex' : 'Edge'} not found: ${elementId}`, { id: elementId });
+            }
+            const known = kind === 'vertex' ? (0, graphModel_1.isVertexLabel)(record.label) : (0, graphModel_1.isEdgeLabel)(record.label);
+            if (!known) {
+                throw (0, errors_1.validationError)(`Unsupported ${kind} label: ${record.label}`);
+            }
+            if (expectedLabel && expectedLabel !== record.label) {
+                throw (0, errors_1.validationError)(`Expected ${kind} ${elementId} to be ${expectedLabel} but it is ${record.label}`);
+            }
+            return record;
+        };
+        // Business services are written through createProject/updateProject,
+        // which validate Tier/DataClassification and keep projectName unique
+        const PROJECT_DATA_MESSAGE = 'Project_Data vertices are written with createProject and updateProject';
+        const rejectProjectData = (label) => {
+            if (label === 'Project_Data') {
+                throw (0, errors_1.validationError)(PROJECT_DATA_MESSAGE, { field: 'label' });
+            }
+        };
+        // Splits the properties JSON into values to set and keys to remove
+        // (null or empty string), coercing the values to their declared types
+        const parseUpdates = (kind, label, propertiesJson) => {
+            const updates = (0, errors_1.parseProperties)(propertiesJson);
+            const set = {};
+            const remove = [];
+            for (const [key, val] of Object.entries(updates)) {
+                if (RESERVED_PROPERTY_KEYS.includes(key) || (0, searchIndex_1.isSearchProperty)(key)) {
+                    throw (0, errors_1.validationError)(`Property cannot be updated: ${key}`, { field: key });
+                }
+                if (val === null || val === '') {
+                    remove.push(key);
+                }
+                else {
+                    set[key] = val;
+                }
+            }
+            const { values, errors } = (0, schemaRegistry_1.validateProperties)(kind, label, set, { partial: true });
+            const schema = (0, schemaRegistry_1.schemaFor)(kind, label) ?? {};
+            for (const key of remove) {
+                if (!schema[key]) {
+                    errors.push({ field: key, message: `Unknown property for ${label}` });
+                }
+                else if (schema[key].required) {
+                    errors.push({ field: key, message: 'Required' });
+                }
+            }
+            if (errors.length > 0) {
+                throw (0, errors_1.fieldValidationError)(errors);
+            }
+            return { set: values, remove };
+        };
+        // Endpoint and cardinality checks from EDGE_RULES for a new edge
+        const checkEdgeRules = async (edgeLabel, sourceId, destinationId, gt = g) => {
+            const rows = await gt.V(sourceId, destinationId)
+                .hasNot(graphModel_1.TOMBSTONE_PROPERTY)
+                .project('id', 'label', 'classification', 'entityTypes')
+                .by(__.id())
+                .by(__.label())
+                .by(classificationOf(__.identity()))
+                .by(__.coalesce(__.values('entityTypes'), __.constant('')))
+                .toList();
+            const endpoint = (vertexId) => {
+                const r = rows.find((row) => String(field(row, 'id')) === String(vertexId));
+                if (!r || !(0, classification_1.canSeeClassification)(event.identity, field(r, 'classification')))
+                    return null;
+                return { label: field(r, 'label'), entityTypes: field(r, 'entityTypes') };
+            };
+            const src = endpoint(sourceId);
+            const dst = endpoint(destinationId);
+            const errors = [];
+            if (!src)
+                errors.push({ field: 'source', message: `Vertex not found: ${sourceId}` });
+            if (!dst)
+                errors.push({ field: 'destination', message: `Vertex not found: ${destinationId}` });
+            if (!src || !dst)
+                return errors;
+            const endpointErrors = (0, schemaRegistry_1.checkEdgeEndpoints)(edgeLabel, src, dst);
+            if (endpointErrors.length > 0)
+                return endpointErrors;
+            // Sequential, since a session runs one request at a time
+            const rule = schemaRegistry_1.EDGE_RULES[edgeLabel];
+            const duplicates = await gt.V(sourceId)
+                .outE(edgeLabel)
+                .hasNot(graphModel_1.TOMBSTONE_PROPERTY)
+                .where(__.inV().hasId(destinationId))
+                .count()
+                .next();
+            const fromSource = rule.maxPerSource
+                ? await gt.V(sourceId).outE(edgeLabel).hasNot(graphModel_1.TOMBSTONE_PROPERTY).count().next()
+                : null;
+            const toDestination = rule.maxPerDestination
+                ? await gt.V(destinationId).inE(edgeLabel).hasNot(graphModel_1.TOMBSTONE_PROPERTY).count().next()
+                : null;
+            if (Number(duplicates.value) > 0) {
+                errors.push({ field: 'destination', message: `${edgeLabel} already joins these vertices` });
+            }
+            else if (fromSource && Number(fromSource.value) >= rule.maxPerSource) {
+                errors.push({
+                    field: 'source',
+                    message: `${edgeLabel} allows at most ${rule.maxPerSource} edge(s) per ${src.label}; this one already has ${fromSource.value}`,
+                });
+            }
+            else if (toDestination && Number(toDestination.value) >= rule.maxPerDestination) {
+                errors.push({
+                    field: 'destination',
+                    message: `${edgeLabel} allows at most ${rule.maxPerDestination} edge(s) per ${dst.label}; this one already has ${toDestination.value}`,
+                });
+            }
+            return errors;
+        };
+        const writeVertexUpdate = async (vertexId, set, remove, gt = g) => {
+            // Removed searchable properties take their shadows with them
+            const dropKeys = [
+                ...remove,
+                ...remove.filter((key) => searchIndex_1.SEARCHABLE_FIELDS.includes(key)).map(searchIndex_1.searchPropertyName),
+            ];
+            let t = gt.V(vertexId);
+            if (dropKeys.length > 0) {
+                t = t.sideEffect(__.properties(...dropKeys).drop());
+            }
+            for (const [key, val] of [...Object.entries(set), ...Object.entries((0, searchIndex_1.searchProperties)(set))]) {
+                t = t.property(cardinality.single, key, val);
+            }
+            await t.iterate();
+        };
+        const writeEdgeUpdate = async (edgeId, set, remove, gt = g) => {
+            let t = gt.E(edgeId);
+            if (remove.length > 0) {
+                t = t.sideEffect(__.properties(...remove).drop());
+            }
+            for (const [key, val] of Object.entries(set)) {
+                t = t.property(key, val);
+            }
+            await t.iterate();
+        };
+        // Soft delete: tombstones the vertex and its live incident edges
+        const tombstoneVertex = async (vertexId, cascade, gt = g) => {
+            if (!cascade) {
+                const edgeCount = await gt.V(vertexId).bothE().hasNot(graphModel_1.TOMBSTONE_PROPERTY).count().next();
+                if (Number(edgeCount.value) > 0) {
+                    throw (0, errors_1.conflictError)(`Vertex ${vertexId} has ${edgeCount.value} edges; set cascade to delete them too`, {
+                        edgeCount: Number(edgeCount.value),
+                    });
+                }
+            }
+            const deletedAt = new Date().toISOString();
+            await gt.V(vertexId)
+                .sideEffect(__.bothE()
+                .hasNot(graphModel_1.TOMBSTONE_PROPERTY)
+                .property(graphModel_1.TOMBSTONE_PROPERTY, deletedAt)
+                .property('deletedBy', actor.username))
+                .property(cardinality.single, graphModel_1.TOMBSTONE_PROPERTY, deletedAt)
+                .property(cardinality.single, 'deletedBy', actor.username)
+                .iterate();
+        };
+        const tombstoneEdge = async (edgeId, gt = g) => {
+            await gt.E(edgeId)
+                .property(graphModel_1.TOMBSTONE_PROPERTY, new Date().toISOString())
+                .property('deletedBy', actor.username)
+                .property(graphModel_1.DELETED_DIRECTLY_PROPERTY, true)
+                .iterate();
+        };
+        // Brings back the edges deleted together with a vertex, unless their
+        // other endpoint is still deleted; the vertex must be live already so
+        // checkEdgeRules finds it
+        const restoreIncidentEdges = async (vertexId, gt) => {
+            const rows = await gt.V(vertexId)
+                .bothE()
+                .has(graphModel_1.TOMBSTONE_PROPERTY)
+                .hasNot(graphModel_1.DELETED_DIRECTLY_PROPERTY)
+                .where(__.bothV().has(graphModel_1.TOMBSTONE_PROPERTY).count().is(0))
+                .project('id', 'label', 'source', 'target')
+                .by(__.id())
+                .by(__.label())
+                .by(__.outV().id())
+                .by(__.inV().id())
+                .toList();
+            const edges = rows.map((r) => ({
+                id: String(field(r, 'id')),
+                label: field(r, 'label'),
+                source: String(field(r, 'source')),
+                target: String(field(r, 'target')),
+            }));
+            await (0, restore_1.restoreCascadedEdges)(vertexId, edges, (edge) => checkEdgeRules(edge.label, edge.source, edge.target, gt), async (edge) => {
+                await gt.E(edge.id).properties(...graphModel_1.TOMBSTONE_KEYS).drop().iterate();
+            });
+        };
+        if (event.field === "updateVertex") {
+            const { id: vertexId, label, properties: propertiesJson } = event.arguments;
+            return (0, transaction_1.inTransaction)(g, async (gtx) => {
+                const record = await requireElement('vertex', vertexId, label, gtx);
+                rejectProjectData(record.label);
+                const { set, remove } = parseUpdates('vertex', record.label, propertiesJson);
+                await writeVertexUpdate(vertexId, set, remove, gtx);
+                const vertex = await readVertex(vertexId, gtx);
+                await recordAudit('updateVertex', record, snapshot(record), snapshot(vertex), gtx);
+                console.log("Updated vertex:", vertexId, set, remove);
+                return vertex;
+            });
+        }
+        if (event.field === "deleteVertex") {
+            const { id: vertexId, label, cascade } = event.arguments;
+            const record = await (0, transaction_1.inTransaction)(g, async (gtx) => {
+                const vertex = await requireElement('vertex', vertexId, label, gtx);
+                await tombstoneVertex(vertexId, !!cascade, gtx);
+                await recordAudit('deleteVertex', vertex, snapshot(vertex), null, gtx);
+                return vertex;
+            });
+            console.log("Deleted vertex:", vertexId, cascade ? "(cascade)" : "");
+            return record;
+        }
+        if (event.field === "restoreVertex") {
+            const { id: vertexId } = event.arguments;
+            const restored = await (0, transaction_1.inTransaction)(g, async (gtx) => {
+                const record = await readVertex(vertexId, gtx);
+                const deletedAt = record?.properties.find((p) => p.key === graphModel_1.TOMBSTONE_PROPERTY)?.value;
+                if (!record || !deletedAt) {
+                    throw (0, errors_1.notFoundError)(`No deleted vertex ${vertexId}`, { id: vertexId });
+                }
+                if (deletedAt <= (0, graphModel_1.purgeCutoff)()) {
+                    throw (0, errors_1.conflictError)(`Vertex ${vertexId} was deleted more than ${(0, graphModel_1.tombstoneRetentionDays)()} days ago and can no longer be restored`);
+                }
+                // A project created under the same name since the delete keeps it
+                const projectName = record.properties.find((p) => p.key === 'projectName')?.value;
+                if (record.label === 'Project_Data' && projectName) {
+                    await requireUniqueProjectName(projectName, vertexId, gtx);
+                }
+                // So does a vertex an upsert created with the same natural key
+                for (const key of graphModel_1.NATURAL_KEYS[record.label] ?? []) {
+                    const value = record.properties.find((p) => p.key === key)?.value;
+                    if (!value)
+                        continue;
+                    const taken = await gtx.V()
+                        .hasLabel(record.label)
+                        .has(key, value)
+                        .hasNot(graphModel_1.TOMBSTONE_PROPERTY)
+                        .id()
+                        .toList();
+                    if (taken.length > 0) {
+                        throw (0, errors_1.conflictError)(`${record.label} ${taken[0]} has taken ${key} ${value} since the delete`, {
+                            id: String(taken[0]),
+                        });
+                    }
+                }
+                await gtx.V(vertexId).properties(...graphModel_1.TOMBSTONE_KEYS).drop().iterate();
+                await restoreIncidentEdges(vertexId, gtx);
+                const vertex = await readVertex(vertexId, gtx);
+                await recordAudit('restoreVertex', record, snapshot(record), snapshot(vertex), gtx);
+                return vertex;
+            });
+            console.log("Restored vertex:", vertexId);
+            return restored;
+        }
+        if (event.field === "updateEdge") {
+            const { id: edgeId, label, properties: propertiesJson } = event.arguments;
+            return (0, transaction_1.inTransaction)(g, async (gtx) => {
+                const record = await requireElement('edge', edgeId, label, gtx);
+                const { set, remove } = parseUpdates('edge', record.label, propertiesJson);
+                await writeEdgeUpdate(edgeId, set, remove, gtx);
+                const edge = await readEdge(edgeId, gtx);
+                await recordAudit('updateEdge', record, snapshot(record), snapshot(edge), gtx);
+                console.log("Updated edge:", edgeId, set, remove);
+                return edge;
+            });
+        }
+        if (event.field === "deleteEdge") {
+            const { id: edgeId, label } = event.arguments;
+            const record = await (0, transaction_1.inTransaction)(g, async (gtx) => {
+                const edge = await requireElement('edge', edgeId, label, gtx);
+                await tombstoneEdge(edgeId, gtx);
+                await recordAudit('deleteEdge', edge, snapshot(edge), null, gtx);
+                return edge;
+            });
+            console.log("Deleted edge:", edgeId);
+            return record;
+        }
+        if (event.field === "restoreEdge") {
+            const { id: edgeId } = event.arguments;
+            const restored = await (0, transaction_1.inTransaction)(g, async (gtx) => {
+                const record = await readEdge(edgeId, gtx);
+                const deletedAt = record?.properties.find((p) => p.key === graphModel_1.TOMBSTONE_PROPERTY)?.value;
+                if (!record || !deletedAt) {
+                    throw (0, errors_1.notFoundError)(`No deleted edge ${edgeId}`, { id: edgeId });
+                }
+                if (deletedAt <= (0, graphModel_1.purgeCutoff)()) {
+                    throw (0, errors_1.conflictError)(`Edge ${edgeId} was deleted more than ${(0, graphModel_1.tombstoneRetentionDays)()} days ago and can no longer be restored`);
+                }
+                const deletedEnds = await gtx.E(edgeId).bothV().has(graphModel_1.TOMBSTONE_PROPERTY).id().toList();
+                if (deletedEnds.length > 0) {
+                    throw (0, errors_1.conflictError)(`Restore vertex ${deletedEnds[0]} before edge ${edgeId}`, {
+                        id: String(deletedEnds[0]),
+                    });
+                }
+                // An edge added since the delete may have taken its place
+                const errors = await checkEdgeRules(record.label, record.source, record.target, gtx);
+                if (errors.length > 0) {
+                    throw (0, errors_1.fieldValidationError)(errors);
+                }
+                await gtx.E(edgeId).properties(...graphModel_1.TOMBSTONE_KEYS).drop().iterate();
+                const edge = await readEdge(edgeId, gtx);
+                await recordAudit('restoreEdge', record, snapshot(record), snapshot(edge), gtx);
+                return edge;
+            });
+            console.log("Restored edge:", edgeId);
+            return restored;
+        }
+        // ── Upserts ──
+        // Vertices are matched on a label's natural key (NATURAL_KEYS), falling
+        // back to the client's idempotency key, so a retried create matches what
+        // the first attempt wrote; edges on their label and endpoints. Only live
+        // elements match: a tombstoned one stays deleted and a new element is
+        // created next to it. Callers run the lookup and the write in one
+        // transaction, so two concurrent upserts cannot both create.
+        const readUpsertCandidates = async (t) => {
+            const rows = await t
+                .project('id', 'deletedAt')
+                .by(__.id())
+                .by(__.coalesce(__.values(graphModel_1.TOMBSTONE_PROPERTY), __.constant('')))
+                .toList();
+            const field = (r, key) => r[key] ?? (r.get ? r.get(key) : undefined);
+            return rows.map((r) => ({ id: String(field(r, 'id')), deletedAt: field(r, 'deletedAt') }));
+        };
+        const upsertVertex = async (label, values, idempotencyKey, gt) => {
+            const naturalKey = (graphModel_1.NATURAL_KEYS[label] ?? []).find((key) => values[key] !== undefined);
+            const [matchKey, matchValue] = naturalKey
+                ? [naturalKey, values[naturalKey]]
+                : [graphModel_1.IDEMPOTENCY_KEY_PROPERTY, idempotencyKey];
+            if (!matchValue) {
+                const keys = [...(graphModel_1.NATURAL_KEYS[label] ?? []), graphModel_1.IDEMPOTENCY_KEY_PROPERTY];
+                throw (0, errors_1.validationError)(`Upserting ${label} needs one of: ${keys.join(', ')}`);
+            }
+            const vertexId = (0, upsert_1.liveUpsertMatch)(await readUpsertCandidates(gt.V().hasLabel(label).has(matchKey, matchValue)), (count) => `${count} ${label} vertices share ${matchKey} ${matchValue}; merge them first`);
+            if (!vertexId) {
+                const newId = `${label.toLowerCase()}_${(0, crypto_1.randomUUID)()}`;
+                let t = gt.addV(label).property(id, newId);
+                for (const [key, val] of [...Object.entries(values), ...Object.entries((0, searchIndex_1.searchProperties)(values))]) {
+                    t = t.property(key, val);
+                }
+                if (idempotencyKey)
+                    t = t.property(graphModel_1.IDEMPOTENCY_KEY_PROPERTY, idempotencyKey);
+                await t.iterate();
+                return { id: newId, outcome: 'CREATED', before: null };
+            }
+            const before = snapshot(await readVertex(vertexId, gt));
+            await writeVertexUpdate(vertexId, values, [], gt);
+            return { id: vertexId, outcome: 'MATCHED', before };
+        };
+        // Endpoint and cardinality rules are checked only when no live edge
+        // exists yet
+        const upsertEdge = async (edgeLabel, sourceId, destinationId, values, gt) => {
+            const edgeId = (0, upsert_1.liveUpsertMatch)(await readUpsertCandidates(gt.V(sourceId).outE(edgeLabel).where(__.inV().hasId(destinationId))), (count) => `${count} ${edgeLabel} edges join ${sourceId} to ${destinationId}; delete the extra ones first`);
+            if (!edgeId) {
+                const errors = await checkEdgeRules(edgeLabel, sourceId, destinationId, gt);
+                if (errors.length > 0)
+                    return { errors };
+                const newId = (0, crypto_1.randomUUID)();
+                let t = gt.V(sourceId).addE(edgeLabel).to(__.V(destinationId)).property(id, newId);
+                for (const [key, val] of Object.entries(values)) {
+                    t = t.property(key, val);
+                }
+                await t.iterate();
+                return { id: newId, outcome: 'CREATED', before: null };
+            }
+            const before = snapshot(await readEdge(edgeId, gt));
+            await writeEdgeUpdate(edgeId, values, [], gt);
+            return { id: edgeId, outcome: 'MATCHED', before };
+        };
         // ── Account mutations ──
         if (event.field === "addProjectAccount") {
-            const { projectName, Account_Name, Account_Id, Cloud, Environments } = event.arguments.input;
-            const accountVertexId = `account_${Date.now()}`;
-            // Create the Account vertex
-            await g.addV('Account')
-                .property(id, accountVertexId)
-                .property('Account_Name', Account_Name)
-                .property('Account_Id', Account_Id)
-                .property('Cloud', Cloud)
-                .property('Environments', Environments)
-                .next();
-            // Create owned_by edge from Account → Project_Data
-            await g.V(accountVertexId)
-                .addE('owned_by')
-                .to(__.V().hasLabel('Project_Data').has('projectName', projectName))
-                .next();
+            const { projectName, Account_Name, Account_Id, Cloud, Environments, upsert, idempotencyKey } = event.arguments.input;
+            let projectQuery = g.V()
+                .hasLabel('Project_Data')
+                .has('projectName', projectName)
+                .hasNot(graphModel_1.TOMBSTONE_PROPERTY);
+            const hidden = (0, classification_1.hiddenClassifications)(event.identity);
+            if (hidden.length > 0) {
+                projectQuery = projectQuery.not(__.has('DataClassification', P.within(...hidden)));
+            }
+            const projectIds = await projectQuery.id().toList();
+            if (projectIds.length === 0) {
+                throw (0, errors_1.notFoundError)(`Project not found: ${projectName}`, { field: 'projectName' });
+            }
+            if (projectIds.length > 1) {
+                throw (0, errors_1.conflictError)(`Expected one project named ${projectName}, found ${projectIds.length}`, {
+                    field: 'projectName',
+                });
+            }
+            if (upsert) {
+                // Match the Account on Account_Id and the owned_by edge on its
+                // endpoints, so a retried save links the same vertex once. Both go
+                // in one transaction: a rejected link leaves no Account behind.
+                const values = { Account_Name, Account_Id, Cloud, Environments };
+                const account = await (0, transaction_1.inTransaction)(g, async (gtx) => {
+                    const upserted = await upsertVertex('Account', values, idempotencyKey, gtx);
+                    const link = await upsertEdge('owned_by', upserted.id, String(projectIds[0]), {}, gtx);
+                    if ('errors' in link) {
+                        throw (0, errors_1.fieldValidationError)(link.errors);
+                    }
+                    await recordAudit('addProjectAccount', { id: upserted.id, label: 'Account' }, upserted.before, {
+                        ...values,
+                        projectName,
+                    }, gtx);
+                    return upserted;
+                });
+                console.log("Upserted account:", account.id, account.outcome, "linked to project:", projectName);
+                return { id: account.id, ...values, outcome: account.outcome };
+            }
+            const accountVertexId = `account_${(0, crypto_1.randomUUID)()}`;
+            await (0, transaction_1.inTransaction)(g, async (gtx) => {
+                // Create the Account vertex
+                await gtx.addV('Account')
+                    .property(id, accountVertexId)
+                    .property('Account_Name', Account_Name)
+                    .property('Account_Id', Account_Id)
+                    .property('Cloud', Cloud)
+                    .property('Environments', Environments)
+                    .next();
+                // Create owned_by edge from Account → Project_Data
+                await gtx.V(accountVertexId)
+                    .addE('owned_by')
+                    .to(__.V(projectIds[0]))
+                    .next();
+                await recordAudit('addProjectAccount', { id: accountVertexId, label: 'Account' }, null, {
+                    Account_Name,
+                    Account_Id,
+                    Cloud,
+                    Environments,
+                    projectName,
+                }, gtx);
+            });
             console.log("Created account:", accountVertexId, "linked to project:", projectName);
             return {
                 id: accountVertexId,
@@ -60,65 +738,304 @@ const handler = async (event) => {
                 Account_Id,
                 Cloud,
                 Environments,
+                outcome: 'CREATED',
             };
         }
         if (event.field === "deleteProjectAccount") {
             const { accountId } = event.arguments;
-            // Drop the vertex and all its edges
-            await g.V(accountId).drop().next();
+            await (0, transaction_1.inTransaction)(g, async (gtx) => {
+                const before = await requireElement('vertex', accountId, 'Account', gtx);
+                // Tombstone the vertex and its owned_by edge; restoreVertex undoes it
+                await tombstoneVertex(accountId, true, gtx);
+                await recordAudit('deleteProjectAccount', before, snapshot(before), null, gtx);
+            });
             console.log("Deleted account vertex:", accountId);
             return { result: "deleted" };
         }
+        // ── Batched mutations ──
+        // Runs the operations in order inside one session transaction; "$name"
+        // in id/sourceId/destinationId refers to the element an earlier
+        // operation created with `ref: "name"`. Any failure rolls back the batch.
+        if (event.field === "batchMutate") {
+            const operations = event.arguments.operations ?? [];
+            if (operations.length === 0) {
+                throw (0, errors_1.validationError)("batchMutate needs at least one operation");
+            }
+            if (operations.length > MAX_BATCH_OPERATIONS) {
+                throw (0, errors_1.validationError)(`batchMutate accepts at most ${MAX_BATCH_OPERATIONS} operations`);
+            }
+            if ((0, integration_1.isIntegrationClient)(event.identity)) {
+                (0, integration_1.requireIntegrationOperations)(operations);
+            }
+            const refs = new Map();
+            const resolveRef = (value, name) => {
+                if (!value)
+                    throw (0, errors_1.validationError)(`${name} is required`, { field: name });
+                if (!value.startsWith("$"))
+                    return value;
+                const resolved = refs.get(value.slice(1));
+                if (!resolved)
+                    throw (0, errors_1.validationError)(`Unknown reference ${value}`, { field: name });
+                return resolved;
+            };
+            const requireLabel = (kind, label) => {
+                if (!label)
+                    throw (0, errors_1.validationError)("label is required", { field: 'label' });
+                if (kind === 'vertex' ? !(0, graphModel_1.isVertexLabel)(label) : !(0, graphModel_1.isEdgeLabel)(label)) {
+                    throw (0, errors_1.validationError)(`Unsupported ${kind} label: ${label}`, { field: 'label' });
+                }
+                return label;
+            };
+            const applyOperation = async (op, gtx) => {
+                const props = (0, errors_1.parseProperties)(op.properties);
+                switch (op.op) {
+                    case "CREATE_VERTEX": {
+                        const label = requireLabel('vertex', op.label);
+                        rejectProjectData(label);
+                        const { values, errors } = (0, schemaRegistry_1.validateProperties)('vertex', label, props);
+                        if (errors.length > 0)
+                            throw (0, errors_1.fieldValidationError)(errors);
+                        const vertexId = `${label.toLowerCase()}_${(0, crypto_1.randomUUID)()}`;
+                        let t = gtx.addV(label).property(id, vertexId);
+                        for (const [key, val] of [...Object.entries(values), ...Object.entries((0, searchIndex_1.searchProperties)(values))]) {
+                            t = t.property(key, val);
+                        }
+                        await t.iterate();
+                        return { id: vertexId, label };
+                    }
+                    case "UPDATE_VERTEX": {
+                        const vertexId = resolveRef(op.id, "id");
+                        const record = await requireElement('vertex', vertexId, op.label, gtx);
+                        rejectProjectData(record.label);
+                        const { set, remove } = parseUpdates('vertex', record.label, op.properties);
+                        await writeVertexUpdate(vertexId, set, remove, gtx);
+                        return { id: vertexId, label: record.label };
+                    }
+                    case "DELETE_VERTEX": {
+                        const vertexId = resolveRef(op.id, "id");
+                        const record = await requireElement('vertex', vertexId, op.label, gtx);
+                        await tombstoneVertex(vertexId, !!op.cascade, gtx);
+                        return { id: vertexId, label: record.label };
+                    }
+                    case "CREATE_EDGE": {
+                        const label = requireLabel('edge', op.label);
+                        const sourceId = resolveRef(op.sourceId, "sourceId");
+                        const destinationId = resolveRef(op.destinationId, "destinationId");
+                        const { values, errors } = (0, schemaRegistry_1.validateProperties)('edge', label, props);
+                        errors.push(...(await checkEdgeRules(label, sourceId, destinationId, gtx)));
+                        if (errors.length > 0)
+                            throw (0, errors_1.fieldValidationError)(errors);
+                        let t = gtx.V(sourceId).addE(label).to(__.V(destinationId));
+                        for (const [key, val] of Object.entries(values)) {
+                            t = t.property(key, val);
+                        }
+                        const edgeId = await t.id().next();
+                        return { id: String(edgeId.value), label };
+                    }
+                    case "UPDATE_EDGE": {
+                        const edgeId = resolveRef(op.id, "id");
+                        const record = await requireElement('edge', edgeId, op.label, gtx);
+                        const { set, remove } = parseUpdates('edge', record.label, op.properties);
+                        await writeEdgeUpdate(edgeId, set, remove, gtx);
+                        return { id: edgeId, label: record.label };
+                    }
+                    case "DELETE_EDGE": {
+                        const edgeId = resolveRef(op.id, "id");
+                        const record = await requireElement('edge', edgeId, op.label, gtx);
+                        await tombstoneEdge(edgeId, gtx);
+                        return { id: edgeId, label: record.label };
+                    }
+                    default:
+                        throw (0, errors_1.validationError)(`Unknown operation: ${op.op}`, { field: 'op' });
+                }
+            };
+            const tx = g.tx();
+            const gtx = tx.begin();
+            const results = [];
+            try {
+                for (const [index, op] of operations.entries()) {
+                    try {
+                        const before = op.op.startsWith("CREATE_")
+                            ? null
+                            : snapshot(op.op.endsWith("_VERTEX")
+                                ? await readVertex(resolveRef(op.id, "id"), gtx)
+                                : await readEdge(resolveRef(op.id, "id"), gtx));
+                        const applied = await applyOperation(op, gtx);
+                        const after = op.op.startsWith("DELETE_")
+                            ? null
+                            : snapshot(op.op.endsWith("_VERTEX") ? await readVertex(applied.id, gtx) : await readEdge(applied.id, gtx));
+                        await recordAudit(`batchMutate:${op.op}`, applied, before, after, gtx);
+                        if (op.ref)
+                            refs.set(op.ref, applied.id);
+                        results.push({ index, op: op.op, ref: op.ref ?? null, ...applied });
+                    }
+                    catch (error) {
+                        // Keep the code of the failing operation and say which one it was
+                        const { error: cause } = (0, errors_1.toErrorResult)(error);
+                        throw new errors_1.GraphError(cause.type, `Operation ${index} (${op.op}) failed: ${cause.message}`, {
+                            ...cause.info,
+                            operationIndex: index,
+                        });
+                    }
+                }
+                await tx.commit();
+            }
+            catch (error) {
+                console.log("Rolling back batch:", error);
+                await tx.rollback().catch((rollbackError) => console.error("Rollback failed:", rollbackError));
+                throw error;
+            }
+            console.log("Committed batch of", operations.length, "operations");
+            return { results };
+        }
         // ── Generic insertData mutations ──
-        const { value, edge, vertex, source, sourceLabel, destination, destLabel, properties: propertiesJson, } = event.arguments.input;
+        const { value, edge, vertex, source, sourceId: inputSourceId, sourceLabel, destination, destinationId: inputDestinationId, destLabel, properties: propertiesJson, upsert, idempotencyKey, } = event.arguments.input;
         // Parse properties JSON (new generic approach)
-        const props = propertiesJson ? JSON.parse(propertiesJson) : {};
+        const props = (0, errors_1.parseProperties)(propertiesJson);
+        // Validate against the schema registry; `fields` in the error lets the
+        // form show each rejection inline
+        const kind = value === "vertex" ? "vertex" : "edge";
+        const { values, errors } = (0, schemaRegistry_1.validateProperties)(kind, kind === "vertex" ? vertex : edge, props);
+        if (kind === "vertex" && vertex === "Project_Data") {
+            errors.unshift({ field: "vertex", message: PROJECT_DATA_MESSAGE });
+        }
+        if (errors.length > 0) {
+            throw (0, errors_1.fieldValidationError)(errors);
+        }
         switch (value) {
             case "vertex": {
-                // Generate a unique vertex ID using label prefix + timestamp
-                const vertexId = `${vertex.toLowerCase()}_${Date.now()}`;
-                // Start the addV traversal
-                let t = g.addV(vertex).property(id, vertexId);
-                // Add all properties from the properties JSON
-                for (const [key, val] of Object.entries(props)) {
-                    if (val !== undefined && val !== null && val !== "") {
+                if (upsert) {
+                    const { id: vertexId, outcome } = await (0, transaction_1.inTransaction)(g, async (gtx) => {
+                        const upserted = await upsertVertex(vertex, values, idempotencyKey, gtx);
+                        const after = snapshot(await readVertex(upserted.id, gtx));
+                        await recordAudit('insertData', { id: upserted.id, label: vertex }, upserted.before, after, gtx);
+                        return upserted;
+                    });
+                    console.log("Upserted vertex:", vertexId, vertex, outcome, values);
+                    return { result: vertexId, id: vertexId, outcome };
+                }
+                // Generate a unique vertex ID using label prefix + UUID
+                const vertexId = `${vertex.toLowerCase()}_${(0, crypto_1.randomUUID)()}`;
+                const result = await (0, transaction_1.inTransaction)(g, async (gtx) => {
+                    // Start the addV traversal
+                    let t = gtx.addV(vertex).property(id, vertexId);
+                    // Add the coerced properties
+                    for (const [key, val] of Object.entries(values)) {
                         t = t.property(key, val);
                     }
-                }
-                const result = await t.next();
-                console.log("Created vertex:", vertexId, vertex, props);
-                return { result: JSON.stringify(result) };
+                    // Mirror searchable properties into their lowercased search_* shadows
+                    for (const [key, val] of Object.entries((0, searchIndex_1.searchProperties)(values))) {
+                        t = t.property(key, val);
+                    }
+                    const added = await t.next();
+                    await recordAudit('insertData', { id: vertexId, label: vertex }, null, values, gtx);
+                    return added;
+                });
+                console.log("Created vertex:", vertexId, vertex, values);
+                return { result: JSON.stringify(result), id: vertexId, outcome: 'CREATED' };
             }
             default: {
                 // Edge creation
                 console.log("Creating edge:", edge, "from", sourceLabel, source, "to", destLabel, destination);
-                // Find source vertex by label and any name-like property
-                let t = g
-                    .V()
-                    .hasLabel(sourceLabel)
-                    .or(__.has("name", source), __.has("companyName", source), __.has("jobName", source), __.has("partName", source));
-                // Add edge to destination vertex found by label and name-like property
-                let edgeTraversal = t.addE(edge).to(__.V()
-                    .hasLabel(destLabel)
-                    .or(__.has("name", destination), __.has("companyName", destination), __.has("jobName", destination), __.has("partName", destination)));
-                // Add edge properties from the properties JSON
-                for (const [key, val] of Object.entries(props)) {
-                    if (val !== undefined && val !== null && val !== "") {
-                        edgeTraversal = edgeTraversal.property(key, val);
+                // Endpoints are taken from sourceId/destinationId when given.
+                // Otherwise they are looked up by label and any name-like property,
+                // and a name matching several vertices is refused with the candidates.
+                // Business services the caller may not read are left out of both
+                // lookups, so they can neither be linked nor listed.
+                const hidden = (0, classification_1.hiddenClassifications)(event.identity);
+                const readEndpoints = async (t) => {
+                    if (hidden.length > 0) {
+                        t = t.not(__.hasLabel("Project_Data").has("DataClassification", P.within(...hidden)));
                     }
+                    const rows = await t
+                        .limit(endpoints_1.MAX_ENDPOINT_CANDIDATES + 1)
+                        .project("id", "label", "name", "entityType", "classification")
+                        .by(__.id())
+                        .by(__.label())
+                        .by(__.coalesce(__.values("companyName", "name", "jobName", "partName"), __.constant("")))
+                        .by(__.coalesce(__.values("entityTypes"), __.constant("")))
+                        .by(classificationOf(__.identity()))
+                        .toList();
+                    return rows.map((r) => ({
+                        id: String(field(r, "id")),
+                        label: field(r, "label"),
+                        name: field(r, "name"),
+                        entityType: field(r, "entityType"),
+                        classification: field(r, "classification"),
+                    }));
+                };
+                const resolveEndpoint = async (endpoint, label, name) => {
+                    const rows = await readEndpoints(g
+                        .V()
+                        .hasLabel(label)
+                        .hasNot(graphModel_1.TOMBSTONE_PROPERTY)
+                        .or(__.has("name", name), __.has("companyName", name), __.has("jobName", name), __.has("partName", name)));
+                    return (0, endpoints_1.matchEndpointName)(endpoint, label, name, rows, event.identity);
+                };
+                const resolveEndpointId = async (endpoint, vertexId) => {
+                    const rows = await readEndpoints(g.V(vertexId).hasNot(graphModel_1.TOMBSTONE_PROPERTY));
+                    return (0, endpoints_1.matchEndpointId)(endpoint, vertexId, rows, event.identity);
+                };
+                const [sourceMatch, destinationMatch] = await Promise.all([
+                    inputSourceId
+                        ? resolveEndpointId("source", String(inputSourceId))
+                        : resolveEndpoint("source", sourceLabel, source),
+                    inputDestinationId
+                        ? resolveEndpointId("destination", String(inputDestinationId))
+                        : resolveEndpoint("destination", destLabel, destination),
+                ]);
+                const sourceId = "id" in sourceMatch ? sourceMatch.id : null;
+                const destinationId = "id" in destinationMatch ? destinationMatch.id : null;
+                const endpointErrors = [];
+                for (const match of [sourceMatch, destinationMatch]) {
+                    if ("error" in match && match.error)
+                        endpointErrors.push(match.error);
+                }
+                if (endpointErrors.length > 0) {
+                    throw (0, errors_1.fieldValidationError)(endpointErrors, {
+                        candidates: [...sourceMatch.candidates, ...destinationMatch.candidates],
+                    });
+                }
+                // The endpoint and cardinality rules are checked in the transaction
+                // that adds the edge, so concurrent inserts cannot both pass them
+                if (upsert) {
+                    const merged = await (0, transaction_1.inTransaction)(g, async (gtx) => {
+                        const upserted = await upsertEdge(edge, sourceId, destinationId, values, gtx);
+                        if ('errors' in upserted) {
+                            throw (0, errors_1.fieldValidationError)(upserted.errors);
+                        }
+                        const after = snapshot(await readEdge(upserted.id, gtx));
+                        await recordAudit('insertData', { id: upserted.id, label: edge }, upserted.before, after, gtx);
+                        return upserted;
+                    });
+                    console.log("Upserted edge:", edge, sourceId, "->", destinationId, merged.outcome, values);
+                    return { result: merged.id, id: merged.id, outcome: merged.outcome };
                 }
-                const res = await edgeTraversal.next();
-                console.log("Created edge:", edge, props);
-                return { result: JSON.stringify(res) };
+                const res = await (0, transaction_1.inTransaction)(g, async (gtx) => {
+                    const ruleErrors = await checkEdgeRules(edge, sourceId, destinationId, gtx);
+                    if (ruleErrors.length > 0) {
+                        throw (0, errors_1.fieldValidationError)(ruleErrors);
+                    }
+                    let edgeTraversal = gtx.V(sourceId).addE(edge).to(__.V(destinationId));
+                    // Add the coerced edge properties
+                    for (const [key, val] of Object.entries(values)) {
+                        edgeTraversal = edgeTraversal.property(key, val);
+                    }
+                    const added = await edgeTraversal.next();
+                    await recordAudit('insertData', { id: String(added.value?.id), label: edge }, null, values, gtx);
+                    return added;
+                });
+                const edgeId = String(res.value?.id);
+                console.log("Created edge:", edge, sourceId, "->", destinationId, values);
+                return { result: JSON.stringify(res), id: edgeId, outcome: 'CREATED' };
             }
         }
     }
     catch (error) {
         console.log(error);
         console.error(JSON.stringify(error));
-        const message = error instanceof Error ? error.message : String(error);
-        return { error: message };
+        return (0, errors_1.toErrorResult)(error);
     }
 };
 exports.handler = handler;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibXV0YXRpb25HcmFwaC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIm11dGF0aW9uR3JhcGgudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBRUEsbUNBQW1DO0FBQ25DLHVEQUErRDtBQUUvRCxNQUFNLHNCQUFzQixHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsc0JBQXNCLENBQUM7QUFDckUsTUFBTSxTQUFTLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyx3QkFBd0IsQ0FBQyxTQUFTLENBQUM7QUFDckUsTUFBTSxFQUFFLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUM7QUFFNUIsTUFBTSxPQUFPLEdBQVksS0FBSyxFQUFFLEtBQUssRUFBRSxFQUFFO0lBQzlDLElBQUksSUFBSSxHQUFHLElBQUksQ0FBQztJQUNoQixNQUFNLG9CQUFvQixHQUFHLEdBQUcsRUFBRTtRQUNoQyxPQUFPLElBQUEsd0JBQWdCLEVBQ3JCLE9BQU8sQ0FBQyxHQUFHLENBQUMsZ0JBQWdCLEVBQzVCLE9BQU8sQ0FBQyxHQUFHLENBQUMsWUFBWSxFQUN4QixFQUFFLEVBQ0YsVUFBVSxFQUNWLEtBQUssQ0FDTixDQUFDO0lBQ0osQ0FBQyxDQUFDO0lBRUYsTUFBTSxzQkFBc0IsR0FBRyxHQUFHLEVBQUU7UUFDbEMsTUFBTSxFQUFFLEdBQUcsRUFBRSxPQUFPLEVBQUUsR0FBRyxvQkFBb0IsRUFBRSxDQUFDO1FBRWhELE9BQU8sQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDakIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUNyQixNQUFNLENBQUMsR0FBRyxJQUFJLHNCQUFzQixDQUFDLEdBQUcsRUFBRTtZQUN4QyxRQUFRLEVBQUUsbUNBQW1DO1lBQzdDLE9BQU8sRUFBRSxPQUFPO1NBQ2pCLENBQUMsQ0FBQztRQUNILENBQUMsQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLEVBQUUsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxJQUFZLEVBQUUsT0FBZSxFQUFFLEVBQUU7WUFDbEUsT0FBTyxDQUFDLElBQUksQ0FBQyxXQUFXLElBQUksSUFBSSxPQUFPLEVBQUUsQ0FBQyxDQUFDO1lBQzNDLElBQUksSUFBSSxJQUFJLElBQUksRUFBRSxDQUFDO2dCQUNqQixPQUFPLENBQUMsS0FBSyxDQUFDLCtCQUErQixDQUFDLENBQUM7Z0JBQy9DLE1BQU0sSUFBSSxLQUFLLENBQUMsK0JBQStCLENBQUMsQ0FBQztZQUNuRCxDQUFDO1FBQ0gsQ0FBQyxDQUFDLENBQUM7UUFDSCxPQUFPLENBQUMsQ0FBQztJQUNYLENBQUMsQ0FBQztJQUVGLElBQUksQ0FBQyxDQUFDO0lBQ04sTUFBTSxFQUFFLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO0lBRWhDLElBQUksQ0FBQztRQUNILElBQUksSUFBSSxJQUFJLElBQUksRUFBRSxDQUFDO1lBQ2pCLE9BQU8sQ0FBQyxJQUFJLENBQUMseUJBQXlCLENBQUMsQ0FBQztZQUN4QyxJQUFJLEdBQUcsc0JBQXNCLEVBQUUsQ0FBQztZQUNoQyxDQUFDLEdBQUcsU0FBUyxFQUFFLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ25DLENBQUM7UUFFRCwwQkFBMEI7UUFDMUIsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLG1CQUFtQixFQUFFLENBQUM7WUFDeEMsTUFBTSxFQUFFLFdBQVcsRUFBRSxZQUFZLEVBQUUsVUFBVSxFQUFFLEtBQUssRUFBRSxZQUFZLEVBQUUsR0FBRyxLQUFLLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQztZQUM3RixNQUFNLGVBQWUsR0FBRyxXQUFXLElBQUksQ0FBQyxHQUFHLEVBQUUsRUFBRSxDQUFDO1lBRWhELDRCQUE0QjtZQUM1QixNQUFNLENBQUUsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDO2lCQUNyQixRQUFRLENBQUMsRUFBRSxFQUFFLGVBQWUsQ0FBQztpQkFDN0IsUUFBUSxDQUFDLGNBQWMsRUFBRSxZQUFZLENBQUM7aUJBQ3RDLFFBQVEsQ0FBQyxZQUFZLEVBQUUsVUFBVSxDQUFDO2lCQUNsQyxRQUFRLENBQUMsT0FBTyxFQUFFLEtBQUssQ0FBQztpQkFDeEIsUUFBUSxDQUFDLGNBQWMsRUFBRSxZQUFZLENBQUM7aUJBQ3RDLElBQUksRUFBRSxDQUFDO1lBRVYsbURBQW1EO1lBQ25ELE1BQU0sQ0FBRSxDQUFDLENBQUMsQ0FBQyxlQUFlLENBQUM7aUJBQ3hCLElBQUksQ0FBQyxVQUFVLENBQUM7aUJBQ2hCLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLGNBQWMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxhQUFhLEVBQUUsV0FBVyxDQUFDLENBQUM7aUJBQ25FLElBQUksRUFBRSxDQUFDO1lBRVYsT0FBTyxDQUFDLEdBQUcsQ0FBQyxrQkFBa0IsRUFBRSxlQUFlLEVBQUUsb0JBQW9CLEVBQUUsV0FBVyxDQUFDLENBQUM7WUFDcEYsT0FBTztnQkFDTCxFQUFFLEVBQUUsZUFBZTtnQkFDbkIsWUFBWTtnQkFDWixVQUFVO2dCQUNWLEtBQUs7Z0JBQ0wsWUFBWTthQUNiLENBQUM7UUFDSixDQUFDO1FBRUQsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLHNCQUFzQixFQUFFLENBQUM7WUFDM0MsTUFBTSxFQUFFLFNBQVMsRUFBRSxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUM7WUFDdEMsb0NBQW9DO1lBQ3BDLE1BQU0sQ0FBRSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxJQUFJLEVBQUUsQ0FBQztZQUNwQyxPQUFPLENBQUMsR0FBRyxDQUFDLHlCQUF5QixFQUFFLFNBQVMsQ0FBQyxDQUFDO1lBQ2xELE9BQU8sRUFBRSxNQUFNLEVBQUUsU0FBUyxFQUFFLENBQUM7UUFDL0IsQ0FBQztRQUVELHFDQUFxQztRQUN2QyxNQUFNLEVBQ0osS0FBSyxFQUNMLElBQUksRUFDSixNQUFNLEVBQ04sTUFBTSxFQUNOLFdBQVcsRUFDWCxXQUFXLEVBQ1gsU0FBUyxFQUNULFVBQVUsRUFBRSxjQUFjLEdBQzNCLEdBQUcsS0FBSyxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUM7UUFFMUIsK0NBQStDO1FBQy9DLE1BQU0sS0FBSyxHQUNULGNBQWMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO1FBRWpELFFBQVEsS0FBSyxFQUFFLENBQUM7WUFDZCxLQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUM7Z0JBQ2QsNkRBQTZEO2dCQUM3RCxNQUFNLFFBQVEsR0FBRyxHQUFHLE1BQU0sQ0FBQyxXQUFXLEVBQUUsSUFBSSxJQUFJLENBQUMsR0FBRyxFQUFFLEVBQUUsQ0FBQztnQkFFekQsMkJBQTJCO2dCQUMzQixJQUFJLENBQUMsR0FBRyxDQUFFLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLFFBQVEsQ0FBQyxFQUFFLEVBQUUsUUFBUSxDQUFDLENBQUM7Z0JBRS9DLDhDQUE4QztnQkFDOUMsS0FBSyxNQUFNLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQyxJQUFJLE1BQU0sQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQztvQkFDL0MsSUFBSSxHQUFHLEtBQUssU0FBUyxJQUFJLEdBQUcsS0FBSyxJQUFJLElBQUksR0FBRyxLQUFLLEVBQUUsRUFBRSxDQUFDO3dCQUNwRCxDQUFDLEdBQUcsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLENBQUM7b0JBQzNCLENBQUM7Z0JBQ0gsQ0FBQztnQkFFRCxNQUFNLE1BQU0sR0FBRyxNQUFNLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztnQkFDOUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLEtBQUssQ0FBQyxDQUFDO2dCQUN4RCxPQUFPLEVBQUUsTUFBTSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQztZQUM1QyxDQUFDO1lBRUQsT0FBTyxDQUFDLENBQUMsQ0FBQztnQkFDUixnQkFBZ0I7Z0JBQ2hCLE9BQU8sQ0FBQyxHQUFHLENBQUMsZ0JBQWdCLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxXQUFXLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsV0FBVyxDQUFDLENBQUM7Z0JBRS9GLHlEQUF5RDtnQkFDekQsSUFBSSxDQUFDLEdBQUcsQ0FBRTtxQkFDUCxDQUFDLEVBQUU7cUJBQ0gsUUFBUSxDQUFDLFdBQVcsQ0FBQztxQkFDckIsRUFBRSxDQUNELEVBQUUsQ0FBQyxHQUFHLENBQUMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxFQUN0QixFQUFFLENBQUMsR0FBRyxDQUFDLGFBQWEsRUFBRSxNQUFNLENBQUMsRUFDN0IsRUFBRSxDQUFDLEdBQUcsQ0FBQyxTQUFTLEVBQUUsTUFBTSxDQUFDLEVBQ3pCLEVBQUUsQ0FBQyxHQUFHLENBQUMsVUFBVSxFQUFFLE1BQU0sQ0FBQyxDQUMzQixDQUFDO2dCQUVKLHVFQUF1RTtnQkFDdkUsSUFBSSxhQUFhLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxFQUFFLENBQ2pDLEVBQUUsQ0FBQyxDQUFDLEVBQUU7cUJBQ0gsUUFBUSxDQUFDLFNBQVMsQ0FBQztxQkFDbkIsRUFBRSxDQUNELEVBQUUsQ0FBQyxHQUFHLENBQUMsTUFBTSxFQUFFLFdBQVcsQ0FBQyxFQUMzQixFQUFFLENBQUMsR0FBRyxDQUFDLGFBQWEsRUFBRSxXQUFXLENBQUMsRUFDbEMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxTQUFTLEVBQUUsV0FBVyxDQUFDLEVBQzlCLEVBQUUsQ0FBQyxHQUFHLENBQUMsVUFBVSxFQUFFLFdBQVcsQ0FBQyxDQUNoQyxDQUNKLENBQUM7Z0JBRUYsK0NBQStDO2dCQUMvQyxLQUFLLE1BQU0sQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLElBQUksTUFBTSxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDO29CQUMvQyxJQUFJLEdBQUcsS0FBSyxTQUFTLElBQUksR0FBRyxLQUFLLElBQUksSUFBSSxHQUFHLEtBQUssRUFBRSxFQUFFLENBQUM7d0JBQ3BELGFBQWEsR0FBRyxhQUFhLENBQUMsUUFBUSxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsQ0FBQztvQkFDbkQsQ0FBQztnQkFDSCxDQUFDO2dCQUVELE1BQU0sR0FBRyxHQUFHLE1BQU0sYUFBYSxDQUFDLElBQUksRUFBRSxDQUFDO2dCQUN2QyxPQUFPLENBQUMsR0FBRyxDQUFDLGVBQWUsRUFBRSxJQUFJLEVBQUUsS0FBSyxDQUFDLENBQUM7Z0JBQzFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDO1lBQ3pDLENBQUM7UUFDSCxDQUFDO0lBQ0gsQ0FBQztJQUFDLE9BQU8sS0FBYyxFQUFFLENBQUM7UUFDeEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNuQixPQUFPLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUNyQyxNQUFNLE9BQU8sR0FBRyxLQUFLLFlBQVksS0FBSyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDdkUsT0FBTyxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsQ0FBQztJQUM1QixDQUFDO0FBQ0gsQ0FBQyxDQUFDO0FBaEtXLFFBQUEsT0FBTyxXQWdLbEIiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyBIYW5kbGVyIH0gZnJvbSBcImF3cy1sYW1iZGFcIjtcblxuaW1wb3J0ICogYXMgZ3JlbWxpbiBmcm9tIFwiZ3JlbWxpblwiO1xuaW1wb3J0IHsgZ2V0VXJsQW5kSGVhZGVycyB9IGZyb20gXCJncmVtbGluLWF3cy1zaWd2NC9saWIvdXRpbHNcIjtcblxuY29uc3QgRHJpdmVyUmVtb3RlQ29ubmVjdGlvbiA9IGdyZW1saW4uZHJpdmVyLkRyaXZlclJlbW90ZUNvbm5lY3Rpb247XG5jb25zdCB0cmF2ZXJzYWwgPSBncmVtbGluLnByb2Nlc3MuQW5vbnltb3VzVHJhdmVyc2FsU291cmNlLnRyYXZlcnNhbDtcbmNvbnN0IF9fID0gZ3JlbWxpbi5wcm9jZXNzLnN0YXRpY3M7XG5cbmV4cG9ydCBjb25zdCBoYW5kbGVyOiBIYW5kbGVyID0gYXN5bmMgKGV2ZW50KSA9PiB7XG4gIGxldCBjb25uID0gbnVsbDtcbiAgY29uc3QgZ2V0Q29ubmVjdGlvbkRldGFpbHMgPSAoKSA9PiB7XG4gICAgcmV0dXJuIGdldFVybEFuZEhlYWRlcnMoXG4gICAgICBwcm9jZXNzLmVudi5ORVBUVU5FX0VORFBPSU5ULFxuICAgICAgcHJvY2Vzcy5lbnYuTkVQVFVORV9QT1JULFxuICAgICAge30sXG4gICAgICBcIi9ncmVtbGluXCIsXG4gICAgICBcIndzc1wiXG4gICAgKTtcbiAgfTtcblxuICBjb25zdCBjcmVhdGVSZW1vdGVDb25uZWN0aW9uID0gKCkgPT4ge1xuICAgIGNvbnN0IHsgdXJsLCBoZWFkZXJzIH0gPSBnZXRDb25uZWN0aW9uRGV0YWlscygpO1xuXG4gICAgY29uc29sZS5sb2codXJsKTtcbiAgICBjb25zb2xlLmxvZyhoZWFkZXJzKTtcbiAgICBjb25zdCBjID0gbmV3IERyaXZlclJlbW90ZUNvbm5lY3Rpb24odXJsLCB7XG4gICAgICBtaW1lVHlwZTogXCJhcHBsaWNhdGlvbi92bmQuZ3JlbWxpbi12Mi4wK2pzb25cIixcbiAgICAgIGhlYWRlcnM6IGhlYWRlcnMsXG4gICAgfSk7XG4gICAgYy5fY2xpZW50Ll9jb25uZWN0aW9uLm9uKFwiY2xvc2VcIiwgKGNvZGU6IG51bWJlciwgbWVzc2FnZTogc3RyaW5nKSA9PiB7XG4gICAgICBjb25zb2xlLmluZm8oYGNsb3NlIC0gJHtjb2RlfSAke21lc3NhZ2V9YCk7XG4gICAgICBpZiAoY29kZSA9PSAxMDA2KSB7XG4gICAgICAgIGNvbnNvbGUuZXJyb3IoXCJDb25uZWN0aW9uIGNsb3NlZCBwcmVtYXR1cmVseVwiKTtcbiAgICAgICAgdGhyb3cgbmV3IEVycm9yKFwiQ29ubmVjdGlvbiBjbG9zZWQgcHJlbWF0dXJlbHlcIik7XG4gICAgICB9XG4gICAgfSk7XG4gICAgcmV0dXJuIGM7XG4gIH07XG5cbiAgbGV0IGc7XG4gIGNvbnN0IGlkID0gZ3JlbWxpbi5wcm9jZXNzLnQuaWQ7XG5cbiAgdHJ5IHtcbiAgICBpZiAoY29ubiA9PSBudWxsKSB7XG4gICAgICBjb25zb2xlLmluZm8oXCJJbml0aWFsaXppbmcgY29ubmVjdGlvblwiKTtcbiAgICAgIGNvbm4gPSBjcmVhdGVSZW1vdGVDb25uZWN0aW9uKCk7XG4gICAgICBnID0gdHJhdmVyc2FsKCkud2l0aFJlbW90ZShjb25uKTtcbiAgICB9XG5cbiAgICAvLyDilIDilIAgQWNjb3VudCBtdXRhdGlvbnMg4pSA4pSAXG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcImFkZFByb2plY3RBY2NvdW50XCIpIHtcbiAgICAgIGNvbnN0IHsgcHJvamVjdE5hbWUsIEFjY291bnRfTmFtZSwgQWNjb3VudF9JZCwgQ2xvdWQsIEVudmlyb25tZW50cyB9ID0gZXZlbnQuYXJndW1lbnRzLmlucHV0O1xuICAgICAgY29uc3QgYWNjb3VudFZlcnRleElkID0gYGFjY291bnRfJHtEYXRlLm5vdygpfWA7XG5cbiAgICAgIC8vIENyZWF0ZSB0aGUgQWNjb3VudCB2ZXJ0ZXhcbiAgICAgIGF3YWl0IGchLmFkZFYoJ0FjY291bnQnKVxuICAgICAgICAucHJvcGVydHkoaWQsIGFjY291bnRWZXJ0ZXhJZClcbiAgICAgICAgLnByb3BlcnR5KCdBY2NvdW50X05hbWUnLCBBY2NvdW50X05hbWUpXG4gICAgICAgIC5wcm9wZXJ0eSgnQWNjb3VudF9JZCcsIEFjY291bnRfSWQpXG4gICAgICAgIC5wcm9wZXJ0eSgnQ2xvdWQnLCBDbG91ZClcbiAgICAgICAgLnByb3BlcnR5KCdFbnZpcm9ubWVudHMnLCBFbnZpcm9ubWVudHMpXG4gICAgICAgIC5uZXh0KCk7XG5cbiAgICAgIC8vIENyZWF0ZSBvd25lZF9ieSBlZGdlIGZyb20gQWNjb3VudCDihpIgUHJvamVjdF9EYXRhXG4gICAgICBhd2FpdCBnIS5WKGFjY291bnRWZXJ0ZXhJZClcbiAgICAgICAgLmFkZEUoJ293bmVkX2J5JylcbiAgICAgICAgLnRvKF9fLlYoKS5oYXNMYWJlbCgnUHJvamVjdF9EYXRhJykuaGFzKCdwcm9qZWN0TmFtZScsIHByb2plY3ROYW1lKSlcbiAgICAgICAgLm5leHQoKTtcblxuICAgICAgY29uc29sZS5sb2coXCJDcmVhdGVkIGFjY291bnQ6XCIsIGFjY291bnRWZXJ0ZXhJZCwgXCJsaW5rZWQgdG8gcHJvamVjdDpcIiwgcHJvamVjdE5hbWUpO1xuICAgICAgcmV0dXJuIHtcbiAgICAgICAgaWQ6IGFjY291bnRWZXJ0ZXhJZCxcbiAgICAgICAgQWNjb3VudF9OYW1lLFxuICAgICAgICBBY2NvdW50X0lkLFxuICAgICAgICBDbG91ZCxcbiAgICAgICAgRW52aXJvbm1lbnRzLFxuICAgICAgfTtcbiAgICB9XG5cbiAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwiZGVsZXRlUHJvamVjdEFjY291bnRcIikge1xuICAgICAgY29uc3QgeyBhY2NvdW50SWQgfSA9IGV2ZW50LmFyZ3VtZW50cztcbiAgICAgIC8vIERyb3AgdGhlIHZlcnRleCBhbmQgYWxsIGl0cyBlZGdlc1xuICAgICAgYXdhaXQgZyEuVihhY2NvdW50SWQpLmRyb3AoKS5uZXh0KCk7XG4gICAgICBjb25zb2xlLmxvZyhcIkRlbGV0ZWQgYWNjb3VudCB2ZXJ0ZXg6XCIsIGFjY291bnRJZCk7XG4gICAgICByZXR1cm4geyByZXN1bHQ6IFwiZGVsZXRlZFwiIH07XG4gICAgfVxuXG4gICAgLy8g4pSA4pSAIEdlbmVyaWMgaW5zZXJ0RGF0YSBtdXRhdGlvbnMg4pSA4pSAXG4gIGNvbnN0IHtcbiAgICB2YWx1ZSxcbiAgICBlZGdlLFxuICAgIHZlcnRleCxcbiAgICBzb3VyY2UsXG4gICAgc291cmNlTGFiZWwsXG4gICAgZGVzdGluYXRpb24sXG4gICAgZGVzdExhYmVsLFxuICAgIHByb3BlcnRpZXM6IHByb3BlcnRpZXNKc29uLFxuICB9ID0gZXZlbnQuYXJndW1lbnRzLmlucHV0O1xuXG4gIC8vIFBhcnNlIHByb3BlcnRpZXMgSlNPTiAobmV3IGdlbmVyaWMgYXBwcm9hY2gpXG4gIGNvbnN0IHByb3BzOiBSZWNvcmQ8c3RyaW5nLCB1bmtub3duPiA9XG4gICAgcHJvcGVydGllc0pzb24gPyBKU09OLnBhcnNlKHByb3BlcnRpZXNKc29uKSA6IHt9O1xuXG4gICAgc3dpdGNoICh2YWx1ZSkge1xuICAgICAgY2FzZSBcInZlcnRleFwiOiB7XG4gICAgICAgIC8vIEdlbmVyYXRlIGEgdW5pcXVlIHZlcnRleCBJRCB1c2luZyBsYWJlbCBwcmVmaXggKyB0aW1lc3RhbXBcbiAgICAgICAgY29uc3QgdmVydGV4SWQgPSBgJHt2ZXJ0ZXgudG9Mb3dlckNhc2UoKX1fJHtEYXRlLm5vdygpfWA7XG5cbiAgICAgICAgLy8gU3RhcnQgdGhlIGFkZFYgdHJhdmVyc2FsXG4gICAgICAgIGxldCB0ID0gZyEuYWRkVih2ZXJ0ZXgpLnByb3BlcnR5KGlkLCB2ZXJ0ZXhJZCk7XG5cbiAgICAgICAgLy8gQWRkIGFsbCBwcm9wZXJ0aWVzIGZyb20gdGhlIHByb3BlcnRpZXMgSlNPTlxuICAgICAgICBmb3IgKGNvbnN0IFtrZXksIHZhbF0gb2YgT2JqZWN0LmVudHJpZXMocHJvcHMpKSB7XG4gICAgICAgICAgaWYgKHZhbCAhPT0gdW5kZWZpbmVkICYmIHZhbCAhPT0gbnVsbCAmJiB2YWwgIT09IFwiXCIpIHtcbiAgICAgICAgICAgIHQgPSB0LnByb3BlcnR5KGtleSwgdmFsKTtcbiAgICAgICAgICB9XG4gICAgICAgIH1cblxuICAgICAgICBjb25zdCByZXN1bHQgPSBhd2FpdCB0Lm5leHQoKTtcbiAgICAgICAgY29uc29sZS5sb2coXCJDcmVhdGVkIHZlcnRleDpcIiwgdmVydGV4SWQsIHZlcnRleCwgcHJvcHMpO1xuICAgICAgICByZXR1cm4geyByZXN1bHQ6IEpTT04uc3RyaW5naWZ5KHJlc3VsdCkgfTtcbiAgICAgIH1cblxuICAgICAgZGVmYXVsdDoge1xuICAgICAgICAvLyBFZGdlIGNyZWF0aW9uXG4gICAgICAgIGNvbnNvbGUubG9nKFwiQ3JlYXRpbmcgZWRnZTpcIiwgZWRnZSwgXCJmcm9tXCIsIHNvdXJjZUxhYmVsLCBzb3VyY2UsIFwidG9cIiwgZGVzdExhYmVsLCBkZXN0aW5hdGlvbik7XG5cbiAgICAgICAgLy8gRmluZCBzb3VyY2UgdmVydGV4IGJ5IGxhYmVsIGFuZCBhbnkgbmFtZS1saWtlIHByb3BlcnR5XG4gICAgICAgIGxldCB0ID0gZyFcbiAgICAgICAgICAuVigpXG4gICAgICAgICAgLmhhc0xhYmVsKHNvdXJjZUxhYmVsKVxuICAgICAgICAgIC5vcihcbiAgICAgICAgICAgIF9fLmhhcyhcIm5hbWVcIiwgc291cmNlKSxcbiAgICAgICAgICAgIF9fLmhhcyhcImNvbXBhbnlOYW1lXCIsIHNvdXJjZSksXG4gICAgICAgICAgICBfXy5oYXMoXCJqb2JOYW1lXCIsIHNvdXJjZSksXG4gICAgICAgICAgICBfXy5oYXMoXCJwYXJ0TmFtZVwiLCBzb3VyY2UpXG4gICAgICAgICAgKTtcblxuICAgICAgICAvLyBBZGQgZWRnZSB0byBkZXN0aW5hdGlvbiB2ZXJ0ZXggZm91bmQgYnkgbGFiZWwgYW5kIG5hbWUtbGlrZSBwcm9wZXJ0eVxuICAgICAgICBsZXQgZWRnZVRyYXZlcnNhbCA9IHQuYWRkRShlZGdlKS50byhcbiAgICAgICAgICBfXy5WKClcbiAgICAgICAgICAgIC5oYXNMYWJlbChkZXN0TGFiZWwpXG4gICAgICAgICAgICAub3IoXG4gICAgICAgICAgICAgIF9fLmhhcyhcIm5hbWVcIiwgZGVzdGluYXRpb24pLFxuICAgICAgICAgICAgICBfXy5oYXMoXCJjb21wYW55TmFtZVwiLCBkZXN0aW5hdGlvbiksXG4gICAgICAgICAgICAgIF9fLmhhcyhcImpvYk5hbWVcIiwgZGVzdGluYXRpb24pLFxuICAgICAgICAgICAgICBfXy5oYXMoXCJwYXJ0TmFtZVwiLCBkZXN0aW5hdGlvbilcbiAgICAgICAgICAgIClcbiAgICAgICAgKTtcblxuICAgICAgICAvLyBBZGQgZWRnZSBwcm9wZXJ0aWVzIGZyb20gdGhlIHByb3BlcnRpZXMgSlNPTlxuICAgICAgICBmb3IgKGNvbnN0IFtrZXksIHZhbF0gb2YgT2JqZWN0LmVudHJpZXMocHJvcHMpKSB7XG4gICAgICAgICAgaWYgKHZhbCAhPT0gdW5kZWZpbmVkICYmIHZhbCAhPT0gbnVsbCAmJiB2YWwgIT09IFwiXCIpIHtcbiAgICAgICAgICAgIGVkZ2VUcmF2ZXJzYWwgPSBlZGdlVHJhdmVyc2FsLnByb3BlcnR5KGtleSwgdmFsKTtcbiAgICAgICAgICB9XG4gICAgICAgIH1cblxuICAgICAgICBjb25zdCByZXMgPSBhd2FpdCBlZGdlVHJhdmVyc2FsLm5leHQoKTtcbiAgICAgICAgY29uc29sZS5sb2coXCJDcmVhdGVkIGVkZ2U6XCIsIGVkZ2UsIHByb3BzKTtcbiAgICAgICAgcmV0dXJuIHsgcmVzdWx0OiBKU09OLnN0cmluZ2lmeShyZXMpIH07XG4gICAgICB9XG4gICAgfVxuICB9IGNhdGNoIChlcnJvcjogdW5rbm93bikge1xuICAgIGNvbnNvbGUubG9nKGVycm9yKTtcbiAgICBjb25zb2xlLmVycm9yKEpTT04uc3RyaW5naWZ5KGVycm9yKSk7XG4gICAgY29uc3QgbWVzc2FnZSA9IGVycm9yIGluc3RhbmNlb2YgRXJyb3IgPyBlcnJvci5tZXNzYWdlIDogU3RyaW5nKGVycm9yKTtcbiAgICByZXR1cm4geyBlcnJvcjogbWVzc2FnZSB9O1xuICB9XG59O1xuIl19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibXV0YXRpb25HcmFwaC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIm11dGF0aW9uR3JhcGgudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBQ0EsbUNBQW9DO0FBRXBDLG1DQUFtQztBQUNuQyx1REFBK0Q7QUFDL0Qsc0RBSzhCO0FBQzlCLG9EQWU2QjtBQUM3Qiw0REFNaUM7QUFDakMsNENBU3lCO0FBQ3pCLDBDQUE2QztBQUM3Qyw0Q0FBbUU7QUFDbkUsc0RBQXFEO0FBQ3JELDhDQUFzRTtBQUN0RSxrREFNNEI7QUFDNUIsNERBQXNGO0FBQ3RGLHNEQUs4QjtBQUU5QixNQUFNLHNCQUFzQixHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsc0JBQXNCLENBQUM7QUFDckUsTUFBTSxTQUFTLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyx3QkFBd0IsQ0FBQyxTQUFTLENBQUM7QUFDckUsTUFBTSxFQUFFLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUM7QUFDbkMsTUFBTSxDQUFDLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7QUFDNUIsTUFBTSxXQUFXLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxXQUFXLENBQUM7QUFJaEQsOERBQThEO0FBQzlELE1BQU0sc0JBQXNCLEdBQUc7SUFDN0IsSUFBSTtJQUNKLE9BQU87SUFDUCxLQUFLO0lBQ0wsUUFBUTtJQUNSLE9BQU87SUFDUCxLQUFLO0lBQ0wscUNBQXdCO0lBQ3hCLEdBQUcsMkJBQWM7Q0FDbEIsQ0FBQztBQUVGLCtEQUErRDtBQUMvRCxNQUFNLG9CQUFvQixHQUFHLEdBQUcsQ0FBQztBQUUxQixNQUFNLE9BQU8sR0FBWSxLQUFLLEVBQUUsS0FBSyxFQUFFLEVBQUU7SUFDOUMsSUFBSSxJQUFJLEdBQUcsSUFBSSxDQUFDO0lBQ2hCLE1BQU0sb0JBQW9CLEdBQUcsR0FBRyxFQUFFO1FBQ2hDLE9BQU8sSUFBQSx3QkFBZ0IsRUFDckIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxnQkFBZ0IsRUFDNUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxZQUFZLEVBQ3hCLEVBQUUsRUFDRixVQUFVLEVBQ1YsS0FBSyxDQUNOLENBQUM7SUFDSixDQUFDLENBQUM7SUFFRixNQUFNLHNCQUFzQixHQUFHLEdBQUcsRUFBRTtRQUNsQyxNQUFNLEVBQUUsR0FBRyxFQUFFLE9BQU8sRUFBRSxHQUFHLG9CQUFvQixFQUFFLENBQUM7UUFFaEQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUNqQixPQUFPLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ3JCLE1BQU0sQ0FBQyxHQUFHLElBQUksc0JBQXNCLENBQUMsR0FBRyxFQUFFO1lBQ3hDLFFBQVEsRUFBRSxtQ0FBbUM7WUFDN0MsT0FBTyxFQUFFLE9BQU87U0FDakIsQ0FBQyxDQUFDO1FBQ0gsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxXQUFXLENBQUMsRUFBRSxDQUFDLE9BQU8sRUFBRSxDQUFDLElBQVksRUFBRSxPQUFlLEVBQUUsRUFBRTtZQUNsRSxPQUFPLENBQUMsSUFBSSxDQUFDLFdBQVcsSUFBSSxJQUFJLE9BQU8sRUFBRSxDQUFDLENBQUM7WUFDM0MsSUFBSSxJQUFJLElBQUksSUFBSSxFQUFFLENBQUM7Z0JBQ2pCLE9BQU8sQ0FBQyxLQUFLLENBQUMsK0JBQStCLENBQUMsQ0FBQztnQkFDL0MsTUFBTSxJQUFJLEtBQUssQ0FBQywrQkFBK0IsQ0FBQyxDQUFDO1lBQ25ELENBQUM7UUFDSCxDQUFDLENBQUMsQ0FBQztRQUNILE9BQU8sQ0FBQyxDQUFDO0lBQ1gsQ0FBQyxDQUFDO0lBRUYsSUFBSSxDQUFDLENBQUM7SUFDTixNQUFNLEVBQUUsR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7SUFFaEMsSUFBSSxDQUFDO1FBQ0gsSUFBSSxJQUFBLGlDQUFtQixFQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDO1lBQ3hDLElBQUEscUNBQXVCLEVBQUMsS0FBSyxDQUFDLFFBQVEsRUFBRSxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDdkQsQ0FBQzthQUFNLENBQUM7WUFDTixJQUFBLG1CQUFXLEVBQUMsS0FBSyxDQUFDLFFBQVEsRUFBRSxRQUFRLEVBQUUsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ3JELENBQUM7UUFFRCxJQUFJLElBQUksSUFBSSxJQUFJLEVBQUUsQ0FBQztZQUNqQixPQUFPLENBQUMsSUFBSSxDQUFDLHlCQUF5QixDQUFDLENBQUM7WUFDeEMsSUFBSSxHQUFHLHNCQUFzQixFQUFFLENBQUM7WUFDaEMsQ0FBQyxHQUFHLFNBQVMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUNuQyxDQUFDO1FBRUQsb0JBQW9CO1FBQ3BCLHlFQUF5RTtRQUN6RSxzRUFBc0U7UUFDdEUsMERBQTBEO1FBQzFELE1BQU0sUUFBUSxHQUFHLEtBQUssQ0FBQyxRQUFRLElBQUksRUFBRSxDQUFDO1FBQ3RDLE1BQU0sS0FBSyxHQUFHLElBQUEsaUNBQW1CLEVBQUMsUUFBUSxDQUFDO1lBQ3pDLENBQUMsQ0FBQztnQkFDRSxHQUFHLEVBQUUsSUFBQSxpQ0FBbUIsRUFBQyxRQUFRLENBQUM7Z0JBQ2xDLFFBQVEsRUFBRSxVQUFVLElBQUEsaUNBQW1CLEVBQUMsUUFBUSxDQUFDLEVBQUU7YUFDcEQ7WUFDSCxDQUFDLENBQUM7Z0JBQ0UsR0FBRyxFQUFFLE1BQU0sQ0FBQyxRQUFRLENBQUMsR0FBRyxJQUFJLFNBQVMsQ0FBQztnQkFDdEMsUUFBUSxFQUFFLE1BQU0sQ0FBQyxRQUFRLENBQUMsUUFBUSxJQUFJLFFBQVEsQ0FBQyxHQUFHLElBQUksU0FBUyxDQUFDO2FBQ2pFLENBQUM7UUFJTixxRUFBcUU7UUFDckUsc0VBQXNFO1FBQ3RFLE1BQU0sV0FBVyxHQUFHLEtBQUssRUFDdkIsU0FBaUIsRUFDakIsTUFBc0MsRUFDdEMsTUFBZ0IsRUFDaEIsS0FBZSxFQUNmLEVBQXdCLEVBQ3hCLEVBQUU7WUFDRixNQUFNLEVBQUUsQ0FBQyxJQUFJLENBQUMsd0JBQVcsQ0FBQztpQkFDdkIsUUFBUSxDQUFDLEVBQUUsRUFBRSxTQUFTLElBQUEsbUJBQVUsR0FBRSxFQUFFLENBQUM7aUJBQ3JDLFFBQVEsQ0FBQyxJQUFJLEVBQUUsSUFBSSxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQztpQkFDeEMsUUFBUSxDQUFDLE9BQU8sRUFBRSxLQUFLLENBQUMsR0FBRyxDQUFDO2lCQUM1QixRQUFRLENBQUMsV0FBVyxFQUFFLEtBQUssQ0FBQyxRQUFRLENBQUM7aUJBQ3JDLFFBQVEsQ0FBQyxXQUFXLEVBQUUsU0FBUyxDQUFDO2lCQUNoQyxRQUFRLENBQUMsVUFBVSxFQUFFLE1BQU0sQ0FBQyxFQUFFLENBQUM7aUJBQy9CLFFBQVEsQ0FBQyxhQUFhLEVBQUUsTUFBTSxDQUFDLEtBQUssSUFBSSxFQUFFLENBQUM7aUJBQzNDLFFBQVEsQ0FBQyxRQUFRLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsQ0FBQztpQkFDMUMsUUFBUSxDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDO2lCQUN4QyxPQUFPLEVBQUUsQ0FBQztRQUNmLENBQUMsQ0FBQztRQUVGLGtEQUFrRDtRQUNsRCxNQUFNLFFBQVEsR0FBRyxDQUFDLE1BQW9FLEVBQVksRUFBRSxDQUNsRyxNQUFNLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxXQUFXLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7UUFFckYsMEJBQTBCO1FBQzFCLE1BQU0sV0FBVyxHQUFHLEtBQUssRUFBRSxTQUFpQixFQUFFLEtBQTJCLENBQUUsRUFBRSxFQUFFO1lBQzdFLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDO2lCQUNwQixRQUFRLENBQUMsY0FBYyxDQUFDO2lCQUN4QixNQUFNLENBQUMsK0JBQWtCLENBQUM7aUJBQzFCLE9BQU8sQ0FBQyxJQUFJLEVBQUUsVUFBVSxFQUFFLEdBQUcsMkJBQWMsQ0FBQztpQkFDNUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztpQkFDWCxFQUFFLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQzlELEtBQUssTUFBTSxLQUFLLElBQUksMkJBQWMsRUFBRSxDQUFDO2dCQUNuQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDM0QsQ0FBQztZQUNELE1BQU0sSUFBSSxHQUFHLE1BQU0sQ0FBQyxDQUFDLE1BQU0sRUFBRSxDQUFDO1lBQzlCLElBQUksSUFBSSxDQUFDLE1BQU0sS0FBSyxDQUFDO2dCQUFFLE9BQU8sSUFBSSxDQUFDO1lBQ25DLE1BQU0sQ0FBQyxHQUFRLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN2QixNQUFNLE9BQU8sR0FBNEIsRUFBRSxDQUFDO1lBQzVDLEtBQUssTUFBTSxHQUFHLElBQUksQ0FBQyxJQUFJLEVBQUUsVUFBVSxFQUFFLEdBQUcsMkJBQWMsQ0FBQyxFQUFFLENBQUM7Z0JBQ3hELE9BQU8sQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQztZQUM1RCxDQUFDO1lBQ0Qsb0VBQW9FO1lBQ3BFLElBQUksQ0FBQyxJQUFBLHFDQUFvQixFQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsT0FBTyxDQUFDLGtCQUE0QixDQUFDO2dCQUFFLE9BQU8sSUFBSSxDQUFDO1lBQzdGLE9BQU8sT0FBTyxDQUFDO1FBQ2pCLENBQUMsQ0FBQztRQUVGLE1BQU0sZUFBZSxHQUFHLENBQUMsT0FBdUMsRUFBWSxFQUFFLENBQzVFLE9BQU8sSUFBSSxNQUFNLENBQUMsV0FBVyxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsRUFBRSxFQUFFLENBQUMsR0FBRyxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUM7UUFFekYsaUVBQWlFO1FBQ2pFLGdEQUFnRDtRQUNoRCxNQUFNLG9CQUFvQixHQUFHLENBQUMsS0FBOEIsRUFBRSxFQUFFO1lBQzlELE1BQU0sTUFBTSxHQUEyQixFQUFFLENBQUM7WUFDMUMsS0FBSyxNQUFNLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQyxJQUFJLE1BQU0sQ0FBQyxPQUFPLENBQUMsS0FBSyxJQUFJLEVBQUUsQ0FBQyxFQUFFLENBQUM7Z0JBQ3JELElBQUksQ0FBQywyQkFBYyxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDO29CQUNsQyxNQUFNLElBQUEsd0JBQWUsRUFBQywwQkFBMEIsR0FBRyxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsR0FBRyxFQUFFLENBQUMsQ0FBQztnQkFDekUsQ0FBQztnQkFDRCxJQUFJLEdBQUcsS0FBSyxTQUFTLElBQUksR0FBRyxLQUFLLElBQUk7b0JBQUUsU0FBUztnQkFDaEQsTUFBTSxDQUFDLEdBQUcsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztZQUNuQyxDQUFDO1lBQ0QsSUFBSSxhQUFhLElBQUksTUFBTSxJQUFJLENBQUMsTUFBTSxDQUFDLFdBQVcsRUFBRSxDQUFDO2dCQUNuRCxNQUFNLElBQUEsd0JBQWUsRUFBQyw2QkFBNkIsRUFBRSxFQUFFLEtBQUssRUFBRSxhQUFhLEVBQUUsQ0FBQyxDQUFDO1lBQ2pGLENBQUM7WUFDRCxJQUFJLE1BQU0sQ0FBQyxJQUFJLElBQUksQ0FBQywwQkFBYSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQztnQkFDeEQsTUFBTSxJQUFBLHdCQUFlLEVBQUMsaUJBQWlCLE1BQU0sQ0FBQyxJQUFJLHNCQUFzQiwwQkFBYSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxFQUFFO29CQUNsRyxLQUFLLEVBQUUsTUFBTTtpQkFDZCxDQUFDLENBQUM7WUFDTCxDQUFDO1lBQ0QsSUFBSSxNQUFNLENBQUMsa0JBQWtCLElBQUksQ0FBQyxpQ0FBb0IsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLGtCQUFrQixDQUFDLEVBQUUsQ0FBQztnQkFDM0YsTUFBTSxJQUFBLHdCQUFlLEVBQ25CLCtCQUErQixNQUFNLENBQUMsa0JBQWtCLHNCQUFzQixpQ0FBb0IsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsRUFDL0csRUFBRSxLQUFLLEVBQUUsb0JBQW9CLEVBQUUsQ0FDaEMsQ0FBQztZQUNKLENBQUM7WUFDRCxJQUFJLENBQUMsSUFBQSxxQ0FBb0IsRUFBQyxLQUFLLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQyxrQkFBa0IsQ0FBQyxFQUFFLENBQUM7Z0JBQ3JFLE1BQU0sSUFBQSx1QkFBYyxFQUNsQixzQ0FBc0MsTUFBTSxDQUFDLGtCQUFrQix1Q0FBdUMsTUFBTSxDQUFDLGtCQUFrQixFQUFFLEVBQ2pJLEVBQUUsS0FBSyxFQUFFLG9CQUFvQixFQUFFLENBQ2hDLENBQUM7WUFDSixDQUFDO1lBQ0QsT0FBTyxNQUFNLENBQUM7UUFDaEIsQ0FBQyxDQUFDO1FBRUYsdUVBQXVFO1FBQ3ZFLDBDQUEwQztRQUMxQyxNQUFNLHdCQUF3QixHQUFHLEtBQUssRUFDcEMsV0FBbUIsRUFDbkIsUUFBaUIsRUFDakIsS0FBMkIsQ0FBRSxFQUM3QixFQUFFO1lBQ0YsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsRUFBRTtpQkFDWCxRQUFRLENBQUMsY0FBYyxDQUFDO2lCQUN4QixHQUFHLENBQUMsYUFBYSxFQUFFLFdBQVcsQ0FBQztpQkFDL0IsTUFBTSxDQUFDLCtCQUFrQixDQUFDLENBQUM7WUFDOUIsSUFBSSxRQUFRLEVBQUUsQ0FBQztnQkFDYixDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7WUFDaEMsQ0FBQztZQUNELE1BQU0sUUFBUSxHQUFHLE1BQU0sQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLEVBQUUsQ0FBQztZQUNoRCxJQUFJLFFBQVEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLENBQUM7Z0JBQ3hCLE1BQU0sSUFBQSxzQkFBYSxFQUFDLG9CQUFvQixXQUFXLGtCQUFrQixFQUFFLEVBQUUsS0FBSyxFQUFFLGFBQWEsRUFBRSxDQUFDLENBQUM7WUFDbkcsQ0FBQztRQUNILENBQUMsQ0FBQztRQUVGLElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxlQUFlLEVBQUUsQ0FBQztZQUNwQyxNQUFNLE1BQU0sR0FBRyxvQkFBb0IsQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDO1lBQzNELElBQUksQ0FBQyxNQUFNLENBQUMsV0FBVyxFQUFFLENBQUM7Z0JBQ3hCLE1BQU0sSUFBQSx3QkFBZSxFQUFDLHlCQUF5QixFQUFFLEVBQUUsS0FBSyxFQUFFLGFBQWEsRUFBRSxDQUFDLENBQUM7WUFDN0UsQ0FBQztZQUNELE1BQU0sU0FBUyxHQUFHLGdCQUFnQixJQUFBLG1CQUFVLEdBQUUsRUFBRSxDQUFDO1lBQ2pELE1BQU0sT0FBTyxHQUFHLE1BQU0sSUFBQSwyQkFBYSxFQUFDLENBQUUsRUFBRSxLQUFLLEVBQUUsR0FBRyxFQUFFLEVBQUU7Z0JBQ3BELE1BQU0sd0JBQXdCLENBQUMsTUFBTSxDQUFDLFdBQVcsRUFBRSxTQUFTLEVBQUUsR0FBRyxDQUFDLENBQUM7Z0JBRW5FLElBQUksQ0FBQyxHQUFHLEdBQUcsQ0FBQyxJQUFJLENBQUMsY0FBYyxDQUFDLENBQUMsUUFBUSxDQUFDLEVBQUUsRUFBRSxTQUFTLENBQUMsQ0FBQztnQkFDekQsS0FBSyxNQUFNLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQyxJQUFJLE1BQU0sQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQztvQkFDaEQsSUFBSSxHQUFHLEtBQUssRUFBRSxFQUFFLENBQUM7d0JBQ2YsQ0FBQyxHQUFHLENBQUMsQ0FBQyxRQUFRLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQyxDQUFDO29CQUMzQixDQUFDO2dCQUNILENBQUM7Z0JBQ0QsS0FBSyxNQUFNLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQyxJQUFJLE1BQU0sQ0FBQyxPQUFPLENBQUMsSUFBQSw4QkFBZ0IsRUFBQyxNQUFNLENBQUMsQ0FBQyxFQUFFLENBQUM7b0JBQ2xFLENBQUMsR0FBRyxDQUFDLENBQUMsUUFBUSxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsQ0FBQztnQkFDM0IsQ0FBQztnQkFDRCxNQUFNLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztnQkFFZixNQUFNLE9BQU8sR0FBRyxNQUFNLFdBQVcsQ0FBQyxTQUFTLEVBQUUsR0FBRyxDQUFDLENBQUM7Z0JBQ2xELE1BQU0sV0FBVyxDQUNmLGVBQWUsRUFDZixFQUFFLEVBQUUsRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLGNBQWMsRUFBRSxFQUN4QyxJQUFJLEVBQ0osZUFBZSxDQUFDLE9BQU8sQ0FBQyxFQUN4QixHQUFHLENBQ0osQ0FBQztnQkFDRixPQUFPLE9BQU8sQ0FBQztZQUNqQixDQUFDLENBQUMsQ0FBQztZQUNILE9BQU8sQ0FBQyxHQUFHLENBQUMsa0JBQWtCLEVBQUUsU0FBUyxFQUFFLE1BQU0sQ0FBQyxDQUFDO1lBQ25ELE9BQU8sT0FBTyxDQUFDO1FBQ2pCLENBQUM7UUFFRCxJQUFJLEtBQUssQ0FBQyxLQUFLLEtBQUssZUFBZSxFQUFFLENBQUM7WUFDcEMsTUFBTSxFQUFFLEVBQUUsRUFBRSxTQUFTLEVBQUUsR0FBRyxLQUFLLENBQUMsU0FBUyxDQUFDO1lBQzFDLE1BQU0sTUFBTSxHQUFHLG9CQUFvQixDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDM0QsTUFBTSxPQUFPLEdBQUcsTUFBTSxJQUFBLDJCQUFhLEVBQUMsQ0FBRSxFQUFFLEtBQUssRUFBRSxHQUFHLEVBQUUsRUFBRTtnQkFDcEQsTUFBTSxPQUFPLEdBQUcsTUFBTSxXQUFXLENBQUMsU0FBUyxFQUFFLEdBQUcsQ0FBQyxDQUFDO2dCQUNsRCxJQUFJLENBQUMsT0FBTyxFQUFFLENBQUM7b0JBQ2IsTUFBTSxJQUFBLHNCQUFhLEVBQUMsc0JBQXNCLFNBQVMsRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLFNBQVMsRUFBRSxDQUFDLENBQUM7Z0JBQzVFLENBQUM7Z0JBQ0QsSUFBSSxNQUFNLENBQUMsV0FBVyxJQUFJLE1BQU0sQ0FBQyxXQUFXLEtBQUssT0FBTyxDQUFDLFdBQVcsRUFBRSxDQUFDO29CQUNyRSxNQUFNLHdCQUF3QixDQUFDLE1BQU0sQ0FBQyxXQUFXLEVBQUUsU0FBUyxFQUFFLEdBQUcsQ0FBQyxDQUFDO2dCQUNyRSxDQUFDO2dCQUVELE1BQU0sT0FBTyxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxFQUFFLEVBQUUsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUM7Z0JBQ3hFLElBQUksQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUM7Z0JBQ3pCLElBQUksT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsQ0FBQztvQkFDdkIsQ0FBQyxHQUFHLENBQUMsQ0FBQyxVQUFVLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUM7Z0JBQ3JELENBQUM7Z0JBQ0QsS0FBSyxNQUFNLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQyxJQUFJLE1BQU0sQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQztvQkFDaEQsSUFBSSxHQUFHLEtBQUssRUFBRSxFQUFFLENBQUM7d0JBQ2YsQ0FBQyxHQUFHLENBQUMsQ0FBQyxRQUFRLENBQUMsV0FBVyxDQUFDLE1BQU0sRUFBRSxHQUFHLEVBQUUsR0FBRyxDQUFDLENBQUM7b0JBQy9DLENBQUM7Z0JBQ0gsQ0FBQztnQkFDRCxLQUFLLE1BQU0sQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLElBQUksTUFBTSxDQUFDLE9BQU8sQ0FBQyxJQUFBLDhCQUFnQixFQUFDLE1BQU0sQ0FBQyxDQUFDLEVBQUUsQ0FBQztvQkFDbEUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxRQUFRLENBQUMsV0FBVyxDQUFDLE1BQU0sRUFBRSxHQUFHLEVBQUUsR0FBRyxDQUFDLENBQUM7Z0JBQy9DLENBQUM7Z0JBQ0QsTUFBTSxDQUFDLENBQUMsT0FBTyxFQUFFLENBQUM7Z0JBRWxCLE1BQU0sT0FBTyxHQUFHLE1BQU0sV0FBVyxDQUFDLFNBQVMsRUFBRSxHQUFHLENBQUMsQ0FBQztnQkFDbEQsTUFBTSxXQUFXLENBQ2YsZUFBZSxFQUNmLEVBQUUsRUFBRSxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsY0FBYyxFQUFFLEVBQ3hDLGVBQWUsQ0FBQyxPQUFPLENBQUMsRUFDeEIsZUFBZSxDQUFDLE9BQU8sQ0FBQyxFQUN4QixHQUFHLENBQ0osQ0FBQztnQkFDRixPQUFPLE9BQU8sQ0FBQztZQUNqQixDQUFDLENBQUMsQ0FBQztZQUNILE9BQU8sQ0FBQyxHQUFHLENBQUMsa0JBQWtCLEVBQUUsU0FBUyxFQUFFLE1BQU0sQ0FBQyxDQUFDO1lBQ25ELE9BQU8sT0FBTyxDQUFDO1FBQ2pCLENBQUM7UUFFRCxJQUFJLEtBQUssQ0FBQyxLQUFLLEtBQUssZ0JBQWdCLEVBQUUsQ0FBQztZQUNyQyxNQUFNLEVBQUUsRUFBRSxFQUFFLFNBQVMsRUFBRSxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUM7WUFDMUMsTUFBTSxRQUFRLEdBQUcsTUFBTSxJQUFBLDJCQUFhLEVBQUMsQ0FBRSxFQUFFLEtBQUssRUFBRSxHQUFHLEVBQUUsRUFBRTtnQkFDckQsTUFBTSxPQUFPLEdBQUcsTUFBTSxXQUFXLENBQUMsU0FBUyxFQUFFLEdBQUcsQ0FBQyxDQUFDO2dCQUNsRCxJQUFJLENBQUMsT0FBTyxFQUFFLENBQUM7b0JBQ2IsTUFBTSxJQUFBLHNCQUFhLEVBQUMsc0JBQXNCLFNBQVMsRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLFNBQVMsRUFBRSxDQUFDLENBQUM7Z0JBQzVFLENBQUM7Z0JBQ0QsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztxQkFDbkIsUUFBUSxDQUFDLFdBQVcsQ0FBQyxNQUFNLEVBQUUsVUFBVSxFQUFFLElBQUksQ0FBQztxQkFDOUMsUUFBUSxDQUFDLFdBQVcsQ0FBQyxNQUFNLEVBQUUsWUFBWSxFQUFFLElBQUksSUFBSSxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUM7cUJBQ3BFLE9BQU8sRUFBRSxDQUFDO2dCQUViLE1BQU0sT0FBTyxHQUFHLE1BQU0sV0FBVyxDQUFDLFNBQVMsRUFBRSxHQUFHLENBQUMsQ0FBQztnQkFDbEQsTUFBTSxXQUFXLENBQ2YsZ0JBQWdCLEVBQ2hCLEVBQUUsRUFBRSxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsY0FBYyxFQUFFLEVBQ3hDLGVBQWUsQ0FBQyxPQUFPLENBQUMsRUFDeEIsZUFBZSxDQUFDLE9BQU8sQ0FBQyxFQUN4QixHQUFHLENBQ0osQ0FBQztnQkFDRixPQUFPLE9BQU8sQ0FBQztZQUNqQixDQUFDLENBQUMsQ0FBQztZQUNILE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLEVBQUUsU0FBUyxDQUFDLENBQUM7WUFDNUMsT0FBTyxRQUFRLENBQUM7UUFDbEIsQ0FBQztRQUVELG9DQUFvQztRQUNwQyxNQUFNLEtBQUssR0FBRyxDQUFDLENBQU0sRUFBRSxHQUFXLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1FBRWxGLG9FQUFvRTtRQUNwRSxNQUFNLGdCQUFnQixHQUFHLENBQUMsTUFBVyxFQUFFLEVBQUUsQ0FDdkMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLGNBQWMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxvQkFBb0IsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztRQUU3Rix1RUFBdUU7UUFDdkUsc0VBQXNFO1FBQ3RFLHdEQUF3RDtRQUN4RCxNQUFNLFVBQVUsR0FBRyxLQUFLLEVBQUUsUUFBZ0IsRUFBRSxLQUEyQixDQUFFLEVBQUUsRUFBRTtZQUMzRSxNQUFNLElBQUksR0FBRyxNQUFNLEVBQUUsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDO2lCQUM5QixPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sRUFBRSxnQkFBZ0IsRUFBRSxZQUFZLENBQUM7aUJBQ3RELEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7aUJBQ1gsRUFBRSxDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsQ0FBQztpQkFDZCxFQUFFLENBQUMsZ0JBQWdCLENBQUMsRUFBRSxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUM7aUJBQ25DLEVBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxFQUFFLENBQUM7aUJBQ2pCLE1BQU0sRUFBRSxDQUFDO1lBQ1osSUFBSSxJQUFJLENBQUMsTUFBTSxLQUFLLENBQUM7Z0JBQUUsT0FBTyxJQUFJLENBQUM7WUFDbkMsTUFBTSxDQUFDLEdBQVEsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ3ZCLElBQUksQ0FBQyxJQUFBLHFDQUFvQixFQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxnQkFBZ0IsQ0FBQyxDQUFDO2dCQUFFLE9BQU8sSUFBSSxDQUFDO1lBQ25GLE9BQU87Z0JBQ0wsRUFBRSxFQUFFLEtBQUssQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDO2dCQUNsQixLQUFLLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxPQUFPLENBQUM7Z0JBQ3hCLFVBQVUsRUFBRSxJQUFBLDJCQUFjLEVBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxZQUFZLENBQUMsQ0FBQzthQUNuRCxDQUFDO1FBQ0osQ0FBQyxDQUFDO1FBRUYsTUFBTSxRQUFRLEdBQUcsS0FBSyxFQUFFLE1BQWMsRUFBRSxLQUEyQixDQUFFLEVBQUUsRUFBRTtZQUN2RSxNQUFNLElBQUksR0FBRyxNQUFNLEVBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDO2lCQUM1QixPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLHNCQUFzQixFQUFFLHNCQUFzQixFQUFFLFlBQVksQ0FBQztpQkFDeEcsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztpQkFDWCxFQUFFLENBQUMsRUFBRSxDQUFDLEtBQUssRUFBRSxDQUFDO2lCQUNkLEVBQUUsQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7aUJBQ2xCLEVBQUUsQ0FBQyxFQUFFLENBQUMsR0FBRyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7aUJBQ2pCLEVBQUUsQ0FBQyxnQkFBZ0IsQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztpQkFDL0IsRUFBRSxDQUFDLGdCQUFnQixDQUFDLEVBQUUsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDO2lCQUM5QixFQUFFLENBQUMsRUFBRSxDQUFDLFFBQVEsRUFBRSxDQUFDO2lCQUNqQixNQUFNLEVBQUUsQ0FBQztZQUNaLElBQUksSUFBSSxDQUFDLE1BQU0sS0FBSyxDQUFDO2dCQUFFLE9BQU8sSUFBSSxDQUFDO1lBQ25DLE1BQU0sQ0FBQyxHQUFRLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN2QixJQUNFLENBQUMsSUFBQSxxQ0FBb0IsRUFBQyxLQUFLLENBQUMsUUFBUSxFQUFFLEtBQUssQ0FBQyxDQUFDLEVBQUUsc0JBQXNCLENBQUMsQ0FBQztnQkFDdkUsQ0FBQyxJQUFBLHFDQUFvQixFQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxzQkFBc0IsQ0FBQyxDQUFDLEVBQ3ZFLENBQUM7Z0JBQ0QsT0FBTyxJQUFJLENBQUM7WUFDZCxDQUFDO1lBQ0QsT0FBTztnQkFDTCxFQUFFLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUM7Z0JBQ2xCLEtBQUssRUFBRSxLQUFLLENBQUMsQ0FBQyxFQUFFLE9BQU8sQ0FBQztnQkFDeEIsTUFBTSxFQUFFLEtBQUssQ0FBQyxDQUFDLEVBQUUsUUFBUSxDQUFDO2dCQUMxQixNQUFNLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxRQUFRLENBQUM7Z0JBQzFCLFVBQVUsRUFBRSxJQUFBLDJCQUFjLEVBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxZQUFZLENBQUMsQ0FBQzthQUNuRCxDQUFDO1FBQ0osQ0FBQyxDQUFDO1FBRUYscUVBQXFFO1FBQ3JFLDhEQUE4RDtRQUM5RCxNQUFNLGNBQWMsR0FBRyxLQUFLLEVBQzFCLElBQXVCLEVBQ3ZCLFNBQWlCLEVBQ2pCLGFBQXNCLEVBQ3RCLEtBQTJCLENBQUUsRUFDN0IsRUFBRTtZQUNGLE1BQU0sTUFBTSxHQUFHLElBQUksS0FBSyxRQUFRLENBQUMsQ0FBQyxDQUFDLE1BQU0sVUFBVSxDQUFDLFNBQVMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxRQUFRLENBQUMsU0FBUyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1lBQ25HLHVDQUF1QztZQUN2QyxJQUFJLENBQUMsTUFBTSxJQUFJLE1BQU0sQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxLQUFLLCtCQUFrQixDQUFDLEVBQUUsQ0FBQztnQkFDM0UsTUFBTSxJQUFBLHNCQUFhLEVBQUMsR0FBRyxJQUFJLEtBQUssUUFBUSxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLE1BQU0sZUFBZSxTQUFTLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxTQUFTLEVBQUUsQ0FBQyxDQUFDO1lBQzdHLENBQUM7WUFDRCxNQUFNLEtBQUssR0FBRyxJQUFJLEtBQUssUUFBUSxDQUFDLENBQUMsQ0FBQyxJQUFBLDBCQUFhLEVBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFBLHdCQUFXLEVBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO1lBQzFGLElBQUksQ0FBQyxLQUFLLEVBQUUsQ0FBQztnQkFDWCxNQUFNLElBQUEsd0JBQWUsRUFBQyxlQUFlLElBQUksV0FBVyxNQUFNLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQztZQUN0RSxDQUFDO1lBQ0QsSUFBSSxhQUFhLElBQUksYUFBYSxLQUFLLE1BQU0sQ0FBQyxLQUFLLEVBQUUsQ0FBQztnQkFDcEQsTUFBTSxJQUFBLHdCQUFlLEVBQUMsWUFBWSxJQUFJLElBQUksU0FBUyxVQUFVLGFBQWEsY0FBYyxNQUFNLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQztZQUMxRyxDQUFDO1lBQ0QsT0FBTyxNQUFNLENBQUM7UUFDaEIsQ0FBQyxDQUFDO1FBRUYscUVBQXFFO1FBQ3JFLHFFQUFxRTtRQUNyRSxNQUFNLG9CQUFvQixHQUFHLHdFQUF3RSxDQUFDO1FBQ3RHLE1BQU0saUJBQWlCLEdBQUcsQ0FBQyxLQUFhLEVBQUUsRUFBRTtZQUMxQyxJQUFJLEtBQUssS0FBSyxjQUFjLEVBQUUsQ0FBQztnQkFDN0IsTUFBTSxJQUFBLHdCQUFlLEVBQUMsb0JBQW9CLEVBQUUsRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLENBQUMsQ0FBQztZQUNsRSxDQUFDO1FBQ0gsQ0FBQyxDQUFDO1FBRUYsbUVBQW1FO1FBQ25FLHNFQUFzRTtRQUN0RSxNQUFNLFlBQVksR0FBRyxDQUFDLElBQXVCLEVBQUUsS0FBYSxFQUFFLGNBQXNCLEVBQUUsRUFBRTtZQUN0RixNQUFNLE9BQU8sR0FBRyxJQUFBLHdCQUFlLEVBQUMsY0FBYyxDQUFDLENBQUM7WUFDaEQsTUFBTSxHQUFHLEdBQTRCLEVBQUUsQ0FBQztZQUN4QyxNQUFNLE1BQU0sR0FBYSxFQUFFLENBQUM7WUFDNUIsS0FBSyxNQUFNLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQyxJQUFJLE1BQU0sQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQztnQkFDakQsSUFBSSxzQkFBc0IsQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLElBQUksSUFBQSw4QkFBZ0IsRUFBQyxHQUFHLENBQUMsRUFBRSxDQUFDO29CQUNsRSxNQUFNLElBQUEsd0JBQWUsRUFBQywrQkFBK0IsR0FBRyxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsR0FBRyxFQUFFLENBQUMsQ0FBQztnQkFDOUUsQ0FBQztnQkFDRCxJQUFJLEdBQUcsS0FBSyxJQUFJLElBQUksR0FBRyxLQUFLLEVBQUUsRUFBRSxDQUFDO29CQUMvQixNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO2dCQUNuQixDQUFDO3FCQUFNLENBQUM7b0JBQ04sR0FBRyxDQUFDLEdBQUcsQ0FBQyxHQUFHLEdBQUcsQ0FBQztnQkFDakIsQ0FBQztZQUNILENBQUM7WUFDRCxNQUFNLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxHQUFHLElBQUEsbUNBQWtCLEVBQUMsSUFBSSxFQUFFLEtBQUssRUFBRSxHQUFHLEVBQUUsRUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztZQUNuRixNQUFNLE1BQU0sR0FBRyxJQUFBLDBCQUFTLEVBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxJQUFJLEVBQUUsQ0FBQztZQUM1QyxLQUFLLE1BQU0sR0FBRyxJQUFJLE1BQU0sRUFBRSxDQUFDO2dCQUN6QixJQUFJLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUM7b0JBQ2pCLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLEVBQUUsR0FBRyxFQUFFLE9BQU8sRUFBRSx3QkFBd0IsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDO2dCQUN4RSxDQUFDO3FCQUFNLElBQUksTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDO29CQUNoQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxPQUFPLEVBQUUsVUFBVSxFQUFFLENBQUMsQ0FBQztnQkFDbkQsQ0FBQztZQUNILENBQUM7WUFDRCxJQUFJLE1BQU0sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLENBQUM7Z0JBQ3RCLE1BQU0sSUFBQSw2QkFBb0IsRUFBQyxNQUFNLENBQUMsQ0FBQztZQUNyQyxDQUFDO1lBQ0QsT0FBTyxFQUFFLEdBQUcsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLENBQUM7UUFDakMsQ0FBQyxDQUFDO1FBRUYsaUVBQWlFO1FBQ2pFLE1BQU0sY0FBYyxHQUFHLEtBQUssRUFDMUIsU0FBaUIsRUFDakIsUUFBZ0IsRUFDaEIsYUFBcUIsRUFDckIsS0FBMkIsQ0FBRSxFQUM3QixFQUFFO1lBQ0YsTUFBTSxJQUFJLEdBQUcsTUFBTSxFQUFFLENBQUMsQ0FBQyxDQUFDLFFBQVEsRUFBRSxhQUFhLENBQUM7aUJBQzdDLE1BQU0sQ0FBQywrQkFBa0IsQ0FBQztpQkFDMUIsT0FBTyxDQUFDLElBQUksRUFBRSxPQUFPLEVBQUUsZ0JBQWdCLEVBQUUsYUFBYSxDQUFDO2lCQUN2RCxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDO2lCQUNYLEVBQUUsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUM7aUJBQ2QsRUFBRSxDQUFDLGdCQUFnQixDQUFDLEVBQUUsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO2lCQUNuQyxFQUFFLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLGFBQWEsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztpQkFDMUQsTUFBTSxFQUFFLENBQUM7WUFDWixNQUFNLFFBQVEsR0FBRyxDQUFDLFFBQWdCLEVBQUUsRUFBRTtnQkFDcEMsTUFBTSxDQUFDLEdBQVEsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQVEsRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLEVBQUUsSUFBSSxDQUFDLENBQUMsS0FBSyxNQUFNLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztnQkFDdEYsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUEscUNBQW9CLEVBQUMsS0FBSyxDQUFDLFFBQVEsRUFBRSxLQUFLLENBQUMsQ0FBQyxFQUFFLGdCQUFnQixDQUFDLENBQUM7b0JBQUUsT0FBTyxJQUFJLENBQUM7Z0JBQ3pGLE9BQU8sRUFBRSxLQUFLLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxPQUFPLENBQUMsRUFBRSxXQUFXLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxhQUFhLENBQUMsRUFBRSxDQUFDO1lBQzVFLENBQUMsQ0FBQztZQUNGLE1BQU0sR0FBRyxHQUFHLFFBQVEsQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUMvQixNQUFNLEdBQUcsR0FBRyxRQUFRLENBQUMsYUFBYSxDQUFDLENBQUM7WUFDcEMsTUFBTSxNQUFNLEdBQWlCLEVBQUUsQ0FBQztZQUNoQyxJQUFJLENBQUMsR0FBRztnQkFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUscUJBQXFCLFFBQVEsRUFBRSxFQUFFLENBQUMsQ0FBQztZQUNyRixJQUFJLENBQUMsR0FBRztnQkFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxFQUFFLGFBQWEsRUFBRSxPQUFPLEVBQUUscUJBQXFCLGFBQWEsRUFBRSxFQUFFLENBQUMsQ0FBQztZQUMvRixJQUFJLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRztnQkFBRSxPQUFPLE1BQU0sQ0FBQztZQUVoQyxNQUFNLGNBQWMsR0FBRyxJQUFBLG1DQUFrQixFQUFDLFNBQVMsRUFBRSxHQUFHLEVBQUUsR0FBRyxDQUFDLENBQUM7WUFDL0QsSUFBSSxjQUFjLENBQUMsTUFBTSxHQUFHLENBQUM7Z0JBQUUsT0FBTyxjQUFjLENBQUM7WUFFckQseURBQXlEO1lBQ3pELE1BQU0sSUFBSSxHQUFHLDJCQUFVLENBQUMsU0FBUyxDQUFDLENBQUM7WUFDbkMsTUFBTSxVQUFVLEdBQUcsTUFBTSxFQUFFLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQztpQkFDcEMsSUFBSSxDQUFDLFNBQVMsQ0FBQztpQkFDZixNQUFNLENBQUMsK0JBQWtCLENBQUM7aUJBQzFCLEtBQUssQ0FBQyxFQUFFLENBQUMsR0FBRyxFQUFFLENBQUMsS0FBSyxDQUFDLGFBQWEsQ0FBQyxDQUFDO2lCQUNwQyxLQUFLLEVBQUU7aUJBQ1AsSUFBSSxFQUFFLENBQUM7WUFDVixNQUFNLFVBQVUsR0FBRyxJQUFJLENBQUMsWUFBWTtnQkFDbEMsQ0FBQyxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsTUFBTSxDQUFDLCtCQUFrQixDQUFDLENBQUMsS0FBSyxFQUFFLENBQUMsSUFBSSxFQUFFO2dCQUNoRixDQUFDLENBQUMsSUFBSSxDQUFDO1lBQ1QsTUFBTSxhQUFhLEdBQUcsSUFBSSxDQUFDLGlCQUFpQjtnQkFDMUMsQ0FBQyxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUMsQ0FBQyxhQUFhLENBQUMsQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLENBQUMsTUFBTSxDQUFDLCtCQUFrQixDQUFDLENBQUMsS0FBSyxFQUFFLENBQUMsSUFBSSxFQUFFO2dCQUNwRixDQUFDLENBQUMsSUFBSSxDQUFDO1lBQ1QsSUFBSSxNQUFNLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDO2dCQUNqQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxFQUFFLGFBQWEsRUFBRSxPQUFPLEVBQUUsR0FBRyxTQUFTLCtCQUErQixFQUFFLENBQUMsQ0FBQztZQUM5RixDQUFDO2lCQUFNLElBQUksVUFBVSxJQUFJLE1BQU0sQ0FBQyxVQUFVLENBQUMsS0FBSyxDQUFDLElBQUksSUFBSSxDQUFDLFlBQWEsRUFBRSxDQUFDO2dCQUN4RSxNQUFNLENBQUMsSUFBSSxDQUFDO29CQUNWLEtBQUssRUFBRSxRQUFRO29CQUNmLE9BQU8sRUFBRSxHQUFHLFNBQVMsbUJBQW1CLElBQUksQ0FBQyxZQUFZLGdCQUFnQixHQUFHLENBQUMsS0FBSywwQkFBMEIsVUFBVSxDQUFDLEtBQUssRUFBRTtpQkFDL0gsQ0FBQyxDQUFDO1lBQ0wsQ0FBQztpQkFBTSxJQUFJLGFBQWEsSUFBSSxNQUFNLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQyxJQUFJLElBQUksQ0FBQyxpQkFBa0IsRUFBRSxDQUFDO2dCQUNuRixNQUFNLENBQUMsSUFBSSxDQUFDO29CQUNWLEtBQUssRUFBRSxhQUFhO29CQUNwQixPQUFPLEVBQUUsR0FBRyxTQUFTLG1CQUFtQixJQUFJLENBQUMsaUJBQWlCLGdCQUFnQixHQUFHLENBQUMsS0FBSywwQkFBMEIsYUFBYSxDQUFDLEtBQUssRUFBRTtpQkFDdkksQ0FBQyxDQUFDO1lBQ0wsQ0FBQztZQUNELE9BQU8sTUFBTSxDQUFDO1FBQ2hCLENBQUMsQ0FBQztRQUVGLE1BQU0saUJBQWlCLEdBQUcsS0FBSyxFQUM3QixRQUFnQixFQUNoQixHQUE0QixFQUM1QixNQUFnQixFQUNoQixLQUEyQixDQUFFLEVBQzdCLEVBQUU7WUFDRiw2REFBNkQ7WUFDN0QsTUFBTSxRQUFRLEdBQUc7Z0JBQ2YsR0FBRyxNQUFNO2dCQUNULEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsRUFBRSxFQUFFLENBQUMsK0JBQWlCLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLGdDQUFrQixDQUFDO2FBQ25GLENBQUM7WUFDRixJQUFJLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDO1lBQ3ZCLElBQUksUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsQ0FBQztnQkFDeEIsQ0FBQyxHQUFHLENBQUMsQ0FBQyxVQUFVLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUM7WUFDdEQsQ0FBQztZQUNELEtBQUssTUFBTSxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsSUFBSSxDQUFDLEdBQUcsTUFBTSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsRUFBRSxHQUFHLE1BQU0sQ0FBQyxPQUFPLENBQUMsSUFBQSw4QkFBZ0IsRUFBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztnQkFDNUYsQ0FBQyxHQUFHLENBQUMsQ0FBQyxRQUFRLENBQUMsV0FBVyxDQUFDLE1BQU0sRUFBRSxHQUFHLEVBQUUsR0FBRyxDQUFDLENBQUM7WUFDL0MsQ0FBQztZQUNELE1BQU0sQ0FBQyxDQUFDLE9BQU8sRUFBRSxDQUFDO1FBQ3BCLENBQUMsQ0FBQztRQUVGLE1BQU0sZUFBZSxHQUFHLEtBQUssRUFDM0IsTUFBYyxFQUNkLEdBQTRCLEVBQzVCLE1BQWdCLEVBQ2hCLEtBQTJCLENBQUUsRUFDN0IsRUFBRTtZQUNGLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUM7WUFDckIsSUFBSSxNQUFNLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxDQUFDO2dCQUN0QixDQUFDLEdBQUcsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztZQUNwRCxDQUFDO1lBQ0QsS0FBSyxNQUFNLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQyxJQUFJLE1BQU0sQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQztnQkFDN0MsQ0FBQyxHQUFHLENBQUMsQ0FBQyxRQUFRLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQyxDQUFDO1lBQzNCLENBQUM7WUFDRCxNQUFNLENBQUMsQ0FBQyxPQUFPLEVBQUUsQ0FBQztRQUNwQixDQUFDLENBQUM7UUFFRixpRUFBaUU7UUFDakUsTUFBTSxlQUFlLEdBQUcsS0FBSyxFQUFFLFFBQWdCLEVBQUUsT0FBZ0IsRUFBRSxLQUEyQixDQUFFLEVBQUUsRUFBRTtZQUNsRyxJQUFJLENBQUMsT0FBTyxFQUFFLENBQUM7Z0JBQ2IsTUFBTSxTQUFTLEdBQUcsTUFBTSxFQUFFLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDLEtBQUssRUFBRSxDQUFDLE1BQU0sQ0FBQywrQkFBa0IsQ0FBQyxDQUFDLEtBQUssRUFBRSxDQUFDLElBQUksRUFBRSxDQUFDO2dCQUN6RixJQUFJLE1BQU0sQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUM7b0JBQ2hDLE1BQU0sSUFBQSxzQkFBYSxFQUFDLFVBQVUsUUFBUSxRQUFRLFNBQVMsQ0FBQyxLQUFLLHdDQUF3QyxFQUFFO3dCQUNyRyxTQUFTLEVBQUUsTUFBTSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUM7cUJBQ25DLENBQUMsQ0FBQztnQkFDTCxDQUFDO1lBQ0gsQ0FBQztZQUNELE1BQU0sU0FBUyxHQUFHLElBQUksSUFBSSxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUM7WUFDM0MsTUFBTSxFQUFFLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQztpQkFDakIsVUFBVSxDQUNULEVBQUUsQ0FBQyxLQUFLLEVBQUU7aUJBQ1AsTUFBTSxDQUFDLCtCQUFrQixDQUFDO2lCQUMxQixRQUFRLENBQUMsK0JBQWtCLEVBQUUsU0FBUyxDQUFDO2lCQUN2QyxRQUFRLENBQUMsV0FBVyxFQUFFLEtBQUssQ0FBQyxRQUFRLENBQUMsQ0FDekM7aUJBQ0EsUUFBUSxDQUFDLFdBQVcsQ0FBQyxNQUFNLEVBQUUsK0JBQWtCLEVBQUUsU0FBUyxDQUFDO2lCQUMzRCxRQUFRLENBQUMsV0FBVyxDQUFDLE1BQU0sRUFBRSxXQUFXLEVBQUUsS0FBSyxDQUFDLFFBQVEsQ0FBQztpQkFDekQsT0FBTyxFQUFFLENBQUM7UUFDZixDQUFDLENBQUM7UUFFRixNQUFNLGFBQWEsR0FBRyxLQUFLLEVBQUUsTUFBYyxFQUFFLEtBQTJCLENBQUUsRUFBRSxFQUFFO1lBQzVFLE1BQU0sRUFBRSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUM7aUJBQ2YsUUFBUSxDQUFDLCtCQUFrQixFQUFFLElBQUksSUFBSSxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUM7aUJBQ3RELFFBQVEsQ0FBQyxXQUFXLEVBQUUsS0FBSyxDQUFDLFFBQVEsQ0FBQztpQkFDckMsUUFBUSxDQUFDLHNDQUF5QixFQUFFLElBQUksQ0FBQztpQkFDekMsT0FBTyxFQUFFLENBQUM7UUFDZixDQUFDLENBQUM7UUFFRixxRUFBcUU7UUFDckUsc0VBQXNFO1FBQ3RFLDBCQUEwQjtRQUMxQixNQUFNLG9CQUFvQixHQUFHLEtBQUssRUFBRSxRQUFnQixFQUFFLEVBQXdCLEVBQUUsRUFBRTtZQUNoRixNQUFNLElBQUksR0FBRyxNQUFNLEVBQUUsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDO2lCQUM5QixLQUFLLEVBQUU7aUJBQ1AsR0FBRyxDQUFDLCtCQUFrQixDQUFDO2lCQUN2QixNQUFNLENBQUMsc0NBQXlCLENBQUM7aUJBQ2pDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUMsR0FBRyxDQUFDLCtCQUFrQixDQUFDLENBQUMsS0FBSyxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO2lCQUN2RCxPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sRUFBRSxRQUFRLEVBQUUsUUFBUSxDQUFDO2lCQUMxQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDO2lCQUNYLEVBQUUsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUM7aUJBQ2QsRUFBRSxDQUFDLEVBQUUsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztpQkFDbEIsRUFBRSxDQUFDLEVBQUUsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztpQkFDakIsTUFBTSxFQUFFLENBQUM7WUFDWixNQUFNLEtBQUssR0FBb0IsSUFBYyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztnQkFDeEQsRUFBRSxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDO2dCQUMxQixLQUFLLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxPQUFPLENBQUM7Z0JBQ3hCLE1BQU0sRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxRQUFRLENBQUMsQ0FBQztnQkFDbEMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDO2FBQ25DLENBQUMsQ0FBQyxDQUFDO1lBQ0osTUFBTSxJQUFBLDhCQUFvQixFQUN4QixRQUFRLEVBQ1IsS0FBSyxFQUNMLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxjQUFjLENBQUMsSUFBSSxDQUFDLEtBQUssRUFBRSxJQUFJLENBQUMsTUFBTSxFQUFFLElBQUksQ0FBQyxNQUFNLEVBQUUsRUFBRSxDQUFDLEVBQ2xFLEtBQUssRUFBRSxJQUFJLEVBQUUsRUFBRTtnQkFDYixNQUFNLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxHQUFHLDJCQUFjLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLEVBQUUsQ0FBQztZQUNyRSxDQUFDLENBQ0YsQ0FBQztRQUNKLENBQUMsQ0FBQztRQUVGLElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxjQUFjLEVBQUUsQ0FBQztZQUNuQyxNQUFNLEVBQUUsRUFBRSxFQUFFLFFBQVEsRUFBRSxLQUFLLEVBQUUsVUFBVSxFQUFFLGNBQWMsRUFBRSxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUM7WUFDNUUsT0FBTyxJQUFBLDJCQUFhLEVBQUMsQ0FBRSxFQUFFLEtBQUssRUFBRSxHQUFHLEVBQUUsRUFBRTtnQkFDckMsTUFBTSxNQUFNLEdBQUcsTUFBTSxjQUFjLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxLQUFLLEVBQUUsR0FBRyxDQUFDLENBQUM7Z0JBQ3BFLGlCQUFpQixDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDaEMsTUFBTSxFQUFFLEdBQUcsRUFBRSxNQUFNLEVBQUUsR0FBRyxZQUFZLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQyxLQUFLLEVBQUUsY0FBYyxDQUFDLENBQUM7Z0JBQzdFLE1BQU0saUJBQWlCLENBQUMsUUFBUSxFQUFFLEdBQUcsRUFBRSxNQUFNLEVBQUUsR0FBRyxDQUFDLENBQUM7Z0JBRXBELE1BQU0sTUFBTSxHQUFHLE1BQU0sVUFBVSxDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQztnQkFDL0MsTUFBTSxXQUFXLENBQUMsY0FBYyxFQUFFLE1BQU0sRUFBRSxRQUFRLENBQUMsTUFBTSxDQUFDLEVBQUUsUUFBUSxDQUFDLE1BQU0sQ0FBQyxFQUFFLEdBQUcsQ0FBQyxDQUFDO2dCQUNuRixPQUFPLENBQUMsR0FBRyxDQUFDLGlCQUFpQixFQUFFLFFBQVEsRUFBRSxHQUFHLEVBQUUsTUFBTSxDQUFDLENBQUM7Z0JBQ3RELE9BQU8sTUFBTSxDQUFDO1lBQ2hCLENBQUMsQ0FBQyxDQUFDO1FBQ0wsQ0FBQztRQUVELElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxjQUFjLEVBQUUsQ0FBQztZQUNuQyxNQUFNLEVBQUUsRUFBRSxFQUFFLFFBQVEsRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLEdBQUcsS0FBSyxDQUFDLFNBQVMsQ0FBQztZQUN6RCxNQUFNLE1BQU0sR0FBRyxNQUFNLElBQUEsMkJBQWEsRUFBQyxDQUFFLEVBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxFQUFFO2dCQUNuRCxNQUFNLE1BQU0sR0FBRyxNQUFNLGNBQWMsQ0FBQyxRQUFRLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxHQUFHLENBQUMsQ0FBQztnQkFDcEUsTUFBTSxlQUFlLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLENBQUM7Z0JBQ2hELE1BQU0sV0FBVyxDQUFDLGNBQWMsRUFBRSxNQUFNLEVBQUUsUUFBUSxDQUFDLE1BQU0sQ0FBQyxFQUFFLElBQUksRUFBRSxHQUFHLENBQUMsQ0FBQztnQkFDdkUsT0FBTyxNQUFNLENBQUM7WUFDaEIsQ0FBQyxDQUFDLENBQUM7WUFDSCxPQUFPLENBQUMsR0FBRyxDQUFDLGlCQUFpQixFQUFFLFFBQVEsRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDckUsT0FBTyxNQUFNLENBQUM7UUFDaEIsQ0FBQztRQUVELElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxlQUFlLEVBQUUsQ0FBQztZQUNwQyxNQUFNLEVBQUUsRUFBRSxFQUFFLFFBQVEsRUFBRSxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUM7WUFDekMsTUFBTSxRQUFRLEdBQUcsTUFBTSxJQUFBLDJCQUFhLEVBQUMsQ0FBRSxFQUFFLEtBQUssRUFBRSxHQUFHLEVBQUUsRUFBRTtnQkFDckQsTUFBTSxNQUFNLEdBQUcsTUFBTSxVQUFVLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxDQUFDO2dCQUMvQyxNQUFNLFNBQVMsR0FBRyxNQUFNLEVBQUUsVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsS0FBSywrQkFBa0IsQ0FBQyxFQUFFLEtBQUssQ0FBQztnQkFDdEYsSUFBSSxDQUFDLE1BQU0sSUFBSSxDQUFDLFNBQVMsRUFBRSxDQUFDO29CQUMxQixNQUFNLElBQUEsc0JBQWEsRUFBQyxxQkFBcUIsUUFBUSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsUUFBUSxFQUFFLENBQUMsQ0FBQztnQkFDekUsQ0FBQztnQkFDRCxJQUFJLFNBQVMsSUFBSSxJQUFBLHdCQUFXLEdBQUUsRUFBRSxDQUFDO29CQUMvQixNQUFNLElBQUEsc0JBQWEsRUFDakIsVUFBVSxRQUFRLDBCQUEwQixJQUFBLG1DQUFzQixHQUFFLHlDQUF5QyxDQUM5RyxDQUFDO2dCQUNKLENBQUM7Z0JBQ0Qsa0VBQWtFO2dCQUNsRSxNQUFNLFdBQVcsR0FBRyxNQUFNLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsS0FBSyxhQUFhLENBQUMsRUFBRSxLQUFLLENBQUM7Z0JBQ2xGLElBQUksTUFBTSxDQUFDLEtBQUssS0FBSyxjQUFjLElBQUksV0FBVyxFQUFFLENBQUM7b0JBQ25ELE1BQU0sd0JBQXdCLENBQUMsV0FBVyxFQUFFLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQztnQkFDN0QsQ0FBQztnQkFDRCwrREFBK0Q7Z0JBQy9ELEtBQUssTUFBTSxHQUFHLElBQUkseUJBQVksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLElBQUksRUFBRSxFQUFFLENBQUM7b0JBQ25ELE1BQU0sS0FBSyxHQUFHLE1BQU0sQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssQ0FBQztvQkFDbEUsSUFBSSxDQUFDLEtBQUs7d0JBQUUsU0FBUztvQkFDckIsTUFBTSxLQUFLLEdBQUcsTUFBTSxHQUFHLENBQUMsQ0FBQyxFQUFFO3lCQUN4QixRQUFRLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQzt5QkFDdEIsR0FBRyxDQUFDLEdBQUcsRUFBRSxLQUFLLENBQUM7eUJBQ2YsTUFBTSxDQUFDLCtCQUFrQixDQUFDO3lCQUMxQixFQUFFLEVBQUU7eUJBQ0osTUFBTSxFQUFFLENBQUM7b0JBQ1osSUFBSSxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxDQUFDO3dCQUNyQixNQUFNLElBQUEsc0JBQWEsRUFBQyxHQUFHLE1BQU0sQ0FBQyxLQUFLLElBQUksS0FBSyxDQUFDLENBQUMsQ0FBQyxjQUFjLEdBQUcsSUFBSSxLQUFLLG1CQUFtQixFQUFFOzRCQUM1RixFQUFFLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQzt5QkFDckIsQ0FBQyxDQUFDO29CQUNMLENBQUM7Z0JBQ0gsQ0FBQztnQkFFRCxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUMsVUFBVSxDQUFDLEdBQUcsMkJBQWMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLE9BQU8sRUFBRSxDQUFDO2dCQUNyRSxNQUFNLG9CQUFvQixDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQztnQkFFMUMsTUFBTSxNQUFNLEdBQUcsTUFBTSxVQUFVLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxDQUFDO2dCQUMvQyxNQUFNLFdBQVcsQ0FBQyxlQUFlLEVBQUUsTUFBTSxFQUFFLFFBQVEsQ0FBQyxNQUFNLENBQUMsRUFBRSxRQUFRLENBQUMsTUFBTSxDQUFDLEVBQUUsR0FBRyxDQUFDLENBQUM7Z0JBQ3BGLE9BQU8sTUFBTSxDQUFDO1lBQ2hCLENBQUMsQ0FBQyxDQUFDO1lBQ0gsT0FBTyxDQUFDLEdBQUcsQ0FBQyxrQkFBa0IsRUFBRSxRQUFRLENBQUMsQ0FBQztZQUMxQyxPQUFPLFFBQVEsQ0FBQztRQUNsQixDQUFDO1FBRUQsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLFlBQVksRUFBRSxDQUFDO1lBQ2pDLE1BQU0sRUFBRSxFQUFFLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxVQUFVLEVBQUUsY0FBYyxFQUFFLEdBQUcsS0FBSyxDQUFDLFNBQVMsQ0FBQztZQUMxRSxPQUFPLElBQUEsMkJBQWEsRUFBQyxDQUFFLEVBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxFQUFFO2dCQUNyQyxNQUFNLE1BQU0sR0FBRyxNQUFNLGNBQWMsQ0FBQyxNQUFNLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxHQUFHLENBQUMsQ0FBQztnQkFDaEUsTUFBTSxFQUFFLEdBQUcsRUFBRSxNQUFNLEVBQUUsR0FBRyxZQUFZLENBQUMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxLQUFLLEVBQUUsY0FBYyxDQUFDLENBQUM7Z0JBQzNFLE1BQU0sZUFBZSxDQUFDLE1BQU0sRUFBRSxHQUFHLEVBQUUsTUFBTSxFQUFFLEdBQUcsQ0FBQyxDQUFDO2dCQUVoRCxNQUFNLElBQUksR0FBRyxNQUFNLFFBQVEsQ0FBQyxNQUFNLEVBQUUsR0FBRyxDQUFDLENBQUM7Z0JBQ3pDLE1BQU0sV0FBVyxDQUFDLFlBQVksRUFBRSxNQUFNLEVBQUUsUUFBUSxDQUFDLE1BQU0sQ0FBQyxFQUFFLFFBQVEsQ0FBQyxJQUFJLENBQUMsRUFBRSxHQUFHLENBQUMsQ0FBQztnQkFDL0UsT0FBTyxDQUFDLEdBQUcsQ0FBQyxlQUFlLEVBQUUsTUFBTSxFQUFFLEdBQUcsRUFBRSxNQUFNLENBQUMsQ0FBQztnQkFDbEQsT0FBTyxJQUFJLENBQUM7WUFDZCxDQUFDLENBQUMsQ0FBQztRQUNMLENBQUM7UUFFRCxJQUFJLEtBQUssQ0FBQyxLQUFLLEtBQUssWUFBWSxFQUFFLENBQUM7WUFDakMsTUFBTSxFQUFFLEVBQUUsRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLEdBQUcsS0FBSyxDQUFDLFNBQVMsQ0FBQztZQUM5QyxNQUFNLE1BQU0sR0FBRyxNQUFNLElBQUEsMkJBQWEsRUFBQyxDQUFFLEVBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxFQUFFO2dCQUNuRCxNQUFNLElBQUksR0FBRyxNQUFNLGNBQWMsQ0FBQyxNQUFNLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxHQUFHLENBQUMsQ0FBQztnQkFDOUQsTUFBTSxhQUFhLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxDQUFDO2dCQUNqQyxNQUFNLFdBQVcsQ0FBQyxZQUFZLEVBQUUsSUFBSSxFQUFFLFFBQVEsQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsR0FBRyxDQUFDLENBQUM7Z0JBQ2pFLE9BQU8sSUFBSSxDQUFDO1lBQ2QsQ0FBQyxDQUFDLENBQUM7WUFDSCxPQUFPLENBQUMsR0FBRyxDQUFDLGVBQWUsRUFBRSxNQUFNLENBQUMsQ0FBQztZQUNyQyxPQUFPLE1BQU0sQ0FBQztRQUNoQixDQUFDO1FBRUQsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLGFBQWEsRUFBRSxDQUFDO1lBQ2xDLE1BQU0sRUFBRSxFQUFFLEVBQUUsTUFBTSxFQUFFLEdBQUcsS0FBSyxDQUFDLFNBQVMsQ0FBQztZQUN2QyxNQUFNLFFBQVEsR0FBRyxNQUFNLElBQUEsMkJBQWEsRUFBQyxDQUFFLEVBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxFQUFFO2dCQUNyRCxNQUFNLE1BQU0sR0FBRyxNQUFNLFFBQVEsQ0FBQyxNQUFNLEVBQUUsR0FBRyxDQUFDLENBQUM7Z0JBQzNDLE1BQU0sU0FBUyxHQUFHLE1BQU0sRUFBRSxVQUFVLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxLQUFLLCtCQUFrQixDQUFDLEVBQUUsS0FBSyxDQUFDO2dCQUN0RixJQUFJLENBQUMsTUFBTSxJQUFJLENBQUMsU0FBUyxFQUFFLENBQUM7b0JBQzFCLE1BQU0sSUFBQSxzQkFBYSxFQUFDLG1CQUFtQixNQUFNLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDO2dCQUNuRSxDQUFDO2dCQUNELElBQUksU0FBUyxJQUFJLElBQUEsd0JBQVcsR0FBRSxFQUFFLENBQUM7b0JBQy9CLE1BQU0sSUFBQSxzQkFBYSxFQUNqQixRQUFRLE1BQU0sMEJBQTBCLElBQUEsbUNBQXNCLEdBQUUseUNBQXlDLENBQzFHLENBQUM7Z0JBQ0osQ0FBQztnQkFDRCxNQUFNLFdBQVcsR0FBRyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLENBQUMsR0FBRyxDQUFDLCtCQUFrQixDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsTUFBTSxFQUFFLENBQUM7Z0JBQ3RGLElBQUksV0FBVyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsQ0FBQztvQkFDM0IsTUFBTSxJQUFBLHNCQUFhLEVBQUMsa0JBQWtCLFdBQVcsQ0FBQyxDQUFDLENBQUMsZ0JBQWdCLE1BQU0sRUFBRSxFQUFFO3dCQUM1RSxFQUFFLEVBQUUsTUFBTSxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQztxQkFDM0IsQ0FBQyxDQUFDO2dCQUNMLENBQUM7Z0JBQ0QsMERBQTBEO2dCQUMxRCxNQUFNLE1BQU0sR0FBRyxNQUFNLGNBQWMsQ0FBQyxNQUFNLENBQUMsS0FBSyxFQUFFLE1BQU0sQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLE1BQU0sRUFBRSxHQUFHLENBQUMsQ0FBQztnQkFDckYsSUFBSSxNQUFNLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxDQUFDO29CQUN0QixNQUFNLElBQUEsNkJBQW9CLEVBQUMsTUFBTSxDQUFDLENBQUM7Z0JBQ3JDLENBQUM7Z0JBRUQsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLFVBQVUsQ0FBQyxHQUFHLDJCQUFjLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLEVBQUUsQ0FBQztnQkFDbkUsTUFBTSxJQUFJLEdBQUcsTUFBTSxRQUFRLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxDQUFDO2dCQUN6QyxNQUFNLFdBQVcsQ0FBQyxhQUFhLEVBQUUsTUFBTSxFQUFFLFFBQVEsQ0FBQyxNQUFNLENBQUMsRUFBRSxRQUFRLENBQUMsSUFBSSxDQUFDLEVBQUUsR0FBRyxDQUFDLENBQUM7Z0JBQ2hGLE9BQU8sSUFBSSxDQUFDO1lBQ2QsQ0FBQyxDQUFDLENBQUM7WUFDSCxPQUFPLENBQUMsR0FBRyxDQUFDLGdCQUFnQixFQUFFLE1BQU0sQ0FBQyxDQUFDO1lBQ3RDLE9BQU8sUUFBUSxDQUFDO1FBQ2xCLENBQUM7UUFFRCxnQkFBZ0I7UUFDaEIsd0VBQXdFO1FBQ3hFLHlFQUF5RTtRQUN6RSx5RUFBeUU7UUFDekUsc0VBQXNFO1FBQ3RFLGtFQUFrRTtRQUNsRSw2REFBNkQ7UUFDN0QsTUFBTSxvQkFBb0IsR0FBRyxLQUFLLEVBQUUsQ0FBTSxFQUE4QixFQUFFO1lBQ3hFLE1BQU0sSUFBSSxHQUFHLE1BQU0sQ0FBQztpQkFDakIsT0FBTyxDQUFDLElBQUksRUFBRSxXQUFXLENBQUM7aUJBQzFCLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7aUJBQ1gsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQywrQkFBa0IsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztpQkFDL0QsTUFBTSxFQUFFLENBQUM7WUFDWixNQUFNLEtBQUssR0FBRyxDQUFDLENBQU0sRUFBRSxHQUFXLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1lBQ2xGLE9BQVEsSUFBYyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxFQUFFLEVBQUUsRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsQ0FBQyxFQUFFLFNBQVMsRUFBRSxLQUFLLENBQUMsQ0FBQyxFQUFFLFdBQVcsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO1FBQ3hHLENBQUMsQ0FBQztRQUVGLE1BQU0sWUFBWSxHQUFHLEtBQUssRUFDeEIsS0FBYSxFQUNiLE1BQStCLEVBQy9CLGNBQXlDLEVBQ3pDLEVBQXdCLEVBQzJDLEVBQUU7WUFDckUsTUFBTSxVQUFVLEdBQUcsQ0FBQyx5QkFBWSxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDO1lBQ3hGLE1BQU0sQ0FBQyxRQUFRLEVBQUUsVUFBVSxDQUFDLEdBQUcsVUFBVTtnQkFDdkMsQ0FBQyxDQUFDLENBQUMsVUFBVSxFQUFFLE1BQU0sQ0FBQyxVQUFVLENBQUMsQ0FBQztnQkFDbEMsQ0FBQyxDQUFDLENBQUMscUNBQXdCLEVBQUUsY0FBYyxDQUFDLENBQUM7WUFDL0MsSUFBSSxDQUFDLFVBQVUsRUFBRSxDQUFDO2dCQUNoQixNQUFNLElBQUksR0FBRyxDQUFDLEdBQUcsQ0FBQyx5QkFBWSxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsQ0FBQyxFQUFFLHFDQUF3QixDQUFDLENBQUM7Z0JBQ3hFLE1BQU0sSUFBQSx3QkFBZSxFQUFDLGFBQWEsS0FBSyxrQkFBa0IsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDL0UsQ0FBQztZQUVELE1BQU0sUUFBUSxHQUFHLElBQUEsd0JBQWUsRUFDOUIsTUFBTSxvQkFBb0IsQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsVUFBVSxDQUFDLENBQUMsRUFDNUUsQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLEdBQUcsS0FBSyxJQUFJLEtBQUssbUJBQW1CLFFBQVEsSUFBSSxVQUFVLG9CQUFvQixDQUMxRixDQUFDO1lBQ0YsSUFBSSxDQUFDLFFBQVEsRUFBRSxDQUFDO2dCQUNkLE1BQU0sS0FBSyxHQUFHLEdBQUcsS0FBSyxDQUFDLFdBQVcsRUFBRSxJQUFJLElBQUEsbUJBQVUsR0FBRSxFQUFFLENBQUM7Z0JBQ3ZELElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsUUFBUSxDQUFDLEVBQUUsRUFBRSxLQUFLLENBQUMsQ0FBQztnQkFDM0MsS0FBSyxNQUFNLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQyxJQUFJLENBQUMsR0FBRyxNQUFNLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxFQUFFLEdBQUcsTUFBTSxDQUFDLE9BQU8sQ0FBQyxJQUFBLDhCQUFnQixFQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO29CQUNsRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLENBQUM7Z0JBQzNCLENBQUM7Z0JBQ0QsSUFBSSxjQUFjO29CQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsUUFBUSxDQUFDLHFDQUF3QixFQUFFLGNBQWMsQ0FBQyxDQUFDO2dCQUM3RSxNQUFNLENBQUMsQ0FBQyxPQUFPLEVBQUUsQ0FBQztnQkFDbEIsT0FBTyxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLFNBQVMsRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLENBQUM7WUFDekQsQ0FBQztZQUNELE1BQU0sTUFBTSxHQUFHLFFBQVEsQ0FBQyxNQUFNLFVBQVUsQ0FBQyxRQUFRLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQztZQUN4RCxNQUFNLGlCQUFpQixDQUFDLFFBQVEsRUFBRSxNQUFNLEVBQUUsRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1lBQ2xELE9BQU8sRUFBRSxFQUFFLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxTQUFTLEVBQUUsTUFBTSxFQUFFLENBQUM7UUFDdEQsQ0FBQyxDQUFDO1FBRUYsb0VBQW9FO1FBQ3BFLGFBQWE7UUFDYixNQUFNLFVBQVUsR0FBRyxLQUFLLEVBQ3RCLFNBQWlCLEVBQ2pCLFFBQWdCLEVBQ2hCLGFBQXFCLEVBQ3JCLE1BQStCLEVBQy9CLEVBQXdCLEVBQ3NFLEVBQUU7WUFDaEcsTUFBTSxNQUFNLEdBQUcsSUFBQSx3QkFBZSxFQUM1QixNQUFNLG9CQUFvQixDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsR0FBRyxFQUFFLENBQUMsS0FBSyxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsRUFDL0YsQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLEdBQUcsS0FBSyxJQUFJLFNBQVMsZUFBZSxRQUFRLE9BQU8sYUFBYSwrQkFBK0IsQ0FDM0csQ0FBQztZQUNGLElBQUksQ0FBQyxNQUFNLEVBQUUsQ0FBQztnQkFDWixNQUFNLE1BQU0sR0FBRyxNQUFNLGNBQWMsQ0FBQyxTQUFTLEVBQUUsUUFBUSxFQUFFLGFBQWEsRUFBRSxFQUFFLENBQUMsQ0FBQztnQkFDNUUsSUFBSSxNQUFNLENBQUMsTUFBTSxHQUFHLENBQUM7b0JBQUUsT0FBTyxFQUFFLE1BQU0sRUFBRSxDQUFDO2dCQUN6QyxNQUFNLEtBQUssR0FBRyxJQUFBLG1CQUFVLEdBQUUsQ0FBQztnQkFDM0IsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsRUFBRSxFQUFFLEtBQUssQ0FBQyxDQUFDO2dCQUNuRixLQUFLLE1BQU0sQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLElBQUksTUFBTSxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDO29CQUNoRCxDQUFDLEdBQUcsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLENBQUM7Z0JBQzNCLENBQUM7Z0JBQ0QsTUFBTSxDQUFDLENBQUMsT0FBTyxFQUFFLENBQUM7Z0JBQ2xCLE9BQU8sRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxTQUFTLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxDQUFDO1lBQ3pELENBQUM7WUFDRCxNQUFNLE1BQU0sR0FBRyxRQUFRLENBQUMsTUFBTSxRQUFRLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7WUFDcEQsTUFBTSxlQUFlLENBQUMsTUFBTSxFQUFFLE1BQU0sRUFBRSxFQUFFLEVBQUUsRUFBRSxDQUFDLENBQUM7WUFDOUMsT0FBTyxFQUFFLEVBQUUsRUFBRSxNQUFNLEVBQUUsT0FBTyxFQUFFLFNBQVMsRUFBRSxNQUFNLEVBQUUsQ0FBQztRQUNwRCxDQUFDLENBQUM7UUFFRiwwQkFBMEI7UUFDMUIsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLG1CQUFtQixFQUFFLENBQUM7WUFDeEMsTUFBTSxFQUFFLFdBQVcsRUFBRSxZQUFZLEVBQUUsVUFBVSxFQUFFLEtBQUssRUFBRSxZQUFZLEVBQUUsTUFBTSxFQUFFLGNBQWMsRUFBRSxHQUMxRixLQUFLLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQztZQUV4QixJQUFJLFlBQVksR0FBRyxDQUFFLENBQUMsQ0FBQyxFQUFFO2lCQUN0QixRQUFRLENBQUMsY0FBYyxDQUFDO2lCQUN4QixHQUFHLENBQUMsYUFBYSxFQUFFLFdBQVcsQ0FBQztpQkFDL0IsTUFBTSxDQUFDLCtCQUFrQixDQUFDLENBQUM7WUFDOUIsTUFBTSxNQUFNLEdBQUcsSUFBQSxzQ0FBcUIsRUFBQyxLQUFLLENBQUMsUUFBUSxDQUFDLENBQUM7WUFDckQsSUFBSSxNQUFNLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxDQUFDO2dCQUN0QixZQUFZLEdBQUcsWUFBWSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLG9CQUFvQixFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDckYsQ0FBQztZQUNELE1BQU0sVUFBVSxHQUFHLE1BQU0sWUFBWSxDQUFDLEVBQUUsRUFBRSxDQUFDLE1BQU0sRUFBRSxDQUFDO1lBQ3BELElBQUksVUFBVSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUUsQ0FBQztnQkFDNUIsTUFBTSxJQUFBLHNCQUFhLEVBQUMsc0JBQXNCLFdBQVcsRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLGFBQWEsRUFBRSxDQUFDLENBQUM7WUFDckYsQ0FBQztZQUNELElBQUksVUFBVSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsQ0FBQztnQkFDMUIsTUFBTSxJQUFBLHNCQUFhLEVBQUMsOEJBQThCLFdBQVcsV0FBVyxVQUFVLENBQUMsTUFBTSxFQUFFLEVBQUU7b0JBQzNGLEtBQUssRUFBRSxhQUFhO2lCQUNyQixDQUFDLENBQUM7WUFDTCxDQUFDO1lBRUQsSUFBSSxNQUFNLEVBQUUsQ0FBQztnQkFDWCwrREFBK0Q7Z0JBQy9ELG1FQUFtRTtnQkFDbkUsZ0VBQWdFO2dCQUNoRSxNQUFNLE1BQU0sR0FBRyxFQUFFLFlBQVksRUFBRSxVQUFVLEVBQUUsS0FBSyxFQUFFLFlBQVksRUFBRSxDQUFDO2dCQUNqRSxNQUFNLE9BQU8sR0FBRyxNQUFNLElBQUEsMkJBQWEsRUFBQyxDQUFFLEVBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxFQUFFO29CQUNwRCxNQUFNLFFBQVEsR0FBRyxNQUFNLFlBQVksQ0FBQyxTQUFTLEVBQUUsTUFBTSxFQUFFLGNBQWMsRUFBRSxHQUFHLENBQUMsQ0FBQztvQkFDNUUsTUFBTSxJQUFJLEdBQUcsTUFBTSxVQUFVLENBQUMsVUFBVSxFQUFFLFFBQVEsQ0FBQyxFQUFFLEVBQUUsTUFBTSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsRUFBRSxHQUFHLENBQUMsQ0FBQztvQkFDdkYsSUFBSSxRQUFRLElBQUksSUFBSSxFQUFFLENBQUM7d0JBQ3JCLE1BQU0sSUFBQSw2QkFBb0IsRUFBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7b0JBQzFDLENBQUM7b0JBQ0QsTUFBTSxXQUFXLENBQUMsbUJBQW1CLEVBQUUsRUFBRSxFQUFFLEVBQUUsUUFBUSxDQUFDLEVBQUUsRUFBRSxLQUFLLEVBQUUsU0FBUyxFQUFFLEVBQUUsUUFBUSxDQUFDLE1BQU0sRUFBRTt3QkFDN0YsR0FBRyxNQUFNO3dCQUNULFdBQVc7cUJBQ1osRUFBRSxHQUFHLENBQUMsQ0FBQztvQkFDUixPQUFPLFFBQVEsQ0FBQztnQkFDbEIsQ0FBQyxDQUFDLENBQUM7Z0JBRUgsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsRUFBRSxPQUFPLENBQUMsRUFBRSxFQUFFLE9BQU8sQ0FBQyxPQUFPLEVBQUUsb0JBQW9CLEVBQUUsV0FBVyxDQUFDLENBQUM7Z0JBQ2pHLE9BQU8sRUFBRSxFQUFFLEVBQUUsT0FBTyxDQUFDLEVBQUUsRUFBRSxHQUFHLE1BQU0sRUFBRSxPQUFPLEVBQUUsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO1lBQ2pFLENBQUM7WUFFRCxNQUFNLGVBQWUsR0FBRyxXQUFXLElBQUEsbUJBQVUsR0FBRSxFQUFFLENBQUM7WUFFbEQsTUFBTSxJQUFBLDJCQUFhLEVBQUMsQ0FBRSxFQUFFLEtBQUssRUFBRSxHQUFHLEVBQUUsRUFBRTtnQkFDcEMsNEJBQTRCO2dCQUM1QixNQUFNLEdBQUcsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDO3FCQUN0QixRQUFRLENBQUMsRUFBRSxFQUFFLGVBQWUsQ0FBQztxQkFDN0IsUUFBUSxDQUFDLGNBQWMsRUFBRSxZQUFZLENBQUM7cUJBQ3RDLFFBQVEsQ0FBQyxZQUFZLEVBQUUsVUFBVSxDQUFDO3FCQUNsQyxRQUFRLENBQUMsT0FBTyxFQUFFLEtBQUssQ0FBQztxQkFDeEIsUUFBUSxDQUFDLGNBQWMsRUFBRSxZQUFZLENBQUM7cUJBQ3RDLElBQUksRUFBRSxDQUFDO2dCQUVWLG1EQUFtRDtnQkFDbkQsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLGVBQWUsQ0FBQztxQkFDekIsSUFBSSxDQUFDLFVBQVUsQ0FBQztxQkFDaEIsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7cUJBQ3ZCLElBQUksRUFBRSxDQUFDO2dCQUVWLE1BQU0sV0FBVyxDQUFDLG1CQUFtQixFQUFFLEVBQUUsRUFBRSxFQUFFLGVBQWUsRUFBRSxLQUFLLEVBQUUsU0FBUyxFQUFFLEVBQUUsSUFBSSxFQUFFO29CQUN0RixZQUFZO29CQUNaLFVBQVU7b0JBQ1YsS0FBSztvQkFDTCxZQUFZO29CQUNaLFdBQVc7aUJBQ1osRUFBRSxHQUFHLENBQUMsQ0FBQztZQUNWLENBQUMsQ0FBQyxDQUFDO1lBQ0gsT0FBTyxDQUFDLEdBQUcsQ0FBQyxrQkFBa0IsRUFBRSxlQUFlLEVBQUUsb0JBQW9CLEVBQUUsV0FBVyxDQUFDLENBQUM7WUFDcEYsT0FBTztnQkFDTCxFQUFFLEVBQUUsZUFBZTtnQkFDbkIsWUFBWTtnQkFDWixVQUFVO2dCQUNWLEtBQUs7Z0JBQ0wsWUFBWTtnQkFDWixPQUFPLEVBQUUsU0FBUzthQUNuQixDQUFDO1FBQ0osQ0FBQztRQUVELElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxzQkFBc0IsRUFBRSxDQUFDO1lBQzNDLE1BQU0sRUFBRSxTQUFTLEVBQUUsR0FBRyxLQUFLLENBQUMsU0FBUyxDQUFDO1lBQ3RDLE1BQU0sSUFBQSwyQkFBYSxFQUFDLENBQUUsRUFBRSxLQUFLLEVBQUUsR0FBRyxFQUFFLEVBQUU7Z0JBQ3BDLE1BQU0sTUFBTSxHQUFHLE1BQU0sY0FBYyxDQUFDLFFBQVEsRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFLEdBQUcsQ0FBQyxDQUFDO2dCQUN6RSxzRUFBc0U7Z0JBQ3RFLE1BQU0sZUFBZSxDQUFDLFNBQVMsRUFBRSxJQUFJLEVBQUUsR0FBRyxDQUFDLENBQUM7Z0JBQzVDLE1BQU0sV0FBVyxDQUFDLHNCQUFzQixFQUFFLE1BQU0sRUFBRSxRQUFRLENBQUMsTUFBTSxDQUFDLEVBQUUsSUFBSSxFQUFFLEdBQUcsQ0FBQyxDQUFDO1lBQ2pGLENBQUMsQ0FBQyxDQUFDO1lBQ0gsT0FBTyxDQUFDLEdBQUcsQ0FBQyx5QkFBeUIsRUFBRSxTQUFTLENBQUMsQ0FBQztZQUNsRCxPQUFPLEVBQUUsTUFBTSxFQUFFLFNBQVMsRUFBRSxDQUFDO1FBQy9CLENBQUM7UUFFRCwwQkFBMEI7UUFDMUIsdUVBQXVFO1FBQ3ZFLGdFQUFnRTtRQUNoRSwwRUFBMEU7UUFDMUUsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLGFBQWEsRUFBRSxDQUFDO1lBQ2xDLE1BQU0sVUFBVSxHQUFVLEtBQUssQ0FBQyxTQUFTLENBQUMsVUFBVSxJQUFJLEVBQUUsQ0FBQztZQUMzRCxJQUFJLFVBQVUsQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFLENBQUM7Z0JBQzVCLE1BQU0sSUFBQSx3QkFBZSxFQUFDLDBDQUEwQyxDQUFDLENBQUM7WUFDcEUsQ0FBQztZQUNELElBQUksVUFBVSxDQUFDLE1BQU0sR0FBRyxvQkFBb0IsRUFBRSxDQUFDO2dCQUM3QyxNQUFNLElBQUEsd0JBQWUsRUFBQywrQkFBK0Isb0JBQW9CLGFBQWEsQ0FBQyxDQUFDO1lBQzFGLENBQUM7WUFDRCxJQUFJLElBQUEsaUNBQW1CLEVBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUM7Z0JBQ3hDLElBQUEsMENBQTRCLEVBQUMsVUFBVSxDQUFDLENBQUM7WUFDM0MsQ0FBQztZQUVELE1BQU0sSUFBSSxHQUFHLElBQUksR0FBRyxFQUFrQixDQUFDO1lBQ3ZDLE1BQU0sVUFBVSxHQUFHLENBQUMsS0FBeUIsRUFBRSxJQUFZLEVBQUUsRUFBRTtnQkFDN0QsSUFBSSxDQUFDLEtBQUs7b0JBQUUsTUFBTSxJQUFBLHdCQUFlLEVBQUMsR0FBRyxJQUFJLGNBQWMsRUFBRSxFQUFFLEtBQUssRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO2dCQUMxRSxJQUFJLENBQUMsS0FBSyxDQUFDLFVBQVUsQ0FBQyxHQUFHLENBQUM7b0JBQUUsT0FBTyxLQUFLLENBQUM7Z0JBQ3pDLE1BQU0sUUFBUSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUMxQyxJQUFJLENBQUMsUUFBUTtvQkFBRSxNQUFNLElBQUEsd0JBQWUsRUFBQyxxQkFBcUIsS0FBSyxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztnQkFDcEYsT0FBTyxRQUFRLENBQUM7WUFDbEIsQ0FBQyxDQUFDO1lBQ0YsTUFBTSxZQUFZLEdBQUcsQ0FBQyxJQUF1QixFQUFFLEtBQXlCLEVBQUUsRUFBRTtnQkFDMUUsSUFBSSxDQUFDLEtBQUs7b0JBQUUsTUFBTSxJQUFBLHdCQUFlLEVBQUMsbUJBQW1CLEVBQUUsRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLENBQUMsQ0FBQztnQkFDM0UsSUFBSSxJQUFJLEtBQUssUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUEsMEJBQWEsRUFBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFBLHdCQUFXLEVBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQztvQkFDcEUsTUFBTSxJQUFBLHdCQUFlLEVBQUMsZUFBZSxJQUFJLFdBQVcsS0FBSyxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLENBQUMsQ0FBQztnQkFDbkYsQ0FBQztnQkFDRCxPQUFPLEtBQUssQ0FBQztZQUNmLENBQUMsQ0FBQztZQUVGLE1BQU0sY0FBYyxHQUFHLEtBQUssRUFBRSxFQUFPLEVBQUUsR0FBeUIsRUFBRSxFQUFFO2dCQUNsRSxNQUFNLEtBQUssR0FBRyxJQUFBLHdCQUFlLEVBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxDQUFDO2dCQUM3QyxRQUFRLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztvQkFDZCxLQUFLLGVBQWUsQ0FBQyxDQUFDLENBQUM7d0JBQ3JCLE1BQU0sS0FBSyxHQUFHLFlBQVksQ0FBQyxRQUFRLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxDQUFDO3dCQUMvQyxpQkFBaUIsQ0FBQyxLQUFLLENBQUMsQ0FBQzt3QkFDekIsTUFBTSxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsR0FBRyxJQUFBLG1DQUFrQixFQUFDLFFBQVEsRUFBRSxLQUFLLEVBQUUsS0FBSyxDQUFDLENBQUM7d0JBQ3RFLElBQUksTUFBTSxDQUFDLE1BQU0sR0FBRyxDQUFDOzRCQUFFLE1BQU0sSUFBQSw2QkFBb0IsRUFBQyxNQUFNLENBQUMsQ0FBQzt3QkFDMUQsTUFBTSxRQUFRLEdBQUcsR0FBRyxLQUFLLENBQUMsV0FBVyxFQUFFLElBQUksSUFBQSxtQkFBVSxHQUFFLEVBQUUsQ0FBQzt3QkFDMUQsSUFBSSxDQUFDLEdBQUcsR0FBRyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxRQUFRLENBQUMsRUFBRSxFQUFFLFFBQVEsQ0FBQyxDQUFDO3dCQUMvQyxLQUFLLE1BQU0sQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLElBQUksQ0FBQyxHQUFHLE1BQU0sQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLEVBQUUsR0FBRyxNQUFNLENBQUMsT0FBTyxDQUFDLElBQUEsOEJBQWdCLEVBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7NEJBQ2xHLENBQUMsR0FBRyxDQUFDLENBQUMsUUFBUSxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsQ0FBQzt3QkFDM0IsQ0FBQzt3QkFDRCxNQUFNLENBQUMsQ0FBQyxPQUFPLEVBQUUsQ0FBQzt3QkFDbEIsT0FBTyxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsS0FBSyxFQUFFLENBQUM7b0JBQ2pDLENBQUM7b0JBQ0QsS0FBSyxlQUFlLENBQUMsQ0FBQyxDQUFDO3dCQUNyQixNQUFNLFFBQVEsR0FBRyxVQUFVLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxJQUFJLENBQUMsQ0FBQzt3QkFDekMsTUFBTSxNQUFNLEdBQUcsTUFBTSxjQUFjLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxFQUFFLENBQUMsS0FBSyxFQUFFLEdBQUcsQ0FBQyxDQUFDO3dCQUN2RSxpQkFBaUIsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7d0JBQ2hDLE1BQU0sRUFBRSxHQUFHLEVBQUUsTUFBTSxFQUFFLEdBQUcsWUFBWSxDQUFDLFFBQVEsRUFBRSxNQUFNLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxVQUFVLENBQUMsQ0FBQzt3QkFDNUUsTUFBTSxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUsR0FBRyxFQUFFLE1BQU0sRUFBRSxHQUFHLENBQUMsQ0FBQzt3QkFDcEQsT0FBTyxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsS0FBSyxFQUFFLE1BQU0sQ0FBQyxLQUFLLEVBQUUsQ0FBQztvQkFDL0MsQ0FBQztvQkFDRCxLQUFLLGVBQWUsQ0FBQyxDQUFDLENBQUM7d0JBQ3JCLE1BQU0sUUFBUSxHQUFHLFVBQVUsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLElBQUksQ0FBQyxDQUFDO3dCQUN6QyxNQUFNLE1BQU0sR0FBRyxNQUFNLGNBQWMsQ0FBQyxRQUFRLEVBQUUsUUFBUSxFQUFFLEVBQUUsQ0FBQyxLQUFLLEVBQUUsR0FBRyxDQUFDLENBQUM7d0JBQ3ZFLE1BQU0sZUFBZSxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUMsRUFBRSxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsQ0FBQzt3QkFDbkQsT0FBTyxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsS0FBSyxFQUFFLE1BQU0sQ0FBQyxLQUFLLEVBQUUsQ0FBQztvQkFDL0MsQ0FBQztvQkFDRCxLQUFLLGFBQWEsQ0FBQyxDQUFDLENBQUM7d0JBQ25CLE1BQU0sS0FBSyxHQUFHLFlBQVksQ0FBQyxNQUFNLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxDQUFDO3dCQUM3QyxNQUFNLFFBQVEsR0FBRyxVQUFVLENBQUMsRUFBRSxDQUFDLFFBQVEsRUFBRSxVQUFVLENBQUMsQ0FBQzt3QkFDckQsTUFBTSxhQUFhLEdBQUcsVUFBVSxDQUFDLEVBQUUsQ0FBQyxhQUFhLEVBQUUsZUFBZSxDQUFDLENBQUM7d0JBQ3BFLE1BQU0sRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLEdBQUcsSUFBQSxtQ0FBa0IsRUFBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLEtBQUssQ0FBQyxDQUFDO3dCQUNwRSxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxNQUFNLGNBQWMsQ0FBQyxLQUFLLEVBQUUsUUFBUSxFQUFFLGFBQWEsRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7d0JBQzVFLElBQUksTUFBTSxDQUFDLE1BQU0sR0FBRyxDQUFDOzRCQUFFLE1BQU0sSUFBQSw2QkFBb0IsRUFBQyxNQUFNLENBQUMsQ0FBQzt3QkFDMUQsSUFBSSxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQzt3QkFDNUQsS0FBSyxNQUFNLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQyxJQUFJLE1BQU0sQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQzs0QkFDaEQsQ0FBQyxHQUFHLENBQUMsQ0FBQyxRQUFRLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQyxDQUFDO3dCQUMzQixDQUFDO3dCQUNELE1BQU0sTUFBTSxHQUFHLE1BQU0sQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLElBQUksRUFBRSxDQUFDO3dCQUNuQyxPQUFPLEVBQUUsRUFBRSxFQUFFLE1BQU0sQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsS0FBSyxFQUFFLENBQUM7b0JBQzdDLENBQUM7b0JBQ0QsS0FBSyxhQUFhLENBQUMsQ0FBQyxDQUFDO3dCQUNuQixNQUFNLE1BQU0sR0FBRyxVQUFVLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxJQUFJLENBQUMsQ0FBQzt3QkFDdkMsTUFBTSxNQUFNLEdBQUcsTUFBTSxjQUFjLENBQUMsTUFBTSxFQUFFLE1BQU0sRUFBRSxFQUFFLENBQUMsS0FBSyxFQUFFLEdBQUcsQ0FBQyxDQUFDO3dCQUNuRSxNQUFNLEVBQUUsR0FBRyxFQUFFLE1BQU0sRUFBRSxHQUFHLFlBQVksQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsVUFBVSxDQUFDLENBQUM7d0JBQzFFLE1BQU0sZUFBZSxDQUFDLE1BQU0sRUFBRSxHQUFHLEVBQUUsTUFBTSxFQUFFLEdBQUcsQ0FBQyxDQUFDO3dCQUNoRCxPQUFPLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsTUFBTSxDQUFDLEtBQUssRUFBRSxDQUFDO29CQUM3QyxDQUFDO29CQUNELEtBQUssYUFBYSxDQUFDLENBQUMsQ0FBQzt3QkFDbkIsTUFBTSxNQUFNLEdBQUcsVUFBVSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsSUFBSSxDQUFDLENBQUM7d0JBQ3ZDLE1BQU0sTUFBTSxHQUFHLE1BQU0sY0FBYyxDQUFDLE1BQU0sRUFBRSxNQUFNLEVBQUUsRUFBRSxDQUFDLEtBQUssRUFBRSxHQUFHLENBQUMsQ0FBQzt3QkFDbkUsTUFBTSxhQUFhLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxDQUFDO3dCQUNqQyxPQUFPLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsTUFBTSxDQUFDLEtBQUssRUFBRSxDQUFDO29CQUM3QyxDQUFDO29CQUNEO3dCQUNFLE1BQU0sSUFBQSx3QkFBZSxFQUFDLHNCQUFzQixFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztnQkFDMUUsQ0FBQztZQUNILENBQUMsQ0FBQztZQUVGLE1BQU0sRUFBRSxHQUFHLENBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztZQUNuQixNQUFNLEdBQUcsR0FBRyxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUM7WUFDdkIsTUFBTSxPQUFPLEdBQUcsRUFBRSxDQUFDO1lBQ25CLElBQUksQ0FBQztnQkFDSCxLQUFLLE1BQU0sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLElBQUksVUFBVSxDQUFDLE9BQU8sRUFBRSxFQUFFLENBQUM7b0JBQy9DLElBQUksQ0FBQzt3QkFDSCxNQUFNLE1BQU0sR0FBRyxFQUFFLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxTQUFTLENBQUM7NEJBQ3hDLENBQUMsQ0FBQyxJQUFJOzRCQUNOLENBQUMsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDO2dDQUNsQyxDQUFDLENBQUMsTUFBTSxVQUFVLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsSUFBSSxDQUFDLEVBQUUsR0FBRyxDQUFDO2dDQUNoRCxDQUFDLENBQUMsTUFBTSxRQUFRLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsSUFBSSxDQUFDLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQzt3QkFDcEQsTUFBTSxPQUFPLEdBQUcsTUFBTSxjQUFjLENBQUMsRUFBRSxFQUFFLEdBQUcsQ0FBQyxDQUFDO3dCQUM5QyxNQUFNLEtBQUssR0FBRyxFQUFFLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxTQUFTLENBQUM7NEJBQ3ZDLENBQUMsQ0FBQyxJQUFJOzRCQUNOLENBQUMsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sVUFBVSxDQUFDLE9BQU8sQ0FBQyxFQUFFLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sUUFBUSxDQUFDLE9BQU8sQ0FBQyxFQUFFLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQzt3QkFDOUcsTUFBTSxXQUFXLENBQUMsZUFBZSxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsT0FBTyxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsR0FBRyxDQUFDLENBQUM7d0JBQ3ZFLElBQUksRUFBRSxDQUFDLEdBQUc7NEJBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxFQUFFLE9BQU8sQ0FBQyxFQUFFLENBQUMsQ0FBQzt3QkFDekMsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxFQUFFLEVBQUUsRUFBRSxDQUFDLEVBQUUsRUFBRSxHQUFHLEVBQUUsRUFBRSxDQUFDLEdBQUcsSUFBSSxJQUFJLEVBQUUsR0FBRyxPQUFPLEVBQUUsQ0FBQyxDQUFDO29CQUN0RSxDQUFDO29CQUFDLE9BQU8sS0FBSyxFQUFFLENBQUM7d0JBQ2Ysa0VBQWtFO3dCQUNsRSxNQUFNLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxHQUFHLElBQUEsc0JBQWEsRUFBQyxLQUFLLENBQUMsQ0FBQzt3QkFDOUMsTUFBTSxJQUFJLG1CQUFVLENBQUMsS0FBSyxDQUFDLElBQUksRUFBRSxhQUFhLEtBQUssS0FBSyxFQUFFLENBQUMsRUFBRSxhQUFhLEtBQUssQ0FBQyxPQUFPLEVBQUUsRUFBRTs0QkFDekYsR0FBRyxLQUFLLENBQUMsSUFBSTs0QkFDYixjQUFjLEVBQUUsS0FBSzt5QkFDdEIsQ0FBQyxDQUFDO29CQUNMLENBQUM7Z0JBQ0gsQ0FBQztnQkFDRCxNQUFNLEVBQUUsQ0FBQyxNQUFNLEVBQUUsQ0FBQztZQUNwQixDQUFDO1lBQUMsT0FBTyxLQUFLLEVBQUUsQ0FBQztnQkFDZixPQUFPLENBQUMsR0FBRyxDQUFDLHFCQUFxQixFQUFFLEtBQUssQ0FBQyxDQUFDO2dCQUMxQyxNQUFNLEVBQUUsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxhQUFzQixFQUFFLEVBQUUsQ0FDbkQsT0FBTyxDQUFDLEtBQUssQ0FBQyxrQkFBa0IsRUFBRSxhQUFhLENBQUMsQ0FDakQsQ0FBQztnQkFDRixNQUFNLEtBQUssQ0FBQztZQUNkLENBQUM7WUFFRCxPQUFPLENBQUMsR0FBRyxDQUFDLG9CQUFvQixFQUFFLFVBQVUsQ0FBQyxNQUFNLEVBQUUsWUFBWSxDQUFDLENBQUM7WUFDbkUsT0FBTyxFQUFFLE9BQU8sRUFBRSxDQUFDO1FBQ3JCLENBQUM7UUFFRCxxQ0FBcUM7UUFDdkMsTUFBTSxFQUNKLEtBQUssRUFDTCxJQUFJLEVBQ0osTUFBTSxFQUNOLE1BQU0sRUFDTixRQUFRLEVBQUUsYUFBYSxFQUN2QixXQUFXLEVBQ1gsV0FBVyxFQUNYLGFBQWEsRUFBRSxrQkFBa0IsRUFDakMsU0FBUyxFQUNULFVBQVUsRUFBRSxjQUFjLEVBQzFCLE1BQU0sRUFDTixjQUFjLEdBQ2YsR0FBRyxLQUFLLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQztRQUUxQiwrQ0FBK0M7UUFDL0MsTUFBTSxLQUFLLEdBQUcsSUFBQSx3QkFBZSxFQUFDLGNBQWMsQ0FBQyxDQUFDO1FBRTVDLHVFQUF1RTtRQUN2RSxrQ0FBa0M7UUFDbEMsTUFBTSxJQUFJLEdBQUcsS0FBSyxLQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUM7UUFDcEQsTUFBTSxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsR0FBRyxJQUFBLG1DQUFrQixFQUFDLElBQUksRUFBRSxJQUFJLEtBQUssUUFBUSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxLQUFLLENBQUMsQ0FBQztRQUM5RixJQUFJLElBQUksS0FBSyxRQUFRLElBQUksTUFBTSxLQUFLLGNBQWMsRUFBRSxDQUFDO1lBQ25ELE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxvQkFBb0IsRUFBRSxDQUFDLENBQUM7UUFDckUsQ0FBQztRQUNELElBQUksTUFBTSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsQ0FBQztZQUN0QixNQUFNLElBQUEsNkJBQW9CLEVBQUMsTUFBTSxDQUFDLENBQUM7UUFDckMsQ0FBQztRQUVELFFBQVEsS0FBSyxFQUFFLENBQUM7WUFDZCxLQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUM7Z0JBQ2QsSUFBSSxNQUFNLEVBQUUsQ0FBQztvQkFDWCxNQUFNLEVBQUUsRUFBRSxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsR0FBRyxNQUFNLElBQUEsMkJBQWEsRUFBQyxDQUFFLEVBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxFQUFFO3dCQUN0RSxNQUFNLFFBQVEsR0FBRyxNQUFNLFlBQVksQ0FBQyxNQUFNLEVBQUUsTUFBTSxFQUFFLGNBQWMsRUFBRSxHQUFHLENBQUMsQ0FBQzt3QkFDekUsTUFBTSxLQUFLLEdBQUcsUUFBUSxDQUFDLE1BQU0sVUFBVSxDQUFDLFFBQVEsQ0FBQyxFQUFFLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQzt3QkFDM0QsTUFBTSxXQUFXLENBQUMsWUFBWSxFQUFFLEVBQUUsRUFBRSxFQUFFLFFBQVEsQ0FBQyxFQUFFLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxFQUFFLFFBQVEsQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLEdBQUcsQ0FBQyxDQUFDO3dCQUNqRyxPQUFPLFFBQVEsQ0FBQztvQkFDbEIsQ0FBQyxDQUFDLENBQUM7b0JBQ0gsT0FBTyxDQUFDLEdBQUcsQ0FBQyxrQkFBa0IsRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLE9BQU8sRUFBRSxNQUFNLENBQUMsQ0FBQztvQkFDbkUsT0FBTyxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsRUFBRSxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsQ0FBQztnQkFDckQsQ0FBQztnQkFFRCx3REFBd0Q7Z0JBQ3hELE1BQU0sUUFBUSxHQUFHLEdBQUcsTUFBTSxDQUFDLFdBQVcsRUFBRSxJQUFJLElBQUEsbUJBQVUsR0FBRSxFQUFFLENBQUM7Z0JBRTNELE1BQU0sTUFBTSxHQUFHLE1BQU0sSUFBQSwyQkFBYSxFQUFDLENBQUUsRUFBRSxLQUFLLEVBQUUsR0FBRyxFQUFFLEVBQUU7b0JBQ25ELDJCQUEyQjtvQkFDM0IsSUFBSSxDQUFDLEdBQUcsR0FBRyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxRQUFRLENBQUMsRUFBRSxFQUFFLFFBQVEsQ0FBQyxDQUFDO29CQUVoRCw2QkFBNkI7b0JBQzdCLEtBQUssTUFBTSxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsSUFBSSxNQUFNLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUM7d0JBQ2hELENBQUMsR0FBRyxDQUFDLENBQUMsUUFBUSxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsQ0FBQztvQkFDM0IsQ0FBQztvQkFFRCxzRUFBc0U7b0JBQ3RFLEtBQUssTUFBTSxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsSUFBSSxNQUFNLENBQUMsT0FBTyxDQUFDLElBQUEsOEJBQWdCLEVBQUMsTUFBTSxDQUFDLENBQUMsRUFBRSxDQUFDO3dCQUNsRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLENBQUM7b0JBQzNCLENBQUM7b0JBRUQsTUFBTSxLQUFLLEdBQUcsTUFBTSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7b0JBQzdCLE1BQU0sV0FBVyxDQUFDLFlBQVksRUFBRSxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsR0FBRyxDQUFDLENBQUM7b0JBQ3BGLE9BQU8sS0FBSyxDQUFDO2dCQUNmLENBQUMsQ0FBQyxDQUFDO2dCQUNILE9BQU8sQ0FBQyxHQUFHLENBQUMsaUJBQWlCLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxNQUFNLENBQUMsQ0FBQztnQkFDekQsT0FBTyxFQUFFLE1BQU0sRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLFNBQVMsRUFBRSxDQUFDO1lBQzlFLENBQUM7WUFFRCxPQUFPLENBQUMsQ0FBQyxDQUFDO2dCQUNSLGdCQUFnQjtnQkFDaEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxnQkFBZ0IsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLFdBQVcsRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxXQUFXLENBQUMsQ0FBQztnQkFFL0YsOERBQThEO2dCQUM5RCxvRUFBb0U7Z0JBQ3BFLHVFQUF1RTtnQkFDdkUsaUVBQWlFO2dCQUNqRSxxREFBcUQ7Z0JBQ3JELE1BQU0sTUFBTSxHQUFHLElBQUEsc0NBQXFCLEVBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxDQUFDO2dCQUNyRCxNQUFNLGFBQWEsR0FBRyxLQUFLLEVBQUUsQ0FBTSxFQUEwQixFQUFFO29CQUM3RCxJQUFJLE1BQU0sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLENBQUM7d0JBQ3RCLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsY0FBYyxDQUFDLENBQUMsR0FBRyxDQUFDLG9CQUFvQixFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7b0JBQ3hGLENBQUM7b0JBQ0QsTUFBTSxJQUFJLEdBQUcsTUFBTSxDQUFDO3lCQUNqQixLQUFLLENBQUMsbUNBQXVCLEdBQUcsQ0FBQyxDQUFDO3lCQUNsQyxPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsWUFBWSxFQUFFLGdCQUFnQixDQUFDO3lCQUM5RCxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDO3lCQUNYLEVBQUUsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUM7eUJBQ2QsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxhQUFhLEVBQUUsTUFBTSxFQUFFLFNBQVMsRUFBRSxVQUFVLENBQUMsRUFBRSxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7eUJBQ3pGLEVBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsYUFBYSxDQUFDLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO3lCQUMxRCxFQUFFLENBQUMsZ0JBQWdCLENBQUMsRUFBRSxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUM7eUJBQ25DLE1BQU0sRUFBRSxDQUFDO29CQUNaLE9BQVEsSUFBYyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQzt3QkFDakMsRUFBRSxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDO3dCQUMxQixLQUFLLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxPQUFPLENBQUM7d0JBQ3hCLElBQUksRUFBRSxLQUFLLENBQUMsQ0FBQyxFQUFFLE1BQU0sQ0FBQzt3QkFDdEIsVUFBVSxFQUFFLEtBQUssQ0FBQyxDQUFDLEVBQUUsWUFBWSxDQUFDO3dCQUNsQyxjQUFjLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxnQkFBZ0IsQ0FBQztxQkFDM0MsQ0FBQyxDQUFDLENBQUM7Z0JBQ04sQ0FBQyxDQUFDO2dCQUNGLE1BQU0sZUFBZSxHQUFHLEtBQUssRUFBRSxRQUF1QixFQUFFLEtBQWEsRUFBRSxJQUFZLEVBQUUsRUFBRTtvQkFDckYsTUFBTSxJQUFJLEdBQUcsTUFBTSxhQUFhLENBQzlCLENBQUU7eUJBQ0MsQ0FBQyxFQUFFO3lCQUNILFFBQVEsQ0FBQyxLQUFLLENBQUM7eUJBQ2YsTUFBTSxDQUFDLCtCQUFrQixDQUFDO3lCQUMxQixFQUFFLENBQ0QsRUFBRSxDQUFDLEdBQUcsQ0FBQyxNQUFNLEVBQUUsSUFBSSxDQUFDLEVBQ3BCLEVBQUUsQ0FBQyxHQUFHLENBQUMsYUFBYSxFQUFFLElBQUksQ0FBQyxFQUMzQixFQUFFLENBQUMsR0FBRyxDQUFDLFNBQVMsRUFBRSxJQUFJLENBQUMsRUFDdkIsRUFBRSxDQUFDLEdBQUcsQ0FBQyxVQUFVLEVBQUUsSUFBSSxDQUFDLENBQ3pCLENBQ0osQ0FBQztvQkFDRixPQUFPLElBQUEsNkJBQWlCLEVBQUMsUUFBUSxFQUFFLEtBQUssRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEtBQUssQ0FBQyxRQUFRLENBQUMsQ0FBQztnQkFDeEUsQ0FBQyxDQUFDO2dCQUNGLE1BQU0saUJBQWlCLEdBQUcsS0FBSyxFQUFFLFFBQXVCLEVBQUUsUUFBZ0IsRUFBRSxFQUFFO29CQUM1RSxNQUFNLElBQUksR0FBRyxNQUFNLGFBQWEsQ0FBQyxDQUFFLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDLE1BQU0sQ0FBQywrQkFBa0IsQ0FBQyxDQUFDLENBQUM7b0JBQzVFLE9BQU8sSUFBQSwyQkFBZSxFQUFDLFFBQVEsRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFLEtBQUssQ0FBQyxRQUFRLENBQUMsQ0FBQztnQkFDbkUsQ0FBQyxDQUFDO2dCQUVGLE1BQU0sQ0FBQyxXQUFXLEVBQUUsZ0JBQWdCLENBQUMsR0FBRyxNQUFNLE9BQU8sQ0FBQyxHQUFHLENBQUM7b0JBQ3hELGFBQWE7d0JBQ1gsQ0FBQyxDQUFDLGlCQUFpQixDQUFDLFFBQVEsRUFBRSxNQUFNLENBQUMsYUFBYSxDQUFDLENBQUM7d0JBQ3BELENBQUMsQ0FBQyxlQUFlLENBQUMsUUFBUSxFQUFFLFdBQVcsRUFBRSxNQUFNLENBQUM7b0JBQ2xELGtCQUFrQjt3QkFDaEIsQ0FBQyxDQUFDLGlCQUFpQixDQUFDLGFBQWEsRUFBRSxNQUFNLENBQUMsa0JBQWtCLENBQUMsQ0FBQzt3QkFDOUQsQ0FBQyxDQUFDLGVBQWUsQ0FBQyxhQUFhLEVBQUUsU0FBUyxFQUFFLFdBQVcsQ0FBQztpQkFDM0QsQ0FBQyxDQUFDO2dCQUNILE1BQU0sUUFBUSxHQUFHLElBQUksSUFBSSxXQUFXLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztnQkFDN0QsTUFBTSxhQUFhLEdBQUcsSUFBSSxJQUFJLGdCQUFnQixDQUFDLENBQUMsQ0FBQyxnQkFBZ0IsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztnQkFDNUUsTUFBTSxjQUFjLEdBQWlCLEVBQUUsQ0FBQztnQkFDeEMsS0FBSyxNQUFNLEtBQUssSUFBSSxDQUFDLFdBQVcsRUFBRSxnQkFBZ0IsQ0FBQyxFQUFFLENBQUM7b0JBQ3BELElBQUksT0FBTyxJQUFJLEtBQUssSUFBSSxLQUFLLENBQUMsS0FBSzt3QkFBRSxjQUFjLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDeEUsQ0FBQztnQkFDRCxJQUFJLGNBQWMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLENBQUM7b0JBQzlCLE1BQU0sSUFBQSw2QkFBb0IsRUFBQyxjQUFjLEVBQUU7d0JBQ3pDLFVBQVUsRUFBRSxDQUFDLEdBQUcsV0FBVyxDQUFDLFVBQVUsRUFBRSxHQUFHLGdCQUFnQixDQUFDLFVBQVUsQ0FBQztxQkFDeEUsQ0FBQyxDQUFDO2dCQUNMLENBQUM7Z0JBRUQsb0VBQW9FO2dCQUNwRSxrRUFBa0U7Z0JBQ2xFLElBQUksTUFBTSxFQUFFLENBQUM7b0JBQ1gsTUFBTSxNQUFNLEdBQUcsTUFBTSxJQUFBLDJCQUFhLEVBQUMsQ0FBRSxFQUFFLEtBQUssRUFBRSxHQUFHLEVBQUUsRUFBRTt3QkFDbkQsTUFBTSxRQUFRLEdBQUcsTUFBTSxVQUFVLENBQUMsSUFBSSxFQUFFLFFBQVMsRUFBRSxhQUFjLEVBQUUsTUFBTSxFQUFFLEdBQUcsQ0FBQyxDQUFDO3dCQUNoRixJQUFJLFFBQVEsSUFBSSxRQUFRLEVBQUUsQ0FBQzs0QkFDekIsTUFBTSxJQUFBLDZCQUFvQixFQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQzt3QkFDOUMsQ0FBQzt3QkFDRCxNQUFNLEtBQUssR0FBRyxRQUFRLENBQUMsTUFBTSxRQUFRLENBQUMsUUFBUSxDQUFDLEVBQUUsRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDO3dCQUN6RCxNQUFNLFdBQVcsQ0FBQyxZQUFZLEVBQUUsRUFBRSxFQUFFLEVBQUUsUUFBUSxDQUFDLEVBQUUsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLEVBQUUsUUFBUSxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUUsR0FBRyxDQUFDLENBQUM7d0JBQy9GLE9BQU8sUUFBUSxDQUFDO29CQUNsQixDQUFDLENBQUMsQ0FBQztvQkFDSCxPQUFPLENBQUMsR0FBRyxDQUFDLGdCQUFnQixFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFLGFBQWEsRUFBRSxNQUFNLENBQUMsT0FBTyxFQUFFLE1BQU0sQ0FBQyxDQUFDO29CQUMzRixPQUFPLEVBQUUsTUFBTSxFQUFFLE1BQU0sQ0FBQyxFQUFFLEVBQUUsRUFBRSxFQUFFLE1BQU0sQ0FBQyxFQUFFLEVBQUUsT0FBTyxFQUFFLE1BQU0sQ0FBQyxPQUFPLEVBQUUsQ0FBQztnQkFDdkUsQ0FBQztnQkFFRCxNQUFNLEdBQUcsR0FBRyxNQUFNLElBQUEsMkJBQWEsRUFBQyxDQUFFLEVBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxFQUFFO29CQUNoRCxNQUFNLFVBQVUsR0FBRyxNQUFNLGNBQWMsQ0FBQyxJQUFJLEVBQUUsUUFBUyxFQUFFLGFBQWMsRUFBRSxHQUFHLENBQUMsQ0FBQztvQkFDOUUsSUFBSSxVQUFVLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxDQUFDO3dCQUMxQixNQUFNLElBQUEsNkJBQW9CLEVBQUMsVUFBVSxDQUFDLENBQUM7b0JBQ3pDLENBQUM7b0JBRUQsSUFBSSxhQUFhLEdBQUcsR0FBRyxDQUFDLENBQUMsQ0FBQyxRQUFTLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsYUFBYyxDQUFDLENBQUMsQ0FBQztvQkFFekUsa0NBQWtDO29CQUNsQyxLQUFLLE1BQU0sQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLElBQUksTUFBTSxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDO3dCQUNoRCxhQUFhLEdBQUcsYUFBYSxDQUFDLFFBQVEsQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLENBQUM7b0JBQ25ELENBQUM7b0JBRUQsTUFBTSxLQUFLLEdBQUcsTUFBTSxhQUFhLENBQUMsSUFBSSxFQUFFLENBQUM7b0JBQ3pDLE1BQU0sV0FBVyxDQUFDLFlBQVksRUFBRSxFQUFFLEVBQUUsRUFBRSxNQUFNLENBQUUsS0FBSyxDQUFDLEtBQWEsRUFBRSxFQUFFLENBQUMsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxHQUFHLENBQUMsQ0FBQztvQkFDMUcsT0FBTyxLQUFLLENBQUM7Z0JBQ2YsQ0FBQyxDQUFDLENBQUM7Z0JBQ0gsTUFBTSxNQUFNLEdBQUcsTUFBTSxDQUFFLEdBQUcsQ0FBQyxLQUFhLEVBQUUsRUFBRSxDQUFDLENBQUM7Z0JBQzlDLE9BQU8sQ0FBQyxHQUFHLENBQUMsZUFBZSxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFLGFBQWEsRUFBRSxNQUFNLENBQUMsQ0FBQztnQkFDMUUsT0FBTyxFQUFFLE1BQU0sRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxFQUFFLEVBQUUsRUFBRSxNQUFNLEVBQUUsT0FBTyxFQUFFLFNBQVMsRUFBRSxDQUFDO1lBQ3pFLENBQUM7UUFDSCxDQUFDO0lBQ0gsQ0FBQztJQUFDLE9BQU8sS0FBYyxFQUFFLENBQUM7UUFDeEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNuQixPQUFPLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUNyQyxPQUFPLElBQUEsc0JBQWEsRUFBQyxLQUFLLENBQUMsQ0FBQztJQUM5QixDQUFDO0FBQ0gsQ0FBQyxDQUFDO0FBcHBDVyxRQUFBLE9BQU8sV0FvcENsQiIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IEhhbmRsZXIgfSBmcm9tIFwiYXdzLWxhbWJkYVwiO1xuaW1wb3J0IHsgcmFuZG9tVVVJRCB9IGZyb20gXCJjcnlwdG9cIjtcblxuaW1wb3J0ICogYXMgZ3JlbWxpbiBmcm9tIFwiZ3JlbWxpblwiO1xuaW1wb3J0IHsgZ2V0VXJsQW5kSGVhZGVycyB9IGZyb20gXCJncmVtbGluLWF3cy1zaWd2NC9saWIvdXRpbHNcIjtcbmltcG9ydCB7XG4gIFNFQVJDSEFCTEVfRklFTERTLFxuICBpc1NlYXJjaFByb3BlcnR5LFxuICBzZWFyY2hQcm9wZXJ0aWVzLFxuICBzZWFyY2hQcm9wZXJ0eU5hbWUsXG59IGZyb20gXCIuL3NoYXJlZC9zZWFyY2hJbmRleFwiO1xuaW1wb3J0IHtcbiAgQVVESVRfTEFCRUwsXG4gIERBVEFfQ0xBU1NJRklDQVRJT05TLFxuICBERUxFVEVEX0RJUkVDVExZX1BST1BFUlRZLFxuICBJREVNUE9URU5DWV9LRVlfUFJPUEVSVFksXG4gIE5BVFVSQUxfS0VZUyxcbiAgUFJPSkVDVF9GSUVMRFMsXG4gIFBST0pFQ1RfVElFUlMsXG4gIFRPTUJTVE9ORV9LRVlTLFxuICBUT01CU1RPTkVfUFJPUEVSVFksXG4gIGlzRWRnZUxhYmVsLFxuICBpc1ZlcnRleExhYmVsLFxuICBwdXJnZUN1dG9mZixcbiAgdG9Qcm9wZXJ0eUxpc3QsXG4gIHRvbWJzdG9uZVJldGVudGlvbkRheXMsXG59IGZyb20gXCIuL3NoYXJlZC9ncmFwaE1vZGVsXCI7XG5pbXBvcnQge1xuICBFREdFX1JVTEVTLFxuICBGaWVsZEVycm9yLFxuICBjaGVja0VkZ2VFbmRwb2ludHMsXG4gIHNjaGVtYUZvcixcbiAgdmFsaWRhdGVQcm9wZXJ0aWVzLFxufSBmcm9tIFwiLi9zaGFyZWQvc2NoZW1hUmVnaXN0cnlcIjtcbmltcG9ydCB7XG4gIEdyYXBoRXJyb3IsXG4gIGNvbmZsaWN0RXJyb3IsXG4gIGZpZWxkVmFsaWRhdGlvbkVycm9yLFxuICBmb3JiaWRkZW5FcnJvcixcbiAgbm90Rm91bmRFcnJvcixcbiAgcGFyc2VQcm9wZXJ0aWVzLFxuICB0b0Vycm9yUmVzdWx0LFxuICB2YWxpZGF0aW9uRXJyb3IsXG59IGZyb20gXCIuL3NoYXJlZC9lcnJvcnNcIjtcbmltcG9ydCB7IHJlcXVpcmVSb2xlIH0gZnJvbSBcIi4vc2hhcmVkL3JvbGVzXCI7XG5pbXBvcnQgeyBVcHNlcnRDYW5kaWRhdGUsIGxpdmVVcHNlcnRNYXRjaCB9IGZyb20gXCIuL3NoYXJlZC91cHNlcnRcIjtcbmltcG9ydCB7IGluVHJhbnNhY3Rpb24gfSBmcm9tIFwiLi9zaGFyZWQvdHJhbnNhY3Rpb25cIjtcbmltcG9ydCB7IENhc2NhZGVkRWRnZSwgcmVzdG9yZUNhc2NhZGVkRWRnZXMgfSBmcm9tIFwiLi9zaGFyZWQvcmVzdG9yZVwiO1xuaW1wb3J0IHtcbiAgRW5kcG9pbnRGaWVsZCxcbiAgRW5kcG9pbnRSb3csXG4gIE1BWF9FTkRQT0lOVF9DQU5ESURBVEVTLFxuICBtYXRjaEVuZHBvaW50SWQsXG4gIG1hdGNoRW5kcG9pbnROYW1lLFxufSBmcm9tIFwiLi9zaGFyZWQvZW5kcG9pbnRzXCI7XG5pbXBvcnQgeyBjYW5TZWVDbGFzc2lmaWNhdGlvbiwgaGlkZGVuQ2xhc3NpZmljYXRpb25zIH0gZnJvbSBcIi4vc2hhcmVkL2NsYXNzaWZpY2F0aW9uXCI7XG5pbXBvcnQge1xuICBpbnRlZ3JhdGlvbkNsaWVudElkLFxuICBpc0ludGVncmF0aW9uQ2xpZW50LFxuICByZXF1aXJlSW50ZWdyYXRpb25PcGVyYXRpb25zLFxuICByZXF1aXJlSW50ZWdyYXRpb25TY29wZSxcbn0gZnJvbSBcIi4vc2hhcmVkL2ludGVncmF0aW9uXCI7XG5cbmNvbnN0IERyaXZlclJlbW90ZUNvbm5lY3Rpb24gPSBncmVtbGluLmRyaXZlci5Ecml2ZXJSZW1vdGVDb25uZWN0aW9uO1xuY29uc3QgdHJhdmVyc2FsID0gZ3JlbWxpbi5wcm9jZXNzLkFub255bW91c1RyYXZlcnNhbFNvdXJjZS50cmF2ZXJzYWw7XG5jb25zdCBfXyA9IGdyZW1saW4ucHJvY2Vzcy5zdGF0aWNzO1xuY29uc3QgUCA9IGdyZW1saW4ucHJvY2Vzcy5QO1xuY29uc3QgY2FyZGluYWxpdHkgPSBncmVtbGluLnByb2Nlc3MuY2FyZGluYWxpdHk7XG50eXBlIEdyYXBoVHJhdmVyc2FsU291cmNlID0gZ3JlbWxpbi5wcm9jZXNzLkdyYXBoVHJhdmVyc2FsU291cmNlO1xudHlwZSBVcHNlcnRPdXRjb21lID0gJ0NSRUFURUQnIHwgJ01BVENIRUQnO1xuXG4vLyBLZXlzIHRoYXQgdXBkYXRlVmVydGV4L3VwZGF0ZUVkZ2UgbmV2ZXIgYWNjZXB0IGZyb20gY2FsbGVyc1xuY29uc3QgUkVTRVJWRURfUFJPUEVSVFlfS0VZUyA9IFtcbiAgJ2lkJyxcbiAgJ2xhYmVsJyxcbiAgJ35pZCcsXG4gICd+bGFiZWwnLFxuICAnfmZyb20nLFxuICAnfnRvJyxcbiAgSURFTVBPVEVOQ1lfS0VZX1BST1BFUlRZLFxuICAuLi5UT01CU1RPTkVfS0VZUyxcbl07XG5cbi8vIFVwcGVyIGJvdW5kIG9uIHRoZSBvcGVyYXRpb25zIGluIG9uZSBiYXRjaE11dGF0ZSB0cmFuc2FjdGlvblxuY29uc3QgTUFYX0JBVENIX09QRVJBVElPTlMgPSAxMDA7XG5cbmV4cG9ydCBjb25zdCBoYW5kbGVyOiBIYW5kbGVyID0gYXN5bmMgKGV2ZW50KSA9PiB7XG4gIGxldCBjb25uID0gbnVsbDtcbiAgY29uc3QgZ2V0Q29ubmVjdGlvbkRldGFpbHMgPSAoKSA9PiB7XG4gICAgcmV0dXJuIGdldFVybEFuZEhlYWRlcnMoXG4gICAgICBwcm9jZXNzLmVudi5ORVBUVU5FX0VORFBPSU5ULFxuICAgICAgcHJvY2Vzcy5lbnYuTkVQVFVORV9QT1JULFxuICAgICAge30sXG4gICAgICBcIi9ncmVtbGluXCIsXG4gICAgICBcIndzc1wiXG4gICAgKTtcbiAgfTtcblxuICBjb25zdCBjcmVhdGVSZW1vdGVDb25uZWN0aW9uID0gKCkgPT4ge1xuICAgIGNvbnN0IHsgdXJsLCBoZWFkZXJzIH0gPSBnZXRDb25uZWN0aW9uRGV0YWlscygpO1xuXG4gICAgY29uc29sZS5sb2codXJsKTtcbiAgICBjb25zb2xlLmxvZyhoZWFkZXJzKTtcbiAgICBjb25zdCBjID0gbmV3IERyaXZlclJlbW90ZUNvbm5lY3Rpb24odXJsLCB7XG4gICAgICBtaW1lVHlwZTogXCJhcHBsaWNhdGlvbi92bmQuZ3JlbWxpbi12Mi4wK2pzb25cIixcbiAgICAgIGhlYWRlcnM6IGhlYWRlcnMsXG4gICAgfSk7XG4gICAgYy5fY2xpZW50Ll9jb25uZWN0aW9uLm9uKFwiY2xvc2VcIiwgKGNvZGU6IG51bWJlciwgbWVzc2FnZTogc3RyaW5nKSA9PiB7XG4gICAgICBjb25zb2xlLmluZm8oYGNsb3NlIC0gJHtjb2RlfSAke21lc3NhZ2V9YCk7XG4gICAgICBpZiAoY29kZSA9PSAxMDA2KSB7XG4gICAgICAgIGNvbnNvbGUuZXJyb3IoXCJDb25uZWN0aW9uIGNsb3NlZCBwcmVtYXR1cmVseVwiKTtcbiAgICAgICAgdGhyb3cgbmV3IEVycm9yKFwiQ29ubmVjdGlvbiBjbG9zZWQgcHJlbWF0dXJlbHlcIik7XG4gICAgICB9XG4gICAgfSk7XG4gICAgcmV0dXJuIGM7XG4gIH07XG5cbiAgbGV0IGc7XG4gIGNvbnN0IGlkID0gZ3JlbWxpbi5wcm9jZXNzLnQuaWQ7XG5cbiAgdHJ5IHtcbiAgICBpZiAoaXNJbnRlZ3JhdGlvbkNsaWVudChldmVudC5pZGVudGl0eSkpIHtcbiAgICAgIHJlcXVpcmVJbnRlZ3JhdGlvblNjb3BlKGV2ZW50LmlkZW50aXR5LCBldmVudC5maWVsZCk7XG4gICAgfSBlbHNlIHtcbiAgICAgIHJlcXVpcmVSb2xlKGV2ZW50LmlkZW50aXR5LCAnRWRpdG9yJywgZXZlbnQuZmllbGQpO1xuICAgIH1cblxuICAgIGlmIChjb25uID09IG51bGwpIHtcbiAgICAgIGNvbnNvbGUuaW5mbyhcIkluaXRpYWxpemluZyBjb25uZWN0aW9uXCIpO1xuICAgICAgY29ubiA9IGNyZWF0ZVJlbW90ZUNvbm5lY3Rpb24oKTtcbiAgICAgIGcgPSB0cmF2ZXJzYWwoKS53aXRoUmVtb3RlKGNvbm4pO1xuICAgIH1cblxuICAgIC8vIOKUgOKUgCBBdWRpdCB0cmFpbCDilIDilIBcbiAgICAvLyBFdmVyeSBtdXRhdGlvbiByZWNvcmRzIHdobyBjaGFuZ2VkIHdoYXQgYXMgYW4gQXVkaXRFdmVudCB2ZXJ0ZXguIEF1ZGl0XG4gICAgLy8gdmVydGljZXMgaGF2ZSBubyBlZGdlcywgc28gdGhleSBvdXRsaXZlIHRoZSBlbGVtZW50cyB0aGV5IGRlc2NyaWJlLlxuICAgIC8vIEludGVncmF0aW9uIGNsaWVudHMgYXJlIHJlY29yZGVkIGJ5IHRoZWlyIGFwcCBjbGllbnQgaWRcbiAgICBjb25zdCBpZGVudGl0eSA9IGV2ZW50LmlkZW50aXR5ID8/IHt9O1xuICAgIGNvbnN0IGFjdG9yID0gaXNJbnRlZ3JhdGlvbkNsaWVudChpZGVudGl0eSlcbiAgICAgID8ge1xuICAgICAgICAgIHN1YjogaW50ZWdyYXRpb25DbGllbnRJZChpZGVudGl0eSksXG4gICAgICAgICAgdXNlcm5hbWU6IGBjbGllbnQ6JHtpbnRlZ3JhdGlvbkNsaWVudElkKGlkZW50aXR5KX1gLFxuICAgICAgICB9XG4gICAgICA6IHtcbiAgICAgICAgICBzdWI6IFN0cmluZyhpZGVudGl0eS5zdWIgPz8gJ3Vua25vd24nKSxcbiAgICAgICAgICB1c2VybmFtZTogU3RyaW5nKGlkZW50aXR5LnVzZXJuYW1lID8/IGlkZW50aXR5LnN1YiA/PyAndW5rbm93bicpLFxuICAgICAgICB9O1xuXG4gICAgdHlwZSBTbmFwc2hvdCA9IFJlY29yZDxzdHJpbmcsIHVua25vd24+IHwgbnVsbDtcblxuICAgIC8vIEVhY2ggbXV0YXRpb24gcnVucyBpbiBhIHRyYW5zYWN0aW9uIChpblRyYW5zYWN0aW9uKSBhbmQgd3JpdGVzIGl0c1xuICAgIC8vIEF1ZGl0RXZlbnQgaW4gaXQsIHNvIGEgY2hhbmdlIGlzIG5ldmVyIGNvbW1pdHRlZCB3aXRob3V0IGl0cyByZWNvcmRcbiAgICBjb25zdCByZWNvcmRBdWRpdCA9IGFzeW5jIChcbiAgICAgIG9wZXJhdGlvbjogc3RyaW5nLFxuICAgICAgdGFyZ2V0OiB7IGlkOiBzdHJpbmc7IGxhYmVsPzogc3RyaW5nIH0sXG4gICAgICBiZWZvcmU6IFNuYXBzaG90LFxuICAgICAgYWZ0ZXI6IFNuYXBzaG90LFxuICAgICAgZ3Q6IEdyYXBoVHJhdmVyc2FsU291cmNlXG4gICAgKSA9PiB7XG4gICAgICBhd2FpdCBndC5hZGRWKEFVRElUX0xBQkVMKVxuICAgICAgICAucHJvcGVydHkoaWQsIGBhdWRpdF8ke3JhbmRvbVVVSUQoKX1gKVxuICAgICAgICAucHJvcGVydHkoJ2F0JywgbmV3IERhdGUoKS50b0lTT1N0cmluZygpKVxuICAgICAgICAucHJvcGVydHkoJ2FjdG9yJywgYWN0b3Iuc3ViKVxuICAgICAgICAucHJvcGVydHkoJ2FjdG9yTmFtZScsIGFjdG9yLnVzZXJuYW1lKVxuICAgICAgICAucHJvcGVydHkoJ29wZXJhdGlvbicsIG9wZXJhdGlvbilcbiAgICAgICAgLnByb3BlcnR5KCd0YXJnZXRJZCcsIHRhcmdldC5pZClcbiAgICAgICAgLnByb3BlcnR5KCd0YXJnZXRMYWJlbCcsIHRhcmdldC5sYWJlbCA/PyAnJylcbiAgICAgICAgLnByb3BlcnR5KCdiZWZvcmUnLCBKU09OLnN0cmluZ2lmeShiZWZvcmUpKVxuICAgICAgICAucHJvcGVydHkoJ2FmdGVyJywgSlNPTi5zdHJpbmdpZnkoYWZ0ZXIpKVxuICAgICAgICAuaXRlcmF0ZSgpO1xuICAgIH07XG5cbiAgICAvLyBQcm9wZXJ0eSB2YWx1ZXMgb2YgYSByZWFkVmVydGV4L3JlYWRFZGdlIHJlY29yZFxuICAgIGNvbnN0IHNuYXBzaG90ID0gKHJlY29yZDogeyBwcm9wZXJ0aWVzOiBBcnJheTx7IGtleTogc3RyaW5nOyB2YWx1ZTogc3RyaW5nIH0+IH0gfCBudWxsKTogU25hcHNob3QgPT5cbiAgICAgIHJlY29yZCA/IE9iamVjdC5mcm9tRW50cmllcyhyZWNvcmQucHJvcGVydGllcy5tYXAoKHApID0+IFtwLmtleSwgcC52YWx1ZV0pKSA6IG51bGw7XG5cbiAgICAvLyDilIDilIAgUHJvamVjdCBtdXRhdGlvbnMg4pSA4pSAXG4gICAgY29uc3QgcmVhZFByb2plY3QgPSBhc3luYyAocHJvamVjdElkOiBzdHJpbmcsIGd0OiBHcmFwaFRyYXZlcnNhbFNvdXJjZSA9IGchKSA9PiB7XG4gICAgICBsZXQgdCA9IGd0LlYocHJvamVjdElkKVxuICAgICAgICAuaGFzTGFiZWwoJ1Byb2plY3RfRGF0YScpXG4gICAgICAgIC5oYXNOb3QoVE9NQlNUT05FX1BST1BFUlRZKVxuICAgICAgICAucHJvamVjdCgnaWQnLCAnYXJjaGl2ZWQnLCAuLi5QUk9KRUNUX0ZJRUxEUylcbiAgICAgICAgLmJ5KF9fLmlkKCkpXG4gICAgICAgIC5ieShfXy5jb2FsZXNjZShfXy52YWx1ZXMoJ2FyY2hpdmVkJyksIF9fLmNvbnN0YW50KGZhbHNlKSkpO1xuICAgICAgZm9yIChjb25zdCBmaWVsZCBvZiBQUk9KRUNUX0ZJRUxEUykge1xuICAgICAgICB0ID0gdC5ieShfXy5jb2FsZXNjZShfXy52YWx1ZXMoZmllbGQpLCBfXy5jb25zdGFudCgnJykpKTtcbiAgICAgIH1cbiAgICAgIGNvbnN0IHJvd3MgPSBhd2FpdCB0LnRvTGlzdCgpO1xuICAgICAgaWYgKHJvd3MubGVuZ3RoID09PSAwKSByZXR1cm4gbnVsbDtcbiAgICAgIGNvbnN0IHI6IGFueSA9IHJvd3NbMF07XG4gICAgICBjb25zdCBwcm9qZWN0OiBSZWNvcmQ8c3RyaW5nLCB1bmtub3duPiA9IHt9O1xuICAgICAgZm9yIChjb25zdCBrZXkgb2YgWydpZCcsICdhcmNoaXZlZCcsIC4uLlBST0pFQ1RfRklFTERTXSkge1xuICAgICAgICBwcm9qZWN0W2tleV0gPSByW2tleV0gPz8gKHIuZ2V0ID8gci5nZXQoa2V5KSA6IHVuZGVmaW5lZCk7XG4gICAgICB9XG4gICAgICAvLyBQcm9qZWN0cyB0aGUgY2FsbGVyIG1heSBub3QgcmVhZCBkbyBub3QgZXhpc3QgYXMgZmFyIGFzIHRoZXkga25vd1xuICAgICAgaWYgKCFjYW5TZWVDbGFzc2lmaWNhdGlvbihldmVudC5pZGVudGl0eSwgcHJvamVjdC5EYXRhQ2xhc3NpZmljYXRpb24gYXMgc3RyaW5nKSkgcmV0dXJuIG51bGw7XG4gICAgICByZXR1cm4gcHJvamVjdDtcbiAgICB9O1xuXG4gICAgY29uc3QgcHJvamVjdFNuYXBzaG90ID0gKHByb2plY3Q6IFJlY29yZDxzdHJpbmcsIHVua25vd24+IHwgbnVsbCk6IFNuYXBzaG90ID0+XG4gICAgICBwcm9qZWN0ICYmIE9iamVjdC5mcm9tRW50cmllcyhPYmplY3QuZW50cmllcyhwcm9qZWN0KS5maWx0ZXIoKFtrZXldKSA9PiBrZXkgIT09ICdpZCcpKTtcblxuICAgIC8vIFRyaW1zIHRoZSBpbnB1dCBhbmQgY2hlY2tzIFRpZXIvRGF0YUNsYXNzaWZpY2F0aW9uIGFnYWluc3QgdGhlXG4gICAgLy8gYWxsb3dlZCB2YWx1ZXM7IGVtcHR5IHN0cmluZ3MgY2xlYXIgdGhlIGZpZWxkXG4gICAgY29uc3QgdmFsaWRhdGVQcm9qZWN0SW5wdXQgPSAoaW5wdXQ6IFJlY29yZDxzdHJpbmcsIHVua25vd24+KSA9PiB7XG4gICAgICBjb25zdCB2YWx1ZXM6IFJlY29yZDxzdHJpbmcsIHN0cmluZz4gPSB7fTtcbiAgICAgIGZvciAoY29uc3QgW2tleSwgdmFsXSBvZiBPYmplY3QuZW50cmllcyhpbnB1dCA/PyB7fSkpIHtcbiAgICAgICAgaWYgKCFQUk9KRUNUX0ZJRUxEUy5pbmNsdWRlcyhrZXkpKSB7XG4gICAgICAgICAgdGhyb3cgdmFsaWRhdGlvbkVycm9yKGBVbmtub3duIHByb2plY3QgZmllbGQ6ICR7a2V5fWAsIHsgZmllbGQ6IGtleSB9KTtcbiAgICAgICAgfVxuICAgICAgICBpZiAodmFsID09PSB1bmRlZmluZWQgfHwgdmFsID09PSBudWxsKSBjb250aW51ZTtcbiAgICAgICAgdmFsdWVzW2tleV0gPSBTdHJpbmcodmFsKS50cmltKCk7XG4gICAgICB9XG4gICAgICBpZiAoJ3Byb2plY3ROYW1lJyBpbiB2YWx1ZXMgJiYgIXZhbHVlcy5wcm9qZWN0TmFtZSkge1xuICAgICAgICB0aHJvdyB2YWxpZGF0aW9uRXJyb3IoJ3Byb2plY3ROYW1lIGNhbm5vdCBiZSBlbXB0eScsIHsgZmllbGQ6ICdwcm9qZWN0TmFtZScgfSk7XG4gICAgICB9XG4gICAgICBpZiAodmFsdWVzLlRpZXIgJiYgIVBST0pFQ1RfVElFUlMuaW5jbHVkZXModmFsdWVzLlRpZXIpKSB7XG4gICAgICAgIHRocm93IHZhbGlkYXRpb25FcnJvcihgSW52YWxpZCBUaWVyIFwiJHt2YWx1ZXMuVGllcn1cIjsgZXhwZWN0ZWQgb25lIG9mICR7UFJPSkVDVF9USUVSUy5qb2luKCcsICcpfWAsIHtcbiAgICAgICAgICBmaWVsZDogJ1RpZXInLFxuICAgICAgICB9KTtcbiAgICAgIH1cbiAgICAgIGlmICh2YWx1ZXMuRGF0YUNsYXNzaWZpY2F0aW9uICYmICFEQVRBX0NMQVNTSUZJQ0FUSU9OUy5pbmNsdWRlcyh2YWx1ZXMuRGF0YUNsYXNzaWZpY2F0aW9uKSkge1xuICAgICAgICB0aHJvdyB2YWxpZGF0aW9uRXJyb3IoXG4gICAgICAgICAgYEludmFsaWQgRGF0YUNsYXNzaWZpY2F0aW9uIFwiJHt2YWx1ZXMuRGF0YUNsYXNzaWZpY2F0aW9ufVwiOyBleHBlY3RlZCBvbmUgb2YgJHtEQVRBX0NMQVNTSUZJQ0FUSU9OUy5qb2luKCcsICcpfWAsXG4gICAgICAgICAgeyBmaWVsZDogJ0RhdGFDbGFzc2lmaWNhdGlvbicgfVxuICAgICAgICApO1xuICAgICAgfVxuICAgICAgaWYgKCFjYW5TZWVDbGFzc2lmaWNhdGlvbihldmVudC5pZGVudGl0eSwgdmFsdWVzLkRhdGFDbGFzc2lmaWNhdGlvbikpIHtcbiAgICAgICAgdGhyb3cgZm9yYmlkZGVuRXJyb3IoXG4gICAgICAgICAgYE9ubHkgbWVtYmVycyBvZiBhIHJlYWRlciBncm91cCBmb3IgJHt2YWx1ZXMuRGF0YUNsYXNzaWZpY2F0aW9ufSBwcm9qZWN0cyBjYW4gY2xhc3NpZnkgYSBwcm9qZWN0IGFzICR7dmFsdWVzLkRhdGFDbGFzc2lmaWNhdGlvbn1gLFxuICAgICAgICAgIHsgZmllbGQ6ICdEYXRhQ2xhc3NpZmljYXRpb24nIH1cbiAgICAgICAgKTtcbiAgICAgIH1cbiAgICAgIHJldHVybiB2YWx1ZXM7XG4gICAgfTtcblxuICAgIC8vIERlbGV0ZWQgcHJvamVjdHMgZG8gbm90IGhvbGQgb24gdG8gdGhlaXIgbmFtZXM7IHJlc3RvcmVWZXJ0ZXggY2hlY2tzXG4gICAgLy8gdGhlIG5hbWUgYWdhaW4gYmVmb3JlIGJyaW5naW5nIG9uZSBiYWNrXG4gICAgY29uc3QgcmVxdWlyZVVuaXF1ZVByb2plY3ROYW1lID0gYXN5bmMgKFxuICAgICAgcHJvamVjdE5hbWU6IHN0cmluZyxcbiAgICAgIGV4Y2VwdElkPzogc3RyaW5nLFxuICAgICAgZ3Q6IEdyYXBoVHJhdmVyc2FsU291cmNlID0gZyFcbiAgICApID0+IHtcbiAgICAgIGxldCB0ID0gZ3QuVigpXG4gICAgICAgIC5oYXNMYWJlbCgnUHJvamVjdF9EYXRhJylcbiAgICAgICAgLmhhcygncHJvamVjdE5hbWUnLCBwcm9qZWN0TmFtZSlcbiAgICAgICAgLmhhc05vdChUT01CU1RPTkVfUFJPUEVSVFkpO1xuICAgICAgaWYgKGV4Y2VwdElkKSB7XG4gICAgICAgIHQgPSB0Lm5vdChfXy5oYXNJZChleGNlcHRJZCkpO1xuICAgICAgfVxuICAgICAgY29uc3QgZXhpc3RpbmcgPSBhd2FpdCB0LmlkKCkubGltaXQoMSkudG9MaXN0KCk7XG4gICAgICBpZiAoZXhpc3RpbmcubGVuZ3RoID4gMCkge1xuICAgICAgICB0aHJvdyBjb25mbGljdEVycm9yKGBBIHByb2plY3QgbmFtZWQgXCIke3Byb2plY3ROYW1lfVwiIGFscmVhZHkgZXhpc3RzYCwgeyBmaWVsZDogJ3Byb2plY3ROYW1lJyB9KTtcbiAgICAgIH1cbiAgICB9O1xuXG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcImNyZWF0ZVByb2plY3RcIikge1xuICAgICAgY29uc3QgdmFsdWVzID0gdmFsaWRhdGVQcm9qZWN0SW5wdXQoZXZlbnQuYXJndW1lbnRzLmlucHV0KTtcbiAgICAgIGlmICghdmFsdWVzLnByb2plY3ROYW1lKSB7XG4gICAgICAgIHRocm93IHZhbGlkYXRpb25FcnJvcigncHJvamVjdE5hbWUgaXMgcmVxdWlyZWQnLCB7IGZpZWxkOiAncHJvamVjdE5hbWUnIH0pO1xuICAgICAgfVxuICAgICAgY29uc3QgcHJvamVjdElkID0gYHByb2plY3RfZGF0YV8ke3JhbmRvbVVVSUQoKX1gO1xuICAgICAgY29uc3QgY3JlYXRlZCA9IGF3YWl0IGluVHJhbnNhY3Rpb24oZyEsIGFzeW5jIChndHgpID0+IHtcbiAgICAgICAgYXdhaXQgcmVxdWlyZVVuaXF1ZVByb2plY3ROYW1lKHZhbHVlcy5wcm9qZWN0TmFtZSwgdW5kZWZpbmVkLCBndHgpO1xuXG4gICAgICAgIGxldCB0ID0gZ3R4LmFkZFYoJ1Byb2plY3RfRGF0YScpLnByb3BlcnR5KGlkLCBwcm9qZWN0SWQpO1xuICAgICAgICBmb3IgKGNvbnN0IFtrZXksIHZhbF0gb2YgT2JqZWN0LmVudHJpZXModmFsdWVzKSkge1xuICAgICAgICAgIGlmICh2YWwgIT09ICcnKSB7XG4gICAgICAgICAgICB0ID0gdC5wcm9wZXJ0eShrZXksIHZhbCk7XG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICAgIGZvciAoY29uc3QgW2tleSwgdmFsXSBvZiBPYmplY3QuZW50cmllcyhzZWFyY2hQcm9wZXJ0aWVzKHZhbHVlcykpKSB7XG4gICAgICAgICAgdCA9IHQucHJvcGVydHkoa2V5LCB2YWwpO1xuICAgICAgICB9XG4gICAgICAgIGF3YWl0IHQubmV4dCgpO1xuXG4gICAgICAgIGNvbnN0IHByb2plY3QgPSBhd2FpdCByZWFkUHJvamVjdChwcm9qZWN0SWQsIGd0eCk7XG4gICAgICAgIGF3YWl0IHJlY29yZEF1ZGl0KFxuICAgICAgICAgICdjcmVhdGVQcm9qZWN0JyxcbiAgICAgICAgICB7IGlkOiBwcm9qZWN0SWQsIGxhYmVsOiAnUHJvamVjdF9EYXRhJyB9LFxuICAgICAgICAgIG51bGwsXG4gICAgICAgICAgcHJvamVjdFNuYXBzaG90KHByb2plY3QpLFxuICAgICAgICAgIGd0eFxuICAgICAgICApO1xuICAgICAgICByZXR1cm4gcHJvamVjdDtcbiAgICAgIH0pO1xuICAgICAgY29uc29sZS5sb2coXCJDcmVhdGVkIHByb2plY3Q6XCIsIHByb2plY3RJZCwgdmFsdWVzKTtcbiAgICAgIHJldHVybiBjcmVhdGVkO1xuICAgIH1cblxuICAgIGlmIChldmVudC5maWVsZCA9PT0gXCJ1cGRhdGVQcm9qZWN0XCIpIHtcbiAgICAgIGNvbnN0IHsgaWQ6IHByb2plY3RJZCB9ID0gZXZlbnQuYXJndW1lbnRzO1xuICAgICAgY29uc3QgdmFsdWVzID0gdmFsaWRhdGVQcm9qZWN0SW5wdXQoZXZlbnQuYXJndW1lbnRzLmlucHV0KTtcbiAgICAgIGNvbnN0IHVwZGF0ZWQgPSBhd2FpdCBpblRyYW5zYWN0aW9uKGchLCBhc3luYyAoZ3R4KSA9PiB7XG4gICAgICAgIGNvbnN0IGN1cnJlbnQgPSBhd2FpdCByZWFkUHJvamVjdChwcm9qZWN0SWQsIGd0eCk7XG4gICAgICAgIGlmICghY3VycmVudCkge1xuICAgICAgICAgIHRocm93IG5vdEZvdW5kRXJyb3IoYFByb2plY3Qgbm90IGZvdW5kOiAke3Byb2plY3RJZH1gLCB7IGlkOiBwcm9qZWN0SWQgfSk7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKHZhbHVlcy5wcm9qZWN0TmFtZSAmJiB2YWx1ZXMucHJvamVjdE5hbWUgIT09IGN1cnJlbnQucHJvamVjdE5hbWUpIHtcbiAgICAgICAgICBhd2FpdCByZXF1aXJlVW5pcXVlUHJvamVjdE5hbWUodmFsdWVzLnByb2plY3ROYW1lLCBwcm9qZWN0SWQsIGd0eCk7XG4gICAgICAgIH1cblxuICAgICAgICBjb25zdCBjbGVhcmVkID0gT2JqZWN0LmtleXModmFsdWVzKS5maWx0ZXIoKGtleSkgPT4gdmFsdWVzW2tleV0gPT09ICcnKTtcbiAgICAgICAgbGV0IHQgPSBndHguVihwcm9qZWN0SWQpO1xuICAgICAgICBpZiAoY2xlYXJlZC5sZW5ndGggPiAwKSB7XG4gICAgICAgICAgdCA9IHQuc2lkZUVmZmVjdChfXy5wcm9wZXJ0aWVzKC4uLmNsZWFyZWQpLmRyb3AoKSk7XG4gICAgICAgIH1cbiAgICAgICAgZm9yIChjb25zdCBba2V5LCB2YWxdIG9mIE9iamVjdC5lbnRyaWVzKHZhbHVlcykpIHtcbiAgICAgICAgICBpZiAodmFsICE9PSAnJykge1xuICAgICAgICAgICAgdCA9IHQucHJvcGVydHkoY2FyZGluYWxpdHkuc2luZ2xlLCBrZXksIHZhbCk7XG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICAgIGZvciAoY29uc3QgW2tleSwgdmFsXSBvZiBPYmplY3QuZW50cmllcyhzZWFyY2hQcm9wZXJ0aWVzKHZhbHVlcykpKSB7XG4gICAgICAgICAgdCA9IHQucHJvcGVydHkoY2FyZGluYWxpdHkuc2luZ2xlLCBrZXksIHZhbCk7XG4gICAgICAgIH1cbiAgICAgICAgYXdhaXQgdC5pdGVyYXRlKCk7XG5cbiAgICAgICAgY29uc3QgcHJvamVjdCA9IGF3YWl0IHJlYWRQcm9qZWN0KHByb2plY3RJZCwgZ3R4KTtcbiAgICAgICAgYXdhaXQgcmVjb3JkQXVkaXQoXG4gICAgICAgICAgJ3VwZGF0ZVByb2plY3QnLFxuICAgICAgICAgIHsgaWQ6IHByb2plY3RJZCwgbGFiZWw6ICdQcm9qZWN0X0RhdGEnIH0sXG4gICAgICAgICAgcHJvamVjdFNuYXBzaG90KGN1cnJlbnQpLFxuICAgICAgICAgIHByb2plY3RTbmFwc2hvdChwcm9qZWN0KSxcbiAgICAgICAgICBndHhcbiAgICAgICAgKTtcbiAgICAgICAgcmV0dXJuIHByb2plY3Q7XG4gICAgICB9KTtcbiAgICAgIGNvbnNvbGUubG9nKFwiVXBkYXRlZCBwcm9qZWN0OlwiLCBwcm9qZWN0SWQsIHZhbHVlcyk7XG4gICAgICByZXR1cm4gdXBkYXRlZDtcbiAgICB9XG5cbiAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwiYXJjaGl2ZVByb2plY3RcIikge1xuICAgICAgY29uc3QgeyBpZDogcHJvamVjdElkIH0gPSBldmVudC5hcmd1bWVudHM7XG4gICAgICBjb25zdCBhcmNoaXZlZCA9IGF3YWl0IGluVHJhbnNhY3Rpb24oZyEsIGFzeW5jIChndHgpID0+IHtcbiAgICAgICAgY29uc3QgY3VycmVudCA9IGF3YWl0IHJlYWRQcm9qZWN0KHByb2plY3RJZCwgZ3R4KTtcbiAgICAgICAgaWYgKCFjdXJyZW50KSB7XG4gICAgICAgICAgdGhyb3cgbm90Rm91bmRFcnJvcihgUHJvamVjdCBub3QgZm91bmQ6ICR7cHJvamVjdElkfWAsIHsgaWQ6IHByb2plY3RJZCB9KTtcbiAgICAgICAgfVxuICAgICAgICBhd2FpdCBndHguVihwcm9qZWN0SWQpXG4gICAgICAgICAgLnByb3BlcnR5KGNhcmRpbmFsaXR5LnNpbmdsZSwgJ2FyY2hpdmVkJywgdHJ1ZSlcbiAgICAgICAgICAucHJvcGVydHkoY2FyZGluYWxpdHkuc2luZ2xlLCAnYXJjaGl2ZWRBdCcsIG5ldyBEYXRlKCkudG9JU09TdHJpbmcoKSlcbiAgICAgICAgICAuaXRlcmF0ZSgpO1xuXG4gICAgICAgIGNvbnN0IHByb2plY3QgPSBhd2FpdCByZWFkUHJvamVjdChwcm9qZWN0SWQsIGd0eCk7XG4gICAgICAgIGF3YWl0IHJlY29yZEF1ZGl0KFxuICAgICAgICAgICdhcmNoaXZlUHJvamVjdCcsXG4gICAgICAgICAgeyBpZDogcHJvamVjdElkLCBsYWJlbDogJ1Byb2plY3RfRGF0YScgfSxcbiAgICAgICAgICBwcm9qZWN0U25hcHNob3QoY3VycmVudCksXG4gICAgICAgICAgcHJvamVjdFNuYXBzaG90KHByb2plY3QpLFxuICAgICAgICAgIGd0eFxuICAgICAgICApO1xuICAgICAgICByZXR1cm4gcHJvamVjdDtcbiAgICAgIH0pO1xuICAgICAgY29uc29sZS5sb2coXCJBcmNoaXZlZCBwcm9qZWN0OlwiLCBwcm9qZWN0SWQpO1xuICAgICAgcmV0dXJuIGFyY2hpdmVkO1xuICAgIH1cblxuICAgIC8vIOKUgOKUgCBWZXJ0ZXggYW5kIGVkZ2UgbWFpbnRlbmFuY2Ug4pSA4pSAXG4gICAgY29uc3QgZmllbGQgPSAocjogYW55LCBrZXk6IHN0cmluZykgPT4gcltrZXldID8/IChyLmdldCA/IHIuZ2V0KGtleSkgOiB1bmRlZmluZWQpO1xuXG4gICAgLy8gRGF0YUNsYXNzaWZpY2F0aW9uIG9mIGEgYnVzaW5lc3Mgc2VydmljZSwgJycgZm9yIGFueSBvdGhlciB2ZXJ0ZXhcbiAgICBjb25zdCBjbGFzc2lmaWNhdGlvbk9mID0gKHZlcnRleDogYW55KSA9PlxuICAgICAgX18uY29hbGVzY2UodmVydGV4Lmhhc0xhYmVsKCdQcm9qZWN0X0RhdGEnKS52YWx1ZXMoJ0RhdGFDbGFzc2lmaWNhdGlvbicpLCBfXy5jb25zdGFudCgnJykpO1xuXG4gICAgLy8gSGVscGVycyB0YWtlIHRoZSB0cmF2ZXJzYWwgc291cmNlIHNvIGJhdGNoTXV0YXRlIGNhbiBydW4gdGhlbSBpbnNpZGVcbiAgICAvLyBpdHMgdHJhbnNhY3Rpb24uIExpa2UgcmVhZFByb2plY3QsIHRoZXkgdHJlYXQgYnVzaW5lc3Mgc2VydmljZXMgdGhlXG4gICAgLy8gY2FsbGVyIG1heSBub3QgcmVhZCwgYW5kIGVkZ2VzIHRvIHRoZW0sIGFzIG5vdCBmb3VuZC5cbiAgICBjb25zdCByZWFkVmVydGV4ID0gYXN5bmMgKHZlcnRleElkOiBzdHJpbmcsIGd0OiBHcmFwaFRyYXZlcnNhbFNvdXJjZSA9IGchKSA9PiB7XG4gICAgICBjb25zdCByb3dzID0gYXdhaXQgZ3QuVih2ZXJ0ZXhJZClcbiAgICAgICAgLnByb2plY3QoJ2lkJywgJ2xhYmVsJywgJ2NsYXNzaWZpY2F0aW9uJywgJ3Byb3BlcnRpZXMnKVxuICAgICAgICAuYnkoX18uaWQoKSlcbiAgICAgICAgLmJ5KF9fLmxhYmVsKCkpXG4gICAgICAgIC5ieShjbGFzc2lmaWNhdGlvbk9mKF9fLmlkZW50aXR5KCkpKVxuICAgICAgICAuYnkoX18udmFsdWVNYXAoKSlcbiAgICAgICAgLnRvTGlzdCgpO1xuICAgICAgaWYgKHJvd3MubGVuZ3RoID09PSAwKSByZXR1cm4gbnVsbDtcbiAgICAgIGNvbnN0IHI6IGFueSA9IHJvd3NbMF07XG4gICAgICBpZiAoIWNhblNlZUNsYXNzaWZpY2F0aW9uKGV2ZW50LmlkZW50aXR5LCBmaWVsZChyLCAnY2xhc3NpZmljYXRpb24nKSkpIHJldHVybiBudWxsO1xuICAgICAgcmV0dXJuIHtcbiAgICAgICAgaWQ6IGZpZWxkKHIsICdpZCcpLFxuICAgICAgICBsYWJlbDogZmllbGQociwgJ2xhYmVsJyksXG4gICAgICAgIHByb3BlcnRpZXM6IHRvUHJvcGVydHlMaXN0KGZpZWxkKHIsICdwcm9wZXJ0aWVzJykpLFxuICAgICAgfTtcbiAgICB9O1xuXG4gICAgY29uc3QgcmVhZEVkZ2UgPSBhc3luYyAoZWRnZUlkOiBzdHJpbmcsIGd0OiBHcmFwaFRyYXZlcnNhbFNvdXJjZSA9IGchKSA9PiB7XG4gICAgICBjb25zdCByb3dzID0gYXdhaXQgZ3QuRShlZGdlSWQpXG4gICAgICAgIC5wcm9qZWN0KCdpZCcsICdsYWJlbCcsICdzb3VyY2UnLCAndGFyZ2V0JywgJ3NvdXJjZUNsYXNzaWZpY2F0aW9uJywgJ3RhcmdldENsYXNzaWZpY2F0aW9uJywgJ3Byb3BlcnRpZXMnKVxuICAgICAgICAuYnkoX18uaWQoKSlcbiAgICAgICAgLmJ5KF9fLmxhYmVsKCkpXG4gICAgICAgIC5ieShfXy5vdXRWKCkuaWQoKSlcbiAgICAgICAgLmJ5KF9fLmluVigpLmlkKCkpXG4gICAgICAgIC5ieShjbGFzc2lmaWNhdGlvbk9mKF9fLm91dFYoKSkpXG4gICAgICAgIC5ieShjbGFzc2lmaWNhdGlvbk9mKF9fLmluVigpKSlcbiAgICAgICAgLmJ5KF9fLnZhbHVlTWFwKCkpXG4gICAgICAgIC50b0xpc3QoKTtcbiAgICAgIGlmIChyb3dzLmxlbmd0aCA9PT0gMCkgcmV0dXJuIG51bGw7XG4gICAgICBjb25zdCByOiBhbnkgPSByb3dzWzBdO1xuICAgICAgaWYgKFxuICAgICAgICAhY2FuU2VlQ2xhc3NpZmljYXRpb24oZXZlbnQuaWRlbnRpdHksIGZpZWxkKHIsICdzb3VyY2VDbGFzc2lmaWNhdGlvbicpKSB8fFxuICAgICAgICAhY2FuU2VlQ2xhc3NpZmljYXRpb24oZXZlbnQuaWRlbnRpdHksIGZpZWxkKHIsICd0YXJnZXRDbGFzc2lmaWNhdGlvbicpKVxuICAgICAgKSB7XG4gICAgICAgIHJldHVybiBudWxsO1xuICAgICAgfVxuICAgICAgcmV0dXJuIHtcbiAgICAgICAgaWQ6IGZpZWxkKHIsICdpZCcpLFxuICAgICAgICBsYWJlbDogZmllbGQociwgJ2xhYmVsJyksXG4gICAgICAgIHNvdXJjZTogZmllbGQociwgJ3NvdXJjZScpLFxuICAgICAgICB0YXJnZXQ6IGZpZWxkKHIsICd0YXJnZXQnKSxcbiAgICAgICAgcHJvcGVydGllczogdG9Qcm9wZXJ0eUxpc3QoZmllbGQociwgJ3Byb3BlcnRpZXMnKSksXG4gICAgICB9O1xuICAgIH07XG5cbiAgICAvLyBMb29rcyB1cCB0aGUgZWxlbWVudCBhbmQgY2hlY2tzIGl0cyBsYWJlbCBhZ2FpbnN0IHRoZSBrbm93biBsYWJlbHNcbiAgICAvLyBhbmQsIHdoZW4gZ2l2ZW4sIHRoZSBsYWJlbCB0aGUgY2FsbGVyIGV4cGVjdHMgdG8gYmUgZWRpdGluZ1xuICAgIGNvbnN0IHJlcXVpcmVFbGVtZW50ID0gYXN5bmMgKFxuICAgICAga2luZDogJ3ZlcnRleCcgfCAnZWRnZScsXG4gICAgICBlbGVtZW50SWQ6IHN0cmluZyxcbiAgICAgIGV4cGVjdGVkTGFiZWw/OiBzdHJpbmcsXG4gICAgICBndDogR3JhcGhUcmF2ZXJzYWxTb3VyY2UgPSBnIVxuICAgICkgPT4ge1xuICAgICAgY29uc3QgcmVjb3JkID0ga2luZCA9PT0gJ3ZlcnRleCcgPyBhd2FpdCByZWFkVmVydGV4KGVsZW1lbnRJZCwgZ3QpIDogYXdhaXQgcmVhZEVkZ2UoZWxlbWVudElkLCBndCk7XG4gICAgICAvLyBUb21ic3RvbmVkIGVsZW1lbnRzIGNvdW50IGFzIGRlbGV0ZWRcbiAgICAgIGlmICghcmVjb3JkIHx8IHJlY29yZC5wcm9wZXJ0aWVzLnNvbWUoKHApID0+IHAua2V5ID09PSBUT01CU1RPTkVfUFJPUEVSVFkpKSB7XG4gICAgICAgIHRocm93IG5vdEZvdW5kRXJyb3IoYCR7a2luZCA9PT0gJ3ZlcnRleCcgPyAnVmVydGV4JyA6ICdFZGdlJ30gbm90IGZvdW5kOiAke2VsZW1lbnRJZH1gLCB7IGlkOiBlbGVtZW50SWQgfSk7XG4gICAgICB9XG4gICAgICBjb25zdCBrbm93biA9IGtpbmQgPT09ICd2ZXJ0ZXgnID8gaXNWZXJ0ZXhMYWJlbChyZWNvcmQubGFiZWwpIDogaXNFZGdlTGFiZWwocmVjb3JkLmxhYmVsKTtcbiAgICAgIGlmICgha25vd24pIHtcbiAgICAgICAgdGhyb3cgdmFsaWRhdGlvbkVycm9yKGBVbnN1cHBvcnRlZCAke2tpbmR9IGxhYmVsOiAke3JlY29yZC5sYWJlbH1gKTtcbiAgICAgIH1cbiAgICAgIGlmIChleHBlY3RlZExhYmVsICYmIGV4cGVjdGVkTGFiZWwgIT09IHJlY29yZC5sYWJlbCkge1xuICAgICAgICB0aHJvdyB2YWxpZGF0aW9uRXJyb3IoYEV4cGVjdGVkICR7a2luZH0gJHtlbGVtZW50SWR9IHRvIGJlICR7ZXhwZWN0ZWRMYWJlbH0gYnV0IGl0IGlzICR7cmVjb3JkLmxhYmVsfWApO1xuICAgICAgfVxuICAgICAgcmV0dXJuIHJlY29yZDtcbiAgICB9O1xuXG4gICAgLy8gQnVzaW5lc3Mgc2VydmljZXMgYXJlIHdyaXR0ZW4gdGhyb3VnaCBjcmVhdGVQcm9qZWN0L3VwZGF0ZVByb2plY3QsXG4gICAgLy8gd2hpY2ggdmFsaWRhdGUgVGllci9EYXRhQ2xhc3NpZmljYXRpb24gYW5kIGtlZXAgcHJvamVjdE5hbWUgdW5pcXVlXG4gICAgY29uc3QgUFJPSkVDVF9EQVRBX01FU1NBR0UgPSAnUHJvamVjdF9EYXRhIHZlcnRpY2VzIGFyZSB3cml0dGVuIHdpdGggY3JlYXRlUHJvamVjdCBhbmQgdXBkYXRlUHJvamVjdCc7XG4gICAgY29uc3QgcmVqZWN0UHJvamVjdERhdGEgPSAobGFiZWw6IHN0cmluZykgPT4ge1xuICAgICAgaWYgKGxhYmVsID09PSAnUHJvamVjdF9EYXRhJykge1xuICAgICAgICB0aHJvdyB2YWxpZGF0aW9uRXJyb3IoUFJPSkVDVF9EQVRBX01FU1NBR0UsIHsgZmllbGQ6ICdsYWJlbCcgfSk7XG4gICAgICB9XG4gICAgfTtcblxuICAgIC8vIFNwbGl0cyB0aGUgcHJvcGVydGllcyBKU09OIGludG8gdmFsdWVzIHRvIHNldCBhbmQga2V5cyB0byByZW1vdmVcbiAgICAvLyAobnVsbCBvciBlbXB0eSBzdHJpbmcpLCBjb2VyY2luZyB0aGUgdmFsdWVzIHRvIHRoZWlyIGRlY2xhcmVkIHR5cGVzXG4gICAgY29uc3QgcGFyc2VVcGRhdGVzID0gKGtpbmQ6ICd2ZXJ0ZXgnIHwgJ2VkZ2UnLCBsYWJlbDogc3RyaW5nLCBwcm9wZXJ0aWVzSnNvbjogc3RyaW5nKSA9PiB7XG4gICAgICBjb25zdCB1cGRhdGVzID0gcGFyc2VQcm9wZXJ0aWVzKHByb3BlcnRpZXNKc29uKTtcbiAgICAgIGNvbnN0IHNldDogUmVjb3JkPHN0cmluZywgdW5rbm93bj4gPSB7fTtcbiAgICAgIGNvbnN0IHJlbW92ZTogc3RyaW5nW10gPSBbXTtcbiAgICAgIGZvciAoY29uc3QgW2tleSwgdmFsXSBvZiBPYmplY3QuZW50cmllcyh1cGRhdGVzKSkge1xuICAgICAgICBpZiAoUkVTRVJWRURfUFJPUEVSVFlfS0VZUy5pbmNsdWRlcyhrZXkpIHx8IGlzU2VhcmNoUHJvcGVydHkoa2V5KSkge1xuICAgICAgICAgIHRocm93IHZhbGlkYXRpb25FcnJvcihgUHJvcGVydHkgY2Fubm90IGJlIHVwZGF0ZWQ6ICR7a2V5fWAsIHsgZmllbGQ6IGtleSB9KTtcbiAgICAgICAgfVxuICAgICAgICBpZiAodmFsID09PSBudWxsIHx8IHZhbCA9PT0gJycpIHtcbiAgICAgICAgICByZW1vdmUucHVzaChrZXkpO1xuICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgIHNldFtrZXldID0gdmFsO1xuICAgICAgICB9XG4gICAgICB9XG4gICAgICBjb25zdCB7IHZhbHVlcywgZXJyb3JzIH0gPSB2YWxpZGF0ZVByb3BlcnRpZXMoa2luZCwgbGFiZWwsIHNldCwgeyBwYXJ0aWFsOiB0cnVlIH0pO1xuICAgICAgY29uc3Qgc2NoZW1hID0gc2NoZW1hRm9yKGtpbmQsIGxhYmVsKSA/PyB7fTtcbiAgICAgIGZvciAoY29uc3Qga2V5IG9mIHJlbW92ZSkge1xuICAgICAgICBpZiAoIXNjaGVtYVtrZXldKSB7XG4gICAgICAgICAgZXJyb3JzLnB1c2goeyBmaWVsZDoga2V5LCBtZXNzYWdlOiBgVW5rbm93biBwcm9wZXJ0eSBmb3IgJHtsYWJlbH1gIH0pO1xuICAgICAgICB9IGVsc2UgaWYgKHNjaGVtYVtrZXldLnJlcXVpcmVkKSB7XG4gICAgICAgICAgZXJyb3JzLnB1c2goeyBmaWVsZDoga2V5LCBtZXNzYWdlOiAnUmVxdWlyZWQnIH0pO1xuICAgICAgICB9XG4gICAgICB9XG4gICAgICBpZiAoZXJyb3JzLmxlbmd0aCA+IDApIHtcbiAgICAgICAgdGhyb3cgZmllbGRWYWxpZGF0aW9uRXJyb3IoZXJyb3JzKTtcbiAgICAgIH1cbiAgICAgIHJldHVybiB7IHNldDogdmFsdWVzLCByZW1vdmUgfTtcbiAgICB9O1xuXG4gICAgLy8gRW5kcG9pbnQgYW5kIGNhcmRpbmFsaXR5IGNoZWNrcyBmcm9tIEVER0VfUlVMRVMgZm9yIGEgbmV3IGVkZ2VcbiAgICBjb25zdCBjaGVja0VkZ2VSdWxlcyA9IGFzeW5jIChcbiAgICAgIGVkZ2VMYWJlbDogc3RyaW5nLFxuICAgICAgc291cmNlSWQ6IHN0cmluZyxcbiAgICAgIGRlc3RpbmF0aW9uSWQ6IHN0cmluZyxcbiAgICAgIGd0OiBHcmFwaFRyYXZlcnNhbFNvdXJjZSA9IGchXG4gICAgKSA9PiB7XG4gICAgICBjb25zdCByb3dzID0gYXdhaXQgZ3QuVihzb3VyY2VJZCwgZGVzdGluYXRpb25JZClcbiAgICAgICAgLmhhc05vdChUT01CU1RPTkVfUFJPUEVSVFkpXG4gICAgICAgIC5wcm9qZWN0KCdpZCcsICdsYWJlbCcsICdjbGFzc2lmaWNhdGlvbicsICdlbnRpdHlUeXBlcycpXG4gICAgICAgIC5ieShfXy5pZCgpKVxuICAgICAgICAuYnkoX18ubGFiZWwoKSlcbiAgICAgICAgLmJ5KGNsYXNzaWZpY2F0aW9uT2YoX18uaWRlbnRpdHkoKSkpXG4gICAgICAgIC5ieShfXy5jb2FsZXNjZShfXy52YWx1ZXMoJ2VudGl0eVR5cGVzJyksIF9fLmNvbnN0YW50KCcnKSkpXG4gICAgICAgIC50b0xpc3QoKTtcbiAgICAgIGNvbnN0IGVuZHBvaW50ID0gKHZlcnRleElkOiBzdHJpbmcpID0+IHtcbiAgICAgICAgY29uc3QgcjogYW55ID0gcm93cy5maW5kKChyb3c6IGFueSkgPT4gU3RyaW5nKGZpZWxkKHJvdywgJ2lkJykpID09PSBTdHJpbmcodmVydGV4SWQpKTtcbiAgICAgICAgaWYgKCFyIHx8ICFjYW5TZWVDbGFzc2lmaWNhdGlvbihldmVudC5pZGVudGl0eSwgZmllbGQociwgJ2NsYXNzaWZpY2F0aW9uJykpKSByZXR1cm4gbnVsbDtcbiAgICAgICAgcmV0dXJuIHsgbGFiZWw6IGZpZWxkKHIsICdsYWJlbCcpLCBlbnRpdHlUeXBlczogZmllbGQociwgJ2VudGl0eVR5cGVzJykgfTtcbiAgICAgIH07XG4gICAgICBjb25zdCBzcmMgPSBlbmRwb2ludChzb3VyY2VJZCk7XG4gICAgICBjb25zdCBkc3QgPSBlbmRwb2ludChkZXN0aW5hdGlvbklkKTtcbiAgICAgIGNvbnN0IGVycm9yczogRmllbGRFcnJvcltdID0gW107XG4gICAgICBpZiAoIXNyYykgZXJyb3JzLnB1c2goeyBmaWVsZDogJ3NvdXJjZScsIG1lc3NhZ2U6IGBWZXJ0ZXggbm90IGZvdW5kOiAke3NvdXJjZUlkfWAgfSk7XG4gICAgICBpZiAoIWRzdCkgZXJyb3JzLnB1c2goeyBmaWVsZDogJ2Rlc3RpbmF0aW9uJywgbWVzc2FnZTogYFZlcnRleCBub3QgZm91bmQ6ICR7ZGVzdGluYXRpb25JZH1gIH0pO1xuICAgICAgaWYgKCFzcmMgfHwgIWRzdCkgcmV0dXJuIGVycm9ycztcblxuICAgICAgY29uc3QgZW5kcG9pbnRFcnJvcnMgPSBjaGVja0VkZ2VFbmRwb2ludHMoZWRnZUxhYmVsLCBzcmMsIGRzdCk7XG4gICAgICBpZiAoZW5kcG9pbnRFcnJvcnMubGVuZ3RoID4gMCkgcmV0dXJuIGVuZHBvaW50RXJyb3JzO1xuXG4gICAgICAvLyBTZXF1ZW50aWFsLCBzaW5jZSBhIHNlc3Npb24gcnVucyBvbmUgcmVxdWVzdCBhdCBhIHRpbWVcbiAgICAgIGNvbnN0IHJ1bGUgPSBFREdFX1JVTEVTW2VkZ2VMYWJlbF07XG4gICAgICBjb25zdCBkdXBsaWNhdGVzID0gYXdhaXQgZ3QuVihzb3VyY2VJZClcbiAgICAgICAgLm91dEUoZWRnZUxhYmVsKVxuICAgICAgICAuaGFzTm90KFRPTUJTVE9ORV9QUk9QRVJUWSlcbiAgICAgICAgLndoZXJlKF9fLmluVigpLmhhc0lkKGRlc3RpbmF0aW9uSWQpKVxuICAgICAgICAuY291bnQoKVxuICAgICAgICAubmV4dCgpO1xuICAgICAgY29uc3QgZnJvbVNvdXJjZSA9IHJ1bGUubWF4UGVyU291cmNlXG4gICAgICAgID8gYXdhaXQgZ3QuVihzb3VyY2VJZCkub3V0RShlZGdlTGFiZWwpLmhhc05vdChUT01CU1RPTkVfUFJPUEVSVFkpLmNvdW50KCkubmV4dCgpXG4gICAgICAgIDogbnVsbDtcbiAgICAgIGNvbnN0IHRvRGVzdGluYXRpb24gPSBydWxlLm1heFBlckRlc3RpbmF0aW9uXG4gICAgICAgID8gYXdhaXQgZ3QuVihkZXN0aW5hdGlvbklkKS5pbkUoZWRnZUxhYmVsKS5oYXNOb3QoVE9NQlNUT05FX1BST1BFUlRZKS5jb3VudCgpLm5leHQoKVxuICAgICAgICA6IG51bGw7XG4gICAgICBpZiAoTnVtYmVyKGR1cGxpY2F0ZXMudmFsdWUpID4gMCkge1xuICAgICAgICBlcnJvcnMucHVzaCh7IGZpZWxkOiAnZGVzdGluYXRpb24nLCBtZXNzYWdlOiBgJHtlZGdlTGFiZWx9IGFscmVhZHkgam9pbnMgdGhlc2UgdmVydGljZXNgIH0pO1xuICAgICAgfSBlbHNlIGlmIChmcm9tU291cmNlICYmIE51bWJlcihmcm9tU291cmNlLnZhbHVlKSA+PSBydWxlLm1heFBlclNvdXJjZSEpIHtcbiAgICAgICAgZXJyb3JzLnB1c2goe1xuICAgICAgICAgIGZpZWxkOiAnc291cmNlJyxcbiAgICAgICAgICBtZXNzYWdlOiBgJHtlZGdlTGFiZWx9IGFsbG93cyBhdCBtb3N0ICR7cnVsZS5tYXhQZXJTb3VyY2V9IGVkZ2UocykgcGVyICR7c3JjLmxhYmVsfTsgdGhpcyBvbmUgYWxyZWFkeSBoYXMgJHtmcm9tU291cmNlLnZhbHVlfWAsXG4gICAgICAgIH0pO1xuICAgICAgfSBlbHNlIGlmICh0b0Rlc3RpbmF0aW9uICYmIE51bWJlcih0b0Rlc3RpbmF0aW9uLnZhbHVlKSA+PSBydWxlLm1heFBlckRlc3RpbmF0aW9uISkge1xuICAgICAgICBlcnJvcnMucHVzaCh7XG4gICAgICAgICAgZmllbGQ6ICdkZXN0aW5hdGlvbicsXG4gICAgICAgICAgbWVzc2FnZTogYCR7ZWRnZUxhYmVsfSBhbGxvd3MgYXQgbW9zdCAke3J1bGUubWF4UGVyRGVzdGluYXRpb259IGVkZ2UocykgcGVyICR7ZHN0LmxhYmVsfTsgdGhpcyBvbmUgYWxyZWFkeSBoYXMgJHt0b0Rlc3RpbmF0aW9uLnZhbHVlfWAsXG4gICAgICAgIH0pO1xuICAgICAgfVxuICAgICAgcmV0dXJuIGVycm9ycztcbiAgICB9O1xuXG4gICAgY29uc3Qgd3JpdGVWZXJ0ZXhVcGRhdGUgPSBhc3luYyAoXG4gICAgICB2ZXJ0ZXhJZDogc3RyaW5nLFxuICAgICAgc2V0OiBSZWNvcmQ8c3RyaW5nLCB1bmtub3duPixcbiAgICAgIHJlbW92ZTogc3RyaW5nW10sXG4gICAgICBndDogR3JhcGhUcmF2ZXJzYWxTb3VyY2UgPSBnIVxuICAgICkgPT4ge1xuICAgICAgLy8gUmVtb3ZlZCBzZWFyY2hhYmxlIHByb3BlcnRpZXMgdGFrZSB0aGVpciBzaGFkb3dzIHdpdGggdGhlbVxuICAgICAgY29uc3QgZHJvcEtleXMgPSBbXG4gICAgICAgIC4uLnJlbW92ZSxcbiAgICAgICAgLi4ucmVtb3ZlLmZpbHRlcigoa2V5KSA9PiBTRUFSQ0hBQkxFX0ZJRUxEUy5pbmNsdWRlcyhrZXkpKS5tYXAoc2VhcmNoUHJvcGVydHlOYW1lKSxcbiAgICAgIF07XG4gICAgICBsZXQgdCA9IGd0LlYodmVydGV4SWQpO1xuICAgICAgaWYgKGRyb3BLZXlzLmxlbmd0aCA+IDApIHtcbiAgICAgICAgdCA9IHQuc2lkZUVmZmVjdChfXy5wcm9wZXJ0aWVzKC4uLmRyb3BLZXlzKS5kcm9wKCkpO1xuICAgICAgfVxuICAgICAgZm9yIChjb25zdCBba2V5LCB2YWxdIG9mIFsuLi5PYmplY3QuZW50cmllcyhzZXQpLCAuLi5PYmplY3QuZW50cmllcyhzZWFyY2hQcm9wZXJ0aWVzKHNldCkpXSkge1xuICAgICAgICB0ID0gdC5wcm9wZXJ0eShjYXJkaW5hbGl0eS5zaW5nbGUsIGtleSwgdmFsKTtcbiAgICAgIH1cbiAgICAgIGF3YWl0IHQuaXRlcmF0ZSgpO1xuICAgIH07XG5cbiAgICBjb25zdCB3cml0ZUVkZ2VVcGRhdGUgPSBhc3luYyAoXG4gICAgICBlZGdlSWQ6IHN0cmluZyxcbiAgICAgIHNldDogUmVjb3JkPHN0cmluZywgdW5rbm93bj4sXG4gICAgICByZW1vdmU6IHN0cmluZ1tdLFxuICAgICAgZ3Q6IEdyYXBoVHJhdmVyc2FsU291cmNlID0gZyFcbiAgICApID0+IHtcbiAgICAgIGxldCB0ID0gZ3QuRShlZGdlSWQpO1xuICAgICAgaWYgKHJlbW92ZS5sZW5ndGggPiAwKSB7XG4gICAgICAgIHQgPSB0LnNpZGVFZmZlY3QoX18ucHJvcGVydGllcyguLi5yZW1vdmUpLmRyb3AoKSk7XG4gICAgICB9XG4gICAgICBmb3IgKGNvbnN0IFtrZXksIHZhbF0gb2YgT2JqZWN0LmVudHJpZXMoc2V0KSkge1xuICAgICAgICB0ID0gdC5wcm9wZXJ0eShrZXksIHZhbCk7XG4gICAgICB9XG4gICAgICBhd2FpdCB0Lml0ZXJhdGUoKTtcbiAgICB9O1xuXG4gICAgLy8gU29mdCBkZWxldGU6IHRvbWJzdG9uZXMgdGhlIHZlcnRleCBhbmQgaXRzIGxpdmUgaW5jaWRlbnQgZWRnZXNcbiAgICBjb25zdCB0b21ic3RvbmVWZXJ0ZXggPSBhc3luYyAodmVydGV4SWQ6IHN0cmluZywgY2FzY2FkZTogYm9vbGVhbiwgZ3Q6IEdyYXBoVHJhdmVyc2FsU291cmNlID0gZyEpID0+IHtcbiAgICAgIGlmICghY2FzY2FkZSkge1xuICAgICAgICBjb25zdCBlZGdlQ291bnQgPSBhd2FpdCBndC5WKHZlcnRleElkKS5ib3RoRSgpLmhhc05vdChUT01CU1RPTkVfUFJPUEVSVFkpLmNvdW50KCkubmV4dCgpO1xuICAgICAgICBpZiAoTnVtYmVyKGVkZ2VDb3VudC52YWx1ZSkgPiAwKSB7XG4gICAgICAgICAgdGhyb3cgY29uZmxpY3RFcnJvcihgVmVydGV4ICR7dmVydGV4SWR9IGhhcyAke2VkZ2VDb3VudC52YWx1ZX0gZWRnZXM7IHNldCBjYXNjYWRlIHRvIGRlbGV0ZSB0aGVtIHRvb2AsIHtcbiAgICAgICAgICAgIGVkZ2VDb3VudDogTnVtYmVyKGVkZ2VDb3VudC52YWx1ZSksXG4gICAgICAgICAgfSk7XG4gICAgICAgIH1cbiAgICAgIH1cbiAgICAgIGNvbnN0IGRlbGV0ZWRBdCA9IG5ldyBEYXRlKCkudG9JU09TdHJpbmcoKTtcbiAgICAgIGF3YWl0IGd0LlYodmVydGV4SWQpXG4gICAgICAgIC5zaWRlRWZmZWN0KFxuICAgICAgICAgIF9fLmJvdGhFKClcbiAgICAgICAgICAgIC5oYXNOb3QoVE9NQlNUT05FX1BST1BFUlRZKVxuICAgICAgICAgICAgLnByb3BlcnR5KFRPTUJTVE9ORV9QUk9QRVJUWSwgZGVsZXRlZEF0KVxuICAgICAgICAgICAgLnByb3BlcnR5KCdkZWxldGVkQnknLCBhY3Rvci51c2VybmFtZSlcbiAgICAgICAgKVxuICAgICAgICAucHJvcGVydHkoY2FyZGluYWxpdHkuc2luZ2xlLCBUT01CU1RPTkVfUFJPUEVSVFksIGRlbGV0ZWRBdClcbiAgICAgICAgLnByb3BlcnR5KGNhcmRpbmFsaXR5LnNpbmdsZSwgJ2RlbGV0ZWRCeScsIGFjdG9yLnVzZXJuYW1lKVxuICAgICAgICAuaXRlcmF0ZSgpO1xuICAgIH07XG5cbiAgICBjb25zdCB0b21ic3RvbmVFZGdlID0gYXN5bmMgKGVkZ2VJZDogc3RyaW5nLCBndDogR3JhcGhUcmF2ZXJzYWxTb3VyY2UgPSBnISkgPT4ge1xuICAgICAgYXdhaXQgZ3QuRShlZGdlSWQpXG4gICAgICAgIC5wcm9wZXJ0eShUT01CU1RPTkVfUFJPUEVSVFksIG5ldyBEYXRlKCkudG9JU09TdHJpbmcoKSlcbiAgICAgICAgLnByb3BlcnR5KCdkZWxldGVkQnknLCBhY3Rvci51c2VybmFtZSlcbiAgICAgICAgLnByb3BlcnR5KERFTEVURURfRElSRUNUTFlfUFJPUEVSVFksIHRydWUpXG4gICAgICAgIC5pdGVyYXRlKCk7XG4gICAgfTtcblxuICAgIC8vIEJyaW5ncyBiYWNrIHRoZSBlZGdlcyBkZWxldGVkIHRvZ2V0aGVyIHdpdGggYSB2ZXJ0ZXgsIHVubGVzcyB0aGVpclxuICAgIC8vIG90aGVyIGVuZHBvaW50IGlzIHN0aWxsIGRlbGV0ZWQ7IHRoZSB2ZXJ0ZXggbXVzdCBiZSBsaXZlIGFscmVhZHkgc29cbiAgICAvLyBjaGVja0VkZ2VSdWxlcyBmaW5kcyBpdFxuICAgIGNvbnN0IHJlc3RvcmVJbmNpZGVudEVkZ2VzID0gYXN5bmMgKHZlcnRleElkOiBzdHJpbmcsIGd0OiBHcmFwaFRyYXZlcnNhbFNvdXJjZSkgPT4ge1xuICAgICAgY29uc3Qgcm93cyA9IGF3YWl0IGd0LlYodmVydGV4SWQpXG4gICAgICAgIC5ib3RoRSgpXG4gICAgICAgIC5oYXMoVE9NQlNUT05FX1BST1BFUlRZKVxuICAgICAgICAuaGFzTm90KERFTEVURURfRElSRUNUTFlfUFJPUEVSVFkpXG4gICAgICAgIC53aGVyZShfXy5ib3RoVigpLmhhcyhUT01CU1RPTkVfUFJPUEVSVFkpLmNvdW50KCkuaXMoMCkpXG4gICAgICAgIC5wcm9qZWN0KCdpZCcsICdsYWJlbCcsICdzb3VyY2UnLCAndGFyZ2V0JylcbiAgICAgICAgLmJ5KF9fLmlkKCkpXG4gICAgICAgIC5ieShfXy5sYWJlbCgpKVxuICAgICAgICAuYnkoX18ub3V0VigpLmlkKCkpXG4gICAgICAgIC5ieShfXy5pblYoKS5pZCgpKVxuICAgICAgICAudG9MaXN0KCk7XG4gICAgICBjb25zdCBlZGdlczogQ2FzY2FkZWRFZGdlW10gPSAocm93cyBhcyBhbnlbXSkubWFwKChyKSA9PiAoe1xuICAgICAgICBpZDogU3RyaW5nKGZpZWxkKHIsICdpZCcpKSxcbiAgICAgICAgbGFiZWw6IGZpZWxkKHIsICdsYWJlbCcpLFxuICAgICAgICBzb3VyY2U6IFN0cmluZyhmaWVsZChyLCAnc291cmNlJykpLFxuICAgICAgICB0YXJnZXQ6IFN0cmluZyhmaWVsZChyLCAndGFyZ2V0JykpLFxuICAgICAgfSkpO1xuICAgICAgYXdhaXQgcmVzdG9yZUNhc2NhZGVkRWRnZXMoXG4gICAgICAgIHZlcnRleElkLFxuICAgICAgICBlZGdlcyxcbiAgICAgICAgKGVkZ2UpID0+IGNoZWNrRWRnZVJ1bGVzKGVkZ2UubGFiZWwsIGVkZ2Uuc291cmNlLCBlZGdlLnRhcmdldCwgZ3QpLFxuICAgICAgICBhc3luYyAoZWRnZSkgPT4ge1xuICAgICAgICAgIGF3YWl0IGd0LkUoZWRnZS5pZCkucHJvcGVydGllcyguLi5UT01CU1RPTkVfS0VZUykuZHJvcCgpLml0ZXJhdGUoKTtcbiAgICAgICAgfVxuICAgICAgKTtcbiAgICB9O1xuXG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcInVwZGF0ZVZlcnRleFwiKSB7XG4gICAgICBjb25zdCB7IGlkOiB2ZXJ0ZXhJZCwgbGFiZWwsIHByb3BlcnRpZXM6IHByb3BlcnRpZXNKc29uIH0gPSBldmVudC5hcmd1bWVudHM7XG4gICAgICByZXR1cm4gaW5UcmFuc2FjdGlvbihnISwgYXN5bmMgKGd0eCkgPT4ge1xuICAgICAgICBjb25zdCByZWNvcmQgPSBhd2FpdCByZXF1aXJlRWxlbWVudCgndmVydGV4JywgdmVydGV4SWQsIGxhYmVsLCBndHgpO1xuICAgICAgICByZWplY3RQcm9qZWN0RGF0YShyZWNvcmQubGFiZWwpO1xuICAgICAgICBjb25zdCB7IHNldCwgcmVtb3ZlIH0gPSBwYXJzZVVwZGF0ZXMoJ3ZlcnRleCcsIHJlY29yZC5sYWJlbCwgcHJvcGVydGllc0pzb24pO1xuICAgICAgICBhd2FpdCB3cml0ZVZlcnRleFVwZGF0ZSh2ZXJ0ZXhJZCwgc2V0LCByZW1vdmUsIGd0eCk7XG5cbiAgICAgICAgY29uc3QgdmVydGV4ID0gYXdhaXQgcmVhZFZlcnRleCh2ZXJ0ZXhJZCwgZ3R4KTtcbiAgICAgICAgYXdhaXQgcmVjb3JkQXVkaXQoJ3VwZGF0ZVZlcnRleCcsIHJlY29yZCwgc25hcHNob3QocmVjb3JkKSwgc25hcHNob3QodmVydGV4KSwgZ3R4KTtcbiAgICAgICAgY29uc29sZS5sb2coXCJVcGRhdGVkIHZlcnRleDpcIiwgdmVydGV4SWQsIHNldCwgcmVtb3ZlKTtcbiAgICAgICAgcmV0dXJuIHZlcnRleDtcbiAgICAgIH0pO1xuICAgIH1cblxuICAgIGlmIChldmVudC5maWVsZCA9PT0gXCJkZWxldGVWZXJ0ZXhcIikge1xuICAgICAgY29uc3QgeyBpZDogdmVydGV4SWQsIGxhYmVsLCBjYXNjYWRlIH0gPSBldmVudC5hcmd1bWVudHM7XG4gICAgICBjb25zdCByZWNvcmQgPSBhd2FpdCBpblRyYW5zYWN0aW9uKGchLCBhc3luYyAoZ3R4KSA9PiB7XG4gICAgICAgIGNvbnN0IHZlcnRleCA9IGF3YWl0IHJlcXVpcmVFbGVtZW50KCd2ZXJ0ZXgnLCB2ZXJ0ZXhJZCwgbGFiZWwsIGd0eCk7XG4gICAgICAgIGF3YWl0IHRvbWJzdG9uZVZlcnRleCh2ZXJ0ZXhJZCwgISFjYXNjYWRlLCBndHgpO1xuICAgICAgICBhd2FpdCByZWNvcmRBdWRpdCgnZGVsZXRlVmVydGV4JywgdmVydGV4LCBzbmFwc2hvdCh2ZXJ0ZXgpLCBudWxsLCBndHgpO1xuICAgICAgICByZXR1cm4gdmVydGV4O1xuICAgICAgfSk7XG4gICAgICBjb25zb2xlLmxvZyhcIkRlbGV0ZWQgdmVydGV4OlwiLCB2ZXJ0ZXhJZCwgY2FzY2FkZSA/IFwiKGNhc2NhZGUpXCIgOiBcIlwiKTtcbiAgICAgIHJldHVybiByZWNvcmQ7XG4gICAgfVxuXG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcInJlc3RvcmVWZXJ0ZXhcIikge1xuICAgICAgY29uc3QgeyBpZDogdmVydGV4SWQgfSA9IGV2ZW50LmFyZ3VtZW50cztcbiAgICAgIGNvbnN0IHJlc3RvcmVkID0gYXdhaXQgaW5UcmFuc2FjdGlvbihnISwgYXN5bmMgKGd0eCkgPT4ge1xuICAgICAgICBjb25zdCByZWNvcmQgPSBhd2FpdCByZWFkVmVydGV4KHZlcnRleElkLCBndHgpO1xuICAgICAgICBjb25zdCBkZWxldGVkQXQgPSByZWNvcmQ/LnByb3BlcnRpZXMuZmluZCgocCkgPT4gcC5rZXkgPT09IFRPTUJTVE9ORV9QUk9QRVJUWSk/LnZhbHVlO1xuICAgICAgICBpZiAoIXJlY29yZCB8fCAhZGVsZXRlZEF0KSB7XG4gICAgICAgICAgdGhyb3cgbm90Rm91bmRFcnJvcihgTm8gZGVsZXRlZCB2ZXJ0ZXggJHt2ZXJ0ZXhJZH1gLCB7IGlkOiB2ZXJ0ZXhJZCB9KTtcbiAgICAgICAgfVxuICAgICAgICBpZiAoZGVsZXRlZEF0IDw9IHB1cmdlQ3V0b2ZmKCkpIHtcbiAgICAgICAgICB0aHJvdyBjb25mbGljdEVycm9yKFxuICAgICAgICAgICAgYFZlcnRleCAke3ZlcnRleElkfSB3YXMgZGVsZXRlZCBtb3JlIHRoYW4gJHt0b21ic3RvbmVSZXRlbnRpb25EYXlzKCl9IGRheXMgYWdvIGFuZCBjYW4gbm8gbG9uZ2VyIGJlIHJlc3RvcmVkYFxuICAgICAgICAgICk7XG4gICAgICAgIH1cbiAgICAgICAgLy8gQSBwcm9qZWN0IGNyZWF0ZWQgdW5kZXIgdGhlIHNhbWUgbmFtZSBzaW5jZSB0aGUgZGVsZXRlIGtlZXBzIGl0XG4gICAgICAgIGNvbnN0IHByb2plY3ROYW1lID0gcmVjb3JkLnByb3BlcnRpZXMuZmluZCgocCkgPT4gcC5rZXkgPT09ICdwcm9qZWN0TmFtZScpPy52YWx1ZTtcbiAgICAgICAgaWYgKHJlY29yZC5sYWJlbCA9PT0gJ1Byb2plY3RfRGF0YScgJiYgcHJvamVjdE5hbWUpIHtcbiAgICAgICAgICBhd2FpdCByZXF1aXJlVW5pcXVlUHJvamVjdE5hbWUocHJvamVjdE5hbWUsIHZlcnRleElkLCBndHgpO1xuICAgICAgICB9XG4gICAgICAgIC8vIFNvIGRvZXMgYSB2ZXJ0ZXggYW4gdXBzZXJ0IGNyZWF0ZWQgd2l0aCB0aGUgc2FtZSBuYXR1cmFsIGtleVxuICAgICAgICBmb3IgKGNvbnN0IGtleSBvZiBOQVRVUkFMX0tFWVNbcmVjb3JkLmxhYmVsXSA/PyBbXSkge1xuICAgICAgICAgIGNvbnN0IHZhbHVlID0gcmVjb3JkLnByb3BlcnRpZXMuZmluZCgocCkgPT4gcC5rZXkgPT09IGtleSk/LnZhbHVlO1xuICAgICAgICAgIGlmICghdmFsdWUpIGNvbnRpbnVlO1xuICAgICAgICAgIGNvbnN0IHRha2VuID0gYXdhaXQgZ3R4LlYoKVxuICAgICAgICAgICAgLmhhc0xhYmVsKHJlY29yZC5sYWJlbClcbiAgICAgICAgICAgIC5oYXMoa2V5LCB2YWx1ZSlcbiAgICAgICAgICAgIC5oYXNOb3QoVE9NQlNUT05FX1BST1BFUlRZKVxuICAgICAgICAgICAgLmlkKClcbiAgICAgICAgICAgIC50b0xpc3QoKTtcbiAgICAgICAgICBpZiAodGFrZW4ubGVuZ3RoID4gMCkge1xuICAgICAgICAgICAgdGhyb3cgY29uZmxpY3RFcnJvcihgJHtyZWNvcmQubGFiZWx9ICR7dGFrZW5bMF19IGhhcyB0YWtlbiAke2tleX0gJHt2YWx1ZX0gc2luY2UgdGhlIGRlbGV0ZWAsIHtcbiAgICAgICAgICAgICAgaWQ6IFN0cmluZyh0YWtlblswXSksXG4gICAgICAgICAgICB9KTtcbiAgICAgICAgICB9XG4gICAgICAgIH1cblxuICAgICAgICBhd2FpdCBndHguVih2ZXJ0ZXhJZCkucHJvcGVydGllcyguLi5UT01CU1RPTkVfS0VZUykuZHJvcCgpLml0ZXJhdGUoKTtcbiAgICAgICAgYXdhaXQgcmVzdG9yZUluY2lkZW50RWRnZXModmVydGV4SWQsIGd0eCk7XG5cbiAgICAgICAgY29uc3QgdmVydGV4ID0gYXdhaXQgcmVhZFZlcnRleCh2ZXJ0ZXhJZCwgZ3R4KTtcbiAgICAgICAgYXdhaXQgcmVjb3JkQXVkaXQoJ3Jlc3RvcmVWZXJ0ZXgnLCByZWNvcmQsIHNuYXBzaG90KHJlY29yZCksIHNuYXBzaG90KHZlcnRleCksIGd0eCk7XG4gICAgICAgIHJldHVybiB2ZXJ0ZXg7XG4gICAgICB9KTtcbiAgICAgIGNvbnNvbGUubG9nKFwiUmVzdG9yZWQgdmVydGV4OlwiLCB2ZXJ0ZXhJZCk7XG4gICAgICByZXR1cm4gcmVzdG9yZWQ7XG4gICAgfVxuXG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcInVwZGF0ZUVkZ2VcIikge1xuICAgICAgY29uc3QgeyBpZDogZWRnZUlkLCBsYWJlbCwgcHJvcGVydGllczogcHJvcGVydGllc0pzb24gfSA9IGV2ZW50LmFyZ3VtZW50cztcbiAgICAgIHJldHVybiBpblRyYW5zYWN0aW9uKGchLCBhc3luYyAoZ3R4KSA9PiB7XG4gICAgICAgIGNvbnN0IHJlY29yZCA9IGF3YWl0IHJlcXVpcmVFbGVtZW50KCdlZGdlJywgZWRnZUlkLCBsYWJlbCwgZ3R4KTtcbiAgICAgICAgY29uc3QgeyBzZXQsIHJlbW92ZSB9ID0gcGFyc2VVcGRhdGVzKCdlZGdlJywgcmVjb3JkLmxhYmVsLCBwcm9wZXJ0aWVzSnNvbik7XG4gICAgICAgIGF3YWl0IHdyaXRlRWRnZVVwZGF0ZShlZGdlSWQsIHNldCwgcmVtb3ZlLCBndHgpO1xuXG4gICAgICAgIGNvbnN0IGVkZ2UgPSBhd2FpdCByZWFkRWRnZShlZGdlSWQsIGd0eCk7XG4gICAgICAgIGF3YWl0IHJlY29yZEF1ZGl0KCd1cGRhdGVFZGdlJywgcmVjb3JkLCBzbmFwc2hvdChyZWNvcmQpLCBzbmFwc2hvdChlZGdlKSwgZ3R4KTtcbiAgICAgICAgY29uc29sZS5sb2coXCJVcGRhdGVkIGVkZ2U6XCIsIGVkZ2VJZCwgc2V0LCByZW1vdmUpO1xuICAgICAgICByZXR1cm4gZWRnZTtcbiAgICAgIH0pO1xuICAgIH1cblxuICAgIGlmIChldmVudC5maWVsZCA9PT0gXCJkZWxldGVFZGdlXCIpIHtcbiAgICAgIGNvbnN0IHsgaWQ6IGVkZ2VJZCwgbGFiZWwgfSA9IGV2ZW50LmFyZ3VtZW50cztcbiAgICAgIGNvbnN0IHJlY29yZCA9IGF3YWl0IGluVHJhbnNhY3Rpb24oZyEsIGFzeW5jIChndHgpID0+IHtcbiAgICAgICAgY29uc3QgZWRnZSA9IGF3YWl0IHJlcXVpcmVFbGVtZW50KCdlZGdlJywgZWRnZUlkLCBsYWJlbCwgZ3R4KTtcbiAgICAgICAgYXdhaXQgdG9tYnN0b25lRWRnZShlZGdlSWQsIGd0eCk7XG4gICAgICAgIGF3YWl0IHJlY29yZEF1ZGl0KCdkZWxldGVFZGdlJywgZWRnZSwgc25hcHNob3QoZWRnZSksIG51bGwsIGd0eCk7XG4gICAgICAgIHJldHVybiBlZGdlO1xuICAgICAgfSk7XG4gICAgICBjb25zb2xlLmxvZyhcIkRlbGV0ZWQgZWRnZTpcIiwgZWRnZUlkKTtcbiAgICAgIHJldHVybiByZWNvcmQ7XG4gICAgfVxuXG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcInJlc3RvcmVFZGdlXCIpIHtcbiAgICAgIGNvbnN0IHsgaWQ6IGVkZ2VJZCB9ID0gZXZlbnQuYXJndW1lbnRzO1xuICAgICAgY29uc3QgcmVzdG9yZWQgPSBhd2FpdCBpblRyYW5zYWN0aW9uKGchLCBhc3luYyAoZ3R4KSA9PiB7XG4gICAgICAgIGNvbnN0IHJlY29yZCA9IGF3YWl0IHJlYWRFZGdlKGVkZ2VJZCwgZ3R4KTtcbiAgICAgICAgY29uc3QgZGVsZXRlZEF0ID0gcmVjb3JkPy5wcm9wZXJ0aWVzLmZpbmQoKHApID0+IHAua2V5ID09PSBUT01CU1RPTkVfUFJPUEVSVFkpPy52YWx1ZTtcbiAgICAgICAgaWYgKCFyZWNvcmQgfHwgIWRlbGV0ZWRBdCkge1xuICAgICAgICAgIHRocm93IG5vdEZvdW5kRXJyb3IoYE5vIGRlbGV0ZWQgZWRnZSAke2VkZ2VJZH1gLCB7IGlkOiBlZGdlSWQgfSk7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKGRlbGV0ZWRBdCA8PSBwdXJnZUN1dG9mZigpKSB7XG4gICAgICAgICAgdGhyb3cgY29uZmxpY3RFcnJvcihcbiAgICAgICAgICAgIGBFZGdlICR7ZWRnZUlkfSB3YXMgZGVsZXRlZCBtb3JlIHRoYW4gJHt0b21ic3RvbmVSZXRlbnRpb25EYXlzKCl9IGRheXMgYWdvIGFuZCBjYW4gbm8gbG9uZ2VyIGJlIHJlc3RvcmVkYFxuICAgICAgICAgICk7XG4gICAgICAgIH1cbiAgICAgICAgY29uc3QgZGVsZXRlZEVuZHMgPSBhd2FpdCBndHguRShlZGdlSWQpLmJvdGhWKCkuaGFzKFRPTUJTVE9ORV9QUk9QRVJUWSkuaWQoKS50b0xpc3QoKTtcbiAgICAgICAgaWYgKGRlbGV0ZWRFbmRzLmxlbmd0aCA+IDApIHtcbiAgICAgICAgICB0aHJvdyBjb25mbGljdEVycm9yKGBSZXN0b3JlIHZlcnRleCAke2RlbGV0ZWRFbmRzWzBdfSBiZWZvcmUgZWRnZSAke2VkZ2VJZH1gLCB7XG4gICAgICAgICAgICBpZDogU3RyaW5nKGRlbGV0ZWRFbmRzWzBdKSxcbiAgICAgICAgICB9KTtcbiAgICAgICAgfVxuICAgICAgICAvLyBBbiBlZGdlIGFkZGVkIHNpbmNlIHRoZSBkZWxldGUgbWF5IGhhdmUgdGFrZW4gaXRzIHBsYWNlXG4gICAgICAgIGNvbnN0IGVycm9ycyA9IGF3YWl0IGNoZWNrRWRnZVJ1bGVzKHJlY29yZC5sYWJlbCwgcmVjb3JkLnNvdXJjZSwgcmVjb3JkLnRhcmdldCwgZ3R4KTtcbiAgICAgICAgaWYgKGVycm9ycy5sZW5ndGggPiAwKSB7XG4gICAgICAgICAgdGhyb3cgZmllbGRWYWxpZGF0aW9uRXJyb3IoZXJyb3JzKTtcbiAgICAgICAgfVxuXG4gICAgICAgIGF3YWl0IGd0eC5FKGVkZ2VJZCkucHJvcGVydGllcyguLi5UT01CU1RPTkVfS0VZUykuZHJvcCgpLml0ZXJhdGUoKTtcbiAgICAgICAgY29uc3QgZWRnZSA9IGF3YWl0IHJlYWRFZGdlKGVkZ2VJZCwgZ3R4KTtcbiAgICAgICAgYXdhaXQgcmVjb3JkQXVkaXQoJ3Jlc3RvcmVFZGdlJywgcmVjb3JkLCBzbmFwc2hvdChyZWNvcmQpLCBzbmFwc2hvdChlZGdlKSwgZ3R4KTtcbiAgICAgICAgcmV0dXJuIGVkZ2U7XG4gICAgICB9KTtcbiAgICAgIGNvbnNvbGUubG9nKFwiUmVzdG9yZWQgZWRnZTpcIiwgZWRnZUlkKTtcbiAgICAgIHJldHVybiByZXN0b3JlZDtcbiAgICB9XG5cbiAgICAvLyDilIDilIAgVXBzZXJ0cyDilIDilIBcbiAgICAvLyBWZXJ0aWNlcyBhcmUgbWF0Y2hlZCBvbiBhIGxhYmVsJ3MgbmF0dXJhbCBrZXkgKE5BVFVSQUxfS0VZUyksIGZhbGxpbmdcbiAgICAvLyBiYWNrIHRvIHRoZSBjbGllbnQncyBpZGVtcG90ZW5jeSBrZXksIHNvIGEgcmV0cmllZCBjcmVhdGUgbWF0Y2hlcyB3aGF0XG4gICAgLy8gdGhlIGZpcnN0IGF0dGVtcHQgd3JvdGU7IGVkZ2VzIG9uIHRoZWlyIGxhYmVsIGFuZCBlbmRwb2ludHMuIE9ubHkgbGl2ZVxuICAgIC8vIGVsZW1lbnRzIG1hdGNoOiBhIHRvbWJzdG9uZWQgb25lIHN0YXlzIGRlbGV0ZWQgYW5kIGEgbmV3IGVsZW1lbnQgaXNcbiAgICAvLyBjcmVhdGVkIG5leHQgdG8gaXQuIENhbGxlcnMgcnVuIHRoZSBsb29rdXAgYW5kIHRoZSB3cml0ZSBpbiBvbmVcbiAgICAvLyB0cmFuc2FjdGlvbiwgc28gdHdvIGNvbmN1cnJlbnQgdXBzZXJ0cyBjYW5ub3QgYm90aCBjcmVhdGUuXG4gICAgY29uc3QgcmVhZFVwc2VydENhbmRpZGF0ZXMgPSBhc3luYyAodDogYW55KTogUHJvbWlzZTxVcHNlcnRDYW5kaWRhdGVbXT4gPT4ge1xuICAgICAgY29uc3Qgcm93cyA9IGF3YWl0IHRcbiAgICAgICAgLnByb2plY3QoJ2lkJywgJ2RlbGV0ZWRBdCcpXG4gICAgICAgIC5ieShfXy5pZCgpKVxuICAgICAgICAuYnkoX18uY29hbGVzY2UoX18udmFsdWVzKFRPTUJTVE9ORV9QUk9QRVJUWSksIF9fLmNvbnN0YW50KCcnKSkpXG4gICAgICAgIC50b0xpc3QoKTtcbiAgICAgIGNvbnN0IGZpZWxkID0gKHI6IGFueSwga2V5OiBzdHJpbmcpID0+IHJba2V5XSA/PyAoci5nZXQgPyByLmdldChrZXkpIDogdW5kZWZpbmVkKTtcbiAgICAgIHJldHVybiAocm93cyBhcyBhbnlbXSkubWFwKChyKSA9PiAoeyBpZDogU3RyaW5nKGZpZWxkKHIsICdpZCcpKSwgZGVsZXRlZEF0OiBmaWVsZChyLCAnZGVsZXRlZEF0JykgfSkpO1xuICAgIH07XG5cbiAgICBjb25zdCB1cHNlcnRWZXJ0ZXggPSBhc3luYyAoXG4gICAgICBsYWJlbDogc3RyaW5nLFxuICAgICAgdmFsdWVzOiBSZWNvcmQ8c3RyaW5nLCB1bmtub3duPixcbiAgICAgIGlkZW1wb3RlbmN5S2V5OiBzdHJpbmcgfCBudWxsIHwgdW5kZWZpbmVkLFxuICAgICAgZ3Q6IEdyYXBoVHJhdmVyc2FsU291cmNlXG4gICAgKTogUHJvbWlzZTx7IGlkOiBzdHJpbmc7IG91dGNvbWU6IFVwc2VydE91dGNvbWU7IGJlZm9yZTogU25hcHNob3QgfT4gPT4ge1xuICAgICAgY29uc3QgbmF0dXJhbEtleSA9IChOQVRVUkFMX0tFWVNbbGFiZWxdID8/IFtdKS5maW5kKChrZXkpID0+IHZhbHVlc1trZXldICE9PSB1bmRlZmluZWQpO1xuICAgICAgY29uc3QgW21hdGNoS2V5LCBtYXRjaFZhbHVlXSA9IG5hdHVyYWxLZXlcbiAgICAgICAgPyBbbmF0dXJhbEtleSwgdmFsdWVzW25hdHVyYWxLZXldXVxuICAgICAgICA6IFtJREVNUE9URU5DWV9LRVlfUFJPUEVSVFksIGlkZW1wb3RlbmN5S2V5XTtcbiAgICAgIGlmICghbWF0Y2hWYWx1ZSkge1xuICAgICAgICBjb25zdCBrZXlzID0gWy4uLihOQVRVUkFMX0tFWVNbbGFiZWxdID8/IFtdKSwgSURFTVBPVEVOQ1lfS0VZX1BST1BFUlRZXTtcbiAgICAgICAgdGhyb3cgdmFsaWRhdGlvbkVycm9yKGBVcHNlcnRpbmcgJHtsYWJlbH0gbmVlZHMgb25lIG9mOiAke2tleXMuam9pbignLCAnKX1gKTtcbiAgICAgIH1cblxuICAgICAgY29uc3QgdmVydGV4SWQgPSBsaXZlVXBzZXJ0TWF0Y2goXG4gICAgICAgIGF3YWl0IHJlYWRVcHNlcnRDYW5kaWRhdGVzKGd0LlYoKS5oYXNMYWJlbChsYWJlbCkuaGFzKG1hdGNoS2V5LCBtYXRjaFZhbHVlKSksXG4gICAgICAgIChjb3VudCkgPT4gYCR7Y291bnR9ICR7bGFiZWx9IHZlcnRpY2VzIHNoYXJlICR7bWF0Y2hLZXl9ICR7bWF0Y2hWYWx1ZX07IG1lcmdlIHRoZW0gZmlyc3RgXG4gICAgICApO1xuICAgICAgaWYgKCF2ZXJ0ZXhJZCkge1xuICAgICAgICBjb25zdCBuZXdJZCA9IGAke2xhYmVsLnRvTG93ZXJDYXNlKCl9XyR7cmFuZG9tVVVJRCgpfWA7XG4gICAgICAgIGxldCB0ID0gZ3QuYWRkVihsYWJlbCkucHJvcGVydHkoaWQsIG5ld0lkKTtcbiAgICAgICAgZm9yIChjb25zdCBba2V5LCB2YWxdIG9mIFsuLi5PYmplY3QuZW50cmllcyh2YWx1ZXMpLCAuLi5PYmplY3QuZW50cmllcyhzZWFyY2hQcm9wZXJ0aWVzKHZhbHVlcykpXSkge1xuICAgICAgICAgIHQgPSB0LnByb3BlcnR5KGtleSwgdmFsKTtcbiAgICAgICAgfVxuICAgICAgICBpZiAoaWRlbXBvdGVuY3lLZXkpIHQgPSB0LnByb3BlcnR5KElERU1QT1RFTkNZX0tFWV9QUk9QRVJUWSwgaWRlbXBvdGVuY3lLZXkpO1xuICAgICAgICBhd2FpdCB0Lml0ZXJhdGUoKTtcbiAgICAgICAgcmV0dXJuIHsgaWQ6IG5ld0lkLCBvdXRjb21lOiAnQ1JFQVRFRCcsIGJlZm9yZTogbnVsbCB9O1xuICAgICAgfVxuICAgICAgY29uc3QgYmVmb3JlID0gc25hcHNob3QoYXdhaXQgcmVhZFZlcnRleCh2ZXJ0ZXhJZCwgZ3QpKTtcbiAgICAgIGF3YWl0IHdyaXRlVmVydGV4VXBkYXRlKHZlcnRleElkLCB2YWx1ZXMsIFtdLCBndCk7XG4gICAgICByZXR1cm4geyBpZDogdmVydGV4SWQsIG91dGNvbWU6ICdNQVRDSEVEJywgYmVmb3JlIH07XG4gICAgfTtcblxuICAgIC8vIEVuZHBvaW50IGFuZCBjYXJkaW5hbGl0eSBydWxlcyBhcmUgY2hlY2tlZCBvbmx5IHdoZW4gbm8gbGl2ZSBlZGdlXG4gICAgLy8gZXhpc3RzIHlldFxuICAgIGNvbnN0IHVwc2VydEVkZ2UgPSBhc3luYyAoXG4gICAgICBlZGdlTGFiZWw6IHN0cmluZyxcbiAgICAgIHNvdXJjZUlkOiBzdHJpbmcsXG4gICAgICBkZXN0aW5hdGlvbklkOiBzdHJpbmcsXG4gICAgICB2YWx1ZXM6IFJlY29yZDxzdHJpbmcsIHVua25vd24+LFxuICAgICAgZ3Q6IEdyYXBoVHJhdmVyc2FsU291cmNlXG4gICAgKTogUHJvbWlzZTx7IGlkOiBzdHJpbmc7IG91dGNvbWU6IFVwc2VydE91dGNvbWU7IGJlZm9yZTogU25hcHNob3QgfSB8IHsgZXJyb3JzOiBGaWVsZEVycm9yW10gfT4gPT4ge1xuICAgICAgY29uc3QgZWRnZUlkID0gbGl2ZVVwc2VydE1hdGNoKFxuICAgICAgICBhd2FpdCByZWFkVXBzZXJ0Q2FuZGlkYXRlcyhndC5WKHNvdXJjZUlkKS5vdXRFKGVkZ2VMYWJlbCkud2hlcmUoX18uaW5WKCkuaGFzSWQoZGVzdGluYXRpb25JZCkpKSxcbiAgICAgICAgKGNvdW50KSA9PiBgJHtjb3VudH0gJHtlZGdlTGFiZWx9IGVkZ2VzIGpvaW4gJHtzb3VyY2VJZH0gdG8gJHtkZXN0aW5hdGlvbklkfTsgZGVsZXRlIHRoZSBleHRyYSBvbmVzIGZpcnN0YFxuICAgICAgKTtcbiAgICAgIGlmICghZWRnZUlkKSB7XG4gICAgICAgIGNvbnN0IGVycm9ycyA9IGF3YWl0IGNoZWNrRWRnZVJ1bGVzKGVkZ2VMYWJlbCwgc291cmNlSWQsIGRlc3RpbmF0aW9uSWQsIGd0KTtcbiAgICAgICAgaWYgKGVycm9ycy5sZW5ndGggPiAwKSByZXR1cm4geyBlcnJvcnMgfTtcbiAgICAgICAgY29uc3QgbmV3SWQgPSByYW5kb21VVUlEKCk7XG4gICAgICAgIGxldCB0ID0gZ3QuVihzb3VyY2VJZCkuYWRkRShlZGdlTGFiZWwpLnRvKF9fLlYoZGVzdGluYXRpb25JZCkpLnByb3BlcnR5KGlkLCBuZXdJZCk7XG4gICAgICAgIGZvciAoY29uc3QgW2tleSwgdmFsXSBvZiBPYmplY3QuZW50cmllcyh2YWx1ZXMpKSB7XG4gICAgICAgICAgdCA9IHQucHJvcGVydHkoa2V5LCB2YWwpO1xuICAgICAgICB9XG4gICAgICAgIGF3YWl0IHQuaXRlcmF0ZSgpO1xuICAgICAgICByZXR1cm4geyBpZDogbmV3SWQsIG91dGNvbWU6ICdDUkVBVEVEJywgYmVmb3JlOiBudWxsIH07XG4gICAgICB9XG4gICAgICBjb25zdCBiZWZvcmUgPSBzbmFwc2hvdChhd2FpdCByZWFkRWRnZShlZGdlSWQsIGd0KSk7XG4gICAgICBhd2FpdCB3cml0ZUVkZ2VVcGRhdGUoZWRnZUlkLCB2YWx1ZXMsIFtdLCBndCk7XG4gICAgICByZXR1cm4geyBpZDogZWRnZUlkLCBvdXRjb21lOiAnTUFUQ0hFRCcsIGJlZm9yZSB9O1xuICAgIH07XG5cbiAgICAvLyDilIDilIAgQWNjb3VudCBtdXRhdGlvbnMg4pSA4pSAXG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcImFkZFByb2plY3RBY2NvdW50XCIpIHtcbiAgICAgIGNvbnN0IHsgcHJvamVjdE5hbWUsIEFjY291bnRfTmFtZSwgQWNjb3VudF9JZCwgQ2xvdWQsIEVudmlyb25tZW50cywgdXBzZXJ0LCBpZGVtcG90ZW5jeUtleSB9ID1cbiAgICAgICAgZXZlbnQuYXJndW1lbnRzLmlucHV0O1xuXG4gICAgICBsZXQgcHJvamVjdFF1ZXJ5ID0gZyEuVigpXG4gICAgICAgIC5oYXNMYWJlbCgnUHJvamVjdF9EYXRhJylcbiAgICAgICAgLmhhcygncHJvamVjdE5hbWUnLCBwcm9qZWN0TmFtZSlcbiAgICAgICAgLmhhc05vdChUT01CU1RPTkVfUFJPUEVSVFkpO1xuICAgICAgY29uc3QgaGlkZGVuID0gaGlkZGVuQ2xhc3NpZmljYXRpb25zKGV2ZW50LmlkZW50aXR5KTtcbiAgICAgIGlmIChoaWRkZW4ubGVuZ3RoID4gMCkge1xuICAgICAgICBwcm9qZWN0UXVlcnkgPSBwcm9qZWN0UXVlcnkubm90KF9fLmhhcygnRGF0YUNsYXNzaWZpY2F0aW9uJywgUC53aXRoaW4oLi4uaGlkZGVuKSkpO1xuICAgICAgfVxuICAgICAgY29uc3QgcHJvamVjdElkcyA9IGF3YWl0IHByb2plY3RRdWVyeS5pZCgpLnRvTGlzdCgpO1xuICAgICAgaWYgKHByb2plY3RJZHMubGVuZ3RoID09PSAwKSB7XG4gICAgICAgIHRocm93IG5vdEZvdW5kRXJyb3IoYFByb2plY3Qgbm90IGZvdW5kOiAke3Byb2plY3ROYW1lfWAsIHsgZmllbGQ6ICdwcm9qZWN0TmFtZScgfSk7XG4gICAgICB9XG4gICAgICBpZiAocHJvamVjdElkcy5sZW5ndGggPiAxKSB7XG4gICAgICAgIHRocm93IGNvbmZsaWN0RXJyb3IoYEV4cGVjdGVkIG9uZSBwcm9qZWN0IG5hbWVkICR7cHJvamVjdE5hbWV9LCBmb3VuZCAke3Byb2plY3RJZHMubGVuZ3RofWAsIHtcbiAgICAgICAgICBmaWVsZDogJ3Byb2plY3ROYW1lJyxcbiAgICAgICAgfSk7XG4gICAgICB9XG5cbiAgICAgIGlmICh1cHNlcnQpIHtcbiAgICAgICAgLy8gTWF0Y2ggdGhlIEFjY291bnQgb24gQWNjb3VudF9JZCBhbmQgdGhlIG93bmVkX2J5IGVkZ2Ugb24gaXRzXG4gICAgICAgIC8vIGVuZHBvaW50cywgc28gYSByZXRyaWVkIHNhdmUgbGlua3MgdGhlIHNhbWUgdmVydGV4IG9uY2UuIEJvdGggZ29cbiAgICAgICAgLy8gaW4gb25lIHRyYW5zYWN0aW9uOiBhIHJlamVjdGVkIGxpbmsgbGVhdmVzIG5vIEFjY291bnQgYmVoaW5kLlxuICAgICAgICBjb25zdCB2YWx1ZXMgPSB7IEFjY291bnRfTmFtZSwgQWNjb3VudF9JZCwgQ2xvdWQsIEVudmlyb25tZW50cyB9O1xuICAgICAgICBjb25zdCBhY2NvdW50ID0gYXdhaXQgaW5UcmFuc2FjdGlvbihnISwgYXN5bmMgKGd0eCkgPT4ge1xuICAgICAgICAgIGNvbnN0IHVwc2VydGVkID0gYXdhaXQgdXBzZXJ0VmVydGV4KCdBY2NvdW50JywgdmFsdWVzLCBpZGVtcG90ZW5jeUtleSwgZ3R4KTtcbiAgICAgICAgICBjb25zdCBsaW5rID0gYXdhaXQgdXBzZXJ0RWRnZSgnb3duZWRfYnknLCB1cHNlcnRlZC5pZCwgU3RyaW5nKHByb2plY3RJZHNbMF0pLCB7fSwgZ3R4KTtcbiAgICAgICAgICBpZiAoJ2Vycm9ycycgaW4gbGluaykge1xuICAgICAgICAgICAgdGhyb3cgZmllbGRWYWxpZGF0aW9uRXJyb3IobGluay5lcnJvcnMpO1xuICAgICAgICAgIH1cbiAgICAgICAgICBhd2FpdCByZWNvcmRBdWRpdCgnYWRkUHJvamVjdEFjY291bnQnLCB7IGlkOiB1cHNlcnRlZC5pZCwgbGFiZWw6ICdBY2NvdW50JyB9LCB1cHNlcnRlZC5iZWZvcmUsIHtcbiAgICAgICAgICAgIC4uLnZhbHVlcyxcbiAgICAgICAgICAgIHByb2plY3ROYW1lLFxuICAgICAgICAgIH0sIGd0eCk7XG4gICAgICAgICAgcmV0dXJuIHVwc2VydGVkO1xuICAgICAgICB9KTtcblxuICAgICAgICBjb25zb2xlLmxvZyhcIlVwc2VydGVkIGFjY291bnQ6XCIsIGFjY291bnQuaWQsIGFjY291bnQub3V0Y29tZSwgXCJsaW5rZWQgdG8gcHJvamVjdDpcIiwgcHJvamVjdE5hbWUpO1xuICAgICAgICByZXR1cm4geyBpZDogYWNjb3VudC5pZCwgLi4udmFsdWVzLCBvdXRjb21lOiBhY2NvdW50Lm91dGNvbWUgfTtcbiAgICAgIH1cblxuICAgICAgY29uc3QgYWNjb3VudFZlcnRleElkID0gYGFjY291bnRfJHtyYW5kb21VVUlEKCl9YDtcblxuICAgICAgYXdhaXQgaW5UcmFuc2FjdGlvbihnISwgYXN5bmMgKGd0eCkgPT4ge1xuICAgICAgICAvLyBDcmVhdGUgdGhlIEFjY291bnQgdmVydGV4XG4gICAgICAgIGF3YWl0IGd0eC5hZGRWKCdBY2NvdW50JylcbiAgICAgICAgICAucHJvcGVydHkoaWQsIGFjY291bnRWZXJ0ZXhJZClcbiAgICAgICAgICAucHJvcGVydHkoJ0FjY291bnRfTmFtZScsIEFjY291bnRfTmFtZSlcbiAgICAgICAgICAucHJvcGVydHkoJ0FjY291bnRfSWQnLCBBY2NvdW50X0lkKVxuICAgICAgICAgIC5wcm9wZXJ0eSgnQ2xvdWQnLCBDbG91ZClcbiAgICAgICAgICAucHJvcGVydHkoJ0Vudmlyb25tZW50cycsIEVudmlyb25tZW50cylcbiAgICAgICAgICAubmV4dCgpO1xuXG4gICAgICAgIC8vIENyZWF0ZSBvd25lZF9ieSBlZGdlIGZyb20gQWNjb3VudCDihpIgUHJvamVjdF9EYXRhXG4gICAgICAgIGF3YWl0IGd0eC5WKGFjY291bnRWZXJ0ZXhJZClcbiAgICAgICAgICAuYWRkRSgnb3duZWRfYnknKVxuICAgICAgICAgIC50byhfXy5WKHByb2plY3RJZHNbMF0pKVxuICAgICAgICAgIC5uZXh0KCk7XG5cbiAgICAgICAgYXdhaXQgcmVjb3JkQXVkaXQoJ2FkZFByb2plY3RBY2NvdW50JywgeyBpZDogYWNjb3VudFZlcnRleElkLCBsYWJlbDogJ0FjY291bnQnIH0sIG51bGwsIHtcbiAgICAgICAgICBBY2NvdW50X05hbWUsXG4gICAgICAgICAgQWNjb3VudF9JZCxcbiAgICAgICAgICBDbG91ZCxcbiAgICAgICAgICBFbnZpcm9ubWVudHMsXG4gICAgICAgICAgcHJvamVjdE5hbWUsXG4gICAgICAgIH0sIGd0eCk7XG4gICAgICB9KTtcbiAgICAgIGNvbnNvbGUubG9nKFwiQ3JlYXRlZCBhY2NvdW50OlwiLCBhY2NvdW50VmVydGV4SWQsIFwibGlua2VkIHRvIHByb2plY3Q6XCIsIHByb2plY3ROYW1lKTtcbiAgICAgIHJldHVybiB7XG4gICAgICAgIGlkOiBhY2NvdW50VmVydGV4SWQsXG4gICAgICAgIEFjY291bnRfTmFtZSxcbiAgICAgICAgQWNjb3VudF9JZCxcbiAgICAgICAgQ2xvdWQsXG4gICAgICAgIEVudmlyb25tZW50cyxcbiAgICAgICAgb3V0Y29tZTogJ0NSRUFURUQnLFxuICAgICAgfTtcbiAgICB9XG5cbiAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwiZGVsZXRlUHJvamVjdEFjY291bnRcIikge1xuICAgICAgY29uc3QgeyBhY2NvdW50SWQgfSA9IGV2ZW50LmFyZ3VtZW50cztcbiAgICAgIGF3YWl0IGluVHJhbnNhY3Rpb24oZyEsIGFzeW5jIChndHgpID0+IHtcbiAgICAgICAgY29uc3QgYmVmb3JlID0gYXdhaXQgcmVxdWlyZUVsZW1lbnQoJ3ZlcnRleCcsIGFjY291bnRJZCwgJ0FjY291bnQnLCBndHgpO1xuICAgICAgICAvLyBUb21ic3RvbmUgdGhlIHZlcnRleCBhbmQgaXRzIG93bmVkX2J5IGVkZ2U7IHJlc3RvcmVWZXJ0ZXggdW5kb2VzIGl0XG4gICAgICAgIGF3YWl0IHRvbWJzdG9uZVZlcnRleChhY2NvdW50SWQsIHRydWUsIGd0eCk7XG4gICAgICAgIGF3YWl0IHJlY29yZEF1ZGl0KCdkZWxldGVQcm9qZWN0QWNjb3VudCcsIGJlZm9yZSwgc25hcHNob3QoYmVmb3JlKSwgbnVsbCwgZ3R4KTtcbiAgICAgIH0pO1xuICAgICAgY29uc29sZS5sb2coXCJEZWxldGVkIGFjY291bnQgdmVydGV4OlwiLCBhY2NvdW50SWQpO1xuICAgICAgcmV0dXJuIHsgcmVzdWx0OiBcImRlbGV0ZWRcIiB9O1xuICAgIH1cblxuICAgIC8vIOKUgOKUgCBCYXRjaGVkIG11dGF0aW9ucyDilIDilIBcbiAgICAvLyBSdW5zIHRoZSBvcGVyYXRpb25zIGluIG9yZGVyIGluc2lkZSBvbmUgc2Vzc2lvbiB0cmFuc2FjdGlvbjsgXCIkbmFtZVwiXG4gICAgLy8gaW4gaWQvc291cmNlSWQvZGVzdGluYXRpb25JZCByZWZlcnMgdG8gdGhlIGVsZW1lbnQgYW4gZWFybGllclxuICAgIC8vIG9wZXJhdGlvbiBjcmVhdGVkIHdpdGggYHJlZjogXCJuYW1lXCJgLiBBbnkgZmFpbHVyZSByb2xscyBiYWNrIHRoZSBiYXRjaC5cbiAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwiYmF0Y2hNdXRhdGVcIikge1xuICAgICAgY29uc3Qgb3BlcmF0aW9uczogYW55W10gPSBldmVudC5hcmd1bWVudHMub3BlcmF0aW9ucyA/PyBbXTtcbiAgICAgIGlmIChvcGVyYXRpb25zLmxlbmd0aCA9PT0gMCkge1xuICAgICAgICB0aHJvdyB2YWxpZGF0aW9uRXJyb3IoXCJiYXRjaE11dGF0ZSBuZWVkcyBhdCBsZWFzdCBvbmUgb3BlcmF0aW9uXCIpO1xuICAgICAgfVxuICAgICAgaWYgKG9wZXJhdGlvbnMubGVuZ3RoID4gTUFYX0JBVENIX09QRVJBVElPTlMpIHtcbiAgICAgICAgdGhyb3cgdmFsaWRhdGlvbkVycm9yKGBiYXRjaE11dGF0ZSBhY2NlcHRzIGF0IG1vc3QgJHtNQVhfQkFUQ0hfT1BFUkFUSU9OU30gb3BlcmF0aW9uc2ApO1xuICAgICAgfVxuICAgICAgaWYgKGlzSW50ZWdyYXRpb25DbGllbnQoZXZlbnQuaWRlbnRpdHkpKSB7XG4gICAgICAgIHJlcXVpcmVJbnRlZ3JhdGlvbk9wZXJhdGlvbnMob3BlcmF0aW9ucyk7XG4gICAgICB9XG5cbiAgICAgIGNvbnN0IHJlZnMgPSBuZXcgTWFwPHN0cmluZywgc3RyaW5nPigpO1xuICAgICAgY29uc3QgcmVzb2x2ZVJlZiA9ICh2YWx1ZTogc3RyaW5nIHwgdW5kZWZpbmVkLCBuYW1lOiBzdHJpbmcpID0+IHtcbiAgICAgICAgaWYgKCF2YWx1ZSkgdGhyb3cgdmFsaWRhdGlvbkVycm9yKGAke25hbWV9IGlzIHJlcXVpcmVkYCwgeyBmaWVsZDogbmFtZSB9KTtcbiAgICAgICAgaWYgKCF2YWx1ZS5zdGFydHNXaXRoKFwiJFwiKSkgcmV0dXJuIHZhbHVlO1xuICAgICAgICBjb25zdCByZXNvbHZlZCA9IHJlZnMuZ2V0KHZhbHVlLnNsaWNlKDEpKTtcbiAgICAgICAgaWYgKCFyZXNvbHZlZCkgdGhyb3cgdmFsaWRhdGlvbkVycm9yKGBVbmtub3duIHJlZmVyZW5jZSAke3ZhbHVlfWAsIHsgZmllbGQ6IG5hbWUgfSk7XG4gICAgICAgIHJldHVybiByZXNvbHZlZDtcbiAgICAgIH07XG4gICAgICBjb25zdCByZXF1aXJlTGFiZWwgPSAoa2luZDogJ3ZlcnRleCcgfCAnZWRnZScsIGxhYmVsOiBzdHJpbmcgfCB1bmRlZmluZWQpID0+IHtcbiAgICAgICAgaWYgKCFsYWJlbCkgdGhyb3cgdmFsaWRhdGlvbkVycm9yKFwibGFiZWwgaXMgcmVxdWlyZWRcIiwgeyBmaWVsZDogJ2xhYmVsJyB9KTtcbiAgICAgICAgaWYgKGtpbmQgPT09ICd2ZXJ0ZXgnID8gIWlzVmVydGV4TGFiZWwobGFiZWwpIDogIWlzRWRnZUxhYmVsKGxhYmVsKSkge1xuICAgICAgICAgIHRocm93IHZhbGlkYXRpb25FcnJvcihgVW5zdXBwb3J0ZWQgJHtraW5kfSBsYWJlbDogJHtsYWJlbH1gLCB7IGZpZWxkOiAnbGFiZWwnIH0pO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBsYWJlbDtcbiAgICAgIH07XG5cbiAgICAgIGNvbnN0IGFwcGx5T3BlcmF0aW9uID0gYXN5bmMgKG9wOiBhbnksIGd0eDogR3JhcGhUcmF2ZXJzYWxTb3VyY2UpID0+IHtcbiAgICAgICAgY29uc3QgcHJvcHMgPSBwYXJzZVByb3BlcnRpZXMob3AucHJvcGVydGllcyk7XG4gICAgICAgIHN3aXRjaCAob3Aub3ApIHtcbiAgICAgICAgICBjYXNlIFwiQ1JFQVRFX1ZFUlRFWFwiOiB7XG4gICAgICAgICAgICBjb25zdCBsYWJlbCA9IHJlcXVpcmVMYWJlbCgndmVydGV4Jywgb3AubGFiZWwpO1xuICAgICAgICAgICAgcmVqZWN0UHJvamVjdERhdGEobGFiZWwpO1xuICAgICAgICAgICAgY29uc3QgeyB2YWx1ZXMsIGVycm9ycyB9ID0gdmFsaWRhdGVQcm9wZXJ0aWVzKCd2ZXJ0ZXgnLCBsYWJlbCwgcHJvcHMpO1xuICAgICAgICAgICAgaWYgKGVycm9ycy5sZW5ndGggPiAwKSB0aHJvdyBmaWVsZFZhbGlkYXRpb25FcnJvcihlcnJvcnMpO1xuICAgICAgICAgICAgY29uc3QgdmVydGV4SWQgPSBgJHtsYWJlbC50b0xvd2VyQ2FzZSgpfV8ke3JhbmRvbVVVSUQoKX1gO1xuICAgICAgICAgICAgbGV0IHQgPSBndHguYWRkVihsYWJlbCkucHJvcGVydHkoaWQsIHZlcnRleElkKTtcbiAgICAgICAgICAgIGZvciAoY29uc3QgW2tleSwgdmFsXSBvZiBbLi4uT2JqZWN0LmVudHJpZXModmFsdWVzKSwgLi4uT2JqZWN0LmVudHJpZXMoc2VhcmNoUHJvcGVydGllcyh2YWx1ZXMpKV0pIHtcbiAgICAgICAgICAgICAgdCA9IHQucHJvcGVydHkoa2V5LCB2YWwpO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgYXdhaXQgdC5pdGVyYXRlKCk7XG4gICAgICAgICAgICByZXR1cm4geyBpZDogdmVydGV4SWQsIGxhYmVsIH07XG4gICAgICAgICAgfVxuICAgICAgICAgIGNhc2UgXCJVUERBVEVfVkVSVEVYXCI6IHtcbiAgICAgICAgICAgIGNvbnN0IHZlcnRleElkID0gcmVzb2x2ZVJlZihvcC5pZCwgXCJpZFwiKTtcbiAgICAgICAgICAgIGNvbnN0IHJlY29yZCA9IGF3YWl0IHJlcXVpcmVFbGVtZW50KCd2ZXJ0ZXgnLCB2ZXJ0ZXhJZCwgb3AubGFiZWwsIGd0eCk7XG4gICAgICAgICAgICByZWplY3RQcm9qZWN0RGF0YShyZWNvcmQubGFiZWwpO1xuICAgICAgICAgICAgY29uc3QgeyBzZXQsIHJlbW92ZSB9ID0gcGFyc2VVcGRhdGVzKCd2ZXJ0ZXgnLCByZWNvcmQubGFiZWwsIG9wLnByb3BlcnRpZXMpO1xuICAgICAgICAgICAgYXdhaXQgd3JpdGVWZXJ0ZXhVcGRhdGUodmVydGV4SWQsIHNldCwgcmVtb3ZlLCBndHgpO1xuICAgICAgICAgICAgcmV0dXJuIHsgaWQ6IHZlcnRleElkLCBsYWJlbDogcmVjb3JkLmxhYmVsIH07XG4gICAgICAgICAgfVxuICAgICAgICAgIGNhc2UgXCJERUxFVEVfVkVSVEVYXCI6IHtcbiAgICAgICAgICAgIGNvbnN0IHZlcnRleElkID0gcmVzb2x2ZVJlZihvcC5pZCwgXCJpZFwiKTtcbiAgICAgICAgICAgIGNvbnN0IHJlY29yZCA9IGF3YWl0IHJlcXVpcmVFbGVtZW50KCd2ZXJ0ZXgnLCB2ZXJ0ZXhJZCwgb3AubGFiZWwsIGd0eCk7XG4gICAgICAgICAgICBhd2FpdCB0b21ic3RvbmVWZXJ0ZXgodmVydGV4SWQsICEhb3AuY2FzY2FkZSwgZ3R4KTtcbiAgICAgICAgICAgIHJldHVybiB7IGlkOiB2ZXJ0ZXhJZCwgbGFiZWw6IHJlY29yZC5sYWJlbCB9O1xuICAgICAgICAgIH1cbiAgICAgICAgICBjYXNlIFwiQ1JFQVRFX0VER0VcIjoge1xuICAgICAgICAgICAgY29uc3QgbGFiZWwgPSByZXF1aXJlTGFiZWwoJ2VkZ2UnLCBvcC5sYWJlbCk7XG4gICAgICAgICAgICBjb25zdCBzb3VyY2VJZCA9IHJlc29sdmVSZWYob3Auc291cmNlSWQsIFwic291cmNlSWRcIik7XG4gICAgICAgICAgICBjb25zdCBkZXN0aW5hdGlvbklkID0gcmVzb2x2ZVJlZihvcC5kZXN0aW5hdGlvbklkLCBcImRlc3RpbmF0aW9uSWRcIik7XG4gICAgICAgICAgICBjb25zdCB7IHZhbHVlcywgZXJyb3JzIH0gPSB2YWxpZGF0ZVByb3BlcnRpZXMoJ2VkZ2UnLCBsYWJlbCwgcHJvcHMpO1xuICAgICAgICAgICAgZXJyb3JzLnB1c2goLi4uKGF3YWl0IGNoZWNrRWRnZVJ1bGVzKGxhYmVsLCBzb3VyY2VJZCwgZGVzdGluYXRpb25JZCwgZ3R4KSkpO1xuICAgICAgICAgICAgaWYgKGVycm9ycy5sZW5ndGggPiAwKSB0aHJvdyBmaWVsZFZhbGlkYXRpb25FcnJvcihlcnJvcnMpO1xuICAgICAgICAgICAgbGV0IHQgPSBndHguVihzb3VyY2VJZCkuYWRkRShsYWJlbCkudG8oX18uVihkZXN0aW5hdGlvbklkKSk7XG4gICAgICAgICAgICBmb3IgKGNvbnN0IFtrZXksIHZhbF0gb2YgT2JqZWN0LmVudHJpZXModmFsdWVzKSkge1xuICAgICAgICAgICAgICB0ID0gdC5wcm9wZXJ0eShrZXksIHZhbCk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBjb25zdCBlZGdlSWQgPSBhd2FpdCB0LmlkKCkubmV4dCgpO1xuICAgICAgICAgICAgcmV0dXJuIHsgaWQ6IFN0cmluZyhlZGdlSWQudmFsdWUpLCBsYWJlbCB9O1xuICAgICAgICAgIH1cbiAgICAgICAgICBjYXNlIFwiVVBEQVRFX0VER0VcIjoge1xuICAgICAgICAgICAgY29uc3QgZWRnZUlkID0gcmVzb2x2ZVJlZihvcC5pZCwgXCJpZFwiKTtcbiAgICAgICAgICAgIGNvbnN0IHJlY29yZCA9IGF3YWl0IHJlcXVpcmVFbGVtZW50KCdlZGdlJywgZWRnZUlkLCBvcC5sYWJlbCwgZ3R4KTtcbiAgICAgICAgICAgIGNvbnN0IHsgc2V0LCByZW1vdmUgfSA9IHBhcnNlVXBkYXRlcygnZWRnZScsIHJlY29yZC5sYWJlbCwgb3AucHJvcGVydGllcyk7XG4gICAgICAgICAgICBhd2FpdCB3cml0ZUVkZ2VVcGRhdGUoZWRnZUlkLCBzZXQsIHJlbW92ZSwgZ3R4KTtcbiAgICAgICAgICAgIHJldHVybiB7IGlkOiBlZGdlSWQsIGxhYmVsOiByZWNvcmQubGFiZWwgfTtcbiAgICAgICAgICB9XG4gICAgICAgICAgY2FzZSBcIkRFTEVURV9FREdFXCI6IHtcbiAgICAgICAgICAgIGNvbnN0IGVkZ2VJZCA9IHJlc29sdmVSZWYob3AuaWQsIFwiaWRcIik7XG4gICAgICAgICAgICBjb25zdCByZWNvcmQgPSBhd2FpdCByZXF1aXJlRWxlbWVudCgnZWRnZScsIGVkZ2VJZCwgb3AubGFiZWwsIGd0eCk7XG4gICAgICAgICAgICBhd2FpdCB0b21ic3RvbmVFZGdlKGVkZ2VJZCwgZ3R4KTtcbiAgICAgICAgICAgIHJldHVybiB7IGlkOiBlZGdlSWQsIGxhYmVsOiByZWNvcmQubGFiZWwgfTtcbiAgICAgICAgICB9XG4gICAgICAgICAgZGVmYXVsdDpcbiAgICAgICAgICAgIHRocm93IHZhbGlkYXRpb25FcnJvcihgVW5rbm93biBvcGVyYXRpb246ICR7b3Aub3B9YCwgeyBmaWVsZDogJ29wJyB9KTtcbiAgICAgICAgfVxuICAgICAgfTtcblxuICAgICAgY29uc3QgdHggPSBnIS50eCgpO1xuICAgICAgY29uc3QgZ3R4ID0gdHguYmVnaW4oKTtcbiAgICAgIGNvbnN0IHJlc3VsdHMgPSBbXTtcbiAgICAgIHRyeSB7XG4gICAgICAgIGZvciAoY29uc3QgW2luZGV4LCBvcF0gb2Ygb3BlcmF0aW9ucy5lbnRyaWVzKCkpIHtcbiAgICAgICAgICB0cnkge1xuICAgICAgICAgICAgY29uc3QgYmVmb3JlID0gb3Aub3Auc3RhcnRzV2l0aChcIkNSRUFURV9cIilcbiAgICAgICAgICAgICAgPyBudWxsXG4gICAgICAgICAgICAgIDogc25hcHNob3Qob3Aub3AuZW5kc1dpdGgoXCJfVkVSVEVYXCIpXG4gICAgICAgICAgICAgICAgPyBhd2FpdCByZWFkVmVydGV4KHJlc29sdmVSZWYob3AuaWQsIFwiaWRcIiksIGd0eClcbiAgICAgICAgICAgICAgICA6IGF3YWl0IHJlYWRFZGdlKHJlc29sdmVSZWYob3AuaWQsIFwiaWRcIiksIGd0eCkpO1xuICAgICAgICAgICAgY29uc3QgYXBwbGllZCA9IGF3YWl0IGFwcGx5T3BlcmF0aW9uKG9wLCBndHgpO1xuICAgICAgICAgICAgY29uc3QgYWZ0ZXIgPSBvcC5vcC5zdGFydHNXaXRoKFwiREVMRVRFX1wiKVxuICAgICAgICAgICAgICA/IG51bGxcbiAgICAgICAgICAgICAgOiBzbmFwc2hvdChvcC5vcC5lbmRzV2l0aChcIl9WRVJURVhcIikgPyBhd2FpdCByZWFkVmVydGV4KGFwcGxpZWQuaWQsIGd0eCkgOiBhd2FpdCByZWFkRWRnZShhcHBsaWVkLmlkLCBndHgpKTtcbiAgICAgICAgICAgIGF3YWl0IHJlY29yZEF1ZGl0KGBiYXRjaE11dGF0ZToke29wLm9wfWAsIGFwcGxpZWQsIGJlZm9yZSwgYWZ0ZXIsIGd0eCk7XG4gICAgICAgICAgICBpZiAob3AucmVmKSByZWZzLnNldChvcC5yZWYsIGFwcGxpZWQuaWQpO1xuICAgICAgICAgICAgcmVzdWx0cy5wdXNoKHsgaW5kZXgsIG9wOiBvcC5vcCwgcmVmOiBvcC5yZWYgPz8gbnVsbCwgLi4uYXBwbGllZCB9KTtcbiAgICAgICAgICB9IGNhdGNoIChlcnJvcikge1xuICAgICAgICAgICAgLy8gS2VlcCB0aGUgY29kZSBvZiB0aGUgZmFpbGluZyBvcGVyYXRpb24gYW5kIHNheSB3aGljaCBvbmUgaXQgd2FzXG4gICAgICAgICAgICBjb25zdCB7IGVycm9yOiBjYXVzZSB9ID0gdG9FcnJvclJlc3VsdChlcnJvcik7XG4gICAgICAgICAgICB0aHJvdyBuZXcgR3JhcGhFcnJvcihjYXVzZS50eXBlLCBgT3BlcmF0aW9uICR7aW5kZXh9ICgke29wLm9wfSkgZmFpbGVkOiAke2NhdXNlLm1lc3NhZ2V9YCwge1xuICAgICAgICAgICAgICAuLi5jYXVzZS5pbmZvLFxuICAgICAgICAgICAgICBvcGVyYXRpb25JbmRleDogaW5kZXgsXG4gICAgICAgICAgICB9KTtcbiAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgICAgYXdhaXQgdHguY29tbWl0KCk7XG4gICAgICB9IGNhdGNoIChlcnJvcikge1xuICAgICAgICBjb25zb2xlLmxvZyhcIlJvbGxpbmcgYmFjayBiYXRjaDpcIiwgZXJyb3IpO1xuICAgICAgICBhd2FpdCB0eC5yb2xsYmFjaygpLmNhdGNoKChyb2xsYmFja0Vycm9yOiB1bmtub3duKSA9PlxuICAgICAgICAgIGNvbnNvbGUuZXJyb3IoXCJSb2xsYmFjayBmYWlsZWQ6XCIsIHJvbGxiYWNrRXJyb3IpXG4gICAgICAgICk7XG4gICAgICAgIHRocm93IGVycm9yO1xuICAgICAgfVxuXG4gICAgICBjb25zb2xlLmxvZyhcIkNvbW1pdHRlZCBiYXRjaCBvZlwiLCBvcGVyYXRpb25zLmxlbmd0aCwgXCJvcGVyYXRpb25zXCIpO1xuICAgICAgcmV0dXJuIHsgcmVzdWx0cyB9O1xuICAgIH1cblxuICAgIC8vIOKUgOKUgCBHZW5lcmljIGluc2VydERhdGEgbXV0YXRpb25zIOKUgOKUgFxuICBjb25zdCB7XG4gICAgdmFsdWUsXG4gICAgZWRnZSxcbiAgICB2ZXJ0ZXgsXG4gICAgc291cmNlLFxuICAgIHNvdXJjZUlkOiBpbnB1dFNvdXJjZUlkLFxuICAgIHNvdXJjZUxhYmVsLFxuICAgIGRlc3RpbmF0aW9uLFxuICAgIGRlc3RpbmF0aW9uSWQ6IGlucHV0RGVzdGluYXRpb25JZCxcbiAgICBkZXN0TGFiZWwsXG4gICAgcHJvcGVydGllczogcHJvcGVydGllc0pzb24sXG4gICAgdXBzZXJ0LFxuICAgIGlkZW1wb3RlbmN5S2V5LFxuICB9ID0gZXZlbnQuYXJndW1lbnRzLmlucHV0O1xuXG4gIC8vIFBhcnNlIHByb3BlcnRpZXMgSlNPTiAobmV3IGdlbmVyaWMgYXBwcm9hY2gpXG4gIGNvbnN0IHByb3BzID0gcGFyc2VQcm9wZXJ0aWVzKHByb3BlcnRpZXNKc29uKTtcblxuICAgIC8vIFZhbGlkYXRlIGFnYWluc3QgdGhlIHNjaGVtYSByZWdpc3RyeTsgYGZpZWxkc2AgaW4gdGhlIGVycm9yIGxldHMgdGhlXG4gICAgLy8gZm9ybSBzaG93IGVhY2ggcmVqZWN0aW9uIGlubGluZVxuICAgIGNvbnN0IGtpbmQgPSB2YWx1ZSA9PT0gXCJ2ZXJ0ZXhcIiA/IFwidmVydGV4XCIgOiBcImVkZ2VcIjtcbiAgICBjb25zdCB7IHZhbHVlcywgZXJyb3JzIH0gPSB2YWxpZGF0ZVByb3BlcnRpZXMoa2luZCwga2luZCA9PT0gXCJ2ZXJ0ZXhcIiA/IHZlcnRleCA6IGVkZ2UsIHByb3BzKTtcbiAgICBpZiAoa2luZCA9PT0gXCJ2ZXJ0ZXhcIiAmJiB2ZXJ0ZXggPT09IFwiUHJvamVjdF9EYXRhXCIpIHtcbiAgICAgIGVycm9ycy51bnNoaWZ0KHsgZmllbGQ6IFwidmVydGV4XCIsIG1lc3NhZ2U6IFBST0pFQ1RfREFUQV9NRVNTQUdFIH0pO1xuICAgIH1cbiAgICBpZiAoZXJyb3JzLmxlbmd0aCA+IDApIHtcbiAgICAgIHRocm93IGZpZWxkVmFsaWRhdGlvbkVycm9yKGVycm9ycyk7XG4gICAgfVxuXG4gICAgc3dpdGNoICh2YWx1ZSkge1xuICAgICAgY2FzZSBcInZlcnRleFwiOiB7XG4gICAgICAgIGlmICh1cHNlcnQpIHtcbiAgICAgICAgICBjb25zdCB7IGlkOiB2ZXJ0ZXhJZCwgb3V0Y29tZSB9ID0gYXdhaXQgaW5UcmFuc2FjdGlvbihnISwgYXN5bmMgKGd0eCkgPT4ge1xuICAgICAgICAgICAgY29uc3QgdXBzZXJ0ZWQgPSBhd2FpdCB1cHNlcnRWZXJ0ZXgodmVydGV4LCB2YWx1ZXMsIGlkZW1wb3RlbmN5S2V5LCBndHgpO1xuICAgICAgICAgICAgY29uc3QgYWZ0ZXIgPSBzbmFwc2hvdChhd2FpdCByZWFkVmVydGV4KHVwc2VydGVkLmlkLCBndHgpKTtcbiAgICAgICAgICAgIGF3YWl0IHJlY29yZEF1ZGl0KCdpbnNlcnREYXRhJywgeyBpZDogdXBzZXJ0ZWQuaWQsIGxhYmVsOiB2ZXJ0ZXggfSwgdXBzZXJ0ZWQuYmVmb3JlLCBhZnRlciwgZ3R4KTtcbiAgICAgICAgICAgIHJldHVybiB1cHNlcnRlZDtcbiAgICAgICAgICB9KTtcbiAgICAgICAgICBjb25zb2xlLmxvZyhcIlVwc2VydGVkIHZlcnRleDpcIiwgdmVydGV4SWQsIHZlcnRleCwgb3V0Y29tZSwgdmFsdWVzKTtcbiAgICAgICAgICByZXR1cm4geyByZXN1bHQ6IHZlcnRleElkLCBpZDogdmVydGV4SWQsIG91dGNvbWUgfTtcbiAgICAgICAgfVxuXG4gICAgICAgIC8vIEdlbmVyYXRlIGEgdW5pcXVlIHZlcnRleCBJRCB1c2luZyBsYWJlbCBwcmVmaXggKyBVVUlEXG4gICAgICAgIGNvbnN0IHZlcnRleElkID0gYCR7dmVydGV4LnRvTG93ZXJDYXNlKCl9XyR7cmFuZG9tVVVJRCgpfWA7XG5cbiAgICAgICAgY29uc3QgcmVzdWx0ID0gYXdhaXQgaW5UcmFuc2FjdGlvbihnISwgYXN5bmMgKGd0eCkgPT4ge1xuICAgICAgICAgIC8vIFN0YXJ0IHRoZSBhZGRWIHRyYXZlcnNhbFxuICAgICAgICAgIGxldCB0ID0gZ3R4LmFkZFYodmVydGV4KS5wcm9wZXJ0eShpZCwgdmVydGV4SWQpO1xuXG4gICAgICAgICAgLy8gQWRkIHRoZSBjb2VyY2VkIHByb3BlcnRpZXNcbiAgICAgICAgICBmb3IgKGNvbnN0IFtrZXksIHZhbF0gb2YgT2JqZWN0LmVudHJpZXModmFsdWVzKSkge1xuICAgICAgICAgICAgdCA9IHQucHJvcGVydHkoa2V5LCB2YWwpO1xuICAgICAgICAgIH1cblxuICAgICAgICAgIC8vIE1pcnJvciBzZWFyY2hhYmxlIHByb3BlcnRpZXMgaW50byB0aGVpciBsb3dlcmNhc2VkIHNlYXJjaF8qIHNoYWRvd3NcbiAgICAgICAgICBmb3IgKGNvbnN0IFtrZXksIHZhbF0gb2YgT2JqZWN0LmVudHJpZXMoc2VhcmNoUHJvcGVydGllcyh2YWx1ZXMpKSkge1xuICAgICAgICAgICAgdCA9IHQucHJvcGVydHkoa2V5LCB2YWwpO1xuICAgICAgICAgIH1cblxuICAgICAgICAgIGNvbnN0IGFkZGVkID0gYXdhaXQgdC5uZXh0KCk7XG4gICAgICAgICAgYXdhaXQgcmVjb3JkQXVkaXQoJ2luc2VydERhdGEnLCB7IGlkOiB2ZXJ0ZXhJZCwgbGFiZWw6IHZlcnRleCB9LCBudWxsLCB2YWx1ZXMsIGd0eCk7XG4gICAgICAgICAgcmV0dXJuIGFkZGVkO1xuICAgICAgICB9KTtcbiAgICAgICAgY29uc29sZS5sb2coXCJDcmVhdGVkIHZlcnRleDpcIiwgdmVydGV4SWQsIHZlcnRleCwgdmFsdWVzKTtcbiAgICAgICAgcmV0dXJuIHsgcmVzdWx0OiBKU09OLnN0cmluZ2lmeShyZXN1bHQpLCBpZDogdmVydGV4SWQsIG91dGNvbWU6ICdDUkVBVEVEJyB9O1xuICAgICAgfVxuXG4gICAgICBkZWZhdWx0OiB7XG4gICAgICAgIC8vIEVkZ2UgY3JlYXRpb25cbiAgICAgICAgY29uc29sZS5sb2coXCJDcmVhdGluZyBlZGdlOlwiLCBlZGdlLCBcImZyb21cIiwgc291cmNlTGFiZWwsIHNvdXJjZSwgXCJ0b1wiLCBkZXN0TGFiZWwsIGRlc3RpbmF0aW9uKTtcblxuICAgICAgICAvLyBFbmRwb2ludHMgYXJlIHRha2VuIGZyb20gc291cmNlSWQvZGVzdGluYXRpb25JZCB3aGVuIGdpdmVuLlxuICAgICAgICAvLyBPdGhlcndpc2UgdGhleSBhcmUgbG9va2VkIHVwIGJ5IGxhYmVsIGFuZCBhbnkgbmFtZS1saWtlIHByb3BlcnR5LFxuICAgICAgICAvLyBhbmQgYSBuYW1lIG1hdGNoaW5nIHNldmVyYWwgdmVydGljZXMgaXMgcmVmdXNlZCB3aXRoIHRoZSBjYW5kaWRhdGVzLlxuICAgICAgICAvLyBCdXNpbmVzcyBzZXJ2aWNlcyB0aGUgY2FsbGVyIG1heSBub3QgcmVhZCBhcmUgbGVmdCBvdXQgb2YgYm90aFxuICAgICAgICAvLyBsb29rdXBzLCBzbyB0aGV5IGNhbiBuZWl0aGVyIGJlIGxpbmtlZCBub3IgbGlzdGVkLlxuICAgICAgICBjb25zdCBoaWRkZW4gPSBoaWRkZW5DbGFzc2lmaWNhdGlvbnMoZXZlbnQuaWRlbnRpdHkpO1xuICAgICAgICBjb25zdCByZWFkRW5kcG9pbnRzID0gYXN5bmMgKHQ6IGFueSk6IFByb21pc2U8RW5kcG9pbnRSb3dbXT4gPT4ge1xuICAgICAgICAgIGlmIChoaWRkZW4ubGVuZ3RoID4gMCkge1xuICAgICAgICAgICAgdCA9IHQubm90KF9fLmhhc0xhYmVsKFwiUHJvamVjdF9EYXRhXCIpLmhhcyhcIkRhdGFDbGFzc2lmaWNhdGlvblwiLCBQLndpdGhpbiguLi5oaWRkZW4pKSk7XG4gICAgICAgICAgfVxuICAgICAgICAgIGNvbnN0IHJvd3MgPSBhd2FpdCB0XG4gICAgICAgICAgICAubGltaXQoTUFYX0VORFBPSU5UX0NBTkRJREFURVMgKyAxKVxuICAgICAgICAgICAgLnByb2plY3QoXCJpZFwiLCBcImxhYmVsXCIsIFwibmFtZVwiLCBcImVudGl0eVR5cGVcIiwgXCJjbGFzc2lmaWNhdGlvblwiKVxuICAgICAgICAgICAgLmJ5KF9fLmlkKCkpXG4gICAgICAgICAgICAuYnkoX18ubGFiZWwoKSlcbiAgICAgICAgICAgIC5ieShfXy5jb2FsZXNjZShfXy52YWx1ZXMoXCJjb21wYW55TmFtZVwiLCBcIm5hbWVcIiwgXCJqb2JOYW1lXCIsIFwicGFydE5hbWVcIiksIF9fLmNvbnN0YW50KFwiXCIpKSlcbiAgICAgICAgICAgIC5ieShfXy5jb2FsZXNjZShfXy52YWx1ZXMoXCJlbnRpdHlUeXBlc1wiKSwgX18uY29uc3RhbnQoXCJcIikpKVxuICAgICAgICAgICAgLmJ5KGNsYXNzaWZpY2F0aW9uT2YoX18uaWRlbnRpdHkoKSkpXG4gICAgICAgICAgICAudG9MaXN0KCk7XG4gICAgICAgICAgcmV0dXJuIChyb3dzIGFzIGFueVtdKS5tYXAoKHIpID0+ICh7XG4gICAgICAgICAgICBpZDogU3RyaW5nKGZpZWxkKHIsIFwiaWRcIikpLFxuICAgICAgICAgICAgbGFiZWw6IGZpZWxkKHIsIFwibGFiZWxcIiksXG4gICAgICAgICAgICBuYW1lOiBmaWVsZChyLCBcIm5hbWVcIiksXG4gICAgICAgICAgICBlbnRpdHlUeXBlOiBmaWVsZChyLCBcImVudGl0eVR5cGVcIiksXG4gICAgICAgICAgICBjbGFzc2lmaWNhdGlvbjogZmllbGQociwgXCJjbGFzc2lmaWNhdGlvblwiKSxcbiAgICAgICAgICB9KSk7XG4gICAgICAgIH07XG4gICAgICAgIGNvbnN0IHJlc29sdmVFbmRwb2ludCA9IGFzeW5jIChlbmRwb2ludDogRW5kcG9pbnRGaWVsZCwgbGFiZWw6IHN0cmluZywgbmFtZTogc3RyaW5nKSA9PiB7XG4gICAgICAgICAgY29uc3Qgcm93cyA9IGF3YWl0IHJlYWRFbmRwb2ludHMoXG4gICAgICAgICAgICBnIVxuICAgICAgICAgICAgICAuVigpXG4gICAgICAgICAgICAgIC5oYXNMYWJlbChsYWJlbClcbiAgICAgICAgICAgICAgLmhhc05vdChUT01CU1RPTkVfUFJPUEVSVFkpXG4gICAgICAgICAgICAgIC5vcihcbiAgICAgICAgICAgICAgICBfXy5oYXMoXCJuYW1lXCIsIG5hbWUpLFxuICAgICAgICAgICAgICAgIF9fLmhhcyhcImNvbXBhbnlOYW1lXCIsIG5hbWUpLFxuICAgICAgICAgICAgICAgIF9fLmhhcyhcImpvYk5hbWVcIiwgbmFtZSksXG4gICAgICAgICAgICAgICAgX18uaGFzKFwicGFydE5hbWVcIiwgbmFtZSlcbiAgICAgICAgICAgICAgKVxuICAgICAgICAgICk7XG4gICAgICAgICAgcmV0dXJuIG1hdGNoRW5kcG9pbnROYW1lKGVuZHBvaW50LCBsYWJlbCwgbmFtZSwgcm93cywgZXZlbnQuaWRlbnRpdHkpO1xuICAgICAgICB9O1xuICAgICAgICBjb25zdCByZXNvbHZlRW5kcG9pbnRJZCA9IGFzeW5jIChlbmRwb2ludDogRW5kcG9pbnRGaWVsZCwgdmVydGV4SWQ6IHN0cmluZykgPT4ge1xuICAgICAgICAgIGNvbnN0IHJvd3MgPSBhd2FpdCByZWFkRW5kcG9pbnRzKGchLlYodmVydGV4SWQpLmhhc05vdChUT01CU1RPTkVfUFJPUEVSVFkpKTtcbiAgICAgICAgICByZXR1cm4gbWF0Y2hFbmRwb2ludElkKGVuZHBvaW50LCB2ZXJ0ZXhJZCwgcm93cywgZXZlbnQuaWRlbnRpdHkpO1xuICAgICAgICB9O1xuXG4gICAgICAgIGNvbnN0IFtzb3VyY2VNYXRjaCwgZGVzdGluYXRpb25NYXRjaF0gPSBhd2FpdCBQcm9taXNlLmFsbChbXG4gICAgICAgICAgaW5wdXRTb3VyY2VJZFxuICAgICAgICAgICAgPyByZXNvbHZlRW5kcG9pbnRJZChcInNvdXJjZVwiLCBTdHJpbmcoaW5wdXRTb3VyY2VJZCkpXG4gICAgICAgICAgICA6IHJlc29sdmVFbmRwb2ludChcInNvdXJjZVwiLCBzb3VyY2VMYWJlbCwgc291cmNlKSxcbiAgICAgICAgICBpbnB1dERlc3RpbmF0aW9uSWRcbiAgICAgICAgICAgID8gcmVzb2x2ZUVuZHBvaW50SWQoXCJkZXN0aW5hdGlvblwiLCBTdHJpbmcoaW5wdXREZXN0aW5hdGlvbklkKSlcbiAgICAgICAgICAgIDogcmVzb2x2ZUVuZHBvaW50KFwiZGVzdGluYXRpb25cIiwgZGVzdExhYmVsLCBkZXN0aW5hdGlvbiksXG4gICAgICAgIF0pO1xuICAgICAgICBjb25zdCBzb3VyY2VJZCA9IFwiaWRcIiBpbiBzb3VyY2VNYXRjaCA/IHNvdXJjZU1hdGNoLmlkIDogbnVsbDtcbiAgICAgICAgY29uc3QgZGVzdGluYXRpb25JZCA9IFwiaWRcIiBpbiBkZXN0aW5hdGlvbk1hdGNoID8gZGVzdGluYXRpb25NYXRjaC5pZCA6IG51bGw7XG4gICAgICAgIGNvbnN0IGVuZHBvaW50RXJyb3JzOiBGaWVsZEVycm9yW10gPSBbXTtcbiAgICAgICAgZm9yIChjb25zdCBtYXRjaCBvZiBbc291cmNlTWF0Y2gsIGRlc3RpbmF0aW9uTWF0Y2hdKSB7XG4gICAgICAgICAgaWYgKFwiZXJyb3JcIiBpbiBtYXRjaCAmJiBtYXRjaC5lcnJvcikgZW5kcG9pbnRFcnJvcnMucHVzaChtYXRjaC5lcnJvcik7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKGVuZHBvaW50RXJyb3JzLmxlbmd0aCA+IDApIHtcbiAgICAgICAgICB0aHJvdyBmaWVsZFZhbGlkYXRpb25FcnJvcihlbmRwb2ludEVycm9ycywge1xuICAgICAgICAgICAgY2FuZGlkYXRlczogWy4uLnNvdXJjZU1hdGNoLmNhbmRpZGF0ZXMsIC4uLmRlc3RpbmF0aW9uTWF0Y2guY2FuZGlkYXRlc10sXG4gICAgICAgICAgfSk7XG4gICAgICAgIH1cblxuICAgICAgICAvLyBUaGUgZW5kcG9pbnQgYW5kIGNhcmRpbmFsaXR5IHJ1bGVzIGFyZSBjaGVja2VkIGluIHRoZSB0cmFuc2FjdGlvblxuICAgICAgICAvLyB0aGF0IGFkZHMgdGhlIGVkZ2UsIHNvIGNvbmN1cnJlbnQgaW5zZXJ0cyBjYW5ub3QgYm90aCBwYXNzIHRoZW1cbiAgICAgICAgaWYgKHVwc2VydCkge1xuICAgICAgICAgIGNvbnN0IG1lcmdlZCA9IGF3YWl0IGluVHJhbnNhY3Rpb24oZyEsIGFzeW5jIChndHgpID0+IHtcbiAgICAgICAgICAgIGNvbnN0IHVwc2VydGVkID0gYXdhaXQgdXBzZXJ0RWRnZShlZGdlLCBzb3VyY2VJZCEsIGRlc3RpbmF0aW9uSWQhLCB2YWx1ZXMsIGd0eCk7XG4gICAgICAgICAgICBpZiAoJ2Vycm9ycycgaW4gdXBzZXJ0ZWQpIHtcbiAgICAgICAgICAgICAgdGhyb3cgZmllbGRWYWxpZGF0aW9uRXJyb3IodXBzZXJ0ZWQuZXJyb3JzKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIGNvbnN0IGFmdGVyID0gc25hcHNob3QoYXdhaXQgcmVhZEVkZ2UodXBzZXJ0ZWQuaWQsIGd0eCkpO1xuICAgICAgICAgICAgYXdhaXQgcmVjb3JkQXVkaXQoJ2luc2VydERhdGEnLCB7IGlkOiB1cHNlcnRlZC5pZCwgbGFiZWw6IGVkZ2UgfSwgdXBzZXJ0ZWQuYmVmb3JlLCBhZnRlciwgZ3R4KTtcbiAgICAgICAgICAgIHJldHVybiB1cHNlcnRlZDtcbiAgICAgICAgICB9KTtcbiAgICAgICAgICBjb25zb2xlLmxvZyhcIlVwc2VydGVkIGVkZ2U6XCIsIGVkZ2UsIHNvdXJjZUlkLCBcIi0+XCIsIGRlc3RpbmF0aW9uSWQsIG1lcmdlZC5vdXRjb21lLCB2YWx1ZXMpO1xuICAgICAgICAgIHJldHVybiB7IHJlc3VsdDogbWVyZ2VkLmlkLCBpZDogbWVyZ2VkLmlkLCBvdXRjb21lOiBtZXJnZWQub3V0Y29tZSB9O1xuICAgICAgICB9XG5cbiAgICAgICAgY29uc3QgcmVzID0gYXdhaXQgaW5UcmFuc2FjdGlvbihnISwgYXN5bmMgKGd0eCkgPT4ge1xuICAgICAgICAgIGNvbnN0IHJ1bGVFcnJvcnMgPSBhd2FpdCBjaGVja0VkZ2VSdWxlcyhlZGdlLCBzb3VyY2VJZCEsIGRlc3RpbmF0aW9uSWQhLCBndHgpO1xuICAgICAgICAgIGlmIChydWxlRXJyb3JzLmxlbmd0aCA+IDApIHtcbiAgICAgICAgICAgIHRocm93IGZpZWxkVmFsaWRhdGlvbkVycm9yKHJ1bGVFcnJvcnMpO1xuICAgICAgICAgIH1cblxuICAgICAgICAgIGxldCBlZGdlVHJhdmVyc2FsID0gZ3R4LlYoc291cmNlSWQhKS5hZGRFKGVkZ2UpLnRvKF9fLlYoZGVzdGluYXRpb25JZCEpKTtcblxuICAgICAgICAgIC8vIEFkZCB0aGUgY29lcmNlZCBlZGdlIHByb3BlcnRpZXNcbiAgICAgICAgICBmb3IgKGNvbnN0IFtrZXksIHZhbF0gb2YgT2JqZWN0LmVudHJpZXModmFsdWVzKSkge1xuICAgICAgICAgICAgZWRnZVRyYXZlcnNhbCA9IGVkZ2VUcmF2ZXJzYWwucHJvcGVydHkoa2V5LCB2YWwpO1xuICAgICAgICAgIH1cblxuICAgICAgICAgIGNvbnN0IGFkZGVkID0gYXdhaXQgZWRnZVRyYXZlcnNhbC5uZXh0KCk7XG4gICAgICAgICAgYXdhaXQgcmVjb3JkQXVkaXQoJ2luc2VydERhdGEnLCB7IGlkOiBTdHJpbmcoKGFkZGVkLnZhbHVlIGFzIGFueSk/LmlkKSwgbGFiZWw6IGVkZ2UgfSwgbnVsbCwgdmFsdWVzLCBndHgpO1xuICAgICAgICAgIHJldHVybiBhZGRlZDtcbiAgICAgICAgfSk7XG4gICAgICAgIGNvbnN0IGVkZ2VJZCA9IFN0cmluZygocmVzLnZhbHVlIGFzIGFueSk/LmlkKTtcbiAgICAgICAgY29uc29sZS5sb2coXCJDcmVhdGVkIGVkZ2U6XCIsIGVkZ2UsIHNvdXJjZUlkLCBcIi0+XCIsIGRlc3RpbmF0aW9uSWQsIHZhbHVlcyk7XG4gICAgICAgIHJldHVybiB7IHJlc3VsdDogSlNPTi5zdHJpbmdpZnkocmVzKSwgaWQ6IGVkZ2VJZCwgb3V0Y29tZTogJ0NSRUFURUQnIH07XG4gICAgICB9XG4gICAgfVxuICB9IGNhdGNoIChlcnJvcjogdW5rbm93bikge1xuICAgIGNvbnNvbGUubG9nKGVycm9yKTtcbiAgICBjb25zb2xlLmVycm9yKEpTT04uc3RyaW5naWZ5KGVycm9yKSk7XG4gICAgcmV0dXJuIHRvRXJyb3JSZXN1bHQoZXJyb3IpO1xuICB9XG59O1xuIl19
\ No newline at end of file
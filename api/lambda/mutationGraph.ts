@@ -1,11 +1,88 @@
 import { Handler } from "aws-lambda";
+import { randomUUID } from "crypto";
 
 import * as gremlin from "gremlin";
 import { getUrlAndHeaders } from "gremlin-aws-sigv4/lib/utils";
+import {
+  SEARCHABLE_FIELDS,
+  isSearchProperty,
+  searchProperties,
+  searchPropertyName,
+} from "./shared/searchIndex";
+import {
+  AUDIT_LABEL,
+  DATA_CLASSIFICATIONS,
+  DELETED_DIRECTLY_PROPERTY,
+  IDEMPOTENCY_KEY_PROPERTY,
+  NATURAL_KEYS,
+  PROJECT_FIELDS,
+  PROJECT_TIERS,
+  TOMBSTONE_KEYS,
+  TOMBSTONE_PROPERTY,
+  isEdgeLabel,
+  isVertexLabel,
+  purgeCutoff,
+  toPropertyList,
+  tombstoneRetentionDays,
+} from "./shared/graphModel";
+import {
+  EDGE_RULES,
+  FieldError,
+  checkEdgeEndpoints,
+  schemaFor,
+  validateProperties,
+} from "./shared/schemaRegistry";
+import {
+  GraphError,
+  conflictError,
+  fieldValidationError,
+  forbiddenError,
+  notFoundError,
+  parseProperties,
+  toErrorResult,
+  validationError,
+} from "./shared/errors";
+import { requireRole } from "./shared/roles";
+import { UpsertCandidate, liveUpsertMatch } from "./shared/upsert";
+import { inTransaction } from "./shared/transaction";
+import { CascadedEdge, restoreCascadedEdges } from "./shared/restore";
+import {
+  EndpointField,
+  EndpointRow,
+  MAX_ENDPOINT_CANDIDATES,
+  matchEndpointId,
+  matchEndpointName,
+} from "./shared/endpoints";
+import { canSeeClassification, hiddenClassifications } from "./shared/classification";
+import {
+  integrationClientId,
+  isIntegrationClient,
+  requireIntegrationOperations,
+  requireIntegrationScope,
+} from "./shared/integration";
 
 const DriverRemoteConnection = gremlin.driver.DriverRemoteConnection;
 const traversal = gremlin.process.AnonymousTraversalSource.traversal;
 const __ = gremlin.process.statics;
+const P = gremlin.process.P;
+const cardinality = gremlin.process.cardinality;
+type GraphTraversalSource = gremlin.process.GraphTraversalSource;
+type UpsertOutcome = 'CREATED' | 'MATCHED';
+
+// Keys that updateVertex/updateEdge never accept from callers
+const RESERVED_PROPERTY_KEYS = [
+  'id',
+  'label',
+  '~id',
+  '~label',
+  '~from',
+  '~to',
+  IDEMPOTENCY_KEY_PROPERTY,
+  ...TOMBSTONE_KEYS,
+];
+
+// Upper bound on the operations in one batchMutate transaction
+const MAX_BATCH_OPERATIONS = 100;
 
 export const handler: Handler = async (event) => {
   let conn = null;
@@ -42,32 +119,804 @@ export const handler: Handler = async (event) => {
   const id = gremlin.process.t.id;
 
   try {
+    if (isIntegrationClient(event.identity)) {
+      requireIntegrationScope(event.identity, event.field);
+    } else {
+      requireRole(event.identity, 'Editor', event.field);
+    }
+
     if (conn == null) {
       console.info("Initializing connection");
       conn = createRemoteConnection();
       g = traversal().withRemote(conn);
     }
 
+    // ── Audit trail ──
+    // Every mutation records who changed what as an AuditEvent vertex. Audit
+    // vertices have no edges, so they outlive the elements they describe.
+    // Integration clients are recorded by their app client id
+    const identity = event.identity ?? {};
+    const actor = isIntegrationClient(identity)
+      ? {
+          sub: integrationClientId(identity),
+          username: `client:${integrationClientId(identity)}`,
+        }
+      : {
+          sub: String(identity.sub ?? 'unknown'),
+          username: String(identity.username ?? identity.sub ?? 'unknown'),
+        };
+
+    type Snapshot = Record<string, unknown> | null;
+
+    // Each mutation runs in a transaction (inTransaction) and writes its
+    // AuditEvent in it, so a change is never committed without its record
+    const recordAudit = async (
+      operation: string,
+      target: { id: string; label?: string },
+      before: Snapshot,
+      after: Snapshot,
+      gt: GraphTraversalSource
+    ) => {
+      await gt.addV(AUDIT_LABEL)
+        .property(id, `audit_${randomUUID()}`)
+        .property('at', new Date().toISOString())
+        .property('actor', actor.sub)
+        .property('actorName', actor.username)
+        .property('operation', operation)
+        .property('targetId', target.id)
+        .property('targetLabel', target.label ?? '')
+        .property('before', JSON.stringify(before))
+        .property('after', JSON.stringify(after))
+        .iterate();
+    };
+
+    // Property values of a readVertex/readEdge record
+    const snapshot = (record: { properties: Array<{ key: string; value: string }> } | null): Snapshot =>
+      record ? Object.fromEntries(record.properties.map((p) => [p.key, p.value])) : null;
+
+    // ── Project mutations ──
+    const readProject = async (projectId: string, gt: GraphTraversalSource = g!) => {
+      let t = gt.V(projectId)
+        .hasLabel('Project_Data')
+        .hasNot(TOMBSTONE_PROPERTY)
+        .project('id', 'archived', ...PROJECT_FIELDS)
+        .by(__.id())
+        .by(__.coalesce(__.values('archived'), __.constant(false)));
+      for (const field of PROJECT_FIELDS) {
+        t = t.by(__.coalesce(__.values(field), __.constant('')));
+      }
+      const rows = await t.toList();
+      if (rows.length === 0) return null;
+      const r: any = rows[0];
+      const project: Record<string, unknown> = {};
+      for (const key of ['id', 'archived', ...PROJECT_FIELDS]) {
+        project[key] = r[key] ?? (r.get ? r.get(key) : undefined);
+      }
+      // Projects the caller may not read do not exist as far as they know
+      if (!canSeeClassification(event.identity, project.DataClassification as string)) return null;
+      return project;
+    };
+
+    const projectSnapshot = (project: Record<string, unknown> | null): Snapshot =>
+      project && Object.fromEntries(Object.entries(project).filter(([key]) => key !== 'id'));
+
+    // Trims the input and checks Tier/DataClassification against the
+    // allowed values; empty strings clear the field
+    const validateProjectInput = (input: Record<string, unknown>) => {
+      const values: Record<string, string> = {};
+      for (const [key, val] of Object.entries(input ?? {})) {
+        if (!PROJECT_FIELDS.includes(key)) {
+          throw validationError(`Unknown project field: ${key}`, { field: key });
+        }
+        if (val === undefined || val === null) continue;
+        values[key] = String(val).trim();
+      }
+      if ('projectName' in values && !values.projectName) {
+        throw validationError('projectName cannot be empty', { field: 'projectName' });
+      }
+      if (values.Tier && !PROJECT_TIERS.includes(values.Tier)) {
+        throw validationError(`Invalid Tier "${values.Tier}"; expected one of ${PROJECT_TIERS.join(', ')}`, {
+          field: 'Tier',
+        });
+      }
+      if (values.DataClassification && !DATA_CLASSIFICATIONS.includes(values.DataClassification)) {
+        throw validationError(
+          `Invalid DataClassification "${values.DataClassification}"; expected one of ${DATA_CLASSIFICATIONS.join(', ')}`,
+          { field: 'DataClassification' }
+        );
+      }
+      if (!canSeeClassification(event.identity, values.DataClassification)) {
+        throw forbiddenError(
+          `Only members of a reader group for ${values.DataClassification} projects can classify a project as ${values.DataClassification}`,
+          { field: 'DataClassification' }
+        );
+      }
+      return values;
+    };
+
+    // Deleted projects do not hold on to their names; restoreVertex checks
+    // the name again before bringing one back
+    const requireUniqueProjectName = async (
+      projectName: string,
+      exceptId?: string,
+      gt: GraphTraversalSource = g!
+    ) => {
+      let t = gt.V()
+        .hasLabel('Project_Data')
+        .has('projectName', projectName)
+        .hasNot(TOMBSTONE_PROPERTY);
+      if (exceptId) {
+        t = t.not(__.hasId(exceptId));
+      }
+      const existing = await t.id().limit(1).toList();
+      if (existing.length > 0) {
+        throw conflictError(`A project named "${projectName}" already exists`, { field: 'projectName' });
+      }
+    };
+
+    if (event.field === "createProject") {
+      const values = validateProjectInput(event.arguments.input);
+      if (!values.projectName) {
+        throw validationError('projectName is required', { field: 'projectName' });
+      }
+      const projectId = `project_data_${randomUUID()}`;
+      const created = await inTransaction(g!, async (gtx) => {
+        await requireUniqueProjectName(values.projectName, undefined, gtx);
+
+        let t = gtx.addV('Project_Data').property(id, projectId);
+        for (const [key, val] of Object.entries(values)) {
+          if (val !== '') {
+            t = t.property(key, val);
+          }
+        }
+        for (const [key, val] of Object.entries(searchProperties(values))) {
+          t = t.property(key, val);
+        }
+        await t.next();
+
+        const project = await readProject(projectId, gtx);
+        await recordAudit(
+          'createProject',
+          { id: projectId, label: 'Project_Data' },
+          null,
+          projectSnapshot(project),
+          gtx
+        );
+        return project;
+      });
+      console.log("Created project:", projectId, values);
+      return created;
+    }
+
+    if (event.field === "updateProject") {
+      const { id: projectId } = event.arguments;
+      const values = validateProjectInput(event.arguments.input);
+      const updated = await inTransaction(g!, async (gtx) => {
+        const current = await readProject(projectId, gtx);
+        if (!current) {
+          throw notFoundError(`Project not found: ${projectId}`, { id: projectId });
+        }
+        if (values.projectName && values.projectName !== current.projectName) {
+          await requireUniqueProjectName(values.projectName, projectId, gtx);
+        }
+
+        const cleared = Object.keys(values).filter((key) => values[key] === '');
+        let t = gtx.V(projectId);
+        if (cleared.length > 0) {
+          t = t.sideEffect(__.properties(...cleared).drop());
+        }
+        for (const [key, val] of Object.entries(values)) {
+          if (val !== '') {
+            t = t.property(cardinality.single, key, val);
+          }
+        }
+        for (const [key, val] of Object.entries(searchProperties(values))) {
+          t = t.property(cardinality.single, key, val);
+        }
+        await t.iterate();
+
+        const project = await readProject(projectId, gtx);
+        await recordAudit(
+          'updateProject',
+          { id: projectId, label: 'Project_Data' },
+          projectSnapshot(current),
+          projectSnapshot(project),
+          gtx
+        );
+        return project;
+      });
+      console.log("Updated project:", projectId, values);
+      return updated;
+    }
+
+    if (event.field === "archiveProject") {
+      const { id: projectId } = event.arguments;
+      const archived = await inTransaction(g!, async (gtx) => {
+        const current = await readProject(projectId, gtx);
+        if (!current) {
+          throw notFoundError(`Project not found: ${projectId}`, { id: projectId });
+        }
+        await gtx.V(projectId)
+          .property(cardinality.single, 'archived', true)
+          .property(cardinality.single, 'archivedAt', new Date().toISOString())
+          .iterate();
+
+        const project = await readProject(projectId, gtx);
+        await recordAudit(
+          'archiveProject',
+          { id: projectId, label: 'Project_Data' },
+          projectSnapshot(current),
+          projectSnapshot(project),
+          gtx
+        );
+        return project;
+      });
+      console.log("Archived project:", projectId);
+      return archived;
+    }
+
+    // ── Vertex and edge maintenance ──
+    const field = (r: any, key: string) => r[key] ?? (r.get ? r.get(key) : undefined);
+
+    // DataClassification of a business service, '' for any other vertex
+    const classificationOf = (vertex: any) =>
+      __.coalesce(vertex.hasLabel('Project_Data').values('DataClassification'), __.constant(''));
+
+    // Helpers take the traversal source so batchMutate can run them inside
+    // its transaction. Like readProject, they treat business services the
+    // caller may not read, and edges to them, as not found.
+    const readVertex = async (vertexId: string, gt: GraphTraversalSource = g!) => {
+      const rows = await gt.V(vertexId)
+        .project('id', 'label', 'classification', 'properties')
+        .by(__.id())
+        .by(__.label())
+        .by(classificationOf(__.identity()))
+        .by(__.valueMap())
+        .toList();
+      if (rows.length === 0) return null;
+      const r: any = rows[0];
+      if (!canSeeClassification(event.identity, field(r, 'classification'))) return null;
+      return {
+        id: field(r, 'id'),
+        label: field(r, 'label'),
+        properties: toPropertyList(field(r, 'properties')),
+      };
+    };
+
+    const readEdge = async (edgeId: string, gt: GraphTraversalSource = g!) => {
+      const rows = await gt.E(edgeId)
+        .project('id', 'label', 'source', 'target', 'sourceClassification', 'targetClassification', 'properties')
+        .by(__.id())
+        .by(__.label())
+        .by(__.outV().id())
+        .by(__.inV().id())
+        .by(classificationOf(__.outV()))
+        .by(classificationOf(__.inV()))
+        .by(__.valueMap())
+        .toList();
+      if (rows.length === 0) return null;
+      const r: any = rows[0];
+      if (
+        !canSeeClassification(event.identity, field(r, 'sourceClassification')) ||
+        !canSeeClassification(event.identity, field(r, 'targetClassification'))
+      ) {
+        return null;
+      }
+      return {
+        id: field(r, 'id'),
+        label: field(r, 'label'),
+        source: field(r, 'source'),
+        target: field(r, 'target'),
+        properties: toPropertyList(field(r, 'properties')),
+      };
+    };
+
+    // Looks up the element and checks its label against the known labels
+    // and, when given, the label the caller expects to be editing
+    const requireElement = async (
+      kind: 'vertex' | 'edge',
+      elementId: string,
+      expectedLabel?: string,
+      gt: GraphTraversalSource = g!
+    ) => {
+      const record = kind === 'vertex' ? await readVertex(elementId, gt) : await readEdge(elementId, gt);
+      // Tombstoned elements count as deleted
+      if (!record || record.properties.some((p) => p.key === TOMBSTONE_PROPERTY)) {
+        throw notFoundError(`${kind === 'vertex' ? 'Vertex' : 'Edge'} not found: ${elementId}`, { id: elementId });
+      }
+      const known = kind === 'vertex' ? isVertexLabel(record.label) : isEdgeLabel(record.label);
+      if (!known) {
+        throw validationError(`Unsupported ${kind} label: ${record.label}`);
+      }
+      if (expectedLabel && expectedLabel !== record.label) {
+        throw validationError(`Expected ${kind} ${elementId} to be ${expectedLabel} but it is ${record.label}`);
+      }
+      return record;
+    };
+
+    // Business services are written through createProject/updateProject,
+    // which validate Tier/DataClassification and keep projectName unique
+    const PROJECT_DATA_MESSAGE = 'Project_Data vertices are written with createProject and updateProject';
+    const rejectProjectData = (label: string) => {
+      if (label === 'Project_Data') {
+        throw validationError(PROJECT_DATA_MESSAGE, { field: 'label' });
+      }
+    };
+
+    // Splits the properties JSON into values to set and keys to remove
+    // (null or empty string), coercing the values to their declared types
+    const parseUpdates = (kind: 'vertex' | 'edge', label: string, propertiesJson: string) => {
+      const updates = parseProperties(propertiesJson);
+      const set: Record<string, unknown> = {};
+      const remove: string[] = [];
+      for (const [key, val] of Object.entries(updates)) {
+        if (RESERVED_PROPERTY_KEYS.includes(key) || isSearchProperty(key)) {
+          throw validationError(`Property cannot be updated: ${key}`, { field: key });
+        }
+        if (val === null || val === '') {
+          remove.push(key);
+        } else {
+          set[key] = val;
+        }
+      }
+      const { values, errors } = validateProperties(kind, label, set, { partial: true });
+      const schema = schemaFor(kind, label) ?? {};
+      for (const key of remove) {
+        if (!schema[key]) {
+          errors.push({ field: key, message: `Unknown property for ${label}` });
+        } else if (schema[key].required) {
+          errors.push({ field: key, message: 'Required' });
+        }
+      }
+      if (errors.length > 0) {
+        throw fieldValidationError(errors);
+      }
+      return { set: values, remove };
+    };
+
+    // Endpoint and cardinality checks from EDGE_RULES for a new edge
+    const checkEdgeRules = async (
+      edgeLabel: string,
+      sourceId: string,
+      destinationId: string,
+      gt: GraphTraversalSource = g!
+    ) => {
+      const rows = await gt.V(sourceId, destinationId)
+        .hasNot(TOMBSTONE_PROPERTY)
+        .project('id', 'label', 'classification', 'entityTypes')
+        .by(__.id())
+        .by(__.label())
+        .by(classificationOf(__.identity()))
+        .by(__.coalesce(__.values('entityTypes'), __.constant('')))
+        .toList();
+      const endpoint = (vertexId: string) => {
+        const r: any = rows.find((row: any) => String(field(row, 'id')) === String(vertexId));
+        if (!r || !canSeeClassification(event.identity, field(r, 'classification'))) return null;
+        return { label: field(r, 'label'), entityTypes: field(r, 'entityTypes') };
+      };
+      const src = endpoint(sourceId);
+      const dst = endpoint(destinationId);
+      const errors: FieldError[] = [];
+      if (!src) errors.push({ field: 'source', message: `Vertex not found: ${sourceId}` });
+      if (!dst) errors.push({ field: 'destination', message: `Vertex not found: ${destinationId}` });
+      if (!src || !dst) return errors;
+
+      const endpointErrors = checkEdgeEndpoints(edgeLabel, src, dst);
+      if (endpointErrors.length > 0) return endpointErrors;
+
+      // Sequential, since a session runs one request at a time
+      const rule = EDGE_RULES[edgeLabel];
+      const duplicates = await gt.V(sourceId)
+        .outE(edgeLabel)
+        .hasNot(TOMBSTONE_PROPERTY)
+        .where(__.inV().hasId(destinationId))
+        .count()
+        .next();
+      const fromSource = rule.maxPerSource
+        ? await gt.V(sourceId).outE(edgeLabel).hasNot(TOMBSTONE_PROPERTY).count().next()
+        : null;
+      const toDestination = rule.maxPerDestination
+        ? await gt.V(destinationId).inE(edgeLabel).hasNot(TOMBSTONE_PROPERTY).count().next()
+        : null;
+      if (Number(duplicates.value) > 0) {
+        errors.push({ field: 'destination', message: `${edgeLabel} already joins these vertices` });
+      } else if (fromSource && Number(fromSource.value) >= rule.maxPerSource!) {
+        errors.push({
+          field: 'source',
+          message: `${edgeLabel} allows at most ${rule.maxPerSource} edge(s) per ${src.label}; this one already has ${fromSource.value}`,
+        });
+      } else if (toDestination && Number(toDestination.value) >= rule.maxPerDestination!) {
+        errors.push({
+          field: 'destination',
+          message: `${edgeLabel} allows at most ${rule.maxPerDestination} edge(s) per ${dst.label}; this one already has ${toDestination.value}`,
+        });
+      }
+      return errors;
+    };
+
+    const writeVertexUpdate = async (
+      vertexId: string,
+      set: Record<string, unknown>,
+      remove: string[],
+      gt: GraphTraversalSource = g!
+    ) => {
+      // Removed searchable properties take their shadows with them
+      const dropKeys = [
+        ...remove,
+        ...remove.filter((key) => SEARCHABLE_FIELDS.includes(key)).map(searchPropertyName),
+      ];
+      let t = gt.V(vertexId);
+      if (dropKeys.length > 0) {
+        t = t.sideEffect(__.properties(...dropKeys).drop());
+      }
+      for (const [key, val] of [...Object.entries(set), ...Object.entries(searchProperties(set))]) {
+        t = t.property(cardinality.single, key, val);
+      }
+      await t.iterate();
+    };
+
+    const writeEdgeUpdate = async (
+      edgeId: string,
+      set: Record<string, unknown>,
+      remove: string[],
+      gt: GraphTraversalSource = g!
+    ) => {
+      let t = gt.E(edgeId);
+      if (remove.length > 0) {
+        t = t.sideEffect(__.properties(...remove).drop());
+      }
+      for (const [key, val] of Object.entries(set)) {
+        t = t.property(key, val);
+      }
+      await t.iterate();
+    };
+
+    // Soft delete: tombstones the vertex and its live incident edges
+    const tombstoneVertex = async (vertexId: string, cascade: boolean, gt: GraphTraversalSource = g!) => {
+      if (!cascade) {
+        const edgeCount = await gt.V(vertexId).bothE().hasNot(TOMBSTONE_PROPERTY).count().next();
+        if (Number(edgeCount.value) > 0) {
+          throw conflictError(`Vertex ${vertexId} has ${edgeCount.value} edges; set cascade to delete them too`, {
+            edgeCount: Number(edgeCount.value),
+          });
+        }
+      }
+      const deletedAt = new Date().toISOString();
+      await gt.V(vertexId)
+        .sideEffect(
+          __.bothE()
+            .hasNot(TOMBSTONE_PROPERTY)
+            .property(TOMBSTONE_PROPERTY, deletedAt)
+            .property('deletedBy', actor.username)
+        )
+        .property(cardinality.single, TOMBSTONE_PROPERTY, deletedAt)
+        .property(cardinality.single, 'deletedBy', actor.username)
+        .iterate();
+    };
+
+    const tombstoneEdge = async (edgeId: string, gt: GraphTraversalSource = g!) => {
+      await gt.E(edgeId)
+        .property(TOMBSTONE_PROPERTY, new Date().toISOString())
+        .property('deletedBy', actor.username)
+        .property(DELETED_DIRECTLY_PROPERTY, true)
+        .iterate();
+    };
+
+    // Brings back the edges deleted together with a vertex, unless their
+    // other endpoint is still deleted; the vertex must be live already so
+    // checkEdgeRules finds it
+    const restoreIncidentEdges = async (vertexId: string, gt: GraphTraversalSource) => {
+      const rows = await gt.V(vertexId)
+        .bothE()
+        .has(TOMBSTONE_PROPERTY)
+        .hasNot(DELETED_DIRECTLY_PROPERTY)
+        .where(__.bothV().has(TOMBSTONE_PROPERTY).count().is(0))
+        .project('id', 'label', 'source', 'target')
+        .by(__.id())
+        .by(__.label())
+        .by(__.outV().id())
+        .by(__.inV().id())
+        .toList();
+      const edges: CascadedEdge[] = (rows as any[]).map((r) => ({
+        id: String(field(r, 'id')),
+        label: field(r, 'label'),
+        source: String(field(r, 'source')),
+        target: String(field(r, 'target')),
+      }));
+      await restoreCascadedEdges(
+        vertexId,
+        edges,
+        (edge) => checkEdgeRules(edge.label, edge.source, edge.target, gt),
+        async (edge) => {
+          await gt.E(edge.id).properties(...TOMBSTONE_KEYS).drop().iterate();
+        }
+      );
+    };
+
+    if (event.field === "updateVertex") {
+      const { id: vertexId, label, properties: propertiesJson } = event.arguments;
+      return inTransaction(g!, async (gtx) => {
+        const record = await requireElement('vertex', vertexId, label, gtx);
+        rejectProjectData(record.label);
+        const { set, remove } = parseUpdates('vertex', record.label, propertiesJson);
+        await writeVertexUpdate(vertexId, set, remove, gtx);
+
+        const vertex = await readVertex(vertexId, gtx);
+        await recordAudit('updateVertex', record, snapshot(record), snapshot(vertex), gtx);
+        console.log("Updated vertex:", vertexId, set, remove);
+        return vertex;
+      });
+    }
+
+    if (event.field === "deleteVertex") {
+      const { id: vertexId, label, cascade } = event.arguments;
+      const record = await inTransaction(g!, async (gtx) => {
+        const vertex = await requireElement('vertex', vertexId, label, gtx);
+        await tombstoneVertex(vertexId, !!cascade, gtx);
+        await recordAudit('deleteVertex', vertex, snapshot(vertex), null, gtx);
+        return vertex;
+      });
+      console.log("Deleted vertex:", vertexId, cascade ? "(cascade)" : "");
+      return record;
+    }
+
+    if (event.field === "restoreVertex") {
+      const { id: vertexId } = event.arguments;
+      const restored = await inTransaction(g!, async (gtx) => {
+        const record = await readVertex(vertexId, gtx);
+        const deletedAt = record?.properties.find((p) => p.key === TOMBSTONE_PROPERTY)?.value;
+        if (!record || !deletedAt) {
+          throw notFoundError(`No deleted vertex ${vertexId}`, { id: vertexId });
+        }
+        if (deletedAt <= purgeCutoff()) {
+          throw conflictError(
+            `Vertex ${vertexId} was deleted more than ${tombstoneRetentionDays()} days ago and can no longer be restored`
+          );
+        }
+        // A project created under the same name since the delete keeps it
+        const projectName = record.properties.find((p) => p.key === 'projectName')?.value;
+        if (record.label === 'Project_Data' && projectName) {
+          await requireUniqueProjectName(projectName, vertexId, gtx);
+        }
+        // So does a vertex an upsert created with the same natural key
+        for (const key of NATURAL_KEYS[record.label] ?? []) {
+          const value = record.properties.find((p) => p.key === key)?.value;
+          if (!value) continue;
+          const taken = await gtx.V()
+            .hasLabel(record.label)
+            .has(key, value)
+            .hasNot(TOMBSTONE_PROPERTY)
+            .id()
+            .toList();
+          if (taken.length > 0) {
+            throw conflictError(`${record.label} ${taken[0]} has taken ${key} ${value} since the delete`, {
+              id: String(taken[0]),
+            });
+          }
+        }
+
+        await gtx.V(vertexId).properties(...TOMBSTONE_KEYS).drop().iterate();
+        await restoreIncidentEdges(vertexId, gtx);
+
+        const vertex = await readVertex(vertexId, gtx);
+        await recordAudit('restoreVertex', record, snapshot(record), snapshot(vertex), gtx);
+        return vertex;
+      });
+      console.log("Restored vertex:", vertexId);
+      return restored;
+    }
+
+    if (event.field === "updateEdge") {
+      const { id: edgeId, label, properties: propertiesJson } = event.arguments;
+      return inTransaction(g!, async (gtx) => {
+        const record = await requireElement('edge', edgeId, label, gtx);
+        const { set, remove } = parseUpdates('edge', record.label, propertiesJson);
+        await writeEdgeUpdate(edgeId, set, remove, gtx);
+
+        const edge = await readEdge(edgeId, gtx);
+        await recordAudit('updateEdge', record, snapshot(record), snapshot(edge), gtx);
+        console.log("Updated edge:", edgeId, set, remove);
+        return edge;
+      });
+    }
+
+    if (event.field === "deleteEdge") {
+      const { id: edgeId, label } = event.arguments;
+      const record = await inTransaction(g!, async (gtx) => {
+        const edge = await requireElement('edge', edgeId, label, gtx);
+        await tombstoneEdge(edgeId, gtx);
+        await recordAudit('deleteEdge', edge, snapshot(edge), null, gtx);
+        return edge;
+      });
+      console.log("Deleted edge:", edgeId);
+      return record;
+    }
+
+    if (event.field === "restoreEdge") {
+      const { id: edgeId } = event.arguments;
+      const restored = await inTransaction(g!, async (gtx) => {
+        const record = await readEdge(edgeId, gtx);
+        const deletedAt = record?.properties.find((p) => p.key === TOMBSTONE_PROPERTY)?.value;
+        if (!record || !deletedAt) {
+          throw notFoundError(`No deleted edge ${edgeId}`, { id: edgeId });
+        }
+        if (deletedAt <= purgeCutoff()) {
+          throw conflictError(
+            `Edge ${edgeId} was deleted more than ${tombstoneRetentionDays()} days ago and can no longer be restored`
+          );
+        }
+        const deletedEnds = await gtx.E(edgeId).bothV().has(TOMBSTONE_PROPERTY).id().toList();
+        if (deletedEnds.length > 0) {
+          throw conflictError(`Restore vertex ${deletedEnds[0]} before edge ${edgeId}`, {
+            id: String(deletedEnds[0]),
+          });
+        }
+        // An edge added since the delete may have taken its place
+        const errors = await checkEdgeRules(record.label, record.source, record.target, gtx);
+        if (errors.length > 0) {
+          throw fieldValidationError(errors);
+        }
+
+        await gtx.E(edgeId).properties(...TOMBSTONE_KEYS).drop().iterate();
+        const edge = await readEdge(edgeId, gtx);
+        await recordAudit('restoreEdge', record, snapshot(record), snapshot(edge), gtx);
+        return edge;
+      });
+      console.log("Restored edge:", edgeId);
+      return restored;
+    }
+
+    // ── Upserts ──
+    // Vertices are matched on a label's natural key (NATURAL_KEYS), falling
+    // back to the client's idempotency key, so a retried create matches what
+    // the first attempt wrote; edges on their label and endpoints. Only live
+    // elements match: a tombstoned one stays deleted and a new element is
+    // created next to it. Callers run the lookup and the write in one
+    // transaction, so two concurrent upserts cannot both create.
+    const readUpsertCandidates = async (t: any): Promise<UpsertCandidate[]> => {
+      const rows = await t
+        .project('id', 'deletedAt')
+        .by(__.id())
+        .by(__.coalesce(__.values(TOMBSTONE_PROPERTY), __.constant('')))
+        .toList();
+      const field = (r: any, key: string) => r[key] ?? (r.get ? r.get(key) : undefined);
+      return (rows as any[]).map((r) => ({ id: String(field(r, 'id')), deletedAt: field(r, 'deletedAt') }));
+    };
+
+    const upsertVertex = async (
+      label: string,
+      values: Record<string, unknown>,
+      idempotencyKey: string | null | undefined,
+      gt: GraphTraversalSource
+    ): Promise<{ id: string; outcome: UpsertOutcome; before: Snapshot }> => {
+      const naturalKey = (NATURAL_KEYS[label] ?? []).find((key) => values[key] !== undefined);
+      const [matchKey, matchValue] = naturalKey
+        ? [naturalKey, values[naturalKey]]
+        : [IDEMPOTENCY_KEY_PROPERTY, idempotencyKey];
+      if (!matchValue) {
+        const keys = [...(NATURAL_KEYS[label] ?? []), IDEMPOTENCY_KEY_PROPERTY];
+        throw validationError(`Upserting ${label} needs one of: ${keys.join(', ')}`);
+      }
+
+      const vertexId = liveUpsertMatch(
+        await readUpsertCandidates(gt.V().hasLabel(label).has(matchKey, matchValue)),
+        (count) => `${count} ${label} vertices share ${matchKey} ${matchValue}; merge them first`
+      );
+      if (!vertexId) {
+        const newId = `${label.toLowerCase()}_${randomUUID()}`;
+        let t = gt.addV(label).property(id, newId);
+        for (const [key, val] of [...Object.entries(values), ...Object.entries(searchProperties(values))]) {
+          t = t.property(key, val);
+        }
+        if (idempotencyKey) t = t.property(IDEMPOTENCY_KEY_PROPERTY, idempotencyKey);
+        await t.iterate();
+        return { id: newId, outcome: 'CREATED', before: null };
+      }
+      const before = snapshot(await readVertex(vertexId, gt));
+      await writeVertexUpdate(vertexId, values, [], gt);
+      return { id: vertexId, outcome: 'MATCHED', before };
+    };
+
+    // Endpoint and cardinality rules are checked only when no live edge
+    // exists yet
+    const upsertEdge = async (
+      edgeLabel: string,
+      sourceId: string,
+      destinationId: string,
+      values: Record<string, unknown>,
+      gt: GraphTraversalSource
+    ): Promise<{ id: string; outcome: UpsertOutcome; before: Snapshot } | { errors: FieldError[] }> => {
+      const edgeId = liveUpsertMatch(
+        await readUpsertCandidates(gt.V(sourceId).outE(edgeLabel).where(__.inV().hasId(destinationId))),
+        (count) => `${count} ${edgeLabel} edges join ${sourceId} to ${destinationId}; delete the extra ones first`
+      );
+      if (!edgeId) {
+        const errors = await checkEdgeRules(edgeLabel, sourceId, destinationId, gt);
+        if (errors.length > 0) return { errors };
+        const newId = randomUUID();
+        let t = gt.V(sourceId).addE(edgeLabel).to(__.V(destinationId)).property(id, newId);
+        for (const [key, val] of Object.entries(values)) {
+          t = t.property(key, val);
+        }
+        await t.iterate();
+        return { id: newId, outcome: 'CREATED', before: null };
+      }
+      const before = snapshot(await readEdge(edgeId, gt));
+      await writeEdgeUpdate(edgeId, values, [], gt);
+      return { id: edgeId, outcome: 'MATCHED', before };
+    };
+
     // ── Account mutations ──
     if (event.field === "addProjectAccount") {
-      const { projectName, Account_Name, Account_Id, Cloud, Environments } = event.arguments.input;
-      const accountVertexId = `account_${Date.now()}`;
-
-      // Create the Account vertex
-      await g!.addV('Account')
-        .property(id, accountVertexId)
-        .property('Account_Name', Account_Name)
-        .property('Account_Id', Account_Id)
-        .property('Cloud', Cloud)
-        .property('Environments', Environments)
-        .next();
+      const { projectName, Account_Name, Account_Id, Cloud, Environments, upsert, idempotencyKey } =
+        event.arguments.input;
 
-      // Create owned_by edge from Account → Project_Data
-      await g!.V(accountVertexId)
-        .addE('owned_by')
-        .to(__.V().hasLabel('Project_Data').has('projectName', projectName))
-        .next();
+      let projectQuery = g!.V()
+        .hasLabel('Project_Data')
+        .has('projectName', projectName)
+        .hasNot(TOMBSTONE_PROPERTY);
+      const hidden = hiddenClassifications(event.identity);
+      if (hidden.length > 0) {
+        projectQuery = projectQuery.not(__.has('DataClassification', P.within(...hidden)));
+      }
+      const projectIds = await projectQuery.id().toList();
+      if (projectIds.length === 0) {
+        throw notFoundError(`Project not found: ${projectName}`, { field: 'projectName' });
+      }
+      if (projectIds.length > 1) {
+        throw conflictError(`Expected one project named ${projectName}, found ${projectIds.length}`, {
+          field: 'projectName',
+        });
+      }
+
+      if (upsert) {
+        // Match the Account on Account_Id and the owned_by edge on its
+        // endpoints, so a retried save links the same vertex once. Both go
+        // in one transaction: a rejected link leaves no Account behind.
+        const values = { Account_Name, Account_Id, Cloud, Environments };
+        const account = await inTransaction(g!, async (gtx) => {
+          const upserted = await upsertVertex('Account', values, idempotencyKey, gtx);
+          const link = await upsertEdge('owned_by', upserted.id, String(projectIds[0]), {}, gtx);
+          if ('errors' in link) {
+            throw fieldValidationError(link.errors);
+          }
+          await recordAudit('addProjectAccount', { id: upserted.id, label: 'Account' }, upserted.before, {
+            ...values,
+            projectName,
+          }, gtx);
+          return upserted;
+        });
+
+        console.log("Upserted account:", account.id, account.outcome, "linked to project:", projectName);
+        return { id: account.id, ...values, outcome: account.outcome };
+      }
+
+      const accountVertexId = `account_${randomUUID()}`;
 
+      await inTransaction(g!, async (gtx) => {
+        // Create the Account vertex
+        await gtx.addV('Account')
+          .property(id, accountVertexId)
+          .property('Account_Name', Account_Name)
+          .property('Account_Id', Account_Id)
+          .property('Cloud', Cloud)
+          .property('Environments', Environments)
+          .next();
+
+        // Create owned_by edge from Account → Project_Data
+        await gtx.V(accountVertexId)
+          .addE('owned_by')
+          .to(__.V(projectIds[0]))
+          .next();
+
+        await recordAudit('addProjectAccount', { id: accountVertexId, label: 'Account' }, null, {
+          Account_Name,
+          Account_Id,
+          Cloud,
+          Environments,
+          projectName,
+        }, gtx);
+      });
       console.log("Created account:", accountVertexId, "linked to project:", projectName);
       return {
         id: accountVertexId,
@@ -75,96 +924,336 @@ export const handler: Handler = async (event) => {
         Account_Id,
         Cloud,
         Environments,
+        outcome: 'CREATED',
       };
     }
 
     if (event.field === "deleteProjectAccount") {
       const { accountId } = event.arguments;
-      // Drop the vertex and all its edges
-      await g!.V(accountId).drop().next();
+      await inTransaction(g!, async (gtx) => {
+        const before = await requireElement('vertex', accountId, 'Account', gtx);
+        // Tombstone the vertex and its owned_by edge; restoreVertex undoes it
+        await tombstoneVertex(accountId, true, gtx);
+        await recordAudit('deleteProjectAccount', before, snapshot(before), null, gtx);
+      });
       console.log("Deleted account vertex:", accountId);
       return { result: "deleted" };
     }
 
+    // ── Batched mutations ──
+    // Runs the operations in order inside one session transaction; "$name"
+    // in id/sourceId/destinationId refers to the element an earlier
+    // operation created with `ref: "name"`. Any failure rolls back the batch.
+    if (event.field === "batchMutate") {
+      const operations: any[] = event.arguments.operations ?? [];
+      if (operations.length === 0) {
+        throw validationError("batchMutate needs at least one operation");
+      }
+      if (operations.length > MAX_BATCH_OPERATIONS) {
+        throw validationError(`batchMutate accepts at most ${MAX_BATCH_OPERATIONS} operations`);
+      }
+      if (isIntegrationClient(event.identity)) {
+        requireIntegrationOperations(operations);
+      }
+
+      const refs = new Map<string, string>();
+      const resolveRef = (value: string | undefined, name: string) => {
+        if (!value) throw validationError(`${name} is required`, { field: name });
+        if (!value.startsWith("$")) return value;
+        const resolved = refs.get(value.slice(1));
+        if (!resolved) throw validationError(`Unknown reference ${value}`, { field: name });
+        return resolved;
+      };
+      const requireLabel = (kind: 'vertex' | 'edge', label: string | undefined) => {
+        if (!label) throw validationError("label is required", { field: 'label' });
+        if (kind === 'vertex' ? !isVertexLabel(label) : !isEdgeLabel(label)) {
+          throw validationError(`Unsupported ${kind} label: ${label}`, { field: 'label' });
+        }
+        return label;
+      };
+
+      const applyOperation = async (op: any, gtx: GraphTraversalSource) => {
+        const props = parseProperties(op.properties);
+        switch (op.op) {
+          case "CREATE_VERTEX": {
+            const label = requireLabel('vertex', op.label);
+            rejectProjectData(label);
+            const { values, errors } = validateProperties('vertex', label, props);
+            if (errors.length > 0) throw fieldValidationError(errors);
+            const vertexId = `${label.toLowerCase()}_${randomUUID()}`;
+            let t = gtx.addV(label).property(id, vertexId);
+            for (const [key, val] of [...Object.entries(values), ...Object.entries(searchProperties(values))]) {
+              t = t.property(key, val);
+            }
+            await t.iterate();
+            return { id: vertexId, label };
+          }
+          case "UPDATE_VERTEX": {
+            const vertexId = resolveRef(op.id, "id");
+            const record = await requireElement('vertex', vertexId, op.label, gtx);
+            rejectProjectData(record.label);
+            const { set, remove } = parseUpdates('vertex', record.label, op.properties);
+            await writeVertexUpdate(vertexId, set, remove, gtx);
+            return { id: vertexId, label: record.label };
+          }
+          case "DELETE_VERTEX": {
+            const vertexId = resolveRef(op.id, "id");
+            const record = await requireElement('vertex', vertexId, op.label, gtx);
+            await tombstoneVertex(vertexId, !!op.cascade, gtx);
+            return { id: vertexId, label: record.label };
+          }
+          case "CREATE_EDGE": {
+            const label = requireLabel('edge', op.label);
+            const sourceId = resolveRef(op.sourceId, "sourceId");
+            const destinationId = resolveRef(op.destinationId, "destinationId");
+            const { values, errors } = validateProperties('edge', label, props);
+            errors.push(...(await checkEdgeRules(label, sourceId, destinationId, gtx)));
+            if (errors.length > 0) throw fieldValidationError(errors);
+            let t = gtx.V(sourceId).addE(label).to(__.V(destinationId));
+            for (const [key, val] of Object.entries(values)) {
+              t = t.property(key, val);
+            }
+            const edgeId = await t.id().next();
+            return { id: String(edgeId.value), label };
+          }
+          case "UPDATE_EDGE": {
+            const edgeId = resolveRef(op.id, "id");
+            const record = await requireElement('edge', edgeId, op.label, gtx);
+            const { set, remove } = parseUpdates('edge', record.label, op.properties);
+            await writeEdgeUpdate(edgeId, set, remove, gtx);
+            return { id: edgeId, label: record.label };
+          }
+          case "DELETE_EDGE": {
+            const edgeId = resolveRef(op.id, "id");
+            const record = await requireElement('edge', edgeId, op.label, gtx);
+            await tombstoneEdge(edgeId, gtx);
+            return { id: edgeId, label: record.label };
+          }
+          default:
+            throw validationError(`Unknown operation: ${op.op}`, { field: 'op' });
+        }
+      };
+
+      const tx = g!.tx();
+      const gtx = tx.begin();
+      const results = [];
+      try {
+        for (const [index, op] of operations.entries()) {
+          try {
+            const before = op.op.startsWith("CREATE_")
+              ? null
+              : snapshot(op.op.endsWith("_VERTEX")
+                ? await readVertex(resolveRef(op.id, "id"), gtx)
+                : await readEdge(resolveRef(op.id, "id"), gtx));
+            const applied = await applyOperation(op, gtx);
+            const after = op.op.startsWith("DELETE_")
+              ? null
+              : snapshot(op.op.endsWith("_VERTEX") ? await readVertex(applied.id, gtx) : await readEdge(applied.id, gtx));
+            await recordAudit(`batchMutate:${op.op}`, applied, before, after, gtx);
+            if (op.ref) refs.set(op.ref, applied.id);
+            results.push({ index, op: op.op, ref: op.ref ?? null, ...applied });
+          } catch (error) {
+            // Keep the code of the failing operation and say which one it was
+            const { error: cause } = toErrorResult(error);
+            throw new GraphError(cause.type, `Operation ${index} (${op.op}) failed: ${cause.message}`, {
+              ...cause.info,
+              operationIndex: index,
+            });
+          }
+        }
+        await tx.commit();
+      } catch (error) {
+        console.log("Rolling back batch:", error);
+        await tx.rollback().catch((rollbackError: unknown) =>
+          console.error("Rollback failed:", rollbackError)
+        );
+        throw error;
+      }
+
+      console.log("Committed batch of", operations.length, "operations");
+      return { results };
+    }
+
     // ── Generic insertData mutations ──
   const {
     value,
     edge,
     vertex,
     source,
+    sourceId: inputSourceId,
     sourceLabel,
     destination,
+    destinationId: inputDestinationId,
     destLabel,
     properties: propertiesJson,
+    upsert,
+    idempotencyKey,
   } = event.arguments.input;
 
   // Parse properties JSON (new generic approach)
-  const props: Record<string, unknown> =
-    propertiesJson ? JSON.parse(propertiesJson) : {};
+  const props = parseProperties(propertiesJson);
+
+    // Validate against the schema registry; `fields` in the error lets the
+    // form show each rejection inline
+    const kind = value === "vertex" ? "vertex" : "edge";
+    const { values, errors } = validateProperties(kind, kind === "vertex" ? vertex : edge, props);
+    if (kind === "vertex" && vertex === "Project_Data") {
+      errors.unshift({ field: "vertex", message: PROJECT_DATA_MESSAGE });
+    }
+    if (errors.length > 0) {
+      throw fieldValidationError(errors);
+    }
 
     switch (value) {
       case "vertex": {
-        // Generate a unique vertex ID using label prefix + timestamp
-        const vertexId = `${vertex.toLowerCase()}_${Date.now()}`;
+        if (upsert) {
+          const { id: vertexId, outcome } = await inTransaction(g!, async (gtx) => {
+            const upserted = await upsertVertex(vertex, values, idempotencyKey, gtx);
+            const after = snapshot(await readVertex(upserted.id, gtx));
+            await recordAudit('insertData', { id: upserted.id, label: vertex }, upserted.before, after, gtx);
+            return upserted;
+          });
+          console.log("Upserted vertex:", vertexId, vertex, outcome, values);
+          return { result: vertexId, id: vertexId, outcome };
+        }
+
+        // Generate a unique vertex ID using label prefix + UUID
+        const vertexId = `${vertex.toLowerCase()}_${randomUUID()}`;
 
-        // Start the addV traversal
-        let t = g!.addV(vertex).property(id, vertexId);
+        const result = await inTransaction(g!, async (gtx) => {
+          // Start the addV traversal
+          let t = gtx.addV(vertex).property(id, vertexId);
 
-        // Add all properties from the properties JSON
-        for (const [key, val] of Object.entries(props)) {
-          if (val !== undefined && val !== null && val !== "") {
+          // Add the coerced properties
+          for (const [key, val] of Object.entries(values)) {
+            t = t.property(key, val);
+          }
+
+          // Mirror searchable properties into their lowercased search_* shadows
+          for (const [key, val] of Object.entries(searchProperties(values))) {
             t = t.property(key, val);
           }
-        }
 
-        const result = await t.next();
-        console.log("Created vertex:", vertexId, vertex, props);
-        return { result: JSON.stringify(result) };
+          const added = await t.next();
+          await recordAudit('insertData', { id: vertexId, label: vertex }, null, values, gtx);
+          return added;
+        });
+        console.log("Created vertex:", vertexId, vertex, values);
+        return { result: JSON.stringify(result), id: vertexId, outcome: 'CREATED' };
       }
 
       default: {
         // Edge creation
         console.log("Creating edge:", edge, "from", sourceLabel, source, "to", destLabel, destination);
 
-        // Find source vertex by label and any name-like property
-        let t = g!
-          .V()
-          .hasLabel(sourceLabel)
-          .or(
-            __.has("name", source),
-            __.has("companyName", source),
-            __.has("jobName", source),
-            __.has("partName", source)
+        // Endpoints are taken from sourceId/destinationId when given.
+        // Otherwise they are looked up by label and any name-like property,
+        // and a name matching several vertices is refused with the candidates.
+        // Business services the caller may not read are left out of both
+        // lookups, so they can neither be linked nor listed.
+        const hidden = hiddenClassifications(event.identity);
+        const readEndpoints = async (t: any): Promise<EndpointRow[]> => {
+          if (hidden.length > 0) {
+            t = t.not(__.hasLabel("Project_Data").has("DataClassification", P.within(...hidden)));
+          }
+          const rows = await t
+            .limit(MAX_ENDPOINT_CANDIDATES + 1)
+            .project("id", "label", "name", "entityType", "classification")
+            .by(__.id())
+            .by(__.label())
+            .by(__.coalesce(__.values("companyName", "name", "jobName", "partName"), __.constant("")))
+            .by(__.coalesce(__.values("entityTypes"), __.constant("")))
+            .by(classificationOf(__.identity()))
+            .toList();
+          return (rows as any[]).map((r) => ({
+            id: String(field(r, "id")),
+            label: field(r, "label"),
+            name: field(r, "name"),
+            entityType: field(r, "entityType"),
+            classification: field(r, "classification"),
+          }));
+        };
+        const resolveEndpoint = async (endpoint: EndpointField, label: string, name: string) => {
+          const rows = await readEndpoints(
+            g!
+              .V()
+              .hasLabel(label)
+              .hasNot(TOMBSTONE_PROPERTY)
+              .or(
+                __.has("name", name),
+                __.has("companyName", name),
+                __.has("jobName", name),
+                __.has("partName", name)
+              )
           );
+          return matchEndpointName(endpoint, label, name, rows, event.identity);
+        };
+        const resolveEndpointId = async (endpoint: EndpointField, vertexId: string) => {
+          const rows = await readEndpoints(g!.V(vertexId).hasNot(TOMBSTONE_PROPERTY));
+          return matchEndpointId(endpoint, vertexId, rows, event.identity);
+        };
 
-        // Add edge to destination vertex found by label and name-like property
-        let edgeTraversal = t.addE(edge).to(
-          __.V()
-            .hasLabel(destLabel)
-            .or(
-              __.has("name", destination),
-              __.has("companyName", destination),
-              __.has("jobName", destination),
-              __.has("partName", destination)
-            )
-        );
+        const [sourceMatch, destinationMatch] = await Promise.all([
+          inputSourceId
+            ? resolveEndpointId("source", String(inputSourceId))
+            : resolveEndpoint("source", sourceLabel, source),
+          inputDestinationId
+            ? resolveEndpointId("destination", String(inputDestinationId))
+            : resolveEndpoint("destination", destLabel, destination),
+        ]);
+        const sourceId = "id" in sourceMatch ? sourceMatch.id : null;
+        const destinationId = "id" in destinationMatch ? destinationMatch.id : null;
+        const endpointErrors: FieldError[] = [];
+        for (const match of [sourceMatch, destinationMatch]) {
+          if ("error" in match && match.error) endpointErrors.push(match.error);
+        }
+        if (endpointErrors.length > 0) {
+          throw fieldValidationError(endpointErrors, {
+            candidates: [...sourceMatch.candidates, ...destinationMatch.candidates],
+          });
+        }
 
-        // Add edge properties from the properties JSON
-        for (const [key, val] of Object.entries(props)) {
-          if (val !== undefined && val !== null && val !== "") {
+        // The endpoint and cardinality rules are checked in the transaction
+        // that adds the edge, so concurrent inserts cannot both pass them
+        if (upsert) {
+          const merged = await inTransaction(g!, async (gtx) => {
+            const upserted = await upsertEdge(edge, sourceId!, destinationId!, values, gtx);
+            if ('errors' in upserted) {
+              throw fieldValidationError(upserted.errors);
+            }
+            const after = snapshot(await readEdge(upserted.id, gtx));
+            await recordAudit('insertData', { id: upserted.id, label: edge }, upserted.before, after, gtx);
+            return upserted;
+          });
+          console.log("Upserted edge:", edge, sourceId, "->", destinationId, merged.outcome, values);
+          return { result: merged.id, id: merged.id, outcome: merged.outcome };
+        }
+
+        const res = await inTransaction(g!, async (gtx) => {
+          const ruleErrors = await checkEdgeRules(edge, sourceId!, destinationId!, gtx);
+          if (ruleErrors.length > 0) {
+            throw fieldValidationError(ruleErrors);
+          }
+
+          let edgeTraversal = gtx.V(sourceId!).addE(edge).to(__.V(destinationId!));
+
+          // Add the coerced edge properties
+          for (const [key, val] of Object.entries(values)) {
             edgeTraversal = edgeTraversal.property(key, val);
           }
-        }
 
-        const res = await edgeTraversal.next();
-        console.log("Created edge:", edge, props);
-        return { result: JSON.stringify(res) };
+          const added = await edgeTraversal.next();
+          await recordAudit('insertData', { id: String((added.value as any)?.id), label: edge }, null, values, gtx);
+          return added;
+        });
+        const edgeId = String((res.value as any)?.id);
+        console.log("Created edge:", edge, sourceId, "->", destinationId, values);
+        return { result: JSON.stringify(res), id: edgeId, outcome: 'CREATED' };
       }
     }
   } catch (error: unknown) {
     console.log(error);
     console.error(JSON.stringify(error));
-    const message = error instanceof Error ? error.message : String(error);
-    return { error: message };
+    return toErrorResult(error);
   }
 };
@@ -0,0 +1,84 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.handler = void 0;
+const crypto_1 = require("crypto");
+const gremlin = require("gremlin");
+const utils_1 = require("gremlin-aws-sigv4/lib/utils");
+const graphModel_1 = require("./shared/graphModel");
+const DriverRemoteConnection = gremlin.driver.DriverRemoteConnection;
+const traversal = gremlin.process.AnonymousTraversalSource.traversal;
+const __ = gremlin.process.statics;
+const P = gremlin.process.P;
+// Elements dropped per round trip
+const PURGE_BATCH_SIZE = 200;
+// Scheduled job that permanently drops vertices and edges whose tombstone is
+// older than the retention window (TOMBSTONE_RETENTION_DAYS). Each purged
+// vertex gets an AuditEvent, so its history shows when it went for good.
+const handler = async () => {
+    const { url, headers } = (0, utils_1.getUrlAndHeaders)(process.env.NEPTUNE_ENDPOINT, process.env.NEPTUNE_PORT, {}, "/gremlin", "wss");
+    const conn = new DriverRemoteConnection(url, {
+        mimeType: "application/vnd.gremlin-v2.0+json",
+        headers: headers,
+    });
+    const g = traversal().withRemote(conn);
+    const cutoff = (0, graphModel_1.purgeCutoff)();
+    try {
+        // Edges first: tombstoned edges whose endpoints are both live would
+        // otherwise never be reached through a purged vertex
+        let edges = 0;
+        for (;;) {
+            const ids = await g.E()
+                .has(graphModel_1.TOMBSTONE_PROPERTY, P.lte(cutoff))
+                .limit(PURGE_BATCH_SIZE)
+                .id()
+                .toList();
+            if (ids.length === 0)
+                break;
+            await g.E(...ids).drop().iterate();
+            edges += ids.length;
+        }
+        let vertices = 0;
+        for (;;) {
+            const rows = await g.V()
+                .has(graphModel_1.TOMBSTONE_PROPERTY, P.lte(cutoff))
+                .limit(PURGE_BATCH_SIZE)
+                .project('id', 'label')
+                .by(__.id())
+                .by(__.label())
+                .toList();
+            if (rows.length === 0)
+                break;
+            const targets = rows.map((r) => ({
+                id: String(r.id ?? r.get('id')),
+                label: String(r.label ?? r.get('label')),
+            }));
+            const at = new Date().toISOString();
+            let audit = g.addV(graphModel_1.AUDIT_LABEL);
+            targets.forEach((target, i) => {
+                if (i > 0)
+                    audit = audit.addV(graphModel_1.AUDIT_LABEL);
+                audit = audit
+                    .property(gremlin.process.t.id, `audit_${(0, crypto_1.randomUUID)()}`)
+                    .property('at', at)
+                    .property('actor', 'system')
+                    .property('actorName', 'tombstone-purge')
+                    .property('operation', 'purgeVertex')
+                    .property('targetId', target.id)
+                    .property('targetLabel', target.label)
+                    .property('before', 'null')
+                    .property('after', 'null');
+            });
+            await audit.iterate();
+            // Dropping a vertex also drops whatever edges it still has
+            await g.V(...targets.map((target) => target.id)).drop().iterate();
+            vertices += targets.length;
+        }
+        console.log("Purged tombstones older than", cutoff, { vertices, edges });
+        return { cutoff, vertices, edges };
+    }
+    finally {
+        await conn.close();
+    }
+};
+exports.handler = handler;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicHVyZ2VUb21ic3RvbmVzLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsicHVyZ2VUb21ic3RvbmVzLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7OztBQUVBLG1DQUFvQztBQUNwQyxtQ0FBbUM7QUFDbkMsdURBQStEO0FBQy9ELG9EQUk2QjtBQUU3QixNQUFNLHNCQUFzQixHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsc0JBQXNCLENBQUM7QUFDckUsTUFBTSxTQUFTLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyx3QkFBd0IsQ0FBQyxTQUFTLENBQUM7QUFDckUsTUFBTSxFQUFFLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUM7QUFDbkMsTUFBTSxDQUFDLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7QUFFNUIsa0NBQWtDO0FBQ2xDLE1BQU0sZ0JBQWdCLEdBQUcsR0FBRyxDQUFDO0FBRTdCLDZFQUE2RTtBQUM3RSwwRUFBMEU7QUFDMUUseUVBQXlFO0FBQ2xFLE1BQU0sT0FBTyxHQUFZLEtBQUssSUFBSSxFQUFFO0lBQ3pDLE1BQU0sRUFBRSxHQUFHLEVBQUUsT0FBTyxFQUFFLEdBQUcsSUFBQSx3QkFBZ0IsRUFDdkMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxnQkFBZ0IsRUFDNUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxZQUFZLEVBQ3hCLEVBQUUsRUFDRixVQUFVLEVBQ1YsS0FBSyxDQUNOLENBQUM7SUFDRixNQUFNLElBQUksR0FBRyxJQUFJLHNCQUFzQixDQUFDLEdBQUcsRUFBRTtRQUMzQyxRQUFRLEVBQUUsbUNBQW1DO1FBQzdDLE9BQU8sRUFBRSxPQUFPO0tBQ2pCLENBQUMsQ0FBQztJQUNILE1BQU0sQ0FBQyxHQUFHLFNBQVMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUN2QyxNQUFNLE1BQU0sR0FBRyxJQUFBLHdCQUFXLEdBQUUsQ0FBQztJQUU3QixJQUFJLENBQUM7UUFDSCxvRUFBb0U7UUFDcEUscURBQXFEO1FBQ3JELElBQUksS0FBSyxHQUFHLENBQUMsQ0FBQztRQUNkLFNBQVMsQ0FBQztZQUNSLE1BQU0sR0FBRyxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRTtpQkFDcEIsR0FBRyxDQUFDLCtCQUFrQixFQUFFLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUM7aUJBQ3RDLEtBQUssQ0FBQyxnQkFBZ0IsQ0FBQztpQkFDdkIsRUFBRSxFQUFFO2lCQUNKLE1BQU0sRUFBRSxDQUFDO1lBQ1osSUFBSSxHQUFHLENBQUMsTUFBTSxLQUFLLENBQUM7Z0JBQUUsTUFBTTtZQUM1QixNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLEVBQUUsQ0FBQztZQUNuQyxLQUFLLElBQUksR0FBRyxDQUFDLE1BQU0sQ0FBQztRQUN0QixDQUFDO1FBRUQsSUFBSSxRQUFRLEdBQUcsQ0FBQyxDQUFDO1FBQ2pCLFNBQVMsQ0FBQztZQUNSLE1BQU0sSUFBSSxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRTtpQkFDckIsR0FBRyxDQUFDLCtCQUFrQixFQUFFLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUM7aUJBQ3RDLEtBQUssQ0FBQyxnQkFBZ0IsQ0FBQztpQkFDdkIsT0FBTyxDQUFDLElBQUksRUFBRSxPQUFPLENBQUM7aUJBQ3RCLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7aUJBQ1gsRUFBRSxDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsQ0FBQztpQkFDZCxNQUFNLEVBQUUsQ0FBQztZQUNaLElBQUksSUFBSSxDQUFDLE1BQU0sS0FBSyxDQUFDO2dCQUFFLE1BQU07WUFFN0IsTUFBTSxPQUFPLEdBQUksSUFBYyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztnQkFDMUMsRUFBRSxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUM7Z0JBQy9CLEtBQUssRUFBRSxNQUFNLENBQUMsQ0FBQyxDQUFDLEtBQUssSUFBSSxDQUFDLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDO2FBQ3pDLENBQUMsQ0FBQyxDQUFDO1lBQ0osTUFBTSxFQUFFLEdBQUcsSUFBSSxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQztZQUNwQyxJQUFJLEtBQUssR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLHdCQUFXLENBQUMsQ0FBQztZQUNoQyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFO2dCQUM1QixJQUFJLENBQUMsR0FBRyxDQUFDO29CQUFFLEtBQUssR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLHdCQUFXLENBQUMsQ0FBQztnQkFDM0MsS0FBSyxHQUFHLEtBQUs7cUJBQ1YsUUFBUSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxTQUFTLElBQUEsbUJBQVUsR0FBRSxFQUFFLENBQUM7cUJBQ3ZELFFBQVEsQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDO3FCQUNsQixRQUFRLENBQUMsT0FBTyxFQUFFLFFBQVEsQ0FBQztxQkFDM0IsUUFBUSxDQUFDLFdBQVcsRUFBRSxpQkFBaUIsQ0FBQztxQkFDeEMsUUFBUSxDQUFDLFdBQVcsRUFBRSxhQUFhLENBQUM7cUJBQ3BDLFFBQVEsQ0FBQyxVQUFVLEVBQUUsTUFBTSxDQUFDLEVBQUUsQ0FBQztxQkFDL0IsUUFBUSxDQUFDLGFBQWEsRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDO3FCQUNyQyxRQUFRLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQztxQkFDMUIsUUFBUSxDQUFDLE9BQU8sRUFBRSxNQUFNLENBQUMsQ0FBQztZQUMvQixDQUFDLENBQUMsQ0FBQztZQUNILE1BQU0sS0FBSyxDQUFDLE9BQU8sRUFBRSxDQUFDO1lBRXRCLDJEQUEyRDtZQUMzRCxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLEVBQUUsQ0FBQztZQUNsRSxRQUFRLElBQUksT0FBTyxDQUFDLE1BQU0sQ0FBQztRQUM3QixDQUFDO1FBRUQsT0FBTyxDQUFDLEdBQUcsQ0FBQyw4QkFBOEIsRUFBRSxNQUFNLEVBQUUsRUFBRSxRQUFRLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQztRQUN6RSxPQUFPLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxLQUFLLEVBQUUsQ0FBQztJQUNyQyxDQUFDO1lBQVMsQ0FBQztRQUNULE1BQU0sSUFBSSxDQUFDLEtBQUssRUFBRSxDQUFDO0lBQ3JCLENBQUM7QUFDSCxDQUFDLENBQUM7QUF4RVcsUUFBQSxPQUFPLFdBd0VsQiIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IEhhbmRsZXIgfSBmcm9tIFwiYXdzLWxhbWJkYVwiO1xuXG5pbXBvcnQgeyByYW5kb21VVUlEIH0gZnJvbSBcImNyeXB0b1wiO1xuaW1wb3J0ICogYXMgZ3JlbWxpbiBmcm9tIFwiZ3JlbWxpblwiO1xuaW1wb3J0IHsgZ2V0VXJsQW5kSGVhZGVycyB9IGZyb20gXCJncmVtbGluLWF3cy1zaWd2NC9saWIvdXRpbHNcIjtcbmltcG9ydCB7XG4gIEFVRElUX0xBQkVMLFxuICBUT01CU1RPTkVfUFJPUEVSVFksXG4gIHB1cmdlQ3V0b2ZmLFxufSBmcm9tIFwiLi9zaGFyZWQvZ3JhcGhNb2RlbFwiO1xuXG5jb25zdCBEcml2ZXJSZW1vdGVDb25uZWN0aW9uID0gZ3JlbWxpbi5kcml2ZXIuRHJpdmVyUmVtb3RlQ29ubmVjdGlvbjtcbmNvbnN0IHRyYXZlcnNhbCA9IGdyZW1saW4ucHJvY2Vzcy5Bbm9ueW1vdXNUcmF2ZXJzYWxTb3VyY2UudHJhdmVyc2FsO1xuY29uc3QgX18gPSBncmVtbGluLnByb2Nlc3Muc3RhdGljcztcbmNvbnN0IFAgPSBncmVtbGluLnByb2Nlc3MuUDtcblxuLy8gRWxlbWVudHMgZHJvcHBlZCBwZXIgcm91bmQgdHJpcFxuY29uc3QgUFVSR0VfQkFUQ0hfU0laRSA9IDIwMDtcblxuLy8gU2NoZWR1bGVkIGpvYiB0aGF0IHBlcm1hbmVudGx5IGRyb3BzIHZlcnRpY2VzIGFuZCBlZGdlcyB3aG9zZSB0b21ic3RvbmUgaXNcbi8vIG9sZGVyIHRoYW4gdGhlIHJldGVudGlvbiB3aW5kb3cgKFRPTUJTVE9ORV9SRVRFTlRJT05fREFZUykuIEVhY2ggcHVyZ2VkXG4vLyB2ZXJ0ZXggZ2V0cyBhbiBBdWRpdEV2ZW50LCBzbyBpdHMgaGlzdG9yeSBzaG93cyB3aGVuIGl0IHdlbnQgZm9yIGdvb2QuXG5leHBvcnQgY29uc3QgaGFuZGxlcjogSGFuZGxlciA9IGFzeW5jICgpID0+IHtcbiAgY29uc3QgeyB1cmwsIGhlYWRlcnMgfSA9IGdldFVybEFuZEhlYWRlcnMoXG4gICAgcHJvY2Vzcy5lbnYuTkVQVFVORV9FTkRQT0lOVCxcbiAgICBwcm9jZXNzLmVudi5ORVBUVU5FX1BPUlQsXG4gICAge30sXG4gICAgXCIvZ3JlbWxpblwiLFxuICAgIFwid3NzXCJcbiAgKTtcbiAgY29uc3QgY29ubiA9IG5ldyBEcml2ZXJSZW1vdGVDb25uZWN0aW9uKHVybCwge1xuICAgIG1pbWVUeXBlOiBcImFwcGxpY2F0aW9uL3ZuZC5ncmVtbGluLXYyLjAranNvblwiLFxuICAgIGhlYWRlcnM6IGhlYWRlcnMsXG4gIH0pO1xuICBjb25zdCBnID0gdHJhdmVyc2FsKCkud2l0aFJlbW90ZShjb25uKTtcbiAgY29uc3QgY3V0b2ZmID0gcHVyZ2VDdXRvZmYoKTtcblxuICB0cnkge1xuICAgIC8vIEVkZ2VzIGZpcnN0OiB0b21ic3RvbmVkIGVkZ2VzIHdob3NlIGVuZHBvaW50cyBhcmUgYm90aCBsaXZlIHdvdWxkXG4gICAgLy8gb3RoZXJ3aXNlIG5ldmVyIGJlIHJlYWNoZWQgdGhyb3VnaCBhIHB1cmdlZCB2ZXJ0ZXhcbiAgICBsZXQgZWRnZXMgPSAwO1xuICAgIGZvciAoOzspIHtcbiAgICAgIGNvbnN0IGlkcyA9IGF3YWl0IGcuRSgpXG4gICAgICAgIC5oYXMoVE9NQlNUT05FX1BST1BFUlRZLCBQLmx0ZShjdXRvZmYpKVxuICAgICAgICAubGltaXQoUFVSR0VfQkFUQ0hfU0laRSlcbiAgICAgICAgLmlkKClcbiAgICAgICAgLnRvTGlzdCgpO1xuICAgICAgaWYgKGlkcy5sZW5ndGggPT09IDApIGJyZWFrO1xuICAgICAgYXdhaXQgZy5FKC4uLmlkcykuZHJvcCgpLml0ZXJhdGUoKTtcbiAgICAgIGVkZ2VzICs9IGlkcy5sZW5ndGg7XG4gICAgfVxuXG4gICAgbGV0IHZlcnRpY2VzID0gMDtcbiAgICBmb3IgKDs7KSB7XG4gICAgICBjb25zdCByb3dzID0gYXdhaXQgZy5WKClcbiAgICAgICAgLmhhcyhUT01CU1RPTkVfUFJPUEVSVFksIFAubHRlKGN1dG9mZikpXG4gICAgICAgIC5saW1pdChQVVJHRV9CQVRDSF9TSVpFKVxuICAgICAgICAucHJvamVjdCgnaWQnLCAnbGFiZWwnKVxuICAgICAgICAuYnkoX18uaWQoKSlcbiAgICAgICAgLmJ5KF9fLmxhYmVsKCkpXG4gICAgICAgIC50b0xpc3QoKTtcbiAgICAgIGlmIChyb3dzLmxlbmd0aCA9PT0gMCkgYnJlYWs7XG5cbiAgICAgIGNvbnN0IHRhcmdldHMgPSAocm93cyBhcyBhbnlbXSkubWFwKChyKSA9PiAoe1xuICAgICAgICBpZDogU3RyaW5nKHIuaWQgPz8gci5nZXQoJ2lkJykpLFxuICAgICAgICBsYWJlbDogU3RyaW5nKHIubGFiZWwgPz8gci5nZXQoJ2xhYmVsJykpLFxuICAgICAgfSkpO1xuICAgICAgY29uc3QgYXQgPSBuZXcgRGF0ZSgpLnRvSVNPU3RyaW5nKCk7XG4gICAgICBsZXQgYXVkaXQgPSBnLmFkZFYoQVVESVRfTEFCRUwpO1xuICAgICAgdGFyZ2V0cy5mb3JFYWNoKCh0YXJnZXQsIGkpID0+IHtcbiAgICAgICAgaWYgKGkgPiAwKSBhdWRpdCA9IGF1ZGl0LmFkZFYoQVVESVRfTEFCRUwpO1xuICAgICAgICBhdWRpdCA9IGF1ZGl0XG4gICAgICAgICAgLnByb3BlcnR5KGdyZW1saW4ucHJvY2Vzcy50LmlkLCBgYXVkaXRfJHtyYW5kb21VVUlEKCl9YClcbiAgICAgICAgICAucHJvcGVydHkoJ2F0JywgYXQpXG4gICAgICAgICAgLnByb3BlcnR5KCdhY3RvcicsICdzeXN0ZW0nKVxuICAgICAgICAgIC5wcm9wZXJ0eSgnYWN0b3JOYW1lJywgJ3RvbWJzdG9uZS1wdXJnZScpXG4gICAgICAgICAgLnByb3BlcnR5KCdvcGVyYXRpb24nLCAncHVyZ2VWZXJ0ZXgnKVxuICAgICAgICAgIC5wcm9wZXJ0eSgndGFyZ2V0SWQnLCB0YXJnZXQuaWQpXG4gICAgICAgICAgLnByb3BlcnR5KCd0YXJnZXRMYWJlbCcsIHRhcmdldC5sYWJlbClcbiAgICAgICAgICAucHJvcGVydHkoJ2JlZm9yZScsICdudWxsJylcbiAgICAgICAgICAucHJvcGVydHkoJ2FmdGVyJywgJ251bGwnKTtcbiAgICAgIH0pO1xuICAgICAgYXdhaXQgYXVkaXQuaXRlcmF0ZSgpO1xuXG4gICAgICAvLyBEcm9wcGluZyBhIHZlcnRleCBhbHNvIGRyb3BzIHdoYXRldmVyIGVkZ2VzIGl0IHN0aWxsIGhhc1xuICAgICAgYXdhaXQgZy5WKC4uLnRhcmdldHMubWFwKCh0YXJnZXQpID0+IHRhcmdldC5pZCkpLmRyb3AoKS5pdGVyYXRlKCk7XG4gICAgICB2ZXJ0aWNlcyArPSB0YXJnZXRzLmxlbmd0aDtcbiAgICB9XG5cbiAgICBjb25zb2xlLmxvZyhcIlB1cmdlZCB0b21ic3RvbmVzIG9sZGVyIHRoYW5cIiwgY3V0b2ZmLCB7IHZlcnRpY2VzLCBlZGdlcyB9KTtcbiAgICByZXR1cm4geyBjdXRvZmYsIHZlcnRpY2VzLCBlZGdlcyB9O1xuICB9IGZpbmFsbHkge1xuICAgIGF3YWl0IGNvbm4uY2xvc2UoKTtcbiAgfVxufTtcbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,95 @@
+import { Handler } from "aws-lambda";
+
+import { randomUUID } from "crypto";
+import * as gremlin from "gremlin";
+import { getUrlAndHeaders } from "gremlin-aws-sigv4/lib/utils";
+import {
+  AUDIT_LABEL,
+  TOMBSTONE_PROPERTY,
+  purgeCutoff,
+} from "./shared/graphModel";
+
+const DriverRemoteConnection = gremlin.driver.DriverRemoteConnection;
+const traversal = gremlin.process.AnonymousTraversalSource.traversal;
+const __ = gremlin.process.statics;
+const P = gremlin.process.P;
+
+// Elements dropped per round trip
+const PURGE_BATCH_SIZE = 200;
+
+// Scheduled job that permanently drops vertices and edges whose tombstone is
+// older than the retention window (TOMBSTONE_RETENTION_DAYS). Each purged
+// vertex gets an AuditEvent, so its history shows when it went for good.
+export const handler: Handler = async () => {
+  const { url, headers } = getUrlAndHeaders(
+    process.env.NEPTUNE_ENDPOINT,
+    process.env.NEPTUNE_PORT,
+    {},
+    "/gremlin",
+    "wss"
+  );
+  const conn = new DriverRemoteConnection(url, {
+    mimeType: "application/vnd.gremlin-v2.0+json",
+    headers: headers,
+  });
+  const g = traversal().withRemote(conn);
+  const cutoff = purgeCutoff();
+
+  try {
+    // Edges first: tombstoned edges whose endpoints are both live would
+    // otherwise never be reached through a purged vertex
+    let edges = 0;
+    for (;;) {
+      const ids = await g.E()
+        .has(TOMBSTONE_PROPERTY, P.lte(cutoff))
+        .limit(PURGE_BATCH_SIZE)
+        .id()
+        .toList();
+      if (ids.length === 0) break;
+      await g.E(...ids).drop().iterate();
+      edges += ids.length;
+    }
+
+    let vertices = 0;
+    for (;;) {
+      const rows = await g.V()
+        .has(TOMBSTONE_PROPERTY, P.lte(cutoff))
+        .limit(PURGE_BATCH_SIZE)
+        .project('id', 'label')
+        .by(__.id())
+        .by(__.label())
+        .toList();
+      if (rows.length === 0) break;
+
+      const targets = (rows as any[]).map((r) => ({
+        id: String(r.id ?? r.get('id')),
+        label: String(r.label ?? r.get('label')),
+      }));
+      const at = new Date().toISOString();
+      let audit = g.addV(AUDIT_LABEL);
+      targets.forEach((target, i) => {
+        if (i > 0) audit = audit.addV(AUDIT_LABEL);
+        audit = audit
+          .property(gremlin.process.t.id, `audit_${randomUUID()}`)
+          .property('at', at)
+          .property('actor', 'system')
+          .property('actorName', 'tombstone-purge')
+          .property('operation', 'purgeVertex')
+          .property('targetId', target.id)
+          .property('targetLabel', target.label)
+          .property('before', 'null')
+          .property('after', 'null');
+      });
+      await audit.iterate();
+
+      // Dropping a vertex also drops whatever edges it still has
+      await g.V(...targets.map((target) => target.id)).drop().iterate();
+      vertices += targets.length;
+    }
+
+    console.log("Purged tombstones older than", cutoff, { vertices, edges });
+    return { cutoff, vertices, edges };
+  } finally {
+    await conn.close();
+  }
+};
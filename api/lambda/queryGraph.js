@@ -3,11 +3,115 @@ Object.defineProperty(exports, "__esModule", { value: true });
 exports.handler = void 0;
 const gremlin = require("gremlin");
 const utils_1 = require("gremlin-aws-sigv4/lib/utils");
+const searchIndex_1 = require("./shared/searchIndex");
+const graphModel_1 = require("./shared/graphModel");
+const errors_1 = require("./shared/errors");
+const roles_1 = require("./shared/roles");
+const classification_1 = require("./shared/classification");
+const subgraphFormats_1 = require("./shared/subgraphFormats");
 const DriverRemoteConnection = gremlin.driver.DriverRemoteConnection;
 const P = gremlin.process.P;
 const traversal = gremlin.process.AnonymousTraversalSource.traversal;
 const __ = gremlin.process.statics;
 const TextP = gremlin.process.TextP;
+const order = gremlin.process.order;
+// Bounds for the neighborhood returned by getGraph and exportSubgraph
+const DEFAULT_GRAPH_DEPTH = 2;
+const MAX_GRAPH_DEPTH = 4;
+const DEFAULT_GRAPH_LIMIT = 250;
+const MAX_GRAPH_LIMIT = 1000;
+// Bounds for findPaths
+const DEFAULT_PATH_HOPS = 4;
+const MAX_PATH_HOPS = 6;
+const DEFAULT_PATH_LIMIT = 3;
+const MAX_PATH_LIMIT = 10;
+// Maximum number of edges per direction listed by getEntityProfile
+const MAX_PROFILE_RELATIONS = 500;
+// Bounds for getAuditLog and the AuditEvent properties it returns
+const DEFAULT_AUDIT_LIMIT = 100;
+const MAX_AUDIT_LIMIT = 500;
+const AUDIT_FIELDS = ['at', 'actor', 'actorName', 'operation', 'targetId', 'targetLabel', 'before', 'after'];
+// Batches of `limit` records read while filling a page for a caller who
+// cannot see every record
+const MAX_AUDIT_BATCHES = 10;
+// Bounds for getRecentlyDeleted and getRecentlyDeletedEdges
+const DEFAULT_DELETED_LIMIT = 100;
+const MAX_DELETED_LIMIT = 500;
+// Page sizes and sortable fields for the cursor-paginated search connections
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const ENTITY_SORT_FIELDS = ['name', 'label', 'entityType'];
+const PROJECT_SORT_FIELDS = [
+    'projectName',
+    'DepartmentNumber',
+    'DataClassification',
+    'Team',
+    'OwnerGroup',
+    'Recovery',
+    'Tier',
+];
+// Cursors are opaque to clients; internally they carry the offset of the
+// last item on the page so the next page can be fetched with range().
+const encodeCursor = (offset) => Buffer.from(`cursor:${offset}`).toString("base64");
+const decodeCursor = (cursor) => {
+    if (!cursor)
+        return -1;
+    const decoded = Buffer.from(cursor, "base64").toString("utf8");
+    const match = decoded.match(/^cursor:(\d+)$/);
+    if (!match)
+        throw (0, errors_1.validationError)("Invalid cursor", { field: "after" });
+    return Number(match[1]);
+};
+// Display name of a vertex: the first name-like property it has
+const displayName = () => __.coalesce(__.values('companyName'), __.values('name'), __.values('jobName'), __.values('partName'), __.values('make'), __.constant('Unknown'));
+const emptyConnection = () => ({
+    edges: [],
+    pageInfo: {
+        hasNextPage: false,
+        hasPreviousPage: false,
+        startCursor: null,
+        endCursor: null,
+    },
+    totalCount: 0,
+});
+/**
+ * Runs a projected, sorted traversal one page at a time and wraps the rows
+ * in a Relay-style connection. `build` must return a fresh traversal on each
+ * call because Gremlin traversals are mutated by the steps appended to them.
+ */
+const paginate = async (build, mapRow, args) => {
+    const first = Math.min(Math.max(args.first ?? DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const start = decodeCursor(args.after) + 1;
+    const direction = args.sortDirection === "DESC" ? order.desc : order.asc;
+    let ordered = build().order();
+    if (args.ranked) {
+        ordered = ordered.by(__.select("rank"), order.asc);
+    }
+    const [rows, count] = await Promise.all([
+        ordered
+            .by(__.select(args.sortBy), direction)
+            .by(__.select("id"), order.asc)
+            .range(start, start + first + 1)
+            .toList(),
+        build().count().next(),
+    ]);
+    const hasNextPage = rows.length > first;
+    const page = rows.slice(0, first);
+    const edges = page.map((r, i) => ({
+        cursor: encodeCursor(start + i),
+        node: mapRow(r),
+    }));
+    return {
+        edges,
+        pageInfo: {
+            hasNextPage,
+            hasPreviousPage: start > 0,
+            startCursor: edges.length > 0 ? edges[0].cursor : null,
+            endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null,
+        },
+        totalCount: Number(count.value ?? 0),
+    };
+};
 const handler = async (event) => {
     let conn = null;
     const getConnectionDetails = () => {
@@ -31,16 +135,21 @@ const handler = async (event) => {
         return c;
     };
     let g;
-    const type = event.arguments.type;
-    console.log(type);
     try {
+        (0, roles_1.requireRole)(event.identity, 'Viewer', event.field);
         if (conn == null) {
             console.info("Initializing connection");
             conn = createRemoteConnection();
             g = traversal().withRemote(conn);
         }
+        // Projects whose DataClassification the caller may not see are dropped
+        // from every result; `visible` filters a vertex traversal
+        const hidden = (0, classification_1.hiddenClassifications)(event.identity);
+        const hiddenProject = () => __.hasLabel('Project_Data').has('DataClassification', P.within(...hidden));
+        const visible = (t) => (hidden.length > 0 ? t.not(hiddenProject()) : t);
         // Entity search handlers
         const searchConfig = {
+            Entity: { label: 'Entity', fields: ['companyName', 'name'] },
             Company: { label: 'Entity', fields: ['companyName'], entityType: 'Company' },
             Customer: { label: 'Entity', fields: ['name'], entityType: 'Customer' },
             Estimator: { label: 'Entity', fields: ['name'], entityType: 'Estimator' },
@@ -51,59 +160,98 @@ const handler = async (event) => {
             Project_Data: { label: 'Project_Data', fields: ['projectName'] },
         };
         if (event.field === "searchEntities") {
-            const { vertexType, searchValue } = event.arguments;
+            const { vertexType, searchValue, first, after, sortBy, sortDirection, mode } = event.arguments;
             const cfg = searchConfig[vertexType];
             if (!cfg)
-                throw new Error(`Unknown vertex type: ${vertexType}`);
-            let searchQuery = g.V().hasLabel(cfg.label);
-            if (cfg.entityType) {
-                searchQuery = searchQuery.has('entityTypes', cfg.entityType);
+                throw (0, errors_1.validationError)(`Unknown vertex type: ${vertexType}`, { field: "vertexType" });
+            if (sortBy && !ENTITY_SORT_FIELDS.includes(sortBy)) {
+                throw (0, errors_1.validationError)(`Unknown sort field: ${sortBy}`, { field: "sortBy" });
             }
-            // Only apply text filter if searchValue is non-empty
             const trimmed = (searchValue || '').trim();
-            if (trimmed && trimmed !== '*') {
-                if (cfg.fields.length === 1) {
-                    searchQuery = searchQuery.has(cfg.fields[0], TextP.containing(trimmed));
+            const filtered = trimmed !== '' && trimmed !== '*';
+            // RANKED mode matches the normalized term against the search_* shadow
+            // properties of every name-like field plus the contact/identifier fields
+            const ranked = mode === 'RANKED' && filtered;
+            const matchers = ranked
+                ? Array.from(new Set([...cfg.fields, ...searchIndex_1.EXTRA_SEARCH_FIELDS]))
+                    .map((f) => ({
+                    key: (0, searchIndex_1.searchPropertyName)(f),
+                    term: (0, searchIndex_1.normalizeSearchValue)(f, trimmed),
+                }))
+                    .filter((m) => m.term !== '')
+                : [];
+            if (ranked && matchers.length === 0) {
+                // The term was nothing but punctuation
+                return emptyConnection();
+            }
+            const buildSearch = () => {
+                let searchQuery = visible(g.V().hasLabel(cfg.label).hasNot(graphModel_1.TOMBSTONE_PROPERTY));
+                if (cfg.entityType) {
+                    searchQuery = searchQuery.has('entityTypes', cfg.entityType);
                 }
-                else {
-                    searchQuery = searchQuery.or(...cfg.fields.map((f) => __.has(f, TextP.containing(trimmed))));
+                if (ranked) {
+                    searchQuery = searchQuery.or(...matchers.map((m) => __.has(m.key, TextP.containing(m.term))));
                 }
-            }
-            const results = await searchQuery
-                .project('id', 'name', 'label', 'entityType')
-                .by(__.id())
-                .by(__.coalesce(__.values('companyName'), __.values('name'), __.values('jobName'), __.values('partName'), __.values('make'), __.constant('Unknown')))
-                .by(__.label())
-                .by(__.coalesce(__.values('entityTypes'), __.constant('')))
-                .limit(50)
-                .toList();
-            return results.map((r) => ({
+                else if (filtered) {
+                    if (cfg.fields.length === 1) {
+                        searchQuery = searchQuery.has(cfg.fields[0], TextP.containing(trimmed));
+                    }
+                    else {
+                        searchQuery = searchQuery.or(...cfg.fields.map((f) => __.has(f, TextP.containing(trimmed))));
+                    }
+                }
+                // rank: 0 = exact match, 1 = prefix match, 2 = substring match
+                const rank = ranked
+                    ? __.coalesce(__.or(...matchers.map((m) => __.has(m.key, m.term))).constant(0), __.or(...matchers.map((m) => __.has(m.key, TextP.startingWith(m.term)))).constant(1), __.constant(2))
+                    : __.constant(0);
+                return searchQuery
+                    .project('id', 'name', 'label', 'entityType', 'rank')
+                    .by(__.id())
+                    .by(displayName())
+                    .by(__.label())
+                    .by(__.coalesce(__.values('entityTypes'), __.constant('')))
+                    .by(rank);
+            };
+            return paginate(buildSearch, (r) => ({
                 id: r.id ?? (r.get ? r.get('id') : undefined),
                 name: r.name ?? (r.get ? r.get('name') : undefined),
                 label: r.label ?? (r.get ? r.get('label') : undefined),
                 entityType: r.entityType || (r.get ? r.get('entityType') : null) || null,
-            }));
+            }), {
+                first,
+                after,
+                sortBy: sortBy || 'name',
+                sortDirection,
+                ranked: ranked && !sortBy,
+            });
         }
         if (event.field === "searchProjects") {
-            const { searchValue } = event.arguments;
-            const trimmed = (searchValue || '').trim();
-            let searchQuery = g.V().hasLabel('Project_Data');
-            if (trimmed) {
-                searchQuery = searchQuery.has('projectName', TextP.containing(trimmed));
+            const { searchValue, first, after, sortBy, sortDirection } = event.arguments;
+            if (sortBy && !PROJECT_SORT_FIELDS.includes(sortBy)) {
+                throw (0, errors_1.validationError)(`Unknown sort field: ${sortBy}`, { field: "sortBy" });
             }
-            const results = await searchQuery
-                .project('id', 'projectName', 'DepartmentNumber', 'DataClassification', 'Team', 'OwnerGroup', 'Recovery', 'Tier')
-                .by(__.id())
-                .by(__.coalesce(__.values('projectName'), __.constant('')))
-                .by(__.coalesce(__.values('DepartmentNumber'), __.constant('')))
-                .by(__.coalesce(__.values('DataClassification'), __.constant('')))
-                .by(__.coalesce(__.values('Team'), __.constant('')))
-                .by(__.coalesce(__.values('OwnerGroup'), __.constant('')))
-                .by(__.coalesce(__.values('Recovery'), __.constant('')))
-                .by(__.coalesce(__.values('Tier'), __.constant('')))
-                .limit(200)
-                .toList();
-            return results.map((r) => ({
+            const trimmed = (searchValue || '').trim();
+            const buildSearch = () => {
+                // Archived projects are hidden from the listing
+                let searchQuery = visible(g.V()
+                    .hasLabel('Project_Data')
+                    .hasNot(graphModel_1.TOMBSTONE_PROPERTY)
+                    .not(__.has('archived', true)));
+                if (trimmed) {
+                    searchQuery = searchQuery.has('projectName', TextP.containing(trimmed));
+                }
+                return searchQuery
+                    .project('id', 'projectName', 'DepartmentNumber', 'DataClassification', 'Team', 'OwnerGroup', 'Recovery', 'Tier')
+                    .by(__.id())
+                    .by(__.coalesce(__.values('projectName'), __.constant('')))
+                    .by(__.coalesce(__.values('DepartmentNumber'), __.constant('')))
+                    .by(__.coalesce(__.values('DataClassification'), __.constant('')))
+                    .by(__.coalesce(__.values('Team'), __.constant('')))
+                    .by(__.coalesce(__.values('OwnerGroup'), __.constant('')))
+                    .by(__.coalesce(__.values('Recovery'), __.constant('')))
+                    .by(__.coalesce(__.values('Tier'), __.constant('')));
+            };
+            return paginate(buildSearch, (r) => ({
                 id: r.id ?? (r.get ? r.get('id') : undefined),
                 projectName: r.projectName ?? (r.get ? r.get('projectName') : ''),
                 DepartmentNumber: r.DepartmentNumber ?? (r.get ? r.get('DepartmentNumber') : ''),
@@ -112,15 +260,19 @@ const handler = async (event) => {
                 OwnerGroup: r.OwnerGroup ?? (r.get ? r.get('OwnerGroup') : ''),
                 Recovery: r.Recovery ?? (r.get ? r.get('Recovery') : ''),
                 Tier: r.Tier ?? (r.get ? r.get('Tier') : ''),
-            }));
+            }), { first, after, sortBy: sortBy || 'projectName', sortDirection });
         }
         if (event.field === "getProjectAccounts") {
             const { projectName } = event.arguments;
-            const results = await g.V()
+            const results = await visible(g.V()
                 .hasLabel('Project_Data')
                 .has('projectName', projectName)
-                .in_('owned_by')
+                .hasNot(graphModel_1.TOMBSTONE_PROPERTY))
+                .inE('owned_by')
+                .hasNot(graphModel_1.TOMBSTONE_PROPERTY)
+                .outV()
                 .hasLabel('Account')
+                .hasNot(graphModel_1.TOMBSTONE_PROPERTY)
                 .project('id', 'Account_Name', 'Account_Id', 'Cloud', 'Environments')
                 .by(__.id())
                 .by(__.coalesce(__.values('Account_Name'), __.constant('')))
@@ -140,10 +292,17 @@ const handler = async (event) => {
             const { vertexType, searchValue, vertexId: directVertexId } = event.arguments;
             const cfg = searchConfig[vertexType];
             if (!cfg)
-                throw new Error(`Unknown vertex type: ${vertexType}`);
+                throw (0, errors_1.validationError)(`Unknown vertex type: ${vertexType}`, { field: "vertexType" });
             let vertexId = directVertexId;
-            if (!vertexId) {
-                let searchQuery = g.V().hasLabel(cfg.label);
+            if (vertexId) {
+                const live = await visible(g.V(vertexId).hasNot(graphModel_1.TOMBSTONE_PROPERTY).not(__.hasLabel(graphModel_1.AUDIT_LABEL)))
+                    .id()
+                    .toList();
+                if (live.length === 0)
+                    return [];
+            }
+            else {
+                let searchQuery = visible(g.V().hasLabel(cfg.label).hasNot(graphModel_1.TOMBSTONE_PROPERTY));
                 if (cfg.entityType) {
                     searchQuery = searchQuery.has('entityTypes', cfg.entityType);
                 }
@@ -165,269 +324,487 @@ const handler = async (event) => {
                 const result = await g.V(vertexId).valueMap().toList();
                 if (result.length === 0)
                     return [];
-                const vertexMap = result[0];
-                const properties = [];
-                const entries = vertexMap instanceof Map ? Array.from(vertexMap.entries()) : Object.entries(vertexMap);
-                for (const [key, val] of entries) {
-                    const propValue = Array.isArray(val) ? String(val[0]) : String(val);
-                    if (propValue !== undefined && propValue !== 'undefined' && propValue !== '') {
-                        properties.push({ key: String(key), value: propValue });
-                    }
-                }
-                return properties;
+                return (0, graphModel_1.toPropertyList)(result[0]);
             }
             if (event.field === "getEntityEdges") {
                 const outEdges = await g.V(vertexId)
                     .outE()
-                    .project('edgeLabel', 'targetLabel', 'targetName')
+                    .hasNot(graphModel_1.TOMBSTONE_PROPERTY)
+                    .where(visible(__.inV()))
+                    .project('edgeId', 'edgeLabel', 'targetId', 'targetLabel', 'targetName', 'properties')
+                    .by(__.id())
                     .by(__.label())
+                    .by(__.inV().id())
                     .by(__.inV().label())
-                    .by(__.inV().coalesce(__.values('companyName'), __.values('name'), __.values('jobName'), __.values('partName'), __.values('make'), __.constant('Unknown')))
+                    .by(__.inV().map(displayName()))
+                    .by(__.valueMap())
                     .toList();
                 const inEdges = await g.V(vertexId)
                     .inE()
-                    .project('edgeLabel', 'targetLabel', 'targetName')
+                    .hasNot(graphModel_1.TOMBSTONE_PROPERTY)
+                    .where(visible(__.outV()))
+                    .project('edgeId', 'edgeLabel', 'targetId', 'targetLabel', 'targetName', 'properties')
+                    .by(__.id())
                     .by(__.label())
+                    .by(__.outV().id())
                     .by(__.outV().label())
-                    .by(__.outV().coalesce(__.values('companyName'), __.values('name'), __.values('jobName'), __.values('partName'), __.values('make'), __.constant('Unknown')))
+                    .by(__.outV().map(displayName()))
+                    .by(__.valueMap())
                     .toList();
                 const edges = [];
                 for (const e of outEdges) {
                     edges.push({
+                        edgeId: e.edgeId ?? (e.get ? e.get('edgeId') : ''),
                         edgeLabel: e.edgeLabel ?? (e.get ? e.get('edgeLabel') : ''),
                         direction: 'outgoing',
+                        targetId: e.targetId ?? (e.get ? e.get('targetId') : ''),
                         targetLabel: e.targetLabel ?? (e.get ? e.get('targetLabel') : ''),
                         targetName: e.targetName ?? (e.get ? e.get('targetName') : ''),
+                        properties: (0, graphModel_1.toPropertyList)(e.properties ?? (e.get ? e.get('properties') : {})),
                     });
                 }
                 for (const e of inEdges) {
                     edges.push({
+                        edgeId: e.edgeId ?? (e.get ? e.get('edgeId') : ''),
                         edgeLabel: e.edgeLabel ?? (e.get ? e.get('edgeLabel') : ''),
                         direction: 'incoming',
+                        targetId: e.targetId ?? (e.get ? e.get('targetId') : ''),
                         targetLabel: e.targetLabel ?? (e.get ? e.get('targetLabel') : ''),
                         targetName: e.targetName ?? (e.get ? e.get('targetName') : ''),
+                        properties: (0, graphModel_1.toPropertyList)(e.properties ?? (e.get ? e.get('properties') : {})),
                     });
                 }
                 return edges;
             }
         }
-        if (type === "profile") {
-            console.log(g);
-            let usage;
-            let belong_to;
-            let authored_by;
-            let affiliated_with;
-            let people;
-            let made_by;
-            let search_name = await g
-                .V(event.arguments.name)
-                .values("name")
-                .toList();
-            switch (event.arguments.value) {
-                case "person":
-                    usage = await g
-                        .V()
-                        .has(event.arguments.value, "name", event.arguments.name)
-                        .bothE()
-                        .hasLabel("usage")
-                        .otherV()
-                        .values("name")
-                        .toList();
-                    belong_to = await g
-                        .V()
-                        .has(event.arguments.value, "name", event.arguments.name)
-                        .bothE()
-                        .hasLabel("belong_to")
-                        .otherV()
-                        .values("name")
-                        .toList();
-                    authored_by = await g
-                        .V()
-                        .has(event.arguments.value, "name", event.arguments.name)
-                        .bothE()
-                        .hasLabel("authored_by")
-                        .otherV()
-                        .values("name")
-                        .toList();
-                    affiliated_with = await g
-                        .V()
-                        .has(event.arguments.value, "name", event.arguments.name)
-                        .bothE()
-                        .hasLabel("affiliated_with")
-                        .otherV()
-                        .values("name")
-                        .toList();
-                    return [
-                        { search_name, usage, belong_to, authored_by, affiliated_with },
-                    ];
-                case "id":
-                    usage = await g
-                        .V()
-                        .hasId(event.arguments.name)
-                        .bothE()
-                        .hasLabel("usage")
-                        .otherV()
-                        .values("name")
-                        .toList();
-                    if (event.arguments.name.match(/Doc/)) {
-                        belong_to = await g
-                            .V()
-                            .hasId(event.arguments.name)
-                            .bothE()
-                            .hasLabel("belong_to")
-                            .otherV()
-                            .values("name")
-                            .toList();
-                    }
-                    else {
-                        belong_to = [];
-                    }
-                    authored_by = await g
-                        .V()
-                        .hasId(event.arguments.name)
-                        .bothE()
-                        .hasLabel("authored_by")
-                        .otherV()
-                        .values("name")
-                        .toList();
-                    affiliated_with = await g
-                        .V()
-                        .hasId(event.arguments.name)
-                        .bothE()
-                        .hasLabel("affiliated_with")
-                        .otherV()
-                        .values("name")
+        // Vertex ids of the neighborhood shown by getGraph and exported by
+        // exportSubgraph, and whether the node cap cut it short
+        const collectNeighborhood = async (rootId, depth, limit, vLabels, eLabels) => {
+            // Audit events are never part of a neighborhood, whatever the filter
+            const withVertexLabels = (t) => {
+                const modelled = t.not(__.hasLabel(graphModel_1.AUDIT_LABEL));
+                return vLabels.length > 0 ? modelled.hasLabel(...vLabels) : modelled;
+            };
+            // Collect vertex ids hop by hop so the node cap is enforced before
+            // anything is materialized. One extra id is fetched per hop to detect
+            // whether the cap cut the neighborhood short.
+            const nodeIds = [];
+            let truncated = false;
+            if (rootId) {
+                const root = await visible(g.V(rootId).hasNot(graphModel_1.TOMBSTONE_PROPERTY).not(__.hasLabel(graphModel_1.AUDIT_LABEL))).id().toList();
+                if (root.length === 0)
+                    return { nodeIds, truncated };
+                nodeIds.push(String(root[0]));
+                let frontier = [...nodeIds];
+                for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+                    const remaining = limit - nodeIds.length;
+                    const next = await visible(withVertexLabels(g.V(...frontier).bothE(...eLabels).hasNot(graphModel_1.TOMBSTONE_PROPERTY).otherV()))
+                        .not(__.hasId(P.within(...nodeIds)))
+                        .dedup()
+                        .id()
+                        .limit(remaining + 1)
                         .toList();
-                    if (event.arguments.name.match(/Prod/)) {
-                        made_by = await g
-                            .V()
-                            .hasId(event.arguments.name)
-                            .out("made_by")
-                            .values("name")
-                            .toList();
-                    }
-                    else {
-                        made_by = [];
-                    }
-                    if (event.arguments.name.match(/Conf/)) {
-                        people = await g
-                            .V()
-                            .hasId(event.arguments.name)
-                            .in_()
-                            .values("name")
-                            .toList();
-                    }
-                    else {
-                        people = [];
-                    }
-                    if (event.arguments.name.match(/Inst/)) {
-                        affiliated_with = [];
+                    if (next.length > remaining) {
+                        truncated = true;
+                        next.length = remaining;
                     }
-                    return [
-                        {
-                            search_name,
-                            usage,
-                            belong_to,
-                            authored_by,
-                            affiliated_with,
-                            made_by,
-                            people,
-                        },
-                    ];
-                case "product":
-                    console.log(event.arguments);
-                    made_by = await g
-                        .V()
-                        .has(event.arguments.value, "name", event.arguments.name)
-                        .out("made_by")
-                        .values("name")
-                        .toList();
-                    return [{ search_name, made_by }];
-                case "conference":
-                    console.log(event.arguments);
-                    people = await g
-                        .V()
-                        .has(event.arguments.value, "name", event.arguments.name)
-                        .in_()
-                        .values("name")
-                        .toList();
-                    return [{ search_name, people }];
-                default:
-                    console.log("default");
+                    frontier = next.map((v) => String(v));
+                    nodeIds.push(...frontier);
+                    if (truncated)
+                        break;
+                }
             }
+            else {
+                // No root: return a capped sample so the page still has something to render
+                const sample = await visible(withVertexLabels(g.V().hasNot(graphModel_1.TOMBSTONE_PROPERTY)))
+                    .id()
+                    .limit(limit + 1)
+                    .toList();
+                if (sample.length > limit) {
+                    truncated = true;
+                    sample.length = limit;
+                }
+                nodeIds.push(...sample.map((v) => String(v)));
+            }
+            return { nodeIds, truncated };
+        };
+        // Live edges of `eLabels` between vertices of `nodeIds`
+        const edgesWithin = (nodeIds, eLabels) => g.V(...nodeIds)
+            .outE(...eLabels)
+            .hasNot(graphModel_1.TOMBSTONE_PROPERTY)
+            .where(__.inV().hasId(P.within(...nodeIds)));
+        // Label filters may only name labels of the schema registry
+        const labelFilter = (args, field, isLabel) => {
+            const labels = (args[field] ?? []);
+            const unknown = labels.filter((label) => !isLabel(label));
+            if (unknown.length > 0) {
+                throw (0, errors_1.validationError)(`Unknown label in ${field}: ${unknown.join(", ")}`, { field });
+            }
+            return labels;
+        };
+        const graphBounds = (args) => ({
+            depth: Math.min(Math.max(args.depth ?? DEFAULT_GRAPH_DEPTH, 0), MAX_GRAPH_DEPTH),
+            limit: Math.min(Math.max(args.limit ?? DEFAULT_GRAPH_LIMIT, 1), MAX_GRAPH_LIMIT),
+            vLabels: labelFilter(args, "vertexLabels", graphModel_1.isVertexLabel),
+            eLabels: labelFilter(args, "edgeLabels", graphModel_1.isEdgeLabel),
+        });
+        if (event.field === "getGraph") {
+            const { depth, limit, vLabels, eLabels } = graphBounds(event.arguments);
+            const { nodeIds, truncated } = await collectNeighborhood(event.arguments.rootId, depth, limit, vLabels, eLabels);
+            if (nodeIds.length === 0)
+                return { nodes: [], links: [], truncated };
+            const vertices = await g.V(...nodeIds)
+                .project('id', 'label')
+                .by(__.id())
+                .by(__.label())
+                .toList();
+            const edges = await edgesWithin(nodeIds, eLabels)
+                .project('source', 'target', 'value')
+                .by(__.outV().id())
+                .by(__.inV().id())
+                .by(__.label())
+                .toList();
+            return {
+                nodes: vertices.map((r) => ({
+                    id: r.id ?? (r.get ? r.get('id') : undefined),
+                    label: r.label ?? (r.get ? r.get('label') : undefined),
+                })),
+                links: edges.map((r) => ({
+                    source: r.source ?? (r.get ? r.get('source') : undefined),
+                    target: r.target ?? (r.get ? r.get('target') : undefined),
+                    value: r.value ?? (r.get ? r.get('value') : undefined),
+                })),
+                truncated,
+            };
         }
-        else if (type === "relation") {
-            switch (event.arguments.value) {
-                case "person":
-                    const result = await g
-                        .V()
-                        .has(event.arguments.value, "name", event.arguments.name)
-                        .as(event.arguments.value)
-                        .out("belong_to")
-                        .in_()
-                        .where(P.neq(event.arguments.value))
-                        .values("name")
-                        .dedup()
-                        .toList();
-                    return result.map((r) => {
-                        return { name: r };
-                    });
-                case "product":
-                    const result2 = await g
-                        .V()
-                        .has(event.arguments.value, "name", event.arguments.name)
-                        .as(event.arguments.value)
-                        .in_("usage")
-                        .as("p")
-                        .in_("authored_by")
-                        .out()
-                        .where(P.neq("p"))
-                        .values("name")
-                        .dedup()
-                        .toList();
-                    return result2.map((r) => {
-                        return { name: r };
-                    });
-                case "conference":
-                    console.log(event.arguments);
-                    const result3 = await g
-                        .V()
-                        .has(event.arguments.value, "name", event.arguments.name)
-                        .as(event.arguments.value)
-                        .in_()
-                        .as("p")
-                        .out()
-                        .hasLabel("person")
-                        .where(P.neq("p"))
-                        .values("name")
-                        .dedup()
-                        .toList();
-                    console.log(result3);
-                    return result3.map((r) => {
-                        return { name: r };
+        if (event.field === "exportSubgraph") {
+            const { rootId, format } = event.arguments;
+            if (!subgraphFormats_1.SUBGRAPH_FORMATS.includes(format)) {
+                throw (0, errors_1.validationError)(`Unknown export format: ${format}`, { field: "format" });
+            }
+            const { depth, limit, vLabels, eLabels } = graphBounds(event.arguments);
+            const { nodeIds, truncated } = await collectNeighborhood(rootId, depth, limit, vLabels, eLabels);
+            const field = (r, key) => r[key] ?? (r.get ? r.get(key) : undefined);
+            const vertices = nodeIds.length === 0
+                ? []
+                : await g.V(...nodeIds)
+                    .project('id', 'label', 'name', 'properties')
+                    .by(__.id())
+                    .by(__.label())
+                    .by(displayName())
+                    .by(__.valueMap())
+                    .toList();
+            const edges = nodeIds.length === 0
+                ? []
+                : await edgesWithin(nodeIds, eLabels)
+                    .project('id', 'label', 'source', 'target', 'properties')
+                    .by(__.id())
+                    .by(__.label())
+                    .by(__.outV().id())
+                    .by(__.inV().id())
+                    .by(__.valueMap())
+                    .toList();
+            const subgraph = {
+                rootId: rootId || null,
+                depth,
+                nodes: vertices.map((r) => ({
+                    id: String(field(r, 'id')),
+                    label: String(field(r, 'label')),
+                    name: String(field(r, 'name')),
+                    properties: (0, graphModel_1.toPropertyRecord)(field(r, 'properties')),
+                })),
+                edges: edges.map((r) => ({
+                    id: String(field(r, 'id')),
+                    label: String(field(r, 'label')),
+                    source: String(field(r, 'source')),
+                    target: String(field(r, 'target')),
+                    properties: (0, graphModel_1.toPropertyRecord)(field(r, 'properties')),
+                })),
+            };
+            return {
+                format,
+                ...(0, subgraphFormats_1.serializeSubgraph)(subgraph, format),
+                nodeCount: subgraph.nodes.length,
+                edgeCount: subgraph.edges.length,
+                truncated,
+            };
+        }
+        if (event.field === "getEntityProfile") {
+            const { id: vertexId } = event.arguments;
+            const vertices = await visible(g.V(vertexId).hasNot(graphModel_1.TOMBSTONE_PROPERTY).not(__.hasLabel(graphModel_1.AUDIT_LABEL)))
+                .project('id', 'label', 'name', 'properties')
+                .by(__.id())
+                .by(__.label())
+                .by(displayName())
+                .by(__.valueMap())
+                .toList();
+            if (vertices.length === 0)
+                return null;
+            const v = vertices[0];
+            const field = (r, key) => r[key] ?? (r.get ? r.get(key) : undefined);
+            const [outEdges, inEdges] = await Promise.all([
+                g.V(vertexId)
+                    .outE()
+                    .hasNot(graphModel_1.TOMBSTONE_PROPERTY)
+                    .where(visible(__.inV()))
+                    .limit(MAX_PROFILE_RELATIONS)
+                    .project('edgeId', 'edgeLabel', 'id', 'label', 'name')
+                    .by(__.id())
+                    .by(__.label())
+                    .by(__.inV().id())
+                    .by(__.inV().label())
+                    .by(__.inV().map(displayName()))
+                    .toList(),
+                g.V(vertexId)
+                    .inE()
+                    .hasNot(graphModel_1.TOMBSTONE_PROPERTY)
+                    .where(visible(__.outV()))
+                    .limit(MAX_PROFILE_RELATIONS)
+                    .project('edgeId', 'edgeLabel', 'id', 'label', 'name')
+                    .by(__.id())
+                    .by(__.label())
+                    .by(__.outV().id())
+                    .by(__.outV().label())
+                    .by(__.outV().map(displayName()))
+                    .toList(),
+            ]);
+            // Group relations by edge label and direction
+            const groups = new Map();
+            const addRelations = (rows, direction) => {
+                for (const r of rows) {
+                    const edgeLabel = field(r, 'edgeLabel');
+                    const key = `${direction}:${edgeLabel}`;
+                    if (!groups.has(key)) {
+                        groups.set(key, { edgeLabel, direction, count: 0, targets: [] });
+                    }
+                    const group = groups.get(key);
+                    group.count++;
+                    group.targets.push({
+                        edgeId: field(r, 'edgeId'),
+                        id: field(r, 'id'),
+                        label: field(r, 'label'),
+                        name: field(r, 'name'),
                     });
-                default:
-                    console.log("default");
+                }
+            };
+            addRelations(outEdges, 'outgoing');
+            addRelations(inEdges, 'incoming');
+            return {
+                id: field(v, 'id'),
+                label: field(v, 'label'),
+                name: field(v, 'name'),
+                properties: (0, graphModel_1.toPropertyList)(field(v, 'properties')),
+                relations: Array.from(groups.values()),
+            };
+        }
+        if (event.field === "findPaths") {
+            const { fromId, toId, edgeLabels } = event.arguments;
+            const maxHops = Math.min(Math.max(event.arguments.maxHops ?? DEFAULT_PATH_HOPS, 1), MAX_PATH_HOPS);
+            const limit = Math.min(Math.max(event.arguments.limit ?? DEFAULT_PATH_LIMIT, 1), MAX_PATH_LIMIT);
+            const eLabels = edgeLabels ?? [];
+            if (fromId === toId)
+                throw (0, errors_1.validationError)("fromId and toId must differ", { field: "toId" });
+            // repeat() expands breadth-first, so the first paths to reach toId are
+            // the shortest ones. Edges are walked in either direction; the edge's
+            // own source/target keep its real orientation.
+            const paths = await visible(g.V(fromId).hasNot(graphModel_1.TOMBSTONE_PROPERTY))
+                .repeat(visible(__.bothE(...eLabels).hasNot(graphModel_1.TOMBSTONE_PROPERTY).otherV()).simplePath())
+                .until(__.or(__.hasId(toId), __.loops().is(P.gte(maxHops))))
+                .hasId(toId)
+                .limit(limit)
+                .path()
+                .by(__.project('id', 'label', 'name')
+                .by(__.id())
+                .by(__.label())
+                .by(displayName()))
+                .by(__.project('id', 'label', 'source', 'target')
+                .by(__.id())
+                .by(__.label())
+                .by(__.outV().id())
+                .by(__.inV().id()))
+                .toList();
+            const field = (r, key) => r[key] ?? (r.get ? r.get(key) : undefined);
+            return paths
+                .map((p) => {
+                const objects = p.objects ?? [];
+                const vertices = objects
+                    .filter((_, i) => i % 2 === 0)
+                    .map((v) => ({
+                    id: field(v, 'id'),
+                    label: field(v, 'label'),
+                    name: field(v, 'name'),
+                }));
+                const edges = objects
+                    .filter((_, i) => i % 2 === 1)
+                    .map((e) => ({
+                    id: field(e, 'id'),
+                    label: field(e, 'label'),
+                    source: field(e, 'source'),
+                    target: field(e, 'target'),
+                }));
+                return { vertices, edges, length: edges.length };
+            })
+                .sort((a, b) => a.length - b.length);
+        }
+        if (event.field === "getAuditLog") {
+            const { targetId, actor, from, to } = event.arguments;
+            const limit = Math.min(Math.max(event.arguments.limit ?? DEFAULT_AUDIT_LIMIT, 1), MAX_AUDIT_LIMIT);
+            // `at` is an ISO-8601 string, so string comparison orders it by time
+            const matching = () => {
+                let t = g.V().hasLabel(graphModel_1.AUDIT_LABEL);
+                if (targetId)
+                    t = t.has('targetId', targetId);
+                if (actor)
+                    t = t.or(__.has('actor', actor), __.has('actorName', actor));
+                if (from)
+                    t = t.has('at', P.gte(from));
+                if (to)
+                    t = t.has('at', P.lte(to));
+                return t;
+            };
+            const field = (r, key) => r[key] ?? (r.get ? r.get(key) : undefined);
+            const readRecords = async (offset) => {
+                const rows = await matching()
+                    .order().by('at', order.desc).by(__.id())
+                    .range(offset, offset + limit)
+                    .project('id', ...AUDIT_FIELDS)
+                    .by(__.id())
+                    .by(__.values('at'))
+                    .by(__.values('actor'))
+                    .by(__.coalesce(__.values('actorName'), __.constant('')))
+                    .by(__.values('operation'))
+                    .by(__.values('targetId'))
+                    .by(__.coalesce(__.values('targetLabel'), __.constant('')))
+                    .by(__.coalesce(__.values('before'), __.constant('null')))
+                    .by(__.coalesce(__.values('after'), __.constant('null')))
+                    .toList();
+                return rows.map((r) => {
+                    const record = { id: field(r, 'id') };
+                    for (const key of AUDIT_FIELDS) {
+                        record[key] = field(r, key);
+                    }
+                    return record;
+                });
+            };
+            // Look up the project of each Account and owned_by edge the records
+            // are about; tombstoned ones are still in the graph until purged
+            const linkedClassificationsOf = async (records) => {
+                const linkedClassifications = new Map();
+                const targetIds = (label) => Array.from(new Set(records.filter((r) => r.targetLabel === label).map((r) => String(r.targetId))));
+                const accountIds = targetIds('Account');
+                const ownedByIds = targetIds('owned_by');
+                const linked = [
+                    ...(accountIds.length > 0
+                        ? await g.V(...accountIds).hasLabel('Account')
+                            .project('id', 'classifications')
+                            .by(__.id())
+                            .by(__.out('owned_by').hasLabel('Project_Data').values('DataClassification').fold())
+                            .toList()
+                        : []),
+                    ...(ownedByIds.length > 0
+                        ? await g.E(...ownedByIds).hasLabel('owned_by')
+                            .project('id', 'classifications')
+                            .by(__.id())
+                            .by(__.inV().hasLabel('Project_Data').values('DataClassification').fold())
+                            .toList()
+                        : []),
+                ];
+                for (const r of linked) {
+                    linkedClassifications.set(String(field(r, 'id')), field(r, 'classifications') ?? []);
+                }
+                return linkedClassifications;
+            };
+            if (hidden.length === 0) {
+                return readRecords(0);
+            }
+            // Whether a record is visible depends on its snapshots and on the
+            // project of its target, so records are filtered after they are read.
+            // Further batches fill the page the hidden ones left short.
+            const page = [];
+            for (let batch = 0; batch < MAX_AUDIT_BATCHES && page.length < limit; batch++) {
+                const records = await readRecords(batch * limit);
+                const linkedClassifications = await linkedClassificationsOf(records);
+                page.push(...records.filter((record) => (0, classification_1.auditRecordVisible)(record, event.identity, linkedClassifications)));
+                if (records.length < limit)
+                    break;
             }
+            return page.slice(0, limit);
         }
-        else {
-            const result = await g.V().toList();
-            const vertex = result.map((r) => {
-                return { id: r.id, label: r.label };
-            });
-            const result2 = await g.E().toList();
-            const edge = result2.map((r) => {
-                console.log(r);
-                return { source: r.outV.id, target: r.inV.id, value: r.label };
-            });
-            return { nodes: vertex, links: edge };
+        if (event.field === "getRecentlyDeleted") {
+            const { label } = event.arguments;
+            const limit = Math.min(Math.max(event.arguments.limit ?? DEFAULT_DELETED_LIMIT, 1), MAX_DELETED_LIMIT);
+            // Only tombstones still inside the retention window can be restored
+            let t = visible(g.V().has(graphModel_1.TOMBSTONE_PROPERTY, P.gt((0, graphModel_1.purgeCutoff)())));
+            if (label)
+                t = t.hasLabel(label);
+            const rows = await t
+                .order().by(graphModel_1.TOMBSTONE_PROPERTY, order.desc)
+                .limit(limit)
+                .project('id', 'label', 'name', 'deletedAt', 'deletedBy', 'edgeCount')
+                .by(__.id())
+                .by(__.label())
+                .by(displayName())
+                .by(__.values(graphModel_1.TOMBSTONE_PROPERTY))
+                .by(__.coalesce(__.values('deletedBy'), __.constant('')))
+                .by(__.bothE().has(graphModel_1.TOMBSTONE_PROPERTY).hasNot(graphModel_1.DELETED_DIRECTLY_PROPERTY).count())
+                .toList();
+            const field = (r, key) => r[key] ?? (r.get ? r.get(key) : undefined);
+            return rows.map((r) => ({
+                id: field(r, 'id'),
+                label: field(r, 'label'),
+                name: field(r, 'name'),
+                deletedAt: field(r, 'deletedAt'),
+                deletedBy: field(r, 'deletedBy'),
+                edgeCount: Number(field(r, 'edgeCount') ?? 0),
+                purgeAfter: (0, graphModel_1.purgeAfter)(field(r, 'deletedAt')),
+            }));
+        }
+        // Edges deleted on their own; those deleted with a vertex come back with
+        // it. Edges to a deleted or hidden vertex are left out.
+        if (event.field === "getRecentlyDeletedEdges") {
+            const { label } = event.arguments;
+            const limit = Math.min(Math.max(event.arguments.limit ?? DEFAULT_DELETED_LIMIT, 1), MAX_DELETED_LIMIT);
+            let t = g.E()
+                .has(graphModel_1.DELETED_DIRECTLY_PROPERTY)
+                .has(graphModel_1.TOMBSTONE_PROPERTY, P.gt((0, graphModel_1.purgeCutoff)()));
+            if (label)
+                t = t.hasLabel(label);
+            const rows = await t
+                .where(__.bothV().has(graphModel_1.TOMBSTONE_PROPERTY).count().is(0))
+                .where(visible(__.outV()))
+                .where(visible(__.inV()))
+                .order().by(graphModel_1.TOMBSTONE_PROPERTY, order.desc)
+                .limit(limit)
+                .project('id', 'label', 'sourceId', 'sourceName', 'targetId', 'targetName', 'deletedAt', 'deletedBy')
+                .by(__.id())
+                .by(__.label())
+                .by(__.outV().id())
+                .by(__.outV().map(displayName()))
+                .by(__.inV().id())
+                .by(__.inV().map(displayName()))
+                .by(__.values(graphModel_1.TOMBSTONE_PROPERTY))
+                .by(__.coalesce(__.values('deletedBy'), __.constant('')))
+                .toList();
+            const field = (r, key) => r[key] ?? (r.get ? r.get(key) : undefined);
+            return rows.map((r) => ({
+                id: field(r, 'id'),
+                label: field(r, 'label'),
+                sourceId: field(r, 'sourceId'),
+                sourceName: field(r, 'sourceName'),
+                targetId: field(r, 'targetId'),
+                targetName: field(r, 'targetName'),
+                deletedAt: field(r, 'deletedAt'),
+                deletedBy: field(r, 'deletedBy'),
+                purgeAfter: (0, graphModel_1.purgeAfter)(field(r, 'deletedAt')),
+            }));
         }
+        throw (0, errors_1.validationError)(`Unknown field: ${event.field}`);
     }
     catch (error) {
         console.log(error);
         console.error(JSON.stringify(error));
-        throw error;
+        return (0, errors_1.toErrorResult)(error);
     }
 };
 exports.handler = handler;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicXVlcnlHcmFwaC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInF1ZXJ5R3JhcGgudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBRUEsbUNBQW1DO0FBQ25DLHVEQUErRDtBQUUvRCxNQUFNLHNCQUFzQixHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsc0JBQXNCLENBQUM7QUFDckUsTUFBTSxDQUFDLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7QUFDNUIsTUFBTSxTQUFTLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyx3QkFBd0IsQ0FBQyxTQUFTLENBQUM7QUFDckUsTUFBTSxFQUFFLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUM7QUFDbkMsTUFBTSxLQUFLLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUM7QUFDN0IsTUFBTSxPQUFPLEdBQVksS0FBSyxFQUFFLEtBQUssRUFBRSxFQUFFO0lBQzlDLElBQUksSUFBSSxHQUFHLElBQUksQ0FBQztJQUNoQixNQUFNLG9CQUFvQixHQUFHLEdBQUcsRUFBRTtRQUNoQyxPQUFPLElBQUEsd0JBQWdCLEVBQ3JCLE9BQU8sQ0FBQyxHQUFHLENBQUMsZ0JBQWdCLEVBQzVCLE9BQU8sQ0FBQyxHQUFHLENBQUMsWUFBWSxFQUN4QixFQUFFLEVBQ0YsVUFBVSxFQUNWLEtBQUssQ0FDTixDQUFDO0lBQ0osQ0FBQyxDQUFDO0lBRUYsTUFBTSxzQkFBc0IsR0FBRyxHQUFHLEVBQUU7UUFDbEMsTUFBTSxFQUFFLEdBQUcsRUFBRSxPQUFPLEVBQUUsR0FBRyxvQkFBb0IsRUFBRSxDQUFDO1FBRWhELE9BQU8sQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDakIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUNyQixNQUFNLENBQUMsR0FBRyxJQUFJLHNCQUFzQixDQUFDLEdBQUcsRUFBRTtZQUN4QyxRQUFRLEVBQUUsbUNBQW1DO1lBQzdDLE9BQU8sRUFBRSxPQUFPO1NBQ2pCLENBQUMsQ0FBQztRQUNILENBQUMsQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLEVBQUUsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxJQUFJLEVBQUUsT0FBTyxFQUFFLEVBQUU7WUFDbEQsT0FBTyxDQUFDLElBQUksQ0FBQyxXQUFXLElBQUksSUFBSSxPQUFPLEVBQUUsQ0FBQyxDQUFDO1lBQzNDLElBQUksSUFBSSxJQUFJLElBQUksRUFBRSxDQUFDO2dCQUNqQixPQUFPLENBQUMsS0FBSyxDQUFDLCtCQUErQixDQUFDLENBQUM7Z0JBQy9DLE1BQU0sSUFBSSxLQUFLLENBQUMsK0JBQStCLENBQUMsQ0FBQztZQUNuRCxDQUFDO1FBQ0gsQ0FBQyxDQUFDLENBQUM7UUFDSCxPQUFPLENBQUMsQ0FBQztJQUNYLENBQUMsQ0FBQztJQUVGLElBQUksQ0FBQyxDQUFDO0lBRU4sTUFBTSxJQUFJLEdBQUcsS0FBSyxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUM7SUFDbEMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNsQixJQUFJLENBQUM7UUFDSCxJQUFJLElBQUksSUFBSSxJQUFJLEVBQUUsQ0FBQztZQUNqQixPQUFPLENBQUMsSUFBSSxDQUFDLHlCQUF5QixDQUFDLENBQUM7WUFDeEMsSUFBSSxHQUFHLHNCQUFzQixFQUFFLENBQUM7WUFDaEMsQ0FBQyxHQUFHLFNBQVMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUNuQyxDQUFDO1FBRUQseUJBQXlCO1FBQ3pCLE1BQU0sWUFBWSxHQUE2RTtZQUM3RixPQUFPLEVBQUUsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxDQUFDLGFBQWEsQ0FBQyxFQUFFLFVBQVUsRUFBRSxTQUFTLEVBQUU7WUFDNUUsUUFBUSxFQUFFLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsQ0FBQyxNQUFNLENBQUMsRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFO1lBQ3ZFLFNBQVMsRUFBRSxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLENBQUMsTUFBTSxDQUFDLEVBQUUsVUFBVSxFQUFFLFdBQVcsRUFBRTtZQUN6RSxNQUFNLEVBQUUsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxDQUFDLGFBQWEsQ0FBQyxFQUFFLFVBQVUsRUFBRSxRQUFRLEVBQUU7WUFDMUUsS0FBSyxFQUFFLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsQ0FBQyxNQUFNLEVBQUUsT0FBTyxFQUFFLEtBQUssQ0FBQyxFQUFFO1lBQzNELEdBQUcsRUFBRSxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLENBQUMsU0FBUyxDQUFDLEVBQUU7WUFDMUMsSUFBSSxFQUFFLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsQ0FBQyxVQUFVLENBQUMsRUFBRTtZQUM3QyxZQUFZLEVBQUUsRUFBRSxLQUFLLEVBQUUsY0FBYyxFQUFFLE1BQU0sRUFBRSxDQUFDLGFBQWEsQ0FBQyxFQUFFO1NBQ2pFLENBQUM7UUFFRixJQUFJLEtBQUssQ0FBQyxLQUFLLEtBQUssZ0JBQWdCLEVBQUUsQ0FBQztZQUNyQyxNQUFNLEVBQUUsVUFBVSxFQUFFLFdBQVcsRUFBRSxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUM7WUFDcEQsTUFBTSxHQUFHLEdBQUcsWUFBWSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1lBQ3JDLElBQUksQ0FBQyxHQUFHO2dCQUFFLE1BQU0sSUFBSSxLQUFLLENBQUMsd0JBQXdCLFVBQVUsRUFBRSxDQUFDLENBQUM7WUFFaEUsSUFBSSxXQUFXLEdBQUcsQ0FBRSxDQUFDLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDN0MsSUFBSSxHQUFHLENBQUMsVUFBVSxFQUFFLENBQUM7Z0JBQ25CLFdBQVcsR0FBRyxXQUFXLENBQUMsR0FBRyxDQUFDLGFBQWEsRUFBRSxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUM7WUFDL0QsQ0FBQztZQUVELHFEQUFxRDtZQUNyRCxNQUFNLE9BQU8sR0FBRyxDQUFDLFdBQVcsSUFBSSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztZQUMzQyxJQUFJLE9BQU8sSUFBSSxPQUFPLEtBQUssR0FBRyxFQUFFLENBQUM7Z0JBQy9CLElBQUksR0FBRyxDQUFDLE1BQU0sQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFLENBQUM7b0JBQzVCLFdBQVcsR0FBRyxXQUFXLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO2dCQUMxRSxDQUFDO3FCQUFNLENBQUM7b0JBQ04sV0FBVyxHQUFHLFdBQVcsQ0FBQyxFQUFFLENBQzFCLEdBQUcsR0FBRyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFTLEVBQUUsRUFBRSxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLEtBQUssQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUN2RSxDQUFDO2dCQUNKLENBQUM7WUFDSCxDQUFDO1lBRUQsTUFBTSxPQUFPLEdBQUcsTUFBTSxXQUFXO2lCQUM5QixPQUFPLENBQUMsSUFBSSxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsWUFBWSxDQUFDO2lCQUM1QyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDO2lCQUNYLEVBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUNiLEVBQUUsQ0FBQyxNQUFNLENBQUMsYUFBYSxDQUFDLEVBQ3hCLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQ2pCLEVBQUUsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLEVBQ3BCLEVBQUUsQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLEVBQ3JCLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQ2pCLEVBQUUsQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDLENBQ3ZCLENBQUM7aUJBQ0QsRUFBRSxDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsQ0FBQztpQkFDZCxFQUFFLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLGFBQWEsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztpQkFDMUQsS0FBSyxDQUFDLEVBQUUsQ0FBQztpQkFDVCxNQUFNLEVBQUUsQ0FBQztZQUVaLE9BQU8sT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQU0sRUFBRSxFQUFFLENBQUMsQ0FBQztnQkFDOUIsRUFBRSxFQUFFLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUM7Z0JBQzdDLElBQUksRUFBRSxDQUFDLENBQUMsSUFBSSxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDO2dCQUNuRCxLQUFLLEVBQUUsQ0FBQyxDQUFDLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztnQkFDdEQsVUFBVSxFQUFFLENBQUMsQ0FBQyxVQUFVLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxJQUFJO2FBQ3pFLENBQUMsQ0FBQyxDQUFDO1FBQ04sQ0FBQztRQUVELElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxnQkFBZ0IsRUFBRSxDQUFDO1lBQ3JDLE1BQU0sRUFBRSxXQUFXLEVBQUUsR0FBRyxLQUFLLENBQUMsU0FBUyxDQUFDO1lBQ3hDLE1BQU0sT0FBTyxHQUFHLENBQUMsV0FBVyxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO1lBRTNDLElBQUksV0FBVyxHQUFHLENBQUUsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsY0FBYyxDQUFDLENBQUM7WUFDbEQsSUFBSSxPQUFPLEVBQUUsQ0FBQztnQkFDWixXQUFXLEdBQUcsV0FBVyxDQUFDLEdBQUcsQ0FBQyxhQUFhLEVBQUUsS0FBSyxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO1lBQzFFLENBQUM7WUFFRCxNQUFNLE9BQU8sR0FBRyxNQUFNLFdBQVc7aUJBQzlCLE9BQU8sQ0FBQyxJQUFJLEVBQUUsYUFBYSxFQUFFLGtCQUFrQixFQUFFLG9CQUFvQixFQUFFLE1BQU0sRUFBRSxZQUFZLEVBQUUsVUFBVSxFQUFFLE1BQU0sQ0FBQztpQkFDaEgsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztpQkFDWCxFQUFFLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLGFBQWEsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztpQkFDMUQsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxrQkFBa0IsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztpQkFDL0QsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxvQkFBb0IsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztpQkFDakUsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7aUJBQ25ELEVBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO2lCQUN6RCxFQUFFLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztpQkFDdkQsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7aUJBQ25ELEtBQUssQ0FBQyxHQUFHLENBQUM7aUJBQ1YsTUFBTSxFQUFFLENBQUM7WUFFWixPQUFPLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFNLEVBQUUsRUFBRSxDQUFDLENBQUM7Z0JBQzlCLEVBQUUsRUFBRSxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDO2dCQUM3QyxXQUFXLEVBQUUsQ0FBQyxDQUFDLFdBQVcsSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztnQkFDakUsZ0JBQWdCLEVBQUUsQ0FBQyxDQUFDLGdCQUFnQixJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7Z0JBQ2hGLGtCQUFrQixFQUFFLENBQUMsQ0FBQyxrQkFBa0IsSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsb0JBQW9CLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO2dCQUN0RixJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUksSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztnQkFDNUMsVUFBVSxFQUFFLENBQUMsQ0FBQyxVQUFVLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7Z0JBQzlELFFBQVEsRUFBRSxDQUFDLENBQUMsUUFBUSxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO2dCQUN4RCxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUksSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQzthQUM3QyxDQUFDLENBQUMsQ0FBQztRQUNOLENBQUM7UUFFRCxJQUFJLEtBQUssQ0FBQyxLQUFLLEtBQUssb0JBQW9CLEVBQUUsQ0FBQztZQUN6QyxNQUFNLEVBQUUsV0FBVyxFQUFFLEdBQUcsS0FBSyxDQUFDLFNBQVMsQ0FBQztZQUV4QyxNQUFNLE9BQU8sR0FBRyxNQUFNLENBQUUsQ0FBQyxDQUFDLEVBQUU7aUJBQ3pCLFFBQVEsQ0FBQyxjQUFjLENBQUM7aUJBQ3hCLEdBQUcsQ0FBQyxhQUFhLEVBQUUsV0FBVyxDQUFDO2lCQUMvQixHQUFHLENBQUMsVUFBVSxDQUFDO2lCQUNmLFFBQVEsQ0FBQyxTQUFTLENBQUM7aUJBQ25CLE9BQU8sQ0FBQyxJQUFJLEVBQUUsY0FBYyxFQUFFLFlBQVksRUFBRSxPQUFPLEVBQUUsY0FBYyxDQUFDO2lCQUNwRSxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDO2lCQUNYLEVBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsY0FBYyxDQUFDLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO2lCQUMzRCxFQUFFLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztpQkFDekQsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7aUJBQ3BELEVBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsY0FBYyxDQUFDLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO2lCQUMzRCxNQUFNLEVBQUUsQ0FBQztZQUVaLE9BQU8sT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQU0sRUFBRSxFQUFFLENBQUMsQ0FBQztnQkFDOUIsRUFBRSxFQUFFLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUM7Z0JBQzdDLFlBQVksRUFBRSxDQUFDLENBQUMsWUFBWSxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO2dCQUNwRSxVQUFVLEVBQUUsQ0FBQyxDQUFDLFVBQVUsSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztnQkFDOUQsS0FBSyxFQUFFLENBQUMsQ0FBQyxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7Z0JBQy9DLFlBQVksRUFBRSxDQUFDLENBQUMsWUFBWSxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO2FBQ3JFLENBQUMsQ0FBQyxDQUFDO1FBQ04sQ0FBQztRQUVELElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxxQkFBcUIsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLGdCQUFnQixFQUFFLENBQUM7WUFDOUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxXQUFXLEVBQUUsUUFBUSxFQUFFLGNBQWMsRUFBRSxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUM7WUFDOUUsTUFBTSxHQUFHLEdBQUcsWUFBWSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1lBQ3JDLElBQUksQ0FBQyxHQUFHO2dCQUFFLE1BQU0sSUFBSSxLQUFLLENBQUMsd0JBQXdCLFVBQVUsRUFBRSxDQUFDLENBQUM7WUFFaEUsSUFBSSxRQUFRLEdBQUcsY0FBYyxDQUFDO1lBQzlCLElBQUksQ0FBQyxRQUFRLEVBQUUsQ0FBQztnQkFDZCxJQUFJLFdBQVcsR0FBRyxDQUFFLENBQUMsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDN0MsSUFBSSxHQUFHLENBQUMsVUFBVSxFQUFFLENBQUM7b0JBQ25CLFdBQVcsR0FBRyxXQUFXLENBQUMsR0FBRyxDQUFDLGFBQWEsRUFBRSxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUM7Z0JBQy9ELENBQUM7Z0JBQ0QsTUFBTSxTQUFTLEdBQUcsQ0FBQyxXQUFXLElBQUksRUFBRSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7Z0JBQzdDLElBQUksU0FBUyxJQUFJLFNBQVMsS0FBSyxHQUFHLEVBQUUsQ0FBQztvQkFDbkMsSUFBSSxHQUFHLENBQUMsTUFBTSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUUsQ0FBQzt3QkFDNUIsV0FBVyxHQUFHLFdBQVcsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRSxLQUFLLENBQUMsVUFBVSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7b0JBQzVFLENBQUM7eUJBQU0sQ0FBQzt3QkFDTixXQUFXLEdBQUcsV0FBVyxDQUFDLEVBQUUsQ0FDMUIsR0FBRyxHQUFHLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQVMsRUFBRSxFQUFFLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLFVBQVUsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQ3pFLENBQUM7b0JBQ0osQ0FBQztnQkFDSCxDQUFDO2dCQUNELE1BQU0sU0FBUyxHQUFHLE1BQU0sV0FBVyxDQUFDLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLEVBQUUsQ0FBQztnQkFDM0QsSUFBSSxTQUFTLENBQUMsTUFBTSxLQUFLLENBQUM7b0JBQUUsT0FBTyxFQUFFLENBQUM7Z0JBQ3RDLFFBQVEsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDMUIsQ0FBQztZQUVELElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxxQkFBcUIsRUFBRSxDQUFDO2dCQUMxQyxNQUFNLE1BQU0sR0FBRyxNQUFNLENBQUUsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsTUFBTSxFQUFFLENBQUM7Z0JBQ3hELElBQUksTUFBTSxDQUFDLE1BQU0sS0FBSyxDQUFDO29CQUFFLE9BQU8sRUFBRSxDQUFDO2dCQUNuQyxNQUFNLFNBQVMsR0FBRyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7Z0JBQzVCLE1BQU0sVUFBVSxHQUEwQyxFQUFFLENBQUM7Z0JBQzdELE1BQU0sT0FBTyxHQUFHLFNBQVMsWUFBWSxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUM7Z0JBQ3ZHLEtBQUssTUFBTSxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsSUFBSSxPQUFPLEVBQUUsQ0FBQztvQkFDakMsTUFBTSxTQUFTLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7b0JBQ3BFLElBQUksU0FBUyxLQUFLLFNBQVMsSUFBSSxTQUFTLEtBQUssV0FBVyxJQUFJLFNBQVMsS0FBSyxFQUFFLEVBQUUsQ0FBQzt3QkFDN0UsVUFBVSxDQUFDLElBQUksQ0FBQyxFQUFFLEdBQUcsRUFBRSxNQUFNLENBQUMsR0FBRyxDQUFDLEVBQUUsS0FBSyxFQUFFLFNBQVMsRUFBRSxDQUFDLENBQUM7b0JBQzFELENBQUM7Z0JBQ0gsQ0FBQztnQkFDRCxPQUFPLFVBQVUsQ0FBQztZQUNwQixDQUFDO1lBRUQsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLGdCQUFnQixFQUFFLENBQUM7Z0JBQ3JDLE1BQU0sUUFBUSxHQUFHLE1BQU0sQ0FBRSxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUM7cUJBQ2xDLElBQUksRUFBRTtxQkFDTixPQUFPLENBQUMsV0FBVyxFQUFFLGFBQWEsRUFBRSxZQUFZLENBQUM7cUJBQ2pELEVBQUUsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUM7cUJBQ2QsRUFBRSxDQUFDLEVBQUUsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxLQUFLLEVBQUUsQ0FBQztxQkFDcEIsRUFBRSxDQUFDLEVBQUUsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxRQUFRLENBQ25CLEVBQUUsQ0FBQyxNQUFNLENBQUMsYUFBYSxDQUFDLEVBQ3hCLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQ2pCLEVBQUUsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLEVBQ3BCLEVBQUUsQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLEVBQ3JCLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQ2pCLEVBQUUsQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDLENBQ3ZCLENBQUM7cUJBQ0QsTUFBTSxFQUFFLENBQUM7Z0JBRVosTUFBTSxPQUFPLEdBQUcsTUFBTSxDQUFFLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQztxQkFDakMsR0FBRyxFQUFFO3FCQUNMLE9BQU8sQ0FBQyxXQUFXLEVBQUUsYUFBYSxFQUFFLFlBQVksQ0FBQztxQkFDakQsRUFBRSxDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsQ0FBQztxQkFDZCxFQUFFLENBQUMsRUFBRSxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssRUFBRSxDQUFDO3FCQUNyQixFQUFFLENBQUMsRUFBRSxDQUFDLElBQUksRUFBRSxDQUFDLFFBQVEsQ0FDcEIsRUFBRSxDQUFDLE1BQU0sQ0FBQyxhQUFhLENBQUMsRUFDeEIsRUFBRSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFDakIsRUFBRSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsRUFDcEIsRUFBRSxDQUFDLE1BQU0sQ0FBQyxVQUFVLENBQUMsRUFDckIsRUFBRSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFDakIsRUFBRSxDQUFDLFFBQVEsQ0FBQyxTQUFTLENBQUMsQ0FDdkIsQ0FBQztxQkFDRCxNQUFNLEVBQUUsQ0FBQztnQkFFWixNQUFNLEtBQUssR0FBNkYsRUFBRSxDQUFDO2dCQUMzRyxLQUFLLE1BQU0sQ0FBQyxJQUFJLFFBQVEsRUFBRSxDQUFDO29CQUN6QixLQUFLLENBQUMsSUFBSSxDQUFDO3dCQUNULFNBQVMsRUFBRSxDQUFDLENBQUMsU0FBUyxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO3dCQUMzRCxTQUFTLEVBQUUsVUFBVTt3QkFDckIsV0FBVyxFQUFFLENBQUMsQ0FBQyxXQUFXLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7d0JBQ2pFLFVBQVUsRUFBRSxDQUFDLENBQUMsVUFBVSxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO3FCQUMvRCxDQUFDLENBQUM7Z0JBQ0wsQ0FBQztnQkFDRCxLQUFLLE1BQU0sQ0FBQyxJQUFJLE9BQU8sRUFBRSxDQUFDO29CQUN4QixLQUFLLENBQUMsSUFBSSxDQUFDO3dCQUNULFNBQVMsRUFBRSxDQUFDLENBQUMsU0FBUyxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO3dCQUMzRCxTQUFTLEVBQUUsVUFBVTt3QkFDckIsV0FBVyxFQUFFLENBQUMsQ0FBQyxXQUFXLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7d0JBQ2pFLFVBQVUsRUFBRSxDQUFDLENBQUMsVUFBVSxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO3FCQUMvRCxDQUFDLENBQUM7Z0JBQ0wsQ0FBQztnQkFDRCxPQUFPLEtBQUssQ0FBQztZQUNmLENBQUM7UUFDSCxDQUFDO1FBRUQsSUFBSSxJQUFJLEtBQUssU0FBUyxFQUFFLENBQUM7WUFDdkIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUNmLElBQUksS0FBSyxDQUFDO1lBQ1YsSUFBSSxTQUFTLENBQUM7WUFDZCxJQUFJLFdBQVcsQ0FBQztZQUNoQixJQUFJLGVBQWUsQ0FBQztZQUNwQixJQUFJLE1BQU0sQ0FBQztZQUNYLElBQUksT0FBTyxDQUFDO1lBQ1osSUFBSSxXQUFXLEdBQUcsTUFBTSxDQUFFO2lCQUN2QixDQUFDLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUM7aUJBQ3ZCLE1BQU0sQ0FBQyxNQUFNLENBQUM7aUJBQ2QsTUFBTSxFQUFFLENBQUM7WUFDWixRQUFRLEtBQUssQ0FBQyxTQUFTLENBQUMsS0FBSyxFQUFFLENBQUM7Z0JBQzlCLEtBQUssUUFBUTtvQkFDWCxLQUFLLEdBQUcsTUFBTSxDQUFDO3lCQUNaLENBQUMsRUFBRTt5QkFDSCxHQUFHLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFFLEtBQUssQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDO3lCQUN4RCxLQUFLLEVBQUU7eUJBQ1AsUUFBUSxDQUFDLE9BQU8sQ0FBQzt5QkFDakIsTUFBTSxFQUFFO3lCQUNSLE1BQU0sQ0FBQyxNQUFNLENBQUM7eUJBQ2QsTUFBTSxFQUFFLENBQUM7b0JBQ1osU0FBUyxHQUFHLE1BQU0sQ0FBQzt5QkFDaEIsQ0FBQyxFQUFFO3lCQUNILEdBQUcsQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLEtBQUssRUFBRSxNQUFNLEVBQUUsS0FBSyxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUM7eUJBQ3hELEtBQUssRUFBRTt5QkFDUCxRQUFRLENBQUMsV0FBVyxDQUFDO3lCQUNyQixNQUFNLEVBQUU7eUJBQ1IsTUFBTSxDQUFDLE1BQU0sQ0FBQzt5QkFDZCxNQUFNLEVBQUUsQ0FBQztvQkFDWixXQUFXLEdBQUcsTUFBTSxDQUFDO3lCQUNsQixDQUFDLEVBQUU7eUJBQ0gsR0FBRyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsS0FBSyxFQUFFLE1BQU0sRUFBRSxLQUFLLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQzt5QkFDeEQsS0FBSyxFQUFFO3lCQUNQLFFBQVEsQ0FBQyxhQUFhLENBQUM7eUJBQ3ZCLE1BQU0sRUFBRTt5QkFDUixNQUFNLENBQUMsTUFBTSxDQUFDO3lCQUNkLE1BQU0sRUFBRSxDQUFDO29CQUNaLGVBQWUsR0FBRyxNQUFNLENBQUM7eUJBQ3RCLENBQUMsRUFBRTt5QkFDSCxHQUFHLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFFLEtBQUssQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDO3lCQUN4RCxLQUFLLEVBQUU7eUJBQ1AsUUFBUSxDQUFDLGlCQUFpQixDQUFDO3lCQUMzQixNQUFNLEVBQUU7eUJBQ1IsTUFBTSxDQUFDLE1BQU0sQ0FBQzt5QkFDZCxNQUFNLEVBQUUsQ0FBQztvQkFDWixPQUFPO3dCQUNMLEVBQUUsV0FBVyxFQUFFLEtBQUssRUFBRSxTQUFTLEVBQUUsV0FBVyxFQUFFLGVBQWUsRUFBRTtxQkFDaEUsQ0FBQztnQkFDSixLQUFLLElBQUk7b0JBQ1AsS0FBSyxHQUFHLE1BQU0sQ0FBQzt5QkFDWixDQUFDLEVBQUU7eUJBQ0gsS0FBSyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDO3lCQUMzQixLQUFLLEVBQUU7eUJBQ1AsUUFBUSxDQUFDLE9BQU8sQ0FBQzt5QkFDakIsTUFBTSxFQUFFO3lCQUNSLE1BQU0sQ0FBQyxNQUFNLENBQUM7eUJBQ2QsTUFBTSxFQUFFLENBQUM7b0JBQ1osSUFBSSxLQUFLLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQzt3QkFDdEMsU0FBUyxHQUFHLE1BQU0sQ0FBQzs2QkFDaEIsQ0FBQyxFQUFFOzZCQUNILEtBQUssQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQzs2QkFDM0IsS0FBSyxFQUFFOzZCQUNQLFFBQVEsQ0FBQyxXQUFXLENBQUM7NkJBQ3JCLE1BQU0sRUFBRTs2QkFDUixNQUFNLENBQUMsTUFBTSxDQUFDOzZCQUNkLE1BQU0sRUFBRSxDQUFDO29CQUNkLENBQUM7eUJBQU0sQ0FBQzt3QkFDTixTQUFTLEdBQUcsRUFBRSxDQUFDO29CQUNqQixDQUFDO29CQUNELFdBQVcsR0FBRyxNQUFNLENBQUM7eUJBQ2xCLENBQUMsRUFBRTt5QkFDSCxLQUFLLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUM7eUJBQzNCLEtBQUssRUFBRTt5QkFDUCxRQUFRLENBQUMsYUFBYSxDQUFDO3lCQUN2QixNQUFNLEVBQUU7eUJBQ1IsTUFBTSxDQUFDLE1BQU0sQ0FBQzt5QkFDZCxNQUFNLEVBQUUsQ0FBQztvQkFDWixlQUFlLEdBQUcsTUFBTSxDQUFDO3lCQUN0QixDQUFDLEVBQUU7eUJBQ0gsS0FBSyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDO3lCQUMzQixLQUFLLEVBQUU7eUJBQ1AsUUFBUSxDQUFDLGlCQUFpQixDQUFDO3lCQUMzQixNQUFNLEVBQUU7eUJBQ1IsTUFBTSxDQUFDLE1BQU0sQ0FBQzt5QkFDZCxNQUFNLEVBQUUsQ0FBQztvQkFDWixJQUFJLEtBQUssQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDO3dCQUN2QyxPQUFPLEdBQUcsTUFBTSxDQUFDOzZCQUNkLENBQUMsRUFBRTs2QkFDSCxLQUFLLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUM7NkJBQzNCLEdBQUcsQ0FBQyxTQUFTLENBQUM7NkJBQ2QsTUFBTSxDQUFDLE1BQU0sQ0FBQzs2QkFDZCxNQUFNLEVBQUUsQ0FBQztvQkFDZCxDQUFDO3lCQUFNLENBQUM7d0JBQ04sT0FBTyxHQUFHLEVBQUUsQ0FBQztvQkFDZixDQUFDO29CQUNELElBQUksS0FBSyxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUM7d0JBQ3ZDLE1BQU0sR0FBRyxNQUFNLENBQUM7NkJBQ2IsQ0FBQyxFQUFFOzZCQUNILEtBQUssQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQzs2QkFDM0IsR0FBRyxFQUFFOzZCQUNMLE1BQU0sQ0FBQyxNQUFNLENBQUM7NkJBQ2QsTUFBTSxFQUFFLENBQUM7b0JBQ2QsQ0FBQzt5QkFBTSxDQUFDO3dCQUNOLE1BQU0sR0FBRyxFQUFFLENBQUM7b0JBQ2QsQ0FBQztvQkFDRCxJQUFJLEtBQUssQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDO3dCQUN2QyxlQUFlLEdBQUcsRUFBRSxDQUFDO29CQUN2QixDQUFDO29CQUNELE9BQU87d0JBQ0w7NEJBQ0UsV0FBVzs0QkFDWCxLQUFLOzRCQUNMLFNBQVM7NEJBQ1QsV0FBVzs0QkFDWCxlQUFlOzRCQUNmLE9BQU87NEJBQ1AsTUFBTTt5QkFDUDtxQkFDRixDQUFDO2dCQUNKLEtBQUssU0FBUztvQkFDWixPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsQ0FBQztvQkFDN0IsT0FBTyxHQUFHLE1BQU0sQ0FBQzt5QkFDZCxDQUFDLEVBQUU7eUJBQ0gsR0FBRyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsS0FBSyxFQUFFLE1BQU0sRUFBRSxLQUFLLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQzt5QkFDeEQsR0FBRyxDQUFDLFNBQVMsQ0FBQzt5QkFDZCxNQUFNLENBQUMsTUFBTSxDQUFDO3lCQUNkLE1BQU0sRUFBRSxDQUFDO29CQUNaLE9BQU8sQ0FBQyxFQUFFLFdBQVcsRUFBRSxPQUFPLEVBQUUsQ0FBQyxDQUFDO2dCQUNwQyxLQUFLLFlBQVk7b0JBQ2YsT0FBTyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLENBQUM7b0JBQzdCLE1BQU0sR0FBRyxNQUFNLENBQUM7eUJBQ2IsQ0FBQyxFQUFFO3lCQUNILEdBQUcsQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLEtBQUssRUFBRSxNQUFNLEVBQUUsS0FBSyxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUM7eUJBQ3hELEdBQUcsRUFBRTt5QkFDTCxNQUFNLENBQUMsTUFBTSxDQUFDO3lCQUNkLE1BQU0sRUFBRSxDQUFDO29CQUNaLE9BQU8sQ0FBQyxFQUFFLFdBQVcsRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDO2dCQUNuQztvQkFDRSxPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1lBQzNCLENBQUM7UUFDSCxDQUFDO2FBQU0sSUFBSSxJQUFJLEtBQUssVUFBVSxFQUFFLENBQUM7WUFDL0IsUUFBUSxLQUFLLENBQUMsU0FBUyxDQUFDLEtBQUssRUFBRSxDQUFDO2dCQUM5QixLQUFLLFFBQVE7b0JBQ1gsTUFBTSxNQUFNLEdBQUcsTUFBTSxDQUFDO3lCQUNuQixDQUFDLEVBQUU7eUJBQ0gsR0FBRyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsS0FBSyxFQUFFLE1BQU0sRUFBRSxLQUFLLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQzt5QkFDeEQsRUFBRSxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDO3lCQUN6QixHQUFHLENBQUMsV0FBVyxDQUFDO3lCQUNoQixHQUFHLEVBQUU7eUJBQ0wsS0FBSyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQzt5QkFDbkMsTUFBTSxDQUFDLE1BQU0sQ0FBQzt5QkFDZCxLQUFLLEVBQUU7eUJBQ1AsTUFBTSxFQUFFLENBQUM7b0JBQ1osT0FBTyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBUyxFQUFFLEVBQUU7d0JBQzlCLE9BQU8sRUFBRSxJQUFJLEVBQUUsQ0FBQyxFQUFFLENBQUM7b0JBQ3JCLENBQUMsQ0FBQyxDQUFDO2dCQUVMLEtBQUssU0FBUztvQkFDWixNQUFNLE9BQU8sR0FBRyxNQUFNLENBQUM7eUJBQ3BCLENBQUMsRUFBRTt5QkFDSCxHQUFHLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFFLEtBQUssQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDO3lCQUN4RCxFQUFFLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUM7eUJBQ3pCLEdBQUcsQ0FBQyxPQUFPLENBQUM7eUJBQ1osRUFBRSxDQUFDLEdBQUcsQ0FBQzt5QkFDUCxHQUFHLENBQUMsYUFBYSxDQUFDO3lCQUNsQixHQUFHLEVBQUU7eUJBQ0wsS0FBSyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUM7eUJBQ2pCLE1BQU0sQ0FBQyxNQUFNLENBQUM7eUJBQ2QsS0FBSyxFQUFFO3lCQUNQLE1BQU0sRUFBRSxDQUFDO29CQUNaLE9BQU8sT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQVMsRUFBRSxFQUFFO3dCQUMvQixPQUFPLEVBQUUsSUFBSSxFQUFFLENBQUMsRUFBRSxDQUFDO29CQUNyQixDQUFDLENBQUMsQ0FBQztnQkFDTCxLQUFLLFlBQVk7b0JBQ2YsT0FBTyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLENBQUM7b0JBQzdCLE1BQU0sT0FBTyxHQUFHLE1BQU0sQ0FBQzt5QkFDcEIsQ0FBQyxFQUFFO3lCQUNILEdBQUcsQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLEtBQUssRUFBRSxNQUFNLEVBQUUsS0FBSyxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUM7eUJBQ3hELEVBQUUsQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQzt5QkFDekIsR0FBRyxFQUFFO3lCQUNMLEVBQUUsQ0FBQyxHQUFHLENBQUM7eUJBQ1AsR0FBRyxFQUFFO3lCQUNMLFFBQVEsQ0FBQyxRQUFRLENBQUM7eUJBQ2xCLEtBQUssQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDO3lCQUNqQixNQUFNLENBQUMsTUFBTSxDQUFDO3lCQUNkLEtBQUssRUFBRTt5QkFDUCxNQUFNLEVBQUUsQ0FBQztvQkFDWixPQUFPLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDO29CQUNyQixPQUFPLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFTLEVBQUUsRUFBRTt3QkFDL0IsT0FBTyxFQUFFLElBQUksRUFBRSxDQUFDLEVBQUUsQ0FBQztvQkFDckIsQ0FBQyxDQUFDLENBQUM7Z0JBQ0w7b0JBQ0UsT0FBTyxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUMsQ0FBQztZQUMzQixDQUFDO1FBQ0gsQ0FBQzthQUFNLENBQUM7WUFDTixNQUFNLE1BQU0sR0FBRyxNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxNQUFNLEVBQUUsQ0FBQztZQUNwQyxNQUFNLE1BQU0sR0FBRyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBTSxFQUFFLEVBQUU7Z0JBQ25DLE9BQU8sRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDLEVBQUUsRUFBRSxLQUFLLEVBQUUsQ0FBQyxDQUFDLEtBQUssRUFBRSxDQUFDO1lBQ3RDLENBQUMsQ0FBQyxDQUFDO1lBQ0gsTUFBTSxPQUFPLEdBQUcsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsTUFBTSxFQUFFLENBQUM7WUFDckMsTUFBTSxJQUFJLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQU0sRUFBRSxFQUFFO2dCQUNsQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUNmLE9BQU8sRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLEVBQUUsTUFBTSxFQUFFLENBQUMsQ0FBQyxHQUFHLENBQUMsRUFBRSxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUMsS0FBSyxFQUFFLENBQUM7WUFDakUsQ0FBQyxDQUFDLENBQUM7WUFDSCxPQUFPLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLENBQUM7UUFDeEMsQ0FBQztJQUNILENBQUM7SUFBQyxPQUFPLEtBQVUsRUFBRSxDQUFDO1FBQ3BCLE9BQU8sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDbkIsT0FBTyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7UUFDckMsTUFBTSxLQUFLLENBQUM7SUFDZCxDQUFDO0FBQ0gsQ0FBQyxDQUFDO0FBaGRXLFFBQUEsT0FBTyxXQWdkbEIiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyBIYW5kbGVyIH0gZnJvbSBcImF3cy1sYW1iZGFcIjtcblxuaW1wb3J0ICogYXMgZ3JlbWxpbiBmcm9tIFwiZ3JlbWxpblwiO1xuaW1wb3J0IHsgZ2V0VXJsQW5kSGVhZGVycyB9IGZyb20gXCJncmVtbGluLWF3cy1zaWd2NC9saWIvdXRpbHNcIjtcblxuY29uc3QgRHJpdmVyUmVtb3RlQ29ubmVjdGlvbiA9IGdyZW1saW4uZHJpdmVyLkRyaXZlclJlbW90ZUNvbm5lY3Rpb247XG5jb25zdCBQID0gZ3JlbWxpbi5wcm9jZXNzLlA7XG5jb25zdCB0cmF2ZXJzYWwgPSBncmVtbGluLnByb2Nlc3MuQW5vbnltb3VzVHJhdmVyc2FsU291cmNlLnRyYXZlcnNhbDtcbmNvbnN0IF9fID0gZ3JlbWxpbi5wcm9jZXNzLnN0YXRpY3M7XG5jb25zdCBUZXh0UCA9IGdyZW1saW4ucHJvY2Vzcy5UZXh0UDtcbmV4cG9ydCBjb25zdCBoYW5kbGVyOiBIYW5kbGVyID0gYXN5bmMgKGV2ZW50KSA9PiB7XG4gIGxldCBjb25uID0gbnVsbDtcbiAgY29uc3QgZ2V0Q29ubmVjdGlvbkRldGFpbHMgPSAoKSA9PiB7XG4gICAgcmV0dXJuIGdldFVybEFuZEhlYWRlcnMoXG4gICAgICBwcm9jZXNzLmVudi5ORVBUVU5FX0VORFBPSU5ULFxuICAgICAgcHJvY2Vzcy5lbnYuTkVQVFVORV9QT1JULFxuICAgICAge30sXG4gICAgICBcIi9ncmVtbGluXCIsXG4gICAgICBcIndzc1wiXG4gICAgKTtcbiAgfTtcblxuICBjb25zdCBjcmVhdGVSZW1vdGVDb25uZWN0aW9uID0gKCkgPT4ge1xuICAgIGNvbnN0IHsgdXJsLCBoZWFkZXJzIH0gPSBnZXRDb25uZWN0aW9uRGV0YWlscygpO1xuXG4gICAgY29uc29sZS5sb2codXJsKTtcbiAgICBjb25zb2xlLmxvZyhoZWFkZXJzKTtcbiAgICBjb25zdCBjID0gbmV3IERyaXZlclJlbW90ZUNvbm5lY3Rpb24odXJsLCB7XG4gICAgICBtaW1lVHlwZTogXCJhcHBsaWNhdGlvbi92bmQuZ3JlbWxpbi12Mi4wK2pzb25cIixcbiAgICAgIGhlYWRlcnM6IGhlYWRlcnMsXG4gICAgfSk7XG4gICAgYy5fY2xpZW50Ll9jb25uZWN0aW9uLm9uKFwiY2xvc2VcIiwgKGNvZGUsIG1lc3NhZ2UpID0+IHtcbiAgICAgIGNvbnNvbGUuaW5mbyhgY2xvc2UgLSAke2NvZGV9ICR7bWVzc2FnZX1gKTtcbiAgICAgIGlmIChjb2RlID09IDEwMDYpIHtcbiAgICAgICAgY29uc29sZS5lcnJvcihcIkNvbm5lY3Rpb24gY2xvc2VkIHByZW1hdHVyZWx5XCIpO1xuICAgICAgICB0aHJvdyBuZXcgRXJyb3IoXCJDb25uZWN0aW9uIGNsb3NlZCBwcmVtYXR1cmVseVwiKTtcbiAgICAgIH1cbiAgICB9KTtcbiAgICByZXR1cm4gYztcbiAgfTtcblxuICBsZXQgZztcblxuICBjb25zdCB0eXBlID0gZXZlbnQuYXJndW1lbnRzLnR5cGU7XG4gIGNvbnNvbGUubG9nKHR5cGUpO1xuICB0cnkge1xuICAgIGlmIChjb25uID09IG51bGwpIHtcbiAgICAgIGNvbnNvbGUuaW5mbyhcIkluaXRpYWxpemluZyBjb25uZWN0aW9uXCIpO1xuICAgICAgY29ubiA9IGNyZWF0ZVJlbW90ZUNvbm5lY3Rpb24oKTtcbiAgICAgIGcgPSB0cmF2ZXJzYWwoKS53aXRoUmVtb3RlKGNvbm4pO1xuICAgIH1cblxuICAgIC8vIEVudGl0eSBzZWFyY2ggaGFuZGxlcnNcbiAgICBjb25zdCBzZWFyY2hDb25maWc6IFJlY29yZDxzdHJpbmcsIHsgbGFiZWw6IHN0cmluZzsgZmllbGRzOiBzdHJpbmdbXTsgZW50aXR5VHlwZT86IHN0cmluZyB9PiA9IHtcbiAgICAgIENvbXBhbnk6IHsgbGFiZWw6ICdFbnRpdHknLCBmaWVsZHM6IFsnY29tcGFueU5hbWUnXSwgZW50aXR5VHlwZTogJ0NvbXBhbnknIH0sXG4gICAgICBDdXN0b21lcjogeyBsYWJlbDogJ0VudGl0eScsIGZpZWxkczogWyduYW1lJ10sIGVudGl0eVR5cGU6ICdDdXN0b21lcicgfSxcbiAgICAgIEVzdGltYXRvcjogeyBsYWJlbDogJ0VudGl0eScsIGZpZWxkczogWyduYW1lJ10sIGVudGl0eVR5cGU6ICdFc3RpbWF0b3InIH0sXG4gICAgICBKb2JiZXI6IHsgbGFiZWw6ICdFbnRpdHknLCBmaWVsZHM6IFsnY29tcGFueU5hbWUnXSwgZW50aXR5VHlwZTogJ0pvYmJlcicgfSxcbiAgICAgIEFzc2V0OiB7IGxhYmVsOiAnQXNzZXQnLCBmaWVsZHM6IFsnbWFrZScsICdtb2RlbCcsICd2aW4nXSB9LFxuICAgICAgSm9iOiB7IGxhYmVsOiAnSm9iJywgZmllbGRzOiBbJ2pvYk5hbWUnXSB9LFxuICAgICAgUGFydDogeyBsYWJlbDogJ1BhcnQnLCBmaWVsZHM6IFsncGFydE5hbWUnXSB9LFxuICAgICAgUHJvamVjdF9EYXRhOiB7IGxhYmVsOiAnUHJvamVjdF9EYXRhJywgZmllbGRzOiBbJ3Byb2plY3ROYW1lJ10gfSxcbiAgICB9O1xuXG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcInNlYXJjaEVudGl0aWVzXCIpIHtcbiAgICAgIGNvbnN0IHsgdmVydGV4VHlwZSwgc2VhcmNoVmFsdWUgfSA9IGV2ZW50LmFyZ3VtZW50cztcbiAgICAgIGNvbnN0IGNmZyA9IHNlYXJjaENvbmZpZ1t2ZXJ0ZXhUeXBlXTtcbiAgICAgIGlmICghY2ZnKSB0aHJvdyBuZXcgRXJyb3IoYFVua25vd24gdmVydGV4IHR5cGU6ICR7dmVydGV4VHlwZX1gKTtcblxuICAgICAgbGV0IHNlYXJjaFF1ZXJ5ID0gZyEuVigpLmhhc0xhYmVsKGNmZy5sYWJlbCk7XG4gICAgICBpZiAoY2ZnLmVudGl0eVR5cGUpIHtcbiAgICAgICAgc2VhcmNoUXVlcnkgPSBzZWFyY2hRdWVyeS5oYXMoJ2VudGl0eVR5cGVzJywgY2ZnLmVudGl0eVR5cGUpO1xuICAgICAgfVxuXG4gICAgICAvLyBPbmx5IGFwcGx5IHRleHQgZmlsdGVyIGlmIHNlYXJjaFZhbHVlIGlzIG5vbi1lbXB0eVxuICAgICAgY29uc3QgdHJpbW1lZCA9IChzZWFyY2hWYWx1ZSB8fCAnJykudHJpbSgpO1xuICAgICAgaWYgKHRyaW1tZWQgJiYgdHJpbW1lZCAhPT0gJyonKSB7XG4gICAgICAgIGlmIChjZmcuZmllbGRzLmxlbmd0aCA9PT0gMSkge1xuICAgICAgICAgIHNlYXJjaFF1ZXJ5ID0gc2VhcmNoUXVlcnkuaGFzKGNmZy5maWVsZHNbMF0sIFRleHRQLmNvbnRhaW5pbmcodHJpbW1lZCkpO1xuICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgIHNlYXJjaFF1ZXJ5ID0gc2VhcmNoUXVlcnkub3IoXG4gICAgICAgICAgICAuLi5jZmcuZmllbGRzLm1hcCgoZjogc3RyaW5nKSA9PiBfXy5oYXMoZiwgVGV4dFAuY29udGFpbmluZyh0cmltbWVkKSkpXG4gICAgICAgICAgKTtcbiAgICAgICAgfVxuICAgICAgfVxuXG4gICAgICBjb25zdCByZXN1bHRzID0gYXdhaXQgc2VhcmNoUXVlcnlcbiAgICAgICAgLnByb2plY3QoJ2lkJywgJ25hbWUnLCAnbGFiZWwnLCAnZW50aXR5VHlwZScpXG4gICAgICAgIC5ieShfXy5pZCgpKVxuICAgICAgICAuYnkoX18uY29hbGVzY2UoXG4gICAgICAgICAgX18udmFsdWVzKCdjb21wYW55TmFtZScpLFxuICAgICAgICAgIF9fLnZhbHVlcygnbmFtZScpLFxuICAgICAgICAgIF9fLnZhbHVlcygnam9iTmFtZScpLFxuICAgICAgICAgIF9fLnZhbHVlcygncGFydE5hbWUnKSxcbiAgICAgICAgICBfXy52YWx1ZXMoJ21ha2UnKSxcbiAgICAgICAgICBfXy5jb25zdGFudCgnVW5rbm93bicpXG4gICAgICAgICkpXG4gICAgICAgIC5ieShfXy5sYWJlbCgpKVxuICAgICAgICAuYnkoX18uY29hbGVzY2UoX18udmFsdWVzKCdlbnRpdHlUeXBlcycpLCBfXy5jb25zdGFudCgnJykpKVxuICAgICAgICAubGltaXQoNTApXG4gICAgICAgIC50b0xpc3QoKTtcblxuICAgICAgcmV0dXJuIHJlc3VsdHMubWFwKChyOiBhbnkpID0+ICh7XG4gICAgICAgIGlkOiByLmlkID8/IChyLmdldCA/IHIuZ2V0KCdpZCcpIDogdW5kZWZpbmVkKSxcbiAgICAgICAgbmFtZTogci5uYW1lID8/IChyLmdldCA/IHIuZ2V0KCduYW1lJykgOiB1bmRlZmluZWQpLFxuICAgICAgICBsYWJlbDogci5sYWJlbCA/PyAoci5nZXQgPyByLmdldCgnbGFiZWwnKSA6IHVuZGVmaW5lZCksXG4gICAgICAgIGVudGl0eVR5cGU6IHIuZW50aXR5VHlwZSB8fCAoci5nZXQgPyByLmdldCgnZW50aXR5VHlwZScpIDogbnVsbCkgfHwgbnVsbCxcbiAgICAgIH0pKTtcbiAgICB9XG5cbiAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwic2VhcmNoUHJvamVjdHNcIikge1xuICAgICAgY29uc3QgeyBzZWFyY2hWYWx1ZSB9ID0gZXZlbnQuYXJndW1lbnRzO1xuICAgICAgY29uc3QgdHJpbW1lZCA9IChzZWFyY2hWYWx1ZSB8fCAnJykudHJpbSgpO1xuXG4gICAgICBsZXQgc2VhcmNoUXVlcnkgPSBnIS5WKCkuaGFzTGFiZWwoJ1Byb2plY3RfRGF0YScpO1xuICAgICAgaWYgKHRyaW1tZWQpIHtcbiAgICAgICAgc2VhcmNoUXVlcnkgPSBzZWFyY2hRdWVyeS5oYXMoJ3Byb2plY3ROYW1lJywgVGV4dFAuY29udGFpbmluZyh0cmltbWVkKSk7XG4gICAgICB9XG5cbiAgICAgIGNvbnN0IHJlc3VsdHMgPSBhd2FpdCBzZWFyY2hRdWVyeVxuICAgICAgICAucHJvamVjdCgnaWQnLCAncHJvamVjdE5hbWUnLCAnRGVwYXJ0bWVudE51bWJlcicsICdEYXRhQ2xhc3NpZmljYXRpb24nLCAnVGVhbScsICdPd25lckdyb3VwJywgJ1JlY292ZXJ5JywgJ1RpZXInKVxuICAgICAgICAuYnkoX18uaWQoKSlcbiAgICAgICAgLmJ5KF9fLmNvYWxlc2NlKF9fLnZhbHVlcygncHJvamVjdE5hbWUnKSwgX18uY29uc3RhbnQoJycpKSlcbiAgICAgICAgLmJ5KF9fLmNvYWxlc2NlKF9fLnZhbHVlcygnRGVwYXJ0bWVudE51bWJlcicpLCBfXy5jb25zdGFudCgnJykpKVxuICAgICAgICAuYnkoX18uY29hbGVzY2UoX18udmFsdWVzKCdEYXRhQ2xhc3NpZmljYXRpb24nKSwgX18uY29uc3RhbnQoJycpKSlcbiAgICAgICAgLmJ5KF9fLmNvYWxlc2NlKF9fLnZhbHVlcygnVGVhbScpLCBfXy5jb25zdGFudCgnJykpKVxuICAgICAgICAuYnkoX18uY29hbGVzY2UoX18udmFsdWVzKCdPd25lckdyb3VwJyksIF9fLmNvbnN0YW50KCcnKSkpXG4gICAgICAgIC5ieShfXy5jb2FsZXNjZShfXy52YWx1ZXMoJ1JlY292ZXJ5JyksIF9fLmNvbnN0YW50KCcnKSkpXG4gICAgICAgIC5ieShfXy5jb2FsZXNjZShfXy52YWx1ZXMoJ1RpZXInKSwgX18uY29uc3RhbnQoJycpKSlcbiAgICAgICAgLmxpbWl0KDIwMClcbiAgICAgICAgLnRvTGlzdCgpO1xuXG4gICAgICByZXR1cm4gcmVzdWx0cy5tYXAoKHI6IGFueSkgPT4gKHtcbiAgICAgICAgaWQ6IHIuaWQgPz8gKHIuZ2V0ID8gci5nZXQoJ2lkJykgOiB1bmRlZmluZWQpLFxuICAgICAgICBwcm9qZWN0TmFtZTogci5wcm9qZWN0TmFtZSA/PyAoci5nZXQgPyByLmdldCgncHJvamVjdE5hbWUnKSA6ICcnKSxcbiAgICAgICAgRGVwYXJ0bWVudE51bWJlcjogci5EZXBhcnRtZW50TnVtYmVyID8/IChyLmdldCA/IHIuZ2V0KCdEZXBhcnRtZW50TnVtYmVyJykgOiAnJyksXG4gICAgICAgIERhdGFDbGFzc2lmaWNhdGlvbjogci5EYXRhQ2xhc3NpZmljYXRpb24gPz8gKHIuZ2V0ID8gci5nZXQoJ0RhdGFDbGFzc2lmaWNhdGlvbicpIDogJycpLFxuICAgICAgICBUZWFtOiByLlRlYW0gPz8gKHIuZ2V0ID8gci5nZXQoJ1RlYW0nKSA6ICcnKSxcbiAgICAgICAgT3duZXJHcm91cDogci5Pd25lckdyb3VwID8/IChyLmdldCA/IHIuZ2V0KCdPd25lckdyb3VwJykgOiAnJyksXG4gICAgICAgIFJlY292ZXJ5OiByLlJlY292ZXJ5ID8/IChyLmdldCA/IHIuZ2V0KCdSZWNvdmVyeScpIDogJycpLFxuICAgICAgICBUaWVyOiByLlRpZXIgPz8gKHIuZ2V0ID8gci5nZXQoJ1RpZXInKSA6ICcnKSxcbiAgICAgIH0pKTtcbiAgICB9XG5cbiAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwiZ2V0UHJvamVjdEFjY291bnRzXCIpIHtcbiAgICAgIGNvbnN0IHsgcHJvamVjdE5hbWUgfSA9IGV2ZW50LmFyZ3VtZW50cztcblxuICAgICAgY29uc3QgcmVzdWx0cyA9IGF3YWl0IGchLlYoKVxuICAgICAgICAuaGFzTGFiZWwoJ1Byb2plY3RfRGF0YScpXG4gICAgICAgIC5oYXMoJ3Byb2plY3ROYW1lJywgcHJvamVjdE5hbWUpXG4gICAgICAgIC5pbl8oJ293bmVkX2J5JylcbiAgICAgICAgLmhhc0xhYmVsKCdBY2NvdW50JylcbiAgICAgICAgLnByb2plY3QoJ2lkJywgJ0FjY291bnRfTmFtZScsICdBY2NvdW50X0lkJywgJ0Nsb3VkJywgJ0Vudmlyb25tZW50cycpXG4gICAgICAgIC5ieShfXy5pZCgpKVxuICAgICAgICAuYnkoX18uY29hbGVzY2UoX18udmFsdWVzKCdBY2NvdW50X05hbWUnKSwgX18uY29uc3RhbnQoJycpKSlcbiAgICAgICAgLmJ5KF9fLmNvYWxlc2NlKF9fLnZhbHVlcygnQWNjb3VudF9JZCcpLCBfXy5jb25zdGFudCgnJykpKVxuICAgICAgICAuYnkoX18uY29hbGVzY2UoX18udmFsdWVzKCdDbG91ZCcpLCBfXy5jb25zdGFudCgnJykpKVxuICAgICAgICAuYnkoX18uY29hbGVzY2UoX18udmFsdWVzKCdFbnZpcm9ubWVudHMnKSwgX18uY29uc3RhbnQoJycpKSlcbiAgICAgICAgLnRvTGlzdCgpO1xuXG4gICAgICByZXR1cm4gcmVzdWx0cy5tYXAoKHI6IGFueSkgPT4gKHtcbiAgICAgICAgaWQ6IHIuaWQgPz8gKHIuZ2V0ID8gci5nZXQoJ2lkJykgOiB1bmRlZmluZWQpLFxuICAgICAgICBBY2NvdW50X05hbWU6IHIuQWNjb3VudF9OYW1lID8/IChyLmdldCA/IHIuZ2V0KCdBY2NvdW50X05hbWUnKSA6ICcnKSxcbiAgICAgICAgQWNjb3VudF9JZDogci5BY2NvdW50X0lkID8/IChyLmdldCA/IHIuZ2V0KCdBY2NvdW50X0lkJykgOiAnJyksXG4gICAgICAgIENsb3VkOiByLkNsb3VkID8/IChyLmdldCA/IHIuZ2V0KCdDbG91ZCcpIDogJycpLFxuICAgICAgICBFbnZpcm9ubWVudHM6IHIuRW52aXJvbm1lbnRzID8/IChyLmdldCA/IHIuZ2V0KCdFbnZpcm9ubWVudHMnKSA6ICcnKSxcbiAgICAgIH0pKTtcbiAgICB9XG5cbiAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwiZ2V0RW50aXR5UHJvcGVydGllc1wiIHx8IGV2ZW50LmZpZWxkID09PSBcImdldEVudGl0eUVkZ2VzXCIpIHtcbiAgICAgIGNvbnN0IHsgdmVydGV4VHlwZSwgc2VhcmNoVmFsdWUsIHZlcnRleElkOiBkaXJlY3RWZXJ0ZXhJZCB9ID0gZXZlbnQuYXJndW1lbnRzO1xuICAgICAgY29uc3QgY2ZnID0gc2VhcmNoQ29uZmlnW3ZlcnRleFR5cGVdO1xuICAgICAgaWYgKCFjZmcpIHRocm93IG5ldyBFcnJvcihgVW5rbm93biB2ZXJ0ZXggdHlwZTogJHt2ZXJ0ZXhUeXBlfWApO1xuXG4gICAgICBsZXQgdmVydGV4SWQgPSBkaXJlY3RWZXJ0ZXhJZDtcbiAgICAgIGlmICghdmVydGV4SWQpIHtcbiAgICAgICAgbGV0IHNlYXJjaFF1ZXJ5ID0gZyEuVigpLmhhc0xhYmVsKGNmZy5sYWJlbCk7XG4gICAgICAgIGlmIChjZmcuZW50aXR5VHlwZSkge1xuICAgICAgICAgIHNlYXJjaFF1ZXJ5ID0gc2VhcmNoUXVlcnkuaGFzKCdlbnRpdHlUeXBlcycsIGNmZy5lbnRpdHlUeXBlKTtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCB0cmltbWVkU3YgPSAoc2VhcmNoVmFsdWUgfHwgJycpLnRyaW0oKTtcbiAgICAgICAgaWYgKHRyaW1tZWRTdiAmJiB0cmltbWVkU3YgIT09ICcqJykge1xuICAgICAgICAgIGlmIChjZmcuZmllbGRzLmxlbmd0aCA9PT0gMSkge1xuICAgICAgICAgICAgc2VhcmNoUXVlcnkgPSBzZWFyY2hRdWVyeS5oYXMoY2ZnLmZpZWxkc1swXSwgVGV4dFAuY29udGFpbmluZyh0cmltbWVkU3YpKTtcbiAgICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgc2VhcmNoUXVlcnkgPSBzZWFyY2hRdWVyeS5vcihcbiAgICAgICAgICAgICAgLi4uY2ZnLmZpZWxkcy5tYXAoKGY6IHN0cmluZykgPT4gX18uaGFzKGYsIFRleHRQLmNvbnRhaW5pbmcodHJpbW1lZFN2KSkpXG4gICAgICAgICAgICApO1xuICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgICBjb25zdCB2ZXJ0ZXhJZHMgPSBhd2FpdCBzZWFyY2hRdWVyeS5pZCgpLmxpbWl0KDEpLnRvTGlzdCgpO1xuICAgICAgICBpZiAodmVydGV4SWRzLmxlbmd0aCA9PT0gMCkgcmV0dXJuIFtdO1xuICAgICAgICB2ZXJ0ZXhJZCA9IHZlcnRleElkc1swXTtcbiAgICAgIH1cblxuICAgICAgaWYgKGV2ZW50LmZpZWxkID09PSBcImdldEVudGl0eVByb3BlcnRpZXNcIikge1xuICAgICAgICBjb25zdCByZXN1bHQgPSBhd2FpdCBnIS5WKHZlcnRleElkKS52YWx1ZU1hcCgpLnRvTGlzdCgpO1xuICAgICAgICBpZiAocmVzdWx0Lmxlbmd0aCA9PT0gMCkgcmV0dXJuIFtdO1xuICAgICAgICBjb25zdCB2ZXJ0ZXhNYXAgPSByZXN1bHRbMF07XG4gICAgICAgIGNvbnN0IHByb3BlcnRpZXM6IEFycmF5PHsga2V5OiBzdHJpbmc7IHZhbHVlOiBzdHJpbmcgfT4gPSBbXTtcbiAgICAgICAgY29uc3QgZW50cmllcyA9IHZlcnRleE1hcCBpbnN0YW5jZW9mIE1hcCA/IEFycmF5LmZyb20odmVydGV4TWFwLmVudHJpZXMoKSkgOiBPYmplY3QuZW50cmllcyh2ZXJ0ZXhNYXApO1xuICAgICAgICBmb3IgKGNvbnN0IFtrZXksIHZhbF0gb2YgZW50cmllcykge1xuICAgICAgICAgIGNvbnN0IHByb3BWYWx1ZSA9IEFycmF5LmlzQXJyYXkodmFsKSA/IFN0cmluZyh2YWxbMF0pIDogU3RyaW5nKHZhbCk7XG4gICAgICAgICAgaWYgKHByb3BWYWx1ZSAhPT0gdW5kZWZpbmVkICYmIHByb3BWYWx1ZSAhPT0gJ3VuZGVmaW5lZCcgJiYgcHJvcFZhbHVlICE9PSAnJykge1xuICAgICAgICAgICAgcHJvcGVydGllcy5wdXNoKHsga2V5OiBTdHJpbmcoa2V5KSwgdmFsdWU6IHByb3BWYWx1ZSB9KTtcbiAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIHByb3BlcnRpZXM7XG4gICAgICB9XG5cbiAgICAgIGlmIChldmVudC5maWVsZCA9PT0gXCJnZXRFbnRpdHlFZGdlc1wiKSB7XG4gICAgICAgIGNvbnN0IG91dEVkZ2VzID0gYXdhaXQgZyEuVih2ZXJ0ZXhJZClcbiAgICAgICAgICAub3V0RSgpXG4gICAgICAgICAgLnByb2plY3QoJ2VkZ2VMYWJlbCcsICd0YXJnZXRMYWJlbCcsICd0YXJnZXROYW1lJylcbiAgICAgICAgICAuYnkoX18ubGFiZWwoKSlcbiAgICAgICAgICAuYnkoX18uaW5WKCkubGFiZWwoKSlcbiAgICAgICAgICAuYnkoX18uaW5WKCkuY29hbGVzY2UoXG4gICAgICAgICAgICBfXy52YWx1ZXMoJ2NvbXBhbnlOYW1lJyksXG4gICAgICAgICAgICBfXy52YWx1ZXMoJ25hbWUnKSxcbiAgICAgICAgICAgIF9fLnZhbHVlcygnam9iTmFtZScpLFxuICAgICAgICAgICAgX18udmFsdWVzKCdwYXJ0TmFtZScpLFxuICAgICAgICAgICAgX18udmFsdWVzKCdtYWtlJyksXG4gICAgICAgICAgICBfXy5jb25zdGFudCgnVW5rbm93bicpXG4gICAgICAgICAgKSlcbiAgICAgICAgICAudG9MaXN0KCk7XG5cbiAgICAgICAgY29uc3QgaW5FZGdlcyA9IGF3YWl0IGchLlYodmVydGV4SWQpXG4gICAgICAgICAgLmluRSgpXG4gICAgICAgICAgLnByb2plY3QoJ2VkZ2VMYWJlbCcsICd0YXJnZXRMYWJlbCcsICd0YXJnZXROYW1lJylcbiAgICAgICAgICAuYnkoX18ubGFiZWwoKSlcbiAgICAgICAgICAuYnkoX18ub3V0VigpLmxhYmVsKCkpXG4gICAgICAgICAgLmJ5KF9fLm91dFYoKS5jb2FsZXNjZShcbiAgICAgICAgICAgIF9fLnZhbHVlcygnY29tcGFueU5hbWUnKSxcbiAgICAgICAgICAgIF9fLnZhbHVlcygnbmFtZScpLFxuICAgICAgICAgICAgX18udmFsdWVzKCdqb2JOYW1lJyksXG4gICAgICAgICAgICBfXy52YWx1ZXMoJ3BhcnROYW1lJyksXG4gICAgICAgICAgICBfXy52YWx1ZXMoJ21ha2UnKSxcbiAgICAgICAgICAgIF9fLmNvbnN0YW50KCdVbmtub3duJylcbiAgICAgICAgICApKVxuICAgICAgICAgIC50b0xpc3QoKTtcblxuICAgICAgICBjb25zdCBlZGdlczogQXJyYXk8eyBlZGdlTGFiZWw6IHN0cmluZzsgZGlyZWN0aW9uOiBzdHJpbmc7IHRhcmdldExhYmVsOiBzdHJpbmc7IHRhcmdldE5hbWU6IHN0cmluZyB9PiA9IFtdO1xuICAgICAgICBmb3IgKGNvbnN0IGUgb2Ygb3V0RWRnZXMpIHtcbiAgICAgICAgICBlZGdlcy5wdXNoKHtcbiAgICAgICAgICAgIGVkZ2VMYWJlbDogZS5lZGdlTGFiZWwgPz8gKGUuZ2V0ID8gZS5nZXQoJ2VkZ2VMYWJlbCcpIDogJycpLFxuICAgICAgICAgICAgZGlyZWN0aW9uOiAnb3V0Z29pbmcnLFxuICAgICAgICAgICAgdGFyZ2V0TGFiZWw6IGUudGFyZ2V0TGFiZWwgPz8gKGUuZ2V0ID8gZS5nZXQoJ3RhcmdldExhYmVsJykgOiAnJyksXG4gICAgICAgICAgICB0YXJnZXROYW1lOiBlLnRhcmdldE5hbWUgPz8gKGUuZ2V0ID8gZS5nZXQoJ3RhcmdldE5hbWUnKSA6ICcnKSxcbiAgICAgICAgICB9KTtcbiAgICAgICAgfVxuICAgICAgICBmb3IgKGNvbnN0IGUgb2YgaW5FZGdlcykge1xuICAgICAgICAgIGVkZ2VzLnB1c2goe1xuICAgICAgICAgICAgZWRnZUxhYmVsOiBlLmVkZ2VMYWJlbCA/PyAoZS5nZXQgPyBlLmdldCgnZWRnZUxhYmVsJykgOiAnJyksXG4gICAgICAgICAgICBkaXJlY3Rpb246ICdpbmNvbWluZycsXG4gICAgICAgICAgICB0YXJnZXRMYWJlbDogZS50YXJnZXRMYWJlbCA/PyAoZS5nZXQgPyBlLmdldCgndGFyZ2V0TGFiZWwnKSA6ICcnKSxcbiAgICAgICAgICAgIHRhcmdldE5hbWU6IGUudGFyZ2V0TmFtZSA/PyAoZS5nZXQgPyBlLmdldCgndGFyZ2V0TmFtZScpIDogJycpLFxuICAgICAgICAgIH0pO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBlZGdlcztcbiAgICAgIH1cbiAgICB9XG5cbiAgICBpZiAodHlwZSA9PT0gXCJwcm9maWxlXCIpIHtcbiAgICAgIGNvbnNvbGUubG9nKGcpO1xuICAgICAgbGV0IHVzYWdlO1xuICAgICAgbGV0IGJlbG9uZ190bztcbiAgICAgIGxldCBhdXRob3JlZF9ieTtcbiAgICAgIGxldCBhZmZpbGlhdGVkX3dpdGg7XG4gICAgICBsZXQgcGVvcGxlO1xuICAgICAgbGV0IG1hZGVfYnk7XG4gICAgICBsZXQgc2VhcmNoX25hbWUgPSBhd2FpdCBnIVxuICAgICAgICAuVihldmVudC5hcmd1bWVudHMubmFtZSlcbiAgICAgICAgLnZhbHVlcyhcIm5hbWVcIilcbiAgICAgICAgLnRvTGlzdCgpO1xuICAgICAgc3dpdGNoIChldmVudC5hcmd1bWVudHMudmFsdWUpIHtcbiAgICAgICAgY2FzZSBcInBlcnNvblwiOlxuICAgICAgICAgIHVzYWdlID0gYXdhaXQgZ1xuICAgICAgICAgICAgLlYoKVxuICAgICAgICAgICAgLmhhcyhldmVudC5hcmd1bWVudHMudmFsdWUsIFwibmFtZVwiLCBldmVudC5hcmd1bWVudHMubmFtZSlcbiAgICAgICAgICAgIC5ib3RoRSgpXG4gICAgICAgICAgICAuaGFzTGFiZWwoXCJ1c2FnZVwiKVxuICAgICAgICAgICAgLm90aGVyVigpXG4gICAgICAgICAgICAudmFsdWVzKFwibmFtZVwiKVxuICAgICAgICAgICAgLnRvTGlzdCgpO1xuICAgICAgICAgIGJlbG9uZ190byA9IGF3YWl0IGdcbiAgICAgICAgICAgIC5WKClcbiAgICAgICAgICAgIC5oYXMoZXZlbnQuYXJndW1lbnRzLnZhbHVlLCBcIm5hbWVcIiwgZXZlbnQuYXJndW1lbnRzLm5hbWUpXG4gICAgICAgICAgICAuYm90aEUoKVxuICAgICAgICAgICAgLmhhc0xhYmVsKFwiYmVsb25nX3RvXCIpXG4gICAgICAgICAgICAub3RoZXJWKClcbiAgICAgICAgICAgIC52YWx1ZXMoXCJuYW1lXCIpXG4gICAgICAgICAgICAudG9MaXN0KCk7XG4gICAgICAgICAgYXV0aG9yZWRfYnkgPSBhd2FpdCBnXG4gICAgICAgICAgICAuVigpXG4gICAgICAgICAgICAuaGFzKGV2ZW50LmFyZ3VtZW50cy52YWx1ZSwgXCJuYW1lXCIsIGV2ZW50LmFyZ3VtZW50cy5uYW1lKVxuICAgICAgICAgICAgLmJvdGhFKClcbiAgICAgICAgICAgIC5oYXNMYWJlbChcImF1dGhvcmVkX2J5XCIpXG4gICAgICAgICAgICAub3RoZXJWKClcbiAgICAgICAgICAgIC52YWx1ZXMoXCJuYW1lXCIpXG4gICAgICAgICAgICAudG9MaXN0KCk7XG4gICAgICAgICAgYWZmaWxpYXRlZF93aXRoID0gYXdhaXQgZ1xuICAgICAgICAgICAgLlYoKVxuICAgICAgICAgICAgLmhhcyhldmVudC5hcmd1bWVudHMudmFsdWUsIFwibmFtZVwiLCBldmVudC5hcmd1bWVudHMubmFtZSlcbiAgICAgICAgICAgIC5ib3RoRSgpXG4gICAgICAgICAgICAuaGFzTGFiZWwoXCJhZmZpbGlhdGVkX3dpdGhcIilcbiAgICAgICAgICAgIC5vdGhlclYoKVxuICAgICAgICAgICAgLnZhbHVlcyhcIm5hbWVcIilcbiAgICAgICAgICAgIC50b0xpc3QoKTtcbiAgICAgICAgICByZXR1cm4gW1xuICAgICAgICAgICAgeyBzZWFyY2hfbmFtZSwgdXNhZ2UsIGJlbG9uZ190bywgYXV0aG9yZWRfYnksIGFmZmlsaWF0ZWRfd2l0aCB9LFxuICAgICAgICAgIF07XG4gICAgICAgIGNhc2UgXCJpZFwiOlxuICAgICAgICAgIHVzYWdlID0gYXdhaXQgZ1xuICAgICAgICAgICAgLlYoKVxuICAgICAgICAgICAgLmhhc0lkKGV2ZW50LmFyZ3VtZW50cy5uYW1lKVxuICAgICAgICAgICAgLmJvdGhFKClcbiAgICAgICAgICAgIC5oYXNMYWJlbChcInVzYWdlXCIpXG4gICAgICAgICAgICAub3RoZXJWKClcbiAgICAgICAgICAgIC52YWx1ZXMoXCJuYW1lXCIpXG4gICAgICAgICAgICAudG9MaXN0KCk7XG4gICAgICAgICAgaWYgKGV2ZW50LmFyZ3VtZW50cy5uYW1lLm1hdGNoKC9Eb2MvKSkge1xuICAgICAgICAgICAgYmVsb25nX3RvID0gYXdhaXQgZ1xuICAgICAgICAgICAgICAuVigpXG4gICAgICAgICAgICAgIC5oYXNJZChldmVudC5hcmd1bWVudHMubmFtZSlcbiAgICAgICAgICAgICAgLmJvdGhFKClcbiAgICAgICAgICAgICAgLmhhc0xhYmVsKFwiYmVsb25nX3RvXCIpXG4gICAgICAgICAgICAgIC5vdGhlclYoKVxuICAgICAgICAgICAgICAudmFsdWVzKFwibmFtZVwiKVxuICAgICAgICAgICAgICAudG9MaXN0KCk7XG4gICAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgIGJlbG9uZ190byA9IFtdO1xuICAgICAgICAgIH1cbiAgICAgICAgICBhdXRob3JlZF9ieSA9IGF3YWl0IGdcbiAgICAgICAgICAgIC5WKClcbiAgICAgICAgICAgIC5oYXNJZChldmVudC5hcmd1bWVudHMubmFtZSlcbiAgICAgICAgICAgIC5ib3RoRSgpXG4gICAgICAgICAgICAuaGFzTGFiZWwoXCJhdXRob3JlZF9ieVwiKVxuICAgICAgICAgICAgLm90aGVyVigpXG4gICAgICAgICAgICAudmFsdWVzKFwibmFtZVwiKVxuICAgICAgICAgICAgLnRvTGlzdCgpO1xuICAgICAgICAgIGFmZmlsaWF0ZWRfd2l0aCA9IGF3YWl0IGdcbiAgICAgICAgICAgIC5WKClcbiAgICAgICAgICAgIC5oYXNJZChldmVudC5hcmd1bWVudHMubmFtZSlcbiAgICAgICAgICAgIC5ib3RoRSgpXG4gICAgICAgICAgICAuaGFzTGFiZWwoXCJhZmZpbGlhdGVkX3dpdGhcIilcbiAgICAgICAgICAgIC5vdGhlclYoKVxuICAgICAgICAgICAgLnZhbHVlcyhcIm5hbWVcIilcbiAgICAgICAgICAgIC50b0xpc3QoKTtcbiAgICAgICAgICBpZiAoZXZlbnQuYXJndW1lbnRzLm5hbWUubWF0Y2goL1Byb2QvKSkge1xuICAgICAgICAgICAgbWFkZV9ieSA9IGF3YWl0IGdcbiAgICAgICAgICAgICAgLlYoKVxuICAgICAgICAgICAgICAuaGFzSWQoZXZlbnQuYXJndW1lbnRzLm5hbWUpXG4gICAgICAgICAgICAgIC5vdXQoXCJtYWRlX2J5XCIpXG4gICAgICAgICAgICAgIC52YWx1ZXMoXCJuYW1lXCIpXG4gICAgICAgICAgICAgIC50b0xpc3QoKTtcbiAgICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgbWFkZV9ieSA9IFtdO1xuICAgICAgICAgIH1cbiAgICAgICAgICBpZiAoZXZlbnQuYXJndW1lbnRzLm5hbWUubWF0Y2goL0NvbmYvKSkge1xuICAgICAgICAgICAgcGVvcGxlID0gYXdhaXQgZ1xuICAgICAgICAgICAgICAuVigpXG4gICAgICAgICAgICAgIC5oYXNJZChldmVudC5hcmd1bWVudHMubmFtZSlcbiAgICAgICAgICAgICAgLmluXygpXG4gICAgICAgICAgICAgIC52YWx1ZXMoXCJuYW1lXCIpXG4gICAgICAgICAgICAgIC50b0xpc3QoKTtcbiAgICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgcGVvcGxlID0gW107XG4gICAgICAgICAgfVxuICAgICAgICAgIGlmIChldmVudC5hcmd1bWVudHMubmFtZS5tYXRjaCgvSW5zdC8pKSB7XG4gICAgICAgICAgICBhZmZpbGlhdGVkX3dpdGggPSBbXTtcbiAgICAgICAgICB9XG4gICAgICAgICAgcmV0dXJuIFtcbiAgICAgICAgICAgIHtcbiAgICAgICAgICAgICAgc2VhcmNoX25hbWUsXG4gICAgICAgICAgICAgIHVzYWdlLFxuICAgICAgICAgICAgICBiZWxvbmdfdG8sXG4gICAgICAgICAgICAgIGF1dGhvcmVkX2J5LFxuICAgICAgICAgICAgICBhZmZpbGlhdGVkX3dpdGgsXG4gICAgICAgICAgICAgIG1hZGVfYnksXG4gICAgICAgICAgICAgIHBlb3BsZSxcbiAgICAgICAgICAgIH0sXG4gICAgICAgICAgXTtcbiAgICAgICAgY2FzZSBcInByb2R1Y3RcIjpcbiAgICAgICAgICBjb25zb2xlLmxvZyhldmVudC5hcmd1bWVudHMpO1xuICAgICAgICAgIG1hZGVfYnkgPSBhd2FpdCBnXG4gICAgICAgICAgICAuVigpXG4gICAgICAgICAgICAuaGFzKGV2ZW50LmFyZ3VtZW50cy52YWx1ZSwgXCJuYW1lXCIsIGV2ZW50LmFyZ3VtZW50cy5uYW1lKVxuICAgICAgICAgICAgLm91dChcIm1hZGVfYnlcIilcbiAgICAgICAgICAgIC52YWx1ZXMoXCJuYW1lXCIpXG4gICAgICAgICAgICAudG9MaXN0KCk7XG4gICAgICAgICAgcmV0dXJuIFt7IHNlYXJjaF9uYW1lLCBtYWRlX2J5IH1dO1xuICAgICAgICBjYXNlIFwiY29uZmVyZW5jZVwiOlxuICAgICAgICAgIGNvbnNvbGUubG9nKGV2ZW50LmFyZ3VtZW50cyk7XG4gICAgICAgICAgcGVvcGxlID0gYXdhaXQgZ1xuICAgICAgICAgICAgLlYoKVxuICAgICAgICAgICAgLmhhcyhldmVudC5hcmd1bWVudHMudmFsdWUsIFwibmFtZVwiLCBldmVudC5hcmd1bWVudHMubmFtZSlcbiAgICAgICAgICAgIC5pbl8oKVxuICAgICAgICAgICAgLnZhbHVlcyhcIm5hbWVcIilcbiAgICAgICAgICAgIC50b0xpc3QoKTtcbiAgICAgICAgICByZXR1cm4gW3sgc2VhcmNoX25hbWUsIHBlb3BsZSB9XTtcbiAgICAgICAgZGVmYXVsdDpcbiAgICAgICAgICBjb25zb2xlLmxvZyhcImRlZmF1bHRcIik7XG4gICAgICB9XG4gICAgfSBlbHNlIGlmICh0eXBlID09PSBcInJlbGF0aW9uXCIpIHtcbiAgICAgIHN3aXRjaCAoZXZlbnQuYXJndW1lbnRzLnZhbHVlKSB7XG4gICAgICAgIGNhc2UgXCJwZXJzb25cIjpcbiAgICAgICAgICBjb25zdCByZXN1bHQgPSBhd2FpdCBnXG4gICAgICAgICAgICAuVigpXG4gICAgICAgICAgICAuaGFzKGV2ZW50LmFyZ3VtZW50cy52YWx1ZSwgXCJuYW1lXCIsIGV2ZW50LmFyZ3VtZW50cy5uYW1lKVxuICAgICAgICAgICAgLmFzKGV2ZW50LmFyZ3VtZW50cy52YWx1ZSlcbiAgICAgICAgICAgIC5vdXQoXCJiZWxvbmdfdG9cIilcbiAgICAgICAgICAgIC5pbl8oKVxuICAgICAgICAgICAgLndoZXJlKFAubmVxKGV2ZW50LmFyZ3VtZW50cy52YWx1ZSkpXG4gICAgICAgICAgICAudmFsdWVzKFwibmFtZVwiKVxuICAgICAgICAgICAgLmRlZHVwKClcbiAgICAgICAgICAgIC50b0xpc3QoKTtcbiAgICAgICAgICByZXR1cm4gcmVzdWx0Lm1hcCgocjogc3RyaW5nKSA9PiB7XG4gICAgICAgICAgICByZXR1cm4geyBuYW1lOiByIH07XG4gICAgICAgICAgfSk7XG5cbiAgICAgICAgY2FzZSBcInByb2R1Y3RcIjpcbiAgICAgICAgICBjb25zdCByZXN1bHQyID0gYXdhaXQgZ1xuICAgICAgICAgICAgLlYoKVxuICAgICAgICAgICAgLmhhcyhldmVudC5hcmd1bWVudHMudmFsdWUsIFwibmFtZVwiLCBldmVudC5hcmd1bWVudHMubmFtZSlcbiAgICAgICAgICAgIC5hcyhldmVudC5hcmd1bWVudHMudmFsdWUpXG4gICAgICAgICAgICAuaW5fKFwidXNhZ2VcIilcbiAgICAgICAgICAgIC5hcyhcInBcIilcbiAgICAgICAgICAgIC5pbl8oXCJhdXRob3JlZF9ieVwiKVxuICAgICAgICAgICAgLm91dCgpXG4gICAgICAgICAgICAud2hlcmUoUC5uZXEoXCJwXCIpKVxuICAgICAgICAgICAgLnZhbHVlcyhcIm5hbWVcIilcbiAgICAgICAgICAgIC5kZWR1cCgpXG4gICAgICAgICAgICAudG9MaXN0KCk7XG4gICAgICAgICAgcmV0dXJuIHJlc3VsdDIubWFwKChyOiBzdHJpbmcpID0+IHtcbiAgICAgICAgICAgIHJldHVybiB7IG5hbWU6IHIgfTtcbiAgICAgICAgICB9KTtcbiAgICAgICAgY2FzZSBcImNvbmZlcmVuY2VcIjpcbiAgICAgICAgICBjb25zb2xlLmxvZyhldmVudC5hcmd1bWVudHMpO1xuICAgICAgICAgIGNvbnN0IHJlc3VsdDMgPSBhd2FpdCBnXG4gICAgICAgICAgICAuVigpXG4gICAgICAgICAgICAuaGFzKGV2ZW50LmFyZ3VtZW50cy52YWx1ZSwgXCJuYW1lXCIsIGV2ZW50LmFyZ3VtZW50cy5uYW1lKVxuICAgICAgICAgICAgLmFzKGV2ZW50LmFyZ3VtZW50cy52YWx1ZSlcbiAgICAgICAgICAgIC5pbl8oKVxuICAgICAgICAgICAgLmFzKFwicFwiKVxuICAgICAgICAgICAgLm91dCgpXG4gICAgICAgICAgICAuaGFzTGFiZWwoXCJwZXJzb25cIilcbiAgICAgICAgICAgIC53aGVyZShQLm5lcShcInBcIikpXG4gICAgICAgICAgICAudmFsdWVzKFwibmFtZVwiKVxuICAgICAgICAgICAgLmRlZHVwKClcbiAgICAgICAgICAgIC50b0xpc3QoKTtcbiAgICAgICAgICBjb25zb2xlLmxvZyhyZXN1bHQzKTtcbiAgICAgICAgICByZXR1cm4gcmVzdWx0My5tYXAoKHI6IHN0cmluZykgPT4ge1xuICAgICAgICAgICAgcmV0dXJuIHsgbmFtZTogciB9O1xuICAgICAgICAgIH0pO1xuICAgICAgICBkZWZhdWx0OlxuICAgICAgICAgIGNvbnNvbGUubG9nKFwiZGVmYXVsdFwiKTtcbiAgICAgIH1cbiAgICB9IGVsc2Uge1xuICAgICAgY29uc3QgcmVzdWx0ID0gYXdhaXQgZy5WKCkudG9MaXN0KCk7XG4gICAgICBjb25zdCB2ZXJ0ZXggPSByZXN1bHQubWFwKChyOiBhbnkpID0+IHtcbiAgICAgICAgcmV0dXJuIHsgaWQ6IHIuaWQsIGxhYmVsOiByLmxhYmVsIH07XG4gICAgICB9KTtcbiAgICAgIGNvbnN0IHJlc3VsdDIgPSBhd2FpdCBnLkUoKS50b0xpc3QoKTtcbiAgICAgIGNvbnN0IGVkZ2UgPSByZXN1bHQyLm1hcCgocjogYW55KSA9PiB7XG4gICAgICAgIGNvbnNvbGUubG9nKHIpO1xuICAgICAgICByZXR1cm4geyBzb3VyY2U6IHIub3V0Vi5pZCwgdGFyZ2V0OiByLmluVi5pZCwgdmFsdWU6IHIubGFiZWwgfTtcbiAgICAgIH0pO1xuICAgICAgcmV0dXJuIHsgbm9kZXM6IHZlcnRleCwgbGlua3M6IGVkZ2UgfTtcbiAgICB9XG4gIH0gY2F0Y2ggKGVycm9yOiBhbnkpIHtcbiAgICBjb25zb2xlLmxvZyhlcnJvcik7XG4gICAgY29uc29sZS5lcnJvcihKU09OLnN0cmluZ2lmeShlcnJvcikpO1xuICAgIHRocm93IGVycm9yO1xuICB9XG59O1xuIl19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicXVlcnlHcmFwaC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInF1ZXJ5R3JhcGgudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBRUEsbUNBQW1DO0FBQ25DLHVEQUErRDtBQUMvRCxzREFJOEI7QUFDOUIsb0RBVTZCO0FBQzdCLDRDQUFpRTtBQUNqRSwwQ0FBNkM7QUFDN0MsNERBQW9GO0FBQ3BGLDhEQUtrQztBQUVsQyxNQUFNLHNCQUFzQixHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsc0JBQXNCLENBQUM7QUFDckUsTUFBTSxDQUFDLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7QUFDNUIsTUFBTSxTQUFTLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyx3QkFBd0IsQ0FBQyxTQUFTLENBQUM7QUFDckUsTUFBTSxFQUFFLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUM7QUFDbkMsTUFBTSxLQUFLLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUM7QUFDcEMsTUFBTSxLQUFLLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUM7QUFFcEMsc0VBQXNFO0FBQ3RFLE1BQU0sbUJBQW1CLEdBQUcsQ0FBQyxDQUFDO0FBQzlCLE1BQU0sZUFBZSxHQUFHLENBQUMsQ0FBQztBQUMxQixNQUFNLG1CQUFtQixHQUFHLEdBQUcsQ0FBQztBQUNoQyxNQUFNLGVBQWUsR0FBRyxJQUFJLENBQUM7QUFFN0IsdUJBQXVCO0FBQ3ZCLE1BQU0saUJBQWlCLEdBQUcsQ0FBQyxDQUFDO0FBQzVCLE1BQU0sYUFBYSxHQUFHLENBQUMsQ0FBQztBQUN4QixNQUFNLGtCQUFrQixHQUFHLENBQUMsQ0FBQztBQUM3QixNQUFNLGNBQWMsR0FBRyxFQUFFLENBQUM7QUFFMUIsbUVBQW1FO0FBQ25FLE1BQU0scUJBQXFCLEdBQUcsR0FBRyxDQUFDO0FBRWxDLGtFQUFrRTtBQUNsRSxNQUFNLG1CQUFtQixHQUFHLEdBQUcsQ0FBQztBQUNoQyxNQUFNLGVBQWUsR0FBRyxHQUFHLENBQUM7QUFDNUIsTUFBTSxZQUFZLEdBQUcsQ0FBQyxJQUFJLEVBQUUsT0FBTyxFQUFFLFdBQVcsRUFBRSxXQUFXLEVBQUUsVUFBVSxFQUFFLGFBQWEsRUFBRSxRQUFRLEVBQUUsT0FBTyxDQUFDLENBQUM7QUFDN0csd0VBQXdFO0FBQ3hFLDBCQUEwQjtBQUMxQixNQUFNLGlCQUFpQixHQUFHLEVBQUUsQ0FBQztBQUU3Qiw0REFBNEQ7QUFDNUQsTUFBTSxxQkFBcUIsR0FBRyxHQUFHLENBQUM7QUFDbEMsTUFBTSxpQkFBaUIsR0FBRyxHQUFHLENBQUM7QUFFOUIsNkVBQTZFO0FBQzdFLE1BQU0saUJBQWlCLEdBQUcsRUFBRSxDQUFDO0FBQzdCLE1BQU0sYUFBYSxHQUFHLEdBQUcsQ0FBQztBQUMxQixNQUFNLGtCQUFrQixHQUFHLENBQUMsTUFBTSxFQUFFLE9BQU8sRUFBRSxZQUFZLENBQUMsQ0FBQztBQUMzRCxNQUFNLG1CQUFtQixHQUFHO0lBQzFCLGFBQWE7SUFDYixrQkFBa0I7SUFDbEIsb0JBQW9CO0lBQ3BCLE1BQU07SUFDTixZQUFZO0lBQ1osVUFBVTtJQUNWLE1BQU07Q0FDUCxDQUFDO0FBRUYseUVBQXlFO0FBQ3pFLHNFQUFzRTtBQUN0RSxNQUFNLFlBQVksR0FBRyxDQUFDLE1BQWMsRUFBVSxFQUFFLENBQzlDLE1BQU0sQ0FBQyxJQUFJLENBQUMsVUFBVSxNQUFNLEVBQUUsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsQ0FBQztBQUVyRCxNQUFNLFlBQVksR0FBRyxDQUFDLE1BQXNCLEVBQVUsRUFBRTtJQUN0RCxJQUFJLENBQUMsTUFBTTtRQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUM7SUFDdkIsTUFBTSxPQUFPLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsUUFBUSxDQUFDLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQy9ELE1BQU0sS0FBSyxHQUFHLE9BQU8sQ0FBQyxLQUFLLENBQUMsZ0JBQWdCLENBQUMsQ0FBQztJQUM5QyxJQUFJLENBQUMsS0FBSztRQUFFLE1BQU0sSUFBQSx3QkFBZSxFQUFDLGdCQUFnQixFQUFFLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxDQUFDLENBQUM7SUFDeEUsT0FBTyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7QUFDMUIsQ0FBQyxDQUFDO0FBRUYsZ0VBQWdFO0FBQ2hFLE1BQU0sV0FBVyxHQUFHLEdBQUcsRUFBRSxDQUN2QixFQUFFLENBQUMsUUFBUSxDQUNULEVBQUUsQ0FBQyxNQUFNLENBQUMsYUFBYSxDQUFDLEVBQ3hCLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQ2pCLEVBQUUsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLEVBQ3BCLEVBQUUsQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLEVBQ3JCLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQ2pCLEVBQUUsQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDLENBQ3ZCLENBQUM7QUFFSixNQUFNLGVBQWUsR0FBRyxHQUFHLEVBQUUsQ0FBQyxDQUFDO0lBQzdCLEtBQUssRUFBRSxFQUFFO0lBQ1QsUUFBUSxFQUFFO1FBQ1IsV0FBVyxFQUFFLEtBQUs7UUFDbEIsZUFBZSxFQUFFLEtBQUs7UUFDdEIsV0FBVyxFQUFFLElBQUk7UUFDakIsU0FBUyxFQUFFLElBQUk7S0FDaEI7SUFDRCxVQUFVLEVBQUUsQ0FBQztDQUNkLENBQUMsQ0FBQztBQUVIOzs7O0dBSUc7QUFDSCxNQUFNLFFBQVEsR0FBRyxLQUFLLEVBQ3BCLEtBQWdCLEVBQ2hCLE1BQXFCLEVBQ3JCLElBT0MsRUFDRCxFQUFFO0lBQ0YsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FDcEIsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsS0FBSyxJQUFJLGlCQUFpQixFQUFFLENBQUMsQ0FBQyxFQUM1QyxhQUFhLENBQ2QsQ0FBQztJQUNGLE1BQU0sS0FBSyxHQUFHLFlBQVksQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQzNDLE1BQU0sU0FBUyxHQUFHLElBQUksQ0FBQyxhQUFhLEtBQUssTUFBTSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDO0lBRXpFLElBQUksT0FBTyxHQUFHLEtBQUssRUFBRSxDQUFDLEtBQUssRUFBRSxDQUFDO0lBQzlCLElBQUksSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDO1FBQ2hCLE9BQU8sR0FBRyxPQUFPLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQUUsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ3JELENBQUM7SUFFRCxNQUFNLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxHQUFHLE1BQU0sT0FBTyxDQUFDLEdBQUcsQ0FBQztRQUN0QyxPQUFPO2FBQ0osRUFBRSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFLFNBQVMsQ0FBQzthQUNyQyxFQUFFLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsR0FBRyxDQUFDO2FBQzlCLEtBQUssQ0FBQyxLQUFLLEVBQUUsS0FBSyxHQUFHLEtBQUssR0FBRyxDQUFDLENBQUM7YUFDL0IsTUFBTSxFQUFFO1FBQ1gsS0FBSyxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUMsSUFBSSxFQUFFO0tBQ3ZCLENBQUMsQ0FBQztJQUVILE1BQU0sV0FBVyxHQUFHLElBQUksQ0FBQyxNQUFNLEdBQUcsS0FBSyxDQUFDO0lBQ3hDLE1BQU0sSUFBSSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDO0lBQ2xDLE1BQU0sS0FBSyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFNLEVBQUUsQ0FBUyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQzdDLE1BQU0sRUFBRSxZQUFZLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQztRQUMvQixJQUFJLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQztLQUNoQixDQUFDLENBQUMsQ0FBQztJQUVKLE9BQU87UUFDTCxLQUFLO1FBQ0wsUUFBUSxFQUFFO1lBQ1IsV0FBVztZQUNYLGVBQWUsRUFBRSxLQUFLLEdBQUcsQ0FBQztZQUMxQixXQUFXLEVBQUUsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLElBQUk7WUFDdEQsU0FBUyxFQUFFLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLElBQUk7U0FDcEU7UUFDRCxVQUFVLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxLQUFLLElBQUksQ0FBQyxDQUFDO0tBQ3JDLENBQUM7QUFDSixDQUFDLENBQUM7QUFFSyxNQUFNLE9BQU8sR0FBWSxLQUFLLEVBQUUsS0FBSyxFQUFFLEVBQUU7SUFDOUMsSUFBSSxJQUFJLEdBQUcsSUFBSSxDQUFDO0lBQ2hCLE1BQU0sb0JBQW9CLEdBQUcsR0FBRyxFQUFFO1FBQ2hDLE9BQU8sSUFBQSx3QkFBZ0IsRUFDckIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxnQkFBZ0IsRUFDNUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxZQUFZLEVBQ3hCLEVBQUUsRUFDRixVQUFVLEVBQ1YsS0FBSyxDQUNOLENBQUM7SUFDSixDQUFDLENBQUM7SUFFRixNQUFNLHNCQUFzQixHQUFHLEdBQUcsRUFBRTtRQUNsQyxNQUFNLEVBQUUsR0FBRyxFQUFFLE9BQU8sRUFBRSxHQUFHLG9CQUFvQixFQUFFLENBQUM7UUFFaEQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUNqQixPQUFPLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ3JCLE1BQU0sQ0FBQyxHQUFHLElBQUksc0JBQXNCLENBQUMsR0FBRyxFQUFFO1lBQ3hDLFFBQVEsRUFBRSxtQ0FBbUM7WUFDN0MsT0FBTyxFQUFFLE9BQU87U0FDakIsQ0FBQyxDQUFDO1FBQ0gsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxXQUFXLENBQUMsRUFBRSxDQUFDLE9BQU8sRUFBRSxDQUFDLElBQVksRUFBRSxPQUFlLEVBQUUsRUFBRTtZQUNsRSxPQUFPLENBQUMsSUFBSSxDQUFDLFdBQVcsSUFBSSxJQUFJLE9BQU8sRUFBRSxDQUFDLENBQUM7WUFDM0MsSUFBSSxJQUFJLElBQUksSUFBSSxFQUFFLENBQUM7Z0JBQ2pCLE9BQU8sQ0FBQyxLQUFLLENBQUMsK0JBQStCLENBQUMsQ0FBQztnQkFDL0MsTUFBTSxJQUFJLEtBQUssQ0FBQywrQkFBK0IsQ0FBQyxDQUFDO1lBQ25ELENBQUM7UUFDSCxDQUFDLENBQUMsQ0FBQztRQUNILE9BQU8sQ0FBQyxDQUFDO0lBQ1gsQ0FBQyxDQUFDO0lBRUYsSUFBSSxDQUFDLENBQUM7SUFFTixJQUFJLENBQUM7UUFDSCxJQUFBLG1CQUFXLEVBQUMsS0FBSyxDQUFDLFFBQVEsRUFBRSxRQUFRLEVBQUUsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBRW5ELElBQUksSUFBSSxJQUFJLElBQUksRUFBRSxDQUFDO1lBQ2pCLE9BQU8sQ0FBQyxJQUFJLENBQUMseUJBQXlCLENBQUMsQ0FBQztZQUN4QyxJQUFJLEdBQUcsc0JBQXNCLEVBQUUsQ0FBQztZQUNoQyxDQUFDLEdBQUcsU0FBUyxFQUFFLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ25DLENBQUM7UUFFRCx1RUFBdUU7UUFDdkUsMERBQTBEO1FBQzFELE1BQU0sTUFBTSxHQUFHLElBQUEsc0NBQXFCLEVBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxDQUFDO1FBQ3JELE1BQU0sYUFBYSxHQUFHLEdBQUcsRUFBRSxDQUN6QixFQUFFLENBQUMsUUFBUSxDQUFDLGNBQWMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxvQkFBb0IsRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsQ0FBQztRQUM3RSxNQUFNLE9BQU8sR0FBRyxDQUFDLENBQU0sRUFBRSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxhQUFhLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUU3RSx5QkFBeUI7UUFDekIsTUFBTSxZQUFZLEdBQTZFO1lBQzdGLE1BQU0sRUFBRSxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLENBQUMsYUFBYSxFQUFFLE1BQU0sQ0FBQyxFQUFFO1lBQzVELE9BQU8sRUFBRSxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLENBQUMsYUFBYSxDQUFDLEVBQUUsVUFBVSxFQUFFLFNBQVMsRUFBRTtZQUM1RSxRQUFRLEVBQUUsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxDQUFDLE1BQU0sQ0FBQyxFQUFFLFVBQVUsRUFBRSxVQUFVLEVBQUU7WUFDdkUsU0FBUyxFQUFFLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsQ0FBQyxNQUFNLENBQUMsRUFBRSxVQUFVLEVBQUUsV0FBVyxFQUFFO1lBQ3pFLE1BQU0sRUFBRSxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLENBQUMsYUFBYSxDQUFDLEVBQUUsVUFBVSxFQUFFLFFBQVEsRUFBRTtZQUMxRSxLQUFLLEVBQUUsRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLE1BQU0sRUFBRSxDQUFDLE1BQU0sRUFBRSxPQUFPLEVBQUUsS0FBSyxDQUFDLEVBQUU7WUFDM0QsR0FBRyxFQUFFLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxNQUFNLEVBQUUsQ0FBQyxTQUFTLENBQUMsRUFBRTtZQUMxQyxJQUFJLEVBQUUsRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxDQUFDLFVBQVUsQ0FBQyxFQUFFO1lBQzdDLFlBQVksRUFBRSxFQUFFLEtBQUssRUFBRSxjQUFjLEVBQUUsTUFBTSxFQUFFLENBQUMsYUFBYSxDQUFDLEVBQUU7U0FDakUsQ0FBQztRQUVGLElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxnQkFBZ0IsRUFBRSxDQUFDO1lBQ3JDLE1BQU0sRUFBRSxVQUFVLEVBQUUsV0FBVyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLGFBQWEsRUFBRSxJQUFJLEVBQUUsR0FDMUUsS0FBSyxDQUFDLFNBQVMsQ0FBQztZQUNsQixNQUFNLEdBQUcsR0FBRyxZQUFZLENBQUMsVUFBVSxDQUFDLENBQUM7WUFDckMsSUFBSSxDQUFDLEdBQUc7Z0JBQUUsTUFBTSxJQUFBLHdCQUFlLEVBQUMsd0JBQXdCLFVBQVUsRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLFlBQVksRUFBRSxDQUFDLENBQUM7WUFDL0YsSUFBSSxNQUFNLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQztnQkFDbkQsTUFBTSxJQUFBLHdCQUFlLEVBQUMsdUJBQXVCLE1BQU0sRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxDQUFDLENBQUM7WUFDOUUsQ0FBQztZQUVELE1BQU0sT0FBTyxHQUFHLENBQUMsV0FBVyxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO1lBQzNDLE1BQU0sUUFBUSxHQUFHLE9BQU8sS0FBSyxFQUFFLElBQUksT0FBTyxLQUFLLEdBQUcsQ0FBQztZQUVuRCxzRUFBc0U7WUFDdEUseUVBQXlFO1lBQ3pFLE1BQU0sTUFBTSxHQUFHLElBQUksS0FBSyxRQUFRLElBQUksUUFBUSxDQUFDO1lBQzdDLE1BQU0sUUFBUSxHQUFHLE1BQU07Z0JBQ3JCLENBQUMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksR0FBRyxDQUFDLENBQUMsR0FBRyxHQUFHLENBQUMsTUFBTSxFQUFFLEdBQUcsaUNBQW1CLENBQUMsQ0FBQyxDQUFDO3FCQUN6RCxHQUFHLENBQUMsQ0FBQyxDQUFTLEVBQUUsRUFBRSxDQUFDLENBQUM7b0JBQ25CLEdBQUcsRUFBRSxJQUFBLGdDQUFrQixFQUFDLENBQUMsQ0FBQztvQkFDMUIsSUFBSSxFQUFFLElBQUEsa0NBQW9CLEVBQUMsQ0FBQyxFQUFFLE9BQU8sQ0FBQztpQkFDdkMsQ0FBQyxDQUFDO3FCQUNGLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksS0FBSyxFQUFFLENBQUM7Z0JBQ2pDLENBQUMsQ0FBQyxFQUFFLENBQUM7WUFDUCxJQUFJLE1BQU0sSUFBSSxRQUFRLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSxDQUFDO2dCQUNwQyx1Q0FBdUM7Z0JBQ3ZDLE9BQU8sZUFBZSxFQUFFLENBQUM7WUFDM0IsQ0FBQztZQUVELE1BQU0sV0FBVyxHQUFHLEdBQUcsRUFBRTtnQkFDdkIsSUFBSSxXQUFXLEdBQUcsT0FBTyxDQUFDLENBQUUsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxDQUFDLE1BQU0sQ0FBQywrQkFBa0IsQ0FBQyxDQUFDLENBQUM7Z0JBQ2pGLElBQUksR0FBRyxDQUFDLFVBQVUsRUFBRSxDQUFDO29CQUNuQixXQUFXLEdBQUcsV0FBVyxDQUFDLEdBQUcsQ0FBQyxhQUFhLEVBQUUsR0FBRyxDQUFDLFVBQVUsQ0FBQyxDQUFDO2dCQUMvRCxDQUFDO2dCQUVELElBQUksTUFBTSxFQUFFLENBQUM7b0JBQ1gsV0FBVyxHQUFHLFdBQVcsQ0FBQyxFQUFFLENBQzFCLEdBQUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsR0FBRyxFQUFFLEtBQUssQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FDaEUsQ0FBQztnQkFDSixDQUFDO3FCQUFNLElBQUksUUFBUSxFQUFFLENBQUM7b0JBQ3BCLElBQUksR0FBRyxDQUFDLE1BQU0sQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFLENBQUM7d0JBQzVCLFdBQVcsR0FBRyxXQUFXLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO29CQUMxRSxDQUFDO3lCQUFNLENBQUM7d0JBQ04sV0FBVyxHQUFHLFdBQVcsQ0FBQyxFQUFFLENBQzFCLEdBQUcsR0FBRyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFTLEVBQUUsRUFBRSxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLEtBQUssQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUN2RSxDQUFDO29CQUNKLENBQUM7Z0JBQ0gsQ0FBQztnQkFFRCwrREFBK0Q7Z0JBQy9ELE1BQU0sSUFBSSxHQUFHLE1BQU07b0JBQ2pCLENBQUMsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUNULEVBQUUsQ0FBQyxFQUFFLENBQUMsR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLEVBQ2hFLEVBQUUsQ0FBQyxFQUFFLENBQ0gsR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxHQUFHLEVBQUUsS0FBSyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUNsRSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsRUFDYixFQUFFLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUNmO29CQUNILENBQUMsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUVuQixPQUFPLFdBQVc7cUJBQ2YsT0FBTyxDQUFDLElBQUksRUFBRSxNQUFNLEVBQUUsT0FBTyxFQUFFLFlBQVksRUFBRSxNQUFNLENBQUM7cUJBQ3BELEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7cUJBQ1gsRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDO3FCQUNqQixFQUFFLENBQUMsRUFBRSxDQUFDLEtBQUssRUFBRSxDQUFDO3FCQUNkLEVBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsYUFBYSxDQUFDLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO3FCQUMxRCxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUM7WUFDZCxDQUFDLENBQUM7WUFFRixPQUFPLFFBQVEsQ0FDYixXQUFXLEVBQ1gsQ0FBQyxDQUFNLEVBQUUsRUFBRSxDQUFDLENBQUM7Z0JBQ1gsRUFBRSxFQUFFLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUM7Z0JBQzdDLElBQUksRUFBRSxDQUFDLENBQUMsSUFBSSxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDO2dCQUNuRCxLQUFLLEVBQUUsQ0FBQyxDQUFDLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztnQkFDdEQsVUFBVSxFQUFFLENBQUMsQ0FBQyxVQUFVLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxJQUFJO2FBQ3pFLENBQUMsRUFDRjtnQkFDRSxLQUFLO2dCQUNMLEtBQUs7Z0JBQ0wsTUFBTSxFQUFFLE1BQU0sSUFBSSxNQUFNO2dCQUN4QixhQUFhO2dCQUNiLE1BQU0sRUFBRSxNQUFNLElBQUksQ0FBQyxNQUFNO2FBQzFCLENBQ0YsQ0FBQztRQUNKLENBQUM7UUFFRCxJQUFJLEtBQUssQ0FBQyxLQUFLLEtBQUssZ0JBQWdCLEVBQUUsQ0FBQztZQUNyQyxNQUFNLEVBQUUsV0FBVyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLGFBQWEsRUFBRSxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUM7WUFDN0UsSUFBSSxNQUFNLElBQUksQ0FBQyxtQkFBbUIsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQztnQkFDcEQsTUFBTSxJQUFBLHdCQUFlLEVBQUMsdUJBQXVCLE1BQU0sRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxDQUFDLENBQUM7WUFDOUUsQ0FBQztZQUNELE1BQU0sT0FBTyxHQUFHLENBQUMsV0FBVyxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO1lBRTNDLE1BQU0sV0FBVyxHQUFHLEdBQUcsRUFBRTtnQkFDdkIsZ0RBQWdEO2dCQUNoRCxJQUFJLFdBQVcsR0FBRyxPQUFPLENBQ3ZCLENBQUUsQ0FBQyxDQUFDLEVBQUU7cUJBQ0gsUUFBUSxDQUFDLGNBQWMsQ0FBQztxQkFDeEIsTUFBTSxDQUFDLCtCQUFrQixDQUFDO3FCQUMxQixHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxVQUFVLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FDakMsQ0FBQztnQkFDRixJQUFJLE9BQU8sRUFBRSxDQUFDO29CQUNaLFdBQVcsR0FBRyxXQUFXLENBQUMsR0FBRyxDQUFDLGFBQWEsRUFBRSxLQUFLLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7Z0JBQzFFLENBQUM7Z0JBRUQsT0FBTyxXQUFXO3FCQUNmLE9BQU8sQ0FBQyxJQUFJLEVBQUUsYUFBYSxFQUFFLGtCQUFrQixFQUFFLG9CQUFvQixFQUFFLE1BQU0sRUFBRSxZQUFZLEVBQUUsVUFBVSxFQUFFLE1BQU0sQ0FBQztxQkFDaEgsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztxQkFDWCxFQUFFLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLGFBQWEsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztxQkFDMUQsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxrQkFBa0IsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztxQkFDL0QsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxvQkFBb0IsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztxQkFDakUsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7cUJBQ25ELEVBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO3FCQUN6RCxFQUFFLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztxQkFDdkQsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN6RCxDQUFDLENBQUM7WUFFRixPQUFPLFFBQVEsQ0FDYixXQUFXLEVBQ1gsQ0FBQyxDQUFNLEVBQUUsRUFBRSxDQUFDLENBQUM7Z0JBQ1gsRUFBRSxFQUFFLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUM7Z0JBQzdDLFdBQVcsRUFBRSxDQUFDLENBQUMsV0FBVyxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO2dCQUNqRSxnQkFBZ0IsRUFBRSxDQUFDLENBQUMsZ0JBQWdCLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLGtCQUFrQixDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztnQkFDaEYsa0JBQWtCLEVBQUUsQ0FBQyxDQUFDLGtCQUFrQixJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxvQkFBb0IsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7Z0JBQ3RGLElBQUksRUFBRSxDQUFDLENBQUMsSUFBSSxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO2dCQUM1QyxVQUFVLEVBQUUsQ0FBQyxDQUFDLFVBQVUsSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztnQkFDOUQsUUFBUSxFQUFFLENBQUMsQ0FBQyxRQUFRLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7Z0JBQ3hELElBQUksRUFBRSxDQUFDLENBQUMsSUFBSSxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO2FBQzdDLENBQUMsRUFDRixFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLE1BQU0sSUFBSSxhQUFhLEVBQUUsYUFBYSxFQUFFLENBQ2pFLENBQUM7UUFDSixDQUFDO1FBRUQsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLG9CQUFvQixFQUFFLENBQUM7WUFDekMsTUFBTSxFQUFFLFdBQVcsRUFBRSxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUM7WUFFeEMsTUFBTSxPQUFPLEdBQUcsTUFBTSxPQUFPLENBQzNCLENBQUUsQ0FBQyxDQUFDLEVBQUU7aUJBQ0gsUUFBUSxDQUFDLGNBQWMsQ0FBQztpQkFDeEIsR0FBRyxDQUFDLGFBQWEsRUFBRSxXQUFXLENBQUM7aUJBQy9CLE1BQU0sQ0FBQywrQkFBa0IsQ0FBQyxDQUM5QjtpQkFDRSxHQUFHLENBQUMsVUFBVSxDQUFDO2lCQUNmLE1BQU0sQ0FBQywrQkFBa0IsQ0FBQztpQkFDMUIsSUFBSSxFQUFFO2lCQUNOLFFBQVEsQ0FBQyxTQUFTLENBQUM7aUJBQ25CLE1BQU0sQ0FBQywrQkFBa0IsQ0FBQztpQkFDMUIsT0FBTyxDQUFDLElBQUksRUFBRSxjQUFjLEVBQUUsWUFBWSxFQUFFLE9BQU8sRUFBRSxjQUFjLENBQUM7aUJBQ3BFLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7aUJBQ1gsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxjQUFjLENBQUMsRUFBRSxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7aUJBQzNELEVBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO2lCQUN6RCxFQUFFLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztpQkFDcEQsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxjQUFjLENBQUMsRUFBRSxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7aUJBQzNELE1BQU0sRUFBRSxDQUFDO1lBRVosT0FBTyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBTSxFQUFFLEVBQUUsQ0FBQyxDQUFDO2dCQUM5QixFQUFFLEVBQUUsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztnQkFDN0MsWUFBWSxFQUFFLENBQUMsQ0FBQyxZQUFZLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7Z0JBQ3BFLFVBQVUsRUFBRSxDQUFDLENBQUMsVUFBVSxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO2dCQUM5RCxLQUFLLEVBQUUsQ0FBQyxDQUFDLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztnQkFDL0MsWUFBWSxFQUFFLENBQUMsQ0FBQyxZQUFZLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7YUFDckUsQ0FBQyxDQUFDLENBQUM7UUFDTixDQUFDO1FBRUQsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLHFCQUFxQixJQUFJLEtBQUssQ0FBQyxLQUFLLEtBQUssZ0JBQWdCLEVBQUUsQ0FBQztZQUM5RSxNQUFNLEVBQUUsVUFBVSxFQUFFLFdBQVcsRUFBRSxRQUFRLEVBQUUsY0FBYyxFQUFFLEdBQUcsS0FBSyxDQUFDLFNBQVMsQ0FBQztZQUM5RSxNQUFNLEdBQUcsR0FBRyxZQUFZLENBQUMsVUFBVSxDQUFDLENBQUM7WUFDckMsSUFBSSxDQUFDLEdBQUc7Z0JBQUUsTUFBTSxJQUFBLHdCQUFlLEVBQUMsd0JBQXdCLFVBQVUsRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLFlBQVksRUFBRSxDQUFDLENBQUM7WUFFL0YsSUFBSSxRQUFRLEdBQUcsY0FBYyxDQUFDO1lBQzlCLElBQUksUUFBUSxFQUFFLENBQUM7Z0JBQ2IsTUFBTSxJQUFJLEdBQUcsTUFBTSxPQUFPLENBQUMsQ0FBRSxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxNQUFNLENBQUMsK0JBQWtCLENBQUMsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyx3QkFBVyxDQUFDLENBQUMsQ0FBQztxQkFDaEcsRUFBRSxFQUFFO3FCQUNKLE1BQU0sRUFBRSxDQUFDO2dCQUNaLElBQUksSUFBSSxDQUFDLE1BQU0sS0FBSyxDQUFDO29CQUFFLE9BQU8sRUFBRSxDQUFDO1lBQ25DLENBQUM7aUJBQU0sQ0FBQztnQkFDTixJQUFJLFdBQVcsR0FBRyxPQUFPLENBQUMsQ0FBRSxDQUFDLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUMsTUFBTSxDQUFDLCtCQUFrQixDQUFDLENBQUMsQ0FBQztnQkFDakYsSUFBSSxHQUFHLENBQUMsVUFBVSxFQUFFLENBQUM7b0JBQ25CLFdBQVcsR0FBRyxXQUFXLENBQUMsR0FBRyxDQUFDLGFBQWEsRUFBRSxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUM7Z0JBQy9ELENBQUM7Z0JBQ0QsTUFBTSxTQUFTLEdBQUcsQ0FBQyxXQUFXLElBQUksRUFBRSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7Z0JBQzdDLElBQUksU0FBUyxJQUFJLFNBQVMsS0FBSyxHQUFHLEVBQUUsQ0FBQztvQkFDbkMsSUFBSSxHQUFHLENBQUMsTUFBTSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUUsQ0FBQzt3QkFDNUIsV0FBVyxHQUFHLFdBQVcsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRSxLQUFLLENBQUMsVUFBVSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7b0JBQzVFLENBQUM7eUJBQU0sQ0FBQzt3QkFDTixXQUFXLEdBQUcsV0FBVyxDQUFDLEVBQUUsQ0FDMUIsR0FBRyxHQUFHLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQVMsRUFBRSxFQUFFLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLFVBQVUsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQ3pFLENBQUM7b0JBQ0osQ0FBQztnQkFDSCxDQUFDO2dCQUNELE1BQU0sU0FBUyxHQUFHLE1BQU0sV0FBVyxDQUFDLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLEVBQUUsQ0FBQztnQkFDM0QsSUFBSSxTQUFTLENBQUMsTUFBTSxLQUFLLENBQUM7b0JBQUUsT0FBTyxFQUFFLENBQUM7Z0JBQ3RDLFFBQVEsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDMUIsQ0FBQztZQUVELElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxxQkFBcUIsRUFBRSxDQUFDO2dCQUMxQyxNQUFNLE1BQU0sR0FBRyxNQUFNLENBQUUsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsTUFBTSxFQUFFLENBQUM7Z0JBQ3hELElBQUksTUFBTSxDQUFDLE1BQU0sS0FBSyxDQUFDO29CQUFFLE9BQU8sRUFBRSxDQUFDO2dCQUNuQyxPQUFPLElBQUEsMkJBQWMsRUFBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUNuQyxDQUFDO1lBRUQsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLGdCQUFnQixFQUFFLENBQUM7Z0JBQ3JDLE1BQU0sUUFBUSxHQUFHLE1BQU0sQ0FBRSxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUM7cUJBQ2xDLElBQUksRUFBRTtxQkFDTixNQUFNLENBQUMsK0JBQWtCLENBQUM7cUJBQzFCLEtBQUssQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUM7cUJBQ3hCLE9BQU8sQ0FBQyxRQUFRLEVBQUUsV0FBVyxFQUFFLFVBQVUsRUFBRSxhQUFhLEVBQUUsWUFBWSxFQUFFLFlBQVksQ0FBQztxQkFDckYsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztxQkFDWCxFQUFFLENBQUMsRUFBRSxDQUFDLEtBQUssRUFBRSxDQUFDO3FCQUNkLEVBQUUsQ0FBQyxFQUFFLENBQUMsR0FBRyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7cUJBQ2pCLEVBQUUsQ0FBQyxFQUFFLENBQUMsR0FBRyxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUM7cUJBQ3BCLEVBQUUsQ0FBQyxFQUFFLENBQUMsR0FBRyxFQUFFLENBQUMsR0FBRyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7cUJBQy9CLEVBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxFQUFFLENBQUM7cUJBQ2pCLE1BQU0sRUFBRSxDQUFDO2dCQUVaLE1BQU0sT0FBTyxHQUFHLE1BQU0sQ0FBRSxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUM7cUJBQ2pDLEdBQUcsRUFBRTtxQkFDTCxNQUFNLENBQUMsK0JBQWtCLENBQUM7cUJBQzFCLEtBQUssQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUM7cUJBQ3pCLE9BQU8sQ0FBQyxRQUFRLEVBQUUsV0FBVyxFQUFFLFVBQVUsRUFBRSxhQUFhLEVBQUUsWUFBWSxFQUFFLFlBQVksQ0FBQztxQkFDckYsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztxQkFDWCxFQUFFLENBQUMsRUFBRSxDQUFDLEtBQUssRUFBRSxDQUFDO3FCQUNkLEVBQUUsQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7cUJBQ2xCLEVBQUUsQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUM7cUJBQ3JCLEVBQUUsQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsR0FBRyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7cUJBQ2hDLEVBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxFQUFFLENBQUM7cUJBQ2pCLE1BQU0sRUFBRSxDQUFDO2dCQUVaLE1BQU0sS0FBSyxHQUFrTCxFQUFFLENBQUM7Z0JBQ2hNLEtBQUssTUFBTSxDQUFDLElBQUksUUFBaUIsRUFBRSxDQUFDO29CQUNsQyxLQUFLLENBQUMsSUFBSSxDQUFDO3dCQUNULE1BQU0sRUFBRSxDQUFDLENBQUMsTUFBTSxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO3dCQUNsRCxTQUFTLEVBQUUsQ0FBQyxDQUFDLFNBQVMsSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQzt3QkFDM0QsU0FBUyxFQUFFLFVBQVU7d0JBQ3JCLFFBQVEsRUFBRSxDQUFDLENBQUMsUUFBUSxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO3dCQUN4RCxXQUFXLEVBQUUsQ0FBQyxDQUFDLFdBQVcsSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQzt3QkFDakUsVUFBVSxFQUFFLENBQUMsQ0FBQyxVQUFVLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7d0JBQzlELFVBQVUsRUFBRSxJQUFBLDJCQUFjLEVBQUMsQ0FBQyxDQUFDLFVBQVUsSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDO3FCQUMvRSxDQUFDLENBQUM7Z0JBQ0wsQ0FBQztnQkFDRCxLQUFLLE1BQU0sQ0FBQyxJQUFJLE9BQWdCLEVBQUUsQ0FBQztvQkFDakMsS0FBSyxDQUFDLElBQUksQ0FBQzt3QkFDVCxNQUFNLEVBQUUsQ0FBQyxDQUFDLE1BQU0sSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQzt3QkFDbEQsU0FBUyxFQUFFLENBQUMsQ0FBQyxTQUFTLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7d0JBQzNELFNBQVMsRUFBRSxVQUFVO3dCQUNyQixRQUFRLEVBQUUsQ0FBQyxDQUFDLFFBQVEsSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQzt3QkFDeEQsV0FBVyxFQUFFLENBQUMsQ0FBQyxXQUFXLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7d0JBQ2pFLFVBQVUsRUFBRSxDQUFDLENBQUMsVUFBVSxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO3dCQUM5RCxVQUFVLEVBQUUsSUFBQSwyQkFBYyxFQUFDLENBQUMsQ0FBQyxVQUFVLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQztxQkFDL0UsQ0FBQyxDQUFDO2dCQUNMLENBQUM7Z0JBQ0QsT0FBTyxLQUFLLENBQUM7WUFDZixDQUFDO1FBQ0gsQ0FBQztRQUVELG1FQUFtRTtRQUNuRSx3REFBd0Q7UUFDeEQsTUFBTSxtQkFBbUIsR0FBRyxLQUFLLEVBQy9CLE1BQWlDLEVBQ2pDLEtBQWEsRUFDYixLQUFhLEVBQ2IsT0FBaUIsRUFDakIsT0FBaUIsRUFDbUMsRUFBRTtZQUN0RCxxRUFBcUU7WUFDckUsTUFBTSxnQkFBZ0IsR0FBRyxDQUFDLENBQU0sRUFBRSxFQUFFO2dCQUNsQyxNQUFNLFFBQVEsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsd0JBQVcsQ0FBQyxDQUFDLENBQUM7Z0JBQ2pELE9BQU8sT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsR0FBRyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDO1lBQ3ZFLENBQUMsQ0FBQztZQUVGLG1FQUFtRTtZQUNuRSxzRUFBc0U7WUFDdEUsOENBQThDO1lBQzlDLE1BQU0sT0FBTyxHQUFhLEVBQUUsQ0FBQztZQUM3QixJQUFJLFNBQVMsR0FBRyxLQUFLLENBQUM7WUFFdEIsSUFBSSxNQUFNLEVBQUUsQ0FBQztnQkFDWCxNQUFNLElBQUksR0FBRyxNQUFNLE9BQU8sQ0FDeEIsQ0FBRSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxNQUFNLENBQUMsK0JBQWtCLENBQUMsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyx3QkFBVyxDQUFDLENBQUMsQ0FDdEUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxNQUFNLEVBQUUsQ0FBQztnQkFDaEIsSUFBSSxJQUFJLENBQUMsTUFBTSxLQUFLLENBQUM7b0JBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxTQUFTLEVBQUUsQ0FBQztnQkFDckQsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFFOUIsSUFBSSxRQUFRLEdBQWEsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxDQUFDO2dCQUN0QyxLQUFLLElBQUksR0FBRyxHQUFHLENBQUMsRUFBRSxHQUFHLEdBQUcsS0FBSyxJQUFJLFFBQVEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLEdBQUcsRUFBRSxFQUFFLENBQUM7b0JBQzVELE1BQU0sU0FBUyxHQUFHLEtBQUssR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDO29CQUN6QyxNQUFNLElBQUksR0FBRyxNQUFNLE9BQU8sQ0FBQyxnQkFBZ0IsQ0FDekMsQ0FBRSxDQUFDLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxDQUFDLEtBQUssQ0FBQyxHQUFHLE9BQU8sQ0FBQyxDQUFDLE1BQU0sQ0FBQywrQkFBa0IsQ0FBQyxDQUFDLE1BQU0sRUFBRSxDQUN4RSxDQUFDO3lCQUNDLEdBQUcsQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxPQUFPLENBQUMsQ0FBQyxDQUFDO3lCQUNuQyxLQUFLLEVBQUU7eUJBQ1AsRUFBRSxFQUFFO3lCQUNKLEtBQUssQ0FBQyxTQUFTLEdBQUcsQ0FBQyxDQUFDO3lCQUNwQixNQUFNLEVBQUUsQ0FBQztvQkFDWixJQUFJLElBQUksQ0FBQyxNQUFNLEdBQUcsU0FBUyxFQUFFLENBQUM7d0JBQzVCLFNBQVMsR0FBRyxJQUFJLENBQUM7d0JBQ2pCLElBQUksQ0FBQyxNQUFNLEdBQUcsU0FBUyxDQUFDO29CQUMxQixDQUFDO29CQUNELFFBQVEsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBTSxFQUFFLEVBQUUsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztvQkFDM0MsT0FBTyxDQUFDLElBQUksQ0FBQyxHQUFHLFFBQVEsQ0FBQyxDQUFDO29CQUMxQixJQUFJLFNBQVM7d0JBQUUsTUFBTTtnQkFDdkIsQ0FBQztZQUNILENBQUM7aUJBQU0sQ0FBQztnQkFDTiw0RUFBNEU7Z0JBQzVFLE1BQU0sTUFBTSxHQUFHLE1BQU0sT0FBTyxDQUFDLGdCQUFnQixDQUFDLENBQUUsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsK0JBQWtCLENBQUMsQ0FBQyxDQUFDO3FCQUM5RSxFQUFFLEVBQUU7cUJBQ0osS0FBSyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUM7cUJBQ2hCLE1BQU0sRUFBRSxDQUFDO2dCQUNaLElBQUksTUFBTSxDQUFDLE1BQU0sR0FBRyxLQUFLLEVBQUUsQ0FBQztvQkFDMUIsU0FBUyxHQUFHLElBQUksQ0FBQztvQkFDakIsTUFBTSxDQUFDLE1BQU0sR0FBRyxLQUFLLENBQUM7Z0JBQ3hCLENBQUM7Z0JBQ0QsT0FBTyxDQUFDLElBQUksQ0FBQyxHQUFHLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFNLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDckQsQ0FBQztZQUNELE9BQU8sRUFBRSxPQUFPLEVBQUUsU0FBUyxFQUFFLENBQUM7UUFDaEMsQ0FBQyxDQUFDO1FBRUYsd0RBQXdEO1FBQ3hELE1BQU0sV0FBVyxHQUFHLENBQUMsT0FBaUIsRUFBRSxPQUFpQixFQUFFLEVBQUUsQ0FDM0QsQ0FBRSxDQUFDLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQzthQUNiLElBQUksQ0FBQyxHQUFHLE9BQU8sQ0FBQzthQUNoQixNQUFNLENBQUMsK0JBQWtCLENBQUM7YUFDMUIsS0FBSyxDQUFDLEVBQUUsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUVqRCw0REFBNEQ7UUFDNUQsTUFBTSxXQUFXLEdBQUcsQ0FBQyxJQUFTLEVBQUUsS0FBYSxFQUFFLE9BQW1DLEVBQUUsRUFBRTtZQUNwRixNQUFNLE1BQU0sR0FBRyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxFQUFFLENBQWEsQ0FBQztZQUMvQyxNQUFNLE9BQU8sR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1lBQzFELElBQUksT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsQ0FBQztnQkFDdkIsTUFBTSxJQUFBLHdCQUFlLEVBQUMsb0JBQW9CLEtBQUssS0FBSyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsQ0FBQyxDQUFDO1lBQ3ZGLENBQUM7WUFDRCxPQUFPLE1BQU0sQ0FBQztRQUNoQixDQUFDLENBQUM7UUFFRixNQUFNLFdBQVcsR0FBRyxDQUFDLElBQVMsRUFBRSxFQUFFLENBQUMsQ0FBQztZQUNsQyxLQUFLLEVBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxLQUFLLElBQUksbUJBQW1CLEVBQUUsQ0FBQyxDQUFDLEVBQUUsZUFBZSxDQUFDO1lBQ2hGLEtBQUssRUFBRSxJQUFJLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEtBQUssSUFBSSxtQkFBbUIsRUFBRSxDQUFDLENBQUMsRUFBRSxlQUFlLENBQUM7WUFDaEYsT0FBTyxFQUFFLFdBQVcsQ0FBQyxJQUFJLEVBQUUsY0FBYyxFQUFFLDBCQUFhLENBQUM7WUFDekQsT0FBTyxFQUFFLFdBQVcsQ0FBQyxJQUFJLEVBQUUsWUFBWSxFQUFFLHdCQUFXLENBQUM7U0FDdEQsQ0FBQyxDQUFDO1FBRUgsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLFVBQVUsRUFBRSxDQUFDO1lBQy9CLE1BQU0sRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsR0FBRyxXQUFXLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1lBQ3hFLE1BQU0sRUFBRSxPQUFPLEVBQUUsU0FBUyxFQUFFLEdBQUcsTUFBTSxtQkFBbUIsQ0FDdEQsS0FBSyxDQUFDLFNBQVMsQ0FBQyxNQUFNLEVBQ3RCLEtBQUssRUFDTCxLQUFLLEVBQ0wsT0FBTyxFQUNQLE9BQU8sQ0FDUixDQUFDO1lBQ0YsSUFBSSxPQUFPLENBQUMsTUFBTSxLQUFLLENBQUM7Z0JBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRSxTQUFTLEVBQUUsQ0FBQztZQUVyRSxNQUFNLFFBQVEsR0FBRyxNQUFNLENBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUM7aUJBQ3BDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsT0FBTyxDQUFDO2lCQUN0QixFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDO2lCQUNYLEVBQUUsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUM7aUJBQ2QsTUFBTSxFQUFFLENBQUM7WUFFWixNQUFNLEtBQUssR0FBRyxNQUFNLFdBQVcsQ0FBQyxPQUFPLEVBQUUsT0FBTyxDQUFDO2lCQUM5QyxPQUFPLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxPQUFPLENBQUM7aUJBQ3BDLEVBQUUsQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7aUJBQ2xCLEVBQUUsQ0FBQyxFQUFFLENBQUMsR0FBRyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7aUJBQ2pCLEVBQUUsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUM7aUJBQ2QsTUFBTSxFQUFFLENBQUM7WUFFWixPQUFPO2dCQUNMLEtBQUssRUFBRSxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBTSxFQUFFLEVBQUUsQ0FBQyxDQUFDO29CQUMvQixFQUFFLEVBQUUsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztvQkFDN0MsS0FBSyxFQUFFLENBQUMsQ0FBQyxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUM7aUJBQ3ZELENBQUMsQ0FBQztnQkFDSCxLQUFLLEVBQUUsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQU0sRUFBRSxFQUFFLENBQUMsQ0FBQztvQkFDNUIsTUFBTSxFQUFFLENBQUMsQ0FBQyxNQUFNLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUM7b0JBQ3pELE1BQU0sRUFBRSxDQUFDLENBQUMsTUFBTSxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDO29CQUN6RCxLQUFLLEVBQUUsQ0FBQyxDQUFDLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztpQkFDdkQsQ0FBQyxDQUFDO2dCQUNILFNBQVM7YUFDVixDQUFDO1FBQ0osQ0FBQztRQUVELElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxnQkFBZ0IsRUFBRSxDQUFDO1lBQ3JDLE1BQU0sRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLEdBQUcsS0FBSyxDQUFDLFNBQVMsQ0FBQztZQUMzQyxJQUFJLENBQUMsa0NBQWdCLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUM7Z0JBQ3ZDLE1BQU0sSUFBQSx3QkFBZSxFQUFDLDBCQUEwQixNQUFNLEVBQUUsRUFBRSxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsQ0FBQyxDQUFDO1lBQ2pGLENBQUM7WUFDRCxNQUFNLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLEdBQUcsV0FBVyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsQ0FBQztZQUN4RSxNQUFNLEVBQUUsT0FBTyxFQUFFLFNBQVMsRUFBRSxHQUFHLE1BQU0sbUJBQW1CLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLE9BQU8sQ0FBQyxDQUFDO1lBRWpHLE1BQU0sS0FBSyxHQUFHLENBQUMsQ0FBTSxFQUFFLEdBQVcsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUM7WUFDbEYsTUFBTSxRQUFRLEdBQUcsT0FBTyxDQUFDLE1BQU0sS0FBSyxDQUFDO2dCQUNuQyxDQUFDLENBQUMsRUFBRTtnQkFDSixDQUFDLENBQUMsTUFBTSxDQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDO3FCQUNuQixPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsWUFBWSxDQUFDO3FCQUM1QyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDO3FCQUNYLEVBQUUsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUM7cUJBQ2QsRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDO3FCQUNqQixFQUFFLENBQUMsRUFBRSxDQUFDLFFBQVEsRUFBRSxDQUFDO3FCQUNqQixNQUFNLEVBQUUsQ0FBQztZQUNoQixNQUFNLEtBQUssR0FBRyxPQUFPLENBQUMsTUFBTSxLQUFLLENBQUM7Z0JBQ2hDLENBQUMsQ0FBQyxFQUFFO2dCQUNKLENBQUMsQ0FBQyxNQUFNLFdBQVcsQ0FBQyxPQUFPLEVBQUUsT0FBTyxDQUFDO3FCQUNoQyxPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLFlBQVksQ0FBQztxQkFDeEQsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztxQkFDWCxFQUFFLENBQUMsRUFBRSxDQUFDLEtBQUssRUFBRSxDQUFDO3FCQUNkLEVBQUUsQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7cUJBQ2xCLEVBQUUsQ0FBQyxFQUFFLENBQUMsR0FBRyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7cUJBQ2pCLEVBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxFQUFFLENBQUM7cUJBQ2pCLE1BQU0sRUFBRSxDQUFDO1lBRWhCLE1BQU0sUUFBUSxHQUFhO2dCQUN6QixNQUFNLEVBQUUsTUFBTSxJQUFJLElBQUk7Z0JBQ3RCLEtBQUs7Z0JBQ0wsS0FBSyxFQUFFLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFNLEVBQUUsRUFBRSxDQUFDLENBQUM7b0JBQy9CLEVBQUUsRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsQ0FBQztvQkFDMUIsS0FBSyxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxDQUFDO29CQUNoQyxJQUFJLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsTUFBTSxDQUFDLENBQUM7b0JBQzlCLFVBQVUsRUFBRSxJQUFBLDZCQUFnQixFQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsWUFBWSxDQUFDLENBQUM7aUJBQ3JELENBQUMsQ0FBQztnQkFDSCxLQUFLLEVBQUUsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQU0sRUFBRSxFQUFFLENBQUMsQ0FBQztvQkFDNUIsRUFBRSxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDO29CQUMxQixLQUFLLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsT0FBTyxDQUFDLENBQUM7b0JBQ2hDLE1BQU0sRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxRQUFRLENBQUMsQ0FBQztvQkFDbEMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDO29CQUNsQyxVQUFVLEVBQUUsSUFBQSw2QkFBZ0IsRUFBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLFlBQVksQ0FBQyxDQUFDO2lCQUNyRCxDQUFDLENBQUM7YUFDSixDQUFDO1lBQ0YsT0FBTztnQkFDTCxNQUFNO2dCQUNOLEdBQUcsSUFBQSxtQ0FBaUIsRUFBQyxRQUFRLEVBQUUsTUFBd0IsQ0FBQztnQkFDeEQsU0FBUyxFQUFFLFFBQVEsQ0FBQyxLQUFLLENBQUMsTUFBTTtnQkFDaEMsU0FBUyxFQUFFLFFBQVEsQ0FBQyxLQUFLLENBQUMsTUFBTTtnQkFDaEMsU0FBUzthQUNWLENBQUM7UUFDSixDQUFDO1FBRUQsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLGtCQUFrQixFQUFFLENBQUM7WUFDdkMsTUFBTSxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsR0FBRyxLQUFLLENBQUMsU0FBUyxDQUFDO1lBRXpDLE1BQU0sUUFBUSxHQUFHLE1BQU0sT0FBTyxDQUFDLENBQUUsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUMsTUFBTSxDQUFDLCtCQUFrQixDQUFDLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsd0JBQVcsQ0FBQyxDQUFDLENBQUM7aUJBQ3BHLE9BQU8sQ0FBQyxJQUFJLEVBQUUsT0FBTyxFQUFFLE1BQU0sRUFBRSxZQUFZLENBQUM7aUJBQzVDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7aUJBQ1gsRUFBRSxDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsQ0FBQztpQkFDZCxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUM7aUJBQ2pCLEVBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxFQUFFLENBQUM7aUJBQ2pCLE1BQU0sRUFBRSxDQUFDO1lBQ1osSUFBSSxRQUFRLENBQUMsTUFBTSxLQUFLLENBQUM7Z0JBQUUsT0FBTyxJQUFJLENBQUM7WUFDdkMsTUFBTSxDQUFDLEdBQVEsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQzNCLE1BQU0sS0FBSyxHQUFHLENBQUMsQ0FBTSxFQUFFLEdBQVcsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUM7WUFFbEYsTUFBTSxDQUFDLFFBQVEsRUFBRSxPQUFPLENBQUMsR0FBRyxNQUFNLE9BQU8sQ0FBQyxHQUFHLENBQUM7Z0JBQzVDLENBQUUsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDO3FCQUNYLElBQUksRUFBRTtxQkFDTixNQUFNLENBQUMsK0JBQWtCLENBQUM7cUJBQzFCLEtBQUssQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUM7cUJBQ3hCLEtBQUssQ0FBQyxxQkFBcUIsQ0FBQztxQkFDNUIsT0FBTyxDQUFDLFFBQVEsRUFBRSxXQUFXLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxNQUFNLENBQUM7cUJBQ3JELEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7cUJBQ1gsRUFBRSxDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsQ0FBQztxQkFDZCxFQUFFLENBQUMsRUFBRSxDQUFDLEdBQUcsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDO3FCQUNqQixFQUFFLENBQUMsRUFBRSxDQUFDLEdBQUcsRUFBRSxDQUFDLEtBQUssRUFBRSxDQUFDO3FCQUNwQixFQUFFLENBQUMsRUFBRSxDQUFDLEdBQUcsRUFBRSxDQUFDLEdBQUcsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO3FCQUMvQixNQUFNLEVBQUU7Z0JBQ1gsQ0FBRSxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUM7cUJBQ1gsR0FBRyxFQUFFO3FCQUNMLE1BQU0sQ0FBQywrQkFBa0IsQ0FBQztxQkFDMUIsS0FBSyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztxQkFDekIsS0FBSyxDQUFDLHFCQUFxQixDQUFDO3FCQUM1QixPQUFPLENBQUMsUUFBUSxFQUFFLFdBQVcsRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLE1BQU0sQ0FBQztxQkFDckQsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztxQkFDWCxFQUFFLENBQUMsRUFBRSxDQUFDLEtBQUssRUFBRSxDQUFDO3FCQUNkLEVBQUUsQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7cUJBQ2xCLEVBQUUsQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUM7cUJBQ3JCLEVBQUUsQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsR0FBRyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7cUJBQ2hDLE1BQU0sRUFBRTthQUNaLENBQUMsQ0FBQztZQUVILDhDQUE4QztZQUM5QyxNQUFNLE1BQU0sR0FBRyxJQUFJLEdBQUcsRUFBbUYsQ0FBQztZQUMxRyxNQUFNLFlBQVksR0FBRyxDQUFDLElBQVcsRUFBRSxTQUFpQixFQUFFLEVBQUU7Z0JBQ3RELEtBQUssTUFBTSxDQUFDLElBQUksSUFBSSxFQUFFLENBQUM7b0JBQ3JCLE1BQU0sU0FBUyxHQUFHLEtBQUssQ0FBQyxDQUFDLEVBQUUsV0FBVyxDQUFDLENBQUM7b0JBQ3hDLE1BQU0sR0FBRyxHQUFHLEdBQUcsU0FBUyxJQUFJLFNBQVMsRUFBRSxDQUFDO29CQUN4QyxJQUFJLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDO3dCQUNyQixNQUFNLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxPQUFPLEVBQUUsRUFBRSxFQUFFLENBQUMsQ0FBQztvQkFDbkUsQ0FBQztvQkFDRCxNQUFNLEtBQUssR0FBRyxNQUFNLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBRSxDQUFDO29CQUMvQixLQUFLLENBQUMsS0FBSyxFQUFFLENBQUM7b0JBQ2QsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUM7d0JBQ2pCLE1BQU0sRUFBRSxLQUFLLENBQUMsQ0FBQyxFQUFFLFFBQVEsQ0FBQzt3QkFDMUIsRUFBRSxFQUFFLEtBQUssQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDO3dCQUNsQixLQUFLLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxPQUFPLENBQUM7d0JBQ3hCLElBQUksRUFBRSxLQUFLLENBQUMsQ0FBQyxFQUFFLE1BQU0sQ0FBQztxQkFDdkIsQ0FBQyxDQUFDO2dCQUNMLENBQUM7WUFDSCxDQUFDLENBQUM7WUFDRixZQUFZLENBQUMsUUFBUSxFQUFFLFVBQVUsQ0FBQyxDQUFDO1lBQ25DLFlBQVksQ0FBQyxPQUFPLEVBQUUsVUFBVSxDQUFDLENBQUM7WUFFbEMsT0FBTztnQkFDTCxFQUFFLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUM7Z0JBQ2xCLEtBQUssRUFBRSxLQUFLLENBQUMsQ0FBQyxFQUFFLE9BQU8sQ0FBQztnQkFDeEIsSUFBSSxFQUFFLEtBQUssQ0FBQyxDQUFDLEVBQUUsTUFBTSxDQUFDO2dCQUN0QixVQUFVLEVBQUUsSUFBQSwyQkFBYyxFQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsWUFBWSxDQUFDLENBQUM7Z0JBQ2xELFNBQVMsRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxNQUFNLEVBQUUsQ0FBQzthQUN2QyxDQUFDO1FBQ0osQ0FBQztRQUVELElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxXQUFXLEVBQUUsQ0FBQztZQUNoQyxNQUFNLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxVQUFVLEVBQUUsR0FBRyxLQUFLLENBQUMsU0FBUyxDQUFDO1lBQ3JELE1BQU0sT0FBTyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQ3RCLElBQUksQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxPQUFPLElBQUksaUJBQWlCLEVBQUUsQ0FBQyxDQUFDLEVBQ3pELGFBQWEsQ0FDZCxDQUFDO1lBQ0YsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FDcEIsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLEtBQUssSUFBSSxrQkFBa0IsRUFBRSxDQUFDLENBQUMsRUFDeEQsY0FBYyxDQUNmLENBQUM7WUFDRixNQUFNLE9BQU8sR0FBYSxVQUFVLElBQUksRUFBRSxDQUFDO1lBQzNDLElBQUksTUFBTSxLQUFLLElBQUk7Z0JBQUUsTUFBTSxJQUFBLHdCQUFlLEVBQUMsNkJBQTZCLEVBQUUsRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLENBQUMsQ0FBQztZQUU3Rix1RUFBdUU7WUFDdkUsc0VBQXNFO1lBQ3RFLCtDQUErQztZQUMvQyxNQUFNLEtBQUssR0FBRyxNQUFNLE9BQU8sQ0FBQyxDQUFFLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLE1BQU0sQ0FBQywrQkFBa0IsQ0FBQyxDQUFDO2lCQUNqRSxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsR0FBRyxPQUFPLENBQUMsQ0FBQyxNQUFNLENBQUMsK0JBQWtCLENBQUMsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDLFVBQVUsRUFBRSxDQUFDO2lCQUN0RixLQUFLLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFLEVBQUUsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUM7aUJBQzNELEtBQUssQ0FBQyxJQUFJLENBQUM7aUJBQ1gsS0FBSyxDQUFDLEtBQUssQ0FBQztpQkFDWixJQUFJLEVBQUU7aUJBQ04sRUFBRSxDQUNELEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sRUFBRSxNQUFNLENBQUM7aUJBQzlCLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7aUJBQ1gsRUFBRSxDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsQ0FBQztpQkFDZCxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FDckI7aUJBQ0EsRUFBRSxDQUNELEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sRUFBRSxRQUFRLEVBQUUsUUFBUSxDQUFDO2lCQUMxQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDO2lCQUNYLEVBQUUsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUM7aUJBQ2QsRUFBRSxDQUFDLEVBQUUsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztpQkFDbEIsRUFBRSxDQUFDLEVBQUUsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUNyQjtpQkFDQSxNQUFNLEVBQUUsQ0FBQztZQUVaLE1BQU0sS0FBSyxHQUFHLENBQUMsQ0FBTSxFQUFFLEdBQVcsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUM7WUFDbEYsT0FBTyxLQUFLO2lCQUNULEdBQUcsQ0FBQyxDQUFDLENBQU0sRUFBRSxFQUFFO2dCQUNkLE1BQU0sT0FBTyxHQUFVLENBQUMsQ0FBQyxPQUFPLElBQUksRUFBRSxDQUFDO2dCQUN2QyxNQUFNLFFBQVEsR0FBRyxPQUFPO3FCQUNyQixNQUFNLENBQUMsQ0FBQyxDQUFNLEVBQUUsQ0FBUyxFQUFFLEVBQUUsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsQ0FBQztxQkFDMUMsR0FBRyxDQUFDLENBQUMsQ0FBTSxFQUFFLEVBQUUsQ0FBQyxDQUFDO29CQUNoQixFQUFFLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUM7b0JBQ2xCLEtBQUssRUFBRSxLQUFLLENBQUMsQ0FBQyxFQUFFLE9BQU8sQ0FBQztvQkFDeEIsSUFBSSxFQUFFLEtBQUssQ0FBQyxDQUFDLEVBQUUsTUFBTSxDQUFDO2lCQUN2QixDQUFDLENBQUMsQ0FBQztnQkFDTixNQUFNLEtBQUssR0FBRyxPQUFPO3FCQUNsQixNQUFNLENBQUMsQ0FBQyxDQUFNLEVBQUUsQ0FBUyxFQUFFLEVBQUUsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsQ0FBQztxQkFDMUMsR0FBRyxDQUFDLENBQUMsQ0FBTSxFQUFFLEVBQUUsQ0FBQyxDQUFDO29CQUNoQixFQUFFLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUM7b0JBQ2xCLEtBQUssRUFBRSxLQUFLLENBQUMsQ0FBQyxFQUFFLE9BQU8sQ0FBQztvQkFDeEIsTUFBTSxFQUFFLEtBQUssQ0FBQyxDQUFDLEVBQUUsUUFBUSxDQUFDO29CQUMxQixNQUFNLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxRQUFRLENBQUM7aUJBQzNCLENBQUMsQ0FBQyxDQUFDO2dCQUNOLE9BQU8sRUFBRSxRQUFRLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxLQUFLLENBQUMsTUFBTSxFQUFFLENBQUM7WUFDbkQsQ0FBQyxDQUFDO2lCQUNELElBQUksQ0FBQyxDQUFDLENBQU0sRUFBRSxDQUFNLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQ25ELENBQUM7UUFFRCxJQUFJLEtBQUssQ0FBQyxLQUFLLEtBQUssYUFBYSxFQUFFLENBQUM7WUFDbEMsTUFBTSxFQUFFLFFBQVEsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUM7WUFDdEQsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FDcEIsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLEtBQUssSUFBSSxtQkFBbUIsRUFBRSxDQUFDLENBQUMsRUFDekQsZUFBZSxDQUNoQixDQUFDO1lBRUYscUVBQXFFO1lBQ3JFLE1BQU0sUUFBUSxHQUFHLEdBQUcsRUFBRTtnQkFDcEIsSUFBSSxDQUFDLEdBQUcsQ0FBRSxDQUFDLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyx3QkFBVyxDQUFDLENBQUM7Z0JBQ3JDLElBQUksUUFBUTtvQkFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxVQUFVLEVBQUUsUUFBUSxDQUFDLENBQUM7Z0JBQzlDLElBQUksS0FBSztvQkFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLE9BQU8sRUFBRSxLQUFLLENBQUMsRUFBRSxFQUFFLENBQUMsR0FBRyxDQUFDLFdBQVcsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO2dCQUN4RSxJQUFJLElBQUk7b0JBQUUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztnQkFDdkMsSUFBSSxFQUFFO29CQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7Z0JBQ25DLE9BQU8sQ0FBQyxDQUFDO1lBQ1gsQ0FBQyxDQUFDO1lBRUYsTUFBTSxLQUFLLEdBQUcsQ0FBQyxDQUFNLEVBQUUsR0FBVyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQztZQUNsRixNQUFNLFdBQVcsR0FBRyxLQUFLLEVBQUUsTUFBYyxFQUFFLEVBQUU7Z0JBQzNDLE1BQU0sSUFBSSxHQUFHLE1BQU0sUUFBUSxFQUFFO3FCQUMxQixLQUFLLEVBQUUsQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDO3FCQUN4QyxLQUFLLENBQUMsTUFBTSxFQUFFLE1BQU0sR0FBRyxLQUFLLENBQUM7cUJBQzdCLE9BQU8sQ0FBQyxJQUFJLEVBQUUsR0FBRyxZQUFZLENBQUM7cUJBQzlCLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7cUJBQ1gsRUFBRSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUM7cUJBQ25CLEVBQUUsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxDQUFDO3FCQUN0QixFQUFFLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztxQkFDeEQsRUFBRSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsV0FBVyxDQUFDLENBQUM7cUJBQzFCLEVBQUUsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxDQUFDO3FCQUN6QixFQUFFLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLGFBQWEsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztxQkFDMUQsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsRUFBRSxFQUFFLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7cUJBQ3pELEVBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO3FCQUN4RCxNQUFNLEVBQUUsQ0FBQztnQkFDWixPQUFRLElBQWMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRTtvQkFDL0IsTUFBTSxNQUFNLEdBQTRCLEVBQUUsRUFBRSxFQUFFLEtBQUssQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLEVBQUUsQ0FBQztvQkFDL0QsS0FBSyxNQUFNLEdBQUcsSUFBSSxZQUFZLEVBQUUsQ0FBQzt3QkFDL0IsTUFBTSxDQUFDLEdBQUcsQ0FBQyxHQUFHLEtBQUssQ0FBQyxDQUFDLEVBQUUsR0FBRyxDQUFDLENBQUM7b0JBQzlCLENBQUM7b0JBQ0QsT0FBTyxNQUFNLENBQUM7Z0JBQ2hCLENBQUMsQ0FBQyxDQUFDO1lBQ0wsQ0FBQyxDQUFDO1lBRUYsb0VBQW9FO1lBQ3BFLGlFQUFpRTtZQUNqRSxNQUFNLHVCQUF1QixHQUFHLEtBQUssRUFBRSxPQUFrQyxFQUFFLEVBQUU7Z0JBQzNFLE1BQU0scUJBQXFCLEdBQUcsSUFBSSxHQUFHLEVBQW9CLENBQUM7Z0JBQzFELE1BQU0sU0FBUyxHQUFHLENBQUMsS0FBYSxFQUFFLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksR0FBRyxDQUNyRCxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsV0FBVyxLQUFLLEtBQUssQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUM5RSxDQUFDLENBQUM7Z0JBQ0gsTUFBTSxVQUFVLEdBQUcsU0FBUyxDQUFDLFNBQVMsQ0FBQyxDQUFDO2dCQUN4QyxNQUFNLFVBQVUsR0FBRyxTQUFTLENBQUMsVUFBVSxDQUFDLENBQUM7Z0JBQ3pDLE1BQU0sTUFBTSxHQUFHO29CQUNiLEdBQUcsQ0FBQyxVQUFVLENBQUMsTUFBTSxHQUFHLENBQUM7d0JBQ3ZCLENBQUMsQ0FBQyxNQUFNLENBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxVQUFVLENBQUMsQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDOzZCQUM1QyxPQUFPLENBQUMsSUFBSSxFQUFFLGlCQUFpQixDQUFDOzZCQUNoQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDOzZCQUNYLEVBQUUsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxjQUFjLENBQUMsQ0FBQyxNQUFNLENBQUMsb0JBQW9CLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQzs2QkFDbkYsTUFBTSxFQUFFO3dCQUNYLENBQUMsQ0FBQyxFQUFFLENBQUM7b0JBQ1AsR0FBRyxDQUFDLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQzt3QkFDdkIsQ0FBQyxDQUFDLE1BQU0sQ0FBRSxDQUFDLENBQUMsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxVQUFVLENBQUM7NkJBQzdDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsaUJBQWlCLENBQUM7NkJBQ2hDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7NkJBQ1gsRUFBRSxDQUFDLEVBQUUsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxRQUFRLENBQUMsY0FBYyxDQUFDLENBQUMsTUFBTSxDQUFDLG9CQUFvQixDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7NkJBQ3pFLE1BQU0sRUFBRTt3QkFDWCxDQUFDLENBQUMsRUFBRSxDQUFDO2lCQUNSLENBQUM7Z0JBQ0YsS0FBSyxNQUFNLENBQUMsSUFBSSxNQUFlLEVBQUUsQ0FBQztvQkFDaEMscUJBQXFCLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxpQkFBaUIsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDO2dCQUN2RixDQUFDO2dCQUNELE9BQU8scUJBQXFCLENBQUM7WUFDL0IsQ0FBQyxDQUFDO1lBRUYsSUFBSSxNQUFNLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSxDQUFDO2dCQUN4QixPQUFPLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN4QixDQUFDO1lBRUQsa0VBQWtFO1lBQ2xFLHNFQUFzRTtZQUN0RSw0REFBNEQ7WUFDNUQsTUFBTSxJQUFJLEdBQThCLEVBQUUsQ0FBQztZQUMzQyxLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLEdBQUcsaUJBQWlCLElBQUksSUFBSSxDQUFDLE1BQU0sR0FBRyxLQUFLLEVBQUUsS0FBSyxFQUFFLEVBQUUsQ0FBQztnQkFDOUUsTUFBTSxPQUFPLEdBQUcsTUFBTSxXQUFXLENBQUMsS0FBSyxHQUFHLEtBQUssQ0FBQyxDQUFDO2dCQUNqRCxNQUFNLHFCQUFxQixHQUFHLE1BQU0sdUJBQXVCLENBQUMsT0FBTyxDQUFDLENBQUM7Z0JBQ3JFLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FDckMsSUFBQSxtQ0FBa0IsRUFBQyxNQUFNLEVBQUUsS0FBSyxDQUFDLFFBQVEsRUFBRSxxQkFBcUIsQ0FBQyxDQUNsRSxDQUFDLENBQUM7Z0JBQ0gsSUFBSSxPQUFPLENBQUMsTUFBTSxHQUFHLEtBQUs7b0JBQUUsTUFBTTtZQUNwQyxDQUFDO1lBQ0QsT0FBTyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQztRQUM5QixDQUFDO1FBRUQsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLG9CQUFvQixFQUFFLENBQUM7WUFDekMsTUFBTSxFQUFFLEtBQUssRUFBRSxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUM7WUFDbEMsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FDcEIsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLEtBQUssSUFBSSxxQkFBcUIsRUFBRSxDQUFDLENBQUMsRUFDM0QsaUJBQWlCLENBQ2xCLENBQUM7WUFFRixvRUFBb0U7WUFDcEUsSUFBSSxDQUFDLEdBQUcsT0FBTyxDQUFDLENBQUUsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsK0JBQWtCLEVBQUUsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxJQUFBLHdCQUFXLEdBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUNyRSxJQUFJLEtBQUs7Z0JBQUUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDakMsTUFBTSxJQUFJLEdBQUcsTUFBTSxDQUFDO2lCQUNqQixLQUFLLEVBQUUsQ0FBQyxFQUFFLENBQUMsK0JBQWtCLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQztpQkFDMUMsS0FBSyxDQUFDLEtBQUssQ0FBQztpQkFDWixPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsV0FBVyxFQUFFLFdBQVcsRUFBRSxXQUFXLENBQUM7aUJBQ3JFLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7aUJBQ1gsRUFBRSxDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsQ0FBQztpQkFDZCxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUM7aUJBQ2pCLEVBQUUsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLCtCQUFrQixDQUFDLENBQUM7aUJBQ2pDLEVBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsV0FBVyxDQUFDLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO2lCQUN4RCxFQUFFLENBQUMsRUFBRSxDQUFDLEtBQUssRUFBRSxDQUFDLEdBQUcsQ0FBQywrQkFBa0IsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxzQ0FBeUIsQ0FBQyxDQUFDLEtBQUssRUFBRSxDQUFDO2lCQUNoRixNQUFNLEVBQUUsQ0FBQztZQUVaLE1BQU0sS0FBSyxHQUFHLENBQUMsQ0FBTSxFQUFFLEdBQVcsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUM7WUFDbEYsT0FBUSxJQUFjLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO2dCQUNqQyxFQUFFLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUM7Z0JBQ2xCLEtBQUssRUFBRSxLQUFLLENBQUMsQ0FBQyxFQUFFLE9BQU8sQ0FBQztnQkFDeEIsSUFBSSxFQUFFLEtBQUssQ0FBQyxDQUFDLEVBQUUsTUFBTSxDQUFDO2dCQUN0QixTQUFTLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxXQUFXLENBQUM7Z0JBQ2hDLFNBQVMsRUFBRSxLQUFLLENBQUMsQ0FBQyxFQUFFLFdBQVcsQ0FBQztnQkFDaEMsU0FBUyxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLFdBQVcsQ0FBQyxJQUFJLENBQUMsQ0FBQztnQkFDN0MsVUFBVSxFQUFFLElBQUEsdUJBQVUsRUFBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLFdBQVcsQ0FBQyxDQUFDO2FBQzlDLENBQUMsQ0FBQyxDQUFDO1FBQ04sQ0FBQztRQUVELHlFQUF5RTtRQUN6RSx3REFBd0Q7UUFDeEQsSUFBSSxLQUFLLENBQUMsS0FBSyxLQUFLLHlCQUF5QixFQUFFLENBQUM7WUFDOUMsTUFBTSxFQUFFLEtBQUssRUFBRSxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUM7WUFDbEMsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FDcEIsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLEtBQUssSUFBSSxxQkFBcUIsRUFBRSxDQUFDLENBQUMsRUFDM0QsaUJBQWlCLENBQ2xCLENBQUM7WUFFRixJQUFJLENBQUMsR0FBRyxDQUFFLENBQUMsQ0FBQyxFQUFFO2lCQUNYLEdBQUcsQ0FBQyxzQ0FBeUIsQ0FBQztpQkFDOUIsR0FBRyxDQUFDLCtCQUFrQixFQUFFLENBQUMsQ0FBQyxFQUFFLENBQUMsSUFBQSx3QkFBVyxHQUFFLENBQUMsQ0FBQyxDQUFDO1lBQ2hELElBQUksS0FBSztnQkFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUNqQyxNQUFNLElBQUksR0FBRyxNQUFNLENBQUM7aUJBQ2pCLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUMsR0FBRyxDQUFDLCtCQUFrQixDQUFDLENBQUMsS0FBSyxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO2lCQUN2RCxLQUFLLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDO2lCQUN6QixLQUFLLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDO2lCQUN4QixLQUFLLEVBQUUsQ0FBQyxFQUFFLENBQUMsK0JBQWtCLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQztpQkFDMUMsS0FBSyxDQUFDLEtBQUssQ0FBQztpQkFDWixPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sRUFBRSxVQUFVLEVBQUUsWUFBWSxFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsV0FBVyxFQUFFLFdBQVcsQ0FBQztpQkFDcEcsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztpQkFDWCxFQUFFLENBQUMsRUFBRSxDQUFDLEtBQUssRUFBRSxDQUFDO2lCQUNkLEVBQUUsQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7aUJBQ2xCLEVBQUUsQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsR0FBRyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7aUJBQ2hDLEVBQUUsQ0FBQyxFQUFFLENBQUMsR0FBRyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7aUJBQ2pCLEVBQUUsQ0FBQyxFQUFFLENBQUMsR0FBRyxFQUFFLENBQUMsR0FBRyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7aUJBQy9CLEVBQUUsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLCtCQUFrQixDQUFDLENBQUM7aUJBQ2pDLEVBQUUsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsV0FBVyxDQUFDLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO2lCQUN4RCxNQUFNLEVBQUUsQ0FBQztZQUVaLE1BQU0sS0FBSyxHQUFHLENBQUMsQ0FBTSxFQUFFLEdBQVcsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUM7WUFDbEYsT0FBUSxJQUFjLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDO2dCQUNqQyxFQUFFLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUM7Z0JBQ2xCLEtBQUssRUFBRSxLQUFLLENBQUMsQ0FBQyxFQUFFLE9BQU8sQ0FBQztnQkFDeEIsUUFBUSxFQUFFLEtBQUssQ0FBQyxDQUFDLEVBQUUsVUFBVSxDQUFDO2dCQUM5QixVQUFVLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxZQUFZLENBQUM7Z0JBQ2xDLFFBQVEsRUFBRSxLQUFLLENBQUMsQ0FBQyxFQUFFLFVBQVUsQ0FBQztnQkFDOUIsVUFBVSxFQUFFLEtBQUssQ0FBQyxDQUFDLEVBQUUsWUFBWSxDQUFDO2dCQUNsQyxTQUFTLEVBQUUsS0FBSyxDQUFDLENBQUMsRUFBRSxXQUFXLENBQUM7Z0JBQ2hDLFNBQVMsRUFBRSxLQUFLLENBQUMsQ0FBQyxFQUFFLFdBQVcsQ0FBQztnQkFDaEMsVUFBVSxFQUFFLElBQUEsdUJBQVUsRUFBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLFdBQVcsQ0FBQyxDQUFDO2FBQzlDLENBQUMsQ0FBQyxDQUFDO1FBQ04sQ0FBQztRQUVELE1BQU0sSUFBQSx3QkFBZSxFQUFDLGtCQUFrQixLQUFLLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQztJQUN6RCxDQUFDO0lBQUMsT0FBTyxLQUFVLEVBQUUsQ0FBQztRQUNwQixPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ25CLE9BQU8sQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1FBQ3JDLE9BQU8sSUFBQSxzQkFBYSxFQUFDLEtBQUssQ0FBQyxDQUFDO0lBQzlCLENBQUM7QUFDSCxDQUFDLENBQUM7QUFyeUJXLFFBQUEsT0FBTyxXQXF5QmxCIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgSGFuZGxlciB9IGZyb20gXCJhd3MtbGFtYmRhXCI7XG5cbmltcG9ydCAqIGFzIGdyZW1saW4gZnJvbSBcImdyZW1saW5cIjtcbmltcG9ydCB7IGdldFVybEFuZEhlYWRlcnMgfSBmcm9tIFwiZ3JlbWxpbi1hd3Mtc2lndjQvbGliL3V0aWxzXCI7XG5pbXBvcnQge1xuICBFWFRSQV9TRUFSQ0hfRklFTERTLFxuICBub3JtYWxpemVTZWFyY2hWYWx1ZSxcbiAgc2VhcmNoUHJvcGVydHlOYW1lLFxufSBmcm9tIFwiLi9zaGFyZWQvc2VhcmNoSW5kZXhcIjtcbmltcG9ydCB7XG4gIEFVRElUX0xBQkVMLFxuICBERUxFVEVEX0RJUkVDVExZX1BST1BFUlRZLFxuICBUT01CU1RPTkVfUFJPUEVSVFksXG4gIGlzRWRnZUxhYmVsLFxuICBpc1ZlcnRleExhYmVsLFxuICBwdXJnZUFmdGVyLFxuICBwdXJnZUN1dG9mZixcbiAgdG9Qcm9wZXJ0eUxpc3QsXG4gIHRvUHJvcGVydHlSZWNvcmQsXG59IGZyb20gXCIuL3NoYXJlZC9ncmFwaE1vZGVsXCI7XG5pbXBvcnQgeyB0b0Vycm9yUmVzdWx0LCB2YWxpZGF0aW9uRXJyb3IgfSBmcm9tIFwiLi9zaGFyZWQvZXJyb3JzXCI7XG5pbXBvcnQgeyByZXF1aXJlUm9sZSB9IGZyb20gXCIuL3NoYXJlZC9yb2xlc1wiO1xuaW1wb3J0IHsgYXVkaXRSZWNvcmRWaXNpYmxlLCBoaWRkZW5DbGFzc2lmaWNhdGlvbnMgfSBmcm9tIFwiLi9zaGFyZWQvY2xhc3NpZmljYXRpb25cIjtcbmltcG9ydCB7XG4gIFNVQkdSQVBIX0ZPUk1BVFMsXG4gIFN1YmdyYXBoLFxuICBTdWJncmFwaEZvcm1hdCxcbiAgc2VyaWFsaXplU3ViZ3JhcGgsXG59IGZyb20gXCIuL3NoYXJlZC9zdWJncmFwaEZvcm1hdHNcIjtcblxuY29uc3QgRHJpdmVyUmVtb3RlQ29ubmVjdGlvbiA9IGdyZW1saW4uZHJpdmVyLkRyaXZlclJlbW90ZUNvbm5lY3Rpb247XG5jb25zdCBQID0gZ3JlbWxpbi5wcm9jZXNzLlA7XG5jb25zdCB0cmF2ZXJzYWwgPSBncmVtbGluLnByb2Nlc3MuQW5vbnltb3VzVHJhdmVyc2FsU291cmNlLnRyYXZlcnNhbDtcbmNvbnN0IF9fID0gZ3JlbWxpbi5wcm9jZXNzLnN0YXRpY3M7XG5jb25zdCBUZXh0UCA9IGdyZW1saW4ucHJvY2Vzcy5UZXh0UDtcbmNvbnN0IG9yZGVyID0gZ3JlbWxpbi5wcm9jZXNzLm9yZGVyO1xuXG4vLyBCb3VuZHMgZm9yIHRoZSBuZWlnaGJvcmhvb2QgcmV0dXJuZWQgYnkgZ2V0R3JhcGggYW5kIGV4cG9ydFN1YmdyYXBoXG5jb25zdCBERUZBVUxUX0dSQVBIX0RFUFRIID0gMjtcbmNvbnN0IE1BWF9HUkFQSF9ERVBUSCA9IDQ7XG5jb25zdCBERUZBVUxUX0dSQVBIX0xJTUlUID0gMjUwO1xuY29uc3QgTUFYX0dSQVBIX0xJTUlUID0gMTAwMDtcblxuLy8gQm91bmRzIGZvciBmaW5kUGF0aHNcbmNvbnN0IERFRkFVTFRfUEFUSF9IT1BTID0gNDtcbmNvbnN0IE1BWF9QQVRIX0hPUFMgPSA2O1xuY29uc3QgREVGQVVMVF9QQVRIX0xJTUlUID0gMztcbmNvbnN0IE1BWF9QQVRIX0xJTUlUID0gMTA7XG5cbi8vIE1heGltdW0gbnVtYmVyIG9mIGVkZ2VzIHBlciBkaXJlY3Rpb24gbGlzdGVkIGJ5IGdldEVudGl0eVByb2ZpbGVcbmNvbnN0IE1BWF9QUk9GSUxFX1JFTEFUSU9OUyA9IDUwMDtcblxuLy8gQm91bmRzIGZvciBnZXRBdWRpdExvZyBhbmQgdGhlIEF1ZGl0RXZlbnQgcHJvcGVydGllcyBpdCByZXR1cm5zXG5jb25zdCBERUZBVUxUX0FVRElUX0xJTUlUID0gMTAwO1xuY29uc3QgTUFYX0FVRElUX0xJTUlUID0gNTAwO1xuY29uc3QgQVVESVRfRklFTERTID0gWydhdCcsICdhY3RvcicsICdhY3Rvck5hbWUnLCAnb3BlcmF0aW9uJywgJ3RhcmdldElkJywgJ3RhcmdldExhYmVsJywgJ2JlZm9yZScsICdhZnRlciddO1xuLy8gQmF0Y2hlcyBvZiBgbGltaXRgIHJlY29yZHMgcmVhZCB3aGlsZSBmaWxsaW5nIGEgcGFnZSBmb3IgYSBjYWxsZXIgd2hvXG4vLyBjYW5ub3Qgc2VlIGV2ZXJ5IHJlY29yZFxuY29uc3QgTUFYX0FVRElUX0JBVENIRVMgPSAxMDtcblxuLy8gQm91bmRzIGZvciBnZXRSZWNlbnRseURlbGV0ZWQgYW5kIGdldFJlY2VudGx5RGVsZXRlZEVkZ2VzXG5jb25zdCBERUZBVUxUX0RFTEVURURfTElNSVQgPSAxMDA7XG5jb25zdCBNQVhfREVMRVRFRF9MSU1JVCA9IDUwMDtcblxuLy8gUGFnZSBzaXplcyBhbmQgc29ydGFibGUgZmllbGRzIGZvciB0aGUgY3Vyc29yLXBhZ2luYXRlZCBzZWFyY2ggY29ubmVjdGlvbnNcbmNvbnN0IERFRkFVTFRfUEFHRV9TSVpFID0gMjU7XG5jb25zdCBNQVhfUEFHRV9TSVpFID0gMTAwO1xuY29uc3QgRU5USVRZX1NPUlRfRklFTERTID0gWyduYW1lJywgJ2xhYmVsJywgJ2VudGl0eVR5cGUnXTtcbmNvbnN0IFBST0pFQ1RfU09SVF9GSUVMRFMgPSBbXG4gICdwcm9qZWN0TmFtZScsXG4gICdEZXBhcnRtZW50TnVtYmVyJyxcbiAgJ0RhdGFDbGFzc2lmaWNhdGlvbicsXG4gICdUZWFtJyxcbiAgJ093bmVyR3JvdXAnLFxuICAnUmVjb3ZlcnknLFxuICAnVGllcicsXG5dO1xuXG4vLyBDdXJzb3JzIGFyZSBvcGFxdWUgdG8gY2xpZW50czsgaW50ZXJuYWxseSB0aGV5IGNhcnJ5IHRoZSBvZmZzZXQgb2YgdGhlXG4vLyBsYXN0IGl0ZW0gb24gdGhlIHBhZ2Ugc28gdGhlIG5leHQgcGFnZSBjYW4gYmUgZmV0Y2hlZCB3aXRoIHJhbmdlKCkuXG5jb25zdCBlbmNvZGVDdXJzb3IgPSAob2Zmc2V0OiBudW1iZXIpOiBzdHJpbmcgPT5cbiAgQnVmZmVyLmZyb20oYGN1cnNvcjoke29mZnNldH1gKS50b1N0cmluZyhcImJhc2U2NFwiKTtcblxuY29uc3QgZGVjb2RlQ3Vyc29yID0gKGN1cnNvcj86IHN0cmluZyB8IG51bGwpOiBudW1iZXIgPT4ge1xuICBpZiAoIWN1cnNvcikgcmV0dXJuIC0xO1xuICBjb25zdCBkZWNvZGVkID0gQnVmZmVyLmZyb20oY3Vyc29yLCBcImJhc2U2NFwiKS50b1N0cmluZyhcInV0ZjhcIik7XG4gIGNvbnN0IG1hdGNoID0gZGVjb2RlZC5tYXRjaCgvXmN1cnNvcjooXFxkKykkLyk7XG4gIGlmICghbWF0Y2gpIHRocm93IHZhbGlkYXRpb25FcnJvcihcIkludmFsaWQgY3Vyc29yXCIsIHsgZmllbGQ6IFwiYWZ0ZXJcIiB9KTtcbiAgcmV0dXJuIE51bWJlcihtYXRjaFsxXSk7XG59O1xuXG4vLyBEaXNwbGF5IG5hbWUgb2YgYSB2ZXJ0ZXg6IHRoZSBmaXJzdCBuYW1lLWxpa2UgcHJvcGVydHkgaXQgaGFzXG5jb25zdCBkaXNwbGF5TmFtZSA9ICgpID0+XG4gIF9fLmNvYWxlc2NlKFxuICAgIF9fLnZhbHVlcygnY29tcGFueU5hbWUnKSxcbiAgICBfXy52YWx1ZXMoJ25hbWUnKSxcbiAgICBfXy52YWx1ZXMoJ2pvYk5hbWUnKSxcbiAgICBfXy52YWx1ZXMoJ3BhcnROYW1lJyksXG4gICAgX18udmFsdWVzKCdtYWtlJyksXG4gICAgX18uY29uc3RhbnQoJ1Vua25vd24nKVxuICApO1xuXG5jb25zdCBlbXB0eUNvbm5lY3Rpb24gPSAoKSA9PiAoe1xuICBlZGdlczogW10sXG4gIHBhZ2VJbmZvOiB7XG4gICAgaGFzTmV4dFBhZ2U6IGZhbHNlLFxuICAgIGhhc1ByZXZpb3VzUGFnZTogZmFsc2UsXG4gICAgc3RhcnRDdXJzb3I6IG51bGwsXG4gICAgZW5kQ3Vyc29yOiBudWxsLFxuICB9LFxuICB0b3RhbENvdW50OiAwLFxufSk7XG5cbi8qKlxuICogUnVucyBhIHByb2plY3RlZCwgc29ydGVkIHRyYXZlcnNhbCBvbmUgcGFnZSBhdCBhIHRpbWUgYW5kIHdyYXBzIHRoZSByb3dzXG4gKiBpbiBhIFJlbGF5LXN0eWxlIGNvbm5lY3Rpb24uIGBidWlsZGAgbXVzdCByZXR1cm4gYSBmcmVzaCB0cmF2ZXJzYWwgb24gZWFjaFxuICogY2FsbCBiZWNhdXNlIEdyZW1saW4gdHJhdmVyc2FscyBhcmUgbXV0YXRlZCBieSB0aGUgc3RlcHMgYXBwZW5kZWQgdG8gdGhlbS5cbiAqL1xuY29uc3QgcGFnaW5hdGUgPSBhc3luYyA8VD4oXG4gIGJ1aWxkOiAoKSA9PiBhbnksXG4gIG1hcFJvdzogKHI6IGFueSkgPT4gVCxcbiAgYXJnczoge1xuICAgIGZpcnN0PzogbnVtYmVyIHwgbnVsbDtcbiAgICBhZnRlcj86IHN0cmluZyB8IG51bGw7XG4gICAgc29ydEJ5OiBzdHJpbmc7XG4gICAgc29ydERpcmVjdGlvbj86IHN0cmluZyB8IG51bGw7XG4gICAgLy8gT3JkZXIgYnkgdGhlIHByb2plY3RlZCBgcmFua2Aga2V5IGJlZm9yZSBzb3J0QnkgKHJhbmtlZCBzZWFyY2gpXG4gICAgcmFua2VkPzogYm9vbGVhbjtcbiAgfVxuKSA9PiB7XG4gIGNvbnN0IGZpcnN0ID0gTWF0aC5taW4oXG4gICAgTWF0aC5tYXgoYXJncy5maXJzdCA/PyBERUZBVUxUX1BBR0VfU0laRSwgMSksXG4gICAgTUFYX1BBR0VfU0laRVxuICApO1xuICBjb25zdCBzdGFydCA9IGRlY29kZUN1cnNvcihhcmdzLmFmdGVyKSArIDE7XG4gIGNvbnN0IGRpcmVjdGlvbiA9IGFyZ3Muc29ydERpcmVjdGlvbiA9PT0gXCJERVNDXCIgPyBvcmRlci5kZXNjIDogb3JkZXIuYXNjO1xuXG4gIGxldCBvcmRlcmVkID0gYnVpbGQoKS5vcmRlcigpO1xuICBpZiAoYXJncy5yYW5rZWQpIHtcbiAgICBvcmRlcmVkID0gb3JkZXJlZC5ieShfXy5zZWxlY3QoXCJyYW5rXCIpLCBvcmRlci5hc2MpO1xuICB9XG5cbiAgY29uc3QgW3Jvd3MsIGNvdW50XSA9IGF3YWl0IFByb21pc2UuYWxsKFtcbiAgICBvcmRlcmVkXG4gICAgICAuYnkoX18uc2VsZWN0KGFyZ3Muc29ydEJ5KSwgZGlyZWN0aW9uKVxuICAgICAgLmJ5KF9fLnNlbGVjdChcImlkXCIpLCBvcmRlci5hc2MpXG4gICAgICAucmFuZ2Uoc3RhcnQsIHN0YXJ0ICsgZmlyc3QgKyAxKVxuICAgICAgLnRvTGlzdCgpLFxuICAgIGJ1aWxkKCkuY291bnQoKS5uZXh0KCksXG4gIF0pO1xuXG4gIGNvbnN0IGhhc05leHRQYWdlID0gcm93cy5sZW5ndGggPiBmaXJzdDtcbiAgY29uc3QgcGFnZSA9IHJvd3Muc2xpY2UoMCwgZmlyc3QpO1xuICBjb25zdCBlZGdlcyA9IHBhZ2UubWFwKChyOiBhbnksIGk6IG51bWJlcikgPT4gKHtcbiAgICBjdXJzb3I6IGVuY29kZUN1cnNvcihzdGFydCArIGkpLFxuICAgIG5vZGU6IG1hcFJvdyhyKSxcbiAgfSkpO1xuXG4gIHJldHVybiB7XG4gICAgZWRnZXMsXG4gICAgcGFnZUluZm86IHtcbiAgICAgIGhhc05leHRQYWdlLFxuICAgICAgaGFzUHJldmlvdXNQYWdlOiBzdGFydCA+IDAsXG4gICAgICBzdGFydEN1cnNvcjogZWRnZXMubGVuZ3RoID4gMCA/IGVkZ2VzWzBdLmN1cnNvciA6IG51bGwsXG4gICAgICBlbmRDdXJzb3I6IGVkZ2VzLmxlbmd0aCA+IDAgPyBlZGdlc1tlZGdlcy5sZW5ndGggLSAxXS5jdXJzb3IgOiBudWxsLFxuICAgIH0sXG4gICAgdG90YWxDb3VudDogTnVtYmVyKGNvdW50LnZhbHVlID8/IDApLFxuICB9O1xufTtcblxuZXhwb3J0IGNvbnN0IGhhbmRsZXI6IEhhbmRsZXIgPSBhc3luYyAoZXZlbnQpID0+IHtcbiAgbGV0IGNvbm4gPSBudWxsO1xuICBjb25zdCBnZXRDb25uZWN0aW9uRGV0YWlscyA9ICgpID0+IHtcbiAgICByZXR1cm4gZ2V0VXJsQW5kSGVhZGVycyhcbiAgICAgIHByb2Nlc3MuZW52Lk5FUFRVTkVfRU5EUE9JTlQsXG4gICAgICBwcm9jZXNzLmVudi5ORVBUVU5FX1BPUlQsXG4gICAgICB7fSxcbiAgICAgIFwiL2dyZW1saW5cIixcbiAgICAgIFwid3NzXCJcbiAgICApO1xuICB9O1xuXG4gIGNvbnN0IGNyZWF0ZVJlbW90ZUNvbm5lY3Rpb24gPSAoKSA9PiB7XG4gICAgY29uc3QgeyB1cmwsIGhlYWRlcnMgfSA9IGdldENvbm5lY3Rpb25EZXRhaWxzKCk7XG5cbiAgICBjb25zb2xlLmxvZyh1cmwpO1xuICAgIGNvbnNvbGUubG9nKGhlYWRlcnMpO1xuICAgIGNvbnN0IGMgPSBuZXcgRHJpdmVyUmVtb3RlQ29ubmVjdGlvbih1cmwsIHtcbiAgICAgIG1pbWVUeXBlOiBcImFwcGxpY2F0aW9uL3ZuZC5ncmVtbGluLXYyLjAranNvblwiLFxuICAgICAgaGVhZGVyczogaGVhZGVycyxcbiAgICB9KTtcbiAgICBjLl9jbGllbnQuX2Nvbm5lY3Rpb24ub24oXCJjbG9zZVwiLCAoY29kZTogbnVtYmVyLCBtZXNzYWdlOiBzdHJpbmcpID0+IHtcbiAgICAgIGNvbnNvbGUuaW5mbyhgY2xvc2UgLSAke2NvZGV9ICR7bWVzc2FnZX1gKTtcbiAgICAgIGlmIChjb2RlID09IDEwMDYpIHtcbiAgICAgICAgY29uc29sZS5lcnJvcihcIkNvbm5lY3Rpb24gY2xvc2VkIHByZW1hdHVyZWx5XCIpO1xuICAgICAgICB0aHJvdyBuZXcgRXJyb3IoXCJDb25uZWN0aW9uIGNsb3NlZCBwcmVtYXR1cmVseVwiKTtcbiAgICAgIH1cbiAgICB9KTtcbiAgICByZXR1cm4gYztcbiAgfTtcblxuICBsZXQgZztcblxuICB0cnkge1xuICAgIHJlcXVpcmVSb2xlKGV2ZW50LmlkZW50aXR5LCAnVmlld2VyJywgZXZlbnQuZmllbGQpO1xuXG4gICAgaWYgKGNvbm4gPT0gbnVsbCkge1xuICAgICAgY29uc29sZS5pbmZvKFwiSW5pdGlhbGl6aW5nIGNvbm5lY3Rpb25cIik7XG4gICAgICBjb25uID0gY3JlYXRlUmVtb3RlQ29ubmVjdGlvbigpO1xuICAgICAgZyA9IHRyYXZlcnNhbCgpLndpdGhSZW1vdGUoY29ubik7XG4gICAgfVxuXG4gICAgLy8gUHJvamVjdHMgd2hvc2UgRGF0YUNsYXNzaWZpY2F0aW9uIHRoZSBjYWxsZXIgbWF5IG5vdCBzZWUgYXJlIGRyb3BwZWRcbiAgICAvLyBmcm9tIGV2ZXJ5IHJlc3VsdDsgYHZpc2libGVgIGZpbHRlcnMgYSB2ZXJ0ZXggdHJhdmVyc2FsXG4gICAgY29uc3QgaGlkZGVuID0gaGlkZGVuQ2xhc3NpZmljYXRpb25zKGV2ZW50LmlkZW50aXR5KTtcbiAgICBjb25zdCBoaWRkZW5Qcm9qZWN0ID0gKCkgPT5cbiAgICAgIF9fLmhhc0xhYmVsKCdQcm9qZWN0X0RhdGEnKS5oYXMoJ0RhdGFDbGFzc2lmaWNhdGlvbicsIFAud2l0aGluKC4uLmhpZGRlbikpO1xuICAgIGNvbnN0IHZpc2libGUgPSAodDogYW55KSA9PiAoaGlkZGVuLmxlbmd0aCA+IDAgPyB0Lm5vdChoaWRkZW5Qcm9qZWN0KCkpIDogdCk7XG5cbiAgICAvLyBFbnRpdHkgc2VhcmNoIGhhbmRsZXJzXG4gICAgY29uc3Qgc2VhcmNoQ29uZmlnOiBSZWNvcmQ8c3RyaW5nLCB7IGxhYmVsOiBzdHJpbmc7IGZpZWxkczogc3RyaW5nW107IGVudGl0eVR5cGU/OiBzdHJpbmcgfT4gPSB7XG4gICAgICBFbnRpdHk6IHsgbGFiZWw6ICdFbnRpdHknLCBmaWVsZHM6IFsnY29tcGFueU5hbWUnLCAnbmFtZSddIH0sXG4gICAgICBDb21wYW55OiB7IGxhYmVsOiAnRW50aXR5JywgZmllbGRzOiBbJ2NvbXBhbnlOYW1lJ10sIGVudGl0eVR5cGU6ICdDb21wYW55JyB9LFxuICAgICAgQ3VzdG9tZXI6IHsgbGFiZWw6ICdFbnRpdHknLCBmaWVsZHM6IFsnbmFtZSddLCBlbnRpdHlUeXBlOiAnQ3VzdG9tZXInIH0sXG4gICAgICBFc3RpbWF0b3I6IHsgbGFiZWw6ICdFbnRpdHknLCBmaWVsZHM6IFsnbmFtZSddLCBlbnRpdHlUeXBlOiAnRXN0aW1hdG9yJyB9LFxuICAgICAgSm9iYmVyOiB7IGxhYmVsOiAnRW50aXR5JywgZmllbGRzOiBbJ2NvbXBhbnlOYW1lJ10sIGVudGl0eVR5cGU6ICdKb2JiZXInIH0sXG4gICAgICBBc3NldDogeyBsYWJlbDogJ0Fzc2V0JywgZmllbGRzOiBbJ21ha2UnLCAnbW9kZWwnLCAndmluJ10gfSxcbiAgICAgIEpvYjogeyBsYWJlbDogJ0pvYicsIGZpZWxkczogWydqb2JOYW1lJ10gfSxcbiAgICAgIFBhcnQ6IHsgbGFiZWw6ICdQYXJ0JywgZmllbGRzOiBbJ3BhcnROYW1lJ10gfSxcbiAgICAgIFByb2plY3RfRGF0YTogeyBsYWJlbDogJ1Byb2plY3RfRGF0YScsIGZpZWxkczogWydwcm9qZWN0TmFtZSddIH0sXG4gICAgfTtcblxuICAgIGlmIChldmVudC5maWVsZCA9PT0gXCJzZWFyY2hFbnRpdGllc1wiKSB7XG4gICAgICBjb25zdCB7IHZlcnRleFR5cGUsIHNlYXJjaFZhbHVlLCBmaXJzdCwgYWZ0ZXIsIHNvcnRCeSwgc29ydERpcmVjdGlvbiwgbW9kZSB9ID1cbiAgICAgICAgZXZlbnQuYXJndW1lbnRzO1xuICAgICAgY29uc3QgY2ZnID0gc2VhcmNoQ29uZmlnW3ZlcnRleFR5cGVdO1xuICAgICAgaWYgKCFjZmcpIHRocm93IHZhbGlkYXRpb25FcnJvcihgVW5rbm93biB2ZXJ0ZXggdHlwZTogJHt2ZXJ0ZXhUeXBlfWAsIHsgZmllbGQ6IFwidmVydGV4VHlwZVwiIH0pO1xuICAgICAgaWYgKHNvcnRCeSAmJiAhRU5USVRZX1NPUlRfRklFTERTLmluY2x1ZGVzKHNvcnRCeSkpIHtcbiAgICAgICAgdGhyb3cgdmFsaWRhdGlvbkVycm9yKGBVbmtub3duIHNvcnQgZmllbGQ6ICR7c29ydEJ5fWAsIHsgZmllbGQ6IFwic29ydEJ5XCIgfSk7XG4gICAgICB9XG5cbiAgICAgIGNvbnN0IHRyaW1tZWQgPSAoc2VhcmNoVmFsdWUgfHwgJycpLnRyaW0oKTtcbiAgICAgIGNvbnN0IGZpbHRlcmVkID0gdHJpbW1lZCAhPT0gJycgJiYgdHJpbW1lZCAhPT0gJyonO1xuXG4gICAgICAvLyBSQU5LRUQgbW9kZSBtYXRjaGVzIHRoZSBub3JtYWxpemVkIHRlcm0gYWdhaW5zdCB0aGUgc2VhcmNoXyogc2hhZG93XG4gICAgICAvLyBwcm9wZXJ0aWVzIG9mIGV2ZXJ5IG5hbWUtbGlrZSBmaWVsZCBwbHVzIHRoZSBjb250YWN0L2lkZW50aWZpZXIgZmllbGRzXG4gICAgICBjb25zdCByYW5rZWQgPSBtb2RlID09PSAnUkFOS0VEJyAmJiBmaWx0ZXJlZDtcbiAgICAgIGNvbnN0IG1hdGNoZXJzID0gcmFua2VkXG4gICAgICAgID8gQXJyYXkuZnJvbShuZXcgU2V0KFsuLi5jZmcuZmllbGRzLCAuLi5FWFRSQV9TRUFSQ0hfRklFTERTXSkpXG4gICAgICAgICAgICAubWFwKChmOiBzdHJpbmcpID0+ICh7XG4gICAgICAgICAgICAgIGtleTogc2VhcmNoUHJvcGVydHlOYW1lKGYpLFxuICAgICAgICAgICAgICB0ZXJtOiBub3JtYWxpemVTZWFyY2hWYWx1ZShmLCB0cmltbWVkKSxcbiAgICAgICAgICAgIH0pKVxuICAgICAgICAgICAgLmZpbHRlcigobSkgPT4gbS50ZXJtICE9PSAnJylcbiAgICAgICAgOiBbXTtcbiAgICAgIGlmIChyYW5rZWQgJiYgbWF0Y2hlcnMubGVuZ3RoID09PSAwKSB7XG4gICAgICAgIC8vIFRoZSB0ZXJtIHdhcyBub3RoaW5nIGJ1dCBwdW5jdHVhdGlvblxuICAgICAgICByZXR1cm4gZW1wdHlDb25uZWN0aW9uKCk7XG4gICAgICB9XG5cbiAgICAgIGNvbnN0IGJ1aWxkU2VhcmNoID0gKCkgPT4ge1xuICAgICAgICBsZXQgc2VhcmNoUXVlcnkgPSB2aXNpYmxlKGchLlYoKS5oYXNMYWJlbChjZmcubGFiZWwpLmhhc05vdChUT01CU1RPTkVfUFJPUEVSVFkpKTtcbiAgICAgICAgaWYgKGNmZy5lbnRpdHlUeXBlKSB7XG4gICAgICAgICAgc2VhcmNoUXVlcnkgPSBzZWFyY2hRdWVyeS5oYXMoJ2VudGl0eVR5cGVzJywgY2ZnLmVudGl0eVR5cGUpO1xuICAgICAgICB9XG5cbiAgICAgICAgaWYgKHJhbmtlZCkge1xuICAgICAgICAgIHNlYXJjaFF1ZXJ5ID0gc2VhcmNoUXVlcnkub3IoXG4gICAgICAgICAgICAuLi5tYXRjaGVycy5tYXAoKG0pID0+IF9fLmhhcyhtLmtleSwgVGV4dFAuY29udGFpbmluZyhtLnRlcm0pKSlcbiAgICAgICAgICApO1xuICAgICAgICB9IGVsc2UgaWYgKGZpbHRlcmVkKSB7XG4gICAgICAgICAgaWYgKGNmZy5maWVsZHMubGVuZ3RoID09PSAxKSB7XG4gICAgICAgICAgICBzZWFyY2hRdWVyeSA9IHNlYXJjaFF1ZXJ5LmhhcyhjZmcuZmllbGRzWzBdLCBUZXh0UC5jb250YWluaW5nKHRyaW1tZWQpKTtcbiAgICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgc2VhcmNoUXVlcnkgPSBzZWFyY2hRdWVyeS5vcihcbiAgICAgICAgICAgICAgLi4uY2ZnLmZpZWxkcy5tYXAoKGY6IHN0cmluZykgPT4gX18uaGFzKGYsIFRleHRQLmNvbnRhaW5pbmcodHJpbW1lZCkpKVxuICAgICAgICAgICAgKTtcbiAgICAgICAgICB9XG4gICAgICAgIH1cblxuICAgICAgICAvLyByYW5rOiAwID0gZXhhY3QgbWF0Y2gsIDEgPSBwcmVmaXggbWF0Y2gsIDIgPSBzdWJzdHJpbmcgbWF0Y2hcbiAgICAgICAgY29uc3QgcmFuayA9IHJhbmtlZFxuICAgICAgICAgID8gX18uY29hbGVzY2UoXG4gICAgICAgICAgICAgIF9fLm9yKC4uLm1hdGNoZXJzLm1hcCgobSkgPT4gX18uaGFzKG0ua2V5LCBtLnRlcm0pKSkuY29uc3RhbnQoMCksXG4gICAgICAgICAgICAgIF9fLm9yKFxuICAgICAgICAgICAgICAgIC4uLm1hdGNoZXJzLm1hcCgobSkgPT4gX18uaGFzKG0ua2V5LCBUZXh0UC5zdGFydGluZ1dpdGgobS50ZXJtKSkpXG4gICAgICAgICAgICAgICkuY29uc3RhbnQoMSksXG4gICAgICAgICAgICAgIF9fLmNvbnN0YW50KDIpXG4gICAgICAgICAgICApXG4gICAgICAgICAgOiBfXy5jb25zdGFudCgwKTtcblxuICAgICAgICByZXR1cm4gc2VhcmNoUXVlcnlcbiAgICAgICAgICAucHJvamVjdCgnaWQnLCAnbmFtZScsICdsYWJlbCcsICdlbnRpdHlUeXBlJywgJ3JhbmsnKVxuICAgICAgICAgIC5ieShfXy5pZCgpKVxuICAgICAgICAgIC5ieShkaXNwbGF5TmFtZSgpKVxuICAgICAgICAgIC5ieShfXy5sYWJlbCgpKVxuICAgICAgICAgIC5ieShfXy5jb2FsZXNjZShfXy52YWx1ZXMoJ2VudGl0eVR5cGVzJyksIF9fLmNvbnN0YW50KCcnKSkpXG4gICAgICAgICAgLmJ5KHJhbmspO1xuICAgICAgfTtcblxuICAgICAgcmV0dXJuIHBhZ2luYXRlKFxuICAgICAgICBidWlsZFNlYXJjaCxcbiAgICAgICAgKHI6IGFueSkgPT4gKHtcbiAgICAgICAgICBpZDogci5pZCA/PyAoci5nZXQgPyByLmdldCgnaWQnKSA6IHVuZGVmaW5lZCksXG4gICAgICAgICAgbmFtZTogci5uYW1lID8/IChyLmdldCA/IHIuZ2V0KCduYW1lJykgOiB1bmRlZmluZWQpLFxuICAgICAgICAgIGxhYmVsOiByLmxhYmVsID8/IChyLmdldCA/IHIuZ2V0KCdsYWJlbCcpIDogdW5kZWZpbmVkKSxcbiAgICAgICAgICBlbnRpdHlUeXBlOiByLmVudGl0eVR5cGUgfHwgKHIuZ2V0ID8gci5nZXQoJ2VudGl0eVR5cGUnKSA6IG51bGwpIHx8IG51bGwsXG4gICAgICAgIH0pLFxuICAgICAgICB7XG4gICAgICAgICAgZmlyc3QsXG4gICAgICAgICAgYWZ0ZXIsXG4gICAgICAgICAgc29ydEJ5OiBzb3J0QnkgfHwgJ25hbWUnLFxuICAgICAgICAgIHNvcnREaXJlY3Rpb24sXG4gICAgICAgICAgcmFua2VkOiByYW5rZWQgJiYgIXNvcnRCeSxcbiAgICAgICAgfVxuICAgICAgKTtcbiAgICB9XG5cbiAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwic2VhcmNoUHJvamVjdHNcIikge1xuICAgICAgY29uc3QgeyBzZWFyY2hWYWx1ZSwgZmlyc3QsIGFmdGVyLCBzb3J0QnksIHNvcnREaXJlY3Rpb24gfSA9IGV2ZW50LmFyZ3VtZW50cztcbiAgICAgIGlmIChzb3J0QnkgJiYgIVBST0pFQ1RfU09SVF9GSUVMRFMuaW5jbHVkZXMoc29ydEJ5KSkge1xuICAgICAgICB0aHJvdyB2YWxpZGF0aW9uRXJyb3IoYFVua25vd24gc29ydCBmaWVsZDogJHtzb3J0Qnl9YCwgeyBmaWVsZDogXCJzb3J0QnlcIiB9KTtcbiAgICAgIH1cbiAgICAgIGNvbnN0IHRyaW1tZWQgPSAoc2VhcmNoVmFsdWUgfHwgJycpLnRyaW0oKTtcblxuICAgICAgY29uc3QgYnVpbGRTZWFyY2ggPSAoKSA9PiB7XG4gICAgICAgIC8vIEFyY2hpdmVkIHByb2plY3RzIGFyZSBoaWRkZW4gZnJvbSB0aGUgbGlzdGluZ1xuICAgICAgICBsZXQgc2VhcmNoUXVlcnkgPSB2aXNpYmxlKFxuICAgICAgICAgIGchLlYoKVxuICAgICAgICAgICAgLmhhc0xhYmVsKCdQcm9qZWN0X0RhdGEnKVxuICAgICAgICAgICAgLmhhc05vdChUT01CU1RPTkVfUFJPUEVSVFkpXG4gICAgICAgICAgICAubm90KF9fLmhhcygnYXJjaGl2ZWQnLCB0cnVlKSlcbiAgICAgICAgKTtcbiAgICAgICAgaWYgKHRyaW1tZWQpIHtcbiAgICAgICAgICBzZWFyY2hRdWVyeSA9IHNlYXJjaFF1ZXJ5LmhhcygncHJvamVjdE5hbWUnLCBUZXh0UC5jb250YWluaW5nKHRyaW1tZWQpKTtcbiAgICAgICAgfVxuXG4gICAgICAgIHJldHVybiBzZWFyY2hRdWVyeVxuICAgICAgICAgIC5wcm9qZWN0KCdpZCcsICdwcm9qZWN0TmFtZScsICdEZXBhcnRtZW50TnVtYmVyJywgJ0RhdGFDbGFzc2lmaWNhdGlvbicsICdUZWFtJywgJ093bmVyR3JvdXAnLCAnUmVjb3ZlcnknLCAnVGllcicpXG4gICAgICAgICAgLmJ5KF9fLmlkKCkpXG4gICAgICAgICAgLmJ5KF9fLmNvYWxlc2NlKF9fLnZhbHVlcygncHJvamVjdE5hbWUnKSwgX18uY29uc3RhbnQoJycpKSlcbiAgICAgICAgICAuYnkoX18uY29hbGVzY2UoX18udmFsdWVzKCdEZXBhcnRtZW50TnVtYmVyJyksIF9fLmNvbnN0YW50KCcnKSkpXG4gICAgICAgICAgLmJ5KF9fLmNvYWxlc2NlKF9fLnZhbHVlcygnRGF0YUNsYXNzaWZpY2F0aW9uJyksIF9fLmNvbnN0YW50KCcnKSkpXG4gICAgICAgICAgLmJ5KF9fLmNvYWxlc2NlKF9fLnZhbHVlcygnVGVhbScpLCBfXy5jb25zdGFudCgnJykpKVxuICAgICAgICAgIC5ieShfXy5jb2FsZXNjZShfXy52YWx1ZXMoJ093bmVyR3JvdXAnKSwgX18uY29uc3RhbnQoJycpKSlcbiAgICAgICAgICAuYnkoX18uY29hbGVzY2UoX18udmFsdWVzKCdSZWNvdmVyeScpLCBfXy5jb25zdGFudCgnJykpKVxuICAgICAgICAgIC5ieShfXy5jb2FsZXNjZShfXy52YWx1ZXMoJ1RpZXInKSwgX18uY29uc3RhbnQoJycpKSk7XG4gICAgICB9O1xuXG4gICAgICByZXR1cm4gcGFnaW5hdGUoXG4gICAgICAgIGJ1aWxkU2VhcmNoLFxuICAgICAgICAocjogYW55KSA9PiAoe1xuICAgICAgICAgIGlkOiByLmlkID8/IChyLmdldCA/IHIuZ2V0KCdpZCcpIDogdW5kZWZpbmVkKSxcbiAgICAgICAgICBwcm9qZWN0TmFtZTogci5wcm9qZWN0TmFtZSA/PyAoci5nZXQgPyByLmdldCgncHJvamVjdE5hbWUnKSA6ICcnKSxcbiAgICAgICAgICBEZXBhcnRtZW50TnVtYmVyOiByLkRlcGFydG1lbnROdW1iZXIgPz8gKHIuZ2V0ID8gci5nZXQoJ0RlcGFydG1lbnROdW1iZXInKSA6ICcnKSxcbiAgICAgICAgICBEYXRhQ2xhc3NpZmljYXRpb246IHIuRGF0YUNsYXNzaWZpY2F0aW9uID8/IChyLmdldCA/IHIuZ2V0KCdEYXRhQ2xhc3NpZmljYXRpb24nKSA6ICcnKSxcbiAgICAgICAgICBUZWFtOiByLlRlYW0gPz8gKHIuZ2V0ID8gci5nZXQoJ1RlYW0nKSA6ICcnKSxcbiAgICAgICAgICBPd25lckdyb3VwOiByLk93bmVyR3JvdXAgPz8gKHIuZ2V0ID8gci5nZXQoJ093bmVyR3JvdXAnKSA6ICcnKSxcbiAgICAgICAgICBSZWNvdmVyeTogci5SZWNvdmVyeSA/PyAoci5nZXQgPyByLmdldCgnUmVjb3ZlcnknKSA6ICcnKSxcbiAgICAgICAgICBUaWVyOiByLlRpZXIgPz8gKHIuZ2V0ID8gci5nZXQoJ1RpZXInKSA6ICcnKSxcbiAgICAgICAgfSksXG4gICAgICAgIHsgZmlyc3QsIGFmdGVyLCBzb3J0Qnk6IHNvcnRCeSB8fCAncHJvamVjdE5hbWUnLCBzb3J0RGlyZWN0aW9uIH1cbiAgICAgICk7XG4gICAgfVxuXG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcImdldFByb2plY3RBY2NvdW50c1wiKSB7XG4gICAgICBjb25zdCB7IHByb2plY3ROYW1lIH0gPSBldmVudC5hcmd1bWVudHM7XG5cbiAgICAgIGNvbnN0IHJlc3VsdHMgPSBhd2FpdCB2aXNpYmxlKFxuICAgICAgICBnIS5WKClcbiAgICAgICAgICAuaGFzTGFiZWwoJ1Byb2plY3RfRGF0YScpXG4gICAgICAgICAgLmhhcygncHJvamVjdE5hbWUnLCBwcm9qZWN0TmFtZSlcbiAgICAgICAgICAuaGFzTm90KFRPTUJTVE9ORV9QUk9QRVJUWSlcbiAgICAgIClcbiAgICAgICAgLmluRSgnb3duZWRfYnknKVxuICAgICAgICAuaGFzTm90KFRPTUJTVE9ORV9QUk9QRVJUWSlcbiAgICAgICAgLm91dFYoKVxuICAgICAgICAuaGFzTGFiZWwoJ0FjY291bnQnKVxuICAgICAgICAuaGFzTm90KFRPTUJTVE9ORV9QUk9QRVJUWSlcbiAgICAgICAgLnByb2plY3QoJ2lkJywgJ0FjY291bnRfTmFtZScsICdBY2NvdW50X0lkJywgJ0Nsb3VkJywgJ0Vudmlyb25tZW50cycpXG4gICAgICAgIC5ieShfXy5pZCgpKVxuICAgICAgICAuYnkoX18uY29hbGVzY2UoX18udmFsdWVzKCdBY2NvdW50X05hbWUnKSwgX18uY29uc3RhbnQoJycpKSlcbiAgICAgICAgLmJ5KF9fLmNvYWxlc2NlKF9fLnZhbHVlcygnQWNjb3VudF9JZCcpLCBfXy5jb25zdGFudCgnJykpKVxuICAgICAgICAuYnkoX18uY29hbGVzY2UoX18udmFsdWVzKCdDbG91ZCcpLCBfXy5jb25zdGFudCgnJykpKVxuICAgICAgICAuYnkoX18uY29hbGVzY2UoX18udmFsdWVzKCdFbnZpcm9ubWVudHMnKSwgX18uY29uc3RhbnQoJycpKSlcbiAgICAgICAgLnRvTGlzdCgpO1xuXG4gICAgICByZXR1cm4gcmVzdWx0cy5tYXAoKHI6IGFueSkgPT4gKHtcbiAgICAgICAgaWQ6IHIuaWQgPz8gKHIuZ2V0ID8gci5nZXQoJ2lkJykgOiB1bmRlZmluZWQpLFxuICAgICAgICBBY2NvdW50X05hbWU6IHIuQWNjb3VudF9OYW1lID8/IChyLmdldCA/IHIuZ2V0KCdBY2NvdW50X05hbWUnKSA6ICcnKSxcbiAgICAgICAgQWNjb3VudF9JZDogci5BY2NvdW50X0lkID8/IChyLmdldCA/IHIuZ2V0KCdBY2NvdW50X0lkJykgOiAnJyksXG4gICAgICAgIENsb3VkOiByLkNsb3VkID8/IChyLmdldCA/IHIuZ2V0KCdDbG91ZCcpIDogJycpLFxuICAgICAgICBFbnZpcm9ubWVudHM6IHIuRW52aXJvbm1lbnRzID8/IChyLmdldCA/IHIuZ2V0KCdFbnZpcm9ubWVudHMnKSA6ICcnKSxcbiAgICAgIH0pKTtcbiAgICB9XG5cbiAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwiZ2V0RW50aXR5UHJvcGVydGllc1wiIHx8IGV2ZW50LmZpZWxkID09PSBcImdldEVudGl0eUVkZ2VzXCIpIHtcbiAgICAgIGNvbnN0IHsgdmVydGV4VHlwZSwgc2VhcmNoVmFsdWUsIHZlcnRleElkOiBkaXJlY3RWZXJ0ZXhJZCB9ID0gZXZlbnQuYXJndW1lbnRzO1xuICAgICAgY29uc3QgY2ZnID0gc2VhcmNoQ29uZmlnW3ZlcnRleFR5cGVdO1xuICAgICAgaWYgKCFjZmcpIHRocm93IHZhbGlkYXRpb25FcnJvcihgVW5rbm93biB2ZXJ0ZXggdHlwZTogJHt2ZXJ0ZXhUeXBlfWAsIHsgZmllbGQ6IFwidmVydGV4VHlwZVwiIH0pO1xuXG4gICAgICBsZXQgdmVydGV4SWQgPSBkaXJlY3RWZXJ0ZXhJZDtcbiAgICAgIGlmICh2ZXJ0ZXhJZCkge1xuICAgICAgICBjb25zdCBsaXZlID0gYXdhaXQgdmlzaWJsZShnIS5WKHZlcnRleElkKS5oYXNOb3QoVE9NQlNUT05FX1BST1BFUlRZKS5ub3QoX18uaGFzTGFiZWwoQVVESVRfTEFCRUwpKSlcbiAgICAgICAgICAuaWQoKVxuICAgICAgICAgIC50b0xpc3QoKTtcbiAgICAgICAgaWYgKGxpdmUubGVuZ3RoID09PSAwKSByZXR1cm4gW107XG4gICAgICB9IGVsc2Uge1xuICAgICAgICBsZXQgc2VhcmNoUXVlcnkgPSB2aXNpYmxlKGchLlYoKS5oYXNMYWJlbChjZmcubGFiZWwpLmhhc05vdChUT01CU1RPTkVfUFJPUEVSVFkpKTtcbiAgICAgICAgaWYgKGNmZy5lbnRpdHlUeXBlKSB7XG4gICAgICAgICAgc2VhcmNoUXVlcnkgPSBzZWFyY2hRdWVyeS5oYXMoJ2VudGl0eVR5cGVzJywgY2ZnLmVudGl0eVR5cGUpO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IHRyaW1tZWRTdiA9IChzZWFyY2hWYWx1ZSB8fCAnJykudHJpbSgpO1xuICAgICAgICBpZiAodHJpbW1lZFN2ICYmIHRyaW1tZWRTdiAhPT0gJyonKSB7XG4gICAgICAgICAgaWYgKGNmZy5maWVsZHMubGVuZ3RoID09PSAxKSB7XG4gICAgICAgICAgICBzZWFyY2hRdWVyeSA9IHNlYXJjaFF1ZXJ5LmhhcyhjZmcuZmllbGRzWzBdLCBUZXh0UC5jb250YWluaW5nKHRyaW1tZWRTdikpO1xuICAgICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICBzZWFyY2hRdWVyeSA9IHNlYXJjaFF1ZXJ5Lm9yKFxuICAgICAgICAgICAgICAuLi5jZmcuZmllbGRzLm1hcCgoZjogc3RyaW5nKSA9PiBfXy5oYXMoZiwgVGV4dFAuY29udGFpbmluZyh0cmltbWVkU3YpKSlcbiAgICAgICAgICAgICk7XG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICAgIGNvbnN0IHZlcnRleElkcyA9IGF3YWl0IHNlYXJjaFF1ZXJ5LmlkKCkubGltaXQoMSkudG9MaXN0KCk7XG4gICAgICAgIGlmICh2ZXJ0ZXhJZHMubGVuZ3RoID09PSAwKSByZXR1cm4gW107XG4gICAgICAgIHZlcnRleElkID0gdmVydGV4SWRzWzBdO1xuICAgICAgfVxuXG4gICAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwiZ2V0RW50aXR5UHJvcGVydGllc1wiKSB7XG4gICAgICAgIGNvbnN0IHJlc3VsdCA9IGF3YWl0IGchLlYodmVydGV4SWQpLnZhbHVlTWFwKCkudG9MaXN0KCk7XG4gICAgICAgIGlmIChyZXN1bHQubGVuZ3RoID09PSAwKSByZXR1cm4gW107XG4gICAgICAgIHJldHVybiB0b1Byb3BlcnR5TGlzdChyZXN1bHRbMF0pO1xuICAgICAgfVxuXG4gICAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwiZ2V0RW50aXR5RWRnZXNcIikge1xuICAgICAgICBjb25zdCBvdXRFZGdlcyA9IGF3YWl0IGchLlYodmVydGV4SWQpXG4gICAgICAgICAgLm91dEUoKVxuICAgICAgICAgIC5oYXNOb3QoVE9NQlNUT05FX1BST1BFUlRZKVxuICAgICAgICAgIC53aGVyZSh2aXNpYmxlKF9fLmluVigpKSlcbiAgICAgICAgICAucHJvamVjdCgnZWRnZUlkJywgJ2VkZ2VMYWJlbCcsICd0YXJnZXRJZCcsICd0YXJnZXRMYWJlbCcsICd0YXJnZXROYW1lJywgJ3Byb3BlcnRpZXMnKVxuICAgICAgICAgIC5ieShfXy5pZCgpKVxuICAgICAgICAgIC5ieShfXy5sYWJlbCgpKVxuICAgICAgICAgIC5ieShfXy5pblYoKS5pZCgpKVxuICAgICAgICAgIC5ieShfXy5pblYoKS5sYWJlbCgpKVxuICAgICAgICAgIC5ieShfXy5pblYoKS5tYXAoZGlzcGxheU5hbWUoKSkpXG4gICAgICAgICAgLmJ5KF9fLnZhbHVlTWFwKCkpXG4gICAgICAgICAgLnRvTGlzdCgpO1xuXG4gICAgICAgIGNvbnN0IGluRWRnZXMgPSBhd2FpdCBnIS5WKHZlcnRleElkKVxuICAgICAgICAgIC5pbkUoKVxuICAgICAgICAgIC5oYXNOb3QoVE9NQlNUT05FX1BST1BFUlRZKVxuICAgICAgICAgIC53aGVyZSh2aXNpYmxlKF9fLm91dFYoKSkpXG4gICAgICAgICAgLnByb2plY3QoJ2VkZ2VJZCcsICdlZGdlTGFiZWwnLCAndGFyZ2V0SWQnLCAndGFyZ2V0TGFiZWwnLCAndGFyZ2V0TmFtZScsICdwcm9wZXJ0aWVzJylcbiAgICAgICAgICAuYnkoX18uaWQoKSlcbiAgICAgICAgICAuYnkoX18ubGFiZWwoKSlcbiAgICAgICAgICAuYnkoX18ub3V0VigpLmlkKCkpXG4gICAgICAgICAgLmJ5KF9fLm91dFYoKS5sYWJlbCgpKVxuICAgICAgICAgIC5ieShfXy5vdXRWKCkubWFwKGRpc3BsYXlOYW1lKCkpKVxuICAgICAgICAgIC5ieShfXy52YWx1ZU1hcCgpKVxuICAgICAgICAgIC50b0xpc3QoKTtcblxuICAgICAgICBjb25zdCBlZGdlczogQXJyYXk8eyBlZGdlSWQ6IHN0cmluZzsgZWRnZUxhYmVsOiBzdHJpbmc7IGRpcmVjdGlvbjogc3RyaW5nOyB0YXJnZXRJZDogc3RyaW5nOyB0YXJnZXRMYWJlbDogc3RyaW5nOyB0YXJnZXROYW1lOiBzdHJpbmc7IHByb3BlcnRpZXM6IEFycmF5PHsga2V5OiBzdHJpbmc7IHZhbHVlOiBzdHJpbmcgfT4gfT4gPSBbXTtcbiAgICAgICAgZm9yIChjb25zdCBlIG9mIG91dEVkZ2VzIGFzIGFueVtdKSB7XG4gICAgICAgICAgZWRnZXMucHVzaCh7XG4gICAgICAgICAgICBlZGdlSWQ6IGUuZWRnZUlkID8/IChlLmdldCA/IGUuZ2V0KCdlZGdlSWQnKSA6ICcnKSxcbiAgICAgICAgICAgIGVkZ2VMYWJlbDogZS5lZGdlTGFiZWwgPz8gKGUuZ2V0ID8gZS5nZXQoJ2VkZ2VMYWJlbCcpIDogJycpLFxuICAgICAgICAgICAgZGlyZWN0aW9uOiAnb3V0Z29pbmcnLFxuICAgICAgICAgICAgdGFyZ2V0SWQ6IGUudGFyZ2V0SWQgPz8gKGUuZ2V0ID8gZS5nZXQoJ3RhcmdldElkJykgOiAnJyksXG4gICAgICAgICAgICB0YXJnZXRMYWJlbDogZS50YXJnZXRMYWJlbCA/PyAoZS5nZXQgPyBlLmdldCgndGFyZ2V0TGFiZWwnKSA6ICcnKSxcbiAgICAgICAgICAgIHRhcmdldE5hbWU6IGUudGFyZ2V0TmFtZSA/PyAoZS5nZXQgPyBlLmdldCgndGFyZ2V0TmFtZScpIDogJycpLFxuICAgICAgICAgICAgcHJvcGVydGllczogdG9Qcm9wZXJ0eUxpc3QoZS5wcm9wZXJ0aWVzID8/IChlLmdldCA/IGUuZ2V0KCdwcm9wZXJ0aWVzJykgOiB7fSkpLFxuICAgICAgICAgIH0pO1xuICAgICAgICB9XG4gICAgICAgIGZvciAoY29uc3QgZSBvZiBpbkVkZ2VzIGFzIGFueVtdKSB7XG4gICAgICAgICAgZWRnZXMucHVzaCh7XG4gICAgICAgICAgICBlZGdlSWQ6IGUuZWRnZUlkID8/IChlLmdldCA/IGUuZ2V0KCdlZGdlSWQnKSA6ICcnKSxcbiAgICAgICAgICAgIGVkZ2VMYWJlbDogZS5lZGdlTGFiZWwgPz8gKGUuZ2V0ID8gZS5nZXQoJ2VkZ2VMYWJlbCcpIDogJycpLFxuICAgICAgICAgICAgZGlyZWN0aW9uOiAnaW5jb21pbmcnLFxuICAgICAgICAgICAgdGFyZ2V0SWQ6IGUudGFyZ2V0SWQgPz8gKGUuZ2V0ID8gZS5nZXQoJ3RhcmdldElkJykgOiAnJyksXG4gICAgICAgICAgICB0YXJnZXRMYWJlbDogZS50YXJnZXRMYWJlbCA/PyAoZS5nZXQgPyBlLmdldCgndGFyZ2V0TGFiZWwnKSA6ICcnKSxcbiAgICAgICAgICAgIHRhcmdldE5hbWU6IGUudGFyZ2V0TmFtZSA/PyAoZS5nZXQgPyBlLmdldCgndGFyZ2V0TmFtZScpIDogJycpLFxuICAgICAgICAgICAgcHJvcGVydGllczogdG9Qcm9wZXJ0eUxpc3QoZS5wcm9wZXJ0aWVzID8/IChlLmdldCA/IGUuZ2V0KCdwcm9wZXJ0aWVzJykgOiB7fSkpLFxuICAgICAgICAgIH0pO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBlZGdlcztcbiAgICAgIH1cbiAgICB9XG5cbiAgICAvLyBWZXJ0ZXggaWRzIG9mIHRoZSBuZWlnaGJvcmhvb2Qgc2hvd24gYnkgZ2V0R3JhcGggYW5kIGV4cG9ydGVkIGJ5XG4gICAgLy8gZXhwb3J0U3ViZ3JhcGgsIGFuZCB3aGV0aGVyIHRoZSBub2RlIGNhcCBjdXQgaXQgc2hvcnRcbiAgICBjb25zdCBjb2xsZWN0TmVpZ2hib3Job29kID0gYXN5bmMgKFxuICAgICAgcm9vdElkOiBzdHJpbmcgfCBudWxsIHwgdW5kZWZpbmVkLFxuICAgICAgZGVwdGg6IG51bWJlcixcbiAgICAgIGxpbWl0OiBudW1iZXIsXG4gICAgICB2TGFiZWxzOiBzdHJpbmdbXSxcbiAgICAgIGVMYWJlbHM6IHN0cmluZ1tdXG4gICAgKTogUHJvbWlzZTx7IG5vZGVJZHM6IHN0cmluZ1tdOyB0cnVuY2F0ZWQ6IGJvb2xlYW4gfT4gPT4ge1xuICAgICAgLy8gQXVkaXQgZXZlbnRzIGFyZSBuZXZlciBwYXJ0IG9mIGEgbmVpZ2hib3Job29kLCB3aGF0ZXZlciB0aGUgZmlsdGVyXG4gICAgICBjb25zdCB3aXRoVmVydGV4TGFiZWxzID0gKHQ6IGFueSkgPT4ge1xuICAgICAgICBjb25zdCBtb2RlbGxlZCA9IHQubm90KF9fLmhhc0xhYmVsKEFVRElUX0xBQkVMKSk7XG4gICAgICAgIHJldHVybiB2TGFiZWxzLmxlbmd0aCA+IDAgPyBtb2RlbGxlZC5oYXNMYWJlbCguLi52TGFiZWxzKSA6IG1vZGVsbGVkO1xuICAgICAgfTtcblxuICAgICAgLy8gQ29sbGVjdCB2ZXJ0ZXggaWRzIGhvcCBieSBob3Agc28gdGhlIG5vZGUgY2FwIGlzIGVuZm9yY2VkIGJlZm9yZVxuICAgICAgLy8gYW55dGhpbmcgaXMgbWF0ZXJpYWxpemVkLiBPbmUgZXh0cmEgaWQgaXMgZmV0Y2hlZCBwZXIgaG9wIHRvIGRldGVjdFxuICAgICAgLy8gd2hldGhlciB0aGUgY2FwIGN1dCB0aGUgbmVpZ2hib3Job29kIHNob3J0LlxuICAgICAgY29uc3Qgbm9kZUlkczogc3RyaW5nW10gPSBbXTtcbiAgICAgIGxldCB0cnVuY2F0ZWQgPSBmYWxzZTtcblxuICAgICAgaWYgKHJvb3RJZCkge1xuICAgICAgICBjb25zdCByb290ID0gYXdhaXQgdmlzaWJsZShcbiAgICAgICAgICBnIS5WKHJvb3RJZCkuaGFzTm90KFRPTUJTVE9ORV9QUk9QRVJUWSkubm90KF9fLmhhc0xhYmVsKEFVRElUX0xBQkVMKSlcbiAgICAgICAgKS5pZCgpLnRvTGlzdCgpO1xuICAgICAgICBpZiAocm9vdC5sZW5ndGggPT09IDApIHJldHVybiB7IG5vZGVJZHMsIHRydW5jYXRlZCB9O1xuICAgICAgICBub2RlSWRzLnB1c2goU3RyaW5nKHJvb3RbMF0pKTtcblxuICAgICAgICBsZXQgZnJvbnRpZXI6IHN0cmluZ1tdID0gWy4uLm5vZGVJZHNdO1xuICAgICAgICBmb3IgKGxldCBob3AgPSAwOyBob3AgPCBkZXB0aCAmJiBmcm9udGllci5sZW5ndGggPiAwOyBob3ArKykge1xuICAgICAgICAgIGNvbnN0IHJlbWFpbmluZyA9IGxpbWl0IC0gbm9kZUlkcy5sZW5ndGg7XG4gICAgICAgICAgY29uc3QgbmV4dCA9IGF3YWl0IHZpc2libGUod2l0aFZlcnRleExhYmVscyhcbiAgICAgICAgICAgIGchLlYoLi4uZnJvbnRpZXIpLmJvdGhFKC4uLmVMYWJlbHMpLmhhc05vdChUT01CU1RPTkVfUFJPUEVSVFkpLm90aGVyVigpXG4gICAgICAgICAgKSlcbiAgICAgICAgICAgIC5ub3QoX18uaGFzSWQoUC53aXRoaW4oLi4ubm9kZUlkcykpKVxuICAgICAgICAgICAgLmRlZHVwKClcbiAgICAgICAgICAgIC5pZCgpXG4gICAgICAgICAgICAubGltaXQocmVtYWluaW5nICsgMSlcbiAgICAgICAgICAgIC50b0xpc3QoKTtcbiAgICAgICAgICBpZiAobmV4dC5sZW5ndGggPiByZW1haW5pbmcpIHtcbiAgICAgICAgICAgIHRydW5jYXRlZCA9IHRydWU7XG4gICAgICAgICAgICBuZXh0Lmxlbmd0aCA9IHJlbWFpbmluZztcbiAgICAgICAgICB9XG4gICAgICAgICAgZnJvbnRpZXIgPSBuZXh0Lm1hcCgodjogYW55KSA9PiBTdHJpbmcodikpO1xuICAgICAgICAgIG5vZGVJZHMucHVzaCguLi5mcm9udGllcik7XG4gICAgICAgICAgaWYgKHRydW5jYXRlZCkgYnJlYWs7XG4gICAgICAgIH1cbiAgICAgIH0gZWxzZSB7XG4gICAgICAgIC8vIE5vIHJvb3Q6IHJldHVybiBhIGNhcHBlZCBzYW1wbGUgc28gdGhlIHBhZ2Ugc3RpbGwgaGFzIHNvbWV0aGluZyB0byByZW5kZXJcbiAgICAgICAgY29uc3Qgc2FtcGxlID0gYXdhaXQgdmlzaWJsZSh3aXRoVmVydGV4TGFiZWxzKGchLlYoKS5oYXNOb3QoVE9NQlNUT05FX1BST1BFUlRZKSkpXG4gICAgICAgICAgLmlkKClcbiAgICAgICAgICAubGltaXQobGltaXQgKyAxKVxuICAgICAgICAgIC50b0xpc3QoKTtcbiAgICAgICAgaWYgKHNhbXBsZS5sZW5ndGggPiBsaW1pdCkge1xuICAgICAgICAgIHRydW5jYXRlZCA9IHRydWU7XG4gICAgICAgICAgc2FtcGxlLmxlbmd0aCA9IGxpbWl0O1xuICAgICAgICB9XG4gICAgICAgIG5vZGVJZHMucHVzaCguLi5zYW1wbGUubWFwKCh2OiBhbnkpID0+IFN0cmluZyh2KSkpO1xuICAgICAgfVxuICAgICAgcmV0dXJuIHsgbm9kZUlkcywgdHJ1bmNhdGVkIH07XG4gICAgfTtcblxuICAgIC8vIExpdmUgZWRnZXMgb2YgYGVMYWJlbHNgIGJldHdlZW4gdmVydGljZXMgb2YgYG5vZGVJZHNgXG4gICAgY29uc3QgZWRnZXNXaXRoaW4gPSAobm9kZUlkczogc3RyaW5nW10sIGVMYWJlbHM6IHN0cmluZ1tdKSA9PlxuICAgICAgZyEuViguLi5ub2RlSWRzKVxuICAgICAgICAub3V0RSguLi5lTGFiZWxzKVxuICAgICAgICAuaGFzTm90KFRPTUJTVE9ORV9QUk9QRVJUWSlcbiAgICAgICAgLndoZXJlKF9fLmluVigpLmhhc0lkKFAud2l0aGluKC4uLm5vZGVJZHMpKSk7XG5cbiAgICAvLyBMYWJlbCBmaWx0ZXJzIG1heSBvbmx5IG5hbWUgbGFiZWxzIG9mIHRoZSBzY2hlbWEgcmVnaXN0cnlcbiAgICBjb25zdCBsYWJlbEZpbHRlciA9IChhcmdzOiBhbnksIGZpZWxkOiBzdHJpbmcsIGlzTGFiZWw6IChsYWJlbDogc3RyaW5nKSA9PiBib29sZWFuKSA9PiB7XG4gICAgICBjb25zdCBsYWJlbHMgPSAoYXJnc1tmaWVsZF0gPz8gW10pIGFzIHN0cmluZ1tdO1xuICAgICAgY29uc3QgdW5rbm93biA9IGxhYmVscy5maWx0ZXIoKGxhYmVsKSA9PiAhaXNMYWJlbChsYWJlbCkpO1xuICAgICAgaWYgKHVua25vd24ubGVuZ3RoID4gMCkge1xuICAgICAgICB0aHJvdyB2YWxpZGF0aW9uRXJyb3IoYFVua25vd24gbGFiZWwgaW4gJHtmaWVsZH06ICR7dW5rbm93bi5qb2luKFwiLCBcIil9YCwgeyBmaWVsZCB9KTtcbiAgICAgIH1cbiAgICAgIHJldHVybiBsYWJlbHM7XG4gICAgfTtcblxuICAgIGNvbnN0IGdyYXBoQm91bmRzID0gKGFyZ3M6IGFueSkgPT4gKHtcbiAgICAgIGRlcHRoOiBNYXRoLm1pbihNYXRoLm1heChhcmdzLmRlcHRoID8/IERFRkFVTFRfR1JBUEhfREVQVEgsIDApLCBNQVhfR1JBUEhfREVQVEgpLFxuICAgICAgbGltaXQ6IE1hdGgubWluKE1hdGgubWF4KGFyZ3MubGltaXQgPz8gREVGQVVMVF9HUkFQSF9MSU1JVCwgMSksIE1BWF9HUkFQSF9MSU1JVCksXG4gICAgICB2TGFiZWxzOiBsYWJlbEZpbHRlcihhcmdzLCBcInZlcnRleExhYmVsc1wiLCBpc1ZlcnRleExhYmVsKSxcbiAgICAgIGVMYWJlbHM6IGxhYmVsRmlsdGVyKGFyZ3MsIFwiZWRnZUxhYmVsc1wiLCBpc0VkZ2VMYWJlbCksXG4gICAgfSk7XG5cbiAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwiZ2V0R3JhcGhcIikge1xuICAgICAgY29uc3QgeyBkZXB0aCwgbGltaXQsIHZMYWJlbHMsIGVMYWJlbHMgfSA9IGdyYXBoQm91bmRzKGV2ZW50LmFyZ3VtZW50cyk7XG4gICAgICBjb25zdCB7IG5vZGVJZHMsIHRydW5jYXRlZCB9ID0gYXdhaXQgY29sbGVjdE5laWdoYm9yaG9vZChcbiAgICAgICAgZXZlbnQuYXJndW1lbnRzLnJvb3RJZCxcbiAgICAgICAgZGVwdGgsXG4gICAgICAgIGxpbWl0LFxuICAgICAgICB2TGFiZWxzLFxuICAgICAgICBlTGFiZWxzXG4gICAgICApO1xuICAgICAgaWYgKG5vZGVJZHMubGVuZ3RoID09PSAwKSByZXR1cm4geyBub2RlczogW10sIGxpbmtzOiBbXSwgdHJ1bmNhdGVkIH07XG5cbiAgICAgIGNvbnN0IHZlcnRpY2VzID0gYXdhaXQgZyEuViguLi5ub2RlSWRzKVxuICAgICAgICAucHJvamVjdCgnaWQnLCAnbGFiZWwnKVxuICAgICAgICAuYnkoX18uaWQoKSlcbiAgICAgICAgLmJ5KF9fLmxhYmVsKCkpXG4gICAgICAgIC50b0xpc3QoKTtcblxuICAgICAgY29uc3QgZWRnZXMgPSBhd2FpdCBlZGdlc1dpdGhpbihub2RlSWRzLCBlTGFiZWxzKVxuICAgICAgICAucHJvamVjdCgnc291cmNlJywgJ3RhcmdldCcsICd2YWx1ZScpXG4gICAgICAgIC5ieShfXy5vdXRWKCkuaWQoKSlcbiAgICAgICAgLmJ5KF9fLmluVigpLmlkKCkpXG4gICAgICAgIC5ieShfXy5sYWJlbCgpKVxuICAgICAgICAudG9MaXN0KCk7XG5cbiAgICAgIHJldHVybiB7XG4gICAgICAgIG5vZGVzOiB2ZXJ0aWNlcy5tYXAoKHI6IGFueSkgPT4gKHtcbiAgICAgICAgICBpZDogci5pZCA/PyAoci5nZXQgPyByLmdldCgnaWQnKSA6IHVuZGVmaW5lZCksXG4gICAgICAgICAgbGFiZWw6IHIubGFiZWwgPz8gKHIuZ2V0ID8gci5nZXQoJ2xhYmVsJykgOiB1bmRlZmluZWQpLFxuICAgICAgICB9KSksXG4gICAgICAgIGxpbmtzOiBlZGdlcy5tYXAoKHI6IGFueSkgPT4gKHtcbiAgICAgICAgICBzb3VyY2U6IHIuc291cmNlID8/IChyLmdldCA/IHIuZ2V0KCdzb3VyY2UnKSA6IHVuZGVmaW5lZCksXG4gICAgICAgICAgdGFyZ2V0OiByLnRhcmdldCA/PyAoci5nZXQgPyByLmdldCgndGFyZ2V0JykgOiB1bmRlZmluZWQpLFxuICAgICAgICAgIHZhbHVlOiByLnZhbHVlID8/IChyLmdldCA/IHIuZ2V0KCd2YWx1ZScpIDogdW5kZWZpbmVkKSxcbiAgICAgICAgfSkpLFxuICAgICAgICB0cnVuY2F0ZWQsXG4gICAgICB9O1xuICAgIH1cblxuICAgIGlmIChldmVudC5maWVsZCA9PT0gXCJleHBvcnRTdWJncmFwaFwiKSB7XG4gICAgICBjb25zdCB7IHJvb3RJZCwgZm9ybWF0IH0gPSBldmVudC5hcmd1bWVudHM7XG4gICAgICBpZiAoIVNVQkdSQVBIX0ZPUk1BVFMuaW5jbHVkZXMoZm9ybWF0KSkge1xuICAgICAgICB0aHJvdyB2YWxpZGF0aW9uRXJyb3IoYFVua25vd24gZXhwb3J0IGZvcm1hdDogJHtmb3JtYXR9YCwgeyBmaWVsZDogXCJmb3JtYXRcIiB9KTtcbiAgICAgIH1cbiAgICAgIGNvbnN0IHsgZGVwdGgsIGxpbWl0LCB2TGFiZWxzLCBlTGFiZWxzIH0gPSBncmFwaEJvdW5kcyhldmVudC5hcmd1bWVudHMpO1xuICAgICAgY29uc3QgeyBub2RlSWRzLCB0cnVuY2F0ZWQgfSA9IGF3YWl0IGNvbGxlY3ROZWlnaGJvcmhvb2Qocm9vdElkLCBkZXB0aCwgbGltaXQsIHZMYWJlbHMsIGVMYWJlbHMpO1xuXG4gICAgICBjb25zdCBmaWVsZCA9IChyOiBhbnksIGtleTogc3RyaW5nKSA9PiByW2tleV0gPz8gKHIuZ2V0ID8gci5nZXQoa2V5KSA6IHVuZGVmaW5lZCk7XG4gICAgICBjb25zdCB2ZXJ0aWNlcyA9IG5vZGVJZHMubGVuZ3RoID09PSAwXG4gICAgICAgID8gW11cbiAgICAgICAgOiBhd2FpdCBnIS5WKC4uLm5vZGVJZHMpXG4gICAgICAgICAgICAucHJvamVjdCgnaWQnLCAnbGFiZWwnLCAnbmFtZScsICdwcm9wZXJ0aWVzJylcbiAgICAgICAgICAgIC5ieShfXy5pZCgpKVxuICAgICAgICAgICAgLmJ5KF9fLmxhYmVsKCkpXG4gICAgICAgICAgICAuYnkoZGlzcGxheU5hbWUoKSlcbiAgICAgICAgICAgIC5ieShfXy52YWx1ZU1hcCgpKVxuICAgICAgICAgICAgLnRvTGlzdCgpO1xuICAgICAgY29uc3QgZWRnZXMgPSBub2RlSWRzLmxlbmd0aCA9PT0gMFxuICAgICAgICA/IFtdXG4gICAgICAgIDogYXdhaXQgZWRnZXNXaXRoaW4obm9kZUlkcywgZUxhYmVscylcbiAgICAgICAgICAgIC5wcm9qZWN0KCdpZCcsICdsYWJlbCcsICdzb3VyY2UnLCAndGFyZ2V0JywgJ3Byb3BlcnRpZXMnKVxuICAgICAgICAgICAgLmJ5KF9fLmlkKCkpXG4gICAgICAgICAgICAuYnkoX18ubGFiZWwoKSlcbiAgICAgICAgICAgIC5ieShfXy5vdXRWKCkuaWQoKSlcbiAgICAgICAgICAgIC5ieShfXy5pblYoKS5pZCgpKVxuICAgICAgICAgICAgLmJ5KF9fLnZhbHVlTWFwKCkpXG4gICAgICAgICAgICAudG9MaXN0KCk7XG5cbiAgICAgIGNvbnN0IHN1YmdyYXBoOiBTdWJncmFwaCA9IHtcbiAgICAgICAgcm9vdElkOiByb290SWQgfHwgbnVsbCxcbiAgICAgICAgZGVwdGgsXG4gICAgICAgIG5vZGVzOiB2ZXJ0aWNlcy5tYXAoKHI6IGFueSkgPT4gKHtcbiAgICAgICAgICBpZDogU3RyaW5nKGZpZWxkKHIsICdpZCcpKSxcbiAgICAgICAgICBsYWJlbDogU3RyaW5nKGZpZWxkKHIsICdsYWJlbCcpKSxcbiAgICAgICAgICBuYW1lOiBTdHJpbmcoZmllbGQociwgJ25hbWUnKSksXG4gICAgICAgICAgcHJvcGVydGllczogdG9Qcm9wZXJ0eVJlY29yZChmaWVsZChyLCAncHJvcGVydGllcycpKSxcbiAgICAgICAgfSkpLFxuICAgICAgICBlZGdlczogZWRnZXMubWFwKChyOiBhbnkpID0+ICh7XG4gICAgICAgICAgaWQ6IFN0cmluZyhmaWVsZChyLCAnaWQnKSksXG4gICAgICAgICAgbGFiZWw6IFN0cmluZyhmaWVsZChyLCAnbGFiZWwnKSksXG4gICAgICAgICAgc291cmNlOiBTdHJpbmcoZmllbGQociwgJ3NvdXJjZScpKSxcbiAgICAgICAgICB0YXJnZXQ6IFN0cmluZyhmaWVsZChyLCAndGFyZ2V0JykpLFxuICAgICAgICAgIHByb3BlcnRpZXM6IHRvUHJvcGVydHlSZWNvcmQoZmllbGQociwgJ3Byb3BlcnRpZXMnKSksXG4gICAgICAgIH0pKSxcbiAgICAgIH07XG4gICAgICByZXR1cm4ge1xuICAgICAgICBmb3JtYXQsXG4gICAgICAgIC4uLnNlcmlhbGl6ZVN1YmdyYXBoKHN1YmdyYXBoLCBmb3JtYXQgYXMgU3ViZ3JhcGhGb3JtYXQpLFxuICAgICAgICBub2RlQ291bnQ6IHN1YmdyYXBoLm5vZGVzLmxlbmd0aCxcbiAgICAgICAgZWRnZUNvdW50OiBzdWJncmFwaC5lZGdlcy5sZW5ndGgsXG4gICAgICAgIHRydW5jYXRlZCxcbiAgICAgIH07XG4gICAgfVxuXG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcImdldEVudGl0eVByb2ZpbGVcIikge1xuICAgICAgY29uc3QgeyBpZDogdmVydGV4SWQgfSA9IGV2ZW50LmFyZ3VtZW50cztcblxuICAgICAgY29uc3QgdmVydGljZXMgPSBhd2FpdCB2aXNpYmxlKGchLlYodmVydGV4SWQpLmhhc05vdChUT01CU1RPTkVfUFJPUEVSVFkpLm5vdChfXy5oYXNMYWJlbChBVURJVF9MQUJFTCkpKVxuICAgICAgICAucHJvamVjdCgnaWQnLCAnbGFiZWwnLCAnbmFtZScsICdwcm9wZXJ0aWVzJylcbiAgICAgICAgLmJ5KF9fLmlkKCkpXG4gICAgICAgIC5ieShfXy5sYWJlbCgpKVxuICAgICAgICAuYnkoZGlzcGxheU5hbWUoKSlcbiAgICAgICAgLmJ5KF9fLnZhbHVlTWFwKCkpXG4gICAgICAgIC50b0xpc3QoKTtcbiAgICAgIGlmICh2ZXJ0aWNlcy5sZW5ndGggPT09IDApIHJldHVybiBudWxsO1xuICAgICAgY29uc3QgdjogYW55ID0gdmVydGljZXNbMF07XG4gICAgICBjb25zdCBmaWVsZCA9IChyOiBhbnksIGtleTogc3RyaW5nKSA9PiByW2tleV0gPz8gKHIuZ2V0ID8gci5nZXQoa2V5KSA6IHVuZGVmaW5lZCk7XG5cbiAgICAgIGNvbnN0IFtvdXRFZGdlcywgaW5FZGdlc10gPSBhd2FpdCBQcm9taXNlLmFsbChbXG4gICAgICAgIGchLlYodmVydGV4SWQpXG4gICAgICAgICAgLm91dEUoKVxuICAgICAgICAgIC5oYXNOb3QoVE9NQlNUT05FX1BST1BFUlRZKVxuICAgICAgICAgIC53aGVyZSh2aXNpYmxlKF9fLmluVigpKSlcbiAgICAgICAgICAubGltaXQoTUFYX1BST0ZJTEVfUkVMQVRJT05TKVxuICAgICAgICAgIC5wcm9qZWN0KCdlZGdlSWQnLCAnZWRnZUxhYmVsJywgJ2lkJywgJ2xhYmVsJywgJ25hbWUnKVxuICAgICAgICAgIC5ieShfXy5pZCgpKVxuICAgICAgICAgIC5ieShfXy5sYWJlbCgpKVxuICAgICAgICAgIC5ieShfXy5pblYoKS5pZCgpKVxuICAgICAgICAgIC5ieShfXy5pblYoKS5sYWJlbCgpKVxuICAgICAgICAgIC5ieShfXy5pblYoKS5tYXAoZGlzcGxheU5hbWUoKSkpXG4gICAgICAgICAgLnRvTGlzdCgpLFxuICAgICAgICBnIS5WKHZlcnRleElkKVxuICAgICAgICAgIC5pbkUoKVxuICAgICAgICAgIC5oYXNOb3QoVE9NQlNUT05FX1BST1BFUlRZKVxuICAgICAgICAgIC53aGVyZSh2aXNpYmxlKF9fLm91dFYoKSkpXG4gICAgICAgICAgLmxpbWl0KE1BWF9QUk9GSUxFX1JFTEFUSU9OUylcbiAgICAgICAgICAucHJvamVjdCgnZWRnZUlkJywgJ2VkZ2VMYWJlbCcsICdpZCcsICdsYWJlbCcsICduYW1lJylcbiAgICAgICAgICAuYnkoX18uaWQoKSlcbiAgICAgICAgICAuYnkoX18ubGFiZWwoKSlcbiAgICAgICAgICAuYnkoX18ub3V0VigpLmlkKCkpXG4gICAgICAgICAgLmJ5KF9fLm91dFYoKS5sYWJlbCgpKVxuICAgICAgICAgIC5ieShfXy5vdXRWKCkubWFwKGRpc3BsYXlOYW1lKCkpKVxuICAgICAgICAgIC50b0xpc3QoKSxcbiAgICAgIF0pO1xuXG4gICAgICAvLyBHcm91cCByZWxhdGlvbnMgYnkgZWRnZSBsYWJlbCBhbmQgZGlyZWN0aW9uXG4gICAgICBjb25zdCBncm91cHMgPSBuZXcgTWFwPHN0cmluZywgeyBlZGdlTGFiZWw6IHN0cmluZzsgZGlyZWN0aW9uOiBzdHJpbmc7IGNvdW50OiBudW1iZXI7IHRhcmdldHM6IGFueVtdIH0+KCk7XG4gICAgICBjb25zdCBhZGRSZWxhdGlvbnMgPSAocm93czogYW55W10sIGRpcmVjdGlvbjogc3RyaW5nKSA9PiB7XG4gICAgICAgIGZvciAoY29uc3QgciBvZiByb3dzKSB7XG4gICAgICAgICAgY29uc3QgZWRnZUxhYmVsID0gZmllbGQociwgJ2VkZ2VMYWJlbCcpO1xuICAgICAgICAgIGNvbnN0IGtleSA9IGAke2RpcmVjdGlvbn06JHtlZGdlTGFiZWx9YDtcbiAgICAgICAgICBpZiAoIWdyb3Vwcy5oYXMoa2V5KSkge1xuICAgICAgICAgICAgZ3JvdXBzLnNldChrZXksIHsgZWRnZUxhYmVsLCBkaXJlY3Rpb24sIGNvdW50OiAwLCB0YXJnZXRzOiBbXSB9KTtcbiAgICAgICAgICB9XG4gICAgICAgICAgY29uc3QgZ3JvdXAgPSBncm91cHMuZ2V0KGtleSkhO1xuICAgICAgICAgIGdyb3VwLmNvdW50Kys7XG4gICAgICAgICAgZ3JvdXAudGFyZ2V0cy5wdXNoKHtcbiAgICAgICAgICAgIGVkZ2VJZDogZmllbGQociwgJ2VkZ2VJZCcpLFxuICAgICAgICAgICAgaWQ6IGZpZWxkKHIsICdpZCcpLFxuICAgICAgICAgICAgbGFiZWw6IGZpZWxkKHIsICdsYWJlbCcpLFxuICAgICAgICAgICAgbmFtZTogZmllbGQociwgJ25hbWUnKSxcbiAgICAgICAgICB9KTtcbiAgICAgICAgfVxuICAgICAgfTtcbiAgICAgIGFkZFJlbGF0aW9ucyhvdXRFZGdlcywgJ291dGdvaW5nJyk7XG4gICAgICBhZGRSZWxhdGlvbnMoaW5FZGdlcywgJ2luY29taW5nJyk7XG5cbiAgICAgIHJldHVybiB7XG4gICAgICAgIGlkOiBmaWVsZCh2LCAnaWQnKSxcbiAgICAgICAgbGFiZWw6IGZpZWxkKHYsICdsYWJlbCcpLFxuICAgICAgICBuYW1lOiBmaWVsZCh2LCAnbmFtZScpLFxuICAgICAgICBwcm9wZXJ0aWVzOiB0b1Byb3BlcnR5TGlzdChmaWVsZCh2LCAncHJvcGVydGllcycpKSxcbiAgICAgICAgcmVsYXRpb25zOiBBcnJheS5mcm9tKGdyb3Vwcy52YWx1ZXMoKSksXG4gICAgICB9O1xuICAgIH1cblxuICAgIGlmIChldmVudC5maWVsZCA9PT0gXCJmaW5kUGF0aHNcIikge1xuICAgICAgY29uc3QgeyBmcm9tSWQsIHRvSWQsIGVkZ2VMYWJlbHMgfSA9IGV2ZW50LmFyZ3VtZW50cztcbiAgICAgIGNvbnN0IG1heEhvcHMgPSBNYXRoLm1pbihcbiAgICAgICAgTWF0aC5tYXgoZXZlbnQuYXJndW1lbnRzLm1heEhvcHMgPz8gREVGQVVMVF9QQVRIX0hPUFMsIDEpLFxuICAgICAgICBNQVhfUEFUSF9IT1BTXG4gICAgICApO1xuICAgICAgY29uc3QgbGltaXQgPSBNYXRoLm1pbihcbiAgICAgICAgTWF0aC5tYXgoZXZlbnQuYXJndW1lbnRzLmxpbWl0ID8/IERFRkFVTFRfUEFUSF9MSU1JVCwgMSksXG4gICAgICAgIE1BWF9QQVRIX0xJTUlUXG4gICAgICApO1xuICAgICAgY29uc3QgZUxhYmVsczogc3RyaW5nW10gPSBlZGdlTGFiZWxzID8/IFtdO1xuICAgICAgaWYgKGZyb21JZCA9PT0gdG9JZCkgdGhyb3cgdmFsaWRhdGlvbkVycm9yKFwiZnJvbUlkIGFuZCB0b0lkIG11c3QgZGlmZmVyXCIsIHsgZmllbGQ6IFwidG9JZFwiIH0pO1xuXG4gICAgICAvLyByZXBlYXQoKSBleHBhbmRzIGJyZWFkdGgtZmlyc3QsIHNvIHRoZSBmaXJzdCBwYXRocyB0byByZWFjaCB0b0lkIGFyZVxuICAgICAgLy8gdGhlIHNob3J0ZXN0IG9uZXMuIEVkZ2VzIGFyZSB3YWxrZWQgaW4gZWl0aGVyIGRpcmVjdGlvbjsgdGhlIGVkZ2Unc1xuICAgICAgLy8gb3duIHNvdXJjZS90YXJnZXQga2VlcCBpdHMgcmVhbCBvcmllbnRhdGlvbi5cbiAgICAgIGNvbnN0IHBhdGhzID0gYXdhaXQgdmlzaWJsZShnIS5WKGZyb21JZCkuaGFzTm90KFRPTUJTVE9ORV9QUk9QRVJUWSkpXG4gICAgICAgIC5yZXBlYXQodmlzaWJsZShfXy5ib3RoRSguLi5lTGFiZWxzKS5oYXNOb3QoVE9NQlNUT05FX1BST1BFUlRZKS5vdGhlclYoKSkuc2ltcGxlUGF0aCgpKVxuICAgICAgICAudW50aWwoX18ub3IoX18uaGFzSWQodG9JZCksIF9fLmxvb3BzKCkuaXMoUC5ndGUobWF4SG9wcykpKSlcbiAgICAgICAgLmhhc0lkKHRvSWQpXG4gICAgICAgIC5saW1pdChsaW1pdClcbiAgICAgICAgLnBhdGgoKVxuICAgICAgICAuYnkoXG4gICAgICAgICAgX18ucHJvamVjdCgnaWQnLCAnbGFiZWwnLCAnbmFtZScpXG4gICAgICAgICAgICAuYnkoX18uaWQoKSlcbiAgICAgICAgICAgIC5ieShfXy5sYWJlbCgpKVxuICAgICAgICAgICAgLmJ5KGRpc3BsYXlOYW1lKCkpXG4gICAgICAgIClcbiAgICAgICAgLmJ5KFxuICAgICAgICAgIF9fLnByb2plY3QoJ2lkJywgJ2xhYmVsJywgJ3NvdXJjZScsICd0YXJnZXQnKVxuICAgICAgICAgICAgLmJ5KF9fLmlkKCkpXG4gICAgICAgICAgICAuYnkoX18ubGFiZWwoKSlcbiAgICAgICAgICAgIC5ieShfXy5vdXRWKCkuaWQoKSlcbiAgICAgICAgICAgIC5ieShfXy5pblYoKS5pZCgpKVxuICAgICAgICApXG4gICAgICAgIC50b0xpc3QoKTtcblxuICAgICAgY29uc3QgZmllbGQgPSAocjogYW55LCBrZXk6IHN0cmluZykgPT4gcltrZXldID8/IChyLmdldCA/IHIuZ2V0KGtleSkgOiB1bmRlZmluZWQpO1xuICAgICAgcmV0dXJuIHBhdGhzXG4gICAgICAgIC5tYXAoKHA6IGFueSkgPT4ge1xuICAgICAgICAgIGNvbnN0IG9iamVjdHM6IGFueVtdID0gcC5vYmplY3RzID8/IFtdO1xuICAgICAgICAgIGNvbnN0IHZlcnRpY2VzID0gb2JqZWN0c1xuICAgICAgICAgICAgLmZpbHRlcigoXzogYW55LCBpOiBudW1iZXIpID0+IGkgJSAyID09PSAwKVxuICAgICAgICAgICAgLm1hcCgodjogYW55KSA9PiAoe1xuICAgICAgICAgICAgICBpZDogZmllbGQodiwgJ2lkJyksXG4gICAgICAgICAgICAgIGxhYmVsOiBmaWVsZCh2LCAnbGFiZWwnKSxcbiAgICAgICAgICAgICAgbmFtZTogZmllbGQodiwgJ25hbWUnKSxcbiAgICAgICAgICAgIH0pKTtcbiAgICAgICAgICBjb25zdCBlZGdlcyA9IG9iamVjdHNcbiAgICAgICAgICAgIC5maWx0ZXIoKF86IGFueSwgaTogbnVtYmVyKSA9PiBpICUgMiA9PT0gMSlcbiAgICAgICAgICAgIC5tYXAoKGU6IGFueSkgPT4gKHtcbiAgICAgICAgICAgICAgaWQ6IGZpZWxkKGUsICdpZCcpLFxuICAgICAgICAgICAgICBsYWJlbDogZmllbGQoZSwgJ2xhYmVsJyksXG4gICAgICAgICAgICAgIHNvdXJjZTogZmllbGQoZSwgJ3NvdXJjZScpLFxuICAgICAgICAgICAgICB0YXJnZXQ6IGZpZWxkKGUsICd0YXJnZXQnKSxcbiAgICAgICAgICAgIH0pKTtcbiAgICAgICAgICByZXR1cm4geyB2ZXJ0aWNlcywgZWRnZXMsIGxlbmd0aDogZWRnZXMubGVuZ3RoIH07XG4gICAgICAgIH0pXG4gICAgICAgIC5zb3J0KChhOiBhbnksIGI6IGFueSkgPT4gYS5sZW5ndGggLSBiLmxlbmd0aCk7XG4gICAgfVxuXG4gICAgaWYgKGV2ZW50LmZpZWxkID09PSBcImdldEF1ZGl0TG9nXCIpIHtcbiAgICAgIGNvbnN0IHsgdGFyZ2V0SWQsIGFjdG9yLCBmcm9tLCB0byB9ID0gZXZlbnQuYXJndW1lbnRzO1xuICAgICAgY29uc3QgbGltaXQgPSBNYXRoLm1pbihcbiAgICAgICAgTWF0aC5tYXgoZXZlbnQuYXJndW1lbnRzLmxpbWl0ID8/IERFRkFVTFRfQVVESVRfTElNSVQsIDEpLFxuICAgICAgICBNQVhfQVVESVRfTElNSVRcbiAgICAgICk7XG5cbiAgICAgIC8vIGBhdGAgaXMgYW4gSVNPLTg2MDEgc3RyaW5nLCBzbyBzdHJpbmcgY29tcGFyaXNvbiBvcmRlcnMgaXQgYnkgdGltZVxuICAgICAgY29uc3QgbWF0Y2hpbmcgPSAoKSA9PiB7XG4gICAgICAgIGxldCB0ID0gZyEuVigpLmhhc0xhYmVsKEFVRElUX0xBQkVMKTtcbiAgICAgICAgaWYgKHRhcmdldElkKSB0ID0gdC5oYXMoJ3RhcmdldElkJywgdGFyZ2V0SWQpO1xuICAgICAgICBpZiAoYWN0b3IpIHQgPSB0Lm9yKF9fLmhhcygnYWN0b3InLCBhY3RvciksIF9fLmhhcygnYWN0b3JOYW1lJywgYWN0b3IpKTtcbiAgICAgICAgaWYgKGZyb20pIHQgPSB0LmhhcygnYXQnLCBQLmd0ZShmcm9tKSk7XG4gICAgICAgIGlmICh0bykgdCA9IHQuaGFzKCdhdCcsIFAubHRlKHRvKSk7XG4gICAgICAgIHJldHVybiB0O1xuICAgICAgfTtcblxuICAgICAgY29uc3QgZmllbGQgPSAocjogYW55LCBrZXk6IHN0cmluZykgPT4gcltrZXldID8/IChyLmdldCA/IHIuZ2V0KGtleSkgOiB1bmRlZmluZWQpO1xuICAgICAgY29uc3QgcmVhZFJlY29yZHMgPSBhc3luYyAob2Zmc2V0OiBudW1iZXIpID0+IHtcbiAgICAgICAgY29uc3Qgcm93cyA9IGF3YWl0IG1hdGNoaW5nKClcbiAgICAgICAgICAub3JkZXIoKS5ieSgnYXQnLCBvcmRlci5kZXNjKS5ieShfXy5pZCgpKVxuICAgICAgICAgIC5yYW5nZShvZmZzZXQsIG9mZnNldCArIGxpbWl0KVxuICAgICAgICAgIC5wcm9qZWN0KCdpZCcsIC4uLkFVRElUX0ZJRUxEUylcbiAgICAgICAgICAuYnkoX18uaWQoKSlcbiAgICAgICAgICAuYnkoX18udmFsdWVzKCdhdCcpKVxuICAgICAgICAgIC5ieShfXy52YWx1ZXMoJ2FjdG9yJykpXG4gICAgICAgICAgLmJ5KF9fLmNvYWxlc2NlKF9fLnZhbHVlcygnYWN0b3JOYW1lJyksIF9fLmNvbnN0YW50KCcnKSkpXG4gICAgICAgICAgLmJ5KF9fLnZhbHVlcygnb3BlcmF0aW9uJykpXG4gICAgICAgICAgLmJ5KF9fLnZhbHVlcygndGFyZ2V0SWQnKSlcbiAgICAgICAgICAuYnkoX18uY29hbGVzY2UoX18udmFsdWVzKCd0YXJnZXRMYWJlbCcpLCBfXy5jb25zdGFudCgnJykpKVxuICAgICAgICAgIC5ieShfXy5jb2FsZXNjZShfXy52YWx1ZXMoJ2JlZm9yZScpLCBfXy5jb25zdGFudCgnbnVsbCcpKSlcbiAgICAgICAgICAuYnkoX18uY29hbGVzY2UoX18udmFsdWVzKCdhZnRlcicpLCBfXy5jb25zdGFudCgnbnVsbCcpKSlcbiAgICAgICAgICAudG9MaXN0KCk7XG4gICAgICAgIHJldHVybiAocm93cyBhcyBhbnlbXSkubWFwKChyKSA9PiB7XG4gICAgICAgICAgY29uc3QgcmVjb3JkOiBSZWNvcmQ8c3RyaW5nLCB1bmtub3duPiA9IHsgaWQ6IGZpZWxkKHIsICdpZCcpIH07XG4gICAgICAgICAgZm9yIChjb25zdCBrZXkgb2YgQVVESVRfRklFTERTKSB7XG4gICAgICAgICAgICByZWNvcmRba2V5XSA9IGZpZWxkKHIsIGtleSk7XG4gICAgICAgICAgfVxuICAgICAgICAgIHJldHVybiByZWNvcmQ7XG4gICAgICAgIH0pO1xuICAgICAgfTtcblxuICAgICAgLy8gTG9vayB1cCB0aGUgcHJvamVjdCBvZiBlYWNoIEFjY291bnQgYW5kIG93bmVkX2J5IGVkZ2UgdGhlIHJlY29yZHNcbiAgICAgIC8vIGFyZSBhYm91dDsgdG9tYnN0b25lZCBvbmVzIGFyZSBzdGlsbCBpbiB0aGUgZ3JhcGggdW50aWwgcHVyZ2VkXG4gICAgICBjb25zdCBsaW5rZWRDbGFzc2lmaWNhdGlvbnNPZiA9IGFzeW5jIChyZWNvcmRzOiBSZWNvcmQ8c3RyaW5nLCB1bmtub3duPltdKSA9PiB7XG4gICAgICAgIGNvbnN0IGxpbmtlZENsYXNzaWZpY2F0aW9ucyA9IG5ldyBNYXA8c3RyaW5nLCBzdHJpbmdbXT4oKTtcbiAgICAgICAgY29uc3QgdGFyZ2V0SWRzID0gKGxhYmVsOiBzdHJpbmcpID0+IEFycmF5LmZyb20obmV3IFNldChcbiAgICAgICAgICByZWNvcmRzLmZpbHRlcigocikgPT4gci50YXJnZXRMYWJlbCA9PT0gbGFiZWwpLm1hcCgocikgPT4gU3RyaW5nKHIudGFyZ2V0SWQpKVxuICAgICAgICApKTtcbiAgICAgICAgY29uc3QgYWNjb3VudElkcyA9IHRhcmdldElkcygnQWNjb3VudCcpO1xuICAgICAgICBjb25zdCBvd25lZEJ5SWRzID0gdGFyZ2V0SWRzKCdvd25lZF9ieScpO1xuICAgICAgICBjb25zdCBsaW5rZWQgPSBbXG4gICAgICAgICAgLi4uKGFjY291bnRJZHMubGVuZ3RoID4gMFxuICAgICAgICAgICAgPyBhd2FpdCBnIS5WKC4uLmFjY291bnRJZHMpLmhhc0xhYmVsKCdBY2NvdW50JylcbiAgICAgICAgICAgICAgLnByb2plY3QoJ2lkJywgJ2NsYXNzaWZpY2F0aW9ucycpXG4gICAgICAgICAgICAgIC5ieShfXy5pZCgpKVxuICAgICAgICAgICAgICAuYnkoX18ub3V0KCdvd25lZF9ieScpLmhhc0xhYmVsKCdQcm9qZWN0X0RhdGEnKS52YWx1ZXMoJ0RhdGFDbGFzc2lmaWNhdGlvbicpLmZvbGQoKSlcbiAgICAgICAgICAgICAgLnRvTGlzdCgpXG4gICAgICAgICAgICA6IFtdKSxcbiAgICAgICAgICAuLi4ob3duZWRCeUlkcy5sZW5ndGggPiAwXG4gICAgICAgICAgICA/IGF3YWl0IGchLkUoLi4ub3duZWRCeUlkcykuaGFzTGFiZWwoJ293bmVkX2J5JylcbiAgICAgICAgICAgICAgLnByb2plY3QoJ2lkJywgJ2NsYXNzaWZpY2F0aW9ucycpXG4gICAgICAgICAgICAgIC5ieShfXy5pZCgpKVxuICAgICAgICAgICAgICAuYnkoX18uaW5WKCkuaGFzTGFiZWwoJ1Byb2plY3RfRGF0YScpLnZhbHVlcygnRGF0YUNsYXNzaWZpY2F0aW9uJykuZm9sZCgpKVxuICAgICAgICAgICAgICAudG9MaXN0KClcbiAgICAgICAgICAgIDogW10pLFxuICAgICAgICBdO1xuICAgICAgICBmb3IgKGNvbnN0IHIgb2YgbGlua2VkIGFzIGFueVtdKSB7XG4gICAgICAgICAgbGlua2VkQ2xhc3NpZmljYXRpb25zLnNldChTdHJpbmcoZmllbGQociwgJ2lkJykpLCBmaWVsZChyLCAnY2xhc3NpZmljYXRpb25zJykgPz8gW10pO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBsaW5rZWRDbGFzc2lmaWNhdGlvbnM7XG4gICAgICB9O1xuXG4gICAgICBpZiAoaGlkZGVuLmxlbmd0aCA9PT0gMCkge1xuICAgICAgICByZXR1cm4gcmVhZFJlY29yZHMoMCk7XG4gICAgICB9XG5cbiAgICAgIC8vIFdoZXRoZXIgYSByZWNvcmQgaXMgdmlzaWJsZSBkZXBlbmRzIG9uIGl0cyBzbmFwc2hvdHMgYW5kIG9uIHRoZVxuICAgICAgLy8gcHJvamVjdCBvZiBpdHMgdGFyZ2V0LCBzbyByZWNvcmRzIGFyZSBmaWx0ZXJlZCBhZnRlciB0aGV5IGFyZSByZWFkLlxuICAgICAgLy8gRnVydGhlciBiYXRjaGVzIGZpbGwgdGhlIHBhZ2UgdGhlIGhpZGRlbiBvbmVzIGxlZnQgc2hvcnQuXG4gICAgICBjb25zdCBwYWdlOiBSZWNvcmQ8c3RyaW5nLCB1bmtub3duPltdID0gW107XG4gICAgICBmb3IgKGxldCBiYXRjaCA9IDA7IGJhdGNoIDwgTUFYX0FVRElUX0JBVENIRVMgJiYgcGFnZS5sZW5ndGggPCBsaW1pdDsgYmF0Y2grKykge1xuICAgICAgICBjb25zdCByZWNvcmRzID0gYXdhaXQgcmVhZFJlY29yZHMoYmF0Y2ggKiBsaW1pdCk7XG4gICAgICAgIGNvbnN0IGxpbmtlZENsYXNzaWZpY2F0aW9ucyA9IGF3YWl0IGxpbmtlZENsYXNzaWZpY2F0aW9uc09mKHJlY29yZHMpO1xuICAgICAgICBwYWdlLnB1c2goLi4ucmVjb3Jkcy5maWx0ZXIoKHJlY29yZCkgPT5cbiAgICAgICAgICBhdWRpdFJlY29yZFZpc2libGUocmVjb3JkLCBldmVudC5pZGVudGl0eSwgbGlua2VkQ2xhc3NpZmljYXRpb25zKVxuICAgICAgICApKTtcbiAgICAgICAgaWYgKHJlY29yZHMubGVuZ3RoIDwgbGltaXQpIGJyZWFrO1xuICAgICAgfVxuICAgICAgcmV0dXJuIHBhZ2Uuc2xpY2UoMCwgbGltaXQpO1xuICAgIH1cblxuICAgIGlmIChldmVudC5maWVsZCA9PT0gXCJnZXRSZWNlbnRseURlbGV0ZWRcIikge1xuICAgICAgY29uc3QgeyBsYWJlbCB9ID0gZXZlbnQuYXJndW1lbnRzO1xuICAgICAgY29uc3QgbGltaXQgPSBNYXRoLm1pbihcbiAgICAgICAgTWF0aC5tYXgoZXZlbnQuYXJndW1lbnRzLmxpbWl0ID8/IERFRkFVTFRfREVMRVRFRF9MSU1JVCwgMSksXG4gICAgICAgIE1BWF9ERUxFVEVEX0xJTUlUXG4gICAgICApO1xuXG4gICAgICAvLyBPbmx5IHRvbWJzdG9uZXMgc3RpbGwgaW5zaWRlIHRoZSByZXRlbnRpb24gd2luZG93IGNhbiBiZSByZXN0b3JlZFxuICAgICAgbGV0IHQgPSB2aXNpYmxlKGchLlYoKS5oYXMoVE9NQlNUT05FX1BST1BFUlRZLCBQLmd0KHB1cmdlQ3V0b2ZmKCkpKSk7XG4gICAgICBpZiAobGFiZWwpIHQgPSB0Lmhhc0xhYmVsKGxhYmVsKTtcbiAgICAgIGNvbnN0IHJvd3MgPSBhd2FpdCB0XG4gICAgICAgIC5vcmRlcigpLmJ5KFRPTUJTVE9ORV9QUk9QRVJUWSwgb3JkZXIuZGVzYylcbiAgICAgICAgLmxpbWl0KGxpbWl0KVxuICAgICAgICAucHJvamVjdCgnaWQnLCAnbGFiZWwnLCAnbmFtZScsICdkZWxldGVkQXQnLCAnZGVsZXRlZEJ5JywgJ2VkZ2VDb3VudCcpXG4gICAgICAgIC5ieShfXy5pZCgpKVxuICAgICAgICAuYnkoX18ubGFiZWwoKSlcbiAgICAgICAgLmJ5KGRpc3BsYXlOYW1lKCkpXG4gICAgICAgIC5ieShfXy52YWx1ZXMoVE9NQlNUT05FX1BST1BFUlRZKSlcbiAgICAgICAgLmJ5KF9fLmNvYWxlc2NlKF9fLnZhbHVlcygnZGVsZXRlZEJ5JyksIF9fLmNvbnN0YW50KCcnKSkpXG4gICAgICAgIC5ieShfXy5ib3RoRSgpLmhhcyhUT01CU1RPTkVfUFJPUEVSVFkpLmhhc05vdChERUxFVEVEX0RJUkVDVExZX1BST1BFUlRZKS5jb3VudCgpKVxuICAgICAgICAudG9MaXN0KCk7XG5cbiAgICAgIGNvbnN0IGZpZWxkID0gKHI6IGFueSwga2V5OiBzdHJpbmcpID0+IHJba2V5XSA/PyAoci5nZXQgPyByLmdldChrZXkpIDogdW5kZWZpbmVkKTtcbiAgICAgIHJldHVybiAocm93cyBhcyBhbnlbXSkubWFwKChyKSA9PiAoe1xuICAgICAgICBpZDogZmllbGQociwgJ2lkJyksXG4gICAgICAgIGxhYmVsOiBmaWVsZChyLCAnbGFiZWwnKSxcbiAgICAgICAgbmFtZTogZmllbGQociwgJ25hbWUnKSxcbiAgICAgICAgZGVsZXRlZEF0OiBmaWVsZChyLCAnZGVsZXRlZEF0JyksXG4gICAgICAgIGRlbGV0ZWRCeTogZmllbGQociwgJ2RlbGV0ZWRCeScpLFxuICAgICAgICBlZGdlQ291bnQ6IE51bWJlcihmaWVsZChyLCAnZWRnZUNvdW50JykgPz8gMCksXG4gICAgICAgIHB1cmdlQWZ0ZXI6IHB1cmdlQWZ0ZXIoZmllbGQociwgJ2RlbGV0ZWRBdCcpKSxcbiAgICAgIH0pKTtcbiAgICB9XG5cbiAgICAvLyBFZGdlcyBkZWxldGVkIG9uIHRoZWlyIG93bjsgdGhvc2UgZGVsZXRlZCB3aXRoIGEgdmVydGV4IGNvbWUgYmFjayB3aXRoXG4gICAgLy8gaXQuIEVkZ2VzIHRvIGEgZGVsZXRlZCBvciBoaWRkZW4gdmVydGV4IGFyZSBsZWZ0IG91dC5cbiAgICBpZiAoZXZlbnQuZmllbGQgPT09IFwiZ2V0UmVjZW50bHlEZWxldGVkRWRnZXNcIikge1xuICAgICAgY29uc3QgeyBsYWJlbCB9ID0gZXZlbnQuYXJndW1lbnRzO1xuICAgICAgY29uc3QgbGltaXQgPSBNYXRoLm1pbihcbiAgICAgICAgTWF0aC5tYXgoZXZlbnQuYXJndW1lbnRzLmxpbWl0ID8/IERFRkFVTFRfREVMRVRFRF9MSU1JVCwgMSksXG4gICAgICAgIE1BWF9ERUxFVEVEX0xJTUlUXG4gICAgICApO1xuXG4gICAgICBsZXQgdCA9IGchLkUoKVxuICAgICAgICAuaGFzKERFTEVURURfRElSRUNUTFlfUFJPUEVSVFkpXG4gICAgICAgIC5oYXMoVE9NQlNUT05FX1BST1BFUlRZLCBQLmd0KHB1cmdlQ3V0b2ZmKCkpKTtcbiAgICAgIGlmIChsYWJlbCkgdCA9IHQuaGFzTGFiZWwobGFiZWwpO1xuICAgICAgY29uc3Qgcm93cyA9IGF3YWl0IHRcbiAgICAgICAgLndoZXJlKF9fLmJvdGhWKCkuaGFzKFRPTUJTVE9ORV9QUk9QRVJUWSkuY291bnQoKS5pcygwKSlcbiAgICAgICAgLndoZXJlKHZpc2libGUoX18ub3V0VigpKSlcbiAgICAgICAgLndoZXJlKHZpc2libGUoX18uaW5WKCkpKVxuICAgICAgICAub3JkZXIoKS5ieShUT01CU1RPTkVfUFJPUEVSVFksIG9yZGVyLmRlc2MpXG4gICAgICAgIC5saW1pdChsaW1pdClcbiAgICAgICAgLnByb2plY3QoJ2lkJywgJ2xhYmVsJywgJ3NvdXJjZUlkJywgJ3NvdXJjZU5hbWUnLCAndGFyZ2V0SWQnLCAndGFyZ2V0TmFtZScsICdkZWxldGVkQXQnLCAnZGVsZXRlZEJ5JylcbiAgICAgICAgLmJ5KF9fLmlkKCkpXG4gICAgICAgIC5ieShfXy5sYWJlbCgpKVxuICAgICAgICAuYnkoX18ub3V0VigpLmlkKCkpXG4gICAgICAgIC5ieShfXy5vdXRWKCkubWFwKGRpc3BsYXlOYW1lKCkpKVxuICAgICAgICAuYnkoX18uaW5WKCkuaWQoKSlcbiAgICAgICAgLmJ5KF9fLmluVigpLm1hcChkaXNwbGF5TmFtZSgpKSlcbiAgICAgICAgLmJ5KF9fLnZhbHVlcyhUT01CU1RPTkVfUFJPUEVSVFkpKVxuICAgICAgICAuYnkoX18uY29hbGVzY2UoX18udmFsdWVzKCdkZWxldGVkQnknKSwgX18uY29uc3RhbnQoJycpKSlcbiAgICAgICAgLnRvTGlzdCgpO1xuXG4gICAgICBjb25zdCBmaWVsZCA9IChyOiBhbnksIGtleTogc3RyaW5nKSA9PiByW2tleV0gPz8gKHIuZ2V0ID8gci5nZXQoa2V5KSA6IHVuZGVmaW5lZCk7XG4gICAgICByZXR1cm4gKHJvd3MgYXMgYW55W10pLm1hcCgocikgPT4gKHtcbiAgICAgICAgaWQ6IGZpZWxkKHIsICdpZCcpLFxuICAgICAgICBsYWJlbDogZmllbGQociwgJ2xhYmVsJyksXG4gICAgICAgIHNvdXJjZUlkOiBmaWVsZChyLCAnc291cmNlSWQnKSxcbiAgICAgICAgc291cmNlTmFtZTogZmllbGQociwgJ3NvdXJjZU5hbWUnKSxcbiAgICAgICAgdGFyZ2V0SWQ6IGZpZWxkKHIsICd0YXJnZXRJZCcpLFxuICAgICAgICB0YXJnZXROYW1lOiBmaWVsZChyLCAndGFyZ2V0TmFtZScpLFxuICAgICAgICBkZWxldGVkQXQ6IGZpZWxkKHIsICdkZWxldGVkQXQnKSxcbiAgICAgICAgZGVsZXRlZEJ5OiBmaWVsZChyLCAnZGVsZXRlZEJ5JyksXG4gICAgICAgIHB1cmdlQWZ0ZXI6IHB1cmdlQWZ0ZXIoZmllbGQociwgJ2RlbGV0ZWRBdCcpKSxcbiAgICAgIH0pKTtcbiAgICB9XG5cbiAgICB0aHJvdyB2YWxpZGF0aW9uRXJyb3IoYFVua25vd24gZmllbGQ6ICR7ZXZlbnQuZmllbGR9YCk7XG4gIH0gY2F0Y2ggKGVycm9yOiBhbnkpIHtcbiAgICBjb25zb2xlLmxvZyhlcnJvcik7XG4gICAgY29uc29sZS5lcnJvcihKU09OLnN0cmluZ2lmeShlcnJvcikpO1xuICAgIHJldHVybiB0b0Vycm9yUmVzdWx0KGVycm9yKTtcbiAgfVxufTtcbiJdfQ==
\ No newline at end of file
@@ -2,12 +2,172 @@ import { Handler } from "aws-lambda";
 
 import * as gremlin from "gremlin";
 import { getUrlAndHeaders } from "gremlin-aws-sigv4/lib/utils";
+import {
+  EXTRA_SEARCH_FIELDS,
+  normalizeSearchValue,
+  searchPropertyName,
+} from "./shared/searchIndex";
+import {
+  AUDIT_LABEL,
+  DELETED_DIRECTLY_PROPERTY,
+  TOMBSTONE_PROPERTY,
+  isEdgeLabel,
+  isVertexLabel,
+  purgeAfter,
+  purgeCutoff,
+  toPropertyList,
+  toPropertyRecord,
+} from "./shared/graphModel";
+import { toErrorResult, validationError } from "./shared/errors";
+import { requireRole } from "./shared/roles";
+import { auditRecordVisible, hiddenClassifications } from "./shared/classification";
+import {
+  SUBGRAPH_FORMATS,
+  Subgraph,
+  SubgraphFormat,
+  serializeSubgraph,
+} from "./shared/subgraphFormats";
 
 const DriverRemoteConnection = gremlin.driver.DriverRemoteConnection;
 const P = gremlin.process.P;
 const traversal = gremlin.process.AnonymousTraversalSource.traversal;
 const __ = gremlin.process.statics;
 const TextP = gremlin.process.TextP;
+const order = gremlin.process.order;
+
+// Bounds for the neighborhood returned by getGraph and exportSubgraph
+const DEFAULT_GRAPH_DEPTH = 2;
+const MAX_GRAPH_DEPTH = 4;
+const DEFAULT_GRAPH_LIMIT = 250;
+const MAX_GRAPH_LIMIT = 1000;
+
+// Bounds for findPaths
+const DEFAULT_PATH_HOPS = 4;
+const MAX_PATH_HOPS = 6;
+const DEFAULT_PATH_LIMIT = 3;
+const MAX_PATH_LIMIT = 10;
+
+// Maximum number of edges per direction listed by getEntityProfile
+const MAX_PROFILE_RELATIONS = 500;
+
+// Bounds for getAuditLog and the AuditEvent properties it returns
+const DEFAULT_AUDIT_LIMIT = 100;
+const MAX_AUDIT_LIMIT = 500;
+const AUDIT_FIELDS = ['at', 'actor', 'actorName', 'operation', 'targetId', 'targetLabel', 'before', 'after'];
+// Batches of `limit` records read while filling a page for a caller who
+// cannot see every record
+const MAX_AUDIT_BATCHES = 10;
+
+// Bounds for getRecentlyDeleted and getRecentlyDeletedEdges
+const DEFAULT_DELETED_LIMIT = 100;
+const MAX_DELETED_LIMIT = 500;
+
+// Page sizes and sortable fields for the cursor-paginated search connections
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const ENTITY_SORT_FIELDS = ['name', 'label', 'entityType'];
+const PROJECT_SORT_FIELDS = [
+  'projectName',
+  'DepartmentNumber',
+  'DataClassification',
+  'Team',
+  'OwnerGroup',
+  'Recovery',
+  'Tier',
+];
+
+// Cursors are opaque to clients; internally they carry the offset of the
+// last item on the page so the next page can be fetched with range().
+const encodeCursor = (offset: number): string =>
+  Buffer.from(`cursor:${offset}`).toString("base64");
+
+const decodeCursor = (cursor?: string | null): number => {
+  if (!cursor) return -1;
+  const decoded = Buffer.from(cursor, "base64").toString("utf8");
+  const match = decoded.match(/^cursor:(\d+)$/);
+  if (!match) throw validationError("Invalid cursor", { field: "after" });
+  return Number(match[1]);
+};
+
+// Display name of a vertex: the first name-like property it has
+const displayName = () =>
+  __.coalesce(
+    __.values('companyName'),
+    __.values('name'),
+    __.values('jobName'),
+    __.values('partName'),
+    __.values('make'),
+    __.constant('Unknown')
+  );
+
+const emptyConnection = () => ({
+  edges: [],
+  pageInfo: {
+    hasNextPage: false,
+    hasPreviousPage: false,
+    startCursor: null,
+    endCursor: null,
+  },
+  totalCount: 0,
+});
+
+/**
+ * Runs a projected, sorted traversal one page at a time and wraps the rows
+ * in a Relay-style connection. `build` must return a fresh traversal on each
+ * call because Gremlin traversals are mutated by the steps appended to them.
+ */
+const paginate = async <T>(
+  build: () => any,
+  mapRow: (r: any) => T,
+  args: {
+    first?: number | null;
+    after?: string | null;
+    sortBy: string;
+    sortDirection?: string | null;
+    // Order by the projected `rank` key before sortBy (ranked search)
+    ranked?: boolean;
+  }
+) => {
+  const first = Math.min(
+    Math.max(args.first ?? DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  const start = decodeCursor(args.after) + 1;
+  const direction = args.sortDirection === "DESC" ? order.desc : order.asc;
+
+  let ordered = build().order();
+  if (args.ranked) {
+    ordered = ordered.by(__.select("rank"), order.asc);
+  }
+
+  const [rows, count] = await Promise.all([
+    ordered
+      .by(__.select(args.sortBy), direction)
+      .by(__.select("id"), order.asc)
+      .range(start, start + first + 1)
+      .toList(),
+    build().count().next(),
+  ]);
+
+  const hasNextPage = rows.length > first;
+  const page = rows.slice(0, first);
+  const edges = page.map((r: any, i: number) => ({
+    cursor: encodeCursor(start + i),
+    node: mapRow(r),
+  }));
+
+  return {
+    edges,
+    pageInfo: {
+      hasNextPage,
+      hasPreviousPage: start > 0,
+      startCursor: edges.length > 0 ? edges[0].cursor : null,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null,
+    },
+    totalCount: Number(count.value ?? 0),
+  };
+};
+
 export const handler: Handler = async (event) => {
   let conn = null;
   const getConnectionDetails = () => {
@@ -29,7 +189,7 @@ export const handler: Handler = async (event) => {
       mimeType: "application/vnd.gremlin-v2.0+json",
       headers: headers,
     });
-    c._client._connection.on("close", (code, message) => {
+    c._client._connection.on("close", (code: number, message: string) => {
       console.info(`close - ${code} ${message}`);
       if (code == 1006) {
         console.error("Connection closed prematurely");
@@ -41,17 +201,25 @@ export const handler: Handler = async (event) => {
 
   let g;
 
-  const type = event.arguments.type;
-  console.log(type);
   try {
+    requireRole(event.identity, 'Viewer', event.field);
+
     if (conn == null) {
       console.info("Initializing connection");
       conn = createRemoteConnection();
       g = traversal().withRemote(conn);
     }
 
+    // Projects whose DataClassification the caller may not see are dropped
+    // from every result; `visible` filters a vertex traversal
+    const hidden = hiddenClassifications(event.identity);
+    const hiddenProject = () =>
+      __.hasLabel('Project_Data').has('DataClassification', P.within(...hidden));
+    const visible = (t: any) => (hidden.length > 0 ? t.not(hiddenProject()) : t);
+
     // Entity search handlers
     const searchConfig: Record<string, { label: string; fields: string[]; entityType?: string }> = {
+      Entity: { label: 'Entity', fields: ['companyName', 'name'] },
       Company: { label: 'Entity', fields: ['companyName'], entityType: 'Company' },
       Customer: { label: 'Entity', fields: ['name'], entityType: 'Customer' },
       Estimator: { label: 'Entity', fields: ['name'], entityType: 'Estimator' },
@@ -63,93 +231,152 @@ export const handler: Handler = async (event) => {
     };
 
     if (event.field === "searchEntities") {
-      const { vertexType, searchValue } = event.arguments;
+      const { vertexType, searchValue, first, after, sortBy, sortDirection, mode } =
+        event.arguments;
       const cfg = searchConfig[vertexType];
-      if (!cfg) throw new Error(`Unknown vertex type: ${vertexType}`);
-
-      let searchQuery = g!.V().hasLabel(cfg.label);
-      if (cfg.entityType) {
-        searchQuery = searchQuery.has('entityTypes', cfg.entityType);
+      if (!cfg) throw validationError(`Unknown vertex type: ${vertexType}`, { field: "vertexType" });
+      if (sortBy && !ENTITY_SORT_FIELDS.includes(sortBy)) {
+        throw validationError(`Unknown sort field: ${sortBy}`, { field: "sortBy" });
       }
 
-      // Only apply text filter if searchValue is non-empty
       const trimmed = (searchValue || '').trim();
-      if (trimmed && trimmed !== '*') {
-        if (cfg.fields.length === 1) {
-          searchQuery = searchQuery.has(cfg.fields[0], TextP.containing(trimmed));
-        } else {
+      const filtered = trimmed !== '' && trimmed !== '*';
+
+      // RANKED mode matches the normalized term against the search_* shadow
+      // properties of every name-like field plus the contact/identifier fields
+      const ranked = mode === 'RANKED' && filtered;
+      const matchers = ranked
+        ? Array.from(new Set([...cfg.fields, ...EXTRA_SEARCH_FIELDS]))
+            .map((f: string) => ({
+              key: searchPropertyName(f),
+              term: normalizeSearchValue(f, trimmed),
+            }))
+            .filter((m) => m.term !== '')
+        : [];
+      if (ranked && matchers.length === 0) {
+        // The term was nothing but punctuation
+        return emptyConnection();
+      }
+
+      const buildSearch = () => {
+        let searchQuery = visible(g!.V().hasLabel(cfg.label).hasNot(TOMBSTONE_PROPERTY));
+        if (cfg.entityType) {
+          searchQuery = searchQuery.has('entityTypes', cfg.entityType);
+        }
+
+        if (ranked) {
           searchQuery = searchQuery.or(
-            ...cfg.fields.map((f: string) => __.has(f, TextP.containing(trimmed)))
+            ...matchers.map((m) => __.has(m.key, TextP.containing(m.term)))
           );
+        } else if (filtered) {
+          if (cfg.fields.length === 1) {
+            searchQuery = searchQuery.has(cfg.fields[0], TextP.containing(trimmed));
+          } else {
+            searchQuery = searchQuery.or(
+              ...cfg.fields.map((f: string) => __.has(f, TextP.containing(trimmed)))
+            );
+          }
         }
-      }
 
-      const results = await searchQuery
-        .project('id', 'name', 'label', 'entityType')
-        .by(__.id())
-        .by(__.coalesce(
-          __.values('companyName'),
-          __.values('name'),
-          __.values('jobName'),
-          __.values('partName'),
-          __.values('make'),
-          __.constant('Unknown')
-        ))
-        .by(__.label())
-        .by(__.coalesce(__.values('entityTypes'), __.constant('')))
-        .limit(50)
-        .toList();
+        // rank: 0 = exact match, 1 = prefix match, 2 = substring match
+        const rank = ranked
+          ? __.coalesce(
+              __.or(...matchers.map((m) => __.has(m.key, m.term))).constant(0),
+              __.or(
+                ...matchers.map((m) => __.has(m.key, TextP.startingWith(m.term)))
+              ).constant(1),
+              __.constant(2)
+            )
+          : __.constant(0);
 
-      return results.map((r: any) => ({
-        id: r.id ?? (r.get ? r.get('id') : undefined),
-        name: r.name ?? (r.get ? r.get('name') : undefined),
-        label: r.label ?? (r.get ? r.get('label') : undefined),
-        entityType: r.entityType || (r.get ? r.get('entityType') : null) || null,
-      }));
+        return searchQuery
+          .project('id', 'name', 'label', 'entityType', 'rank')
+          .by(__.id())
+          .by(displayName())
+          .by(__.label())
+          .by(__.coalesce(__.values('entityTypes'), __.constant('')))
+          .by(rank);
+      };
+
+      return paginate(
+        buildSearch,
+        (r: any) => ({
+          id: r.id ?? (r.get ? r.get('id') : undefined),
+          name: r.name ?? (r.get ? r.get('name') : undefined),
+          label: r.label ?? (r.get ? r.get('label') : undefined),
+          entityType: r.entityType || (r.get ? r.get('entityType') : null) || null,
+        }),
+        {
+          first,
+          after,
+          sortBy: sortBy || 'name',
+          sortDirection,
+          ranked: ranked && !sortBy,
+        }
+      );
     }
 
     if (event.field === "searchProjects") {
-      const { searchValue } = event.arguments;
+      const { searchValue, first, after, sortBy, sortDirection } = event.arguments;
+      if (sortBy && !PROJECT_SORT_FIELDS.includes(sortBy)) {
+        throw validationError(`Unknown sort field: ${sortBy}`, { field: "sortBy" });
+      }
       const trimmed = (searchValue || '').trim();
 
-      let searchQuery = g!.V().hasLabel('Project_Data');
-      if (trimmed) {
-        searchQuery = searchQuery.has('projectName', TextP.containing(trimmed));
-      }
+      const buildSearch = () => {
+        // Archived projects are hidden from the listing
+        let searchQuery = visible(
+          g!.V()
+            .hasLabel('Project_Data')
+            .hasNot(TOMBSTONE_PROPERTY)
+            .not(__.has('archived', true))
+        );
+        if (trimmed) {
+          searchQuery = searchQuery.has('projectName', TextP.containing(trimmed));
+        }
 
-      const results = await searchQuery
-        .project('id', 'projectName', 'DepartmentNumber', 'DataClassification', 'Team', 'OwnerGroup', 'Recovery', 'Tier')
-        .by(__.id())
-        .by(__.coalesce(__.values('projectName'), __.constant('')))
-        .by(__.coalesce(__.values('DepartmentNumber'), __.constant('')))
-        .by(__.coalesce(__.values('DataClassification'), __.constant('')))
-        .by(__.coalesce(__.values('Team'), __.constant('')))
-        .by(__.coalesce(__.values('OwnerGroup'), __.constant('')))
-        .by(__.coalesce(__.values('Recovery'), __.constant('')))
-        .by(__.coalesce(__.values('Tier'), __.constant('')))
-        .limit(200)
-        .toList();
+        return searchQuery
+          .project('id', 'projectName', 'DepartmentNumber', 'DataClassification', 'Team', 'OwnerGroup', 'Recovery', 'Tier')
+          .by(__.id())
+          .by(__.coalesce(__.values('projectName'), __.constant('')))
+          .by(__.coalesce(__.values('DepartmentNumber'), __.constant('')))
+          .by(__.coalesce(__.values('DataClassification'), __.constant('')))
+          .by(__.coalesce(__.values('Team'), __.constant('')))
+          .by(__.coalesce(__.values('OwnerGroup'), __.constant('')))
+          .by(__.coalesce(__.values('Recovery'), __.constant('')))
+          .by(__.coalesce(__.values('Tier'), __.constant('')));
+      };
 
-      return results.map((r: any) => ({
-        id: r.id ?? (r.get ? r.get('id') : undefined),
-        projectName: r.projectName ?? (r.get ? r.get('projectName') : ''),
-        DepartmentNumber: r.DepartmentNumber ?? (r.get ? r.get('DepartmentNumber') : ''),
-        DataClassification: r.DataClassification ?? (r.get ? r.get('DataClassification') : ''),
-        Team: r.Team ?? (r.get ? r.get('Team') : ''),
-        OwnerGroup: r.OwnerGroup ?? (r.get ? r.get('OwnerGroup') : ''),
-        Recovery: r.Recovery ?? (r.get ? r.get('Recovery') : ''),
-        Tier: r.Tier ?? (r.get ? r.get('Tier') : ''),
-      }));
+      return paginate(
+        buildSearch,
+        (r: any) => ({
+          id: r.id ?? (r.get ? r.get('id') : undefined),
+          projectName: r.projectName ?? (r.get ? r.get('projectName') : ''),
+          DepartmentNumber: r.DepartmentNumber ?? (r.get ? r.get('DepartmentNumber') : ''),
+          DataClassification: r.DataClassification ?? (r.get ? r.get('DataClassification') : ''),
+          Team: r.Team ?? (r.get ? r.get('Team') : ''),
+          OwnerGroup: r.OwnerGroup ?? (r.get ? r.get('OwnerGroup') : ''),
+          Recovery: r.Recovery ?? (r.get ? r.get('Recovery') : ''),
+          Tier: r.Tier ?? (r.get ? r.get('Tier') : ''),
+        }),
+        { first, after, sortBy: sortBy || 'projectName', sortDirection }
+      );
     }
 
     if (event.field === "getProjectAccounts") {
       const { projectName } = event.arguments;
 
-      const results = await g!.V()
-        .hasLabel('Project_Data')
-        .has('projectName', projectName)
-        .in_('owned_by')
+      const results = await visible(
+        g!.V()
+          .hasLabel('Project_Data')
+          .has('projectName', projectName)
+          .hasNot(TOMBSTONE_PROPERTY)
+      )
+        .inE('owned_by')
+        .hasNot(TOMBSTONE_PROPERTY)
+        .outV()
         .hasLabel('Account')
+        .hasNot(TOMBSTONE_PROPERTY)
         .project('id', 'Account_Name', 'Account_Id', 'Cloud', 'Environments')
         .by(__.id())
         .by(__.coalesce(__.values('Account_Name'), __.constant('')))
@@ -170,11 +397,16 @@ export const handler: Handler = async (event) => {
     if (event.field === "getEntityProperties" || event.field === "getEntityEdges") {
       const { vertexType, searchValue, vertexId: directVertexId } = event.arguments;
       const cfg = searchConfig[vertexType];
-      if (!cfg) throw new Error(`Unknown vertex type: ${vertexType}`);
+      if (!cfg) throw validationError(`Unknown vertex type: ${vertexType}`, { field: "vertexType" });
 
       let vertexId = directVertexId;
-      if (!vertexId) {
-        let searchQuery = g!.V().hasLabel(cfg.label);
+      if (vertexId) {
+        const live = await visible(g!.V(vertexId).hasNot(TOMBSTONE_PROPERTY).not(__.hasLabel(AUDIT_LABEL)))
+          .id()
+          .toList();
+        if (live.length === 0) return [];
+      } else {
+        let searchQuery = visible(g!.V().hasLabel(cfg.label).hasNot(TOMBSTONE_PROPERTY));
         if (cfg.entityType) {
           searchQuery = searchQuery.has('entityTypes', cfg.entityType);
         }
@@ -196,280 +428,549 @@ export const handler: Handler = async (event) => {
       if (event.field === "getEntityProperties") {
         const result = await g!.V(vertexId).valueMap().toList();
         if (result.length === 0) return [];
-        const vertexMap = result[0];
-        const properties: Array<{ key: string; value: string }> = [];
-        const entries = vertexMap instanceof Map ? Array.from(vertexMap.entries()) : Object.entries(vertexMap);
-        for (const [key, val] of entries) {
-          const propValue = Array.isArray(val) ? String(val[0]) : String(val);
-          if (propValue !== undefined && propValue !== 'undefined' && propValue !== '') {
-            properties.push({ key: String(key), value: propValue });
-          }
-        }
-        return properties;
+        return toPropertyList(result[0]);
       }
 
       if (event.field === "getEntityEdges") {
         const outEdges = await g!.V(vertexId)
           .outE()
-          .project('edgeLabel', 'targetLabel', 'targetName')
+          .hasNot(TOMBSTONE_PROPERTY)
+          .where(visible(__.inV()))
+          .project('edgeId', 'edgeLabel', 'targetId', 'targetLabel', 'targetName', 'properties')
+          .by(__.id())
           .by(__.label())
+          .by(__.inV().id())
           .by(__.inV().label())
-          .by(__.inV().coalesce(
-            __.values('companyName'),
-            __.values('name'),
-            __.values('jobName'),
-            __.values('partName'),
-            __.values('make'),
-            __.constant('Unknown')
-          ))
+          .by(__.inV().map(displayName()))
+          .by(__.valueMap())
           .toList();
 
         const inEdges = await g!.V(vertexId)
           .inE()
-          .project('edgeLabel', 'targetLabel', 'targetName')
+          .hasNot(TOMBSTONE_PROPERTY)
+          .where(visible(__.outV()))
+          .project('edgeId', 'edgeLabel', 'targetId', 'targetLabel', 'targetName', 'properties')
+          .by(__.id())
           .by(__.label())
+          .by(__.outV().id())
           .by(__.outV().label())
-          .by(__.outV().coalesce(
-            __.values('companyName'),
-            __.values('name'),
-            __.values('jobName'),
-            __.values('partName'),
-            __.values('make'),
-            __.constant('Unknown')
-          ))
+          .by(__.outV().map(displayName()))
+          .by(__.valueMap())
           .toList();
 
-        const edges: Array<{ edgeLabel: string; direction: string; targetLabel: string; targetName: string }> = [];
-        for (const e of outEdges) {
+        const edges: Array<{ edgeId: string; edgeLabel: string; direction: string; targetId: string; targetLabel: string; targetName: string; properties: Array<{ key: string; value: string }> }> = [];
+        for (const e of outEdges as any[]) {
           edges.push({
+            edgeId: e.edgeId ?? (e.get ? e.get('edgeId') : ''),
             edgeLabel: e.edgeLabel ?? (e.get ? e.get('edgeLabel') : ''),
             direction: 'outgoing',
+            targetId: e.targetId ?? (e.get ? e.get('targetId') : ''),
             targetLabel: e.targetLabel ?? (e.get ? e.get('targetLabel') : ''),
             targetName: e.targetName ?? (e.get ? e.get('targetName') : ''),
+            properties: toPropertyList(e.properties ?? (e.get ? e.get('properties') : {})),
           });
         }
-        for (const e of inEdges) {
+        for (const e of inEdges as any[]) {
           edges.push({
+            edgeId: e.edgeId ?? (e.get ? e.get('edgeId') : ''),
             edgeLabel: e.edgeLabel ?? (e.get ? e.get('edgeLabel') : ''),
             direction: 'incoming',
+            targetId: e.targetId ?? (e.get ? e.get('targetId') : ''),
             targetLabel: e.targetLabel ?? (e.get ? e.get('targetLabel') : ''),
             targetName: e.targetName ?? (e.get ? e.get('targetName') : ''),
+            properties: toPropertyList(e.properties ?? (e.get ? e.get('properties') : {})),
           });
         }
         return edges;
       }
     }
 
-    if (type === "profile") {
-      console.log(g);
-      let usage;
-      let belong_to;
-      let authored_by;
-      let affiliated_with;
-      let people;
-      let made_by;
-      let search_name = await g!
-        .V(event.arguments.name)
-        .values("name")
-        .toList();
-      switch (event.arguments.value) {
-        case "person":
-          usage = await g
-            .V()
-            .has(event.arguments.value, "name", event.arguments.name)
-            .bothE()
-            .hasLabel("usage")
-            .otherV()
-            .values("name")
-            .toList();
-          belong_to = await g
-            .V()
-            .has(event.arguments.value, "name", event.arguments.name)
-            .bothE()
-            .hasLabel("belong_to")
-            .otherV()
-            .values("name")
-            .toList();
-          authored_by = await g
-            .V()
-            .has(event.arguments.value, "name", event.arguments.name)
-            .bothE()
-            .hasLabel("authored_by")
-            .otherV()
-            .values("name")
-            .toList();
-          affiliated_with = await g
-            .V()
-            .has(event.arguments.value, "name", event.arguments.name)
-            .bothE()
-            .hasLabel("affiliated_with")
-            .otherV()
-            .values("name")
-            .toList();
-          return [
-            { search_name, usage, belong_to, authored_by, affiliated_with },
-          ];
-        case "id":
-          usage = await g
-            .V()
-            .hasId(event.arguments.name)
-            .bothE()
-            .hasLabel("usage")
-            .otherV()
-            .values("name")
+    // Vertex ids of the neighborhood shown by getGraph and exported by
+    // exportSubgraph, and whether the node cap cut it short
+    const collectNeighborhood = async (
+      rootId: string | null | undefined,
+      depth: number,
+      limit: number,
+      vLabels: string[],
+      eLabels: string[]
+    ): Promise<{ nodeIds: string[]; truncated: boolean }> => {
+      // Audit events are never part of a neighborhood, whatever the filter
+      const withVertexLabels = (t: any) => {
+        const modelled = t.not(__.hasLabel(AUDIT_LABEL));
+        return vLabels.length > 0 ? modelled.hasLabel(...vLabels) : modelled;
+      };
+
+      // Collect vertex ids hop by hop so the node cap is enforced before
+      // anything is materialized. One extra id is fetched per hop to detect
+      // whether the cap cut the neighborhood short.
+      const nodeIds: string[] = [];
+      let truncated = false;
+
+      if (rootId) {
+        const root = await visible(
+          g!.V(rootId).hasNot(TOMBSTONE_PROPERTY).not(__.hasLabel(AUDIT_LABEL))
+        ).id().toList();
+        if (root.length === 0) return { nodeIds, truncated };
+        nodeIds.push(String(root[0]));
+
+        let frontier: string[] = [...nodeIds];
+        for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+          const remaining = limit - nodeIds.length;
+          const next = await visible(withVertexLabels(
+            g!.V(...frontier).bothE(...eLabels).hasNot(TOMBSTONE_PROPERTY).otherV()
+          ))
+            .not(__.hasId(P.within(...nodeIds)))
+            .dedup()
+            .id()
+            .limit(remaining + 1)
             .toList();
-          if (event.arguments.name.match(/Doc/)) {
-            belong_to = await g
-              .V()
-              .hasId(event.arguments.name)
-              .bothE()
-              .hasLabel("belong_to")
-              .otherV()
-              .values("name")
-              .toList();
-          } else {
-            belong_to = [];
+          if (next.length > remaining) {
+            truncated = true;
+            next.length = remaining;
           }
-          authored_by = await g
-            .V()
-            .hasId(event.arguments.name)
-            .bothE()
-            .hasLabel("authored_by")
-            .otherV()
-            .values("name")
+          frontier = next.map((v: any) => String(v));
+          nodeIds.push(...frontier);
+          if (truncated) break;
+        }
+      } else {
+        // No root: return a capped sample so the page still has something to render
+        const sample = await visible(withVertexLabels(g!.V().hasNot(TOMBSTONE_PROPERTY)))
+          .id()
+          .limit(limit + 1)
+          .toList();
+        if (sample.length > limit) {
+          truncated = true;
+          sample.length = limit;
+        }
+        nodeIds.push(...sample.map((v: any) => String(v)));
+      }
+      return { nodeIds, truncated };
+    };
+
+    // Live edges of `eLabels` between vertices of `nodeIds`
+    const edgesWithin = (nodeIds: string[], eLabels: string[]) =>
+      g!.V(...nodeIds)
+        .outE(...eLabels)
+        .hasNot(TOMBSTONE_PROPERTY)
+        .where(__.inV().hasId(P.within(...nodeIds)));
+
+    // Label filters may only name labels of the schema registry
+    const labelFilter = (args: any, field: string, isLabel: (label: string) => boolean) => {
+      const labels = (args[field] ?? []) as string[];
+      const unknown = labels.filter((label) => !isLabel(label));
+      if (unknown.length > 0) {
+        throw validationError(`Unknown label in ${field}: ${unknown.join(", ")}`, { field });
+      }
+      return labels;
+    };
+
+    const graphBounds = (args: any) => ({
+      depth: Math.min(Math.max(args.depth ?? DEFAULT_GRAPH_DEPTH, 0), MAX_GRAPH_DEPTH),
+      limit: Math.min(Math.max(args.limit ?? DEFAULT_GRAPH_LIMIT, 1), MAX_GRAPH_LIMIT),
+      vLabels: labelFilter(args, "vertexLabels", isVertexLabel),
+      eLabels: labelFilter(args, "edgeLabels", isEdgeLabel),
+    });
+
+    if (event.field === "getGraph") {
+      const { depth, limit, vLabels, eLabels } = graphBounds(event.arguments);
+      const { nodeIds, truncated } = await collectNeighborhood(
+        event.arguments.rootId,
+        depth,
+        limit,
+        vLabels,
+        eLabels
+      );
+      if (nodeIds.length === 0) return { nodes: [], links: [], truncated };
+
+      const vertices = await g!.V(...nodeIds)
+        .project('id', 'label')
+        .by(__.id())
+        .by(__.label())
+        .toList();
+
+      const edges = await edgesWithin(nodeIds, eLabels)
+        .project('source', 'target', 'value')
+        .by(__.outV().id())
+        .by(__.inV().id())
+        .by(__.label())
+        .toList();
+
+      return {
+        nodes: vertices.map((r: any) => ({
+          id: r.id ?? (r.get ? r.get('id') : undefined),
+          label: r.label ?? (r.get ? r.get('label') : undefined),
+        })),
+        links: edges.map((r: any) => ({
+          source: r.source ?? (r.get ? r.get('source') : undefined),
+          target: r.target ?? (r.get ? r.get('target') : undefined),
+          value: r.value ?? (r.get ? r.get('value') : undefined),
+        })),
+        truncated,
+      };
+    }
+
+    if (event.field === "exportSubgraph") {
+      const { rootId, format } = event.arguments;
+      if (!SUBGRAPH_FORMATS.includes(format)) {
+        throw validationError(`Unknown export format: ${format}`, { field: "format" });
+      }
+      const { depth, limit, vLabels, eLabels } = graphBounds(event.arguments);
+      const { nodeIds, truncated } = await collectNeighborhood(rootId, depth, limit, vLabels, eLabels);
+
+      const field = (r: any, key: string) => r[key] ?? (r.get ? r.get(key) : undefined);
+      const vertices = nodeIds.length === 0
+        ? []
+        : await g!.V(...nodeIds)
+            .project('id', 'label', 'name', 'properties')
+            .by(__.id())
+            .by(__.label())
+            .by(displayName())
+            .by(__.valueMap())
             .toList();
-          affiliated_with = await g
-            .V()
-            .hasId(event.arguments.name)
-            .bothE()
-            .hasLabel("affiliated_with")
-            .otherV()
-            .values("name")
+      const edges = nodeIds.length === 0
+        ? []
+        : await edgesWithin(nodeIds, eLabels)
+            .project('id', 'label', 'source', 'target', 'properties')
+            .by(__.id())
+            .by(__.label())
+            .by(__.outV().id())
+            .by(__.inV().id())
+            .by(__.valueMap())
             .toList();
-          if (event.arguments.name.match(/Prod/)) {
-            made_by = await g
-              .V()
-              .hasId(event.arguments.name)
-              .out("made_by")
-              .values("name")
-              .toList();
-          } else {
-            made_by = [];
-          }
-          if (event.arguments.name.match(/Conf/)) {
-            people = await g
-              .V()
-              .hasId(event.arguments.name)
-              .in_()
-              .values("name")
-              .toList();
-          } else {
-            people = [];
+
+      const subgraph: Subgraph = {
+        rootId: rootId || null,
+        depth,
+        nodes: vertices.map((r: any) => ({
+          id: String(field(r, 'id')),
+          label: String(field(r, 'label')),
+          name: String(field(r, 'name')),
+          properties: toPropertyRecord(field(r, 'properties')),
+        })),
+        edges: edges.map((r: any) => ({
+          id: String(field(r, 'id')),
+          label: String(field(r, 'label')),
+          source: String(field(r, 'source')),
+          target: String(field(r, 'target')),
+          properties: toPropertyRecord(field(r, 'properties')),
+        })),
+      };
+      return {
+        format,
+        ...serializeSubgraph(subgraph, format as SubgraphFormat),
+        nodeCount: subgraph.nodes.length,
+        edgeCount: subgraph.edges.length,
+        truncated,
+      };
+    }
+
+    if (event.field === "getEntityProfile") {
+      const { id: vertexId } = event.arguments;
+
+      const vertices = await visible(g!.V(vertexId).hasNot(TOMBSTONE_PROPERTY).not(__.hasLabel(AUDIT_LABEL)))
+        .project('id', 'label', 'name', 'properties')
+        .by(__.id())
+        .by(__.label())
+        .by(displayName())
+        .by(__.valueMap())
+        .toList();
+      if (vertices.length === 0) return null;
+      const v: any = vertices[0];
+      const field = (r: any, key: string) => r[key] ?? (r.get ? r.get(key) : undefined);
+
+      const [outEdges, inEdges] = await Promise.all([
+        g!.V(vertexId)
+          .outE()
+          .hasNot(TOMBSTONE_PROPERTY)
+          .where(visible(__.inV()))
+          .limit(MAX_PROFILE_RELATIONS)
+          .project('edgeId', 'edgeLabel', 'id', 'label', 'name')
+          .by(__.id())
+          .by(__.label())
+          .by(__.inV().id())
+          .by(__.inV().label())
+          .by(__.inV().map(displayName()))
+          .toList(),
+        g!.V(vertexId)
+          .inE()
+          .hasNot(TOMBSTONE_PROPERTY)
+          .where(visible(__.outV()))
+          .limit(MAX_PROFILE_RELATIONS)
+          .project('edgeId', 'edgeLabel', 'id', 'label', 'name')
+          .by(__.id())
+          .by(__.label())
+          .by(__.outV().id())
+          .by(__.outV().label())
+          .by(__.outV().map(displayName()))
+          .toList(),
+      ]);
+
+      // Group relations by edge label and direction
+      const groups = new Map<string, { edgeLabel: string; direction: string; count: number; targets: any[] }>();
+      const addRelations = (rows: any[], direction: string) => {
+        for (const r of rows) {
+          const edgeLabel = field(r, 'edgeLabel');
+          const key = `${direction}:${edgeLabel}`;
+          if (!groups.has(key)) {
+            groups.set(key, { edgeLabel, direction, count: 0, targets: [] });
           }
-          if (event.arguments.name.match(/Inst/)) {
-            affiliated_with = [];
+          const group = groups.get(key)!;
+          group.count++;
+          group.targets.push({
+            edgeId: field(r, 'edgeId'),
+            id: field(r, 'id'),
+            label: field(r, 'label'),
+            name: field(r, 'name'),
+          });
+        }
+      };
+      addRelations(outEdges, 'outgoing');
+      addRelations(inEdges, 'incoming');
+
+      return {
+        id: field(v, 'id'),
+        label: field(v, 'label'),
+        name: field(v, 'name'),
+        properties: toPropertyList(field(v, 'properties')),
+        relations: Array.from(groups.values()),
+      };
+    }
+
+    if (event.field === "findPaths") {
+      const { fromId, toId, edgeLabels } = event.arguments;
+      const maxHops = Math.min(
+        Math.max(event.arguments.maxHops ?? DEFAULT_PATH_HOPS, 1),
+        MAX_PATH_HOPS
+      );
+      const limit = Math.min(
+        Math.max(event.arguments.limit ?? DEFAULT_PATH_LIMIT, 1),
+        MAX_PATH_LIMIT
+      );
+      const eLabels: string[] = edgeLabels ?? [];
+      if (fromId === toId) throw validationError("fromId and toId must differ", { field: "toId" });
+
+      // repeat() expands breadth-first, so the first paths to reach toId are
+      // the shortest ones. Edges are walked in either direction; the edge's
+      // own source/target keep its real orientation.
+      const paths = await visible(g!.V(fromId).hasNot(TOMBSTONE_PROPERTY))
+        .repeat(visible(__.bothE(...eLabels).hasNot(TOMBSTONE_PROPERTY).otherV()).simplePath())
+        .until(__.or(__.hasId(toId), __.loops().is(P.gte(maxHops))))
+        .hasId(toId)
+        .limit(limit)
+        .path()
+        .by(
+          __.project('id', 'label', 'name')
+            .by(__.id())
+            .by(__.label())
+            .by(displayName())
+        )
+        .by(
+          __.project('id', 'label', 'source', 'target')
+            .by(__.id())
+            .by(__.label())
+            .by(__.outV().id())
+            .by(__.inV().id())
+        )
+        .toList();
+
+      const field = (r: any, key: string) => r[key] ?? (r.get ? r.get(key) : undefined);
+      return paths
+        .map((p: any) => {
+          const objects: any[] = p.objects ?? [];
+          const vertices = objects
+            .filter((_: any, i: number) => i % 2 === 0)
+            .map((v: any) => ({
+              id: field(v, 'id'),
+              label: field(v, 'label'),
+              name: field(v, 'name'),
+            }));
+          const edges = objects
+            .filter((_: any, i: number) => i % 2 === 1)
+            .map((e: any) => ({
+              id: field(e, 'id'),
+              label: field(e, 'label'),
+              source: field(e, 'source'),
+              target: field(e, 'target'),
+            }));
+          return { vertices, edges, length: edges.length };
+        })
+        .sort((a: any, b: any) => a.length - b.length);
+    }
+
+    if (event.field === "getAuditLog") {
+      const { targetId, actor, from, to } = event.arguments;
+      const limit = Math.min(
+        Math.max(event.arguments.limit ?? DEFAULT_AUDIT_LIMIT, 1),
+        MAX_AUDIT_LIMIT
+      );
+
+      // `at` is an ISO-8601 string, so string comparison orders it by time
+      const matching = () => {
+        let t = g!.V().hasLabel(AUDIT_LABEL);
+        if (targetId) t = t.has('targetId', targetId);
+        if (actor) t = t.or(__.has('actor', actor), __.has('actorName', actor));
+        if (from) t = t.has('at', P.gte(from));
+        if (to) t = t.has('at', P.lte(to));
+        return t;
+      };
+
+      const field = (r: any, key: string) => r[key] ?? (r.get ? r.get(key) : undefined);
+      const readRecords = async (offset: number) => {
+        const rows = await matching()
+          .order().by('at', order.desc).by(__.id())
+          .range(offset, offset + limit)
+          .project('id', ...AUDIT_FIELDS)
+          .by(__.id())
+          .by(__.values('at'))
+          .by(__.values('actor'))
+          .by(__.coalesce(__.values('actorName'), __.constant('')))
+          .by(__.values('operation'))
+          .by(__.values('targetId'))
+          .by(__.coalesce(__.values('targetLabel'), __.constant('')))
+          .by(__.coalesce(__.values('before'), __.constant('null')))
+          .by(__.coalesce(__.values('after'), __.constant('null')))
+          .toList();
+        return (rows as any[]).map((r) => {
+          const record: Record<string, unknown> = { id: field(r, 'id') };
+          for (const key of AUDIT_FIELDS) {
+            record[key] = field(r, key);
           }
-          return [
-            {
-              search_name,
-              usage,
-              belong_to,
-              authored_by,
-              affiliated_with,
-              made_by,
-              people,
-            },
-          ];
-        case "product":
-          console.log(event.arguments);
-          made_by = await g
-            .V()
-            .has(event.arguments.value, "name", event.arguments.name)
-            .out("made_by")
-            .values("name")
-            .toList();
-          return [{ search_name, made_by }];
-        case "conference":
-          console.log(event.arguments);
-          people = await g
-            .V()
-            .has(event.arguments.value, "name", event.arguments.name)
-            .in_()
-            .values("name")
-            .toList();
-          return [{ search_name, people }];
-        default:
-          console.log("default");
+          return record;
+        });
+      };
+
+      // Look up the project of each Account and owned_by edge the records
+      // are about; tombstoned ones are still in the graph until purged
+      const linkedClassificationsOf = async (records: Record<string, unknown>[]) => {
+        const linkedClassifications = new Map<string, string[]>();
+        const targetIds = (label: string) => Array.from(new Set(
+          records.filter((r) => r.targetLabel === label).map((r) => String(r.targetId))
+        ));
+        const accountIds = targetIds('Account');
+        const ownedByIds = targetIds('owned_by');
+        const linked = [
+          ...(accountIds.length > 0
+            ? await g!.V(...accountIds).hasLabel('Account')
+              .project('id', 'classifications')
+              .by(__.id())
+              .by(__.out('owned_by').hasLabel('Project_Data').values('DataClassification').fold())
+              .toList()
+            : []),
+          ...(ownedByIds.length > 0
+            ? await g!.E(...ownedByIds).hasLabel('owned_by')
+              .project('id', 'classifications')
+              .by(__.id())
+              .by(__.inV().hasLabel('Project_Data').values('DataClassification').fold())
+              .toList()
+            : []),
+        ];
+        for (const r of linked as any[]) {
+          linkedClassifications.set(String(field(r, 'id')), field(r, 'classifications') ?? []);
+        }
+        return linkedClassifications;
+      };
+
+      if (hidden.length === 0) {
+        return readRecords(0);
       }
-    } else if (type === "relation") {
-      switch (event.arguments.value) {
-        case "person":
-          const result = await g
-            .V()
-            .has(event.arguments.value, "name", event.arguments.name)
-            .as(event.arguments.value)
-            .out("belong_to")
-            .in_()
-            .where(P.neq(event.arguments.value))
-            .values("name")
-            .dedup()
-            .toList();
-          return result.map((r: string) => {
-            return { name: r };
-          });
 
-        case "product":
-          const result2 = await g
-            .V()
-            .has(event.arguments.value, "name", event.arguments.name)
-            .as(event.arguments.value)
-            .in_("usage")
-            .as("p")
-            .in_("authored_by")
-            .out()
-            .where(P.neq("p"))
-            .values("name")
-            .dedup()
-            .toList();
-          return result2.map((r: string) => {
-            return { name: r };
-          });
-        case "conference":
-          console.log(event.arguments);
-          const result3 = await g
-            .V()
-            .has(event.arguments.value, "name", event.arguments.name)
-            .as(event.arguments.value)
-            .in_()
-            .as("p")
-            .out()
-            .hasLabel("person")
-            .where(P.neq("p"))
-            .values("name")
-            .dedup()
-            .toList();
-          console.log(result3);
-          return result3.map((r: string) => {
-            return { name: r };
-          });
-        default:
-          console.log("default");
+      // Whether a record is visible depends on its snapshots and on the
+      // project of its target, so records are filtered after they are read.
+      // Further batches fill the page the hidden ones left short.
+      const page: Record<string, unknown>[] = [];
+      for (let batch = 0; batch < MAX_AUDIT_BATCHES && page.length < limit; batch++) {
+        const records = await readRecords(batch * limit);
+        const linkedClassifications = await linkedClassificationsOf(records);
+        page.push(...records.filter((record) =>
+          auditRecordVisible(record, event.identity, linkedClassifications)
+        ));
+        if (records.length < limit) break;
       }
-    } else {
-      const result = await g.V().toList();
-      const vertex = result.map((r: any) => {
-        return { id: r.id, label: r.label };
-      });
-      const result2 = await g.E().toList();
-      const edge = result2.map((r: any) => {
-        console.log(r);
-        return { source: r.outV.id, target: r.inV.id, value: r.label };
-      });
-      return { nodes: vertex, links: edge };
+      return page.slice(0, limit);
+    }
+
+    if (event.field === "getRecentlyDeleted") {
+      const { label } = event.arguments;
+      const limit = Math.min(
+        Math.max(event.arguments.limit ?? DEFAULT_DELETED_LIMIT, 1),
+        MAX_DELETED_LIMIT
+      );
+
+      // Only tombstones still inside the retention window can be restored
+      let t = visible(g!.V().has(TOMBSTONE_PROPERTY, P.gt(purgeCutoff())));
+      if (label) t = t.hasLabel(label);
+      const rows = await t
+        .order().by(TOMBSTONE_PROPERTY, order.desc)
+        .limit(limit)
+        .project('id', 'label', 'name', 'deletedAt', 'deletedBy', 'edgeCount')
+        .by(__.id())
+        .by(__.label())
+        .by(displayName())
+        .by(__.values(TOMBSTONE_PROPERTY))
+        .by(__.coalesce(__.values('deletedBy'), __.constant('')))
+        .by(__.bothE().has(TOMBSTONE_PROPERTY).hasNot(DELETED_DIRECTLY_PROPERTY).count())
+        .toList();
+
+      const field = (r: any, key: string) => r[key] ?? (r.get ? r.get(key) : undefined);
+      return (rows as any[]).map((r) => ({
+        id: field(r, 'id'),
+        label: field(r, 'label'),
+        name: field(r, 'name'),
+        deletedAt: field(r, 'deletedAt'),
+        deletedBy: field(r, 'deletedBy'),
+        edgeCount: Number(field(r, 'edgeCount') ?? 0),
+        purgeAfter: purgeAfter(field(r, 'deletedAt')),
+      }));
     }
+
+    // Edges deleted on their own; those deleted with a vertex come back with
+    // it. Edges to a deleted or hidden vertex are left out.
+    if (event.field === "getRecentlyDeletedEdges") {
+      const { label } = event.arguments;
+      const limit = Math.min(
+        Math.max(event.arguments.limit ?? DEFAULT_DELETED_LIMIT, 1),
+        MAX_DELETED_LIMIT
+      );
+
+      let t = g!.E()
+        .has(DELETED_DIRECTLY_PROPERTY)
+        .has(TOMBSTONE_PROPERTY, P.gt(purgeCutoff()));
+      if (label) t = t.hasLabel(label);
+      const rows = await t
+        .where(__.bothV().has(TOMBSTONE_PROPERTY).count().is(0))
+        .where(visible(__.outV()))
+        .where(visible(__.inV()))
+        .order().by(TOMBSTONE_PROPERTY, order.desc)
+        .limit(limit)
+        .project('id', 'label', 'sourceId', 'sourceName', 'targetId', 'targetName', 'deletedAt', 'deletedBy')
+        .by(__.id())
+        .by(__.label())
+        .by(__.outV().id())
+        .by(__.outV().map(displayName()))
+        .by(__.inV().id())
+        .by(__.inV().map(displayName()))
+        .by(__.values(TOMBSTONE_PROPERTY))
+        .by(__.coalesce(__.values('deletedBy'), __.constant('')))
+        .toList();
+
+      const field = (r: any, key: string) => r[key] ?? (r.get ? r.get(key) : undefined);
+      return (rows as any[]).map((r) => ({
+        id: field(r, 'id'),
+        label: field(r, 'label'),
+        sourceId: field(r, 'sourceId'),
+        sourceName: field(r, 'sourceName'),
+        targetId: field(r, 'targetId'),
+        targetName: field(r, 'targetName'),
+        deletedAt: field(r, 'deletedAt'),
+        deletedBy: field(r, 'deletedBy'),
+        purgeAfter: purgeAfter(field(r, 'deletedAt')),
+      }));
+    }
+
+    throw validationError(`Unknown field: ${event.field}`);
   } catch (error: any) {
     console.log(error);
     console.error(JSON.stringify(error));
-    throw error;
+    return toErrorResult(error);
   }
 };
@@ -0,0 +1,113 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.handler = void 0;
+const crypto_1 = require("crypto");
+const gremlin = require("gremlin");
+const utils_1 = require("gremlin-aws-sigv4/lib/utils");
+const searchIndex_1 = require("./shared/searchIndex");
+const graphModel_1 = require("./shared/graphModel");
+const roles_1 = require("./shared/roles");
+const DriverRemoteConnection = gremlin.driver.DriverRemoteConnection;
+const traversal = gremlin.process.AnonymousTraversalSource.traversal;
+const __ = gremlin.process.statics;
+const P = gremlin.process.P;
+const t = gremlin.process.t;
+const cardinality = gremlin.process.cardinality;
+// Vertices re-indexed per round trip
+const REINDEX_BATCH_SIZE = 200;
+// Backfills the search_* shadow properties of every vertex, e.g. after a
+// bulk load. Started by the rebuildSearchIndex mutation (invoked
+// asynchronously by AppSync) or by the loads Lambda once the loads of an
+// import complete, which sends { importId, actor }.
+const rebuildIndex = async (actor, importId) => {
+    const { url, headers } = (0, utils_1.getUrlAndHeaders)(process.env.NEPTUNE_ENDPOINT, process.env.NEPTUNE_PORT, {}, "/gremlin", "wss");
+    const conn = new DriverRemoteConnection(url, {
+        mimeType: "application/vnd.gremlin-v2.0+json",
+        headers: headers,
+    });
+    const g = traversal().withRemote(conn);
+    try {
+        // Only labels in the schema registry carry searchable fields, which
+        // keeps AuditEvent snapshots untouched. Pages follow the vertex id so
+        // each round trip starts where the last one ended instead of skipping
+        // an ever larger offset.
+        let indexed = 0;
+        let lastId = null;
+        for (;;) {
+            let page = g.V().hasLabel(...graphModel_1.VERTEX_LABELS);
+            if (lastId !== null)
+                page = page.has(t.id, P.gt(lastId));
+            const rows = await page
+                .order().by(t.id)
+                .limit(REINDEX_BATCH_SIZE)
+                .project('id', 'props')
+                .by(__.id())
+                .by(__.valueMap(...searchIndex_1.SEARCHABLE_FIELDS))
+                .toList();
+            if (rows.length === 0)
+                break;
+            for (const r of rows) {
+                const vertexId = r.id ?? r.get('id');
+                lastId = String(vertexId);
+                const valueMap = r.props ?? r.get('props');
+                const entries = valueMap instanceof Map ? Array.from(valueMap.entries()) : Object.entries(valueMap);
+                const props = {};
+                for (const [key, val] of entries) {
+                    props[String(key)] = Array.isArray(val) ? val[0] : val;
+                }
+                const shadows = Object.entries((0, searchIndex_1.searchProperties)(props));
+                if (shadows.length === 0)
+                    continue;
+                let update = g.V(vertexId);
+                for (const [key, val] of shadows) {
+                    update = update.property(cardinality.single, key, val);
+                }
+                await update.next();
+                indexed++;
+            }
+            if (rows.length < REINDEX_BATCH_SIZE)
+                break;
+        }
+        await g.addV(graphModel_1.AUDIT_LABEL)
+            .property(t.id, `audit_${(0, crypto_1.randomUUID)()}`)
+            .property('at', new Date().toISOString())
+            .property('actor', actor.sub)
+            .property('actorName', actor.username)
+            .property('operation', 'rebuildSearchIndex')
+            .property('targetId', 'search-index')
+            .property('targetLabel', '')
+            .property('before', 'null')
+            .property('after', JSON.stringify(importId ? { indexed, importId } : { indexed }))
+            .iterate();
+        console.log("Rebuilt search index for", indexed, "vertices", importId ? `after import ${importId}` : "");
+        return { indexed };
+    }
+    finally {
+        await conn.close();
+    }
+};
+const handler = async (event) => {
+    // AppSync resolvers carry the field; the loads Lambda sends { importId, actor }
+    if (!event.field) {
+        return rebuildIndex(event.actor, event.importId);
+    }
+    console.log("Reindex event:", JSON.stringify({ field: event.field }));
+    try {
+        if (event.field !== "rebuildSearchIndex") {
+            throw new Error(`Unknown field: ${event.field}`);
+        }
+        // Invoked asynchronously: the resolver already answered, so nothing is
+        // returned and failures only reach the log
+        (0, roles_1.requireRole)(event.identity, "Admin", event.field);
+        await rebuildIndex({
+            sub: String(event.identity?.sub ?? "unknown"),
+            username: String(event.identity?.username ?? event.identity?.sub ?? "unknown"),
+        });
+    }
+    catch (error) {
+        console.error("Reindex error:", error);
+    }
+    return null;
+};
+exports.handler = handler;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVidWlsZFNlYXJjaEluZGV4LmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsicmVidWlsZFNlYXJjaEluZGV4LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7OztBQUVBLG1DQUFvQztBQUNwQyxtQ0FBbUM7QUFDbkMsdURBQStEO0FBQy9ELHNEQUEyRTtBQUMzRSxvREFBaUU7QUFDakUsMENBQTZDO0FBRTdDLE1BQU0sc0JBQXNCLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQyxzQkFBc0IsQ0FBQztBQUNyRSxNQUFNLFNBQVMsR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDLHdCQUF3QixDQUFDLFNBQVMsQ0FBQztBQUNyRSxNQUFNLEVBQUUsR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQztBQUNuQyxNQUFNLENBQUMsR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztBQUM1QixNQUFNLENBQUMsR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztBQUM1QixNQUFNLFdBQVcsR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDLFdBQVcsQ0FBQztBQUVoRCxxQ0FBcUM7QUFDckMsTUFBTSxrQkFBa0IsR0FBRyxHQUFHLENBQUM7QUFRL0IseUVBQXlFO0FBQ3pFLGlFQUFpRTtBQUNqRSx5RUFBeUU7QUFDekUsb0RBQW9EO0FBQ3BELE1BQU0sWUFBWSxHQUFHLEtBQUssRUFBRSxLQUFZLEVBQUUsUUFBaUIsRUFBRSxFQUFFO0lBQzdELE1BQU0sRUFBRSxHQUFHLEVBQUUsT0FBTyxFQUFFLEdBQUcsSUFBQSx3QkFBZ0IsRUFDdkMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxnQkFBZ0IsRUFDNUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxZQUFZLEVBQ3hCLEVBQUUsRUFDRixVQUFVLEVBQ1YsS0FBSyxDQUNOLENBQUM7SUFDRixNQUFNLElBQUksR0FBRyxJQUFJLHNCQUFzQixDQUFDLEdBQUcsRUFBRTtRQUMzQyxRQUFRLEVBQUUsbUNBQW1DO1FBQzdDLE9BQU8sRUFBRSxPQUFPO0tBQ2pCLENBQUMsQ0FBQztJQUNILE1BQU0sQ0FBQyxHQUFHLFNBQVMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUV2QyxJQUFJLENBQUM7UUFDSCxvRUFBb0U7UUFDcEUsc0VBQXNFO1FBQ3RFLHNFQUFzRTtRQUN0RSx5QkFBeUI7UUFDekIsSUFBSSxPQUFPLEdBQUcsQ0FBQyxDQUFDO1FBQ2hCLElBQUksTUFBTSxHQUFrQixJQUFJLENBQUM7UUFDakMsU0FBUyxDQUFDO1lBQ1IsSUFBSSxJQUFJLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxHQUFHLDBCQUFhLENBQUMsQ0FBQztZQUM1QyxJQUFJLE1BQU0sS0FBSyxJQUFJO2dCQUFFLElBQUksR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO1lBQ3pELE1BQU0sSUFBSSxHQUFHLE1BQU0sSUFBSTtpQkFDcEIsS0FBSyxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7aUJBQ2hCLEtBQUssQ0FBQyxrQkFBa0IsQ0FBQztpQkFDekIsT0FBTyxDQUFDLElBQUksRUFBRSxPQUFPLENBQUM7aUJBQ3RCLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7aUJBQ1gsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsR0FBRywrQkFBaUIsQ0FBQyxDQUFDO2lCQUNyQyxNQUFNLEVBQUUsQ0FBQztZQUNaLElBQUksSUFBSSxDQUFDLE1BQU0sS0FBSyxDQUFDO2dCQUFFLE1BQU07WUFFN0IsS0FBSyxNQUFNLENBQUMsSUFBSSxJQUFhLEVBQUUsQ0FBQztnQkFDOUIsTUFBTSxRQUFRLEdBQUcsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDO2dCQUNyQyxNQUFNLEdBQUcsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDO2dCQUMxQixNQUFNLFFBQVEsR0FBRyxDQUFDLENBQUMsS0FBSyxJQUFJLENBQUMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUM7Z0JBQzNDLE1BQU0sT0FBTyxHQUFHLFFBQVEsWUFBWSxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUM7Z0JBQ3BHLE1BQU0sS0FBSyxHQUE0QixFQUFFLENBQUM7Z0JBQzFDLEtBQUssTUFBTSxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsSUFBSSxPQUFPLEVBQUUsQ0FBQztvQkFDakMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDO2dCQUN6RCxDQUFDO2dCQUVELE1BQU0sT0FBTyxHQUFHLE1BQU0sQ0FBQyxPQUFPLENBQUMsSUFBQSw4QkFBZ0IsRUFBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO2dCQUN4RCxJQUFJLE9BQU8sQ0FBQyxNQUFNLEtBQUssQ0FBQztvQkFBRSxTQUFTO2dCQUNuQyxJQUFJLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDO2dCQUMzQixLQUFLLE1BQU0sQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLElBQUksT0FBTyxFQUFFLENBQUM7b0JBQ2pDLE1BQU0sR0FBRyxNQUFNLENBQUMsUUFBUSxDQUFDLFdBQVcsQ0FBQyxNQUFNLEVBQUUsR0FBRyxFQUFFLEdBQUcsQ0FBQyxDQUFDO2dCQUN6RCxDQUFDO2dCQUNELE1BQU0sTUFBTSxDQUFDLElBQUksRUFBRSxDQUFDO2dCQUNwQixPQUFPLEVBQUUsQ0FBQztZQUNaLENBQUM7WUFDRCxJQUFJLElBQUksQ0FBQyxNQUFNLEdBQUcsa0JBQWtCO2dCQUFFLE1BQU07UUFDOUMsQ0FBQztRQUVELE1BQU0sQ0FBQyxDQUFDLElBQUksQ0FBQyx3QkFBVyxDQUFDO2FBQ3RCLFFBQVEsQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLFNBQVMsSUFBQSxtQkFBVSxHQUFFLEVBQUUsQ0FBQzthQUN2QyxRQUFRLENBQUMsSUFBSSxFQUFFLElBQUksSUFBSSxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUM7YUFDeEMsUUFBUSxDQUFDLE9BQU8sRUFBRSxLQUFLLENBQUMsR0FBRyxDQUFDO2FBQzVCLFFBQVEsQ0FBQyxXQUFXLEVBQUUsS0FBSyxDQUFDLFFBQVEsQ0FBQzthQUNyQyxRQUFRLENBQUMsV0FBVyxFQUFFLG9CQUFvQixDQUFDO2FBQzNDLFFBQVEsQ0FBQyxVQUFVLEVBQUUsY0FBYyxDQUFDO2FBQ3BDLFFBQVEsQ0FBQyxhQUFhLEVBQUUsRUFBRSxDQUFDO2FBQzNCLFFBQVEsQ0FBQyxRQUFRLEVBQUUsTUFBTSxDQUFDO2FBQzFCLFFBQVEsQ0FBQyxPQUFPLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLEVBQUUsT0FBTyxFQUFFLFFBQVEsRUFBRSxDQUFDLENBQUMsQ0FBQyxFQUFFLE9BQU8sRUFBRSxDQUFDLENBQUM7YUFDakYsT0FBTyxFQUFFLENBQUM7UUFDYixPQUFPLENBQUMsR0FBRyxDQUFDLDBCQUEwQixFQUFFLE9BQU8sRUFBRSxVQUFVLEVBQUUsUUFBUSxDQUFDLENBQUMsQ0FBQyxnQkFBZ0IsUUFBUSxFQUFFLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQ3pHLE9BQU8sRUFBRSxPQUFPLEVBQUUsQ0FBQztJQUNyQixDQUFDO1lBQVMsQ0FBQztRQUNULE1BQU0sSUFBSSxDQUFDLEtBQUssRUFBRSxDQUFDO0lBQ3JCLENBQUM7QUFDSCxDQUFDLENBQUM7QUFFSyxNQUFNLE9BQU8sR0FBWSxLQUFLLEVBQUUsS0FBSyxFQUFFLEVBQUU7SUFDOUMsZ0ZBQWdGO0lBQ2hGLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxFQUFFLENBQUM7UUFDakIsT0FBTyxZQUFZLENBQUMsS0FBSyxDQUFDLEtBQUssRUFBRSxLQUFLLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDbkQsQ0FBQztJQUVELE9BQU8sQ0FBQyxHQUFHLENBQUMsZ0JBQWdCLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQ3RFLElBQUksQ0FBQztRQUNILElBQUksS0FBSyxDQUFDLEtBQUssS0FBSyxvQkFBb0IsRUFBRSxDQUFDO1lBQ3pDLE1BQU0sSUFBSSxLQUFLLENBQUMsa0JBQWtCLEtBQUssQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDO1FBQ25ELENBQUM7UUFDRCx1RUFBdUU7UUFDdkUsMkNBQTJDO1FBQzNDLElBQUEsbUJBQVcsRUFBQyxLQUFLLENBQUMsUUFBUSxFQUFFLE9BQU8sRUFBRSxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDbEQsTUFBTSxZQUFZLENBQUM7WUFDakIsR0FBRyxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsUUFBUSxFQUFFLEdBQUcsSUFBSSxTQUFTLENBQUM7WUFDN0MsUUFBUSxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsUUFBUSxFQUFFLFFBQVEsSUFBSSxLQUFLLENBQUMsUUFBUSxFQUFFLEdBQUcsSUFBSSxTQUFTLENBQUM7U0FDL0UsQ0FBQyxDQUFDO0lBQ0wsQ0FBQztJQUFDLE9BQU8sS0FBYyxFQUFFLENBQUM7UUFDeEIsT0FBTyxDQUFDLEtBQUssQ0FBQyxnQkFBZ0IsRUFBRSxLQUFLLENBQUMsQ0FBQztJQUN6QyxDQUFDO0lBQ0QsT0FBTyxJQUFJLENBQUM7QUFDZCxDQUFDLENBQUM7QUF0QlcsUUFBQSxPQUFPLFdBc0JsQiIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IEhhbmRsZXIgfSBmcm9tIFwiYXdzLWxhbWJkYVwiO1xuXG5pbXBvcnQgeyByYW5kb21VVUlEIH0gZnJvbSBcImNyeXB0b1wiO1xuaW1wb3J0ICogYXMgZ3JlbWxpbiBmcm9tIFwiZ3JlbWxpblwiO1xuaW1wb3J0IHsgZ2V0VXJsQW5kSGVhZGVycyB9IGZyb20gXCJncmVtbGluLWF3cy1zaWd2NC9saWIvdXRpbHNcIjtcbmltcG9ydCB7IFNFQVJDSEFCTEVfRklFTERTLCBzZWFyY2hQcm9wZXJ0aWVzIH0gZnJvbSBcIi4vc2hhcmVkL3NlYXJjaEluZGV4XCI7XG5pbXBvcnQgeyBBVURJVF9MQUJFTCwgVkVSVEVYX0xBQkVMUyB9IGZyb20gXCIuL3NoYXJlZC9ncmFwaE1vZGVsXCI7XG5pbXBvcnQgeyByZXF1aXJlUm9sZSB9IGZyb20gXCIuL3NoYXJlZC9yb2xlc1wiO1xuXG5jb25zdCBEcml2ZXJSZW1vdGVDb25uZWN0aW9uID0gZ3JlbWxpbi5kcml2ZXIuRHJpdmVyUmVtb3RlQ29ubmVjdGlvbjtcbmNvbnN0IHRyYXZlcnNhbCA9IGdyZW1saW4ucHJvY2Vzcy5Bbm9ueW1vdXNUcmF2ZXJzYWxTb3VyY2UudHJhdmVyc2FsO1xuY29uc3QgX18gPSBncmVtbGluLnByb2Nlc3Muc3RhdGljcztcbmNvbnN0IFAgPSBncmVtbGluLnByb2Nlc3MuUDtcbmNvbnN0IHQgPSBncmVtbGluLnByb2Nlc3MudDtcbmNvbnN0IGNhcmRpbmFsaXR5ID0gZ3JlbWxpbi5wcm9jZXNzLmNhcmRpbmFsaXR5O1xuXG4vLyBWZXJ0aWNlcyByZS1pbmRleGVkIHBlciByb3VuZCB0cmlwXG5jb25zdCBSRUlOREVYX0JBVENIX1NJWkUgPSAyMDA7XG5cbi8vIFdobyB0aGUgQXVkaXRFdmVudCBvZiBhIHJlYnVpbGQgbmFtZXNcbmludGVyZmFjZSBBY3RvciB7XG4gIHN1Yjogc3RyaW5nO1xuICB1c2VybmFtZTogc3RyaW5nO1xufVxuXG4vLyBCYWNrZmlsbHMgdGhlIHNlYXJjaF8qIHNoYWRvdyBwcm9wZXJ0aWVzIG9mIGV2ZXJ5IHZlcnRleCwgZS5nLiBhZnRlciBhXG4vLyBidWxrIGxvYWQuIFN0YXJ0ZWQgYnkgdGhlIHJlYnVpbGRTZWFyY2hJbmRleCBtdXRhdGlvbiAoaW52b2tlZFxuLy8gYXN5bmNocm9ub3VzbHkgYnkgQXBwU3luYykgb3IgYnkgdGhlIGxvYWRzIExhbWJkYSBvbmNlIHRoZSBsb2FkcyBvZiBhblxuLy8gaW1wb3J0IGNvbXBsZXRlLCB3aGljaCBzZW5kcyB7IGltcG9ydElkLCBhY3RvciB9LlxuY29uc3QgcmVidWlsZEluZGV4ID0gYXN5bmMgKGFjdG9yOiBBY3RvciwgaW1wb3J0SWQ/OiBzdHJpbmcpID0+IHtcbiAgY29uc3QgeyB1cmwsIGhlYWRlcnMgfSA9IGdldFVybEFuZEhlYWRlcnMoXG4gICAgcHJvY2Vzcy5lbnYuTkVQVFVORV9FTkRQT0lOVCxcbiAgICBwcm9jZXNzLmVudi5ORVBUVU5FX1BPUlQsXG4gICAge30sXG4gICAgXCIvZ3JlbWxpblwiLFxuICAgIFwid3NzXCJcbiAgKTtcbiAgY29uc3QgY29ubiA9IG5ldyBEcml2ZXJSZW1vdGVDb25uZWN0aW9uKHVybCwge1xuICAgIG1pbWVUeXBlOiBcImFwcGxpY2F0aW9uL3ZuZC5ncmVtbGluLXYyLjAranNvblwiLFxuICAgIGhlYWRlcnM6IGhlYWRlcnMsXG4gIH0pO1xuICBjb25zdCBnID0gdHJhdmVyc2FsKCkud2l0aFJlbW90ZShjb25uKTtcblxuICB0cnkge1xuICAgIC8vIE9ubHkgbGFiZWxzIGluIHRoZSBzY2hlbWEgcmVnaXN0cnkgY2Fycnkgc2VhcmNoYWJsZSBmaWVsZHMsIHdoaWNoXG4gICAgLy8ga2VlcHMgQXVkaXRFdmVudCBzbmFwc2hvdHMgdW50b3VjaGVkLiBQYWdlcyBmb2xsb3cgdGhlIHZlcnRleCBpZCBzb1xuICAgIC8vIGVhY2ggcm91bmQgdHJpcCBzdGFydHMgd2hlcmUgdGhlIGxhc3Qgb25lIGVuZGVkIGluc3RlYWQgb2Ygc2tpcHBpbmdcbiAgICAvLyBhbiBldmVyIGxhcmdlciBvZmZzZXQuXG4gICAgbGV0IGluZGV4ZWQgPSAwO1xuICAgIGxldCBsYXN0SWQ6IHN0cmluZyB8IG51bGwgPSBudWxsO1xuICAgIGZvciAoOzspIHtcbiAgICAgIGxldCBwYWdlID0gZy5WKCkuaGFzTGFiZWwoLi4uVkVSVEVYX0xBQkVMUyk7XG4gICAgICBpZiAobGFzdElkICE9PSBudWxsKSBwYWdlID0gcGFnZS5oYXModC5pZCwgUC5ndChsYXN0SWQpKTtcbiAgICAgIGNvbnN0IHJvd3MgPSBhd2FpdCBwYWdlXG4gICAgICAgIC5vcmRlcigpLmJ5KHQuaWQpXG4gICAgICAgIC5saW1pdChSRUlOREVYX0JBVENIX1NJWkUpXG4gICAgICAgIC5wcm9qZWN0KCdpZCcsICdwcm9wcycpXG4gICAgICAgIC5ieShfXy5pZCgpKVxuICAgICAgICAuYnkoX18udmFsdWVNYXAoLi4uU0VBUkNIQUJMRV9GSUVMRFMpKVxuICAgICAgICAudG9MaXN0KCk7XG4gICAgICBpZiAocm93cy5sZW5ndGggPT09IDApIGJyZWFrO1xuXG4gICAgICBmb3IgKGNvbnN0IHIgb2Ygcm93cyBhcyBhbnlbXSkge1xuICAgICAgICBjb25zdCB2ZXJ0ZXhJZCA9IHIuaWQgPz8gci5nZXQoJ2lkJyk7XG4gICAgICAgIGxhc3RJZCA9IFN0cmluZyh2ZXJ0ZXhJZCk7XG4gICAgICAgIGNvbnN0IHZhbHVlTWFwID0gci5wcm9wcyA/PyByLmdldCgncHJvcHMnKTtcbiAgICAgICAgY29uc3QgZW50cmllcyA9IHZhbHVlTWFwIGluc3RhbmNlb2YgTWFwID8gQXJyYXkuZnJvbSh2YWx1ZU1hcC5lbnRyaWVzKCkpIDogT2JqZWN0LmVudHJpZXModmFsdWVNYXApO1xuICAgICAgICBjb25zdCBwcm9wczogUmVjb3JkPHN0cmluZywgdW5rbm93bj4gPSB7fTtcbiAgICAgICAgZm9yIChjb25zdCBba2V5LCB2YWxdIG9mIGVudHJpZXMpIHtcbiAgICAgICAgICBwcm9wc1tTdHJpbmcoa2V5KV0gPSBBcnJheS5pc0FycmF5KHZhbCkgPyB2YWxbMF0gOiB2YWw7XG4gICAgICAgIH1cblxuICAgICAgICBjb25zdCBzaGFkb3dzID0gT2JqZWN0LmVudHJpZXMoc2VhcmNoUHJvcGVydGllcyhwcm9wcykpO1xuICAgICAgICBpZiAoc2hhZG93cy5sZW5ndGggPT09IDApIGNvbnRpbnVlO1xuICAgICAgICBsZXQgdXBkYXRlID0gZy5WKHZlcnRleElkKTtcbiAgICAgICAgZm9yIChjb25zdCBba2V5LCB2YWxdIG9mIHNoYWRvd3MpIHtcbiAgICAgICAgICB1cGRhdGUgPSB1cGRhdGUucHJvcGVydHkoY2FyZGluYWxpdHkuc2luZ2xlLCBrZXksIHZhbCk7XG4gICAgICAgIH1cbiAgICAgICAgYXdhaXQgdXBkYXRlLm5leHQoKTtcbiAgICAgICAgaW5kZXhlZCsrO1xuICAgICAgfVxuICAgICAgaWYgKHJvd3MubGVuZ3RoIDwgUkVJTkRFWF9CQVRDSF9TSVpFKSBicmVhaztcbiAgICB9XG5cbiAgICBhd2FpdCBnLmFkZFYoQVVESVRfTEFCRUwpXG4gICAgICAucHJvcGVydHkodC5pZCwgYGF1ZGl0XyR7cmFuZG9tVVVJRCgpfWApXG4gICAgICAucHJvcGVydHkoJ2F0JywgbmV3IERhdGUoKS50b0lTT1N0cmluZygpKVxuICAgICAgLnByb3BlcnR5KCdhY3RvcicsIGFjdG9yLnN1YilcbiAgICAgIC5wcm9wZXJ0eSgnYWN0b3JOYW1lJywgYWN0b3IudXNlcm5hbWUpXG4gICAgICAucHJvcGVydHkoJ29wZXJhdGlvbicsICdyZWJ1aWxkU2VhcmNoSW5kZXgnKVxuICAgICAgLnByb3BlcnR5KCd0YXJnZXRJZCcsICdzZWFyY2gtaW5kZXgnKVxuICAgICAgLnByb3BlcnR5KCd0YXJnZXRMYWJlbCcsICcnKVxuICAgICAgLnByb3BlcnR5KCdiZWZvcmUnLCAnbnVsbCcpXG4gICAgICAucHJvcGVydHkoJ2FmdGVyJywgSlNPTi5zdHJpbmdpZnkoaW1wb3J0SWQgPyB7IGluZGV4ZWQsIGltcG9ydElkIH0gOiB7IGluZGV4ZWQgfSkpXG4gICAgICAuaXRlcmF0ZSgpO1xuICAgIGNvbnNvbGUubG9nKFwiUmVidWlsdCBzZWFyY2ggaW5kZXggZm9yXCIsIGluZGV4ZWQsIFwidmVydGljZXNcIiwgaW1wb3J0SWQgPyBgYWZ0ZXIgaW1wb3J0ICR7aW1wb3J0SWR9YCA6IFwiXCIpO1xuICAgIHJldHVybiB7IGluZGV4ZWQgfTtcbiAgfSBmaW5hbGx5IHtcbiAgICBhd2FpdCBjb25uLmNsb3NlKCk7XG4gIH1cbn07XG5cbmV4cG9ydCBjb25zdCBoYW5kbGVyOiBIYW5kbGVyID0gYXN5bmMgKGV2ZW50KSA9PiB7XG4gIC8vIEFwcFN5bmMgcmVzb2x2ZXJzIGNhcnJ5IHRoZSBmaWVsZDsgdGhlIGxvYWRzIExhbWJkYSBzZW5kcyB7IGltcG9ydElkLCBhY3RvciB9XG4gIGlmICghZXZlbnQuZmllbGQpIHtcbiAgICByZXR1cm4gcmVidWlsZEluZGV4KGV2ZW50LmFjdG9yLCBldmVudC5pbXBvcnRJZCk7XG4gIH1cblxuICBjb25zb2xlLmxvZyhcIlJlaW5kZXggZXZlbnQ6XCIsIEpTT04uc3RyaW5naWZ5KHsgZmllbGQ6IGV2ZW50LmZpZWxkIH0pKTtcbiAgdHJ5IHtcbiAgICBpZiAoZXZlbnQuZmllbGQgIT09IFwicmVidWlsZFNlYXJjaEluZGV4XCIpIHtcbiAgICAgIHRocm93IG5ldyBFcnJvcihgVW5rbm93biBmaWVsZDogJHtldmVudC5maWVsZH1gKTtcbiAgICB9XG4gICAgLy8gSW52b2tlZCBhc3luY2hyb25vdXNseTogdGhlIHJlc29sdmVyIGFscmVhZHkgYW5zd2VyZWQsIHNvIG5vdGhpbmcgaXNcbiAgICAvLyByZXR1cm5lZCBhbmQgZmFpbHVyZXMgb25seSByZWFjaCB0aGUgbG9nXG4gICAgcmVxdWlyZVJvbGUoZXZlbnQuaWRlbnRpdHksIFwiQWRtaW5cIiwgZXZlbnQuZmllbGQpO1xuICAgIGF3YWl0IHJlYnVpbGRJbmRleCh7XG4gICAgICBzdWI6IFN0cmluZyhldmVudC5pZGVudGl0eT8uc3ViID8/IFwidW5rbm93blwiKSxcbiAgICAgIHVzZXJuYW1lOiBTdHJpbmcoZXZlbnQuaWRlbnRpdHk/LnVzZXJuYW1lID8/IGV2ZW50LmlkZW50aXR5Py5zdWIgPz8gXCJ1bmtub3duXCIpLFxuICAgIH0pO1xuICB9IGNhdGNoIChlcnJvcjogdW5rbm93bikge1xuICAgIGNvbnNvbGUuZXJyb3IoXCJSZWluZGV4IGVycm9yOlwiLCBlcnJvcik7XG4gIH1cbiAgcmV0dXJuIG51bGw7XG59O1xuIl19
\ No newline at end of file
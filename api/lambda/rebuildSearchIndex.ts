@@ -0,0 +1,125 @@
+import { Handler } from "aws-lambda";
+
+import { randomUUID } from "crypto";
+import * as gremlin from "gremlin";
+import { getUrlAndHeaders } from "gremlin-aws-sigv4/lib/utils";
+import { SEARCHABLE_FIELDS, searchProperties } from "./shared/searchIndex";
+import { AUDIT_LABEL, VERTEX_LABELS } from "./shared/graphModel";
+import { requireRole } from "./shared/roles";
+
+const DriverRemoteConnection = gremlin.driver.DriverRemoteConnection;
+const traversal = gremlin.process.AnonymousTraversalSource.traversal;
+const __ = gremlin.process.statics;
+const P = gremlin.process.P;
+const t = gremlin.process.t;
+const cardinality = gremlin.process.cardinality;
+
+// Vertices re-indexed per round trip
+const REINDEX_BATCH_SIZE = 200;
+
+// Who the AuditEvent of a rebuild names
+interface Actor {
+  sub: string;
+  username: string;
+}
+
+// Backfills the search_* shadow properties of every vertex, e.g. after a
+// bulk load. Started by the rebuildSearchIndex mutation (invoked
+// asynchronously by AppSync) or by the loads Lambda once the loads of an
+// import complete, which sends { importId, actor }.
+const rebuildIndex = async (actor: Actor, importId?: string) => {
+  const { url, headers } = getUrlAndHeaders(
+    process.env.NEPTUNE_ENDPOINT,
+    process.env.NEPTUNE_PORT,
+    {},
+    "/gremlin",
+    "wss"
+  );
+  const conn = new DriverRemoteConnection(url, {
+    mimeType: "application/vnd.gremlin-v2.0+json",
+    headers: headers,
+  });
+  const g = traversal().withRemote(conn);
+
+  try {
+    // Only labels in the schema registry carry searchable fields, which
+    // keeps AuditEvent snapshots untouched. Pages follow the vertex id so
+    // each round trip starts where the last one ended instead of skipping
+    // an ever larger offset.
+    let indexed = 0;
+    let lastId: string | null = null;
+    for (;;) {
+      let page = g.V().hasLabel(...VERTEX_LABELS);
+      if (lastId !== null) page = page.has(t.id, P.gt(lastId));
+      const rows = await page
+        .order().by(t.id)
+        .limit(REINDEX_BATCH_SIZE)
+        .project('id', 'props')
+        .by(__.id())
+        .by(__.valueMap(...SEARCHABLE_FIELDS))
+        .toList();
+      if (rows.length === 0) break;
+
+      for (const r of rows as any[]) {
+        const vertexId = r.id ?? r.get('id');
+        lastId = String(vertexId);
+        const valueMap = r.props ?? r.get('props');
+        const entries = valueMap instanceof Map ? Array.from(valueMap.entries()) : Object.entries(valueMap);
+        const props: Record<string, unknown> = {};
+        for (const [key, val] of entries) {
+          props[String(key)] = Array.isArray(val) ? val[0] : val;
+        }
+
+        const shadows = Object.entries(searchProperties(props));
+        if (shadows.length === 0) continue;
+        let update = g.V(vertexId);
+        for (const [key, val] of shadows) {
+          update = update.property(cardinality.single, key, val);
+        }
+        await update.next();
+        indexed++;
+      }
+      if (rows.length < REINDEX_BATCH_SIZE) break;
+    }
+
+    await g.addV(AUDIT_LABEL)
+      .property(t.id, `audit_${randomUUID()}`)
+      .property('at', new Date().toISOString())
+      .property('actor', actor.sub)
+      .property('actorName', actor.username)
+      .property('operation', 'rebuildSearchIndex')
+      .property('targetId', 'search-index')
+      .property('targetLabel', '')
+      .property('before', 'null')
+      .property('after', JSON.stringify(importId ? { indexed, importId } : { indexed }))
+      .iterate();
+    console.log("Rebuilt search index for", indexed, "vertices", importId ? `after import ${importId}` : "");
+    return { indexed };
+  } finally {
+    await conn.close();
+  }
+};
+
+export const handler: Handler = async (event) => {
+  // AppSync resolvers carry the field; the loads Lambda sends { importId, actor }
+  if (!event.field) {
+    return rebuildIndex(event.actor, event.importId);
+  }
+
+  console.log("Reindex event:", JSON.stringify({ field: event.field }));
+  try {
+    if (event.field !== "rebuildSearchIndex") {
+      throw new Error(`Unknown field: ${event.field}`);
+    }
+    // Invoked asynchronously: the resolver already answered, so nothing is
+    // returned and failures only reach the log
+    requireRole(event.identity, "Admin", event.field);
+    await rebuildIndex({
+      sub: String(event.identity?.sub ?? "unknown"),
+      username: String(event.identity?.username ?? event.identity?.sub ?? "unknown"),
+    });
+  } catch (error: unknown) {
+    console.error("Reindex error:", error);
+  }
+  return null;
+};
@@ -0,0 +1,15 @@
+import { Handler } from "aws-lambda";
+export interface AuditEntry {
+    operation: string;
+    actor: {
+        sub: string;
+        username: string;
+    };
+    target: {
+        id: string;
+        label: string;
+    };
+    before: Record<string, unknown> | null;
+    after: Record<string, unknown> | null;
+}
+export declare const handler: Handler<AuditEntry>;
@@ -0,0 +1,39 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.handler = void 0;
+const crypto_1 = require("crypto");
+const gremlin = require("gremlin");
+const utils_1 = require("gremlin-aws-sigv4/lib/utils");
+const graphModel_1 = require("./shared/graphModel");
+const DriverRemoteConnection = gremlin.driver.DriverRemoteConnection;
+const traversal = gremlin.process.AnonymousTraversalSource.traversal;
+// Writes an AuditEvent for changes made outside the graph, e.g. by the
+// Cognito admin Lambda, which runs outside the VPC and cannot reach Neptune
+const handler = async (entry) => {
+    const { url, headers } = (0, utils_1.getUrlAndHeaders)(process.env.NEPTUNE_ENDPOINT, process.env.NEPTUNE_PORT, {}, "/gremlin", "wss");
+    const conn = new DriverRemoteConnection(url, {
+        mimeType: "application/vnd.gremlin-v2.0+json",
+        headers: headers,
+    });
+    const g = traversal().withRemote(conn);
+    try {
+        const auditId = `audit_${(0, crypto_1.randomUUID)()}`;
+        await g.addV(graphModel_1.AUDIT_LABEL)
+            .property(gremlin.process.t.id, auditId)
+            .property('at', new Date().toISOString())
+            .property('actor', entry.actor.sub)
+            .property('actorName', entry.actor.username)
+            .property('operation', entry.operation)
+            .property('targetId', entry.target.id)
+            .property('targetLabel', entry.target.label)
+            .property('before', JSON.stringify(entry.before))
+            .property('after', JSON.stringify(entry.after))
+            .iterate();
+        return { id: auditId };
+    }
+    finally {
+        await conn.close();
+    }
+};
+exports.handler = handler;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVjb3JkQXVkaXQuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJyZWNvcmRBdWRpdC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFFQSxtQ0FBb0M7QUFDcEMsbUNBQW1DO0FBQ25DLHVEQUErRDtBQUMvRCxvREFBa0Q7QUFFbEQsTUFBTSxzQkFBc0IsR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLHNCQUFzQixDQUFDO0FBQ3JFLE1BQU0sU0FBUyxHQUFHLE9BQU8sQ0FBQyxPQUFPLENBQUMsd0JBQXdCLENBQUMsU0FBUyxDQUFDO0FBWXJFLHVFQUF1RTtBQUN2RSw0RUFBNEU7QUFDckUsTUFBTSxPQUFPLEdBQXdCLEtBQUssRUFBRSxLQUFLLEVBQUUsRUFBRTtJQUMxRCxNQUFNLEVBQUUsR0FBRyxFQUFFLE9BQU8sRUFBRSxHQUFHLElBQUEsd0JBQWdCLEVBQ3ZDLE9BQU8sQ0FBQyxHQUFHLENBQUMsZ0JBQWdCLEVBQzVCLE9BQU8sQ0FBQyxHQUFHLENBQUMsWUFBWSxFQUN4QixFQUFFLEVBQ0YsVUFBVSxFQUNWLEtBQUssQ0FDTixDQUFDO0lBQ0YsTUFBTSxJQUFJLEdBQUcsSUFBSSxzQkFBc0IsQ0FBQyxHQUFHLEVBQUU7UUFDM0MsUUFBUSxFQUFFLG1DQUFtQztRQUM3QyxPQUFPLEVBQUUsT0FBTztLQUNqQixDQUFDLENBQUM7SUFDSCxNQUFNLENBQUMsR0FBRyxTQUFTLEVBQUUsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLENBQUM7SUFFdkMsSUFBSSxDQUFDO1FBQ0gsTUFBTSxPQUFPLEdBQUcsU0FBUyxJQUFBLG1CQUFVLEdBQUUsRUFBRSxDQUFDO1FBQ3hDLE1BQU0sQ0FBQyxDQUFDLElBQUksQ0FBQyx3QkFBVyxDQUFDO2FBQ3RCLFFBQVEsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsT0FBTyxDQUFDO2FBQ3ZDLFFBQVEsQ0FBQyxJQUFJLEVBQUUsSUFBSSxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQzthQUN4QyxRQUFRLENBQUMsT0FBTyxFQUFFLEtBQUssQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDO2FBQ2xDLFFBQVEsQ0FBQyxXQUFXLEVBQUUsS0FBSyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUM7YUFDM0MsUUFBUSxDQUFDLFdBQVcsRUFBRSxLQUFLLENBQUMsU0FBUyxDQUFDO2FBQ3RDLFFBQVEsQ0FBQyxVQUFVLEVBQUUsS0FBSyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUM7YUFDckMsUUFBUSxDQUFDLGFBQWEsRUFBRSxLQUFLLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQzthQUMzQyxRQUFRLENBQUMsUUFBUSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDO2FBQ2hELFFBQVEsQ0FBQyxPQUFPLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7YUFDOUMsT0FBTyxFQUFFLENBQUM7UUFDYixPQUFPLEVBQUUsRUFBRSxFQUFFLE9BQU8sRUFBRSxDQUFDO0lBQ3pCLENBQUM7WUFBUyxDQUFDO1FBQ1QsTUFBTSxJQUFJLENBQUMsS0FBSyxFQUFFLENBQUM7SUFDckIsQ0FBQztBQUNILENBQUMsQ0FBQztBQS9CVyxRQUFBLE9BQU8sV0ErQmxCIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgSGFuZGxlciB9IGZyb20gXCJhd3MtbGFtYmRhXCI7XG5cbmltcG9ydCB7IHJhbmRvbVVVSUQgfSBmcm9tIFwiY3J5cHRvXCI7XG5pbXBvcnQgKiBhcyBncmVtbGluIGZyb20gXCJncmVtbGluXCI7XG5pbXBvcnQgeyBnZXRVcmxBbmRIZWFkZXJzIH0gZnJvbSBcImdyZW1saW4tYXdzLXNpZ3Y0L2xpYi91dGlsc1wiO1xuaW1wb3J0IHsgQVVESVRfTEFCRUwgfSBmcm9tIFwiLi9zaGFyZWQvZ3JhcGhNb2RlbFwiO1xuXG5jb25zdCBEcml2ZXJSZW1vdGVDb25uZWN0aW9uID0gZ3JlbWxpbi5kcml2ZXIuRHJpdmVyUmVtb3RlQ29ubmVjdGlvbjtcbmNvbnN0IHRyYXZlcnNhbCA9IGdyZW1saW4ucHJvY2Vzcy5Bbm9ueW1vdXNUcmF2ZXJzYWxTb3VyY2UudHJhdmVyc2FsO1xuXG4vLyBPbmUgYXVkaXQgcmVjb3JkIGFzIHdyaXR0ZW4gYnkgbXV0YXRpb25HcmFwaCdzIHJlY29yZEF1ZGl0OyBgYmVmb3JlYCBhbmRcbi8vIGBhZnRlcmAgYXJlIHNuYXBzaG90cyBvZiBwcm9wZXJ0eSB2YWx1ZXMsIG51bGwgZm9yIGNyZWF0ZXMgYW5kIGRlbGV0ZXNcbmV4cG9ydCBpbnRlcmZhY2UgQXVkaXRFbnRyeSB7XG4gIG9wZXJhdGlvbjogc3RyaW5nO1xuICBhY3RvcjogeyBzdWI6IHN0cmluZzsgdXNlcm5hbWU6IHN0cmluZyB9O1xuICB0YXJnZXQ6IHsgaWQ6IHN0cmluZzsgbGFiZWw6IHN0cmluZyB9O1xuICBiZWZvcmU6IFJlY29yZDxzdHJpbmcsIHVua25vd24+IHwgbnVsbDtcbiAgYWZ0ZXI6IFJlY29yZDxzdHJpbmcsIHVua25vd24+IHwgbnVsbDtcbn1cblxuLy8gV3JpdGVzIGFuIEF1ZGl0RXZlbnQgZm9yIGNoYW5nZXMgbWFkZSBvdXRzaWRlIHRoZSBncmFwaCwgZS5nLiBieSB0aGVcbi8vIENvZ25pdG8gYWRtaW4gTGFtYmRhLCB3aGljaCBydW5zIG91dHNpZGUgdGhlIFZQQyBhbmQgY2Fubm90IHJlYWNoIE5lcHR1bmVcbmV4cG9ydCBjb25zdCBoYW5kbGVyOiBIYW5kbGVyPEF1ZGl0RW50cnk+ID0gYXN5bmMgKGVudHJ5KSA9PiB7XG4gIGNvbnN0IHsgdXJsLCBoZWFkZXJzIH0gPSBnZXRVcmxBbmRIZWFkZXJzKFxuICAgIHByb2Nlc3MuZW52Lk5FUFRVTkVfRU5EUE9JTlQsXG4gICAgcHJvY2Vzcy5lbnYuTkVQVFVORV9QT1JULFxuICAgIHt9LFxuICAgIFwiL2dyZW1saW5cIixcbiAgICBcIndzc1wiXG4gICk7XG4gIGNvbnN0IGNvbm4gPSBuZXcgRHJpdmVyUmVtb3RlQ29ubmVjdGlvbih1cmwsIHtcbiAgICBtaW1lVHlwZTogXCJhcHBsaWNhdGlvbi92bmQuZ3JlbWxpbi12Mi4wK2pzb25cIixcbiAgICBoZWFkZXJzOiBoZWFkZXJzLFxuICB9KTtcbiAgY29uc3QgZyA9IHRyYXZlcnNhbCgpLndpdGhSZW1vdGUoY29ubik7XG5cbiAgdHJ5IHtcbiAgICBjb25zdCBhdWRpdElkID0gYGF1ZGl0XyR7cmFuZG9tVVVJRCgpfWA7XG4gICAgYXdhaXQgZy5hZGRWKEFVRElUX0xBQkVMKVxuICAgICAgLnByb3BlcnR5KGdyZW1saW4ucHJvY2Vzcy50LmlkLCBhdWRpdElkKVxuICAgICAgLnByb3BlcnR5KCdhdCcsIG5ldyBEYXRlKCkudG9JU09TdHJpbmcoKSlcbiAgICAgIC5wcm9wZXJ0eSgnYWN0b3InLCBlbnRyeS5hY3Rvci5zdWIpXG4gICAgICAucHJvcGVydHkoJ2FjdG9yTmFtZScsIGVudHJ5LmFjdG9yLnVzZXJuYW1lKVxuICAgICAgLnByb3BlcnR5KCdvcGVyYXRpb24nLCBlbnRyeS5vcGVyYXRpb24pXG4gICAgICAucHJvcGVydHkoJ3RhcmdldElkJywgZW50cnkudGFyZ2V0LmlkKVxuICAgICAgLnByb3BlcnR5KCd0YXJnZXRMYWJlbCcsIGVudHJ5LnRhcmdldC5sYWJlbClcbiAgICAgIC5wcm9wZXJ0eSgnYmVmb3JlJywgSlNPTi5zdHJpbmdpZnkoZW50cnkuYmVmb3JlKSlcbiAgICAgIC5wcm9wZXJ0eSgnYWZ0ZXInLCBKU09OLnN0cmluZ2lmeShlbnRyeS5hZnRlcikpXG4gICAgICAuaXRlcmF0ZSgpO1xuICAgIHJldHVybiB7IGlkOiBhdWRpdElkIH07XG4gIH0gZmluYWxseSB7XG4gICAgYXdhaXQgY29ubi5jbG9zZSgpO1xuICB9XG59O1xuIl19
\ No newline at end of file
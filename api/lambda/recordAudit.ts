@@ -0,0 +1,54 @@
+import { Handler } from "aws-lambda";
+
+import { randomUUID } from "crypto";
+import * as gremlin from "gremlin";
+import { getUrlAndHeaders } from "gremlin-aws-sigv4/lib/utils";
+import { AUDIT_LABEL } from "./shared/graphModel";
+
+const DriverRemoteConnection = gremlin.driver.DriverRemoteConnection;
+const traversal = gremlin.process.AnonymousTraversalSource.traversal;
+
+// One audit record as written by mutationGraph's recordAudit; `before` and
+// `after` are snapshots of property values, null for creates and deletes
+export interface AuditEntry {
+  operation: string;
+  actor: { sub: string; username: string };
+  target: { id: string; label: string };
+  before: Record<string, unknown> | null;
+  after: Record<string, unknown> | null;
+}
+
+// Writes an AuditEvent for changes made outside the graph, e.g. by the
+// Cognito admin Lambda, which runs outside the VPC and cannot reach Neptune
+export const handler: Handler<AuditEntry> = async (entry) => {
+  const { url, headers } = getUrlAndHeaders(
+    process.env.NEPTUNE_ENDPOINT,
+    process.env.NEPTUNE_PORT,
+    {},
+    "/gremlin",
+    "wss"
+  );
+  const conn = new DriverRemoteConnection(url, {
+    mimeType: "application/vnd.gremlin-v2.0+json",
+    headers: headers,
+  });
+  const g = traversal().withRemote(conn);
+
+  try {
+    const auditId = `audit_${randomUUID()}`;
+    await g.addV(AUDIT_LABEL)
+      .property(gremlin.process.t.id, auditId)
+      .property('at', new Date().toISOString())
+      .property('actor', entry.actor.sub)
+      .property('actorName', entry.actor.username)
+      .property('operation', entry.operation)
+      .property('targetId', entry.target.id)
+      .property('targetLabel', entry.target.label)
+      .property('before', JSON.stringify(entry.before))
+      .property('after', JSON.stringify(entry.after))
+      .iterate();
+    return { id: auditId };
+  } finally {
+    await conn.close();
+  }
+};
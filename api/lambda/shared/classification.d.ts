@@ -0,0 +1,5 @@
+export declare const CLASSIFICATION_READERS: Record<string, string[]>;
+export declare const canSeeClassification: (identity: any, classification?: string | null) => boolean;
+export declare const hiddenClassifications: (identity: any) => string[];
+export declare const CLASSIFICATION_GROUPS: string[];
+export declare const auditRecordVisible: (record: Record<string, unknown>, identity: any, linkedClassifications: Map<string, string[]>) => boolean;
@@ -0,0 +1,55 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.auditRecordVisible = exports.CLASSIFICATION_GROUPS = exports.hiddenClassifications = exports.canSeeClassification = exports.CLASSIFICATION_READERS = void 0;
+const graphModel_1 = require("./graphModel");
+const roles_1 = require("./roles");
+// Cognito groups allowed to see Project_Data vertices of each
+// DataClassification. Unlisted classifications (Public, Internal) and
+// projects without one are visible to every Viewer. restricted-readers also
+// see Confidential projects. lib/constructs/cognito.ts creates the groups.
+exports.CLASSIFICATION_READERS = {
+    Confidential: ["confidential-readers", "restricted-readers"],
+    Restricted: ["restricted-readers"],
+};
+const canSeeClassification = (identity, classification) => {
+    const readers = classification ? exports.CLASSIFICATION_READERS[classification] : undefined;
+    if (!readers)
+        return true;
+    const groups = (0, roles_1.groupsOf)(identity);
+    return readers.some((group) => groups.includes(group));
+};
+exports.canSeeClassification = canSeeClassification;
+// Classifications whose projects are hidden from `identity`
+const hiddenClassifications = (identity) => graphModel_1.DATA_CLASSIFICATIONS.filter((classification) => !(0, exports.canSeeClassification)(identity, classification));
+exports.hiddenClassifications = hiddenClassifications;
+// Every reader group, as assigned from the user administration page
+exports.CLASSIFICATION_GROUPS = Array.from(new Set(Object.values(exports.CLASSIFICATION_READERS).flat()));
+// An Account and its owned_by edge belong to a project, but their audit
+// snapshots do not carry its DataClassification
+const PROJECT_LINKED_LABELS = ["Account", "owned_by"];
+// Whether `identity` may read an audit record. A before/after snapshot of a
+// hidden project hides it, and so does a record about an Account or owned_by
+// edge whose project is hidden. `linkedClassifications` maps those target
+// ids to the classifications of their projects; a target missing from it
+// has been purged, so its project is unknown and it is only shown to
+// callers who may see every classification.
+const auditRecordVisible = (record, identity, linkedClassifications) => {
+    if (PROJECT_LINKED_LABELS.includes(String(record.targetLabel))) {
+        const classifications = linkedClassifications.get(String(record.targetId));
+        if (!classifications)
+            return (0, exports.hiddenClassifications)(identity).length === 0;
+        if (!classifications.every((c) => (0, exports.canSeeClassification)(identity, c)))
+            return false;
+    }
+    return ["before", "after"].every((key) => {
+        try {
+            const snapshot = JSON.parse(String(record[key] ?? "null"));
+            return (0, exports.canSeeClassification)(identity, snapshot?.DataClassification);
+        }
+        catch {
+            return true;
+        }
+    });
+};
+exports.auditRecordVisible = auditRecordVisible;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY2xhc3NpZmljYXRpb24uanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJjbGFzc2lmaWNhdGlvbi50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFBQSw2Q0FBb0Q7QUFDcEQsbUNBQW1DO0FBRW5DLDhEQUE4RDtBQUM5RCxzRUFBc0U7QUFDdEUsNEVBQTRFO0FBQzVFLDJFQUEyRTtBQUM5RCxRQUFBLHNCQUFzQixHQUE2QjtJQUM5RCxZQUFZLEVBQUUsQ0FBQyxzQkFBc0IsRUFBRSxvQkFBb0IsQ0FBQztJQUM1RCxVQUFVLEVBQUUsQ0FBQyxvQkFBb0IsQ0FBQztDQUNuQyxDQUFDO0FBRUssTUFBTSxvQkFBb0IsR0FBRyxDQUFDLFFBQWEsRUFBRSxjQUE4QixFQUFXLEVBQUU7SUFDN0YsTUFBTSxPQUFPLEdBQUcsY0FBYyxDQUFDLENBQUMsQ0FBQyw4QkFBc0IsQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDO0lBQ3BGLElBQUksQ0FBQyxPQUFPO1FBQUUsT0FBTyxJQUFJLENBQUM7SUFDMUIsTUFBTSxNQUFNLEdBQUcsSUFBQSxnQkFBUSxFQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQ2xDLE9BQU8sT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO0FBQ3pELENBQUMsQ0FBQztBQUxXLFFBQUEsb0JBQW9CLHdCQUsvQjtBQUVGLDREQUE0RDtBQUNyRCxNQUFNLHFCQUFxQixHQUFHLENBQUMsUUFBYSxFQUFZLEVBQUUsQ0FDL0QsaUNBQW9CLENBQUMsTUFBTSxDQUFDLENBQUMsY0FBYyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUEsNEJBQW9CLEVBQUMsUUFBUSxFQUFFLGNBQWMsQ0FBQyxDQUFDLENBQUM7QUFEdEYsUUFBQSxxQkFBcUIseUJBQ2lFO0FBRW5HLG9FQUFvRTtBQUN2RCxRQUFBLHFCQUFxQixHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxHQUFHLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyw4QkFBc0IsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQztBQUV2Ryx3RUFBd0U7QUFDeEUsZ0RBQWdEO0FBQ2hELE1BQU0scUJBQXFCLEdBQUcsQ0FBQyxTQUFTLEVBQUUsVUFBVSxDQUFDLENBQUM7QUFFdEQsNEVBQTRFO0FBQzVFLDZFQUE2RTtBQUM3RSwwRUFBMEU7QUFDMUUseUVBQXlFO0FBQ3pFLHFFQUFxRTtBQUNyRSw0Q0FBNEM7QUFDckMsTUFBTSxrQkFBa0IsR0FBRyxDQUNoQyxNQUErQixFQUMvQixRQUFhLEVBQ2IscUJBQTRDLEVBQ25DLEVBQUU7SUFDWCxJQUFJLHFCQUFxQixDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQyxDQUFDLEVBQUUsQ0FBQztRQUMvRCxNQUFNLGVBQWUsR0FBRyxxQkFBcUIsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO1FBQzNFLElBQUksQ0FBQyxlQUFlO1lBQUUsT0FBTyxJQUFBLDZCQUFxQixFQUFDLFFBQVEsQ0FBQyxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUM7UUFDMUUsSUFBSSxDQUFDLGVBQWUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLElBQUEsNEJBQW9CLEVBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQyxDQUFDO1lBQUUsT0FBTyxLQUFLLENBQUM7SUFDckYsQ0FBQztJQUNELE9BQU8sQ0FBQyxRQUFRLEVBQUUsT0FBTyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsR0FBRyxFQUFFLEVBQUU7UUFDdkMsSUFBSSxDQUFDO1lBQ0gsTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxJQUFJLE1BQU0sQ0FBQyxDQUFDLENBQUM7WUFDM0QsT0FBTyxJQUFBLDRCQUFvQixFQUFDLFFBQVEsRUFBRSxRQUFRLEVBQUUsa0JBQWtCLENBQUMsQ0FBQztRQUN0RSxDQUFDO1FBQUMsTUFBTSxDQUFDO1lBQ1AsT0FBTyxJQUFJLENBQUM7UUFDZCxDQUFDO0lBQ0gsQ0FBQyxDQUFDLENBQUM7QUFDTCxDQUFDLENBQUM7QUFsQlcsUUFBQSxrQkFBa0Isc0JBa0I3QiIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IERBVEFfQ0xBU1NJRklDQVRJT05TIH0gZnJvbSBcIi4vZ3JhcGhNb2RlbFwiO1xuaW1wb3J0IHsgZ3JvdXBzT2YgfSBmcm9tIFwiLi9yb2xlc1wiO1xuXG4vLyBDb2duaXRvIGdyb3VwcyBhbGxvd2VkIHRvIHNlZSBQcm9qZWN0X0RhdGEgdmVydGljZXMgb2YgZWFjaFxuLy8gRGF0YUNsYXNzaWZpY2F0aW9uLiBVbmxpc3RlZCBjbGFzc2lmaWNhdGlvbnMgKFB1YmxpYywgSW50ZXJuYWwpIGFuZFxuLy8gcHJvamVjdHMgd2l0aG91dCBvbmUgYXJlIHZpc2libGUgdG8gZXZlcnkgVmlld2VyLiByZXN0cmljdGVkLXJlYWRlcnMgYWxzb1xuLy8gc2VlIENvbmZpZGVudGlhbCBwcm9qZWN0cy4gbGliL2NvbnN0cnVjdHMvY29nbml0by50cyBjcmVhdGVzIHRoZSBncm91cHMuXG5leHBvcnQgY29uc3QgQ0xBU1NJRklDQVRJT05fUkVBREVSUzogUmVjb3JkPHN0cmluZywgc3RyaW5nW10+ID0ge1xuICBDb25maWRlbnRpYWw6IFtcImNvbmZpZGVudGlhbC1yZWFkZXJzXCIsIFwicmVzdHJpY3RlZC1yZWFkZXJzXCJdLFxuICBSZXN0cmljdGVkOiBbXCJyZXN0cmljdGVkLXJlYWRlcnNcIl0sXG59O1xuXG5leHBvcnQgY29uc3QgY2FuU2VlQ2xhc3NpZmljYXRpb24gPSAoaWRlbnRpdHk6IGFueSwgY2xhc3NpZmljYXRpb24/OiBzdHJpbmcgfCBudWxsKTogYm9vbGVhbiA9PiB7XG4gIGNvbnN0IHJlYWRlcnMgPSBjbGFzc2lmaWNhdGlvbiA/IENMQVNTSUZJQ0FUSU9OX1JFQURFUlNbY2xhc3NpZmljYXRpb25dIDogdW5kZWZpbmVkO1xuICBpZiAoIXJlYWRlcnMpIHJldHVybiB0cnVlO1xuICBjb25zdCBncm91cHMgPSBncm91cHNPZihpZGVudGl0eSk7XG4gIHJldHVybiByZWFkZXJzLnNvbWUoKGdyb3VwKSA9PiBncm91cHMuaW5jbHVkZXMoZ3JvdXApKTtcbn07XG5cbi8vIENsYXNzaWZpY2F0aW9ucyB3aG9zZSBwcm9qZWN0cyBhcmUgaGlkZGVuIGZyb20gYGlkZW50aXR5YFxuZXhwb3J0IGNvbnN0IGhpZGRlbkNsYXNzaWZpY2F0aW9ucyA9IChpZGVudGl0eTogYW55KTogc3RyaW5nW10gPT5cbiAgREFUQV9DTEFTU0lGSUNBVElPTlMuZmlsdGVyKChjbGFzc2lmaWNhdGlvbikgPT4gIWNhblNlZUNsYXNzaWZpY2F0aW9uKGlkZW50aXR5LCBjbGFzc2lmaWNhdGlvbikpO1xuXG4vLyBFdmVyeSByZWFkZXIgZ3JvdXAsIGFzIGFzc2lnbmVkIGZyb20gdGhlIHVzZXIgYWRtaW5pc3RyYXRpb24gcGFnZVxuZXhwb3J0IGNvbnN0IENMQVNTSUZJQ0FUSU9OX0dST1VQUyA9IEFycmF5LmZyb20obmV3IFNldChPYmplY3QudmFsdWVzKENMQVNTSUZJQ0FUSU9OX1JFQURFUlMpLmZsYXQoKSkpO1xuXG4vLyBBbiBBY2NvdW50IGFuZCBpdHMgb3duZWRfYnkgZWRnZSBiZWxvbmcgdG8gYSBwcm9qZWN0LCBidXQgdGhlaXIgYXVkaXRcbi8vIHNuYXBzaG90cyBkbyBub3QgY2FycnkgaXRzIERhdGFDbGFzc2lmaWNhdGlvblxuY29uc3QgUFJPSkVDVF9MSU5LRURfTEFCRUxTID0gW1wiQWNjb3VudFwiLCBcIm93bmVkX2J5XCJdO1xuXG4vLyBXaGV0aGVyIGBpZGVudGl0eWAgbWF5IHJlYWQgYW4gYXVkaXQgcmVjb3JkLiBBIGJlZm9yZS9hZnRlciBzbmFwc2hvdCBvZiBhXG4vLyBoaWRkZW4gcHJvamVjdCBoaWRlcyBpdCwgYW5kIHNvIGRvZXMgYSByZWNvcmQgYWJvdXQgYW4gQWNjb3VudCBvciBvd25lZF9ieVxuLy8gZWRnZSB3aG9zZSBwcm9qZWN0IGlzIGhpZGRlbi4gYGxpbmtlZENsYXNzaWZpY2F0aW9uc2AgbWFwcyB0aG9zZSB0YXJnZXRcbi8vIGlkcyB0byB0aGUgY2xhc3NpZmljYXRpb25zIG9mIHRoZWlyIHByb2plY3RzOyBhIHRhcmdldCBtaXNzaW5nIGZyb20gaXRcbi8vIGhhcyBiZWVuIHB1cmdlZCwgc28gaXRzIHByb2plY3QgaXMgdW5rbm93biBhbmQgaXQgaXMgb25seSBzaG93biB0b1xuLy8gY2FsbGVycyB3aG8gbWF5IHNlZSBldmVyeSBjbGFzc2lmaWNhdGlvbi5cbmV4cG9ydCBjb25zdCBhdWRpdFJlY29yZFZpc2libGUgPSAoXG4gIHJlY29yZDogUmVjb3JkPHN0cmluZywgdW5rbm93bj4sXG4gIGlkZW50aXR5OiBhbnksXG4gIGxpbmtlZENsYXNzaWZpY2F0aW9uczogTWFwPHN0cmluZywgc3RyaW5nW10+XG4pOiBib29sZWFuID0+IHtcbiAgaWYgKFBST0pFQ1RfTElOS0VEX0xBQkVMUy5pbmNsdWRlcyhTdHJpbmcocmVjb3JkLnRhcmdldExhYmVsKSkpIHtcbiAgICBjb25zdCBjbGFzc2lmaWNhdGlvbnMgPSBsaW5rZWRDbGFzc2lmaWNhdGlvbnMuZ2V0KFN0cmluZyhyZWNvcmQudGFyZ2V0SWQpKTtcbiAgICBpZiAoIWNsYXNzaWZpY2F0aW9ucykgcmV0dXJuIGhpZGRlbkNsYXNzaWZpY2F0aW9ucyhpZGVudGl0eSkubGVuZ3RoID09PSAwO1xuICAgIGlmICghY2xhc3NpZmljYXRpb25zLmV2ZXJ5KChjKSA9PiBjYW5TZWVDbGFzc2lmaWNhdGlvbihpZGVudGl0eSwgYykpKSByZXR1cm4gZmFsc2U7XG4gIH1cbiAgcmV0dXJuIFtcImJlZm9yZVwiLCBcImFmdGVyXCJdLmV2ZXJ5KChrZXkpID0+IHtcbiAgICB0cnkge1xuICAgICAgY29uc3Qgc25hcHNob3QgPSBKU09OLnBhcnNlKFN0cmluZyhyZWNvcmRba2V5XSA/PyBcIm51bGxcIikpO1xuICAgICAgcmV0dXJuIGNhblNlZUNsYXNzaWZpY2F0aW9uKGlkZW50aXR5LCBzbmFwc2hvdD8uRGF0YUNsYXNzaWZpY2F0aW9uKTtcbiAgICB9IGNhdGNoIHtcbiAgICAgIHJldHVybiB0cnVlO1xuICAgIH1cbiAgfSk7XG59O1xuIl19
\ No newline at end of file
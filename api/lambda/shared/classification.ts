@@ -0,0 +1,55 @@
+import { DATA_CLASSIFICATIONS } from "./graphModel";
+import { groupsOf } from "./roles";
+
+// Cognito groups allowed to see Project_Data vertices of each
+// DataClassification. Unlisted classifications (Public, Internal) and
+// projects without one are visible to every Viewer. restricted-readers also
+// see Confidential projects. lib/constructs/cognito.ts creates the groups.
+export const CLASSIFICATION_READERS: Record<string, string[]> = {
+  Confidential: ["confidential-readers", "restricted-readers"],
+  Restricted: ["restricted-readers"],
+};
+
+export const canSeeClassification = (identity: any, classification?: string | null): boolean => {
+  const readers = classification ? CLASSIFICATION_READERS[classification] : undefined;
+  if (!readers) return true;
+  const groups = groupsOf(identity);
+  return readers.some((group) => groups.includes(group));
+};
+
+// Classifications whose projects are hidden from `identity`
+export const hiddenClassifications = (identity: any): string[] =>
+  DATA_CLASSIFICATIONS.filter((classification) => !canSeeClassification(identity, classification));
+
+// Every reader group, as assigned from the user administration page
+export const CLASSIFICATION_GROUPS = Array.from(new Set(Object.values(CLASSIFICATION_READERS).flat()));
+
+// An Account and its owned_by edge belong to a project, but their audit
+// snapshots do not carry its DataClassification
+const PROJECT_LINKED_LABELS = ["Account", "owned_by"];
+
+// Whether `identity` may read an audit record. A before/after snapshot of a
+// hidden project hides it, and so does a record about an Account or owned_by
+// edge whose project is hidden. `linkedClassifications` maps those target
+// ids to the classifications of their projects; a target missing from it
+// has been purged, so its project is unknown and it is only shown to
+// callers who may see every classification.
+export const auditRecordVisible = (
+  record: Record<string, unknown>,
+  identity: any,
+  linkedClassifications: Map<string, string[]>
+): boolean => {
+  if (PROJECT_LINKED_LABELS.includes(String(record.targetLabel))) {
+    const classifications = linkedClassifications.get(String(record.targetId));
+    if (!classifications) return hiddenClassifications(identity).length === 0;
+    if (!classifications.every((c) => canSeeClassification(identity, c))) return false;
+  }
+  return ["before", "after"].every((key) => {
+    try {
+      const snapshot = JSON.parse(String(record[key] ?? "null"));
+      return canSeeClassification(identity, snapshot?.DataClassification);
+    } catch {
+      return true;
+    }
+  });
+};
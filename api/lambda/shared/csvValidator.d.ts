@@ -0,0 +1,65 @@
+import { PropertyType } from "./schemaRegistry";
+export type IssueSeverity = "error" | "warning";
+export type IssueCode = "MALFORMED_CSV" | "INVALID_HEADER" | "MISSING_ID" | "DUPLICATE_ID" | "TYPE_MISMATCH" | "UNKNOWN_LABEL" | "MISSING_REQUIRED" | "UNKNOWN_PROPERTY" | "SCHEMA_TYPE_MISMATCH" | "MISSING_ENDPOINT";
+export interface ValidationIssue {
+    severity: IssueSeverity;
+    code: IssueCode;
+    file: string;
+    line?: number;
+    id?: string;
+    column?: string;
+    message: string;
+}
+export interface FileSummary {
+    file: string;
+    kind: "vertex" | "edge" | "unknown";
+    rows: number;
+    errors: number;
+    warnings: number;
+}
+export interface ValidationReport {
+    valid: boolean;
+    files: FileSummary[];
+    errorCount: number;
+    warningCount: number;
+    countsByCode: Partial<Record<IssueCode, number>>;
+    endpointsChecked: boolean;
+    issues: ValidationIssue[];
+    truncated: boolean;
+}
+export interface CsvFile {
+    name: string;
+    content: string;
+}
+export declare class CsvSyntaxError extends Error {
+    readonly line: number;
+    constructor(message: string, line: number);
+}
+export interface CsvRecord {
+    line: number;
+    fields: string[];
+}
+/**
+ * Parses RFC 4180 CSV: quoted cells may hold commas, doubled quotes and line
+ * breaks. Throws CsvSyntaxError on an unterminated quote.
+ */
+export declare function parseCsv(content: string): Generator<CsvRecord>;
+/**
+ * Splits a property header such as `year:Int`, `tags:String[]` or
+ * `name:String(single)`. A column without a type is a String.
+ */
+export declare const parseHeaderColumn: (header: string) => {
+    name: string;
+    type: PropertyType | null;
+    array: boolean;
+};
+/**
+ * Validates a set of vertex and edge files together, so that duplicate ids
+ * and edge endpoints are checked across files. A file is an edge file when
+ * its header has ~from and ~to.
+ */
+export declare const validateCsvFiles: (files: CsvFile[], { maxIssues }?: {
+    maxIssues?: number;
+}) => ValidationReport;
+/** A human-readable summary of a report, one issue per line. */
+export declare const describeReport: (report: ValidationReport) => string;
@@ -0,0 +1,395 @@
+"use strict";
+// Offline validation of Neptune bulk-load CSV files (the Gremlin CSV format
+// of data/vertex.csv and data/edge.csv) against the schema registry. The
+// loader skips bad rows when failOnError is off, so this catches them before
+// a load: the validateCsv command runs it locally and the bulk-load Function
+// URL runs it on the S3 sources when a request sets `validate`.
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.describeReport = exports.validateCsvFiles = exports.parseHeaderColumn = exports.parseCsv = exports.CsvSyntaxError = void 0;
+const schemaRegistry_1 = require("./schemaRegistry");
+const DEFAULT_MAX_ISSUES = 1000;
+// Separator of array values and of multiple vertex labels
+const MULTI_VALUE_SEPARATOR = ";";
+// Type names the loader accepts, case-insensitively
+const CSV_TYPES = {
+    bool: "Bool",
+    boolean: "Bool",
+    byte: "Byte",
+    short: "Short",
+    int: "Int",
+    long: "Long",
+    float: "Float",
+    double: "Double",
+    string: "String",
+    date: "Date",
+};
+const SYSTEM_COLUMNS = {
+    vertex: ["~id", "~label"],
+    edge: ["~id", "~from", "~to", "~label"],
+};
+class CsvSyntaxError extends Error {
+    constructor(message, line) {
+        super(message);
+        this.line = line;
+        this.name = "CsvSyntaxError";
+    }
+}
+exports.CsvSyntaxError = CsvSyntaxError;
+/**
+ * Parses RFC 4180 CSV: quoted cells may hold commas, doubled quotes and line
+ * breaks. Throws CsvSyntaxError on an unterminated quote.
+ */
+function* parseCsv(content) {
+    const text = content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
+    let line = 1;
+    let start = 1;
+    let fields = [];
+    let cell = "";
+    let quoted = false;
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    cell += '"';
+                    i += 2;
+                    continue;
+                }
+                quoted = false;
+            }
+            else {
+                if (char === "\n")
+                    line++;
+                cell += char;
+            }
+            i++;
+            continue;
+        }
+        if (char === '"' && cell === "") {
+            quoted = true;
+        }
+        else if (char === ",") {
+            fields.push(cell);
+            cell = "";
+        }
+        else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n")
+                i++;
+            fields.push(cell);
+            // Blank lines carry no record
+            if (fields.length > 1 || fields[0] !== "")
+                yield { line: start, fields };
+            fields = [];
+            cell = "";
+            line++;
+            start = line;
+        }
+        else {
+            cell += char;
+        }
+        i++;
+    }
+    if (quoted) {
+        throw new CsvSyntaxError("Unterminated quoted value", start);
+    }
+    fields.push(cell);
+    if (fields.length > 1 || fields[0] !== "")
+        yield { line: start, fields };
+}
+exports.parseCsv = parseCsv;
+/**
+ * Splits a property header such as `year:Int`, `tags:String[]` or
+ * `name:String(single)`. A column without a type is a String.
+ */
+const parseHeaderColumn = (header) => {
+    const idx = header.lastIndexOf(":");
+    if (idx <= 0)
+        return { name: header, type: "String", array: false };
+    const spec = header
+        .slice(idx + 1)
+        .replace(/\((single|set)\)$/i, "")
+        .trim();
+    const array = spec.endsWith("[]");
+    const type = CSV_TYPES[(array ? spec.slice(0, -2) : spec).toLowerCase()] ?? null;
+    return { name: header.slice(0, idx), type, array };
+};
+exports.parseHeaderColumn = parseHeaderColumn;
+const schemasOf = (kind) => kind === "vertex" ? schemaRegistry_1.VERTEX_SCHEMAS : schemaRegistry_1.EDGE_SCHEMAS;
+/**
+ * Validates a set of vertex and edge files together, so that duplicate ids
+ * and edge endpoints are checked across files. A file is an edge file when
+ * its header has ~from and ~to.
+ */
+const validateCsvFiles = (files, { maxIssues = DEFAULT_MAX_ISSUES } = {}) => {
+    const issues = [];
+    const countsByCode = {};
+    const summaries = new Map();
+    let errorCount = 0;
+    let warningCount = 0;
+    const report = (issue) => {
+        countsByCode[issue.code] = (countsByCode[issue.code] ?? 0) + 1;
+        const summary = summaries.get(issue.file);
+        if (issue.severity === "error") {
+            errorCount++;
+            if (summary)
+                summary.errors++;
+        }
+        else {
+            warningCount++;
+            if (summary)
+                summary.warnings++;
+        }
+        if (issues.length < maxIssues)
+            issues.push(issue);
+    };
+    // Headers first, so vertex files are read before the edges that use them
+    const parsed = [];
+    for (const file of files) {
+        const summary = { file: file.name, kind: "unknown", rows: 0, errors: 0, warnings: 0 };
+        summaries.set(file.name, summary);
+        const rows = parseCsv(file.content);
+        let first;
+        try {
+            first = rows.next();
+        }
+        catch (error) {
+            const line = error instanceof CsvSyntaxError ? error.line : undefined;
+            report({ severity: "error", code: "MALFORMED_CSV", file: file.name, line, message: error.message });
+            continue;
+        }
+        if (first.done) {
+            report({ severity: "error", code: "INVALID_HEADER", file: file.name, line: 1, message: "File is empty" });
+            continue;
+        }
+        const header = parseHeader(first.value.fields, file.name, report);
+        if (!header)
+            continue;
+        summary.kind = header.kind;
+        parsed.push({ file, header, rows });
+    }
+    parsed.sort((a, b) => (a.header.kind === b.header.kind ? 0 : a.header.kind === "vertex" ? -1 : 1));
+    // ~id -> where it was first seen, per kind
+    const seenIds = { vertex: new Map(), edge: new Map() };
+    const endpointsChecked = parsed.some(({ header }) => header.kind === "vertex");
+    for (const { file, header, rows } of parsed) {
+        const summary = summaries.get(file.name);
+        const width = Object.keys(header.system).length + header.properties.length;
+        const cell = (fields, column) => header.system[column] === undefined ? "" : (fields[header.system[column]] ?? "").trim();
+        try {
+            for (const { line, fields } of rows) {
+                summary.rows++;
+                const at = { file: file.name, line };
+                if (fields.length !== width) {
+                    report({
+                        ...at,
+                        severity: "error",
+                        code: "MALFORMED_CSV",
+                        message: `Row has ${fields.length} cells; the header has ${width}`,
+                    });
+                    continue;
+                }
+                const id = cell(fields, "~id");
+                if (!id) {
+                    report({ ...at, severity: "error", code: "MISSING_ID", column: "~id", message: "~id is empty" });
+                }
+                else {
+                    const firstSeen = seenIds[header.kind].get(id);
+                    if (firstSeen) {
+                        report({
+                            ...at,
+                            id,
+                            severity: "error",
+                            code: "DUPLICATE_ID",
+                            column: "~id",
+                            message: `Duplicate ${header.kind} ~id "${id}" (first at ${firstSeen})`,
+                        });
+                    }
+                    else {
+                        seenIds[header.kind].set(id, `${file.name}:${line}`);
+                    }
+                }
+                if (header.kind === "edge") {
+                    for (const column of ["~from", "~to"]) {
+                        const endpoint = cell(fields, column);
+                        if (!endpoint) {
+                            report({ ...at, id, severity: "error", code: "MISSING_ID", column, message: `${column} is empty` });
+                        }
+                        else if (endpointsChecked && !seenIds.vertex.has(endpoint)) {
+                            report({
+                                ...at,
+                                id,
+                                severity: "warning",
+                                code: "MISSING_ENDPOINT",
+                                column,
+                                message: `${column} "${endpoint}" is not a vertex ~id in the validated files; it must already be in Neptune`,
+                            });
+                        }
+                    }
+                }
+                // Vertices may carry several labels; their schemas combine
+                const label = cell(fields, "~label");
+                const labels = (header.kind === "vertex" ? label.split(MULTI_VALUE_SEPARATOR) : [label])
+                    .map((part) => part.trim())
+                    .filter(Boolean);
+                if (labels.length === 0) {
+                    report({ ...at, id, severity: "error", code: "UNKNOWN_LABEL", column: "~label", message: "~label is empty" });
+                }
+                const schemas = [];
+                for (const label of labels) {
+                    const schema = schemasOf(header.kind)[label];
+                    if (schema) {
+                        schemas.push(schema);
+                    }
+                    else {
+                        report({
+                            ...at,
+                            id,
+                            severity: "error",
+                            code: "UNKNOWN_LABEL",
+                            column: "~label",
+                            message: `Unknown ${header.kind} label "${label}"`,
+                        });
+                    }
+                }
+                const known = schemas.length > 0 && schemas.length === labels.length;
+                const present = new Set();
+                for (const column of header.properties) {
+                    const raw = fields[column.index];
+                    if (raw === "")
+                        continue;
+                    present.add(column.name);
+                    const values = column.array ? raw.split(MULTI_VALUE_SEPARATOR) : [raw];
+                    for (const value of values) {
+                        try {
+                            (0, schemaRegistry_1.coerceValue)(column.type, value);
+                        }
+                        catch (error) {
+                            report({
+                                ...at,
+                                id,
+                                severity: "error",
+                                code: "TYPE_MISMATCH",
+                                column: column.header,
+                                message: `${column.name} ${error.message}; got "${value}"`,
+                            });
+                            break;
+                        }
+                    }
+                    if (known && !schemas.some((schema) => column.name in schema)) {
+                        report({
+                            ...at,
+                            id,
+                            severity: "warning",
+                            code: "UNKNOWN_PROPERTY",
+                            column: column.header,
+                            message: `${column.name} is not a property of ${labels.join(";")}`,
+                        });
+                    }
+                }
+                for (const schema of schemas) {
+                    for (const [name, spec] of Object.entries(schema)) {
+                        if (spec.required && !present.has(name)) {
+                            report({
+                                ...at,
+                                id,
+                                severity: "error",
+                                code: "MISSING_REQUIRED",
+                                column: name,
+                                message: `${labels.join(";")} requires ${name}`,
+                            });
+                        }
+                    }
+                }
+            }
+        }
+        catch (error) {
+            const line = error instanceof CsvSyntaxError ? error.line : undefined;
+            report({ severity: "error", code: "MALFORMED_CSV", file: file.name, line, message: error.message });
+        }
+    }
+    return {
+        valid: errorCount === 0,
+        files: Array.from(summaries.values()),
+        errorCount,
+        warningCount,
+        countsByCode,
+        endpointsChecked,
+        issues,
+        truncated: issues.length < errorCount + warningCount,
+    };
+};
+exports.validateCsvFiles = validateCsvFiles;
+const parseHeader = (columns, file, report) => {
+    const at = { file, line: 1 };
+    const trimmed = columns.map((column) => column.trim());
+    const kind = trimmed.includes("~from") && trimmed.includes("~to") ? "edge" : "vertex";
+    const system = {};
+    const properties = [];
+    const names = new Set();
+    let valid = true;
+    trimmed.forEach((header, index) => {
+        if (header.startsWith("~")) {
+            if (!SYSTEM_COLUMNS[kind].includes(header) || header in system) {
+                report({ ...at, severity: "error", code: "INVALID_HEADER", column: header, message: `Unexpected ${kind} column ${header}` });
+                valid = false;
+            }
+            system[header] = index;
+            return;
+        }
+        const { name, type, array } = (0, exports.parseHeaderColumn)(header);
+        if (!type) {
+            report({ ...at, severity: "error", code: "INVALID_HEADER", column: header, message: `Unknown type in ${header}` });
+            valid = false;
+            return;
+        }
+        if (names.has(name)) {
+            report({ ...at, severity: "error", code: "INVALID_HEADER", column: header, message: `Property ${name} appears twice` });
+            valid = false;
+            return;
+        }
+        names.add(name);
+        properties.push({ index, header, name, type, array });
+        // Compare with every label that defines the property
+        const conflicts = Object.entries(schemasOf(kind))
+            .filter(([, schema]) => schema[name] && schema[name].type !== type)
+            .map(([label, schema]) => `${label} (${schema[name].type})`);
+        if (conflicts.length > 0) {
+            report({
+                ...at,
+                severity: "warning",
+                code: "SCHEMA_TYPE_MISMATCH",
+                column: header,
+                message: `${header} differs from the schema of ${conflicts.join(", ")}`,
+            });
+        }
+    });
+    for (const column of SYSTEM_COLUMNS[kind]) {
+        if (!(column in system)) {
+            report({ ...at, severity: "error", code: "INVALID_HEADER", column, message: `Missing ${column} column` });
+            valid = false;
+        }
+    }
+    return valid ? { kind, system, properties } : null;
+};
+/** A human-readable summary of a report, one issue per line. */
+const describeReport = (report) => {
+    const lines = report.files.map((f) => `${f.file}: ${f.kind}, ${f.rows} rows, ${f.errors} errors, ${f.warnings} warnings`);
+    for (const issue of report.issues) {
+        const where = [issue.file, issue.line].filter((part) => part !== undefined).join(":");
+        const column = issue.column ? ` [${issue.column}]` : "";
+        lines.push(`${where} ${issue.severity} ${issue.code}${column}: ${issue.message}`);
+    }
+    if (report.truncated) {
+        lines.push(`... ${report.errorCount + report.warningCount - report.issues.length} more issues`);
+    }
+    if (!report.endpointsChecked) {
+        lines.push("Edge endpoints were not checked: no vertex file was given");
+    }
+    lines.push(report.valid
+        ? `Valid (${report.warningCount} warnings)`
+        : `Invalid: ${report.errorCount} errors, ${report.warningCount} warnings`);
+    return lines.join("\n");
+};
+exports.describeReport = describeReport;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY3N2VmFsaWRhdG9yLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiY3N2VmFsaWRhdG9yLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7QUFBQSw0RUFBNEU7QUFDNUUseUVBQXlFO0FBQ3pFLDZFQUE2RTtBQUM3RSw2RUFBNkU7QUFDN0UsZ0VBQWdFOzs7QUFFaEUscURBTTBCO0FBOEQxQixNQUFNLGtCQUFrQixHQUFHLElBQUksQ0FBQztBQUVoQywwREFBMEQ7QUFDMUQsTUFBTSxxQkFBcUIsR0FBRyxHQUFHLENBQUM7QUFFbEMsb0RBQW9EO0FBQ3BELE1BQU0sU0FBUyxHQUFpQztJQUM5QyxJQUFJLEVBQUUsTUFBTTtJQUNaLE9BQU8sRUFBRSxNQUFNO0lBQ2YsSUFBSSxFQUFFLE1BQU07SUFDWixLQUFLLEVBQUUsT0FBTztJQUNkLEdBQUcsRUFBRSxLQUFLO0lBQ1YsSUFBSSxFQUFFLE1BQU07SUFDWixLQUFLLEVBQUUsT0FBTztJQUNkLE1BQU0sRUFBRSxRQUFRO0lBQ2hCLE1BQU0sRUFBRSxRQUFRO0lBQ2hCLElBQUksRUFBRSxNQUFNO0NBQ2IsQ0FBQztBQUVGLE1BQU0sY0FBYyxHQUFHO0lBQ3JCLE1BQU0sRUFBRSxDQUFDLEtBQUssRUFBRSxRQUFRLENBQUM7SUFDekIsSUFBSSxFQUFFLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxLQUFLLEVBQUUsUUFBUSxDQUFDO0NBQ3hDLENBQUM7QUFFRixNQUFhLGNBQWUsU0FBUSxLQUFLO0lBQ3ZDLFlBQVksT0FBZSxFQUFXLElBQVk7UUFDaEQsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBRHFCLFNBQUksR0FBSixJQUFJLENBQVE7UUFFaEQsSUFBSSxDQUFDLElBQUksR0FBRyxnQkFBZ0IsQ0FBQztJQUMvQixDQUFDO0NBQ0Y7QUFMRCx3Q0FLQztBQU9EOzs7R0FHRztBQUNILFFBQWUsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxPQUFlO0lBQ3ZDLE1BQU0sSUFBSSxHQUFHLE9BQU8sQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLEtBQUssTUFBTSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUM7SUFDM0UsSUFBSSxJQUFJLEdBQUcsQ0FBQyxDQUFDO0lBQ2IsSUFBSSxLQUFLLEdBQUcsQ0FBQyxDQUFDO0lBQ2QsSUFBSSxNQUFNLEdBQWEsRUFBRSxDQUFDO0lBQzFCLElBQUksSUFBSSxHQUFHLEVBQUUsQ0FBQztJQUNkLElBQUksTUFBTSxHQUFHLEtBQUssQ0FBQztJQUNuQixJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDVixPQUFPLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTSxFQUFFLENBQUM7UUFDdkIsTUFBTSxJQUFJLEdBQUcsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ3JCLElBQUksTUFBTSxFQUFFLENBQUM7WUFDWCxJQUFJLElBQUksS0FBSyxHQUFHLEVBQUUsQ0FBQztnQkFDakIsSUFBSSxJQUFJLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxLQUFLLEdBQUcsRUFBRSxDQUFDO29CQUN4QixJQUFJLElBQUksR0FBRyxDQUFDO29CQUNaLENBQUMsSUFBSSxDQUFDLENBQUM7b0JBQ1AsU0FBUztnQkFDWCxDQUFDO2dCQUNELE1BQU0sR0FBRyxLQUFLLENBQUM7WUFDakIsQ0FBQztpQkFBTSxDQUFDO2dCQUNOLElBQUksSUFBSSxLQUFLLElBQUk7b0JBQUUsSUFBSSxFQUFFLENBQUM7Z0JBQzFCLElBQUksSUFBSSxJQUFJLENBQUM7WUFDZixDQUFDO1lBQ0QsQ0FBQyxFQUFFLENBQUM7WUFDSixTQUFTO1FBQ1gsQ0FBQztRQUNELElBQUksSUFBSSxLQUFLLEdBQUcsSUFBSSxJQUFJLEtBQUssRUFBRSxFQUFFLENBQUM7WUFDaEMsTUFBTSxHQUFHLElBQUksQ0FBQztRQUNoQixDQUFDO2FBQU0sSUFBSSxJQUFJLEtBQUssR0FBRyxFQUFFLENBQUM7WUFDeEIsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUNsQixJQUFJLEdBQUcsRUFBRSxDQUFDO1FBQ1osQ0FBQzthQUFNLElBQUksSUFBSSxLQUFLLElBQUksSUFBSSxJQUFJLEtBQUssSUFBSSxFQUFFLENBQUM7WUFDMUMsSUFBSSxJQUFJLEtBQUssSUFBSSxJQUFJLElBQUksQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEtBQUssSUFBSTtnQkFBRSxDQUFDLEVBQUUsQ0FBQztZQUMvQyxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO1lBQ2xCLDhCQUE4QjtZQUM5QixJQUFJLE1BQU0sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxJQUFJLE1BQU0sQ0FBQyxDQUFDLENBQUMsS0FBSyxFQUFFO2dCQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxDQUFDO1lBQ3pFLE1BQU0sR0FBRyxFQUFFLENBQUM7WUFDWixJQUFJLEdBQUcsRUFBRSxDQUFDO1lBQ1YsSUFBSSxFQUFFLENBQUM7WUFDUCxLQUFLLEdBQUcsSUFBSSxDQUFDO1FBQ2YsQ0FBQzthQUFNLENBQUM7WUFDTixJQUFJLElBQUksSUFBSSxDQUFDO1FBQ2YsQ0FBQztRQUNELENBQUMsRUFBRSxDQUFDO0lBQ04sQ0FBQztJQUNELElBQUksTUFBTSxFQUFFLENBQUM7UUFDWCxNQUFNLElBQUksY0FBYyxDQUFDLDJCQUEyQixFQUFFLEtBQUssQ0FBQyxDQUFDO0lBQy9ELENBQUM7SUFDRCxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQ2xCLElBQUksTUFBTSxDQUFDLE1BQU0sR0FBRyxDQUFDLElBQUksTUFBTSxDQUFDLENBQUMsQ0FBQyxLQUFLLEVBQUU7UUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLEtBQUssRUFBRSxNQUFNLEVBQUUsQ0FBQztBQUMzRSxDQUFDO0FBakRELDRCQWlEQztBQWdCRDs7O0dBR0c7QUFDSSxNQUFNLGlCQUFpQixHQUFHLENBQy9CLE1BQWMsRUFDK0MsRUFBRTtJQUMvRCxNQUFNLEdBQUcsR0FBRyxNQUFNLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ3BDLElBQUksR0FBRyxJQUFJLENBQUM7UUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQztJQUNwRSxNQUFNLElBQUksR0FBRyxNQUFNO1NBQ2hCLEtBQUssQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDO1NBQ2QsT0FBTyxDQUFDLG9CQUFvQixFQUFFLEVBQUUsQ0FBQztTQUNqQyxJQUFJLEVBQUUsQ0FBQztJQUNWLE1BQU0sS0FBSyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDbEMsTUFBTSxJQUFJLEdBQUcsU0FBUyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxJQUFJLElBQUksQ0FBQztJQUNqRixPQUFPLEVBQUUsSUFBSSxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxFQUFFLElBQUksRUFBRSxLQUFLLEVBQUUsQ0FBQztBQUNyRCxDQUFDLENBQUM7QUFaVyxRQUFBLGlCQUFpQixxQkFZNUI7QUFFRixNQUFNLFNBQVMsR0FBRyxDQUFDLElBQXVCLEVBQUUsRUFBRSxDQUM1QyxJQUFJLEtBQUssUUFBUSxDQUFDLENBQUMsQ0FBQywrQkFBYyxDQUFDLENBQUMsQ0FBQyw2QkFBWSxDQUFDO0FBRXBEOzs7O0dBSUc7QUFDSSxNQUFNLGdCQUFnQixHQUFHLENBQzlCLEtBQWdCLEVBQ2hCLEVBQUUsU0FBUyxHQUFHLGtCQUFrQixLQUE2QixFQUFFLEVBQzdDLEVBQUU7SUFDcEIsTUFBTSxNQUFNLEdBQXNCLEVBQUUsQ0FBQztJQUNyQyxNQUFNLFlBQVksR0FBdUMsRUFBRSxDQUFDO0lBQzVELE1BQU0sU0FBUyxHQUFHLElBQUksR0FBRyxFQUF1QixDQUFDO0lBQ2pELElBQUksVUFBVSxHQUFHLENBQUMsQ0FBQztJQUNuQixJQUFJLFlBQVksR0FBRyxDQUFDLENBQUM7SUFFckIsTUFBTSxNQUFNLEdBQUcsQ0FBQyxLQUFzQixFQUFFLEVBQUU7UUFDeEMsWUFBWSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQy9ELE1BQU0sT0FBTyxHQUFHLFNBQVMsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQzFDLElBQUksS0FBSyxDQUFDLFFBQVEsS0FBSyxPQUFPLEVBQUUsQ0FBQztZQUMvQixVQUFVLEVBQUUsQ0FBQztZQUNiLElBQUksT0FBTztnQkFBRSxPQUFPLENBQUMsTUFBTSxFQUFFLENBQUM7UUFDaEMsQ0FBQzthQUFNLENBQUM7WUFDTixZQUFZLEVBQUUsQ0FBQztZQUNmLElBQUksT0FBTztnQkFBRSxPQUFPLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDbEMsQ0FBQztRQUNELElBQUksTUFBTSxDQUFDLE1BQU0sR0FBRyxTQUFTO1lBQUUsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUNwRCxDQUFDLENBQUM7SUFFRix5RUFBeUU7SUFDekUsTUFBTSxNQUFNLEdBQStFLEVBQUUsQ0FBQztJQUM5RixLQUFLLE1BQU0sSUFBSSxJQUFJLEtBQUssRUFBRSxDQUFDO1FBQ3pCLE1BQU0sT0FBTyxHQUFnQixFQUFFLElBQUksRUFBRSxJQUFJLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLENBQUMsRUFBRSxNQUFNLEVBQUUsQ0FBQyxFQUFFLFFBQVEsRUFBRSxDQUFDLEVBQUUsQ0FBQztRQUNuRyxTQUFTLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsT0FBTyxDQUFDLENBQUM7UUFDbEMsTUFBTSxJQUFJLEdBQUcsUUFBUSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUNwQyxJQUFJLEtBQWdDLENBQUM7UUFDckMsSUFBSSxDQUFDO1lBQ0gsS0FBSyxHQUFHLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUN0QixDQUFDO1FBQUMsT0FBTyxLQUFjLEVBQUUsQ0FBQztZQUN4QixNQUFNLElBQUksR0FBRyxLQUFLLFlBQVksY0FBYyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUM7WUFDdEUsTUFBTSxDQUFDLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsZUFBZSxFQUFFLElBQUksRUFBRSxJQUFJLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUcsS0FBZSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7WUFDL0csU0FBUztRQUNYLENBQUM7UUFDRCxJQUFJLEtBQUssQ0FBQyxJQUFJLEVBQUUsQ0FBQztZQUNmLE1BQU0sQ0FBQyxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLGdCQUFnQixFQUFFLElBQUksRUFBRSxJQUFJLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxDQUFDLEVBQUUsT0FBTyxFQUFFLGVBQWUsRUFBRSxDQUFDLENBQUM7WUFDMUcsU0FBUztRQUNYLENBQUM7UUFDRCxNQUFNLE1BQU0sR0FBRyxXQUFXLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxNQUFNLEVBQUUsSUFBSSxDQUFDLElBQUksRUFBRSxNQUFNLENBQUMsQ0FBQztRQUNsRSxJQUFJLENBQUMsTUFBTTtZQUFFLFNBQVM7UUFDdEIsT0FBTyxDQUFDLElBQUksR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDO1FBQzNCLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7SUFDdEMsQ0FBQztJQUNELE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxLQUFLLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxLQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFFbkcsMkNBQTJDO0lBQzNDLE1BQU0sT0FBTyxHQUFHLEVBQUUsTUFBTSxFQUFFLElBQUksR0FBRyxFQUFrQixFQUFFLElBQUksRUFBRSxJQUFJLEdBQUcsRUFBa0IsRUFBRSxDQUFDO0lBQ3ZGLE1BQU0sZ0JBQWdCLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLEVBQUUsTUFBTSxFQUFFLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLEtBQUssUUFBUSxDQUFDLENBQUM7SUFFL0UsS0FBSyxNQUFNLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUUsSUFBSSxNQUFNLEVBQUUsQ0FBQztRQUM1QyxNQUFNLE9BQU8sR0FBRyxTQUFTLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUUsQ0FBQztRQUMxQyxNQUFNLEtBQUssR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxNQUFNLEdBQUcsTUFBTSxDQUFDLFVBQVUsQ0FBQyxNQUFNLENBQUM7UUFDM0UsTUFBTSxJQUFJLEdBQUcsQ0FBQyxNQUFnQixFQUFFLE1BQWMsRUFBRSxFQUFFLENBQ2hELE1BQU0sQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUUxRixJQUFJLENBQUM7WUFDSCxLQUFLLE1BQU0sRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLElBQUksSUFBSSxFQUFFLENBQUM7Z0JBQ3BDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsQ0FBQztnQkFDZixNQUFNLEVBQUUsR0FBRyxFQUFFLElBQUksRUFBRSxJQUFJLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxDQUFDO2dCQUNyQyxJQUFJLE1BQU0sQ0FBQyxNQUFNLEtBQUssS0FBSyxFQUFFLENBQUM7b0JBQzVCLE1BQU0sQ0FBQzt3QkFDTCxHQUFHLEVBQUU7d0JBQ0wsUUFBUSxFQUFFLE9BQU87d0JBQ2pCLElBQUksRUFBRSxlQUFlO3dCQUNyQixPQUFPLEVBQUUsV0FBVyxNQUFNLENBQUMsTUFBTSwwQkFBMEIsS0FBSyxFQUFFO3FCQUNuRSxDQUFDLENBQUM7b0JBQ0gsU0FBUztnQkFDWCxDQUFDO2dCQUVELE1BQU0sRUFBRSxHQUFHLElBQUksQ0FBQyxNQUFNLEVBQUUsS0FBSyxDQUFDLENBQUM7Z0JBQy9CLElBQUksQ0FBQyxFQUFFLEVBQUUsQ0FBQztvQkFDUixNQUFNLENBQUMsRUFBRSxHQUFHLEVBQUUsRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLElBQUksRUFBRSxZQUFZLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsY0FBYyxFQUFFLENBQUMsQ0FBQztnQkFDbkcsQ0FBQztxQkFBTSxDQUFDO29CQUNOLE1BQU0sU0FBUyxHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxDQUFDO29CQUMvQyxJQUFJLFNBQVMsRUFBRSxDQUFDO3dCQUNkLE1BQU0sQ0FBQzs0QkFDTCxHQUFHLEVBQUU7NEJBQ0wsRUFBRTs0QkFDRixRQUFRLEVBQUUsT0FBTzs0QkFDakIsSUFBSSxFQUFFLGNBQWM7NEJBQ3BCLE1BQU0sRUFBRSxLQUFLOzRCQUNiLE9BQU8sRUFBRSxhQUFhLE1BQU0sQ0FBQyxJQUFJLFNBQVMsRUFBRSxlQUFlLFNBQVMsR0FBRzt5QkFDeEUsQ0FBQyxDQUFDO29CQUNMLENBQUM7eUJBQU0sQ0FBQzt3QkFDTixPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsQ0FBQyxFQUFFLEVBQUUsR0FBRyxJQUFJLENBQUMsSUFBSSxJQUFJLElBQUksRUFBRSxDQUFDLENBQUM7b0JBQ3ZELENBQUM7Z0JBQ0gsQ0FBQztnQkFFRCxJQUFJLE1BQU0sQ0FBQyxJQUFJLEtBQUssTUFBTSxFQUFFLENBQUM7b0JBQzNCLEtBQUssTUFBTSxNQUFNLElBQUksQ0FBQyxPQUFPLEVBQUUsS0FBSyxDQUFDLEVBQUUsQ0FBQzt3QkFDdEMsTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLE1BQU0sRUFBRSxNQUFNLENBQUMsQ0FBQzt3QkFDdEMsSUFBSSxDQUFDLFFBQVEsRUFBRSxDQUFDOzRCQUNkLE1BQU0sQ0FBQyxFQUFFLEdBQUcsRUFBRSxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLElBQUksRUFBRSxZQUFZLEVBQUUsTUFBTSxFQUFFLE9BQU8sRUFBRSxHQUFHLE1BQU0sV0FBVyxFQUFFLENBQUMsQ0FBQzt3QkFDdEcsQ0FBQzs2QkFBTSxJQUFJLGdCQUFnQixJQUFJLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQzs0QkFDN0QsTUFBTSxDQUFDO2dDQUNMLEdBQUcsRUFBRTtnQ0FDTCxFQUFFO2dDQUNGLFFBQVEsRUFBRSxTQUFTO2dDQUNuQixJQUFJLEVBQUUsa0JBQWtCO2dDQUN4QixNQUFNO2dDQUNOLE9BQU8sRUFBRSxHQUFHLE1BQU0sS0FBSyxRQUFRLDZFQUE2RTs2QkFDN0csQ0FBQyxDQUFDO3dCQUNMLENBQUM7b0JBQ0gsQ0FBQztnQkFDSCxDQUFDO2dCQUVELDJEQUEyRDtnQkFDM0QsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLE1BQU0sRUFBRSxRQUFRLENBQUMsQ0FBQztnQkFDckMsTUFBTSxNQUFNLEdBQUcsQ0FBQyxNQUFNLENBQUMsSUFBSSxLQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxxQkFBcUIsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDO3FCQUNyRixHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztxQkFDMUIsTUFBTSxDQUFDLE9BQU8sQ0FBQyxDQUFDO2dCQUNuQixJQUFJLE1BQU0sQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFLENBQUM7b0JBQ3hCLE1BQU0sQ0FBQyxFQUFFLEdBQUcsRUFBRSxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLElBQUksRUFBRSxlQUFlLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsaUJBQWlCLEVBQUUsQ0FBQyxDQUFDO2dCQUNoSCxDQUFDO2dCQUNELE1BQU0sT0FBTyxHQUFrQixFQUFFLENBQUM7Z0JBQ2xDLEtBQUssTUFBTSxLQUFLLElBQUksTUFBTSxFQUFFLENBQUM7b0JBQzNCLE1BQU0sTUFBTSxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUM7b0JBQzdDLElBQUksTUFBTSxFQUFFLENBQUM7d0JBQ1gsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztvQkFDdkIsQ0FBQzt5QkFBTSxDQUFDO3dCQUNOLE1BQU0sQ0FBQzs0QkFDTCxHQUFHLEVBQUU7NEJBQ0wsRUFBRTs0QkFDRixRQUFRLEVBQUUsT0FBTzs0QkFDakIsSUFBSSxFQUFFLGVBQWU7NEJBQ3JCLE1BQU0sRUFBRSxRQUFROzRCQUNoQixPQUFPLEVBQUUsV0FBVyxNQUFNLENBQUMsSUFBSSxXQUFXLEtBQUssR0FBRzt5QkFDbkQsQ0FBQyxDQUFDO29CQUNMLENBQUM7Z0JBQ0gsQ0FBQztnQkFDRCxNQUFNLEtBQUssR0FBRyxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsSUFBSSxPQUFPLENBQUMsTUFBTSxLQUFLLE1BQU0sQ0FBQyxNQUFNLENBQUM7Z0JBRXJFLE1BQU0sT0FBTyxHQUFHLElBQUksR0FBRyxFQUFVLENBQUM7Z0JBQ2xDLEtBQUssTUFBTSxNQUFNLElBQUksTUFBTSxDQUFDLFVBQVUsRUFBRSxDQUFDO29CQUN2QyxNQUFNLEdBQUcsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO29CQUNqQyxJQUFJLEdBQUcsS0FBSyxFQUFFO3dCQUFFLFNBQVM7b0JBQ3pCLE9BQU8sQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDO29CQUN6QixNQUFNLE1BQU0sR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLHFCQUFxQixDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUM7b0JBQ3ZFLEtBQUssTUFBTSxLQUFLLElBQUksTUFBTSxFQUFFLENBQUM7d0JBQzNCLElBQUksQ0FBQzs0QkFDSCxJQUFBLDRCQUFXLEVBQUMsTUFBTSxDQUFDLElBQUksRUFBRSxLQUFLLENBQUMsQ0FBQzt3QkFDbEMsQ0FBQzt3QkFBQyxPQUFPLEtBQWMsRUFBRSxDQUFDOzRCQUN4QixNQUFNLENBQUM7Z0NBQ0wsR0FBRyxFQUFFO2dDQUNMLEVBQUU7Z0NBQ0YsUUFBUSxFQUFFLE9BQU87Z0NBQ2pCLElBQUksRUFBRSxlQUFlO2dDQUNyQixNQUFNLEVBQUUsTUFBTSxDQUFDLE1BQU07Z0NBQ3JCLE9BQU8sRUFBRSxHQUFHLE1BQU0sQ0FBQyxJQUFJLElBQUssS0FBZSxDQUFDLE9BQU8sVUFBVSxLQUFLLEdBQUc7NkJBQ3RFLENBQUMsQ0FBQzs0QkFDSCxNQUFNO3dCQUNSLENBQUM7b0JBQ0gsQ0FBQztvQkFDRCxJQUFJLEtBQUssSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLElBQUksTUFBTSxDQUFDLEVBQUUsQ0FBQzt3QkFDOUQsTUFBTSxDQUFDOzRCQUNMLEdBQUcsRUFBRTs0QkFDTCxFQUFFOzRCQUNGLFFBQVEsRUFBRSxTQUFTOzRCQUNuQixJQUFJLEVBQUUsa0JBQWtCOzRCQUN4QixNQUFNLEVBQUUsTUFBTSxDQUFDLE1BQU07NEJBQ3JCLE9BQU8sRUFBRSxHQUFHLE1BQU0sQ0FBQyxJQUFJLHlCQUF5QixNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFO3lCQUNuRSxDQUFDLENBQUM7b0JBQ0wsQ0FBQztnQkFDSCxDQUFDO2dCQUVELEtBQUssTUFBTSxNQUFNLElBQUksT0FBTyxFQUFFLENBQUM7b0JBQzdCLEtBQUssTUFBTSxDQUFDLElBQUksRUFBRSxJQUFJLENBQUMsSUFBSSxNQUFNLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUM7d0JBQ2xELElBQUksSUFBSSxDQUFDLFFBQVEsSUFBSSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQzs0QkFDeEMsTUFBTSxDQUFDO2dDQUNMLEdBQUcsRUFBRTtnQ0FDTCxFQUFFO2dDQUNGLFFBQVEsRUFBRSxPQUFPO2dDQUNqQixJQUFJLEVBQUUsa0JBQWtCO2dDQUN4QixNQUFNLEVBQUUsSUFBSTtnQ0FDWixPQUFPLEVBQUUsR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxhQUFhLElBQUksRUFBRTs2QkFDaEQsQ0FBQyxDQUFDO3dCQUNMLENBQUM7b0JBQ0gsQ0FBQztnQkFDSCxDQUFDO1lBQ0gsQ0FBQztRQUNILENBQUM7UUFBQyxPQUFPLEtBQWMsRUFBRSxDQUFDO1lBQ3hCLE1BQU0sSUFBSSxHQUFHLEtBQUssWUFBWSxjQUFjLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztZQUN0RSxNQUFNLENBQUMsRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLElBQUksRUFBRSxlQUFlLEVBQUUsSUFBSSxFQUFFLElBQUksQ0FBQyxJQUFJLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRyxLQUFlLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztRQUNqSCxDQUFDO0lBQ0gsQ0FBQztJQUVELE9BQU87UUFDTCxLQUFLLEVBQUUsVUFBVSxLQUFLLENBQUM7UUFDdkIsS0FBSyxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sRUFBRSxDQUFDO1FBQ3JDLFVBQVU7UUFDVixZQUFZO1FBQ1osWUFBWTtRQUNaLGdCQUFnQjtRQUNoQixNQUFNO1FBQ04sU0FBUyxFQUFFLE1BQU0sQ0FBQyxNQUFNLEdBQUcsVUFBVSxHQUFHLFlBQVk7S0FDckQsQ0FBQztBQUNKLENBQUMsQ0FBQztBQXZNVyxRQUFBLGdCQUFnQixvQkF1TTNCO0FBRUYsTUFBTSxXQUFXLEdBQUcsQ0FDbEIsT0FBaUIsRUFDakIsSUFBWSxFQUNaLE1BQXdDLEVBQ25CLEVBQUU7SUFDdkIsTUFBTSxFQUFFLEdBQUcsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLENBQUMsRUFBRSxDQUFDO0lBQzdCLE1BQU0sT0FBTyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQyxNQUFNLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBQ3ZELE1BQU0sSUFBSSxHQUFHLE9BQU8sQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLElBQUksT0FBTyxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUM7SUFDdEYsTUFBTSxNQUFNLEdBQTJCLEVBQUUsQ0FBQztJQUMxQyxNQUFNLFVBQVUsR0FBcUIsRUFBRSxDQUFDO0lBQ3hDLE1BQU0sS0FBSyxHQUFHLElBQUksR0FBRyxFQUFVLENBQUM7SUFDaEMsSUFBSSxLQUFLLEdBQUcsSUFBSSxDQUFDO0lBRWpCLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLEVBQUU7UUFDaEMsSUFBSSxNQUFNLENBQUMsVUFBVSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUM7WUFDM0IsSUFBSSxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLElBQUksTUFBTSxJQUFJLE1BQU0sRUFBRSxDQUFDO2dCQUMvRCxNQUFNLENBQUMsRUFBRSxHQUFHLEVBQUUsRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLElBQUksRUFBRSxnQkFBZ0IsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLE9BQU8sRUFBRSxjQUFjLElBQUksV0FBVyxNQUFNLEVBQUUsRUFBRSxDQUFDLENBQUM7Z0JBQzdILEtBQUssR0FBRyxLQUFLLENBQUM7WUFDaEIsQ0FBQztZQUNELE1BQU0sQ0FBQyxNQUFNLENBQUMsR0FBRyxLQUFLLENBQUM7WUFDdkIsT0FBTztRQUNULENBQUM7UUFDRCxNQUFNLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxLQUFLLEVBQUUsR0FBRyxJQUFBLHlCQUFpQixFQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQ3hELElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztZQUNWLE1BQU0sQ0FBQyxFQUFFLEdBQUcsRUFBRSxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLGdCQUFnQixFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsT0FBTyxFQUFFLG1CQUFtQixNQUFNLEVBQUUsRUFBRSxDQUFDLENBQUM7WUFDbkgsS0FBSyxHQUFHLEtBQUssQ0FBQztZQUNkLE9BQU87UUFDVCxDQUFDO1FBQ0QsSUFBSSxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUM7WUFDcEIsTUFBTSxDQUFDLEVBQUUsR0FBRyxFQUFFLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsZ0JBQWdCLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsWUFBWSxJQUFJLGdCQUFnQixFQUFFLENBQUMsQ0FBQztZQUN4SCxLQUFLLEdBQUcsS0FBSyxDQUFDO1lBQ2QsT0FBTztRQUNULENBQUM7UUFDRCxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ2hCLFVBQVUsQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQztRQUV0RCxxREFBcUQ7UUFDckQsTUFBTSxTQUFTLEdBQUcsTUFBTSxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUM7YUFDOUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxFQUFFLEVBQUUsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksS0FBSyxJQUFJLENBQUM7YUFDbEUsR0FBRyxDQUFDLENBQUMsQ0FBQyxLQUFLLEVBQUUsTUFBTSxDQUFDLEVBQUUsRUFBRSxDQUFDLEdBQUcsS0FBSyxLQUFLLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDO1FBQy9ELElBQUksU0FBUyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsQ0FBQztZQUN6QixNQUFNLENBQUM7Z0JBQ0wsR0FBRyxFQUFFO2dCQUNMLFFBQVEsRUFBRSxTQUFTO2dCQUNuQixJQUFJLEVBQUUsc0JBQXNCO2dCQUM1QixNQUFNLEVBQUUsTUFBTTtnQkFDZCxPQUFPLEVBQUUsR0FBRyxNQUFNLCtCQUErQixTQUFTLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFO2FBQ3hFLENBQUMsQ0FBQztRQUNMLENBQUM7SUFDSCxDQUFDLENBQUMsQ0FBQztJQUVILEtBQUssTUFBTSxNQUFNLElBQUksY0FBYyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUM7UUFDMUMsSUFBSSxDQUFDLENBQUMsTUFBTSxJQUFJLE1BQU0sQ0FBQyxFQUFFLENBQUM7WUFDeEIsTUFBTSxDQUFDLEVBQUUsR0FBRyxFQUFFLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsZ0JBQWdCLEVBQUUsTUFBTSxFQUFFLE9BQU8sRUFBRSxXQUFXLE1BQU0sU0FBUyxFQUFFLENBQUMsQ0FBQztZQUMxRyxLQUFLLEdBQUcsS0FBSyxDQUFDO1FBQ2hCLENBQUM7SUFDSCxDQUFDO0lBQ0QsT0FBTyxLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO0FBQ3JELENBQUMsQ0FBQztBQUVGLGdFQUFnRTtBQUN6RCxNQUFNLGNBQWMsR0FBRyxDQUFDLE1BQXdCLEVBQVUsRUFBRTtJQUNqRSxNQUFNLEtBQUssR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FDNUIsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksS0FBSyxDQUFDLENBQUMsSUFBSSxLQUFLLENBQUMsQ0FBQyxJQUFJLFVBQVUsQ0FBQyxDQUFDLE1BQU0sWUFBWSxDQUFDLENBQUMsUUFBUSxXQUFXLENBQzFGLENBQUM7SUFDRixLQUFLLE1BQU0sS0FBSyxJQUFJLE1BQU0sQ0FBQyxNQUFNLEVBQUUsQ0FBQztRQUNsQyxNQUFNLEtBQUssR0FBRyxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLElBQUksRUFBRSxFQUFFLENBQUMsSUFBSSxLQUFLLFNBQVMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUN0RixNQUFNLE1BQU0sR0FBRyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxLQUFLLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO1FBQ3hELEtBQUssQ0FBQyxJQUFJLENBQUMsR0FBRyxLQUFLLElBQUksS0FBSyxDQUFDLFFBQVEsSUFBSSxLQUFLLENBQUMsSUFBSSxHQUFHLE1BQU0sS0FBSyxLQUFLLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztJQUNwRixDQUFDO0lBQ0QsSUFBSSxNQUFNLENBQUMsU0FBUyxFQUFFLENBQUM7UUFDckIsS0FBSyxDQUFDLElBQUksQ0FBQyxPQUFPLE1BQU0sQ0FBQyxVQUFVLEdBQUcsTUFBTSxDQUFDLFlBQVksR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLE1BQU0sY0FBYyxDQUFDLENBQUM7SUFDbEcsQ0FBQztJQUNELElBQUksQ0FBQyxNQUFNLENBQUMsZ0JBQWdCLEVBQUUsQ0FBQztRQUM3QixLQUFLLENBQUMsSUFBSSxDQUFDLDJEQUEyRCxDQUFDLENBQUM7SUFDMUUsQ0FBQztJQUNELEtBQUssQ0FBQyxJQUFJLENBQ1IsTUFBTSxDQUFDLEtBQUs7UUFDVixDQUFDLENBQUMsVUFBVSxNQUFNLENBQUMsWUFBWSxZQUFZO1FBQzNDLENBQUMsQ0FBQyxZQUFZLE1BQU0sQ0FBQyxVQUFVLFlBQVksTUFBTSxDQUFDLFlBQVksV0FBVyxDQUM1RSxDQUFDO0lBQ0YsT0FBTyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO0FBQzFCLENBQUMsQ0FBQztBQXJCVyxRQUFBLGNBQWMsa0JBcUJ6QiIsInNvdXJjZXNDb250ZW50IjpbIi8vIE9mZmxpbmUgdmFsaWRhdGlvbiBvZiBOZXB0dW5lIGJ1bGstbG9hZCBDU1YgZmlsZXMgKHRoZSBHcmVtbGluIENTViBmb3JtYXRcbi8vIG9mIGRhdGEvdmVydGV4LmNzdiBhbmQgZGF0YS9lZGdlLmNzdikgYWdhaW5zdCB0aGUgc2NoZW1hIHJlZ2lzdHJ5LiBUaGVcbi8vIGxvYWRlciBza2lwcyBiYWQgcm93cyB3aGVuIGZhaWxPbkVycm9yIGlzIG9mZiwgc28gdGhpcyBjYXRjaGVzIHRoZW0gYmVmb3JlXG4vLyBhIGxvYWQ6IHRoZSB2YWxpZGF0ZUNzdiBjb21tYW5kIHJ1bnMgaXQgbG9jYWxseSBhbmQgdGhlIGJ1bGstbG9hZCBGdW5jdGlvblxuLy8gVVJMIHJ1bnMgaXQgb24gdGhlIFMzIHNvdXJjZXMgd2hlbiBhIHJlcXVlc3Qgc2V0cyBgdmFsaWRhdGVgLlxuXG5pbXBvcnQge1xuICBFREdFX1NDSEVNQVMsXG4gIExhYmVsU2NoZW1hLFxuICBQcm9wZXJ0eVR5cGUsXG4gIFZFUlRFWF9TQ0hFTUFTLFxuICBjb2VyY2VWYWx1ZSxcbn0gZnJvbSBcIi4vc2NoZW1hUmVnaXN0cnlcIjtcblxuZXhwb3J0IHR5cGUgSXNzdWVTZXZlcml0eSA9IFwiZXJyb3JcIiB8IFwid2FybmluZ1wiO1xuXG5leHBvcnQgdHlwZSBJc3N1ZUNvZGUgPVxuICAvLyBVbnRlcm1pbmF0ZWQgcXVvdGUgb3IgYSByb3cgd2l0aCB0aGUgd3JvbmcgbnVtYmVyIG9mIGNlbGxzXG4gIHwgXCJNQUxGT1JNRURfQ1NWXCJcbiAgLy8gTWlzc2luZyBvciB1bmtub3duIH4gY29sdW1uLCB1bmtub3duIHR5cGUsIHJlcGVhdGVkIGNvbHVtblxuICB8IFwiSU5WQUxJRF9IRUFERVJcIlxuICAvLyBFbXB0eSB+aWQsIH5mcm9tIG9yIH50b1xuICB8IFwiTUlTU0lOR19JRFwiXG4gIHwgXCJEVVBMSUNBVEVfSURcIlxuICAvLyBBIHZhbHVlIHRoYXQgZG9lcyBub3QgcGFyc2UgYXMgaXRzIGhlYWRlciB0eXBlXG4gIHwgXCJUWVBFX01JU01BVENIXCJcbiAgfCBcIlVOS05PV05fTEFCRUxcIlxuICB8IFwiTUlTU0lOR19SRVFVSVJFRFwiXG4gIC8vIEEgdmFsdWUgaW4gYSBjb2x1bW4gdGhlIGxhYmVsJ3Mgc2NoZW1hIGRvZXMgbm90IGhhdmVcbiAgfCBcIlVOS05PV05fUFJPUEVSVFlcIlxuICAvLyBBIGhlYWRlciB0eXBlIHRoYXQgZGlmZmVycyBmcm9tIHRoZSBzY2hlbWEgcmVnaXN0cnlcbiAgfCBcIlNDSEVNQV9UWVBFX01JU01BVENIXCJcbiAgLy8gQW4gZWRnZSB+ZnJvbS9+dG8gdGhhdCBpcyBub3QgYSB2ZXJ0ZXggfmlkIG9mIHRoZSB2YWxpZGF0ZWQgZmlsZXMuIEFcbiAgLy8gd2FybmluZzogaW5jcmVtZW50YWwgbG9hZHMgcmVmZXJlbmNlIHZlcnRpY2VzIGFscmVhZHkgaW4gTmVwdHVuZS5cbiAgfCBcIk1JU1NJTkdfRU5EUE9JTlRcIjtcblxuZXhwb3J0IGludGVyZmFjZSBWYWxpZGF0aW9uSXNzdWUge1xuICBzZXZlcml0eTogSXNzdWVTZXZlcml0eTtcbiAgY29kZTogSXNzdWVDb2RlO1xuICBmaWxlOiBzdHJpbmc7XG4gIC8vIDEtYmFzZWQgbGluZSBvZiB0aGUgcm93IChvZiBpdHMgZmlyc3QgbGluZSBmb3IgbXVsdGktbGluZSByb3dzKVxuICBsaW5lPzogbnVtYmVyO1xuICBpZD86IHN0cmluZztcbiAgY29sdW1uPzogc3RyaW5nO1xuICBtZXNzYWdlOiBzdHJpbmc7XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgRmlsZVN1bW1hcnkge1xuICBmaWxlOiBzdHJpbmc7XG4gIGtpbmQ6IFwidmVydGV4XCIgfCBcImVkZ2VcIiB8IFwidW5rbm93blwiO1xuICByb3dzOiBudW1iZXI7XG4gIGVycm9yczogbnVtYmVyO1xuICB3YXJuaW5nczogbnVtYmVyO1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIFZhbGlkYXRpb25SZXBvcnQge1xuICAvLyBObyBlcnJvcnM7IHdhcm5pbmdzIGFsb25lIGRvIG5vdCBmYWlsIHZhbGlkYXRpb25cbiAgdmFsaWQ6IGJvb2xlYW47XG4gIGZpbGVzOiBGaWxlU3VtbWFyeVtdO1xuICBlcnJvckNvdW50OiBudW1iZXI7XG4gIHdhcm5pbmdDb3VudDogbnVtYmVyO1xuICBjb3VudHNCeUNvZGU6IFBhcnRpYWw8UmVjb3JkPElzc3VlQ29kZSwgbnVtYmVyPj47XG4gIC8vIEVuZHBvaW50cyBhcmUgb25seSBjaGVja2VkIHdoZW4gYSB2ZXJ0ZXggZmlsZSBpcyBwYXJ0IG9mIHRoZSBzZXRcbiAgZW5kcG9pbnRzQ2hlY2tlZDogYm9vbGVhbjtcbiAgLy8gVGhlIGZpcnN0IGBtYXhJc3N1ZXNgIGlzc3VlczsgdGhlIGNvdW50cyBjb3ZlciBhbGwgb2YgdGhlbVxuICBpc3N1ZXM6IFZhbGlkYXRpb25Jc3N1ZVtdO1xuICB0cnVuY2F0ZWQ6IGJvb2xlYW47XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgQ3N2RmlsZSB7XG4gIG5hbWU6IHN0cmluZztcbiAgY29udGVudDogc3RyaW5nO1xufVxuXG5jb25zdCBERUZBVUxUX01BWF9JU1NVRVMgPSAxMDAwO1xuXG4vLyBTZXBhcmF0b3Igb2YgYXJyYXkgdmFsdWVzIGFuZCBvZiBtdWx0aXBsZSB2ZXJ0ZXggbGFiZWxzXG5jb25zdCBNVUxUSV9WQUxVRV9TRVBBUkFUT1IgPSBcIjtcIjtcblxuLy8gVHlwZSBuYW1lcyB0aGUgbG9hZGVyIGFjY2VwdHMsIGNhc2UtaW5zZW5zaXRpdmVseVxuY29uc3QgQ1NWX1RZUEVTOiBSZWNvcmQ8c3RyaW5nLCBQcm9wZXJ0eVR5cGU+ID0ge1xuICBib29sOiBcIkJvb2xcIixcbiAgYm9vbGVhbjogXCJCb29sXCIsXG4gIGJ5dGU6IFwiQnl0ZVwiLFxuICBzaG9ydDogXCJTaG9ydFwiLFxuICBpbnQ6IFwiSW50XCIsXG4gIGxvbmc6IFwiTG9uZ1wiLFxuICBmbG9hdDogXCJGbG9hdFwiLFxuICBkb3VibGU6IFwiRG91YmxlXCIsXG4gIHN0cmluZzogXCJTdHJpbmdcIixcbiAgZGF0ZTogXCJEYXRlXCIsXG59O1xuXG5jb25zdCBTWVNURU1fQ09MVU1OUyA9IHtcbiAgdmVydGV4OiBbXCJ+aWRcIiwgXCJ+bGFiZWxcIl0sXG4gIGVkZ2U6IFtcIn5pZFwiLCBcIn5mcm9tXCIsIFwifnRvXCIsIFwifmxhYmVsXCJdLFxufTtcblxuZXhwb3J0IGNsYXNzIENzdlN5bnRheEVycm9yIGV4dGVuZHMgRXJyb3Ige1xuICBjb25zdHJ1Y3RvcihtZXNzYWdlOiBzdHJpbmcsIHJlYWRvbmx5IGxpbmU6IG51bWJlcikge1xuICAgIHN1cGVyKG1lc3NhZ2UpO1xuICAgIHRoaXMubmFtZSA9IFwiQ3N2U3ludGF4RXJyb3JcIjtcbiAgfVxufVxuXG5leHBvcnQgaW50ZXJmYWNlIENzdlJlY29yZCB7XG4gIGxpbmU6IG51bWJlcjtcbiAgZmllbGRzOiBzdHJpbmdbXTtcbn1cblxuLyoqXG4gKiBQYXJzZXMgUkZDIDQxODAgQ1NWOiBxdW90ZWQgY2VsbHMgbWF5IGhvbGQgY29tbWFzLCBkb3VibGVkIHF1b3RlcyBhbmQgbGluZVxuICogYnJlYWtzLiBUaHJvd3MgQ3N2U3ludGF4RXJyb3Igb24gYW4gdW50ZXJtaW5hdGVkIHF1b3RlLlxuICovXG5leHBvcnQgZnVuY3Rpb24qIHBhcnNlQ3N2KGNvbnRlbnQ6IHN0cmluZyk6IEdlbmVyYXRvcjxDc3ZSZWNvcmQ+IHtcbiAgY29uc3QgdGV4dCA9IGNvbnRlbnQuY2hhckNvZGVBdCgwKSA9PT0gMHhmZWZmID8gY29udGVudC5zbGljZSgxKSA6IGNvbnRlbnQ7XG4gIGxldCBsaW5lID0gMTtcbiAgbGV0IHN0YXJ0ID0gMTtcbiAgbGV0IGZpZWxkczogc3RyaW5nW10gPSBbXTtcbiAgbGV0IGNlbGwgPSBcIlwiO1xuICBsZXQgcXVvdGVkID0gZmFsc2U7XG4gIGxldCBpID0gMDtcbiAgd2hpbGUgKGkgPCB0ZXh0Lmxlbmd0aCkge1xuICAgIGNvbnN0IGNoYXIgPSB0ZXh0W2ldO1xuICAgIGlmIChxdW90ZWQpIHtcbiAgICAgIGlmIChjaGFyID09PSAnXCInKSB7XG4gICAgICAgIGlmICh0ZXh0W2kgKyAxXSA9PT0gJ1wiJykge1xuICAgICAgICAgIGNlbGwgKz0gJ1wiJztcbiAgICAgICAgICBpICs9IDI7XG4gICAgICAgICAgY29udGludWU7XG4gICAgICAgIH1cbiAgICAgICAgcXVvdGVkID0gZmFsc2U7XG4gICAgICB9IGVsc2Uge1xuICAgICAgICBpZiAoY2hhciA9PT0gXCJcXG5cIikgbGluZSsrO1xuICAgICAgICBjZWxsICs9IGNoYXI7XG4gICAgICB9XG4gICAgICBpKys7XG4gICAgICBjb250aW51ZTtcbiAgICB9XG4gICAgaWYgKGNoYXIgPT09ICdcIicgJiYgY2VsbCA9PT0gXCJcIikge1xuICAgICAgcXVvdGVkID0gdHJ1ZTtcbiAgICB9IGVsc2UgaWYgKGNoYXIgPT09IFwiLFwiKSB7XG4gICAgICBmaWVsZHMucHVzaChjZWxsKTtcbiAgICAgIGNlbGwgPSBcIlwiO1xuICAgIH0gZWxzZSBpZiAoY2hhciA9PT0gXCJcXG5cIiB8fCBjaGFyID09PSBcIlxcclwiKSB7XG4gICAgICBpZiAoY2hhciA9PT0gXCJcXHJcIiAmJiB0ZXh0W2kgKyAxXSA9PT0gXCJcXG5cIikgaSsrO1xuICAgICAgZmllbGRzLnB1c2goY2VsbCk7XG4gICAgICAvLyBCbGFuayBsaW5lcyBjYXJyeSBubyByZWNvcmRcbiAgICAgIGlmIChmaWVsZHMubGVuZ3RoID4gMSB8fCBmaWVsZHNbMF0gIT09IFwiXCIpIHlpZWxkIHsgbGluZTogc3RhcnQsIGZpZWxkcyB9O1xuICAgICAgZmllbGRzID0gW107XG4gICAgICBjZWxsID0gXCJcIjtcbiAgICAgIGxpbmUrKztcbiAgICAgIHN0YXJ0ID0gbGluZTtcbiAgICB9IGVsc2Uge1xuICAgICAgY2VsbCArPSBjaGFyO1xuICAgIH1cbiAgICBpKys7XG4gIH1cbiAgaWYgKHF1b3RlZCkge1xuICAgIHRocm93IG5ldyBDc3ZTeW50YXhFcnJvcihcIlVudGVybWluYXRlZCBxdW90ZWQgdmFsdWVcIiwgc3RhcnQpO1xuICB9XG4gIGZpZWxkcy5wdXNoKGNlbGwpO1xuICBpZiAoZmllbGRzLmxlbmd0aCA+IDEgfHwgZmllbGRzWzBdICE9PSBcIlwiKSB5aWVsZCB7IGxpbmU6IHN0YXJ0LCBmaWVsZHMgfTtcbn1cblxuaW50ZXJmYWNlIFByb3BlcnR5Q29sdW1uIHtcbiAgaW5kZXg6IG51bWJlcjtcbiAgaGVhZGVyOiBzdHJpbmc7XG4gIG5hbWU6IHN0cmluZztcbiAgdHlwZTogUHJvcGVydHlUeXBlO1xuICBhcnJheTogYm9vbGVhbjtcbn1cblxuaW50ZXJmYWNlIFBhcnNlZEhlYWRlciB7XG4gIGtpbmQ6IFwidmVydGV4XCIgfCBcImVkZ2VcIjtcbiAgc3lzdGVtOiBSZWNvcmQ8c3RyaW5nLCBudW1iZXI+O1xuICBwcm9wZXJ0aWVzOiBQcm9wZXJ0eUNvbHVtbltdO1xufVxuXG4vKipcbiAqIFNwbGl0cyBhIHByb3BlcnR5IGhlYWRlciBzdWNoIGFzIGB5ZWFyOkludGAsIGB0YWdzOlN0cmluZ1tdYCBvclxuICogYG5hbWU6U3RyaW5nKHNpbmdsZSlgLiBBIGNvbHVtbiB3aXRob3V0IGEgdHlwZSBpcyBhIFN0cmluZy5cbiAqL1xuZXhwb3J0IGNvbnN0IHBhcnNlSGVhZGVyQ29sdW1uID0gKFxuICBoZWFkZXI6IHN0cmluZ1xuKTogeyBuYW1lOiBzdHJpbmc7IHR5cGU6IFByb3BlcnR5VHlwZSB8IG51bGw7IGFycmF5OiBib29sZWFuIH0gPT4ge1xuICBjb25zdCBpZHggPSBoZWFkZXIubGFzdEluZGV4T2YoXCI6XCIpO1xuICBpZiAoaWR4IDw9IDApIHJldHVybiB7IG5hbWU6IGhlYWRlciwgdHlwZTogXCJTdHJpbmdcIiwgYXJyYXk6IGZhbHNlIH07XG4gIGNvbnN0IHNwZWMgPSBoZWFkZXJcbiAgICAuc2xpY2UoaWR4ICsgMSlcbiAgICAucmVwbGFjZSgvXFwoKHNpbmdsZXxzZXQpXFwpJC9pLCBcIlwiKVxuICAgIC50cmltKCk7XG4gIGNvbnN0IGFycmF5ID0gc3BlYy5lbmRzV2l0aChcIltdXCIpO1xuICBjb25zdCB0eXBlID0gQ1NWX1RZUEVTWyhhcnJheSA/IHNwZWMuc2xpY2UoMCwgLTIpIDogc3BlYykudG9Mb3dlckNhc2UoKV0gPz8gbnVsbDtcbiAgcmV0dXJuIHsgbmFtZTogaGVhZGVyLnNsaWNlKDAsIGlkeCksIHR5cGUsIGFycmF5IH07XG59O1xuXG5jb25zdCBzY2hlbWFzT2YgPSAoa2luZDogXCJ2ZXJ0ZXhcIiB8IFwiZWRnZVwiKSA9PlxuICBraW5kID09PSBcInZlcnRleFwiID8gVkVSVEVYX1NDSEVNQVMgOiBFREdFX1NDSEVNQVM7XG5cbi8qKlxuICogVmFsaWRhdGVzIGEgc2V0IG9mIHZlcnRleCBhbmQgZWRnZSBmaWxlcyB0b2dldGhlciwgc28gdGhhdCBkdXBsaWNhdGUgaWRzXG4gKiBhbmQgZWRnZSBlbmRwb2ludHMgYXJlIGNoZWNrZWQgYWNyb3NzIGZpbGVzLiBBIGZpbGUgaXMgYW4gZWRnZSBmaWxlIHdoZW5cbiAqIGl0cyBoZWFkZXIgaGFzIH5mcm9tIGFuZCB+dG8uXG4gKi9cbmV4cG9ydCBjb25zdCB2YWxpZGF0ZUNzdkZpbGVzID0gKFxuICBmaWxlczogQ3N2RmlsZVtdLFxuICB7IG1heElzc3VlcyA9IERFRkFVTFRfTUFYX0lTU1VFUyB9OiB7IG1heElzc3Vlcz86IG51bWJlciB9ID0ge31cbik6IFZhbGlkYXRpb25SZXBvcnQgPT4ge1xuICBjb25zdCBpc3N1ZXM6IFZhbGlkYXRpb25Jc3N1ZVtdID0gW107XG4gIGNvbnN0IGNvdW50c0J5Q29kZTogUGFydGlhbDxSZWNvcmQ8SXNzdWVDb2RlLCBudW1iZXI+PiA9IHt9O1xuICBjb25zdCBzdW1tYXJpZXMgPSBuZXcgTWFwPHN0cmluZywgRmlsZVN1bW1hcnk+KCk7XG4gIGxldCBlcnJvckNvdW50ID0gMDtcbiAgbGV0IHdhcm5pbmdDb3VudCA9IDA7XG5cbiAgY29uc3QgcmVwb3J0ID0gKGlzc3VlOiBWYWxpZGF0aW9uSXNzdWUpID0+IHtcbiAgICBjb3VudHNCeUNvZGVbaXNzdWUuY29kZV0gPSAoY291bnRzQnlDb2RlW2lzc3VlLmNvZGVdID8/IDApICsgMTtcbiAgICBjb25zdCBzdW1tYXJ5ID0gc3VtbWFyaWVzLmdldChpc3N1ZS5maWxlKTtcbiAgICBpZiAoaXNzdWUuc2V2ZXJpdHkgPT09IFwiZXJyb3JcIikge1xuICAgICAgZXJyb3JDb3VudCsrO1xuICAgICAgaWYgKHN1bW1hcnkpIHN1bW1hcnkuZXJyb3JzKys7XG4gICAgfSBlbHNlIHtcbiAgICAgIHdhcm5pbmdDb3VudCsrO1xuICAgICAgaWYgKHN1bW1hcnkpIHN1bW1hcnkud2FybmluZ3MrKztcbiAgICB9XG4gICAgaWYgKGlzc3Vlcy5sZW5ndGggPCBtYXhJc3N1ZXMpIGlzc3Vlcy5wdXNoKGlzc3VlKTtcbiAgfTtcblxuICAvLyBIZWFkZXJzIGZpcnN0LCBzbyB2ZXJ0ZXggZmlsZXMgYXJlIHJlYWQgYmVmb3JlIHRoZSBlZGdlcyB0aGF0IHVzZSB0aGVtXG4gIGNvbnN0IHBhcnNlZDogQXJyYXk8eyBmaWxlOiBDc3ZGaWxlOyBoZWFkZXI6IFBhcnNlZEhlYWRlcjsgcm93czogR2VuZXJhdG9yPENzdlJlY29yZD4gfT4gPSBbXTtcbiAgZm9yIChjb25zdCBmaWxlIG9mIGZpbGVzKSB7XG4gICAgY29uc3Qgc3VtbWFyeTogRmlsZVN1bW1hcnkgPSB7IGZpbGU6IGZpbGUubmFtZSwga2luZDogXCJ1bmtub3duXCIsIHJvd3M6IDAsIGVycm9yczogMCwgd2FybmluZ3M6IDAgfTtcbiAgICBzdW1tYXJpZXMuc2V0KGZpbGUubmFtZSwgc3VtbWFyeSk7XG4gICAgY29uc3Qgcm93cyA9IHBhcnNlQ3N2KGZpbGUuY29udGVudCk7XG4gICAgbGV0IGZpcnN0OiBJdGVyYXRvclJlc3VsdDxDc3ZSZWNvcmQ+O1xuICAgIHRyeSB7XG4gICAgICBmaXJzdCA9IHJvd3MubmV4dCgpO1xuICAgIH0gY2F0Y2ggKGVycm9yOiB1bmtub3duKSB7XG4gICAgICBjb25zdCBsaW5lID0gZXJyb3IgaW5zdGFuY2VvZiBDc3ZTeW50YXhFcnJvciA/IGVycm9yLmxpbmUgOiB1bmRlZmluZWQ7XG4gICAgICByZXBvcnQoeyBzZXZlcml0eTogXCJlcnJvclwiLCBjb2RlOiBcIk1BTEZPUk1FRF9DU1ZcIiwgZmlsZTogZmlsZS5uYW1lLCBsaW5lLCBtZXNzYWdlOiAoZXJyb3IgYXMgRXJyb3IpLm1lc3NhZ2UgfSk7XG4gICAgICBjb250aW51ZTtcbiAgICB9XG4gICAgaWYgKGZpcnN0LmRvbmUpIHtcbiAgICAgIHJlcG9ydCh7IHNldmVyaXR5OiBcImVycm9yXCIsIGNvZGU6IFwiSU5WQUxJRF9IRUFERVJcIiwgZmlsZTogZmlsZS5uYW1lLCBsaW5lOiAxLCBtZXNzYWdlOiBcIkZpbGUgaXMgZW1wdHlcIiB9KTtcbiAgICAgIGNvbnRpbnVlO1xuICAgIH1cbiAgICBjb25zdCBoZWFkZXIgPSBwYXJzZUhlYWRlcihmaXJzdC52YWx1ZS5maWVsZHMsIGZpbGUubmFtZSwgcmVwb3J0KTtcbiAgICBpZiAoIWhlYWRlcikgY29udGludWU7XG4gICAgc3VtbWFyeS5raW5kID0gaGVhZGVyLmtpbmQ7XG4gICAgcGFyc2VkLnB1c2goeyBmaWxlLCBoZWFkZXIsIHJvd3MgfSk7XG4gIH1cbiAgcGFyc2VkLnNvcnQoKGEsIGIpID0+IChhLmhlYWRlci5raW5kID09PSBiLmhlYWRlci5raW5kID8gMCA6IGEuaGVhZGVyLmtpbmQgPT09IFwidmVydGV4XCIgPyAtMSA6IDEpKTtcblxuICAvLyB+aWQgLT4gd2hlcmUgaXQgd2FzIGZpcnN0IHNlZW4sIHBlciBraW5kXG4gIGNvbnN0IHNlZW5JZHMgPSB7IHZlcnRleDogbmV3IE1hcDxzdHJpbmcsIHN0cmluZz4oKSwgZWRnZTogbmV3IE1hcDxzdHJpbmcsIHN0cmluZz4oKSB9O1xuICBjb25zdCBlbmRwb2ludHNDaGVja2VkID0gcGFyc2VkLnNvbWUoKHsgaGVhZGVyIH0pID0+IGhlYWRlci5raW5kID09PSBcInZlcnRleFwiKTtcblxuICBmb3IgKGNvbnN0IHsgZmlsZSwgaGVhZGVyLCByb3dzIH0gb2YgcGFyc2VkKSB7XG4gICAgY29uc3Qgc3VtbWFyeSA9IHN1bW1hcmllcy5nZXQoZmlsZS5uYW1lKSE7XG4gICAgY29uc3Qgd2lkdGggPSBPYmplY3Qua2V5cyhoZWFkZXIuc3lzdGVtKS5sZW5ndGggKyBoZWFkZXIucHJvcGVydGllcy5sZW5ndGg7XG4gICAgY29uc3QgY2VsbCA9IChmaWVsZHM6IHN0cmluZ1tdLCBjb2x1bW46IHN0cmluZykgPT5cbiAgICAgIGhlYWRlci5zeXN0ZW1bY29sdW1uXSA9PT0gdW5kZWZpbmVkID8gXCJcIiA6IChmaWVsZHNbaGVhZGVyLnN5c3RlbVtjb2x1bW5dXSA/PyBcIlwiKS50cmltKCk7XG5cbiAgICB0cnkge1xuICAgICAgZm9yIChjb25zdCB7IGxpbmUsIGZpZWxkcyB9IG9mIHJvd3MpIHtcbiAgICAgICAgc3VtbWFyeS5yb3dzKys7XG4gICAgICAgIGNvbnN0IGF0ID0geyBmaWxlOiBmaWxlLm5hbWUsIGxpbmUgfTtcbiAgICAgICAgaWYgKGZpZWxkcy5sZW5ndGggIT09IHdpZHRoKSB7XG4gICAgICAgICAgcmVwb3J0KHtcbiAgICAgICAgICAgIC4uLmF0LFxuICAgICAgICAgICAgc2V2ZXJpdHk6IFwiZXJyb3JcIixcbiAgICAgICAgICAgIGNvZGU6IFwiTUFMRk9STUVEX0NTVlwiLFxuICAgICAgICAgICAgbWVzc2FnZTogYFJvdyBoYXMgJHtmaWVsZHMubGVuZ3RofSBjZWxsczsgdGhlIGhlYWRlciBoYXMgJHt3aWR0aH1gLFxuICAgICAgICAgIH0pO1xuICAgICAgICAgIGNvbnRpbnVlO1xuICAgICAgICB9XG5cbiAgICAgICAgY29uc3QgaWQgPSBjZWxsKGZpZWxkcywgXCJ+aWRcIik7XG4gICAgICAgIGlmICghaWQpIHtcbiAgICAgICAgICByZXBvcnQoeyAuLi5hdCwgc2V2ZXJpdHk6IFwiZXJyb3JcIiwgY29kZTogXCJNSVNTSU5HX0lEXCIsIGNvbHVtbjogXCJ+aWRcIiwgbWVzc2FnZTogXCJ+aWQgaXMgZW1wdHlcIiB9KTtcbiAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICBjb25zdCBmaXJzdFNlZW4gPSBzZWVuSWRzW2hlYWRlci5raW5kXS5nZXQoaWQpO1xuICAgICAgICAgIGlmIChmaXJzdFNlZW4pIHtcbiAgICAgICAgICAgIHJlcG9ydCh7XG4gICAgICAgICAgICAgIC4uLmF0LFxuICAgICAgICAgICAgICBpZCxcbiAgICAgICAgICAgICAgc2V2ZXJpdHk6IFwiZXJyb3JcIixcbiAgICAgICAgICAgICAgY29kZTogXCJEVVBMSUNBVEVfSURcIixcbiAgICAgICAgICAgICAgY29sdW1uOiBcIn5pZFwiLFxuICAgICAgICAgICAgICBtZXNzYWdlOiBgRHVwbGljYXRlICR7aGVhZGVyLmtpbmR9IH5pZCBcIiR7aWR9XCIgKGZpcnN0IGF0ICR7Zmlyc3RTZWVufSlgLFxuICAgICAgICAgICAgfSk7XG4gICAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgIHNlZW5JZHNbaGVhZGVyLmtpbmRdLnNldChpZCwgYCR7ZmlsZS5uYW1lfToke2xpbmV9YCk7XG4gICAgICAgICAgfVxuICAgICAgICB9XG5cbiAgICAgICAgaWYgKGhlYWRlci5raW5kID09PSBcImVkZ2VcIikge1xuICAgICAgICAgIGZvciAoY29uc3QgY29sdW1uIG9mIFtcIn5mcm9tXCIsIFwifnRvXCJdKSB7XG4gICAgICAgICAgICBjb25zdCBlbmRwb2ludCA9IGNlbGwoZmllbGRzLCBjb2x1bW4pO1xuICAgICAgICAgICAgaWYgKCFlbmRwb2ludCkge1xuICAgICAgICAgICAgICByZXBvcnQoeyAuLi5hdCwgaWQsIHNldmVyaXR5OiBcImVycm9yXCIsIGNvZGU6IFwiTUlTU0lOR19JRFwiLCBjb2x1bW4sIG1lc3NhZ2U6IGAke2NvbHVtbn0gaXMgZW1wdHlgIH0pO1xuICAgICAgICAgICAgfSBlbHNlIGlmIChlbmRwb2ludHNDaGVja2VkICYmICFzZWVuSWRzLnZlcnRleC5oYXMoZW5kcG9pbnQpKSB7XG4gICAgICAgICAgICAgIHJlcG9ydCh7XG4gICAgICAgICAgICAgICAgLi4uYXQsXG4gICAgICAgICAgICAgICAgaWQsXG4gICAgICAgICAgICAgICAgc2V2ZXJpdHk6IFwid2FybmluZ1wiLFxuICAgICAgICAgICAgICAgIGNvZGU6IFwiTUlTU0lOR19FTkRQT0lOVFwiLFxuICAgICAgICAgICAgICAgIGNvbHVtbixcbiAgICAgICAgICAgICAgICBtZXNzYWdlOiBgJHtjb2x1bW59IFwiJHtlbmRwb2ludH1cIiBpcyBub3QgYSB2ZXJ0ZXggfmlkIGluIHRoZSB2YWxpZGF0ZWQgZmlsZXM7IGl0IG11c3QgYWxyZWFkeSBiZSBpbiBOZXB0dW5lYCxcbiAgICAgICAgICAgICAgfSk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgfVxuICAgICAgICB9XG5cbiAgICAgICAgLy8gVmVydGljZXMgbWF5IGNhcnJ5IHNldmVyYWwgbGFiZWxzOyB0aGVpciBzY2hlbWFzIGNvbWJpbmVcbiAgICAgICAgY29uc3QgbGFiZWwgPSBjZWxsKGZpZWxkcywgXCJ+bGFiZWxcIik7XG4gICAgICAgIGNvbnN0IGxhYmVscyA9IChoZWFkZXIua2luZCA9PT0gXCJ2ZXJ0ZXhcIiA/IGxhYmVsLnNwbGl0KE1VTFRJX1ZBTFVFX1NFUEFSQVRPUikgOiBbbGFiZWxdKVxuICAgICAgICAgIC5tYXAoKHBhcnQpID0+IHBhcnQudHJpbSgpKVxuICAgICAgICAgIC5maWx0ZXIoQm9vbGVhbik7XG4gICAgICAgIGlmIChsYWJlbHMubGVuZ3RoID09PSAwKSB7XG4gICAgICAgICAgcmVwb3J0KHsgLi4uYXQsIGlkLCBzZXZlcml0eTogXCJlcnJvclwiLCBjb2RlOiBcIlVOS05PV05fTEFCRUxcIiwgY29sdW1uOiBcIn5sYWJlbFwiLCBtZXNzYWdlOiBcIn5sYWJlbCBpcyBlbXB0eVwiIH0pO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IHNjaGVtYXM6IExhYmVsU2NoZW1hW10gPSBbXTtcbiAgICAgICAgZm9yIChjb25zdCBsYWJlbCBvZiBsYWJlbHMpIHtcbiAgICAgICAgICBjb25zdCBzY2hlbWEgPSBzY2hlbWFzT2YoaGVhZGVyLmtpbmQpW2xhYmVsXTtcbiAgICAgICAgICBpZiAoc2NoZW1hKSB7XG4gICAgICAgICAgICBzY2hlbWFzLnB1c2goc2NoZW1hKTtcbiAgICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgcmVwb3J0KHtcbiAgICAgICAgICAgICAgLi4uYXQsXG4gICAgICAgICAgICAgIGlkLFxuICAgICAgICAgICAgICBzZXZlcml0eTogXCJlcnJvclwiLFxuICAgICAgICAgICAgICBjb2RlOiBcIlVOS05PV05fTEFCRUxcIixcbiAgICAgICAgICAgICAgY29sdW1uOiBcIn5sYWJlbFwiLFxuICAgICAgICAgICAgICBtZXNzYWdlOiBgVW5rbm93biAke2hlYWRlci5raW5kfSBsYWJlbCBcIiR7bGFiZWx9XCJgLFxuICAgICAgICAgICAgfSk7XG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICAgIGNvbnN0IGtub3duID0gc2NoZW1hcy5sZW5ndGggPiAwICYmIHNjaGVtYXMubGVuZ3RoID09PSBsYWJlbHMubGVuZ3RoO1xuXG4gICAgICAgIGNvbnN0IHByZXNlbnQgPSBuZXcgU2V0PHN0cmluZz4oKTtcbiAgICAgICAgZm9yIChjb25zdCBjb2x1bW4gb2YgaGVhZGVyLnByb3BlcnRpZXMpIHtcbiAgICAgICAgICBjb25zdCByYXcgPSBmaWVsZHNbY29sdW1uLmluZGV4XTtcbiAgICAgICAgICBpZiAocmF3ID09PSBcIlwiKSBjb250aW51ZTtcbiAgICAgICAgICBwcmVzZW50LmFkZChjb2x1bW4ubmFtZSk7XG4gICAgICAgICAgY29uc3QgdmFsdWVzID0gY29sdW1uLmFycmF5ID8gcmF3LnNwbGl0KE1VTFRJX1ZBTFVFX1NFUEFSQVRPUikgOiBbcmF3XTtcbiAgICAgICAgICBmb3IgKGNvbnN0IHZhbHVlIG9mIHZhbHVlcykge1xuICAgICAgICAgICAgdHJ5IHtcbiAgICAgICAgICAgICAgY29lcmNlVmFsdWUoY29sdW1uLnR5cGUsIHZhbHVlKTtcbiAgICAgICAgICAgIH0gY2F0Y2ggKGVycm9yOiB1bmtub3duKSB7XG4gICAgICAgICAgICAgIHJlcG9ydCh7XG4gICAgICAgICAgICAgICAgLi4uYXQsXG4gICAgICAgICAgICAgICAgaWQsXG4gICAgICAgICAgICAgICAgc2V2ZXJpdHk6IFwiZXJyb3JcIixcbiAgICAgICAgICAgICAgICBjb2RlOiBcIlRZUEVfTUlTTUFUQ0hcIixcbiAgICAgICAgICAgICAgICBjb2x1bW46IGNvbHVtbi5oZWFkZXIsXG4gICAgICAgICAgICAgICAgbWVzc2FnZTogYCR7Y29sdW1uLm5hbWV9ICR7KGVycm9yIGFzIEVycm9yKS5tZXNzYWdlfTsgZ290IFwiJHt2YWx1ZX1cImAsXG4gICAgICAgICAgICAgIH0pO1xuICAgICAgICAgICAgICBicmVhaztcbiAgICAgICAgICAgIH1cbiAgICAgICAgICB9XG4gICAgICAgICAgaWYgKGtub3duICYmICFzY2hlbWFzLnNvbWUoKHNjaGVtYSkgPT4gY29sdW1uLm5hbWUgaW4gc2NoZW1hKSkge1xuICAgICAgICAgICAgcmVwb3J0KHtcbiAgICAgICAgICAgICAgLi4uYXQsXG4gICAgICAgICAgICAgIGlkLFxuICAgICAgICAgICAgICBzZXZlcml0eTogXCJ3YXJuaW5nXCIsXG4gICAgICAgICAgICAgIGNvZGU6IFwiVU5LTk9XTl9QUk9QRVJUWVwiLFxuICAgICAgICAgICAgICBjb2x1bW46IGNvbHVtbi5oZWFkZXIsXG4gICAgICAgICAgICAgIG1lc3NhZ2U6IGAke2NvbHVtbi5uYW1lfSBpcyBub3QgYSBwcm9wZXJ0eSBvZiAke2xhYmVscy5qb2luKFwiO1wiKX1gLFxuICAgICAgICAgICAgfSk7XG4gICAgICAgICAgfVxuICAgICAgICB9XG5cbiAgICAgICAgZm9yIChjb25zdCBzY2hlbWEgb2Ygc2NoZW1hcykge1xuICAgICAgICAgIGZvciAoY29uc3QgW25hbWUsIHNwZWNdIG9mIE9iamVjdC5lbnRyaWVzKHNjaGVtYSkpIHtcbiAgICAgICAgICAgIGlmIChzcGVjLnJlcXVpcmVkICYmICFwcmVzZW50LmhhcyhuYW1lKSkge1xuICAgICAgICAgICAgICByZXBvcnQoe1xuICAgICAgICAgICAgICAgIC4uLmF0LFxuICAgICAgICAgICAgICAgIGlkLFxuICAgICAgICAgICAgICAgIHNldmVyaXR5OiBcImVycm9yXCIsXG4gICAgICAgICAgICAgICAgY29kZTogXCJNSVNTSU5HX1JFUVVJUkVEXCIsXG4gICAgICAgICAgICAgICAgY29sdW1uOiBuYW1lLFxuICAgICAgICAgICAgICAgIG1lc3NhZ2U6IGAke2xhYmVscy5qb2luKFwiO1wiKX0gcmVxdWlyZXMgJHtuYW1lfWAsXG4gICAgICAgICAgICAgIH0pO1xuICAgICAgICAgICAgfVxuICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgfVxuICAgIH0gY2F0Y2ggKGVycm9yOiB1bmtub3duKSB7XG4gICAgICBjb25zdCBsaW5lID0gZXJyb3IgaW5zdGFuY2VvZiBDc3ZTeW50YXhFcnJvciA/IGVycm9yLmxpbmUgOiB1bmRlZmluZWQ7XG4gICAgICByZXBvcnQoeyBzZXZlcml0eTogXCJlcnJvclwiLCBjb2RlOiBcIk1BTEZPUk1FRF9DU1ZcIiwgZmlsZTogZmlsZS5uYW1lLCBsaW5lLCBtZXNzYWdlOiAoZXJyb3IgYXMgRXJyb3IpLm1lc3NhZ2UgfSk7XG4gICAgfVxuICB9XG5cbiAgcmV0dXJuIHtcbiAgICB2YWxpZDogZXJyb3JDb3VudCA9PT0gMCxcbiAgICBmaWxlczogQXJyYXkuZnJvbShzdW1tYXJpZXMudmFsdWVzKCkpLFxuICAgIGVycm9yQ291bnQsXG4gICAgd2FybmluZ0NvdW50LFxuICAgIGNvdW50c0J5Q29kZSxcbiAgICBlbmRwb2ludHNDaGVja2VkLFxuICAgIGlzc3VlcyxcbiAgICB0cnVuY2F0ZWQ6IGlzc3Vlcy5sZW5ndGggPCBlcnJvckNvdW50ICsgd2FybmluZ0NvdW50LFxuICB9O1xufTtcblxuY29uc3QgcGFyc2VIZWFkZXIgPSAoXG4gIGNvbHVtbnM6IHN0cmluZ1tdLFxuICBmaWxlOiBzdHJpbmcsXG4gIHJlcG9ydDogKGlzc3VlOiBWYWxpZGF0aW9uSXNzdWUpID0+IHZvaWRcbik6IFBhcnNlZEhlYWRlciB8IG51bGwgPT4ge1xuICBjb25zdCBhdCA9IHsgZmlsZSwgbGluZTogMSB9O1xuICBjb25zdCB0cmltbWVkID0gY29sdW1ucy5tYXAoKGNvbHVtbikgPT4gY29sdW1uLnRyaW0oKSk7XG4gIGNvbnN0IGtpbmQgPSB0cmltbWVkLmluY2x1ZGVzKFwifmZyb21cIikgJiYgdHJpbW1lZC5pbmNsdWRlcyhcIn50b1wiKSA/IFwiZWRnZVwiIDogXCJ2ZXJ0ZXhcIjtcbiAgY29uc3Qgc3lzdGVtOiBSZWNvcmQ8c3RyaW5nLCBudW1iZXI+ID0ge307XG4gIGNvbnN0IHByb3BlcnRpZXM6IFByb3BlcnR5Q29sdW1uW10gPSBbXTtcbiAgY29uc3QgbmFtZXMgPSBuZXcgU2V0PHN0cmluZz4oKTtcbiAgbGV0IHZhbGlkID0gdHJ1ZTtcblxuICB0cmltbWVkLmZvckVhY2goKGhlYWRlciwgaW5kZXgpID0+IHtcbiAgICBpZiAoaGVhZGVyLnN0YXJ0c1dpdGgoXCJ+XCIpKSB7XG4gICAgICBpZiAoIVNZU1RFTV9DT0xVTU5TW2tpbmRdLmluY2x1ZGVzKGhlYWRlcikgfHwgaGVhZGVyIGluIHN5c3RlbSkge1xuICAgICAgICByZXBvcnQoeyAuLi5hdCwgc2V2ZXJpdHk6IFwiZXJyb3JcIiwgY29kZTogXCJJTlZBTElEX0hFQURFUlwiLCBjb2x1bW46IGhlYWRlciwgbWVzc2FnZTogYFVuZXhwZWN0ZWQgJHtraW5kfSBjb2x1bW4gJHtoZWFkZXJ9YCB9KTtcbiAgICAgICAgdmFsaWQgPSBmYWxzZTtcbiAgICAgIH1cbiAgICAgIHN5c3RlbVtoZWFkZXJdID0gaW5kZXg7XG4gICAgICByZXR1cm47XG4gICAgfVxuICAgIGNvbnN0IHsgbmFtZSwgdHlwZSwgYXJyYXkgfSA9IHBhcnNlSGVhZGVyQ29sdW1uKGhlYWRlcik7XG4gICAgaWYgKCF0eXBlKSB7XG4gICAgICByZXBvcnQoeyAuLi5hdCwgc2V2ZXJpdHk6IFwiZXJyb3JcIiwgY29kZTogXCJJTlZBTElEX0hFQURFUlwiLCBjb2x1bW46IGhlYWRlciwgbWVzc2FnZTogYFVua25vd24gdHlwZSBpbiAke2hlYWRlcn1gIH0pO1xuICAgICAgdmFsaWQgPSBmYWxzZTtcbiAgICAgIHJldHVybjtcbiAgICB9XG4gICAgaWYgKG5hbWVzLmhhcyhuYW1lKSkge1xuICAgICAgcmVwb3J0KHsgLi4uYXQsIHNldmVyaXR5OiBcImVycm9yXCIsIGNvZGU6IFwiSU5WQUxJRF9IRUFERVJcIiwgY29sdW1uOiBoZWFkZXIsIG1lc3NhZ2U6IGBQcm9wZXJ0eSAke25hbWV9IGFwcGVhcnMgdHdpY2VgIH0pO1xuICAgICAgdmFsaWQgPSBmYWxzZTtcbiAgICAgIHJldHVybjtcbiAgICB9XG4gICAgbmFtZXMuYWRkKG5hbWUpO1xuICAgIHByb3BlcnRpZXMucHVzaCh7IGluZGV4LCBoZWFkZXIsIG5hbWUsIHR5cGUsIGFycmF5IH0pO1xuXG4gICAgLy8gQ29tcGFyZSB3aXRoIGV2ZXJ5IGxhYmVsIHRoYXQgZGVmaW5lcyB0aGUgcHJvcGVydHlcbiAgICBjb25zdCBjb25mbGljdHMgPSBPYmplY3QuZW50cmllcyhzY2hlbWFzT2Yoa2luZCkpXG4gICAgICAuZmlsdGVyKChbLCBzY2hlbWFdKSA9PiBzY2hlbWFbbmFtZV0gJiYgc2NoZW1hW25hbWVdLnR5cGUgIT09IHR5cGUpXG4gICAgICAubWFwKChbbGFiZWwsIHNjaGVtYV0pID0+IGAke2xhYmVsfSAoJHtzY2hlbWFbbmFtZV0udHlwZX0pYCk7XG4gICAgaWYgKGNvbmZsaWN0cy5sZW5ndGggPiAwKSB7XG4gICAgICByZXBvcnQoe1xuICAgICAgICAuLi5hdCxcbiAgICAgICAgc2V2ZXJpdHk6IFwid2FybmluZ1wiLFxuICAgICAgICBjb2RlOiBcIlNDSEVNQV9UWVBFX01JU01BVENIXCIsXG4gICAgICAgIGNvbHVtbjogaGVhZGVyLFxuICAgICAgICBtZXNzYWdlOiBgJHtoZWFkZXJ9IGRpZmZlcnMgZnJvbSB0aGUgc2NoZW1hIG9mICR7Y29uZmxpY3RzLmpvaW4oXCIsIFwiKX1gLFxuICAgICAgfSk7XG4gICAgfVxuICB9KTtcblxuICBmb3IgKGNvbnN0IGNvbHVtbiBvZiBTWVNURU1fQ09MVU1OU1traW5kXSkge1xuICAgIGlmICghKGNvbHVtbiBpbiBzeXN0ZW0pKSB7XG4gICAgICByZXBvcnQoeyAuLi5hdCwgc2V2ZXJpdHk6IFwiZXJyb3JcIiwgY29kZTogXCJJTlZBTElEX0hFQURFUlwiLCBjb2x1bW4sIG1lc3NhZ2U6IGBNaXNzaW5nICR7Y29sdW1ufSBjb2x1bW5gIH0pO1xuICAgICAgdmFsaWQgPSBmYWxzZTtcbiAgICB9XG4gIH1cbiAgcmV0dXJuIHZhbGlkID8geyBraW5kLCBzeXN0ZW0sIHByb3BlcnRpZXMgfSA6IG51bGw7XG59O1xuXG4vKiogQSBodW1hbi1yZWFkYWJsZSBzdW1tYXJ5IG9mIGEgcmVwb3J0LCBvbmUgaXNzdWUgcGVyIGxpbmUuICovXG5leHBvcnQgY29uc3QgZGVzY3JpYmVSZXBvcnQgPSAocmVwb3J0OiBWYWxpZGF0aW9uUmVwb3J0KTogc3RyaW5nID0+IHtcbiAgY29uc3QgbGluZXMgPSByZXBvcnQuZmlsZXMubWFwKFxuICAgIChmKSA9PiBgJHtmLmZpbGV9OiAke2Yua2luZH0sICR7Zi5yb3dzfSByb3dzLCAke2YuZXJyb3JzfSBlcnJvcnMsICR7Zi53YXJuaW5nc30gd2FybmluZ3NgXG4gICk7XG4gIGZvciAoY29uc3QgaXNzdWUgb2YgcmVwb3J0Lmlzc3Vlcykge1xuICAgIGNvbnN0IHdoZXJlID0gW2lzc3VlLmZpbGUsIGlzc3VlLmxpbmVdLmZpbHRlcigocGFydCkgPT4gcGFydCAhPT0gdW5kZWZpbmVkKS5qb2luKFwiOlwiKTtcbiAgICBjb25zdCBjb2x1bW4gPSBpc3N1ZS5jb2x1bW4gPyBgIFske2lzc3VlLmNvbHVtbn1dYCA6IFwiXCI7XG4gICAgbGluZXMucHVzaChgJHt3aGVyZX0gJHtpc3N1ZS5zZXZlcml0eX0gJHtpc3N1ZS5jb2RlfSR7Y29sdW1ufTogJHtpc3N1ZS5tZXNzYWdlfWApO1xuICB9XG4gIGlmIChyZXBvcnQudHJ1bmNhdGVkKSB7XG4gICAgbGluZXMucHVzaChgLi4uICR7cmVwb3J0LmVycm9yQ291bnQgKyByZXBvcnQud2FybmluZ0NvdW50IC0gcmVwb3J0Lmlzc3Vlcy5sZW5ndGh9IG1vcmUgaXNzdWVzYCk7XG4gIH1cbiAgaWYgKCFyZXBvcnQuZW5kcG9pbnRzQ2hlY2tlZCkge1xuICAgIGxpbmVzLnB1c2goXCJFZGdlIGVuZHBvaW50cyB3ZXJlIG5vdCBjaGVja2VkOiBubyB2ZXJ0ZXggZmlsZSB3YXMgZ2l2ZW5cIik7XG4gIH1cbiAgbGluZXMucHVzaChcbiAgICByZXBvcnQudmFsaWRcbiAgICAgID8gYFZhbGlkICgke3JlcG9ydC53YXJuaW5nQ291bnR9IHdhcm5pbmdzKWBcbiAgICAgIDogYEludmFsaWQ6ICR7cmVwb3J0LmVycm9yQ291bnR9IGVycm9ycywgJHtyZXBvcnQud2FybmluZ0NvdW50fSB3YXJuaW5nc2BcbiAgKTtcbiAgcmV0dXJuIGxpbmVzLmpvaW4oXCJcXG5cIik7XG59O1xuIl19
\ No newline at end of file
@@ -0,0 +1,489 @@
+// Offline validation of Neptune bulk-load CSV files (the Gremlin CSV format
+// of data/vertex.csv and data/edge.csv) against the schema registry. The
+// loader skips bad rows when failOnError is off, so this catches them before
+// a load: the validateCsv command runs it locally and the bulk-load Function
+// URL runs it on the S3 sources when a request sets `validate`.
+
+import {
+  EDGE_SCHEMAS,
+  LabelSchema,
+  PropertyType,
+  VERTEX_SCHEMAS,
+  coerceValue,
+} from "./schemaRegistry";
+
+export type IssueSeverity = "error" | "warning";
+
+export type IssueCode =
+  // Unterminated quote or a row with the wrong number of cells
+  | "MALFORMED_CSV"
+  // Missing or unknown ~ column, unknown type, repeated column
+  | "INVALID_HEADER"
+  // Empty ~id, ~from or ~to
+  | "MISSING_ID"
+  | "DUPLICATE_ID"
+  // A value that does not parse as its header type
+  | "TYPE_MISMATCH"
+  | "UNKNOWN_LABEL"
+  | "MISSING_REQUIRED"
+  // A value in a column the label's schema does not have
+  | "UNKNOWN_PROPERTY"
+  // A header type that differs from the schema registry
+  | "SCHEMA_TYPE_MISMATCH"
+  // An edge ~from/~to that is not a vertex ~id of the validated files. A
+  // warning: incremental loads reference vertices already in Neptune.
+  | "MISSING_ENDPOINT";
+
+export interface ValidationIssue {
+  severity: IssueSeverity;
+  code: IssueCode;
+  file: string;
+  // 1-based line of the row (of its first line for multi-line rows)
+  line?: number;
+  id?: string;
+  column?: string;
+  message: string;
+}
+
+export interface FileSummary {
+  file: string;
+  kind: "vertex" | "edge" | "unknown";
+  rows: number;
+  errors: number;
+  warnings: number;
+}
+
+export interface ValidationReport {
+  // No errors; warnings alone do not fail validation
+  valid: boolean;
+  files: FileSummary[];
+  errorCount: number;
+  warningCount: number;
+  countsByCode: Partial<Record<IssueCode, number>>;
+  // Endpoints are only checked when a vertex file is part of the set
+  endpointsChecked: boolean;
+  // The first `maxIssues` issues; the counts cover all of them
+  issues: ValidationIssue[];
+  truncated: boolean;
+}
+
+export interface CsvFile {
+  name: string;
+  content: string;
+}
+
+const DEFAULT_MAX_ISSUES = 1000;
+
+// Separator of array values and of multiple vertex labels
+const MULTI_VALUE_SEPARATOR = ";";
+
+// Type names the loader accepts, case-insensitively
+const CSV_TYPES: Record<string, PropertyType> = {
+  bool: "Bool",
+  boolean: "Bool",
+  byte: "Byte",
+  short: "Short",
+  int: "Int",
+  long: "Long",
+  float: "Float",
+  double: "Double",
+  string: "String",
+  date: "Date",
+};
+
+const SYSTEM_COLUMNS = {
+  vertex: ["~id", "~label"],
+  edge: ["~id", "~from", "~to", "~label"],
+};
+
+export class CsvSyntaxError extends Error {
+  constructor(message: string, readonly line: number) {
+    super(message);
+    this.name = "CsvSyntaxError";
+  }
+}
+
+export interface CsvRecord {
+  line: number;
+  fields: string[];
+}
+
+/**
+ * Parses RFC 4180 CSV: quoted cells may hold commas, doubled quotes and line
+ * breaks. Throws CsvSyntaxError on an unterminated quote.
+ */
+export function* parseCsv(content: string): Generator<CsvRecord> {
+  const text = content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
+  let line = 1;
+  let start = 1;
+  let fields: string[] = [];
+  let cell = "";
+  let quoted = false;
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          cell += '"';
+          i += 2;
+          continue;
+        }
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        cell += char;
+      }
+      i++;
+      continue;
+    }
+    if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      fields.push(cell);
+      // Blank lines carry no record
+      if (fields.length > 1 || fields[0] !== "") yield { line: start, fields };
+      fields = [];
+      cell = "";
+      line++;
+      start = line;
+    } else {
+      cell += char;
+    }
+    i++;
+  }
+  if (quoted) {
+    throw new CsvSyntaxError("Unterminated quoted value", start);
+  }
+  fields.push(cell);
+  if (fields.length > 1 || fields[0] !== "") yield { line: start, fields };
+}
+
+interface PropertyColumn {
+  index: number;
+  header: string;
+  name: string;
+  type: PropertyType;
+  array: boolean;
+}
+
+interface ParsedHeader {
+  kind: "vertex" | "edge";
+  system: Record<string, number>;
+  properties: PropertyColumn[];
+}
+
+/**
+ * Splits a property header such as `year:Int`, `tags:String[]` or
+ * `name:String(single)`. A column without a type is a String.
+ */
+export const parseHeaderColumn = (
+  header: string
+): { name: string; type: PropertyType | null; array: boolean } => {
+  const idx = header.lastIndexOf(":");
+  if (idx <= 0) return { name: header, type: "String", array: false };
+  const spec = header
+    .slice(idx + 1)
+    .replace(/\((single|set)\)$/i, "")
+    .trim();
+  const array = spec.endsWith("[]");
+  const type = CSV_TYPES[(array ? spec.slice(0, -2) : spec).toLowerCase()] ?? null;
+  return { name: header.slice(0, idx), type, array };
+};
+
+const schemasOf = (kind: "vertex" | "edge") =>
+  kind === "vertex" ? VERTEX_SCHEMAS : EDGE_SCHEMAS;
+
+/**
+ * Validates a set of vertex and edge files together, so that duplicate ids
+ * and edge endpoints are checked across files. A file is an edge file when
+ * its header has ~from and ~to.
+ */
+export const validateCsvFiles = (
+  files: CsvFile[],
+  { maxIssues = DEFAULT_MAX_ISSUES }: { maxIssues?: number } = {}
+): ValidationReport => {
+  const issues: ValidationIssue[] = [];
+  const countsByCode: Partial<Record<IssueCode, number>> = {};
+  const summaries = new Map<string, FileSummary>();
+  let errorCount = 0;
+  let warningCount = 0;
+
+  const report = (issue: ValidationIssue) => {
+    countsByCode[issue.code] = (countsByCode[issue.code] ?? 0) + 1;
+    const summary = summaries.get(issue.file);
+    if (issue.severity === "error") {
+      errorCount++;
+      if (summary) summary.errors++;
+    } else {
+      warningCount++;
+      if (summary) summary.warnings++;
+    }
+    if (issues.length < maxIssues) issues.push(issue);
+  };
+
+  // Headers first, so vertex files are read before the edges that use them
+  const parsed: Array<{ file: CsvFile; header: ParsedHeader; rows: Generator<CsvRecord> }> = [];
+  for (const file of files) {
+    const summary: FileSummary = { file: file.name, kind: "unknown", rows: 0, errors: 0, warnings: 0 };
+    summaries.set(file.name, summary);
+    const rows = parseCsv(file.content);
+    let first: IteratorResult<CsvRecord>;
+    try {
+      first = rows.next();
+    } catch (error: unknown) {
+      const line = error instanceof CsvSyntaxError ? error.line : undefined;
+      report({ severity: "error", code: "MALFORMED_CSV", file: file.name, line, message: (error as Error).message });
+      continue;
+    }
+    if (first.done) {
+      report({ severity: "error", code: "INVALID_HEADER", file: file.name, line: 1, message: "File is empty" });
+      continue;
+    }
+    const header = parseHeader(first.value.fields, file.name, report);
+    if (!header) continue;
+    summary.kind = header.kind;
+    parsed.push({ file, header, rows });
+  }
+  parsed.sort((a, b) => (a.header.kind === b.header.kind ? 0 : a.header.kind === "vertex" ? -1 : 1));
+
+  // ~id -> where it was first seen, per kind
+  const seenIds = { vertex: new Map<string, string>(), edge: new Map<string, string>() };
+  const endpointsChecked = parsed.some(({ header }) => header.kind === "vertex");
+
+  for (const { file, header, rows } of parsed) {
+    const summary = summaries.get(file.name)!;
+    const width = Object.keys(header.system).length + header.properties.length;
+    const cell = (fields: string[], column: string) =>
+      header.system[column] === undefined ? "" : (fields[header.system[column]] ?? "").trim();
+
+    try {
+      for (const { line, fields } of rows) {
+        summary.rows++;
+        const at = { file: file.name, line };
+        if (fields.length !== width) {
+          report({
+            ...at,
+            severity: "error",
+            code: "MALFORMED_CSV",
+            message: `Row has ${fields.length} cells; the header has ${width}`,
+          });
+          continue;
+        }
+
+        const id = cell(fields, "~id");
+        if (!id) {
+          report({ ...at, severity: "error", code: "MISSING_ID", column: "~id", message: "~id is empty" });
+        } else {
+          const firstSeen = seenIds[header.kind].get(id);
+          if (firstSeen) {
+            report({
+              ...at,
+              id,
+              severity: "error",
+              code: "DUPLICATE_ID",
+              column: "~id",
+              message: `Duplicate ${header.kind} ~id "${id}" (first at ${firstSeen})`,
+            });
+          } else {
+            seenIds[header.kind].set(id, `${file.name}:${line}`);
+          }
+        }
+
+        if (header.kind === "edge") {
+          for (const column of ["~from", "~to"]) {
+            const endpoint = cell(fields, column);
+            if (!endpoint) {
+              report({ ...at, id, severity: "error", code: "MISSING_ID", column, message: `${column} is empty` });
+            } else if (endpointsChecked && !seenIds.vertex.has(endpoint)) {
+              report({
+                ...at,
+                id,
+                severity: "warning",
+                code: "MISSING_ENDPOINT",
+                column,
+                message: `${column} "${endpoint}" is not a vertex ~id in the validated files; it must already be in Neptune`,
+              });
+            }
+          }
+        }
+
+        // Vertices may carry several labels; their schemas combine
+        const label = cell(fields, "~label");
+        const labels = (header.kind === "vertex" ? label.split(MULTI_VALUE_SEPARATOR) : [label])
+          .map((part) => part.trim())
+          .filter(Boolean);
+        if (labels.length === 0) {
+          report({ ...at, id, severity: "error", code: "UNKNOWN_LABEL", column: "~label", message: "~label is empty" });
+        }
+        const schemas: LabelSchema[] = [];
+        for (const label of labels) {
+          const schema = schemasOf(header.kind)[label];
+          if (schema) {
+            schemas.push(schema);
+          } else {
+            report({
+              ...at,
+              id,
+              severity: "error",
+              code: "UNKNOWN_LABEL",
+              column: "~label",
+              message: `Unknown ${header.kind} label "${label}"`,
+            });
+          }
+        }
+        const known = schemas.length > 0 && schemas.length === labels.length;
+
+        const present = new Set<string>();
+        for (const column of header.properties) {
+          const raw = fields[column.index];
+          if (raw === "") continue;
+          present.add(column.name);
+          const values = column.array ? raw.split(MULTI_VALUE_SEPARATOR) : [raw];
+          for (const value of values) {
+            try {
+              coerceValue(column.type, value);
+            } catch (error: unknown) {
+              report({
+                ...at,
+                id,
+                severity: "error",
+                code: "TYPE_MISMATCH",
+                column: column.header,
+                message: `${column.name} ${(error as Error).message}; got "${value}"`,
+              });
+              break;
+            }
+          }
+          if (known && !schemas.some((schema) => column.name in schema)) {
+            report({
+              ...at,
+              id,
+              severity: "warning",
+              code: "UNKNOWN_PROPERTY",
+              column: column.header,
+              message: `${column.name} is not a property of ${labels.join(";")}`,
+            });
+          }
+        }
+
+        for (const schema of schemas) {
+          for (const [name, spec] of Object.entries(schema)) {
+            if (spec.required && !present.has(name)) {
+              report({
+                ...at,
+                id,
+                severity: "error",
+                code: "MISSING_REQUIRED",
+                column: name,
+                message: `${labels.join(";")} requires ${name}`,
+              });
+            }
+          }
+        }
+      }
+    } catch (error: unknown) {
+      const line = error instanceof CsvSyntaxError ? error.line : undefined;
+      report({ severity: "error", code: "MALFORMED_CSV", file: file.name, line, message: (error as Error).message });
+    }
+  }
+
+  return {
+    valid: errorCount === 0,
+    files: Array.from(summaries.values()),
+    errorCount,
+    warningCount,
+    countsByCode,
+    endpointsChecked,
+    issues,
+    truncated: issues.length < errorCount + warningCount,
+  };
+};
+
+const parseHeader = (
+  columns: string[],
+  file: string,
+  report: (issue: ValidationIssue) => void
+): ParsedHeader | null => {
+  const at = { file, line: 1 };
+  const trimmed = columns.map((column) => column.trim());
+  const kind = trimmed.includes("~from") && trimmed.includes("~to") ? "edge" : "vertex";
+  const system: Record<string, number> = {};
+  const properties: PropertyColumn[] = [];
+  const names = new Set<string>();
+  let valid = true;
+
+  trimmed.forEach((header, index) => {
+    if (header.startsWith("~")) {
+      if (!SYSTEM_COLUMNS[kind].includes(header) || header in system) {
+        report({ ...at, severity: "error", code: "INVALID_HEADER", column: header, message: `Unexpected ${kind} column ${header}` });
+        valid = false;
+      }
+      system[header] = index;
+      return;
+    }
+    const { name, type, array } = parseHeaderColumn(header);
+    if (!type) {
+      report({ ...at, severity: "error", code: "INVALID_HEADER", column: header, message: `Unknown type in ${header}` });
+      valid = false;
+      return;
+    }
+    if (names.has(name)) {
+      report({ ...at, severity: "error", code: "INVALID_HEADER", column: header, message: `Property ${name} appears twice` });
+      valid = false;
+      return;
+    }
+    names.add(name);
+    properties.push({ index, header, name, type, array });
+
+    // Compare with every label that defines the property
+    const conflicts = Object.entries(schemasOf(kind))
+      .filter(([, schema]) => schema[name] && schema[name].type !== type)
+      .map(([label, schema]) => `${label} (${schema[name].type})`);
+    if (conflicts.length > 0) {
+      report({
+        ...at,
+        severity: "warning",
+        code: "SCHEMA_TYPE_MISMATCH",
+        column: header,
+        message: `${header} differs from the schema of ${conflicts.join(", ")}`,
+      });
+    }
+  });
+
+  for (const column of SYSTEM_COLUMNS[kind]) {
+    if (!(column in system)) {
+      report({ ...at, severity: "error", code: "INVALID_HEADER", column, message: `Missing ${column} column` });
+      valid = false;
+    }
+  }
+  return valid ? { kind, system, properties } : null;
+};
+
+/** A human-readable summary of a report, one issue per line. */
+export const describeReport = (report: ValidationReport): string => {
+  const lines = report.files.map(
+    (f) => `${f.file}: ${f.kind}, ${f.rows} rows, ${f.errors} errors, ${f.warnings} warnings`
+  );
+  for (const issue of report.issues) {
+    const where = [issue.file, issue.line].filter((part) => part !== undefined).join(":");
+    const column = issue.column ? ` [${issue.column}]` : "";
+    lines.push(`${where} ${issue.severity} ${issue.code}${column}: ${issue.message}`);
+  }
+  if (report.truncated) {
+    lines.push(`... ${report.errorCount + report.warningCount - report.issues.length} more issues`);
+  }
+  if (!report.endpointsChecked) {
+    lines.push("Edge endpoints were not checked: no vertex file was given");
+  }
+  lines.push(
+    report.valid
+      ? `Valid (${report.warningCount} warnings)`
+      : `Invalid: ${report.errorCount} errors, ${report.warningCount} warnings`
+  );
+  return lines.join("\n");
+};
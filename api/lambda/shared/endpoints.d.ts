@@ -0,0 +1,32 @@
+import { FieldError } from "./schemaRegistry";
+export declare const MAX_ENDPOINT_CANDIDATES = 10;
+export type EndpointField = "source" | "destination";
+export interface EndpointRow {
+    id: string;
+    label: string;
+    name: string;
+    entityType: string;
+    classification: string;
+}
+export interface EndpointCandidate {
+    field: EndpointField;
+    id: string;
+    label: string;
+    name: string;
+    entityType: string | null;
+}
+export type EndpointMatch = {
+    id: string;
+    candidates: EndpointCandidate[];
+} | {
+    error: FieldError;
+    candidates: EndpointCandidate[];
+};
+/**
+ * Resolves an endpoint named by label and name from the rows the name
+ * lookup found (at most MAX_ENDPOINT_CANDIDATES + 1). A name matching no
+ * vertex or several of them is an error listing the candidates.
+ */
+export declare const matchEndpointName: (endpoint: EndpointField, label: string, name: string, rows: EndpointRow[], identity: any) => EndpointMatch;
+/** Resolves an endpoint passed as sourceId/destinationId from the rows of its lookup. */
+export declare const matchEndpointId: (endpoint: EndpointField, vertexId: string, rows: EndpointRow[], identity: any) => EndpointMatch;
@@ -0,0 +1,45 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.matchEndpointId = exports.matchEndpointName = exports.MAX_ENDPOINT_CANDIDATES = void 0;
+const classification_1 = require("./classification");
+// Candidates listed when a name-based edge endpoint is ambiguous
+exports.MAX_ENDPOINT_CANDIDATES = 10;
+// Business services the caller may not read are dropped before anything is
+// reported, so their ids and names never reach the error's candidates
+const visibleRows = (rows, identity) => rows.filter((row) => (0, classification_1.canSeeClassification)(identity, row.classification));
+/**
+ * Resolves an endpoint named by label and name from the rows the name
+ * lookup found (at most MAX_ENDPOINT_CANDIDATES + 1). A name matching no
+ * vertex or several of them is an error listing the candidates.
+ */
+const matchEndpointName = (endpoint, label, name, rows, identity) => {
+    const visible = visibleRows(rows, identity);
+    const candidates = visible.slice(0, exports.MAX_ENDPOINT_CANDIDATES).map((row) => ({
+        field: endpoint,
+        id: row.id,
+        label: row.label,
+        name: row.name,
+        entityType: row.entityType || null,
+    }));
+    if (visible.length === 0) {
+        return { error: { field: endpoint, message: `No ${label} named "${name}"` }, candidates };
+    }
+    if (visible.length > 1) {
+        const count = visible.length > exports.MAX_ENDPOINT_CANDIDATES ? `more than ${exports.MAX_ENDPOINT_CANDIDATES}` : visible.length;
+        return {
+            error: { field: endpoint, message: `"${name}" matches ${count} ${label} vertices; pass ${endpoint}Id to choose one` },
+            candidates,
+        };
+    }
+    return { id: candidates[0].id, candidates: [] };
+};
+exports.matchEndpointName = matchEndpointName;
+/** Resolves an endpoint passed as sourceId/destinationId from the rows of its lookup. */
+const matchEndpointId = (endpoint, vertexId, rows, identity) => {
+    if (!visibleRows(rows, identity).some((row) => row.id === vertexId)) {
+        return { error: { field: endpoint, message: `Vertex not found: ${vertexId}` }, candidates: [] };
+    }
+    return { id: vertexId, candidates: [] };
+};
+exports.matchEndpointId = matchEndpointId;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZW5kcG9pbnRzLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiZW5kcG9pbnRzLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7OztBQUFBLHFEQUF3RDtBQUd4RCxpRUFBaUU7QUFDcEQsUUFBQSx1QkFBdUIsR0FBRyxFQUFFLENBQUM7QUEwQjFDLDJFQUEyRTtBQUMzRSxzRUFBc0U7QUFDdEUsTUFBTSxXQUFXLEdBQUcsQ0FBQyxJQUFtQixFQUFFLFFBQWEsRUFBRSxFQUFFLENBQ3pELElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLEVBQUUsRUFBRSxDQUFDLElBQUEscUNBQW9CLEVBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDO0FBRTNFOzs7O0dBSUc7QUFDSSxNQUFNLGlCQUFpQixHQUFHLENBQy9CLFFBQXVCLEVBQ3ZCLEtBQWEsRUFDYixJQUFZLEVBQ1osSUFBbUIsRUFDbkIsUUFBYSxFQUNFLEVBQUU7SUFDakIsTUFBTSxPQUFPLEdBQUcsV0FBVyxDQUFDLElBQUksRUFBRSxRQUFRLENBQUMsQ0FBQztJQUM1QyxNQUFNLFVBQVUsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSwrQkFBdUIsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUN6RSxLQUFLLEVBQUUsUUFBUTtRQUNmLEVBQUUsRUFBRSxHQUFHLENBQUMsRUFBRTtRQUNWLEtBQUssRUFBRSxHQUFHLENBQUMsS0FBSztRQUNoQixJQUFJLEVBQUUsR0FBRyxDQUFDLElBQUk7UUFDZCxVQUFVLEVBQUUsR0FBRyxDQUFDLFVBQVUsSUFBSSxJQUFJO0tBQ25DLENBQUMsQ0FBQyxDQUFDO0lBQ0osSUFBSSxPQUFPLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSxDQUFDO1FBQ3pCLE9BQU8sRUFBRSxLQUFLLEVBQUUsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxNQUFNLEtBQUssV0FBVyxJQUFJLEdBQUcsRUFBRSxFQUFFLFVBQVUsRUFBRSxDQUFDO0lBQzVGLENBQUM7SUFDRCxJQUFJLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLENBQUM7UUFDdkIsTUFBTSxLQUFLLEdBQUcsT0FBTyxDQUFDLE1BQU0sR0FBRywrQkFBdUIsQ0FBQyxDQUFDLENBQUMsYUFBYSwrQkFBdUIsRUFBRSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDO1FBQ2pILE9BQU87WUFDTCxLQUFLLEVBQUUsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxJQUFJLElBQUksYUFBYSxLQUFLLElBQUksS0FBSyxtQkFBbUIsUUFBUSxrQkFBa0IsRUFBRTtZQUNySCxVQUFVO1NBQ1gsQ0FBQztJQUNKLENBQUM7SUFDRCxPQUFPLEVBQUUsRUFBRSxFQUFFLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsVUFBVSxFQUFFLEVBQUUsRUFBRSxDQUFDO0FBQ2xELENBQUMsQ0FBQztBQTFCVyxRQUFBLGlCQUFpQixxQkEwQjVCO0FBRUYseUZBQXlGO0FBQ2xGLE1BQU0sZUFBZSxHQUFHLENBQzdCLFFBQXVCLEVBQ3ZCLFFBQWdCLEVBQ2hCLElBQW1CLEVBQ25CLFFBQWEsRUFDRSxFQUFFO0lBQ2pCLElBQUksQ0FBQyxXQUFXLENBQUMsSUFBSSxFQUFFLFFBQVEsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsRUFBRSxFQUFFLENBQUMsR0FBRyxDQUFDLEVBQUUsS0FBSyxRQUFRLENBQUMsRUFBRSxDQUFDO1FBQ3BFLE9BQU8sRUFBRSxLQUFLLEVBQUUsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxxQkFBcUIsUUFBUSxFQUFFLEVBQUUsRUFBRSxVQUFVLEVBQUUsRUFBRSxFQUFFLENBQUM7SUFDbEcsQ0FBQztJQUNELE9BQU8sRUFBRSxFQUFFLEVBQUUsUUFBUSxFQUFFLFVBQVUsRUFBRSxFQUFFLEVBQUUsQ0FBQztBQUMxQyxDQUFDLENBQUM7QUFWVyxRQUFBLGVBQWUsbUJBVTFCIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgY2FuU2VlQ2xhc3NpZmljYXRpb24gfSBmcm9tIFwiLi9jbGFzc2lmaWNhdGlvblwiO1xuaW1wb3J0IHsgRmllbGRFcnJvciB9IGZyb20gXCIuL3NjaGVtYVJlZ2lzdHJ5XCI7XG5cbi8vIENhbmRpZGF0ZXMgbGlzdGVkIHdoZW4gYSBuYW1lLWJhc2VkIGVkZ2UgZW5kcG9pbnQgaXMgYW1iaWd1b3VzXG5leHBvcnQgY29uc3QgTUFYX0VORFBPSU5UX0NBTkRJREFURVMgPSAxMDtcblxuZXhwb3J0IHR5cGUgRW5kcG9pbnRGaWVsZCA9IFwic291cmNlXCIgfCBcImRlc3RpbmF0aW9uXCI7XG5cbi8vIEEgdmVydGV4IGFuIGluc2VydERhdGEgZWRnZSBlbmRwb2ludCBtYXkgcmVmZXIgdG8sIGFzIHJlYWQgZnJvbSB0aGUgZ3JhcGg7XG4vLyBgY2xhc3NpZmljYXRpb25gIGlzIGEgYnVzaW5lc3Mgc2VydmljZSdzIERhdGFDbGFzc2lmaWNhdGlvbiwgJycgb3RoZXJ3aXNlXG5leHBvcnQgaW50ZXJmYWNlIEVuZHBvaW50Um93IHtcbiAgaWQ6IHN0cmluZztcbiAgbGFiZWw6IHN0cmluZztcbiAgbmFtZTogc3RyaW5nO1xuICBlbnRpdHlUeXBlOiBzdHJpbmc7XG4gIGNsYXNzaWZpY2F0aW9uOiBzdHJpbmc7XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgRW5kcG9pbnRDYW5kaWRhdGUge1xuICBmaWVsZDogRW5kcG9pbnRGaWVsZDtcbiAgaWQ6IHN0cmluZztcbiAgbGFiZWw6IHN0cmluZztcbiAgbmFtZTogc3RyaW5nO1xuICBlbnRpdHlUeXBlOiBzdHJpbmcgfCBudWxsO1xufVxuXG5leHBvcnQgdHlwZSBFbmRwb2ludE1hdGNoID1cbiAgfCB7IGlkOiBzdHJpbmc7IGNhbmRpZGF0ZXM6IEVuZHBvaW50Q2FuZGlkYXRlW10gfVxuICB8IHsgZXJyb3I6IEZpZWxkRXJyb3I7IGNhbmRpZGF0ZXM6IEVuZHBvaW50Q2FuZGlkYXRlW10gfTtcblxuLy8gQnVzaW5lc3Mgc2VydmljZXMgdGhlIGNhbGxlciBtYXkgbm90IHJlYWQgYXJlIGRyb3BwZWQgYmVmb3JlIGFueXRoaW5nIGlzXG4vLyByZXBvcnRlZCwgc28gdGhlaXIgaWRzIGFuZCBuYW1lcyBuZXZlciByZWFjaCB0aGUgZXJyb3IncyBjYW5kaWRhdGVzXG5jb25zdCB2aXNpYmxlUm93cyA9IChyb3dzOiBFbmRwb2ludFJvd1tdLCBpZGVudGl0eTogYW55KSA9PlxuICByb3dzLmZpbHRlcigocm93KSA9PiBjYW5TZWVDbGFzc2lmaWNhdGlvbihpZGVudGl0eSwgcm93LmNsYXNzaWZpY2F0aW9uKSk7XG5cbi8qKlxuICogUmVzb2x2ZXMgYW4gZW5kcG9pbnQgbmFtZWQgYnkgbGFiZWwgYW5kIG5hbWUgZnJvbSB0aGUgcm93cyB0aGUgbmFtZVxuICogbG9va3VwIGZvdW5kIChhdCBtb3N0IE1BWF9FTkRQT0lOVF9DQU5ESURBVEVTICsgMSkuIEEgbmFtZSBtYXRjaGluZyBub1xuICogdmVydGV4IG9yIHNldmVyYWwgb2YgdGhlbSBpcyBhbiBlcnJvciBsaXN0aW5nIHRoZSBjYW5kaWRhdGVzLlxuICovXG5leHBvcnQgY29uc3QgbWF0Y2hFbmRwb2ludE5hbWUgPSAoXG4gIGVuZHBvaW50OiBFbmRwb2ludEZpZWxkLFxuICBsYWJlbDogc3RyaW5nLFxuICBuYW1lOiBzdHJpbmcsXG4gIHJvd3M6IEVuZHBvaW50Um93W10sXG4gIGlkZW50aXR5OiBhbnlcbik6IEVuZHBvaW50TWF0Y2ggPT4ge1xuICBjb25zdCB2aXNpYmxlID0gdmlzaWJsZVJvd3Mocm93cywgaWRlbnRpdHkpO1xuICBjb25zdCBjYW5kaWRhdGVzID0gdmlzaWJsZS5zbGljZSgwLCBNQVhfRU5EUE9JTlRfQ0FORElEQVRFUykubWFwKChyb3cpID0+ICh7XG4gICAgZmllbGQ6IGVuZHBvaW50LFxuICAgIGlkOiByb3cuaWQsXG4gICAgbGFiZWw6IHJvdy5sYWJlbCxcbiAgICBuYW1lOiByb3cubmFtZSxcbiAgICBlbnRpdHlUeXBlOiByb3cuZW50aXR5VHlwZSB8fCBudWxsLFxuICB9KSk7XG4gIGlmICh2aXNpYmxlLmxlbmd0aCA9PT0gMCkge1xuICAgIHJldHVybiB7IGVycm9yOiB7IGZpZWxkOiBlbmRwb2ludCwgbWVzc2FnZTogYE5vICR7bGFiZWx9IG5hbWVkIFwiJHtuYW1lfVwiYCB9LCBjYW5kaWRhdGVzIH07XG4gIH1cbiAgaWYgKHZpc2libGUubGVuZ3RoID4gMSkge1xuICAgIGNvbnN0IGNvdW50ID0gdmlzaWJsZS5sZW5ndGggPiBNQVhfRU5EUE9JTlRfQ0FORElEQVRFUyA/IGBtb3JlIHRoYW4gJHtNQVhfRU5EUE9JTlRfQ0FORElEQVRFU31gIDogdmlzaWJsZS5sZW5ndGg7XG4gICAgcmV0dXJuIHtcbiAgICAgIGVycm9yOiB7IGZpZWxkOiBlbmRwb2ludCwgbWVzc2FnZTogYFwiJHtuYW1lfVwiIG1hdGNoZXMgJHtjb3VudH0gJHtsYWJlbH0gdmVydGljZXM7IHBhc3MgJHtlbmRwb2ludH1JZCB0byBjaG9vc2Ugb25lYCB9LFxuICAgICAgY2FuZGlkYXRlcyxcbiAgICB9O1xuICB9XG4gIHJldHVybiB7IGlkOiBjYW5kaWRhdGVzWzBdLmlkLCBjYW5kaWRhdGVzOiBbXSB9O1xufTtcblxuLyoqIFJlc29sdmVzIGFuIGVuZHBvaW50IHBhc3NlZCBhcyBzb3VyY2VJZC9kZXN0aW5hdGlvbklkIGZyb20gdGhlIHJvd3Mgb2YgaXRzIGxvb2t1cC4gKi9cbmV4cG9ydCBjb25zdCBtYXRjaEVuZHBvaW50SWQgPSAoXG4gIGVuZHBvaW50OiBFbmRwb2ludEZpZWxkLFxuICB2ZXJ0ZXhJZDogc3RyaW5nLFxuICByb3dzOiBFbmRwb2ludFJvd1tdLFxuICBpZGVudGl0eTogYW55XG4pOiBFbmRwb2ludE1hdGNoID0+IHtcbiAgaWYgKCF2aXNpYmxlUm93cyhyb3dzLCBpZGVudGl0eSkuc29tZSgocm93KSA9PiByb3cuaWQgPT09IHZlcnRleElkKSkge1xuICAgIHJldHVybiB7IGVycm9yOiB7IGZpZWxkOiBlbmRwb2ludCwgbWVzc2FnZTogYFZlcnRleCBub3QgZm91bmQ6ICR7dmVydGV4SWR9YCB9LCBjYW5kaWRhdGVzOiBbXSB9O1xuICB9XG4gIHJldHVybiB7IGlkOiB2ZXJ0ZXhJZCwgY2FuZGlkYXRlczogW10gfTtcbn07XG4iXX0=
\ No newline at end of file
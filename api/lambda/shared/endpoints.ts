@@ -0,0 +1,80 @@
+import { canSeeClassification } from "./classification";
+import { FieldError } from "./schemaRegistry";
+
+// Candidates listed when a name-based edge endpoint is ambiguous
+export const MAX_ENDPOINT_CANDIDATES = 10;
+
+export type EndpointField = "source" | "destination";
+
+// A vertex an insertData edge endpoint may refer to, as read from the graph;
+// `classification` is a business service's DataClassification, '' otherwise
+export interface EndpointRow {
+  id: string;
+  label: string;
+  name: string;
+  entityType: string;
+  classification: string;
+}
+
+export interface EndpointCandidate {
+  field: EndpointField;
+  id: string;
+  label: string;
+  name: string;
+  entityType: string | null;
+}
+
+export type EndpointMatch =
+  | { id: string; candidates: EndpointCandidate[] }
+  | { error: FieldError; candidates: EndpointCandidate[] };
+
+// Business services the caller may not read are dropped before anything is
+// reported, so their ids and names never reach the error's candidates
+const visibleRows = (rows: EndpointRow[], identity: any) =>
+  rows.filter((row) => canSeeClassification(identity, row.classification));
+
+/**
+ * Resolves an endpoint named by label and name from the rows the name
+ * lookup found (at most MAX_ENDPOINT_CANDIDATES + 1). A name matching no
+ * vertex or several of them is an error listing the candidates.
+ */
+export const matchEndpointName = (
+  endpoint: EndpointField,
+  label: string,
+  name: string,
+  rows: EndpointRow[],
+  identity: any
+): EndpointMatch => {
+  const visible = visibleRows(rows, identity);
+  const candidates = visible.slice(0, MAX_ENDPOINT_CANDIDATES).map((row) => ({
+    field: endpoint,
+    id: row.id,
+    label: row.label,
+    name: row.name,
+    entityType: row.entityType || null,
+  }));
+  if (visible.length === 0) {
+    return { error: { field: endpoint, message: `No ${label} named "${name}"` }, candidates };
+  }
+  if (visible.length > 1) {
+    const count = visible.length > MAX_ENDPOINT_CANDIDATES ? `more than ${MAX_ENDPOINT_CANDIDATES}` : visible.length;
+    return {
+      error: { field: endpoint, message: `"${name}" matches ${count} ${label} vertices; pass ${endpoint}Id to choose one` },
+      candidates,
+    };
+  }
+  return { id: candidates[0].id, candidates: [] };
+};
+
+/** Resolves an endpoint passed as sourceId/destinationId from the rows of its lookup. */
+export const matchEndpointId = (
+  endpoint: EndpointField,
+  vertexId: string,
+  rows: EndpointRow[],
+  identity: any
+): EndpointMatch => {
+  if (!visibleRows(rows, identity).some((row) => row.id === vertexId)) {
+    return { error: { field: endpoint, message: `Vertex not found: ${vertexId}` }, candidates: [] };
+  }
+  return { id: vertexId, candidates: [] };
+};
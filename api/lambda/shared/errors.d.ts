@@ -0,0 +1,22 @@
+import { FieldError } from "./schemaRegistry";
+export type ErrorCode = "VALIDATION" | "FORBIDDEN" | "NOT_FOUND" | "CONFLICT" | "CLUSTER_UNAVAILABLE" | "INTERNAL";
+export declare class GraphError extends Error {
+    readonly code: ErrorCode;
+    readonly info?: Record<string, unknown> | undefined;
+    constructor(code: ErrorCode, message: string, info?: Record<string, unknown> | undefined);
+}
+export declare const validationError: (message: string, info?: Record<string, unknown>) => GraphError;
+export declare const fieldValidationError: (errors: FieldError[], info?: Record<string, unknown>) => GraphError;
+export declare const parseProperties: (json: string | null | undefined) => Record<string, unknown>;
+export declare const forbiddenError: (message: string, info?: Record<string, unknown>) => GraphError;
+export declare const notFoundError: (message: string, info?: Record<string, unknown>) => GraphError;
+export declare const conflictError: (message: string, info?: Record<string, unknown>) => GraphError;
+export interface ErrorResult {
+    error: {
+        message: string;
+        type: ErrorCode;
+        info: Record<string, unknown> | null;
+    };
+}
+/** Classifies a thrown value and shapes it as a resolver error result. */
+export declare const toErrorResult: (error: unknown) => ErrorResult;
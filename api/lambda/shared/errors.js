@@ -0,0 +1,79 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.toErrorResult = exports.conflictError = exports.notFoundError = exports.forbiddenError = exports.parseProperties = exports.fieldValidationError = exports.validationError = exports.GraphError = void 0;
+const schemaRegistry_1 = require("./schemaRegistry");
+class GraphError extends Error {
+    constructor(code, message, info) {
+        super(message);
+        this.code = code;
+        this.info = info;
+        this.name = "GraphError";
+    }
+}
+exports.GraphError = GraphError;
+// The caller sent something the schema or a business rule rejects
+const validationError = (message, info) => new GraphError("VALIDATION", message, info);
+exports.validationError = validationError;
+// Field-level schema errors; `info.fields` lets a form mark each field
+const fieldValidationError = (errors, info) => (0, exports.validationError)((0, schemaRegistry_1.describeFieldErrors)(errors), { ...info, fields: errors });
+exports.fieldValidationError = fieldValidationError;
+// Parses a `properties` argument, a JSON object sent as a string. Malformed
+// JSON is the caller's mistake, so it is a VALIDATION error, not INTERNAL.
+const parseProperties = (json) => {
+    if (!json)
+        return {};
+    let parsed;
+    try {
+        parsed = JSON.parse(json);
+    }
+    catch (error) {
+        const reason = error instanceof Error ? error.message : String(error);
+        throw (0, exports.validationError)(`properties is not valid JSON: ${reason}`, { field: "properties" });
+    }
+    if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) {
+        throw (0, exports.validationError)("properties must be a JSON object", { field: "properties" });
+    }
+    return parsed;
+};
+exports.parseProperties = parseProperties;
+// The caller's Cognito groups do not grant the required role
+const forbiddenError = (message, info) => new GraphError("FORBIDDEN", message, info);
+exports.forbiddenError = forbiddenError;
+const notFoundError = (message, info) => new GraphError("NOT_FOUND", message, info);
+exports.notFoundError = notFoundError;
+// The request is valid but clashes with the current state of the graph
+const conflictError = (message, info) => new GraphError("CONFLICT", message, info);
+exports.conflictError = conflictError;
+// Network failures of the Gremlin websocket, e.g. while the cluster is
+// stopped outside business hours
+const CONNECTION_ERROR_CODES = [
+    "ECONNREFUSED",
+    "ECONNRESET",
+    "ENOTFOUND",
+    "ETIMEDOUT",
+    "EAI_AGAIN",
+    "EHOSTUNREACH",
+];
+const UNAVAILABLE_PATTERN = /Connection closed prematurely|socket hang up|Unexpected server response: 5\d\d|ThrottlingException|MemoryLimitExceededException|ReadOnlyViolationException/;
+// Neptune rejects a write that raced another transaction or reuses an id
+const CONFLICT_PATTERN = /ConcurrentModificationException|ConstraintViolationException|already exists/;
+/** Classifies a thrown value and shapes it as a resolver error result. */
+const toErrorResult = (error) => {
+    if (error instanceof GraphError) {
+        return {
+            error: { message: error.message, type: error.code, info: error.info ?? null },
+        };
+    }
+    const message = error instanceof Error ? error.message : String(error);
+    const code = error?.code;
+    let type = "INTERNAL";
+    if (CONNECTION_ERROR_CODES.includes(String(code)) || UNAVAILABLE_PATTERN.test(message)) {
+        type = "CLUSTER_UNAVAILABLE";
+    }
+    else if (CONFLICT_PATTERN.test(message)) {
+        type = "CONFLICT";
+    }
+    return { error: { message, type, info: null } };
+};
+exports.toErrorResult = toErrorResult;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZXJyb3JzLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiZXJyb3JzLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7OztBQUFBLHFEQUFtRTtBQWVuRSxNQUFhLFVBQVcsU0FBUSxLQUFLO0lBQ25DLFlBQ1csSUFBZSxFQUN4QixPQUFlLEVBQ04sSUFBOEI7UUFFdkMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBSk4sU0FBSSxHQUFKLElBQUksQ0FBVztRQUVmLFNBQUksR0FBSixJQUFJLENBQTBCO1FBR3ZDLElBQUksQ0FBQyxJQUFJLEdBQUcsWUFBWSxDQUFDO0lBQzNCLENBQUM7Q0FDRjtBQVRELGdDQVNDO0FBRUQsa0VBQWtFO0FBQzNELE1BQU0sZUFBZSxHQUFHLENBQUMsT0FBZSxFQUFFLElBQThCLEVBQUUsRUFBRSxDQUNqRixJQUFJLFVBQVUsQ0FBQyxZQUFZLEVBQUUsT0FBTyxFQUFFLElBQUksQ0FBQyxDQUFDO0FBRGpDLFFBQUEsZUFBZSxtQkFDa0I7QUFFOUMsdUVBQXVFO0FBQ2hFLE1BQU0sb0JBQW9CLEdBQUcsQ0FBQyxNQUFvQixFQUFFLElBQThCLEVBQUUsRUFBRSxDQUMzRixJQUFBLHVCQUFlLEVBQUMsSUFBQSxvQ0FBbUIsRUFBQyxNQUFNLENBQUMsRUFBRSxFQUFFLEdBQUcsSUFBSSxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDO0FBRC9ELFFBQUEsb0JBQW9CLHdCQUMyQztBQUU1RSw0RUFBNEU7QUFDNUUsMkVBQTJFO0FBQ3BFLE1BQU0sZUFBZSxHQUFHLENBQUMsSUFBK0IsRUFBMkIsRUFBRTtJQUMxRixJQUFJLENBQUMsSUFBSTtRQUFFLE9BQU8sRUFBRSxDQUFDO0lBQ3JCLElBQUksTUFBZSxDQUFDO0lBQ3BCLElBQUksQ0FBQztRQUNILE1BQU0sR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQzVCLENBQUM7SUFBQyxPQUFPLEtBQUssRUFBRSxDQUFDO1FBQ2YsTUFBTSxNQUFNLEdBQUcsS0FBSyxZQUFZLEtBQUssQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ3RFLE1BQU0sSUFBQSx1QkFBZSxFQUFDLGlDQUFpQyxNQUFNLEVBQUUsRUFBRSxFQUFFLEtBQUssRUFBRSxZQUFZLEVBQUUsQ0FBQyxDQUFDO0lBQzVGLENBQUM7SUFDRCxJQUFJLE1BQU0sS0FBSyxJQUFJLElBQUksT0FBTyxNQUFNLEtBQUssUUFBUSxJQUFJLEtBQUssQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQztRQUMzRSxNQUFNLElBQUEsdUJBQWUsRUFBQyxrQ0FBa0MsRUFBRSxFQUFFLEtBQUssRUFBRSxZQUFZLEVBQUUsQ0FBQyxDQUFDO0lBQ3JGLENBQUM7SUFDRCxPQUFPLE1BQWlDLENBQUM7QUFDM0MsQ0FBQyxDQUFDO0FBYlcsUUFBQSxlQUFlLG1CQWExQjtBQUVGLDZEQUE2RDtBQUN0RCxNQUFNLGNBQWMsR0FBRyxDQUFDLE9BQWUsRUFBRSxJQUE4QixFQUFFLEVBQUUsQ0FDaEYsSUFBSSxVQUFVLENBQUMsV0FBVyxFQUFFLE9BQU8sRUFBRSxJQUFJLENBQUMsQ0FBQztBQURoQyxRQUFBLGNBQWMsa0JBQ2tCO0FBRXRDLE1BQU0sYUFBYSxHQUFHLENBQUMsT0FBZSxFQUFFLElBQThCLEVBQUUsRUFBRSxDQUMvRSxJQUFJLFVBQVUsQ0FBQyxXQUFXLEVBQUUsT0FBTyxFQUFFLElBQUksQ0FBQyxDQUFDO0FBRGhDLFFBQUEsYUFBYSxpQkFDbUI7QUFFN0MsdUVBQXVFO0FBQ2hFLE1BQU0sYUFBYSxHQUFHLENBQUMsT0FBZSxFQUFFLElBQThCLEVBQUUsRUFBRSxDQUMvRSxJQUFJLFVBQVUsQ0FBQyxVQUFVLEVBQUUsT0FBTyxFQUFFLElBQUksQ0FBQyxDQUFDO0FBRC9CLFFBQUEsYUFBYSxpQkFDa0I7QUFVNUMsdUVBQXVFO0FBQ3ZFLGlDQUFpQztBQUNqQyxNQUFNLHNCQUFzQixHQUFHO0lBQzdCLGNBQWM7SUFDZCxZQUFZO0lBQ1osV0FBVztJQUNYLFdBQVc7SUFDWCxXQUFXO0lBQ1gsY0FBYztDQUNmLENBQUM7QUFDRixNQUFNLG1CQUFtQixHQUN2Qiw0SkFBNEosQ0FBQztBQUUvSix5RUFBeUU7QUFDekUsTUFBTSxnQkFBZ0IsR0FDcEIsNkVBQTZFLENBQUM7QUFFaEYsMEVBQTBFO0FBQ25FLE1BQU0sYUFBYSxHQUFHLENBQUMsS0FBYyxFQUFlLEVBQUU7SUFDM0QsSUFBSSxLQUFLLFlBQVksVUFBVSxFQUFFLENBQUM7UUFDaEMsT0FBTztZQUNMLEtBQUssRUFBRSxFQUFFLE9BQU8sRUFBRSxLQUFLLENBQUMsT0FBTyxFQUFFLElBQUksRUFBRSxLQUFLLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxLQUFLLENBQUMsSUFBSSxJQUFJLElBQUksRUFBRTtTQUM5RSxDQUFDO0lBQ0osQ0FBQztJQUNELE1BQU0sT0FBTyxHQUFHLEtBQUssWUFBWSxLQUFLLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUN2RSxNQUFNLElBQUksR0FBSSxLQUFtQyxFQUFFLElBQUksQ0FBQztJQUN4RCxJQUFJLElBQUksR0FBYyxVQUFVLENBQUM7SUFDakMsSUFBSSxzQkFBc0IsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksbUJBQW1CLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUM7UUFDdkYsSUFBSSxHQUFHLHFCQUFxQixDQUFDO0lBQy9CLENBQUM7U0FBTSxJQUFJLGdCQUFnQixDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDO1FBQzFDLElBQUksR0FBRyxVQUFVLENBQUM7SUFDcEIsQ0FBQztJQUNELE9BQU8sRUFBRSxLQUFLLEVBQUUsRUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsRUFBRSxDQUFDO0FBQ2xELENBQUMsQ0FBQztBQWZXLFFBQUEsYUFBYSxpQkFleEIiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyBGaWVsZEVycm9yLCBkZXNjcmliZUZpZWxkRXJyb3JzIH0gZnJvbSBcIi4vc2NoZW1hUmVnaXN0cnlcIjtcblxuLy8gRXJyb3IgbW9kZWwgc2hhcmVkIGJ5IHRoZSByZXNvbHZlciBMYW1iZGFzLiBBIHJlc29sdmVyIHJldHVybnNcbi8vIGB7IGVycm9yOiB7IG1lc3NhZ2UsIHR5cGUsIGluZm8gfSB9YCBpbnN0ZWFkIG9mIGl0cyByZXN1bHQsIGFuZCB0aGVcbi8vIHJlc3BvbnNlIG1hcHBpbmcgdGVtcGxhdGUgKHJlc3BvbnNlcy9kZWZhdWx0LnZ0bCkgcmFpc2VzIGl0IGFzIGEgR3JhcGhRTFxuLy8gZXJyb3Igd2l0aCBgZXJyb3JUeXBlYCBzZXQgdG8gdGhlIGNvZGUgYW5kIGBlcnJvckluZm9gIHNldCB0byBgaW5mb2AuXG5cbmV4cG9ydCB0eXBlIEVycm9yQ29kZSA9XG4gIHwgXCJWQUxJREFUSU9OXCJcbiAgfCBcIkZPUkJJRERFTlwiXG4gIHwgXCJOT1RfRk9VTkRcIlxuICB8IFwiQ09ORkxJQ1RcIlxuICB8IFwiQ0xVU1RFUl9VTkFWQUlMQUJMRVwiXG4gIHwgXCJJTlRFUk5BTFwiO1xuXG5leHBvcnQgY2xhc3MgR3JhcGhFcnJvciBleHRlbmRzIEVycm9yIHtcbiAgY29uc3RydWN0b3IoXG4gICAgcmVhZG9ubHkgY29kZTogRXJyb3JDb2RlLFxuICAgIG1lc3NhZ2U6IHN0cmluZyxcbiAgICByZWFkb25seSBpbmZvPzogUmVjb3JkPHN0cmluZywgdW5rbm93bj5cbiAgKSB7XG4gICAgc3VwZXIobWVzc2FnZSk7XG4gICAgdGhpcy5uYW1lID0gXCJHcmFwaEVycm9yXCI7XG4gIH1cbn1cblxuLy8gVGhlIGNhbGxlciBzZW50IHNvbWV0aGluZyB0aGUgc2NoZW1hIG9yIGEgYnVzaW5lc3MgcnVsZSByZWplY3RzXG5leHBvcnQgY29uc3QgdmFsaWRhdGlvbkVycm9yID0gKG1lc3NhZ2U6IHN0cmluZywgaW5mbz86IFJlY29yZDxzdHJpbmcsIHVua25vd24+KSA9PlxuICBuZXcgR3JhcGhFcnJvcihcIlZBTElEQVRJT05cIiwgbWVzc2FnZSwgaW5mbyk7XG5cbi8vIEZpZWxkLWxldmVsIHNjaGVtYSBlcnJvcnM7IGBpbmZvLmZpZWxkc2AgbGV0cyBhIGZvcm0gbWFyayBlYWNoIGZpZWxkXG5leHBvcnQgY29uc3QgZmllbGRWYWxpZGF0aW9uRXJyb3IgPSAoZXJyb3JzOiBGaWVsZEVycm9yW10sIGluZm8/OiBSZWNvcmQ8c3RyaW5nLCB1bmtub3duPikgPT5cbiAgdmFsaWRhdGlvbkVycm9yKGRlc2NyaWJlRmllbGRFcnJvcnMoZXJyb3JzKSwgeyAuLi5pbmZvLCBmaWVsZHM6IGVycm9ycyB9KTtcblxuLy8gUGFyc2VzIGEgYHByb3BlcnRpZXNgIGFyZ3VtZW50LCBhIEpTT04gb2JqZWN0IHNlbnQgYXMgYSBzdHJpbmcuIE1hbGZvcm1lZFxuLy8gSlNPTiBpcyB0aGUgY2FsbGVyJ3MgbWlzdGFrZSwgc28gaXQgaXMgYSBWQUxJREFUSU9OIGVycm9yLCBub3QgSU5URVJOQUwuXG5leHBvcnQgY29uc3QgcGFyc2VQcm9wZXJ0aWVzID0gKGpzb246IHN0cmluZyB8IG51bGwgfCB1bmRlZmluZWQpOiBSZWNvcmQ8c3RyaW5nLCB1bmtub3duPiA9PiB7XG4gIGlmICghanNvbikgcmV0dXJuIHt9O1xuICBsZXQgcGFyc2VkOiB1bmtub3duO1xuICB0cnkge1xuICAgIHBhcnNlZCA9IEpTT04ucGFyc2UoanNvbik7XG4gIH0gY2F0Y2ggKGVycm9yKSB7XG4gICAgY29uc3QgcmVhc29uID0gZXJyb3IgaW5zdGFuY2VvZiBFcnJvciA/IGVycm9yLm1lc3NhZ2UgOiBTdHJpbmcoZXJyb3IpO1xuICAgIHRocm93IHZhbGlkYXRpb25FcnJvcihgcHJvcGVydGllcyBpcyBub3QgdmFsaWQgSlNPTjogJHtyZWFzb259YCwgeyBmaWVsZDogXCJwcm9wZXJ0aWVzXCIgfSk7XG4gIH1cbiAgaWYgKHBhcnNlZCA9PT0gbnVsbCB8fCB0eXBlb2YgcGFyc2VkICE9PSBcIm9iamVjdFwiIHx8IEFycmF5LmlzQXJyYXkocGFyc2VkKSkge1xuICAgIHRocm93IHZhbGlkYXRpb25FcnJvcihcInByb3BlcnRpZXMgbXVzdCBiZSBhIEpTT04gb2JqZWN0XCIsIHsgZmllbGQ6IFwicHJvcGVydGllc1wiIH0pO1xuICB9XG4gIHJldHVybiBwYXJzZWQgYXMgUmVjb3JkPHN0cmluZywgdW5rbm93bj47XG59O1xuXG4vLyBUaGUgY2FsbGVyJ3MgQ29nbml0byBncm91cHMgZG8gbm90IGdyYW50IHRoZSByZXF1aXJlZCByb2xlXG5leHBvcnQgY29uc3QgZm9yYmlkZGVuRXJyb3IgPSAobWVzc2FnZTogc3RyaW5nLCBpbmZvPzogUmVjb3JkPHN0cmluZywgdW5rbm93bj4pID0+XG4gIG5ldyBHcmFwaEVycm9yKFwiRk9SQklEREVOXCIsIG1lc3NhZ2UsIGluZm8pO1xuXG5leHBvcnQgY29uc3Qgbm90Rm91bmRFcnJvciA9IChtZXNzYWdlOiBzdHJpbmcsIGluZm8/OiBSZWNvcmQ8c3RyaW5nLCB1bmtub3duPikgPT5cbiAgbmV3IEdyYXBoRXJyb3IoXCJOT1RfRk9VTkRcIiwgbWVzc2FnZSwgaW5mbyk7XG5cbi8vIFRoZSByZXF1ZXN0IGlzIHZhbGlkIGJ1dCBjbGFzaGVzIHdpdGggdGhlIGN1cnJlbnQgc3RhdGUgb2YgdGhlIGdyYXBoXG5leHBvcnQgY29uc3QgY29uZmxpY3RFcnJvciA9IChtZXNzYWdlOiBzdHJpbmcsIGluZm8/OiBSZWNvcmQ8c3RyaW5nLCB1bmtub3duPikgPT5cbiAgbmV3IEdyYXBoRXJyb3IoXCJDT05GTElDVFwiLCBtZXNzYWdlLCBpbmZvKTtcblxuZXhwb3J0IGludGVyZmFjZSBFcnJvclJlc3VsdCB7XG4gIGVycm9yOiB7XG4gICAgbWVzc2FnZTogc3RyaW5nO1xuICAgIHR5cGU6IEVycm9yQ29kZTtcbiAgICBpbmZvOiBSZWNvcmQ8c3RyaW5nLCB1bmtub3duPiB8IG51bGw7XG4gIH07XG59XG5cbi8vIE5ldHdvcmsgZmFpbHVyZXMgb2YgdGhlIEdyZW1saW4gd2Vic29ja2V0LCBlLmcuIHdoaWxlIHRoZSBjbHVzdGVyIGlzXG4vLyBzdG9wcGVkIG91dHNpZGUgYnVzaW5lc3MgaG91cnNcbmNvbnN0IENPTk5FQ1RJT05fRVJST1JfQ09ERVMgPSBbXG4gIFwiRUNPTk5SRUZVU0VEXCIsXG4gIFwiRUNPTk5SRVNFVFwiLFxuICBcIkVOT1RGT1VORFwiLFxuICBcIkVUSU1FRE9VVFwiLFxuICBcIkVBSV9BR0FJTlwiLFxuICBcIkVIT1NUVU5SRUFDSFwiLFxuXTtcbmNvbnN0IFVOQVZBSUxBQkxFX1BBVFRFUk4gPVxuICAvQ29ubmVjdGlvbiBjbG9zZWQgcHJlbWF0dXJlbHl8c29ja2V0IGhhbmcgdXB8VW5leHBlY3RlZCBzZXJ2ZXIgcmVzcG9uc2U6IDVcXGRcXGR8VGhyb3R0bGluZ0V4Y2VwdGlvbnxNZW1vcnlMaW1pdEV4Y2VlZGVkRXhjZXB0aW9ufFJlYWRPbmx5VmlvbGF0aW9uRXhjZXB0aW9uLztcblxuLy8gTmVwdHVuZSByZWplY3RzIGEgd3JpdGUgdGhhdCByYWNlZCBhbm90aGVyIHRyYW5zYWN0aW9uIG9yIHJldXNlcyBhbiBpZFxuY29uc3QgQ09ORkxJQ1RfUEFUVEVSTiA9XG4gIC9Db25jdXJyZW50TW9kaWZpY2F0aW9uRXhjZXB0aW9ufENvbnN0cmFpbnRWaW9sYXRpb25FeGNlcHRpb258YWxyZWFkeSBleGlzdHMvO1xuXG4vKiogQ2xhc3NpZmllcyBhIHRocm93biB2YWx1ZSBhbmQgc2hhcGVzIGl0IGFzIGEgcmVzb2x2ZXIgZXJyb3IgcmVzdWx0LiAqL1xuZXhwb3J0IGNvbnN0IHRvRXJyb3JSZXN1bHQgPSAoZXJyb3I6IHVua25vd24pOiBFcnJvclJlc3VsdCA9PiB7XG4gIGlmIChlcnJvciBpbnN0YW5jZW9mIEdyYXBoRXJyb3IpIHtcbiAgICByZXR1cm4ge1xuICAgICAgZXJyb3I6IHsgbWVzc2FnZTogZXJyb3IubWVzc2FnZSwgdHlwZTogZXJyb3IuY29kZSwgaW5mbzogZXJyb3IuaW5mbyA/PyBudWxsIH0sXG4gICAgfTtcbiAgfVxuICBjb25zdCBtZXNzYWdlID0gZXJyb3IgaW5zdGFuY2VvZiBFcnJvciA/IGVycm9yLm1lc3NhZ2UgOiBTdHJpbmcoZXJyb3IpO1xuICBjb25zdCBjb2RlID0gKGVycm9yIGFzIHsgY29kZT86IHVua25vd24gfSB8IG51bGwpPy5jb2RlO1xuICBsZXQgdHlwZTogRXJyb3JDb2RlID0gXCJJTlRFUk5BTFwiO1xuICBpZiAoQ09OTkVDVElPTl9FUlJPUl9DT0RFUy5pbmNsdWRlcyhTdHJpbmcoY29kZSkpIHx8IFVOQVZBSUxBQkxFX1BBVFRFUk4udGVzdChtZXNzYWdlKSkge1xuICAgIHR5cGUgPSBcIkNMVVNURVJfVU5BVkFJTEFCTEVcIjtcbiAgfSBlbHNlIGlmIChDT05GTElDVF9QQVRURVJOLnRlc3QobWVzc2FnZSkpIHtcbiAgICB0eXBlID0gXCJDT05GTElDVFwiO1xuICB9XG4gIHJldHVybiB7IGVycm9yOiB7IG1lc3NhZ2UsIHR5cGUsIGluZm86IG51bGwgfSB9O1xufTtcbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,104 @@
+import { FieldError, describeFieldErrors } from "./schemaRegistry";
+
+// Error model shared by the resolver Lambdas. A resolver returns
+// `{ error: { message, type, info } }` instead of its result, and the
+// response mapping template (responses/default.vtl) raises it as a GraphQL
+// error with `errorType` set to the code and `errorInfo` set to `info`.
+
+export type ErrorCode =
+  | "VALIDATION"
+  | "FORBIDDEN"
+  | "NOT_FOUND"
+  | "CONFLICT"
+  | "CLUSTER_UNAVAILABLE"
+  | "INTERNAL";
+
+export class GraphError extends Error {
+  constructor(
+    readonly code: ErrorCode,
+    message: string,
+    readonly info?: Record<string, unknown>
+  ) {
+    super(message);
+    this.name = "GraphError";
+  }
+}
+
+// The caller sent something the schema or a business rule rejects
+export const validationError = (message: string, info?: Record<string, unknown>) =>
+  new GraphError("VALIDATION", message, info);
+
+// Field-level schema errors; `info.fields` lets a form mark each field
+export const fieldValidationError = (errors: FieldError[], info?: Record<string, unknown>) =>
+  validationError(describeFieldErrors(errors), { ...info, fields: errors });
+
+// Parses a `properties` argument, a JSON object sent as a string. Malformed
+// JSON is the caller's mistake, so it is a VALIDATION error, not INTERNAL.
+export const parseProperties = (json: string | null | undefined): Record<string, unknown> => {
+  if (!json) return {};
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    const reason = error instanceof Error ? error.message : String(error);
+    throw validationError(`properties is not valid JSON: ${reason}`, { field: "properties" });
+  }
+  if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw validationError("properties must be a JSON object", { field: "properties" });
+  }
+  return parsed as Record<string, unknown>;
+};
+
+// The caller's Cognito groups do not grant the required role
+export const forbiddenError = (message: string, info?: Record<string, unknown>) =>
+  new GraphError("FORBIDDEN", message, info);
+
+export const notFoundError = (message: string, info?: Record<string, unknown>) =>
+  new GraphError("NOT_FOUND", message, info);
+
+// The request is valid but clashes with the current state of the graph
+export const conflictError = (message: string, info?: Record<string, unknown>) =>
+  new GraphError("CONFLICT", message, info);
+
+export interface ErrorResult {
+  error: {
+    message: string;
+    type: ErrorCode;
+    info: Record<string, unknown> | null;
+  };
+}
+
+// Network failures of the Gremlin websocket, e.g. while the cluster is
+// stopped outside business hours
+const CONNECTION_ERROR_CODES = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENOTFOUND",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+];
+const UNAVAILABLE_PATTERN =
+  /Connection closed prematurely|socket hang up|Unexpected server response: 5\d\d|ThrottlingException|MemoryLimitExceededException|ReadOnlyViolationException/;
+
+// Neptune rejects a write that raced another transaction or reuses an id
+const CONFLICT_PATTERN =
+  /ConcurrentModificationException|ConstraintViolationException|already exists/;
+
+/** Classifies a thrown value and shapes it as a resolver error result. */
+export const toErrorResult = (error: unknown): ErrorResult => {
+  if (error instanceof GraphError) {
+    return {
+      error: { message: error.message, type: error.code, info: error.info ?? null },
+    };
+  }
+  const message = error instanceof Error ? error.message : String(error);
+  const code = (error as { code?: unknown } | null)?.code;
+  let type: ErrorCode = "INTERNAL";
+  if (CONNECTION_ERROR_CODES.includes(String(code)) || UNAVAILABLE_PATTERN.test(message)) {
+    type = "CLUSTER_UNAVAILABLE";
+  } else if (CONFLICT_PATTERN.test(message)) {
+    type = "CONFLICT";
+  }
+  return { error: { message, type, info: null } };
+};
@@ -0,0 +1,23 @@
+export declare const VERTEX_LABELS: string[];
+export declare const EDGE_LABELS: string[];
+export declare const isVertexLabel: (label: string) => boolean;
+export declare const isEdgeLabel: (label: string) => boolean;
+export declare const AUDIT_LABEL = "AuditEvent";
+export declare const TOMBSTONE_PROPERTY = "deletedAt";
+export declare const DELETED_DIRECTLY_PROPERTY = "deletedDirectly";
+export declare const TOMBSTONE_KEYS: string[];
+export declare const DEFAULT_TOMBSTONE_RETENTION_DAYS = 30;
+export declare const tombstoneRetentionDays: () => number;
+export declare const purgeAfter: (deletedAt: string) => string;
+export declare const purgeCutoff: (now?: Date) => string;
+export declare const NATURAL_KEYS: Record<string, string[]>;
+export declare const IDEMPOTENCY_KEY_PROPERTY = "idempotencyKey";
+export declare const isInternalProperty: (key: string) => boolean;
+export declare const PROJECT_FIELDS: string[];
+export declare const PROJECT_TIERS: string[];
+export declare const DATA_CLASSIFICATIONS: string[];
+export declare const toPropertyList: (valueMap: any) => {
+    key: string;
+    value: string;
+}[];
+export declare const toPropertyRecord: (valueMap: any) => Record<string, string | number | boolean | (string | number | boolean)[]>;
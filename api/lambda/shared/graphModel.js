@@ -0,0 +1,106 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.toPropertyRecord = exports.toPropertyList = exports.DATA_CLASSIFICATIONS = exports.PROJECT_TIERS = exports.PROJECT_FIELDS = exports.isInternalProperty = exports.IDEMPOTENCY_KEY_PROPERTY = exports.NATURAL_KEYS = exports.purgeCutoff = exports.purgeAfter = exports.tombstoneRetentionDays = exports.DEFAULT_TOMBSTONE_RETENTION_DAYS = exports.TOMBSTONE_KEYS = exports.DELETED_DIRECTLY_PROPERTY = exports.TOMBSTONE_PROPERTY = exports.AUDIT_LABEL = exports.isEdgeLabel = exports.isVertexLabel = exports.EDGE_LABELS = exports.VERTEX_LABELS = void 0;
+const searchIndex_1 = require("./searchIndex");
+const schemaRegistry_1 = require("./schemaRegistry");
+// Vertex and edge labels the API is allowed to read and modify, as declared
+// in the schema registry
+exports.VERTEX_LABELS = Object.keys(schemaRegistry_1.VERTEX_SCHEMAS);
+exports.EDGE_LABELS = Object.keys(schemaRegistry_1.EDGE_SCHEMAS);
+const isVertexLabel = (label) => exports.VERTEX_LABELS.includes(label);
+exports.isVertexLabel = isVertexLabel;
+const isEdgeLabel = (label) => exports.EDGE_LABELS.includes(label);
+exports.isEdgeLabel = isEdgeLabel;
+// Label of the audit records written by every mutation; they are not part
+// of the modelled graph and have no edges
+exports.AUDIT_LABEL = "AuditEvent";
+// Deleting a vertex tombstones it and its incident edges instead of
+// dropping them: deletedAt (ISO-8601) and deletedBy are set, and every read
+// skips elements that have deletedAt. restoreVertex clears the tombstone
+// until the retention window ends; the purge Lambda then drops it for good.
+// deleteEdge tombstones the edge alone and marks it deletedDirectly, so
+// restoring one of its vertices leaves it deleted until restoreEdge.
+exports.TOMBSTONE_PROPERTY = "deletedAt";
+exports.DELETED_DIRECTLY_PROPERTY = "deletedDirectly";
+exports.TOMBSTONE_KEYS = [exports.TOMBSTONE_PROPERTY, "deletedBy", exports.DELETED_DIRECTLY_PROPERTY];
+exports.DEFAULT_TOMBSTONE_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// TOMBSTONE_RETENTION_DAYS is set on every Lambda by the Api construct
+const tombstoneRetentionDays = () => {
+    const days = Number(process.env.TOMBSTONE_RETENTION_DAYS);
+    return Number.isFinite(days) && days > 0 ? days : exports.DEFAULT_TOMBSTONE_RETENTION_DAYS;
+};
+exports.tombstoneRetentionDays = tombstoneRetentionDays;
+// When a tombstone deleted at `deletedAt` becomes due for purging
+const purgeAfter = (deletedAt) => new Date(new Date(deletedAt).getTime() + (0, exports.tombstoneRetentionDays)() * DAY_MS).toISOString();
+exports.purgeAfter = purgeAfter;
+// Tombstones with a deletedAt at or before this instant are due for purging
+const purgeCutoff = (now = new Date()) => new Date(now.getTime() - (0, exports.tombstoneRetentionDays)() * DAY_MS).toISOString();
+exports.purgeCutoff = purgeCutoff;
+// Natural keys matched by upsert mode, tried in order: an Asset is matched
+// on vin when given, else on hullId. Labels without one (e.g. Entity) can
+// only be upserted with an idempotency key.
+exports.NATURAL_KEYS = {
+    Asset: ["vin", "hullId"],
+    Job: ["roNumber"],
+    Part: ["partId"],
+    Account: ["Account_Id"],
+};
+// Property holding the client-supplied idempotency key of an upserted vertex
+exports.IDEMPOTENCY_KEY_PROPERTY = "idempotencyKey";
+// Bookkeeping properties left out of API responses and exports: the search_*
+// shadows, rebuilt from the fields they mirror, and idempotency keys
+const isInternalProperty = (key) => (0, searchIndex_1.isSearchProperty)(key) || key === exports.IDEMPOTENCY_KEY_PROPERTY;
+exports.isInternalProperty = isInternalProperty;
+// Project_Data properties editable through createProject/updateProject
+exports.PROJECT_FIELDS = [
+    "projectName",
+    "DepartmentNumber",
+    "DataClassification",
+    "Team",
+    "OwnerGroup",
+    "Recovery",
+    "Tier",
+];
+exports.PROJECT_TIERS = ["1", "2", "3", "4"];
+exports.DATA_CLASSIFICATIONS = [
+    "Public",
+    "Internal",
+    "Confidential",
+    "Restricted",
+];
+// Flattens a valueMap() result into key/value pairs, hiding search shadows
+// and idempotency keys
+const toPropertyList = (valueMap) => {
+    const properties = [];
+    const entries = valueMap instanceof Map ? Array.from(valueMap.entries()) : Object.entries(valueMap);
+    for (const [key, val] of entries) {
+        if ((0, exports.isInternalProperty)(String(key)))
+            continue;
+        const propValue = Array.isArray(val) ? String(val[0]) : String(val);
+        if (propValue !== undefined && propValue !== 'undefined' && propValue !== '') {
+            properties.push({ key: String(key), value: propValue });
+        }
+    }
+    return properties;
+};
+exports.toPropertyList = toPropertyList;
+// Like toPropertyList, but keeps value types and every value of a
+// multi-valued property, for exportSubgraph
+const toPropertyRecord = (valueMap) => {
+    const properties = {};
+    const entries = valueMap instanceof Map ? Array.from(valueMap.entries()) : Object.entries(valueMap ?? {});
+    for (const [key, val] of entries) {
+        if ((0, exports.isInternalProperty)(String(key)))
+            continue;
+        const values = (Array.isArray(val) ? val : [val])
+            .filter((v) => v !== undefined && v !== null && v !== '')
+            .map((v) => v instanceof Date ? v.toISOString() : typeof v === 'number' || typeof v === 'boolean' ? v : String(v));
+        if (values.length === 0)
+            continue;
+        properties[String(key)] = values.length === 1 ? values[0] : values;
+    }
+    return properties;
+};
+exports.toPropertyRecord = toPropertyRecord;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZ3JhcGhNb2RlbC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImdyYXBoTW9kZWwudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBQUEsK0NBQWlEO0FBQ2pELHFEQUFnRTtBQUVoRSw0RUFBNEU7QUFDNUUseUJBQXlCO0FBQ1osUUFBQSxhQUFhLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQywrQkFBYyxDQUFDLENBQUM7QUFFNUMsUUFBQSxXQUFXLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyw2QkFBWSxDQUFDLENBQUM7QUFFOUMsTUFBTSxhQUFhLEdBQUcsQ0FBQyxLQUFhLEVBQVcsRUFBRSxDQUN0RCxxQkFBYSxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQztBQURuQixRQUFBLGFBQWEsaUJBQ007QUFFekIsTUFBTSxXQUFXLEdBQUcsQ0FBQyxLQUFhLEVBQVcsRUFBRSxDQUNwRCxtQkFBVyxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQztBQURqQixRQUFBLFdBQVcsZUFDTTtBQUU5QiwwRUFBMEU7QUFDMUUsMENBQTBDO0FBQzdCLFFBQUEsV0FBVyxHQUFHLFlBQVksQ0FBQztBQUV4QyxvRUFBb0U7QUFDcEUsNEVBQTRFO0FBQzVFLHlFQUF5RTtBQUN6RSw0RUFBNEU7QUFDNUUsd0VBQXdFO0FBQ3hFLHFFQUFxRTtBQUN4RCxRQUFBLGtCQUFrQixHQUFHLFdBQVcsQ0FBQztBQUNqQyxRQUFBLHlCQUF5QixHQUFHLGlCQUFpQixDQUFDO0FBQzlDLFFBQUEsY0FBYyxHQUFHLENBQUMsMEJBQWtCLEVBQUUsV0FBVyxFQUFFLGlDQUF5QixDQUFDLENBQUM7QUFDOUUsUUFBQSxnQ0FBZ0MsR0FBRyxFQUFFLENBQUM7QUFFbkQsTUFBTSxNQUFNLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsSUFBSSxDQUFDO0FBRW5DLHVFQUF1RTtBQUNoRSxNQUFNLHNCQUFzQixHQUFHLEdBQVcsRUFBRTtJQUNqRCxNQUFNLElBQUksR0FBRyxNQUFNLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyx3QkFBd0IsQ0FBQyxDQUFDO0lBQzFELE9BQU8sTUFBTSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsSUFBSSxJQUFJLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLHdDQUFnQyxDQUFDO0FBQ3JGLENBQUMsQ0FBQztBQUhXLFFBQUEsc0JBQXNCLDBCQUdqQztBQUVGLGtFQUFrRTtBQUMzRCxNQUFNLFVBQVUsR0FBRyxDQUFDLFNBQWlCLEVBQVUsRUFBRSxDQUN0RCxJQUFJLElBQUksQ0FBQyxJQUFJLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxPQUFPLEVBQUUsR0FBRyxJQUFBLDhCQUFzQixHQUFFLEdBQUcsTUFBTSxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7QUFEL0UsUUFBQSxVQUFVLGNBQ3FFO0FBRTVGLDRFQUE0RTtBQUNyRSxNQUFNLFdBQVcsR0FBRyxDQUFDLE1BQVksSUFBSSxJQUFJLEVBQUUsRUFBVSxFQUFFLENBQzVELElBQUksSUFBSSxDQUFDLEdBQUcsQ0FBQyxPQUFPLEVBQUUsR0FBRyxJQUFBLDhCQUFzQixHQUFFLEdBQUcsTUFBTSxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7QUFEL0QsUUFBQSxXQUFXLGVBQ29EO0FBRTVFLDJFQUEyRTtBQUMzRSwwRUFBMEU7QUFDMUUsNENBQTRDO0FBQy9CLFFBQUEsWUFBWSxHQUE2QjtJQUNwRCxLQUFLLEVBQUUsQ0FBQyxLQUFLLEVBQUUsUUFBUSxDQUFDO0lBQ3hCLEdBQUcsRUFBRSxDQUFDLFVBQVUsQ0FBQztJQUNqQixJQUFJLEVBQUUsQ0FBQyxRQUFRLENBQUM7SUFDaEIsT0FBTyxFQUFFLENBQUMsWUFBWSxDQUFDO0NBQ3hCLENBQUM7QUFFRiw2RUFBNkU7QUFDaEUsUUFBQSx3QkFBd0IsR0FBRyxnQkFBZ0IsQ0FBQztBQUV6RCw2RUFBNkU7QUFDN0UscUVBQXFFO0FBQzlELE1BQU0sa0JBQWtCLEdBQUcsQ0FBQyxHQUFXLEVBQVcsRUFBRSxDQUN6RCxJQUFBLDhCQUFnQixFQUFDLEdBQUcsQ0FBQyxJQUFJLEdBQUcsS0FBSyxnQ0FBd0IsQ0FBQztBQUQvQyxRQUFBLGtCQUFrQixzQkFDNkI7QUFFNUQsdUVBQXVFO0FBQzFELFFBQUEsY0FBYyxHQUFHO0lBQzVCLGFBQWE7SUFDYixrQkFBa0I7SUFDbEIsb0JBQW9CO0lBQ3BCLE1BQU07SUFDTixZQUFZO0lBQ1osVUFBVTtJQUNWLE1BQU07Q0FDUCxDQUFDO0FBRVcsUUFBQSxhQUFhLEdBQUcsQ0FBQyxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLENBQUMsQ0FBQztBQUVyQyxRQUFBLG9CQUFvQixHQUFHO0lBQ2xDLFFBQVE7SUFDUixVQUFVO0lBQ1YsY0FBYztJQUNkLFlBQVk7Q0FDYixDQUFDO0FBRUYsMkVBQTJFO0FBQzNFLHVCQUF1QjtBQUNoQixNQUFNLGNBQWMsR0FBRyxDQUFDLFFBQWEsRUFBRSxFQUFFO0lBQzlDLE1BQU0sVUFBVSxHQUEwQyxFQUFFLENBQUM7SUFDN0QsTUFBTSxPQUFPLEdBQUcsUUFBUSxZQUFZLEdBQUcsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUNwRyxLQUFLLE1BQU0sQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLElBQUksT0FBTyxFQUFFLENBQUM7UUFDakMsSUFBSSxJQUFBLDBCQUFrQixFQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUFFLFNBQVM7UUFDOUMsTUFBTSxTQUFTLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDcEUsSUFBSSxTQUFTLEtBQUssU0FBUyxJQUFJLFNBQVMsS0FBSyxXQUFXLElBQUksU0FBUyxLQUFLLEVBQUUsRUFBRSxDQUFDO1lBQzdFLFVBQVUsQ0FBQyxJQUFJLENBQUMsRUFBRSxHQUFHLEVBQUUsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLEtBQUssRUFBRSxTQUFTLEVBQUUsQ0FBQyxDQUFDO1FBQzFELENBQUM7SUFDSCxDQUFDO0lBQ0QsT0FBTyxVQUFVLENBQUM7QUFDcEIsQ0FBQyxDQUFDO0FBWFcsUUFBQSxjQUFjLGtCQVd6QjtBQUVGLGtFQUFrRTtBQUNsRSw0Q0FBNEM7QUFDckMsTUFBTSxnQkFBZ0IsR0FBRyxDQUFDLFFBQWEsRUFBRSxFQUFFO0lBQ2hELE1BQU0sVUFBVSxHQUFpRixFQUFFLENBQUM7SUFDcEcsTUFBTSxPQUFPLEdBQUcsUUFBUSxZQUFZLEdBQUcsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxRQUFRLElBQUksRUFBRSxDQUFDLENBQUM7SUFDMUcsS0FBSyxNQUFNLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQyxJQUFJLE9BQU8sRUFBRSxDQUFDO1FBQ2pDLElBQUksSUFBQSwwQkFBa0IsRUFBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7WUFBRSxTQUFTO1FBQzlDLE1BQU0sTUFBTSxHQUFHLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDO2FBQzlDLE1BQU0sQ0FBQyxDQUFDLENBQVUsRUFBRSxFQUFFLENBQUMsQ0FBQyxLQUFLLFNBQVMsSUFBSSxDQUFDLEtBQUssSUFBSSxJQUFJLENBQUMsS0FBSyxFQUFFLENBQUM7YUFDakUsR0FBRyxDQUFDLENBQUMsQ0FBVSxFQUFFLEVBQUUsQ0FDbEIsQ0FBQyxZQUFZLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsS0FBSyxRQUFRLElBQUksT0FBTyxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FDdEcsQ0FBQztRQUNKLElBQUksTUFBTSxDQUFDLE1BQU0sS0FBSyxDQUFDO1lBQUUsU0FBUztRQUNsQyxVQUFVLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDO0lBQ3JFLENBQUM7SUFDRCxPQUFPLFVBQVUsQ0FBQztBQUNwQixDQUFDLENBQUM7QUFkVyxRQUFBLGdCQUFnQixvQkFjM0IiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyBpc1NlYXJjaFByb3BlcnR5IH0gZnJvbSBcIi4vc2VhcmNoSW5kZXhcIjtcbmltcG9ydCB7IEVER0VfU0NIRU1BUywgVkVSVEVYX1NDSEVNQVMgfSBmcm9tIFwiLi9zY2hlbWFSZWdpc3RyeVwiO1xuXG4vLyBWZXJ0ZXggYW5kIGVkZ2UgbGFiZWxzIHRoZSBBUEkgaXMgYWxsb3dlZCB0byByZWFkIGFuZCBtb2RpZnksIGFzIGRlY2xhcmVkXG4vLyBpbiB0aGUgc2NoZW1hIHJlZ2lzdHJ5XG5leHBvcnQgY29uc3QgVkVSVEVYX0xBQkVMUyA9IE9iamVjdC5rZXlzKFZFUlRFWF9TQ0hFTUFTKTtcblxuZXhwb3J0IGNvbnN0IEVER0VfTEFCRUxTID0gT2JqZWN0LmtleXMoRURHRV9TQ0hFTUFTKTtcblxuZXhwb3J0IGNvbnN0IGlzVmVydGV4TGFiZWwgPSAobGFiZWw6IHN0cmluZyk6IGJvb2xlYW4gPT5cbiAgVkVSVEVYX0xBQkVMUy5pbmNsdWRlcyhsYWJlbCk7XG5cbmV4cG9ydCBjb25zdCBpc0VkZ2VMYWJlbCA9IChsYWJlbDogc3RyaW5nKTogYm9vbGVhbiA9PlxuICBFREdFX0xBQkVMUy5pbmNsdWRlcyhsYWJlbCk7XG5cbi8vIExhYmVsIG9mIHRoZSBhdWRpdCByZWNvcmRzIHdyaXR0ZW4gYnkgZXZlcnkgbXV0YXRpb247IHRoZXkgYXJlIG5vdCBwYXJ0XG4vLyBvZiB0aGUgbW9kZWxsZWQgZ3JhcGggYW5kIGhhdmUgbm8gZWRnZXNcbmV4cG9ydCBjb25zdCBBVURJVF9MQUJFTCA9IFwiQXVkaXRFdmVudFwiO1xuXG4vLyBEZWxldGluZyBhIHZlcnRleCB0b21ic3RvbmVzIGl0IGFuZCBpdHMgaW5jaWRlbnQgZWRnZXMgaW5zdGVhZCBvZlxuLy8gZHJvcHBpbmcgdGhlbTogZGVsZXRlZEF0IChJU08tODYwMSkgYW5kIGRlbGV0ZWRCeSBhcmUgc2V0LCBhbmQgZXZlcnkgcmVhZFxuLy8gc2tpcHMgZWxlbWVudHMgdGhhdCBoYXZlIGRlbGV0ZWRBdC4gcmVzdG9yZVZlcnRleCBjbGVhcnMgdGhlIHRvbWJzdG9uZVxuLy8gdW50aWwgdGhlIHJldGVudGlvbiB3aW5kb3cgZW5kczsgdGhlIHB1cmdlIExhbWJkYSB0aGVuIGRyb3BzIGl0IGZvciBnb29kLlxuLy8gZGVsZXRlRWRnZSB0b21ic3RvbmVzIHRoZSBlZGdlIGFsb25lIGFuZCBtYXJrcyBpdCBkZWxldGVkRGlyZWN0bHksIHNvXG4vLyByZXN0b3Jpbmcgb25lIG9mIGl0cyB2ZXJ0aWNlcyBsZWF2ZXMgaXQgZGVsZXRlZCB1bnRpbCByZXN0b3JlRWRnZS5cbmV4cG9ydCBjb25zdCBUT01CU1RPTkVfUFJPUEVSVFkgPSBcImRlbGV0ZWRBdFwiO1xuZXhwb3J0IGNvbnN0IERFTEVURURfRElSRUNUTFlfUFJPUEVSVFkgPSBcImRlbGV0ZWREaXJlY3RseVwiO1xuZXhwb3J0IGNvbnN0IFRPTUJTVE9ORV9LRVlTID0gW1RPTUJTVE9ORV9QUk9QRVJUWSwgXCJkZWxldGVkQnlcIiwgREVMRVRFRF9ESVJFQ1RMWV9QUk9QRVJUWV07XG5leHBvcnQgY29uc3QgREVGQVVMVF9UT01CU1RPTkVfUkVURU5USU9OX0RBWVMgPSAzMDtcblxuY29uc3QgREFZX01TID0gMjQgKiA2MCAqIDYwICogMTAwMDtcblxuLy8gVE9NQlNUT05FX1JFVEVOVElPTl9EQVlTIGlzIHNldCBvbiBldmVyeSBMYW1iZGEgYnkgdGhlIEFwaSBjb25zdHJ1Y3RcbmV4cG9ydCBjb25zdCB0b21ic3RvbmVSZXRlbnRpb25EYXlzID0gKCk6IG51bWJlciA9PiB7XG4gIGNvbnN0IGRheXMgPSBOdW1iZXIocHJvY2Vzcy5lbnYuVE9NQlNUT05FX1JFVEVOVElPTl9EQVlTKTtcbiAgcmV0dXJuIE51bWJlci5pc0Zpbml0ZShkYXlzKSAmJiBkYXlzID4gMCA/IGRheXMgOiBERUZBVUxUX1RPTUJTVE9ORV9SRVRFTlRJT05fREFZUztcbn07XG5cbi8vIFdoZW4gYSB0b21ic3RvbmUgZGVsZXRlZCBhdCBgZGVsZXRlZEF0YCBiZWNvbWVzIGR1ZSBmb3IgcHVyZ2luZ1xuZXhwb3J0IGNvbnN0IHB1cmdlQWZ0ZXIgPSAoZGVsZXRlZEF0OiBzdHJpbmcpOiBzdHJpbmcgPT5cbiAgbmV3IERhdGUobmV3IERhdGUoZGVsZXRlZEF0KS5nZXRUaW1lKCkgKyB0b21ic3RvbmVSZXRlbnRpb25EYXlzKCkgKiBEQVlfTVMpLnRvSVNPU3RyaW5nKCk7XG5cbi8vIFRvbWJzdG9uZXMgd2l0aCBhIGRlbGV0ZWRBdCBhdCBvciBiZWZvcmUgdGhpcyBpbnN0YW50IGFyZSBkdWUgZm9yIHB1cmdpbmdcbmV4cG9ydCBjb25zdCBwdXJnZUN1dG9mZiA9IChub3c6IERhdGUgPSBuZXcgRGF0ZSgpKTogc3RyaW5nID0+XG4gIG5ldyBEYXRlKG5vdy5nZXRUaW1lKCkgLSB0b21ic3RvbmVSZXRlbnRpb25EYXlzKCkgKiBEQVlfTVMpLnRvSVNPU3RyaW5nKCk7XG5cbi8vIE5hdHVyYWwga2V5cyBtYXRjaGVkIGJ5IHVwc2VydCBtb2RlLCB0cmllZCBpbiBvcmRlcjogYW4gQXNzZXQgaXMgbWF0Y2hlZFxuLy8gb24gdmluIHdoZW4gZ2l2ZW4sIGVsc2Ugb24gaHVsbElkLiBMYWJlbHMgd2l0aG91dCBvbmUgKGUuZy4gRW50aXR5KSBjYW5cbi8vIG9ubHkgYmUgdXBzZXJ0ZWQgd2l0aCBhbiBpZGVtcG90ZW5jeSBrZXkuXG5leHBvcnQgY29uc3QgTkFUVVJBTF9LRVlTOiBSZWNvcmQ8c3RyaW5nLCBzdHJpbmdbXT4gPSB7XG4gIEFzc2V0OiBbXCJ2aW5cIiwgXCJodWxsSWRcIl0sXG4gIEpvYjogW1wicm9OdW1iZXJcIl0sXG4gIFBhcnQ6IFtcInBhcnRJZFwiXSxcbiAgQWNjb3VudDogW1wiQWNjb3VudF9JZFwiXSxcbn07XG5cbi8vIFByb3BlcnR5IGhvbGRpbmcgdGhlIGNsaWVudC1zdXBwbGllZCBpZGVtcG90ZW5jeSBrZXkgb2YgYW4gdXBzZXJ0ZWQgdmVydGV4XG5leHBvcnQgY29uc3QgSURFTVBPVEVOQ1lfS0VZX1BST1BFUlRZID0gXCJpZGVtcG90ZW5jeUtleVwiO1xuXG4vLyBCb29ra2VlcGluZyBwcm9wZXJ0aWVzIGxlZnQgb3V0IG9mIEFQSSByZXNwb25zZXMgYW5kIGV4cG9ydHM6IHRoZSBzZWFyY2hfKlxuLy8gc2hhZG93cywgcmVidWlsdCBmcm9tIHRoZSBmaWVsZHMgdGhleSBtaXJyb3IsIGFuZCBpZGVtcG90ZW5jeSBrZXlzXG5leHBvcnQgY29uc3QgaXNJbnRlcm5hbFByb3BlcnR5ID0gKGtleTogc3RyaW5nKTogYm9vbGVhbiA9PlxuICBpc1NlYXJjaFByb3BlcnR5KGtleSkgfHwga2V5ID09PSBJREVNUE9URU5DWV9LRVlfUFJPUEVSVFk7XG5cbi8vIFByb2plY3RfRGF0YSBwcm9wZXJ0aWVzIGVkaXRhYmxlIHRocm91Z2ggY3JlYXRlUHJvamVjdC91cGRhdGVQcm9qZWN0XG5leHBvcnQgY29uc3QgUFJPSkVDVF9GSUVMRFMgPSBbXG4gIFwicHJvamVjdE5hbWVcIixcbiAgXCJEZXBhcnRtZW50TnVtYmVyXCIsXG4gIFwiRGF0YUNsYXNzaWZpY2F0aW9uXCIsXG4gIFwiVGVhbVwiLFxuICBcIk93bmVyR3JvdXBcIixcbiAgXCJSZWNvdmVyeVwiLFxuICBcIlRpZXJcIixcbl07XG5cbmV4cG9ydCBjb25zdCBQUk9KRUNUX1RJRVJTID0gW1wiMVwiLCBcIjJcIiwgXCIzXCIsIFwiNFwiXTtcblxuZXhwb3J0IGNvbnN0IERBVEFfQ0xBU1NJRklDQVRJT05TID0gW1xuICBcIlB1YmxpY1wiLFxuICBcIkludGVybmFsXCIsXG4gIFwiQ29uZmlkZW50aWFsXCIsXG4gIFwiUmVzdHJpY3RlZFwiLFxuXTtcblxuLy8gRmxhdHRlbnMgYSB2YWx1ZU1hcCgpIHJlc3VsdCBpbnRvIGtleS92YWx1ZSBwYWlycywgaGlkaW5nIHNlYXJjaCBzaGFkb3dzXG4vLyBhbmQgaWRlbXBvdGVuY3kga2V5c1xuZXhwb3J0IGNvbnN0IHRvUHJvcGVydHlMaXN0ID0gKHZhbHVlTWFwOiBhbnkpID0+IHtcbiAgY29uc3QgcHJvcGVydGllczogQXJyYXk8eyBrZXk6IHN0cmluZzsgdmFsdWU6IHN0cmluZyB9PiA9IFtdO1xuICBjb25zdCBlbnRyaWVzID0gdmFsdWVNYXAgaW5zdGFuY2VvZiBNYXAgPyBBcnJheS5mcm9tKHZhbHVlTWFwLmVudHJpZXMoKSkgOiBPYmplY3QuZW50cmllcyh2YWx1ZU1hcCk7XG4gIGZvciAoY29uc3QgW2tleSwgdmFsXSBvZiBlbnRyaWVzKSB7XG4gICAgaWYgKGlzSW50ZXJuYWxQcm9wZXJ0eShTdHJpbmcoa2V5KSkpIGNvbnRpbnVlO1xuICAgIGNvbnN0IHByb3BWYWx1ZSA9IEFycmF5LmlzQXJyYXkodmFsKSA/IFN0cmluZyh2YWxbMF0pIDogU3RyaW5nKHZhbCk7XG4gICAgaWYgKHByb3BWYWx1ZSAhPT0gdW5kZWZpbmVkICYmIHByb3BWYWx1ZSAhPT0gJ3VuZGVmaW5lZCcgJiYgcHJvcFZhbHVlICE9PSAnJykge1xuICAgICAgcHJvcGVydGllcy5wdXNoKHsga2V5OiBTdHJpbmcoa2V5KSwgdmFsdWU6IHByb3BWYWx1ZSB9KTtcbiAgICB9XG4gIH1cbiAgcmV0dXJuIHByb3BlcnRpZXM7XG59O1xuXG4vLyBMaWtlIHRvUHJvcGVydHlMaXN0LCBidXQga2VlcHMgdmFsdWUgdHlwZXMgYW5kIGV2ZXJ5IHZhbHVlIG9mIGFcbi8vIG11bHRpLXZhbHVlZCBwcm9wZXJ0eSwgZm9yIGV4cG9ydFN1YmdyYXBoXG5leHBvcnQgY29uc3QgdG9Qcm9wZXJ0eVJlY29yZCA9ICh2YWx1ZU1hcDogYW55KSA9PiB7XG4gIGNvbnN0IHByb3BlcnRpZXM6IFJlY29yZDxzdHJpbmcsIHN0cmluZyB8IG51bWJlciB8IGJvb2xlYW4gfCBBcnJheTxzdHJpbmcgfCBudW1iZXIgfCBib29sZWFuPj4gPSB7fTtcbiAgY29uc3QgZW50cmllcyA9IHZhbHVlTWFwIGluc3RhbmNlb2YgTWFwID8gQXJyYXkuZnJvbSh2YWx1ZU1hcC5lbnRyaWVzKCkpIDogT2JqZWN0LmVudHJpZXModmFsdWVNYXAgPz8ge30pO1xuICBmb3IgKGNvbnN0IFtrZXksIHZhbF0gb2YgZW50cmllcykge1xuICAgIGlmIChpc0ludGVybmFsUHJvcGVydHkoU3RyaW5nKGtleSkpKSBjb250aW51ZTtcbiAgICBjb25zdCB2YWx1ZXMgPSAoQXJyYXkuaXNBcnJheSh2YWwpID8gdmFsIDogW3ZhbF0pXG4gICAgICAuZmlsdGVyKCh2OiB1bmtub3duKSA9PiB2ICE9PSB1bmRlZmluZWQgJiYgdiAhPT0gbnVsbCAmJiB2ICE9PSAnJylcbiAgICAgIC5tYXAoKHY6IHVua25vd24pID0+XG4gICAgICAgIHYgaW5zdGFuY2VvZiBEYXRlID8gdi50b0lTT1N0cmluZygpIDogdHlwZW9mIHYgPT09ICdudW1iZXInIHx8IHR5cGVvZiB2ID09PSAnYm9vbGVhbicgPyB2IDogU3RyaW5nKHYpXG4gICAgICApO1xuICAgIGlmICh2YWx1ZXMubGVuZ3RoID09PSAwKSBjb250aW51ZTtcbiAgICBwcm9wZXJ0aWVzW1N0cmluZyhrZXkpXSA9IHZhbHVlcy5sZW5ndGggPT09IDEgPyB2YWx1ZXNbMF0gOiB2YWx1ZXM7XG4gIH1cbiAgcmV0dXJuIHByb3BlcnRpZXM7XG59O1xuIl19
\ No newline at end of file
@@ -0,0 +1,116 @@
+import { isSearchProperty } from "./searchIndex";
+import { EDGE_SCHEMAS, VERTEX_SCHEMAS } from "./schemaRegistry";
+
+// Vertex and edge labels the API is allowed to read and modify, as declared
+// in the schema registry
+export const VERTEX_LABELS = Object.keys(VERTEX_SCHEMAS);
+
+export const EDGE_LABELS = Object.keys(EDGE_SCHEMAS);
+
+export const isVertexLabel = (label: string): boolean =>
+  VERTEX_LABELS.includes(label);
+
+export const isEdgeLabel = (label: string): boolean =>
+  EDGE_LABELS.includes(label);
+
+// Label of the audit records written by every mutation; they are not part
+// of the modelled graph and have no edges
+export const AUDIT_LABEL = "AuditEvent";
+
+// Deleting a vertex tombstones it and its incident edges instead of
+// dropping them: deletedAt (ISO-8601) and deletedBy are set, and every read
+// skips elements that have deletedAt. restoreVertex clears the tombstone
+// until the retention window ends; the purge Lambda then drops it for good.
+// deleteEdge tombstones the edge alone and marks it deletedDirectly, so
+// restoring one of its vertices leaves it deleted until restoreEdge.
+export const TOMBSTONE_PROPERTY = "deletedAt";
+export const DELETED_DIRECTLY_PROPERTY = "deletedDirectly";
+export const TOMBSTONE_KEYS = [TOMBSTONE_PROPERTY, "deletedBy", DELETED_DIRECTLY_PROPERTY];
+export const DEFAULT_TOMBSTONE_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// TOMBSTONE_RETENTION_DAYS is set on every Lambda by the Api construct
+export const tombstoneRetentionDays = (): number => {
+  const days = Number(process.env.TOMBSTONE_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_TOMBSTONE_RETENTION_DAYS;
+};
+
+// When a tombstone deleted at `deletedAt` becomes due for purging
+export const purgeAfter = (deletedAt: string): string =>
+  new Date(new Date(deletedAt).getTime() + tombstoneRetentionDays() * DAY_MS).toISOString();
+
+// Tombstones with a deletedAt at or before this instant are due for purging
+export const purgeCutoff = (now: Date = new Date()): string =>
+  new Date(now.getTime() - tombstoneRetentionDays() * DAY_MS).toISOString();
+
+// Natural keys matched by upsert mode, tried in order: an Asset is matched
+// on vin when given, else on hullId. Labels without one (e.g. Entity) can
+// only be upserted with an idempotency key.
+export const NATURAL_KEYS: Record<string, string[]> = {
+  Asset: ["vin", "hullId"],
+  Job: ["roNumber"],
+  Part: ["partId"],
+  Account: ["Account_Id"],
+};
+
+// Property holding the client-supplied idempotency key of an upserted vertex
+export const IDEMPOTENCY_KEY_PROPERTY = "idempotencyKey";
+
+// Bookkeeping properties left out of API responses and exports: the search_*
+// shadows, rebuilt from the fields they mirror, and idempotency keys
+export const isInternalProperty = (key: string): boolean =>
+  isSearchProperty(key) || key === IDEMPOTENCY_KEY_PROPERTY;
+
+// Project_Data properties editable through createProject/updateProject
+export const PROJECT_FIELDS = [
+  "projectName",
+  "DepartmentNumber",
+  "DataClassification",
+  "Team",
+  "OwnerGroup",
+  "Recovery",
+  "Tier",
+];
+
+export const PROJECT_TIERS = ["1", "2", "3", "4"];
+
+export const DATA_CLASSIFICATIONS = [
+  "Public",
+  "Internal",
+  "Confidential",
+  "Restricted",
+];
+
+// Flattens a valueMap() result into key/value pairs, hiding search shadows
+// and idempotency keys
+export const toPropertyList = (valueMap: any) => {
+  const properties: Array<{ key: string; value: string }> = [];
+  const entries = valueMap instanceof Map ? Array.from(valueMap.entries()) : Object.entries(valueMap);
+  for (const [key, val] of entries) {
+    if (isInternalProperty(String(key))) continue;
+    const propValue = Array.isArray(val) ? String(val[0]) : String(val);
+    if (propValue !== undefined && propValue !== 'undefined' && propValue !== '') {
+      properties.push({ key: String(key), value: propValue });
+    }
+  }
+  return properties;
+};
+
+// Like toPropertyList, but keeps value types and every value of a
+// multi-valued property, for exportSubgraph
+export const toPropertyRecord = (valueMap: any) => {
+  const properties: Record<string, string | number | boolean | Array<string | number | boolean>> = {};
+  const entries = valueMap instanceof Map ? Array.from(valueMap.entries()) : Object.entries(valueMap ?? {});
+  for (const [key, val] of entries) {
+    if (isInternalProperty(String(key))) continue;
+    const values = (Array.isArray(val) ? val : [val])
+      .filter((v: unknown) => v !== undefined && v !== null && v !== '')
+      .map((v: unknown) =>
+        v instanceof Date ? v.toISOString() : typeof v === 'number' || typeof v === 'boolean' ? v : String(v)
+      );
+    if (values.length === 0) continue;
+    properties[String(key)] = values.length === 1 ? values[0] : values;
+  }
+  return properties;
+};
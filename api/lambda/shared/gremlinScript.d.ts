@@ -0,0 +1,2 @@
+export declare function validateGremlinQuery(queryString: string): void;
+export declare function subgraphStrategy(hidden: string[]): string;
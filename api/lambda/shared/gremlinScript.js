@@ -0,0 +1,83 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.subgraphStrategy = exports.validateGremlinQuery = void 0;
+const graphModel_1 = require("./graphModel");
+// Checks and strategy for the free-form Gremlin the aiQuery chatbot runs as
+// a script after "g."
+// Gremlin steps that mutate the graph — these are not allowed in read-only
+// mode. call() runs provider services, some of which write.
+const MUTATION_PATTERN = /\b(addV|addE|addVertex|addEdge|mergeV|mergeE|drop|property|iterate|sideEffect|inject|call)\s*\(/i;
+// The steps are checked on the query with its string literals blanked, so
+// a quoted value such as 'Acme g.co' is not read as a step. Only plain
+// '...' and "..." literals are blanked: Groovy reads triple-quoted,
+// interpolated and slashy strings and comments differently from a quote
+// scan, so those are refused rather than guessed at.
+function blankStringLiterals(queryString) {
+    let steps = "";
+    let i = 0;
+    while (i < queryString.length) {
+        const c = queryString[i];
+        if (c === "/") {
+            throw new Error("Query may not contain comments, slashy strings or division");
+        }
+        if (c !== "'" && c !== '"') {
+            steps += c;
+            i++;
+            continue;
+        }
+        if (queryString.startsWith(c.repeat(3), i)) {
+            throw new Error("Query may not contain triple-quoted strings");
+        }
+        let end = i + 1;
+        while (end < queryString.length && queryString[end] !== c) {
+            end += queryString[end] === "\\" ? 2 : 1;
+        }
+        if (end >= queryString.length) {
+            throw new Error("Query contains an unterminated string");
+        }
+        if (c === '"' && queryString.slice(i, end).includes("$")) {
+            throw new Error("Query may not contain interpolated strings");
+        }
+        steps += "''";
+        i = end + 1;
+    }
+    return steps;
+}
+// The traversal opens with V() or E(). Any later V() or E() — bare as an
+// anonymous step, as __.V() or mid-traversal — a second reference to `g`, a
+// second statement or a strategy change would escape the SubgraphStrategy
+// that aiQuery puts in front of the query
+const START_STEP = /^\s*[VE]\s*\(/;
+const ESCAPE_PATTERN = /(^|[^\w$])(g\s*\.|[VE]\s*\(|with(out)?Strategies\s*\()|;/;
+function validateGremlinQuery(queryString) {
+    const steps = blankStringLiterals(queryString);
+    if (MUTATION_PATTERN.test(steps)) {
+        throw new Error("Query contains mutation operations which are not allowed");
+    }
+    const start = START_STEP.exec(steps);
+    if (!start || ESCAPE_PATTERN.test(steps.slice(start[0].length))) {
+        throw new Error("Query must be a single traversal after g.");
+    }
+}
+exports.validateGremlinQuery = validateGremlinQuery;
+// The generated query is free-form, so it runs against a subgraph that
+// leaves out what the caller may not read: projects of a hidden
+// classification, tombstoned elements and audit events, whose snapshots
+// would repeat both. Edges to a left-out vertex go with it. The labels and
+// classifications are fixed constants, so quoting them inline is safe.
+function subgraphStrategy(hidden) {
+    const vertexFilters = [
+        `hasNot(${JSON.stringify(graphModel_1.TOMBSTONE_PROPERTY)})`,
+        `not(hasLabel(${JSON.stringify(graphModel_1.AUDIT_LABEL)}))`,
+    ];
+    if (hidden.length > 0) {
+        const within = hidden.map((c) => JSON.stringify(c)).join(", ");
+        vertexFilters.push(`not(hasLabel('Project_Data').has('DataClassification', within(${within})))`);
+    }
+    return ("SubgraphStrategy.build()" +
+        `.vertices(and(${vertexFilters.join(", ")}))` +
+        `.edges(hasNot(${JSON.stringify(graphModel_1.TOMBSTONE_PROPERTY)}))` +
+        ".create()");
+}
+exports.subgraphStrategy = subgraphStrategy;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZ3JlbWxpblNjcmlwdC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImdyZW1saW5TY3JpcHQudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBQUEsNkNBQStEO0FBRS9ELDRFQUE0RTtBQUM1RSxzQkFBc0I7QUFFdEIsMkVBQTJFO0FBQzNFLDREQUE0RDtBQUM1RCxNQUFNLGdCQUFnQixHQUNwQixrR0FBa0csQ0FBQztBQUVyRywwRUFBMEU7QUFDMUUsdUVBQXVFO0FBQ3ZFLG9FQUFvRTtBQUNwRSx3RUFBd0U7QUFDeEUscURBQXFEO0FBQ3JELFNBQVMsbUJBQW1CLENBQUMsV0FBbUI7SUFDOUMsSUFBSSxLQUFLLEdBQUcsRUFBRSxDQUFDO0lBQ2YsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ1YsT0FBTyxDQUFDLEdBQUcsV0FBVyxDQUFDLE1BQU0sRUFBRSxDQUFDO1FBQzlCLE1BQU0sQ0FBQyxHQUFHLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUN6QixJQUFJLENBQUMsS0FBSyxHQUFHLEVBQUUsQ0FBQztZQUNkLE1BQU0sSUFBSSxLQUFLLENBQUMsNERBQTRELENBQUMsQ0FBQztRQUNoRixDQUFDO1FBQ0QsSUFBSSxDQUFDLEtBQUssR0FBRyxJQUFJLENBQUMsS0FBSyxHQUFHLEVBQUUsQ0FBQztZQUMzQixLQUFLLElBQUksQ0FBQyxDQUFDO1lBQ1gsQ0FBQyxFQUFFLENBQUM7WUFDSixTQUFTO1FBQ1gsQ0FBQztRQUNELElBQUksV0FBVyxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLENBQUM7WUFDM0MsTUFBTSxJQUFJLEtBQUssQ0FBQyw2Q0FBNkMsQ0FBQyxDQUFDO1FBQ2pFLENBQUM7UUFDRCxJQUFJLEdBQUcsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ2hCLE9BQU8sR0FBRyxHQUFHLFdBQVcsQ0FBQyxNQUFNLElBQUksV0FBVyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDO1lBQzFELEdBQUcsSUFBSSxXQUFXLENBQUMsR0FBRyxDQUFDLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUMzQyxDQUFDO1FBQ0QsSUFBSSxHQUFHLElBQUksV0FBVyxDQUFDLE1BQU0sRUFBRSxDQUFDO1lBQzlCLE1BQU0sSUFBSSxLQUFLLENBQUMsdUNBQXVDLENBQUMsQ0FBQztRQUMzRCxDQUFDO1FBQ0QsSUFBSSxDQUFDLEtBQUssR0FBRyxJQUFJLFdBQVcsQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDO1lBQ3pELE1BQU0sSUFBSSxLQUFLLENBQUMsNENBQTRDLENBQUMsQ0FBQztRQUNoRSxDQUFDO1FBQ0QsS0FBSyxJQUFJLElBQUksQ0FBQztRQUNkLENBQUMsR0FBRyxHQUFHLEdBQUcsQ0FBQyxDQUFDO0lBQ2QsQ0FBQztJQUNELE9BQU8sS0FBSyxDQUFDO0FBQ2YsQ0FBQztBQUVELHlFQUF5RTtBQUN6RSw0RUFBNEU7QUFDNUUsMEVBQTBFO0FBQzFFLDBDQUEwQztBQUMxQyxNQUFNLFVBQVUsR0FBRyxlQUFlLENBQUM7QUFDbkMsTUFBTSxjQUFjLEdBQUcsMERBQTBELENBQUM7QUFFbEYsU0FBZ0Isb0JBQW9CLENBQUMsV0FBbUI7SUFDdEQsTUFBTSxLQUFLLEdBQUcsbUJBQW1CLENBQUMsV0FBVyxDQUFDLENBQUM7SUFDL0MsSUFBSSxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQztRQUNqQyxNQUFNLElBQUksS0FBSyxDQUNiLDBEQUEwRCxDQUMzRCxDQUFDO0lBQ0osQ0FBQztJQUNELE1BQU0sS0FBSyxHQUFHLFVBQVUsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDckMsSUFBSSxDQUFDLEtBQUssSUFBSSxjQUFjLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEVBQUUsQ0FBQztRQUNoRSxNQUFNLElBQUksS0FBSyxDQUFDLDJDQUEyQyxDQUFDLENBQUM7SUFDL0QsQ0FBQztBQUNILENBQUM7QUFYRCxvREFXQztBQUVELHVFQUF1RTtBQUN2RSxnRUFBZ0U7QUFDaEUsd0VBQXdFO0FBQ3hFLDJFQUEyRTtBQUMzRSx1RUFBdUU7QUFDdkUsU0FBZ0IsZ0JBQWdCLENBQUMsTUFBZ0I7SUFDL0MsTUFBTSxhQUFhLEdBQUc7UUFDcEIsVUFBVSxJQUFJLENBQUMsU0FBUyxDQUFDLCtCQUFrQixDQUFDLEdBQUc7UUFDL0MsZ0JBQWdCLElBQUksQ0FBQyxTQUFTLENBQUMsd0JBQVcsQ0FBQyxJQUFJO0tBQ2hELENBQUM7SUFDRixJQUFJLE1BQU0sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLENBQUM7UUFDdEIsTUFBTSxNQUFNLEdBQUcsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUMvRCxhQUFhLENBQUMsSUFBSSxDQUNoQixpRUFBaUUsTUFBTSxLQUFLLENBQzdFLENBQUM7SUFDSixDQUFDO0lBQ0QsT0FBTyxDQUNMLDBCQUEwQjtRQUMxQixpQkFBaUIsYUFBYSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSTtRQUM3QyxpQkFBaUIsSUFBSSxDQUFDLFNBQVMsQ0FBQywrQkFBa0IsQ0FBQyxJQUFJO1FBQ3ZELFdBQVcsQ0FDWixDQUFDO0FBQ0osQ0FBQztBQWpCRCw0Q0FpQkMiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyBBVURJVF9MQUJFTCwgVE9NQlNUT05FX1BST1BFUlRZIH0gZnJvbSBcIi4vZ3JhcGhNb2RlbFwiO1xuXG4vLyBDaGVja3MgYW5kIHN0cmF0ZWd5IGZvciB0aGUgZnJlZS1mb3JtIEdyZW1saW4gdGhlIGFpUXVlcnkgY2hhdGJvdCBydW5zIGFzXG4vLyBhIHNjcmlwdCBhZnRlciBcImcuXCJcblxuLy8gR3JlbWxpbiBzdGVwcyB0aGF0IG11dGF0ZSB0aGUgZ3JhcGgg4oCUIHRoZXNlIGFyZSBub3QgYWxsb3dlZCBpbiByZWFkLW9ubHlcbi8vIG1vZGUuIGNhbGwoKSBydW5zIHByb3ZpZGVyIHNlcnZpY2VzLCBzb21lIG9mIHdoaWNoIHdyaXRlLlxuY29uc3QgTVVUQVRJT05fUEFUVEVSTiA9XG4gIC9cXGIoYWRkVnxhZGRFfGFkZFZlcnRleHxhZGRFZGdlfG1lcmdlVnxtZXJnZUV8ZHJvcHxwcm9wZXJ0eXxpdGVyYXRlfHNpZGVFZmZlY3R8aW5qZWN0fGNhbGwpXFxzKlxcKC9pO1xuXG4vLyBUaGUgc3RlcHMgYXJlIGNoZWNrZWQgb24gdGhlIHF1ZXJ5IHdpdGggaXRzIHN0cmluZyBsaXRlcmFscyBibGFua2VkLCBzb1xuLy8gYSBxdW90ZWQgdmFsdWUgc3VjaCBhcyAnQWNtZSBnLmNvJyBpcyBub3QgcmVhZCBhcyBhIHN0ZXAuIE9ubHkgcGxhaW5cbi8vICcuLi4nIGFuZCBcIi4uLlwiIGxpdGVyYWxzIGFyZSBibGFua2VkOiBHcm9vdnkgcmVhZHMgdHJpcGxlLXF1b3RlZCxcbi8vIGludGVycG9sYXRlZCBhbmQgc2xhc2h5IHN0cmluZ3MgYW5kIGNvbW1lbnRzIGRpZmZlcmVudGx5IGZyb20gYSBxdW90ZVxuLy8gc2Nhbiwgc28gdGhvc2UgYXJlIHJlZnVzZWQgcmF0aGVyIHRoYW4gZ3Vlc3NlZCBhdC5cbmZ1bmN0aW9uIGJsYW5rU3RyaW5nTGl0ZXJhbHMocXVlcnlTdHJpbmc6IHN0cmluZyk6IHN0cmluZyB7XG4gIGxldCBzdGVwcyA9IFwiXCI7XG4gIGxldCBpID0gMDtcbiAgd2hpbGUgKGkgPCBxdWVyeVN0cmluZy5sZW5ndGgpIHtcbiAgICBjb25zdCBjID0gcXVlcnlTdHJpbmdbaV07XG4gICAgaWYgKGMgPT09IFwiL1wiKSB7XG4gICAgICB0aHJvdyBuZXcgRXJyb3IoXCJRdWVyeSBtYXkgbm90IGNvbnRhaW4gY29tbWVudHMsIHNsYXNoeSBzdHJpbmdzIG9yIGRpdmlzaW9uXCIpO1xuICAgIH1cbiAgICBpZiAoYyAhPT0gXCInXCIgJiYgYyAhPT0gJ1wiJykge1xuICAgICAgc3RlcHMgKz0gYztcbiAgICAgIGkrKztcbiAgICAgIGNvbnRpbnVlO1xuICAgIH1cbiAgICBpZiAocXVlcnlTdHJpbmcuc3RhcnRzV2l0aChjLnJlcGVhdCgzKSwgaSkpIHtcbiAgICAgIHRocm93IG5ldyBFcnJvcihcIlF1ZXJ5IG1heSBub3QgY29udGFpbiB0cmlwbGUtcXVvdGVkIHN0cmluZ3NcIik7XG4gICAgfVxuICAgIGxldCBlbmQgPSBpICsgMTtcbiAgICB3aGlsZSAoZW5kIDwgcXVlcnlTdHJpbmcubGVuZ3RoICYmIHF1ZXJ5U3RyaW5nW2VuZF0gIT09IGMpIHtcbiAgICAgIGVuZCArPSBxdWVyeVN0cmluZ1tlbmRdID09PSBcIlxcXFxcIiA/IDIgOiAxO1xuICAgIH1cbiAgICBpZiAoZW5kID49IHF1ZXJ5U3RyaW5nLmxlbmd0aCkge1xuICAgICAgdGhyb3cgbmV3IEVycm9yKFwiUXVlcnkgY29udGFpbnMgYW4gdW50ZXJtaW5hdGVkIHN0cmluZ1wiKTtcbiAgICB9XG4gICAgaWYgKGMgPT09ICdcIicgJiYgcXVlcnlTdHJpbmcuc2xpY2UoaSwgZW5kKS5pbmNsdWRlcyhcIiRcIikpIHtcbiAgICAgIHRocm93IG5ldyBFcnJvcihcIlF1ZXJ5IG1heSBub3QgY29udGFpbiBpbnRlcnBvbGF0ZWQgc3RyaW5nc1wiKTtcbiAgICB9XG4gICAgc3RlcHMgKz0gXCInJ1wiO1xuICAgIGkgPSBlbmQgKyAxO1xuICB9XG4gIHJldHVybiBzdGVwcztcbn1cblxuLy8gVGhlIHRyYXZlcnNhbCBvcGVucyB3aXRoIFYoKSBvciBFKCkuIEFueSBsYXRlciBWKCkgb3IgRSgpIOKAlCBiYXJlIGFzIGFuXG4vLyBhbm9ueW1vdXMgc3RlcCwgYXMgX18uVigpIG9yIG1pZC10cmF2ZXJzYWwg4oCUIGEgc2Vjb25kIHJlZmVyZW5jZSB0byBgZ2AsIGFcbi8vIHNlY29uZCBzdGF0ZW1lbnQgb3IgYSBzdHJhdGVneSBjaGFuZ2Ugd291bGQgZXNjYXBlIHRoZSBTdWJncmFwaFN0cmF0ZWd5XG4vLyB0aGF0IGFpUXVlcnkgcHV0cyBpbiBmcm9udCBvZiB0aGUgcXVlcnlcbmNvbnN0IFNUQVJUX1NURVAgPSAvXlxccypbVkVdXFxzKlxcKC87XG5jb25zdCBFU0NBUEVfUEFUVEVSTiA9IC8oXnxbXlxcdyRdKShnXFxzKlxcLnxbVkVdXFxzKlxcKHx3aXRoKG91dCk/U3RyYXRlZ2llc1xccypcXCgpfDsvO1xuXG5leHBvcnQgZnVuY3Rpb24gdmFsaWRhdGVHcmVtbGluUXVlcnkocXVlcnlTdHJpbmc6IHN0cmluZyk6IHZvaWQge1xuICBjb25zdCBzdGVwcyA9IGJsYW5rU3RyaW5nTGl0ZXJhbHMocXVlcnlTdHJpbmcpO1xuICBpZiAoTVVUQVRJT05fUEFUVEVSTi50ZXN0KHN0ZXBzKSkge1xuICAgIHRocm93IG5ldyBFcnJvcihcbiAgICAgIFwiUXVlcnkgY29udGFpbnMgbXV0YXRpb24gb3BlcmF0aW9ucyB3aGljaCBhcmUgbm90IGFsbG93ZWRcIlxuICAgICk7XG4gIH1cbiAgY29uc3Qgc3RhcnQgPSBTVEFSVF9TVEVQLmV4ZWMoc3RlcHMpO1xuICBpZiAoIXN0YXJ0IHx8IEVTQ0FQRV9QQVRURVJOLnRlc3Qoc3RlcHMuc2xpY2Uoc3RhcnRbMF0ubGVuZ3RoKSkpIHtcbiAgICB0aHJvdyBuZXcgRXJyb3IoXCJRdWVyeSBtdXN0IGJlIGEgc2luZ2xlIHRyYXZlcnNhbCBhZnRlciBnLlwiKTtcbiAgfVxufVxuXG4vLyBUaGUgZ2VuZXJhdGVkIHF1ZXJ5IGlzIGZyZWUtZm9ybSwgc28gaXQgcnVucyBhZ2FpbnN0IGEgc3ViZ3JhcGggdGhhdFxuLy8gbGVhdmVzIG91dCB3aGF0IHRoZSBjYWxsZXIgbWF5IG5vdCByZWFkOiBwcm9qZWN0cyBvZiBhIGhpZGRlblxuLy8gY2xhc3NpZmljYXRpb24sIHRvbWJzdG9uZWQgZWxlbWVudHMgYW5kIGF1ZGl0IGV2ZW50cywgd2hvc2Ugc25hcHNob3RzXG4vLyB3b3VsZCByZXBlYXQgYm90aC4gRWRnZXMgdG8gYSBsZWZ0LW91dCB2ZXJ0ZXggZ28gd2l0aCBpdC4gVGhlIGxhYmVscyBhbmRcbi8vIGNsYXNzaWZpY2F0aW9ucyBhcmUgZml4ZWQgY29uc3RhbnRzLCBzbyBxdW90aW5nIHRoZW0gaW5saW5lIGlzIHNhZmUuXG5leHBvcnQgZnVuY3Rpb24gc3ViZ3JhcGhTdHJhdGVneShoaWRkZW46IHN0cmluZ1tdKTogc3RyaW5nIHtcbiAgY29uc3QgdmVydGV4RmlsdGVycyA9IFtcbiAgICBgaGFzTm90KCR7SlNPTi5zdHJpbmdpZnkoVE9NQlNUT05FX1BST1BFUlRZKX0pYCxcbiAgICBgbm90KGhhc0xhYmVsKCR7SlNPTi5zdHJpbmdpZnkoQVVESVRfTEFCRUwpfSkpYCxcbiAgXTtcbiAgaWYgKGhpZGRlbi5sZW5ndGggPiAwKSB7XG4gICAgY29uc3Qgd2l0aGluID0gaGlkZGVuLm1hcCgoYykgPT4gSlNPTi5zdHJpbmdpZnkoYykpLmpvaW4oXCIsIFwiKTtcbiAgICB2ZXJ0ZXhGaWx0ZXJzLnB1c2goXG4gICAgICBgbm90KGhhc0xhYmVsKCdQcm9qZWN0X0RhdGEnKS5oYXMoJ0RhdGFDbGFzc2lmaWNhdGlvbicsIHdpdGhpbigke3dpdGhpbn0pKSlgXG4gICAgKTtcbiAgfVxuICByZXR1cm4gKFxuICAgIFwiU3ViZ3JhcGhTdHJhdGVneS5idWlsZCgpXCIgK1xuICAgIGAudmVydGljZXMoYW5kKCR7dmVydGV4RmlsdGVycy5qb2luKFwiLCBcIil9KSlgICtcbiAgICBgLmVkZ2VzKGhhc05vdCgke0pTT04uc3RyaW5naWZ5KFRPTUJTVE9ORV9QUk9QRVJUWSl9KSlgICtcbiAgICBcIi5jcmVhdGUoKVwiXG4gICk7XG59XG4iXX0=
\ No newline at end of file
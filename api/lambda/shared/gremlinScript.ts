@@ -0,0 +1,90 @@
+import { AUDIT_LABEL, TOMBSTONE_PROPERTY } from "./graphModel";
+
+// Checks and strategy for the free-form Gremlin the aiQuery chatbot runs as
+// a script after "g."
+
+// Gremlin steps that mutate the graph — these are not allowed in read-only
+// mode. call() runs provider services, some of which write.
+const MUTATION_PATTERN =
+  /\b(addV|addE|addVertex|addEdge|mergeV|mergeE|drop|property|iterate|sideEffect|inject|call)\s*\(/i;
+
+// The steps are checked on the query with its string literals blanked, so
+// a quoted value such as 'Acme g.co' is not read as a step. Only plain
+// '...' and "..." literals are blanked: Groovy reads triple-quoted,
+// interpolated and slashy strings and comments differently from a quote
+// scan, so those are refused rather than guessed at.
+function blankStringLiterals(queryString: string): string {
+  let steps = "";
+  let i = 0;
+  while (i < queryString.length) {
+    const c = queryString[i];
+    if (c === "/") {
+      throw new Error("Query may not contain comments, slashy strings or division");
+    }
+    if (c !== "'" && c !== '"') {
+      steps += c;
+      i++;
+      continue;
+    }
+    if (queryString.startsWith(c.repeat(3), i)) {
+      throw new Error("Query may not contain triple-quoted strings");
+    }
+    let end = i + 1;
+    while (end < queryString.length && queryString[end] !== c) {
+      end += queryString[end] === "\\" ? 2 : 1;
+    }
+    if (end >= queryString.length) {
+      throw new Error("Query contains an unterminated string");
+    }
+    if (c === '"' && queryString.slice(i, end).includes("$")) {
+      throw new Error("Query may not contain interpolated strings");
+    }
+    steps += "''";
+    i = end + 1;
+  }
+  return steps;
+}
+
+// The traversal opens with V() or E(). Any later V() or E() — bare as an
+// anonymous step, as __.V() or mid-traversal — a second reference to `g`, a
+// second statement or a strategy change would escape the SubgraphStrategy
+// that aiQuery puts in front of the query
+const START_STEP = /^\s*[VE]\s*\(/;
+const ESCAPE_PATTERN = /(^|[^\w$])(g\s*\.|[VE]\s*\(|with(out)?Strategies\s*\()|;/;
+
+export function validateGremlinQuery(queryString: string): void {
+  const steps = blankStringLiterals(queryString);
+  if (MUTATION_PATTERN.test(steps)) {
+    throw new Error(
+      "Query contains mutation operations which are not allowed"
+    );
+  }
+  const start = START_STEP.exec(steps);
+  if (!start || ESCAPE_PATTERN.test(steps.slice(start[0].length))) {
+    throw new Error("Query must be a single traversal after g.");
+  }
+}
+
+// The generated query is free-form, so it runs against a subgraph that
+// leaves out what the caller may not read: projects of a hidden
+// classification, tombstoned elements and audit events, whose snapshots
+// would repeat both. Edges to a left-out vertex go with it. The labels and
+// classifications are fixed constants, so quoting them inline is safe.
+export function subgraphStrategy(hidden: string[]): string {
+  const vertexFilters = [
+    `hasNot(${JSON.stringify(TOMBSTONE_PROPERTY)})`,
+    `not(hasLabel(${JSON.stringify(AUDIT_LABEL)}))`,
+  ];
+  if (hidden.length > 0) {
+    const within = hidden.map((c) => JSON.stringify(c)).join(", ");
+    vertexFilters.push(
+      `not(hasLabel('Project_Data').has('DataClassification', within(${within})))`
+    );
+  }
+  return (
+    "SubgraphStrategy.build()" +
+    `.vertices(and(${vertexFilters.join(", ")}))` +
+    `.edges(hasNot(${JSON.stringify(TOMBSTONE_PROPERTY)}))` +
+    ".create()"
+  );
+}
@@ -0,0 +1,16 @@
+export declare const INTEGRATION_RESOURCE_SERVER = "graph-api";
+export declare const INTEGRATION_SCOPES: {
+    readonly ingest: "Create and upsert vertices and edges";
+};
+export type IntegrationScope = keyof typeof INTEGRATION_SCOPES;
+export declare const scopeName: (scope: IntegrationScope) => string;
+export declare const INTEGRATION_FIELDS: Record<string, IntegrationScope>;
+export declare const INTEGRATION_BATCH_OPERATIONS: string[];
+export declare const isIntegrationClient: (identity: any) => boolean;
+export declare const integrationClientId: (identity: any) => string;
+/** Throws a FORBIDDEN error unless `field` opted in and the token has its scope. */
+export declare const requireIntegrationScope: (identity: any, field: string) => void;
+/** Throws a FORBIDDEN error naming the first batch operation integration clients may not run. */
+export declare const requireIntegrationOperations: (operations: Array<{
+    op?: string;
+}>) => void;
@@ -0,0 +1,54 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.requireIntegrationOperations = exports.requireIntegrationScope = exports.integrationClientId = exports.isIntegrationClient = exports.INTEGRATION_BATCH_OPERATIONS = exports.INTEGRATION_FIELDS = exports.scopeName = exports.INTEGRATION_SCOPES = exports.INTEGRATION_RESOURCE_SERVER = void 0;
+const errors_1 = require("./errors");
+// Integration clients are Cognito app clients that use the OAuth2
+// client-credentials grant. Their access tokens reach AppSync through the
+// OPENID_CONNECT authorization mode and carry `client_id` and `scope` claims
+// but no user or groups. lib/constructs/cognito.ts declares the resource
+// server and its scopes under the same names.
+exports.INTEGRATION_RESOURCE_SERVER = "graph-api";
+exports.INTEGRATION_SCOPES = {
+    ingest: "Create and upsert vertices and edges",
+};
+const scopeName = (scope) => `${exports.INTEGRATION_RESOURCE_SERVER}/${scope}`;
+exports.scopeName = scopeName;
+// Mutation fields that accept integration clients and the scope each needs.
+// schema.graphql marks the same fields (and their result types) @aws_oidc.
+exports.INTEGRATION_FIELDS = {
+    insertData: "ingest",
+    batchMutate: "ingest",
+};
+// batchMutate operations integration clients may run. The ingest scope
+// creates (and through insertData upserts) elements but never updates or
+// deletes them.
+exports.INTEGRATION_BATCH_OPERATIONS = ["CREATE_VERTEX", "CREATE_EDGE"];
+// Client-credentials tokens have no username; user tokens always do
+const isIntegrationClient = (identity) => Boolean(identity?.claims?.client_id) && !identity?.claims?.username && !identity?.username;
+exports.isIntegrationClient = isIntegrationClient;
+const integrationClientId = (identity) => String(identity?.claims?.client_id ?? "unknown");
+exports.integrationClientId = integrationClientId;
+const scopesOf = (identity) => String(identity?.claims?.scope ?? "").split(" ").filter(Boolean);
+/** Throws a FORBIDDEN error unless `field` opted in and the token has its scope. */
+const requireIntegrationScope = (identity, field) => {
+    const scope = exports.INTEGRATION_FIELDS[field];
+    if (!scope) {
+        throw (0, errors_1.forbiddenError)(`${field} is not available to integration clients`);
+    }
+    if (!scopesOf(identity).includes((0, exports.scopeName)(scope))) {
+        throw (0, errors_1.forbiddenError)(`${field} requires the ${(0, exports.scopeName)(scope)} scope`, {
+            requiredScope: (0, exports.scopeName)(scope),
+        });
+    }
+};
+exports.requireIntegrationScope = requireIntegrationScope;
+/** Throws a FORBIDDEN error naming the first batch operation integration clients may not run. */
+const requireIntegrationOperations = (operations) => {
+    operations.forEach(({ op }, index) => {
+        if (!exports.INTEGRATION_BATCH_OPERATIONS.includes(String(op))) {
+            throw (0, errors_1.forbiddenError)(`Operation ${index} (${op}) is not available to integration clients; they may run ${exports.INTEGRATION_BATCH_OPERATIONS.join(" and ")}`, { operationIndex: index });
+        }
+    });
+};
+exports.requireIntegrationOperations = requireIntegrationOperations;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW50ZWdyYXRpb24uanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJpbnRlZ3JhdGlvbi50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFBQSxxQ0FBMEM7QUFFMUMsa0VBQWtFO0FBQ2xFLDBFQUEwRTtBQUMxRSw2RUFBNkU7QUFDN0UseUVBQXlFO0FBQ3pFLDhDQUE4QztBQUNqQyxRQUFBLDJCQUEyQixHQUFHLFdBQVcsQ0FBQztBQUUxQyxRQUFBLGtCQUFrQixHQUFHO0lBQ2hDLE1BQU0sRUFBRSxzQ0FBc0M7Q0FDdEMsQ0FBQztBQUlKLE1BQU0sU0FBUyxHQUFHLENBQUMsS0FBdUIsRUFBVSxFQUFFLENBQzNELEdBQUcsbUNBQTJCLElBQUksS0FBSyxFQUFFLENBQUM7QUFEL0IsUUFBQSxTQUFTLGFBQ3NCO0FBRTVDLDRFQUE0RTtBQUM1RSwyRUFBMkU7QUFDOUQsUUFBQSxrQkFBa0IsR0FBcUM7SUFDbEUsVUFBVSxFQUFFLFFBQVE7SUFDcEIsV0FBVyxFQUFFLFFBQVE7Q0FDdEIsQ0FBQztBQUVGLHVFQUF1RTtBQUN2RSx5RUFBeUU7QUFDekUsZ0JBQWdCO0FBQ0gsUUFBQSw0QkFBNEIsR0FBRyxDQUFDLGVBQWUsRUFBRSxhQUFhLENBQUMsQ0FBQztBQUU3RSxvRUFBb0U7QUFDN0QsTUFBTSxtQkFBbUIsR0FBRyxDQUFDLFFBQWEsRUFBVyxFQUFFLENBQzVELE9BQU8sQ0FBQyxRQUFRLEVBQUUsTUFBTSxFQUFFLFNBQVMsQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLE1BQU0sRUFBRSxRQUFRLElBQUksQ0FBQyxRQUFRLEVBQUUsUUFBUSxDQUFDO0FBRGhGLFFBQUEsbUJBQW1CLHVCQUM2RDtBQUV0RixNQUFNLG1CQUFtQixHQUFHLENBQUMsUUFBYSxFQUFVLEVBQUUsQ0FDM0QsTUFBTSxDQUFDLFFBQVEsRUFBRSxNQUFNLEVBQUUsU0FBUyxJQUFJLFNBQVMsQ0FBQyxDQUFDO0FBRHRDLFFBQUEsbUJBQW1CLHVCQUNtQjtBQUVuRCxNQUFNLFFBQVEsR0FBRyxDQUFDLFFBQWEsRUFBWSxFQUFFLENBQzNDLE1BQU0sQ0FBQyxRQUFRLEVBQUUsTUFBTSxFQUFFLEtBQUssSUFBSSxFQUFFLENBQUMsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxDQUFDO0FBRW5FLG9GQUFvRjtBQUM3RSxNQUFNLHVCQUF1QixHQUFHLENBQUMsUUFBYSxFQUFFLEtBQWEsRUFBUSxFQUFFO0lBQzVFLE1BQU0sS0FBSyxHQUFHLDBCQUFrQixDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ3hDLElBQUksQ0FBQyxLQUFLLEVBQUUsQ0FBQztRQUNYLE1BQU0sSUFBQSx1QkFBYyxFQUFDLEdBQUcsS0FBSywwQ0FBMEMsQ0FBQyxDQUFDO0lBQzNFLENBQUM7SUFDRCxJQUFJLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxJQUFBLGlCQUFTLEVBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxDQUFDO1FBQ25ELE1BQU0sSUFBQSx1QkFBYyxFQUFDLEdBQUcsS0FBSyxpQkFBaUIsSUFBQSxpQkFBUyxFQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUU7WUFDdEUsYUFBYSxFQUFFLElBQUEsaUJBQVMsRUFBQyxLQUFLLENBQUM7U0FDaEMsQ0FBQyxDQUFDO0lBQ0wsQ0FBQztBQUNILENBQUMsQ0FBQztBQVZXLFFBQUEsdUJBQXVCLDJCQVVsQztBQUVGLGlHQUFpRztBQUMxRixNQUFNLDRCQUE0QixHQUFHLENBQUMsVUFBa0MsRUFBUSxFQUFFO0lBQ3ZGLFVBQVUsQ0FBQyxPQUFPLENBQUMsQ0FBQyxFQUFFLEVBQUUsRUFBRSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ25DLElBQUksQ0FBQyxvQ0FBNEIsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsQ0FBQztZQUN2RCxNQUFNLElBQUEsdUJBQWMsRUFDbEIsYUFBYSxLQUFLLEtBQUssRUFBRSwyREFBMkQsb0NBQTRCLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLEVBQ2hJLEVBQUUsY0FBYyxFQUFFLEtBQUssRUFBRSxDQUMxQixDQUFDO1FBQ0osQ0FBQztJQUNILENBQUMsQ0FBQyxDQUFDO0FBQ0wsQ0FBQyxDQUFDO0FBVFcsUUFBQSw0QkFBNEIsZ0NBU3ZDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgZm9yYmlkZGVuRXJyb3IgfSBmcm9tIFwiLi9lcnJvcnNcIjtcblxuLy8gSW50ZWdyYXRpb24gY2xpZW50cyBhcmUgQ29nbml0byBhcHAgY2xpZW50cyB0aGF0IHVzZSB0aGUgT0F1dGgyXG4vLyBjbGllbnQtY3JlZGVudGlhbHMgZ3JhbnQuIFRoZWlyIGFjY2VzcyB0b2tlbnMgcmVhY2ggQXBwU3luYyB0aHJvdWdoIHRoZVxuLy8gT1BFTklEX0NPTk5FQ1QgYXV0aG9yaXphdGlvbiBtb2RlIGFuZCBjYXJyeSBgY2xpZW50X2lkYCBhbmQgYHNjb3BlYCBjbGFpbXNcbi8vIGJ1dCBubyB1c2VyIG9yIGdyb3Vwcy4gbGliL2NvbnN0cnVjdHMvY29nbml0by50cyBkZWNsYXJlcyB0aGUgcmVzb3VyY2Vcbi8vIHNlcnZlciBhbmQgaXRzIHNjb3BlcyB1bmRlciB0aGUgc2FtZSBuYW1lcy5cbmV4cG9ydCBjb25zdCBJTlRFR1JBVElPTl9SRVNPVVJDRV9TRVJWRVIgPSBcImdyYXBoLWFwaVwiO1xuXG5leHBvcnQgY29uc3QgSU5URUdSQVRJT05fU0NPUEVTID0ge1xuICBpbmdlc3Q6IFwiQ3JlYXRlIGFuZCB1cHNlcnQgdmVydGljZXMgYW5kIGVkZ2VzXCIsXG59IGFzIGNvbnN0O1xuXG5leHBvcnQgdHlwZSBJbnRlZ3JhdGlvblNjb3BlID0ga2V5b2YgdHlwZW9mIElOVEVHUkFUSU9OX1NDT1BFUztcblxuZXhwb3J0IGNvbnN0IHNjb3BlTmFtZSA9IChzY29wZTogSW50ZWdyYXRpb25TY29wZSk6IHN0cmluZyA9PlxuICBgJHtJTlRFR1JBVElPTl9SRVNPVVJDRV9TRVJWRVJ9LyR7c2NvcGV9YDtcblxuLy8gTXV0YXRpb24gZmllbGRzIHRoYXQgYWNjZXB0IGludGVncmF0aW9uIGNsaWVudHMgYW5kIHRoZSBzY29wZSBlYWNoIG5lZWRzLlxuLy8gc2NoZW1hLmdyYXBocWwgbWFya3MgdGhlIHNhbWUgZmllbGRzIChhbmQgdGhlaXIgcmVzdWx0IHR5cGVzKSBAYXdzX29pZGMuXG5leHBvcnQgY29uc3QgSU5URUdSQVRJT05fRklFTERTOiBSZWNvcmQ8c3RyaW5nLCBJbnRlZ3JhdGlvblNjb3BlPiA9IHtcbiAgaW5zZXJ0RGF0YTogXCJpbmdlc3RcIixcbiAgYmF0Y2hNdXRhdGU6IFwiaW5nZXN0XCIsXG59O1xuXG4vLyBiYXRjaE11dGF0ZSBvcGVyYXRpb25zIGludGVncmF0aW9uIGNsaWVudHMgbWF5IHJ1bi4gVGhlIGluZ2VzdCBzY29wZVxuLy8gY3JlYXRlcyAoYW5kIHRocm91Z2ggaW5zZXJ0RGF0YSB1cHNlcnRzKSBlbGVtZW50cyBidXQgbmV2ZXIgdXBkYXRlcyBvclxuLy8gZGVsZXRlcyB0aGVtLlxuZXhwb3J0IGNvbnN0IElOVEVHUkFUSU9OX0JBVENIX09QRVJBVElPTlMgPSBbXCJDUkVBVEVfVkVSVEVYXCIsIFwiQ1JFQVRFX0VER0VcIl07XG5cbi8vIENsaWVudC1jcmVkZW50aWFscyB0b2tlbnMgaGF2ZSBubyB1c2VybmFtZTsgdXNlciB0b2tlbnMgYWx3YXlzIGRvXG5leHBvcnQgY29uc3QgaXNJbnRlZ3JhdGlvbkNsaWVudCA9IChpZGVudGl0eTogYW55KTogYm9vbGVhbiA9PlxuICBCb29sZWFuKGlkZW50aXR5Py5jbGFpbXM/LmNsaWVudF9pZCkgJiYgIWlkZW50aXR5Py5jbGFpbXM/LnVzZXJuYW1lICYmICFpZGVudGl0eT8udXNlcm5hbWU7XG5cbmV4cG9ydCBjb25zdCBpbnRlZ3JhdGlvbkNsaWVudElkID0gKGlkZW50aXR5OiBhbnkpOiBzdHJpbmcgPT5cbiAgU3RyaW5nKGlkZW50aXR5Py5jbGFpbXM/LmNsaWVudF9pZCA/PyBcInVua25vd25cIik7XG5cbmNvbnN0IHNjb3Blc09mID0gKGlkZW50aXR5OiBhbnkpOiBzdHJpbmdbXSA9PlxuICBTdHJpbmcoaWRlbnRpdHk/LmNsYWltcz8uc2NvcGUgPz8gXCJcIikuc3BsaXQoXCIgXCIpLmZpbHRlcihCb29sZWFuKTtcblxuLyoqIFRocm93cyBhIEZPUkJJRERFTiBlcnJvciB1bmxlc3MgYGZpZWxkYCBvcHRlZCBpbiBhbmQgdGhlIHRva2VuIGhhcyBpdHMgc2NvcGUuICovXG5leHBvcnQgY29uc3QgcmVxdWlyZUludGVncmF0aW9uU2NvcGUgPSAoaWRlbnRpdHk6IGFueSwgZmllbGQ6IHN0cmluZyk6IHZvaWQgPT4ge1xuICBjb25zdCBzY29wZSA9IElOVEVHUkFUSU9OX0ZJRUxEU1tmaWVsZF07XG4gIGlmICghc2NvcGUpIHtcbiAgICB0aHJvdyBmb3JiaWRkZW5FcnJvcihgJHtmaWVsZH0gaXMgbm90IGF2YWlsYWJsZSB0byBpbnRlZ3JhdGlvbiBjbGllbnRzYCk7XG4gIH1cbiAgaWYgKCFzY29wZXNPZihpZGVudGl0eSkuaW5jbHVkZXMoc2NvcGVOYW1lKHNjb3BlKSkpIHtcbiAgICB0aHJvdyBmb3JiaWRkZW5FcnJvcihgJHtmaWVsZH0gcmVxdWlyZXMgdGhlICR7c2NvcGVOYW1lKHNjb3BlKX0gc2NvcGVgLCB7XG4gICAgICByZXF1aXJlZFNjb3BlOiBzY29wZU5hbWUoc2NvcGUpLFxuICAgIH0pO1xuICB9XG59O1xuXG4vKiogVGhyb3dzIGEgRk9SQklEREVOIGVycm9yIG5hbWluZyB0aGUgZmlyc3QgYmF0Y2ggb3BlcmF0aW9uIGludGVncmF0aW9uIGNsaWVudHMgbWF5IG5vdCBydW4uICovXG5leHBvcnQgY29uc3QgcmVxdWlyZUludGVncmF0aW9uT3BlcmF0aW9ucyA9IChvcGVyYXRpb25zOiBBcnJheTx7IG9wPzogc3RyaW5nIH0+KTogdm9pZCA9PiB7XG4gIG9wZXJhdGlvbnMuZm9yRWFjaCgoeyBvcCB9LCBpbmRleCkgPT4ge1xuICAgIGlmICghSU5URUdSQVRJT05fQkFUQ0hfT1BFUkFUSU9OUy5pbmNsdWRlcyhTdHJpbmcob3ApKSkge1xuICAgICAgdGhyb3cgZm9yYmlkZGVuRXJyb3IoXG4gICAgICAgIGBPcGVyYXRpb24gJHtpbmRleH0gKCR7b3B9KSBpcyBub3QgYXZhaWxhYmxlIHRvIGludGVncmF0aW9uIGNsaWVudHM7IHRoZXkgbWF5IHJ1biAke0lOVEVHUkFUSU9OX0JBVENIX09QRVJBVElPTlMuam9pbihcIiBhbmQgXCIpfWAsXG4gICAgICAgIHsgb3BlcmF0aW9uSW5kZXg6IGluZGV4IH1cbiAgICAgICk7XG4gICAgfVxuICB9KTtcbn07XG4iXX0=
\ No newline at end of file
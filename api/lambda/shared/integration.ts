@@ -0,0 +1,64 @@
+import { forbiddenError } from "./errors";
+
+// Integration clients are Cognito app clients that use the OAuth2
+// client-credentials grant. Their access tokens reach AppSync through the
+// OPENID_CONNECT authorization mode and carry `client_id` and `scope` claims
+// but no user or groups. lib/constructs/cognito.ts declares the resource
+// server and its scopes under the same names.
+export const INTEGRATION_RESOURCE_SERVER = "graph-api";
+
+export const INTEGRATION_SCOPES = {
+  ingest: "Create and upsert vertices and edges",
+} as const;
+
+export type IntegrationScope = keyof typeof INTEGRATION_SCOPES;
+
+export const scopeName = (scope: IntegrationScope): string =>
+  `${INTEGRATION_RESOURCE_SERVER}/${scope}`;
+
+// Mutation fields that accept integration clients and the scope each needs.
+// schema.graphql marks the same fields (and their result types) @aws_oidc.
+export const INTEGRATION_FIELDS: Record<string, IntegrationScope> = {
+  insertData: "ingest",
+  batchMutate: "ingest",
+};
+
+// batchMutate operations integration clients may run. The ingest scope
+// creates (and through insertData upserts) elements but never updates or
+// deletes them.
+export const INTEGRATION_BATCH_OPERATIONS = ["CREATE_VERTEX", "CREATE_EDGE"];
+
+// Client-credentials tokens have no username; user tokens always do
+export const isIntegrationClient = (identity: any): boolean =>
+  Boolean(identity?.claims?.client_id) && !identity?.claims?.username && !identity?.username;
+
+export const integrationClientId = (identity: any): string =>
+  String(identity?.claims?.client_id ?? "unknown");
+
+const scopesOf = (identity: any): string[] =>
+  String(identity?.claims?.scope ?? "").split(" ").filter(Boolean);
+
+/** Throws a FORBIDDEN error unless `field` opted in and the token has its scope. */
+export const requireIntegrationScope = (identity: any, field: string): void => {
+  const scope = INTEGRATION_FIELDS[field];
+  if (!scope) {
+    throw forbiddenError(`${field} is not available to integration clients`);
+  }
+  if (!scopesOf(identity).includes(scopeName(scope))) {
+    throw forbiddenError(`${field} requires the ${scopeName(scope)} scope`, {
+      requiredScope: scopeName(scope),
+    });
+  }
+};
+
+/** Throws a FORBIDDEN error naming the first batch operation integration clients may not run. */
+export const requireIntegrationOperations = (operations: Array<{ op?: string }>): void => {
+  operations.forEach(({ op }, index) => {
+    if (!INTEGRATION_BATCH_OPERATIONS.includes(String(op))) {
+      throw forbiddenError(
+        `Operation ${index} (${op}) is not available to integration clients; they may run ${INTEGRATION_BATCH_OPERATIONS.join(" and ")}`,
+        { operationIndex: index }
+      );
+    }
+  });
+};
@@ -0,0 +1,16 @@
+import { FieldError } from "./schemaRegistry";
+export interface CascadedEdge {
+    id: string;
+    label: string;
+    source: string;
+    target: string;
+}
+/**
+ * Restores the edges a vertex delete cascaded to. Each one is checked
+ * against EDGE_RULES before it is restored, after the ones restored before
+ * it, since an edge added while the vertex was deleted may have taken its
+ * place (a Job's new estimator, say). Any edge that fails its check makes
+ * the whole restore a CONFLICT listing those edges; the caller's
+ * transaction rolls back what was restored.
+ */
+export declare const restoreCascadedEdges: (vertexId: string, edges: CascadedEdge[], checkRules: (edge: CascadedEdge) => Promise<FieldError[]>, restore: (edge: CascadedEdge) => Promise<void>) => Promise<void>;
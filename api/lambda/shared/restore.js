@@ -0,0 +1,34 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.restoreCascadedEdges = void 0;
+const errors_1 = require("./errors");
+const schemaRegistry_1 = require("./schemaRegistry");
+/**
+ * Restores the edges a vertex delete cascaded to. Each one is checked
+ * against EDGE_RULES before it is restored, after the ones restored before
+ * it, since an edge added while the vertex was deleted may have taken its
+ * place (a Job's new estimator, say). Any edge that fails its check makes
+ * the whole restore a CONFLICT listing those edges; the caller's
+ * transaction rolls back what was restored.
+ */
+const restoreCascadedEdges = async (vertexId, edges, checkRules, restore) => {
+    const conflicts = [];
+    for (const edge of edges) {
+        const errors = await checkRules(edge);
+        if (errors.length > 0) {
+            conflicts.push({ ...edge, message: (0, schemaRegistry_1.describeFieldErrors)(errors) });
+        }
+        else {
+            await restore(edge);
+        }
+    }
+    if (conflicts.length > 0) {
+        const described = conflicts.map((c) => `${c.label} ${c.id}: ${c.message}`).join("; ");
+        throw (0, errors_1.conflictError)(`Restoring ${vertexId} would break the rules of its edges: ${described}`, {
+            id: vertexId,
+            edges: conflicts,
+        });
+    }
+};
+exports.restoreCascadedEdges = restoreCascadedEdges;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVzdG9yZS5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInJlc3RvcmUudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBQUEscUNBQXlDO0FBQ3pDLHFEQUFtRTtBQVVuRTs7Ozs7OztHQU9HO0FBQ0ksTUFBTSxvQkFBb0IsR0FBRyxLQUFLLEVBQ3ZDLFFBQWdCLEVBQ2hCLEtBQXFCLEVBQ3JCLFVBQXlELEVBQ3pELE9BQThDLEVBQy9CLEVBQUU7SUFDakIsTUFBTSxTQUFTLEdBQThDLEVBQUUsQ0FBQztJQUNoRSxLQUFLLE1BQU0sSUFBSSxJQUFJLEtBQUssRUFBRSxDQUFDO1FBQ3pCLE1BQU0sTUFBTSxHQUFHLE1BQU0sVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ3RDLElBQUksTUFBTSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsQ0FBQztZQUN0QixTQUFTLENBQUMsSUFBSSxDQUFDLEVBQUUsR0FBRyxJQUFJLEVBQUUsT0FBTyxFQUFFLElBQUEsb0NBQW1CLEVBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQ3BFLENBQUM7YUFBTSxDQUFDO1lBQ04sTUFBTSxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDdEIsQ0FBQztJQUNILENBQUM7SUFDRCxJQUFJLFNBQVMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLENBQUM7UUFDekIsTUFBTSxTQUFTLEdBQUcsU0FBUyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsS0FBSyxJQUFJLENBQUMsQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ3RGLE1BQU0sSUFBQSxzQkFBYSxFQUFDLGFBQWEsUUFBUSx3Q0FBd0MsU0FBUyxFQUFFLEVBQUU7WUFDNUYsRUFBRSxFQUFFLFFBQVE7WUFDWixLQUFLLEVBQUUsU0FBUztTQUNqQixDQUFDLENBQUM7SUFDTCxDQUFDO0FBQ0gsQ0FBQyxDQUFDO0FBdEJXLFFBQUEsb0JBQW9CLHdCQXNCL0IiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyBjb25mbGljdEVycm9yIH0gZnJvbSBcIi4vZXJyb3JzXCI7XG5pbXBvcnQgeyBGaWVsZEVycm9yLCBkZXNjcmliZUZpZWxkRXJyb3JzIH0gZnJvbSBcIi4vc2NoZW1hUmVnaXN0cnlcIjtcblxuLy8gQW4gZWRnZSB0b21ic3RvbmVkIHRvZ2V0aGVyIHdpdGggYSB2ZXJ0ZXgsIHdoaWNoIHJlc3RvcmVWZXJ0ZXggYnJpbmdzIGJhY2tcbmV4cG9ydCBpbnRlcmZhY2UgQ2FzY2FkZWRFZGdlIHtcbiAgaWQ6IHN0cmluZztcbiAgbGFiZWw6IHN0cmluZztcbiAgc291cmNlOiBzdHJpbmc7XG4gIHRhcmdldDogc3RyaW5nO1xufVxuXG4vKipcbiAqIFJlc3RvcmVzIHRoZSBlZGdlcyBhIHZlcnRleCBkZWxldGUgY2FzY2FkZWQgdG8uIEVhY2ggb25lIGlzIGNoZWNrZWRcbiAqIGFnYWluc3QgRURHRV9SVUxFUyBiZWZvcmUgaXQgaXMgcmVzdG9yZWQsIGFmdGVyIHRoZSBvbmVzIHJlc3RvcmVkIGJlZm9yZVxuICogaXQsIHNpbmNlIGFuIGVkZ2UgYWRkZWQgd2hpbGUgdGhlIHZlcnRleCB3YXMgZGVsZXRlZCBtYXkgaGF2ZSB0YWtlbiBpdHNcbiAqIHBsYWNlIChhIEpvYidzIG5ldyBlc3RpbWF0b3IsIHNheSkuIEFueSBlZGdlIHRoYXQgZmFpbHMgaXRzIGNoZWNrIG1ha2VzXG4gKiB0aGUgd2hvbGUgcmVzdG9yZSBhIENPTkZMSUNUIGxpc3RpbmcgdGhvc2UgZWRnZXM7IHRoZSBjYWxsZXInc1xuICogdHJhbnNhY3Rpb24gcm9sbHMgYmFjayB3aGF0IHdhcyByZXN0b3JlZC5cbiAqL1xuZXhwb3J0IGNvbnN0IHJlc3RvcmVDYXNjYWRlZEVkZ2VzID0gYXN5bmMgKFxuICB2ZXJ0ZXhJZDogc3RyaW5nLFxuICBlZGdlczogQ2FzY2FkZWRFZGdlW10sXG4gIGNoZWNrUnVsZXM6IChlZGdlOiBDYXNjYWRlZEVkZ2UpID0+IFByb21pc2U8RmllbGRFcnJvcltdPixcbiAgcmVzdG9yZTogKGVkZ2U6IENhc2NhZGVkRWRnZSkgPT4gUHJvbWlzZTx2b2lkPlxuKTogUHJvbWlzZTx2b2lkPiA9PiB7XG4gIGNvbnN0IGNvbmZsaWN0czogQXJyYXk8Q2FzY2FkZWRFZGdlICYgeyBtZXNzYWdlOiBzdHJpbmcgfT4gPSBbXTtcbiAgZm9yIChjb25zdCBlZGdlIG9mIGVkZ2VzKSB7XG4gICAgY29uc3QgZXJyb3JzID0gYXdhaXQgY2hlY2tSdWxlcyhlZGdlKTtcbiAgICBpZiAoZXJyb3JzLmxlbmd0aCA+IDApIHtcbiAgICAgIGNvbmZsaWN0cy5wdXNoKHsgLi4uZWRnZSwgbWVzc2FnZTogZGVzY3JpYmVGaWVsZEVycm9ycyhlcnJvcnMpIH0pO1xuICAgIH0gZWxzZSB7XG4gICAgICBhd2FpdCByZXN0b3JlKGVkZ2UpO1xuICAgIH1cbiAgfVxuICBpZiAoY29uZmxpY3RzLmxlbmd0aCA+IDApIHtcbiAgICBjb25zdCBkZXNjcmliZWQgPSBjb25mbGljdHMubWFwKChjKSA9PiBgJHtjLmxhYmVsfSAke2MuaWR9OiAke2MubWVzc2FnZX1gKS5qb2luKFwiOyBcIik7XG4gICAgdGhyb3cgY29uZmxpY3RFcnJvcihgUmVzdG9yaW5nICR7dmVydGV4SWR9IHdvdWxkIGJyZWFrIHRoZSBydWxlcyBvZiBpdHMgZWRnZXM6ICR7ZGVzY3JpYmVkfWAsIHtcbiAgICAgIGlkOiB2ZXJ0ZXhJZCxcbiAgICAgIGVkZ2VzOiBjb25mbGljdHMsXG4gICAgfSk7XG4gIH1cbn07XG4iXX0=
\ No newline at end of file
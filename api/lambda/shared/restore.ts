@@ -0,0 +1,42 @@
+import { conflictError } from "./errors";
+import { FieldError, describeFieldErrors } from "./schemaRegistry";
+
+// An edge tombstoned together with a vertex, which restoreVertex brings back
+export interface CascadedEdge {
+  id: string;
+  label: string;
+  source: string;
+  target: string;
+}
+
+/**
+ * Restores the edges a vertex delete cascaded to. Each one is checked
+ * against EDGE_RULES before it is restored, after the ones restored before
+ * it, since an edge added while the vertex was deleted may have taken its
+ * place (a Job's new estimator, say). Any edge that fails its check makes
+ * the whole restore a CONFLICT listing those edges; the caller's
+ * transaction rolls back what was restored.
+ */
+export const restoreCascadedEdges = async (
+  vertexId: string,
+  edges: CascadedEdge[],
+  checkRules: (edge: CascadedEdge) => Promise<FieldError[]>,
+  restore: (edge: CascadedEdge) => Promise<void>
+): Promise<void> => {
+  const conflicts: Array<CascadedEdge & { message: string }> = [];
+  for (const edge of edges) {
+    const errors = await checkRules(edge);
+    if (errors.length > 0) {
+      conflicts.push({ ...edge, message: describeFieldErrors(errors) });
+    } else {
+      await restore(edge);
+    }
+  }
+  if (conflicts.length > 0) {
+    const described = conflicts.map((c) => `${c.label} ${c.id}: ${c.message}`).join("; ");
+    throw conflictError(`Restoring ${vertexId} would break the rules of its edges: ${described}`, {
+      id: vertexId,
+      edges: conflicts,
+    });
+  }
+};
@@ -0,0 +1,10 @@
+export declare const ROLES: readonly ["Viewer", "Editor", "Admin"];
+export type Role = (typeof ROLES)[number];
+export declare const groupsOf: (identity: any) => string[];
+export declare const hasRole: (identity: any, role: Role) => boolean;
+/**
+ * Throws a FORBIDDEN error unless the caller holds `role`. AppSync already
+ * enforces cognito_groups per field; this guards against a schema change
+ * that loosens a directive by mistake.
+ */
+export declare const requireRole: (identity: any, role: Role, field?: string) => void;
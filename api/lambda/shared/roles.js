@@ -0,0 +1,34 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.requireRole = exports.hasRole = exports.groupsOf = exports.ROLES = void 0;
+const errors_1 = require("./errors");
+// Cognito groups that grant access, lowest first. Each role includes the
+// ones before it, so an Admin may do everything an Editor may. The same
+// names are created by lib/constructs/cognito.ts and listed in the
+// cognito_groups of every field in schema.graphql.
+exports.ROLES = ["Viewer", "Editor", "Admin"];
+// AppSync passes the caller's groups both as `groups` and in the token claims
+const groupsOf = (identity) => {
+    const groups = identity?.groups ?? identity?.claims?.["cognito:groups"] ?? [];
+    return Array.isArray(groups) ? groups.map(String) : [String(groups)];
+};
+exports.groupsOf = groupsOf;
+const hasRole = (identity, role) => {
+    const needed = exports.ROLES.indexOf(role);
+    return (0, exports.groupsOf)(identity).some((group) => exports.ROLES.indexOf(group) >= needed);
+};
+exports.hasRole = hasRole;
+/**
+ * Throws a FORBIDDEN error unless the caller holds `role`. AppSync already
+ * enforces cognito_groups per field; this guards against a schema change
+ * that loosens a directive by mistake.
+ */
+const requireRole = (identity, role, field) => {
+    if (!(0, exports.hasRole)(identity, role)) {
+        throw (0, errors_1.forbiddenError)(`${field ?? "This operation"} requires the ${role} role`, {
+            requiredRole: role,
+        });
+    }
+};
+exports.requireRole = requireRole;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicm9sZXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJyb2xlcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFBQSxxQ0FBMEM7QUFFMUMseUVBQXlFO0FBQ3pFLHdFQUF3RTtBQUN4RSxtRUFBbUU7QUFDbkUsbURBQW1EO0FBQ3RDLFFBQUEsS0FBSyxHQUFHLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxPQUFPLENBQVUsQ0FBQztBQUk1RCw4RUFBOEU7QUFDdkUsTUFBTSxRQUFRLEdBQUcsQ0FBQyxRQUFhLEVBQVksRUFBRTtJQUNsRCxNQUFNLE1BQU0sR0FBRyxRQUFRLEVBQUUsTUFBTSxJQUFJLFFBQVEsRUFBRSxNQUFNLEVBQUUsQ0FBQyxnQkFBZ0IsQ0FBQyxJQUFJLEVBQUUsQ0FBQztJQUM5RSxPQUFPLEtBQUssQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7QUFDdkUsQ0FBQyxDQUFDO0FBSFcsUUFBQSxRQUFRLFlBR25CO0FBRUssTUFBTSxPQUFPLEdBQUcsQ0FBQyxRQUFhLEVBQUUsSUFBVSxFQUFXLEVBQUU7SUFDNUQsTUFBTSxNQUFNLEdBQUcsYUFBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNuQyxPQUFPLElBQUEsZ0JBQVEsRUFBQyxRQUFRLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLGFBQUssQ0FBQyxPQUFPLENBQUMsS0FBYSxDQUFDLElBQUksTUFBTSxDQUFDLENBQUM7QUFDcEYsQ0FBQyxDQUFDO0FBSFcsUUFBQSxPQUFPLFdBR2xCO0FBRUY7Ozs7R0FJRztBQUNJLE1BQU0sV0FBVyxHQUFHLENBQUMsUUFBYSxFQUFFLElBQVUsRUFBRSxLQUFjLEVBQVEsRUFBRTtJQUM3RSxJQUFJLENBQUMsSUFBQSxlQUFPLEVBQUMsUUFBUSxFQUFFLElBQUksQ0FBQyxFQUFFLENBQUM7UUFDN0IsTUFBTSxJQUFBLHVCQUFjLEVBQUMsR0FBRyxLQUFLLElBQUksZ0JBQWdCLGlCQUFpQixJQUFJLE9BQU8sRUFBRTtZQUM3RSxZQUFZLEVBQUUsSUFBSTtTQUNuQixDQUFDLENBQUM7SUFDTCxDQUFDO0FBQ0gsQ0FBQyxDQUFDO0FBTlcsUUFBQSxXQUFXLGVBTXRCIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgZm9yYmlkZGVuRXJyb3IgfSBmcm9tIFwiLi9lcnJvcnNcIjtcblxuLy8gQ29nbml0byBncm91cHMgdGhhdCBncmFudCBhY2Nlc3MsIGxvd2VzdCBmaXJzdC4gRWFjaCByb2xlIGluY2x1ZGVzIHRoZVxuLy8gb25lcyBiZWZvcmUgaXQsIHNvIGFuIEFkbWluIG1heSBkbyBldmVyeXRoaW5nIGFuIEVkaXRvciBtYXkuIFRoZSBzYW1lXG4vLyBuYW1lcyBhcmUgY3JlYXRlZCBieSBsaWIvY29uc3RydWN0cy9jb2duaXRvLnRzIGFuZCBsaXN0ZWQgaW4gdGhlXG4vLyBjb2duaXRvX2dyb3VwcyBvZiBldmVyeSBmaWVsZCBpbiBzY2hlbWEuZ3JhcGhxbC5cbmV4cG9ydCBjb25zdCBST0xFUyA9IFtcIlZpZXdlclwiLCBcIkVkaXRvclwiLCBcIkFkbWluXCJdIGFzIGNvbnN0O1xuXG5leHBvcnQgdHlwZSBSb2xlID0gKHR5cGVvZiBST0xFUylbbnVtYmVyXTtcblxuLy8gQXBwU3luYyBwYXNzZXMgdGhlIGNhbGxlcidzIGdyb3VwcyBib3RoIGFzIGBncm91cHNgIGFuZCBpbiB0aGUgdG9rZW4gY2xhaW1zXG5leHBvcnQgY29uc3QgZ3JvdXBzT2YgPSAoaWRlbnRpdHk6IGFueSk6IHN0cmluZ1tdID0+IHtcbiAgY29uc3QgZ3JvdXBzID0gaWRlbnRpdHk/Lmdyb3VwcyA/PyBpZGVudGl0eT8uY2xhaW1zPy5bXCJjb2duaXRvOmdyb3Vwc1wiXSA/PyBbXTtcbiAgcmV0dXJuIEFycmF5LmlzQXJyYXkoZ3JvdXBzKSA/IGdyb3Vwcy5tYXAoU3RyaW5nKSA6IFtTdHJpbmcoZ3JvdXBzKV07XG59O1xuXG5leHBvcnQgY29uc3QgaGFzUm9sZSA9IChpZGVudGl0eTogYW55LCByb2xlOiBSb2xlKTogYm9vbGVhbiA9PiB7XG4gIGNvbnN0IG5lZWRlZCA9IFJPTEVTLmluZGV4T2Yocm9sZSk7XG4gIHJldHVybiBncm91cHNPZihpZGVudGl0eSkuc29tZSgoZ3JvdXApID0+IFJPTEVTLmluZGV4T2YoZ3JvdXAgYXMgUm9sZSkgPj0gbmVlZGVkKTtcbn07XG5cbi8qKlxuICogVGhyb3dzIGEgRk9SQklEREVOIGVycm9yIHVubGVzcyB0aGUgY2FsbGVyIGhvbGRzIGByb2xlYC4gQXBwU3luYyBhbHJlYWR5XG4gKiBlbmZvcmNlcyBjb2duaXRvX2dyb3VwcyBwZXIgZmllbGQ7IHRoaXMgZ3VhcmRzIGFnYWluc3QgYSBzY2hlbWEgY2hhbmdlXG4gKiB0aGF0IGxvb3NlbnMgYSBkaXJlY3RpdmUgYnkgbWlzdGFrZS5cbiAqL1xuZXhwb3J0IGNvbnN0IHJlcXVpcmVSb2xlID0gKGlkZW50aXR5OiBhbnksIHJvbGU6IFJvbGUsIGZpZWxkPzogc3RyaW5nKTogdm9pZCA9PiB7XG4gIGlmICghaGFzUm9sZShpZGVudGl0eSwgcm9sZSkpIHtcbiAgICB0aHJvdyBmb3JiaWRkZW5FcnJvcihgJHtmaWVsZCA/PyBcIlRoaXMgb3BlcmF0aW9uXCJ9IHJlcXVpcmVzIHRoZSAke3JvbGV9IHJvbGVgLCB7XG4gICAgICByZXF1aXJlZFJvbGU6IHJvbGUsXG4gICAgfSk7XG4gIH1cbn07XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,33 @@
+import { forbiddenError } from "./errors";
+
+// Cognito groups that grant access, lowest first. Each role includes the
+// ones before it, so an Admin may do everything an Editor may. The same
+// names are created by lib/constructs/cognito.ts and listed in the
+// cognito_groups of every field in schema.graphql.
+export const ROLES = ["Viewer", "Editor", "Admin"] as const;
+
+export type Role = (typeof ROLES)[number];
+
+// AppSync passes the caller's groups both as `groups` and in the token claims
+export const groupsOf = (identity: any): string[] => {
+  const groups = identity?.groups ?? identity?.claims?.["cognito:groups"] ?? [];
+  return Array.isArray(groups) ? groups.map(String) : [String(groups)];
+};
+
+export const hasRole = (identity: any, role: Role): boolean => {
+  const needed = ROLES.indexOf(role);
+  return groupsOf(identity).some((group) => ROLES.indexOf(group as Role) >= needed);
+};
+
+/**
+ * Throws a FORBIDDEN error unless the caller holds `role`. AppSync already
+ * enforces cognito_groups per field; this guards against a schema change
+ * that loosens a directive by mistake.
+ */
+export const requireRole = (identity: any, role: Role, field?: string): void => {
+  if (!hasRole(identity, role)) {
+    throw forbiddenError(`${field ?? "This operation"} requires the ${role} role`, {
+      requiredRole: role,
+    });
+  }
+};
@@ -0,0 +1,59 @@
+export type PropertyType = "String" | "Bool" | "Byte" | "Short" | "Int" | "Long" | "Float" | "Double" | "Date";
+export interface PropertySpec {
+    type: PropertyType;
+    required?: boolean;
+}
+export type LabelSchema = Record<string, PropertySpec>;
+export interface FieldError {
+    field: string;
+    message: string;
+}
+export declare const VERTEX_SCHEMAS: Record<string, LabelSchema>;
+export declare const EDGE_SCHEMAS: Record<string, LabelSchema>;
+export interface EndpointRule {
+    label: string;
+    entityTypes?: string[];
+}
+export interface EdgeRule {
+    pairs: Array<[EndpointRule, EndpointRule]>;
+    maxPerSource?: number;
+    maxPerDestination?: number;
+}
+export declare const EDGE_RULES: Record<string, EdgeRule>;
+export interface EndpointVertex {
+    label: string;
+    entityTypes?: string;
+}
+export declare const describeEndpoint: (e: EndpointRule | EndpointVertex) => string;
+/**
+ * Checks the endpoint labels of a new edge against EDGE_RULES. Errors are
+ * reported on the "source" or "destination" field.
+ */
+export declare const checkEdgeEndpoints: (edgeLabel: string, source: EndpointVertex, destination: EndpointVertex) => FieldError[];
+export declare const schemaFor: (kind: "vertex" | "edge", label: string) => LabelSchema | undefined;
+/** Bulk-load CSV header cell for a property, e.g. `year:Int`. */
+export declare const csvHeaderColumn: (name: string, spec: PropertySpec) => string;
+/** Splits a CSV header cell such as `year:Int` into name and type. */
+export declare const parseCsvHeaderColumn: (column: string) => {
+    name: string;
+    type: PropertyType;
+};
+/**
+ * Converts a raw value to the declared type. Throws an Error whose message is
+ * suitable for showing next to the field.
+ */
+export declare const coerceValue: (type: PropertyType, value: unknown) => unknown;
+/**
+ * Validates `props` against the schema of `label` and returns the coerced
+ * values together with one error per offending field. Empty values are
+ * dropped. With `partial`, missing required properties are not reported, so
+ * the same check serves updates.
+ */
+export declare const validateProperties: (kind: "vertex" | "edge", label: string, props: Record<string, unknown>, { partial }?: {
+    partial?: boolean;
+}) => {
+    values: Record<string, unknown>;
+    errors: FieldError[];
+};
+/** Joins field errors into one message for callers without field-level UI. */
+export declare const describeFieldErrors: (errors: FieldError[]) => string;
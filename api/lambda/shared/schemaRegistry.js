@@ -0,0 +1,313 @@
+"use strict";
+// Property schema for every vertex and edge label, in the same `name:Type`
+// vocabulary as the Neptune bulk-load CSV headers (data/vertex.csv and
+// data/edge.csv). mutationGraph.ts validates and coerces writes against it so
+// that web-created data has the same types as bulk-loaded data.
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.describeFieldErrors = exports.validateProperties = exports.coerceValue = exports.parseCsvHeaderColumn = exports.csvHeaderColumn = exports.schemaFor = exports.checkEdgeEndpoints = exports.describeEndpoint = exports.EDGE_RULES = exports.EDGE_SCHEMAS = exports.VERTEX_SCHEMAS = void 0;
+const string = { type: "String" };
+const requiredString = { type: "String", required: true };
+const int = { type: "Int" };
+const double = { type: "Double" };
+const bool = { type: "Bool" };
+exports.VERTEX_SCHEMAS = {
+    Entity: {
+        entityTypes: requiredString,
+        companyName: string,
+        name: string,
+        companyType: string,
+        address: string,
+        email: string,
+        phone: string,
+        website: string,
+        country: string,
+    },
+    Asset: {
+        assetType: requiredString,
+        make: string,
+        model: string,
+        year: int,
+        vin: string,
+        hullId: string,
+        boatType: string,
+        lengthFt: double,
+        rvClass: string,
+        brand: string,
+        carrier: string,
+        imei: string,
+        phoneNumber: string,
+        equipmentType: string,
+        serialNumber: string,
+        address: string,
+        squareFeet: int,
+        yearBuilt: int,
+    },
+    Job: {
+        jobName: requiredString,
+        jobCategory: string,
+        roNumber: string,
+        payerType: string,
+        status: string,
+        createdDate: string,
+        statusDate: string,
+    },
+    Part: {
+        partName: requiredString,
+        partId: string,
+        retailCost: double,
+    },
+    Project_Data: {
+        projectName: requiredString,
+        DepartmentNumber: string,
+        DataClassification: string,
+        Team: string,
+        OwnerGroup: string,
+        Recovery: string,
+        Tier: string,
+        archived: bool,
+        archivedAt: string,
+    },
+    Account: {
+        Account_Name: requiredString,
+        Account_Id: requiredString,
+        Cloud: string,
+        Environments: string,
+    },
+};
+exports.EDGE_SCHEMAS = {
+    WORKS_FOR: { role: requiredString },
+    REQUESTS_WORK: { role: string },
+    DOES_WORK_FOR: { role: string, serviceType: string, discountPercent: int },
+    OWNS_ASSET: {},
+    MANAGES_JOB: { role: requiredString },
+    SERVICE_ON: { serviceType: string },
+    PAYS_FOR: { payerType: requiredString, discountPercent: int },
+    OFFERS_PART: { discountPercent: int, leadTimeDays: int },
+    HAS_LINE_ITEM: {
+        quantity: int,
+        unitCost: double,
+        discountPercentAtTime: int,
+        finalPrice: double,
+        isOverridden: bool,
+        partPosition: string,
+        retailCostAtTime: int,
+    },
+    JOBBER_FOR_JOB: { discountPercent: int },
+    owned_by: {},
+};
+const entity = (...entityTypes) => ({
+    label: "Entity",
+    entityTypes,
+});
+const vertex = (label) => ({ label });
+// Mirrors the edge documentation in aiQuery.ts. At most one edge of a given
+// label may join the same two vertices.
+exports.EDGE_RULES = {
+    WORKS_FOR: {
+        pairs: [[entity("Estimator"), entity("Company")]],
+        maxPerSource: 1,
+    },
+    REQUESTS_WORK: {
+        pairs: [
+            [entity("Customer"), entity("Company")],
+            [entity("Company"), entity("Jobber")],
+        ],
+    },
+    DOES_WORK_FOR: {
+        pairs: [
+            [entity("Jobber"), entity("Company")],
+            [entity("Company"), entity("Customer")],
+        ],
+    },
+    OWNS_ASSET: {
+        pairs: [[entity("Customer"), vertex("Asset")]],
+        maxPerDestination: 1,
+    },
+    MANAGES_JOB: {
+        pairs: [[entity("Estimator"), vertex("Job")]],
+        maxPerDestination: 1,
+    },
+    SERVICE_ON: {
+        pairs: [[vertex("Job"), vertex("Asset")]],
+        maxPerSource: 1,
+    },
+    PAYS_FOR: {
+        pairs: [[entity("Customer"), vertex("Job")]],
+        maxPerDestination: 1,
+    },
+    OFFERS_PART: {
+        pairs: [[entity("Jobber"), vertex("Part")]],
+    },
+    HAS_LINE_ITEM: {
+        pairs: [[vertex("Job"), vertex("Part")]],
+    },
+    JOBBER_FOR_JOB: {
+        pairs: [[entity("Jobber"), vertex("Job")]],
+        maxPerDestination: 1,
+    },
+    owned_by: {
+        pairs: [[vertex("Account"), vertex("Project_Data")]],
+        maxPerSource: 1,
+    },
+};
+const describeEndpoint = (e) => {
+    const types = Array.isArray(e.entityTypes)
+        ? e.entityTypes.join("/")
+        : e.entityTypes;
+    return types ? `${e.label} (${types})` : e.label;
+};
+exports.describeEndpoint = describeEndpoint;
+// entityTypes may hold several ";"-separated roles, e.g. "Jobber;Company"
+const matchesEndpoint = (rule, v) => rule.label === v.label &&
+    (!rule.entityTypes ||
+        (v.entityTypes ?? "")
+            .split(";")
+            .some((t) => rule.entityTypes.includes(t.trim())));
+/**
+ * Checks the endpoint labels of a new edge against EDGE_RULES. Errors are
+ * reported on the "source" or "destination" field.
+ */
+const checkEdgeEndpoints = (edgeLabel, source, destination) => {
+    const rule = exports.EDGE_RULES[edgeLabel];
+    if (!rule) {
+        return [{ field: "edge", message: `No endpoint rules for ${edgeLabel}` }];
+    }
+    if (rule.pairs.some(([from, to]) => matchesEndpoint(from, source) && matchesEndpoint(to, destination))) {
+        return [];
+    }
+    const fromSource = rule.pairs.filter(([from]) => matchesEndpoint(from, source));
+    if (fromSource.length === 0) {
+        const allowed = rule.pairs.map(([from]) => (0, exports.describeEndpoint)(from));
+        return [{
+                field: "source",
+                message: `${edgeLabel} must start at ${Array.from(new Set(allowed)).join(" or ")}, not ${(0, exports.describeEndpoint)(source)}`,
+            }];
+    }
+    const allowed = fromSource.map(([, to]) => (0, exports.describeEndpoint)(to));
+    return [{
+            field: "destination",
+            message: `${edgeLabel} from ${(0, exports.describeEndpoint)(source)} must end at ${Array.from(new Set(allowed)).join(" or ")}, not ${(0, exports.describeEndpoint)(destination)}`,
+        }];
+};
+exports.checkEdgeEndpoints = checkEdgeEndpoints;
+const schemaFor = (kind, label) => (kind === "vertex" ? exports.VERTEX_SCHEMAS : exports.EDGE_SCHEMAS)[label];
+exports.schemaFor = schemaFor;
+/** Bulk-load CSV header cell for a property, e.g. `year:Int`. */
+const csvHeaderColumn = (name, spec) => `${name}:${spec.type}`;
+exports.csvHeaderColumn = csvHeaderColumn;
+/** Splits a CSV header cell such as `year:Int` into name and type. */
+const parseCsvHeaderColumn = (column) => {
+    const idx = column.lastIndexOf(":");
+    if (idx <= 0)
+        return { name: column, type: "String" };
+    return {
+        name: column.slice(0, idx),
+        type: column.slice(idx + 1),
+    };
+};
+exports.parseCsvHeaderColumn = parseCsvHeaderColumn;
+const INTEGER_RANGES = {
+    Byte: [-128, 127],
+    Short: [-32768, 32767],
+    Int: [-2147483648, 2147483647],
+    Long: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+};
+/**
+ * Converts a raw value to the declared type. Throws an Error whose message is
+ * suitable for showing next to the field.
+ */
+const coerceValue = (type, value) => {
+    if (typeof value === "object" && value !== null) {
+        throw new Error("must be a single value");
+    }
+    const text = String(value).trim();
+    switch (type) {
+        case "String":
+            return String(value);
+        case "Bool": {
+            if (typeof value === "boolean")
+                return value;
+            const lower = text.toLowerCase();
+            if (lower === "true")
+                return true;
+            if (lower === "false")
+                return false;
+            throw new Error("must be true or false");
+        }
+        case "Byte":
+        case "Short":
+        case "Int":
+        case "Long": {
+            const n = typeof value === "number" ? value : Number(text);
+            if (text === "" || !Number.isInteger(n)) {
+                throw new Error("must be a whole number");
+            }
+            const [min, max] = INTEGER_RANGES[type];
+            if (n < min || n > max) {
+                throw new Error(`must be between ${min} and ${max}`);
+            }
+            return n;
+        }
+        case "Float":
+        case "Double": {
+            const n = typeof value === "number" ? value : Number(text);
+            if (text === "" || !Number.isFinite(n)) {
+                throw new Error("must be a number");
+            }
+            return n;
+        }
+        case "Date": {
+            const d = new Date(text);
+            if (text === "" || Number.isNaN(d.getTime())) {
+                throw new Error("must be a date (YYYY-MM-DD or ISO 8601)");
+            }
+            return d;
+        }
+    }
+};
+exports.coerceValue = coerceValue;
+/**
+ * Validates `props` against the schema of `label` and returns the coerced
+ * values together with one error per offending field. Empty values are
+ * dropped. With `partial`, missing required properties are not reported, so
+ * the same check serves updates.
+ */
+const validateProperties = (kind, label, props, { partial = false } = {}) => {
+    const schema = (0, exports.schemaFor)(kind, label);
+    if (!schema) {
+        return {
+            values: {},
+            errors: [{ field: kind, message: `Unknown ${kind} label: ${label}` }],
+        };
+    }
+    const values = {};
+    const errors = [];
+    for (const [key, val] of Object.entries(props)) {
+        const spec = schema[key];
+        if (!spec) {
+            errors.push({ field: key, message: `Unknown property for ${label}` });
+            continue;
+        }
+        if (val === undefined || val === null || val === "")
+            continue;
+        try {
+            values[key] = (0, exports.coerceValue)(spec.type, val);
+        }
+        catch (e) {
+            errors.push({ field: key, message: e.message });
+        }
+    }
+    if (!partial) {
+        for (const [key, spec] of Object.entries(schema)) {
+            if (spec.required && !(key in values) && !errors.some((e) => e.field === key)) {
+                errors.push({ field: key, message: "Required" });
+            }
+        }
+    }
+    return { values, errors };
+};
+exports.validateProperties = validateProperties;
+/** Joins field errors into one message for callers without field-level UI. */
+const describeFieldErrors = (errors) => errors.map((e) => `${e.field}: ${e.message}`).join("; ");
+exports.describeFieldErrors = describeFieldErrors;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2NoZW1hUmVnaXN0cnkuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJzY2hlbWFSZWdpc3RyeS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiO0FBQUEsMkVBQTJFO0FBQzNFLHVFQUF1RTtBQUN2RSw4RUFBOEU7QUFDOUUsZ0VBQWdFOzs7QUF5QmhFLE1BQU0sTUFBTSxHQUFpQixFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsQ0FBQztBQUNoRCxNQUFNLGNBQWMsR0FBaUIsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsQ0FBQztBQUN4RSxNQUFNLEdBQUcsR0FBaUIsRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLENBQUM7QUFDMUMsTUFBTSxNQUFNLEdBQWlCLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxDQUFDO0FBQ2hELE1BQU0sSUFBSSxHQUFpQixFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsQ0FBQztBQUUvQixRQUFBLGNBQWMsR0FBZ0M7SUFDekQsTUFBTSxFQUFFO1FBQ04sV0FBVyxFQUFFLGNBQWM7UUFDM0IsV0FBVyxFQUFFLE1BQU07UUFDbkIsSUFBSSxFQUFFLE1BQU07UUFDWixXQUFXLEVBQUUsTUFBTTtRQUNuQixPQUFPLEVBQUUsTUFBTTtRQUNmLEtBQUssRUFBRSxNQUFNO1FBQ2IsS0FBSyxFQUFFLE1BQU07UUFDYixPQUFPLEVBQUUsTUFBTTtRQUNmLE9BQU8sRUFBRSxNQUFNO0tBQ2hCO0lBQ0QsS0FBSyxFQUFFO1FBQ0wsU0FBUyxFQUFFLGNBQWM7UUFDekIsSUFBSSxFQUFFLE1BQU07UUFDWixLQUFLLEVBQUUsTUFBTTtRQUNiLElBQUksRUFBRSxHQUFHO1FBQ1QsR0FBRyxFQUFFLE1BQU07UUFDWCxNQUFNLEVBQUUsTUFBTTtRQUNkLFFBQVEsRUFBRSxNQUFNO1FBQ2hCLFFBQVEsRUFBRSxNQUFNO1FBQ2hCLE9BQU8sRUFBRSxNQUFNO1FBQ2YsS0FBSyxFQUFFLE1BQU07UUFDYixPQUFPLEVBQUUsTUFBTTtRQUNmLElBQUksRUFBRSxNQUFNO1FBQ1osV0FBVyxFQUFFLE1BQU07UUFDbkIsYUFBYSxFQUFFLE1BQU07UUFDckIsWUFBWSxFQUFFLE1BQU07UUFDcEIsT0FBTyxFQUFFLE1BQU07UUFDZixVQUFVLEVBQUUsR0FBRztRQUNmLFNBQVMsRUFBRSxHQUFHO0tBQ2Y7SUFDRCxHQUFHLEVBQUU7UUFDSCxPQUFPLEVBQUUsY0FBYztRQUN2QixXQUFXLEVBQUUsTUFBTTtRQUNuQixRQUFRLEVBQUUsTUFBTTtRQUNoQixTQUFTLEVBQUUsTUFBTTtRQUNqQixNQUFNLEVBQUUsTUFBTTtRQUNkLFdBQVcsRUFBRSxNQUFNO1FBQ25CLFVBQVUsRUFBRSxNQUFNO0tBQ25CO0lBQ0QsSUFBSSxFQUFFO1FBQ0osUUFBUSxFQUFFLGNBQWM7UUFDeEIsTUFBTSxFQUFFLE1BQU07UUFDZCxVQUFVLEVBQUUsTUFBTTtLQUNuQjtJQUNELFlBQVksRUFBRTtRQUNaLFdBQVcsRUFBRSxjQUFjO1FBQzNCLGdCQUFnQixFQUFFLE1BQU07UUFDeEIsa0JBQWtCLEVBQUUsTUFBTTtRQUMxQixJQUFJLEVBQUUsTUFBTTtRQUNaLFVBQVUsRUFBRSxNQUFNO1FBQ2xCLFFBQVEsRUFBRSxNQUFNO1FBQ2hCLElBQUksRUFBRSxNQUFNO1FBQ1osUUFBUSxFQUFFLElBQUk7UUFDZCxVQUFVLEVBQUUsTUFBTTtLQUNuQjtJQUNELE9BQU8sRUFBRTtRQUNQLFlBQVksRUFBRSxjQUFjO1FBQzVCLFVBQVUsRUFBRSxjQUFjO1FBQzFCLEtBQUssRUFBRSxNQUFNO1FBQ2IsWUFBWSxFQUFFLE1BQU07S0FDckI7Q0FDRixDQUFDO0FBRVcsUUFBQSxZQUFZLEdBQWdDO0lBQ3ZELFNBQVMsRUFBRSxFQUFFLElBQUksRUFBRSxjQUFjLEVBQUU7SUFDbkMsYUFBYSxFQUFFLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUMvQixhQUFhLEVBQUUsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLFdBQVcsRUFBRSxNQUFNLEVBQUUsZUFBZSxFQUFFLEdBQUcsRUFBRTtJQUMxRSxVQUFVLEVBQUUsRUFBRTtJQUNkLFdBQVcsRUFBRSxFQUFFLElBQUksRUFBRSxjQUFjLEVBQUU7SUFDckMsVUFBVSxFQUFFLEVBQUUsV0FBVyxFQUFFLE1BQU0sRUFBRTtJQUNuQyxRQUFRLEVBQUUsRUFBRSxTQUFTLEVBQUUsY0FBYyxFQUFFLGVBQWUsRUFBRSxHQUFHLEVBQUU7SUFDN0QsV0FBVyxFQUFFLEVBQUUsZUFBZSxFQUFFLEdBQUcsRUFBRSxZQUFZLEVBQUUsR0FBRyxFQUFFO0lBQ3hELGFBQWEsRUFBRTtRQUNiLFFBQVEsRUFBRSxHQUFHO1FBQ2IsUUFBUSxFQUFFLE1BQU07UUFDaEIscUJBQXFCLEVBQUUsR0FBRztRQUMxQixVQUFVLEVBQUUsTUFBTTtRQUNsQixZQUFZLEVBQUUsSUFBSTtRQUNsQixZQUFZLEVBQUUsTUFBTTtRQUNwQixnQkFBZ0IsRUFBRSxHQUFHO0tBQ3RCO0lBQ0QsY0FBYyxFQUFFLEVBQUUsZUFBZSxFQUFFLEdBQUcsRUFBRTtJQUN4QyxRQUFRLEVBQUUsRUFBRTtDQUNiLENBQUM7QUFpQkYsTUFBTSxNQUFNLEdBQUcsQ0FBQyxHQUFHLFdBQXFCLEVBQWdCLEVBQUUsQ0FBQyxDQUFDO0lBQzFELEtBQUssRUFBRSxRQUFRO0lBQ2YsV0FBVztDQUNaLENBQUMsQ0FBQztBQUNILE1BQU0sTUFBTSxHQUFHLENBQUMsS0FBYSxFQUFnQixFQUFFLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUM7QUFFNUQsNEVBQTRFO0FBQzVFLHdDQUF3QztBQUMzQixRQUFBLFVBQVUsR0FBNkI7SUFDbEQsU0FBUyxFQUFFO1FBQ1QsS0FBSyxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsV0FBVyxDQUFDLEVBQUUsTUFBTSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7UUFDakQsWUFBWSxFQUFFLENBQUM7S0FDaEI7SUFDRCxhQUFhLEVBQUU7UUFDYixLQUFLLEVBQUU7WUFDTCxDQUFDLE1BQU0sQ0FBQyxVQUFVLENBQUMsRUFBRSxNQUFNLENBQUMsU0FBUyxDQUFDLENBQUM7WUFDdkMsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLEVBQUUsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1NBQ3RDO0tBQ0Y7SUFDRCxhQUFhLEVBQUU7UUFDYixLQUFLLEVBQUU7WUFDTCxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsRUFBRSxNQUFNLENBQUMsU0FBUyxDQUFDLENBQUM7WUFDckMsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLEVBQUUsTUFBTSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1NBQ3hDO0tBQ0Y7SUFDRCxVQUFVLEVBQUU7UUFDVixLQUFLLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxVQUFVLENBQUMsRUFBRSxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztRQUM5QyxpQkFBaUIsRUFBRSxDQUFDO0tBQ3JCO0lBQ0QsV0FBVyxFQUFFO1FBQ1gsS0FBSyxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsV0FBVyxDQUFDLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7UUFDN0MsaUJBQWlCLEVBQUUsQ0FBQztLQUNyQjtJQUNELFVBQVUsRUFBRTtRQUNWLEtBQUssRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLE1BQU0sQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO1FBQ3pDLFlBQVksRUFBRSxDQUFDO0tBQ2hCO0lBQ0QsUUFBUSxFQUFFO1FBQ1IsS0FBSyxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7UUFDNUMsaUJBQWlCLEVBQUUsQ0FBQztLQUNyQjtJQUNELFdBQVcsRUFBRTtRQUNYLEtBQUssRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO0tBQzVDO0lBQ0QsYUFBYSxFQUFFO1FBQ2IsS0FBSyxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEVBQUUsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7S0FDekM7SUFDRCxjQUFjLEVBQUU7UUFDZCxLQUFLLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUMxQyxpQkFBaUIsRUFBRSxDQUFDO0tBQ3JCO0lBQ0QsUUFBUSxFQUFFO1FBQ1IsS0FBSyxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLEVBQUUsTUFBTSxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUM7UUFDcEQsWUFBWSxFQUFFLENBQUM7S0FDaEI7Q0FDRixDQUFDO0FBUUssTUFBTSxnQkFBZ0IsR0FBRyxDQUFDLENBQWdDLEVBQVUsRUFBRTtJQUMzRSxNQUFNLEtBQUssR0FBRyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUM7UUFDeEMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQztRQUN6QixDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQztJQUNsQixPQUFPLEtBQUssQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsS0FBSyxLQUFLLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDO0FBQ25ELENBQUMsQ0FBQztBQUxXLFFBQUEsZ0JBQWdCLG9CQUszQjtBQUVGLDBFQUEwRTtBQUMxRSxNQUFNLGVBQWUsR0FBRyxDQUFDLElBQWtCLEVBQUUsQ0FBaUIsRUFBVyxFQUFFLENBQ3pFLElBQUksQ0FBQyxLQUFLLEtBQUssQ0FBQyxDQUFDLEtBQUs7SUFDdEIsQ0FBQyxDQUFDLElBQUksQ0FBQyxXQUFXO1FBQ2hCLENBQUMsQ0FBQyxDQUFDLFdBQVcsSUFBSSxFQUFFLENBQUM7YUFDbEIsS0FBSyxDQUFDLEdBQUcsQ0FBQzthQUNWLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsSUFBSSxDQUFDLFdBQVksQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO0FBRTFEOzs7R0FHRztBQUNJLE1BQU0sa0JBQWtCLEdBQUcsQ0FDaEMsU0FBaUIsRUFDakIsTUFBc0IsRUFDdEIsV0FBMkIsRUFDYixFQUFFO0lBQ2hCLE1BQU0sSUFBSSxHQUFHLGtCQUFVLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDbkMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDO1FBQ1YsT0FBTyxDQUFDLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUseUJBQXlCLFNBQVMsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUM1RSxDQUFDO0lBQ0QsSUFBSSxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxlQUFlLENBQUMsSUFBSSxFQUFFLE1BQU0sQ0FBQyxJQUFJLGVBQWUsQ0FBQyxFQUFFLEVBQUUsV0FBVyxDQUFDLENBQUMsRUFBRSxDQUFDO1FBQ3ZHLE9BQU8sRUFBRSxDQUFDO0lBQ1osQ0FBQztJQUNELE1BQU0sVUFBVSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxFQUFFLENBQUMsZUFBZSxDQUFDLElBQUksRUFBRSxNQUFNLENBQUMsQ0FBQyxDQUFDO0lBQ2hGLElBQUksVUFBVSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUUsQ0FBQztRQUM1QixNQUFNLE9BQU8sR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsRUFBRSxDQUFDLElBQUEsd0JBQWdCLEVBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUNuRSxPQUFPLENBQUM7Z0JBQ04sS0FBSyxFQUFFLFFBQVE7Z0JBQ2YsT0FBTyxFQUFFLEdBQUcsU0FBUyxrQkFBa0IsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsU0FBUyxJQUFBLHdCQUFnQixFQUFDLE1BQU0sQ0FBQyxFQUFFO2FBQ3BILENBQUMsQ0FBQztJQUNMLENBQUM7SUFDRCxNQUFNLE9BQU8sR0FBRyxVQUFVLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxJQUFBLHdCQUFnQixFQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDakUsT0FBTyxDQUFDO1lBQ04sS0FBSyxFQUFFLGFBQWE7WUFDcEIsT0FBTyxFQUFFLEdBQUcsU0FBUyxTQUFTLElBQUEsd0JBQWdCLEVBQUMsTUFBTSxDQUFDLGdCQUFnQixLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxTQUFTLElBQUEsd0JBQWdCLEVBQUMsV0FBVyxDQUFDLEVBQUU7U0FDeEosQ0FBQyxDQUFDO0FBQ0wsQ0FBQyxDQUFDO0FBekJXLFFBQUEsa0JBQWtCLHNCQXlCN0I7QUFFSyxNQUFNLFNBQVMsR0FBRyxDQUN2QixJQUF1QixFQUN2QixLQUFhLEVBQ1ksRUFBRSxDQUMzQixDQUFDLElBQUksS0FBSyxRQUFRLENBQUMsQ0FBQyxDQUFDLHNCQUFjLENBQUMsQ0FBQyxDQUFDLG9CQUFZLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQztBQUpoRCxRQUFBLFNBQVMsYUFJdUM7QUFFN0QsaUVBQWlFO0FBQzFELE1BQU0sZUFBZSxHQUFHLENBQUMsSUFBWSxFQUFFLElBQWtCLEVBQVUsRUFBRSxDQUMxRSxHQUFHLElBQUksSUFBSSxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUM7QUFEWixRQUFBLGVBQWUsbUJBQ0g7QUFFekIsc0VBQXNFO0FBQy9ELE1BQU0sb0JBQW9CLEdBQUcsQ0FDbEMsTUFBYyxFQUN3QixFQUFFO0lBQ3hDLE1BQU0sR0FBRyxHQUFHLE1BQU0sQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDcEMsSUFBSSxHQUFHLElBQUksQ0FBQztRQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsQ0FBQztJQUN0RCxPQUFPO1FBQ0wsSUFBSSxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLEdBQUcsQ0FBQztRQUMxQixJQUFJLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFpQjtLQUM1QyxDQUFDO0FBQ0osQ0FBQyxDQUFDO0FBVFcsUUFBQSxvQkFBb0Isd0JBUy9CO0FBRUYsTUFBTSxjQUFjLEdBQW9EO0lBQ3RFLElBQUksRUFBRSxDQUFDLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQztJQUNqQixLQUFLLEVBQUUsQ0FBQyxDQUFDLEtBQUssRUFBRSxLQUFLLENBQUM7SUFDdEIsR0FBRyxFQUFFLENBQUMsQ0FBQyxVQUFVLEVBQUUsVUFBVSxDQUFDO0lBQzlCLElBQUksRUFBRSxDQUFDLE1BQU0sQ0FBQyxnQkFBZ0IsRUFBRSxNQUFNLENBQUMsZ0JBQWdCLENBQUM7Q0FDekQsQ0FBQztBQUVGOzs7R0FHRztBQUNJLE1BQU0sV0FBVyxHQUFHLENBQUMsSUFBa0IsRUFBRSxLQUFjLEVBQVcsRUFBRTtJQUN6RSxJQUFJLE9BQU8sS0FBSyxLQUFLLFFBQVEsSUFBSSxLQUFLLEtBQUssSUFBSSxFQUFFLENBQUM7UUFDaEQsTUFBTSxJQUFJLEtBQUssQ0FBQyx3QkFBd0IsQ0FBQyxDQUFDO0lBQzVDLENBQUM7SUFDRCxNQUFNLElBQUksR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7SUFDbEMsUUFBUSxJQUFJLEVBQUUsQ0FBQztRQUNiLEtBQUssUUFBUTtZQUNYLE9BQU8sTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ3ZCLEtBQUssTUFBTSxDQUFDLENBQUMsQ0FBQztZQUNaLElBQUksT0FBTyxLQUFLLEtBQUssU0FBUztnQkFBRSxPQUFPLEtBQUssQ0FBQztZQUM3QyxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsV0FBVyxFQUFFLENBQUM7WUFDakMsSUFBSSxLQUFLLEtBQUssTUFBTTtnQkFBRSxPQUFPLElBQUksQ0FBQztZQUNsQyxJQUFJLEtBQUssS0FBSyxPQUFPO2dCQUFFLE9BQU8sS0FBSyxDQUFDO1lBQ3BDLE1BQU0sSUFBSSxLQUFLLENBQUMsdUJBQXVCLENBQUMsQ0FBQztRQUMzQyxDQUFDO1FBQ0QsS0FBSyxNQUFNLENBQUM7UUFDWixLQUFLLE9BQU8sQ0FBQztRQUNiLEtBQUssS0FBSyxDQUFDO1FBQ1gsS0FBSyxNQUFNLENBQUMsQ0FBQyxDQUFDO1lBQ1osTUFBTSxDQUFDLEdBQUcsT0FBTyxLQUFLLEtBQUssUUFBUSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUMzRCxJQUFJLElBQUksS0FBSyxFQUFFLElBQUksQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7Z0JBQ3hDLE1BQU0sSUFBSSxLQUFLLENBQUMsd0JBQXdCLENBQUMsQ0FBQztZQUM1QyxDQUFDO1lBQ0QsTUFBTSxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsR0FBRyxjQUFjLENBQUMsSUFBSSxDQUFFLENBQUM7WUFDekMsSUFBSSxDQUFDLEdBQUcsR0FBRyxJQUFJLENBQUMsR0FBRyxHQUFHLEVBQUUsQ0FBQztnQkFDdkIsTUFBTSxJQUFJLEtBQUssQ0FBQyxtQkFBbUIsR0FBRyxRQUFRLEdBQUcsRUFBRSxDQUFDLENBQUM7WUFDdkQsQ0FBQztZQUNELE9BQU8sQ0FBQyxDQUFDO1FBQ1gsQ0FBQztRQUNELEtBQUssT0FBTyxDQUFDO1FBQ2IsS0FBSyxRQUFRLENBQUMsQ0FBQyxDQUFDO1lBQ2QsTUFBTSxDQUFDLEdBQUcsT0FBTyxLQUFLLEtBQUssUUFBUSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUMzRCxJQUFJLElBQUksS0FBSyxFQUFFLElBQUksQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7Z0JBQ3ZDLE1BQU0sSUFBSSxLQUFLLENBQUMsa0JBQWtCLENBQUMsQ0FBQztZQUN0QyxDQUFDO1lBQ0QsT0FBTyxDQUFDLENBQUM7UUFDWCxDQUFDO1FBQ0QsS0FBSyxNQUFNLENBQUMsQ0FBQyxDQUFDO1lBQ1osTUFBTSxDQUFDLEdBQUcsSUFBSSxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7WUFDekIsSUFBSSxJQUFJLEtBQUssRUFBRSxJQUFJLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLE9BQU8sRUFBRSxDQUFDLEVBQUUsQ0FBQztnQkFDN0MsTUFBTSxJQUFJLEtBQUssQ0FBQyx5Q0FBeUMsQ0FBQyxDQUFDO1lBQzdELENBQUM7WUFDRCxPQUFPLENBQUMsQ0FBQztRQUNYLENBQUM7SUFDSCxDQUFDO0FBQ0gsQ0FBQyxDQUFDO0FBN0NXLFFBQUEsV0FBVyxlQTZDdEI7QUFFRjs7Ozs7R0FLRztBQUNJLE1BQU0sa0JBQWtCLEdBQUcsQ0FDaEMsSUFBdUIsRUFDdkIsS0FBYSxFQUNiLEtBQThCLEVBQzlCLEVBQUUsT0FBTyxHQUFHLEtBQUssS0FBNEIsRUFBRSxFQUNZLEVBQUU7SUFDN0QsTUFBTSxNQUFNLEdBQUcsSUFBQSxpQkFBUyxFQUFDLElBQUksRUFBRSxLQUFLLENBQUMsQ0FBQztJQUN0QyxJQUFJLENBQUMsTUFBTSxFQUFFLENBQUM7UUFDWixPQUFPO1lBQ0wsTUFBTSxFQUFFLEVBQUU7WUFDVixNQUFNLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLFdBQVcsSUFBSSxXQUFXLEtBQUssRUFBRSxFQUFFLENBQUM7U0FDdEUsQ0FBQztJQUNKLENBQUM7SUFFRCxNQUFNLE1BQU0sR0FBNEIsRUFBRSxDQUFDO0lBQzNDLE1BQU0sTUFBTSxHQUFpQixFQUFFLENBQUM7SUFDaEMsS0FBSyxNQUFNLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQyxJQUFJLE1BQU0sQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQztRQUMvQyxNQUFNLElBQUksR0FBRyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDekIsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDO1lBQ1YsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxHQUFHLEVBQUUsT0FBTyxFQUFFLHdCQUF3QixLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUM7WUFDdEUsU0FBUztRQUNYLENBQUM7UUFDRCxJQUFJLEdBQUcsS0FBSyxTQUFTLElBQUksR0FBRyxLQUFLLElBQUksSUFBSSxHQUFHLEtBQUssRUFBRTtZQUFFLFNBQVM7UUFDOUQsSUFBSSxDQUFDO1lBQ0gsTUFBTSxDQUFDLEdBQUcsQ0FBQyxHQUFHLElBQUEsbUJBQVcsRUFBQyxJQUFJLENBQUMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxDQUFDO1FBQzVDLENBQUM7UUFBQyxPQUFPLENBQUMsRUFBRSxDQUFDO1lBQ1gsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxHQUFHLEVBQUUsT0FBTyxFQUFHLENBQVcsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO1FBQzdELENBQUM7SUFDSCxDQUFDO0lBRUQsSUFBSSxDQUFDLE9BQU8sRUFBRSxDQUFDO1FBQ2IsS0FBSyxNQUFNLENBQUMsR0FBRyxFQUFFLElBQUksQ0FBQyxJQUFJLE1BQU0sQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQztZQUNqRCxJQUFJLElBQUksQ0FBQyxRQUFRLElBQUksQ0FBQyxDQUFDLEdBQUcsSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxLQUFLLEtBQUssR0FBRyxDQUFDLEVBQUUsQ0FBQztnQkFDOUUsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxHQUFHLEVBQUUsT0FBTyxFQUFFLFVBQVUsRUFBRSxDQUFDLENBQUM7WUFDbkQsQ0FBQztRQUNILENBQUM7SUFDSCxDQUFDO0lBQ0QsT0FBTyxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsQ0FBQztBQUM1QixDQUFDLENBQUM7QUF0Q1csUUFBQSxrQkFBa0Isc0JBc0M3QjtBQUVGLDhFQUE4RTtBQUN2RSxNQUFNLG1CQUFtQixHQUFHLENBQUMsTUFBb0IsRUFBVSxFQUFFLENBQ2xFLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEtBQUssS0FBSyxDQUFDLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7QUFEOUMsUUFBQSxtQkFBbUIsdUJBQzJCIiwic291cmNlc0NvbnRlbnQiOlsiLy8gUHJvcGVydHkgc2NoZW1hIGZvciBldmVyeSB2ZXJ0ZXggYW5kIGVkZ2UgbGFiZWwsIGluIHRoZSBzYW1lIGBuYW1lOlR5cGVgXG4vLyB2b2NhYnVsYXJ5IGFzIHRoZSBOZXB0dW5lIGJ1bGstbG9hZCBDU1YgaGVhZGVycyAoZGF0YS92ZXJ0ZXguY3N2IGFuZFxuLy8gZGF0YS9lZGdlLmNzdikuIG11dGF0aW9uR3JhcGgudHMgdmFsaWRhdGVzIGFuZCBjb2VyY2VzIHdyaXRlcyBhZ2FpbnN0IGl0IHNvXG4vLyB0aGF0IHdlYi1jcmVhdGVkIGRhdGEgaGFzIHRoZSBzYW1lIHR5cGVzIGFzIGJ1bGstbG9hZGVkIGRhdGEuXG5cbmV4cG9ydCB0eXBlIFByb3BlcnR5VHlwZSA9XG4gIHwgXCJTdHJpbmdcIlxuICB8IFwiQm9vbFwiXG4gIHwgXCJCeXRlXCJcbiAgfCBcIlNob3J0XCJcbiAgfCBcIkludFwiXG4gIHwgXCJMb25nXCJcbiAgfCBcIkZsb2F0XCJcbiAgfCBcIkRvdWJsZVwiXG4gIHwgXCJEYXRlXCI7XG5cbmV4cG9ydCBpbnRlcmZhY2UgUHJvcGVydHlTcGVjIHtcbiAgdHlwZTogUHJvcGVydHlUeXBlO1xuICByZXF1aXJlZD86IGJvb2xlYW47XG59XG5cbmV4cG9ydCB0eXBlIExhYmVsU2NoZW1hID0gUmVjb3JkPHN0cmluZywgUHJvcGVydHlTcGVjPjtcblxuZXhwb3J0IGludGVyZmFjZSBGaWVsZEVycm9yIHtcbiAgZmllbGQ6IHN0cmluZztcbiAgbWVzc2FnZTogc3RyaW5nO1xufVxuXG5jb25zdCBzdHJpbmc6IFByb3BlcnR5U3BlYyA9IHsgdHlwZTogXCJTdHJpbmdcIiB9O1xuY29uc3QgcmVxdWlyZWRTdHJpbmc6IFByb3BlcnR5U3BlYyA9IHsgdHlwZTogXCJTdHJpbmdcIiwgcmVxdWlyZWQ6IHRydWUgfTtcbmNvbnN0IGludDogUHJvcGVydHlTcGVjID0geyB0eXBlOiBcIkludFwiIH07XG5jb25zdCBkb3VibGU6IFByb3BlcnR5U3BlYyA9IHsgdHlwZTogXCJEb3VibGVcIiB9O1xuY29uc3QgYm9vbDogUHJvcGVydHlTcGVjID0geyB0eXBlOiBcIkJvb2xcIiB9O1xuXG5leHBvcnQgY29uc3QgVkVSVEVYX1NDSEVNQVM6IFJlY29yZDxzdHJpbmcsIExhYmVsU2NoZW1hPiA9IHtcbiAgRW50aXR5OiB7XG4gICAgZW50aXR5VHlwZXM6IHJlcXVpcmVkU3RyaW5nLFxuICAgIGNvbXBhbnlOYW1lOiBzdHJpbmcsXG4gICAgbmFtZTogc3RyaW5nLFxuICAgIGNvbXBhbnlUeXBlOiBzdHJpbmcsXG4gICAgYWRkcmVzczogc3RyaW5nLFxuICAgIGVtYWlsOiBzdHJpbmcsXG4gICAgcGhvbmU6IHN0cmluZyxcbiAgICB3ZWJzaXRlOiBzdHJpbmcsXG4gICAgY291bnRyeTogc3RyaW5nLFxuICB9LFxuICBBc3NldDoge1xuICAgIGFzc2V0VHlwZTogcmVxdWlyZWRTdHJpbmcsXG4gICAgbWFrZTogc3RyaW5nLFxuICAgIG1vZGVsOiBzdHJpbmcsXG4gICAgeWVhcjogaW50LFxuICAgIHZpbjogc3RyaW5nLFxuICAgIGh1bGxJZDogc3RyaW5nLFxuICAgIGJvYXRUeXBlOiBzdHJpbmcsXG4gICAgbGVuZ3RoRnQ6IGRvdWJsZSxcbiAgICBydkNsYXNzOiBzdHJpbmcsXG4gICAgYnJhbmQ6IHN0cmluZyxcbiAgICBjYXJyaWVyOiBzdHJpbmcsXG4gICAgaW1laTogc3RyaW5nLFxuICAgIHBob25lTnVtYmVyOiBzdHJpbmcsXG4gICAgZXF1aXBtZW50VHlwZTogc3RyaW5nLFxuICAgIHNlcmlhbE51bWJlcjogc3RyaW5nLFxuICAgIGFkZHJlc3M6IHN0cmluZyxcbiAgICBzcXVhcmVGZWV0OiBpbnQsXG4gICAgeWVhckJ1aWx0OiBpbnQsXG4gIH0sXG4gIEpvYjoge1xuICAgIGpvYk5hbWU6IHJlcXVpcmVkU3RyaW5nLFxuICAgIGpvYkNhdGVnb3J5OiBzdHJpbmcsXG4gICAgcm9OdW1iZXI6IHN0cmluZyxcbiAgICBwYXllclR5cGU6IHN0cmluZyxcbiAgICBzdGF0dXM6IHN0cmluZyxcbiAgICBjcmVhdGVkRGF0ZTogc3RyaW5nLFxuICAgIHN0YXR1c0RhdGU6IHN0cmluZyxcbiAgfSxcbiAgUGFydDoge1xuICAgIHBhcnROYW1lOiByZXF1aXJlZFN0cmluZyxcbiAgICBwYXJ0SWQ6IHN0cmluZyxcbiAgICByZXRhaWxDb3N0OiBkb3VibGUsXG4gIH0sXG4gIFByb2plY3RfRGF0YToge1xuICAgIHByb2plY3ROYW1lOiByZXF1aXJlZFN0cmluZyxcbiAgICBEZXBhcnRtZW50TnVtYmVyOiBzdHJpbmcsXG4gICAgRGF0YUNsYXNzaWZpY2F0aW9uOiBzdHJpbmcsXG4gICAgVGVhbTogc3RyaW5nLFxuICAgIE93bmVyR3JvdXA6IHN0cmluZyxcbiAgICBSZWNvdmVyeTogc3RyaW5nLFxuICAgIFRpZXI6IHN0cmluZyxcbiAgICBhcmNoaXZlZDogYm9vbCxcbiAgICBhcmNoaXZlZEF0OiBzdHJpbmcsXG4gIH0sXG4gIEFjY291bnQ6IHtcbiAgICBBY2NvdW50X05hbWU6IHJlcXVpcmVkU3RyaW5nLFxuICAgIEFjY291bnRfSWQ6IHJlcXVpcmVkU3RyaW5nLFxuICAgIENsb3VkOiBzdHJpbmcsXG4gICAgRW52aXJvbm1lbnRzOiBzdHJpbmcsXG4gIH0sXG59O1xuXG5leHBvcnQgY29uc3QgRURHRV9TQ0hFTUFTOiBSZWNvcmQ8c3RyaW5nLCBMYWJlbFNjaGVtYT4gPSB7XG4gIFdPUktTX0ZPUjogeyByb2xlOiByZXF1aXJlZFN0cmluZyB9LFxuICBSRVFVRVNUU19XT1JLOiB7IHJvbGU6IHN0cmluZyB9LFxuICBET0VTX1dPUktfRk9SOiB7IHJvbGU6IHN0cmluZywgc2VydmljZVR5cGU6IHN0cmluZywgZGlzY291bnRQZXJjZW50OiBpbnQgfSxcbiAgT1dOU19BU1NFVDoge30sXG4gIE1BTkFHRVNfSk9COiB7IHJvbGU6IHJlcXVpcmVkU3RyaW5nIH0sXG4gIFNFUlZJQ0VfT046IHsgc2VydmljZVR5cGU6IHN0cmluZyB9LFxuICBQQVlTX0ZPUjogeyBwYXllclR5cGU6IHJlcXVpcmVkU3RyaW5nLCBkaXNjb3VudFBlcmNlbnQ6IGludCB9LFxuICBPRkZFUlNfUEFSVDogeyBkaXNjb3VudFBlcmNlbnQ6IGludCwgbGVhZFRpbWVEYXlzOiBpbnQgfSxcbiAgSEFTX0xJTkVfSVRFTToge1xuICAgIHF1YW50aXR5OiBpbnQsXG4gICAgdW5pdENvc3Q6IGRvdWJsZSxcbiAgICBkaXNjb3VudFBlcmNlbnRBdFRpbWU6IGludCxcbiAgICBmaW5hbFByaWNlOiBkb3VibGUsXG4gICAgaXNPdmVycmlkZGVuOiBib29sLFxuICAgIHBhcnRQb3NpdGlvbjogc3RyaW5nLFxuICAgIHJldGFpbENvc3RBdFRpbWU6IGludCxcbiAgfSxcbiAgSk9CQkVSX0ZPUl9KT0I6IHsgZGlzY291bnRQZXJjZW50OiBpbnQgfSxcbiAgb3duZWRfYnk6IHt9LFxufTtcblxuLy8gQW4gZWRnZSBlbmRwb2ludDogYSB2ZXJ0ZXggbGFiZWwsIG9wdGlvbmFsbHkgbmFycm93ZWQgdG8gRW50aXR5IHR5cGVzXG5leHBvcnQgaW50ZXJmYWNlIEVuZHBvaW50UnVsZSB7XG4gIGxhYmVsOiBzdHJpbmc7XG4gIGVudGl0eVR5cGVzPzogc3RyaW5nW107XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgRWRnZVJ1bGUge1xuICAvLyBBbGxvd2VkIFtzb3VyY2UsIGRlc3RpbmF0aW9uXSBjb21iaW5hdGlvbnNcbiAgcGFpcnM6IEFycmF5PFtFbmRwb2ludFJ1bGUsIEVuZHBvaW50UnVsZV0+O1xuICAvLyBVcHBlciBib3VuZHMgb24gZWRnZXMgb2YgdGhpcyBsYWJlbCBsZWF2aW5nIG9uZSBzb3VyY2UgLyBlbnRlcmluZyBvbmVcbiAgLy8gZGVzdGluYXRpb24sIGUuZy4gb25lIE1BTkFHRVNfSk9CIGVzdGltYXRvciBwZXIgSm9iXG4gIG1heFBlclNvdXJjZT86IG51bWJlcjtcbiAgbWF4UGVyRGVzdGluYXRpb24/OiBudW1iZXI7XG59XG5cbmNvbnN0IGVudGl0eSA9ICguLi5lbnRpdHlUeXBlczogc3RyaW5nW10pOiBFbmRwb2ludFJ1bGUgPT4gKHtcbiAgbGFiZWw6IFwiRW50aXR5XCIsXG4gIGVudGl0eVR5cGVzLFxufSk7XG5jb25zdCB2ZXJ0ZXggPSAobGFiZWw6IHN0cmluZyk6IEVuZHBvaW50UnVsZSA9PiAoeyBsYWJlbCB9KTtcblxuLy8gTWlycm9ycyB0aGUgZWRnZSBkb2N1bWVudGF0aW9uIGluIGFpUXVlcnkudHMuIEF0IG1vc3Qgb25lIGVkZ2Ugb2YgYSBnaXZlblxuLy8gbGFiZWwgbWF5IGpvaW4gdGhlIHNhbWUgdHdvIHZlcnRpY2VzLlxuZXhwb3J0IGNvbnN0IEVER0VfUlVMRVM6IFJlY29yZDxzdHJpbmcsIEVkZ2VSdWxlPiA9IHtcbiAgV09SS1NfRk9SOiB7XG4gICAgcGFpcnM6IFtbZW50aXR5KFwiRXN0aW1hdG9yXCIpLCBlbnRpdHkoXCJDb21wYW55XCIpXV0sXG4gICAgbWF4UGVyU291cmNlOiAxLFxuICB9LFxuICBSRVFVRVNUU19XT1JLOiB7XG4gICAgcGFpcnM6IFtcbiAgICAgIFtlbnRpdHkoXCJDdXN0b21lclwiKSwgZW50aXR5KFwiQ29tcGFueVwiKV0sXG4gICAgICBbZW50aXR5KFwiQ29tcGFueVwiKSwgZW50aXR5KFwiSm9iYmVyXCIpXSxcbiAgICBdLFxuICB9LFxuICBET0VTX1dPUktfRk9SOiB7XG4gICAgcGFpcnM6IFtcbiAgICAgIFtlbnRpdHkoXCJKb2JiZXJcIiksIGVudGl0eShcIkNvbXBhbnlcIildLFxuICAgICAgW2VudGl0eShcIkNvbXBhbnlcIiksIGVudGl0eShcIkN1c3RvbWVyXCIpXSxcbiAgICBdLFxuICB9LFxuICBPV05TX0FTU0VUOiB7XG4gICAgcGFpcnM6IFtbZW50aXR5KFwiQ3VzdG9tZXJcIiksIHZlcnRleChcIkFzc2V0XCIpXV0sXG4gICAgbWF4UGVyRGVzdGluYXRpb246IDEsXG4gIH0sXG4gIE1BTkFHRVNfSk9COiB7XG4gICAgcGFpcnM6IFtbZW50aXR5KFwiRXN0aW1hdG9yXCIpLCB2ZXJ0ZXgoXCJKb2JcIildXSxcbiAgICBtYXhQZXJEZXN0aW5hdGlvbjogMSxcbiAgfSxcbiAgU0VSVklDRV9PTjoge1xuICAgIHBhaXJzOiBbW3ZlcnRleChcIkpvYlwiKSwgdmVydGV4KFwiQXNzZXRcIildXSxcbiAgICBtYXhQZXJTb3VyY2U6IDEsXG4gIH0sXG4gIFBBWVNfRk9SOiB7XG4gICAgcGFpcnM6IFtbZW50aXR5KFwiQ3VzdG9tZXJcIiksIHZlcnRleChcIkpvYlwiKV1dLFxuICAgIG1heFBlckRlc3RpbmF0aW9uOiAxLFxuICB9LFxuICBPRkZFUlNfUEFSVDoge1xuICAgIHBhaXJzOiBbW2VudGl0eShcIkpvYmJlclwiKSwgdmVydGV4KFwiUGFydFwiKV1dLFxuICB9LFxuICBIQVNfTElORV9JVEVNOiB7XG4gICAgcGFpcnM6IFtbdmVydGV4KFwiSm9iXCIpLCB2ZXJ0ZXgoXCJQYXJ0XCIpXV0sXG4gIH0sXG4gIEpPQkJFUl9GT1JfSk9COiB7XG4gICAgcGFpcnM6IFtbZW50aXR5KFwiSm9iYmVyXCIpLCB2ZXJ0ZXgoXCJKb2JcIildXSxcbiAgICBtYXhQZXJEZXN0aW5hdGlvbjogMSxcbiAgfSxcbiAgb3duZWRfYnk6IHtcbiAgICBwYWlyczogW1t2ZXJ0ZXgoXCJBY2NvdW50XCIpLCB2ZXJ0ZXgoXCJQcm9qZWN0X0RhdGFcIildXSxcbiAgICBtYXhQZXJTb3VyY2U6IDEsXG4gIH0sXG59O1xuXG4vLyBUaGUgbGFiZWwgYW5kIGVudGl0eVR5cGVzIG9mIGFuIGV4aXN0aW5nIHZlcnRleFxuZXhwb3J0IGludGVyZmFjZSBFbmRwb2ludFZlcnRleCB7XG4gIGxhYmVsOiBzdHJpbmc7XG4gIGVudGl0eVR5cGVzPzogc3RyaW5nO1xufVxuXG5leHBvcnQgY29uc3QgZGVzY3JpYmVFbmRwb2ludCA9IChlOiBFbmRwb2ludFJ1bGUgfCBFbmRwb2ludFZlcnRleCk6IHN0cmluZyA9PiB7XG4gIGNvbnN0IHR5cGVzID0gQXJyYXkuaXNBcnJheShlLmVudGl0eVR5cGVzKVxuICAgID8gZS5lbnRpdHlUeXBlcy5qb2luKFwiL1wiKVxuICAgIDogZS5lbnRpdHlUeXBlcztcbiAgcmV0dXJuIHR5cGVzID8gYCR7ZS5sYWJlbH0gKCR7dHlwZXN9KWAgOiBlLmxhYmVsO1xufTtcblxuLy8gZW50aXR5VHlwZXMgbWF5IGhvbGQgc2V2ZXJhbCBcIjtcIi1zZXBhcmF0ZWQgcm9sZXMsIGUuZy4gXCJKb2JiZXI7Q29tcGFueVwiXG5jb25zdCBtYXRjaGVzRW5kcG9pbnQgPSAocnVsZTogRW5kcG9pbnRSdWxlLCB2OiBFbmRwb2ludFZlcnRleCk6IGJvb2xlYW4gPT5cbiAgcnVsZS5sYWJlbCA9PT0gdi5sYWJlbCAmJlxuICAoIXJ1bGUuZW50aXR5VHlwZXMgfHxcbiAgICAodi5lbnRpdHlUeXBlcyA/PyBcIlwiKVxuICAgICAgLnNwbGl0KFwiO1wiKVxuICAgICAgLnNvbWUoKHQpID0+IHJ1bGUuZW50aXR5VHlwZXMhLmluY2x1ZGVzKHQudHJpbSgpKSkpO1xuXG4vKipcbiAqIENoZWNrcyB0aGUgZW5kcG9pbnQgbGFiZWxzIG9mIGEgbmV3IGVkZ2UgYWdhaW5zdCBFREdFX1JVTEVTLiBFcnJvcnMgYXJlXG4gKiByZXBvcnRlZCBvbiB0aGUgXCJzb3VyY2VcIiBvciBcImRlc3RpbmF0aW9uXCIgZmllbGQuXG4gKi9cbmV4cG9ydCBjb25zdCBjaGVja0VkZ2VFbmRwb2ludHMgPSAoXG4gIGVkZ2VMYWJlbDogc3RyaW5nLFxuICBzb3VyY2U6IEVuZHBvaW50VmVydGV4LFxuICBkZXN0aW5hdGlvbjogRW5kcG9pbnRWZXJ0ZXhcbik6IEZpZWxkRXJyb3JbXSA9PiB7XG4gIGNvbnN0IHJ1bGUgPSBFREdFX1JVTEVTW2VkZ2VMYWJlbF07XG4gIGlmICghcnVsZSkge1xuICAgIHJldHVybiBbeyBmaWVsZDogXCJlZGdlXCIsIG1lc3NhZ2U6IGBObyBlbmRwb2ludCBydWxlcyBmb3IgJHtlZGdlTGFiZWx9YCB9XTtcbiAgfVxuICBpZiAocnVsZS5wYWlycy5zb21lKChbZnJvbSwgdG9dKSA9PiBtYXRjaGVzRW5kcG9pbnQoZnJvbSwgc291cmNlKSAmJiBtYXRjaGVzRW5kcG9pbnQodG8sIGRlc3RpbmF0aW9uKSkpIHtcbiAgICByZXR1cm4gW107XG4gIH1cbiAgY29uc3QgZnJvbVNvdXJjZSA9IHJ1bGUucGFpcnMuZmlsdGVyKChbZnJvbV0pID0+IG1hdGNoZXNFbmRwb2ludChmcm9tLCBzb3VyY2UpKTtcbiAgaWYgKGZyb21Tb3VyY2UubGVuZ3RoID09PSAwKSB7XG4gICAgY29uc3QgYWxsb3dlZCA9IHJ1bGUucGFpcnMubWFwKChbZnJvbV0pID0+IGRlc2NyaWJlRW5kcG9pbnQoZnJvbSkpO1xuICAgIHJldHVybiBbe1xuICAgICAgZmllbGQ6IFwic291cmNlXCIsXG4gICAgICBtZXNzYWdlOiBgJHtlZGdlTGFiZWx9IG11c3Qgc3RhcnQgYXQgJHtBcnJheS5mcm9tKG5ldyBTZXQoYWxsb3dlZCkpLmpvaW4oXCIgb3IgXCIpfSwgbm90ICR7ZGVzY3JpYmVFbmRwb2ludChzb3VyY2UpfWAsXG4gICAgfV07XG4gIH1cbiAgY29uc3QgYWxsb3dlZCA9IGZyb21Tb3VyY2UubWFwKChbLCB0b10pID0+IGRlc2NyaWJlRW5kcG9pbnQodG8pKTtcbiAgcmV0dXJuIFt7XG4gICAgZmllbGQ6IFwiZGVzdGluYXRpb25cIixcbiAgICBtZXNzYWdlOiBgJHtlZGdlTGFiZWx9IGZyb20gJHtkZXNjcmliZUVuZHBvaW50KHNvdXJjZSl9IG11c3QgZW5kIGF0ICR7QXJyYXkuZnJvbShuZXcgU2V0KGFsbG93ZWQpKS5qb2luKFwiIG9yIFwiKX0sIG5vdCAke2Rlc2NyaWJlRW5kcG9pbnQoZGVzdGluYXRpb24pfWAsXG4gIH1dO1xufTtcblxuZXhwb3J0IGNvbnN0IHNjaGVtYUZvciA9IChcbiAga2luZDogXCJ2ZXJ0ZXhcIiB8IFwiZWRnZVwiLFxuICBsYWJlbDogc3RyaW5nXG4pOiBMYWJlbFNjaGVtYSB8IHVuZGVmaW5lZCA9PlxuICAoa2luZCA9PT0gXCJ2ZXJ0ZXhcIiA/IFZFUlRFWF9TQ0hFTUFTIDogRURHRV9TQ0hFTUFTKVtsYWJlbF07XG5cbi8qKiBCdWxrLWxvYWQgQ1NWIGhlYWRlciBjZWxsIGZvciBhIHByb3BlcnR5LCBlLmcuIGB5ZWFyOkludGAuICovXG5leHBvcnQgY29uc3QgY3N2SGVhZGVyQ29sdW1uID0gKG5hbWU6IHN0cmluZywgc3BlYzogUHJvcGVydHlTcGVjKTogc3RyaW5nID0+XG4gIGAke25hbWV9OiR7c3BlYy50eXBlfWA7XG5cbi8qKiBTcGxpdHMgYSBDU1YgaGVhZGVyIGNlbGwgc3VjaCBhcyBgeWVhcjpJbnRgIGludG8gbmFtZSBhbmQgdHlwZS4gKi9cbmV4cG9ydCBjb25zdCBwYXJzZUNzdkhlYWRlckNvbHVtbiA9IChcbiAgY29sdW1uOiBzdHJpbmdcbik6IHsgbmFtZTogc3RyaW5nOyB0eXBlOiBQcm9wZXJ0eVR5cGUgfSA9PiB7XG4gIGNvbnN0IGlkeCA9IGNvbHVtbi5sYXN0SW5kZXhPZihcIjpcIik7XG4gIGlmIChpZHggPD0gMCkgcmV0dXJuIHsgbmFtZTogY29sdW1uLCB0eXBlOiBcIlN0cmluZ1wiIH07XG4gIHJldHVybiB7XG4gICAgbmFtZTogY29sdW1uLnNsaWNlKDAsIGlkeCksXG4gICAgdHlwZTogY29sdW1uLnNsaWNlKGlkeCArIDEpIGFzIFByb3BlcnR5VHlwZSxcbiAgfTtcbn07XG5cbmNvbnN0IElOVEVHRVJfUkFOR0VTOiBQYXJ0aWFsPFJlY29yZDxQcm9wZXJ0eVR5cGUsIFtudW1iZXIsIG51bWJlcl0+PiA9IHtcbiAgQnl0ZTogWy0xMjgsIDEyN10sXG4gIFNob3J0OiBbLTMyNzY4LCAzMjc2N10sXG4gIEludDogWy0yMTQ3NDgzNjQ4LCAyMTQ3NDgzNjQ3XSxcbiAgTG9uZzogW051bWJlci5NSU5fU0FGRV9JTlRFR0VSLCBOdW1iZXIuTUFYX1NBRkVfSU5URUdFUl0sXG59O1xuXG4vKipcbiAqIENvbnZlcnRzIGEgcmF3IHZhbHVlIHRvIHRoZSBkZWNsYXJlZCB0eXBlLiBUaHJvd3MgYW4gRXJyb3Igd2hvc2UgbWVzc2FnZSBpc1xuICogc3VpdGFibGUgZm9yIHNob3dpbmcgbmV4dCB0byB0aGUgZmllbGQuXG4gKi9cbmV4cG9ydCBjb25zdCBjb2VyY2VWYWx1ZSA9ICh0eXBlOiBQcm9wZXJ0eVR5cGUsIHZhbHVlOiB1bmtub3duKTogdW5rbm93biA9PiB7XG4gIGlmICh0eXBlb2YgdmFsdWUgPT09IFwib2JqZWN0XCIgJiYgdmFsdWUgIT09IG51bGwpIHtcbiAgICB0aHJvdyBuZXcgRXJyb3IoXCJtdXN0IGJlIGEgc2luZ2xlIHZhbHVlXCIpO1xuICB9XG4gIGNvbnN0IHRleHQgPSBTdHJpbmcodmFsdWUpLnRyaW0oKTtcbiAgc3dpdGNoICh0eXBlKSB7XG4gICAgY2FzZSBcIlN0cmluZ1wiOlxuICAgICAgcmV0dXJuIFN0cmluZyh2YWx1ZSk7XG4gICAgY2FzZSBcIkJvb2xcIjoge1xuICAgICAgaWYgKHR5cGVvZiB2YWx1ZSA9PT0gXCJib29sZWFuXCIpIHJldHVybiB2YWx1ZTtcbiAgICAgIGNvbnN0IGxvd2VyID0gdGV4dC50b0xvd2VyQ2FzZSgpO1xuICAgICAgaWYgKGxvd2VyID09PSBcInRydWVcIikgcmV0dXJuIHRydWU7XG4gICAgICBpZiAobG93ZXIgPT09IFwiZmFsc2VcIikgcmV0dXJuIGZhbHNlO1xuICAgICAgdGhyb3cgbmV3IEVycm9yKFwibXVzdCBiZSB0cnVlIG9yIGZhbHNlXCIpO1xuICAgIH1cbiAgICBjYXNlIFwiQnl0ZVwiOlxuICAgIGNhc2UgXCJTaG9ydFwiOlxuICAgIGNhc2UgXCJJbnRcIjpcbiAgICBjYXNlIFwiTG9uZ1wiOiB7XG4gICAgICBjb25zdCBuID0gdHlwZW9mIHZhbHVlID09PSBcIm51bWJlclwiID8gdmFsdWUgOiBOdW1iZXIodGV4dCk7XG4gICAgICBpZiAodGV4dCA9PT0gXCJcIiB8fCAhTnVtYmVyLmlzSW50ZWdlcihuKSkge1xuICAgICAgICB0aHJvdyBuZXcgRXJyb3IoXCJtdXN0IGJlIGEgd2hvbGUgbnVtYmVyXCIpO1xuICAgICAgfVxuICAgICAgY29uc3QgW21pbiwgbWF4XSA9IElOVEVHRVJfUkFOR0VTW3R5cGVdITtcbiAgICAgIGlmIChuIDwgbWluIHx8IG4gPiBtYXgpIHtcbiAgICAgICAgdGhyb3cgbmV3IEVycm9yKGBtdXN0IGJlIGJldHdlZW4gJHttaW59IGFuZCAke21heH1gKTtcbiAgICAgIH1cbiAgICAgIHJldHVybiBuO1xuICAgIH1cbiAgICBjYXNlIFwiRmxvYXRcIjpcbiAgICBjYXNlIFwiRG91YmxlXCI6IHtcbiAgICAgIGNvbnN0IG4gPSB0eXBlb2YgdmFsdWUgPT09IFwibnVtYmVyXCIgPyB2YWx1ZSA6IE51bWJlcih0ZXh0KTtcbiAgICAgIGlmICh0ZXh0ID09PSBcIlwiIHx8ICFOdW1iZXIuaXNGaW5pdGUobikpIHtcbiAgICAgICAgdGhyb3cgbmV3IEVycm9yKFwibXVzdCBiZSBhIG51bWJlclwiKTtcbiAgICAgIH1cbiAgICAgIHJldHVybiBuO1xuICAgIH1cbiAgICBjYXNlIFwiRGF0ZVwiOiB7XG4gICAgICBjb25zdCBkID0gbmV3IERhdGUodGV4dCk7XG4gICAgICBpZiAodGV4dCA9PT0gXCJcIiB8fCBOdW1iZXIuaXNOYU4oZC5nZXRUaW1lKCkpKSB7XG4gICAgICAgIHRocm93IG5ldyBFcnJvcihcIm11c3QgYmUgYSBkYXRlIChZWVlZLU1NLUREIG9yIElTTyA4NjAxKVwiKTtcbiAgICAgIH1cbiAgICAgIHJldHVybiBkO1xuICAgIH1cbiAgfVxufTtcblxuLyoqXG4gKiBWYWxpZGF0ZXMgYHByb3BzYCBhZ2FpbnN0IHRoZSBzY2hlbWEgb2YgYGxhYmVsYCBhbmQgcmV0dXJucyB0aGUgY29lcmNlZFxuICogdmFsdWVzIHRvZ2V0aGVyIHdpdGggb25lIGVycm9yIHBlciBvZmZlbmRpbmcgZmllbGQuIEVtcHR5IHZhbHVlcyBhcmVcbiAqIGRyb3BwZWQuIFdpdGggYHBhcnRpYWxgLCBtaXNzaW5nIHJlcXVpcmVkIHByb3BlcnRpZXMgYXJlIG5vdCByZXBvcnRlZCwgc29cbiAqIHRoZSBzYW1lIGNoZWNrIHNlcnZlcyB1cGRhdGVzLlxuICovXG5leHBvcnQgY29uc3QgdmFsaWRhdGVQcm9wZXJ0aWVzID0gKFxuICBraW5kOiBcInZlcnRleFwiIHwgXCJlZGdlXCIsXG4gIGxhYmVsOiBzdHJpbmcsXG4gIHByb3BzOiBSZWNvcmQ8c3RyaW5nLCB1bmtub3duPixcbiAgeyBwYXJ0aWFsID0gZmFsc2UgfTogeyBwYXJ0aWFsPzogYm9vbGVhbiB9ID0ge31cbik6IHsgdmFsdWVzOiBSZWNvcmQ8c3RyaW5nLCB1bmtub3duPjsgZXJyb3JzOiBGaWVsZEVycm9yW10gfSA9PiB7XG4gIGNvbnN0IHNjaGVtYSA9IHNjaGVtYUZvcihraW5kLCBsYWJlbCk7XG4gIGlmICghc2NoZW1hKSB7XG4gICAgcmV0dXJuIHtcbiAgICAgIHZhbHVlczoge30sXG4gICAgICBlcnJvcnM6IFt7IGZpZWxkOiBraW5kLCBtZXNzYWdlOiBgVW5rbm93biAke2tpbmR9IGxhYmVsOiAke2xhYmVsfWAgfV0sXG4gICAgfTtcbiAgfVxuXG4gIGNvbnN0IHZhbHVlczogUmVjb3JkPHN0cmluZywgdW5rbm93bj4gPSB7fTtcbiAgY29uc3QgZXJyb3JzOiBGaWVsZEVycm9yW10gPSBbXTtcbiAgZm9yIChjb25zdCBba2V5LCB2YWxdIG9mIE9iamVjdC5lbnRyaWVzKHByb3BzKSkge1xuICAgIGNvbnN0IHNwZWMgPSBzY2hlbWFba2V5XTtcbiAgICBpZiAoIXNwZWMpIHtcbiAgICAgIGVycm9ycy5wdXNoKHsgZmllbGQ6IGtleSwgbWVzc2FnZTogYFVua25vd24gcHJvcGVydHkgZm9yICR7bGFiZWx9YCB9KTtcbiAgICAgIGNvbnRpbnVlO1xuICAgIH1cbiAgICBpZiAodmFsID09PSB1bmRlZmluZWQgfHwgdmFsID09PSBudWxsIHx8IHZhbCA9PT0gXCJcIikgY29udGludWU7XG4gICAgdHJ5IHtcbiAgICAgIHZhbHVlc1trZXldID0gY29lcmNlVmFsdWUoc3BlYy50eXBlLCB2YWwpO1xuICAgIH0gY2F0Y2ggKGUpIHtcbiAgICAgIGVycm9ycy5wdXNoKHsgZmllbGQ6IGtleSwgbWVzc2FnZTogKGUgYXMgRXJyb3IpLm1lc3NhZ2UgfSk7XG4gICAgfVxuICB9XG5cbiAgaWYgKCFwYXJ0aWFsKSB7XG4gICAgZm9yIChjb25zdCBba2V5LCBzcGVjXSBvZiBPYmplY3QuZW50cmllcyhzY2hlbWEpKSB7XG4gICAgICBpZiAoc3BlYy5yZXF1aXJlZCAmJiAhKGtleSBpbiB2YWx1ZXMpICYmICFlcnJvcnMuc29tZSgoZSkgPT4gZS5maWVsZCA9PT0ga2V5KSkge1xuICAgICAgICBlcnJvcnMucHVzaCh7IGZpZWxkOiBrZXksIG1lc3NhZ2U6IFwiUmVxdWlyZWRcIiB9KTtcbiAgICAgIH1cbiAgICB9XG4gIH1cbiAgcmV0dXJuIHsgdmFsdWVzLCBlcnJvcnMgfTtcbn07XG5cbi8qKiBKb2lucyBmaWVsZCBlcnJvcnMgaW50byBvbmUgbWVzc2FnZSBmb3IgY2FsbGVycyB3aXRob3V0IGZpZWxkLWxldmVsIFVJLiAqL1xuZXhwb3J0IGNvbnN0IGRlc2NyaWJlRmllbGRFcnJvcnMgPSAoZXJyb3JzOiBGaWVsZEVycm9yW10pOiBzdHJpbmcgPT5cbiAgZXJyb3JzLm1hcCgoZSkgPT4gYCR7ZS5maWVsZH06ICR7ZS5tZXNzYWdlfWApLmpvaW4oXCI7IFwiKTtcbiJdfQ==
\ No newline at end of file
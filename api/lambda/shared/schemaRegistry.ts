@@ -0,0 +1,374 @@
+// Property schema for every vertex and edge label, in the same `name:Type`
+// vocabulary as the Neptune bulk-load CSV headers (data/vertex.csv and
+// data/edge.csv). mutationGraph.ts validates and coerces writes against it so
+// that web-created data has the same types as bulk-loaded data.
+
+export type PropertyType =
+  | "String"
+  | "Bool"
+  | "Byte"
+  | "Short"
+  | "Int"
+  | "Long"
+  | "Float"
+  | "Double"
+  | "Date";
+
+export interface PropertySpec {
+  type: PropertyType;
+  required?: boolean;
+}
+
+export type LabelSchema = Record<string, PropertySpec>;
+
+export interface FieldError {
+  field: string;
+  message: string;
+}
+
+const string: PropertySpec = { type: "String" };
+const requiredString: PropertySpec = { type: "String", required: true };
+const int: PropertySpec = { type: "Int" };
+const double: PropertySpec = { type: "Double" };
+const bool: PropertySpec = { type: "Bool" };
+
+export const VERTEX_SCHEMAS: Record<string, LabelSchema> = {
+  Entity: {
+    entityTypes: requiredString,
+    companyName: string,
+    name: string,
+    companyType: string,
+    address: string,
+    email: string,
+    phone: string,
+    website: string,
+    country: string,
+  },
+  Asset: {
+    assetType: requiredString,
+    make: string,
+    model: string,
+    year: int,
+    vin: string,
+    hullId: string,
+    boatType: string,
+    lengthFt: double,
+    rvClass: string,
+    brand: string,
+    carrier: string,
+    imei: string,
+    phoneNumber: string,
+    equipmentType: string,
+    serialNumber: string,
+    address: string,
+    squareFeet: int,
+    yearBuilt: int,
+  },
+  Job: {
+    jobName: requiredString,
+    jobCategory: string,
+    roNumber: string,
+    payerType: string,
+    status: string,
+    createdDate: string,
+    statusDate: string,
+  },
+  Part: {
+    partName: requiredString,
+    partId: string,
+    retailCost: double,
+  },
+  Project_Data: {
+    projectName: requiredString,
+    DepartmentNumber: string,
+    DataClassification: string,
+    Team: string,
+    OwnerGroup: string,
+    Recovery: string,
+    Tier: string,
+    archived: bool,
+    archivedAt: string,
+  },
+  Account: {
+    Account_Name: requiredString,
+    Account_Id: requiredString,
+    Cloud: string,
+    Environments: string,
+  },
+};
+
+export const EDGE_SCHEMAS: Record<string, LabelSchema> = {
+  WORKS_FOR: { role: requiredString },
+  REQUESTS_WORK: { role: string },
+  DOES_WORK_FOR: { role: string, serviceType: string, discountPercent: int },
+  OWNS_ASSET: {},
+  MANAGES_JOB: { role: requiredString },
+  SERVICE_ON: { serviceType: string },
+  PAYS_FOR: { payerType: requiredString, discountPercent: int },
+  OFFERS_PART: { discountPercent: int, leadTimeDays: int },
+  HAS_LINE_ITEM: {
+    quantity: int,
+    unitCost: double,
+    discountPercentAtTime: int,
+    finalPrice: double,
+    isOverridden: bool,
+    partPosition: string,
+    retailCostAtTime: int,
+  },
+  JOBBER_FOR_JOB: { discountPercent: int },
+  owned_by: {},
+};
+
+// An edge endpoint: a vertex label, optionally narrowed to Entity types
+export interface EndpointRule {
+  label: string;
+  entityTypes?: string[];
+}
+
+export interface EdgeRule {
+  // Allowed [source, destination] combinations
+  pairs: Array<[EndpointRule, EndpointRule]>;
+  // Upper bounds on edges of this label leaving one source / entering one
+  // destination, e.g. one MANAGES_JOB estimator per Job
+  maxPerSource?: number;
+  maxPerDestination?: number;
+}
+
+const entity = (...entityTypes: string[]): EndpointRule => ({
+  label: "Entity",
+  entityTypes,
+});
+const vertex = (label: string): EndpointRule => ({ label });
+
+// Mirrors the edge documentation in aiQuery.ts. At most one edge of a given
+// label may join the same two vertices.
+export const EDGE_RULES: Record<string, EdgeRule> = {
+  WORKS_FOR: {
+    pairs: [[entity("Estimator"), entity("Company")]],
+    maxPerSource: 1,
+  },
+  REQUESTS_WORK: {
+    pairs: [
+      [entity("Customer"), entity("Company")],
+      [entity("Company"), entity("Jobber")],
+    ],
+  },
+  DOES_WORK_FOR: {
+    pairs: [
+      [entity("Jobber"), entity("Company")],
+      [entity("Company"), entity("Customer")],
+    ],
+  },
+  OWNS_ASSET: {
+    pairs: [[entity("Customer"), vertex("Asset")]],
+    maxPerDestination: 1,
+  },
+  MANAGES_JOB: {
+    pairs: [[entity("Estimator"), vertex("Job")]],
+    maxPerDestination: 1,
+  },
+  SERVICE_ON: {
+    pairs: [[vertex("Job"), vertex("Asset")]],
+    maxPerSource: 1,
+  },
+  PAYS_FOR: {
+    pairs: [[entity("Customer"), vertex("Job")]],
+    maxPerDestination: 1,
+  },
+  OFFERS_PART: {
+    pairs: [[entity("Jobber"), vertex("Part")]],
+  },
+  HAS_LINE_ITEM: {
+    pairs: [[vertex("Job"), vertex("Part")]],
+  },
+  JOBBER_FOR_JOB: {
+    pairs: [[entity("Jobber"), vertex("Job")]],
+    maxPerDestination: 1,
+  },
+  owned_by: {
+    pairs: [[vertex("Account"), vertex("Project_Data")]],
+    maxPerSource: 1,
+  },
+};
+
+// The label and entityTypes of an existing vertex
+export interface EndpointVertex {
+  label: string;
+  entityTypes?: string;
+}
+
+export const describeEndpoint = (e: EndpointRule | EndpointVertex): string => {
+  const types = Array.isArray(e.entityTypes)
+    ? e.entityTypes.join("/")
+    : e.entityTypes;
+  return types ? `${e.label} (${types})` : e.label;
+};
+
+// entityTypes may hold several ";"-separated roles, e.g. "Jobber;Company"
+const matchesEndpoint = (rule: EndpointRule, v: EndpointVertex): boolean =>
+  rule.label === v.label &&
+  (!rule.entityTypes ||
+    (v.entityTypes ?? "")
+      .split(";")
+      .some((t) => rule.entityTypes!.includes(t.trim())));
+
+/**
+ * Checks the endpoint labels of a new edge against EDGE_RULES. Errors are
+ * reported on the "source" or "destination" field.
+ */
+export const checkEdgeEndpoints = (
+  edgeLabel: string,
+  source: EndpointVertex,
+  destination: EndpointVertex
+): FieldError[] => {
+  const rule = EDGE_RULES[edgeLabel];
+  if (!rule) {
+    return [{ field: "edge", message: `No endpoint rules for ${edgeLabel}` }];
+  }
+  if (rule.pairs.some(([from, to]) => matchesEndpoint(from, source) && matchesEndpoint(to, destination))) {
+    return [];
+  }
+  const fromSource = rule.pairs.filter(([from]) => matchesEndpoint(from, source));
+  if (fromSource.length === 0) {
+    const allowed = rule.pairs.map(([from]) => describeEndpoint(from));
+    return [{
+      field: "source",
+      message: `${edgeLabel} must start at ${Array.from(new Set(allowed)).join(" or ")}, not ${describeEndpoint(source)}`,
+    }];
+  }
+  const allowed = fromSource.map(([, to]) => describeEndpoint(to));
+  return [{
+    field: "destination",
+    message: `${edgeLabel} from ${describeEndpoint(source)} must end at ${Array.from(new Set(allowed)).join(" or ")}, not ${describeEndpoint(destination)}`,
+  }];
+};
+
+export const schemaFor = (
+  kind: "vertex" | "edge",
+  label: string
+): LabelSchema | undefined =>
+  (kind === "vertex" ? VERTEX_SCHEMAS : EDGE_SCHEMAS)[label];
+
+/** Bulk-load CSV header cell for a property, e.g. `year:Int`. */
+export const csvHeaderColumn = (name: string, spec: PropertySpec): string =>
+  `${name}:${spec.type}`;
+
+/** Splits a CSV header cell such as `year:Int` into name and type. */
+export const parseCsvHeaderColumn = (
+  column: string
+): { name: string; type: PropertyType } => {
+  const idx = column.lastIndexOf(":");
+  if (idx <= 0) return { name: column, type: "String" };
+  return {
+    name: column.slice(0, idx),
+    type: column.slice(idx + 1) as PropertyType,
+  };
+};
+
+const INTEGER_RANGES: Partial<Record<PropertyType, [number, number]>> = {
+  Byte: [-128, 127],
+  Short: [-32768, 32767],
+  Int: [-2147483648, 2147483647],
+  Long: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+};
+
+/**
+ * Converts a raw value to the declared type. Throws an Error whose message is
+ * suitable for showing next to the field.
+ */
+export const coerceValue = (type: PropertyType, value: unknown): unknown => {
+  if (typeof value === "object" && value !== null) {
+    throw new Error("must be a single value");
+  }
+  const text = String(value).trim();
+  switch (type) {
+    case "String":
+      return String(value);
+    case "Bool": {
+      if (typeof value === "boolean") return value;
+      const lower = text.toLowerCase();
+      if (lower === "true") return true;
+      if (lower === "false") return false;
+      throw new Error("must be true or false");
+    }
+    case "Byte":
+    case "Short":
+    case "Int":
+    case "Long": {
+      const n = typeof value === "number" ? value : Number(text);
+      if (text === "" || !Number.isInteger(n)) {
+        throw new Error("must be a whole number");
+      }
+      const [min, max] = INTEGER_RANGES[type]!;
+      if (n < min || n > max) {
+        throw new Error(`must be between ${min} and ${max}`);
+      }
+      return n;
+    }
+    case "Float":
+    case "Double": {
+      const n = typeof value === "number" ? value : Number(text);
+      if (text === "" || !Number.isFinite(n)) {
+        throw new Error("must be a number");
+      }
+      return n;
+    }
+    case "Date": {
+      const d = new Date(text);
+      if (text === "" || Number.isNaN(d.getTime())) {
+        throw new Error("must be a date (YYYY-MM-DD or ISO 8601)");
+      }
+      return d;
+    }
+  }
+};
+
+/**
+ * Validates `props` against the schema of `label` and returns the coerced
+ * values together with one error per offending field. Empty values are
+ * dropped. With `partial`, missing required properties are not reported, so
+ * the same check serves updates.
+ */
+export const validateProperties = (
+  kind: "vertex" | "edge",
+  label: string,
+  props: Record<string, unknown>,
+  { partial = false }: { partial?: boolean } = {}
+): { values: Record<string, unknown>; errors: FieldError[] } => {
+  const schema = schemaFor(kind, label);
+  if (!schema) {
+    return {
+      values: {},
+      errors: [{ field: kind, message: `Unknown ${kind} label: ${label}` }],
+    };
+  }
+
+  const values: Record<string, unknown> = {};
+  const errors: FieldError[] = [];
+  for (const [key, val] of Object.entries(props)) {
+    const spec = schema[key];
+    if (!spec) {
+      errors.push({ field: key, message: `Unknown property for ${label}` });
+      continue;
+    }
+    if (val === undefined || val === null || val === "") continue;
+    try {
+      values[key] = coerceValue(spec.type, val);
+    } catch (e) {
+      errors.push({ field: key, message: (e as Error).message });
+    }
+  }
+
+  if (!partial) {
+    for (const [key, spec] of Object.entries(schema)) {
+      if (spec.required && !(key in values) && !errors.some((e) => e.field === key)) {
+        errors.push({ field: key, message: "Required" });
+      }
+    }
+  }
+  return { values, errors };
+};
+
+/** Joins field errors into one message for callers without field-level UI. */
+export const describeFieldErrors = (errors: FieldError[]): string =>
+  errors.map((e) => `${e.field}: ${e.message}`).join("; ");
@@ -0,0 +1,8 @@
+export declare const SEARCH_PROPERTY_PREFIX = "search_";
+export declare const SEARCHABLE_FIELDS: string[];
+export declare const EXTRA_SEARCH_FIELDS: string[];
+export declare const searchPropertyName: (field: string) => string;
+export declare const isSearchProperty: (key: string) => boolean;
+export declare const normalizeSearchValue: (field: string, value: unknown) => string;
+/** Shadow properties to write for the searchable keys of `props`. */
+export declare const searchProperties: (props: Record<string, unknown>) => Record<string, string>;
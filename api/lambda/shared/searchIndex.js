@@ -0,0 +1,57 @@
+"use strict";
+// Lowercased "shadow" properties that back case-insensitive entity search.
+// Every searchable property `foo` is mirrored into `search_foo`, holding the
+// normalized form of its value. The mirrors are written by mutationGraph.ts
+// and matched by the RANKED mode of searchEntities in queryGraph.ts.
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.searchProperties = exports.normalizeSearchValue = exports.isSearchProperty = exports.searchPropertyName = exports.EXTRA_SEARCH_FIELDS = exports.SEARCHABLE_FIELDS = exports.SEARCH_PROPERTY_PREFIX = void 0;
+exports.SEARCH_PROPERTY_PREFIX = "search_";
+exports.SEARCHABLE_FIELDS = [
+    "companyName",
+    "name",
+    "make",
+    "model",
+    "vin",
+    "jobName",
+    "partName",
+    "projectName",
+    "phone",
+    "email",
+    "roNumber",
+];
+// Contact and identifier fields searched in addition to a type's name fields
+exports.EXTRA_SEARCH_FIELDS = ["phone", "email", "vin", "roNumber"];
+// Identifiers are compared with all punctuation and whitespace removed, so
+// "206-555-0101" matches "2065550101" and "RO 102938" matches "RO-102938".
+const COMPACT_FIELDS = ["phone", "vin", "roNumber"];
+const searchPropertyName = (field) => `${exports.SEARCH_PROPERTY_PREFIX}${field}`;
+exports.searchPropertyName = searchPropertyName;
+const isSearchProperty = (key) => key.startsWith(exports.SEARCH_PROPERTY_PREFIX);
+exports.isSearchProperty = isSearchProperty;
+const normalizeSearchValue = (field, value) => {
+    const lower = String(value ?? "").toLowerCase();
+    if (COMPACT_FIELDS.includes(field)) {
+        return lower.replace(/[^\p{L}\p{N}]+/gu, "");
+    }
+    if (field === "email") {
+        return lower.trim();
+    }
+    return lower
+        .replace(/[^\p{L}\p{N}]+/gu, " ")
+        .trim();
+};
+exports.normalizeSearchValue = normalizeSearchValue;
+/** Shadow properties to write for the searchable keys of `props`. */
+const searchProperties = (props) => {
+    const shadows = {};
+    for (const [key, val] of Object.entries(props)) {
+        if (!exports.SEARCHABLE_FIELDS.includes(key))
+            continue;
+        if (val === undefined || val === null || val === "")
+            continue;
+        shadows[(0, exports.searchPropertyName)(key)] = (0, exports.normalizeSearchValue)(key, val);
+    }
+    return shadows;
+};
+exports.searchProperties = searchProperties;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2VhcmNoSW5kZXguanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJzZWFyY2hJbmRleC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiO0FBQUEsMkVBQTJFO0FBQzNFLDZFQUE2RTtBQUM3RSw0RUFBNEU7QUFDNUUscUVBQXFFOzs7QUFFeEQsUUFBQSxzQkFBc0IsR0FBRyxTQUFTLENBQUM7QUFFbkMsUUFBQSxpQkFBaUIsR0FBRztJQUMvQixhQUFhO0lBQ2IsTUFBTTtJQUNOLE1BQU07SUFDTixPQUFPO0lBQ1AsS0FBSztJQUNMLFNBQVM7SUFDVCxVQUFVO0lBQ1YsYUFBYTtJQUNiLE9BQU87SUFDUCxPQUFPO0lBQ1AsVUFBVTtDQUNYLENBQUM7QUFFRiw2RUFBNkU7QUFDaEUsUUFBQSxtQkFBbUIsR0FBRyxDQUFDLE9BQU8sRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLFVBQVUsQ0FBQyxDQUFDO0FBRXpFLDJFQUEyRTtBQUMzRSwyRUFBMkU7QUFDM0UsTUFBTSxjQUFjLEdBQUcsQ0FBQyxPQUFPLEVBQUUsS0FBSyxFQUFFLFVBQVUsQ0FBQyxDQUFDO0FBRTdDLE1BQU0sa0JBQWtCLEdBQUcsQ0FBQyxLQUFhLEVBQVUsRUFBRSxDQUMxRCxHQUFHLDhCQUFzQixHQUFHLEtBQUssRUFBRSxDQUFDO0FBRHpCLFFBQUEsa0JBQWtCLHNCQUNPO0FBRS9CLE1BQU0sZ0JBQWdCLEdBQUcsQ0FBQyxHQUFXLEVBQVcsRUFBRSxDQUN2RCxHQUFHLENBQUMsVUFBVSxDQUFDLDhCQUFzQixDQUFDLENBQUM7QUFENUIsUUFBQSxnQkFBZ0Isb0JBQ1k7QUFFbEMsTUFBTSxvQkFBb0IsR0FBRyxDQUFDLEtBQWEsRUFBRSxLQUFjLEVBQVUsRUFBRTtJQUM1RSxNQUFNLEtBQUssR0FBRyxNQUFNLENBQUMsS0FBSyxJQUFJLEVBQUUsQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDO0lBQ2hELElBQUksY0FBYyxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDO1FBQ25DLE9BQU8sS0FBSyxDQUFDLE9BQU8sQ0FBQyxrQkFBa0IsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUMvQyxDQUFDO0lBQ0QsSUFBSSxLQUFLLEtBQUssT0FBTyxFQUFFLENBQUM7UUFDdEIsT0FBTyxLQUFLLENBQUMsSUFBSSxFQUFFLENBQUM7SUFDdEIsQ0FBQztJQUNELE9BQU8sS0FBSztTQUNULE9BQU8sQ0FBQyxrQkFBa0IsRUFBRSxHQUFHLENBQUM7U0FDaEMsSUFBSSxFQUFFLENBQUM7QUFDWixDQUFDLENBQUM7QUFYVyxRQUFBLG9CQUFvQix3QkFXL0I7QUFFRixxRUFBcUU7QUFDOUQsTUFBTSxnQkFBZ0IsR0FBRyxDQUM5QixLQUE4QixFQUNOLEVBQUU7SUFDMUIsTUFBTSxPQUFPLEdBQTJCLEVBQUUsQ0FBQztJQUMzQyxLQUFLLE1BQU0sQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLElBQUksTUFBTSxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDO1FBQy9DLElBQUksQ0FBQyx5QkFBaUIsQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDO1lBQUUsU0FBUztRQUMvQyxJQUFJLEdBQUcsS0FBSyxTQUFTLElBQUksR0FBRyxLQUFLLElBQUksSUFBSSxHQUFHLEtBQUssRUFBRTtZQUFFLFNBQVM7UUFDOUQsT0FBTyxDQUFDLElBQUEsMEJBQWtCLEVBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxJQUFBLDRCQUFvQixFQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsQ0FBQztJQUNwRSxDQUFDO0lBQ0QsT0FBTyxPQUFPLENBQUM7QUFDakIsQ0FBQyxDQUFDO0FBVlcsUUFBQSxnQkFBZ0Isb0JBVTNCIiwic291cmNlc0NvbnRlbnQiOlsiLy8gTG93ZXJjYXNlZCBcInNoYWRvd1wiIHByb3BlcnRpZXMgdGhhdCBiYWNrIGNhc2UtaW5zZW5zaXRpdmUgZW50aXR5IHNlYXJjaC5cbi8vIEV2ZXJ5IHNlYXJjaGFibGUgcHJvcGVydHkgYGZvb2AgaXMgbWlycm9yZWQgaW50byBgc2VhcmNoX2Zvb2AsIGhvbGRpbmcgdGhlXG4vLyBub3JtYWxpemVkIGZvcm0gb2YgaXRzIHZhbHVlLiBUaGUgbWlycm9ycyBhcmUgd3JpdHRlbiBieSBtdXRhdGlvbkdyYXBoLnRzXG4vLyBhbmQgbWF0Y2hlZCBieSB0aGUgUkFOS0VEIG1vZGUgb2Ygc2VhcmNoRW50aXRpZXMgaW4gcXVlcnlHcmFwaC50cy5cblxuZXhwb3J0IGNvbnN0IFNFQVJDSF9QUk9QRVJUWV9QUkVGSVggPSBcInNlYXJjaF9cIjtcblxuZXhwb3J0IGNvbnN0IFNFQVJDSEFCTEVfRklFTERTID0gW1xuICBcImNvbXBhbnlOYW1lXCIsXG4gIFwibmFtZVwiLFxuICBcIm1ha2VcIixcbiAgXCJtb2RlbFwiLFxuICBcInZpblwiLFxuICBcImpvYk5hbWVcIixcbiAgXCJwYXJ0TmFtZVwiLFxuICBcInByb2plY3ROYW1lXCIsXG4gIFwicGhvbmVcIixcbiAgXCJlbWFpbFwiLFxuICBcInJvTnVtYmVyXCIsXG5dO1xuXG4vLyBDb250YWN0IGFuZCBpZGVudGlmaWVyIGZpZWxkcyBzZWFyY2hlZCBpbiBhZGRpdGlvbiB0byBhIHR5cGUncyBuYW1lIGZpZWxkc1xuZXhwb3J0IGNvbnN0IEVYVFJBX1NFQVJDSF9GSUVMRFMgPSBbXCJwaG9uZVwiLCBcImVtYWlsXCIsIFwidmluXCIsIFwicm9OdW1iZXJcIl07XG5cbi8vIElkZW50aWZpZXJzIGFyZSBjb21wYXJlZCB3aXRoIGFsbCBwdW5jdHVhdGlvbiBhbmQgd2hpdGVzcGFjZSByZW1vdmVkLCBzb1xuLy8gXCIyMDYtNTU1LTAxMDFcIiBtYXRjaGVzIFwiMjA2NTU1MDEwMVwiIGFuZCBcIlJPIDEwMjkzOFwiIG1hdGNoZXMgXCJSTy0xMDI5MzhcIi5cbmNvbnN0IENPTVBBQ1RfRklFTERTID0gW1wicGhvbmVcIiwgXCJ2aW5cIiwgXCJyb051bWJlclwiXTtcblxuZXhwb3J0IGNvbnN0IHNlYXJjaFByb3BlcnR5TmFtZSA9IChmaWVsZDogc3RyaW5nKTogc3RyaW5nID0+XG4gIGAke1NFQVJDSF9QUk9QRVJUWV9QUkVGSVh9JHtmaWVsZH1gO1xuXG5leHBvcnQgY29uc3QgaXNTZWFyY2hQcm9wZXJ0eSA9IChrZXk6IHN0cmluZyk6IGJvb2xlYW4gPT5cbiAga2V5LnN0YXJ0c1dpdGgoU0VBUkNIX1BST1BFUlRZX1BSRUZJWCk7XG5cbmV4cG9ydCBjb25zdCBub3JtYWxpemVTZWFyY2hWYWx1ZSA9IChmaWVsZDogc3RyaW5nLCB2YWx1ZTogdW5rbm93bik6IHN0cmluZyA9PiB7XG4gIGNvbnN0IGxvd2VyID0gU3RyaW5nKHZhbHVlID8/IFwiXCIpLnRvTG93ZXJDYXNlKCk7XG4gIGlmIChDT01QQUNUX0ZJRUxEUy5pbmNsdWRlcyhmaWVsZCkpIHtcbiAgICByZXR1cm4gbG93ZXIucmVwbGFjZSgvW15cXHB7TH1cXHB7Tn1dKy9ndSwgXCJcIik7XG4gIH1cbiAgaWYgKGZpZWxkID09PSBcImVtYWlsXCIpIHtcbiAgICByZXR1cm4gbG93ZXIudHJpbSgpO1xuICB9XG4gIHJldHVybiBsb3dlclxuICAgIC5yZXBsYWNlKC9bXlxccHtMfVxccHtOfV0rL2d1LCBcIiBcIilcbiAgICAudHJpbSgpO1xufTtcblxuLyoqIFNoYWRvdyBwcm9wZXJ0aWVzIHRvIHdyaXRlIGZvciB0aGUgc2VhcmNoYWJsZSBrZXlzIG9mIGBwcm9wc2AuICovXG5leHBvcnQgY29uc3Qgc2VhcmNoUHJvcGVydGllcyA9IChcbiAgcHJvcHM6IFJlY29yZDxzdHJpbmcsIHVua25vd24+XG4pOiBSZWNvcmQ8c3RyaW5nLCBzdHJpbmc+ID0+IHtcbiAgY29uc3Qgc2hhZG93czogUmVjb3JkPHN0cmluZywgc3RyaW5nPiA9IHt9O1xuICBmb3IgKGNvbnN0IFtrZXksIHZhbF0gb2YgT2JqZWN0LmVudHJpZXMocHJvcHMpKSB7XG4gICAgaWYgKCFTRUFSQ0hBQkxFX0ZJRUxEUy5pbmNsdWRlcyhrZXkpKSBjb250aW51ZTtcbiAgICBpZiAodmFsID09PSB1bmRlZmluZWQgfHwgdmFsID09PSBudWxsIHx8IHZhbCA9PT0gXCJcIikgY29udGludWU7XG4gICAgc2hhZG93c1tzZWFyY2hQcm9wZXJ0eU5hbWUoa2V5KV0gPSBub3JtYWxpemVTZWFyY2hWYWx1ZShrZXksIHZhbCk7XG4gIH1cbiAgcmV0dXJuIHNoYWRvd3M7XG59O1xuIl19
\ No newline at end of file
@@ -0,0 +1,59 @@
+// Lowercased "shadow" properties that back case-insensitive entity search.
+// Every searchable property `foo` is mirrored into `search_foo`, holding the
+// normalized form of its value. The mirrors are written by mutationGraph.ts
+// and matched by the RANKED mode of searchEntities in queryGraph.ts.
+
+export const SEARCH_PROPERTY_PREFIX = "search_";
+
+export const SEARCHABLE_FIELDS = [
+  "companyName",
+  "name",
+  "make",
+  "model",
+  "vin",
+  "jobName",
+  "partName",
+  "projectName",
+  "phone",
+  "email",
+  "roNumber",
+];
+
+// Contact and identifier fields searched in addition to a type's name fields
+export const EXTRA_SEARCH_FIELDS = ["phone", "email", "vin", "roNumber"];
+
+// Identifiers are compared with all punctuation and whitespace removed, so
+// "206-555-0101" matches "2065550101" and "RO 102938" matches "RO-102938".
+const COMPACT_FIELDS = ["phone", "vin", "roNumber"];
+
+export const searchPropertyName = (field: string): string =>
+  `${SEARCH_PROPERTY_PREFIX}${field}`;
+
+export const isSearchProperty = (key: string): boolean =>
+  key.startsWith(SEARCH_PROPERTY_PREFIX);
+
+export const normalizeSearchValue = (field: string, value: unknown): string => {
+  const lower = String(value ?? "").toLowerCase();
+  if (COMPACT_FIELDS.includes(field)) {
+    return lower.replace(/[^\p{L}\p{N}]+/gu, "");
+  }
+  if (field === "email") {
+    return lower.trim();
+  }
+  return lower
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+};
+
+/** Shadow properties to write for the searchable keys of `props`. */
+export const searchProperties = (
+  props: Record<string, unknown>
+): Record<string, string> => {
+  const shadows: Record<string, string> = {};
+  for (const [key, val] of Object.entries(props)) {
+    if (!SEARCHABLE_FIELDS.includes(key)) continue;
+    if (val === undefined || val === null || val === "") continue;
+    shadows[searchPropertyName(key)] = normalizeSearchValue(key, val);
+  }
+  return shadows;
+};
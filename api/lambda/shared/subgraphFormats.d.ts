@@ -0,0 +1,29 @@
+export type SubgraphFormat = "GRAPHML" | "GEXF" | "CYTOSCAPE_JSON" | "NODE_LINK_JSON";
+export declare const SUBGRAPH_FORMATS: SubgraphFormat[];
+export type PropertyValue = string | number | boolean | Array<string | number | boolean>;
+export interface SubgraphNode {
+    id: string;
+    label: string;
+    name: string;
+    properties: Record<string, PropertyValue>;
+}
+export interface SubgraphEdge {
+    id: string;
+    label: string;
+    source: string;
+    target: string;
+    properties: Record<string, PropertyValue>;
+}
+export interface Subgraph {
+    rootId: string | null;
+    depth: number;
+    nodes: SubgraphNode[];
+    edges: SubgraphEdge[];
+}
+export interface SerializedSubgraph {
+    fileName: string;
+    contentType: string;
+    content: string;
+}
+/** Serializes `subgraph` and names the file after its root vertex. */
+export declare const serializeSubgraph: (subgraph: Subgraph, format: SubgraphFormat) => SerializedSubgraph;
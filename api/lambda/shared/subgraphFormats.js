@@ -0,0 +1,235 @@
+"use strict";
+// Serializers for exportSubgraph. Every format carries the vertex and edge
+// labels and all their properties; multi-valued properties stay lists in the
+// JSON formats and are joined with ";" in GraphML and GEXF, whose readers
+// (Gephi, yEd) expect scalar attributes. GraphML and GEXF attributes named
+// like the ones holding the label or display name are prefixed with
+// "property_", so a `name` property does not clash with the display name.
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.serializeSubgraph = exports.SUBGRAPH_FORMATS = void 0;
+exports.SUBGRAPH_FORMATS = [
+    "GRAPHML",
+    "GEXF",
+    "CYTOSCAPE_JSON",
+    "NODE_LINK_JSON",
+];
+const LIST_SEPARATOR = ";";
+const RESERVED_PREFIX = "property_";
+const FILE_TYPES = {
+    GRAPHML: { extension: "graphml", contentType: "application/graphml+xml" },
+    GEXF: { extension: "gexf", contentType: "application/gexf+xml" },
+    CYTOSCAPE_JSON: { extension: "cyjs", contentType: "application/json" },
+    NODE_LINK_JSON: { extension: "json", contentType: "application/json" },
+};
+// XML 1.0 forbids most control characters even when escaped
+const escapeXml = (text) => text
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+const scalarText = (value) => Array.isArray(value) ? value.map(String).join(LIST_SEPARATOR) : String(value);
+const valueType = (value) => {
+    if (Array.isArray(value))
+        return "string";
+    if (typeof value === "boolean")
+        return "boolean";
+    if (typeof value === "number") {
+        if (!Number.isInteger(value))
+            return "double";
+        return Math.abs(value) <= 2147483647 ? "int" : "long";
+    }
+    return "string";
+};
+// The narrowest type that holds values of both types
+const widen = (a, b) => {
+    if (a === b)
+        return a;
+    const numeric = ["int", "long", "double"];
+    if (numeric.includes(a) && numeric.includes(b)) {
+        return a === "double" || b === "double" ? "double" : "long";
+    }
+    return "string";
+};
+/**
+ * One attribute per property name across `elements`, typed by their values.
+ * Names in `reserved` get RESERVED_PREFIX.
+ */
+const attributesOf = (elements, idPrefix, reserved) => {
+    const types = new Map();
+    for (const element of elements) {
+        for (const [name, value] of Object.entries(element.properties)) {
+            const type = valueType(value);
+            const known = types.get(name);
+            types.set(name, known ? widen(known, type) : type);
+        }
+    }
+    return Array.from(types.keys())
+        .sort()
+        .map((property, i) => ({
+        id: `${idPrefix}${i}`,
+        name: reserved.includes(property) ? `${RESERVED_PREFIX}${property}` : property,
+        property,
+        type: types.get(property),
+    }));
+};
+const describe = (subgraph) => subgraph.rootId
+    ? `Neighborhood of ${subgraph.rootId}, ${subgraph.depth} hop${subgraph.depth === 1 ? "" : "s"}`
+    : "Graph sample";
+const toGraphML = (subgraph) => {
+    // Clear of the label and name keys declared below
+    const nodeAttributes = attributesOf(subgraph.nodes, "n", ["label", "name"]);
+    const edgeAttributes = attributesOf(subgraph.edges, "e", ["label"]);
+    const key = (attribute, target) => `  <key id="${attribute.id}" for="${target}" attr.name="${escapeXml(attribute.name)}" attr.type="${attribute.type}"/>`;
+    const data = (attributes, properties) => attributes
+        .filter((attribute) => properties[attribute.property] !== undefined)
+        .map((attribute) => `      <data key="${attribute.id}">${escapeXml(scalarText(properties[attribute.property]))}</data>`);
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+        '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+        '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+        '  <key id="label" for="all" attr.name="label" attr.type="string"/>',
+        '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+        ...nodeAttributes.map((attribute) => key(attribute, "node")),
+        ...edgeAttributes.map((attribute) => key(attribute, "edge")),
+        '  <graph id="G" edgedefault="directed">',
+        ...subgraph.nodes.flatMap((node) => [
+            `    <node id="${escapeXml(node.id)}">`,
+            `      <data key="label">${escapeXml(node.label)}</data>`,
+            `      <data key="name">${escapeXml(node.name)}</data>`,
+            ...data(nodeAttributes, node.properties),
+            "    </node>",
+        ]),
+        ...subgraph.edges.flatMap((edge) => [
+            `    <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`,
+            `      <data key="label">${escapeXml(edge.label)}</data>`,
+            ...data(edgeAttributes, edge.properties),
+            "    </edge>",
+        ]),
+        "  </graph>",
+        "</graphml>",
+        "",
+    ].join("\n");
+};
+// GEXF names its numeric types differently from GraphML
+const GEXF_TYPES = {
+    boolean: "boolean",
+    int: "integer",
+    long: "long",
+    double: "double",
+    string: "string",
+};
+const toGexf = (subgraph) => {
+    // The vertex label is an attribute; GEXF's own node label is the display
+    // name Gephi shows. The edge label is the edge's own label, which Gephi
+    // reads into the same column as a "label" attribute.
+    const nodeAttributes = [
+        { id: "label", name: "label", property: "~label", type: "string" },
+        ...attributesOf(subgraph.nodes, "n", ["label"]),
+    ];
+    const edgeAttributes = attributesOf(subgraph.edges, "e", ["label"]);
+    const declare = (target, attributes) => attributes.length === 0
+        ? []
+        : [
+            `    <attributes class="${target}">`,
+            ...attributes.map((attribute) => `      <attribute id="${attribute.id}" title="${escapeXml(attribute.name)}" type="${GEXF_TYPES[attribute.type]}"/>`),
+            "    </attributes>",
+        ];
+    const values = (attributes, properties) => {
+        const present = attributes.filter((attribute) => properties[attribute.property] !== undefined);
+        return present.length === 0
+            ? []
+            : [
+                "        <attvalues>",
+                ...present.map((attribute) => `          <attvalue for="${attribute.id}" value="${escapeXml(scalarText(properties[attribute.property]))}"/>`),
+                "        </attvalues>",
+            ];
+    };
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+        `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+        "    <creator>graph-app</creator>",
+        `    <description>${escapeXml(describe(subgraph))}</description>`,
+        "  </meta>",
+        '  <graph defaultedgetype="directed" mode="static">',
+        ...declare("node", nodeAttributes),
+        ...declare("edge", edgeAttributes),
+        "    <nodes>",
+        ...subgraph.nodes.flatMap((node) => [
+            `      <node id="${escapeXml(node.id)}" label="${escapeXml(node.name)}">`,
+            ...values(nodeAttributes, { ...node.properties, "~label": node.label }),
+            "      </node>",
+        ]),
+        "    </nodes>",
+        "    <edges>",
+        ...subgraph.edges.flatMap((edge) => [
+            `      <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" label="${escapeXml(edge.label)}">`,
+            ...values(edgeAttributes, edge.properties),
+            "      </edge>",
+        ]),
+        "    </edges>",
+        "  </graph>",
+        "</gexf>",
+        "",
+    ].join("\n");
+};
+// Cytoscape (desktop and cytoscape.js) elements JSON; id, source and target
+// win over properties of the same name
+const toCytoscapeJson = (subgraph) => JSON.stringify({
+    data: { name: describe(subgraph), rootId: subgraph.rootId, depth: subgraph.depth },
+    elements: {
+        nodes: subgraph.nodes.map((node) => ({
+            data: { ...node.properties, id: node.id, label: node.label, name: node.name },
+        })),
+        edges: subgraph.edges.map((edge) => ({
+            data: {
+                ...edge.properties,
+                id: edge.id,
+                source: edge.source,
+                target: edge.target,
+                label: edge.label,
+            },
+        })),
+    },
+}, null, 2);
+// The node-link layout of networkx and d3; `key` tells parallel edges apart
+const toNodeLinkJson = (subgraph) => JSON.stringify({
+    directed: true,
+    multigraph: true,
+    graph: { name: describe(subgraph), rootId: subgraph.rootId, depth: subgraph.depth },
+    nodes: subgraph.nodes.map((node) => ({
+        ...node.properties,
+        id: node.id,
+        label: node.label,
+        name: node.name,
+    })),
+    links: subgraph.edges.map((edge) => ({
+        ...edge.properties,
+        key: edge.id,
+        source: edge.source,
+        target: edge.target,
+        label: edge.label,
+    })),
+}, null, 2);
+const SERIALIZERS = {
+    GRAPHML: toGraphML,
+    GEXF: toGexf,
+    CYTOSCAPE_JSON: toCytoscapeJson,
+    NODE_LINK_JSON: toNodeLinkJson,
+};
+/** Serializes `subgraph` and names the file after its root vertex. */
+const serializeSubgraph = (subgraph, format) => {
+    const { extension, contentType } = FILE_TYPES[format];
+    const base = (subgraph.rootId ?? "sample").replace(/[^A-Za-z0-9_-]/g, "_");
+    return {
+        fileName: `subgraph-${base}-${subgraph.depth}.${extension}`,
+        contentType,
+        content: SERIALIZERS[format](subgraph),
+    };
+};
+exports.serializeSubgraph = serializeSubgraph;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic3ViZ3JhcGhGb3JtYXRzLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsic3ViZ3JhcGhGb3JtYXRzLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7QUFBQSwyRUFBMkU7QUFDM0UsNkVBQTZFO0FBQzdFLDBFQUEwRTtBQUMxRSwyRUFBMkU7QUFDM0Usb0VBQW9FO0FBQ3BFLDBFQUEwRTs7O0FBSTdELFFBQUEsZ0JBQWdCLEdBQXFCO0lBQ2hELFNBQVM7SUFDVCxNQUFNO0lBQ04sZ0JBQWdCO0lBQ2hCLGdCQUFnQjtDQUNqQixDQUFDO0FBNENGLE1BQU0sY0FBYyxHQUFHLEdBQUcsQ0FBQztBQUUzQixNQUFNLGVBQWUsR0FBRyxXQUFXLENBQUM7QUFFcEMsTUFBTSxVQUFVLEdBQXVFO0lBQ3JGLE9BQU8sRUFBRSxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsV0FBVyxFQUFFLHlCQUF5QixFQUFFO0lBQ3pFLElBQUksRUFBRSxFQUFFLFNBQVMsRUFBRSxNQUFNLEVBQUUsV0FBVyxFQUFFLHNCQUFzQixFQUFFO0lBQ2hFLGNBQWMsRUFBRSxFQUFFLFNBQVMsRUFBRSxNQUFNLEVBQUUsV0FBVyxFQUFFLGtCQUFrQixFQUFFO0lBQ3RFLGNBQWMsRUFBRSxFQUFFLFNBQVMsRUFBRSxNQUFNLEVBQUUsV0FBVyxFQUFFLGtCQUFrQixFQUFFO0NBQ3ZFLENBQUM7QUFFRiw0REFBNEQ7QUFDNUQsTUFBTSxTQUFTLEdBQUcsQ0FBQyxJQUFZLEVBQVUsRUFBRSxDQUN6QyxJQUFJO0lBQ0YsNENBQTRDO0tBQzNDLE9BQU8sQ0FBQywyQ0FBMkMsRUFBRSxFQUFFLENBQUM7S0FDeEQsT0FBTyxDQUFDLElBQUksRUFBRSxPQUFPLENBQUM7S0FDdEIsT0FBTyxDQUFDLElBQUksRUFBRSxNQUFNLENBQUM7S0FDckIsT0FBTyxDQUFDLElBQUksRUFBRSxNQUFNLENBQUM7S0FDckIsT0FBTyxDQUFDLElBQUksRUFBRSxRQUFRLENBQUM7S0FDdkIsT0FBTyxDQUFDLElBQUksRUFBRSxRQUFRLENBQUMsQ0FBQztBQUU3QixNQUFNLFVBQVUsR0FBRyxDQUFDLEtBQW9CLEVBQVUsRUFBRSxDQUNsRCxLQUFLLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO0FBRWhGLE1BQU0sU0FBUyxHQUFHLENBQUMsS0FBb0IsRUFBaUIsRUFBRTtJQUN4RCxJQUFJLEtBQUssQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDO1FBQUUsT0FBTyxRQUFRLENBQUM7SUFDMUMsSUFBSSxPQUFPLEtBQUssS0FBSyxTQUFTO1FBQUUsT0FBTyxTQUFTLENBQUM7SUFDakQsSUFBSSxPQUFPLEtBQUssS0FBSyxRQUFRLEVBQUUsQ0FBQztRQUM5QixJQUFJLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUM7WUFBRSxPQUFPLFFBQVEsQ0FBQztRQUM5QyxPQUFPLElBQUksQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLElBQUksVUFBVSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQztJQUN4RCxDQUFDO0lBQ0QsT0FBTyxRQUFRLENBQUM7QUFDbEIsQ0FBQyxDQUFDO0FBRUYscURBQXFEO0FBQ3JELE1BQU0sS0FBSyxHQUFHLENBQUMsQ0FBZ0IsRUFBRSxDQUFnQixFQUFpQixFQUFFO0lBQ2xFLElBQUksQ0FBQyxLQUFLLENBQUM7UUFBRSxPQUFPLENBQUMsQ0FBQztJQUN0QixNQUFNLE9BQU8sR0FBb0IsQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFFLFFBQVEsQ0FBQyxDQUFDO0lBQzNELElBQUksT0FBTyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsSUFBSSxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7UUFDL0MsT0FBTyxDQUFDLEtBQUssUUFBUSxJQUFJLENBQUMsS0FBSyxRQUFRLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDO0lBQzlELENBQUM7SUFDRCxPQUFPLFFBQVEsQ0FBQztBQUNsQixDQUFDLENBQUM7QUFFRjs7O0dBR0c7QUFDSCxNQUFNLFlBQVksR0FBRyxDQUNuQixRQUE4RCxFQUM5RCxRQUFnQixFQUNoQixRQUFrQixFQUNMLEVBQUU7SUFDZixNQUFNLEtBQUssR0FBRyxJQUFJLEdBQUcsRUFBeUIsQ0FBQztJQUMvQyxLQUFLLE1BQU0sT0FBTyxJQUFJLFFBQVEsRUFBRSxDQUFDO1FBQy9CLEtBQUssTUFBTSxDQUFDLElBQUksRUFBRSxLQUFLLENBQUMsSUFBSSxNQUFNLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxVQUFVLENBQUMsRUFBRSxDQUFDO1lBQy9ELE1BQU0sSUFBSSxHQUFHLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUM5QixNQUFNLEtBQUssR0FBRyxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDO1lBQzlCLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLEtBQUssRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDckQsQ0FBQztJQUNILENBQUM7SUFDRCxPQUFPLEtBQUssQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksRUFBRSxDQUFDO1NBQzVCLElBQUksRUFBRTtTQUNOLEdBQUcsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDckIsRUFBRSxFQUFFLEdBQUcsUUFBUSxHQUFHLENBQUMsRUFBRTtRQUNyQixJQUFJLEVBQUUsUUFBUSxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxlQUFlLEdBQUcsUUFBUSxFQUFFLENBQUMsQ0FBQyxDQUFDLFFBQVE7UUFDOUUsUUFBUTtRQUNSLElBQUksRUFBRSxLQUFLLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBRTtLQUMzQixDQUFDLENBQUMsQ0FBQztBQUNSLENBQUMsQ0FBQztBQUVGLE1BQU0sUUFBUSxHQUFHLENBQUMsUUFBa0IsRUFBVSxFQUFFLENBQzlDLFFBQVEsQ0FBQyxNQUFNO0lBQ2IsQ0FBQyxDQUFDLG1CQUFtQixRQUFRLENBQUMsTUFBTSxLQUFLLFFBQVEsQ0FBQyxLQUFLLE9BQU8sUUFBUSxDQUFDLEtBQUssS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxFQUFFO0lBQy9GLENBQUMsQ0FBQyxjQUFjLENBQUM7QUFFckIsTUFBTSxTQUFTLEdBQUcsQ0FBQyxRQUFrQixFQUFVLEVBQUU7SUFDL0Msa0RBQWtEO0lBQ2xELE1BQU0sY0FBYyxHQUFHLFlBQVksQ0FBQyxRQUFRLENBQUMsS0FBSyxFQUFFLEdBQUcsRUFBRSxDQUFDLE9BQU8sRUFBRSxNQUFNLENBQUMsQ0FBQyxDQUFDO0lBQzVFLE1BQU0sY0FBYyxHQUFHLFlBQVksQ0FBQyxRQUFRLENBQUMsS0FBSyxFQUFFLEdBQUcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7SUFDcEUsTUFBTSxHQUFHLEdBQUcsQ0FBQyxTQUFvQixFQUFFLE1BQXVCLEVBQUUsRUFBRSxDQUM1RCxjQUFjLFNBQVMsQ0FBQyxFQUFFLFVBQVUsTUFBTSxnQkFBZ0IsU0FBUyxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLFNBQVMsQ0FBQyxJQUFJLEtBQUssQ0FBQztJQUN6SCxNQUFNLElBQUksR0FBRyxDQUFDLFVBQXVCLEVBQUUsVUFBeUMsRUFBRSxFQUFFLENBQ2xGLFVBQVU7U0FDUCxNQUFNLENBQUMsQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUFDLFVBQVUsQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLEtBQUssU0FBUyxDQUFDO1NBQ25FLEdBQUcsQ0FDRixDQUFDLFNBQVMsRUFBRSxFQUFFLENBQ1osb0JBQW9CLFNBQVMsQ0FBQyxFQUFFLEtBQUssU0FBUyxDQUFDLFVBQVUsQ0FBQyxVQUFVLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUN0RyxDQUFDO0lBRU4sT0FBTztRQUNMLHdDQUF3QztRQUN4Qyx3REFBd0Q7UUFDeEQsMkRBQTJEO1FBQzNELHVIQUF1SDtRQUN2SCxvRUFBb0U7UUFDcEUsbUVBQW1FO1FBQ25FLEdBQUcsY0FBYyxDQUFDLEdBQUcsQ0FBQyxDQUFDLFNBQVMsRUFBRSxFQUFFLENBQUMsR0FBRyxDQUFDLFNBQVMsRUFBRSxNQUFNLENBQUMsQ0FBQztRQUM1RCxHQUFHLGNBQWMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUFDLEdBQUcsQ0FBQyxTQUFTLEVBQUUsTUFBTSxDQUFDLENBQUM7UUFDNUQseUNBQXlDO1FBQ3pDLEdBQUcsUUFBUSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDO1lBQ2xDLGlCQUFpQixTQUFTLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJO1lBQ3ZDLDJCQUEyQixTQUFTLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxTQUFTO1lBQ3pELDBCQUEwQixTQUFTLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTO1lBQ3ZELEdBQUcsSUFBSSxDQUFDLGNBQWMsRUFBRSxJQUFJLENBQUMsVUFBVSxDQUFDO1lBQ3hDLGFBQWE7U0FDZCxDQUFDO1FBQ0YsR0FBRyxRQUFRLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLElBQUksRUFBRSxFQUFFLENBQUM7WUFDbEMsaUJBQWlCLFNBQVMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLGFBQWEsU0FBUyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsYUFBYSxTQUFTLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJO1lBQzdHLDJCQUEyQixTQUFTLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxTQUFTO1lBQ3pELEdBQUcsSUFBSSxDQUFDLGNBQWMsRUFBRSxJQUFJLENBQUMsVUFBVSxDQUFDO1lBQ3hDLGFBQWE7U0FDZCxDQUFDO1FBQ0YsWUFBWTtRQUNaLFlBQVk7UUFDWixFQUFFO0tBQ0gsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7QUFDZixDQUFDLENBQUM7QUFFRix3REFBd0Q7QUFDeEQsTUFBTSxVQUFVLEdBQWtDO0lBQ2hELE9BQU8sRUFBRSxTQUFTO0lBQ2xCLEdBQUcsRUFBRSxTQUFTO0lBQ2QsSUFBSSxFQUFFLE1BQU07SUFDWixNQUFNLEVBQUUsUUFBUTtJQUNoQixNQUFNLEVBQUUsUUFBUTtDQUNqQixDQUFDO0FBRUYsTUFBTSxNQUFNLEdBQUcsQ0FBQyxRQUFrQixFQUFVLEVBQUU7SUFDNUMseUVBQXlFO0lBQ3pFLHdFQUF3RTtJQUN4RSxxREFBcUQ7SUFDckQsTUFBTSxjQUFjLEdBQWdCO1FBQ2xDLEVBQUUsRUFBRSxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRTtRQUNsRSxHQUFHLFlBQVksQ0FBQyxRQUFRLENBQUMsS0FBSyxFQUFFLEdBQUcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxDQUFDO0tBQ2hELENBQUM7SUFDRixNQUFNLGNBQWMsR0FBRyxZQUFZLENBQUMsUUFBUSxDQUFDLEtBQUssRUFBRSxHQUFHLEVBQUUsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO0lBQ3BFLE1BQU0sT0FBTyxHQUFHLENBQUMsTUFBdUIsRUFBRSxVQUF1QixFQUFFLEVBQUUsQ0FDbkUsVUFBVSxDQUFDLE1BQU0sS0FBSyxDQUFDO1FBQ3JCLENBQUMsQ0FBQyxFQUFFO1FBQ0osQ0FBQyxDQUFDO1lBQ0UsMEJBQTBCLE1BQU0sSUFBSTtZQUNwQyxHQUFHLFVBQVUsQ0FBQyxHQUFHLENBQ2YsQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUNaLHdCQUF3QixTQUFTLENBQUMsRUFBRSxZQUFZLFNBQVMsQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLFdBQVcsVUFBVSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUN0SDtZQUNELG1CQUFtQjtTQUNwQixDQUFDO0lBQ1IsTUFBTSxNQUFNLEdBQUcsQ0FBQyxVQUF1QixFQUFFLFVBQXlDLEVBQUUsRUFBRTtRQUNwRixNQUFNLE9BQU8sR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLENBQUMsU0FBUyxFQUFFLEVBQUUsQ0FBQyxVQUFVLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDO1FBQy9GLE9BQU8sT0FBTyxDQUFDLE1BQU0sS0FBSyxDQUFDO1lBQ3pCLENBQUMsQ0FBQyxFQUFFO1lBQ0osQ0FBQyxDQUFDO2dCQUNFLHFCQUFxQjtnQkFDckIsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUNaLENBQUMsU0FBUyxFQUFFLEVBQUUsQ0FDWiw0QkFBNEIsU0FBUyxDQUFDLEVBQUUsWUFBWSxTQUFTLENBQUMsVUFBVSxDQUFDLFVBQVUsQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQ2pIO2dCQUNELHNCQUFzQjthQUN2QixDQUFDO0lBQ1IsQ0FBQyxDQUFDO0lBRUYsT0FBTztRQUNMLHdDQUF3QztRQUN4QyxrREFBa0Q7UUFDbEQsNkJBQTZCLElBQUksSUFBSSxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsSUFBSTtRQUN0RSxrQ0FBa0M7UUFDbEMsb0JBQW9CLFNBQVMsQ0FBQyxRQUFRLENBQUMsUUFBUSxDQUFDLENBQUMsZ0JBQWdCO1FBQ2pFLFdBQVc7UUFDWCxvREFBb0Q7UUFDcEQsR0FBRyxPQUFPLENBQUMsTUFBTSxFQUFFLGNBQWMsQ0FBQztRQUNsQyxHQUFHLE9BQU8sQ0FBQyxNQUFNLEVBQUUsY0FBYyxDQUFDO1FBQ2xDLGFBQWE7UUFDYixHQUFHLFFBQVEsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQztZQUNsQyxtQkFBbUIsU0FBUyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsWUFBWSxTQUFTLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJO1lBQ3pFLEdBQUcsTUFBTSxDQUFDLGNBQWMsRUFBRSxFQUFFLEdBQUcsSUFBSSxDQUFDLFVBQVUsRUFBRSxRQUFRLEVBQUUsSUFBSSxDQUFDLEtBQUssRUFBRSxDQUFDO1lBQ3ZFLGVBQWU7U0FDaEIsQ0FBQztRQUNGLGNBQWM7UUFDZCxhQUFhO1FBQ2IsR0FBRyxRQUFRLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLElBQUksRUFBRSxFQUFFLENBQUM7WUFDbEMsbUJBQW1CLFNBQVMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLGFBQWEsU0FBUyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsYUFBYSxTQUFTLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxZQUFZLFNBQVMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUk7WUFDaEosR0FBRyxNQUFNLENBQUMsY0FBYyxFQUFFLElBQUksQ0FBQyxVQUFVLENBQUM7WUFDMUMsZUFBZTtTQUNoQixDQUFDO1FBQ0YsY0FBYztRQUNkLFlBQVk7UUFDWixTQUFTO1FBQ1QsRUFBRTtLQUNILENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO0FBQ2YsQ0FBQyxDQUFDO0FBRUYsNEVBQTRFO0FBQzVFLHVDQUF1QztBQUN2QyxNQUFNLGVBQWUsR0FBRyxDQUFDLFFBQWtCLEVBQVUsRUFBRSxDQUNyRCxJQUFJLENBQUMsU0FBUyxDQUNaO0lBQ0UsSUFBSSxFQUFFLEVBQUUsSUFBSSxFQUFFLFFBQVEsQ0FBQyxRQUFRLENBQUMsRUFBRSxNQUFNLEVBQUUsUUFBUSxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUUsUUFBUSxDQUFDLEtBQUssRUFBRTtJQUNsRixRQUFRLEVBQUU7UUFDUixLQUFLLEVBQUUsUUFBUSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLENBQUM7WUFDbkMsSUFBSSxFQUFFLEVBQUUsR0FBRyxJQUFJLENBQUMsVUFBVSxFQUFFLEVBQUUsRUFBRSxJQUFJLENBQUMsRUFBRSxFQUFFLEtBQUssRUFBRSxJQUFJLENBQUMsS0FBSyxFQUFFLElBQUksRUFBRSxJQUFJLENBQUMsSUFBSSxFQUFFO1NBQzlFLENBQUMsQ0FBQztRQUNILEtBQUssRUFBRSxRQUFRLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxFQUFFLENBQUMsQ0FBQztZQUNuQyxJQUFJLEVBQUU7Z0JBQ0osR0FBRyxJQUFJLENBQUMsVUFBVTtnQkFDbEIsRUFBRSxFQUFFLElBQUksQ0FBQyxFQUFFO2dCQUNYLE1BQU0sRUFBRSxJQUFJLENBQUMsTUFBTTtnQkFDbkIsTUFBTSxFQUFFLElBQUksQ0FBQyxNQUFNO2dCQUNuQixLQUFLLEVBQUUsSUFBSSxDQUFDLEtBQUs7YUFDbEI7U0FDRixDQUFDLENBQUM7S0FDSjtDQUNGLEVBQ0QsSUFBSSxFQUNKLENBQUMsQ0FDRixDQUFDO0FBRUosNEVBQTRFO0FBQzVFLE1BQU0sY0FBYyxHQUFHLENBQUMsUUFBa0IsRUFBVSxFQUFFLENBQ3BELElBQUksQ0FBQyxTQUFTLENBQ1o7SUFDRSxRQUFRLEVBQUUsSUFBSTtJQUNkLFVBQVUsRUFBRSxJQUFJO0lBQ2hCLEtBQUssRUFBRSxFQUFFLElBQUksRUFBRSxRQUFRLENBQUMsUUFBUSxDQUFDLEVBQUUsTUFBTSxFQUFFLFFBQVEsQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLFFBQVEsQ0FBQyxLQUFLLEVBQUU7SUFDbkYsS0FBSyxFQUFFLFFBQVEsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ25DLEdBQUcsSUFBSSxDQUFDLFVBQVU7UUFDbEIsRUFBRSxFQUFFLElBQUksQ0FBQyxFQUFFO1FBQ1gsS0FBSyxFQUFFLElBQUksQ0FBQyxLQUFLO1FBQ2pCLElBQUksRUFBRSxJQUFJLENBQUMsSUFBSTtLQUNoQixDQUFDLENBQUM7SUFDSCxLQUFLLEVBQUUsUUFBUSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDbkMsR0FBRyxJQUFJLENBQUMsVUFBVTtRQUNsQixHQUFHLEVBQUUsSUFBSSxDQUFDLEVBQUU7UUFDWixNQUFNLEVBQUUsSUFBSSxDQUFDLE1BQU07UUFDbkIsTUFBTSxFQUFFLElBQUksQ0FBQyxNQUFNO1FBQ25CLEtBQUssRUFBRSxJQUFJLENBQUMsS0FBSztLQUNsQixDQUFDLENBQUM7Q0FDSixFQUNELElBQUksRUFDSixDQUFDLENBQ0YsQ0FBQztBQUVKLE1BQU0sV0FBVyxHQUEyRDtJQUMxRSxPQUFPLEVBQUUsU0FBUztJQUNsQixJQUFJLEVBQUUsTUFBTTtJQUNaLGNBQWMsRUFBRSxlQUFlO0lBQy9CLGNBQWMsRUFBRSxjQUFjO0NBQy9CLENBQUM7QUFFRixzRUFBc0U7QUFDL0QsTUFBTSxpQkFBaUIsR0FBRyxDQUMvQixRQUFrQixFQUNsQixNQUFzQixFQUNGLEVBQUU7SUFDdEIsTUFBTSxFQUFFLFNBQVMsRUFBRSxXQUFXLEVBQUUsR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDdEQsTUFBTSxJQUFJLEdBQUcsQ0FBQyxRQUFRLENBQUMsTUFBTSxJQUFJLFFBQVEsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxpQkFBaUIsRUFBRSxHQUFHLENBQUMsQ0FBQztJQUMzRSxPQUFPO1FBQ0wsUUFBUSxFQUFFLFlBQVksSUFBSSxJQUFJLFFBQVEsQ0FBQyxLQUFLLElBQUksU0FBUyxFQUFFO1FBQzNELFdBQVc7UUFDWCxPQUFPLEVBQUUsV0FBVyxDQUFDLE1BQU0sQ0FBQyxDQUFDLFFBQVEsQ0FBQztLQUN2QyxDQUFDO0FBQ0osQ0FBQyxDQUFDO0FBWFcsUUFBQSxpQkFBaUIscUJBVzVCIiwic291cmNlc0NvbnRlbnQiOlsiLy8gU2VyaWFsaXplcnMgZm9yIGV4cG9ydFN1YmdyYXBoLiBFdmVyeSBmb3JtYXQgY2FycmllcyB0aGUgdmVydGV4IGFuZCBlZGdlXG4vLyBsYWJlbHMgYW5kIGFsbCB0aGVpciBwcm9wZXJ0aWVzOyBtdWx0aS12YWx1ZWQgcHJvcGVydGllcyBzdGF5IGxpc3RzIGluIHRoZVxuLy8gSlNPTiBmb3JtYXRzIGFuZCBhcmUgam9pbmVkIHdpdGggXCI7XCIgaW4gR3JhcGhNTCBhbmQgR0VYRiwgd2hvc2UgcmVhZGVyc1xuLy8gKEdlcGhpLCB5RWQpIGV4cGVjdCBzY2FsYXIgYXR0cmlidXRlcy4gR3JhcGhNTCBhbmQgR0VYRiBhdHRyaWJ1dGVzIG5hbWVkXG4vLyBsaWtlIHRoZSBvbmVzIGhvbGRpbmcgdGhlIGxhYmVsIG9yIGRpc3BsYXkgbmFtZSBhcmUgcHJlZml4ZWQgd2l0aFxuLy8gXCJwcm9wZXJ0eV9cIiwgc28gYSBgbmFtZWAgcHJvcGVydHkgZG9lcyBub3QgY2xhc2ggd2l0aCB0aGUgZGlzcGxheSBuYW1lLlxuXG5leHBvcnQgdHlwZSBTdWJncmFwaEZvcm1hdCA9IFwiR1JBUEhNTFwiIHwgXCJHRVhGXCIgfCBcIkNZVE9TQ0FQRV9KU09OXCIgfCBcIk5PREVfTElOS19KU09OXCI7XG5cbmV4cG9ydCBjb25zdCBTVUJHUkFQSF9GT1JNQVRTOiBTdWJncmFwaEZvcm1hdFtdID0gW1xuICBcIkdSQVBITUxcIixcbiAgXCJHRVhGXCIsXG4gIFwiQ1lUT1NDQVBFX0pTT05cIixcbiAgXCJOT0RFX0xJTktfSlNPTlwiLFxuXTtcblxuZXhwb3J0IHR5cGUgUHJvcGVydHlWYWx1ZSA9IHN0cmluZyB8IG51bWJlciB8IGJvb2xlYW4gfCBBcnJheTxzdHJpbmcgfCBudW1iZXIgfCBib29sZWFuPjtcblxuZXhwb3J0IGludGVyZmFjZSBTdWJncmFwaE5vZGUge1xuICBpZDogc3RyaW5nO1xuICBsYWJlbDogc3RyaW5nO1xuICAvLyBEaXNwbGF5IG5hbWUsIGUuZy4gY29tcGFueU5hbWUgb3IgcGFydE5hbWVcbiAgbmFtZTogc3RyaW5nO1xuICBwcm9wZXJ0aWVzOiBSZWNvcmQ8c3RyaW5nLCBQcm9wZXJ0eVZhbHVlPjtcbn1cblxuZXhwb3J0IGludGVyZmFjZSBTdWJncmFwaEVkZ2Uge1xuICBpZDogc3RyaW5nO1xuICBsYWJlbDogc3RyaW5nO1xuICBzb3VyY2U6IHN0cmluZztcbiAgdGFyZ2V0OiBzdHJpbmc7XG4gIHByb3BlcnRpZXM6IFJlY29yZDxzdHJpbmcsIFByb3BlcnR5VmFsdWU+O1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIFN1YmdyYXBoIHtcbiAgcm9vdElkOiBzdHJpbmcgfCBudWxsO1xuICBkZXB0aDogbnVtYmVyO1xuICBub2RlczogU3ViZ3JhcGhOb2RlW107XG4gIGVkZ2VzOiBTdWJncmFwaEVkZ2VbXTtcbn1cblxuZXhwb3J0IGludGVyZmFjZSBTZXJpYWxpemVkU3ViZ3JhcGgge1xuICBmaWxlTmFtZTogc3RyaW5nO1xuICBjb250ZW50VHlwZTogc3RyaW5nO1xuICBjb250ZW50OiBzdHJpbmc7XG59XG5cbnR5cGUgQXR0cmlidXRlVHlwZSA9IFwiYm9vbGVhblwiIHwgXCJpbnRcIiB8IFwibG9uZ1wiIHwgXCJkb3VibGVcIiB8IFwic3RyaW5nXCI7XG5cbmludGVyZmFjZSBBdHRyaWJ1dGUge1xuICBpZDogc3RyaW5nO1xuICAvLyBBdHRyaWJ1dGUgbmFtZSBpbiB0aGUgZmlsZVxuICBuYW1lOiBzdHJpbmc7XG4gIC8vIEtleSBvZiB0aGUgdmFsdWVzIGluIGFuIGVsZW1lbnQncyBwcm9wZXJ0aWVzXG4gIHByb3BlcnR5OiBzdHJpbmc7XG4gIHR5cGU6IEF0dHJpYnV0ZVR5cGU7XG59XG5cbmNvbnN0IExJU1RfU0VQQVJBVE9SID0gXCI7XCI7XG5cbmNvbnN0IFJFU0VSVkVEX1BSRUZJWCA9IFwicHJvcGVydHlfXCI7XG5cbmNvbnN0IEZJTEVfVFlQRVM6IFJlY29yZDxTdWJncmFwaEZvcm1hdCwgeyBleHRlbnNpb246IHN0cmluZzsgY29udGVudFR5cGU6IHN0cmluZyB9PiA9IHtcbiAgR1JBUEhNTDogeyBleHRlbnNpb246IFwiZ3JhcGhtbFwiLCBjb250ZW50VHlwZTogXCJhcHBsaWNhdGlvbi9ncmFwaG1sK3htbFwiIH0sXG4gIEdFWEY6IHsgZXh0ZW5zaW9uOiBcImdleGZcIiwgY29udGVudFR5cGU6IFwiYXBwbGljYXRpb24vZ2V4Zit4bWxcIiB9LFxuICBDWVRPU0NBUEVfSlNPTjogeyBleHRlbnNpb246IFwiY3lqc1wiLCBjb250ZW50VHlwZTogXCJhcHBsaWNhdGlvbi9qc29uXCIgfSxcbiAgTk9ERV9MSU5LX0pTT046IHsgZXh0ZW5zaW9uOiBcImpzb25cIiwgY29udGVudFR5cGU6IFwiYXBwbGljYXRpb24vanNvblwiIH0sXG59O1xuXG4vLyBYTUwgMS4wIGZvcmJpZHMgbW9zdCBjb250cm9sIGNoYXJhY3RlcnMgZXZlbiB3aGVuIGVzY2FwZWRcbmNvbnN0IGVzY2FwZVhtbCA9ICh0ZXh0OiBzdHJpbmcpOiBzdHJpbmcgPT5cbiAgdGV4dFxuICAgIC8vIGVzbGludC1kaXNhYmxlLW5leHQtbGluZSBuby1jb250cm9sLXJlZ2V4XG4gICAgLnJlcGxhY2UoL1tcXHUwMDAwLVxcdTAwMDhcXHUwMDBCXFx1MDAwQ1xcdTAwMEUtXFx1MDAxRl0vZywgXCJcIilcbiAgICAucmVwbGFjZSgvJi9nLCBcIiZhbXA7XCIpXG4gICAgLnJlcGxhY2UoLzwvZywgXCImbHQ7XCIpXG4gICAgLnJlcGxhY2UoLz4vZywgXCImZ3Q7XCIpXG4gICAgLnJlcGxhY2UoL1wiL2csIFwiJnF1b3Q7XCIpXG4gICAgLnJlcGxhY2UoLycvZywgXCImYXBvcztcIik7XG5cbmNvbnN0IHNjYWxhclRleHQgPSAodmFsdWU6IFByb3BlcnR5VmFsdWUpOiBzdHJpbmcgPT5cbiAgQXJyYXkuaXNBcnJheSh2YWx1ZSkgPyB2YWx1ZS5tYXAoU3RyaW5nKS5qb2luKExJU1RfU0VQQVJBVE9SKSA6IFN0cmluZyh2YWx1ZSk7XG5cbmNvbnN0IHZhbHVlVHlwZSA9ICh2YWx1ZTogUHJvcGVydHlWYWx1ZSk6IEF0dHJpYnV0ZVR5cGUgPT4ge1xuICBpZiAoQXJyYXkuaXNBcnJheSh2YWx1ZSkpIHJldHVybiBcInN0cmluZ1wiO1xuICBpZiAodHlwZW9mIHZhbHVlID09PSBcImJvb2xlYW5cIikgcmV0dXJuIFwiYm9vbGVhblwiO1xuICBpZiAodHlwZW9mIHZhbHVlID09PSBcIm51bWJlclwiKSB7XG4gICAgaWYgKCFOdW1iZXIuaXNJbnRlZ2VyKHZhbHVlKSkgcmV0dXJuIFwiZG91YmxlXCI7XG4gICAgcmV0dXJuIE1hdGguYWJzKHZhbHVlKSA8PSAyMTQ3NDgzNjQ3ID8gXCJpbnRcIiA6IFwibG9uZ1wiO1xuICB9XG4gIHJldHVybiBcInN0cmluZ1wiO1xufTtcblxuLy8gVGhlIG5hcnJvd2VzdCB0eXBlIHRoYXQgaG9sZHMgdmFsdWVzIG9mIGJvdGggdHlwZXNcbmNvbnN0IHdpZGVuID0gKGE6IEF0dHJpYnV0ZVR5cGUsIGI6IEF0dHJpYnV0ZVR5cGUpOiBBdHRyaWJ1dGVUeXBlID0+IHtcbiAgaWYgKGEgPT09IGIpIHJldHVybiBhO1xuICBjb25zdCBudW1lcmljOiBBdHRyaWJ1dGVUeXBlW10gPSBbXCJpbnRcIiwgXCJsb25nXCIsIFwiZG91YmxlXCJdO1xuICBpZiAobnVtZXJpYy5pbmNsdWRlcyhhKSAmJiBudW1lcmljLmluY2x1ZGVzKGIpKSB7XG4gICAgcmV0dXJuIGEgPT09IFwiZG91YmxlXCIgfHwgYiA9PT0gXCJkb3VibGVcIiA/IFwiZG91YmxlXCIgOiBcImxvbmdcIjtcbiAgfVxuICByZXR1cm4gXCJzdHJpbmdcIjtcbn07XG5cbi8qKlxuICogT25lIGF0dHJpYnV0ZSBwZXIgcHJvcGVydHkgbmFtZSBhY3Jvc3MgYGVsZW1lbnRzYCwgdHlwZWQgYnkgdGhlaXIgdmFsdWVzLlxuICogTmFtZXMgaW4gYHJlc2VydmVkYCBnZXQgUkVTRVJWRURfUFJFRklYLlxuICovXG5jb25zdCBhdHRyaWJ1dGVzT2YgPSAoXG4gIGVsZW1lbnRzOiBBcnJheTx7IHByb3BlcnRpZXM6IFJlY29yZDxzdHJpbmcsIFByb3BlcnR5VmFsdWU+IH0+LFxuICBpZFByZWZpeDogc3RyaW5nLFxuICByZXNlcnZlZDogc3RyaW5nW11cbik6IEF0dHJpYnV0ZVtdID0+IHtcbiAgY29uc3QgdHlwZXMgPSBuZXcgTWFwPHN0cmluZywgQXR0cmlidXRlVHlwZT4oKTtcbiAgZm9yIChjb25zdCBlbGVtZW50IG9mIGVsZW1lbnRzKSB7XG4gICAgZm9yIChjb25zdCBbbmFtZSwgdmFsdWVdIG9mIE9iamVjdC5lbnRyaWVzKGVsZW1lbnQucHJvcGVydGllcykpIHtcbiAgICAgIGNvbnN0IHR5cGUgPSB2YWx1ZVR5cGUodmFsdWUpO1xuICAgICAgY29uc3Qga25vd24gPSB0eXBlcy5nZXQobmFtZSk7XG4gICAgICB0eXBlcy5zZXQobmFtZSwga25vd24gPyB3aWRlbihrbm93biwgdHlwZSkgOiB0eXBlKTtcbiAgICB9XG4gIH1cbiAgcmV0dXJuIEFycmF5LmZyb20odHlwZXMua2V5cygpKVxuICAgIC5zb3J0KClcbiAgICAubWFwKChwcm9wZXJ0eSwgaSkgPT4gKHtcbiAgICAgIGlkOiBgJHtpZFByZWZpeH0ke2l9YCxcbiAgICAgIG5hbWU6IHJlc2VydmVkLmluY2x1ZGVzKHByb3BlcnR5KSA/IGAke1JFU0VSVkVEX1BSRUZJWH0ke3Byb3BlcnR5fWAgOiBwcm9wZXJ0eSxcbiAgICAgIHByb3BlcnR5LFxuICAgICAgdHlwZTogdHlwZXMuZ2V0KHByb3BlcnR5KSEsXG4gICAgfSkpO1xufTtcblxuY29uc3QgZGVzY3JpYmUgPSAoc3ViZ3JhcGg6IFN1YmdyYXBoKTogc3RyaW5nID0+XG4gIHN1YmdyYXBoLnJvb3RJZFxuICAgID8gYE5laWdoYm9yaG9vZCBvZiAke3N1YmdyYXBoLnJvb3RJZH0sICR7c3ViZ3JhcGguZGVwdGh9IGhvcCR7c3ViZ3JhcGguZGVwdGggPT09IDEgPyBcIlwiIDogXCJzXCJ9YFxuICAgIDogXCJHcmFwaCBzYW1wbGVcIjtcblxuY29uc3QgdG9HcmFwaE1MID0gKHN1YmdyYXBoOiBTdWJncmFwaCk6IHN0cmluZyA9PiB7XG4gIC8vIENsZWFyIG9mIHRoZSBsYWJlbCBhbmQgbmFtZSBrZXlzIGRlY2xhcmVkIGJlbG93XG4gIGNvbnN0IG5vZGVBdHRyaWJ1dGVzID0gYXR0cmlidXRlc09mKHN1YmdyYXBoLm5vZGVzLCBcIm5cIiwgW1wibGFiZWxcIiwgXCJuYW1lXCJdKTtcbiAgY29uc3QgZWRnZUF0dHJpYnV0ZXMgPSBhdHRyaWJ1dGVzT2Yoc3ViZ3JhcGguZWRnZXMsIFwiZVwiLCBbXCJsYWJlbFwiXSk7XG4gIGNvbnN0IGtleSA9IChhdHRyaWJ1dGU6IEF0dHJpYnV0ZSwgdGFyZ2V0OiBcIm5vZGVcIiB8IFwiZWRnZVwiKSA9PlxuICAgIGAgIDxrZXkgaWQ9XCIke2F0dHJpYnV0ZS5pZH1cIiBmb3I9XCIke3RhcmdldH1cIiBhdHRyLm5hbWU9XCIke2VzY2FwZVhtbChhdHRyaWJ1dGUubmFtZSl9XCIgYXR0ci50eXBlPVwiJHthdHRyaWJ1dGUudHlwZX1cIi8+YDtcbiAgY29uc3QgZGF0YSA9IChhdHRyaWJ1dGVzOiBBdHRyaWJ1dGVbXSwgcHJvcGVydGllczogUmVjb3JkPHN0cmluZywgUHJvcGVydHlWYWx1ZT4pID0+XG4gICAgYXR0cmlidXRlc1xuICAgICAgLmZpbHRlcigoYXR0cmlidXRlKSA9PiBwcm9wZXJ0aWVzW2F0dHJpYnV0ZS5wcm9wZXJ0eV0gIT09IHVuZGVmaW5lZClcbiAgICAgIC5tYXAoXG4gICAgICAgIChhdHRyaWJ1dGUpID0+XG4gICAgICAgICAgYCAgICAgIDxkYXRhIGtleT1cIiR7YXR0cmlidXRlLmlkfVwiPiR7ZXNjYXBlWG1sKHNjYWxhclRleHQocHJvcGVydGllc1thdHRyaWJ1dGUucHJvcGVydHldKSl9PC9kYXRhPmBcbiAgICAgICk7XG5cbiAgcmV0dXJuIFtcbiAgICAnPD94bWwgdmVyc2lvbj1cIjEuMFwiIGVuY29kaW5nPVwiVVRGLThcIj8+JyxcbiAgICAnPGdyYXBobWwgeG1sbnM9XCJodHRwOi8vZ3JhcGhtbC5ncmFwaGRyYXdpbmcub3JnL3htbG5zXCInLFxuICAgICcgICAgeG1sbnM6eHNpPVwiaHR0cDovL3d3dy53My5vcmcvMjAwMS9YTUxTY2hlbWEtaW5zdGFuY2VcIicsXG4gICAgJyAgICB4c2k6c2NoZW1hTG9jYXRpb249XCJodHRwOi8vZ3JhcGhtbC5ncmFwaGRyYXdpbmcub3JnL3htbG5zIGh0dHA6Ly9ncmFwaG1sLmdyYXBoZHJhd2luZy5vcmcveG1sbnMvMS4wL2dyYXBobWwueHNkXCI+JyxcbiAgICAnICA8a2V5IGlkPVwibGFiZWxcIiBmb3I9XCJhbGxcIiBhdHRyLm5hbWU9XCJsYWJlbFwiIGF0dHIudHlwZT1cInN0cmluZ1wiLz4nLFxuICAgICcgIDxrZXkgaWQ9XCJuYW1lXCIgZm9yPVwibm9kZVwiIGF0dHIubmFtZT1cIm5hbWVcIiBhdHRyLnR5cGU9XCJzdHJpbmdcIi8+JyxcbiAgICAuLi5ub2RlQXR0cmlidXRlcy5tYXAoKGF0dHJpYnV0ZSkgPT4ga2V5KGF0dHJpYnV0ZSwgXCJub2RlXCIpKSxcbiAgICAuLi5lZGdlQXR0cmlidXRlcy5tYXAoKGF0dHJpYnV0ZSkgPT4ga2V5KGF0dHJpYnV0ZSwgXCJlZGdlXCIpKSxcbiAgICAnICA8Z3JhcGggaWQ9XCJHXCIgZWRnZWRlZmF1bHQ9XCJkaXJlY3RlZFwiPicsXG4gICAgLi4uc3ViZ3JhcGgubm9kZXMuZmxhdE1hcCgobm9kZSkgPT4gW1xuICAgICAgYCAgICA8bm9kZSBpZD1cIiR7ZXNjYXBlWG1sKG5vZGUuaWQpfVwiPmAsXG4gICAgICBgICAgICAgPGRhdGEga2V5PVwibGFiZWxcIj4ke2VzY2FwZVhtbChub2RlLmxhYmVsKX08L2RhdGE+YCxcbiAgICAgIGAgICAgICA8ZGF0YSBrZXk9XCJuYW1lXCI+JHtlc2NhcGVYbWwobm9kZS5uYW1lKX08L2RhdGE+YCxcbiAgICAgIC4uLmRhdGEobm9kZUF0dHJpYnV0ZXMsIG5vZGUucHJvcGVydGllcyksXG4gICAgICBcIiAgICA8L25vZGU+XCIsXG4gICAgXSksXG4gICAgLi4uc3ViZ3JhcGguZWRnZXMuZmxhdE1hcCgoZWRnZSkgPT4gW1xuICAgICAgYCAgICA8ZWRnZSBpZD1cIiR7ZXNjYXBlWG1sKGVkZ2UuaWQpfVwiIHNvdXJjZT1cIiR7ZXNjYXBlWG1sKGVkZ2Uuc291cmNlKX1cIiB0YXJnZXQ9XCIke2VzY2FwZVhtbChlZGdlLnRhcmdldCl9XCI+YCxcbiAgICAgIGAgICAgICA8ZGF0YSBrZXk9XCJsYWJlbFwiPiR7ZXNjYXBlWG1sKGVkZ2UubGFiZWwpfTwvZGF0YT5gLFxuICAgICAgLi4uZGF0YShlZGdlQXR0cmlidXRlcywgZWRnZS5wcm9wZXJ0aWVzKSxcbiAgICAgIFwiICAgIDwvZWRnZT5cIixcbiAgICBdKSxcbiAgICBcIiAgPC9ncmFwaD5cIixcbiAgICBcIjwvZ3JhcGhtbD5cIixcbiAgICBcIlwiLFxuICBdLmpvaW4oXCJcXG5cIik7XG59O1xuXG4vLyBHRVhGIG5hbWVzIGl0cyBudW1lcmljIHR5cGVzIGRpZmZlcmVudGx5IGZyb20gR3JhcGhNTFxuY29uc3QgR0VYRl9UWVBFUzogUmVjb3JkPEF0dHJpYnV0ZVR5cGUsIHN0cmluZz4gPSB7XG4gIGJvb2xlYW46IFwiYm9vbGVhblwiLFxuICBpbnQ6IFwiaW50ZWdlclwiLFxuICBsb25nOiBcImxvbmdcIixcbiAgZG91YmxlOiBcImRvdWJsZVwiLFxuICBzdHJpbmc6IFwic3RyaW5nXCIsXG59O1xuXG5jb25zdCB0b0dleGYgPSAoc3ViZ3JhcGg6IFN1YmdyYXBoKTogc3RyaW5nID0+IHtcbiAgLy8gVGhlIHZlcnRleCBsYWJlbCBpcyBhbiBhdHRyaWJ1dGU7IEdFWEYncyBvd24gbm9kZSBsYWJlbCBpcyB0aGUgZGlzcGxheVxuICAvLyBuYW1lIEdlcGhpIHNob3dzLiBUaGUgZWRnZSBsYWJlbCBpcyB0aGUgZWRnZSdzIG93biBsYWJlbCwgd2hpY2ggR2VwaGlcbiAgLy8gcmVhZHMgaW50byB0aGUgc2FtZSBjb2x1bW4gYXMgYSBcImxhYmVsXCIgYXR0cmlidXRlLlxuICBjb25zdCBub2RlQXR0cmlidXRlczogQXR0cmlidXRlW10gPSBbXG4gICAgeyBpZDogXCJsYWJlbFwiLCBuYW1lOiBcImxhYmVsXCIsIHByb3BlcnR5OiBcIn5sYWJlbFwiLCB0eXBlOiBcInN0cmluZ1wiIH0sXG4gICAgLi4uYXR0cmlidXRlc09mKHN1YmdyYXBoLm5vZGVzLCBcIm5cIiwgW1wibGFiZWxcIl0pLFxuICBdO1xuICBjb25zdCBlZGdlQXR0cmlidXRlcyA9IGF0dHJpYnV0ZXNPZihzdWJncmFwaC5lZGdlcywgXCJlXCIsIFtcImxhYmVsXCJdKTtcbiAgY29uc3QgZGVjbGFyZSA9ICh0YXJnZXQ6IFwibm9kZVwiIHwgXCJlZGdlXCIsIGF0dHJpYnV0ZXM6IEF0dHJpYnV0ZVtdKSA9PlxuICAgIGF0dHJpYnV0ZXMubGVuZ3RoID09PSAwXG4gICAgICA/IFtdXG4gICAgICA6IFtcbiAgICAgICAgICBgICAgIDxhdHRyaWJ1dGVzIGNsYXNzPVwiJHt0YXJnZXR9XCI+YCxcbiAgICAgICAgICAuLi5hdHRyaWJ1dGVzLm1hcChcbiAgICAgICAgICAgIChhdHRyaWJ1dGUpID0+XG4gICAgICAgICAgICAgIGAgICAgICA8YXR0cmlidXRlIGlkPVwiJHthdHRyaWJ1dGUuaWR9XCIgdGl0bGU9XCIke2VzY2FwZVhtbChhdHRyaWJ1dGUubmFtZSl9XCIgdHlwZT1cIiR7R0VYRl9UWVBFU1thdHRyaWJ1dGUudHlwZV19XCIvPmBcbiAgICAgICAgICApLFxuICAgICAgICAgIFwiICAgIDwvYXR0cmlidXRlcz5cIixcbiAgICAgICAgXTtcbiAgY29uc3QgdmFsdWVzID0gKGF0dHJpYnV0ZXM6IEF0dHJpYnV0ZVtdLCBwcm9wZXJ0aWVzOiBSZWNvcmQ8c3RyaW5nLCBQcm9wZXJ0eVZhbHVlPikgPT4ge1xuICAgIGNvbnN0IHByZXNlbnQgPSBhdHRyaWJ1dGVzLmZpbHRlcigoYXR0cmlidXRlKSA9PiBwcm9wZXJ0aWVzW2F0dHJpYnV0ZS5wcm9wZXJ0eV0gIT09IHVuZGVmaW5lZCk7XG4gICAgcmV0dXJuIHByZXNlbnQubGVuZ3RoID09PSAwXG4gICAgICA/IFtdXG4gICAgICA6IFtcbiAgICAgICAgICBcIiAgICAgICAgPGF0dHZhbHVlcz5cIixcbiAgICAgICAgICAuLi5wcmVzZW50Lm1hcChcbiAgICAgICAgICAgIChhdHRyaWJ1dGUpID0+XG4gICAgICAgICAgICAgIGAgICAgICAgICAgPGF0dHZhbHVlIGZvcj1cIiR7YXR0cmlidXRlLmlkfVwiIHZhbHVlPVwiJHtlc2NhcGVYbWwoc2NhbGFyVGV4dChwcm9wZXJ0aWVzW2F0dHJpYnV0ZS5wcm9wZXJ0eV0pKX1cIi8+YFxuICAgICAgICAgICksXG4gICAgICAgICAgXCIgICAgICAgIDwvYXR0dmFsdWVzPlwiLFxuICAgICAgICBdO1xuICB9O1xuXG4gIHJldHVybiBbXG4gICAgJzw/eG1sIHZlcnNpb249XCIxLjBcIiBlbmNvZGluZz1cIlVURi04XCI/PicsXG4gICAgJzxnZXhmIHhtbG5zPVwiaHR0cDovL2dleGYubmV0LzEuM1wiIHZlcnNpb249XCIxLjNcIj4nLFxuICAgIGAgIDxtZXRhIGxhc3Rtb2RpZmllZGRhdGU9XCIke25ldyBEYXRlKCkudG9JU09TdHJpbmcoKS5zbGljZSgwLCAxMCl9XCI+YCxcbiAgICBcIiAgICA8Y3JlYXRvcj5ncmFwaC1hcHA8L2NyZWF0b3I+XCIsXG4gICAgYCAgICA8ZGVzY3JpcHRpb24+JHtlc2NhcGVYbWwoZGVzY3JpYmUoc3ViZ3JhcGgpKX08L2Rlc2NyaXB0aW9uPmAsXG4gICAgXCIgIDwvbWV0YT5cIixcbiAgICAnICA8Z3JhcGggZGVmYXVsdGVkZ2V0eXBlPVwiZGlyZWN0ZWRcIiBtb2RlPVwic3RhdGljXCI+JyxcbiAgICAuLi5kZWNsYXJlKFwibm9kZVwiLCBub2RlQXR0cmlidXRlcyksXG4gICAgLi4uZGVjbGFyZShcImVkZ2VcIiwgZWRnZUF0dHJpYnV0ZXMpLFxuICAgIFwiICAgIDxub2Rlcz5cIixcbiAgICAuLi5zdWJncmFwaC5ub2Rlcy5mbGF0TWFwKChub2RlKSA9PiBbXG4gICAgICBgICAgICAgPG5vZGUgaWQ9XCIke2VzY2FwZVhtbChub2RlLmlkKX1cIiBsYWJlbD1cIiR7ZXNjYXBlWG1sKG5vZGUubmFtZSl9XCI+YCxcbiAgICAgIC4uLnZhbHVlcyhub2RlQXR0cmlidXRlcywgeyAuLi5ub2RlLnByb3BlcnRpZXMsIFwifmxhYmVsXCI6IG5vZGUubGFiZWwgfSksXG4gICAgICBcIiAgICAgIDwvbm9kZT5cIixcbiAgICBdKSxcbiAgICBcIiAgICA8L25vZGVzPlwiLFxuICAgIFwiICAgIDxlZGdlcz5cIixcbiAgICAuLi5zdWJncmFwaC5lZGdlcy5mbGF0TWFwKChlZGdlKSA9PiBbXG4gICAgICBgICAgICAgPGVkZ2UgaWQ9XCIke2VzY2FwZVhtbChlZGdlLmlkKX1cIiBzb3VyY2U9XCIke2VzY2FwZVhtbChlZGdlLnNvdXJjZSl9XCIgdGFyZ2V0PVwiJHtlc2NhcGVYbWwoZWRnZS50YXJnZXQpfVwiIGxhYmVsPVwiJHtlc2NhcGVYbWwoZWRnZS5sYWJlbCl9XCI+YCxcbiAgICAgIC4uLnZhbHVlcyhlZGdlQXR0cmlidXRlcywgZWRnZS5wcm9wZXJ0aWVzKSxcbiAgICAgIFwiICAgICAgPC9lZGdlPlwiLFxuICAgIF0pLFxuICAgIFwiICAgIDwvZWRnZXM+XCIsXG4gICAgXCIgIDwvZ3JhcGg+XCIsXG4gICAgXCI8L2dleGY+XCIsXG4gICAgXCJcIixcbiAgXS5qb2luKFwiXFxuXCIpO1xufTtcblxuLy8gQ3l0b3NjYXBlIChkZXNrdG9wIGFuZCBjeXRvc2NhcGUuanMpIGVsZW1lbnRzIEpTT047IGlkLCBzb3VyY2UgYW5kIHRhcmdldFxuLy8gd2luIG92ZXIgcHJvcGVydGllcyBvZiB0aGUgc2FtZSBuYW1lXG5jb25zdCB0b0N5dG9zY2FwZUpzb24gPSAoc3ViZ3JhcGg6IFN1YmdyYXBoKTogc3RyaW5nID0+XG4gIEpTT04uc3RyaW5naWZ5KFxuICAgIHtcbiAgICAgIGRhdGE6IHsgbmFtZTogZGVzY3JpYmUoc3ViZ3JhcGgpLCByb290SWQ6IHN1YmdyYXBoLnJvb3RJZCwgZGVwdGg6IHN1YmdyYXBoLmRlcHRoIH0sXG4gICAgICBlbGVtZW50czoge1xuICAgICAgICBub2Rlczogc3ViZ3JhcGgubm9kZXMubWFwKChub2RlKSA9PiAoe1xuICAgICAgICAgIGRhdGE6IHsgLi4ubm9kZS5wcm9wZXJ0aWVzLCBpZDogbm9kZS5pZCwgbGFiZWw6IG5vZGUubGFiZWwsIG5hbWU6IG5vZGUubmFtZSB9LFxuICAgICAgICB9KSksXG4gICAgICAgIGVkZ2VzOiBzdWJncmFwaC5lZGdlcy5tYXAoKGVkZ2UpID0+ICh7XG4gICAgICAgICAgZGF0YToge1xuICAgICAgICAgICAgLi4uZWRnZS5wcm9wZXJ0aWVzLFxuICAgICAgICAgICAgaWQ6IGVkZ2UuaWQsXG4gICAgICAgICAgICBzb3VyY2U6IGVkZ2Uuc291cmNlLFxuICAgICAgICAgICAgdGFyZ2V0OiBlZGdlLnRhcmdldCxcbiAgICAgICAgICAgIGxhYmVsOiBlZGdlLmxhYmVsLFxuICAgICAgICAgIH0sXG4gICAgICAgIH0pKSxcbiAgICAgIH0sXG4gICAgfSxcbiAgICBudWxsLFxuICAgIDJcbiAgKTtcblxuLy8gVGhlIG5vZGUtbGluayBsYXlvdXQgb2YgbmV0d29ya3ggYW5kIGQzOyBga2V5YCB0ZWxscyBwYXJhbGxlbCBlZGdlcyBhcGFydFxuY29uc3QgdG9Ob2RlTGlua0pzb24gPSAoc3ViZ3JhcGg6IFN1YmdyYXBoKTogc3RyaW5nID0+XG4gIEpTT04uc3RyaW5naWZ5KFxuICAgIHtcbiAgICAgIGRpcmVjdGVkOiB0cnVlLFxuICAgICAgbXVsdGlncmFwaDogdHJ1ZSxcbiAgICAgIGdyYXBoOiB7IG5hbWU6IGRlc2NyaWJlKHN1YmdyYXBoKSwgcm9vdElkOiBzdWJncmFwaC5yb290SWQsIGRlcHRoOiBzdWJncmFwaC5kZXB0aCB9LFxuICAgICAgbm9kZXM6IHN1YmdyYXBoLm5vZGVzLm1hcCgobm9kZSkgPT4gKHtcbiAgICAgICAgLi4ubm9kZS5wcm9wZXJ0aWVzLFxuICAgICAgICBpZDogbm9kZS5pZCxcbiAgICAgICAgbGFiZWw6IG5vZGUubGFiZWwsXG4gICAgICAgIG5hbWU6IG5vZGUubmFtZSxcbiAgICAgIH0pKSxcbiAgICAgIGxpbmtzOiBzdWJncmFwaC5lZGdlcy5tYXAoKGVkZ2UpID0+ICh7XG4gICAgICAgIC4uLmVkZ2UucHJvcGVydGllcyxcbiAgICAgICAga2V5OiBlZGdlLmlkLFxuICAgICAgICBzb3VyY2U6IGVkZ2Uuc291cmNlLFxuICAgICAgICB0YXJnZXQ6IGVkZ2UudGFyZ2V0LFxuICAgICAgICBsYWJlbDogZWRnZS5sYWJlbCxcbiAgICAgIH0pKSxcbiAgICB9LFxuICAgIG51bGwsXG4gICAgMlxuICApO1xuXG5jb25zdCBTRVJJQUxJWkVSUzogUmVjb3JkPFN1YmdyYXBoRm9ybWF0LCAoc3ViZ3JhcGg6IFN1YmdyYXBoKSA9PiBzdHJpbmc+ID0ge1xuICBHUkFQSE1MOiB0b0dyYXBoTUwsXG4gIEdFWEY6IHRvR2V4ZixcbiAgQ1lUT1NDQVBFX0pTT046IHRvQ3l0b3NjYXBlSnNvbixcbiAgTk9ERV9MSU5LX0pTT046IHRvTm9kZUxpbmtKc29uLFxufTtcblxuLyoqIFNlcmlhbGl6ZXMgYHN1YmdyYXBoYCBhbmQgbmFtZXMgdGhlIGZpbGUgYWZ0ZXIgaXRzIHJvb3QgdmVydGV4LiAqL1xuZXhwb3J0IGNvbnN0IHNlcmlhbGl6ZVN1YmdyYXBoID0gKFxuICBzdWJncmFwaDogU3ViZ3JhcGgsXG4gIGZvcm1hdDogU3ViZ3JhcGhGb3JtYXRcbik6IFNlcmlhbGl6ZWRTdWJncmFwaCA9PiB7XG4gIGNvbnN0IHsgZXh0ZW5zaW9uLCBjb250ZW50VHlwZSB9ID0gRklMRV9UWVBFU1tmb3JtYXRdO1xuICBjb25zdCBiYXNlID0gKHN1YmdyYXBoLnJvb3RJZCA/PyBcInNhbXBsZVwiKS5yZXBsYWNlKC9bXkEtWmEtejAtOV8tXS9nLCBcIl9cIik7XG4gIHJldHVybiB7XG4gICAgZmlsZU5hbWU6IGBzdWJncmFwaC0ke2Jhc2V9LSR7c3ViZ3JhcGguZGVwdGh9LiR7ZXh0ZW5zaW9ufWAsXG4gICAgY29udGVudFR5cGUsXG4gICAgY29udGVudDogU0VSSUFMSVpFUlNbZm9ybWF0XShzdWJncmFwaCksXG4gIH07XG59O1xuIl19
\ No newline at end of file
@@ -0,0 +1,321 @@
+// Serializers for exportSubgraph. Every format carries the vertex and edge
+// labels and all their properties; multi-valued properties stay lists in the
+// JSON formats and are joined with ";" in GraphML and GEXF, whose readers
+// (Gephi, yEd) expect scalar attributes. GraphML and GEXF attributes named
+// like the ones holding the label or display name are prefixed with
+// "property_", so a `name` property does not clash with the display name.
+
+export type SubgraphFormat = "GRAPHML" | "GEXF" | "CYTOSCAPE_JSON" | "NODE_LINK_JSON";
+
+export const SUBGRAPH_FORMATS: SubgraphFormat[] = [
+  "GRAPHML",
+  "GEXF",
+  "CYTOSCAPE_JSON",
+  "NODE_LINK_JSON",
+];
+
+export type PropertyValue = string | number | boolean | Array<string | number | boolean>;
+
+export interface SubgraphNode {
+  id: string;
+  label: string;
+  // Display name, e.g. companyName or partName
+  name: string;
+  properties: Record<string, PropertyValue>;
+}
+
+export interface SubgraphEdge {
+  id: string;
+  label: string;
+  source: string;
+  target: string;
+  properties: Record<string, PropertyValue>;
+}
+
+export interface Subgraph {
+  rootId: string | null;
+  depth: number;
+  nodes: SubgraphNode[];
+  edges: SubgraphEdge[];
+}
+
+export interface SerializedSubgraph {
+  fileName: string;
+  contentType: string;
+  content: string;
+}
+
+type AttributeType = "boolean" | "int" | "long" | "double" | "string";
+
+interface Attribute {
+  id: string;
+  // Attribute name in the file
+  name: string;
+  // Key of the values in an element's properties
+  property: string;
+  type: AttributeType;
+}
+
+const LIST_SEPARATOR = ";";
+
+const RESERVED_PREFIX = "property_";
+
+const FILE_TYPES: Record<SubgraphFormat, { extension: string; contentType: string }> = {
+  GRAPHML: { extension: "graphml", contentType: "application/graphml+xml" },
+  GEXF: { extension: "gexf", contentType: "application/gexf+xml" },
+  CYTOSCAPE_JSON: { extension: "cyjs", contentType: "application/json" },
+  NODE_LINK_JSON: { extension: "json", contentType: "application/json" },
+};
+
+// XML 1.0 forbids most control characters even when escaped
+const escapeXml = (text: string): string =>
+  text
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const scalarText = (value: PropertyValue): string =>
+  Array.isArray(value) ? value.map(String).join(LIST_SEPARATOR) : String(value);
+
+const valueType = (value: PropertyValue): AttributeType => {
+  if (Array.isArray(value)) return "string";
+  if (typeof value === "boolean") return "boolean";
+  if (typeof value === "number") {
+    if (!Number.isInteger(value)) return "double";
+    return Math.abs(value) <= 2147483647 ? "int" : "long";
+  }
+  return "string";
+};
+
+// The narrowest type that holds values of both types
+const widen = (a: AttributeType, b: AttributeType): AttributeType => {
+  if (a === b) return a;
+  const numeric: AttributeType[] = ["int", "long", "double"];
+  if (numeric.includes(a) && numeric.includes(b)) {
+    return a === "double" || b === "double" ? "double" : "long";
+  }
+  return "string";
+};
+
+/**
+ * One attribute per property name across `elements`, typed by their values.
+ * Names in `reserved` get RESERVED_PREFIX.
+ */
+const attributesOf = (
+  elements: Array<{ properties: Record<string, PropertyValue> }>,
+  idPrefix: string,
+  reserved: string[]
+): Attribute[] => {
+  const types = new Map<string, AttributeType>();
+  for (const element of elements) {
+    for (const [name, value] of Object.entries(element.properties)) {
+      const type = valueType(value);
+      const known = types.get(name);
+      types.set(name, known ? widen(known, type) : type);
+    }
+  }
+  return Array.from(types.keys())
+    .sort()
+    .map((property, i) => ({
+      id: `${idPrefix}${i}`,
+      name: reserved.includes(property) ? `${RESERVED_PREFIX}${property}` : property,
+      property,
+      type: types.get(property)!,
+    }));
+};
+
+const describe = (subgraph: Subgraph): string =>
+  subgraph.rootId
+    ? `Neighborhood of ${subgraph.rootId}, ${subgraph.depth} hop${subgraph.depth === 1 ? "" : "s"}`
+    : "Graph sample";
+
+const toGraphML = (subgraph: Subgraph): string => {
+  // Clear of the label and name keys declared below
+  const nodeAttributes = attributesOf(subgraph.nodes, "n", ["label", "name"]);
+  const edgeAttributes = attributesOf(subgraph.edges, "e", ["label"]);
+  const key = (attribute: Attribute, target: "node" | "edge") =>
+    `  <key id="${attribute.id}" for="${target}" attr.name="${escapeXml(attribute.name)}" attr.type="${attribute.type}"/>`;
+  const data = (attributes: Attribute[], properties: Record<string, PropertyValue>) =>
+    attributes
+      .filter((attribute) => properties[attribute.property] !== undefined)
+      .map(
+        (attribute) =>
+          `      <data key="${attribute.id}">${escapeXml(scalarText(properties[attribute.property]))}</data>`
+      );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+    '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    '  <key id="label" for="all" attr.name="label" attr.type="string"/>',
+    '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+    ...nodeAttributes.map((attribute) => key(attribute, "node")),
+    ...edgeAttributes.map((attribute) => key(attribute, "edge")),
+    '  <graph id="G" edgedefault="directed">',
+    ...subgraph.nodes.flatMap((node) => [
+      `    <node id="${escapeXml(node.id)}">`,
+      `      <data key="label">${escapeXml(node.label)}</data>`,
+      `      <data key="name">${escapeXml(node.name)}</data>`,
+      ...data(nodeAttributes, node.properties),
+      "    </node>",
+    ]),
+    ...subgraph.edges.flatMap((edge) => [
+      `    <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`,
+      `      <data key="label">${escapeXml(edge.label)}</data>`,
+      ...data(edgeAttributes, edge.properties),
+      "    </edge>",
+    ]),
+    "  </graph>",
+    "</graphml>",
+    "",
+  ].join("\n");
+};
+
+// GEXF names its numeric types differently from GraphML
+const GEXF_TYPES: Record<AttributeType, string> = {
+  boolean: "boolean",
+  int: "integer",
+  long: "long",
+  double: "double",
+  string: "string",
+};
+
+const toGexf = (subgraph: Subgraph): string => {
+  // The vertex label is an attribute; GEXF's own node label is the display
+  // name Gephi shows. The edge label is the edge's own label, which Gephi
+  // reads into the same column as a "label" attribute.
+  const nodeAttributes: Attribute[] = [
+    { id: "label", name: "label", property: "~label", type: "string" },
+    ...attributesOf(subgraph.nodes, "n", ["label"]),
+  ];
+  const edgeAttributes = attributesOf(subgraph.edges, "e", ["label"]);
+  const declare = (target: "node" | "edge", attributes: Attribute[]) =>
+    attributes.length === 0
+      ? []
+      : [
+          `    <attributes class="${target}">`,
+          ...attributes.map(
+            (attribute) =>
+              `      <attribute id="${attribute.id}" title="${escapeXml(attribute.name)}" type="${GEXF_TYPES[attribute.type]}"/>`
+          ),
+          "    </attributes>",
+        ];
+  const values = (attributes: Attribute[], properties: Record<string, PropertyValue>) => {
+    const present = attributes.filter((attribute) => properties[attribute.property] !== undefined);
+    return present.length === 0
+      ? []
+      : [
+          "        <attvalues>",
+          ...present.map(
+            (attribute) =>
+              `          <attvalue for="${attribute.id}" value="${escapeXml(scalarText(properties[attribute.property]))}"/>`
+          ),
+          "        </attvalues>",
+        ];
+  };
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+    "    <creator>graph-app</creator>",
+    `    <description>${escapeXml(describe(subgraph))}</description>`,
+    "  </meta>",
+    '  <graph defaultedgetype="directed" mode="static">',
+    ...declare("node", nodeAttributes),
+    ...declare("edge", edgeAttributes),
+    "    <nodes>",
+    ...subgraph.nodes.flatMap((node) => [
+      `      <node id="${escapeXml(node.id)}" label="${escapeXml(node.name)}">`,
+      ...values(nodeAttributes, { ...node.properties, "~label": node.label }),
+      "      </node>",
+    ]),
+    "    </nodes>",
+    "    <edges>",
+    ...subgraph.edges.flatMap((edge) => [
+      `      <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" label="${escapeXml(edge.label)}">`,
+      ...values(edgeAttributes, edge.properties),
+      "      </edge>",
+    ]),
+    "    </edges>",
+    "  </graph>",
+    "</gexf>",
+    "",
+  ].join("\n");
+};
+
+// Cytoscape (desktop and cytoscape.js) elements JSON; id, source and target
+// win over properties of the same name
+const toCytoscapeJson = (subgraph: Subgraph): string =>
+  JSON.stringify(
+    {
+      data: { name: describe(subgraph), rootId: subgraph.rootId, depth: subgraph.depth },
+      elements: {
+        nodes: subgraph.nodes.map((node) => ({
+          data: { ...node.properties, id: node.id, label: node.label, name: node.name },
+        })),
+        edges: subgraph.edges.map((edge) => ({
+          data: {
+            ...edge.properties,
+            id: edge.id,
+            source: edge.source,
+            target: edge.target,
+            label: edge.label,
+          },
+        })),
+      },
+    },
+    null,
+    2
+  );
+
+// The node-link layout of networkx and d3; `key` tells parallel edges apart
+const toNodeLinkJson = (subgraph: Subgraph): string =>
+  JSON.stringify(
+    {
+      directed: true,
+      multigraph: true,
+      graph: { name: describe(subgraph), rootId: subgraph.rootId, depth: subgraph.depth },
+      nodes: subgraph.nodes.map((node) => ({
+        ...node.properties,
+        id: node.id,
+        label: node.label,
+        name: node.name,
+      })),
+      links: subgraph.edges.map((edge) => ({
+        ...edge.properties,
+        key: edge.id,
+        source: edge.source,
+        target: edge.target,
+        label: edge.label,
+      })),
+    },
+    null,
+    2
+  );
+
+const SERIALIZERS: Record<SubgraphFormat, (subgraph: Subgraph) => string> = {
+  GRAPHML: toGraphML,
+  GEXF: toGexf,
+  CYTOSCAPE_JSON: toCytoscapeJson,
+  NODE_LINK_JSON: toNodeLinkJson,
+};
+
+/** Serializes `subgraph` and names the file after its root vertex. */
+export const serializeSubgraph = (
+  subgraph: Subgraph,
+  format: SubgraphFormat
+): SerializedSubgraph => {
+  const { extension, contentType } = FILE_TYPES[format];
+  const base = (subgraph.rootId ?? "sample").replace(/[^A-Za-z0-9_-]/g, "_");
+  return {
+    fileName: `subgraph-${base}-${subgraph.depth}.${extension}`,
+    contentType,
+    content: SERIALIZERS[format](subgraph),
+  };
+};
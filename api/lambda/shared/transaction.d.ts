@@ -0,0 +1,15 @@
+export interface TransactionSource<S> {
+    tx(): {
+        begin(): S;
+        commit(): Promise<unknown>;
+        rollback(): Promise<unknown>;
+    };
+}
+export declare const MAX_TRANSACTION_ATTEMPTS = 3;
+export declare const isConcurrentModification: (error: unknown) => boolean;
+/**
+ * Runs `work` in a session transaction on `g` and commits it, rolling back
+ * on any error. A concurrent modification runs it again, up to `attempts`
+ * times; other errors are rethrown as they are.
+ */
+export declare const inTransaction: <S, T>(g: TransactionSource<S>, work: (gtx: S) => Promise<T>, attempts?: number) => Promise<T>;
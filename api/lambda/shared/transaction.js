@@ -0,0 +1,36 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.inTransaction = exports.isConcurrentModification = exports.MAX_TRANSACTION_ATTEMPTS = void 0;
+const errors_1 = require("./errors");
+// Attempts at a transaction that Neptune keeps failing for concurrent writes
+exports.MAX_TRANSACTION_ATTEMPTS = 3;
+// Neptune locks what a mutation's transaction reads, so of two transactions
+// that read and write the same elements one fails with this and has to run
+// again, when it sees what the other one committed
+const isConcurrentModification = (error) => !(error instanceof errors_1.GraphError) &&
+    /ConcurrentModificationException/.test(error instanceof Error ? error.message : String(error));
+exports.isConcurrentModification = isConcurrentModification;
+/**
+ * Runs `work` in a session transaction on `g` and commits it, rolling back
+ * on any error. A concurrent modification runs it again, up to `attempts`
+ * times; other errors are rethrown as they are.
+ */
+const inTransaction = async (g, work, attempts = exports.MAX_TRANSACTION_ATTEMPTS) => {
+    for (let attempt = 1;; attempt++) {
+        const tx = g.tx();
+        const gtx = tx.begin();
+        try {
+            const result = await work(gtx);
+            await tx.commit();
+            return result;
+        }
+        catch (error) {
+            await tx.rollback().catch((rollbackError) => console.error("Rollback failed:", rollbackError));
+            if (attempt >= attempts || !(0, exports.isConcurrentModification)(error))
+                throw error;
+            console.log(`Retrying transaction after a concurrent modification (attempt ${attempt})`);
+        }
+    }
+};
+exports.inTransaction = inTransaction;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidHJhbnNhY3Rpb24uanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJ0cmFuc2FjdGlvbi50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFBQSxxQ0FBc0M7QUFXdEMsNkVBQTZFO0FBQ2hFLFFBQUEsd0JBQXdCLEdBQUcsQ0FBQyxDQUFDO0FBRTFDLDRFQUE0RTtBQUM1RSwyRUFBMkU7QUFDM0UsbURBQW1EO0FBQzVDLE1BQU0sd0JBQXdCLEdBQUcsQ0FBQyxLQUFjLEVBQVcsRUFBRSxDQUNsRSxDQUFDLENBQUMsS0FBSyxZQUFZLG1CQUFVLENBQUM7SUFDOUIsaUNBQWlDLENBQUMsSUFBSSxDQUFDLEtBQUssWUFBWSxLQUFLLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO0FBRnBGLFFBQUEsd0JBQXdCLDRCQUU0RDtBQUVqRzs7OztHQUlHO0FBQ0ksTUFBTSxhQUFhLEdBQUcsS0FBSyxFQUNoQyxDQUF1QixFQUN2QixJQUE0QixFQUM1QixRQUFRLEdBQUcsZ0NBQXdCLEVBQ3ZCLEVBQUU7SUFDZCxLQUFLLElBQUksT0FBTyxHQUFHLENBQUMsR0FBSSxPQUFPLEVBQUUsRUFBRSxDQUFDO1FBQ2xDLE1BQU0sRUFBRSxHQUFHLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQztRQUNsQixNQUFNLEdBQUcsR0FBRyxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUM7UUFDdkIsSUFBSSxDQUFDO1lBQ0gsTUFBTSxNQUFNLEdBQUcsTUFBTSxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7WUFDL0IsTUFBTSxFQUFFLENBQUMsTUFBTSxFQUFFLENBQUM7WUFDbEIsT0FBTyxNQUFNLENBQUM7UUFDaEIsQ0FBQztRQUFDLE9BQU8sS0FBSyxFQUFFLENBQUM7WUFDZixNQUFNLEVBQUUsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxhQUFzQixFQUFFLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLGtCQUFrQixFQUFFLGFBQWEsQ0FBQyxDQUFDLENBQUM7WUFDeEcsSUFBSSxPQUFPLElBQUksUUFBUSxJQUFJLENBQUMsSUFBQSxnQ0FBd0IsRUFBQyxLQUFLLENBQUM7Z0JBQUUsTUFBTSxLQUFLLENBQUM7WUFDekUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxpRUFBaUUsT0FBTyxHQUFHLENBQUMsQ0FBQztRQUMzRixDQUFDO0lBQ0gsQ0FBQztBQUNILENBQUMsQ0FBQztBQWxCVyxRQUFBLGFBQWEsaUJBa0J4QiIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IEdyYXBoRXJyb3IgfSBmcm9tIFwiLi9lcnJvcnNcIjtcblxuLy8gVGhlIHBhcnQgb2YgYSBHcmVtbGluIHRyYXZlcnNhbCBzb3VyY2UgdGhhdCBvcGVucyBzZXNzaW9uIHRyYW5zYWN0aW9uc1xuZXhwb3J0IGludGVyZmFjZSBUcmFuc2FjdGlvblNvdXJjZTxTPiB7XG4gIHR4KCk6IHtcbiAgICBiZWdpbigpOiBTO1xuICAgIGNvbW1pdCgpOiBQcm9taXNlPHVua25vd24+O1xuICAgIHJvbGxiYWNrKCk6IFByb21pc2U8dW5rbm93bj47XG4gIH07XG59XG5cbi8vIEF0dGVtcHRzIGF0IGEgdHJhbnNhY3Rpb24gdGhhdCBOZXB0dW5lIGtlZXBzIGZhaWxpbmcgZm9yIGNvbmN1cnJlbnQgd3JpdGVzXG5leHBvcnQgY29uc3QgTUFYX1RSQU5TQUNUSU9OX0FUVEVNUFRTID0gMztcblxuLy8gTmVwdHVuZSBsb2NrcyB3aGF0IGEgbXV0YXRpb24ncyB0cmFuc2FjdGlvbiByZWFkcywgc28gb2YgdHdvIHRyYW5zYWN0aW9uc1xuLy8gdGhhdCByZWFkIGFuZCB3cml0ZSB0aGUgc2FtZSBlbGVtZW50cyBvbmUgZmFpbHMgd2l0aCB0aGlzIGFuZCBoYXMgdG8gcnVuXG4vLyBhZ2Fpbiwgd2hlbiBpdCBzZWVzIHdoYXQgdGhlIG90aGVyIG9uZSBjb21taXR0ZWRcbmV4cG9ydCBjb25zdCBpc0NvbmN1cnJlbnRNb2RpZmljYXRpb24gPSAoZXJyb3I6IHVua25vd24pOiBib29sZWFuID0+XG4gICEoZXJyb3IgaW5zdGFuY2VvZiBHcmFwaEVycm9yKSAmJlxuICAvQ29uY3VycmVudE1vZGlmaWNhdGlvbkV4Y2VwdGlvbi8udGVzdChlcnJvciBpbnN0YW5jZW9mIEVycm9yID8gZXJyb3IubWVzc2FnZSA6IFN0cmluZyhlcnJvcikpO1xuXG4vKipcbiAqIFJ1bnMgYHdvcmtgIGluIGEgc2Vzc2lvbiB0cmFuc2FjdGlvbiBvbiBgZ2AgYW5kIGNvbW1pdHMgaXQsIHJvbGxpbmcgYmFja1xuICogb24gYW55IGVycm9yLiBBIGNvbmN1cnJlbnQgbW9kaWZpY2F0aW9uIHJ1bnMgaXQgYWdhaW4sIHVwIHRvIGBhdHRlbXB0c2BcbiAqIHRpbWVzOyBvdGhlciBlcnJvcnMgYXJlIHJldGhyb3duIGFzIHRoZXkgYXJlLlxuICovXG5leHBvcnQgY29uc3QgaW5UcmFuc2FjdGlvbiA9IGFzeW5jIDxTLCBUPihcbiAgZzogVHJhbnNhY3Rpb25Tb3VyY2U8Uz4sXG4gIHdvcms6IChndHg6IFMpID0+IFByb21pc2U8VD4sXG4gIGF0dGVtcHRzID0gTUFYX1RSQU5TQUNUSU9OX0FUVEVNUFRTXG4pOiBQcm9taXNlPFQ+ID0+IHtcbiAgZm9yIChsZXQgYXR0ZW1wdCA9IDE7IDsgYXR0ZW1wdCsrKSB7XG4gICAgY29uc3QgdHggPSBnLnR4KCk7XG4gICAgY29uc3QgZ3R4ID0gdHguYmVnaW4oKTtcbiAgICB0cnkge1xuICAgICAgY29uc3QgcmVzdWx0ID0gYXdhaXQgd29yayhndHgpO1xuICAgICAgYXdhaXQgdHguY29tbWl0KCk7XG4gICAgICByZXR1cm4gcmVzdWx0O1xuICAgIH0gY2F0Y2ggKGVycm9yKSB7XG4gICAgICBhd2FpdCB0eC5yb2xsYmFjaygpLmNhdGNoKChyb2xsYmFja0Vycm9yOiB1bmtub3duKSA9PiBjb25zb2xlLmVycm9yKFwiUm9sbGJhY2sgZmFpbGVkOlwiLCByb2xsYmFja0Vycm9yKSk7XG4gICAgICBpZiAoYXR0ZW1wdCA+PSBhdHRlbXB0cyB8fCAhaXNDb25jdXJyZW50TW9kaWZpY2F0aW9uKGVycm9yKSkgdGhyb3cgZXJyb3I7XG4gICAgICBjb25zb2xlLmxvZyhgUmV0cnlpbmcgdHJhbnNhY3Rpb24gYWZ0ZXIgYSBjb25jdXJyZW50IG1vZGlmaWNhdGlvbiAoYXR0ZW1wdCAke2F0dGVtcHR9KWApO1xuICAgIH1cbiAgfVxufTtcbiJdfQ==
\ No newline at end of file
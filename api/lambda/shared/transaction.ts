@@ -0,0 +1,45 @@
+import { GraphError } from "./errors";
+
+// The part of a Gremlin traversal source that opens session transactions
+export interface TransactionSource<S> {
+  tx(): {
+    begin(): S;
+    commit(): Promise<unknown>;
+    rollback(): Promise<unknown>;
+  };
+}
+
+// Attempts at a transaction that Neptune keeps failing for concurrent writes
+export const MAX_TRANSACTION_ATTEMPTS = 3;
+
+// Neptune locks what a mutation's transaction reads, so of two transactions
+// that read and write the same elements one fails with this and has to run
+// again, when it sees what the other one committed
+export const isConcurrentModification = (error: unknown): boolean =>
+  !(error instanceof GraphError) &&
+  /ConcurrentModificationException/.test(error instanceof Error ? error.message : String(error));
+
+/**
+ * Runs `work` in a session transaction on `g` and commits it, rolling back
+ * on any error. A concurrent modification runs it again, up to `attempts`
+ * times; other errors are rethrown as they are.
+ */
+export const inTransaction = async <S, T>(
+  g: TransactionSource<S>,
+  work: (gtx: S) => Promise<T>,
+  attempts = MAX_TRANSACTION_ATTEMPTS
+): Promise<T> => {
+  for (let attempt = 1; ; attempt++) {
+    const tx = g.tx();
+    const gtx = tx.begin();
+    try {
+      const result = await work(gtx);
+      await tx.commit();
+      return result;
+    } catch (error) {
+      await tx.rollback().catch((rollbackError: unknown) => console.error("Rollback failed:", rollbackError));
+      if (attempt >= attempts || !isConcurrentModification(error)) throw error;
+      console.log(`Retrying transaction after a concurrent modification (attempt ${attempt})`);
+    }
+  }
+};
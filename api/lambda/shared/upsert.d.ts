@@ -0,0 +1,5 @@
+export interface UpsertCandidate {
+    id: string;
+    deletedAt?: string | null;
+}
+export declare const liveUpsertMatch: (candidates: UpsertCandidate[], describe: (count: number) => string) => string | null;
@@ -0,0 +1,17 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.liveUpsertMatch = void 0;
+const errors_1 = require("./errors");
+// The live candidate an upsert updates, or null when it should create the
+// element. Tombstoned candidates are skipped: an upsert does not bring back
+// what a user deleted, and the caller could not delete them a second time
+// to clear a conflict. `describe` words the conflict for several live ones.
+const liveUpsertMatch = (candidates, describe) => {
+    const live = candidates.filter((candidate) => !candidate.deletedAt);
+    if (live.length > 1) {
+        throw (0, errors_1.conflictError)(describe(live.length), { ids: live.map((candidate) => candidate.id) });
+    }
+    return live.length === 1 ? live[0].id : null;
+};
+exports.liveUpsertMatch = liveUpsertMatch;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidXBzZXJ0LmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsidXBzZXJ0LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7OztBQUFBLHFDQUF5QztBQVN6QywwRUFBMEU7QUFDMUUsNEVBQTRFO0FBQzVFLDBFQUEwRTtBQUMxRSw0RUFBNEU7QUFDckUsTUFBTSxlQUFlLEdBQUcsQ0FDN0IsVUFBNkIsRUFDN0IsUUFBbUMsRUFDcEIsRUFBRTtJQUNqQixNQUFNLElBQUksR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLENBQUMsU0FBUyxFQUFFLEVBQUUsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxTQUFTLENBQUMsQ0FBQztJQUNwRSxJQUFJLElBQUksQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLENBQUM7UUFDcEIsTUFBTSxJQUFBLHNCQUFhLEVBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsRUFBRSxFQUFFLEdBQUcsRUFBRSxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsU0FBUyxFQUFFLEVBQUUsQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDO0lBQzdGLENBQUM7SUFDRCxPQUFPLElBQUksQ0FBQyxNQUFNLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7QUFDL0MsQ0FBQyxDQUFDO0FBVFcsUUFBQSxlQUFlLG1CQVMxQiIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IGNvbmZsaWN0RXJyb3IgfSBmcm9tIFwiLi9lcnJvcnNcIjtcblxuLy8gQW4gZWxlbWVudCB3aG9zZSBsYWJlbCBhbmQgbWF0Y2gga2V5cyBlcXVhbCBhbiB1cHNlcnQncywgYXMgcmVhZCBmcm9tIHRoZVxuLy8gZ3JhcGggdG9nZXRoZXIgd2l0aCBpdHMgdG9tYnN0b25lXG5leHBvcnQgaW50ZXJmYWNlIFVwc2VydENhbmRpZGF0ZSB7XG4gIGlkOiBzdHJpbmc7XG4gIGRlbGV0ZWRBdD86IHN0cmluZyB8IG51bGw7XG59XG5cbi8vIFRoZSBsaXZlIGNhbmRpZGF0ZSBhbiB1cHNlcnQgdXBkYXRlcywgb3IgbnVsbCB3aGVuIGl0IHNob3VsZCBjcmVhdGUgdGhlXG4vLyBlbGVtZW50LiBUb21ic3RvbmVkIGNhbmRpZGF0ZXMgYXJlIHNraXBwZWQ6IGFuIHVwc2VydCBkb2VzIG5vdCBicmluZyBiYWNrXG4vLyB3aGF0IGEgdXNlciBkZWxldGVkLCBhbmQgdGhlIGNhbGxlciBjb3VsZCBub3QgZGVsZXRlIHRoZW0gYSBzZWNvbmQgdGltZVxuLy8gdG8gY2xlYXIgYSBjb25mbGljdC4gYGRlc2NyaWJlYCB3b3JkcyB0aGUgY29uZmxpY3QgZm9yIHNldmVyYWwgbGl2ZSBvbmVzLlxuZXhwb3J0IGNvbnN0IGxpdmVVcHNlcnRNYXRjaCA9IChcbiAgY2FuZGlkYXRlczogVXBzZXJ0Q2FuZGlkYXRlW10sXG4gIGRlc2NyaWJlOiAoY291bnQ6IG51bWJlcikgPT4gc3RyaW5nXG4pOiBzdHJpbmcgfCBudWxsID0+IHtcbiAgY29uc3QgbGl2ZSA9IGNhbmRpZGF0ZXMuZmlsdGVyKChjYW5kaWRhdGUpID0+ICFjYW5kaWRhdGUuZGVsZXRlZEF0KTtcbiAgaWYgKGxpdmUubGVuZ3RoID4gMSkge1xuICAgIHRocm93IGNvbmZsaWN0RXJyb3IoZGVzY3JpYmUobGl2ZS5sZW5ndGgpLCB7IGlkczogbGl2ZS5tYXAoKGNhbmRpZGF0ZSkgPT4gY2FuZGlkYXRlLmlkKSB9KTtcbiAgfVxuICByZXR1cm4gbGl2ZS5sZW5ndGggPT09IDEgPyBsaXZlWzBdLmlkIDogbnVsbDtcbn07XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,23 @@
+import { conflictError } from "./errors";
+
+// An element whose label and match keys equal an upsert's, as read from the
+// graph together with its tombstone
+export interface UpsertCandidate {
+  id: string;
+  deletedAt?: string | null;
+}
+
+// The live candidate an upsert updates, or null when it should create the
+// element. Tombstoned candidates are skipped: an upsert does not bring back
+// what a user deleted, and the caller could not delete them a second time
+// to clear a conflict. `describe` words the conflict for several live ones.
+export const liveUpsertMatch = (
+  candidates: UpsertCandidate[],
+  describe: (count: number) => string
+): string | null => {
+  const live = candidates.filter((candidate) => !candidate.deletedAt);
+  if (live.length > 1) {
+    throw conflictError(describe(live.length), { ids: live.map((candidate) => candidate.id) });
+  }
+  return live.length === 1 ? live[0].id : null;
+};
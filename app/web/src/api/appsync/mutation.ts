@@ -2,6 +2,8 @@ export const registerInfo = /* GraphQL */ `
   mutation insertData($InsertDataInput: InsertDataInput!) {
     insertData(input: $InsertDataInput) {
       result
+      id
+      outcome
     }
   }
 `;
@@ -14,6 +16,7 @@ export const addProjectAccountMutation = /* GraphQL */ `
       Account_Id
       Cloud
       Environments
+      outcome
     }
   }
 `;
@@ -25,3 +28,264 @@ export const deleteProjectAccountMutation = /* GraphQL */ `
     }
   }
 `;
+
+const graphElementFields = /* GraphQL */ `
+      id
+      label
+      source
+      target
+      properties {
+        key
+        value
+      }
+`;
+
+export const updateVertexMutation = /* GraphQL */ `
+  mutation updateVertex($id: String!, $label: String, $properties: String!) {
+    updateVertex(id: $id, label: $label, properties: $properties) {
+${graphElementFields}    }
+  }
+`;
+
+export const deleteVertexMutation = /* GraphQL */ `
+  mutation deleteVertex($id: String!, $label: String, $cascade: Boolean) {
+    deleteVertex(id: $id, label: $label, cascade: $cascade) {
+${graphElementFields}    }
+  }
+`;
+
+export const restoreVertexMutation = /* GraphQL */ `
+  mutation restoreVertex($id: String!) {
+    restoreVertex(id: $id) {
+${graphElementFields}    }
+  }
+`;
+
+export const restoreEdgeMutation = /* GraphQL */ `
+  mutation restoreEdge($id: String!) {
+    restoreEdge(id: $id) {
+${graphElementFields}    }
+  }
+`;
+
+export const updateEdgeMutation = /* GraphQL */ `
+  mutation updateEdge($id: String!, $label: String, $properties: String!) {
+    updateEdge(id: $id, label: $label, properties: $properties) {
+${graphElementFields}    }
+  }
+`;
+
+export const deleteEdgeMutation = /* GraphQL */ `
+  mutation deleteEdge($id: String!, $label: String) {
+    deleteEdge(id: $id, label: $label) {
+${graphElementFields}    }
+  }
+`;
+
+const projectFields = /* GraphQL */ `
+      id
+      projectName
+      DepartmentNumber
+      DataClassification
+      Team
+      OwnerGroup
+      Recovery
+      Tier
+      archived
+`;
+
+export const createProjectMutation = /* GraphQL */ `
+  mutation createProject($input: ProjectInput!) {
+    createProject(input: $input) {
+${projectFields}    }
+  }
+`;
+
+export const updateProjectMutation = /* GraphQL */ `
+  mutation updateProject($id: String!, $input: ProjectInput!) {
+    updateProject(id: $id, input: $input) {
+${projectFields}    }
+  }
+`;
+
+export const archiveProjectMutation = /* GraphQL */ `
+  mutation archiveProject($id: String!) {
+    archiveProject(id: $id) {
+${projectFields}    }
+  }
+`;
+
+export const batchMutateMutation = /* GraphQL */ `
+  mutation batchMutate($operations: [BatchOperation!]!) {
+    batchMutate(operations: $operations) {
+      results {
+        index
+        op
+        ref
+        id
+        label
+      }
+    }
+  }
+`;
+
+const integrationCredentialFields = `      client {
+        clientId
+        name
+        scopes
+        createdAt
+        updatedAt
+        accessTokenMinutes
+      }
+      clientSecret
+      tokenUrl
+`;
+
+export const createIntegrationClientMutation = /* GraphQL */ `
+  mutation createIntegrationClient($name: String!, $scopes: [String!]) {
+    createIntegrationClient(name: $name, scopes: $scopes) {
+${integrationCredentialFields}    }
+  }
+`;
+
+export const rotateIntegrationClientMutation = /* GraphQL */ `
+  mutation rotateIntegrationClient($clientId: String!) {
+    rotateIntegrationClient(clientId: $clientId) {
+${integrationCredentialFields}    }
+  }
+`;
+
+export const revokeIntegrationClientMutation = /* GraphQL */ `
+  mutation revokeIntegrationClient($clientId: String!) {
+    revokeIntegrationClient(clientId: $clientId) {
+      clientId
+      name
+      accessTokenMinutes
+    }
+  }
+`;
+
+const userFields = `      username
+      email
+      status
+      enabled
+      groups
+      createdAt
+`;
+
+export const inviteUserMutation = /* GraphQL */ `
+  mutation inviteUser($email: String!, $username: String, $groups: [String!]) {
+    inviteUser(email: $email, username: $username, groups: $groups) {
+${userFields}    }
+  }
+`;
+
+export const setUserGroupsMutation = /* GraphQL */ `
+  mutation setUserGroups($username: String!, $groups: [String!]!) {
+    setUserGroups(username: $username, groups: $groups) {
+${userFields}    }
+  }
+`;
+
+export const disableUserMutation = /* GraphQL */ `
+  mutation disableUser($username: String!) {
+    disableUser(username: $username) {
+${userFields}    }
+  }
+`;
+
+export const enableUserMutation = /* GraphQL */ `
+  mutation enableUser($username: String!) {
+    enableUser(username: $username) {
+${userFields}    }
+  }
+`;
+
+export const resetUserPasswordMutation = /* GraphQL */ `
+  mutation resetUserPassword($username: String!) {
+    resetUserPassword(username: $username) {
+${userFields}    }
+  }
+`;
+
+export const cancelLoadMutation = /* GraphQL */ `
+  mutation cancelLoad($loadId: ID!) {
+    cancelLoad(loadId: $loadId) {
+      loadId
+      source
+      format
+      options
+      status
+      startedBy
+      startedAt
+      updatedAt
+      finishedAt
+      totalRecords
+      totalDuplicates
+      parsingErrors
+      datatypeMismatchErrors
+      insertErrors
+      totalTimeSpent
+      errors {
+        errorCode
+        errorMessage
+        fileName
+        recordNum
+      }
+      trackingTimedOut
+      cancelledBy
+    }
+  }
+`;
+
+export const createImportUploadsMutation = /* GraphQL */ `
+  mutation createImportUploads($fileNames: [String!]!) {
+    createImportUploads(fileNames: $fileNames) {
+      fileName
+      key
+      s3Uri
+      uploadUrl
+    }
+  }
+`;
+
+export const startImportMutation = /* GraphQL */ `
+  mutation startImport($input: StartImportInput!) {
+    startImport(input: $input) {
+      importId
+      status
+      startedBy
+      startedAt
+    }
+  }
+`;
+
+export const rebuildSearchIndexMutation = /* GraphQL */ `
+  mutation rebuildSearchIndex {
+    rebuildSearchIndex {
+      result
+    }
+  }
+`;
+
+export const exportGraphMutation = /* GraphQL */ `
+  mutation exportGraph {
+    exportGraph {
+      exportId
+      status
+      startedBy
+      startedAt
+      finishedAt
+      prefix
+      vertexCount
+      edgeCount
+      files {
+        s3Uri
+        kind
+        label
+        rows
+      }
+      error
+    }
+  }
+`;
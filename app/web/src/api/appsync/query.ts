@@ -1,27 +1,42 @@
-export const getRelationName = /* GraphQL */ `
-  query getRelationName($type: String!, $name: String!, $value: String!) {
-    getRelationName(type: $type, name: $name, value: $value) {
+export const getEntityProfile = /* GraphQL */ `
+  query getEntityProfile($id: String!) {
+    getEntityProfile(id: $id) {
+      id
+      label
       name
-    }
-  }
-`;
-
-export const getProfile = /* GraphQL */ `
-  query getProfile($type: String!, $name: String!, $value: String!) {
-    getProfile(type: $type, name: $name, value: $value) {
-      search_name
-      usage
-      belong_to
-      authored_by
-      affiliated_with
-      people
-      made_by
+      properties {
+        key
+        value
+      }
+      relations {
+        edgeLabel
+        direction
+        count
+        targets {
+          id
+          label
+          name
+          edgeId
+        }
+      }
     }
   }
 `;
 export const getGraph = /* GraphQL */ `
-  query getGraph($type: String!, $value: String!) {
-    getGraph(type: $type, value: $value) {
+  query getGraph(
+    $rootId: String
+    $depth: Int
+    $vertexLabels: [String]
+    $edgeLabels: [String]
+    $limit: Int
+  ) {
+    getGraph(
+      rootId: $rootId
+      depth: $depth
+      vertexLabels: $vertexLabels
+      edgeLabels: $edgeLabels
+      limit: $limit
+    ) {
       nodes {
         id
         label
@@ -31,6 +46,38 @@ export const getGraph = /* GraphQL */ `
         target
         value
       }
+      truncated
+    }
+  }
+`;
+
+export const findPaths = /* GraphQL */ `
+  query findPaths(
+    $fromId: String!
+    $toId: String!
+    $maxHops: Int
+    $edgeLabels: [String]
+    $limit: Int
+  ) {
+    findPaths(
+      fromId: $fromId
+      toId: $toId
+      maxHops: $maxHops
+      edgeLabels: $edgeLabels
+      limit: $limit
+    ) {
+      vertices {
+        id
+        label
+        name
+      }
+      edges {
+        id
+        label
+        source
+        target
+      }
+      length
     }
   }
 `;
@@ -57,36 +104,94 @@ export const getEntityProperties = /* GraphQL */ `
 export const getEntityEdges = /* GraphQL */ `
   query getEntityEdges($vertexType: String!, $searchValue: String, $vertexId: String) {
     getEntityEdges(vertexType: $vertexType, searchValue: $searchValue, vertexId: $vertexId) {
+      edgeId
       edgeLabel
       direction
+      targetId
       targetLabel
       targetName
+      properties {
+        key
+        value
+      }
     }
   }
 `;
 
 export const searchEntities = /* GraphQL */ `
-  query searchEntities($vertexType: String!, $searchValue: String) {
-    searchEntities(vertexType: $vertexType, searchValue: $searchValue) {
-      id
-      name
-      label
-      entityType
+  query searchEntities(
+    $vertexType: String!
+    $searchValue: String
+    $first: Int
+    $after: String
+    $sortBy: String
+    $sortDirection: SortDirection
+    $mode: SearchMode
+  ) {
+    searchEntities(
+      vertexType: $vertexType
+      searchValue: $searchValue
+      first: $first
+      after: $after
+      sortBy: $sortBy
+      sortDirection: $sortDirection
+      mode: $mode
+    ) {
+      edges {
+        cursor
+        node {
+          id
+          name
+          label
+          entityType
+        }
+      }
+      pageInfo {
+        hasNextPage
+        hasPreviousPage
+        startCursor
+        endCursor
+      }
+      totalCount
     }
   }
 `;
 
 export const searchProjects = /* GraphQL */ `
-  query searchProjects($searchValue: String) {
-    searchProjects(searchValue: $searchValue) {
-      id
-      projectName
-      DepartmentNumber
-      DataClassification
-      Team
-      OwnerGroup
-      Recovery
-      Tier
+  query searchProjects(
+    $searchValue: String
+    $first: Int
+    $after: String
+    $sortBy: String
+    $sortDirection: SortDirection
+  ) {
+    searchProjects(
+      searchValue: $searchValue
+      first: $first
+      after: $after
+      sortBy: $sortBy
+      sortDirection: $sortDirection
+    ) {
+      edges {
+        cursor
+        node {
+          id
+          projectName
+          DepartmentNumber
+          DataClassification
+          Team
+          OwnerGroup
+          Recovery
+          Tier
+        }
+      }
+      pageInfo {
+        hasNextPage
+        hasPreviousPage
+        startCursor
+        endCursor
+      }
+      totalCount
     }
   }
 `;
@@ -102,3 +207,238 @@ export const getProjectAccounts = /* GraphQL */ `
     }
   }
 `;
+
+export const getAuditLog = /* GraphQL */ `
+  query getAuditLog(
+    $targetId: String
+    $actor: String
+    $from: String
+    $to: String
+    $limit: Int
+  ) {
+    getAuditLog(
+      targetId: $targetId
+      actor: $actor
+      from: $from
+      to: $to
+      limit: $limit
+    ) {
+      id
+      at
+      actor
+      actorName
+      operation
+      targetId
+      targetLabel
+      before
+      after
+    }
+  }
+`;
+
+export const getRecentlyDeleted = /* GraphQL */ `
+  query getRecentlyDeleted($label: String, $limit: Int) {
+    getRecentlyDeleted(label: $label, limit: $limit) {
+      id
+      label
+      name
+      deletedAt
+      deletedBy
+      edgeCount
+      purgeAfter
+    }
+  }
+`;
+
+export const getRecentlyDeletedEdges = /* GraphQL */ `
+  query getRecentlyDeletedEdges($label: String, $limit: Int) {
+    getRecentlyDeletedEdges(label: $label, limit: $limit) {
+      id
+      label
+      sourceId
+      sourceName
+      targetId
+      targetName
+      deletedAt
+      deletedBy
+      purgeAfter
+    }
+  }
+`;
+
+export const getIntegrationClients = /* GraphQL */ `
+  query getIntegrationClients {
+    getIntegrationClients {
+      clientId
+      name
+      scopes
+      createdAt
+      updatedAt
+      accessTokenMinutes
+    }
+  }
+`;
+
+export const getUsers = /* GraphQL */ `
+  query getUsers {
+    getUsers {
+      username
+      email
+      status
+      enabled
+      groups
+      createdAt
+    }
+  }
+`;
+
+export const getLoads = /* GraphQL */ `
+  query getLoads($limit: Int) {
+    getLoads(limit: $limit) {
+      loadId
+      source
+      format
+      options
+      status
+      startedBy
+      startedAt
+      updatedAt
+      finishedAt
+      totalRecords
+      totalDuplicates
+      parsingErrors
+      datatypeMismatchErrors
+      insertErrors
+      totalTimeSpent
+      errors {
+        errorCode
+        errorMessage
+        fileName
+        recordNum
+      }
+      trackingTimedOut
+      cancelledBy
+    }
+  }
+`;
+
+export const getLoad = /* GraphQL */ `
+  query getLoad($loadId: ID!) {
+    getLoad(loadId: $loadId) {
+      loadId
+      source
+      format
+      options
+      status
+      startedBy
+      startedAt
+      updatedAt
+      finishedAt
+      totalRecords
+      totalDuplicates
+      parsingErrors
+      datatypeMismatchErrors
+      insertErrors
+      totalTimeSpent
+      errors {
+        errorCode
+        errorMessage
+        fileName
+        recordNum
+      }
+      trackingTimedOut
+      cancelledBy
+    }
+  }
+`;
+
+export const getImport = /* GraphQL */ `
+  query getImport($importId: ID!) {
+    getImport(importId: $importId) {
+      importId
+      status
+      startedBy
+      startedAt
+      finishedAt
+      loads {
+        loadId
+        source
+        format
+        options
+        status
+        startedBy
+        startedAt
+        updatedAt
+        finishedAt
+        totalRecords
+        totalDuplicates
+        parsingErrors
+        datatypeMismatchErrors
+        insertErrors
+        totalTimeSpent
+        errors {
+          errorCode
+          errorMessage
+          fileName
+          recordNum
+        }
+        trackingTimedOut
+        cancelledBy
+      }
+      validation
+      trackingTimedOut
+      reindexStarted
+      error
+    }
+  }
+`;
+
+export const getExports = /* GraphQL */ `
+  query getExports($limit: Int) {
+    getExports(limit: $limit) {
+      exportId
+      status
+      startedBy
+      startedAt
+      finishedAt
+      prefix
+      vertexCount
+      edgeCount
+      files {
+        s3Uri
+        kind
+        label
+        rows
+      }
+      error
+    }
+  }
+`;
+
+export const exportSubgraph = /* GraphQL */ `
+  query exportSubgraph(
+    $rootId: String
+    $depth: Int
+    $format: SubgraphFormat!
+    $vertexLabels: [String]
+    $edgeLabels: [String]
+    $limit: Int
+  ) {
+    exportSubgraph(
+      rootId: $rootId
+      depth: $depth
+      format: $format
+      vertexLabels: $vertexLabels
+      edgeLabels: $edgeLabels
+      limit: $limit
+    ) {
+      format
+      fileName
+      contentType
+      content
+      nodeCount
+      edgeCount
+      truncated
+    }
+  }
+`;
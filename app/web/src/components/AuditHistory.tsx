@@ -0,0 +1,125 @@
+import { useEffect, useState } from "react";
+import { CardDescription } from "@/components/ui/card";
+import { Separator } from "@/components/ui/separator";
+import { Skeleton } from "@/components/ui/skeleton";
+import { AuditRecord } from "@/types/types";
+import { queryAuditLog } from "@/lib/utils";
+import { propertyLabels } from "@/data/data";
+
+interface AuditHistoryProps {
+  targetId: string;
+  // Changing this reloads the history, e.g. after a save
+  refreshKey?: unknown;
+}
+
+type Change = { key: string; before?: string; after?: string };
+
+const parseValues = (json: string | null): Record<string, unknown> | null => {
+  if (!json) return null;
+  try {
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+};
+
+// Keys whose value differs between the before and after snapshots
+const diffRecord = (record: AuditRecord): Change[] => {
+  const before = parseValues(record.before) ?? {};
+  const after = parseValues(record.after) ?? {};
+  const keys = Array.from(
+    new Set([...Object.keys(before), ...Object.keys(after)])
+  ).sort();
+  return keys
+    .filter((key) => String(before[key] ?? "") !== String(after[key] ?? ""))
+    .map((key) => ({
+      key,
+      before: before[key] == null ? undefined : String(before[key]),
+      after: after[key] == null ? undefined : String(after[key]),
+    }));
+};
+
+/** Audit trail of one vertex or edge, newest first. */
+export function AuditHistory({ targetId, refreshKey }: AuditHistoryProps) {
+  const [records, setRecords] = useState<AuditRecord[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setFailed(false);
+    queryAuditLog({ targetId })
+      .then((res) => {
+        if (!cancelled) setRecords(res.data?.getAuditLog ?? []);
+      })
+      .catch((error) => {
+        console.error("Failed to load history:", error);
+        if (!cancelled) setFailed(true);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [targetId, refreshKey]);
+
+  if (isLoading) {
+    return (
+      <div className="space-y-2">
+        <Skeleton className="flex h-4" />
+        <Skeleton className="flex h-4" />
+      </div>
+    );
+  }
+  if (failed) {
+    return <CardDescription>Could not load the history</CardDescription>;
+  }
+  if (records.length === 0) {
+    return <CardDescription>No recorded changes</CardDescription>;
+  }
+
+  return (
+    <div className="grid gap-3 text-sm">
+      {records.map((record, index) => {
+        const changes = diffRecord(record);
+        return (
+          <div key={record.id} className="grid gap-1">
+            {index > 0 && <Separator className="mb-2" />}
+            <div className="flex flex-row flex-wrap items-baseline gap-x-2">
+              <span className="font-medium">{record.operation}</span>
+              <span className="text-muted-foreground">
+                by {record.actorName || record.actor}
+              </span>
+              <span className="ml-auto text-xs text-muted-foreground">
+                {new Date(record.at).toLocaleString()}
+              </span>
+            </div>
+            {record.after === "null" && (
+              <span className="text-xs text-destructive">Deleted</span>
+            )}
+            {changes.map((change) => (
+              <div key={change.key} className="flex flex-row gap-2 text-xs">
+                <span className="w-[140px] shrink-0 text-muted-foreground">
+                  {propertyLabels[change.key] || change.key}
+                </span>
+                <span className="break-all">
+                  {change.before !== undefined && (
+                    <span className="text-muted-foreground line-through">
+                      {change.before}
+                    </span>
+                  )}
+                  {change.before !== undefined &&
+                    change.after !== undefined &&
+                    " → "}
+                  {change.after}
+                </span>
+              </div>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -1,5 +1,13 @@
-import { useEffect, useState } from "react";
-import { ChevronDown, ChevronRight, Plus, Save, Trash2, X } from "lucide-react";
+import { useEffect, useRef, useState } from "react";
+import {
+  Archive,
+  ChevronDown,
+  ChevronRight,
+  Plus,
+  Save,
+  Trash2,
+  X,
+} from "lucide-react";
 import {
   Sheet,
   SheetContent,
@@ -33,16 +41,24 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 import { Account, ProjectData } from "@/types/types";
+import { AuditHistory } from "@/components/AuditHistory";
+import { DATA_CLASSIFICATION_OPTIONS, TIER_OPTIONS } from "@/data/data";
 import {
   queryProjectAccounts,
   mutateAddProjectAccount,
   mutateDeleteProjectAccount,
+  friendlyErrorMessage,
 } from "@/lib/utils";
+import { toast } from "@/components/ui/use-toast";
+import { useHasRole } from "@/hooks/useHasRole";
 
 interface ProjectDetailDrawerProps {
   project: ProjectData | null;
   open: boolean;
   onOpenChange: (open: boolean) => void;
+  // Both apply the change optimistically and reject after rolling back
+  onSave?: (project: ProjectData) => Promise<void>;
+  onArchive?: (project: ProjectData) => Promise<void>;
 }
 
 const CLOUD_OPTIONS = ["AWS", "Azure", "ROSA"] as const;
@@ -52,10 +68,13 @@ export function ProjectDetailDrawer({
   project,
   open,
   onOpenChange,
+  onSave,
+  onArchive,
 }: ProjectDetailDrawerProps) {
   const [detailsOpen, setDetailsOpen] = useState(false);
   const [dnsOpen, setDnsOpen] = useState(false);
   const [authOpen, setAuthOpen] = useState(false);
+  const canEdit = useHasRole("Editor");
   const [isEditing, setIsEditing] = useState(false);
   const [editData, setEditData] = useState<ProjectData | null>(null);
 
@@ -70,6 +89,8 @@ export function ProjectDetailDrawer({
     Environments: [] as string[],
   });
   const [savingAccount, setSavingAccount] = useState(false);
+  // Reused until the add succeeds, so a retried save matches the first one
+  const accountIdempotencyKey = useRef(crypto.randomUUID());
 
   // Load accounts when drawer opens with a project
   useEffect(() => {
@@ -120,11 +141,28 @@ export function ProjectDetailDrawer({
     setDetailsOpen(false);
   };
 
-  const saveEdits = () => {
-    // TODO: wire to GraphQL mutation to persist changes
-    console.log("Saving project edits:", editData);
+  const saveEdits = async () => {
+    if (!editData || !onSave) return;
+    const draft = editData;
     setIsEditing(false);
     setEditData(null);
+    try {
+      await onSave(draft);
+    } catch {
+      // Reopen the editor with the draft so nothing typed is lost
+      setEditData(draft);
+      setIsEditing(true);
+    }
+  };
+
+  const archiveProject = async () => {
+    if (!project || !onArchive) return;
+    if (!window.confirm(`Archive ${project.projectName}?`)) return;
+    try {
+      await onArchive(project);
+    } catch (err) {
+      console.error("Failed to archive project:", err);
+    }
   };
 
   const handleFieldChange = (field: keyof ProjectData, value: string) => {
@@ -150,15 +188,24 @@ export function ProjectDetailDrawer({
         Account_Id: newAccount.Account_Id,
         Cloud: newAccount.Cloud,
         Environments: newAccount.Environments.join(", "),
+        upsert: true,
+        idempotencyKey: accountIdempotencyKey.current,
       });
       const added = res.data.addProjectAccount;
       if (added) {
-        setAccounts((prev) => [...prev, added]);
+        // A matched Account may already be listed
+        setAccounts((prev) => [...prev.filter((a) => a.id !== added.id), added]);
       }
+      accountIdempotencyKey.current = crypto.randomUUID();
       setNewAccount({ Account_Name: "", Account_Id: "", Cloud: "", Environments: [] });
       setShowAddAccount(false);
     } catch (err) {
       console.error("Failed to add account:", err);
+      toast({
+        variant: "destructive",
+        title: "Failed to add account",
+        description: friendlyErrorMessage(err),
+      });
     } finally {
       setSavingAccount(false);
     }
@@ -170,6 +217,11 @@ export function ProjectDetailDrawer({
       setAccounts((prev) => prev.filter((a) => a.id !== accountId));
     } catch (err) {
       console.error("Failed to delete account:", err);
+      toast({
+        variant: "destructive",
+        title: "Failed to delete account",
+        description: friendlyErrorMessage(err),
+      });
     }
   };
 
@@ -232,12 +284,23 @@ export function ProjectDetailDrawer({
                       Data Classification
                     </Label>
                     {isEditing ? (
-                      <Input
+                      <Select
                         value={displayData.DataClassification ?? ""}
-                        onChange={(e) =>
-                          handleFieldChange("DataClassification", e.target.value)
+                        onValueChange={(val) =>
+                          handleFieldChange("DataClassification", val)
                         }
-                      />
+                      >
+                        <SelectTrigger>
+                          <SelectValue placeholder="Select classification" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {DATA_CLASSIFICATION_OPTIONS.map((option) => (
+                            <SelectItem key={option} value={option}>
+                              {option}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
                     ) : (
                       <p className="text-sm font-medium">
                         {displayData.DataClassification || "—"}
@@ -296,12 +359,23 @@ export function ProjectDetailDrawer({
                   <div className="space-y-1.5">
                     <Label className="text-xs text-muted-foreground">Tier</Label>
                     {isEditing ? (
-                      <Input
+                      <Select
                         value={displayData.Tier ?? ""}
-                        onChange={(e) =>
-                          handleFieldChange("Tier", e.target.value)
+                        onValueChange={(val) =>
+                          handleFieldChange("Tier", val)
                         }
-                      />
+                      >
+                        <SelectTrigger>
+                          <SelectValue placeholder="Select tier" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {TIER_OPTIONS.map((option) => (
+                            <SelectItem key={option} value={option}>
+                              {option}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
                     ) : (
                       <p className="text-sm font-medium">
                         {displayData.Tier || "—"}
@@ -311,28 +385,48 @@ export function ProjectDetailDrawer({
                 </div>
 
                 {/* Edit / Save / Cancel buttons */}
-                <div className="flex gap-2 pt-2">
-                  {isEditing ? (
-                    <>
-                      <Button size="sm" onClick={saveEdits}>
-                        <Save className="h-4 w-4 mr-1" />
-                        Save
-                      </Button>
-                      <Button
-                        size="sm"
-                        variant="outline"
-                        onClick={cancelEditing}
-                      >
-                        <X className="h-4 w-4 mr-1" />
-                        Cancel
-                      </Button>
-                    </>
-                  ) : (
-                    <Button size="sm" variant="outline" onClick={startEditing}>
-                      Edit
-                    </Button>
-                  )}
-                </div>
+                {canEdit && (
+                  <div className="flex gap-2 pt-2">
+                    {isEditing ? (
+                      <>
+                        <Button size="sm" onClick={saveEdits}>
+                          <Save className="h-4 w-4 mr-1" />
+                          Save
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={cancelEditing}
+                        >
+                          <X className="h-4 w-4 mr-1" />
+                          Cancel
+                        </Button>
+                      </>
+                    ) : (
+                      <>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={startEditing}
+                          disabled={!onSave}
+                        >
+                          Edit
+                        </Button>
+                        {onArchive && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            className="text-destructive hover:text-destructive"
+                            onClick={archiveProject}
+                          >
+                            <Archive className="h-4 w-4 mr-1" />
+                            Archive
+                          </Button>
+                        )}
+                      </>
+                    )}
+                  </div>
+                )}
               </div>
             </CollapsibleContent>
           </Collapsible>
@@ -387,9 +481,10 @@ export function ProjectDetailDrawer({
           {/* ──────────── Section 3: Resources & Applications Tabs ──────────── */}
           <div className="rounded-lg border p-4">
             <Tabs defaultValue="accounts">
-              <TabsList className="w-full grid grid-cols-2">
+              <TabsList className="w-full grid grid-cols-3">
                 <TabsTrigger value="accounts">Resources</TabsTrigger>
                 <TabsTrigger value="applications">Resource Pipelines</TabsTrigger>
+                <TabsTrigger value="history">History</TabsTrigger>
               </TabsList>
 
               <TabsContent value="accounts" className="mt-4">
@@ -430,14 +525,16 @@ export function ProjectDetailDrawer({
                           <TableCell>{acct.Cloud}</TableCell>
                           <TableCell>{acct.Environments}</TableCell>
                           <TableCell>
-                            <Button
-                              size="icon"
-                              variant="ghost"
-                              className="h-8 w-8 text-destructive hover:text-destructive"
-                              onClick={() => handleDeleteAccount(acct.id)}
-                            >
-                              <Trash2 className="h-4 w-4" />
-                            </Button>
+                            {canEdit && (
+                              <Button
+                                size="icon"
+                                variant="ghost"
+                                className="h-8 w-8 text-destructive hover:text-destructive"
+                                onClick={() => handleDeleteAccount(acct.id)}
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </Button>
+                            )}
                           </TableCell>
                         </TableRow>
                       ))
@@ -549,17 +646,19 @@ export function ProjectDetailDrawer({
                   </div>
                 )}
 
-                <div className="mt-4 flex justify-end">
-                  <Button
-                    size="sm"
-                    variant="outline"
-                    onClick={() => setShowAddAccount(true)}
-                    disabled={showAddAccount}
-                  >
-                    <Plus className="h-4 w-4 mr-1" />
-                    Add Resource
-                  </Button>
-                </div>
+                {canEdit && (
+                  <div className="mt-4 flex justify-end">
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => setShowAddAccount(true)}
+                      disabled={showAddAccount}
+                    >
+                      <Plus className="h-4 w-4 mr-1" />
+                      Add Resource
+                    </Button>
+                  </div>
+                )}
               </TabsContent>
 
               <TabsContent value="applications" className="mt-4">
@@ -587,6 +686,10 @@ export function ProjectDetailDrawer({
                   </Button>
                 </div>
               </TabsContent>
+
+              <TabsContent value="history" className="mt-4">
+                <AuditHistory targetId={project.id} refreshKey={project} />
+              </TabsContent>
             </Tabs>
           </div>
         </div>
@@ -0,0 +1,104 @@
+import { useState } from "react";
+import { Plus, Save, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { EntityProperty } from "@/types/types";
+import { Icons } from "@/lib/utils";
+import { propertyLabels } from "@/data/data";
+
+interface PropertyEditorProps {
+  properties: EntityProperty[];
+  saving?: boolean;
+  // Changed keys only; null removes the property
+  onSave: (changes: Record<string, string | null>) => void;
+  onCancel: () => void;
+}
+
+type Row = { key: string; value: string; isNew: boolean };
+
+export function PropertyEditor({
+  properties,
+  saving = false,
+  onSave,
+  onCancel,
+}: PropertyEditorProps) {
+  const [rows, setRows] = useState<Row[]>(
+    properties.map((p) => ({ key: p.key, value: p.value, isNew: false }))
+  );
+
+  const updateRow = (index: number, patch: Partial<Row>) => {
+    setRows((prev) =>
+      prev.map((row, i) => (i === index ? { ...row, ...patch } : row))
+    );
+  };
+
+  const handleSave = () => {
+    const original = new Map(properties.map((p) => [p.key, p.value]));
+    const changes: Record<string, string | null> = {};
+    for (const row of rows) {
+      const key = row.key.trim();
+      if (!key) continue;
+      const value = row.value.trim();
+      if (row.isNew) {
+        if (value) changes[key] = value;
+      } else if (value !== original.get(key)) {
+        changes[key] = value || null;
+      }
+    }
+    onSave(changes);
+  };
+
+  return (
+    <div className="grid gap-2">
+      {rows.map((row, index) => (
+        <div key={index} className="flex flex-row items-center gap-2">
+          {row.isNew ? (
+            <Input
+              placeholder="Property"
+              value={row.key}
+              onChange={(e) => updateRow(index, { key: e.target.value })}
+              className="h-8 w-[140px]"
+            />
+          ) : (
+            <span className="w-[140px] shrink-0 text-muted-foreground font-medium">
+              {propertyLabels[row.key] || row.key}
+            </span>
+          )}
+          <Input
+            placeholder="Empty to remove"
+            value={row.value}
+            onChange={(e) => updateRow(index, { value: e.target.value })}
+            className="h-8"
+          />
+        </div>
+      ))}
+      <div className="flex flex-row justify-between pt-2">
+        <Button
+          size="sm"
+          variant="ghost"
+          onClick={() =>
+            setRows((prev) => [...prev, { key: "", value: "", isNew: true }])
+          }
+          disabled={saving}
+        >
+          <Plus className="mr-1 h-4 w-4" />
+          Add property
+        </Button>
+        <div className="flex gap-2">
+          <Button size="sm" variant="outline" onClick={onCancel} disabled={saving}>
+            <X className="mr-1 h-4 w-4" />
+            Cancel
+          </Button>
+          <Button size="sm" onClick={handleSave} disabled={saving}>
+            {saving ? (
+              <Icons.spinner className="mr-1 h-4 w-4 animate-spin" />
+            ) : (
+              <Save className="mr-1 h-4 w-4" />
+            )}
+            Save
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
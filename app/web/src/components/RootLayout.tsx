@@ -9,6 +9,12 @@ import {
   LogOut,
   Activity,
   FolderKanban,
+  ArchiveRestore,
+  KeyRound,
+  Users,
+  Upload,
+  FileUp,
+  DatabaseBackup,
 } from "lucide-react";
 
 import {
@@ -18,8 +24,11 @@ import {
 } from "@/components/ui/tooltip";
 import { TooltipProvider } from "@radix-ui/react-tooltip";
 import { signOut } from "aws-amplify/auth";
+import { useHasRole } from "@/hooks/useHasRole";
 export const MainLayout = ({ children }: { children: ReactNode }) => {
   const navigate = useNavigate();
+  const canEdit = useHasRole("Editor");
+  const isAdmin = useHasRole("Admin");
   const submitSignOut = async () => {
     try {
       await signOut();
@@ -61,20 +70,22 @@ export const MainLayout = ({ children }: { children: ReactNode }) => {
               <TooltipContent side="right">Neptune GraphDB Chatbot</TooltipContent>
             </Tooltip>
           </TooltipProvider>
-          <TooltipProvider>
-            <Tooltip>
-              <TooltipTrigger asChild>
-                <Link
-                  to="/register"
-                  className="flex h-9 w-9 items-center justify-center rounded-lg text-muted-foreground transition-colors hover:text-foreground md:h-8 md:w-8"
-                >
-                  <CopyPlus className="h-5 w-5" />
-                  <span className="sr-only">Add Vertex/Edge</span>
-                </Link>
-              </TooltipTrigger>
-              <TooltipContent side="right">Add Vertex/Edge</TooltipContent>
-            </Tooltip>
-          </TooltipProvider>
+          {canEdit && (
+            <TooltipProvider>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <Link
+                    to="/register"
+                    className="flex h-9 w-9 items-center justify-center rounded-lg text-muted-foreground transition-colors hover:text-foreground md:h-8 md:w-8"
+                  >
+                    <CopyPlus className="h-5 w-5" />
+                    <span className="sr-only">Add Vertex/Edge</span>
+                  </Link>
+                </TooltipTrigger>
+                <TooltipContent side="right">Add Vertex/Edge</TooltipContent>
+              </Tooltip>
+            </TooltipProvider>
+          )}
           <TooltipProvider>
             <Tooltip>
               <TooltipTrigger asChild>
@@ -117,6 +128,98 @@ export const MainLayout = ({ children }: { children: ReactNode }) => {
               <TooltipContent side="right">Business Services</TooltipContent>
             </Tooltip>
           </TooltipProvider>
+          <TooltipProvider>
+            <Tooltip>
+              <TooltipTrigger asChild>
+                <Link
+                  to="/deleted"
+                  className="flex h-9 w-9 items-center justify-center rounded-lg text-muted-foreground transition-colors hover:text-foreground md:h-8 md:w-8"
+                >
+                  <ArchiveRestore className="h-5 w-5" />
+                  <span className="sr-only">Recently Deleted</span>
+                </Link>
+              </TooltipTrigger>
+              <TooltipContent side="right">Recently Deleted</TooltipContent>
+            </Tooltip>
+          </TooltipProvider>
+          <TooltipProvider>
+            <Tooltip>
+              <TooltipTrigger asChild>
+                <Link
+                  to="/loads"
+                  className="flex h-9 w-9 items-center justify-center rounded-lg text-muted-foreground transition-colors hover:text-foreground md:h-8 md:w-8"
+                >
+                  <Upload className="h-5 w-5" />
+                  <span className="sr-only">Bulk Loads</span>
+                </Link>
+              </TooltipTrigger>
+              <TooltipContent side="right">Bulk Loads</TooltipContent>
+            </Tooltip>
+          </TooltipProvider>
+          {canEdit && (
+            <TooltipProvider>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <Link
+                    to="/import"
+                    className="flex h-9 w-9 items-center justify-center rounded-lg text-muted-foreground transition-colors hover:text-foreground md:h-8 md:w-8"
+                  >
+                    <FileUp className="h-5 w-5" />
+                    <span className="sr-only">Import</span>
+                  </Link>
+                </TooltipTrigger>
+                <TooltipContent side="right">Import</TooltipContent>
+              </Tooltip>
+            </TooltipProvider>
+          )}
+          {isAdmin && (
+            <TooltipProvider>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <Link
+                    to="/admin/users"
+                    className="flex h-9 w-9 items-center justify-center rounded-lg text-muted-foreground transition-colors hover:text-foreground md:h-8 md:w-8"
+                  >
+                    <Users className="h-5 w-5" />
+                    <span className="sr-only">Users</span>
+                  </Link>
+                </TooltipTrigger>
+                <TooltipContent side="right">Users</TooltipContent>
+              </Tooltip>
+            </TooltipProvider>
+          )}
+          {isAdmin && (
+            <TooltipProvider>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <Link
+                    to="/admin/integrations"
+                    className="flex h-9 w-9 items-center justify-center rounded-lg text-muted-foreground transition-colors hover:text-foreground md:h-8 md:w-8"
+                  >
+                    <KeyRound className="h-5 w-5" />
+                    <span className="sr-only">Integration Clients</span>
+                  </Link>
+                </TooltipTrigger>
+                <TooltipContent side="right">Integration Clients</TooltipContent>
+              </Tooltip>
+            </TooltipProvider>
+          )}
+          {isAdmin && (
+            <TooltipProvider>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <Link
+                    to="/admin/exports"
+                    className="flex h-9 w-9 items-center justify-center rounded-lg text-muted-foreground transition-colors hover:text-foreground md:h-8 md:w-8"
+                  >
+                    <DatabaseBackup className="h-5 w-5" />
+                    <span className="sr-only">Graph Exports</span>
+                  </Link>
+                </TooltipTrigger>
+                <TooltipContent side="right">Graph Exports</TooltipContent>
+              </Tooltip>
+            </TooltipProvider>
+          )}
         </nav>
         <nav className="mt-auto flex flex-col items-center gap-4 px-2 sm:py-4">
           <TooltipProvider>
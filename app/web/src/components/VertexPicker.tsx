@@ -0,0 +1,159 @@
+import { useEffect, useRef, useState } from "react";
+import { X } from "lucide-react";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { Icons, cn, querySearchEntities } from "@/lib/utils";
+import { SearchResult } from "@/types/types";
+
+const PICKER_PAGE_SIZE = 8;
+const DEBOUNCE_MS = 250;
+
+interface VertexPickerProps {
+  // A searchEntities vertexType, e.g. "Entity", "Asset" or "Job"
+  vertexType: string;
+  value: SearchResult | null;
+  onChange: (value: SearchResult | null) => void;
+  placeholder?: string;
+  disabled?: boolean;
+  invalid?: boolean;
+}
+
+/** Typeahead that resolves a vertex by name to its exact id. */
+export function VertexPicker({
+  vertexType,
+  value,
+  onChange,
+  placeholder,
+  disabled = false,
+  invalid = false,
+}: VertexPickerProps) {
+  const [term, setTerm] = useState("");
+  const [results, setResults] = useState<SearchResult[]>([]);
+  const [open, setOpen] = useState(false);
+  const [isSearching, setIsSearching] = useState(false);
+  const debounceTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
+
+  useEffect(() => {
+    return () => {
+      if (debounceTimer.current) {
+        clearTimeout(debounceTimer.current);
+      }
+    };
+  }, []);
+
+  const search = async (searchValue: string) => {
+    setIsSearching(true);
+    try {
+      const res = await querySearchEntities(
+        vertexType,
+        searchValue,
+        { first: PICKER_PAGE_SIZE },
+        "RANKED"
+      );
+      setResults(res.data?.searchEntities?.edges.map((e) => e.node) ?? []);
+      setOpen(true);
+    } catch (error) {
+      console.error(error);
+      setResults([]);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const next = e.target.value;
+    setTerm(next);
+    if (debounceTimer.current) {
+      clearTimeout(debounceTimer.current);
+    }
+    if (!next.trim()) {
+      setResults([]);
+      setOpen(false);
+      return;
+    }
+    debounceTimer.current = setTimeout(() => search(next), DEBOUNCE_MS);
+  };
+
+  const choose = (result: SearchResult) => {
+    onChange(result);
+    setTerm("");
+    setResults([]);
+    setOpen(false);
+  };
+
+  if (value) {
+    return (
+      <div
+        className={cn(
+          "flex h-10 items-center justify-between rounded-md border px-3 text-sm",
+          invalid && "border-destructive"
+        )}
+      >
+        <span className="truncate">
+          <span className="font-medium">{value.name}</span>
+          <span className="ml-2 text-xs text-muted-foreground">
+            {value.entityType ? `${value.label} / ${value.entityType}` : value.label}
+            {" · "}
+            {value.id}
+          </span>
+        </span>
+        <Button
+          size="icon"
+          variant="ghost"
+          className="h-6 w-6"
+          onClick={() => onChange(null)}
+          disabled={disabled}
+          type="button"
+        >
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative">
+      <Input
+        placeholder={placeholder}
+        value={term}
+        onChange={handleChange}
+        onFocus={() => results.length > 0 && setOpen(true)}
+        onBlur={() => setOpen(false)}
+        disabled={disabled}
+        aria-invalid={invalid}
+      />
+      {isSearching && (
+        <Icons.spinner className="absolute right-3 top-3 h-4 w-4 animate-spin text-muted-foreground" />
+      )}
+      {open && (
+        <div className="absolute z-20 mt-1 w-full rounded-md border bg-popover p-1 shadow-md">
+          {results.length === 0 ? (
+            <p className="px-2 py-1.5 text-sm text-muted-foreground">
+              No matches
+            </p>
+          ) : (
+            results.map((result) => (
+              <button
+                key={result.id}
+                type="button"
+                // Keep focus on the input until the click lands
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => choose(result)}
+                className="flex w-full flex-col rounded-sm px-2 py-1.5 text-left text-sm hover:bg-accent hover:text-accent-foreground"
+              >
+                <span className="font-medium">{result.name}</span>
+                <span className="text-xs text-muted-foreground">
+                  {result.entityType
+                    ? `${result.label} / ${result.entityType}`
+                    : result.label}
+                  {" · "}
+                  {result.id}
+                </span>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
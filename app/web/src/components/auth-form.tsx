@@ -15,6 +15,7 @@ import { Label } from "@/components/ui/label";
 import { ErrorMessage } from "@/types/types";
 import { useToast } from "@/components/ui/use-toast";
 import { useAuthStore, useCredentialStore } from "@/store/useAuthStore";
+import { groupsFromSession } from "@/lib/roles";
 
 interface UserAuthFormProps extends React.HTMLAttributes<HTMLDivElement> {}
 
@@ -34,6 +35,7 @@ export function UserAuthForm({ className, ...props }: UserAuthFormProps) {
   const setUser = useAuthStore((state) => state.setUser);
   const setIsAuthenticated = useAuthStore((state) => state.setIsAuthenticated);
   const setSignInStep = useAuthStore((state) => state.setSignInStep);
+  const setGroups = useAuthStore((state) => state.setGroups);
   const setCredential = useCredentialStore((state) => state.setCredential);
   const navigate = useNavigate();
   const onSubmit = async (event: React.SyntheticEvent) => {
@@ -63,8 +65,9 @@ export function UserAuthForm({ className, ...props }: UserAuthFormProps) {
         setUser(username);
         setIsAuthenticated(isSignedIn);
         setSignInStep(nextStep.signInStep);
-        const { credentials } = await fetchAuthSession();
-        setCredential(credentials);
+        const session = await fetchAuthSession();
+        setCredential(session.credentials);
+        setGroups(groupsFromSession(session));
 
         toast({
           title: "Success",
@@ -12,6 +12,7 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { useToast } from "@/components/ui/use-toast";
 import { useAuthStore, useCredentialStore } from "@/store/useAuthStore";
+import { groupsFromSession } from "@/lib/roles";
 import amplifyConfig from "@/config/amplify";
 import { ErrorMessage } from "@/types/types";
 
@@ -29,6 +30,7 @@ export function UserNewPasswordForm({
   const refConfirmPassword = useRef<HTMLInputElement>(null);
 
   const setUser = useAuthStore((state) => state.setUser);
+  const setGroups = useAuthStore((state) => state.setGroups);
   const setCredential = useCredentialStore((state) => state.setCredential);
   const setIsAuthenticated = useAuthStore((state) => state.setIsAuthenticated);
 
@@ -58,8 +60,9 @@ export function UserNewPasswordForm({
     try {
       const result = await confirmSignIn({ challengeResponse: newPassword });
       console.log(result);
-      const { credentials } = await fetchAuthSession();
-      setCredential(credentials);
+      const session = await fetchAuthSession();
+      setCredential(session.credentials);
+      setGroups(groupsFromSession(session));
       const user = await getCurrentUser();
       setUser(user.username);
       setIsAuthenticated(true);
@@ -162,7 +162,7 @@ export const selectVertexItem: VertexTypeItem[] = [
 export const selectEdgeItem: EdgeTypeItem[] = [
   {
     value: "WORKS_FOR",
-    description: "Works For (Entity → Entity)",
+    description: "Works For (Estimator → Company)",
     sourceLabel: "Entity",
     destLabel: "Entity",
     fields: [
@@ -170,20 +170,21 @@ export const selectEdgeItem: EdgeTypeItem[] = [
         key: "role",
         label: "Role",
         type: "text",
+        required: true,
         placeholder: "e.g., Estimator, Painter",
       },
     ],
   },
   {
     value: "REQUESTS_WORK",
-    description: "Requests Work (Entity → Entity)",
+    description: "Requests Work (Customer → Company, Company → Jobber)",
     sourceLabel: "Entity",
     destLabel: "Entity",
     fields: [],
   },
   {
     value: "DOES_WORK_FOR",
-    description: "Does Work For (Entity → Entity)",
+    description: "Does Work For (Jobber → Company, Company → Customer)",
     sourceLabel: "Entity",
     destLabel: "Entity",
     fields: [
@@ -197,14 +198,14 @@ export const selectEdgeItem: EdgeTypeItem[] = [
   },
   {
     value: "OWNS_ASSET",
-    description: "Owns Asset (Entity → Asset)",
+    description: "Owns Asset (Customer → Asset)",
     sourceLabel: "Entity",
     destLabel: "Asset",
     fields: [],
   },
   {
     value: "MANAGES_JOB",
-    description: "Manages Job (Entity → Job)",
+    description: "Manages Job (Estimator → Job)",
     sourceLabel: "Entity",
     destLabel: "Job",
     fields: [
@@ -212,6 +213,7 @@ export const selectEdgeItem: EdgeTypeItem[] = [
         key: "role",
         label: "Role",
         type: "text",
+        required: true,
         placeholder: "e.g., LeadShop, Estimator",
       },
     ],
@@ -232,7 +234,7 @@ export const selectEdgeItem: EdgeTypeItem[] = [
   },
   {
     value: "PAYS_FOR",
-    description: "Pays For (Entity → Job)",
+    description: "Pays For (Customer → Job)",
     sourceLabel: "Entity",
     destLabel: "Job",
     fields: [
@@ -240,6 +242,7 @@ export const selectEdgeItem: EdgeTypeItem[] = [
         key: "payerType",
         label: "Payer Type",
         type: "text",
+        required: true,
         placeholder: "e.g., Insurance, CustomerPay",
       },
       { key: "discountPercent", label: "Discount %", type: "number" },
@@ -247,7 +250,7 @@ export const selectEdgeItem: EdgeTypeItem[] = [
   },
   {
     value: "OFFERS_PART",
-    description: "Offers Part (Entity → Part)",
+    description: "Offers Part (Jobber → Part)",
     sourceLabel: "Entity",
     destLabel: "Part",
     fields: [
@@ -267,7 +270,7 @@ export const selectEdgeItem: EdgeTypeItem[] = [
   },
   {
     value: "JOBBER_FOR_JOB",
-    description: "Jobber For Job (Entity → Job)",
+    description: "Jobber For Job (Jobber → Job)",
     sourceLabel: "Entity",
     destLabel: "Job",
     fields: [
@@ -276,33 +279,50 @@ export const selectEdgeItem: EdgeTypeItem[] = [
   },
 ];
 
-export const Profiles = [
-  {
-    value: "search_name",
-    description: "Search word",
-  },
-  {
-    value: "affiliated_with",
-    description: "Institution",
-  },
-  {
-    value: "usage",
-    description: "Use",
-  },
-  {
-    value: "belong_to",
-    description: "Affiliated academic society",
-  },
-  {
-    value: "authored_by",
-    description: "Paper",
-  },
-  {
-    value: "people",
-    description: "Academic member",
-  },
-  {
-    value: "made_by",
-    description: "Pharmaceutical company",
-  },
-];
+export const propertyLabels: Record<string, string> = {
+  entityTypes: "Type",
+  companyName: "Company Name",
+  name: "Name",
+  companyType: "Company Type",
+  address: "Address",
+  email: "Email",
+  phone: "Phone",
+  website: "Website",
+  country: "Country",
+  assetType: "Asset Type",
+  make: "Make",
+  model: "Model",
+  year: "Year",
+  vin: "VIN",
+  serialNumber: "Serial Number",
+  brand: "Brand",
+  jobName: "Job Name",
+  jobCategory: "Category",
+  status: "Status",
+  roNumber: "RO Number",
+  partName: "Part Name",
+  partId: "Part ID",
+  retailCost: "Retail Cost",
+};
+
+export const edgeLabelMap: Record<string, string> = {
+  WORKS_FOR: "Works For",
+  REQUESTS_WORK: "Requests Work",
+  DOES_WORK_FOR: "Does Work For",
+  OWNS_ASSET: "Owns Asset",
+  MANAGES_JOB: "Manages Job",
+  SERVICE_ON: "Service On",
+  PAYS_FOR: "Pays For",
+  OFFERS_PART: "Offers Part",
+  HAS_LINE_ITEM: "Has Line Item",
+  JOBBER_FOR_JOB: "Jobber For Job",
+};
+
+// Allowed values enforced by createProject/updateProject
+export const TIER_OPTIONS = ["1", "2", "3", "4"] as const;
+export const DATA_CLASSIFICATION_OPTIONS = [
+  "Public",
+  "Internal",
+  "Confidential",
+  "Restricted",
+] as const;
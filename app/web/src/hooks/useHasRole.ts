@@ -0,0 +1,6 @@
+import { useAuthStore } from "@/store/useAuthStore";
+import { Role, hasRole } from "@/lib/roles";
+
+/** Whether the signed-in user's Cognito groups grant `role`. */
+export const useHasRole = (role: Role) =>
+  useAuthStore((state) => hasRole(state.groups, role));
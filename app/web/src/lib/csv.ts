@@ -0,0 +1,120 @@
+// Preview of Neptune bulk-load CSV files for the Import page. The full
+// validation runs on the server (api/lambda/shared/csvValidator.ts); this
+// only reads the header and the first rows.
+
+export type FileKind = "vertex" | "edge";
+
+export type PreviewColumn = {
+  header: string;
+  name: string;
+  type: string;
+  // Whether the header names the type or it was guessed from the rows
+  declared: boolean;
+};
+
+export type CsvPreview = {
+  kind: FileKind;
+  columns: PreviewColumn[];
+  rows: string[][];
+};
+
+// Type names the loader accepts, case-insensitively
+const CSV_TYPES: Record<string, string> = {
+  bool: "Bool",
+  boolean: "Bool",
+  byte: "Byte",
+  short: "Short",
+  int: "Int",
+  long: "Long",
+  float: "Float",
+  double: "Double",
+  string: "String",
+  date: "Date",
+};
+
+/** Parses RFC 4180 CSV up to `maxRows` records, header included. */
+export const parseCsvRows = (text: string, maxRows: number): string[][] => {
+  const rows: string[][] = [];
+  let fields: string[] = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length && rows.length < maxRows; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      fields.push(cell);
+      if (fields.length > 1 || fields[0] !== "") rows.push(fields);
+      fields = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (rows.length < maxRows && (cell !== "" || fields.length > 0)) {
+    fields.push(cell);
+    rows.push(fields);
+  }
+  return rows;
+};
+
+// The narrowest type that fits every non-empty sample value
+const detectType = (values: string[]): string => {
+  const present = values.map((v) => v.trim()).filter(Boolean);
+  if (present.length === 0) return "String";
+  if (present.every((v) => /^(true|false)$/i.test(v))) return "Bool";
+  if (present.every((v) => /^-?\d+$/.test(v))) {
+    return present.every((v) => Math.abs(Number(v)) <= 2147483647) ? "Int" : "Long";
+  }
+  if (present.every((v) => v !== "" && Number.isFinite(Number(v)))) return "Double";
+  if (present.every((v) => /^\d{4}-\d{2}-\d{2}/.test(v) && !Number.isNaN(Date.parse(v)))) {
+    return "Date";
+  }
+  return "String";
+};
+
+const describeColumn = (header: string, values: string[]): PreviewColumn => {
+  if (header.startsWith("~")) {
+    return { header, name: header, type: "System", declared: true };
+  }
+  const idx = header.lastIndexOf(":");
+  if (idx > 0) {
+    const spec = header.slice(idx + 1).replace(/\((single|set)\)$/i, "");
+    const array = spec.endsWith("[]");
+    const type = CSV_TYPES[(array ? spec.slice(0, -2) : spec).toLowerCase()];
+    return {
+      header,
+      name: header.slice(0, idx),
+      type: type ? `${type}${array ? "[]" : ""}` : `Unknown (${spec})`,
+      declared: true,
+    };
+  }
+  return { header, name: header, type: detectType(values), declared: false };
+};
+
+/** Header, column types and the first `sampleRows` rows of a CSV file. */
+export const previewCsv = (text: string, sampleRows = 10): CsvPreview => {
+  const [header = [], ...rows] = parseCsvRows(
+    text.charCodeAt(0) === 0xfeff ? text.slice(1) : text,
+    sampleRows + 1
+  );
+  const headers = header.map((h) => h.trim());
+  return {
+    kind: headers.includes("~from") && headers.includes("~to") ? "edge" : "vertex",
+    columns: headers.map((h, i) => describeColumn(h, rows.map((row) => row[i] ?? ""))),
+    rows,
+  };
+};
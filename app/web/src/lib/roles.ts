@@ -0,0 +1,20 @@
+import { AuthSession } from "aws-amplify/auth";
+
+// Cognito groups, lowest first; each role includes the ones before it.
+// Mirrors api/lambda/shared/roles.ts.
+export const ROLES = ["Viewer", "Editor", "Admin"] as const;
+
+export type Role = (typeof ROLES)[number];
+
+// Groups that may see Confidential/Restricted business services.
+// Mirrors CLASSIFICATION_READERS in api/lambda/shared/classification.ts.
+export const READER_GROUPS = ["confidential-readers", "restricted-readers"];
+
+export const hasRole = (groups: string[], role: Role) =>
+  groups.some((group) => ROLES.indexOf(group as Role) >= ROLES.indexOf(role));
+
+/** The `cognito:groups` claim of the signed-in user's ID token. */
+export const groupsFromSession = (session: AuthSession): string[] => {
+  const groups = session.tokens?.idToken?.payload["cognito:groups"];
+  return Array.isArray(groups) ? groups.map(String) : [];
+};
@@ -1,17 +1,84 @@
-import { getGraph, getProfile, getRelationName, askGraph, getEntityProperties, getEntityEdges, searchEntities, searchProjects, getProjectAccounts } from "@/api/appsync/query";
-import { addProjectAccountMutation, deleteProjectAccountMutation } from "@/api/appsync/mutation";
+import { getGraph, findPaths, getEntityProfile, askGraph, getEntityProperties, getEntityEdges, searchEntities, searchProjects, getProjectAccounts, getAuditLog, getRecentlyDeleted, getRecentlyDeletedEdges, getIntegrationClients, getUsers, getLoads, getLoad, getImport, getExports, exportSubgraph } from "@/api/appsync/query";
+import {
+  addProjectAccountMutation,
+  deleteProjectAccountMutation,
+  updateVertexMutation,
+  deleteVertexMutation,
+  restoreVertexMutation,
+  restoreEdgeMutation,
+  updateEdgeMutation,
+  deleteEdgeMutation,
+  createProjectMutation,
+  updateProjectMutation,
+  archiveProjectMutation,
+  batchMutateMutation,
+  createIntegrationClientMutation,
+  rotateIntegrationClientMutation,
+  revokeIntegrationClientMutation,
+  inviteUserMutation,
+  setUserGroupsMutation,
+  disableUserMutation,
+  enableUserMutation,
+  resetUserPasswordMutation,
+  cancelLoadMutation,
+  rebuildSearchIndexMutation,
+  createImportUploadsMutation,
+  startImportMutation,
+  exportGraphMutation,
+} from "@/api/appsync/mutation";
 import {
   GetGraphQuery,
-  GetRelationNameQuery,
-  GetProfileQuery,
+  GraphOptions,
+  FindPathsQuery,
+  PageArgs,
+  SearchMode,
+  GetEntityProfileQuery,
   AskGraphQuery,
   GetEntityPropertiesQuery,
   GetEntityEdgesQuery,
   SearchEntitiesQuery,
   SearchProjectsQuery,
   GetProjectAccountsQuery,
+  AuditLogFilter,
+  GetAuditLogQuery,
+  GetRecentlyDeletedQuery,
+  GetRecentlyDeletedEdgesQuery,
   AddProjectAccountMutation,
   DeleteProjectAccountMutation,
+  UpdateVertexMutation,
+  DeleteVertexMutation,
+  RestoreVertexMutation,
+  RestoreEdgeMutation,
+  UpdateEdgeMutation,
+  DeleteEdgeMutation,
+  ProjectInput,
+  CreateProjectMutation,
+  UpdateProjectMutation,
+  ArchiveProjectMutation,
+  BatchOperation,
+  BatchMutateMutation,
+  GetIntegrationClientsQuery,
+  CreateIntegrationClientMutation,
+  RotateIntegrationClientMutation,
+  RevokeIntegrationClientMutation,
+  GetUsersQuery,
+  InviteUserMutation,
+  SetUserGroupsMutation,
+  DisableUserMutation,
+  EnableUserMutation,
+  ResetUserPasswordMutation,
+  GetLoadsQuery,
+  CancelLoadMutation,
+  RebuildSearchIndexMutation,
+  GetLoadQuery,
+  GetImportQuery,
+  CreateImportUploadsMutation,
+  StartImportMutation,
+  GetExportsQuery,
+  ExportGraphMutation,
+  ExportSubgraphQuery,
+  SubgraphFormat,
+  StartImportInput,
 } from "@/types/types";
 import { GraphQLResult, generateClient } from "aws-amplify/api";
 import { type ClassValue, clsx } from "clsx";
@@ -26,44 +93,122 @@ export const Icons = {
   spinner: Loader2,
 };
 
-export const queryGetProfile = async (name: string, value: string) => {
-  const client = generateClient();
-  const res = (await client.graphql({
-    query: getProfile,
-    variables: {
-      type: "profile",
-      value,
-      name,
-    },
-  })) as GraphQLResult<GetProfileQuery>;
-  return res;
+// errorType codes raised by the resolver Lambdas (api/lambda/shared/errors.ts)
+export type GraphErrorCode =
+  | "VALIDATION"
+  | "FORBIDDEN"
+  | "NOT_FOUND"
+  | "CONFLICT"
+  | "CLUSTER_UNAVAILABLE"
+  | "INTERNAL";
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export const graphErrorCode = (error: any): GraphErrorCode | undefined =>
+  error?.errors?.[0]?.errorType;
+
+// errorInfo of the first error; see ValidationErrorInfo for VALIDATION
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export const graphErrorInfo = <T = Record<string, unknown>>(error: any): T | undefined =>
+  error?.errors?.[0]?.errorInfo ?? undefined;
+
+/**
+ * Text for an error toast. Validation, not-found and conflict messages name
+ * the offending field or element, so they are shown as sent; the others are
+ * replaced with something a user can act on.
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export const friendlyErrorMessage = (error: any, fallback = "An error occurred") => {
+  const message: string | undefined = error?.errors?.[0]?.message || error?.message;
+  switch (graphErrorCode(error)) {
+    case "VALIDATION":
+      return message || "Some values are not valid";
+    case "FORBIDDEN":
+      return "Your account does not have permission to do this. Ask an administrator for access.";
+    case "NOT_FOUND":
+      return `${message || "Not found"}. It may have been deleted.`;
+    case "CONFLICT":
+      return message || "This conflicts with a recent change; refresh and try again";
+    case "CLUSTER_UNAVAILABLE":
+      return "The graph database is not reachable. It is stopped outside business hours; try again later.";
+    case "INTERNAL":
+      return "Something went wrong on the server. Please try again.";
+    default:
+      return message || fallback;
+  }
 };
 
-export const queryGetRelationName = async (name: string, value: string) => {
+export const queryGetEntityProfile = async (id: string) => {
   const client = generateClient();
   const res = (await client.graphql({
-    query: getRelationName,
-    variables: {
-      type: "relation",
-      value,
-      name: name,
-    },
-  })) as GraphQLResult<GetRelationNameQuery>;
+    query: getEntityProfile,
+    variables: { id },
+  })) as GraphQLResult<GetEntityProfileQuery>;
   return res;
 };
 
-export const queryGetGraph = async (value: string) => {
+export const queryGetGraph = async (options: GraphOptions = {}) => {
   const client = generateClient();
   const res = (await client.graphql({
     query: getGraph,
     variables: {
-      type: "graph",
-      value,
+      rootId: options.rootId || null,
+      depth: options.depth ?? null,
+      vertexLabels: options.vertexLabels?.length ? options.vertexLabels : null,
+      edgeLabels: options.edgeLabels?.length ? options.edgeLabels : null,
+      limit: options.limit ?? null,
     },
   })) as GraphQLResult<GetGraphQuery>;
   return res;
 };
 
+export const queryExportSubgraph = async (
+  format: SubgraphFormat,
+  options: GraphOptions = {}
+) => {
+  return (await generateClient().graphql({
+    query: exportSubgraph,
+    variables: {
+      rootId: options.rootId || null,
+      depth: options.depth ?? null,
+      format,
+      vertexLabels: options.vertexLabels?.length ? options.vertexLabels : null,
+      edgeLabels: options.edgeLabels?.length ? options.edgeLabels : null,
+      limit: options.limit ?? null,
+    },
+  })) as GraphQLResult<ExportSubgraphQuery>;
+};
+
+// Saves `content` as a file through a temporary link
+export const downloadFile = (
+  content: string,
+  fileName: string,
+  contentType: string
+) => {
+  const url = URL.createObjectURL(new Blob([content], { type: contentType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export const queryFindPaths = async (
+  fromId: string,
+  toId: string,
+  maxHops?: number,
+  edgeLabels?: string[]
+) => {
+  return (await generateClient().graphql({
+    query: findPaths,
+    variables: {
+      fromId,
+      toId,
+      maxHops: maxHops ?? null,
+      edgeLabels: edgeLabels?.length ? edgeLabels : null,
+    },
+  })) as GraphQLResult<FindPathsQuery>;
+};
+
 export const queryAskGraph = async (
   question: string,
   history?: string
@@ -97,19 +242,41 @@ export const queryEntityEdges = async (vertexType: string, searchValue?: string,
   return res;
 };
 
-export const querySearchEntities = async (vertexType: string, searchValue?: string) => {
+export const querySearchEntities = async (
+  vertexType: string,
+  searchValue?: string,
+  page: PageArgs = {},
+  mode?: SearchMode
+) => {
   const client = generateClient();
   const res = (await client.graphql({
     query: searchEntities,
-    variables: { vertexType, searchValue: searchValue || null },
+    variables: {
+      vertexType,
+      searchValue: searchValue || null,
+      first: page.first ?? null,
+      after: page.after ?? null,
+      sortBy: page.sortBy ?? null,
+      sortDirection: page.sortDirection ?? null,
+      mode: mode ?? null,
+    },
   })) as GraphQLResult<SearchEntitiesQuery>;
   return res;
 };
 
-export const querySearchProjects = async (searchValue?: string) => {
+export const querySearchProjects = async (
+  searchValue?: string,
+  page: PageArgs = {}
+) => {
   return (await generateClient().graphql({
     query: searchProjects,
-    variables: { searchValue: searchValue ?? '' },
+    variables: {
+      searchValue: searchValue ?? '',
+      first: page.first ?? null,
+      after: page.after ?? null,
+      sortBy: page.sortBy ?? null,
+      sortDirection: page.sortDirection ?? null,
+    },
   })) as GraphQLResult<SearchProjectsQuery>;
 };
 
@@ -120,12 +287,34 @@ export const queryProjectAccounts = async (projectName: string) => {
   })) as GraphQLResult<GetProjectAccountsQuery>;
 };
 
+export const queryAuditLog = async (filter: AuditLogFilter) => {
+  return (await generateClient().graphql({
+    query: getAuditLog,
+    variables: filter,
+  })) as GraphQLResult<GetAuditLogQuery>;
+};
+
+export const queryRecentlyDeleted = async (label?: string) => {
+  return (await generateClient().graphql({
+    query: getRecentlyDeleted,
+    variables: { label },
+  })) as GraphQLResult<GetRecentlyDeletedQuery>;
+};
+
+export const queryRecentlyDeletedEdges = async () => {
+  return (await generateClient().graphql({
+    query: getRecentlyDeletedEdges,
+  })) as GraphQLResult<GetRecentlyDeletedEdgesQuery>;
+};
+
 export const mutateAddProjectAccount = async (input: {
   projectName: string;
   Account_Name: string;
   Account_Id: string;
   Cloud: string;
   Environments: string;
+  upsert?: boolean;
+  idempotencyKey?: string;
 }) => {
   return (await generateClient().graphql({
     query: addProjectAccountMutation,
@@ -139,3 +328,227 @@ export const mutateDeleteProjectAccount = async (accountId: string) => {
     variables: { accountId },
   })) as GraphQLResult<DeleteProjectAccountMutation>;
 };
+
+// Property values of null or "" remove the property
+export const mutateUpdateVertex = async (
+  id: string,
+  label: string,
+  properties: Record<string, string | null>
+) => {
+  return (await generateClient().graphql({
+    query: updateVertexMutation,
+    variables: { id, label, properties: JSON.stringify(properties) },
+  })) as GraphQLResult<UpdateVertexMutation>;
+};
+
+export const mutateDeleteVertex = async (
+  id: string,
+  label: string,
+  cascade = false
+) => {
+  return (await generateClient().graphql({
+    query: deleteVertexMutation,
+    variables: { id, label, cascade },
+  })) as GraphQLResult<DeleteVertexMutation>;
+};
+
+export const mutateRestoreVertex = async (id: string) => {
+  return (await generateClient().graphql({
+    query: restoreVertexMutation,
+    variables: { id },
+  })) as GraphQLResult<RestoreVertexMutation>;
+};
+
+export const mutateRestoreEdge = async (id: string) => {
+  return (await generateClient().graphql({
+    query: restoreEdgeMutation,
+    variables: { id },
+  })) as GraphQLResult<RestoreEdgeMutation>;
+};
+
+export const mutateUpdateEdge = async (
+  id: string,
+  label: string,
+  properties: Record<string, string | null>
+) => {
+  return (await generateClient().graphql({
+    query: updateEdgeMutation,
+    variables: { id, label, properties: JSON.stringify(properties) },
+  })) as GraphQLResult<UpdateEdgeMutation>;
+};
+
+export const mutateDeleteEdge = async (id: string, label: string) => {
+  return (await generateClient().graphql({
+    query: deleteEdgeMutation,
+    variables: { id, label },
+  })) as GraphQLResult<DeleteEdgeMutation>;
+};
+
+export const mutateCreateProject = async (input: ProjectInput) => {
+  return (await generateClient().graphql({
+    query: createProjectMutation,
+    variables: { input },
+  })) as GraphQLResult<CreateProjectMutation>;
+};
+
+export const mutateUpdateProject = async (id: string, input: ProjectInput) => {
+  return (await generateClient().graphql({
+    query: updateProjectMutation,
+    variables: { id, input },
+  })) as GraphQLResult<UpdateProjectMutation>;
+};
+
+export const mutateArchiveProject = async (id: string) => {
+  return (await generateClient().graphql({
+    query: archiveProjectMutation,
+    variables: { id },
+  })) as GraphQLResult<ArchiveProjectMutation>;
+};
+
+export const mutateBatch = async (operations: BatchOperation[]) => {
+  return (await generateClient().graphql({
+    query: batchMutateMutation,
+    variables: {
+      operations: operations.map(({ properties, ...op }) => ({
+        ...op,
+        properties: properties ? JSON.stringify(properties) : undefined,
+      })),
+    },
+  })) as GraphQLResult<BatchMutateMutation>;
+};
+
+export const queryIntegrationClients = async () => {
+  return (await generateClient().graphql({
+    query: getIntegrationClients,
+  })) as GraphQLResult<GetIntegrationClientsQuery>;
+};
+
+export const mutateCreateIntegrationClient = async (
+  name: string,
+  scopes?: string[]
+) => {
+  return (await generateClient().graphql({
+    query: createIntegrationClientMutation,
+    variables: { name, scopes },
+  })) as GraphQLResult<CreateIntegrationClientMutation>;
+};
+
+export const mutateRotateIntegrationClient = async (clientId: string) => {
+  return (await generateClient().graphql({
+    query: rotateIntegrationClientMutation,
+    variables: { clientId },
+  })) as GraphQLResult<RotateIntegrationClientMutation>;
+};
+
+export const mutateRevokeIntegrationClient = async (clientId: string) => {
+  return (await generateClient().graphql({
+    query: revokeIntegrationClientMutation,
+    variables: { clientId },
+  })) as GraphQLResult<RevokeIntegrationClientMutation>;
+};
+
+export const queryUsers = async () => {
+  return (await generateClient().graphql({
+    query: getUsers,
+  })) as GraphQLResult<GetUsersQuery>;
+};
+
+export const mutateInviteUser = async (
+  email: string,
+  username?: string,
+  groups?: string[]
+) => {
+  return (await generateClient().graphql({
+    query: inviteUserMutation,
+    variables: { email, username: username || undefined, groups },
+  })) as GraphQLResult<InviteUserMutation>;
+};
+
+export const mutateSetUserGroups = async (username: string, groups: string[]) => {
+  return (await generateClient().graphql({
+    query: setUserGroupsMutation,
+    variables: { username, groups },
+  })) as GraphQLResult<SetUserGroupsMutation>;
+};
+
+export const mutateDisableUser = async (username: string) => {
+  return (await generateClient().graphql({
+    query: disableUserMutation,
+    variables: { username },
+  })) as GraphQLResult<DisableUserMutation>;
+};
+
+export const mutateEnableUser = async (username: string) => {
+  return (await generateClient().graphql({
+    query: enableUserMutation,
+    variables: { username },
+  })) as GraphQLResult<EnableUserMutation>;
+};
+
+export const mutateResetUserPassword = async (username: string) => {
+  return (await generateClient().graphql({
+    query: resetUserPasswordMutation,
+    variables: { username },
+  })) as GraphQLResult<ResetUserPasswordMutation>;
+};
+
+export const queryLoads = async (limit?: number) => {
+  return (await generateClient().graphql({
+    query: getLoads,
+    variables: { limit },
+  })) as GraphQLResult<GetLoadsQuery>;
+};
+
+export const mutateCancelLoad = async (loadId: string) => {
+  return (await generateClient().graphql({
+    query: cancelLoadMutation,
+    variables: { loadId },
+  })) as GraphQLResult<CancelLoadMutation>;
+};
+
+export const mutateRebuildSearchIndex = async () => {
+  return (await generateClient().graphql({
+    query: rebuildSearchIndexMutation,
+  })) as GraphQLResult<RebuildSearchIndexMutation>;
+};
+
+export const queryLoad = async (loadId: string) => {
+  return (await generateClient().graphql({
+    query: getLoad,
+    variables: { loadId },
+  })) as GraphQLResult<GetLoadQuery>;
+};
+
+export const mutateCreateImportUploads = async (fileNames: string[]) => {
+  return (await generateClient().graphql({
+    query: createImportUploadsMutation,
+    variables: { fileNames },
+  })) as GraphQLResult<CreateImportUploadsMutation>;
+};
+
+export const mutateStartImport = async (input: StartImportInput) => {
+  return (await generateClient().graphql({
+    query: startImportMutation,
+    variables: { input },
+  })) as GraphQLResult<StartImportMutation>;
+};
+
+export const queryImport = async (importId: string) => {
+  return (await generateClient().graphql({
+    query: getImport,
+    variables: { importId },
+  })) as GraphQLResult<GetImportQuery>;
+};
+
+export const queryExports = async (limit?: number) => {
+  return (await generateClient().graphql({
+    query: getExports,
+    variables: { limit },
+  })) as GraphQLResult<GetExportsQuery>;
+};
+
+export const mutateExportGraph = async () => {
+  return (await generateClient().graphql({
+    query: exportGraphMutation,
+  })) as GraphQLResult<ExportGraphMutation>;
+};
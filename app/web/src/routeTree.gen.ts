@@ -20,6 +20,12 @@ import { Route as AuthenticatedLayoutGraphImport } from './routes/_authenticated
 import { Route as AuthenticatedLayoutChatImport } from './routes/_authenticated/_layout/chat'
 import { Route as AuthenticatedLayoutMonitoringImport } from './routes/_authenticated/_layout/monitoring'
 import { Route as AuthenticatedLayoutProjectsImport } from './routes/_authenticated/_layout/projects'
+import { Route as AuthenticatedLayoutDeletedImport } from './routes/_authenticated/_layout/deleted'
+import { Route as AuthenticatedLayoutAdminIntegrationsImport } from './routes/_authenticated/_layout/admin/integrations'
+import { Route as AuthenticatedLayoutAdminExportsImport } from './routes/_authenticated/_layout/admin/exports'
+import { Route as AuthenticatedLayoutAdminUsersImport } from './routes/_authenticated/_layout/admin/users'
+import { Route as AuthenticatedLayoutLoadsImport } from './routes/_authenticated/_layout/loads'
+import { Route as AuthenticatedLayoutImportImport } from './routes/_authenticated/_layout/import'
 
 // Create/Update Routes
 
@@ -69,6 +75,39 @@ const AuthenticatedLayoutProjectsRoute = AuthenticatedLayoutProjectsImport.updat
   getParentRoute: () => AuthenticatedLayoutRoute,
 } as any)
 
+const AuthenticatedLayoutDeletedRoute = AuthenticatedLayoutDeletedImport.update({
+  path: '/deleted',
+  getParentRoute: () => AuthenticatedLayoutRoute,
+} as any)
+
+const AuthenticatedLayoutAdminIntegrationsRoute =
+  AuthenticatedLayoutAdminIntegrationsImport.update({
+    path: '/admin/integrations',
+    getParentRoute: () => AuthenticatedLayoutRoute,
+  } as any)
+
+const AuthenticatedLayoutAdminExportsRoute =
+  AuthenticatedLayoutAdminExportsImport.update({
+    path: '/admin/exports',
+    getParentRoute: () => AuthenticatedLayoutRoute,
+  } as any)
+
+const AuthenticatedLayoutAdminUsersRoute =
+  AuthenticatedLayoutAdminUsersImport.update({
+    path: '/admin/users',
+    getParentRoute: () => AuthenticatedLayoutRoute,
+  } as any)
+
+const AuthenticatedLayoutLoadsRoute = AuthenticatedLayoutLoadsImport.update({
+  path: '/loads',
+  getParentRoute: () => AuthenticatedLayoutRoute,
+} as any)
+
+const AuthenticatedLayoutImportRoute = AuthenticatedLayoutImportImport.update({
+  path: '/import',
+  getParentRoute: () => AuthenticatedLayoutRoute,
+} as any)
+
 // Populate the FileRoutesByPath interface
 
 declare module '@tanstack/react-router' {
@@ -109,6 +148,30 @@ declare module '@tanstack/react-router' {
       preLoaderRoute: typeof AuthenticatedLayoutProjectsImport
       parentRoute: typeof AuthenticatedLayoutImport
     }
+    '/_authenticated/_layout/deleted': {
+      preLoaderRoute: typeof AuthenticatedLayoutDeletedImport
+      parentRoute: typeof AuthenticatedLayoutImport
+    }
+    '/_authenticated/_layout/admin/integrations': {
+      preLoaderRoute: typeof AuthenticatedLayoutAdminIntegrationsImport
+      parentRoute: typeof AuthenticatedLayoutImport
+    }
+    '/_authenticated/_layout/admin/users': {
+      preLoaderRoute: typeof AuthenticatedLayoutAdminUsersImport
+      parentRoute: typeof AuthenticatedLayoutImport
+    }
+    '/_authenticated/_layout/loads': {
+      preLoaderRoute: typeof AuthenticatedLayoutLoadsImport
+      parentRoute: typeof AuthenticatedLayoutImport
+    }
+    '/_authenticated/_layout/import': {
+      preLoaderRoute: typeof AuthenticatedLayoutImportImport
+      parentRoute: typeof AuthenticatedLayoutImport
+    }
+    '/_authenticated/_layout/admin/exports': {
+      preLoaderRoute: typeof AuthenticatedLayoutAdminExportsImport
+      parentRoute: typeof AuthenticatedLayoutImport
+    }
   }
 }
 
@@ -123,6 +186,12 @@ export const routeTree = rootRoute.addChildren([
       AuthenticatedLayoutChatRoute,
       AuthenticatedLayoutMonitoringRoute,
       AuthenticatedLayoutProjectsRoute,
+      AuthenticatedLayoutDeletedRoute,
+      AuthenticatedLayoutAdminIntegrationsRoute,
+      AuthenticatedLayoutAdminUsersRoute,
+      AuthenticatedLayoutLoadsRoute,
+      AuthenticatedLayoutImportRoute,
+      AuthenticatedLayoutAdminExportsRoute,
     ]),
   ]),
   AuthSigninRoute,
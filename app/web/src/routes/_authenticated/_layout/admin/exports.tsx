@@ -0,0 +1,301 @@
+import { createFileRoute, redirect } from "@tanstack/react-router";
+import { Fragment, useEffect, useState } from "react";
+import {
+  ChevronDown,
+  ChevronRight,
+  Copy,
+  DatabaseBackup,
+  Play,
+  RefreshCw,
+} from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Skeleton } from "@/components/ui/skeleton";
+import {
+  Icons,
+  queryExports,
+  mutateExportGraph,
+  friendlyErrorMessage,
+} from "@/lib/utils";
+import { hasRole } from "@/lib/roles";
+import { GraphExport } from "@/types/types";
+import { toast } from "@/components/ui/use-toast";
+
+// How often the list refreshes while an export is running
+const REFRESH_MS = 10000;
+
+const formatDate = (value: string | null) =>
+  value ? new Date(value).toLocaleString() : "—";
+
+const statusClass = (status: string) =>
+  status === "COMPLETED"
+    ? "text-green-600"
+    : status === "RUNNING"
+      ? "text-blue-600"
+      : "text-destructive";
+
+// Function URL body that loads an export back, vertices before edges
+const restoreBody = (prefix: string) =>
+  JSON.stringify(
+    {
+      sources: [`${prefix}vertices/`, `${prefix}edges/`],
+      format: "csv",
+      failOnError: true,
+      mode: "NEW",
+    },
+    null,
+    2
+  );
+
+export const Route = createFileRoute("/_authenticated/_layout/admin/exports")({
+  beforeLoad: ({ context }) => {
+    if (!hasRole(context.auth.groups, "Admin")) {
+      throw redirect({ to: "/" });
+    }
+  },
+  component: ExportsPage,
+});
+
+function ExportsPage() {
+  const [exports, setExports] = useState<GraphExport[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isStarting, setIsStarting] = useState(false);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+
+  const fetchExports = async (quiet = false) => {
+    if (!quiet) setIsLoading(true);
+    try {
+      const result = await queryExports();
+      const fetched = result.data?.getExports ?? [];
+      // Keep an export just started until its manifest is written
+      setExports((prev) => [
+        ...prev.filter(
+          (e) =>
+            e.status === "RUNNING" &&
+            !e.prefix &&
+            !fetched.some((f) => f.exportId === e.exportId)
+        ),
+        ...fetched,
+      ]);
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      toast({
+        title: "Failed to load exports",
+        description: friendlyErrorMessage(error),
+        variant: "destructive",
+      });
+    } finally {
+      if (!quiet) setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchExports();
+  }, []);
+
+  const hasRunning = exports.some((e) => e.status === "RUNNING");
+  useEffect(() => {
+    if (!hasRunning) return;
+    const timer = setInterval(() => fetchExports(true), REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [hasRunning]);
+
+  const startExport = async () => {
+    if (!window.confirm("Export the whole graph to S3 now?")) return;
+    setIsStarting(true);
+    try {
+      const result = await mutateExportGraph();
+      const started = result.data.exportGraph;
+      setExports((prev) => [started, ...prev]);
+      toast({ title: `Export ${started.exportId} started` });
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      toast({
+        title: "Export failed to start",
+        description: friendlyErrorMessage(error),
+        variant: "destructive",
+      });
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const copy = async (value: string) => {
+    await navigator.clipboard.writeText(value);
+    toast({ title: "Copied to clipboard" });
+  };
+
+  return (
+    <main className="grid flex-1 items-start gap-4 p-4 sm:px-6 sm:py-0 md:gap-8">
+      <Card className="sm:col-span-2">
+        <CardHeader className="flex flex-row items-start bg-muted/50">
+          <div className="grid gap-0.5">
+            <CardTitle className="group flex items-center gap-2 text-lg">
+              <DatabaseBackup className="h-5 w-5" />
+              Graph Exports
+            </CardTitle>
+            <CardDescription>
+              Logical backups of the graph as bulk-load CSV, written weekly
+              and on demand
+            </CardDescription>
+          </div>
+          <div className="ml-auto flex gap-2">
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => fetchExports()}
+              disabled={isLoading}
+            >
+              <RefreshCw className="mr-1 h-4 w-4" />
+              Refresh
+            </Button>
+            <Button size="sm" onClick={startExport} disabled={isStarting}>
+              {isStarting ? (
+                <Icons.spinner className="mr-1 h-4 w-4 animate-spin" />
+              ) : (
+                <Play className="mr-1 h-4 w-4" />
+              )}
+              Export now
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent className="p-6">
+          {isLoading ? (
+            <div className="space-y-2">
+              {Array.from({ length: 3 }).map((_, i) => (
+                <Skeleton key={i} className="h-10 w-full" />
+              ))}
+            </div>
+          ) : exports.length === 0 ? (
+            <div className="flex flex-col items-center justify-center py-12 text-muted-foreground">
+              <DatabaseBackup className="h-10 w-10 mb-2 opacity-40" />
+              <p>No exports yet</p>
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-8" />
+                  <TableHead>Export</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead>Started by</TableHead>
+                  <TableHead>Started</TableHead>
+                  <TableHead>Finished</TableHead>
+                  <TableHead className="text-right">Vertices</TableHead>
+                  <TableHead className="text-right">Edges</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {exports.map((graphExport) => {
+                  const expanded = expandedId === graphExport.exportId;
+                  return (
+                    <Fragment key={graphExport.exportId}>
+                      <TableRow
+                        className="cursor-pointer"
+                        onClick={() =>
+                          setExpandedId(expanded ? null : graphExport.exportId)
+                        }
+                      >
+                        <TableCell>
+                          {expanded ? (
+                            <ChevronDown className="h-4 w-4" />
+                          ) : (
+                            <ChevronRight className="h-4 w-4" />
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          <code className="text-xs">{graphExport.exportId}</code>
+                        </TableCell>
+                        <TableCell className={statusClass(graphExport.status)}>
+                          {graphExport.status}
+                        </TableCell>
+                        <TableCell>{graphExport.startedBy}</TableCell>
+                        <TableCell>{formatDate(graphExport.startedAt)}</TableCell>
+                        <TableCell>{formatDate(graphExport.finishedAt)}</TableCell>
+                        <TableCell className="text-right">
+                          {graphExport.vertexCount.toLocaleString()}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          {graphExport.edgeCount.toLocaleString()}
+                        </TableCell>
+                      </TableRow>
+                      {expanded && (
+                        <TableRow>
+                          <TableCell />
+                          <TableCell colSpan={7} className="space-y-3 text-sm">
+                            {graphExport.error && (
+                              <p className="text-destructive">{graphExport.error}</p>
+                            )}
+                            {graphExport.files.length > 0 && (
+                              <ul className="space-y-1">
+                                {graphExport.files.map((file) => (
+                                  <li key={file.s3Uri}>
+                                    <code className="text-xs">{file.s3Uri}</code>{" "}
+                                    <span className="text-muted-foreground">
+                                      ({file.kind} {file.label},{" "}
+                                      {file.rows.toLocaleString()} rows)
+                                    </span>
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                            {graphExport.status === "COMPLETED" && graphExport.prefix && (
+                              <div className="grid gap-1">
+                                <p className="text-muted-foreground">
+                                  To restore, POST this body to the bulk-load
+                                  Function URL of an empty cluster:
+                                </p>
+                                <div className="flex items-start gap-2">
+                                  <pre className="rounded bg-muted p-2 text-xs">
+                                    {restoreBody(graphExport.prefix)}
+                                  </pre>
+                                  <Button
+                                    size="icon"
+                                    variant="ghost"
+                                    className="h-6 w-6 shrink-0"
+                                    onClick={(e) => {
+                                      e.stopPropagation();
+                                      copy(restoreBody(graphExport.prefix!));
+                                    }}
+                                  >
+                                    <Copy className="h-3 w-3" />
+                                  </Button>
+                                </div>
+                              </div>
+                            )}
+                            {graphExport.status === "RUNNING" && (
+                              <p className="text-muted-foreground">
+                                The export is running; this page refreshes
+                                until it ends.
+                              </p>
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      )}
+                    </Fragment>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </main>
+  );
+}
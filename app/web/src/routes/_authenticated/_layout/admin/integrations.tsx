@@ -0,0 +1,323 @@
+import { createFileRoute, redirect } from "@tanstack/react-router";
+import { useEffect, useState } from "react";
+import { Copy, KeyRound, Plus, RefreshCw, Trash2 } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Skeleton } from "@/components/ui/skeleton";
+import {
+  Icons,
+  queryIntegrationClients,
+  mutateCreateIntegrationClient,
+  mutateRotateIntegrationClient,
+  mutateRevokeIntegrationClient,
+  friendlyErrorMessage,
+} from "@/lib/utils";
+import { hasRole } from "@/lib/roles";
+import {
+  IntegrationClient,
+  IntegrationClientCredentials,
+} from "@/types/types";
+import { toast } from "@/components/ui/use-toast";
+
+const formatDate = (value: string | null) =>
+  value ? new Date(value).toLocaleString() : "—";
+
+// Revoking or rotating a client cannot recall the access tokens it already
+// has; they keep working until they expire
+const tokenLifetime = (client: IntegrationClient) =>
+  `${client.accessTokenMinutes ?? 60} minutes`;
+
+export const Route = createFileRoute("/_authenticated/_layout/admin/integrations")({
+  beforeLoad: ({ context }) => {
+    if (!hasRole(context.auth.groups, "Admin")) {
+      throw redirect({ to: "/" });
+    }
+  },
+  component: IntegrationsPage,
+});
+
+function IntegrationsPage() {
+  const [clients, setClients] = useState<IntegrationClient[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [newName, setNewName] = useState("");
+  const [busyId, setBusyId] = useState<string | null>(null);
+  // Shown once after create or rotate; the secret cannot be read back later
+  const [credentials, setCredentials] =
+    useState<IntegrationClientCredentials | null>(null);
+
+  const fetchClients = async () => {
+    setIsLoading(true);
+    try {
+      const result = await queryIntegrationClients();
+      setClients(result.data?.getIntegrationClients ?? []);
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      toast({
+        title: "Failed to load integration clients",
+        description: friendlyErrorMessage(error),
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchClients();
+  }, []);
+
+  const createClient = async () => {
+    const name = newName.trim();
+    if (!name) return;
+    setBusyId("new");
+    try {
+      const result = await mutateCreateIntegrationClient(name);
+      const created = result.data.createIntegrationClient;
+      setCredentials(created);
+      setClients((prev) =>
+        [...prev, created.client].sort((a, b) => a.name.localeCompare(b.name))
+      );
+      setNewName("");
+      toast({ title: "Integration client created" });
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      toast({
+        title: "Create failed",
+        description: friendlyErrorMessage(error),
+        variant: "destructive",
+      });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const rotateClient = async (client: IntegrationClient) => {
+    if (
+      !window.confirm(
+        `Rotate ${client.name}? The current client id and secret stop working immediately. Access tokens already issued to it keep working for up to ${tokenLifetime(client)}.`
+      )
+    ) {
+      return;
+    }
+    setBusyId(client.clientId);
+    try {
+      const result = await mutateRotateIntegrationClient(client.clientId);
+      const rotated = result.data.rotateIntegrationClient;
+      setCredentials(rotated);
+      setClients((prev) =>
+        prev.map((c) => (c.clientId === client.clientId ? rotated.client : c))
+      );
+      toast({ title: "Credentials rotated" });
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      toast({
+        title: "Rotate failed",
+        description: friendlyErrorMessage(error),
+        variant: "destructive",
+      });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const revokeClient = async (client: IntegrationClient) => {
+    if (
+      !window.confirm(
+        `Revoke ${client.name}? This cannot be undone. Access tokens already issued to it keep working for up to ${tokenLifetime(client)}.`
+      )
+    ) {
+      return;
+    }
+    setBusyId(client.clientId);
+    try {
+      await mutateRevokeIntegrationClient(client.clientId);
+      setClients((prev) => prev.filter((c) => c.clientId !== client.clientId));
+      if (credentials?.client.clientId === client.clientId) {
+        setCredentials(null);
+      }
+      toast({
+        title: "Integration client revoked",
+        description: `Access tokens already issued expire within ${tokenLifetime(client)}`,
+      });
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      toast({
+        title: "Revoke failed",
+        description: friendlyErrorMessage(error),
+        variant: "destructive",
+      });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const copy = async (value: string) => {
+    await navigator.clipboard.writeText(value);
+    toast({ title: "Copied to clipboard" });
+  };
+
+  return (
+    <main className="grid flex-1 items-start gap-4 p-4 sm:px-6 sm:py-0 md:gap-8">
+      <Card className="sm:col-span-2">
+        <CardHeader className="flex flex-row items-start bg-muted/50">
+          <div className="grid gap-0.5">
+            <CardTitle className="group flex items-center gap-2 text-lg">
+              <KeyRound className="h-5 w-5" />
+              Integration Clients
+            </CardTitle>
+            <CardDescription>
+              Machine credentials for shop-management integrations, using the
+              OAuth2 client-credentials grant
+            </CardDescription>
+          </div>
+        </CardHeader>
+        <CardContent className="p-6">
+          <div className="mb-4 flex items-center gap-2">
+            <Input
+              placeholder="Integration name"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && createClient()}
+              className="max-w-sm"
+            />
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={createClient}
+              disabled={!newName.trim() || busyId !== null}
+            >
+              {busyId === "new" ? (
+                <Icons.spinner className="mr-1 h-4 w-4 animate-spin" />
+              ) : (
+                <Plus className="mr-1 h-4 w-4" />
+              )}
+              New client
+            </Button>
+          </div>
+
+          {credentials && (
+            <div className="mb-4 grid gap-2 rounded-lg border border-amber-500/50 bg-amber-500/10 p-4 text-sm">
+              <p className="font-medium">
+                Credentials for {credentials.client.name}. Copy the secret
+                now; it is not shown again.
+              </p>
+              {[
+                ["Client id", credentials.client.clientId],
+                ["Client secret", credentials.clientSecret],
+                ["Token URL", credentials.tokenUrl],
+                ["Scopes", credentials.client.scopes.join(" ")],
+              ].map(([label, value]) => (
+                <div key={label} className="flex flex-row items-center gap-2">
+                  <span className="w-[120px] shrink-0 text-muted-foreground">
+                    {label}
+                  </span>
+                  <code className="break-all">{value}</code>
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    className="h-6 w-6 shrink-0"
+                    onClick={() => copy(value)}
+                  >
+                    <Copy className="h-3 w-3" />
+                  </Button>
+                </div>
+              ))}
+              <div>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => setCredentials(null)}
+                >
+                  Done
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {isLoading ? (
+            <div className="space-y-2">
+              {Array.from({ length: 3 }).map((_, i) => (
+                <Skeleton key={i} className="h-10 w-full" />
+              ))}
+            </div>
+          ) : clients.length === 0 ? (
+            <div className="flex flex-col items-center justify-center py-12 text-muted-foreground">
+              <KeyRound className="h-10 w-10 mb-2 opacity-40" />
+              <p>No integration clients yet</p>
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Name</TableHead>
+                  <TableHead>Client Id</TableHead>
+                  <TableHead>Scopes</TableHead>
+                  <TableHead>Created</TableHead>
+                  <TableHead>Token lifetime</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {clients.map((client) => (
+                  <TableRow key={client.clientId}>
+                    <TableCell className="font-medium">{client.name}</TableCell>
+                    <TableCell>
+                      <code className="text-xs">{client.clientId}</code>
+                    </TableCell>
+                    <TableCell>{client.scopes.join(", ")}</TableCell>
+                    <TableCell>{formatDate(client.createdAt)}</TableCell>
+                    <TableCell>{tokenLifetime(client)}</TableCell>
+                    <TableCell className="text-right whitespace-nowrap">
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        className="mr-2"
+                        onClick={() => rotateClient(client)}
+                        disabled={busyId !== null}
+                      >
+                        {busyId === client.clientId ? (
+                          <Icons.spinner className="mr-1 h-4 w-4 animate-spin" />
+                        ) : (
+                          <RefreshCw className="mr-1 h-4 w-4" />
+                        )}
+                        Rotate
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => revokeClient(client)}
+                        disabled={busyId !== null}
+                      >
+                        <Trash2 className="mr-1 h-4 w-4" />
+                        Revoke
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </main>
+  );
+}
@@ -0,0 +1,394 @@
+import { createFileRoute, redirect } from "@tanstack/react-router";
+import { Fragment, useEffect, useState } from "react";
+import {
+  ChevronDown,
+  History,
+  KeyRound,
+  Power,
+  UserPlus,
+  Users,
+} from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  DropdownMenu,
+  DropdownMenuCheckboxItem,
+  DropdownMenuContent,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { Skeleton } from "@/components/ui/skeleton";
+import { AuditHistory } from "@/components/AuditHistory";
+import {
+  Icons,
+  queryUsers,
+  mutateInviteUser,
+  mutateSetUserGroups,
+  mutateDisableUser,
+  mutateEnableUser,
+  mutateResetUserPassword,
+  friendlyErrorMessage,
+} from "@/lib/utils";
+import { READER_GROUPS, ROLES, hasRole } from "@/lib/roles";
+import { CognitoUser } from "@/types/types";
+import { toast } from "@/components/ui/use-toast";
+
+const NO_ROLE = "none";
+
+const formatDate = (value: string | null) =>
+  value ? new Date(value).toLocaleString() : "—";
+
+// Audit records of user administration target "user:<username>"
+const userTargetId = (username: string) => `user:${username}`;
+
+export const Route = createFileRoute("/_authenticated/_layout/admin/users")({
+  beforeLoad: ({ context }) => {
+    if (!hasRole(context.auth.groups, "Admin")) {
+      throw redirect({ to: "/" });
+    }
+  },
+  component: UsersPage,
+});
+
+function UsersPage() {
+  const [users, setUsers] = useState<CognitoUser[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [busyUser, setBusyUser] = useState<string | null>(null);
+  const [historyUser, setHistoryUser] = useState<string | null>(null);
+  const [email, setEmail] = useState("");
+  const [username, setUsername] = useState("");
+  const [role, setRole] = useState<string>("Viewer");
+  // Bumped after every action so an open history reloads
+  const [revision, setRevision] = useState(0);
+
+  const fetchUsers = async () => {
+    setIsLoading(true);
+    try {
+      const result = await queryUsers();
+      setUsers(result.data?.getUsers ?? []);
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      toast({
+        title: "Failed to load users",
+        description: friendlyErrorMessage(error),
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchUsers();
+  }, []);
+
+  const applyUser = (user: CognitoUser) => {
+    setUsers((prev) => {
+      const exists = prev.some((u) => u.username === user.username);
+      const next = exists
+        ? prev.map((u) => (u.username === user.username ? user : u))
+        : [...prev, user];
+      return next.sort((a, b) => a.username.localeCompare(b.username));
+    });
+    setRevision((prev) => prev + 1);
+  };
+
+  // Runs one admin action for `key`, showing a spinner and a toast
+  const run = async (
+    key: string,
+    action: () => Promise<CognitoUser>,
+    success: string,
+    failure: string
+  ) => {
+    setBusyUser(key);
+    try {
+      applyUser(await action());
+      toast({ title: success });
+      return true;
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      toast({
+        title: failure,
+        description: friendlyErrorMessage(error),
+        variant: "destructive",
+      });
+      return false;
+    } finally {
+      setBusyUser(null);
+    }
+  };
+
+  const inviteUser = async () => {
+    const address = email.trim();
+    if (!address) return;
+    const invited = await run(
+      "new",
+      async () =>
+        (
+          await mutateInviteUser(
+            address,
+            username.trim(),
+            role === NO_ROLE ? [] : [role]
+          )
+        ).data.inviteUser,
+      `Invitation sent to ${address}`,
+      "Invite failed"
+    );
+    if (invited) {
+      setEmail("");
+      setUsername("");
+    }
+  };
+
+  const toggleGroup = (user: CognitoUser, group: string, checked: boolean) => {
+    const groups = checked
+      ? [...user.groups, group]
+      : user.groups.filter((g) => g !== group);
+    run(
+      user.username,
+      async () =>
+        (await mutateSetUserGroups(user.username, groups)).data.setUserGroups,
+      `Groups of ${user.username} updated`,
+      "Group change failed"
+    );
+  };
+
+  const toggleEnabled = (user: CognitoUser) => {
+    if (user.enabled && !window.confirm(`Disable ${user.username}?`)) return;
+    run(
+      user.username,
+      async () =>
+        user.enabled
+          ? (await mutateDisableUser(user.username)).data.disableUser
+          : (await mutateEnableUser(user.username)).data.enableUser,
+      user.enabled ? `${user.username} disabled` : `${user.username} enabled`,
+      user.enabled ? "Disable failed" : "Enable failed"
+    );
+  };
+
+  const resetPassword = (user: CognitoUser) => {
+    if (!window.confirm(`Reset the password of ${user.username}?`)) return;
+    run(
+      user.username,
+      async () =>
+        (await mutateResetUserPassword(user.username)).data.resetUserPassword,
+      user.status === "FORCE_CHANGE_PASSWORD"
+        ? `Invitation resent to ${user.email ?? user.username}`
+        : `Password reset code sent to ${user.email ?? user.username}`,
+      "Password reset failed"
+    );
+  };
+
+  return (
+    <main className="grid flex-1 items-start gap-4 p-4 sm:px-6 sm:py-0 md:gap-8">
+      <Card className="sm:col-span-2">
+        <CardHeader className="flex flex-row items-start bg-muted/50">
+          <div className="grid gap-0.5">
+            <CardTitle className="group flex items-center gap-2 text-lg">
+              <Users className="h-5 w-5" />
+              Users
+            </CardTitle>
+            <CardDescription>
+              Invite teammates and manage their roles and access
+            </CardDescription>
+          </div>
+        </CardHeader>
+        <CardContent className="p-6">
+          <div className="mb-4 flex flex-wrap items-center gap-2">
+            <Input
+              placeholder="Email"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="max-w-xs"
+            />
+            <Input
+              placeholder="Username (optional)"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              className="max-w-[200px]"
+            />
+            <Select value={role} onValueChange={setRole}>
+              <SelectTrigger className="w-[140px]">
+                <SelectValue placeholder="Role" />
+              </SelectTrigger>
+              <SelectContent>
+                {ROLES.map((option) => (
+                  <SelectItem key={option} value={option}>
+                    {option}
+                  </SelectItem>
+                ))}
+                <SelectItem value={NO_ROLE}>No role</SelectItem>
+              </SelectContent>
+            </Select>
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={inviteUser}
+              disabled={!email.trim() || busyUser !== null}
+            >
+              {busyUser === "new" ? (
+                <Icons.spinner className="mr-1 h-4 w-4 animate-spin" />
+              ) : (
+                <UserPlus className="mr-1 h-4 w-4" />
+              )}
+              Invite
+            </Button>
+          </div>
+
+          {isLoading ? (
+            <div className="space-y-2">
+              {Array.from({ length: 5 }).map((_, i) => (
+                <Skeleton key={i} className="h-10 w-full" />
+              ))}
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Username</TableHead>
+                  <TableHead>Email</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead>Groups</TableHead>
+                  <TableHead>Created</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {users.map((user) => (
+                  <Fragment key={user.username}>
+                    <TableRow className={user.enabled ? "" : "opacity-60"}>
+                      <TableCell className="font-medium">
+                        {user.username}
+                      </TableCell>
+                      <TableCell>{user.email ?? "—"}</TableCell>
+                      <TableCell>
+                        {user.enabled ? user.status : "DISABLED"}
+                      </TableCell>
+                      <TableCell>
+                        <DropdownMenu>
+                          <DropdownMenuTrigger asChild>
+                            <Button
+                              size="sm"
+                              variant="ghost"
+                              disabled={busyUser !== null}
+                            >
+                              {user.groups.length > 0
+                                ? user.groups.join(", ")
+                                : "No groups"}
+                              <ChevronDown className="ml-1 h-3 w-3" />
+                            </Button>
+                          </DropdownMenuTrigger>
+                          <DropdownMenuContent align="start">
+                            <DropdownMenuLabel>Role</DropdownMenuLabel>
+                            {ROLES.map((group) => (
+                              <DropdownMenuCheckboxItem
+                                key={group}
+                                checked={user.groups.includes(group)}
+                                onCheckedChange={(checked) =>
+                                  toggleGroup(user, group, checked)
+                                }
+                              >
+                                {group}
+                              </DropdownMenuCheckboxItem>
+                            ))}
+                            <DropdownMenuSeparator />
+                            <DropdownMenuLabel>Data access</DropdownMenuLabel>
+                            {READER_GROUPS.map((group) => (
+                              <DropdownMenuCheckboxItem
+                                key={group}
+                                checked={user.groups.includes(group)}
+                                onCheckedChange={(checked) =>
+                                  toggleGroup(user, group, checked)
+                                }
+                              >
+                                {group}
+                              </DropdownMenuCheckboxItem>
+                            ))}
+                          </DropdownMenuContent>
+                        </DropdownMenu>
+                      </TableCell>
+                      <TableCell>{formatDate(user.createdAt)}</TableCell>
+                      <TableCell className="text-right whitespace-nowrap">
+                        {busyUser === user.username && (
+                          <Icons.spinner className="mr-2 inline h-4 w-4 animate-spin" />
+                        )}
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          className="mr-2"
+                          onClick={() => toggleEnabled(user)}
+                          disabled={busyUser !== null}
+                        >
+                          <Power className="mr-1 h-4 w-4" />
+                          {user.enabled ? "Disable" : "Enable"}
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          className="mr-2"
+                          onClick={() => resetPassword(user)}
+                          disabled={busyUser !== null || !user.enabled}
+                        >
+                          <KeyRound className="mr-1 h-4 w-4" />
+                          Reset password
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          onClick={() =>
+                            setHistoryUser((prev) =>
+                              prev === user.username ? null : user.username
+                            )
+                          }
+                        >
+                          <History className="h-4 w-4" />
+                          <span className="sr-only">History</span>
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                    {historyUser === user.username && (
+                      <TableRow>
+                        <TableCell colSpan={6} className="bg-muted/30">
+                          <AuditHistory
+                            targetId={userTargetId(user.username)}
+                            refreshKey={revision}
+                          />
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </Fragment>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </main>
+  );
+}
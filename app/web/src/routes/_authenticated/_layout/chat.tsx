@@ -1,7 +1,7 @@
 import { useState, useRef, useEffect } from "react";
 import { createFileRoute } from "@tanstack/react-router";
 import { Send, MessageSquare, User, Loader2, Code, X } from "lucide-react";
-import { queryAskGraph } from "@/lib/utils";
+import { queryAskGraph, friendlyErrorMessage } from "@/lib/utils";
 import { toast } from "@/components/ui/use-toast";
 
 export const Route = createFileRoute("/_authenticated/_layout/chat")({
@@ -85,8 +85,7 @@ function ChatPage() {
       toast({
         variant: "destructive",
         title: "Query Error",
-        description:
-          error?.errors?.[0]?.message || "Failed to process your question",
+        description: friendlyErrorMessage(error, "Failed to process your question"),
       });
       setMessages((prev) => [
         ...prev,
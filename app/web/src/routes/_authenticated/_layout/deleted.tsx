@@ -0,0 +1,314 @@
+import { createFileRoute } from "@tanstack/react-router";
+import { useEffect, useState } from "react";
+import { ArchiveRestore, ArrowRight, RotateCcw } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Skeleton } from "@/components/ui/skeleton";
+import {
+  Icons,
+  queryRecentlyDeleted,
+  queryRecentlyDeletedEdges,
+  mutateRestoreVertex,
+  mutateRestoreEdge,
+  friendlyErrorMessage,
+} from "@/lib/utils";
+import { DeletedEdge, DeletedVertex } from "@/types/types";
+import { toast } from "@/components/ui/use-toast";
+import { useHasRole } from "@/hooks/useHasRole";
+
+const ALL_LABELS = "all";
+const LABEL_OPTIONS = ["Entity", "Asset", "Job", "Part", "Project_Data", "Account"];
+
+const formatDate = (value: string) => new Date(value).toLocaleString();
+
+export const Route = createFileRoute("/_authenticated/_layout/deleted")({
+  component: DeletedPage,
+});
+
+function DeletedPage() {
+  const [label, setLabel] = useState(ALL_LABELS);
+  const [vertices, setVertices] = useState<DeletedVertex[]>([]);
+  const [edges, setEdges] = useState<DeletedEdge[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isLoadingEdges, setIsLoadingEdges] = useState(false);
+  const [restoringId, setRestoringId] = useState<string | null>(null);
+  const canEdit = useHasRole("Editor");
+
+  const fetchDeleted = async (value: string) => {
+    setIsLoading(true);
+    try {
+      const result = await queryRecentlyDeleted(
+        value === ALL_LABELS ? undefined : value
+      );
+      setVertices(result.data?.getRecentlyDeleted ?? []);
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      toast({
+        title: "Failed to load deleted items",
+        description: friendlyErrorMessage(error),
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Only edges deleted on their own; the rest come back with their vertex
+  const fetchDeletedEdges = async () => {
+    setIsLoadingEdges(true);
+    try {
+      const result = await queryRecentlyDeletedEdges();
+      setEdges(result.data?.getRecentlyDeletedEdges ?? []);
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      toast({
+        title: "Failed to load deleted edges",
+        description: friendlyErrorMessage(error),
+        variant: "destructive",
+      });
+    } finally {
+      setIsLoadingEdges(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchDeleted(label);
+  }, [label]);
+
+  useEffect(() => {
+    fetchDeletedEdges();
+  }, []);
+
+  const restore = async (vertex: DeletedVertex) => {
+    setRestoringId(vertex.id);
+    try {
+      await mutateRestoreVertex(vertex.id);
+      setVertices((prev) => prev.filter((v) => v.id !== vertex.id));
+      toast({
+        title: "Restored",
+        description: `${vertex.name || vertex.id} and its edges are back`,
+      });
+      // Edges deleted on their own may now have both endpoints back
+      fetchDeletedEdges();
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      toast({
+        title: "Restore failed",
+        description: friendlyErrorMessage(error),
+        variant: "destructive",
+      });
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const restoreEdge = async (edge: DeletedEdge) => {
+    setRestoringId(edge.id);
+    try {
+      await mutateRestoreEdge(edge.id);
+      setEdges((prev) => prev.filter((e) => e.id !== edge.id));
+      toast({
+        title: "Restored",
+        description: `${edge.label} from ${edge.sourceName || edge.sourceId} is back`,
+      });
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      toast({
+        title: "Restore failed",
+        description: friendlyErrorMessage(error),
+        variant: "destructive",
+      });
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <main className="grid flex-1 items-start gap-4 p-4 sm:px-6 sm:py-0 md:gap-8">
+      <Card className="sm:col-span-2">
+        <CardHeader className="flex flex-row items-start bg-muted/50">
+          <div className="grid gap-0.5">
+            <CardTitle className="group flex items-center gap-2 text-lg">
+              <ArchiveRestore className="h-5 w-5" />
+              Recently Deleted
+            </CardTitle>
+            <CardDescription>
+              Deleted vertices can be restored until they are purged
+            </CardDescription>
+          </div>
+        </CardHeader>
+        <CardContent className="p-6">
+          <div className="mb-4 flex items-center gap-2">
+            <Select value={label} onValueChange={setLabel}>
+              <SelectTrigger className="w-[200px]">
+                <SelectValue placeholder="Label" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL_LABELS}>All labels</SelectItem>
+                {LABEL_OPTIONS.map((option) => (
+                  <SelectItem key={option} value={option}>
+                    {option}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {isLoading ? (
+            <div className="space-y-2">
+              {Array.from({ length: 5 }).map((_, i) => (
+                <Skeleton key={i} className="h-10 w-full" />
+              ))}
+            </div>
+          ) : vertices.length === 0 ? (
+            <div className="flex flex-col items-center justify-center py-12 text-muted-foreground">
+              <ArchiveRestore className="h-10 w-10 mb-2 opacity-40" />
+              <p>Nothing has been deleted recently</p>
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Name</TableHead>
+                  <TableHead>Label</TableHead>
+                  <TableHead>Deleted</TableHead>
+                  <TableHead>Deleted By</TableHead>
+                  <TableHead className="text-right">Edges</TableHead>
+                  <TableHead>Purged After</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {vertices.map((vertex) => (
+                  <TableRow key={vertex.id}>
+                    <TableCell className="font-medium">
+                      {vertex.name || vertex.id}
+                    </TableCell>
+                    <TableCell>{vertex.label}</TableCell>
+                    <TableCell>{formatDate(vertex.deletedAt)}</TableCell>
+                    <TableCell>{vertex.deletedBy ?? "—"}</TableCell>
+                    <TableCell className="text-right">
+                      {vertex.edgeCount ?? 0}
+                    </TableCell>
+                    <TableCell>{formatDate(vertex.purgeAfter)}</TableCell>
+                    <TableCell className="text-right">
+                      {canEdit && (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => restore(vertex)}
+                          disabled={restoringId !== null}
+                        >
+                          {restoringId === vertex.id ? (
+                            <Icons.spinner className="mr-1 h-4 w-4 animate-spin" />
+                          ) : (
+                            <RotateCcw className="mr-1 h-4 w-4" />
+                          )}
+                          Restore
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+      <Card className="sm:col-span-2">
+        <CardHeader className="bg-muted/50">
+          <CardTitle className="text-lg">Deleted Edges</CardTitle>
+          <CardDescription>
+            Edges deleted on their own; edges deleted with a vertex come back
+            when it is restored
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="p-6">
+          {isLoadingEdges ? (
+            <div className="space-y-2">
+              {Array.from({ length: 3 }).map((_, i) => (
+                <Skeleton key={i} className="h-10 w-full" />
+              ))}
+            </div>
+          ) : edges.length === 0 ? (
+            <p className="text-sm text-muted-foreground">
+              No edges have been deleted recently
+            </p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Edge</TableHead>
+                  <TableHead>Label</TableHead>
+                  <TableHead>Deleted</TableHead>
+                  <TableHead>Deleted By</TableHead>
+                  <TableHead>Purged After</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {edges.map((edge) => (
+                  <TableRow key={edge.id}>
+                    <TableCell className="font-medium">
+                      <span className="flex items-center gap-1">
+                        {edge.sourceName || edge.sourceId}
+                        <ArrowRight className="h-3 w-3" />
+                        {edge.targetName || edge.targetId}
+                      </span>
+                    </TableCell>
+                    <TableCell>{edge.label}</TableCell>
+                    <TableCell>{formatDate(edge.deletedAt)}</TableCell>
+                    <TableCell>{edge.deletedBy ?? "—"}</TableCell>
+                    <TableCell>{formatDate(edge.purgeAfter)}</TableCell>
+                    <TableCell className="text-right">
+                      {canEdit && (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => restoreEdge(edge)}
+                          disabled={restoringId !== null}
+                        >
+                          {restoringId === edge.id ? (
+                            <Icons.spinner className="mr-1 h-4 w-4 animate-spin" />
+                          ) : (
+                            <RotateCcw className="mr-1 h-4 w-4" />
+                          )}
+                          Restore
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </main>
+  );
+}
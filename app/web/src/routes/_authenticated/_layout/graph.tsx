@@ -1,8 +1,8 @@
 import { useEffect, useState } from "react";
+import { Download } from "lucide-react";
 import SpriteText from "three-spritetext";
 import ForceGraph3D, { NodeObject } from "react-force-graph-3d";
 import { createFileRoute } from "@tanstack/react-router";
-import { omitBy, map, includes, trim, find } from "lodash-es";
 
 import {
   Sheet,
@@ -11,9 +11,31 @@ import {
   SheetTitle,
 } from "@/components/ui/sheet";
 import { Separator } from "@/components/ui/separator";
-import { Profiles } from "@/data/data";
-import { Graph } from "@/types/types";
-import { queryGetGraph, queryGetProfile } from "@/lib/utils";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { edgeLabelMap, propertyLabels } from "@/data/data";
+import {
+  EntityProfile,
+  GraphOptions,
+  GraphPath,
+  SubgraphFormat,
+} from "@/types/types";
+import {
+  Icons,
+  downloadFile,
+  queryExportSubgraph,
+  queryFindPaths,
+  queryGetEntityProfile,
+  queryGetGraph,
+  friendlyErrorMessage,
+} from "@/lib/utils";
 import { toast } from "@/components/ui/use-toast";
 import { Skeleton } from "@/components/ui/skeleton";
 import { useTheme } from "@/components/theme-provider";
@@ -22,6 +44,24 @@ export const Route = createFileRoute("/_authenticated/_layout/graph")({
   component: Graph3D,
 });
 
+const DEPTH_OPTIONS = ["1", "2", "3", "4"];
+const PATH_COLOR = "#f97316";
+const EXPORT_FORMATS: Array<{ value: SubgraphFormat; label: string }> = [
+  { value: "GRAPHML", label: "GraphML" },
+  { value: "GEXF", label: "GEXF" },
+  { value: "CYTOSCAPE_JSON", label: "Cytoscape JSON" },
+  { value: "NODE_LINK_JSON", label: "Node-link JSON" },
+];
+
+// ForceGraph replaces link endpoints with the node objects once laid out
+const endpointId = (end: unknown) =>
+  typeof end === "object" && end !== null
+    ? String((end as { id: string }).id)
+    : String(end);
+
+const linkKey = (source: unknown, target: unknown, label: string) =>
+  `${endpointId(source)}>${endpointId(target)}>${label}`;
+
 function Graph3D() {
   const { theme } = useTheme();
   const resolvedTheme =
@@ -30,7 +70,6 @@ function Graph3D() {
         ? "dark"
         : "light"
       : theme;
-  const [value] = useState("id");
   const [name, setName] = useState("");
   const [state, setState] = useState<{
     nodes: Array<{
@@ -43,17 +82,18 @@ function Graph3D() {
       value: string;
     }>;
   }>({ nodes: [], links: [] });
-  const [profile, setProfile] = useState<
-    Array<{
-      search_name: string;
-      usage?: string;
-      belong_to?: string;
-      authored_by?: string;
-      affiliated_with?: string;
-      people?: string;
-      made_by?: string | null;
-    }>
-  >([]);
+  const [profile, setProfile] = useState<EntityProfile | null>(null);
+  const [rootId, setRootId] = useState("");
+  const [depth, setDepth] = useState("2");
+  const [truncated, setTruncated] = useState(false);
+  // Arguments of the loaded view, which the Export button downloads
+  const [view, setView] = useState<GraphOptions>({});
+  const [exportFormat, setExportFormat] = useState<SubgraphFormat>("GRAPHML");
+  const [isExporting, setIsExporting] = useState(false);
+  const [pathFrom, setPathFrom] = useState("");
+  const [pathTo, setPathTo] = useState("");
+  const [paths, setPaths] = useState<GraphPath[]>([]);
+  const [selectedPath, setSelectedPath] = useState(0);
   const [open, setOpen] = useState(false);
   const [displayWidth, setDisplayWidth] = useState(window.innerWidth);
   const [displayHeight, setDisplayHeight] = useState(window.innerHeight);
@@ -63,24 +103,114 @@ function Graph3D() {
     setDisplayWidth(window.innerWidth);
     setDisplayHeight(window.innerHeight);
   });
-  const onSubmit = async () => {
+  const onSubmit = async (root: string = rootId) => {
     try {
-      const res = await queryGetGraph(value);
-      setState(res.data.getGraph);
+      const options = {
+        rootId: root.trim() || undefined,
+        depth: Number(depth),
+      };
+      const res = await queryGetGraph(options);
+      const { nodes, links, truncated } = res.data.getGraph;
+      setState({ nodes, links });
+      setTruncated(!!truncated);
+      setView(options);
       // eslint-disable-next-line @typescript-eslint/no-explicit-any
     } catch (error: any) {
       toast({
         variant: "destructive",
         title: "Query Error",
-        description: error.errors[0].message,
+        description: friendlyErrorMessage(error),
       });
     }
   };
-  const getInformation = async () => {
+  const exportView = async () => {
+    setIsExporting(true);
+    try {
+      const res = await queryExportSubgraph(exportFormat, view);
+      const exported = res.data.exportSubgraph;
+      if (!exported) return;
+      downloadFile(exported.content, exported.fileName, exported.contentType);
+      toast({
+        title: `Exported ${exported.nodeCount} vertices and ${exported.edgeCount} edges`,
+        description: exported.truncated
+          ? "The neighborhood was truncated at the node limit"
+          : undefined,
+      });
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      toast({
+        variant: "destructive",
+        title: "Export Error",
+        description: friendlyErrorMessage(error),
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const findPath = async () => {
+    if (!pathFrom.trim() || !pathTo.trim()) return;
+    try {
+      const res = await queryFindPaths(pathFrom.trim(), pathTo.trim());
+      const found = res.data.findPaths ?? [];
+      setPaths(found);
+      setSelectedPath(0);
+      if (found.length === 0) {
+        toast({ title: "No path found" });
+        return;
+      }
+
+      // Make sure every vertex and edge on the paths is part of the view
+      setState((prev) => {
+        const nodeIds = new Set(prev.nodes.map((n) => n.id));
+        const linkKeys = new Set(
+          prev.links.map((l) => linkKey(l.source, l.target, l.value))
+        );
+        const nodes = [...prev.nodes];
+        const links = [...prev.links];
+        for (const path of found) {
+          for (const v of path.vertices) {
+            if (!nodeIds.has(v.id)) {
+              nodeIds.add(v.id);
+              nodes.push({ id: v.id, label: v.label });
+            }
+          }
+          for (const e of path.edges) {
+            const key = linkKey(e.source, e.target, e.label);
+            if (!linkKeys.has(key)) {
+              linkKeys.add(key);
+              links.push({ source: e.source, target: e.target, value: e.label });
+            }
+          }
+        }
+        return { nodes, links };
+      });
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      toast({
+        variant: "destructive",
+        title: "Query Error",
+        description: friendlyErrorMessage(error),
+      });
+    }
+  };
+
+  const activePath = paths[selectedPath];
+  const highlightNodes = new Set(activePath?.vertices.map((v) => v.id) ?? []);
+  const highlightLinks = new Set(
+    activePath?.edges.map((e) => linkKey(e.source, e.target, e.label)) ?? []
+  );
+  const isHighlighted = (link: object) => {
+    const l = link as { source: unknown; target: unknown; value: string };
+    return highlightLinks.has(linkKey(l.source, l.target, l.value));
+  };
+
+  const getInformation = async (id: string) => {
     try {
       setIsLoading(true);
-      const res = await queryGetProfile(name, value);
-      setProfile(res.data.getProfile);
+      setProfile(null);
+      const res = await queryGetEntityProfile(id);
+      setProfile(res.data.getEntityProfile);
       // eslint-disable-next-line @typescript-eslint/no-explicit-any
     } catch (error: any) {
       console.log(error);
@@ -88,59 +218,99 @@ function Graph3D() {
       toast({
         variant: "destructive",
         title: "Query Error",
-        description: error.errors[0].message,
+        description: friendlyErrorMessage(error),
       });
     }
     setIsLoading(false);
   };
 
-  useEffect(() => {
-    getInformation();
-  }, [name]);
+  const openProfile = (id: string) => {
+    setName(id);
+    setOpen(true);
+    getInformation(id);
+  };
 
   useEffect(() => {
     onSubmit();
   }, []);
 
-  const Details = () => {
-    const res = omitBy(profile[0], (value: string) => {
-      return includes(value, "[]");
-    });
-
-    const data: Graph[] = [];
-    map(res, (value, key) => {
-      find(Profiles, (obj) => {
-        if (obj.value === key) {
-          const res = { ...obj, data: value };
-          data.push(res);
-        }
-      });
-    });
-
-    return (
-      <>
-        <div className="flex flex-col py-8">
-          {map(data, (value: Graph, index: number) => (
-            <div key={index.toString()}>
-              <div className="flex flex-row justify-between py-4">
-                <div className="basis=1/4 font-bold">{value.description}</div>
-              </div>
-              <div className="basis=1/4 py-4">{trim(value.data, "[]")}</div>
-              <Separator />
+  const Details = ({ profile }: { profile: EntityProfile }) => (
+    <div className="flex flex-col py-8">
+      <div className="pb-4">
+        <div className="font-bold">{profile.name || profile.id}</div>
+        <div className="text-sm text-muted-foreground">{profile.label}</div>
+      </div>
+      <Separator />
+      {profile.properties.map((prop) => (
+        <div
+          key={prop.key}
+          className="flex flex-row justify-between gap-4 py-2 text-sm"
+        >
+          <div className="font-medium text-muted-foreground">
+            {propertyLabels[prop.key] || prop.key}
+          </div>
+          <div className="text-right break-all">{prop.value}</div>
+        </div>
+      ))}
+      {profile.relations.map((group) => (
+        <div key={`${group.direction}:${group.edgeLabel}`}>
+          <Separator />
+          <div className="flex flex-row justify-between py-4">
+            <div className="font-bold">
+              {group.direction === "incoming" ? "← " : "→ "}
+              {edgeLabelMap[group.edgeLabel] || group.edgeLabel}
             </div>
-          ))}
+            <div className="text-sm text-muted-foreground">{group.count}</div>
+          </div>
+          <div className="flex flex-col gap-1 pb-4">
+            {group.targets.map((target) => (
+              <button
+                key={target.edgeId ?? target.id}
+                className="text-left text-sm hover:underline"
+                onClick={() => openProfile(target.id)}
+              >
+                {target.name || target.id}
+                <span className="ml-2 text-muted-foreground">
+                  {target.label}
+                </span>
+              </button>
+            ))}
+          </div>
         </div>
-      </>
-    );
-  };
+      ))}
+    </div>
+  );
 
   return (
-    <main className="grid items-center flex-1 gap-4">
+    <main className="relative grid items-center flex-1 gap-4">
       <Sheet open={open} onOpenChange={setOpen}>
-        <SheetContent>
+        <SheetContent className="overflow-y-auto">
           <SheetHeader>
-            <SheetTitle>Relation</SheetTitle>
+            <SheetTitle>Profile</SheetTitle>
           </SheetHeader>
+          <Button
+            size="sm"
+            variant="outline"
+            className="mt-4"
+            onClick={() => {
+              setRootId(name);
+              setOpen(false);
+              onSubmit(name);
+            }}
+          >
+            Explore neighborhood
+          </Button>
+          <Button
+            size="sm"
+            variant="outline"
+            className="mt-4 ml-2"
+            onClick={() => {
+              setPathFrom(name);
+              setOpen(false);
+            }}
+          >
+            Find paths from here
+          </Button>
           {isLoading ? (
             <>
               <div className="flex flex-col space-y-3 py-8">
@@ -152,10 +322,109 @@ function Graph3D() {
               </div>
             </>
           ) : (
-            <>{profile.length !== 0 ? <Details /> : <></>}</>
+            <>{profile ? <Details profile={profile} /> : <></>}</>
           )}
         </SheetContent>
       </Sheet>
+      <div className="absolute top-4 left-16 z-10 flex items-center gap-2 rounded-lg border bg-background/90 p-2">
+        <Input
+          placeholder="Root vertex id (empty for a sample)"
+          value={rootId}
+          onChange={(e) => setRootId(e.target.value)}
+          className="w-[260px]"
+        />
+        <Select value={depth} onValueChange={setDepth}>
+          <SelectTrigger className="w-[110px]">
+            <SelectValue placeholder="Depth" />
+          </SelectTrigger>
+          <SelectContent>
+            {DEPTH_OPTIONS.map((d) => (
+              <SelectItem key={d} value={d}>
+                {d} hop{d === "1" ? "" : "s"}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button size="sm" onClick={() => onSubmit()}>
+          Load
+        </Button>
+        <Select
+          value={exportFormat}
+          onValueChange={(value) => setExportFormat(value as SubgraphFormat)}
+        >
+          <SelectTrigger className="w-[160px]">
+            <SelectValue placeholder="Format" />
+          </SelectTrigger>
+          <SelectContent>
+            {EXPORT_FORMATS.map((f) => (
+              <SelectItem key={f.value} value={f.value}>
+                {f.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={exportView}
+          disabled={isExporting || state.nodes.length === 0}
+        >
+          {isExporting ? (
+            <Icons.spinner className="mr-1 h-4 w-4 animate-spin" />
+          ) : (
+            <Download className="mr-1 h-4 w-4" />
+          )}
+          Export
+        </Button>
+        {truncated && (
+          <span className="text-xs text-muted-foreground">
+            Showing a truncated subgraph
+          </span>
+        )}
+      </div>
+      <div className="absolute top-20 left-16 z-10 flex flex-col gap-2 rounded-lg border bg-background/90 p-2">
+        <div className="flex items-center gap-2">
+          <Input
+            placeholder="From vertex id"
+            value={pathFrom}
+            onChange={(e) => setPathFrom(e.target.value)}
+            className="w-[180px]"
+          />
+          <Input
+            placeholder="To vertex id"
+            value={pathTo}
+            onChange={(e) => setPathTo(e.target.value)}
+            className="w-[180px]"
+          />
+          <Button size="sm" onClick={findPath}>
+            Find paths
+          </Button>
+          {paths.length > 0 && (
+            <Button size="sm" variant="ghost" onClick={() => setPaths([])}>
+              Clear
+            </Button>
+          )}
+        </div>
+        {paths.map((path, index) => (
+          <button
+            key={index}
+            onClick={() => setSelectedPath(index)}
+            className={`rounded-md border px-2 py-1 text-left text-xs ${
+              index === selectedPath ? "border-primary bg-accent" : "border-border"
+            }`}
+          >
+            {path.vertices
+              .map((v, i) => {
+                const e = path.edges[i];
+                if (!e) return v.name ?? v.id;
+                return e.source === v.id
+                  ? `${v.name ?? v.id} —${e.label}→`
+                  : `${v.name ?? v.id} ←${e.label}—`;
+              })
+              .join(" ")}
+          </button>
+        ))}
+      </div>
       <ForceGraph3D
         graphData={state}
         nodeAutoColorBy={"label"}
@@ -164,21 +433,25 @@ function Graph3D() {
         height={displayHeight}
         width={displayWidth}
         nodeLabel={"id"}
-        onNodeClick={(event: { id: string }) => {
-          setName(event.id);
-          setOpen(true);
-        }}
+        onNodeClick={(event: { id: string }) => openProfile(event.id)}
         nodeThreeObject={(node: NodeObject) => {
           if (typeof node.id !== "string") {
             return;
           }
           const sprite = new SpriteText(node.id);
-          sprite.color = node.color;
+          sprite.color = highlightNodes.has(node.id) ? PATH_COLOR : node.color;
           sprite.textHeight = 8;
           return sprite;
         }}
         linkThreeObjectExtend={true}
-        linkColor={() => resolvedTheme === "dark" ? "#999999" : "#333333"}
+        linkColor={(link: object) =>
+          isHighlighted(link)
+            ? PATH_COLOR
+            : resolvedTheme === "dark"
+              ? "#999999"
+              : "#333333"
+        }
+        linkWidth={(link: object) => (isHighlighted(link) ? 2 : 0)}
         linkThreeObject={(link: { source: string; target: string }) => {
           // extend link with text sprite
           const sprite = new SpriteText(`${link.source} > ${link.target}`);
@@ -0,0 +1,423 @@
+import { Link, createFileRoute, redirect } from "@tanstack/react-router";
+import { DragEvent, useEffect, useRef, useState } from "react";
+import { FileUp, Play, Trash2 } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Icons,
+  queryLoad,
+  queryImport,
+  mutateCreateImportUploads,
+  mutateStartImport,
+  friendlyErrorMessage,
+} from "@/lib/utils";
+import { CsvPreview, FileKind, previewCsv } from "@/lib/csv";
+import { hasRole } from "@/lib/roles";
+import { BulkLoad, ImportResult, ValidationReport } from "@/types/types";
+import { toast } from "@/components/ui/use-toast";
+
+// Loader statuses of loads that have not ended yet
+const RUNNING_STATUSES = ["LOAD_NOT_STARTED", "LOAD_IN_QUEUE", "LOAD_IN_PROGRESS"];
+const POLL_MS = 3000;
+// The import Lambda runs for at most 15 minutes
+const START_TIMEOUT_MS = 15 * 60 * 1000;
+// Shown per file; the server validates every row
+const PREVIEW_ROWS = 5;
+
+type StagedFile = {
+  file: File;
+  preview: CsvPreview;
+  kind: FileKind;
+};
+
+type Phase = "idle" | "uploading" | "starting" | "loading" | "done";
+
+const timestamp = () => new Date().toLocaleTimeString();
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const fileOf = (load: BulkLoad) => load.source.split("/").pop() ?? load.source;
+
+export const Route = createFileRoute("/_authenticated/_layout/import")({
+  beforeLoad: ({ context }) => {
+    if (!hasRole(context.auth.groups, "Editor")) {
+      throw redirect({ to: "/" });
+    }
+  },
+  component: ImportPage,
+});
+
+function ImportPage() {
+  const [files, setFiles] = useState<StagedFile[]>([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const [validate, setValidate] = useState(true);
+  const [failOnError, setFailOnError] = useState(false);
+  const [phase, setPhase] = useState<Phase>("idle");
+  const [report, setReport] = useState<ValidationReport | null>(null);
+  const [loads, setLoads] = useState<BulkLoad[]>([]);
+  const [log, setLog] = useState<string[]>([]);
+  const inputRef = useRef<HTMLInputElement>(null);
+  const busy = phase === "uploading" || phase === "starting" || phase === "loading";
+
+  const append = (line: string) =>
+    setLog((prev) => [...prev, `${timestamp()}  ${line}`]);
+
+  const addFiles = async (list: FileList | null) => {
+    const csvFiles = Array.from(list ?? []).filter((file) =>
+      file.name.toLowerCase().endsWith(".csv")
+    );
+    if (csvFiles.length < (list?.length ?? 0)) {
+      toast({ title: "Only .csv files can be imported", variant: "destructive" });
+    }
+    const staged = await Promise.all(
+      csvFiles.map(async (file) => {
+        // The header and the first rows are near the start of the file
+        const preview = previewCsv(await file.slice(0, 256 * 1024).text(), PREVIEW_ROWS);
+        return { file, preview, kind: preview.kind };
+      })
+    );
+    setFiles((prev) => [
+      ...prev.filter((f) => !staged.some((s) => s.file.name === f.file.name)),
+      ...staged,
+    ]);
+    setReport(null);
+  };
+
+  const onDrop = (e: DragEvent<HTMLDivElement>) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (!busy) addFiles(e.dataTransfer.files);
+  };
+
+  // Follows the started loads until they all end
+  const running = loads.some((load) => RUNNING_STATUSES.includes(load.status));
+  useEffect(() => {
+    if (phase !== "loading") return;
+    if (!running) {
+      setPhase("done");
+      const failed = loads.filter((load) => load.status !== "LOAD_COMPLETED");
+      append(
+        failed.length === 0
+          ? "Import completed; new vertices become searchable once the search index is rebuilt"
+          : `Import ended with ${failed.length} failed load(s)`
+      );
+      return;
+    }
+    const timer = setInterval(async () => {
+      try {
+        const updated = await Promise.all(
+          loads.map(async (load) =>
+            RUNNING_STATUSES.includes(load.status)
+              ? (await queryLoad(load.loadId)).data?.getLoad ?? load
+              : load
+          )
+        );
+        updated.forEach((load, i) => {
+          const before = loads[i];
+          if (
+            load.status !== before.status ||
+            load.totalRecords !== before.totalRecords
+          ) {
+            append(
+              `${fileOf(load)}: ${load.status}` +
+                (load.totalRecords !== null ? `, ${load.totalRecords} records` : "")
+            );
+          }
+          for (const error of load.errors.slice(before.errors.length)) {
+            append(`${fileOf(load)}: ${error.errorCode} ${error.errorMessage} (record ${error.recordNum})`);
+          }
+        });
+        setLoads(updated);
+        // eslint-disable-next-line @typescript-eslint/no-explicit-any
+      } catch (error: any) {
+        console.error(error);
+        append(`Status check failed: ${friendlyErrorMessage(error)}`);
+      }
+    }, POLL_MS);
+    return () => clearInterval(timer);
+  }, [phase, running, loads]);
+
+  const startImport = async () => {
+    setReport(null);
+    setLoads([]);
+    setLog([]);
+    try {
+      setPhase("uploading");
+      append(`Requesting upload URLs for ${files.length} file(s)`);
+      const uploads = (
+        await mutateCreateImportUploads(files.map((f) => f.file.name))
+      ).data.createImportUploads;
+      for (const [i, upload] of uploads.entries()) {
+        append(`Uploading ${upload.fileName}`);
+        const response = await fetch(upload.uploadUrl, {
+          method: "PUT",
+          body: files[i].file,
+          headers: { "Content-Type": "text/csv" },
+        });
+        if (!response.ok) {
+          throw new Error(`Upload of ${upload.fileName} failed with ${response.status}`);
+        }
+      }
+
+      setPhase("starting");
+      append(validate ? "Validating and starting the loads" : "Starting the loads");
+      const keysOf = (kind: FileKind) =>
+        uploads.filter((_, i) => files[i].kind === kind).map((u) => u.key);
+      const { importId } = (
+        await mutateStartImport({
+          vertexKeys: keysOf("vertex"),
+          edgeKeys: keysOf("edge"),
+          validate,
+          failOnError,
+        })
+      ).data.startImport;
+      // The import runs in the background and reports through getImport
+      const deadline = Date.now() + START_TIMEOUT_MS;
+      let result: ImportResult | null = null;
+      while (!result || result.status === "STARTING") {
+        if (Date.now() > deadline) {
+          throw new Error(`Import ${importId} did not start; check the Bulk Loads page`);
+        }
+        await sleep(POLL_MS);
+        result = (await queryImport(importId)).data.getImport;
+      }
+      if (result.status === "FAILED" && result.loads.length === 0) {
+        throw new Error(result.error ?? "The import failed before any load started");
+      }
+      const validation: ValidationReport | null = result.validation
+        ? JSON.parse(result.validation)
+        : null;
+      setReport(validation);
+      if (validation && !validation.valid) {
+        append(`Validation failed: ${validation.errorCount} errors; nothing was loaded`);
+        setPhase("done");
+        return;
+      }
+      if (validation) {
+        append(`Validation passed with ${validation.warningCount} warning(s)`);
+      }
+      result.loads.forEach((load) =>
+        append(`${fileOf(load)}: queued as load ${load.loadId}`)
+      );
+      setLoads(result.loads);
+      setPhase("loading");
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      append(`ERROR: ${friendlyErrorMessage(error)}`);
+      toast({
+        title: "Import failed",
+        description: friendlyErrorMessage(error),
+        variant: "destructive",
+      });
+      setPhase("done");
+    }
+  };
+
+  return (
+    <main className="grid flex-1 items-start gap-4 p-4 sm:px-6 sm:py-0 md:gap-8">
+      <Card className="sm:col-span-2">
+        <CardHeader className="flex flex-row items-start bg-muted/50">
+          <div className="grid gap-0.5">
+            <CardTitle className="group flex items-center gap-2 text-lg">
+              <FileUp className="h-5 w-5" />
+              Import
+            </CardTitle>
+            <CardDescription>
+              Upload vertex and edge CSV files in the Neptune bulk-load format
+              and load them into the graph
+            </CardDescription>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-6 p-6">
+          <div
+            onDragOver={(e) => {
+              e.preventDefault();
+              setIsDragging(true);
+            }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={onDrop}
+            onClick={() => !busy && inputRef.current?.click()}
+            className={`flex cursor-pointer flex-col items-center justify-center rounded-lg border-2 border-dashed p-8 text-sm text-muted-foreground ${
+              isDragging ? "border-primary bg-muted/50" : ""
+            }`}
+          >
+            <FileUp className="mb-2 h-8 w-8" />
+            Drop .csv files here or click to choose
+            <input
+              ref={inputRef}
+              type="file"
+              accept=".csv,text/csv"
+              multiple
+              className="hidden"
+              onChange={(e) => {
+                addFiles(e.target.files);
+                e.target.value = "";
+              }}
+            />
+          </div>
+
+          {files.map((staged) => (
+            <div key={staged.file.name} className="space-y-2">
+              <div className="flex items-center gap-2">
+                <span className="font-medium">{staged.file.name}</span>
+                <span className="text-xs text-muted-foreground">
+                  {(staged.file.size / 1024).toFixed(1)} KB
+                </span>
+                <Select
+                  value={staged.kind}
+                  onValueChange={(kind) =>
+                    setFiles((prev) =>
+                      prev.map((f) =>
+                        f === staged ? { ...f, kind: kind as FileKind } : f
+                      )
+                    )
+                  }
+                  disabled={busy}
+                >
+                  <SelectTrigger className="h-8 w-[120px]">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="vertex">Vertices</SelectItem>
+                    <SelectItem value="edge">Edges</SelectItem>
+                  </SelectContent>
+                </Select>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  className="ml-auto"
+                  onClick={() => setFiles((prev) => prev.filter((f) => f !== staged))}
+                  disabled={busy}
+                >
+                  <Trash2 className="h-4 w-4" />
+                  <span className="sr-only">Remove</span>
+                </Button>
+              </div>
+              <div className="overflow-x-auto rounded border">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      {staged.preview.columns.map((column) => (
+                        <TableHead key={column.header} className="whitespace-nowrap">
+                          <div>{column.name}</div>
+                          <div className="text-xs font-normal">
+                            {column.type}
+                            {!column.declared && " (detected)"}
+                          </div>
+                        </TableHead>
+                      ))}
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {staged.preview.rows.map((row, i) => (
+                      <TableRow key={i}>
+                        {staged.preview.columns.map((column, j) => (
+                          <TableCell key={column.header} className="whitespace-nowrap text-xs">
+                            {row[j]}
+                          </TableCell>
+                        ))}
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            </div>
+          ))}
+
+          <div className="flex flex-wrap items-center gap-4 text-sm">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={validate}
+                onChange={(e) => setValidate(e.target.checked)}
+                disabled={busy}
+              />
+              Validate before loading
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={failOnError}
+                onChange={(e) => setFailOnError(e.target.checked)}
+                disabled={busy}
+              />
+              Stop a load at its first error
+            </label>
+            <Button
+              size="sm"
+              className="ml-auto"
+              onClick={startImport}
+              disabled={files.length === 0 || busy}
+            >
+              {busy ? (
+                <Icons.spinner className="mr-1 h-4 w-4 animate-spin" />
+              ) : (
+                <Play className="mr-1 h-4 w-4" />
+              )}
+              Upload and load
+            </Button>
+          </div>
+
+          {report && report.issues.length > 0 && (
+            <div className="space-y-1 text-sm">
+              <div className="font-medium">
+                Validation: {report.errorCount} errors, {report.warningCount} warnings
+              </div>
+              <ul className="max-h-64 overflow-y-auto font-mono text-xs">
+                {report.issues.map((issue, i) => (
+                  <li
+                    key={i}
+                    className={issue.severity === "error" ? "text-destructive" : "text-muted-foreground"}
+                  >
+                    {issue.file.split("/").pop()}:{issue.line} {issue.code}
+                    {issue.column && ` [${issue.column}]`}: {issue.message}
+                  </li>
+                ))}
+                {report.truncated && <li>…</li>}
+              </ul>
+            </div>
+          )}
+
+          {log.length > 0 && (
+            <div className="space-y-1">
+              <pre className="max-h-80 overflow-y-auto rounded bg-muted p-3 text-xs">
+                {log.join("\n")}
+              </pre>
+              {loads.length > 0 && (
+                <p className="text-xs text-muted-foreground">
+                  These loads also appear on the{" "}
+                  <Link to="/loads" className="underline">
+                    Bulk Loads
+                  </Link>{" "}
+                  page.
+                </p>
+              )}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </main>
+  );
+}
@@ -10,7 +10,9 @@ import {
   Building2,
   Car,
   Package,
+  Pencil,
   Search,
+  Trash2,
   Wrench,
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
@@ -37,13 +39,22 @@ import { toast } from "@/components/ui/use-toast";
 import { Input } from "@/components/ui/input";
 import { EntityProperty, EdgeRelation, SearchResult } from "@/types/types";
 import { Separator } from "@/components/ui/separator";
+import { PropertyEditor } from "@/components/PropertyEditor";
+import { useHasRole } from "@/hooks/useHasRole";
+import { AuditHistory } from "@/components/AuditHistory";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import {
   Icons,
   queryEntityProperties,
   queryEntityEdges,
   querySearchEntities,
+  mutateUpdateVertex,
+  mutateDeleteVertex,
+  mutateUpdateEdge,
+  mutateDeleteEdge,
+  friendlyErrorMessage,
 } from "@/lib/utils";
-import { radioGroupValue } from "@/data/data";
+import { edgeLabelMap, propertyLabels, radioGroupValue } from "@/data/data";
 import { Skeleton } from "@/components/ui/skeleton";
 
 export const Route = createFileRoute("/_authenticated/_layout/")({
@@ -56,45 +67,6 @@ const FormSchema = z.object({
   description: z.string(),
 });
 
-const propertyLabels: Record<string, string> = {
-  entityTypes: "Type",
-  companyName: "Company Name",
-  name: "Name",
-  companyType: "Company Type",
-  address: "Address",
-  email: "Email",
-  phone: "Phone",
-  website: "Website",
-  country: "Country",
-  assetType: "Asset Type",
-  make: "Make",
-  model: "Model",
-  year: "Year",
-  vin: "VIN",
-  serialNumber: "Serial Number",
-  brand: "Brand",
-  jobName: "Job Name",
-  jobCategory: "Category",
-  status: "Status",
-  roNumber: "RO Number",
-  partName: "Part Name",
-  partId: "Part ID",
-  retailCost: "Retail Cost",
-};
-
-const edgeLabelMap: Record<string, string> = {
-  WORKS_FOR: "Works For",
-  REQUESTS_WORK: "Requests Work",
-  DOES_WORK_FOR: "Does Work For",
-  OWNS_ASSET: "Owns Asset",
-  MANAGES_JOB: "Manages Job",
-  SERVICE_ON: "Service On",
-  PAYS_FOR: "Pays For",
-  OFFERS_PART: "Offers Part",
-  HAS_LINE_ITEM: "Has Line Item",
-  JOBBER_FOR_JOB: "Jobber For Job",
-};
-
 function getTargetIcon(label: string) {
   switch (label) {
     case "Entity":
@@ -110,6 +82,16 @@ function getTargetIcon(label: string) {
   }
 }
 
+const SEARCH_PAGE_SIZE = 25;
+
+// Same precedence as the displayName() used by the query Lambda
+const NAME_KEYS = ["companyName", "name", "jobName", "partName", "make"];
+
+const displayName = (properties: EntityProperty[], fallback: string) =>
+  NAME_KEYS.map((key) => properties.find((p) => p.key === key)?.value).find(
+    Boolean
+  ) ?? fallback;
+
 export function Dashboard() {
   const form = useForm<z.infer<typeof FormSchema>>({
     resolver: zodResolver(FormSchema),
@@ -117,6 +99,10 @@ export function Dashboard() {
   const refName = useRef<HTMLInputElement>(null);
   const [value, setValue] = useState("Company");
   const [searchResults, setSearchResults] = useState<SearchResult[]>([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [endCursor, setEndCursor] = useState<string | null>(null);
+  const [hasNextPage, setHasNextPage] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [selectedResult, setSelectedResult] = useState<SearchResult | null>(
     null
   );
@@ -125,6 +111,10 @@ export function Dashboard() {
   const [isSearching, setIsSearching] = useState(false);
   const [isLoadingDetail, setIsLoadingDetail] = useState(false);
   const [searchTerm, setSearchTerm] = useState("");
+  const [isEditing, setIsEditing] = useState(false);
+  const [editingEdgeId, setEditingEdgeId] = useState<string | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const canEdit = useHasRole("Editor");
 
   const selectedOption = radioGroupValue.find((r) => r.value === value);
 
@@ -142,9 +132,18 @@ export function Dashboard() {
     setEdges([]);
 
     try {
-      const result = await querySearchEntities(value, name || undefined);
-      const results = result.data!.searchEntities || [];
+      const result = await querySearchEntities(
+        value,
+        name || undefined,
+        { first: SEARCH_PAGE_SIZE },
+        "RANKED"
+      );
+      const connection = result.data!.searchEntities;
+      const results = connection?.edges.map((e) => e.node) ?? [];
       setSearchResults(results);
+      setTotalCount(connection?.totalCount ?? 0);
+      setEndCursor(connection?.pageInfo.endCursor ?? null);
+      setHasNextPage(connection?.pageInfo.hasNextPage ?? false);
 
       if (results.length === 1) {
         // Auto-select if only one result
@@ -152,7 +151,7 @@ export function Dashboard() {
       } else if (results.length === 0) {
         toast({ title: "No results found" });
       } else {
-        toast({ title: `Found ${results.length} results` });
+        toast({ title: `Found ${connection?.totalCount} results` });
       }
       // eslint-disable-next-line @typescript-eslint/no-explicit-any
     } catch (error: any) {
@@ -160,16 +159,47 @@ export function Dashboard() {
       toast({
         variant: "destructive",
         title: "Search Error",
-        description:
-          error.errors?.[0]?.message || error.message || "An error occurred",
+        description: friendlyErrorMessage(error),
       });
     } finally {
       setIsSearching(false);
     }
   };
 
+  const loadMore = async () => {
+    setIsLoadingMore(true);
+    try {
+      const result = await querySearchEntities(
+        value,
+        searchTerm || undefined,
+        { first: SEARCH_PAGE_SIZE, after: endCursor },
+        "RANKED"
+      );
+      const connection = result.data!.searchEntities;
+      setSearchResults((prev) => [
+        ...prev,
+        ...(connection?.edges.map((e) => e.node) ?? []),
+      ]);
+      setTotalCount(connection?.totalCount ?? 0);
+      setEndCursor(connection?.pageInfo.endCursor ?? null);
+      setHasNextPage(connection?.pageInfo.hasNextPage ?? false);
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      toast({
+        variant: "destructive",
+        title: "Search Error",
+        description: friendlyErrorMessage(error),
+      });
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
   const selectResult = async (result: SearchResult) => {
     setSelectedResult(result);
+    setIsEditing(false);
+    setEditingEdgeId(null);
     setIsLoadingDetail(true);
 
     try {
@@ -186,14 +216,170 @@ export function Dashboard() {
       toast({
         variant: "destructive",
         title: "Error loading details",
-        description:
-          error.errors?.[0]?.message || error.message || "An error occurred",
+        description: friendlyErrorMessage(error),
       });
     } finally {
       setIsLoadingDetail(false);
     }
   };
 
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  const showMutationError = (title: string, error: any) => {
+    console.error(error);
+    toast({
+      variant: "destructive",
+      title,
+      description: friendlyErrorMessage(error),
+    });
+  };
+
+  const saveVertex = async (changes: Record<string, string | null>) => {
+    if (!selectedResult || Object.keys(changes).length === 0) {
+      setIsEditing(false);
+      return;
+    }
+    setIsSaving(true);
+    try {
+      const res = await mutateUpdateVertex(
+        selectedResult.id,
+        selectedResult.label,
+        changes
+      );
+      const updated = res.data!.updateVertex;
+      const renamed = {
+        ...selectedResult,
+        name: displayName(updated.properties, selectedResult.name),
+      };
+      setProperties(updated.properties);
+      setSelectedResult(renamed);
+      setSearchResults((prev) =>
+        prev.map((r) => (r.id === renamed.id ? renamed : r))
+      );
+      setIsEditing(false);
+      toast({ title: "Changes saved" });
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      showMutationError("Update failed", error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const deleteVertex = async () => {
+    if (!selectedResult) return;
+    const cascade = edges.length > 0;
+    const message = cascade
+      ? `Delete ${selectedResult.name} and its ${edges.length} relations?`
+      : `Delete ${selectedResult.name}?`;
+    if (!window.confirm(message)) return;
+
+    setIsSaving(true);
+    try {
+      await mutateDeleteVertex(selectedResult.id, selectedResult.label, cascade);
+      setSearchResults((prev) =>
+        prev.filter((r) => r.id !== selectedResult.id)
+      );
+      setTotalCount((prev) => Math.max(prev - 1, 0));
+      setSelectedResult(null);
+      setProperties([]);
+      setEdges([]);
+      toast({ title: `Deleted ${selectedResult.name}` });
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      showMutationError("Delete failed", error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const saveEdge = async (
+    edge: EdgeRelation,
+    changes: Record<string, string | null>
+  ) => {
+    if (!edge.edgeId || Object.keys(changes).length === 0) {
+      setEditingEdgeId(null);
+      return;
+    }
+    setIsSaving(true);
+    try {
+      const res = await mutateUpdateEdge(edge.edgeId, edge.edgeLabel, changes);
+      const updated = res.data!.updateEdge;
+      setEdges((prev) =>
+        prev.map((e) =>
+          e.edgeId === edge.edgeId
+            ? { ...e, properties: updated.properties }
+            : e
+        )
+      );
+      setEditingEdgeId(null);
+      toast({ title: "Changes saved" });
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      showMutationError("Update failed", error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const deleteEdge = async (edge: EdgeRelation) => {
+    if (!edge.edgeId) return;
+    const label = edgeLabelMap[edge.edgeLabel] || edge.edgeLabel;
+    if (!window.confirm(`Delete relation ${label} with ${edge.targetName}?`)) {
+      return;
+    }
+    setIsSaving(true);
+    try {
+      await mutateDeleteEdge(edge.edgeId, edge.edgeLabel);
+      setEdges((prev) => prev.filter((e) => e.edgeId !== edge.edgeId));
+      toast({ title: `Deleted relation ${label}` });
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      showMutationError("Delete failed", error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const edgeControls = (edge: EdgeRelation) =>
+    canEdit && edge.edgeId ? (
+      <span className="ml-auto flex gap-1">
+        <Button
+          size="icon"
+          variant="ghost"
+          className="h-7 w-7"
+          onClick={() => setEditingEdgeId(edge.edgeId)}
+          disabled={isSaving}
+        >
+          <Pencil className="h-4 w-4" />
+        </Button>
+        <Button
+          size="icon"
+          variant="ghost"
+          className="h-7 w-7 text-destructive hover:text-destructive"
+          onClick={() => deleteEdge(edge)}
+          disabled={isSaving}
+        >
+          <Trash2 className="h-4 w-4" />
+        </Button>
+      </span>
+    ) : null;
+
+  const edgeDetails = (edge: EdgeRelation) =>
+    editingEdgeId && edge.edgeId === editingEdgeId ? (
+      <div className="pl-7 pb-2 text-sm">
+        <PropertyEditor
+          properties={edge.properties ?? []}
+          saving={isSaving}
+          onSave={(changes) => saveEdge(edge, changes)}
+          onCancel={() => setEditingEdgeId(null)}
+        />
+      </div>
+    ) : edge.properties && edge.properties.length > 0 ? (
+      <div className="pl-7 pb-1 text-xs text-muted-foreground">
+        {edge.properties.map((p) => `${p.key}: ${p.value}`).join(" · ")}
+      </div>
+    ) : null;
+
   const outgoingEdges = edges.filter((e) => e.direction === "outgoing");
   const incomingEdges = edges.filter((e) => e.direction === "incoming");
 
@@ -276,7 +462,7 @@ export function Dashboard() {
                 <CardTitle className="group flex items-center gap-2 text-lg">
                   Results
                   <span className="text-sm font-normal text-muted-foreground">
-                    ({searchResults.length} found)
+                    ({searchResults.length} of {totalCount})
                   </span>
                 </CardTitle>
               </div>
@@ -306,6 +492,18 @@ export function Dashboard() {
                     </div>
                   </button>
                 ))}
+                {hasNextPage && (
+                  <Button
+                    variant="outline"
+                    onClick={loadMore}
+                    disabled={isLoadingMore}
+                  >
+                    {isLoadingMore && (
+                      <Icons.spinner className="mr-2 h-4 w-4 animate-spin" />
+                    )}
+                    Load more
+                  </Button>
+                )}
               </div>
             </CardContent>
           </Card>
@@ -320,6 +518,28 @@ export function Dashboard() {
                 Properties
               </CardTitle>
             </div>
+            {canEdit && selectedResult && !isLoadingDetail && !isEditing && (
+              <div className="ml-auto flex gap-1">
+                <Button
+                  size="icon"
+                  variant="ghost"
+                  className="h-8 w-8"
+                  onClick={() => setIsEditing(true)}
+                  disabled={isSaving}
+                >
+                  <Pencil className="h-4 w-4" />
+                </Button>
+                <Button
+                  size="icon"
+                  variant="ghost"
+                  className="h-8 w-8 text-destructive hover:text-destructive"
+                  onClick={deleteVertex}
+                  disabled={isSaving}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            )}
           </CardHeader>
           <CardContent className="flex flex-col p-6 text-sm">
             {isLoadingDetail ? (
@@ -341,7 +561,17 @@ export function Dashboard() {
                     {selectedResult?.name || searchTerm || ""}
                   </span>
                 </div>
-                {properties.length > 0 ? (
+                {isEditing ? (
+                  <>
+                    <Separator />
+                    <PropertyEditor
+                      properties={properties}
+                      saving={isSaving}
+                      onSave={saveVertex}
+                      onCancel={() => setIsEditing(false)}
+                    />
+                  </>
+                ) : properties.length > 0 ? (
                   <>
                     <Separator />
                     {properties.map((prop, index) => (
@@ -372,91 +602,108 @@ export function Dashboard() {
       </div>
       <div className="col-span-3">
         <Card x-chunk="dashboard-05-chunk-2">
-          <CardHeader className="flex flex-row items-start bg-muted/50">
-            <div className="grid gap-0.5">
-              <CardTitle className="group flex items-center gap-2 text-lg">
-                Relations
-              </CardTitle>
-            </div>
-          </CardHeader>
-          <CardContent className="p-6">
-            {isLoadingDetail ? (
-              <div className="space-y-2">
-                <Skeleton className="flex h-4" />
-                <Skeleton className="flex h-4" />
-              </div>
-            ) : edges.length > 0 ? (
-              <div className="grid gap-4">
-                {outgoingEdges.length > 0 && (
-                  <div className="grid gap-3">
-                    <h3 className="font-semibold text-sm flex items-center gap-2">
-                      <ArrowRight className="h-4 w-4" />
-                      Outgoing Relations
-                    </h3>
-                    <Separator />
-                    {outgoingEdges.map((edge, index) => (
-                      <div
-                        key={`out-${index}`}
-                        className="flex items-center gap-3 py-1"
-                      >
-                        <ArrowRight className="h-4 w-4 text-green-600 shrink-0" />
-                        <span className="font-medium text-sm min-w-[140px]">
-                          {edgeLabelMap[edge.edgeLabel] || edge.edgeLabel}
-                        </span>
-                        <span className="text-muted-foreground">→</span>
-                        <span className="flex items-center gap-1.5">
-                          {getTargetIcon(edge.targetLabel)}
-                          <span className="text-muted-foreground text-xs">
-                            {edge.targetLabel}:
-                          </span>
-                          <span className="text-sm">{edge.targetName}</span>
-                        </span>
-                      </div>
-                    ))}
+          <Tabs defaultValue="relations">
+            <CardHeader className="flex flex-row items-start bg-muted/50">
+              <TabsList>
+                <TabsTrigger value="relations">Relations</TabsTrigger>
+                <TabsTrigger value="history">History</TabsTrigger>
+              </TabsList>
+            </CardHeader>
+            <CardContent className="p-6">
+              <TabsContent value="relations" className="mt-0">
+                {isLoadingDetail ? (
+                  <div className="space-y-2">
+                    <Skeleton className="flex h-4" />
+                    <Skeleton className="flex h-4" />
                   </div>
-                )}
-                {incomingEdges.length > 0 && (
-                  <div className="grid gap-3">
-                    {outgoingEdges.length > 0 && <Separator />}
-                    <h3 className="font-semibold text-sm flex items-center gap-2">
-                      <ArrowLeft className="h-4 w-4" />
-                      Incoming Relations
-                    </h3>
-                    <Separator />
-                    {incomingEdges.map((edge, index) => (
-                      <div
-                        key={`in-${index}`}
-                        className="flex items-center gap-3 py-1"
-                      >
-                        <ArrowLeft className="h-4 w-4 text-blue-600 shrink-0" />
-                        <span className="font-medium text-sm min-w-[140px]">
-                          {edgeLabelMap[edge.edgeLabel] || edge.edgeLabel}
-                        </span>
-                        <span className="text-muted-foreground">←</span>
-                        <span className="flex items-center gap-1.5">
-                          {getTargetIcon(edge.targetLabel)}
-                          <span className="text-muted-foreground text-xs">
-                            {edge.targetLabel}:
-                          </span>
-                          <span className="text-sm">{edge.targetName}</span>
-                        </span>
+                ) : edges.length > 0 ? (
+                  <div className="grid gap-4">
+                    {outgoingEdges.length > 0 && (
+                      <div className="grid gap-3">
+                        <h3 className="font-semibold text-sm flex items-center gap-2">
+                          <ArrowRight className="h-4 w-4" />
+                          Outgoing Relations
+                        </h3>
+                        <Separator />
+                        {outgoingEdges.map((edge, index) => (
+                          <div key={edge.edgeId ?? `out-${index}`}>
+                            <div className="flex items-center gap-3 py-1">
+                              <ArrowRight className="h-4 w-4 text-green-600 shrink-0" />
+                              <span className="font-medium text-sm min-w-[140px]">
+                                {edgeLabelMap[edge.edgeLabel] || edge.edgeLabel}
+                              </span>
+                              <span className="text-muted-foreground">→</span>
+                              <span className="flex items-center gap-1.5">
+                                {getTargetIcon(edge.targetLabel)}
+                                <span className="text-muted-foreground text-xs">
+                                  {edge.targetLabel}:
+                                </span>
+                                <span className="text-sm">{edge.targetName}</span>
+                              </span>
+                              {edgeControls(edge)}
+                            </div>
+                            {edgeDetails(edge)}
+                          </div>
+                        ))}
                       </div>
-                    ))}
+                    )}
+                    {incomingEdges.length > 0 && (
+                      <div className="grid gap-3">
+                        {outgoingEdges.length > 0 && <Separator />}
+                        <h3 className="font-semibold text-sm flex items-center gap-2">
+                          <ArrowLeft className="h-4 w-4" />
+                          Incoming Relations
+                        </h3>
+                        <Separator />
+                        {incomingEdges.map((edge, index) => (
+                          <div key={edge.edgeId ?? `in-${index}`}>
+                            <div className="flex items-center gap-3 py-1">
+                              <ArrowLeft className="h-4 w-4 text-blue-600 shrink-0" />
+                              <span className="font-medium text-sm min-w-[140px]">
+                                {edgeLabelMap[edge.edgeLabel] || edge.edgeLabel}
+                              </span>
+                              <span className="text-muted-foreground">←</span>
+                              <span className="flex items-center gap-1.5">
+                                {getTargetIcon(edge.targetLabel)}
+                                <span className="text-muted-foreground text-xs">
+                                  {edge.targetLabel}:
+                                </span>
+                                <span className="text-sm">{edge.targetName}</span>
+                              </span>
+                              {edgeControls(edge)}
+                            </div>
+                            {edgeDetails(edge)}
+                          </div>
+                        ))}
+                      </div>
+                    )}
                   </div>
+                ) : selectedResult ? (
+                  <CardDescription>No relations found</CardDescription>
+                ) : searchResults.length > 0 ? (
+                  <CardDescription>
+                    Select a result to view relations
+                  </CardDescription>
+                ) : (
+                  <CardDescription>
+                    Search for an entity to view its relations
+                  </CardDescription>
                 )}
-              </div>
-            ) : selectedResult ? (
-              <CardDescription>No relations found</CardDescription>
-            ) : searchResults.length > 0 ? (
-              <CardDescription>
-                Select a result to view relations
-              </CardDescription>
-            ) : (
-              <CardDescription>
-                Search for an entity to view its relations
-              </CardDescription>
-            )}
-          </CardContent>
+              </TabsContent>
+              <TabsContent value="history" className="mt-0">
+                {selectedResult ? (
+                  <AuditHistory
+                    targetId={selectedResult.id}
+                    refreshKey={properties}
+                  />
+                ) : (
+                  <CardDescription>
+                    Select a result to view its history
+                  </CardDescription>
+                )}
+              </TabsContent>
+            </CardContent>
+          </Tabs>
         </Card>
       </div>
     </main>
@@ -0,0 +1,347 @@
+import { createFileRoute } from "@tanstack/react-router";
+import { Fragment, useEffect, useState } from "react";
+import {
+  ChevronDown,
+  ChevronRight,
+  RefreshCw,
+  Search,
+  Upload,
+  XCircle,
+} from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Skeleton } from "@/components/ui/skeleton";
+import {
+  Icons,
+  queryLoads,
+  mutateCancelLoad,
+  mutateRebuildSearchIndex,
+  friendlyErrorMessage,
+} from "@/lib/utils";
+import { BulkLoad } from "@/types/types";
+import { toast } from "@/components/ui/use-toast";
+import { useHasRole } from "@/hooks/useHasRole";
+
+// Loader statuses of loads that have not ended yet
+const RUNNING_STATUSES = ["LOAD_NOT_STARTED", "LOAD_IN_QUEUE", "LOAD_IN_PROGRESS"];
+// How often the list refreshes while a load is running
+const REFRESH_MS = 10000;
+
+const isRunning = (load: BulkLoad) => RUNNING_STATUSES.includes(load.status);
+
+const formatDate = (value: string | null) =>
+  value ? new Date(value).toLocaleString() : "—";
+
+const formatCount = (value: number | null) =>
+  value === null ? "—" : value.toLocaleString();
+
+const statusClass = (status: string) =>
+  status === "LOAD_COMPLETED"
+    ? "text-green-600"
+    : RUNNING_STATUSES.includes(status)
+      ? "text-blue-600"
+      : "text-destructive";
+
+// Errors of the rows, parsing, datatype and insert errors together
+const errorCount = (load: BulkLoad) =>
+  (load.parsingErrors ?? 0) +
+  (load.datatypeMismatchErrors ?? 0) +
+  (load.insertErrors ?? 0);
+
+export const Route = createFileRoute("/_authenticated/_layout/loads")({
+  component: LoadsPage,
+});
+
+function LoadsPage() {
+  const [loads, setLoads] = useState<BulkLoad[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [cancellingId, setCancellingId] = useState<string | null>(null);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const [isReindexing, setIsReindexing] = useState(false);
+  const canEdit = useHasRole("Editor");
+  const isAdmin = useHasRole("Admin");
+
+  const fetchLoads = async (quiet = false) => {
+    if (!quiet) setIsLoading(true);
+    try {
+      const result = await queryLoads();
+      setLoads(result.data?.getLoads ?? []);
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      toast({
+        title: "Failed to load bulk loads",
+        description: friendlyErrorMessage(error),
+        variant: "destructive",
+      });
+    } finally {
+      if (!quiet) setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchLoads();
+  }, []);
+
+  const hasRunning = loads.some(isRunning);
+  useEffect(() => {
+    if (!hasRunning) return;
+    const timer = setInterval(() => fetchLoads(true), REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [hasRunning]);
+
+  const cancelLoad = async (load: BulkLoad) => {
+    if (!window.confirm(`Cancel the load of ${load.source}?`)) return;
+    setCancellingId(load.loadId);
+    try {
+      const result = await mutateCancelLoad(load.loadId);
+      const cancelled = result.data.cancelLoad;
+      setLoads((prev) =>
+        prev.map((l) => (l.loadId === cancelled.loadId ? cancelled : l))
+      );
+      toast({ title: `Load ${load.loadId} cancelled` });
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      toast({
+        title: "Cancel failed",
+        description: friendlyErrorMessage(error),
+        variant: "destructive",
+      });
+    } finally {
+      setCancellingId(null);
+    }
+  };
+
+  // Bulk-loaded vertices have no search_* shadow properties until this runs
+  const rebuildSearchIndex = async () => {
+    if (!window.confirm("Rebuild the search index for every vertex?")) return;
+    setIsReindexing(true);
+    try {
+      await mutateRebuildSearchIndex();
+      toast({
+        title: "Search index rebuild started",
+        description: "It runs in the background and shows in the audit log when done",
+      });
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      toast({
+        title: "Search index rebuild failed",
+        description: friendlyErrorMessage(error),
+        variant: "destructive",
+      });
+    } finally {
+      setIsReindexing(false);
+    }
+  };
+
+  return (
+    <main className="grid flex-1 items-start gap-4 p-4 sm:px-6 sm:py-0 md:gap-8">
+      <Card className="sm:col-span-2">
+        <CardHeader className="flex flex-row items-start bg-muted/50">
+          <div className="grid gap-0.5">
+            <CardTitle className="group flex items-center gap-2 text-lg">
+              <Upload className="h-5 w-5" />
+              Bulk Loads
+            </CardTitle>
+            <CardDescription>
+              Loads started through the bulk-load Function URL, newest first
+            </CardDescription>
+          </div>
+          <div className="ml-auto flex gap-2">
+            {isAdmin && (
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={rebuildSearchIndex}
+                disabled={isReindexing}
+              >
+                {isReindexing ? (
+                  <Icons.spinner className="mr-1 h-4 w-4 animate-spin" />
+                ) : (
+                  <Search className="mr-1 h-4 w-4" />
+                )}
+                Rebuild search index
+              </Button>
+            )}
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => fetchLoads()}
+              disabled={isLoading}
+            >
+              <RefreshCw className="mr-1 h-4 w-4" />
+              Refresh
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent className="p-6">
+          {isLoading ? (
+            <div className="space-y-2">
+              {Array.from({ length: 5 }).map((_, i) => (
+                <Skeleton key={i} className="h-10 w-full" />
+              ))}
+            </div>
+          ) : loads.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No loads yet.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead />
+                  <TableHead>Source</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead>Started by</TableHead>
+                  <TableHead>Started</TableHead>
+                  <TableHead>Finished</TableHead>
+                  <TableHead className="text-right">Records</TableHead>
+                  <TableHead className="text-right">Errors</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {loads.map((load) => (
+                  <Fragment key={load.loadId}>
+                    <TableRow>
+                      <TableCell>
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          onClick={() =>
+                            setExpandedId((prev) =>
+                              prev === load.loadId ? null : load.loadId
+                            )
+                          }
+                        >
+                          {expandedId === load.loadId ? (
+                            <ChevronDown className="h-4 w-4" />
+                          ) : (
+                            <ChevronRight className="h-4 w-4" />
+                          )}
+                          <span className="sr-only">Details</span>
+                        </Button>
+                      </TableCell>
+                      <TableCell className="font-mono text-xs">
+                        {load.source}
+                      </TableCell>
+                      <TableCell className={statusClass(load.status)}>
+                        {load.status}
+                        {load.cancelledBy && (
+                          <div className="text-xs text-muted-foreground">
+                            by {load.cancelledBy}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell className="max-w-[200px] truncate" title={load.startedBy}>
+                        {load.startedBy}
+                      </TableCell>
+                      <TableCell>{formatDate(load.startedAt)}</TableCell>
+                      <TableCell>{formatDate(load.finishedAt)}</TableCell>
+                      <TableCell className="text-right">
+                        {formatCount(load.totalRecords)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {errorCount(load).toLocaleString()}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {canEdit && isRunning(load) && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => cancelLoad(load)}
+                            disabled={cancellingId !== null}
+                          >
+                            {cancellingId === load.loadId ? (
+                              <Icons.spinner className="mr-1 h-4 w-4 animate-spin" />
+                            ) : (
+                              <XCircle className="mr-1 h-4 w-4" />
+                            )}
+                            Cancel
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                    {expandedId === load.loadId && (
+                      <TableRow>
+                        <TableCell colSpan={9} className="bg-muted/30">
+                          <LoadDetails load={load} />
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </Fragment>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </main>
+  );
+}
+
+function LoadDetails({ load }: { load: BulkLoad }) {
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="grid grid-cols-2 gap-x-6 gap-y-1 md:grid-cols-4">
+        <div>Load id: <span className="font-mono text-xs">{load.loadId}</span></div>
+        <div>Format: {load.format}</div>
+        <div>Duplicates: {formatCount(load.totalDuplicates)}</div>
+        <div>Time spent: {load.totalTimeSpent === null ? "—" : `${load.totalTimeSpent}s`}</div>
+        <div>Parsing errors: {formatCount(load.parsingErrors)}</div>
+        <div>Datatype mismatches: {formatCount(load.datatypeMismatchErrors)}</div>
+        <div>Insert errors: {formatCount(load.insertErrors)}</div>
+        <div>Updated: {formatDate(load.updatedAt)}</div>
+      </div>
+      {load.options && (
+        <pre className="overflow-x-auto rounded bg-muted p-2 text-xs">
+          {JSON.stringify(JSON.parse(load.options), null, 2)}
+        </pre>
+      )}
+      {load.trackingTimedOut && isRunning(load) && (
+        <p className="text-muted-foreground">
+          The Function URL stopped following this load; its status is
+          refreshed here.
+        </p>
+      )}
+      {load.errors.length > 0 ? (
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Code</TableHead>
+              <TableHead>Message</TableHead>
+              <TableHead>File</TableHead>
+              <TableHead className="text-right">Record</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {load.errors.map((error, i) => (
+              <TableRow key={i}>
+                <TableCell className="font-mono text-xs">{error.errorCode ?? "—"}</TableCell>
+                <TableCell>{error.errorMessage ?? "—"}</TableCell>
+                <TableCell className="font-mono text-xs">{error.fileName ?? "—"}</TableCell>
+                <TableCell className="text-right">{formatCount(error.recordNum)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      ) : (
+        <p className="text-muted-foreground">No errors reported.</p>
+      )}
+    </div>
+  );
+}
@@ -41,6 +41,7 @@ import {
   startNeptuneCluster,
   stopNeptuneCluster,
 } from "@/lib/aws-clients";
+import { useHasRole } from "@/hooks/useHasRole";
 
 export const Route = createFileRoute("/_authenticated/_layout/monitoring")({
   component: Monitoring,
@@ -424,6 +425,8 @@ function Monitoring() {
   const neptune = resources.neptuneClusters[0];
 
   // ── Start / Stop controls ──
+  // Starting and stopping infrastructure is for Admins only
+  const canControl = useHasRole("Admin");
   const [bastionActionLoading, setBastionActionLoading] = useState(false);
   const [neptuneActionLoading, setNeptuneActionLoading] = useState(false);
 
@@ -518,7 +521,7 @@ function Monitoring() {
                     <span className="text-[10px] text-muted-foreground">Not found</span>
                   )}
                 </div>
-                {bastion && (
+                {canControl && bastion && (
                   <Button
                     variant={bastion.state === "running" ? "destructive" : "default"}
                     size="sm"
@@ -558,7 +561,7 @@ function Monitoring() {
                     <span className="text-[10px] text-muted-foreground">Not found</span>
                   )}
                 </div>
-                {neptune && (
+                {canControl && neptune && (
                   <Button
                     variant={neptune.status === "available" ? "destructive" : "default"}
                     size="sm"
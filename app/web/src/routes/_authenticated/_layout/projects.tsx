@@ -1,6 +1,13 @@
 import { createFileRoute } from "@tanstack/react-router";
-import { useEffect, useMemo, useState, useRef } from "react";
-import { ChevronLeft, ChevronRight, FolderOpen } from "lucide-react";
+import { useEffect, useState, useRef } from "react";
+import {
+  ArrowDown,
+  ArrowUp,
+  ChevronLeft,
+  ChevronRight,
+  FolderOpen,
+  Plus,
+} from "lucide-react";
 import {
   Card,
   CardContent,
@@ -17,13 +24,55 @@ import {
   TableHeader,
   TableRow,
 } from "@/components/ui/table";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
 import { Skeleton } from "@/components/ui/skeleton";
-import { querySearchProjects } from "@/lib/utils";
-import { ProjectData } from "@/types/types";
+import {
+  Icons,
+  querySearchProjects,
+  mutateCreateProject,
+  mutateUpdateProject,
+  mutateArchiveProject,
+  friendlyErrorMessage,
+} from "@/lib/utils";
+import {
+  PageInfo,
+  ProjectData,
+  ProjectInput,
+  SortDirection,
+} from "@/types/types";
+import { DATA_CLASSIFICATION_OPTIONS, TIER_OPTIONS } from "@/data/data";
 import { toast } from "@/components/ui/use-toast";
 import { ProjectDetailDrawer } from "@/components/ProjectDetailDrawer";
+import { useHasRole } from "@/hooks/useHasRole";
 
 const PAGE_SIZE = 10;
+const DEFAULT_SORT = {
+  sortBy: "projectName",
+  sortDirection: "ASC" as SortDirection,
+};
+
+const EMPTY_PROJECT: ProjectInput = {
+  projectName: "",
+  OwnerGroup: "",
+  Tier: "",
+  DataClassification: "",
+};
+
+const toProjectInput = (project: ProjectData): ProjectInput => ({
+  projectName: project.projectName,
+  DepartmentNumber: project.DepartmentNumber ?? "",
+  DataClassification: project.DataClassification ?? "",
+  Team: project.Team ?? "",
+  OwnerGroup: project.OwnerGroup ?? "",
+  Recovery: project.Recovery ?? "",
+  Tier: project.Tier ?? "",
+});
 
 export const Route = createFileRoute("/_authenticated/_layout/projects")({
   component: ProjectsPage,
@@ -33,39 +82,58 @@ function ProjectsPage() {
   const [searchValue, setSearchValue] = useState("");
   const [projects, setProjects] = useState<ProjectData[]>([]);
   const [isLoading, setIsLoading] = useState(false);
+  // cursors[i] is the `after` cursor used to fetch page i + 1
+  const [cursors, setCursors] = useState<Array<string | null>>([null]);
   const [currentPage, setCurrentPage] = useState(1);
+  const [pageInfo, setPageInfo] = useState<PageInfo | null>(null);
+  const [totalCount, setTotalCount] = useState(0);
+  const [sortBy, setSortBy] = useState(DEFAULT_SORT.sortBy);
+  const [sortDirection, setSortDirection] = useState<SortDirection>(
+    DEFAULT_SORT.sortDirection
+  );
   const [selectedProject, setSelectedProject] = useState<ProjectData | null>(null);
   const [drawerOpen, setDrawerOpen] = useState(false);
+  const [showCreate, setShowCreate] = useState(false);
+  const [newProject, setNewProject] = useState<ProjectInput>(EMPTY_PROJECT);
+  const [isCreating, setIsCreating] = useState(false);
+  const canEdit = useHasRole("Editor");
   const debounceTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
 
-  const totalPages = useMemo(
-    () => Math.max(1, Math.ceil(projects.length / PAGE_SIZE)),
-    [projects.length]
-  );
-
-  const paginatedProjects = useMemo(
-    () =>
-      projects.slice(
-        (currentPage - 1) * PAGE_SIZE,
-        currentPage * PAGE_SIZE
-      ),
-    [projects, currentPage]
-  );
+  const totalPages = Math.max(1, Math.ceil(totalCount / PAGE_SIZE));
 
-  const fetchProjects = async (value: string) => {
+  const fetchProjects = async (
+    value: string,
+    page: number,
+    after: string | null,
+    sort: { sortBy: string; sortDirection: SortDirection }
+  ) => {
     setIsLoading(true);
     try {
-      const result = await querySearchProjects(value || undefined);
-      setProjects(result.data?.searchProjects ?? []);
-      setCurrentPage(1);
+      const result = await querySearchProjects(value || undefined, {
+        first: PAGE_SIZE,
+        after,
+        ...sort,
+      });
+      const connection = result.data?.searchProjects;
+      setProjects(connection?.edges.map((e) => e.node) ?? []);
+      setPageInfo(connection?.pageInfo ?? null);
+      setTotalCount(connection?.totalCount ?? 0);
+      setCurrentPage(page);
+      setCursors((prev) => {
+        const next = prev.slice(0, page);
+        next[page - 1] = after;
+        if (connection?.pageInfo.hasNextPage) {
+          next[page] = connection.pageInfo.endCursor;
+        }
+        return next;
+      });
       // eslint-disable-next-line @typescript-eslint/no-explicit-any
     } catch (error: any) {
       console.error(error);
       toast({
         variant: "destructive",
         title: "Error loading business services",
-        description:
-          error?.errors?.[0]?.message || error?.message || "An error occurred",
+        description: friendlyErrorMessage(error),
       });
     } finally {
       setIsLoading(false);
@@ -74,7 +142,7 @@ function ProjectsPage() {
 
   // Initial load
   useEffect(() => {
-    fetchProjects("");
+    fetchProjects("", 1, null, DEFAULT_SORT);
     return () => {
       if (debounceTimer.current) {
         clearTimeout(debounceTimer.current);
@@ -82,6 +150,107 @@ function ProjectsPage() {
     };
   }, []);
 
+  const toggleSort = (field: string) => {
+    const direction: SortDirection =
+      sortBy === field && sortDirection === "ASC" ? "DESC" : "ASC";
+    setSortBy(field);
+    setSortDirection(direction);
+    fetchProjects(searchValue, 1, null, { sortBy: field, sortDirection: direction });
+  };
+
+  const sortIcon = (field: string) =>
+    sortBy !== field ? null : sortDirection === "ASC" ? (
+      <ArrowUp className="h-3 w-3" />
+    ) : (
+      <ArrowDown className="h-3 w-3" />
+    );
+
+  const applyProject = (project: ProjectData) => {
+    setProjects((prev) => prev.map((p) => (p.id === project.id ? project : p)));
+    setSelectedProject((prev) => (prev?.id === project.id ? project : prev));
+  };
+
+  // Edits show immediately and are reverted if the mutation fails
+  const saveProject = async (updated: ProjectData) => {
+    const previous =
+      projects.find((p) => p.id === updated.id) ?? selectedProject;
+    applyProject(updated);
+    try {
+      const res = await mutateUpdateProject(updated.id, toProjectInput(updated));
+      applyProject(res.data.updateProject);
+      toast({ title: "Business service saved" });
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      if (previous) applyProject(previous);
+      toast({
+        variant: "destructive",
+        title: "Save failed, changes reverted",
+        description: friendlyErrorMessage(error),
+      });
+      throw error;
+    }
+  };
+
+  const archiveProject = async (project: ProjectData) => {
+    const index = projects.findIndex((p) => p.id === project.id);
+    setProjects((prev) => prev.filter((p) => p.id !== project.id));
+    setTotalCount((prev) => Math.max(prev - 1, 0));
+    setDrawerOpen(false);
+    try {
+      await mutateArchiveProject(project.id);
+      toast({ title: `Archived ${project.projectName}` });
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      setProjects((prev) => {
+        const next = [...prev];
+        next.splice(index < 0 ? 0 : index, 0, project);
+        return next;
+      });
+      setTotalCount((prev) => prev + 1);
+      toast({
+        variant: "destructive",
+        title: "Archive failed",
+        description: friendlyErrorMessage(error),
+      });
+      throw error;
+    }
+  };
+
+  const createProject = async () => {
+    const projectName = newProject.projectName?.trim();
+    if (!projectName) return;
+    const pending: ProjectData = {
+      ...newProject,
+      id: `pending-${Date.now()}`,
+      projectName,
+    };
+    setIsCreating(true);
+    setProjects((prev) => [pending, ...prev]);
+    setTotalCount((prev) => prev + 1);
+    try {
+      const res = await mutateCreateProject({ ...newProject, projectName });
+      const created = res.data.createProject;
+      setProjects((prev) => prev.map((p) => (p.id === pending.id ? created : p)));
+      setNewProject(EMPTY_PROJECT);
+      setShowCreate(false);
+      toast({ title: `Created ${created.projectName}` });
+      // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    } catch (error: any) {
+      console.error(error);
+      setProjects((prev) => prev.filter((p) => p.id !== pending.id));
+      setTotalCount((prev) => Math.max(prev - 1, 0));
+      toast({
+        variant: "destructive",
+        title: "Create failed",
+        description: friendlyErrorMessage(error),
+      });
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
   const handleSearchChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const value = e.target.value;
     setSearchValue(value);
@@ -90,7 +259,7 @@ function ProjectsPage() {
       clearTimeout(debounceTimer.current);
     }
     debounceTimer.current = setTimeout(() => {
-      fetchProjects(value);
+      fetchProjects(value, 1, null, { sortBy, sortDirection });
     }, 300);
   };
 
@@ -106,15 +275,87 @@ function ProjectsPage() {
           </div>
         </CardHeader>
         <CardContent className="p-6">
-          <div className="mb-4">
+          <div className="mb-4 flex items-center justify-between gap-2">
             <Input
               placeholder="Search business services by name..."
               value={searchValue}
               onChange={handleSearchChange}
               className="max-w-sm"
             />
+            {canEdit && (
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => setShowCreate((prev) => !prev)}
+              >
+                <Plus className="h-4 w-4 mr-1" />
+                New business service
+              </Button>
+            )}
           </div>
 
+          {canEdit && showCreate && (
+            <div className="mb-4 rounded-lg border p-4 bg-muted/30 grid grid-cols-2 gap-3 md:grid-cols-5">
+              <Input
+                placeholder="Business service name"
+                value={newProject.projectName ?? ""}
+                onChange={(e) =>
+                  setNewProject((p) => ({ ...p, projectName: e.target.value }))
+                }
+              />
+              <Input
+                placeholder="Owner group"
+                value={newProject.OwnerGroup ?? ""}
+                onChange={(e) =>
+                  setNewProject((p) => ({ ...p, OwnerGroup: e.target.value }))
+                }
+              />
+              <Select
+                value={newProject.Tier ?? ""}
+                onValueChange={(val) =>
+                  setNewProject((p) => ({ ...p, Tier: val }))
+                }
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder="Tier" />
+                </SelectTrigger>
+                <SelectContent>
+                  {TIER_OPTIONS.map((option) => (
+                    <SelectItem key={option} value={option}>
+                      {option}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Select
+                value={newProject.DataClassification ?? ""}
+                onValueChange={(val) =>
+                  setNewProject((p) => ({ ...p, DataClassification: val }))
+                }
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder="Data classification" />
+                </SelectTrigger>
+                <SelectContent>
+                  {DATA_CLASSIFICATION_OPTIONS.map((option) => (
+                    <SelectItem key={option} value={option}>
+                      {option}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button
+                onClick={createProject}
+                disabled={isCreating || !newProject.projectName?.trim()}
+              >
+                {isCreating && (
+                  <Icons.spinner className="mr-2 h-4 w-4 animate-spin" />
+                )}
+                Create
+              </Button>
+            </div>
+          )}
+
           {isLoading ? (
             <div className="space-y-2">
               {Array.from({ length: 5 }).map((_, i) => (
@@ -131,15 +372,37 @@ function ProjectsPage() {
               <Table>
                 <TableHeader>
                   <TableRow>
-                    <TableHead>Business Service</TableHead>
-                    <TableHead>Owner Group</TableHead>
+                    <TableHead>
+                      <button
+                        className="flex items-center gap-1"
+                        onClick={() => toggleSort("projectName")}
+                      >
+                        Business Service
+                        {sortIcon("projectName")}
+                      </button>
+                    </TableHead>
+                    <TableHead>
+                      <button
+                        className="flex items-center gap-1"
+                        onClick={() => toggleSort("OwnerGroup")}
+                      >
+                        Owner Group
+                        {sortIcon("OwnerGroup")}
+                      </button>
+                    </TableHead>
                   </TableRow>
                 </TableHeader>
                 <TableBody>
-                  {paginatedProjects.map((project) => (
-                    <TableRow key={project.id}>
+                  {projects.map((project) => (
+                    <TableRow
+                      key={project.id}
+                      className={
+                        project.id.startsWith("pending-") ? "opacity-50" : undefined
+                      }
+                    >
                       <TableCell className="font-medium">
                         <button
+                          disabled={project.id.startsWith("pending-")}
                           className="text-left text-primary underline underline-offset-4 hover:text-primary/80 transition-colors"
                           onClick={() => {
                             setSelectedProject(project);
@@ -160,15 +423,22 @@ function ProjectsPage() {
                 <p className="text-sm text-muted-foreground">
                   Showing{" "}
                   {(currentPage - 1) * PAGE_SIZE + 1}–
-                  {Math.min(currentPage * PAGE_SIZE, projects.length)} of{" "}
-                  {projects.length} business services
+                  {(currentPage - 1) * PAGE_SIZE + projects.length} of{" "}
+                  {totalCount} business services
                 </p>
                 <div className="flex items-center gap-2">
                   <Button
                     variant="outline"
                     size="sm"
-                    onClick={() => setCurrentPage((p) => Math.max(1, p - 1))}
-                    disabled={currentPage === 1}
+                    onClick={() =>
+                      fetchProjects(
+                        searchValue,
+                        currentPage - 1,
+                        cursors[currentPage - 2] ?? null,
+                        { sortBy, sortDirection }
+                      )
+                    }
+                    disabled={!pageInfo?.hasPreviousPage}
                   >
                     <ChevronLeft className="h-4 w-4" />
                     Previous
@@ -180,9 +450,14 @@ function ProjectsPage() {
                     variant="outline"
                     size="sm"
                     onClick={() =>
-                      setCurrentPage((p) => Math.min(totalPages, p + 1))
+                      fetchProjects(
+                        searchValue,
+                        currentPage + 1,
+                        cursors[currentPage] ?? null,
+                        { sortBy, sortDirection }
+                      )
                     }
-                    disabled={currentPage === totalPages}
+                    disabled={!pageInfo?.hasNextPage}
                   >
                     Next
                     <ChevronRight className="h-4 w-4" />
@@ -198,6 +473,8 @@ function ProjectsPage() {
         project={selectedProject}
         open={drawerOpen}
         onOpenChange={setDrawerOpen}
+        onSave={saveProject}
+        onArchive={archiveProject}
       />
     </main>
   );
@@ -1,10 +1,16 @@
 import { z } from "zod";
-import { useState, useEffect } from "react";
-import { Icons } from "@/lib/utils";
+import { useState, useEffect, useRef } from "react";
+import {
+  Icons,
+  friendlyErrorMessage,
+  graphErrorCode,
+  graphErrorInfo,
+} from "@/lib/utils";
+import { hasRole } from "@/lib/roles";
 import { useForm } from "react-hook-form";
-import { generateClient } from "aws-amplify/api";
+import { GraphQLResult, generateClient } from "aws-amplify/api";
 import { zodResolver } from "@hookform/resolvers/zod";
-import { createFileRoute } from "@tanstack/react-router";
+import { createFileRoute, redirect } from "@tanstack/react-router";
 
 import { Button } from "@/components/ui/button";
 
@@ -19,6 +25,7 @@ import {
 import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
 import { toast } from "@/components/ui/use-toast";
 import { Input } from "@/components/ui/input";
+import { VertexPicker } from "@/components/VertexPicker";
 import { registerInfo } from "@/api/appsync/mutation";
 import {
   Card,
@@ -42,9 +49,21 @@ import {
   BreadcrumbPage,
   BreadcrumbSeparator,
 } from "@/components/ui/breadcrumb";
-import { ErrorMessage, InsertDataInput, FieldDefinition } from "@/types/types";
+import {
+  InsertDataInput,
+  InsertDataMutation,
+  FieldDefinition,
+  SearchResult,
+  ValidationErrorInfo,
+} from "@/types/types";
 
 export const Route = createFileRoute("/_authenticated/_layout/register")({
+  // Registering needs the Editor role; Viewers go back to the dashboard
+  beforeLoad: ({ context }) => {
+    if (!hasRole(context.auth.groups, "Editor")) {
+      throw redirect({ to: "/" });
+    }
+  },
   component: Register,
 });
 
@@ -63,19 +82,25 @@ const radioGroupValue = [
   },
 ];
 
+/** Inline message shown under a field rejected by the client or server */
+const FieldErrorText = ({ message }: { message?: string }) =>
+  message ? (
+    <p className="mt-1 text-sm font-medium text-destructive">{message}</p>
+  ) : null;
+
 /** Return a helpful placeholder for source/destination inputs */
 const getIdentifierPlaceholder = (label: string) => {
   switch (label) {
     case "Entity":
-      return "Enter name or company name";
+      return "Search by name or company name";
     case "Asset":
-      return "Enter asset ID (e.g., asset_veh_1)";
+      return "Search by make, model or VIN";
     case "Job":
-      return "Enter job name";
+      return "Search by job name";
     case "Part":
-      return "Enter part name";
+      return "Search by part name";
     default:
-      return "Enter name or ID";
+      return "Search by name";
   }
 };
 
@@ -84,8 +109,13 @@ function Register() {
   const [mode, setMode] = useState("vertex");
   const [selectedType, setSelectedType] = useState("");
   const [fieldValues, setFieldValues] = useState<Record<string, string>>({});
-  const [source, setSource] = useState("");
-  const [destination, setDestination] = useState("");
+  const [source, setSource] = useState<SearchResult | null>(null);
+  const [destination, setDestination] = useState<SearchResult | null>(null);
+  // Keyed by property name, or "source"/"destination" for edge endpoints
+  const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+  // Sent with every attempt until one succeeds, so a double-clicked or
+  // retried submit matches the record it already created
+  const idempotencyKey = useRef(crypto.randomUUID());
 
   const client = generateClient();
 
@@ -104,20 +134,32 @@ function Register() {
   // Reset fields when selected type changes
   useEffect(() => {
     setFieldValues({});
-    setSource("");
-    setDestination("");
+    setFieldErrors({});
+    setSource(null);
+    setDestination(null);
   }, [selectedType]);
 
   // Reset everything when mode (vertex/edge) changes
   useEffect(() => {
     setSelectedType("");
     setFieldValues({});
-    setSource("");
-    setDestination("");
+    setFieldErrors({});
+    setSource(null);
+    setDestination(null);
   }, [mode]);
 
+  const clearFieldError = (key: string) => {
+    setFieldErrors((prev) => {
+      if (!(key in prev)) return prev;
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  };
+
   const updateField = (key: string, value: string) => {
     setFieldValues((prev) => ({ ...prev, [key]: value }));
+    clearFieldError(key);
   };
 
   const onSubmitRegister = async () => {
@@ -134,30 +176,19 @@ function Register() {
         return;
       }
 
-      if (mode === "vertex") {
-        // Check required fields
-        const missing = currentFields.filter(
-          (f) => f.required && !fieldValues[f.key]
-        );
-        if (missing.length > 0) {
-          toast({
-            variant: "destructive",
-            title: "Register error",
-            description: `${missing[0].label} is required`,
-          });
-          setIsLoading(false);
-          return;
-        }
-      } else {
-        if (!source || !destination) {
-          toast({
-            variant: "destructive",
-            title: "Register error",
-            description: "Source and destination are required",
-          });
-          setIsLoading(false);
-          return;
-        }
+      // Check required fields
+      const missing: Record<string, string> = {};
+      for (const f of currentFields) {
+        if (f.required && !fieldValues[f.key]) missing[f.key] = "Required";
+      }
+      if (mode === "edge") {
+        if (!source) missing.source = "Choose a vertex from the list";
+        if (!destination) missing.destination = "Choose a vertex from the list";
+      }
+      if (Object.keys(missing).length > 0) {
+        setFieldErrors(missing);
+        setIsLoading(false);
+        return;
       }
 
       // Build properties object - convert number fields to actual numbers
@@ -177,34 +208,67 @@ function Register() {
         value: mode,
         vertex: mode === "vertex" ? selectedType : undefined,
         edge: mode === "edge" ? selectedType : undefined,
-        source: mode === "edge" ? source : undefined,
+        source: mode === "edge" ? source?.name : undefined,
+        sourceId: mode === "edge" ? source?.id : undefined,
         sourceLabel: currentEdgeType?.sourceLabel,
-        destination: mode === "edge" ? destination : undefined,
+        destination: mode === "edge" ? destination?.name : undefined,
+        destinationId: mode === "edge" ? destination?.id : undefined,
         destLabel: currentEdgeType?.destLabel,
         properties: JSON.stringify(properties),
+        upsert: true,
+        idempotencyKey: idempotencyKey.current,
       };
 
       console.log(input);
-      await client.graphql({
+      const res = (await client.graphql({
         query: registerInfo,
         variables: {
           InsertDataInput: input,
         },
-      });
-      toast({
-        title: `Successfully registered ${mode}`,
-      });
+      })) as GraphQLResult<InsertDataMutation>;
+
+      toast(
+        res.data?.insertData?.outcome === "MATCHED"
+          ? {
+              title: `Matched existing ${mode}`,
+              description: "It was already registered, so its properties were updated",
+            }
+          : { title: `Successfully registered ${mode}` }
+      );
+      idempotencyKey.current = crypto.randomUUID();
       setFieldValues({});
-      setSource("");
-      setDestination("");
+      setFieldErrors({});
+      setSource(null);
+      setDestination(null);
       setIsLoading(false);
     } catch (error) {
-      const errorMessage = error as ErrorMessage;
-      toast({
-        variant: "destructive",
-        title: "Register error",
-        description: errorMessage.message,
-      });
+      // Properties and endpoints rejected by the server-side schema registry
+      const rejected =
+        graphErrorCode(error) === "VALIDATION"
+          ? graphErrorInfo<ValidationErrorInfo>(error)?.fields ?? []
+          : [];
+      if (rejected.length > 0) {
+        setFieldErrors(
+          Object.fromEntries(rejected.map((e) => [e.field, e.message]))
+        );
+        const unshown = rejected.filter(
+          (e) => !currentFields.some((f) => f.key === e.field)
+        );
+        toast({
+          variant: "destructive",
+          title: "Register error",
+          description:
+            unshown.length > 0
+              ? unshown.map((e) => `${e.field}: ${e.message}`).join("; ")
+              : "Please correct the highlighted fields",
+        });
+      } else {
+        toast({
+          variant: "destructive",
+          title: "Register error",
+          description: friendlyErrorMessage(error),
+        });
+      }
       setIsLoading(false);
     }
   };
@@ -317,20 +381,34 @@ function Register() {
                     {/* Edge: source/destination inputs */}
                     {mode === "edge" && currentEdgeType && (
                       <div className="flex flex-row space-x-4">
-                        <Input
-                          placeholder={`Source (${currentEdgeType.sourceLabel}) \u2014 ${getIdentifierPlaceholder(currentEdgeType.sourceLabel)}`}
-                          value={source}
-                          onChange={(e) => setSource(e.target.value)}
-                          disabled={isLoading}
-                          className="flex-1"
-                        />
-                        <Input
-                          placeholder={`Destination (${currentEdgeType.destLabel}) \u2014 ${getIdentifierPlaceholder(currentEdgeType.destLabel)}`}
-                          value={destination}
-                          onChange={(e) => setDestination(e.target.value)}
-                          disabled={isLoading}
-                          className="flex-1"
-                        />
+                        <div className="flex-1">
+                          <VertexPicker
+                            vertexType={currentEdgeType.sourceLabel}
+                            placeholder={`Source (${currentEdgeType.sourceLabel}) \u2014 ${getIdentifierPlaceholder(currentEdgeType.sourceLabel)}`}
+                            value={source}
+                            onChange={(v) => {
+                              setSource(v);
+                              clearFieldError("source");
+                            }}
+                            disabled={isLoading}
+                            invalid={!!fieldErrors.source}
+                          />
+                          <FieldErrorText message={fieldErrors.source} />
+                        </div>
+                        <div className="flex-1">
+                          <VertexPicker
+                            vertexType={currentEdgeType.destLabel}
+                            placeholder={`Destination (${currentEdgeType.destLabel}) \u2014 ${getIdentifierPlaceholder(currentEdgeType.destLabel)}`}
+                            value={destination}
+                            onChange={(v) => {
+                              setDestination(v);
+                              clearFieldError("destination");
+                            }}
+                            disabled={isLoading}
+                            invalid={!!fieldErrors.destination}
+                          />
+                          <FieldErrorText message={fieldErrors.destination} />
+                        </div>
                       </div>
                     )}
 
@@ -368,8 +446,10 @@ function Register() {
                                   updateField(field.key, e.target.value)
                                 }
                                 disabled={isLoading}
+                                aria-invalid={!!fieldErrors[field.key]}
                               />
                             )}
+                            <FieldErrorText message={fieldErrors[field.key]} />
                           </div>
                         ))}
                       </div>
@@ -407,7 +487,7 @@ function Register() {
                         </CardHeader>
                         <CardContent>
                           <div className="text-lg text-muted-foreground">
-                            {source || "\u2014"}
+                            {source?.name || "\u2014"}
                           </div>
                         </CardContent>
                       </Card>
@@ -435,7 +515,7 @@ function Register() {
                           </CardHeader>
                           <CardContent>
                             <div className="text-lg text-muted-foreground">
-                              {destination || "\u2014"}
+                              {destination?.name || "\u2014"}
                             </div>
                           </CardContent>
                         </Card>
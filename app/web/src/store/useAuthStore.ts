@@ -4,9 +4,11 @@ export interface AuthStore {
   user: string | null; // an object that stores user information
   isAuth: boolean;
   signInStep: string;
+  groups: string[]; // Cognito groups of the signed-in user, e.g. ["Editor"]
   setUser: (user: string) => void; // a function to set user information
   setIsAuthenticated: (isAuth: boolean) => void;
   setSignInStep: (signInStep: string) => void;
+  setGroups: (groups: string[]) => void;
 }
 
 interface CredentialStoreInterface {
@@ -19,9 +21,11 @@ export const useAuthStore = create<AuthStore>((set) => ({
   user: "", // initial value of user property
   isAuth: false,
   signInStep: "",
+  groups: [],
   setUser: (user) => set({ user }), // function to set user information
   setIsAuthenticated: (isAuth) => set({ isAuth }),
   setSignInStep: (signInStep) => set({ signInStep }),
+  setGroups: (groups) => set({ groups }),
 }));
 
 export const useCredentialStore = create<CredentialStoreInterface>((set) => ({
@@ -38,10 +38,39 @@ export type EntityProperty = {
 };
 
 export type EdgeRelation = {
+  edgeId: string | null;
   edgeLabel: string;
   direction: string;
+  targetId: string | null;
   targetLabel: string;
   targetName: string;
+  properties: EntityProperty[] | null;
+};
+
+export type RelationTarget = {
+  id: string;
+  label: string;
+  name: string | null;
+  edgeId: string | null;
+};
+
+export type RelationGroup = {
+  edgeLabel: string;
+  direction: "outgoing" | "incoming";
+  count: number;
+  targets: RelationTarget[];
+};
+
+export type EntityProfile = {
+  id: string;
+  label: string;
+  name: string | null;
+  properties: EntityProperty[];
+  relations: RelationGroup[];
+};
+
+export type GetEntityProfileQuery = {
+  getEntityProfile: EntityProfile | null;
 };
 
 export type GetEntityPropertiesQuery = {
@@ -59,8 +88,62 @@ export type SearchResult = {
   entityType: string | null;
 };
 
+export type ValidationErrorInfo = {
+  fields?: FieldError[];
+  candidates?: EndpointCandidate[];
+};
+
+export type PageInfo = {
+  hasNextPage: boolean;
+  hasPreviousPage: boolean;
+  startCursor: string | null;
+  endCursor: string | null;
+};
+
+export type Connection<T> = {
+  edges: Array<{ cursor: string; node: T }>;
+  pageInfo: PageInfo;
+  totalCount: number;
+};
+
+export type SortDirection = "ASC" | "DESC";
+
+export type SearchMode = "CONTAINS" | "RANKED";
+
+export type PageArgs = {
+  first?: number;
+  after?: string | null;
+  sortBy?: string;
+  sortDirection?: SortDirection;
+};
+
 export type SearchEntitiesQuery = {
-  searchEntities: SearchResult[];
+  searchEntities: Connection<SearchResult>;
+};
+
+// errorInfo of a VALIDATION error: `fields` lists the rejected properties and
+// endpoints, and insertData adds `candidates` for an ambiguous endpoint name
+export type FieldError = {
+  field: string;
+  message: string;
+};
+
+export type EndpointCandidate = {
+  field: "source" | "destination";
+  id: string;
+  label: string;
+  name: string | null;
+  entityType: string | null;
+};
+
+export type UpsertOutcome = "CREATED" | "MATCHED";
+
+export type InsertDataMutation = {
+  insertData: {
+    result: string | null;
+    id: string | null;
+    outcome: UpsertOutcome | null;
+  };
 };
 
 export type InsertDataInput = {
@@ -70,34 +153,14 @@ export type InsertDataInput = {
   vertex?: string;
   property?: string;
   source?: string;
+  sourceId?: string;
   sourceLabel?: string;
   destination?: string;
+  destinationId?: string;
   destLabel?: string;
   properties?: string;
-};
-
-export type Graph = {
-  value: string;
-  description: string;
-  data: string;
-};
-
-export type GetRelationNameQuery = {
-  getRelationName: Array<{
-    name: string;
-  }>;
-};
-
-export type GetProfileQuery = {
-  getProfile: Array<{
-    search_name: string;
-    usage?: string;
-    belong_to?: string;
-    authored_by?: string;
-    affiliated_with?: string;
-    people?: string;
-    made_by?: string;
-  }>;
+  upsert?: boolean;
+  idempotencyKey?: string;
 };
 
 export type GetGraphQuery = {
@@ -111,9 +174,49 @@ export type GetGraphQuery = {
       target: string;
       value: string;
     }>;
+    truncated: boolean | null;
   };
 };
 
+export type GraphOptions = {
+  rootId?: string;
+  depth?: number;
+  vertexLabels?: string[];
+  edgeLabels?: string[];
+  limit?: number;
+};
+
+export type SubgraphFormat =
+  | "GRAPHML"
+  | "GEXF"
+  | "CYTOSCAPE_JSON"
+  | "NODE_LINK_JSON";
+
+// A getGraph neighborhood serialized for download
+export type SubgraphExport = {
+  format: SubgraphFormat;
+  fileName: string;
+  contentType: string;
+  content: string;
+  nodeCount: number;
+  edgeCount: number;
+  truncated: boolean;
+};
+
+export type ExportSubgraphQuery = {
+  exportSubgraph: SubgraphExport | null;
+};
+
+export type GraphPath = {
+  vertices: Array<{ id: string; label: string; name: string | null }>;
+  edges: Array<{ id: string; label: string; source: string; target: string }>;
+  length: number;
+};
+
+export type FindPathsQuery = {
+  findPaths: GraphPath[];
+};
+
 export type AskGraphQuery = {
   askGraph: {
     answer: string;
@@ -131,10 +234,25 @@ export interface ProjectData {
   OwnerGroup?: string;
   Recovery?: string;
   Tier?: string;
+  archived?: boolean | null;
 }
 
+export type ProjectInput = Partial<Omit<ProjectData, "id" | "archived">>;
+
+export type CreateProjectMutation = {
+  createProject: ProjectData;
+};
+
+export type UpdateProjectMutation = {
+  updateProject: ProjectData;
+};
+
+export type ArchiveProjectMutation = {
+  archiveProject: ProjectData;
+};
+
 export type SearchProjectsQuery = {
-  searchProjects: ProjectData[];
+  searchProjects: Connection<ProjectData>;
 };
 
 export interface Account {
@@ -143,8 +261,66 @@ export interface Account {
   Account_Id: string;
   Cloud: string;
   Environments: string;
+  outcome?: UpsertOutcome | null;
 }
 
+// `before`/`after` are JSON objects of property values, or "null"
+export type AuditRecord = {
+  id: string;
+  at: string;
+  actor: string;
+  actorName: string | null;
+  operation: string;
+  targetId: string;
+  targetLabel: string | null;
+  before: string | null;
+  after: string | null;
+};
+
+export type AuditLogFilter = {
+  targetId?: string;
+  actor?: string;
+  from?: string;
+  to?: string;
+  limit?: number;
+};
+
+export type GetAuditLogQuery = {
+  getAuditLog: AuditRecord[];
+};
+
+// A tombstoned vertex that restoreVertex can still bring back
+export type DeletedVertex = {
+  id: string;
+  label: string;
+  name: string | null;
+  deletedAt: string;
+  deletedBy: string | null;
+  edgeCount: number | null;
+  purgeAfter: string;
+};
+
+export type GetRecentlyDeletedQuery = {
+  getRecentlyDeleted: DeletedVertex[];
+};
+
+// An edge deleted on its own that restoreEdge can still bring back
+export type DeletedEdge = {
+  id: string;
+  label: string;
+  sourceId: string;
+  sourceName: string | null;
+  targetId: string;
+  targetName: string | null;
+  deletedAt: string;
+  deletedBy: string | null;
+  purgeAfter: string;
+};
+
+export type GetRecentlyDeletedEdgesQuery = {
+  getRecentlyDeletedEdges: DeletedEdge[];
+};
+
 export type GetProjectAccountsQuery = {
   getProjectAccounts: Account[];
 };
@@ -156,3 +332,275 @@ export type AddProjectAccountMutation = {
 export type DeleteProjectAccountMutation = {
   deleteProjectAccount: { result: string };
 };
+
+// `result` is JSON: { indexed: number }
+export type RebuildSearchIndexMutation = {
+  rebuildSearchIndex: { result: string };
+};
+
+export type GraphElement = {
+  id: string;
+  label: string;
+  source: string | null;
+  target: string | null;
+  properties: EntityProperty[];
+};
+
+export type UpdateVertexMutation = {
+  updateVertex: GraphElement;
+};
+
+export type DeleteVertexMutation = {
+  deleteVertex: GraphElement;
+};
+
+export type RestoreVertexMutation = {
+  restoreVertex: GraphElement;
+};
+
+export type RestoreEdgeMutation = {
+  restoreEdge: GraphElement;
+};
+
+export type UpdateEdgeMutation = {
+  updateEdge: GraphElement;
+};
+
+export type DeleteEdgeMutation = {
+  deleteEdge: GraphElement;
+};
+
+export type BatchOperationType =
+  | "CREATE_VERTEX"
+  | "UPDATE_VERTEX"
+  | "DELETE_VERTEX"
+  | "CREATE_EDGE"
+  | "UPDATE_EDGE"
+  | "DELETE_EDGE";
+
+// id/sourceId/destinationId may be "$<ref>" of an earlier operation
+export type BatchOperation = {
+  op: BatchOperationType;
+  ref?: string;
+  id?: string;
+  label?: string;
+  sourceId?: string;
+  destinationId?: string;
+  properties?: Record<string, string | number | boolean | null>;
+  cascade?: boolean;
+};
+
+export type BatchOperationResult = {
+  index: number;
+  op: BatchOperationType;
+  ref: string | null;
+  id: string;
+  label: string;
+};
+
+export type BatchMutateMutation = {
+  batchMutate: { results: BatchOperationResult[] };
+};
+
+// A Cognito app client used by an integration (OAuth2 client credentials)
+export type IntegrationClient = {
+  clientId: string;
+  name: string;
+  scopes: string[];
+  createdAt: string | null;
+  updatedAt: string | null;
+  accessTokenMinutes: number | null;
+};
+
+// Only returned when a client is created or rotated
+export type IntegrationClientCredentials = {
+  client: IntegrationClient;
+  clientSecret: string;
+  tokenUrl: string;
+};
+
+export type GetIntegrationClientsQuery = {
+  getIntegrationClients: IntegrationClient[];
+};
+
+export type CreateIntegrationClientMutation = {
+  createIntegrationClient: IntegrationClientCredentials;
+};
+
+export type RotateIntegrationClientMutation = {
+  rotateIntegrationClient: IntegrationClientCredentials;
+};
+
+export type RevokeIntegrationClientMutation = {
+  revokeIntegrationClient: IntegrationClient;
+};
+
+// A user of the Cognito user pool, as listed on the user administration page
+export type CognitoUser = {
+  username: string;
+  email: string | null;
+  status: string;
+  enabled: boolean;
+  groups: string[];
+  createdAt: string | null;
+};
+
+export type GetUsersQuery = {
+  getUsers: CognitoUser[];
+};
+
+export type InviteUserMutation = {
+  inviteUser: CognitoUser;
+};
+
+export type SetUserGroupsMutation = {
+  setUserGroups: CognitoUser;
+};
+
+export type DisableUserMutation = {
+  disableUser: CognitoUser;
+};
+
+export type EnableUserMutation = {
+  enableUser: CognitoUser;
+};
+
+export type ResetUserPasswordMutation = {
+  resetUserPassword: CognitoUser;
+};
+
+// A row of the first page of a bulk load's error log
+export type LoadError = {
+  errorCode: string | null;
+  errorMessage: string | null;
+  fileName: string | null;
+  recordNum: number | null;
+};
+
+// A Neptune bulk load started through the Function URL
+export type BulkLoad = {
+  loadId: string;
+  source: string;
+  format: string;
+  options: string | null;
+  status: string;
+  startedBy: string;
+  startedAt: string;
+  updatedAt: string | null;
+  finishedAt: string | null;
+  totalRecords: number | null;
+  totalDuplicates: number | null;
+  parsingErrors: number | null;
+  datatypeMismatchErrors: number | null;
+  insertErrors: number | null;
+  totalTimeSpent: number | null;
+  errors: LoadError[];
+  trackingTimedOut: boolean | null;
+  cancelledBy: string | null;
+};
+
+export type GetLoadsQuery = {
+  getLoads: BulkLoad[];
+};
+
+export type CancelLoadMutation = {
+  cancelLoad: BulkLoad;
+};
+
+// A presigned PUT URL for one file of the Import page
+export type ImportUpload = {
+  fileName: string;
+  key: string;
+  s3Uri: string;
+  uploadUrl: string;
+};
+
+export type StartImportInput = {
+  vertexKeys: string[];
+  edgeKeys: string[];
+  validate?: boolean;
+  failOnError?: boolean;
+  updateSingleCardinalityProperties?: boolean;
+};
+
+export type ValidationIssue = {
+  severity: "error" | "warning";
+  code: string;
+  file: string;
+  line?: number;
+  id?: string;
+  column?: string;
+  message: string;
+};
+
+// The JSON report of the CSV validator
+export type ValidationReport = {
+  valid: boolean;
+  errorCount: number;
+  warningCount: number;
+  countsByCode: Record<string, number>;
+  issues: ValidationIssue[];
+  truncated: boolean;
+};
+
+// An import running in the background; see ImportResult in schema.graphql
+export type ImportResult = {
+  importId: string;
+  status: "STARTING" | "INVALID" | "LOADING" | "COMPLETED" | "FAILED";
+  startedBy: string;
+  startedAt: string;
+  finishedAt: string | null;
+  loads: BulkLoad[];
+  // JSON of a ValidationReport
+  validation: string | null;
+  trackingTimedOut: boolean | null;
+  reindexStarted: boolean | null;
+  error: string | null;
+};
+
+export type GetImportQuery = {
+  getImport: ImportResult | null;
+};
+
+export type GetLoadQuery = {
+  getLoad: BulkLoad | null;
+};
+
+export type CreateImportUploadsMutation = {
+  createImportUploads: ImportUpload[];
+};
+
+export type StartImportMutation = {
+  startImport: Pick<ImportResult, "importId" | "status" | "startedBy" | "startedAt">;
+};
+
+// One bulk-load CSV file of a graph export
+export type ExportFile = {
+  s3Uri: string;
+  kind: "vertex" | "edge";
+  label: string;
+  rows: number;
+};
+
+// A logical backup of the graph as bulk-load CSV
+export type GraphExport = {
+  exportId: string;
+  status: "RUNNING" | "COMPLETED" | "FAILED";
+  startedBy: string;
+  startedAt: string;
+  finishedAt: string | null;
+  // s3:// folder with vertices/ and edges/
+  prefix: string | null;
+  vertexCount: number;
+  edgeCount: number;
+  files: ExportFile[];
+  error: string | null;
+};
+
+export type GetExportsQuery = {
+  getExports: GraphExport[];
+};
+
+export type ExportGraphMutation = {
+  exportGraph: GraphExport;
+};
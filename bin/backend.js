@@ -14,6 +14,8 @@ const app = new cdk.App();
 const logger = new NagLogger_1.NagLogger();
 cdk.Aspects.of(app).add(new cdk_nag_1.AwsSolutionsChecks({ verbose: true, additionalLoggers: [logger] }));
 const appName = config_1.deployConfig.appName || "graphApp";
+// Optional; config.ts files written before they were added do not have them
+const { bulkLoadPrefixes = [], webOrigins = [], } = config_1.deployConfig;
 const env = {
     account: process.env.CDK_DEFAULT_ACCOUNT || process.env.AWS_ACCOUNT_ID,
     region: config_1.deployConfig.region || process.env.CDK_DEFAULT_REGION,
@@ -47,8 +49,15 @@ const apiStack = new api_stack_1.ApiStack(app, `${appName}-ApiStack`, {
     vpc: neptuneNetwork.vpc,
     cluster: neptuneNetwork.cluster,
     clusterRole: neptuneNetwork.neptuneRole,
-    graphqlFieldName: ["getGraph", "getProfile", "getRelationName", "insertData", "askGraph", "searchEntities", "getEntityProperties", "getEntityEdges", "searchProjects", "getProjectAccounts", "addProjectAccount", "deleteProjectAccount"],
+    graphqlFieldName: ["getGraph", "getEntityProfile", "insertData", "askGraph", "searchEntities", "getEntityProperties", "getEntityEdges", "findPaths", "searchProjects", "getProjectAccounts", "addProjectAccount", "deleteProjectAccount", "rebuildSearchIndex", "updateVertex", "deleteVertex", "updateEdge", "deleteEdge", "createProject", "updateProject", "archiveProject", "batchMutate", "getAuditLog", "restoreVertex", "getRecentlyDeleted", "restoreEdge", "getRecentlyDeletedEdges", "getIntegrationClients", "createIntegrationClient", "rotateIntegrationClient", "revokeIntegrationClient", "getUsers", "inviteUser", "setUserGroups", "disableUser", "enableUser", "resetUserPassword", "getLoads", "cancelLoad", "getLoad", "createImportUploads", "startImport", "getImport", "getExports", "exportGraph", "exportSubgraph"],
     s3Uri: config_1.deployConfig.s3Uri,
+    bulkLoadPrefixes,
+    // Origins of the web app, which uploads the Import page's files to S3
+    webOrigins,
+    // Deleted vertices stay restorable for this many days
+    tombstoneRetentionDays: 30,
+    // Weekly logical backup of the graph as bulk-load CSV (Pacific time)
+    exportSchedule: "cron(0 19 ? * SUN *)",
     env,
 });
 new waf_stack_1.WafCloudFrontStack(app, `${appName}-WafStack`, {
@@ -142,4 +151,4 @@ authRole.addToPrincipalPolicy(new cdk.aws_iam.PolicyStatement({
     ],
     resources: ["*"],
 }));
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYmFja2VuZC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImJhY2tlbmQudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBQ0EsdUNBQXFDO0FBQ3JDLG1DQUFtQztBQUNuQyx3RUFBbUU7QUFDbkUsZ0RBQTRDO0FBQzVDLGdEQUFzRDtBQUN0RCxvRUFBZ0U7QUFDaEUscUNBQTZDO0FBRTdDLHNDQUF5QztBQUN6QyxnREFBNkM7QUFFN0MsTUFBTSxHQUFHLEdBQUcsSUFBSSxHQUFHLENBQUMsR0FBRyxFQUFFLENBQUM7QUFDMUIsTUFBTSxNQUFNLEdBQUcsSUFBSSxxQkFBUyxFQUFFLENBQUM7QUFFL0IsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUNyQixJQUFJLDRCQUFrQixDQUFDLEVBQUUsT0FBTyxFQUFFLElBQUksRUFBRSxpQkFBaUIsRUFBRSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsQ0FDdkUsQ0FBQztBQUVGLE1BQU0sT0FBTyxHQUFHLHFCQUFZLENBQUMsT0FBTyxJQUFJLFVBQVUsQ0FBQztBQUNuRCxNQUFNLEdBQUcsR0FBRztJQUNWLE9BQU8sRUFBRSxPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixJQUFJLE9BQU8sQ0FBQyxHQUFHLENBQUMsY0FBYztJQUN0RSxNQUFNLEVBQUUscUJBQVksQ0FBQyxNQUFNLElBQUksT0FBTyxDQUFDLEdBQUcsQ0FBQyxrQkFBa0I7Q0FDOUQsQ0FBQztBQUNGLE1BQU0sY0FBYyxHQUFHLElBQUksMkNBQW1CLENBQzVDLEdBQUcsRUFDSCxHQUFHLE9BQU8sc0JBQXNCLEVBQ2hDO0lBQ0UsU0FBUyxFQUFFLEtBQUs7SUFDaEIsS0FBSyxFQUFFLENBQUM7SUFDUixnQkFBZ0IsRUFBRSxJQUFJO0lBQ3RCLHdCQUF3QixFQUFFO1FBQ3hCLFdBQVcsRUFBRSxDQUFDO1FBQ2QsV0FBVyxFQUFFLEdBQUc7S0FDakI7SUFDRCxpREFBaUQ7SUFDakQsZUFBZSxFQUFFO1FBQ2YsT0FBTyxFQUFFLElBQUk7UUFDYixRQUFRLEVBQUUscUJBQXFCO1FBQy9CLFFBQVEsRUFBRSxDQUFDLEVBQUksbUNBQW1DO0tBQ25EO0lBQ0QsaURBQWlEO0lBQ2pELE9BQU8sRUFBRTtRQUNQLE9BQU8sRUFBRSxJQUFJO1FBQ2IsUUFBUSxFQUFFLHFCQUFxQjtRQUMvQixRQUFRLEVBQUUsQ0FBQyxFQUFHLG1DQUFtQztLQUNsRDtJQUNELEdBQUc7Q0FDSixDQUNGLENBQUM7QUFFRixNQUFNLFFBQVEsR0FBRyxJQUFJLG9CQUFRLENBQUMsR0FBRyxFQUFFLEdBQUcsT0FBTyxXQUFXLEVBQUU7SUFDeEQsT0FBTyxFQUFFO1FBQ1AsVUFBVSxFQUFFLHFCQUFZLENBQUMsVUFBVTtLQUNwQztJQUNELEdBQUcsRUFBRSxjQUFjLENBQUMsR0FBRztJQUN2QixPQUFPLEVBQUUsY0FBYyxDQUFDLE9BQU87SUFDL0IsV0FBVyxFQUFFLGNBQWMsQ0FBQyxXQUFXO0lBQ3ZDLGdCQUFnQixFQUFFLENBQUMsVUFBVSxFQUFFLFlBQVksRUFBRSxpQkFBaUIsRUFBRSxZQUFZLEVBQUUsVUFBVSxFQUFFLGdCQUFnQixFQUFFLHFCQUFxQixFQUFFLGdCQUFnQixFQUFFLGdCQUFnQixFQUFFLG9CQUFvQixFQUFFLG1CQUFtQixFQUFFLHNCQUFzQixDQUFDO0lBQ3pPLEtBQUssRUFBRSxxQkFBWSxDQUFDLEtBQUs7SUFDekIsR0FBRztDQUNKLENBQUMsQ0FBQztBQUVILElBQUksOEJBQWtCLENBQUMsR0FBRyxFQUFFLEdBQUcsT0FBTyxXQUFXLEVBQUU7SUFDakQsVUFBVSxFQUFFLHFCQUFZLENBQUMsVUFBVTtJQUNuQyxZQUFZLEVBQUUscUJBQVksQ0FBQyxZQUFZO0lBQ3ZDLEdBQUcsRUFBRTtRQUNILEdBQUcsR0FBRztRQUNOLE1BQU0sRUFBRSxXQUFXO0tBQ3BCO0NBQ0YsQ0FBQyxDQUFDO0FBRUgseUVBQXlFO0FBQ3pFLE1BQU0sYUFBYSxHQUFHLElBQUksd0NBQWtCLENBQUMsR0FBRyxFQUFFLEdBQUcsT0FBTyxxQkFBcUIsRUFBRTtJQUNqRixnQkFBZ0IsRUFBRSxjQUFjLENBQUMsT0FBTyxDQUFDLGlCQUFpQjtJQUMxRCx3QkFBd0IsRUFBRSxhQUFhLEVBQUUsOENBQThDO0lBQ3ZGLGFBQWEsRUFBRSxxQkFBWSxDQUFDLFlBQVk7SUFDeEMsWUFBWSxFQUFFLFFBQVEsQ0FBQyxZQUFZO0lBQ25DLGVBQWUsRUFBRSxRQUFRLENBQUMsbUJBQW1CO0lBQzdDLFVBQVUsRUFBRSxRQUFRLENBQUMsT0FBTyxDQUFDLGFBQWEsQ0FBQyxVQUFVO0lBQ3JELEdBQUc7Q0FDSixDQUFDLENBQUM7QUFFSCw4RUFBOEU7QUFDOUUsTUFBTSxRQUFRLEdBQUcsUUFBUSxDQUFDLE9BQU8sQ0FBQyxpQkFBaUIsQ0FBQztBQUNwRCxRQUFRLENBQUMsb0JBQW9CLENBQzNCLElBQUksR0FBRyxDQUFDLE9BQU8sQ0FBQyxlQUFlLENBQUM7SUFDOUIsR0FBRyxFQUFFLDhCQUE4QjtJQUNuQyxNQUFNLEVBQUUsR0FBRyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsS0FBSztJQUNoQyxPQUFPLEVBQUU7UUFDUCwwQkFBMEI7UUFDMUIsaUNBQWlDO1FBQ2pDLDJCQUEyQjtRQUMzQix5QkFBeUI7UUFDekIsMkJBQTJCO1FBQzNCLHdCQUF3QjtLQUN6QjtJQUNELFNBQVMsRUFBRSxDQUFDLEdBQUcsQ0FBQztDQUNqQixDQUFDLENBQ0gsQ0FBQztBQUNGLFFBQVEsQ0FBQyxvQkFBb0IsQ0FDM0IsSUFBSSxHQUFHLENBQUMsT0FBTyxDQUFDLGVBQWUsQ0FBQztJQUM5QixHQUFHLEVBQUUsdUJBQXVCO0lBQzVCLE1BQU0sRUFBRSxHQUFHLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLO0lBQ2hDLE9BQU8sRUFBRTtRQUNQLHVCQUF1QjtRQUN2Qiw0QkFBNEI7S0FDN0I7SUFDRCxTQUFTLEVBQUUsQ0FBQyxHQUFHLENBQUM7Q0FDakIsQ0FBQyxDQUNILENBQUM7QUFDRixRQUFRLENBQUMsb0JBQW9CLENBQzNCLElBQUksR0FBRyxDQUFDLE9BQU8sQ0FBQyxlQUFlLENBQUM7SUFDOUIsR0FBRyxFQUFFLHdCQUF3QjtJQUM3QixNQUFNLEVBQUUsR0FBRyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsS0FBSztJQUNoQyxPQUFPLEVBQUU7UUFDUCxvQkFBb0I7UUFDcEIsbUJBQW1CO0tBQ3BCO0lBQ0QsU0FBUyxFQUFFLENBQUMsR0FBRyxDQUFDO0NBQ2pCLENBQUMsQ0FDSCxDQUFDO0FBQ0YsUUFBUSxDQUFDLG9CQUFvQixDQUMzQixJQUFJLEdBQUcsQ0FBQyxPQUFPLENBQUMsZUFBZSxDQUFDO0lBQzlCLEdBQUcsRUFBRSwyQkFBMkI7SUFDaEMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLEtBQUs7SUFDaEMsT0FBTyxFQUFFO1FBQ1Asd0JBQXdCO1FBQ3hCLHlCQUF5QjtLQUMxQjtJQUNELFNBQVMsRUFBRSxDQUFDLEdBQUcsQ0FBQztDQUNqQixDQUFDLENBQ0gsQ0FBQztBQUNGLFFBQVEsQ0FBQyxvQkFBb0IsQ0FDM0IsSUFBSSxHQUFHLENBQUMsT0FBTyxDQUFDLGVBQWUsQ0FBQztJQUM5QixHQUFHLEVBQUUsNEJBQTRCO0lBQ2pDLE1BQU0sRUFBRSxHQUFHLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLO0lBQ2hDLE9BQU8sRUFBRTtRQUNQLG9CQUFvQjtRQUNwQixtQkFBbUI7S0FDcEI7SUFDRCxTQUFTLEVBQUUsQ0FBQyxHQUFHLENBQUM7Q0FDakIsQ0FBQyxDQUNILENBQUM7QUFDRixRQUFRLENBQUMsb0JBQW9CLENBQzNCLElBQUksR0FBRyxDQUFDLE9BQU8sQ0FBQyxlQUFlLENBQUM7SUFDOUIsR0FBRyxFQUFFLDJCQUEyQjtJQUNoQyxNQUFNLEVBQUUsR0FBRyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsS0FBSztJQUNoQyxPQUFPLEVBQUUsQ0FBQyx1QkFBdUIsQ0FBQztJQUNsQyxTQUFTLEVBQUUsQ0FBQyxHQUFHLENBQUM7Q0FDakIsQ0FBQyxDQUNILENBQUM7QUFDRixRQUFRLENBQUMsb0JBQW9CLENBQzNCLElBQUksR0FBRyxDQUFDLE9BQU8sQ0FBQyxlQUFlLENBQUM7SUFDOUIsR0FBRyxFQUFFLDBCQUEwQjtJQUMvQixNQUFNLEVBQUUsR0FBRyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsS0FBSztJQUNoQyxPQUFPLEVBQUUsQ0FBQyxvQkFBb0IsRUFBRSxzQkFBc0IsQ0FBQztJQUN2RCxTQUFTLEVBQUUsQ0FBQyxHQUFHLENBQUM7Q0FDakIsQ0FBQyxDQUNILENBQUM7QUFDRixRQUFRLENBQUMsb0JBQW9CLENBQzNCLElBQUksR0FBRyxDQUFDLE9BQU8sQ0FBQyxlQUFlLENBQUM7SUFDOUIsR0FBRyxFQUFFLHdCQUF3QjtJQUM3QixNQUFNLEVBQUUsR0FBRyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsS0FBSztJQUNoQyxPQUFPLEVBQUU7UUFDUCx3QkFBd0I7UUFDeEIscUJBQXFCO1FBQ3JCLHNCQUFzQjtLQUN2QjtJQUNELFNBQVMsRUFBRSxDQUFDLEdBQUcsQ0FBQztDQUNqQixDQUFDLENBQ0gsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIiMhL3Vzci9iaW4vZW52IG5vZGVcbmltcG9ydCBcInNvdXJjZS1tYXAtc3VwcG9ydC9yZWdpc3RlclwiO1xuaW1wb3J0ICogYXMgY2RrIGZyb20gXCJhd3MtY2RrLWxpYlwiO1xuaW1wb3J0IHsgTmVwdHVuZU5ldHdvcmtTdGFjayB9IGZyb20gXCIuLi9saWIvbmVwdHVuZS1uZXR3b3JrLXN0YWNrXCI7XG5pbXBvcnQgeyBBcGlTdGFjayB9IGZyb20gXCIuLi9saWIvYXBpLXN0YWNrXCI7XG5pbXBvcnQgeyBXYWZDbG91ZEZyb250U3RhY2sgfSBmcm9tIFwiLi4vbGliL3dhZi1zdGFja1wiO1xuaW1wb3J0IHsgT2JzZXJ2YWJpbGl0eVN0YWNrIH0gZnJvbSBcIi4uL2xpYi9vYnNlcnZhYmlsaXR5LXN0YWNrXCI7XG5pbXBvcnQgeyBBd3NTb2x1dGlvbnNDaGVja3MgfSBmcm9tIFwiY2RrLW5hZ1wiO1xuXG5pbXBvcnQgeyBkZXBsb3lDb25maWcgfSBmcm9tIFwiLi4vY29uZmlnXCI7XG5pbXBvcnQgeyBOYWdMb2dnZXIgfSBmcm9tIFwiLi4vbmFnL05hZ0xvZ2dlclwiO1xuXG5jb25zdCBhcHAgPSBuZXcgY2RrLkFwcCgpO1xuY29uc3QgbG9nZ2VyID0gbmV3IE5hZ0xvZ2dlcigpO1xuXG5jZGsuQXNwZWN0cy5vZihhcHApLmFkZChcbiAgbmV3IEF3c1NvbHV0aW9uc0NoZWNrcyh7IHZlcmJvc2U6IHRydWUsIGFkZGl0aW9uYWxMb2dnZXJzOiBbbG9nZ2VyXSB9KVxuKTtcblxuY29uc3QgYXBwTmFtZSA9IGRlcGxveUNvbmZpZy5hcHBOYW1lIHx8IFwiZ3JhcGhBcHBcIjtcbmNvbnN0IGVudiA9IHtcbiAgYWNjb3VudDogcHJvY2Vzcy5lbnYuQ0RLX0RFRkFVTFRfQUNDT1VOVCB8fCBwcm9jZXNzLmVudi5BV1NfQUNDT1VOVF9JRCxcbiAgcmVnaW9uOiBkZXBsb3lDb25maWcucmVnaW9uIHx8IHByb2Nlc3MuZW52LkNES19ERUZBVUxUX1JFR0lPTixcbn07XG5jb25zdCBuZXB0dW5lTmV0d29yayA9IG5ldyBOZXB0dW5lTmV0d29ya1N0YWNrKFxuICBhcHAsXG4gIGAke2FwcE5hbWV9LU5lcHR1bmVOZXR3b3JrU3RhY2tgLFxuICB7XG4gICAgbmF0U3VibmV0OiBmYWxzZSxcbiAgICBtYXhBejogMixcbiAgICBuZXB0dW5lU2VydmVybHNzOiB0cnVlLFxuICAgIG5lcHR1bmVTZXJ2ZXJsc3NDYXBhY2l0eToge1xuICAgICAgbWluQ2FwYWNpdHk6IDEsXG4gICAgICBtYXhDYXBhY2l0eTogNC41LFxuICAgIH0sXG4gICAgLy8gU3RvcCBOZXB0dW5lIGF0IG1pZG5pZ2h0IFBhY2lmaWMgdG8gc2F2ZSBjb3N0c1xuICAgIG5lcHR1bmVTY2hlZHVsZToge1xuICAgICAgZW5hYmxlZDogdHJ1ZSxcbiAgICAgIHRpbWV6b25lOiBcIkFtZXJpY2EvTG9zX0FuZ2VsZXNcIixcbiAgICAgIHN0b3BIb3VyOiAwLCAgIC8vIG1pZG5pZ2h0IFBhY2lmaWMg4oCUIGNsdXN0ZXIgc3RvcHNcbiAgICB9LFxuICAgIC8vIEJhc3Rpb24gaG9zdCBmb3IgcmVtb3RlIE5lcHR1bmUgYWNjZXNzIHZpYSBTU01cbiAgICBiYXN0aW9uOiB7XG4gICAgICBlbmFibGVkOiB0cnVlLFxuICAgICAgdGltZXpvbmU6IFwiQW1lcmljYS9Mb3NfQW5nZWxlc1wiLFxuICAgICAgc3RvcEhvdXI6IDAsICAvLyBtaWRuaWdodCBQYWNpZmljIOKAlCBiYXN0aW9uIHN0b3BzXG4gICAgfSxcbiAgICBlbnYsXG4gIH1cbik7XG5cbmNvbnN0IGFwaVN0YWNrID0gbmV3IEFwaVN0YWNrKGFwcCwgYCR7YXBwTmFtZX0tQXBpU3RhY2tgLCB7XG4gIGNvZ25pdG86IHtcbiAgICBhZG1pbkVtYWlsOiBkZXBsb3lDb25maWcuYWRtaW5FbWFpbCxcbiAgfSxcbiAgdnBjOiBuZXB0dW5lTmV0d29yay52cGMsXG4gIGNsdXN0ZXI6IG5lcHR1bmVOZXR3b3JrLmNsdXN0ZXIsXG4gIGNsdXN0ZXJSb2xlOiBuZXB0dW5lTmV0d29yay5uZXB0dW5lUm9sZSxcbiAgZ3JhcGhxbEZpZWxkTmFtZTogW1wiZ2V0R3JhcGhcIiwgXCJnZXRQcm9maWxlXCIsIFwiZ2V0UmVsYXRpb25OYW1lXCIsIFwiaW5zZXJ0RGF0YVwiLCBcImFza0dyYXBoXCIsIFwic2VhcmNoRW50aXRpZXNcIiwgXCJnZXRFbnRpdHlQcm9wZXJ0aWVzXCIsIFwiZ2V0RW50aXR5RWRnZXNcIiwgXCJzZWFyY2hQcm9qZWN0c1wiLCBcImdldFByb2plY3RBY2NvdW50c1wiLCBcImFkZFByb2plY3RBY2NvdW50XCIsIFwiZGVsZXRlUHJvamVjdEFjY291bnRcIl0sXG4gIHMzVXJpOiBkZXBsb3lDb25maWcuczNVcmksXG4gIGVudixcbn0pO1xuXG5uZXcgV2FmQ2xvdWRGcm9udFN0YWNrKGFwcCwgYCR7YXBwTmFtZX0tV2FmU3RhY2tgLCB7XG4gIGFsbG93ZWRJcHM6IGRlcGxveUNvbmZpZy5hbGxvd2VkSXBzLFxuICB3YWZQYXJhbU5hbWU6IGRlcGxveUNvbmZpZy53YWZQYXJhbU5hbWUsXG4gIGVudjoge1xuICAgIC4uLmVudixcbiAgICByZWdpb246IFwidXMtZWFzdC0xXCIsXG4gIH0sXG59KTtcblxuLy8g4pSA4pSAIE9ic2VydmFiaWxpdHk6IERhc2hib2FyZCwgQWxhcm1zLCBhbmQgQ29nbml0byByZWFkLW9ubHkgcG9saWNpZXMg4pSA4pSAXG5jb25zdCBvYnNlcnZhYmlsaXR5ID0gbmV3IE9ic2VydmFiaWxpdHlTdGFjayhhcHAsIGAke2FwcE5hbWV9LU9ic2VydmFiaWxpdHlTdGFja2AsIHtcbiAgbmVwdHVuZUNsdXN0ZXJJZDogbmVwdHVuZU5ldHdvcmsuY2x1c3Rlci5jbHVzdGVySWRlbnRpZmllcixcbiAgY2xvdWRGcm9udERpc3RyaWJ1dGlvbklkOiBcIlBMQUNFSE9MREVSXCIsIC8vIFJlc29sdmVkIGF0IGRlcGxveSB2aWEgU1NNIG9yIG1hbnVhbCB1cGRhdGVcbiAgd2FmV2ViQWNsTmFtZTogZGVwbG95Q29uZmlnLndhZlBhcmFtTmFtZSxcbiAgYXBwU3luY0FwaUlkOiBhcGlTdGFjay5ncmFwaHFsQXBpSWQsXG4gIGxhbWJkYUZ1bmN0aW9uczogYXBpU3RhY2subGFtYmRhRnVuY3Rpb25OYW1lcyxcbiAgdXNlclBvb2xJZDogYXBpU3RhY2suY29nbml0by5jb2duaXRvUGFyYW1zLnVzZXJQb29sSWQsXG4gIGVudixcbn0pO1xuXG4vLyBHcmFudCB0aGUgQ29nbml0byBhdXRoZW50aWNhdGVkIHJvbGUgcmVhZC1vbmx5IGFjY2VzcyBmb3IgdGhlIG1vbml0b3JpbmcgVUlcbmNvbnN0IGF1dGhSb2xlID0gYXBpU3RhY2suY29nbml0by5hdXRoZW50aWNhdGVkUm9sZTtcbmF1dGhSb2xlLmFkZFRvUHJpbmNpcGFsUG9saWN5KFxuICBuZXcgY2RrLmF3c19pYW0uUG9saWN5U3RhdGVtZW50KHtcbiAgICBzaWQ6IFwiTW9uaXRvcmluZ0Nsb3VkV2F0Y2hSZWFkT25seVwiLFxuICAgIGVmZmVjdDogY2RrLmF3c19pYW0uRWZmZWN0LkFMTE9XLFxuICAgIGFjdGlvbnM6IFtcbiAgICAgIFwiY2xvdWR3YXRjaDpHZXRNZXRyaWNEYXRhXCIsXG4gICAgICBcImNsb3Vkd2F0Y2g6R2V0TWV0cmljV2lkZ2V0SW1hZ2VcIixcbiAgICAgIFwiY2xvdWR3YXRjaDpEZXNjcmliZUFsYXJtc1wiLFxuICAgICAgXCJjbG91ZHdhdGNoOkdldERhc2hib2FyZFwiLFxuICAgICAgXCJjbG91ZHdhdGNoOkxpc3REYXNoYm9hcmRzXCIsXG4gICAgICBcImNsb3Vkd2F0Y2g6TGlzdE1ldHJpY3NcIixcbiAgICBdLFxuICAgIHJlc291cmNlczogW1wiKlwiXSxcbiAgfSlcbik7XG5hdXRoUm9sZS5hZGRUb1ByaW5jaXBhbFBvbGljeShcbiAgbmV3IGNkay5hd3NfaWFtLlBvbGljeVN0YXRlbWVudCh7XG4gICAgc2lkOiBcIk1vbml0b3JpbmdFQzJSZWFkT25seVwiLFxuICAgIGVmZmVjdDogY2RrLmF3c19pYW0uRWZmZWN0LkFMTE9XLFxuICAgIGFjdGlvbnM6IFtcbiAgICAgIFwiZWMyOkRlc2NyaWJlSW5zdGFuY2VzXCIsXG4gICAgICBcImVjMjpEZXNjcmliZUluc3RhbmNlU3RhdHVzXCIsXG4gICAgXSxcbiAgICByZXNvdXJjZXM6IFtcIipcIl0sXG4gIH0pXG4pO1xuYXV0aFJvbGUuYWRkVG9QcmluY2lwYWxQb2xpY3koXG4gIG5ldyBjZGsuYXdzX2lhbS5Qb2xpY3lTdGF0ZW1lbnQoe1xuICAgIHNpZDogXCJNb25pdG9yaW5nRUMyU3RhcnRTdG9wXCIsXG4gICAgZWZmZWN0OiBjZGsuYXdzX2lhbS5FZmZlY3QuQUxMT1csXG4gICAgYWN0aW9uczogW1xuICAgICAgXCJlYzI6U3RhcnRJbnN0YW5jZXNcIixcbiAgICAgIFwiZWMyOlN0b3BJbnN0YW5jZXNcIixcbiAgICBdLFxuICAgIHJlc291cmNlczogW1wiKlwiXSxcbiAgfSlcbik7XG5hdXRoUm9sZS5hZGRUb1ByaW5jaXBhbFBvbGljeShcbiAgbmV3IGNkay5hd3NfaWFtLlBvbGljeVN0YXRlbWVudCh7XG4gICAgc2lkOiBcIk1vbml0b3JpbmdOZXB0dW5lUmVhZE9ubHlcIixcbiAgICBlZmZlY3Q6IGNkay5hd3NfaWFtLkVmZmVjdC5BTExPVyxcbiAgICBhY3Rpb25zOiBbXG4gICAgICBcInJkczpEZXNjcmliZURCQ2x1c3RlcnNcIixcbiAgICAgIFwicmRzOkRlc2NyaWJlREJJbnN0YW5jZXNcIixcbiAgICBdLFxuICAgIHJlc291cmNlczogW1wiKlwiXSxcbiAgfSlcbik7XG5hdXRoUm9sZS5hZGRUb1ByaW5jaXBhbFBvbGljeShcbiAgbmV3IGNkay5hd3NfaWFtLlBvbGljeVN0YXRlbWVudCh7XG4gICAgc2lkOiBcIk1vbml0b3JpbmdOZXB0dW5lU3RhcnRTdG9wXCIsXG4gICAgZWZmZWN0OiBjZGsuYXdzX2lhbS5FZmZlY3QuQUxMT1csXG4gICAgYWN0aW9uczogW1xuICAgICAgXCJyZHM6U3RhcnREQkNsdXN0ZXJcIixcbiAgICAgIFwicmRzOlN0b3BEQkNsdXN0ZXJcIixcbiAgICBdLFxuICAgIHJlc291cmNlczogW1wiKlwiXSxcbiAgfSlcbik7XG5hdXRoUm9sZS5hZGRUb1ByaW5jaXBhbFBvbGljeShcbiAgbmV3IGNkay5hd3NfaWFtLlBvbGljeVN0YXRlbWVudCh7XG4gICAgc2lkOiBcIk1vbml0b3JpbmdBcHBTeW5jUmVhZE9ubHlcIixcbiAgICBlZmZlY3Q6IGNkay5hd3NfaWFtLkVmZmVjdC5BTExPVyxcbiAgICBhY3Rpb25zOiBbXCJhcHBzeW5jOkdldEdyYXBocWxBcGlcIl0sXG4gICAgcmVzb3VyY2VzOiBbXCIqXCJdLFxuICB9KVxuKTtcbmF1dGhSb2xlLmFkZFRvUHJpbmNpcGFsUG9saWN5KFxuICBuZXcgY2RrLmF3c19pYW0uUG9saWN5U3RhdGVtZW50KHtcbiAgICBzaWQ6IFwiTW9uaXRvcmluZ0xhbWJkYVJlYWRPbmx5XCIsXG4gICAgZWZmZWN0OiBjZGsuYXdzX2lhbS5FZmZlY3QuQUxMT1csXG4gICAgYWN0aW9uczogW1wibGFtYmRhOkdldEZ1bmN0aW9uXCIsIFwibGFtYmRhOkxpc3RGdW5jdGlvbnNcIl0sXG4gICAgcmVzb3VyY2VzOiBbXCIqXCJdLFxuICB9KVxuKTtcbmF1dGhSb2xlLmFkZFRvUHJpbmNpcGFsUG9saWN5KFxuICBuZXcgY2RrLmF3c19pYW0uUG9saWN5U3RhdGVtZW50KHtcbiAgICBzaWQ6IFwiTW9uaXRvcmluZ1hSYXlSZWFkT25seVwiLFxuICAgIGVmZmVjdDogY2RrLmF3c19pYW0uRWZmZWN0LkFMTE9XLFxuICAgIGFjdGlvbnM6IFtcbiAgICAgIFwieHJheTpHZXRUcmFjZVN1bW1hcmllc1wiLFxuICAgICAgXCJ4cmF5OkJhdGNoR2V0VHJhY2VzXCIsXG4gICAgICBcInhyYXk6R2V0U2VydmljZUdyYXBoXCIsXG4gICAgXSxcbiAgICByZXNvdXJjZXM6IFtcIipcIl0sXG4gIH0pXG4pO1xuIl19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYmFja2VuZC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImJhY2tlbmQudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBQ0EsdUNBQXFDO0FBQ3JDLG1DQUFtQztBQUNuQyx3RUFBbUU7QUFDbkUsZ0RBQTRDO0FBQzVDLGdEQUFzRDtBQUN0RCxvRUFBZ0U7QUFDaEUscUNBQTZDO0FBRTdDLHNDQUF5QztBQUN6QyxnREFBNkM7QUFFN0MsTUFBTSxHQUFHLEdBQUcsSUFBSSxHQUFHLENBQUMsR0FBRyxFQUFFLENBQUM7QUFDMUIsTUFBTSxNQUFNLEdBQUcsSUFBSSxxQkFBUyxFQUFFLENBQUM7QUFFL0IsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUNyQixJQUFJLDRCQUFrQixDQUFDLEVBQUUsT0FBTyxFQUFFLElBQUksRUFBRSxpQkFBaUIsRUFBRSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsQ0FDdkUsQ0FBQztBQUVGLE1BQU0sT0FBTyxHQUFHLHFCQUFZLENBQUMsT0FBTyxJQUFJLFVBQVUsQ0FBQztBQUNuRCw0RUFBNEU7QUFDNUUsTUFBTSxFQUNKLGdCQUFnQixHQUFHLEVBQUUsRUFDckIsVUFBVSxHQUFHLEVBQUUsR0FDaEIsR0FBMkQscUJBQVksQ0FBQztBQUN6RSxNQUFNLEdBQUcsR0FBRztJQUNWLE9BQU8sRUFBRSxPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixJQUFJLE9BQU8sQ0FBQyxHQUFHLENBQUMsY0FBYztJQUN0RSxNQUFNLEVBQUUscUJBQVksQ0FBQyxNQUFNLElBQUksT0FBTyxDQUFDLEdBQUcsQ0FBQyxrQkFBa0I7Q0FDOUQsQ0FBQztBQUNGLE1BQU0sY0FBYyxHQUFHLElBQUksMkNBQW1CLENBQzVDLEdBQUcsRUFDSCxHQUFHLE9BQU8sc0JBQXNCLEVBQ2hDO0lBQ0UsU0FBUyxFQUFFLEtBQUs7SUFDaEIsS0FBSyxFQUFFLENBQUM7SUFDUixnQkFBZ0IsRUFBRSxJQUFJO0lBQ3RCLHdCQUF3QixFQUFFO1FBQ3hCLFdBQVcsRUFBRSxDQUFDO1FBQ2QsV0FBVyxFQUFFLEdBQUc7S0FDakI7SUFDRCxpREFBaUQ7SUFDakQsZUFBZSxFQUFFO1FBQ2YsT0FBTyxFQUFFLElBQUk7UUFDYixRQUFRLEVBQUUscUJBQXFCO1FBQy9CLFFBQVEsRUFBRSxDQUFDLEVBQUksbUNBQW1DO0tBQ25EO0lBQ0QsaURBQWlEO0lBQ2pELE9BQU8sRUFBRTtRQUNQLE9BQU8sRUFBRSxJQUFJO1FBQ2IsUUFBUSxFQUFFLHFCQUFxQjtRQUMvQixRQUFRLEVBQUUsQ0FBQyxFQUFHLG1DQUFtQztLQUNsRDtJQUNELEdBQUc7Q0FDSixDQUNGLENBQUM7QUFFRixNQUFNLFFBQVEsR0FBRyxJQUFJLG9CQUFRLENBQUMsR0FBRyxFQUFFLEdBQUcsT0FBTyxXQUFXLEVBQUU7SUFDeEQsT0FBTyxFQUFFO1FBQ1AsVUFBVSxFQUFFLHFCQUFZLENBQUMsVUFBVTtLQUNwQztJQUNELEdBQUcsRUFBRSxjQUFjLENBQUMsR0FBRztJQUN2QixPQUFPLEVBQUUsY0FBYyxDQUFDLE9BQU87SUFDL0IsV0FBVyxFQUFFLGNBQWMsQ0FBQyxXQUFXO0lBQ3ZDLGdCQUFnQixFQUFFLENBQUMsVUFBVSxFQUFFLGtCQUFrQixFQUFFLFlBQVksRUFBRSxVQUFVLEVBQUUsZ0JBQWdCLEVBQUUscUJBQXFCLEVBQUUsZ0JBQWdCLEVBQUUsV0FBVyxFQUFFLGdCQUFnQixFQUFFLG9CQUFvQixFQUFFLG1CQUFtQixFQUFFLHNCQUFzQixFQUFFLG9CQUFvQixFQUFFLGNBQWMsRUFBRSxjQUFjLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxlQUFlLEVBQUUsZUFBZSxFQUFFLGdCQUFnQixFQUFFLGFBQWEsRUFBRSxhQUFhLEVBQUUsZUFBZSxFQUFFLG9CQUFvQixFQUFFLGFBQWEsRUFBRSx5QkFBeUIsRUFBRSx1QkFBdUIsRUFBRSx5QkFBeUIsRUFBRSx5QkFBeUIsRUFBRSx5QkFBeUIsRUFBRSxVQUFVLEVBQUUsWUFBWSxFQUFFLGVBQWUsRUFBRSxhQUFhLEVBQUUsWUFBWSxFQUFFLG1CQUFtQixFQUFFLFVBQVUsRUFBRSxZQUFZLEVBQUUsU0FBUyxFQUFFLHFCQUFxQixFQUFFLGFBQWEsRUFBRSxXQUFXLEVBQUUsWUFBWSxFQUFFLGFBQWEsRUFBRSxnQkFBZ0IsQ0FBQztJQUM1eUIsS0FBSyxFQUFFLHFCQUFZLENBQUMsS0FBSztJQUN6QixnQkFBZ0I7SUFDaEIsc0VBQXNFO0lBQ3RFLFVBQVU7SUFDVixzREFBc0Q7SUFDdEQsc0JBQXNCLEVBQUUsRUFBRTtJQUMxQixxRUFBcUU7SUFDckUsY0FBYyxFQUFFLHNCQUFzQjtJQUN0QyxHQUFHO0NBQ0osQ0FBQyxDQUFDO0FBRUgsSUFBSSw4QkFBa0IsQ0FBQyxHQUFHLEVBQUUsR0FBRyxPQUFPLFdBQVcsRUFBRTtJQUNqRCxVQUFVLEVBQUUscUJBQVksQ0FBQyxVQUFVO0lBQ25DLFlBQVksRUFBRSxxQkFBWSxDQUFDLFlBQVk7SUFDdkMsR0FBRyxFQUFFO1FBQ0gsR0FBRyxHQUFHO1FBQ04sTUFBTSxFQUFFLFdBQVc7S0FDcEI7Q0FDRixDQUFDLENBQUM7QUFFSCx5RUFBeUU7QUFDekUsTUFBTSxhQUFhLEdBQUcsSUFBSSx3Q0FBa0IsQ0FBQyxHQUFHLEVBQUUsR0FBRyxPQUFPLHFCQUFxQixFQUFFO0lBQ2pGLGdCQUFnQixFQUFFLGNBQWMsQ0FBQyxPQUFPLENBQUMsaUJBQWlCO0lBQzFELHdCQUF3QixFQUFFLGFBQWEsRUFBRSw4Q0FBOEM7SUFDdkYsYUFBYSxFQUFFLHFCQUFZLENBQUMsWUFBWTtJQUN4QyxZQUFZLEVBQUUsUUFBUSxDQUFDLFlBQVk7SUFDbkMsZUFBZSxFQUFFLFFBQVEsQ0FBQyxtQkFBbUI7SUFDN0MsVUFBVSxFQUFFLFFBQVEsQ0FBQyxPQUFPLENBQUMsYUFBYSxDQUFDLFVBQVU7SUFDckQsR0FBRztDQUNKLENBQUMsQ0FBQztBQUVILDhFQUE4RTtBQUM5RSxNQUFNLFFBQVEsR0FBRyxRQUFRLENBQUMsT0FBTyxDQUFDLGlCQUFpQixDQUFDO0FBQ3BELFFBQVEsQ0FBQyxvQkFBb0IsQ0FDM0IsSUFBSSxHQUFHLENBQUMsT0FBTyxDQUFDLGVBQWUsQ0FBQztJQUM5QixHQUFHLEVBQUUsOEJBQThCO0lBQ25DLE1BQU0sRUFBRSxHQUFHLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLO0lBQ2hDLE9BQU8sRUFBRTtRQUNQLDBCQUEwQjtRQUMxQixpQ0FBaUM7UUFDakMsMkJBQTJCO1FBQzNCLHlCQUF5QjtRQUN6QiwyQkFBMkI7UUFDM0Isd0JBQXdCO0tBQ3pCO0lBQ0QsU0FBUyxFQUFFLENBQUMsR0FBRyxDQUFDO0NBQ2pCLENBQUMsQ0FDSCxDQUFDO0FBQ0YsUUFBUSxDQUFDLG9CQUFvQixDQUMzQixJQUFJLEdBQUcsQ0FBQyxPQUFPLENBQUMsZUFBZSxDQUFDO0lBQzlCLEdBQUcsRUFBRSx1QkFBdUI7SUFDNUIsTUFBTSxFQUFFLEdBQUcsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLEtBQUs7SUFDaEMsT0FBTyxFQUFFO1FBQ1AsdUJBQXVCO1FBQ3ZCLDRCQUE0QjtLQUM3QjtJQUNELFNBQVMsRUFBRSxDQUFDLEdBQUcsQ0FBQztDQUNqQixDQUFDLENBQ0gsQ0FBQztBQUNGLFFBQVEsQ0FBQyxvQkFBb0IsQ0FDM0IsSUFBSSxHQUFHLENBQUMsT0FBTyxDQUFDLGVBQWUsQ0FBQztJQUM5QixHQUFHLEVBQUUsd0JBQXdCO0lBQzdCLE1BQU0sRUFBRSxHQUFHLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLO0lBQ2hDLE9BQU8sRUFBRTtRQUNQLG9CQUFvQjtRQUNwQixtQkFBbUI7S0FDcEI7SUFDRCxTQUFTLEVBQUUsQ0FBQyxHQUFHLENBQUM7Q0FDakIsQ0FBQyxDQUNILENBQUM7QUFDRixRQUFRLENBQUMsb0JBQW9CLENBQzNCLElBQUksR0FBRyxDQUFDLE9BQU8sQ0FBQyxlQUFlLENBQUM7SUFDOUIsR0FBRyxFQUFFLDJCQUEyQjtJQUNoQyxNQUFNLEVBQUUsR0FBRyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsS0FBSztJQUNoQyxPQUFPLEVBQUU7UUFDUCx3QkFBd0I7UUFDeEIseUJBQXlCO0tBQzFCO0lBQ0QsU0FBUyxFQUFFLENBQUMsR0FBRyxDQUFDO0NBQ2pCLENBQUMsQ0FDSCxDQUFDO0FBQ0YsUUFBUSxDQUFDLG9CQUFvQixDQUMzQixJQUFJLEdBQUcsQ0FBQyxPQUFPLENBQUMsZUFBZSxDQUFDO0lBQzlCLEdBQUcsRUFBRSw0QkFBNEI7SUFDakMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLEtBQUs7SUFDaEMsT0FBTyxFQUFFO1FBQ1Asb0JBQW9CO1FBQ3BCLG1CQUFtQjtLQUNwQjtJQUNELFNBQVMsRUFBRSxDQUFDLEdBQUcsQ0FBQztDQUNqQixDQUFDLENBQ0gsQ0FBQztBQUNGLFFBQVEsQ0FBQyxvQkFBb0IsQ0FDM0IsSUFBSSxHQUFHLENBQUMsT0FBTyxDQUFDLGVBQWUsQ0FBQztJQUM5QixHQUFHLEVBQUUsMkJBQTJCO0lBQ2hDLE1BQU0sRUFBRSxHQUFHLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLO0lBQ2hDLE9BQU8sRUFBRSxDQUFDLHVCQUF1QixDQUFDO0lBQ2xDLFNBQVMsRUFBRSxDQUFDLEdBQUcsQ0FBQztDQUNqQixDQUFDLENBQ0gsQ0FBQztBQUNGLFFBQVEsQ0FBQyxvQkFBb0IsQ0FDM0IsSUFBSSxHQUFHLENBQUMsT0FBTyxDQUFDLGVBQWUsQ0FBQztJQUM5QixHQUFHLEVBQUUsMEJBQTBCO0lBQy9CLE1BQU0sRUFBRSxHQUFHLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLO0lBQ2hDLE9BQU8sRUFBRSxDQUFDLG9CQUFvQixFQUFFLHNCQUFzQixDQUFDO0lBQ3ZELFNBQVMsRUFBRSxDQUFDLEdBQUcsQ0FBQztDQUNqQixDQUFDLENBQ0gsQ0FBQztBQUNGLFFBQVEsQ0FBQyxvQkFBb0IsQ0FDM0IsSUFBSSxHQUFHLENBQUMsT0FBTyxDQUFDLGVBQWUsQ0FBQztJQUM5QixHQUFHLEVBQUUsd0JBQXdCO0lBQzdCLE1BQU0sRUFBRSxHQUFHLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLO0lBQ2hDLE9BQU8sRUFBRTtRQUNQLHdCQUF3QjtRQUN4QixxQkFBcUI7UUFDckIsc0JBQXNCO0tBQ3ZCO0lBQ0QsU0FBUyxFQUFFLENBQUMsR0FBRyxDQUFDO0NBQ2pCLENBQUMsQ0FDSCxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiIyEvdXNyL2Jpbi9lbnYgbm9kZVxuaW1wb3J0IFwic291cmNlLW1hcC1zdXBwb3J0L3JlZ2lzdGVyXCI7XG5pbXBvcnQgKiBhcyBjZGsgZnJvbSBcImF3cy1jZGstbGliXCI7XG5pbXBvcnQgeyBOZXB0dW5lTmV0d29ya1N0YWNrIH0gZnJvbSBcIi4uL2xpYi9uZXB0dW5lLW5ldHdvcmstc3RhY2tcIjtcbmltcG9ydCB7IEFwaVN0YWNrIH0gZnJvbSBcIi4uL2xpYi9hcGktc3RhY2tcIjtcbmltcG9ydCB7IFdhZkNsb3VkRnJvbnRTdGFjayB9IGZyb20gXCIuLi9saWIvd2FmLXN0YWNrXCI7XG5pbXBvcnQgeyBPYnNlcnZhYmlsaXR5U3RhY2sgfSBmcm9tIFwiLi4vbGliL29ic2VydmFiaWxpdHktc3RhY2tcIjtcbmltcG9ydCB7IEF3c1NvbHV0aW9uc0NoZWNrcyB9IGZyb20gXCJjZGstbmFnXCI7XG5cbmltcG9ydCB7IGRlcGxveUNvbmZpZyB9IGZyb20gXCIuLi9jb25maWdcIjtcbmltcG9ydCB7IE5hZ0xvZ2dlciB9IGZyb20gXCIuLi9uYWcvTmFnTG9nZ2VyXCI7XG5cbmNvbnN0IGFwcCA9IG5ldyBjZGsuQXBwKCk7XG5jb25zdCBsb2dnZXIgPSBuZXcgTmFnTG9nZ2VyKCk7XG5cbmNkay5Bc3BlY3RzLm9mKGFwcCkuYWRkKFxuICBuZXcgQXdzU29sdXRpb25zQ2hlY2tzKHsgdmVyYm9zZTogdHJ1ZSwgYWRkaXRpb25hbExvZ2dlcnM6IFtsb2dnZXJdIH0pXG4pO1xuXG5jb25zdCBhcHBOYW1lID0gZGVwbG95Q29uZmlnLmFwcE5hbWUgfHwgXCJncmFwaEFwcFwiO1xuLy8gT3B0aW9uYWw7IGNvbmZpZy50cyBmaWxlcyB3cml0dGVuIGJlZm9yZSB0aGV5IHdlcmUgYWRkZWQgZG8gbm90IGhhdmUgdGhlbVxuY29uc3Qge1xuICBidWxrTG9hZFByZWZpeGVzID0gW10sXG4gIHdlYk9yaWdpbnMgPSBbXSxcbn06IHsgYnVsa0xvYWRQcmVmaXhlcz86IHN0cmluZ1tdOyB3ZWJPcmlnaW5zPzogc3RyaW5nW10gfSA9IGRlcGxveUNvbmZpZztcbmNvbnN0IGVudiA9IHtcbiAgYWNjb3VudDogcHJvY2Vzcy5lbnYuQ0RLX0RFRkFVTFRfQUNDT1VOVCB8fCBwcm9jZXNzLmVudi5BV1NfQUNDT1VOVF9JRCxcbiAgcmVnaW9uOiBkZXBsb3lDb25maWcucmVnaW9uIHx8IHByb2Nlc3MuZW52LkNES19ERUZBVUxUX1JFR0lPTixcbn07XG5jb25zdCBuZXB0dW5lTmV0d29yayA9IG5ldyBOZXB0dW5lTmV0d29ya1N0YWNrKFxuICBhcHAsXG4gIGAke2FwcE5hbWV9LU5lcHR1bmVOZXR3b3JrU3RhY2tgLFxuICB7XG4gICAgbmF0U3VibmV0OiBmYWxzZSxcbiAgICBtYXhBejogMixcbiAgICBuZXB0dW5lU2VydmVybHNzOiB0cnVlLFxuICAgIG5lcHR1bmVTZXJ2ZXJsc3NDYXBhY2l0eToge1xuICAgICAgbWluQ2FwYWNpdHk6IDEsXG4gICAgICBtYXhDYXBhY2l0eTogNC41LFxuICAgIH0sXG4gICAgLy8gU3RvcCBOZXB0dW5lIGF0IG1pZG5pZ2h0IFBhY2lmaWMgdG8gc2F2ZSBjb3N0c1xuICAgIG5lcHR1bmVTY2hlZHVsZToge1xuICAgICAgZW5hYmxlZDogdHJ1ZSxcbiAgICAgIHRpbWV6b25lOiBcIkFtZXJpY2EvTG9zX0FuZ2VsZXNcIixcbiAgICAgIHN0b3BIb3VyOiAwLCAgIC8vIG1pZG5pZ2h0IFBhY2lmaWMg4oCUIGNsdXN0ZXIgc3RvcHNcbiAgICB9LFxuICAgIC8vIEJhc3Rpb24gaG9zdCBmb3IgcmVtb3RlIE5lcHR1bmUgYWNjZXNzIHZpYSBTU01cbiAgICBiYXN0aW9uOiB7XG4gICAgICBlbmFibGVkOiB0cnVlLFxuICAgICAgdGltZXpvbmU6IFwiQW1lcmljYS9Mb3NfQW5nZWxlc1wiLFxuICAgICAgc3RvcEhvdXI6IDAsICAvLyBtaWRuaWdodCBQYWNpZmljIOKAlCBiYXN0aW9uIHN0b3BzXG4gICAgfSxcbiAgICBlbnYsXG4gIH1cbik7XG5cbmNvbnN0IGFwaVN0YWNrID0gbmV3IEFwaVN0YWNrKGFwcCwgYCR7YXBwTmFtZX0tQXBpU3RhY2tgLCB7XG4gIGNvZ25pdG86IHtcbiAgICBhZG1pbkVtYWlsOiBkZXBsb3lDb25maWcuYWRtaW5FbWFpbCxcbiAgfSxcbiAgdnBjOiBuZXB0dW5lTmV0d29yay52cGMsXG4gIGNsdXN0ZXI6IG5lcHR1bmVOZXR3b3JrLmNsdXN0ZXIsXG4gIGNsdXN0ZXJSb2xlOiBuZXB0dW5lTmV0d29yay5uZXB0dW5lUm9sZSxcbiAgZ3JhcGhxbEZpZWxkTmFtZTogW1wiZ2V0R3JhcGhcIiwgXCJnZXRFbnRpdHlQcm9maWxlXCIsIFwiaW5zZXJ0RGF0YVwiLCBcImFza0dyYXBoXCIsIFwic2VhcmNoRW50aXRpZXNcIiwgXCJnZXRFbnRpdHlQcm9wZXJ0aWVzXCIsIFwiZ2V0RW50aXR5RWRnZXNcIiwgXCJmaW5kUGF0aHNcIiwgXCJzZWFyY2hQcm9qZWN0c1wiLCBcImdldFByb2plY3RBY2NvdW50c1wiLCBcImFkZFByb2plY3RBY2NvdW50XCIsIFwiZGVsZXRlUHJvamVjdEFjY291bnRcIiwgXCJyZWJ1aWxkU2VhcmNoSW5kZXhcIiwgXCJ1cGRhdGVWZXJ0ZXhcIiwgXCJkZWxldGVWZXJ0ZXhcIiwgXCJ1cGRhdGVFZGdlXCIsIFwiZGVsZXRlRWRnZVwiLCBcImNyZWF0ZVByb2plY3RcIiwgXCJ1cGRhdGVQcm9qZWN0XCIsIFwiYXJjaGl2ZVByb2plY3RcIiwgXCJiYXRjaE11dGF0ZVwiLCBcImdldEF1ZGl0TG9nXCIsIFwicmVzdG9yZVZlcnRleFwiLCBcImdldFJlY2VudGx5RGVsZXRlZFwiLCBcInJlc3RvcmVFZGdlXCIsIFwiZ2V0UmVjZW50bHlEZWxldGVkRWRnZXNcIiwgXCJnZXRJbnRlZ3JhdGlvbkNsaWVudHNcIiwgXCJjcmVhdGVJbnRlZ3JhdGlvbkNsaWVudFwiLCBcInJvdGF0ZUludGVncmF0aW9uQ2xpZW50XCIsIFwicmV2b2tlSW50ZWdyYXRpb25DbGllbnRcIiwgXCJnZXRVc2Vyc1wiLCBcImludml0ZVVzZXJcIiwgXCJzZXRVc2VyR3JvdXBzXCIsIFwiZGlzYWJsZVVzZXJcIiwgXCJlbmFibGVVc2VyXCIsIFwicmVzZXRVc2VyUGFzc3dvcmRcIiwgXCJnZXRMb2Fkc1wiLCBcImNhbmNlbExvYWRcIiwgXCJnZXRMb2FkXCIsIFwiY3JlYXRlSW1wb3J0VXBsb2Fkc1wiLCBcInN0YXJ0SW1wb3J0XCIsIFwiZ2V0SW1wb3J0XCIsIFwiZ2V0RXhwb3J0c1wiLCBcImV4cG9ydEdyYXBoXCIsIFwiZXhwb3J0U3ViZ3JhcGhcIl0sXG4gIHMzVXJpOiBkZXBsb3lDb25maWcuczNVcmksXG4gIGJ1bGtMb2FkUHJlZml4ZXMsXG4gIC8vIE9yaWdpbnMgb2YgdGhlIHdlYiBhcHAsIHdoaWNoIHVwbG9hZHMgdGhlIEltcG9ydCBwYWdlJ3MgZmlsZXMgdG8gUzNcbiAgd2ViT3JpZ2lucyxcbiAgLy8gRGVsZXRlZCB2ZXJ0aWNlcyBzdGF5IHJlc3RvcmFibGUgZm9yIHRoaXMgbWFueSBkYXlzXG4gIHRvbWJzdG9uZVJldGVudGlvbkRheXM6IDMwLFxuICAvLyBXZWVrbHkgbG9naWNhbCBiYWNrdXAgb2YgdGhlIGdyYXBoIGFzIGJ1bGstbG9hZCBDU1YgKFBhY2lmaWMgdGltZSlcbiAgZXhwb3J0U2NoZWR1bGU6IFwiY3JvbigwIDE5ID8gKiBTVU4gKilcIixcbiAgZW52LFxufSk7XG5cbm5ldyBXYWZDbG91ZEZyb250U3RhY2soYXBwLCBgJHthcHBOYW1lfS1XYWZTdGFja2AsIHtcbiAgYWxsb3dlZElwczogZGVwbG95Q29uZmlnLmFsbG93ZWRJcHMsXG4gIHdhZlBhcmFtTmFtZTogZGVwbG95Q29uZmlnLndhZlBhcmFtTmFtZSxcbiAgZW52OiB7XG4gICAgLi4uZW52LFxuICAgIHJlZ2lvbjogXCJ1cy1lYXN0LTFcIixcbiAgfSxcbn0pO1xuXG4vLyDilIDilIAgT2JzZXJ2YWJpbGl0eTogRGFzaGJvYXJkLCBBbGFybXMsIGFuZCBDb2duaXRvIHJlYWQtb25seSBwb2xpY2llcyDilIDilIBcbmNvbnN0IG9ic2VydmFiaWxpdHkgPSBuZXcgT2JzZXJ2YWJpbGl0eVN0YWNrKGFwcCwgYCR7YXBwTmFtZX0tT2JzZXJ2YWJpbGl0eVN0YWNrYCwge1xuICBuZXB0dW5lQ2x1c3RlcklkOiBuZXB0dW5lTmV0d29yay5jbHVzdGVyLmNsdXN0ZXJJZGVudGlmaWVyLFxuICBjbG91ZEZyb250RGlzdHJpYnV0aW9uSWQ6IFwiUExBQ0VIT0xERVJcIiwgLy8gUmVzb2x2ZWQgYXQgZGVwbG95IHZpYSBTU00gb3IgbWFudWFsIHVwZGF0ZVxuICB3YWZXZWJBY2xOYW1lOiBkZXBsb3lDb25maWcud2FmUGFyYW1OYW1lLFxuICBhcHBTeW5jQXBpSWQ6IGFwaVN0YWNrLmdyYXBocWxBcGlJZCxcbiAgbGFtYmRhRnVuY3Rpb25zOiBhcGlTdGFjay5sYW1iZGFGdW5jdGlvbk5hbWVzLFxuICB1c2VyUG9vbElkOiBhcGlTdGFjay5jb2duaXRvLmNvZ25pdG9QYXJhbXMudXNlclBvb2xJZCxcbiAgZW52LFxufSk7XG5cbi8vIEdyYW50IHRoZSBDb2duaXRvIGF1dGhlbnRpY2F0ZWQgcm9sZSByZWFkLW9ubHkgYWNjZXNzIGZvciB0aGUgbW9uaXRvcmluZyBVSVxuY29uc3QgYXV0aFJvbGUgPSBhcGlTdGFjay5jb2duaXRvLmF1dGhlbnRpY2F0ZWRSb2xlO1xuYXV0aFJvbGUuYWRkVG9QcmluY2lwYWxQb2xpY3koXG4gIG5ldyBjZGsuYXdzX2lhbS5Qb2xpY3lTdGF0ZW1lbnQoe1xuICAgIHNpZDogXCJNb25pdG9yaW5nQ2xvdWRXYXRjaFJlYWRPbmx5XCIsXG4gICAgZWZmZWN0OiBjZGsuYXdzX2lhbS5FZmZlY3QuQUxMT1csXG4gICAgYWN0aW9uczogW1xuICAgICAgXCJjbG91ZHdhdGNoOkdldE1ldHJpY0RhdGFcIixcbiAgICAgIFwiY2xvdWR3YXRjaDpHZXRNZXRyaWNXaWRnZXRJbWFnZVwiLFxuICAgICAgXCJjbG91ZHdhdGNoOkRlc2NyaWJlQWxhcm1zXCIsXG4gICAgICBcImNsb3Vkd2F0Y2g6R2V0RGFzaGJvYXJkXCIsXG4gICAgICBcImNsb3Vkd2F0Y2g6TGlzdERhc2hib2FyZHNcIixcbiAgICAgIFwiY2xvdWR3YXRjaDpMaXN0TWV0cmljc1wiLFxuICAgIF0sXG4gICAgcmVzb3VyY2VzOiBbXCIqXCJdLFxuICB9KVxuKTtcbmF1dGhSb2xlLmFkZFRvUHJpbmNpcGFsUG9saWN5KFxuICBuZXcgY2RrLmF3c19pYW0uUG9saWN5U3RhdGVtZW50KHtcbiAgICBzaWQ6IFwiTW9uaXRvcmluZ0VDMlJlYWRPbmx5XCIsXG4gICAgZWZmZWN0OiBjZGsuYXdzX2lhbS5FZmZlY3QuQUxMT1csXG4gICAgYWN0aW9uczogW1xuICAgICAgXCJlYzI6RGVzY3JpYmVJbnN0YW5jZXNcIixcbiAgICAgIFwiZWMyOkRlc2NyaWJlSW5zdGFuY2VTdGF0dXNcIixcbiAgICBdLFxuICAgIHJlc291cmNlczogW1wiKlwiXSxcbiAgfSlcbik7XG5hdXRoUm9sZS5hZGRUb1ByaW5jaXBhbFBvbGljeShcbiAgbmV3IGNkay5hd3NfaWFtLlBvbGljeVN0YXRlbWVudCh7XG4gICAgc2lkOiBcIk1vbml0b3JpbmdFQzJTdGFydFN0b3BcIixcbiAgICBlZmZlY3Q6IGNkay5hd3NfaWFtLkVmZmVjdC5BTExPVyxcbiAgICBhY3Rpb25zOiBbXG4gICAgICBcImVjMjpTdGFydEluc3RhbmNlc1wiLFxuICAgICAgXCJlYzI6U3RvcEluc3RhbmNlc1wiLFxuICAgIF0sXG4gICAgcmVzb3VyY2VzOiBbXCIqXCJdLFxuICB9KVxuKTtcbmF1dGhSb2xlLmFkZFRvUHJpbmNpcGFsUG9saWN5KFxuICBuZXcgY2RrLmF3c19pYW0uUG9saWN5U3RhdGVtZW50KHtcbiAgICBzaWQ6IFwiTW9uaXRvcmluZ05lcHR1bmVSZWFkT25seVwiLFxuICAgIGVmZmVjdDogY2RrLmF3c19pYW0uRWZmZWN0LkFMTE9XLFxuICAgIGFjdGlvbnM6IFtcbiAgICAgIFwicmRzOkRlc2NyaWJlREJDbHVzdGVyc1wiLFxuICAgICAgXCJyZHM6RGVzY3JpYmVEQkluc3RhbmNlc1wiLFxuICAgIF0sXG4gICAgcmVzb3VyY2VzOiBbXCIqXCJdLFxuICB9KVxuKTtcbmF1dGhSb2xlLmFkZFRvUHJpbmNpcGFsUG9saWN5KFxuICBuZXcgY2RrLmF3c19pYW0uUG9saWN5U3RhdGVtZW50KHtcbiAgICBzaWQ6IFwiTW9uaXRvcmluZ05lcHR1bmVTdGFydFN0b3BcIixcbiAgICBlZmZlY3Q6IGNkay5hd3NfaWFtLkVmZmVjdC5BTExPVyxcbiAgICBhY3Rpb25zOiBbXG4gICAgICBcInJkczpTdGFydERCQ2x1c3RlclwiLFxuICAgICAgXCJyZHM6U3RvcERCQ2x1c3RlclwiLFxuICAgIF0sXG4gICAgcmVzb3VyY2VzOiBbXCIqXCJdLFxuICB9KVxuKTtcbmF1dGhSb2xlLmFkZFRvUHJpbmNpcGFsUG9saWN5KFxuICBuZXcgY2RrLmF3c19pYW0uUG9saWN5U3RhdGVtZW50KHtcbiAgICBzaWQ6IFwiTW9uaXRvcmluZ0FwcFN5bmNSZWFkT25seVwiLFxuICAgIGVmZmVjdDogY2RrLmF3c19pYW0uRWZmZWN0LkFMTE9XLFxuICAgIGFjdGlvbnM6IFtcImFwcHN5bmM6R2V0R3JhcGhxbEFwaVwiXSxcbiAgICByZXNvdXJjZXM6IFtcIipcIl0sXG4gIH0pXG4pO1xuYXV0aFJvbGUuYWRkVG9QcmluY2lwYWxQb2xpY3koXG4gIG5ldyBjZGsuYXdzX2lhbS5Qb2xpY3lTdGF0ZW1lbnQoe1xuICAgIHNpZDogXCJNb25pdG9yaW5nTGFtYmRhUmVhZE9ubHlcIixcbiAgICBlZmZlY3Q6IGNkay5hd3NfaWFtLkVmZmVjdC5BTExPVyxcbiAgICBhY3Rpb25zOiBbXCJsYW1iZGE6R2V0RnVuY3Rpb25cIiwgXCJsYW1iZGE6TGlzdEZ1bmN0aW9uc1wiXSxcbiAgICByZXNvdXJjZXM6IFtcIipcIl0sXG4gIH0pXG4pO1xuYXV0aFJvbGUuYWRkVG9QcmluY2lwYWxQb2xpY3koXG4gIG5ldyBjZGsuYXdzX2lhbS5Qb2xpY3lTdGF0ZW1lbnQoe1xuICAgIHNpZDogXCJNb25pdG9yaW5nWFJheVJlYWRPbmx5XCIsXG4gICAgZWZmZWN0OiBjZGsuYXdzX2lhbS5FZmZlY3QuQUxMT1csXG4gICAgYWN0aW9uczogW1xuICAgICAgXCJ4cmF5OkdldFRyYWNlU3VtbWFyaWVzXCIsXG4gICAgICBcInhyYXk6QmF0Y2hHZXRUcmFjZXNcIixcbiAgICAgIFwieHJheTpHZXRTZXJ2aWNlR3JhcGhcIixcbiAgICBdLFxuICAgIHJlc291cmNlczogW1wiKlwiXSxcbiAgfSlcbik7XG4iXX0=
\ No newline at end of file
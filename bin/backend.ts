@@ -18,6 +18,11 @@ cdk.Aspects.of(app).add(
 );
 
 const appName = deployConfig.appName || "graphApp";
+// Optional; config.ts files written before they were added do not have them
+const {
+  bulkLoadPrefixes = [],
+  webOrigins = [],
+}: { bulkLoadPrefixes?: string[]; webOrigins?: string[] } = deployConfig;
 const env = {
   account: process.env.CDK_DEFAULT_ACCOUNT || process.env.AWS_ACCOUNT_ID,
   region: deployConfig.region || process.env.CDK_DEFAULT_REGION,
@@ -56,8 +61,15 @@ const apiStack = new ApiStack(app, `${appName}-ApiStack`, {
   vpc: neptuneNetwork.vpc,
   cluster: neptuneNetwork.cluster,
   clusterRole: neptuneNetwork.neptuneRole,
-  graphqlFieldName: ["getGraph", "getProfile", "getRelationName", "insertData", "askGraph", "searchEntities", "getEntityProperties", "getEntityEdges", "searchProjects", "getProjectAccounts", "addProjectAccount", "deleteProjectAccount"],
+  graphqlFieldName: ["getGraph", "getEntityProfile", "insertData", "askGraph", "searchEntities", "getEntityProperties", "getEntityEdges", "findPaths", "searchProjects", "getProjectAccounts", "addProjectAccount", "deleteProjectAccount", "rebuildSearchIndex", "updateVertex", "deleteVertex", "updateEdge", "deleteEdge", "createProject", "updateProject", "archiveProject", "batchMutate", "getAuditLog", "restoreVertex", "getRecentlyDeleted", "restoreEdge", "getRecentlyDeletedEdges", "getIntegrationClients", "createIntegrationClient", "rotateIntegrationClient", "revokeIntegrationClient", "getUsers", "inviteUser", "setUserGroups", "disableUser", "enableUser", "resetUserPassword", "getLoads", "cancelLoad", "getLoad", "createImportUploads", "startImport", "getImport", "getExports", "exportGraph", "exportSubgraph"],
   s3Uri: deployConfig.s3Uri,
+  bulkLoadPrefixes,
+  // Origins of the web app, which uploads the Import page's files to S3
+  webOrigins,
+  // Deleted vertices stay restorable for this many days
+  tombstoneRetentionDays: 30,
+  // Weekly logical backup of the graph as bulk-load CSV (Pacific time)
+  exportSchedule: "cron(0 19 ? * SUN *)",
   env,
 });
 
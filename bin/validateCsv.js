@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+// Validates Neptune bulk-load CSV files before they are uploaded, e.g.
+//
+//   npm run validateCsv -- data/vertex.csv data/edge.csv
+//   npm run validateCsv -- --format json data/*.csv > report.json
+//
+// Exits with 1 when the files have errors, 2 on bad arguments.
+const promises_1 = require("fs/promises");
+const path_1 = require("path");
+const csvValidator_1 = require("../api/lambda/shared/csvValidator");
+const USAGE = "Usage: validateCsv [--format text|json] [--max-issues N] <file.csv>...";
+const parseArgs = (argv) => {
+    const files = [];
+    let format = "text";
+    let maxIssues;
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--format") {
+            format = argv[++i];
+        }
+        else if (arg === "--max-issues") {
+            maxIssues = Number(argv[++i]);
+        }
+        else if (arg === "--help" || arg === "-h") {
+            return null;
+        }
+        else {
+            files.push(arg);
+        }
+    }
+    if (files.length === 0 || !["text", "json"].includes(format))
+        return null;
+    if (maxIssues !== undefined && !(Number.isInteger(maxIssues) && maxIssues >= 0)) {
+        return null;
+    }
+    return { files, format, maxIssues };
+};
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args) {
+        console.error(USAGE);
+        process.exit(2);
+    }
+    const names = new Set(args.files.map((file) => (0, path_1.basename)(file)));
+    const files = await Promise.all(args.files.map(async (file) => ({
+        // Short names unless two files share one
+        name: names.size === args.files.length ? (0, path_1.basename)(file) : file,
+        content: await (0, promises_1.readFile)(file, "utf8"),
+    })));
+    const report = (0, csvValidator_1.validateCsvFiles)(files, { maxIssues: args.maxIssues });
+    console.log(args.format === "json"
+        ? JSON.stringify(report, null, 2)
+        : (0, csvValidator_1.describeReport)(report));
+    process.exit(report.valid ? 0 : 1);
+};
+main().catch((error) => {
+    console.error(error instanceof Error ? error.message : error);
+    process.exit(2);
+});
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidmFsaWRhdGVDc3YuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJ2YWxpZGF0ZUNzdi50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFDQSx1RUFBdUU7QUFDdkUsRUFBRTtBQUNGLHlEQUF5RDtBQUN6RCxrRUFBa0U7QUFDbEUsRUFBRTtBQUNGLCtEQUErRDtBQUMvRCwwQ0FBdUM7QUFDdkMsK0JBQWdDO0FBQ2hDLG9FQUcyQztBQUUzQyxNQUFNLEtBQUssR0FDVCx3RUFBd0UsQ0FBQztBQUUzRSxNQUFNLFNBQVMsR0FBRyxDQUFDLElBQWMsRUFBRSxFQUFFO0lBQ25DLE1BQU0sS0FBSyxHQUFhLEVBQUUsQ0FBQztJQUMzQixJQUFJLE1BQU0sR0FBRyxNQUFNLENBQUM7SUFDcEIsSUFBSSxTQUE2QixDQUFDO0lBQ2xDLEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUM7UUFDckMsTUFBTSxHQUFHLEdBQUcsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ3BCLElBQUksR0FBRyxLQUFLLFVBQVUsRUFBRSxDQUFDO1lBQ3ZCLE1BQU0sR0FBRyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztRQUNyQixDQUFDO2FBQU0sSUFBSSxHQUFHLEtBQUssY0FBYyxFQUFFLENBQUM7WUFDbEMsU0FBUyxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ2hDLENBQUM7YUFBTSxJQUFJLEdBQUcsS0FBSyxRQUFRLElBQUksR0FBRyxLQUFLLElBQUksRUFBRSxDQUFDO1lBQzVDLE9BQU8sSUFBSSxDQUFDO1FBQ2QsQ0FBQzthQUFNLENBQUM7WUFDTixLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ2xCLENBQUM7SUFDSCxDQUFDO0lBQ0QsSUFBSSxLQUFLLENBQUMsTUFBTSxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUM7UUFBRSxPQUFPLElBQUksQ0FBQztJQUMxRSxJQUFJLFNBQVMsS0FBSyxTQUFTLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsU0FBUyxDQUFDLElBQUksU0FBUyxJQUFJLENBQUMsQ0FBQyxFQUFFLENBQUM7UUFDaEYsT0FBTyxJQUFJLENBQUM7SUFDZCxDQUFDO0lBQ0QsT0FBTyxFQUFFLEtBQUssRUFBRSxNQUFNLEVBQUUsU0FBUyxFQUFFLENBQUM7QUFDdEMsQ0FBQyxDQUFDO0FBRUYsTUFBTSxJQUFJLEdBQUcsS0FBSyxJQUFJLEVBQUU7SUFDdEIsTUFBTSxJQUFJLEdBQUcsU0FBUyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDOUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDO1FBQ1YsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNyQixPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2xCLENBQUM7SUFDRCxNQUFNLEtBQUssR0FBRyxJQUFJLEdBQUcsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxFQUFFLENBQUMsSUFBQSxlQUFRLEVBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2hFLE1BQU0sS0FBSyxHQUFHLE1BQU0sT0FBTyxDQUFDLEdBQUcsQ0FDN0IsSUFBSSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsS0FBSyxFQUFFLElBQUksRUFBRSxFQUFFLENBQUMsQ0FBQztRQUM5Qix5Q0FBeUM7UUFDekMsSUFBSSxFQUFFLEtBQUssQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLElBQUEsZUFBUSxFQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJO1FBQzlELE9BQU8sRUFBRSxNQUFNLElBQUEsbUJBQVEsRUFBQyxJQUFJLEVBQUUsTUFBTSxDQUFDO0tBQ3RDLENBQUMsQ0FBQyxDQUNKLENBQUM7SUFDRixNQUFNLE1BQU0sR0FBRyxJQUFBLCtCQUFnQixFQUFDLEtBQUssRUFBRSxFQUFFLFNBQVMsRUFBRSxJQUFJLENBQUMsU0FBUyxFQUFFLENBQUMsQ0FBQztJQUN0RSxPQUFPLENBQUMsR0FBRyxDQUNULElBQUksQ0FBQyxNQUFNLEtBQUssTUFBTTtRQUNwQixDQUFDLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxNQUFNLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztRQUNqQyxDQUFDLENBQUMsSUFBQSw2QkFBYyxFQUFDLE1BQU0sQ0FBQyxDQUMzQixDQUFDO0lBQ0YsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0FBQ3JDLENBQUMsQ0FBQztBQUVGLElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxDQUFDLEtBQUssRUFBRSxFQUFFO0lBQ3JCLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxZQUFZLEtBQUssQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDOUQsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztBQUNsQixDQUFDLENBQUMsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIiMhL3Vzci9iaW4vZW52IG5vZGVcbi8vIFZhbGlkYXRlcyBOZXB0dW5lIGJ1bGstbG9hZCBDU1YgZmlsZXMgYmVmb3JlIHRoZXkgYXJlIHVwbG9hZGVkLCBlLmcuXG4vL1xuLy8gICBucG0gcnVuIHZhbGlkYXRlQ3N2IC0tIGRhdGEvdmVydGV4LmNzdiBkYXRhL2VkZ2UuY3N2XG4vLyAgIG5wbSBydW4gdmFsaWRhdGVDc3YgLS0gLS1mb3JtYXQganNvbiBkYXRhLyouY3N2ID4gcmVwb3J0Lmpzb25cbi8vXG4vLyBFeGl0cyB3aXRoIDEgd2hlbiB0aGUgZmlsZXMgaGF2ZSBlcnJvcnMsIDIgb24gYmFkIGFyZ3VtZW50cy5cbmltcG9ydCB7IHJlYWRGaWxlIH0gZnJvbSBcImZzL3Byb21pc2VzXCI7XG5pbXBvcnQgeyBiYXNlbmFtZSB9IGZyb20gXCJwYXRoXCI7XG5pbXBvcnQge1xuICBkZXNjcmliZVJlcG9ydCxcbiAgdmFsaWRhdGVDc3ZGaWxlcyxcbn0gZnJvbSBcIi4uL2FwaS9sYW1iZGEvc2hhcmVkL2NzdlZhbGlkYXRvclwiO1xuXG5jb25zdCBVU0FHRSA9XG4gIFwiVXNhZ2U6IHZhbGlkYXRlQ3N2IFstLWZvcm1hdCB0ZXh0fGpzb25dIFstLW1heC1pc3N1ZXMgTl0gPGZpbGUuY3N2Pi4uLlwiO1xuXG5jb25zdCBwYXJzZUFyZ3MgPSAoYXJndjogc3RyaW5nW10pID0+IHtcbiAgY29uc3QgZmlsZXM6IHN0cmluZ1tdID0gW107XG4gIGxldCBmb3JtYXQgPSBcInRleHRcIjtcbiAgbGV0IG1heElzc3VlczogbnVtYmVyIHwgdW5kZWZpbmVkO1xuICBmb3IgKGxldCBpID0gMDsgaSA8IGFyZ3YubGVuZ3RoOyBpKyspIHtcbiAgICBjb25zdCBhcmcgPSBhcmd2W2ldO1xuICAgIGlmIChhcmcgPT09IFwiLS1mb3JtYXRcIikge1xuICAgICAgZm9ybWF0ID0gYXJndlsrK2ldO1xuICAgIH0gZWxzZSBpZiAoYXJnID09PSBcIi0tbWF4LWlzc3Vlc1wiKSB7XG4gICAgICBtYXhJc3N1ZXMgPSBOdW1iZXIoYXJndlsrK2ldKTtcbiAgICB9IGVsc2UgaWYgKGFyZyA9PT0gXCItLWhlbHBcIiB8fCBhcmcgPT09IFwiLWhcIikge1xuICAgICAgcmV0dXJuIG51bGw7XG4gICAgfSBlbHNlIHtcbiAgICAgIGZpbGVzLnB1c2goYXJnKTtcbiAgICB9XG4gIH1cbiAgaWYgKGZpbGVzLmxlbmd0aCA9PT0gMCB8fCAhW1widGV4dFwiLCBcImpzb25cIl0uaW5jbHVkZXMoZm9ybWF0KSkgcmV0dXJuIG51bGw7XG4gIGlmIChtYXhJc3N1ZXMgIT09IHVuZGVmaW5lZCAmJiAhKE51bWJlci5pc0ludGVnZXIobWF4SXNzdWVzKSAmJiBtYXhJc3N1ZXMgPj0gMCkpIHtcbiAgICByZXR1cm4gbnVsbDtcbiAgfVxuICByZXR1cm4geyBmaWxlcywgZm9ybWF0LCBtYXhJc3N1ZXMgfTtcbn07XG5cbmNvbnN0IG1haW4gPSBhc3luYyAoKSA9PiB7XG4gIGNvbnN0IGFyZ3MgPSBwYXJzZUFyZ3MocHJvY2Vzcy5hcmd2LnNsaWNlKDIpKTtcbiAgaWYgKCFhcmdzKSB7XG4gICAgY29uc29sZS5lcnJvcihVU0FHRSk7XG4gICAgcHJvY2Vzcy5leGl0KDIpO1xuICB9XG4gIGNvbnN0IG5hbWVzID0gbmV3IFNldChhcmdzLmZpbGVzLm1hcCgoZmlsZSkgPT4gYmFzZW5hbWUoZmlsZSkpKTtcbiAgY29uc3QgZmlsZXMgPSBhd2FpdCBQcm9taXNlLmFsbChcbiAgICBhcmdzLmZpbGVzLm1hcChhc3luYyAoZmlsZSkgPT4gKHtcbiAgICAgIC8vIFNob3J0IG5hbWVzIHVubGVzcyB0d28gZmlsZXMgc2hhcmUgb25lXG4gICAgICBuYW1lOiBuYW1lcy5zaXplID09PSBhcmdzLmZpbGVzLmxlbmd0aCA/IGJhc2VuYW1lKGZpbGUpIDogZmlsZSxcbiAgICAgIGNvbnRlbnQ6IGF3YWl0IHJlYWRGaWxlKGZpbGUsIFwidXRmOFwiKSxcbiAgICB9KSlcbiAgKTtcbiAgY29uc3QgcmVwb3J0ID0gdmFsaWRhdGVDc3ZGaWxlcyhmaWxlcywgeyBtYXhJc3N1ZXM6IGFyZ3MubWF4SXNzdWVzIH0pO1xuICBjb25zb2xlLmxvZyhcbiAgICBhcmdzLmZvcm1hdCA9PT0gXCJqc29uXCJcbiAgICAgID8gSlNPTi5zdHJpbmdpZnkocmVwb3J0LCBudWxsLCAyKVxuICAgICAgOiBkZXNjcmliZVJlcG9ydChyZXBvcnQpXG4gICk7XG4gIHByb2Nlc3MuZXhpdChyZXBvcnQudmFsaWQgPyAwIDogMSk7XG59O1xuXG5tYWluKCkuY2F0Y2goKGVycm9yKSA9PiB7XG4gIGNvbnNvbGUuZXJyb3IoZXJyb3IgaW5zdGFuY2VvZiBFcnJvciA/IGVycm9yLm1lc3NhZ2UgOiBlcnJvcik7XG4gIHByb2Nlc3MuZXhpdCgyKTtcbn0pO1xuIl19
\ No newline at end of file
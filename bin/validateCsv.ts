@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Validates Neptune bulk-load CSV files before they are uploaded, e.g.
+//
+//   npm run validateCsv -- data/vertex.csv data/edge.csv
+//   npm run validateCsv -- --format json data/*.csv > report.json
+//
+// Exits with 1 when the files have errors, 2 on bad arguments.
+import { readFile } from "fs/promises";
+import { basename } from "path";
+import {
+  describeReport,
+  validateCsvFiles,
+} from "../api/lambda/shared/csvValidator";
+
+const USAGE =
+  "Usage: validateCsv [--format text|json] [--max-issues N] <file.csv>...";
+
+const parseArgs = (argv: string[]) => {
+  const files: string[] = [];
+  let format = "text";
+  let maxIssues: number | undefined;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--format") {
+      format = argv[++i];
+    } else if (arg === "--max-issues") {
+      maxIssues = Number(argv[++i]);
+    } else if (arg === "--help" || arg === "-h") {
+      return null;
+    } else {
+      files.push(arg);
+    }
+  }
+  if (files.length === 0 || !["text", "json"].includes(format)) return null;
+  if (maxIssues !== undefined && !(Number.isInteger(maxIssues) && maxIssues >= 0)) {
+    return null;
+  }
+  return { files, format, maxIssues };
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  const names = new Set(args.files.map((file) => basename(file)));
+  const files = await Promise.all(
+    args.files.map(async (file) => ({
+      // Short names unless two files share one
+      name: names.size === args.files.length ? basename(file) : file,
+      content: await readFile(file, "utf8"),
+    }))
+  );
+  const report = validateCsvFiles(files, { maxIssues: args.maxIssues });
+  console.log(
+    args.format === "json"
+      ? JSON.stringify(report, null, 2)
+      : describeReport(report)
+  );
+  process.exit(report.valid ? 0 : 1);
+};
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(2);
+});
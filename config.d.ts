@@ -11,5 +11,7 @@ declare const deployConfig: {
         edge: string;
         vertex: string;
     };
+    bulkLoadPrefixes?: string[];
+    webOrigins?: string[];
 };
 export { deployConfig };
@@ -15,7 +15,13 @@ const baseConfig = {
         edge: "EDGE_S3_URI",
         vertex: "VERTEX_S3_URI",
     },
+    // S3 URI prefixes the bulk-load Function URL may load from; empty means
+    // the folders of s3Uri.edge and s3Uri.vertex
+    bulkLoadPrefixes: [],
+    // Origins the Import page may upload files from, e.g. the CloudFront URL
+    // of the web app ("https://xyz.cloudfront.net"); empty means none
+    webOrigins: [],
 };
 const deployConfig = { ...baseConfig, stage };
 exports.deployConfig = deployConfig;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY29uZmlnLnNhbXBsZS5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImNvbmZpZy5zYW1wbGUudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBQUEsNkNBQTRDO0FBRTVDLGlCQUFpQjtBQUNqQixNQUFNLEtBQUssR0FBRyxLQUFLLENBQUM7QUFDcEIsTUFBTSxVQUFVLEdBQUc7SUFDakIsT0FBTyxFQUFFLFVBQVU7SUFDbkIsTUFBTSxFQUFFLFdBQVc7SUFDbkIsVUFBVSxFQUFFLHFCQUFxQjtJQUNqQyxVQUFVLEVBQUUsRUFBRTtJQUNkLFlBQVksRUFBRSxxQkFBcUI7SUFDbkMsdUJBQXVCLEVBQUUsMkJBQWEsQ0FBQyxPQUFPO0lBQzlDLEtBQUssRUFBRTtRQUNMLElBQUksRUFBRSxhQUFhO1FBQ25CLE1BQU0sRUFBRSxlQUFlO0tBQ3hCO0NBQ0YsQ0FBQztBQUVGLE1BQU0sWUFBWSxHQUFHLEVBQUUsR0FBRyxVQUFVLEVBQUUsS0FBSyxFQUFFLENBQUM7QUFFckMsb0NBQVkiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyBSZW1vdmFsUG9saWN5IH0gZnJvbSBcImF3cy1jZGstbGliXCI7XG5cbi8qIEJhc2UgY29uZmlnICovXG5jb25zdCBzdGFnZSA9IFwiZGV2XCI7XG5jb25zdCBiYXNlQ29uZmlnID0ge1xuICBhcHBOYW1lOiBcImdyYXBoQXBwXCIsXG4gIHJlZ2lvbjogXCJ1cy1lYXN0LTFcIixcbiAgYWRtaW5FbWFpbDogXCJ5b3VyX2VtYWlsQGFjbWUuY29tXCIsXG4gIGFsbG93ZWRJcHM6IFtdLFxuICB3YWZQYXJhbU5hbWU6IFwiZ3JhcGhBcHBXYWZXZWJBQ0xJRFwiLFxuICB3ZWJCdWNrZXRzUmVtb3ZhbFBvbGljeTogUmVtb3ZhbFBvbGljeS5ERVNUUk9ZLFxuICBzM1VyaToge1xuICAgIGVkZ2U6IFwiRURHRV9TM19VUklcIixcbiAgICB2ZXJ0ZXg6IFwiVkVSVEVYX1MzX1VSSVwiLFxuICB9LFxufTtcblxuY29uc3QgZGVwbG95Q29uZmlnID0geyAuLi5iYXNlQ29uZmlnLCBzdGFnZSB9O1xuXG5leHBvcnQgeyBkZXBsb3lDb25maWcgfTtcbiJdfQ==
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY29uZmlnLnNhbXBsZS5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImNvbmZpZy5zYW1wbGUudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBQUEsNkNBQTRDO0FBRTVDLGlCQUFpQjtBQUNqQixNQUFNLEtBQUssR0FBRyxLQUFLLENBQUM7QUFDcEIsTUFBTSxVQUFVLEdBQUc7SUFDakIsT0FBTyxFQUFFLFVBQVU7SUFDbkIsTUFBTSxFQUFFLFdBQVc7SUFDbkIsVUFBVSxFQUFFLHFCQUFxQjtJQUNqQyxVQUFVLEVBQUUsRUFBRTtJQUNkLFlBQVksRUFBRSxxQkFBcUI7SUFDbkMsdUJBQXVCLEVBQUUsMkJBQWEsQ0FBQyxPQUFPO0lBQzlDLEtBQUssRUFBRTtRQUNMLElBQUksRUFBRSxhQUFhO1FBQ25CLE1BQU0sRUFBRSxlQUFlO0tBQ3hCO0lBQ0Qsd0VBQXdFO0lBQ3hFLDZDQUE2QztJQUM3QyxnQkFBZ0IsRUFBRSxFQUFjO0lBQ2hDLHlFQUF5RTtJQUN6RSxrRUFBa0U7SUFDbEUsVUFBVSxFQUFFLEVBQWM7Q0FDM0IsQ0FBQztBQUVGLE1BQU0sWUFBWSxHQUFHLEVBQUUsR0FBRyxVQUFVLEVBQUUsS0FBSyxFQUFFLENBQUM7QUFFckMsb0NBQVkiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyBSZW1vdmFsUG9saWN5IH0gZnJvbSBcImF3cy1jZGstbGliXCI7XG5cbi8qIEJhc2UgY29uZmlnICovXG5jb25zdCBzdGFnZSA9IFwiZGV2XCI7XG5jb25zdCBiYXNlQ29uZmlnID0ge1xuICBhcHBOYW1lOiBcImdyYXBoQXBwXCIsXG4gIHJlZ2lvbjogXCJ1cy1lYXN0LTFcIixcbiAgYWRtaW5FbWFpbDogXCJ5b3VyX2VtYWlsQGFjbWUuY29tXCIsXG4gIGFsbG93ZWRJcHM6IFtdLFxuICB3YWZQYXJhbU5hbWU6IFwiZ3JhcGhBcHBXYWZXZWJBQ0xJRFwiLFxuICB3ZWJCdWNrZXRzUmVtb3ZhbFBvbGljeTogUmVtb3ZhbFBvbGljeS5ERVNUUk9ZLFxuICBzM1VyaToge1xuICAgIGVkZ2U6IFwiRURHRV9TM19VUklcIixcbiAgICB2ZXJ0ZXg6IFwiVkVSVEVYX1MzX1VSSVwiLFxuICB9LFxuICAvLyBTMyBVUkkgcHJlZml4ZXMgdGhlIGJ1bGstbG9hZCBGdW5jdGlvbiBVUkwgbWF5IGxvYWQgZnJvbTsgZW1wdHkgbWVhbnNcbiAgLy8gdGhlIGZvbGRlcnMgb2YgczNVcmkuZWRnZSBhbmQgczNVcmkudmVydGV4XG4gIGJ1bGtMb2FkUHJlZml4ZXM6IFtdIGFzIHN0cmluZ1tdLFxuICAvLyBPcmlnaW5zIHRoZSBJbXBvcnQgcGFnZSBtYXkgdXBsb2FkIGZpbGVzIGZyb20sIGUuZy4gdGhlIENsb3VkRnJvbnQgVVJMXG4gIC8vIG9mIHRoZSB3ZWIgYXBwIChcImh0dHBzOi8veHl6LmNsb3VkZnJvbnQubmV0XCIpOyBlbXB0eSBtZWFucyBub25lXG4gIHdlYk9yaWdpbnM6IFtdIGFzIHN0cmluZ1tdLFxufTtcblxuY29uc3QgZGVwbG95Q29uZmlnID0geyAuLi5iYXNlQ29uZmlnLCBzdGFnZSB9O1xuXG5leHBvcnQgeyBkZXBsb3lDb25maWcgfTtcbiJdfQ==
\ No newline at end of file
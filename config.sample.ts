@@ -13,6 +13,12 @@ const baseConfig = {
     edge: "EDGE_S3_URI",
     vertex: "VERTEX_S3_URI",
   },
+  // S3 URI prefixes the bulk-load Function URL may load from; empty means
+  // the folders of s3Uri.edge and s3Uri.vertex
+  bulkLoadPrefixes: [] as string[],
+  // Origins the Import page may upload files from, e.g. the CloudFront URL
+  // of the web app ("https://xyz.cloudfront.net"); empty means none
+  webOrigins: [] as string[],
 };
 
 const deployConfig = { ...baseConfig, stage };
@@ -13,6 +13,10 @@ interface ApiStackProps extends StackProps {
     clusterRole: aws_iam.Role;
     graphqlFieldName: string[];
     s3Uri: S3Uri;
+    tombstoneRetentionDays?: number;
+    bulkLoadPrefixes?: string[];
+    webOrigins?: string[];
+    exportSchedule?: string;
 }
 export declare class ApiStack extends Stack {
     readonly cognito: Cognito;
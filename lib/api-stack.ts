@@ -16,6 +16,10 @@ interface ApiStackProps extends StackProps {
   clusterRole: aws_iam.Role;
   graphqlFieldName: string[];
   s3Uri: S3Uri;
+  tombstoneRetentionDays?: number;
+  bulkLoadPrefixes?: string[];
+  webOrigins?: string[];
+  exportSchedule?: string;
 }
 
 export class ApiStack extends Stack {
@@ -24,8 +28,18 @@ export class ApiStack extends Stack {
   public readonly graphqlApiId: string;
   public readonly lambdaFunctionNames: Record<string, string>;
   constructor(scope: Construct, id: string, props: ApiStackProps) {
-    const { cognito, vpc, cluster, clusterRole, graphqlFieldName, s3Uri } =
-      props;
+    const {
+      cognito,
+      vpc,
+      cluster,
+      clusterRole,
+      graphqlFieldName,
+      s3Uri,
+      tombstoneRetentionDays,
+      bulkLoadPrefixes,
+      webOrigins,
+      exportSchedule,
+    } = props;
     super(scope, id, props);
     this.cognito = new Cognito(this, "cognito", {
       adminEmail: cognito.adminEmail,
@@ -40,6 +54,10 @@ export class ApiStack extends Stack {
       cognito: this.cognito,
       graphqlFieldName,
       s3Uri,
+      tombstoneRetentionDays,
+      bulkLoadPrefixes,
+      webOrigins,
+      exportSchedule,
     });
     this.graphqlUrl = api.graphqlUrl;
     this.graphqlApiId = api.graphqlApiId;
@@ -10,6 +10,20 @@ export interface BackendApiProps {
     clusterRole: aws_iam.Role;
     graphqlFieldName: string[];
     s3Uri: S3Uri;
+    /** Days a deleted vertex stays restorable before it is purged (default: 30) */
+    tombstoneRetentionDays?: number;
+    /**
+     * S3 URI prefixes the bulk-load Function URL may load from; empty means
+     * the folders of `s3Uri.vertex` and `s3Uri.edge`
+     */
+    bulkLoadPrefixes?: string[];
+    /**
+     * Origins of the web app (e.g. `https://xyz.cloudfront.net`) allowed to
+     * upload to the import bucket; empty means no browser uploads
+     */
+    webOrigins?: string[];
+    /** EventBridge Scheduler expression of the graph export, Pacific time; empty disables it */
+    exportSchedule?: string;
 }
 export type S3Uri = {
     vertex: string;
@@ -5,10 +5,45 @@ const aws_cdk_lib_1 = require("aws-cdk-lib");
 const aws_appsync_1 = require("aws-cdk-lib/aws-appsync");
 const constructs_1 = require("constructs");
 const cdk_nag_1 = require("cdk-nag");
+// Fields served by the Cognito admin Lambda instead of the graph Lambdas
+const COGNITO_ADMIN_FIELDS = [
+    "getIntegrationClients",
+    "createIntegrationClient",
+    "rotateIntegrationClient",
+    "revokeIntegrationClient",
+    "getUsers",
+    "inviteUser",
+    "setUserGroups",
+    "disableUser",
+    "enableUser",
+    "resetUserPassword",
+];
+// Fields served by the loads Lambda behind the /loads page
+const LOAD_FIELDS = [
+    "getLoads",
+    "getLoad",
+    "cancelLoad",
+    "createImportUploads",
+    "startImport",
+    "getImport",
+];
+// Fields served by the graph export Lambda
+const EXPORT_FIELDS = ["getExports", "exportGraph"];
+// Fields served by the search index Lambda
+const REINDEX_FIELDS = ["rebuildSearchIndex"];
+// Read-only fields of the query Lambda whose names do not start with
+// get/search/find
+const EXTRA_QUERY_FIELDS = ["exportSubgraph"];
+// Fields with their own response mapping template instead of default.vtl
+const RESPONSE_TEMPLATES = {
+    exportGraph: "exportGraph.vtl",
+    startImport: "startImport.vtl",
+    rebuildSearchIndex: "rebuildSearchIndex.vtl",
+};
 class Api extends constructs_1.Construct {
     constructor(scope, id, props) {
         super(scope, id);
-        const { schema, vpc, cluster, clusterRole, graphqlFieldName, s3Uri } = props;
+        const { schema, vpc, cluster, clusterRole, graphqlFieldName, s3Uri, tombstoneRetentionDays = 30, bulkLoadPrefixes = [], webOrigins = [], exportSchedule = "cron(0 19 ? * SUN *)", } = props;
         // AWS AppSync
         const graphql = new aws_appsync_1.GraphqlApi(this, "graphql", {
             name: id,
@@ -44,6 +79,17 @@ class Api extends constructs_1.Construct {
                         defaultAction: aws_appsync_1.UserPoolDefaultAction.ALLOW,
                     },
                 },
+                // Client-credentials access tokens of integration clients. They come
+                // from the same user pool but from other app clients, so the
+                // USER_POOL mode above rejects them. Fields opt in with @aws_oidc.
+                additionalAuthorizationModes: [
+                    {
+                        authorizationType: aws_appsync_1.AuthorizationType.OIDC,
+                        openIdConnectConfig: {
+                            oidcProvider: props.cognito.userPool.userPoolProviderUrl,
+                        },
+                    },
+                ],
             },
             xrayEnabled: true,
         });
@@ -91,6 +137,7 @@ class Api extends constructs_1.Construct {
             environment: {
                 NEPTUNE_ENDPOINT: cluster.clusterReadEndpoint.hostname,
                 NEPTUNE_PORT: cluster.clusterReadEndpoint.port.toString(),
+                TOMBSTONE_RETENTION_DAYS: tombstoneRetentionDays.toString(),
             },
         });
         this.lambdaFunctionNames["queryFn"] = queryFn.functionName;
@@ -152,22 +199,179 @@ class Api extends constructs_1.Construct {
             environment: {
                 NEPTUNE_ENDPOINT: cluster.clusterEndpoint.hostname,
                 NEPTUNE_PORT: cluster.clusterEndpoint.port.toString(),
+                TOMBSTONE_RETENTION_DAYS: tombstoneRetentionDays.toString(),
             },
         });
         this.lambdaFunctionNames["mutationFn"] = mutationFn.functionName;
         graphql.grantMutation(mutationFn);
         mutationFn.connections.allowTo(cluster, aws_cdk_lib_1.aws_ec2.Port.tcp(8182));
+        // Writes AuditEvents on behalf of Lambdas that cannot reach Neptune
+        const auditFn = new aws_cdk_lib_1.aws_lambda_nodejs.NodejsFunction(this, "auditFn", {
+            ...NodejsFunctionBaseProps,
+            entry: "./api/lambda/recordAudit.ts",
+            timeout: aws_cdk_lib_1.Duration.seconds(30),
+            environment: {
+                NEPTUNE_ENDPOINT: cluster.clusterEndpoint.hostname,
+                NEPTUNE_PORT: cluster.clusterEndpoint.port.toString(),
+            },
+        });
+        this.lambdaFunctionNames["auditFn"] = auditFn.functionName;
+        auditFn.connections.allowTo(cluster, aws_cdk_lib_1.aws_ec2.Port.tcp(8182));
+        // Manages users and integration clients in the user pool. It only calls
+        // Cognito and Lambda, so it runs outside the VPC, whose isolated subnets
+        // have no route to them; audit records go through auditFn.
+        const cognitoAdminFn = new aws_cdk_lib_1.aws_lambda_nodejs.NodejsFunction(this, "cognitoAdminFn", {
+            runtime: aws_cdk_lib_1.aws_lambda.Runtime.NODEJS_20_X,
+            entry: "./api/lambda/cognitoAdmin/index.ts",
+            depsLockFilePath: "./api/lambda/package-lock.json",
+            architecture: aws_cdk_lib_1.aws_lambda.Architecture.ARM_64,
+            timeout: aws_cdk_lib_1.Duration.seconds(30),
+            tracing: aws_cdk_lib_1.aws_lambda.Tracing.ACTIVE,
+            environment: {
+                USER_POOL_ID: props.cognito.userPool.userPoolId,
+                TOKEN_URL: props.cognito.cognitoParams.tokenUrl,
+                AUDIT_FUNCTION_NAME: auditFn.functionName,
+            },
+            bundling: {
+                externalModules: ["@aws-sdk/*"], // use SDK v3 from Lambda runtime
+            },
+        });
+        this.lambdaFunctionNames["cognitoAdminFn"] = cognitoAdminFn.functionName;
+        cognitoAdminFn.addToRolePolicy(new aws_cdk_lib_1.aws_iam.PolicyStatement({
+            actions: [
+                "cognito-idp:ListUserPoolClients",
+                "cognito-idp:DescribeUserPoolClient",
+                "cognito-idp:CreateUserPoolClient",
+                "cognito-idp:DeleteUserPoolClient",
+                "cognito-idp:ListUsers",
+                "cognito-idp:AdminGetUser",
+                "cognito-idp:AdminCreateUser",
+                "cognito-idp:AdminListGroupsForUser",
+                "cognito-idp:ListUsersInGroup",
+                "cognito-idp:AdminAddUserToGroup",
+                "cognito-idp:AdminRemoveUserFromGroup",
+                "cognito-idp:AdminEnableUser",
+                "cognito-idp:AdminDisableUser",
+                "cognito-idp:AdminResetUserPassword",
+            ],
+            resources: [props.cognito.userPool.userPoolArn],
+        }));
+        auditFn.grantInvoke(cognitoAdminFn);
+        // Daily purge of tombstones past the retention window. Runs in the
+        // evening, while the scheduled Neptune cluster is up.
+        const purgeFn = new aws_cdk_lib_1.aws_lambda_nodejs.NodejsFunction(this, "purgeFn", {
+            ...NodejsFunctionBaseProps,
+            entry: "./api/lambda/purgeTombstones.ts",
+            timeout: aws_cdk_lib_1.Duration.minutes(5),
+            environment: {
+                NEPTUNE_ENDPOINT: cluster.clusterEndpoint.hostname,
+                NEPTUNE_PORT: cluster.clusterEndpoint.port.toString(),
+                TOMBSTONE_RETENTION_DAYS: tombstoneRetentionDays.toString(),
+            },
+        });
+        this.lambdaFunctionNames["purgeFn"] = purgeFn.functionName;
+        purgeFn.connections.allowTo(cluster, aws_cdk_lib_1.aws_ec2.Port.tcp(8182));
+        const purgeSchedulerRole = new aws_cdk_lib_1.aws_iam.Role(this, "purge-scheduler-role", {
+            assumedBy: new aws_cdk_lib_1.aws_iam.ServicePrincipal("scheduler.amazonaws.com"),
+        });
+        purgeFn.grantInvoke(purgeSchedulerRole);
+        new aws_cdk_lib_1.aws_scheduler.CfnSchedule(this, "purge-schedule", {
+            description: `Purge tombstones older than ${tombstoneRetentionDays} days`,
+            scheduleExpressionTimezone: "America/Los_Angeles",
+            scheduleExpression: "cron(0 18 * * ? *)",
+            flexibleTimeWindow: { mode: "OFF" },
+            target: {
+                arn: purgeFn.functionArn,
+                roleArn: purgeSchedulerRole.roleArn,
+            },
+            state: "ENABLED",
+        });
+        // Backfills the search_* shadow properties, from the Loads page or after
+        // the loads of an import complete
+        const reindexFn = new aws_cdk_lib_1.aws_lambda_nodejs.NodejsFunction(this, "reindexFn", {
+            ...NodejsFunctionBaseProps,
+            entry: "./api/lambda/rebuildSearchIndex.ts",
+            timeout: aws_cdk_lib_1.Duration.minutes(15),
+            environment: {
+                NEPTUNE_ENDPOINT: cluster.clusterEndpoint.hostname,
+                NEPTUNE_PORT: cluster.clusterEndpoint.port.toString(),
+            },
+        });
+        this.lambdaFunctionNames["reindexFn"] = reindexFn.functionName;
+        reindexFn.connections.allowTo(cluster, aws_cdk_lib_1.aws_ec2.Port.tcp(8182));
         // Function URL
+        const allowedSourcePrefixes = bulkLoadPrefixes.length > 0
+            ? bulkLoadPrefixes
+            : [s3Uri.vertex, s3Uri.edge].map((uri) => uri.substring(0, uri.lastIndexOf("/") + 1));
+        // One item per Neptune load id: who started it, its options, and its
+        // last known status, counts and errors
+        const loadHistoryTable = new aws_cdk_lib_1.aws_dynamodb.Table(this, "loadHistory", {
+            partitionKey: { name: "loadId", type: aws_cdk_lib_1.aws_dynamodb.AttributeType.STRING },
+            billingMode: aws_cdk_lib_1.aws_dynamodb.BillingMode.PAY_PER_REQUEST,
+            pointInTimeRecoverySpecification: { pointInTimeRecoveryEnabled: true },
+            removalPolicy: aws_cdk_lib_1.RemovalPolicy.DESTROY,
+        });
+        loadHistoryTable.addGlobalSecondaryIndex({
+            indexName: "byStartedAt",
+            partitionKey: { name: "kind", type: aws_cdk_lib_1.aws_dynamodb.AttributeType.STRING },
+            sortKey: { name: "startedAt", type: aws_cdk_lib_1.aws_dynamodb.AttributeType.STRING },
+        });
+        // Staging area of the Import page. Browsers upload with presigned URLs,
+        // so it takes cross-origin PUTs from the web app's origins; staged files
+        // are only kept for a week.
+        const importBucket = new aws_cdk_lib_1.aws_s3.Bucket(this, "importBucket", {
+            blockPublicAccess: aws_cdk_lib_1.aws_s3.BlockPublicAccess.BLOCK_ALL,
+            encryption: aws_cdk_lib_1.aws_s3.BucketEncryption.S3_MANAGED,
+            enforceSSL: true,
+            versioned: false,
+            removalPolicy: aws_cdk_lib_1.RemovalPolicy.DESTROY,
+            autoDeleteObjects: true,
+            cors: webOrigins.length > 0
+                ? [
+                    {
+                        allowedMethods: [aws_cdk_lib_1.aws_s3.HttpMethods.PUT],
+                        allowedOrigins: webOrigins,
+                        allowedHeaders: ["content-type"],
+                    },
+                ]
+                : undefined,
+            lifecycleRules: [{ prefix: "imports/", expiration: aws_cdk_lib_1.Duration.days(7) }],
+        });
+        const importSourcePrefix = `s3://${importBucket.bucketName}/imports/`;
+        // Logical backups written by exportFn; kept when the stack is deleted
+        const exportBucket = new aws_cdk_lib_1.aws_s3.Bucket(this, "exportBucket", {
+            blockPublicAccess: aws_cdk_lib_1.aws_s3.BlockPublicAccess.BLOCK_ALL,
+            encryption: aws_cdk_lib_1.aws_s3.BucketEncryption.S3_MANAGED,
+            enforceSSL: true,
+            versioned: false,
+            removalPolicy: aws_cdk_lib_1.RemovalPolicy.RETAIN,
+        });
+        const exportSourcePrefix = `s3://${exportBucket.bucketName}/exports/`;
         const bulkLoadFn = new aws_cdk_lib_1.aws_lambda_nodejs.NodejsFunction(this, "bulkLoadFn", {
             ...NodejsFunctionBaseProps,
             entry: "./api/lambda/functionUrl/index.ts",
+            // Wider project root for the CSV validator in ../shared
+            projectRoot: "./api/lambda",
             depsLockFilePath: "./api/lambda/functionUrl/package-lock.json",
+            // Room for validating the sources in memory
+            memorySize: 1024,
+            // The longest a response stream can stay open; loads still running
+            // afterwards are followed on the /loads page
+            timeout: aws_cdk_lib_1.Duration.minutes(15),
             environment: {
                 NEPTUNE_ENDPOINT: cluster.clusterEndpoint.hostname,
                 NEPTUNE_PORT: cluster.clusterEndpoint.port.toString(),
                 VERTEX: s3Uri.vertex,
                 EDGE: s3Uri.edge,
                 ROLE_ARN: clusterRole.roleArn,
+                NEPTUNE_REGION: aws_cdk_lib_1.Stack.of(this).region,
+                ALLOWED_SOURCE_PREFIXES: [
+                    ...allowedSourcePrefixes,
+                    importSourcePrefix,
+                    exportSourcePrefix,
+                ].join(","),
+                LOAD_HISTORY_TABLE: loadHistoryTable.tableName,
+                LOAD_TRACK_TIMEOUT_SECONDS: "840",
             },
             vpcSubnets: {
                 subnets: vpc.publicSubnets,
@@ -184,22 +388,130 @@ class Api extends constructs_1.Construct {
         });
         this.lambdaFunctionNames["bulkLoadFn"] = bulkLoadFn.functionName;
         bulkLoadFn.connections.allowTo(cluster, aws_cdk_lib_1.aws_ec2.Port.tcp(8182));
+        loadHistoryTable.grantReadWriteData(bulkLoadFn);
+        // Sources are read for `validate` requests
+        bulkLoadFn.addToRolePolicy(new aws_cdk_lib_1.aws_iam.PolicyStatement({
+            actions: ["s3:GetObject", "s3:ListBucket"],
+            resources: allowedSourcePrefixes.flatMap((prefix) => {
+                const [bucket, ...key] = prefix.replace(/^s3:\/\//, "").split("/");
+                return [`arn:aws:s3:::${bucket}`, `arn:aws:s3:::${bucket}/${key.join("/")}*`];
+            }),
+        }));
+        importBucket.grantRead(bulkLoadFn);
+        exportBucket.grantRead(bulkLoadFn);
+        // Lists and cancels loads for the /loads page and stages and starts the
+        // loads of the Import page. It shares the loader client with the
+        // Function URL and the role helpers with the graph Lambdas, hence the
+        // wider project root.
+        const loadsFn = new aws_cdk_lib_1.aws_lambda_nodejs.NodejsFunction(this, "loadsFn", {
+            ...NodejsFunctionBaseProps,
+            entry: "./api/lambda/functionUrl/loads.ts",
+            projectRoot: "./api/lambda",
+            depsLockFilePath: "./api/lambda/functionUrl/package-lock.json",
+            // Imports run asynchronously and follow their loads; AppSync still
+            // gives up on the other fields after 30 seconds
+            timeout: aws_cdk_lib_1.Duration.minutes(15),
+            // Room for validating imports in memory
+            memorySize: 1024,
+            environment: {
+                NEPTUNE_ENDPOINT: cluster.clusterEndpoint.hostname,
+                NEPTUNE_PORT: cluster.clusterEndpoint.port.toString(),
+                NEPTUNE_REGION: aws_cdk_lib_1.Stack.of(this).region,
+                LOAD_HISTORY_TABLE: loadHistoryTable.tableName,
+                ROLE_ARN: clusterRole.roleArn,
+                IMPORT_BUCKET: importBucket.bucketName,
+                REINDEX_FUNCTION_NAME: reindexFn.functionName,
+            },
+            bundling: {
+                nodeModules: [
+                    "@smithy/signature-v4",
+                    "@aws-sdk/credential-provider-node",
+                    "@aws-crypto/sha256-js",
+                    "@smithy/protocol-http",
+                ],
+            },
+        });
+        this.lambdaFunctionNames["loadsFn"] = loadsFn.functionName;
+        loadsFn.connections.allowTo(cluster, aws_cdk_lib_1.aws_ec2.Port.tcp(8182));
+        loadHistoryTable.grantReadWriteData(loadsFn);
+        // Presigned upload URLs carry the permissions of the signer
+        importBucket.grantPut(loadsFn);
+        importBucket.grantRead(loadsFn);
+        reindexFn.grantInvoke(loadsFn);
         const functionUrl = bulkLoadFn.addFunctionUrl({
             authType: aws_cdk_lib_1.aws_lambda.FunctionUrlAuthType.AWS_IAM,
             cors: {
-                allowedMethods: [aws_cdk_lib_1.aws_lambda.HttpMethod.GET],
+                allowedMethods: [aws_cdk_lib_1.aws_lambda.HttpMethod.GET, aws_cdk_lib_1.aws_lambda.HttpMethod.POST],
                 allowedOrigins: ["*"],
                 allowedHeaders: ["*"],
             },
             invokeMode: aws_cdk_lib_1.aws_lambda.InvokeMode.RESPONSE_STREAM,
         });
+        // Writes the whole graph as bulk-load CSV to the export bucket, from the
+        // Admin page or on the schedule
+        const exportFn = new aws_cdk_lib_1.aws_lambda_nodejs.NodejsFunction(this, "exportFn", {
+            ...NodejsFunctionBaseProps,
+            entry: "./api/lambda/exportGraph.ts",
+            timeout: aws_cdk_lib_1.Duration.minutes(15),
+            memorySize: 1024,
+            // Rows are staged in /tmp per label
+            ephemeralStorageSize: aws_cdk_lib_1.Size.gibibytes(4),
+            environment: {
+                NEPTUNE_ENDPOINT: cluster.clusterEndpoint.hostname,
+                NEPTUNE_PORT: cluster.clusterEndpoint.port.toString(),
+                EXPORT_BUCKET: exportBucket.bucketName,
+            },
+        });
+        this.lambdaFunctionNames["exportFn"] = exportFn.functionName;
+        exportFn.connections.allowTo(cluster, aws_cdk_lib_1.aws_ec2.Port.tcp(8182));
+        exportBucket.grantReadWrite(exportFn);
+        if (exportSchedule) {
+            const exportSchedulerRole = new aws_cdk_lib_1.aws_iam.Role(this, "export-scheduler-role", {
+                assumedBy: new aws_cdk_lib_1.aws_iam.ServicePrincipal("scheduler.amazonaws.com"),
+            });
+            exportFn.grantInvoke(exportSchedulerRole);
+            new aws_cdk_lib_1.aws_scheduler.CfnSchedule(this, "export-schedule", {
+                description: "Export the graph to bulk-load CSV as a logical backup",
+                scheduleExpressionTimezone: "America/Los_Angeles",
+                // The default runs on Sunday evening, before the nightly cluster stop
+                scheduleExpression: exportSchedule,
+                flexibleTimeWindow: { mode: "OFF" },
+                target: {
+                    arn: exportFn.functionArn,
+                    roleArn: exportSchedulerRole.roleArn,
+                    input: JSON.stringify({ source: "schedule" }),
+                },
+                state: "ENABLED",
+            });
+            cdk_nag_1.NagSuppressions.addResourceSuppressions(exportSchedulerRole, [
+                {
+                    id: "AwsSolutions-IAM5",
+                    reason: "Wildcard on Lambda ARN version is required by grantInvoke for EventBridge Scheduler",
+                },
+            ], true);
+        }
         graphqlFieldName.map((filedName) => {
             // Data sources
             let targetFn;
-            if (filedName === "askGraph") {
+            if (COGNITO_ADMIN_FIELDS.includes(filedName)) {
+                targetFn = cognitoAdminFn;
+            }
+            else if (LOAD_FIELDS.includes(filedName)) {
+                targetFn = loadsFn;
+            }
+            else if (EXPORT_FIELDS.includes(filedName)) {
+                targetFn = exportFn;
+            }
+            else if (REINDEX_FIELDS.includes(filedName)) {
+                targetFn = reindexFn;
+            }
+            else if (filedName === "askGraph") {
                 targetFn = aiQueryFn;
             }
-            else if (filedName.startsWith("get") || filedName.startsWith("search")) {
+            else if (filedName.startsWith("get") ||
+                filedName.startsWith("search") ||
+                filedName.startsWith("find") ||
+                EXTRA_QUERY_FIELDS.includes(filedName)) {
                 targetFn = queryFn;
             }
             else {
@@ -210,11 +522,15 @@ class Api extends constructs_1.Construct {
             // Resolver
             datasource.createResolver(`${filedName}Resolver`, {
                 fieldName: `${filedName}`,
-                typeName: filedName.startsWith("get") || filedName.startsWith("ask") || filedName.startsWith("search")
+                typeName: filedName.startsWith("get") ||
+                    filedName.startsWith("ask") ||
+                    filedName.startsWith("search") ||
+                    filedName.startsWith("find") ||
+                    EXTRA_QUERY_FIELDS.includes(filedName)
                     ? "Query"
                     : "Mutation",
                 requestMappingTemplate: aws_appsync_1.MappingTemplate.fromFile(`./api/graphql/resolvers/requests/${filedName}.vtl`),
-                responseMappingTemplate: aws_appsync_1.MappingTemplate.fromFile("./api/graphql/resolvers/responses/default.vtl"),
+                responseMappingTemplate: aws_appsync_1.MappingTemplate.fromFile(`./api/graphql/resolvers/responses/${RESPONSE_TEMPLATES[filedName] ?? "default.vtl"}`),
             });
         });
         // Outputs
@@ -237,6 +553,24 @@ class Api extends constructs_1.Construct {
                 reason: "Need the permission for accessing database in Vpc",
             },
         ], true);
+        cdk_nag_1.NagSuppressions.addResourceSuppressions(exportBucket, [
+            {
+                id: "AwsSolutions-S1",
+                reason: "Written only by the export Lambda; each export has a manifest",
+            },
+        ]);
+        cdk_nag_1.NagSuppressions.addResourceSuppressions(importBucket, [
+            {
+                id: "AwsSolutions-S1",
+                reason: "Short-lived staging uploads; loads are recorded in the load history table",
+            },
+        ]);
+        cdk_nag_1.NagSuppressions.addResourceSuppressions(purgeSchedulerRole, [
+            {
+                id: "AwsSolutions-IAM5",
+                reason: "Wildcard on Lambda ARN version is required by grantInvoke for EventBridge Scheduler",
+            },
+        ], true);
         cdk_nag_1.NagSuppressions.addResourceSuppressions(aiQueryRole, [
             {
                 id: "AwsSolutions-IAM5",
@@ -264,4 +598,4 @@ class Api extends constructs_1.Construct {
     }
 }
 exports.Api = Api;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYXBpLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiYXBpLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7OztBQUFBLDZDQVFxQjtBQUNyQix5REFPaUM7QUFDakMsMkNBQXVDO0FBSXZDLHFDQUEwQztBQWtCMUMsTUFBYSxHQUFJLFNBQVEsc0JBQVM7SUFLaEMsWUFBWSxLQUFnQixFQUFFLEVBQVUsRUFBRSxLQUFzQjtRQUM5RCxLQUFLLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBRWpCLE1BQU0sRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLE9BQU8sRUFBRSxXQUFXLEVBQUUsZ0JBQWdCLEVBQUUsS0FBSyxFQUFFLEdBQ2xFLEtBQUssQ0FBQztRQUVSLGNBQWM7UUFDZCxNQUFNLE9BQU8sR0FBRyxJQUFJLHdCQUFVLENBQUMsSUFBSSxFQUFFLFNBQVMsRUFBRTtZQUM5QyxJQUFJLEVBQUUsRUFBRTtZQUNSLFVBQVUsRUFBRSx3QkFBVSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUM7WUFDdkMsU0FBUyxFQUFFO2dCQUNULGFBQWEsRUFBRSwyQkFBYSxDQUFDLEtBQUs7Z0JBQ2xDLElBQUksRUFBRSxJQUFJLHFCQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxrQkFBa0IsRUFBRTtvQkFDL0MsU0FBUyxFQUFFLElBQUkscUJBQU8sQ0FBQyxnQkFBZ0IsQ0FBQyx1QkFBdUIsQ0FBQztvQkFDaEUsY0FBYyxFQUFFO3dCQUNkLElBQUksRUFBRSxJQUFJLHFCQUFPLENBQUMsY0FBYyxDQUFDOzRCQUMvQixVQUFVLEVBQUU7Z0NBQ1YsSUFBSSxxQkFBTyxDQUFDLGVBQWUsQ0FBQztvQ0FDMUIsT0FBTyxFQUFFO3dDQUNQLHFCQUFxQjt3Q0FDckIsc0JBQXNCO3dDQUN0QixtQkFBbUI7cUNBQ3BCO29DQUNELFNBQVMsRUFBRTt3Q0FDVCxnQkFBZ0IsbUJBQUssQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxJQUNuQyxtQkFBSyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxPQUNqQixFQUFFO3FDQUNIO2lDQUNGLENBQUM7NkJBQ0g7eUJBQ0YsQ0FBQztxQkFDSDtpQkFDRixDQUFDO2FBQ0g7WUFDRCxtQkFBbUIsRUFBRTtnQkFDbkIsb0JBQW9CLEVBQUU7b0JBQ3BCLGlCQUFpQixFQUFFLCtCQUFpQixDQUFDLFNBQVM7b0JBQzlDLGNBQWMsRUFBRTt3QkFDZCxRQUFRLEVBQUUsS0FBSyxDQUFDLE9BQU8sQ0FBQyxRQUFRO3dCQUNoQyxnQkFBZ0IsRUFBRSxLQUFLLENBQUMsT0FBTyxDQUFDLGFBQWEsQ0FBQyxnQkFBZ0I7d0JBQzlELGFBQWEsRUFBRSxtQ0FBcUIsQ0FBQyxLQUFLO3FCQUMzQztpQkFDRjthQUNGO1lBQ0QsV0FBVyxFQUFFLElBQUk7U0FDbEIsQ0FBQyxDQUFDO1FBRUgsSUFBSSxDQUFDLFVBQVUsR0FBRyxPQUFPLENBQUMsVUFBVSxDQUFDO1FBQ3JDLElBQUksQ0FBQyxZQUFZLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQztRQUNsQyxJQUFJLENBQUMsbUJBQW1CLEdBQUcsRUFBRSxDQUFDO1FBRTlCLE1BQU0sVUFBVSxHQUFHLElBQUkscUJBQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLFlBQVksRUFBRTtZQUN0RCxTQUFTLEVBQUUsSUFBSSxxQkFBTyxDQUFDLGdCQUFnQixDQUFDLHNCQUFzQixDQUFDO1NBQ2hFLENBQUMsQ0FBQztRQUNILFVBQVUsQ0FBQyxvQkFBb0IsQ0FDN0IsSUFBSSxxQkFBTyxDQUFDLGVBQWUsQ0FBQztZQUMxQixTQUFTLEVBQUUsQ0FBQyxHQUFHLENBQUM7WUFDaEIsT0FBTyxFQUFFO2dCQUNQLHFCQUFxQjtnQkFDckIsc0JBQXNCO2dCQUN0QixtQkFBbUI7Z0JBQ25CLDRCQUE0QjtnQkFDNUIsK0JBQStCO2dCQUMvQixxQkFBcUI7Z0JBQ3JCLDRCQUE0QjtnQkFDNUIsOEJBQThCO2dCQUM5QixnQ0FBZ0M7YUFDakM7U0FDRixDQUFDLENBQ0gsQ0FBQztRQUNGLE9BQU8sQ0FBQyxZQUFZLENBQUMsVUFBVSxDQUFDLENBQUM7UUFFakMsbUNBQW1DO1FBQ25DLE1BQU0sdUJBQXVCLEdBQTBDO1lBQ3JFLE9BQU8sRUFBRSx3QkFBVSxDQUFDLE9BQU8sQ0FBQyxXQUFXO1lBRXZDLDBDQUEwQztZQUMxQyxnQkFBZ0IsRUFBRSxnQ0FBZ0M7WUFDbEQsWUFBWSxFQUFFLHdCQUFVLENBQUMsWUFBWSxDQUFDLE1BQU07WUFDNUMsT0FBTyxFQUFFLHNCQUFRLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztZQUM1QixPQUFPLEVBQUUsd0JBQVUsQ0FBQyxPQUFPLENBQUMsTUFBTTtZQUNsQyxJQUFJLEVBQUUsVUFBVTtZQUNoQixHQUFHLEVBQUUsR0FBRztZQUNSLFVBQVUsRUFBRTtnQkFDVixPQUFPLEVBQUUsR0FBRyxDQUFDLGVBQWU7YUFDN0I7WUFDRCxRQUFRLEVBQUU7Z0JBQ1IsV0FBVyxFQUFFLENBQUMsU0FBUyxFQUFFLG1CQUFtQixDQUFDO2FBQzlDO1NBQ0YsQ0FBQztRQUNGLE1BQU0sT0FBTyxHQUFHLElBQUksK0JBQWlCLENBQUMsY0FBYyxDQUFDLElBQUksRUFBRSxTQUFTLEVBQUU7WUFDcEUsR0FBRyx1QkFBdUI7WUFDMUIsS0FBSyxFQUFFLDRCQUE0QjtZQUNuQyxXQUFXLEVBQUU7Z0JBQ1gsZ0JBQWdCLEVBQUUsT0FBTyxDQUFDLG1CQUFtQixDQUFDLFFBQVE7Z0JBQ3RELFlBQVksRUFBRSxPQUFPLENBQUMsbUJBQW1CLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRTthQUMxRDtTQUNGLENBQUMsQ0FBQztRQUNILElBQUksQ0FBQyxtQkFBbUIsQ0FBQyxTQUFTLENBQUMsR0FBRyxPQUFPLENBQUMsWUFBWSxDQUFDO1FBQzNELE9BQU8sQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDNUIsT0FBTyxDQUFDLFdBQVcsQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLHFCQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBRTdELHNDQUFzQztRQUN0QyxNQUFNLFdBQVcsR0FBRyxJQUFJLHFCQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxhQUFhLEVBQUU7WUFDeEQsU0FBUyxFQUFFLElBQUkscUJBQU8sQ0FBQyxnQkFBZ0IsQ0FBQyxzQkFBc0IsQ0FBQztTQUNoRSxDQUFDLENBQUM7UUFDSCxXQUFXLENBQUMsb0JBQW9CLENBQzlCLElBQUkscUJBQU8sQ0FBQyxlQUFlLENBQUM7WUFDMUIsU0FBUyxFQUFFLENBQUMsR0FBRyxDQUFDO1lBQ2hCLE9BQU8sRUFBRTtnQkFDUCxxQkFBcUI7Z0JBQ3JCLHNCQUFzQjtnQkFDdEIsbUJBQW1CO2dCQUNuQiw0QkFBNEI7Z0JBQzVCLCtCQUErQjtnQkFDL0IscUJBQXFCO2dCQUNyQiw0QkFBNEI7Z0JBQzVCLDhCQUE4QjtnQkFDOUIsZ0NBQWdDO2FBQ2pDO1NBQ0YsQ0FBQyxDQUNILENBQUM7UUFDRixXQUFXLENBQUMsb0JBQW9CLENBQzlCLElBQUkscUJBQU8sQ0FBQyxlQUFlLENBQUM7WUFDMUIsU0FBUyxFQUFFO2dCQUNULG1CQUFtQixtQkFBSyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLHNCQUFzQjthQUMvRDtZQUNELE9BQU8sRUFBRSxDQUFDLHFCQUFxQixFQUFFLGtCQUFrQixDQUFDO1NBQ3JELENBQUMsQ0FDSCxDQUFDO1FBQ0YsT0FBTyxDQUFDLFlBQVksQ0FBQyxXQUFXLENBQUMsQ0FBQztRQUVsQyxNQUFNLFNBQVMsR0FBRyxJQUFJLCtCQUFpQixDQUFDLGNBQWMsQ0FDcEQsSUFBSSxFQUNKLFdBQVcsRUFDWDtZQUNFLEdBQUcsdUJBQXVCO1lBQzFCLEtBQUssRUFBRSx5QkFBeUI7WUFDaEMsSUFBSSxFQUFFLFdBQVc7WUFDakIsT0FBTyxFQUFFLHNCQUFRLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztZQUM1QixXQUFXLEVBQUU7Z0JBQ1gsZ0JBQWdCLEVBQUUsT0FBTyxDQUFDLG1CQUFtQixDQUFDLFFBQVE7Z0JBQ3RELFlBQVksRUFBRSxPQUFPLENBQUMsbUJBQW1CLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRTtnQkFDekQsY0FBYyxFQUFFLG1CQUFLLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU07Z0JBQ3JDLFFBQVEsRUFBRSx1QkFBdUI7YUFDbEM7WUFDRCxRQUFRLEVBQUU7Z0JBQ1IsV0FBVyxFQUFFO29CQUNYLFNBQVM7b0JBQ1QsbUJBQW1CO29CQUNuQixpQ0FBaUM7aUJBQ2xDO2FBQ0Y7WUFDRCxVQUFVLEVBQUU7Z0JBQ1YsT0FBTyxFQUFFLEdBQUcsQ0FBQyxlQUFlO2FBQzdCO1NBQ0YsQ0FDRixDQUFDO1FBQ0YsSUFBSSxDQUFDLG1CQUFtQixDQUFDLFdBQVcsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxZQUFZLENBQUM7UUFDL0QsT0FBTyxDQUFDLFVBQVUsQ0FBQyxTQUFTLENBQUMsQ0FBQztRQUM5QixTQUFTLENBQUMsV0FBVyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUscUJBQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7UUFFL0QsTUFBTSxVQUFVLEdBQUcsSUFBSSwrQkFBaUIsQ0FBQyxjQUFjLENBQ3JELElBQUksRUFDSixZQUFZLEVBQ1o7WUFDRSxHQUFHLHVCQUF1QjtZQUMxQixLQUFLLEVBQUUsK0JBQStCO1lBQ3RDLFdBQVcsRUFBRTtnQkFDWCxnQkFBZ0IsRUFBRSxPQUFPLENBQUMsZUFBZSxDQUFDLFFBQVE7Z0JBQ2xELFlBQVksRUFBRSxPQUFPLENBQUMsZUFBZSxDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUU7YUFDdEQ7U0FDRixDQUNGLENBQUM7UUFDRixJQUFJLENBQUMsbUJBQW1CLENBQUMsWUFBWSxDQUFDLEdBQUcsVUFBVSxDQUFDLFlBQVksQ0FBQztRQUNqRSxPQUFPLENBQUMsYUFBYSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1FBQ2xDLFVBQVUsQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxxQkFBTyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUVoRSxlQUFlO1FBRWYsTUFBTSxVQUFVLEdBQUcsSUFBSSwrQkFBaUIsQ0FBQyxjQUFjLENBQ3JELElBQUksRUFDSixZQUFZLEVBQ1o7WUFDRSxHQUFHLHVCQUF1QjtZQUMxQixLQUFLLEVBQUUsbUNBQW1DO1lBQzFDLGdCQUFnQixFQUFFLDRDQUE0QztZQUM5RCxXQUFXLEVBQUU7Z0JBQ1gsZ0JBQWdCLEVBQUUsT0FBTyxDQUFDLGVBQWUsQ0FBQyxRQUFRO2dCQUNsRCxZQUFZLEVBQUUsT0FBTyxDQUFDLGVBQWUsQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFO2dCQUNyRCxNQUFNLEVBQUUsS0FBSyxDQUFDLE1BQU07Z0JBQ3BCLElBQUksRUFBRSxLQUFLLENBQUMsSUFBSTtnQkFDaEIsUUFBUSxFQUFFLFdBQVcsQ0FBQyxPQUFPO2FBQzlCO1lBQ0QsVUFBVSxFQUFFO2dCQUNWLE9BQU8sRUFBRSxHQUFHLENBQUMsYUFBYTthQUMzQjtZQUNELFFBQVEsRUFBRTtnQkFDUixXQUFXLEVBQUU7b0JBQ1gsc0JBQXNCO29CQUN0QixtQ0FBbUM7b0JBQ25DLHVCQUF1QjtvQkFDdkIsdUJBQXVCO2lCQUN4QjthQUNGO1lBQ0QsaUJBQWlCLEVBQUUsSUFBSTtTQUN4QixDQUNGLENBQUM7UUFDRixJQUFJLENBQUMsbUJBQW1CLENBQUMsWUFBWSxDQUFDLEdBQUcsVUFBVSxDQUFDLFlBQVksQ0FBQztRQUNqRSxVQUFVLENBQUMsV0FBVyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUscUJBQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7UUFFaEUsTUFBTSxXQUFXLEdBQUcsVUFBVSxDQUFDLGNBQWMsQ0FBQztZQUM1QyxRQUFRLEVBQUUsd0JBQVUsQ0FBQyxtQkFBbUIsQ0FBQyxPQUFPO1lBQ2hELElBQUksRUFBRTtnQkFDSixjQUFjLEVBQUUsQ0FBQyx3QkFBVSxDQUFDLFVBQVUsQ0FBQyxHQUFHLENBQUM7Z0JBQzNDLGNBQWMsRUFBRSxDQUFDLEdBQUcsQ0FBQztnQkFDckIsY0FBYyxFQUFFLENBQUMsR0FBRyxDQUFDO2FBQ3RCO1lBRUQsVUFBVSxFQUFFLHdCQUFVLENBQUMsVUFBVSxDQUFDLGVBQWU7U0FDbEQsQ0FBQyxDQUFDO1FBRUgsZ0JBQWdCLENBQUMsR0FBRyxDQUFDLENBQUMsU0FBaUIsRUFBRSxFQUFFO1lBQ3pDLGVBQWU7WUFDZixJQUFJLFFBQVEsQ0FBQztZQUNiLElBQUksU0FBUyxLQUFLLFVBQVUsRUFBRSxDQUFDO2dCQUM3QixRQUFRLEdBQUcsU0FBUyxDQUFDO1lBQ3ZCLENBQUM7aUJBQU0sSUFBSSxTQUFTLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQyxJQUFJLFNBQVMsQ0FBQyxVQUFVLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQztnQkFDekUsUUFBUSxHQUFHLE9BQU8sQ0FBQztZQUNyQixDQUFDO2lCQUFNLENBQUM7Z0JBQ04sUUFBUSxHQUFHLFVBQVUsQ0FBQztZQUN4QixDQUFDO1lBQ0QsTUFBTSxVQUFVLEdBQUcsT0FBTyxDQUFDLG1CQUFtQixDQUM1QyxHQUFHLFNBQVMsSUFBSSxFQUNoQixRQUFRLENBQ1QsQ0FBQztZQUNGLE9BQU8sQ0FBQyxjQUFjLENBQUMsa0JBQWtCLEVBQUUsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1lBQzVELFdBQVc7WUFDWCxVQUFVLENBQUMsY0FBYyxDQUFDLEdBQUcsU0FBUyxVQUFVLEVBQUU7Z0JBQ2hELFNBQVMsRUFBRSxHQUFHLFNBQVMsRUFBRTtnQkFDekIsUUFBUSxFQUFFLFNBQVMsQ0FBQyxVQUFVLENBQUMsS0FBSyxDQUFDLElBQUksU0FBUyxDQUFDLFVBQVUsQ0FBQyxLQUFLLENBQUMsSUFBSSxTQUFTLENBQUMsVUFBVSxDQUFDLFFBQVEsQ0FBQztvQkFDcEcsQ0FBQyxDQUFDLE9BQU87b0JBQ1QsQ0FBQyxDQUFDLFVBQVU7Z0JBQ2Qsc0JBQXNCLEVBQUUsNkJBQWUsQ0FBQyxRQUFRLENBQzlDLG9DQUFvQyxTQUFTLE1BQU0sQ0FDcEQ7Z0JBQ0QsdUJBQXVCLEVBQUUsNkJBQWUsQ0FBQyxRQUFRLENBQy9DLCtDQUErQyxDQUNoRDthQUNGLENBQUMsQ0FBQztRQUNMLENBQUMsQ0FBQyxDQUFDO1FBRUgsVUFBVTtRQUNWLElBQUksdUJBQVMsQ0FBQyxJQUFJLEVBQUUsWUFBWSxFQUFFO1lBQ2hDLEtBQUssRUFBRSxJQUFJLENBQUMsVUFBVTtTQUN2QixDQUFDLENBQUM7UUFDSCxJQUFJLHVCQUFTLENBQUMsSUFBSSxFQUFFLGFBQWEsRUFBRTtZQUNqQyxLQUFLLEVBQUUsV0FBVyxDQUFDLEdBQUc7U0FDdkIsQ0FBQyxDQUFDO1FBRUgsZUFBZTtRQUNmLHlCQUFlLENBQUMsdUJBQXVCLENBQ3JDLE9BQU8sRUFDUDtZQUNFO2dCQUNFLEVBQUUsRUFBRSxtQkFBbUI7Z0JBQ3ZCLE1BQU0sRUFBRSxnQkFBZ0I7YUFDekI7U0FDRixFQUNELElBQUksQ0FDTCxDQUFDO1FBRUYseUJBQWUsQ0FBQyx1QkFBdUIsQ0FDckMsVUFBVSxFQUNWO1lBQ0U7Z0JBQ0UsRUFBRSxFQUFFLG1CQUFtQjtnQkFDdkIsTUFBTSxFQUFFLG1EQUFtRDthQUM1RDtTQUNGLEVBQ0QsSUFBSSxDQUNMLENBQUM7UUFDRix5QkFBZSxDQUFDLHVCQUF1QixDQUNyQyxXQUFXLEVBQ1g7WUFDRTtnQkFDRSxFQUFFLEVBQUUsbUJBQW1CO2dCQUN2QixNQUFNLEVBQUUsZ0RBQWdEO2FBQ3pEO1NBQ0YsRUFDRCxJQUFJLENBQ0wsQ0FBQztRQUNGLHlCQUFlLENBQUMsb0JBQW9CLENBQUMsbUJBQUssQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEVBQUU7WUFDbkQ7Z0JBQ0UsRUFBRSxFQUFFLG1CQUFtQjtnQkFDdkIsTUFBTSxFQUFFLHNCQUFzQjtnQkFDOUIsU0FBUyxFQUFFO29CQUNULHVGQUF1RjtpQkFDeEY7YUFDRjtZQUNEO2dCQUNFLEVBQUUsRUFBRSxpQkFBaUI7Z0JBQ3JCLE1BQU0sRUFBRSxzQkFBc0I7YUFDL0I7WUFDRDtnQkFDRSxFQUFFLEVBQUUsbUJBQW1CO2dCQUN2QixNQUFNLEVBQUUsc0JBQXNCO2dCQUM5QixTQUFTLEVBQUUsQ0FBQyxhQUFhLENBQUM7YUFDM0I7U0FDRixDQUFDLENBQUM7SUFDTCxDQUFDO0NBQ0Y7QUE1VEQsa0JBNFRDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHtcbiAgU3RhY2ssXG4gIER1cmF0aW9uLFxuICBhd3NfZWMyLFxuICBhd3NfbGFtYmRhX25vZGVqcyxcbiAgYXdzX2xhbWJkYSxcbiAgYXdzX2lhbSxcbiAgQ2ZuT3V0cHV0LFxufSBmcm9tIFwiYXdzLWNkay1saWJcIjtcbmltcG9ydCB7XG4gIEF1dGhvcml6YXRpb25UeXBlLFxuICBEZWZpbml0aW9uLFxuICBGaWVsZExvZ0xldmVsLFxuICBHcmFwaHFsQXBpLFxuICBNYXBwaW5nVGVtcGxhdGUsXG4gIFVzZXJQb29sRGVmYXVsdEFjdGlvbixcbn0gZnJvbSBcImF3cy1jZGstbGliL2F3cy1hcHBzeW5jXCI7XG5pbXBvcnQgeyBDb25zdHJ1Y3QgfSBmcm9tIFwiY29uc3RydWN0c1wiO1xuXG5pbXBvcnQgKiBhcyBuZXB0dW5lIGZyb20gXCJAYXdzLWNkay9hd3MtbmVwdHVuZS1hbHBoYVwiO1xuXG5pbXBvcnQgeyBOYWdTdXBwcmVzc2lvbnMgfSBmcm9tIFwiY2RrLW5hZ1wiO1xuaW1wb3J0IHsgQ29nbml0byB9IGZyb20gXCIuL2NvZ25pdG9cIjtcblxuZXhwb3J0IGludGVyZmFjZSBCYWNrZW5kQXBpUHJvcHMge1xuICBzY2hlbWE6IHN0cmluZztcbiAgY29nbml0bzogQ29nbml0bztcbiAgdnBjOiBhd3NfZWMyLlZwYztcbiAgY2x1c3RlcjogbmVwdHVuZS5EYXRhYmFzZUNsdXN0ZXI7XG4gIGNsdXN0ZXJSb2xlOiBhd3NfaWFtLlJvbGU7XG4gIGdyYXBocWxGaWVsZE5hbWU6IHN0cmluZ1tdO1xuICBzM1VyaTogUzNVcmk7XG59XG5cbmV4cG9ydCB0eXBlIFMzVXJpID0ge1xuICB2ZXJ0ZXg6IHN0cmluZztcbiAgZWRnZTogc3RyaW5nO1xufTtcblxuZXhwb3J0IGNsYXNzIEFwaSBleHRlbmRzIENvbnN0cnVjdCB7XG4gIHJlYWRvbmx5IGdyYXBocWxVcmw6IHN0cmluZztcbiAgcmVhZG9ubHkgZ3JhcGhxbEFwaUlkOiBzdHJpbmc7XG4gIHJlYWRvbmx5IGxhbWJkYUZ1bmN0aW9uTmFtZXM6IFJlY29yZDxzdHJpbmcsIHN0cmluZz47XG5cbiAgY29uc3RydWN0b3Ioc2NvcGU6IENvbnN0cnVjdCwgaWQ6IHN0cmluZywgcHJvcHM6IEJhY2tlbmRBcGlQcm9wcykge1xuICAgIHN1cGVyKHNjb3BlLCBpZCk7XG5cbiAgICBjb25zdCB7IHNjaGVtYSwgdnBjLCBjbHVzdGVyLCBjbHVzdGVyUm9sZSwgZ3JhcGhxbEZpZWxkTmFtZSwgczNVcmkgfSA9XG4gICAgICBwcm9wcztcblxuICAgIC8vIEFXUyBBcHBTeW5jXG4gICAgY29uc3QgZ3JhcGhxbCA9IG5ldyBHcmFwaHFsQXBpKHRoaXMsIFwiZ3JhcGhxbFwiLCB7XG4gICAgICBuYW1lOiBpZCxcbiAgICAgIGRlZmluaXRpb246IERlZmluaXRpb24uZnJvbUZpbGUoc2NoZW1hKSxcbiAgICAgIGxvZ0NvbmZpZzoge1xuICAgICAgICBmaWVsZExvZ0xldmVsOiBGaWVsZExvZ0xldmVsLkVSUk9SLFxuICAgICAgICByb2xlOiBuZXcgYXdzX2lhbS5Sb2xlKHRoaXMsIFwiYXBwc3luYy1sb2ctcm9sZVwiLCB7XG4gICAgICAgICAgYXNzdW1lZEJ5OiBuZXcgYXdzX2lhbS5TZXJ2aWNlUHJpbmNpcGFsKFwiYXBwc3luYy5hbWF6b25hd3MuY29tXCIpLFxuICAgICAgICAgIGlubGluZVBvbGljaWVzOiB7XG4gICAgICAgICAgICBsb2dzOiBuZXcgYXdzX2lhbS5Qb2xpY3lEb2N1bWVudCh7XG4gICAgICAgICAgICAgIHN0YXRlbWVudHM6IFtcbiAgICAgICAgICAgICAgICBuZXcgYXdzX2lhbS5Qb2xpY3lTdGF0ZW1lbnQoe1xuICAgICAgICAgICAgICAgICAgYWN0aW9uczogW1xuICAgICAgICAgICAgICAgICAgICBcImxvZ3M6Q3JlYXRlTG9nR3JvdXBcIixcbiAgICAgICAgICAgICAgICAgICAgXCJsb2dzOkNyZWF0ZUxvZ1N0cmVhbVwiLFxuICAgICAgICAgICAgICAgICAgICBcImxvZ3M6UHV0TG9nRXZlbnRzXCIsXG4gICAgICAgICAgICAgICAgICBdLFxuICAgICAgICAgICAgICAgICAgcmVzb3VyY2VzOiBbXG4gICAgICAgICAgICAgICAgICAgIGBhcm46YXdzOmxvZ3M6JHtTdGFjay5vZih0aGlzKS5yZWdpb259OiR7XG4gICAgICAgICAgICAgICAgICAgICAgU3RhY2sub2YodGhpcykuYWNjb3VudFxuICAgICAgICAgICAgICAgICAgICB9YCxcbiAgICAgICAgICAgICAgICAgIF0sXG4gICAgICAgICAgICAgICAgfSksXG4gICAgICAgICAgICAgIF0sXG4gICAgICAgICAgICB9KSxcbiAgICAgICAgICB9LFxuICAgICAgICB9KSxcbiAgICAgIH0sXG4gICAgICBhdXRob3JpemF0aW9uQ29uZmlnOiB7XG4gICAgICAgIGRlZmF1bHRBdXRob3JpemF0aW9uOiB7XG4gICAgICAgICAgYXV0aG9yaXphdGlvblR5cGU6IEF1dGhvcml6YXRpb25UeXBlLlVTRVJfUE9PTCxcbiAgICAgICAgICB1c2VyUG9vbENvbmZpZzoge1xuICAgICAgICAgICAgdXNlclBvb2w6IHByb3BzLmNvZ25pdG8udXNlclBvb2wsXG4gICAgICAgICAgICBhcHBJZENsaWVudFJlZ2V4OiBwcm9wcy5jb2duaXRvLmNvZ25pdG9QYXJhbXMudXNlclBvb2xDbGllbnRJZCxcbiAgICAgICAgICAgIGRlZmF1bHRBY3Rpb246IFVzZXJQb29sRGVmYXVsdEFjdGlvbi5BTExPVyxcbiAgICAgICAgICB9LFxuICAgICAgICB9LFxuICAgICAgfSxcbiAgICAgIHhyYXlFbmFibGVkOiB0cnVlLFxuICAgIH0pO1xuXG4gICAgdGhpcy5ncmFwaHFsVXJsID0gZ3JhcGhxbC5ncmFwaHFsVXJsO1xuICAgIHRoaXMuZ3JhcGhxbEFwaUlkID0gZ3JhcGhxbC5hcGlJZDtcbiAgICB0aGlzLmxhbWJkYUZ1bmN0aW9uTmFtZXMgPSB7fTtcblxuICAgIGNvbnN0IGxhbWJkYVJvbGUgPSBuZXcgYXdzX2lhbS5Sb2xlKHRoaXMsIFwibGFtYmRhUm9sZVwiLCB7XG4gICAgICBhc3N1bWVkQnk6IG5ldyBhd3NfaWFtLlNlcnZpY2VQcmluY2lwYWwoXCJsYW1iZGEuYW1hem9uYXdzLmNvbVwiKSxcbiAgICB9KTtcbiAgICBsYW1iZGFSb2xlLmFkZFRvUHJpbmNpcGFsUG9saWN5KFxuICAgICAgbmV3IGF3c19pYW0uUG9saWN5U3RhdGVtZW50KHtcbiAgICAgICAgcmVzb3VyY2VzOiBbXCIqXCJdLFxuICAgICAgICBhY3Rpb25zOiBbXG4gICAgICAgICAgXCJsb2dzOkNyZWF0ZUxvZ0dyb3VwXCIsXG4gICAgICAgICAgXCJsb2dzOkNyZWF0ZUxvZ1N0cmVhbVwiLFxuICAgICAgICAgIFwibG9nczpQdXRMb2dFdmVudHNcIixcbiAgICAgICAgICBcImVjMjpDcmVhdGVOZXR3b3JrSW50ZXJmYWNlXCIsXG4gICAgICAgICAgXCJlYzI6RGVzY3JpYmVOZXR3b3JrSW50ZXJmYWNlc1wiLFxuICAgICAgICAgIFwiZWMyOkRlc2NyaWJlU3VibmV0c1wiLFxuICAgICAgICAgIFwiZWMyOkRlbGV0ZU5ldHdvcmtJbnRlcmZhY2VcIixcbiAgICAgICAgICBcImVjMjpBc3NpZ25Qcml2YXRlSXBBZGRyZXNzZXNcIixcbiAgICAgICAgICBcImVjMjpVbmFzc2lnblByaXZhdGVJcEFkZHJlc3Nlc1wiLFxuICAgICAgICBdLFxuICAgICAgfSlcbiAgICApO1xuICAgIGNsdXN0ZXIuZ3JhbnRDb25uZWN0KGxhbWJkYVJvbGUpO1xuXG4gICAgLy8gQVdTIExhbWJkYSBmb3IgZ3JhcGggYXBwbGljYXRpb25cbiAgICBjb25zdCBOb2RlanNGdW5jdGlvbkJhc2VQcm9wczogYXdzX2xhbWJkYV9ub2RlanMuTm9kZWpzRnVuY3Rpb25Qcm9wcyA9IHtcbiAgICAgIHJ1bnRpbWU6IGF3c19sYW1iZGEuUnVudGltZS5OT0RFSlNfMjBfWCxcblxuICAgICAgLy8gZW50cnk6IGAuL2FwaS9sYW1iZGEvJHtsYW1iZGFOYW1lfS50c2AsXG4gICAgICBkZXBzTG9ja0ZpbGVQYXRoOiBcIi4vYXBpL2xhbWJkYS9wYWNrYWdlLWxvY2suanNvblwiLFxuICAgICAgYXJjaGl0ZWN0dXJlOiBhd3NfbGFtYmRhLkFyY2hpdGVjdHVyZS5BUk1fNjQsXG4gICAgICB0aW1lb3V0OiBEdXJhdGlvbi5taW51dGVzKDEpLFxuICAgICAgdHJhY2luZzogYXdzX2xhbWJkYS5UcmFjaW5nLkFDVElWRSxcbiAgICAgIHJvbGU6IGxhbWJkYVJvbGUsXG4gICAgICB2cGM6IHZwYyxcbiAgICAgIHZwY1N1Ym5ldHM6IHtcbiAgICAgICAgc3VibmV0czogdnBjLmlzb2xhdGVkU3VibmV0cyxcbiAgICAgIH0sXG4gICAgICBidW5kbGluZzoge1xuICAgICAgICBub2RlTW9kdWxlczogW1wiZ3JlbWxpblwiLCBcImdyZW1saW4tYXdzLXNpZ3Y0XCJdLFxuICAgICAgfSxcbiAgICB9O1xuICAgIGNvbnN0IHF1ZXJ5Rm4gPSBuZXcgYXdzX2xhbWJkYV9ub2RlanMuTm9kZWpzRnVuY3Rpb24odGhpcywgXCJxdWVyeUZuXCIsIHtcbiAgICAgIC4uLk5vZGVqc0Z1bmN0aW9uQmFzZVByb3BzLFxuICAgICAgZW50cnk6IFwiLi9hcGkvbGFtYmRhL3F1ZXJ5R3JhcGgudHNcIixcbiAgICAgIGVudmlyb25tZW50OiB7XG4gICAgICAgIE5FUFRVTkVfRU5EUE9JTlQ6IGNsdXN0ZXIuY2x1c3RlclJlYWRFbmRwb2ludC5ob3N0bmFtZSxcbiAgICAgICAgTkVQVFVORV9QT1JUOiBjbHVzdGVyLmNsdXN0ZXJSZWFkRW5kcG9pbnQucG9ydC50b1N0cmluZygpLFxuICAgICAgfSxcbiAgICB9KTtcbiAgICB0aGlzLmxhbWJkYUZ1bmN0aW9uTmFtZXNbXCJxdWVyeUZuXCJdID0gcXVlcnlGbi5mdW5jdGlvbk5hbWU7XG4gICAgZ3JhcGhxbC5ncmFudFF1ZXJ5KHF1ZXJ5Rm4pO1xuICAgIHF1ZXJ5Rm4uY29ubmVjdGlvbnMuYWxsb3dUbyhjbHVzdGVyLCBhd3NfZWMyLlBvcnQudGNwKDgxODIpKTtcblxuICAgIC8vIEFJIFF1ZXJ5IExhbWJkYSAoQmVkcm9jayArIE5lcHR1bmUpXG4gICAgY29uc3QgYWlRdWVyeVJvbGUgPSBuZXcgYXdzX2lhbS5Sb2xlKHRoaXMsIFwiYWlRdWVyeVJvbGVcIiwge1xuICAgICAgYXNzdW1lZEJ5OiBuZXcgYXdzX2lhbS5TZXJ2aWNlUHJpbmNpcGFsKFwibGFtYmRhLmFtYXpvbmF3cy5jb21cIiksXG4gICAgfSk7XG4gICAgYWlRdWVyeVJvbGUuYWRkVG9QcmluY2lwYWxQb2xpY3koXG4gICAgICBuZXcgYXdzX2lhbS5Qb2xpY3lTdGF0ZW1lbnQoe1xuICAgICAgICByZXNvdXJjZXM6IFtcIipcIl0sXG4gICAgICAgIGFjdGlvbnM6IFtcbiAgICAgICAgICBcImxvZ3M6Q3JlYXRlTG9nR3JvdXBcIixcbiAgICAgICAgICBcImxvZ3M6Q3JlYXRlTG9nU3RyZWFtXCIsXG4gICAgICAgICAgXCJsb2dzOlB1dExvZ0V2ZW50c1wiLFxuICAgICAgICAgIFwiZWMyOkNyZWF0ZU5ldHdvcmtJbnRlcmZhY2VcIixcbiAgICAgICAgICBcImVjMjpEZXNjcmliZU5ldHdvcmtJbnRlcmZhY2VzXCIsXG4gICAgICAgICAgXCJlYzI6RGVzY3JpYmVTdWJuZXRzXCIsXG4gICAgICAgICAgXCJlYzI6RGVsZXRlTmV0d29ya0ludGVyZmFjZVwiLFxuICAgICAgICAgIFwiZWMyOkFzc2lnblByaXZhdGVJcEFkZHJlc3Nlc1wiLFxuICAgICAgICAgIFwiZWMyOlVuYXNzaWduUHJpdmF0ZUlwQWRkcmVzc2VzXCIsXG4gICAgICAgIF0sXG4gICAgICB9KVxuICAgICk7XG4gICAgYWlRdWVyeVJvbGUuYWRkVG9QcmluY2lwYWxQb2xpY3koXG4gICAgICBuZXcgYXdzX2lhbS5Qb2xpY3lTdGF0ZW1lbnQoe1xuICAgICAgICByZXNvdXJjZXM6IFtcbiAgICAgICAgICBgYXJuOmF3czpiZWRyb2NrOiR7U3RhY2sub2YodGhpcykucmVnaW9ufTo6Zm91bmRhdGlvbi1tb2RlbC8qYCxcbiAgICAgICAgXSxcbiAgICAgICAgYWN0aW9uczogW1wiYmVkcm9jazpJbnZva2VNb2RlbFwiLCBcImJlZHJvY2s6Q29udmVyc2VcIl0sXG4gICAgICB9KVxuICAgICk7XG4gICAgY2x1c3Rlci5ncmFudENvbm5lY3QoYWlRdWVyeVJvbGUpO1xuXG4gICAgY29uc3QgYWlRdWVyeUZuID0gbmV3IGF3c19sYW1iZGFfbm9kZWpzLk5vZGVqc0Z1bmN0aW9uKFxuICAgICAgdGhpcyxcbiAgICAgIFwiYWlRdWVyeUZuXCIsXG4gICAgICB7XG4gICAgICAgIC4uLk5vZGVqc0Z1bmN0aW9uQmFzZVByb3BzLFxuICAgICAgICBlbnRyeTogXCIuL2FwaS9sYW1iZGEvYWlRdWVyeS50c1wiLFxuICAgICAgICByb2xlOiBhaVF1ZXJ5Um9sZSxcbiAgICAgICAgdGltZW91dDogRHVyYXRpb24ubWludXRlcygyKSxcbiAgICAgICAgZW52aXJvbm1lbnQ6IHtcbiAgICAgICAgICBORVBUVU5FX0VORFBPSU5UOiBjbHVzdGVyLmNsdXN0ZXJSZWFkRW5kcG9pbnQuaG9zdG5hbWUsXG4gICAgICAgICAgTkVQVFVORV9QT1JUOiBjbHVzdGVyLmNsdXN0ZXJSZWFkRW5kcG9pbnQucG9ydC50b1N0cmluZygpLFxuICAgICAgICAgIEJFRFJPQ0tfUkVHSU9OOiBTdGFjay5vZih0aGlzKS5yZWdpb24sXG4gICAgICAgICAgTU9ERUxfSUQ6IFwiYW1hem9uLm5vdmEtbGl0ZS12MTowXCIsXG4gICAgICAgIH0sXG4gICAgICAgIGJ1bmRsaW5nOiB7XG4gICAgICAgICAgbm9kZU1vZHVsZXM6IFtcbiAgICAgICAgICAgIFwiZ3JlbWxpblwiLFxuICAgICAgICAgICAgXCJncmVtbGluLWF3cy1zaWd2NFwiLFxuICAgICAgICAgICAgXCJAYXdzLXNkay9jbGllbnQtYmVkcm9jay1ydW50aW1lXCIsXG4gICAgICAgICAgXSxcbiAgICAgICAgfSxcbiAgICAgICAgdnBjU3VibmV0czoge1xuICAgICAgICAgIHN1Ym5ldHM6IHZwYy5pc29sYXRlZFN1Ym5ldHMsXG4gICAgICAgIH0sXG4gICAgICB9XG4gICAgKTtcbiAgICB0aGlzLmxhbWJkYUZ1bmN0aW9uTmFtZXNbXCJhaVF1ZXJ5Rm5cIl0gPSBhaVF1ZXJ5Rm4uZnVuY3Rpb25OYW1lO1xuICAgIGdyYXBocWwuZ3JhbnRRdWVyeShhaVF1ZXJ5Rm4pO1xuICAgIGFpUXVlcnlGbi5jb25uZWN0aW9ucy5hbGxvd1RvKGNsdXN0ZXIsIGF3c19lYzIuUG9ydC50Y3AoODE4MikpO1xuXG4gICAgY29uc3QgbXV0YXRpb25GbiA9IG5ldyBhd3NfbGFtYmRhX25vZGVqcy5Ob2RlanNGdW5jdGlvbihcbiAgICAgIHRoaXMsXG4gICAgICBcIm11dGF0aW9uRm5cIixcbiAgICAgIHtcbiAgICAgICAgLi4uTm9kZWpzRnVuY3Rpb25CYXNlUHJvcHMsXG4gICAgICAgIGVudHJ5OiBcIi4vYXBpL2xhbWJkYS9tdXRhdGlvbkdyYXBoLnRzXCIsXG4gICAgICAgIGVudmlyb25tZW50OiB7XG4gICAgICAgICAgTkVQVFVORV9FTkRQT0lOVDogY2x1c3Rlci5jbHVzdGVyRW5kcG9pbnQuaG9zdG5hbWUsXG4gICAgICAgICAgTkVQVFVORV9QT1JUOiBjbHVzdGVyLmNsdXN0ZXJFbmRwb2ludC5wb3J0LnRvU3RyaW5nKCksXG4gICAgICAgIH0sXG4gICAgICB9XG4gICAgKTtcbiAgICB0aGlzLmxhbWJkYUZ1bmN0aW9uTmFtZXNbXCJtdXRhdGlvbkZuXCJdID0gbXV0YXRpb25Gbi5mdW5jdGlvbk5hbWU7XG4gICAgZ3JhcGhxbC5ncmFudE11dGF0aW9uKG11dGF0aW9uRm4pO1xuICAgIG11dGF0aW9uRm4uY29ubmVjdGlvbnMuYWxsb3dUbyhjbHVzdGVyLCBhd3NfZWMyLlBvcnQudGNwKDgxODIpKTtcblxuICAgIC8vIEZ1bmN0aW9uIFVSTFxuXG4gICAgY29uc3QgYnVsa0xvYWRGbiA9IG5ldyBhd3NfbGFtYmRhX25vZGVqcy5Ob2RlanNGdW5jdGlvbihcbiAgICAgIHRoaXMsXG4gICAgICBcImJ1bGtMb2FkRm5cIixcbiAgICAgIHtcbiAgICAgICAgLi4uTm9kZWpzRnVuY3Rpb25CYXNlUHJvcHMsXG4gICAgICAgIGVudHJ5OiBcIi4vYXBpL2xhbWJkYS9mdW5jdGlvblVybC9pbmRleC50c1wiLFxuICAgICAgICBkZXBzTG9ja0ZpbGVQYXRoOiBcIi4vYXBpL2xhbWJkYS9mdW5jdGlvblVybC9wYWNrYWdlLWxvY2suanNvblwiLFxuICAgICAgICBlbnZpcm9ubWVudDoge1xuICAgICAgICAgIE5FUFRVTkVfRU5EUE9JTlQ6IGNsdXN0ZXIuY2x1c3RlckVuZHBvaW50Lmhvc3RuYW1lLFxuICAgICAgICAgIE5FUFRVTkVfUE9SVDogY2x1c3Rlci5jbHVzdGVyRW5kcG9pbnQucG9ydC50b1N0cmluZygpLFxuICAgICAgICAgIFZFUlRFWDogczNVcmkudmVydGV4LFxuICAgICAgICAgIEVER0U6IHMzVXJpLmVkZ2UsXG4gICAgICAgICAgUk9MRV9BUk46IGNsdXN0ZXJSb2xlLnJvbGVBcm4sXG4gICAgICAgIH0sXG4gICAgICAgIHZwY1N1Ym5ldHM6IHtcbiAgICAgICAgICBzdWJuZXRzOiB2cGMucHVibGljU3VibmV0cyxcbiAgICAgICAgfSxcbiAgICAgICAgYnVuZGxpbmc6IHtcbiAgICAgICAgICBub2RlTW9kdWxlczogW1xuICAgICAgICAgICAgXCJAc21pdGh5L3NpZ25hdHVyZS12NFwiLFxuICAgICAgICAgICAgXCJAYXdzLXNkay9jcmVkZW50aWFsLXByb3ZpZGVyLW5vZGVcIixcbiAgICAgICAgICAgIFwiQGF3cy1jcnlwdG8vc2hhMjU2LWpzXCIsXG4gICAgICAgICAgICBcIkBzbWl0aHkvcHJvdG9jb2wtaHR0cFwiLFxuICAgICAgICAgIF0sXG4gICAgICAgIH0sXG4gICAgICAgIGFsbG93UHVibGljU3VibmV0OiB0cnVlLFxuICAgICAgfVxuICAgICk7XG4gICAgdGhpcy5sYW1iZGFGdW5jdGlvbk5hbWVzW1wiYnVsa0xvYWRGblwiXSA9IGJ1bGtMb2FkRm4uZnVuY3Rpb25OYW1lO1xuICAgIGJ1bGtMb2FkRm4uY29ubmVjdGlvbnMuYWxsb3dUbyhjbHVzdGVyLCBhd3NfZWMyLlBvcnQudGNwKDgxODIpKTtcblxuICAgIGNvbnN0IGZ1bmN0aW9uVXJsID0gYnVsa0xvYWRGbi5hZGRGdW5jdGlvblVybCh7XG4gICAgICBhdXRoVHlwZTogYXdzX2xhbWJkYS5GdW5jdGlvblVybEF1dGhUeXBlLkFXU19JQU0sXG4gICAgICBjb3JzOiB7XG4gICAgICAgIGFsbG93ZWRNZXRob2RzOiBbYXdzX2xhbWJkYS5IdHRwTWV0aG9kLkdFVF0sXG4gICAgICAgIGFsbG93ZWRPcmlnaW5zOiBbXCIqXCJdLFxuICAgICAgICBhbGxvd2VkSGVhZGVyczogW1wiKlwiXSxcbiAgICAgIH0sXG5cbiAgICAgIGludm9rZU1vZGU6IGF3c19sYW1iZGEuSW52b2tlTW9kZS5SRVNQT05TRV9TVFJFQU0sXG4gICAgfSk7XG5cbiAgICBncmFwaHFsRmllbGROYW1lLm1hcCgoZmlsZWROYW1lOiBzdHJpbmcpID0+IHtcbiAgICAgIC8vIERhdGEgc291cmNlc1xuICAgICAgbGV0IHRhcmdldEZuO1xuICAgICAgaWYgKGZpbGVkTmFtZSA9PT0gXCJhc2tHcmFwaFwiKSB7XG4gICAgICAgIHRhcmdldEZuID0gYWlRdWVyeUZuO1xuICAgICAgfSBlbHNlIGlmIChmaWxlZE5hbWUuc3RhcnRzV2l0aChcImdldFwiKSB8fCBmaWxlZE5hbWUuc3RhcnRzV2l0aChcInNlYXJjaFwiKSkge1xuICAgICAgICB0YXJnZXRGbiA9IHF1ZXJ5Rm47XG4gICAgICB9IGVsc2Uge1xuICAgICAgICB0YXJnZXRGbiA9IG11dGF0aW9uRm47XG4gICAgICB9XG4gICAgICBjb25zdCBkYXRhc291cmNlID0gZ3JhcGhxbC5hZGRMYW1iZGFEYXRhU291cmNlKFxuICAgICAgICBgJHtmaWxlZE5hbWV9RFNgLFxuICAgICAgICB0YXJnZXRGblxuICAgICAgKTtcbiAgICAgIHF1ZXJ5Rm4uYWRkRW52aXJvbm1lbnQoXCJHUkFQSFFMX0VORFBPSU5UXCIsIHRoaXMuZ3JhcGhxbFVybCk7XG4gICAgICAvLyBSZXNvbHZlclxuICAgICAgZGF0YXNvdXJjZS5jcmVhdGVSZXNvbHZlcihgJHtmaWxlZE5hbWV9UmVzb2x2ZXJgLCB7XG4gICAgICAgIGZpZWxkTmFtZTogYCR7ZmlsZWROYW1lfWAsXG4gICAgICAgIHR5cGVOYW1lOiBmaWxlZE5hbWUuc3RhcnRzV2l0aChcImdldFwiKSB8fCBmaWxlZE5hbWUuc3RhcnRzV2l0aChcImFza1wiKSB8fCBmaWxlZE5hbWUuc3RhcnRzV2l0aChcInNlYXJjaFwiKVxuICAgICAgICAgID8gXCJRdWVyeVwiXG4gICAgICAgICAgOiBcIk11dGF0aW9uXCIsXG4gICAgICAgIHJlcXVlc3RNYXBwaW5nVGVtcGxhdGU6IE1hcHBpbmdUZW1wbGF0ZS5mcm9tRmlsZShcbiAgICAgICAgICBgLi9hcGkvZ3JhcGhxbC9yZXNvbHZlcnMvcmVxdWVzdHMvJHtmaWxlZE5hbWV9LnZ0bGBcbiAgICAgICAgKSxcbiAgICAgICAgcmVzcG9uc2VNYXBwaW5nVGVtcGxhdGU6IE1hcHBpbmdUZW1wbGF0ZS5mcm9tRmlsZShcbiAgICAgICAgICBcIi4vYXBpL2dyYXBocWwvcmVzb2x2ZXJzL3Jlc3BvbnNlcy9kZWZhdWx0LnZ0bFwiXG4gICAgICAgICksXG4gICAgICB9KTtcbiAgICB9KTtcblxuICAgIC8vIE91dHB1dHNcbiAgICBuZXcgQ2ZuT3V0cHV0KHRoaXMsIFwiR3JhcGhxbFVybFwiLCB7XG4gICAgICB2YWx1ZTogdGhpcy5ncmFwaHFsVXJsLFxuICAgIH0pO1xuICAgIG5ldyBDZm5PdXRwdXQodGhpcywgXCJGdW5jdGlvblVybFwiLCB7XG4gICAgICB2YWx1ZTogZnVuY3Rpb25VcmwudXJsLFxuICAgIH0pO1xuXG4gICAgLy8gU3VwcHJlc3Npb25zXG4gICAgTmFnU3VwcHJlc3Npb25zLmFkZFJlc291cmNlU3VwcHJlc3Npb25zKFxuICAgICAgZ3JhcGhxbCxcbiAgICAgIFtcbiAgICAgICAge1xuICAgICAgICAgIGlkOiBcIkF3c1NvbHV0aW9ucy1JQU01XCIsXG4gICAgICAgICAgcmVhc29uOiBcIkRhdGFzb3JjZSByb2xlXCIsXG4gICAgICAgIH0sXG4gICAgICBdLFxuICAgICAgdHJ1ZVxuICAgICk7XG5cbiAgICBOYWdTdXBwcmVzc2lvbnMuYWRkUmVzb3VyY2VTdXBwcmVzc2lvbnMoXG4gICAgICBsYW1iZGFSb2xlLFxuICAgICAgW1xuICAgICAgICB7XG4gICAgICAgICAgaWQ6IFwiQXdzU29sdXRpb25zLUlBTTVcIixcbiAgICAgICAgICByZWFzb246IFwiTmVlZCB0aGUgcGVybWlzc2lvbiBmb3IgYWNjZXNzaW5nIGRhdGFiYXNlIGluIFZwY1wiLFxuICAgICAgICB9LFxuICAgICAgXSxcbiAgICAgIHRydWVcbiAgICApO1xuICAgIE5hZ1N1cHByZXNzaW9ucy5hZGRSZXNvdXJjZVN1cHByZXNzaW9ucyhcbiAgICAgIGFpUXVlcnlSb2xlLFxuICAgICAgW1xuICAgICAgICB7XG4gICAgICAgICAgaWQ6IFwiQXdzU29sdXRpb25zLUlBTTVcIixcbiAgICAgICAgICByZWFzb246IFwiTmVlZCB0aGUgcGVybWlzc2lvbiBmb3IgQmVkcm9jayBhbmQgVlBDIGFjY2Vzc1wiLFxuICAgICAgICB9LFxuICAgICAgXSxcbiAgICAgIHRydWVcbiAgICApO1xuICAgIE5hZ1N1cHByZXNzaW9ucy5hZGRTdGFja1N1cHByZXNzaW9ucyhTdGFjay5vZih0aGlzKSwgW1xuICAgICAge1xuICAgICAgICBpZDogXCJBd3NTb2x1dGlvbnMtSUFNNFwiLFxuICAgICAgICByZWFzb246IFwiQ0RLIG1hbmFnZWQgcmVzb3VyY2VcIixcbiAgICAgICAgYXBwbGllc1RvOiBbXG4gICAgICAgICAgXCJQb2xpY3k6OmFybjo8QVdTOjpQYXJ0aXRpb24+OmlhbTo6YXdzOnBvbGljeS9zZXJ2aWNlLXJvbGUvQVdTTGFtYmRhQmFzaWNFeGVjdXRpb25Sb2xlXCIsXG4gICAgICAgIF0sXG4gICAgICB9LFxuICAgICAge1xuICAgICAgICBpZDogXCJBd3NTb2x1dGlvbnMtTDFcIixcbiAgICAgICAgcmVhc29uOiBcIkNESyBtYW5hZ2VkIHJlc291cmNlXCIsXG4gICAgICB9LFxuICAgICAge1xuICAgICAgICBpZDogXCJBd3NTb2x1dGlvbnMtSUFNNVwiLFxuICAgICAgICByZWFzb246IFwiQ0RLIG1hbmFnZWQgcmVzb3VyY2VcIixcbiAgICAgICAgYXBwbGllc1RvOiBbXCJSZXNvdXJjZTo6KlwiXSxcbiAgICAgIH0sXG4gICAgXSk7XG4gIH1cbn1cbiJdfQ==
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYXBpLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiYXBpLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7OztBQUFBLDZDQWFxQjtBQUNyQix5REFPaUM7QUFDakMsMkNBQXVDO0FBSXZDLHFDQUEwQztBQTJCMUMseUVBQXlFO0FBQ3pFLE1BQU0sb0JBQW9CLEdBQUc7SUFDM0IsdUJBQXVCO0lBQ3ZCLHlCQUF5QjtJQUN6Qix5QkFBeUI7SUFDekIseUJBQXlCO0lBQ3pCLFVBQVU7SUFDVixZQUFZO0lBQ1osZUFBZTtJQUNmLGFBQWE7SUFDYixZQUFZO0lBQ1osbUJBQW1CO0NBQ3BCLENBQUM7QUFFRiwyREFBMkQ7QUFDM0QsTUFBTSxXQUFXLEdBQUc7SUFDbEIsVUFBVTtJQUNWLFNBQVM7SUFDVCxZQUFZO0lBQ1oscUJBQXFCO0lBQ3JCLGFBQWE7SUFDYixXQUFXO0NBQ1osQ0FBQztBQUVGLDJDQUEyQztBQUMzQyxNQUFNLGFBQWEsR0FBRyxDQUFDLFlBQVksRUFBRSxhQUFhLENBQUMsQ0FBQztBQUVwRCwyQ0FBMkM7QUFDM0MsTUFBTSxjQUFjLEdBQUcsQ0FBQyxvQkFBb0IsQ0FBQyxDQUFDO0FBRTlDLHFFQUFxRTtBQUNyRSxrQkFBa0I7QUFDbEIsTUFBTSxrQkFBa0IsR0FBRyxDQUFDLGdCQUFnQixDQUFDLENBQUM7QUFFOUMseUVBQXlFO0FBQ3pFLE1BQU0sa0JBQWtCLEdBQTJCO0lBQ2pELFdBQVcsRUFBRSxpQkFBaUI7SUFDOUIsV0FBVyxFQUFFLGlCQUFpQjtJQUM5QixrQkFBa0IsRUFBRSx3QkFBd0I7Q0FDN0MsQ0FBQztBQU9GLE1BQWEsR0FBSSxTQUFRLHNCQUFTO0lBS2hDLFlBQVksS0FBZ0IsRUFBRSxFQUFVLEVBQUUsS0FBc0I7UUFDOUQsS0FBSyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQztRQUVqQixNQUFNLEVBQ0osTUFBTSxFQUNOLEdBQUcsRUFDSCxPQUFPLEVBQ1AsV0FBVyxFQUNYLGdCQUFnQixFQUNoQixLQUFLLEVBQ0wsc0JBQXNCLEdBQUcsRUFBRSxFQUMzQixnQkFBZ0IsR0FBRyxFQUFFLEVBQ3JCLFVBQVUsR0FBRyxFQUFFLEVBQ2YsY0FBYyxHQUFHLHNCQUFzQixHQUN4QyxHQUFHLEtBQUssQ0FBQztRQUVWLGNBQWM7UUFDZCxNQUFNLE9BQU8sR0FBRyxJQUFJLHdCQUFVLENBQUMsSUFBSSxFQUFFLFNBQVMsRUFBRTtZQUM5QyxJQUFJLEVBQUUsRUFBRTtZQUNSLFVBQVUsRUFBRSx3QkFBVSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUM7WUFDdkMsU0FBUyxFQUFFO2dCQUNULGFBQWEsRUFBRSwyQkFBYSxDQUFDLEtBQUs7Z0JBQ2xDLElBQUksRUFBRSxJQUFJLHFCQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxrQkFBa0IsRUFBRTtvQkFDL0MsU0FBUyxFQUFFLElBQUkscUJBQU8sQ0FBQyxnQkFBZ0IsQ0FBQyx1QkFBdUIsQ0FBQztvQkFDaEUsY0FBYyxFQUFFO3dCQUNkLElBQUksRUFBRSxJQUFJLHFCQUFPLENBQUMsY0FBYyxDQUFDOzRCQUMvQixVQUFVLEVBQUU7Z0NBQ1YsSUFBSSxxQkFBTyxDQUFDLGVBQWUsQ0FBQztvQ0FDMUIsT0FBTyxFQUFFO3dDQUNQLHFCQUFxQjt3Q0FDckIsc0JBQXNCO3dDQUN0QixtQkFBbUI7cUNBQ3BCO29DQUNELFNBQVMsRUFBRTt3Q0FDVCxnQkFBZ0IsbUJBQUssQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxJQUNuQyxtQkFBSyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxPQUNqQixFQUFFO3FDQUNIO2lDQUNGLENBQUM7NkJBQ0g7eUJBQ0YsQ0FBQztxQkFDSDtpQkFDRixDQUFDO2FBQ0g7WUFDRCxtQkFBbUIsRUFBRTtnQkFDbkIsb0JBQW9CLEVBQUU7b0JBQ3BCLGlCQUFpQixFQUFFLCtCQUFpQixDQUFDLFNBQVM7b0JBQzlDLGNBQWMsRUFBRTt3QkFDZCxRQUFRLEVBQUUsS0FBSyxDQUFDLE9BQU8sQ0FBQyxRQUFRO3dCQUNoQyxnQkFBZ0IsRUFBRSxLQUFLLENBQUMsT0FBTyxDQUFDLGFBQWEsQ0FBQyxnQkFBZ0I7d0JBQzlELGFBQWEsRUFBRSxtQ0FBcUIsQ0FBQyxLQUFLO3FCQUMzQztpQkFDRjtnQkFDRCxxRUFBcUU7Z0JBQ3JFLDZEQUE2RDtnQkFDN0QsbUVBQW1FO2dCQUNuRSw0QkFBNEIsRUFBRTtvQkFDNUI7d0JBQ0UsaUJBQWlCLEVBQUUsK0JBQWlCLENBQUMsSUFBSTt3QkFDekMsbUJBQW1CLEVBQUU7NEJBQ25CLFlBQVksRUFBRSxLQUFLLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxtQkFBbUI7eUJBQ3pEO3FCQUNGO2lCQUNGO2FBQ0Y7WUFDRCxXQUFXLEVBQUUsSUFBSTtTQUNsQixDQUFDLENBQUM7UUFFSCxJQUFJLENBQUMsVUFBVSxHQUFHLE9BQU8sQ0FBQyxVQUFVLENBQUM7UUFDckMsSUFBSSxDQUFDLFlBQVksR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDO1FBQ2xDLElBQUksQ0FBQyxtQkFBbUIsR0FBRyxFQUFFLENBQUM7UUFFOUIsTUFBTSxVQUFVLEdBQUcsSUFBSSxxQkFBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsWUFBWSxFQUFFO1lBQ3RELFNBQVMsRUFBRSxJQUFJLHFCQUFPLENBQUMsZ0JBQWdCLENBQUMsc0JBQXNCLENBQUM7U0FDaEUsQ0FBQyxDQUFDO1FBQ0gsVUFBVSxDQUFDLG9CQUFvQixDQUM3QixJQUFJLHFCQUFPLENBQUMsZUFBZSxDQUFDO1lBQzFCLFNBQVMsRUFBRSxDQUFDLEdBQUcsQ0FBQztZQUNoQixPQUFPLEVBQUU7Z0JBQ1AscUJBQXFCO2dCQUNyQixzQkFBc0I7Z0JBQ3RCLG1CQUFtQjtnQkFDbkIsNEJBQTRCO2dCQUM1QiwrQkFBK0I7Z0JBQy9CLHFCQUFxQjtnQkFDckIsNEJBQTRCO2dCQUM1Qiw4QkFBOEI7Z0JBQzlCLGdDQUFnQzthQUNqQztTQUNGLENBQUMsQ0FDSCxDQUFDO1FBQ0YsT0FBTyxDQUFDLFlBQVksQ0FBQyxVQUFVLENBQUMsQ0FBQztRQUVqQyxtQ0FBbUM7UUFDbkMsTUFBTSx1QkFBdUIsR0FBMEM7WUFDckUsT0FBTyxFQUFFLHdCQUFVLENBQUMsT0FBTyxDQUFDLFdBQVc7WUFFdkMsMENBQTBDO1lBQzFDLGdCQUFnQixFQUFFLGdDQUFnQztZQUNsRCxZQUFZLEVBQUUsd0JBQVUsQ0FBQyxZQUFZLENBQUMsTUFBTTtZQUM1QyxPQUFPLEVBQUUsc0JBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO1lBQzVCLE9BQU8sRUFBRSx3QkFBVSxDQUFDLE9BQU8sQ0FBQyxNQUFNO1lBQ2xDLElBQUksRUFBRSxVQUFVO1lBQ2hCLEdBQUcsRUFBRSxHQUFHO1lBQ1IsVUFBVSxFQUFFO2dCQUNWLE9BQU8sRUFBRSxHQUFHLENBQUMsZUFBZTthQUM3QjtZQUNELFFBQVEsRUFBRTtnQkFDUixXQUFXLEVBQUUsQ0FBQyxTQUFTLEVBQUUsbUJBQW1CLENBQUM7YUFDOUM7U0FDRixDQUFDO1FBQ0YsTUFBTSxPQUFPLEdBQUcsSUFBSSwrQkFBaUIsQ0FBQyxjQUFjLENBQUMsSUFBSSxFQUFFLFNBQVMsRUFBRTtZQUNwRSxHQUFHLHVCQUF1QjtZQUMxQixLQUFLLEVBQUUsNEJBQTRCO1lBQ25DLFdBQVcsRUFBRTtnQkFDWCxnQkFBZ0IsRUFBRSxPQUFPLENBQUMsbUJBQW1CLENBQUMsUUFBUTtnQkFDdEQsWUFBWSxFQUFFLE9BQU8sQ0FBQyxtQkFBbUIsQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFO2dCQUN6RCx3QkFBd0IsRUFBRSxzQkFBc0IsQ0FBQyxRQUFRLEVBQUU7YUFDNUQ7U0FDRixDQUFDLENBQUM7UUFDSCxJQUFJLENBQUMsbUJBQW1CLENBQUMsU0FBUyxDQUFDLEdBQUcsT0FBTyxDQUFDLFlBQVksQ0FBQztRQUMzRCxPQUFPLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQzVCLE9BQU8sQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxxQkFBTyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUU3RCxzQ0FBc0M7UUFDdEMsTUFBTSxXQUFXLEdBQUcsSUFBSSxxQkFBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsYUFBYSxFQUFFO1lBQ3hELFNBQVMsRUFBRSxJQUFJLHFCQUFPLENBQUMsZ0JBQWdCLENBQUMsc0JBQXNCLENBQUM7U0FDaEUsQ0FBQyxDQUFDO1FBQ0gsV0FBVyxDQUFDLG9CQUFvQixDQUM5QixJQUFJLHFCQUFPLENBQUMsZUFBZSxDQUFDO1lBQzFCLFNBQVMsRUFBRSxDQUFDLEdBQUcsQ0FBQztZQUNoQixPQUFPLEVBQUU7Z0JBQ1AscUJBQXFCO2dCQUNyQixzQkFBc0I7Z0JBQ3RCLG1CQUFtQjtnQkFDbkIsNEJBQTRCO2dCQUM1QiwrQkFBK0I7Z0JBQy9CLHFCQUFxQjtnQkFDckIsNEJBQTRCO2dCQUM1Qiw4QkFBOEI7Z0JBQzlCLGdDQUFnQzthQUNqQztTQUNGLENBQUMsQ0FDSCxDQUFDO1FBQ0YsV0FBVyxDQUFDLG9CQUFvQixDQUM5QixJQUFJLHFCQUFPLENBQUMsZUFBZSxDQUFDO1lBQzFCLFNBQVMsRUFBRTtnQkFDVCxtQkFBbUIsbUJBQUssQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxzQkFBc0I7YUFDL0Q7WUFDRCxPQUFPLEVBQUUsQ0FBQyxxQkFBcUIsRUFBRSxrQkFBa0IsQ0FBQztTQUNyRCxDQUFDLENBQ0gsQ0FBQztRQUNGLE9BQU8sQ0FBQyxZQUFZLENBQUMsV0FBVyxDQUFDLENBQUM7UUFFbEMsTUFBTSxTQUFTLEdBQUcsSUFBSSwrQkFBaUIsQ0FBQyxjQUFjLENBQ3BELElBQUksRUFDSixXQUFXLEVBQ1g7WUFDRSxHQUFHLHVCQUF1QjtZQUMxQixLQUFLLEVBQUUseUJBQXlCO1lBQ2hDLElBQUksRUFBRSxXQUFXO1lBQ2pCLE9BQU8sRUFBRSxzQkFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7WUFDNUIsV0FBVyxFQUFFO2dCQUNYLGdCQUFnQixFQUFFLE9BQU8sQ0FBQyxtQkFBbUIsQ0FBQyxRQUFRO2dCQUN0RCxZQUFZLEVBQUUsT0FBTyxDQUFDLG1CQUFtQixDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUU7Z0JBQ3pELGNBQWMsRUFBRSxtQkFBSyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNO2dCQUNyQyxRQUFRLEVBQUUsdUJBQXVCO2FBQ2xDO1lBQ0QsUUFBUSxFQUFFO2dCQUNSLFdBQVcsRUFBRTtvQkFDWCxTQUFTO29CQUNULG1CQUFtQjtvQkFDbkIsaUNBQWlDO2lCQUNsQzthQUNGO1lBQ0QsVUFBVSxFQUFFO2dCQUNWLE9BQU8sRUFBRSxHQUFHLENBQUMsZUFBZTthQUM3QjtTQUNGLENBQ0YsQ0FBQztRQUNGLElBQUksQ0FBQyxtQkFBbUIsQ0FBQyxXQUFXLENBQUMsR0FBRyxTQUFTLENBQUMsWUFBWSxDQUFDO1FBQy9ELE9BQU8sQ0FBQyxVQUFVLENBQUMsU0FBUyxDQUFDLENBQUM7UUFDOUIsU0FBUyxDQUFDLFdBQVcsQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLHFCQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBRS9ELE1BQU0sVUFBVSxHQUFHLElBQUksK0JBQWlCLENBQUMsY0FBYyxDQUNyRCxJQUFJLEVBQ0osWUFBWSxFQUNaO1lBQ0UsR0FBRyx1QkFBdUI7WUFDMUIsS0FBSyxFQUFFLCtCQUErQjtZQUN0QyxXQUFXLEVBQUU7Z0JBQ1gsZ0JBQWdCLEVBQUUsT0FBTyxDQUFDLGVBQWUsQ0FBQyxRQUFRO2dCQUNsRCxZQUFZLEVBQUUsT0FBTyxDQUFDLGVBQWUsQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFO2dCQUNyRCx3QkFBd0IsRUFBRSxzQkFBc0IsQ0FBQyxRQUFRLEVBQUU7YUFDNUQ7U0FDRixDQUNGLENBQUM7UUFDRixJQUFJLENBQUMsbUJBQW1CLENBQUMsWUFBWSxDQUFDLEdBQUcsVUFBVSxDQUFDLFlBQVksQ0FBQztRQUNqRSxPQUFPLENBQUMsYUFBYSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1FBQ2xDLFVBQVUsQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxxQkFBTyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUVoRSxvRUFBb0U7UUFDcEUsTUFBTSxPQUFPLEdBQUcsSUFBSSwrQkFBaUIsQ0FBQyxjQUFjLENBQUMsSUFBSSxFQUFFLFNBQVMsRUFBRTtZQUNwRSxHQUFHLHVCQUF1QjtZQUMxQixLQUFLLEVBQUUsNkJBQTZCO1lBQ3BDLE9BQU8sRUFBRSxzQkFBUSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUM7WUFDN0IsV0FBVyxFQUFFO2dCQUNYLGdCQUFnQixFQUFFLE9BQU8sQ0FBQyxlQUFlLENBQUMsUUFBUTtnQkFDbEQsWUFBWSxFQUFFLE9BQU8sQ0FBQyxlQUFlLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRTthQUN0RDtTQUNGLENBQUMsQ0FBQztRQUNILElBQUksQ0FBQyxtQkFBbUIsQ0FBQyxTQUFTLENBQUMsR0FBRyxPQUFPLENBQUMsWUFBWSxDQUFDO1FBQzNELE9BQU8sQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxxQkFBTyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUU3RCx3RUFBd0U7UUFDeEUseUVBQXlFO1FBQ3pFLDJEQUEyRDtRQUMzRCxNQUFNLGNBQWMsR0FBRyxJQUFJLCtCQUFpQixDQUFDLGNBQWMsQ0FDekQsSUFBSSxFQUNKLGdCQUFnQixFQUNoQjtZQUNFLE9BQU8sRUFBRSx3QkFBVSxDQUFDLE9BQU8sQ0FBQyxXQUFXO1lBQ3ZDLEtBQUssRUFBRSxvQ0FBb0M7WUFDM0MsZ0JBQWdCLEVBQUUsZ0NBQWdDO1lBQ2xELFlBQVksRUFBRSx3QkFBVSxDQUFDLFlBQVksQ0FBQyxNQUFNO1lBQzVDLE9BQU8sRUFBRSxzQkFBUSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUM7WUFDN0IsT0FBTyxFQUFFLHdCQUFVLENBQUMsT0FBTyxDQUFDLE1BQU07WUFDbEMsV0FBVyxFQUFFO2dCQUNYLFlBQVksRUFBRSxLQUFLLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxVQUFVO2dCQUMvQyxTQUFTLEVBQUUsS0FBSyxDQUFDLE9BQU8sQ0FBQyxhQUFhLENBQUMsUUFBUTtnQkFDL0MsbUJBQW1CLEVBQUUsT0FBTyxDQUFDLFlBQVk7YUFDMUM7WUFDRCxRQUFRLEVBQUU7Z0JBQ1IsZUFBZSxFQUFFLENBQUMsWUFBWSxDQUFDLEVBQUUsaUNBQWlDO2FBQ25FO1NBQ0YsQ0FDRixDQUFDO1FBQ0YsSUFBSSxDQUFDLG1CQUFtQixDQUFDLGdCQUFnQixDQUFDLEdBQUcsY0FBYyxDQUFDLFlBQVksQ0FBQztRQUN6RSxjQUFjLENBQUMsZUFBZSxDQUM1QixJQUFJLHFCQUFPLENBQUMsZUFBZSxDQUFDO1lBQzFCLE9BQU8sRUFBRTtnQkFDUCxpQ0FBaUM7Z0JBQ2pDLG9DQUFvQztnQkFDcEMsa0NBQWtDO2dCQUNsQyxrQ0FBa0M7Z0JBQ2xDLHVCQUF1QjtnQkFDdkIsMEJBQTBCO2dCQUMxQiw2QkFBNkI7Z0JBQzdCLG9DQUFvQztnQkFDcEMsOEJBQThCO2dCQUM5QixpQ0FBaUM7Z0JBQ2pDLHNDQUFzQztnQkFDdEMsNkJBQTZCO2dCQUM3Qiw4QkFBOEI7Z0JBQzlCLG9DQUFvQzthQUNyQztZQUNELFNBQVMsRUFBRSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLFdBQVcsQ0FBQztTQUNoRCxDQUFDLENBQ0gsQ0FBQztRQUNGLE9BQU8sQ0FBQyxXQUFXLENBQUMsY0FBYyxDQUFDLENBQUM7UUFFcEMsbUVBQW1FO1FBQ25FLHNEQUFzRDtRQUN0RCxNQUFNLE9BQU8sR0FBRyxJQUFJLCtCQUFpQixDQUFDLGNBQWMsQ0FBQyxJQUFJLEVBQUUsU0FBUyxFQUFFO1lBQ3BFLEdBQUcsdUJBQXVCO1lBQzFCLEtBQUssRUFBRSxpQ0FBaUM7WUFDeEMsT0FBTyxFQUFFLHNCQUFRLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztZQUM1QixXQUFXLEVBQUU7Z0JBQ1gsZ0JBQWdCLEVBQUUsT0FBTyxDQUFDLGVBQWUsQ0FBQyxRQUFRO2dCQUNsRCxZQUFZLEVBQUUsT0FBTyxDQUFDLGVBQWUsQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFO2dCQUNyRCx3QkFBd0IsRUFBRSxzQkFBc0IsQ0FBQyxRQUFRLEVBQUU7YUFDNUQ7U0FDRixDQUFDLENBQUM7UUFDSCxJQUFJLENBQUMsbUJBQW1CLENBQUMsU0FBUyxDQUFDLEdBQUcsT0FBTyxDQUFDLFlBQVksQ0FBQztRQUMzRCxPQUFPLENBQUMsV0FBVyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUscUJBQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7UUFFN0QsTUFBTSxrQkFBa0IsR0FBRyxJQUFJLHFCQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxzQkFBc0IsRUFBRTtZQUN4RSxTQUFTLEVBQUUsSUFBSSxxQkFBTyxDQUFDLGdCQUFnQixDQUFDLHlCQUF5QixDQUFDO1NBQ25FLENBQUMsQ0FBQztRQUNILE9BQU8sQ0FBQyxXQUFXLENBQUMsa0JBQWtCLENBQUMsQ0FBQztRQUN4QyxJQUFJLDJCQUFhLENBQUMsV0FBVyxDQUFDLElBQUksRUFBRSxnQkFBZ0IsRUFBRTtZQUNwRCxXQUFXLEVBQUUsK0JBQStCLHNCQUFzQixPQUFPO1lBQ3pFLDBCQUEwQixFQUFFLHFCQUFxQjtZQUNqRCxrQkFBa0IsRUFBRSxvQkFBb0I7WUFDeEMsa0JBQWtCLEVBQUUsRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFO1lBQ25DLE1BQU0sRUFBRTtnQkFDTixHQUFHLEVBQUUsT0FBTyxDQUFDLFdBQVc7Z0JBQ3hCLE9BQU8sRUFBRSxrQkFBa0IsQ0FBQyxPQUFPO2FBQ3BDO1lBQ0QsS0FBSyxFQUFFLFNBQVM7U0FDakIsQ0FBQyxDQUFDO1FBRUgseUVBQXlFO1FBQ3pFLGtDQUFrQztRQUNsQyxNQUFNLFNBQVMsR0FBRyxJQUFJLCtCQUFpQixDQUFDLGNBQWMsQ0FBQyxJQUFJLEVBQUUsV0FBVyxFQUFFO1lBQ3hFLEdBQUcsdUJBQXVCO1lBQzFCLEtBQUssRUFBRSxvQ0FBb0M7WUFDM0MsT0FBTyxFQUFFLHNCQUFRLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQztZQUM3QixXQUFXLEVBQUU7Z0JBQ1gsZ0JBQWdCLEVBQUUsT0FBTyxDQUFDLGVBQWUsQ0FBQyxRQUFRO2dCQUNsRCxZQUFZLEVBQUUsT0FBTyxDQUFDLGVBQWUsQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFO2FBQ3REO1NBQ0YsQ0FBQyxDQUFDO1FBQ0gsSUFBSSxDQUFDLG1CQUFtQixDQUFDLFdBQVcsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxZQUFZLENBQUM7UUFDL0QsU0FBUyxDQUFDLFdBQVcsQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLHFCQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBRS9ELGVBQWU7UUFFZixNQUFNLHFCQUFxQixHQUN6QixnQkFBZ0IsQ0FBQyxNQUFNLEdBQUcsQ0FBQztZQUN6QixDQUFDLENBQUMsZ0JBQWdCO1lBQ2xCLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxNQUFNLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsRUFBRSxFQUFFLENBQ3JDLEdBQUcsQ0FBQyxTQUFTLENBQUMsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQzNDLENBQUM7UUFFUixxRUFBcUU7UUFDckUsdUNBQXVDO1FBQ3ZDLE1BQU0sZ0JBQWdCLEdBQUcsSUFBSSwwQkFBWSxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsYUFBYSxFQUFFO1lBQ25FLFlBQVksRUFBRSxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFLDBCQUFZLENBQUMsYUFBYSxDQUFDLE1BQU0sRUFBRTtZQUN6RSxXQUFXLEVBQUUsMEJBQVksQ0FBQyxXQUFXLENBQUMsZUFBZTtZQUNyRCxnQ0FBZ0MsRUFBRSxFQUFFLDBCQUEwQixFQUFFLElBQUksRUFBRTtZQUN0RSxhQUFhLEVBQUUsMkJBQWEsQ0FBQyxPQUFPO1NBQ3JDLENBQUMsQ0FBQztRQUNILGdCQUFnQixDQUFDLHVCQUF1QixDQUFDO1lBQ3ZDLFNBQVMsRUFBRSxhQUFhO1lBQ3hCLFlBQVksRUFBRSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLDBCQUFZLENBQUMsYUFBYSxDQUFDLE1BQU0sRUFBRTtZQUN2RSxPQUFPLEVBQUUsRUFBRSxJQUFJLEVBQUUsV0FBVyxFQUFFLElBQUksRUFBRSwwQkFBWSxDQUFDLGFBQWEsQ0FBQyxNQUFNLEVBQUU7U0FDeEUsQ0FBQyxDQUFDO1FBRUgsd0VBQXdFO1FBQ3hFLHlFQUF5RTtRQUN6RSw0QkFBNEI7UUFDNUIsTUFBTSxZQUFZLEdBQUcsSUFBSSxvQkFBTSxDQUFDLE1BQU0sQ0FBQyxJQUFJLEVBQUUsY0FBYyxFQUFFO1lBQzNELGlCQUFpQixFQUFFLG9CQUFNLENBQUMsaUJBQWlCLENBQUMsU0FBUztZQUNyRCxVQUFVLEVBQUUsb0JBQU0sQ0FBQyxnQkFBZ0IsQ0FBQyxVQUFVO1lBQzlDLFVBQVUsRUFBRSxJQUFJO1lBQ2hCLFNBQVMsRUFBRSxLQUFLO1lBQ2hCLGFBQWEsRUFBRSwyQkFBYSxDQUFDLE9BQU87WUFDcEMsaUJBQWlCLEVBQUUsSUFBSTtZQUN2QixJQUFJLEVBQ0YsVUFBVSxDQUFDLE1BQU0sR0FBRyxDQUFDO2dCQUNuQixDQUFDLENBQUM7b0JBQ0U7d0JBQ0UsY0FBYyxFQUFFLENBQUMsb0JBQU0sQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDO3dCQUN4QyxjQUFjLEVBQUUsVUFBVTt3QkFDMUIsY0FBYyxFQUFFLENBQUMsY0FBYyxDQUFDO3FCQUNqQztpQkFDRjtnQkFDSCxDQUFDLENBQUMsU0FBUztZQUNmLGNBQWMsRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxVQUFVLEVBQUUsc0JBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztTQUN2RSxDQUFDLENBQUM7UUFDSCxNQUFNLGtCQUFrQixHQUFHLFFBQVEsWUFBWSxDQUFDLFVBQVUsV0FBVyxDQUFDO1FBRXRFLHNFQUFzRTtRQUN0RSxNQUFNLFlBQVksR0FBRyxJQUFJLG9CQUFNLENBQUMsTUFBTSxDQUFDLElBQUksRUFBRSxjQUFjLEVBQUU7WUFDM0QsaUJBQWlCLEVBQUUsb0JBQU0sQ0FBQyxpQkFBaUIsQ0FBQyxTQUFTO1lBQ3JELFVBQVUsRUFBRSxvQkFBTSxDQUFDLGdCQUFnQixDQUFDLFVBQVU7WUFDOUMsVUFBVSxFQUFFLElBQUk7WUFDaEIsU0FBUyxFQUFFLEtBQUs7WUFDaEIsYUFBYSxFQUFFLDJCQUFhLENBQUMsTUFBTTtTQUNwQyxDQUFDLENBQUM7UUFDSCxNQUFNLGtCQUFrQixHQUFHLFFBQVEsWUFBWSxDQUFDLFVBQVUsV0FBVyxDQUFDO1FBRXRFLE1BQU0sVUFBVSxHQUFHLElBQUksK0JBQWlCLENBQUMsY0FBYyxDQUNyRCxJQUFJLEVBQ0osWUFBWSxFQUNaO1lBQ0UsR0FBRyx1QkFBdUI7WUFDMUIsS0FBSyxFQUFFLG1DQUFtQztZQUMxQyx3REFBd0Q7WUFDeEQsV0FBVyxFQUFFLGNBQWM7WUFDM0IsZ0JBQWdCLEVBQUUsNENBQTRDO1lBQzlELDRDQUE0QztZQUM1QyxVQUFVLEVBQUUsSUFBSTtZQUNoQixtRUFBbUU7WUFDbkUsNkNBQTZDO1lBQzdDLE9BQU8sRUFBRSxzQkFBUSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUM7WUFDN0IsV0FBVyxFQUFFO2dCQUNYLGdCQUFnQixFQUFFLE9BQU8sQ0FBQyxlQUFlLENBQUMsUUFBUTtnQkFDbEQsWUFBWSxFQUFFLE9BQU8sQ0FBQyxlQUFlLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRTtnQkFDckQsTUFBTSxFQUFFLEtBQUssQ0FBQyxNQUFNO2dCQUNwQixJQUFJLEVBQUUsS0FBSyxDQUFDLElBQUk7Z0JBQ2hCLFFBQVEsRUFBRSxXQUFXLENBQUMsT0FBTztnQkFDN0IsY0FBYyxFQUFFLG1CQUFLLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU07Z0JBQ3JDLHVCQUF1QixFQUFFO29CQUN2QixHQUFHLHFCQUFxQjtvQkFDeEIsa0JBQWtCO29CQUNsQixrQkFBa0I7aUJBQ25CLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQztnQkFDWCxrQkFBa0IsRUFBRSxnQkFBZ0IsQ0FBQyxTQUFTO2dCQUM5QywwQkFBMEIsRUFBRSxLQUFLO2FBQ2xDO1lBQ0QsVUFBVSxFQUFFO2dCQUNWLE9BQU8sRUFBRSxHQUFHLENBQUMsYUFBYTthQUMzQjtZQUNELFFBQVEsRUFBRTtnQkFDUixXQUFXLEVBQUU7b0JBQ1gsc0JBQXNCO29CQUN0QixtQ0FBbUM7b0JBQ25DLHVCQUF1QjtvQkFDdkIsdUJBQXVCO2lCQUN4QjthQUNGO1lBQ0QsaUJBQWlCLEVBQUUsSUFBSTtTQUN4QixDQUNGLENBQUM7UUFDRixJQUFJLENBQUMsbUJBQW1CLENBQUMsWUFBWSxDQUFDLEdBQUcsVUFBVSxDQUFDLFlBQVksQ0FBQztRQUNqRSxVQUFVLENBQUMsV0FBVyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUscUJBQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7UUFDaEUsZ0JBQWdCLENBQUMsa0JBQWtCLENBQUMsVUFBVSxDQUFDLENBQUM7UUFDaEQsMkNBQTJDO1FBQzNDLFVBQVUsQ0FBQyxlQUFlLENBQ3hCLElBQUkscUJBQU8sQ0FBQyxlQUFlLENBQUM7WUFDMUIsT0FBTyxFQUFFLENBQUMsY0FBYyxFQUFFLGVBQWUsQ0FBQztZQUMxQyxTQUFTLEVBQUUscUJBQXFCLENBQUMsT0FBTyxDQUFDLENBQUMsTUFBTSxFQUFFLEVBQUU7Z0JBQ2xELE1BQU0sQ0FBQyxNQUFNLEVBQUUsR0FBRyxHQUFHLENBQUMsR0FBRyxNQUFNLENBQUMsT0FBTyxDQUFDLFVBQVUsRUFBRSxFQUFFLENBQUMsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUM7Z0JBQ25FLE9BQU8sQ0FBQyxnQkFBZ0IsTUFBTSxFQUFFLEVBQUUsZ0JBQWdCLE1BQU0sSUFBSSxHQUFHLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUNoRixDQUFDLENBQUM7U0FDSCxDQUFDLENBQ0gsQ0FBQztRQUNGLFlBQVksQ0FBQyxTQUFTLENBQUMsVUFBVSxDQUFDLENBQUM7UUFDbkMsWUFBWSxDQUFDLFNBQVMsQ0FBQyxVQUFVLENBQUMsQ0FBQztRQUVuQyx3RUFBd0U7UUFDeEUsaUVBQWlFO1FBQ2pFLHNFQUFzRTtRQUN0RSxzQkFBc0I7UUFDdEIsTUFBTSxPQUFPLEdBQUcsSUFBSSwrQkFBaUIsQ0FBQyxjQUFjLENBQUMsSUFBSSxFQUFFLFNBQVMsRUFBRTtZQUNwRSxHQUFHLHVCQUF1QjtZQUMxQixLQUFLLEVBQUUsbUNBQW1DO1lBQzFDLFdBQVcsRUFBRSxjQUFjO1lBQzNCLGdCQUFnQixFQUFFLDRDQUE0QztZQUM5RCxtRUFBbUU7WUFDbkUsZ0RBQWdEO1lBQ2hELE9BQU8sRUFBRSxzQkFBUSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUM7WUFDN0Isd0NBQXdDO1lBQ3hDLFVBQVUsRUFBRSxJQUFJO1lBQ2hCLFdBQVcsRUFBRTtnQkFDWCxnQkFBZ0IsRUFBRSxPQUFPLENBQUMsZUFBZSxDQUFDLFFBQVE7Z0JBQ2xELFlBQVksRUFBRSxPQUFPLENBQUMsZUFBZSxDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUU7Z0JBQ3JELGNBQWMsRUFBRSxtQkFBSyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNO2dCQUNyQyxrQkFBa0IsRUFBRSxnQkFBZ0IsQ0FBQyxTQUFTO2dCQUM5QyxRQUFRLEVBQUUsV0FBVyxDQUFDLE9BQU87Z0JBQzdCLGFBQWEsRUFBRSxZQUFZLENBQUMsVUFBVTtnQkFDdEMscUJBQXFCLEVBQUUsU0FBUyxDQUFDLFlBQVk7YUFDOUM7WUFDRCxRQUFRLEVBQUU7Z0JBQ1IsV0FBVyxFQUFFO29CQUNYLHNCQUFzQjtvQkFDdEIsbUNBQW1DO29CQUNuQyx1QkFBdUI7b0JBQ3ZCLHVCQUF1QjtpQkFDeEI7YUFDRjtTQUNGLENBQUMsQ0FBQztRQUNILElBQUksQ0FBQyxtQkFBbUIsQ0FBQyxTQUFTLENBQUMsR0FBRyxPQUFPLENBQUMsWUFBWSxDQUFDO1FBQzNELE9BQU8sQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxxQkFBTyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUM3RCxnQkFBZ0IsQ0FBQyxrQkFBa0IsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUM3Qyw0REFBNEQ7UUFDNUQsWUFBWSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUMvQixZQUFZLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ2hDLFNBQVMsQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLENBQUM7UUFFL0IsTUFBTSxXQUFXLEdBQUcsVUFBVSxDQUFDLGNBQWMsQ0FBQztZQUM1QyxRQUFRLEVBQUUsd0JBQVUsQ0FBQyxtQkFBbUIsQ0FBQyxPQUFPO1lBQ2hELElBQUksRUFBRTtnQkFDSixjQUFjLEVBQUUsQ0FBQyx3QkFBVSxDQUFDLFVBQVUsQ0FBQyxHQUFHLEVBQUUsd0JBQVUsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDO2dCQUN2RSxjQUFjLEVBQUUsQ0FBQyxHQUFHLENBQUM7Z0JBQ3JCLGNBQWMsRUFBRSxDQUFDLEdBQUcsQ0FBQzthQUN0QjtZQUVELFVBQVUsRUFBRSx3QkFBVSxDQUFDLFVBQVUsQ0FBQyxlQUFlO1NBQ2xELENBQUMsQ0FBQztRQUVILHlFQUF5RTtRQUN6RSxnQ0FBZ0M7UUFDaEMsTUFBTSxRQUFRLEdBQUcsSUFBSSwrQkFBaUIsQ0FBQyxjQUFjLENBQUMsSUFBSSxFQUFFLFVBQVUsRUFBRTtZQUN0RSxHQUFHLHVCQUF1QjtZQUMxQixLQUFLLEVBQUUsNkJBQTZCO1lBQ3BDLE9BQU8sRUFBRSxzQkFBUSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUM7WUFDN0IsVUFBVSxFQUFFLElBQUk7WUFDaEIsb0NBQW9DO1lBQ3BDLG9CQUFvQixFQUFFLGtCQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQztZQUN2QyxXQUFXLEVBQUU7Z0JBQ1gsZ0JBQWdCLEVBQUUsT0FBTyxDQUFDLGVBQWUsQ0FBQyxRQUFRO2dCQUNsRCxZQUFZLEVBQUUsT0FBTyxDQUFDLGVBQWUsQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFO2dCQUNyRCxhQUFhLEVBQUUsWUFBWSxDQUFDLFVBQVU7YUFDdkM7U0FDRixDQUFDLENBQUM7UUFDSCxJQUFJLENBQUMsbUJBQW1CLENBQUMsVUFBVSxDQUFDLEdBQUcsUUFBUSxDQUFDLFlBQVksQ0FBQztRQUM3RCxRQUFRLENBQUMsV0FBVyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUscUJBQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7UUFDOUQsWUFBWSxDQUFDLGNBQWMsQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUV0QyxJQUFJLGNBQWMsRUFBRSxDQUFDO1lBQ25CLE1BQU0sbUJBQW1CLEdBQUcsSUFBSSxxQkFBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsdUJBQXVCLEVBQUU7Z0JBQzFFLFNBQVMsRUFBRSxJQUFJLHFCQUFPLENBQUMsZ0JBQWdCLENBQUMseUJBQXlCLENBQUM7YUFDbkUsQ0FBQyxDQUFDO1lBQ0gsUUFBUSxDQUFDLFdBQVcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO1lBQzFDLElBQUksMkJBQWEsQ0FBQyxXQUFXLENBQUMsSUFBSSxFQUFFLGlCQUFpQixFQUFFO2dCQUNyRCxXQUFXLEVBQUUsdURBQXVEO2dCQUNwRSwwQkFBMEIsRUFBRSxxQkFBcUI7Z0JBQ2pELHNFQUFzRTtnQkFDdEUsa0JBQWtCLEVBQUUsY0FBYztnQkFDbEMsa0JBQWtCLEVBQUUsRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFO2dCQUNuQyxNQUFNLEVBQUU7b0JBQ04sR0FBRyxFQUFFLFFBQVEsQ0FBQyxXQUFXO29CQUN6QixPQUFPLEVBQUUsbUJBQW1CLENBQUMsT0FBTztvQkFDcEMsS0FBSyxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsRUFBRSxNQUFNLEVBQUUsVUFBVSxFQUFFLENBQUM7aUJBQzlDO2dCQUNELEtBQUssRUFBRSxTQUFTO2FBQ2pCLENBQUMsQ0FBQztZQUNILHlCQUFlLENBQUMsdUJBQXVCLENBQ3JDLG1CQUFtQixFQUNuQjtnQkFDRTtvQkFDRSxFQUFFLEVBQUUsbUJBQW1CO29CQUN2QixNQUFNLEVBQ0oscUZBQXFGO2lCQUN4RjthQUNGLEVBQ0QsSUFBSSxDQUNMLENBQUM7UUFDSixDQUFDO1FBRUQsZ0JBQWdCLENBQUMsR0FBRyxDQUFDLENBQUMsU0FBaUIsRUFBRSxFQUFFO1lBQ3pDLGVBQWU7WUFDZixJQUFJLFFBQVEsQ0FBQztZQUNiLElBQUksb0JBQW9CLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUM7Z0JBQzdDLFFBQVEsR0FBRyxjQUFjLENBQUM7WUFDNUIsQ0FBQztpQkFBTSxJQUFJLFdBQVcsQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQztnQkFDM0MsUUFBUSxHQUFHLE9BQU8sQ0FBQztZQUNyQixDQUFDO2lCQUFNLElBQUksYUFBYSxDQUFDLFFBQVEsQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDO2dCQUM3QyxRQUFRLEdBQUcsUUFBUSxDQUFDO1lBQ3RCLENBQUM7aUJBQU0sSUFBSSxjQUFjLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUM7Z0JBQzlDLFFBQVEsR0FBRyxTQUFTLENBQUM7WUFDdkIsQ0FBQztpQkFBTSxJQUFJLFNBQVMsS0FBSyxVQUFVLEVBQUUsQ0FBQztnQkFDcEMsUUFBUSxHQUFHLFNBQVMsQ0FBQztZQUN2QixDQUFDO2lCQUFNLElBQ0wsU0FBUyxDQUFDLFVBQVUsQ0FBQyxLQUFLLENBQUM7Z0JBQzNCLFNBQVMsQ0FBQyxVQUFVLENBQUMsUUFBUSxDQUFDO2dCQUM5QixTQUFTLENBQUMsVUFBVSxDQUFDLE1BQU0sQ0FBQztnQkFDNUIsa0JBQWtCLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQyxFQUN0QyxDQUFDO2dCQUNELFFBQVEsR0FBRyxPQUFPLENBQUM7WUFDckIsQ0FBQztpQkFBTSxDQUFDO2dCQUNOLFFBQVEsR0FBRyxVQUFVLENBQUM7WUFDeEIsQ0FBQztZQUNELE1BQU0sVUFBVSxHQUFHLE9BQU8sQ0FBQyxtQkFBbUIsQ0FDNUMsR0FBRyxTQUFTLElBQUksRUFDaEIsUUFBUSxDQUNULENBQUM7WUFDRixPQUFPLENBQUMsY0FBYyxDQUFDLGtCQUFrQixFQUFFLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQztZQUM1RCxXQUFXO1lBQ1gsVUFBVSxDQUFDLGNBQWMsQ0FBQyxHQUFHLFNBQVMsVUFBVSxFQUFFO2dCQUNoRCxTQUFTLEVBQUUsR0FBRyxTQUFTLEVBQUU7Z0JBQ3pCLFFBQVEsRUFDTixTQUFTLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQztvQkFDM0IsU0FBUyxDQUFDLFVBQVUsQ0FBQyxLQUFLLENBQUM7b0JBQzNCLFNBQVMsQ0FBQyxVQUFVLENBQUMsUUFBUSxDQUFDO29CQUM5QixTQUFTLENBQUMsVUFBVSxDQUFDLE1BQU0sQ0FBQztvQkFDNUIsa0JBQWtCLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQztvQkFDcEMsQ0FBQyxDQUFDLE9BQU87b0JBQ1QsQ0FBQyxDQUFDLFVBQVU7Z0JBQ2hCLHNCQUFzQixFQUFFLDZCQUFlLENBQUMsUUFBUSxDQUM5QyxvQ0FBb0MsU0FBUyxNQUFNLENBQ3BEO2dCQUNELHVCQUF1QixFQUFFLDZCQUFlLENBQUMsUUFBUSxDQUMvQyxxQ0FDRSxrQkFBa0IsQ0FBQyxTQUFTLENBQUMsSUFBSSxhQUNuQyxFQUFFLENBQ0g7YUFDRixDQUFDLENBQUM7UUFDTCxDQUFDLENBQUMsQ0FBQztRQUVILFVBQVU7UUFDVixJQUFJLHVCQUFTLENBQUMsSUFBSSxFQUFFLFlBQVksRUFBRTtZQUNoQyxLQUFLLEVBQUUsSUFBSSxDQUFDLFVBQVU7U0FDdkIsQ0FBQyxDQUFDO1FBQ0gsSUFBSSx1QkFBUyxDQUFDLElBQUksRUFBRSxhQUFhLEVBQUU7WUFDakMsS0FBSyxFQUFFLFdBQVcsQ0FBQyxHQUFHO1NBQ3ZCLENBQUMsQ0FBQztRQUVILGVBQWU7UUFDZix5QkFBZSxDQUFDLHVCQUF1QixDQUNyQyxPQUFPLEVBQ1A7WUFDRTtnQkFDRSxFQUFFLEVBQUUsbUJBQW1CO2dCQUN2QixNQUFNLEVBQUUsZ0JBQWdCO2FBQ3pCO1NBQ0YsRUFDRCxJQUFJLENBQ0wsQ0FBQztRQUVGLHlCQUFlLENBQUMsdUJBQXVCLENBQ3JDLFVBQVUsRUFDVjtZQUNFO2dCQUNFLEVBQUUsRUFBRSxtQkFBbUI7Z0JBQ3ZCLE1BQU0sRUFBRSxtREFBbUQ7YUFDNUQ7U0FDRixFQUNELElBQUksQ0FDTCxDQUFDO1FBQ0YseUJBQWUsQ0FBQyx1QkFBdUIsQ0FBQyxZQUFZLEVBQUU7WUFDcEQ7Z0JBQ0UsRUFBRSxFQUFFLGlCQUFpQjtnQkFDckIsTUFBTSxFQUFFLCtEQUErRDthQUN4RTtTQUNGLENBQUMsQ0FBQztRQUNILHlCQUFlLENBQUMsdUJBQXVCLENBQUMsWUFBWSxFQUFFO1lBQ3BEO2dCQUNFLEVBQUUsRUFBRSxpQkFBaUI7Z0JBQ3JCLE1BQU0sRUFBRSwyRUFBMkU7YUFDcEY7U0FDRixDQUFDLENBQUM7UUFDSCx5QkFBZSxDQUFDLHVCQUF1QixDQUNyQyxrQkFBa0IsRUFDbEI7WUFDRTtnQkFDRSxFQUFFLEVBQUUsbUJBQW1CO2dCQUN2QixNQUFNLEVBQ0oscUZBQXFGO2FBQ3hGO1NBQ0YsRUFDRCxJQUFJLENBQ0wsQ0FBQztRQUNGLHlCQUFlLENBQUMsdUJBQXVCLENBQ3JDLFdBQVcsRUFDWDtZQUNFO2dCQUNFLEVBQUUsRUFBRSxtQkFBbUI7Z0JBQ3ZCLE1BQU0sRUFBRSxnREFBZ0Q7YUFDekQ7U0FDRixFQUNELElBQUksQ0FDTCxDQUFDO1FBQ0YseUJBQWUsQ0FBQyxvQkFBb0IsQ0FBQyxtQkFBSyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUNuRDtnQkFDRSxFQUFFLEVBQUUsbUJBQW1CO2dCQUN2QixNQUFNLEVBQUUsc0JBQXNCO2dCQUM5QixTQUFTLEVBQUU7b0JBQ1QsdUZBQXVGO2lCQUN4RjthQUNGO1lBQ0Q7Z0JBQ0UsRUFBRSxFQUFFLGlCQUFpQjtnQkFDckIsTUFBTSxFQUFFLHNCQUFzQjthQUMvQjtZQUNEO2dCQUNFLEVBQUUsRUFBRSxtQkFBbUI7Z0JBQ3ZCLE1BQU0sRUFBRSxzQkFBc0I7Z0JBQzlCLFNBQVMsRUFBRSxDQUFDLGFBQWEsQ0FBQzthQUMzQjtTQUNGLENBQUMsQ0FBQztJQUNMLENBQUM7Q0FDRjtBQXBwQkQsa0JBb3BCQyIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7XG4gIFN0YWNrLFxuICBEdXJhdGlvbixcbiAgYXdzX2VjMixcbiAgYXdzX2xhbWJkYV9ub2RlanMsXG4gIGF3c19sYW1iZGEsXG4gIGF3c19pYW0sXG4gIGF3c19zY2hlZHVsZXIsXG4gIGF3c19keW5hbW9kYixcbiAgYXdzX3MzLFxuICBDZm5PdXRwdXQsXG4gIFJlbW92YWxQb2xpY3ksXG4gIFNpemUsXG59IGZyb20gXCJhd3MtY2RrLWxpYlwiO1xuaW1wb3J0IHtcbiAgQXV0aG9yaXphdGlvblR5cGUsXG4gIERlZmluaXRpb24sXG4gIEZpZWxkTG9nTGV2ZWwsXG4gIEdyYXBocWxBcGksXG4gIE1hcHBpbmdUZW1wbGF0ZSxcbiAgVXNlclBvb2xEZWZhdWx0QWN0aW9uLFxufSBmcm9tIFwiYXdzLWNkay1saWIvYXdzLWFwcHN5bmNcIjtcbmltcG9ydCB7IENvbnN0cnVjdCB9IGZyb20gXCJjb25zdHJ1Y3RzXCI7XG5cbmltcG9ydCAqIGFzIG5lcHR1bmUgZnJvbSBcIkBhd3MtY2RrL2F3cy1uZXB0dW5lLWFscGhhXCI7XG5cbmltcG9ydCB7IE5hZ1N1cHByZXNzaW9ucyB9IGZyb20gXCJjZGstbmFnXCI7XG5pbXBvcnQgeyBDb2duaXRvIH0gZnJvbSBcIi4vY29nbml0b1wiO1xuXG5leHBvcnQgaW50ZXJmYWNlIEJhY2tlbmRBcGlQcm9wcyB7XG4gIHNjaGVtYTogc3RyaW5nO1xuICBjb2duaXRvOiBDb2duaXRvO1xuICB2cGM6IGF3c19lYzIuVnBjO1xuICBjbHVzdGVyOiBuZXB0dW5lLkRhdGFiYXNlQ2x1c3RlcjtcbiAgY2x1c3RlclJvbGU6IGF3c19pYW0uUm9sZTtcbiAgZ3JhcGhxbEZpZWxkTmFtZTogc3RyaW5nW107XG4gIHMzVXJpOiBTM1VyaTtcbiAgLyoqIERheXMgYSBkZWxldGVkIHZlcnRleCBzdGF5cyByZXN0b3JhYmxlIGJlZm9yZSBpdCBpcyBwdXJnZWQgKGRlZmF1bHQ6IDMwKSAqL1xuICB0b21ic3RvbmVSZXRlbnRpb25EYXlzPzogbnVtYmVyO1xuICAvKipcbiAgICogUzMgVVJJIHByZWZpeGVzIHRoZSBidWxrLWxvYWQgRnVuY3Rpb24gVVJMIG1heSBsb2FkIGZyb207IGVtcHR5IG1lYW5zXG4gICAqIHRoZSBmb2xkZXJzIG9mIGBzM1VyaS52ZXJ0ZXhgIGFuZCBgczNVcmkuZWRnZWBcbiAgICovXG4gIGJ1bGtMb2FkUHJlZml4ZXM/OiBzdHJpbmdbXTtcbiAgLyoqXG4gICAqIE9yaWdpbnMgb2YgdGhlIHdlYiBhcHAgKGUuZy4gYGh0dHBzOi8veHl6LmNsb3VkZnJvbnQubmV0YCkgYWxsb3dlZCB0b1xuICAgKiB1cGxvYWQgdG8gdGhlIGltcG9ydCBidWNrZXQ7IGVtcHR5IG1lYW5zIG5vIGJyb3dzZXIgdXBsb2Fkc1xuICAgKi9cbiAgd2ViT3JpZ2lucz86IHN0cmluZ1tdO1xuICAvKiogRXZlbnRCcmlkZ2UgU2NoZWR1bGVyIGV4cHJlc3Npb24gb2YgdGhlIGdyYXBoIGV4cG9ydCwgUGFjaWZpYyB0aW1lOyBlbXB0eSBkaXNhYmxlcyBpdCAqL1xuICBleHBvcnRTY2hlZHVsZT86IHN0cmluZztcbn1cblxuLy8gRmllbGRzIHNlcnZlZCBieSB0aGUgQ29nbml0byBhZG1pbiBMYW1iZGEgaW5zdGVhZCBvZiB0aGUgZ3JhcGggTGFtYmRhc1xuY29uc3QgQ09HTklUT19BRE1JTl9GSUVMRFMgPSBbXG4gIFwiZ2V0SW50ZWdyYXRpb25DbGllbnRzXCIsXG4gIFwiY3JlYXRlSW50ZWdyYXRpb25DbGllbnRcIixcbiAgXCJyb3RhdGVJbnRlZ3JhdGlvbkNsaWVudFwiLFxuICBcInJldm9rZUludGVncmF0aW9uQ2xpZW50XCIsXG4gIFwiZ2V0VXNlcnNcIixcbiAgXCJpbnZpdGVVc2VyXCIsXG4gIFwic2V0VXNlckdyb3Vwc1wiLFxuICBcImRpc2FibGVVc2VyXCIsXG4gIFwiZW5hYmxlVXNlclwiLFxuICBcInJlc2V0VXNlclBhc3N3b3JkXCIsXG5dO1xuXG4vLyBGaWVsZHMgc2VydmVkIGJ5IHRoZSBsb2FkcyBMYW1iZGEgYmVoaW5kIHRoZSAvbG9hZHMgcGFnZVxuY29uc3QgTE9BRF9GSUVMRFMgPSBbXG4gIFwiZ2V0TG9hZHNcIixcbiAgXCJnZXRMb2FkXCIsXG4gIFwiY2FuY2VsTG9hZFwiLFxuICBcImNyZWF0ZUltcG9ydFVwbG9hZHNcIixcbiAgXCJzdGFydEltcG9ydFwiLFxuICBcImdldEltcG9ydFwiLFxuXTtcblxuLy8gRmllbGRzIHNlcnZlZCBieSB0aGUgZ3JhcGggZXhwb3J0IExhbWJkYVxuY29uc3QgRVhQT1JUX0ZJRUxEUyA9IFtcImdldEV4cG9ydHNcIiwgXCJleHBvcnRHcmFwaFwiXTtcblxuLy8gRmllbGRzIHNlcnZlZCBieSB0aGUgc2VhcmNoIGluZGV4IExhbWJkYVxuY29uc3QgUkVJTkRFWF9GSUVMRFMgPSBbXCJyZWJ1aWxkU2VhcmNoSW5kZXhcIl07XG5cbi8vIFJlYWQtb25seSBmaWVsZHMgb2YgdGhlIHF1ZXJ5IExhbWJkYSB3aG9zZSBuYW1lcyBkbyBub3Qgc3RhcnQgd2l0aFxuLy8gZ2V0L3NlYXJjaC9maW5kXG5jb25zdCBFWFRSQV9RVUVSWV9GSUVMRFMgPSBbXCJleHBvcnRTdWJncmFwaFwiXTtcblxuLy8gRmllbGRzIHdpdGggdGhlaXIgb3duIHJlc3BvbnNlIG1hcHBpbmcgdGVtcGxhdGUgaW5zdGVhZCBvZiBkZWZhdWx0LnZ0bFxuY29uc3QgUkVTUE9OU0VfVEVNUExBVEVTOiBSZWNvcmQ8c3RyaW5nLCBzdHJpbmc+ID0ge1xuICBleHBvcnRHcmFwaDogXCJleHBvcnRHcmFwaC52dGxcIixcbiAgc3RhcnRJbXBvcnQ6IFwic3RhcnRJbXBvcnQudnRsXCIsXG4gIHJlYnVpbGRTZWFyY2hJbmRleDogXCJyZWJ1aWxkU2VhcmNoSW5kZXgudnRsXCIsXG59O1xuXG5leHBvcnQgdHlwZSBTM1VyaSA9IHtcbiAgdmVydGV4OiBzdHJpbmc7XG4gIGVkZ2U6IHN0cmluZztcbn07XG5cbmV4cG9ydCBjbGFzcyBBcGkgZXh0ZW5kcyBDb25zdHJ1Y3Qge1xuICByZWFkb25seSBncmFwaHFsVXJsOiBzdHJpbmc7XG4gIHJlYWRvbmx5IGdyYXBocWxBcGlJZDogc3RyaW5nO1xuICByZWFkb25seSBsYW1iZGFGdW5jdGlvbk5hbWVzOiBSZWNvcmQ8c3RyaW5nLCBzdHJpbmc+O1xuXG4gIGNvbnN0cnVjdG9yKHNjb3BlOiBDb25zdHJ1Y3QsIGlkOiBzdHJpbmcsIHByb3BzOiBCYWNrZW5kQXBpUHJvcHMpIHtcbiAgICBzdXBlcihzY29wZSwgaWQpO1xuXG4gICAgY29uc3Qge1xuICAgICAgc2NoZW1hLFxuICAgICAgdnBjLFxuICAgICAgY2x1c3RlcixcbiAgICAgIGNsdXN0ZXJSb2xlLFxuICAgICAgZ3JhcGhxbEZpZWxkTmFtZSxcbiAgICAgIHMzVXJpLFxuICAgICAgdG9tYnN0b25lUmV0ZW50aW9uRGF5cyA9IDMwLFxuICAgICAgYnVsa0xvYWRQcmVmaXhlcyA9IFtdLFxuICAgICAgd2ViT3JpZ2lucyA9IFtdLFxuICAgICAgZXhwb3J0U2NoZWR1bGUgPSBcImNyb24oMCAxOSA/ICogU1VOICopXCIsXG4gICAgfSA9IHByb3BzO1xuXG4gICAgLy8gQVdTIEFwcFN5bmNcbiAgICBjb25zdCBncmFwaHFsID0gbmV3IEdyYXBocWxBcGkodGhpcywgXCJncmFwaHFsXCIsIHtcbiAgICAgIG5hbWU6IGlkLFxuICAgICAgZGVmaW5pdGlvbjogRGVmaW5pdGlvbi5mcm9tRmlsZShzY2hlbWEpLFxuICAgICAgbG9nQ29uZmlnOiB7XG4gICAgICAgIGZpZWxkTG9nTGV2ZWw6IEZpZWxkTG9nTGV2ZWwuRVJST1IsXG4gICAgICAgIHJvbGU6IG5ldyBhd3NfaWFtLlJvbGUodGhpcywgXCJhcHBzeW5jLWxvZy1yb2xlXCIsIHtcbiAgICAgICAgICBhc3N1bWVkQnk6IG5ldyBhd3NfaWFtLlNlcnZpY2VQcmluY2lwYWwoXCJhcHBzeW5jLmFtYXpvbmF3cy5jb21cIiksXG4gICAgICAgICAgaW5saW5lUG9saWNpZXM6IHtcbiAgICAgICAgICAgIGxvZ3M6IG5ldyBhd3NfaWFtLlBvbGljeURvY3VtZW50KHtcbiAgICAgICAgICAgICAgc3RhdGVtZW50czogW1xuICAgICAgICAgICAgICAgIG5ldyBhd3NfaWFtLlBvbGljeVN0YXRlbWVudCh7XG4gICAgICAgICAgICAgICAgICBhY3Rpb25zOiBbXG4gICAgICAgICAgICAgICAgICAgIFwibG9nczpDcmVhdGVMb2dHcm91cFwiLFxuICAgICAgICAgICAgICAgICAgICBcImxvZ3M6Q3JlYXRlTG9nU3RyZWFtXCIsXG4gICAgICAgICAgICAgICAgICAgIFwibG9nczpQdXRMb2dFdmVudHNcIixcbiAgICAgICAgICAgICAgICAgIF0sXG4gICAgICAgICAgICAgICAgICByZXNvdXJjZXM6IFtcbiAgICAgICAgICAgICAgICAgICAgYGFybjphd3M6bG9nczoke1N0YWNrLm9mKHRoaXMpLnJlZ2lvbn06JHtcbiAgICAgICAgICAgICAgICAgICAgICBTdGFjay5vZih0aGlzKS5hY2NvdW50XG4gICAgICAgICAgICAgICAgICAgIH1gLFxuICAgICAgICAgICAgICAgICAgXSxcbiAgICAgICAgICAgICAgICB9KSxcbiAgICAgICAgICAgICAgXSxcbiAgICAgICAgICAgIH0pLFxuICAgICAgICAgIH0sXG4gICAgICAgIH0pLFxuICAgICAgfSxcbiAgICAgIGF1dGhvcml6YXRpb25Db25maWc6IHtcbiAgICAgICAgZGVmYXVsdEF1dGhvcml6YXRpb246IHtcbiAgICAgICAgICBhdXRob3JpemF0aW9uVHlwZTogQXV0aG9yaXphdGlvblR5cGUuVVNFUl9QT09MLFxuICAgICAgICAgIHVzZXJQb29sQ29uZmlnOiB7XG4gICAgICAgICAgICB1c2VyUG9vbDogcHJvcHMuY29nbml0by51c2VyUG9vbCxcbiAgICAgICAgICAgIGFwcElkQ2xpZW50UmVnZXg6IHByb3BzLmNvZ25pdG8uY29nbml0b1BhcmFtcy51c2VyUG9vbENsaWVudElkLFxuICAgICAgICAgICAgZGVmYXVsdEFjdGlvbjogVXNlclBvb2xEZWZhdWx0QWN0aW9uLkFMTE9XLFxuICAgICAgICAgIH0sXG4gICAgICAgIH0sXG4gICAgICAgIC8vIENsaWVudC1jcmVkZW50aWFscyBhY2Nlc3MgdG9rZW5zIG9mIGludGVncmF0aW9uIGNsaWVudHMuIFRoZXkgY29tZVxuICAgICAgICAvLyBmcm9tIHRoZSBzYW1lIHVzZXIgcG9vbCBidXQgZnJvbSBvdGhlciBhcHAgY2xpZW50cywgc28gdGhlXG4gICAgICAgIC8vIFVTRVJfUE9PTCBtb2RlIGFib3ZlIHJlamVjdHMgdGhlbS4gRmllbGRzIG9wdCBpbiB3aXRoIEBhd3Nfb2lkYy5cbiAgICAgICAgYWRkaXRpb25hbEF1dGhvcml6YXRpb25Nb2RlczogW1xuICAgICAgICAgIHtcbiAgICAgICAgICAgIGF1dGhvcml6YXRpb25UeXBlOiBBdXRob3JpemF0aW9uVHlwZS5PSURDLFxuICAgICAgICAgICAgb3BlbklkQ29ubmVjdENvbmZpZzoge1xuICAgICAgICAgICAgICBvaWRjUHJvdmlkZXI6IHByb3BzLmNvZ25pdG8udXNlclBvb2wudXNlclBvb2xQcm92aWRlclVybCxcbiAgICAgICAgICAgIH0sXG4gICAgICAgICAgfSxcbiAgICAgICAgXSxcbiAgICAgIH0sXG4gICAgICB4cmF5RW5hYmxlZDogdHJ1ZSxcbiAgICB9KTtcblxuICAgIHRoaXMuZ3JhcGhxbFVybCA9IGdyYXBocWwuZ3JhcGhxbFVybDtcbiAgICB0aGlzLmdyYXBocWxBcGlJZCA9IGdyYXBocWwuYXBpSWQ7XG4gICAgdGhpcy5sYW1iZGFGdW5jdGlvbk5hbWVzID0ge307XG5cbiAgICBjb25zdCBsYW1iZGFSb2xlID0gbmV3IGF3c19pYW0uUm9sZSh0aGlzLCBcImxhbWJkYVJvbGVcIiwge1xuICAgICAgYXNzdW1lZEJ5OiBuZXcgYXdzX2lhbS5TZXJ2aWNlUHJpbmNpcGFsKFwibGFtYmRhLmFtYXpvbmF3cy5jb21cIiksXG4gICAgfSk7XG4gICAgbGFtYmRhUm9sZS5hZGRUb1ByaW5jaXBhbFBvbGljeShcbiAgICAgIG5ldyBhd3NfaWFtLlBvbGljeVN0YXRlbWVudCh7XG4gICAgICAgIHJlc291cmNlczogW1wiKlwiXSxcbiAgICAgICAgYWN0aW9uczogW1xuICAgICAgICAgIFwibG9nczpDcmVhdGVMb2dHcm91cFwiLFxuICAgICAgICAgIFwibG9nczpDcmVhdGVMb2dTdHJlYW1cIixcbiAgICAgICAgICBcImxvZ3M6UHV0TG9nRXZlbnRzXCIsXG4gICAgICAgICAgXCJlYzI6Q3JlYXRlTmV0d29ya0ludGVyZmFjZVwiLFxuICAgICAgICAgIFwiZWMyOkRlc2NyaWJlTmV0d29ya0ludGVyZmFjZXNcIixcbiAgICAgICAgICBcImVjMjpEZXNjcmliZVN1Ym5ldHNcIixcbiAgICAgICAgICBcImVjMjpEZWxldGVOZXR3b3JrSW50ZXJmYWNlXCIsXG4gICAgICAgICAgXCJlYzI6QXNzaWduUHJpdmF0ZUlwQWRkcmVzc2VzXCIsXG4gICAgICAgICAgXCJlYzI6VW5hc3NpZ25Qcml2YXRlSXBBZGRyZXNzZXNcIixcbiAgICAgICAgXSxcbiAgICAgIH0pXG4gICAgKTtcbiAgICBjbHVzdGVyLmdyYW50Q29ubmVjdChsYW1iZGFSb2xlKTtcblxuICAgIC8vIEFXUyBMYW1iZGEgZm9yIGdyYXBoIGFwcGxpY2F0aW9uXG4gICAgY29uc3QgTm9kZWpzRnVuY3Rpb25CYXNlUHJvcHM6IGF3c19sYW1iZGFfbm9kZWpzLk5vZGVqc0Z1bmN0aW9uUHJvcHMgPSB7XG4gICAgICBydW50aW1lOiBhd3NfbGFtYmRhLlJ1bnRpbWUuTk9ERUpTXzIwX1gsXG5cbiAgICAgIC8vIGVudHJ5OiBgLi9hcGkvbGFtYmRhLyR7bGFtYmRhTmFtZX0udHNgLFxuICAgICAgZGVwc0xvY2tGaWxlUGF0aDogXCIuL2FwaS9sYW1iZGEvcGFja2FnZS1sb2NrLmpzb25cIixcbiAgICAgIGFyY2hpdGVjdHVyZTogYXdzX2xhbWJkYS5BcmNoaXRlY3R1cmUuQVJNXzY0LFxuICAgICAgdGltZW91dDogRHVyYXRpb24ubWludXRlcygxKSxcbiAgICAgIHRyYWNpbmc6IGF3c19sYW1iZGEuVHJhY2luZy5BQ1RJVkUsXG4gICAgICByb2xlOiBsYW1iZGFSb2xlLFxuICAgICAgdnBjOiB2cGMsXG4gICAgICB2cGNTdWJuZXRzOiB7XG4gICAgICAgIHN1Ym5ldHM6IHZwYy5pc29sYXRlZFN1Ym5ldHMsXG4gICAgICB9LFxuICAgICAgYnVuZGxpbmc6IHtcbiAgICAgICAgbm9kZU1vZHVsZXM6IFtcImdyZW1saW5cIiwgXCJncmVtbGluLWF3cy1zaWd2NFwiXSxcbiAgICAgIH0sXG4gICAgfTtcbiAgICBjb25zdCBxdWVyeUZuID0gbmV3IGF3c19sYW1iZGFfbm9kZWpzLk5vZGVqc0Z1bmN0aW9uKHRoaXMsIFwicXVlcnlGblwiLCB7XG4gICAgICAuLi5Ob2RlanNGdW5jdGlvbkJhc2VQcm9wcyxcbiAgICAgIGVudHJ5OiBcIi4vYXBpL2xhbWJkYS9xdWVyeUdyYXBoLnRzXCIsXG4gICAgICBlbnZpcm9ubWVudDoge1xuICAgICAgICBORVBUVU5FX0VORFBPSU5UOiBjbHVzdGVyLmNsdXN0ZXJSZWFkRW5kcG9pbnQuaG9zdG5hbWUsXG4gICAgICAgIE5FUFRVTkVfUE9SVDogY2x1c3Rlci5jbHVzdGVyUmVhZEVuZHBvaW50LnBvcnQudG9TdHJpbmcoKSxcbiAgICAgICAgVE9NQlNUT05FX1JFVEVOVElPTl9EQVlTOiB0b21ic3RvbmVSZXRlbnRpb25EYXlzLnRvU3RyaW5nKCksXG4gICAgICB9LFxuICAgIH0pO1xuICAgIHRoaXMubGFtYmRhRnVuY3Rpb25OYW1lc1tcInF1ZXJ5Rm5cIl0gPSBxdWVyeUZuLmZ1bmN0aW9uTmFtZTtcbiAgICBncmFwaHFsLmdyYW50UXVlcnkocXVlcnlGbik7XG4gICAgcXVlcnlGbi5jb25uZWN0aW9ucy5hbGxvd1RvKGNsdXN0ZXIsIGF3c19lYzIuUG9ydC50Y3AoODE4MikpO1xuXG4gICAgLy8gQUkgUXVlcnkgTGFtYmRhIChCZWRyb2NrICsgTmVwdHVuZSlcbiAgICBjb25zdCBhaVF1ZXJ5Um9sZSA9IG5ldyBhd3NfaWFtLlJvbGUodGhpcywgXCJhaVF1ZXJ5Um9sZVwiLCB7XG4gICAgICBhc3N1bWVkQnk6IG5ldyBhd3NfaWFtLlNlcnZpY2VQcmluY2lwYWwoXCJsYW1iZGEuYW1hem9uYXdzLmNvbVwiKSxcbiAgICB9KTtcbiAgICBhaVF1ZXJ5Um9sZS5hZGRUb1ByaW5jaXBhbFBvbGljeShcbiAgICAgIG5ldyBhd3NfaWFtLlBvbGljeVN0YXRlbWVudCh7XG4gICAgICAgIHJlc291cmNlczogW1wiKlwiXSxcbiAgICAgICAgYWN0aW9uczogW1xuICAgICAgICAgIFwibG9nczpDcmVhdGVMb2dHcm91cFwiLFxuICAgICAgICAgIFwibG9nczpDcmVhdGVMb2dTdHJlYW1cIixcbiAgICAgICAgICBcImxvZ3M6UHV0TG9nRXZlbnRzXCIsXG4gICAgICAgICAgXCJlYzI6Q3JlYXRlTmV0d29ya0ludGVyZmFjZVwiLFxuICAgICAgICAgIFwiZWMyOkRlc2NyaWJlTmV0d29ya0ludGVyZmFjZXNcIixcbiAgICAgICAgICBcImVjMjpEZXNjcmliZVN1Ym5ldHNcIixcbiAgICAgICAgICBcImVjMjpEZWxldGVOZXR3b3JrSW50ZXJmYWNlXCIsXG4gICAgICAgICAgXCJlYzI6QXNzaWduUHJpdmF0ZUlwQWRkcmVzc2VzXCIsXG4gICAgICAgICAgXCJlYzI6VW5hc3NpZ25Qcml2YXRlSXBBZGRyZXNzZXNcIixcbiAgICAgICAgXSxcbiAgICAgIH0pXG4gICAgKTtcbiAgICBhaVF1ZXJ5Um9sZS5hZGRUb1ByaW5jaXBhbFBvbGljeShcbiAgICAgIG5ldyBhd3NfaWFtLlBvbGljeVN0YXRlbWVudCh7XG4gICAgICAgIHJlc291cmNlczogW1xuICAgICAgICAgIGBhcm46YXdzOmJlZHJvY2s6JHtTdGFjay5vZih0aGlzKS5yZWdpb259Ojpmb3VuZGF0aW9uLW1vZGVsLypgLFxuICAgICAgICBdLFxuICAgICAgICBhY3Rpb25zOiBbXCJiZWRyb2NrOkludm9rZU1vZGVsXCIsIFwiYmVkcm9jazpDb252ZXJzZVwiXSxcbiAgICAgIH0pXG4gICAgKTtcbiAgICBjbHVzdGVyLmdyYW50Q29ubmVjdChhaVF1ZXJ5Um9sZSk7XG5cbiAgICBjb25zdCBhaVF1ZXJ5Rm4gPSBuZXcgYXdzX2xhbWJkYV9ub2RlanMuTm9kZWpzRnVuY3Rpb24oXG4gICAgICB0aGlzLFxuICAgICAgXCJhaVF1ZXJ5Rm5cIixcbiAgICAgIHtcbiAgICAgICAgLi4uTm9kZWpzRnVuY3Rpb25CYXNlUHJvcHMsXG4gICAgICAgIGVudHJ5OiBcIi4vYXBpL2xhbWJkYS9haVF1ZXJ5LnRzXCIsXG4gICAgICAgIHJvbGU6IGFpUXVlcnlSb2xlLFxuICAgICAgICB0aW1lb3V0OiBEdXJhdGlvbi5taW51dGVzKDIpLFxuICAgICAgICBlbnZpcm9ubWVudDoge1xuICAgICAgICAgIE5FUFRVTkVfRU5EUE9JTlQ6IGNsdXN0ZXIuY2x1c3RlclJlYWRFbmRwb2ludC5ob3N0bmFtZSxcbiAgICAgICAgICBORVBUVU5FX1BPUlQ6IGNsdXN0ZXIuY2x1c3RlclJlYWRFbmRwb2ludC5wb3J0LnRvU3RyaW5nKCksXG4gICAgICAgICAgQkVEUk9DS19SRUdJT046IFN0YWNrLm9mKHRoaXMpLnJlZ2lvbixcbiAgICAgICAgICBNT0RFTF9JRDogXCJhbWF6b24ubm92YS1saXRlLXYxOjBcIixcbiAgICAgICAgfSxcbiAgICAgICAgYnVuZGxpbmc6IHtcbiAgICAgICAgICBub2RlTW9kdWxlczogW1xuICAgICAgICAgICAgXCJncmVtbGluXCIsXG4gICAgICAgICAgICBcImdyZW1saW4tYXdzLXNpZ3Y0XCIsXG4gICAgICAgICAgICBcIkBhd3Mtc2RrL2NsaWVudC1iZWRyb2NrLXJ1bnRpbWVcIixcbiAgICAgICAgICBdLFxuICAgICAgICB9LFxuICAgICAgICB2cGNTdWJuZXRzOiB7XG4gICAgICAgICAgc3VibmV0czogdnBjLmlzb2xhdGVkU3VibmV0cyxcbiAgICAgICAgfSxcbiAgICAgIH1cbiAgICApO1xuICAgIHRoaXMubGFtYmRhRnVuY3Rpb25OYW1lc1tcImFpUXVlcnlGblwiXSA9IGFpUXVlcnlGbi5mdW5jdGlvbk5hbWU7XG4gICAgZ3JhcGhxbC5ncmFudFF1ZXJ5KGFpUXVlcnlGbik7XG4gICAgYWlRdWVyeUZuLmNvbm5lY3Rpb25zLmFsbG93VG8oY2x1c3RlciwgYXdzX2VjMi5Qb3J0LnRjcCg4MTgyKSk7XG5cbiAgICBjb25zdCBtdXRhdGlvbkZuID0gbmV3IGF3c19sYW1iZGFfbm9kZWpzLk5vZGVqc0Z1bmN0aW9uKFxuICAgICAgdGhpcyxcbiAgICAgIFwibXV0YXRpb25GblwiLFxuICAgICAge1xuICAgICAgICAuLi5Ob2RlanNGdW5jdGlvbkJhc2VQcm9wcyxcbiAgICAgICAgZW50cnk6IFwiLi9hcGkvbGFtYmRhL211dGF0aW9uR3JhcGgudHNcIixcbiAgICAgICAgZW52aXJvbm1lbnQ6IHtcbiAgICAgICAgICBORVBUVU5FX0VORFBPSU5UOiBjbHVzdGVyLmNsdXN0ZXJFbmRwb2ludC5ob3N0bmFtZSxcbiAgICAgICAgICBORVBUVU5FX1BPUlQ6IGNsdXN0ZXIuY2x1c3RlckVuZHBvaW50LnBvcnQudG9TdHJpbmcoKSxcbiAgICAgICAgICBUT01CU1RPTkVfUkVURU5USU9OX0RBWVM6IHRvbWJzdG9uZVJldGVudGlvbkRheXMudG9TdHJpbmcoKSxcbiAgICAgICAgfSxcbiAgICAgIH1cbiAgICApO1xuICAgIHRoaXMubGFtYmRhRnVuY3Rpb25OYW1lc1tcIm11dGF0aW9uRm5cIl0gPSBtdXRhdGlvbkZuLmZ1bmN0aW9uTmFtZTtcbiAgICBncmFwaHFsLmdyYW50TXV0YXRpb24obXV0YXRpb25Gbik7XG4gICAgbXV0YXRpb25Gbi5jb25uZWN0aW9ucy5hbGxvd1RvKGNsdXN0ZXIsIGF3c19lYzIuUG9ydC50Y3AoODE4MikpO1xuXG4gICAgLy8gV3JpdGVzIEF1ZGl0RXZlbnRzIG9uIGJlaGFsZiBvZiBMYW1iZGFzIHRoYXQgY2Fubm90IHJlYWNoIE5lcHR1bmVcbiAgICBjb25zdCBhdWRpdEZuID0gbmV3IGF3c19sYW1iZGFfbm9kZWpzLk5vZGVqc0Z1bmN0aW9uKHRoaXMsIFwiYXVkaXRGblwiLCB7XG4gICAgICAuLi5Ob2RlanNGdW5jdGlvbkJhc2VQcm9wcyxcbiAgICAgIGVudHJ5OiBcIi4vYXBpL2xhbWJkYS9yZWNvcmRBdWRpdC50c1wiLFxuICAgICAgdGltZW91dDogRHVyYXRpb24uc2Vjb25kcygzMCksXG4gICAgICBlbnZpcm9ubWVudDoge1xuICAgICAgICBORVBUVU5FX0VORFBPSU5UOiBjbHVzdGVyLmNsdXN0ZXJFbmRwb2ludC5ob3N0bmFtZSxcbiAgICAgICAgTkVQVFVORV9QT1JUOiBjbHVzdGVyLmNsdXN0ZXJFbmRwb2ludC5wb3J0LnRvU3RyaW5nKCksXG4gICAgICB9LFxuICAgIH0pO1xuICAgIHRoaXMubGFtYmRhRnVuY3Rpb25OYW1lc1tcImF1ZGl0Rm5cIl0gPSBhdWRpdEZuLmZ1bmN0aW9uTmFtZTtcbiAgICBhdWRpdEZuLmNvbm5lY3Rpb25zLmFsbG93VG8oY2x1c3RlciwgYXdzX2VjMi5Qb3J0LnRjcCg4MTgyKSk7XG5cbiAgICAvLyBNYW5hZ2VzIHVzZXJzIGFuZCBpbnRlZ3JhdGlvbiBjbGllbnRzIGluIHRoZSB1c2VyIHBvb2wuIEl0IG9ubHkgY2FsbHNcbiAgICAvLyBDb2duaXRvIGFuZCBMYW1iZGEsIHNvIGl0IHJ1bnMgb3V0c2lkZSB0aGUgVlBDLCB3aG9zZSBpc29sYXRlZCBzdWJuZXRzXG4gICAgLy8gaGF2ZSBubyByb3V0ZSB0byB0aGVtOyBhdWRpdCByZWNvcmRzIGdvIHRocm91Z2ggYXVkaXRGbi5cbiAgICBjb25zdCBjb2duaXRvQWRtaW5GbiA9IG5ldyBhd3NfbGFtYmRhX25vZGVqcy5Ob2RlanNGdW5jdGlvbihcbiAgICAgIHRoaXMsXG4gICAgICBcImNvZ25pdG9BZG1pbkZuXCIsXG4gICAgICB7XG4gICAgICAgIHJ1bnRpbWU6IGF3c19sYW1iZGEuUnVudGltZS5OT0RFSlNfMjBfWCxcbiAgICAgICAgZW50cnk6IFwiLi9hcGkvbGFtYmRhL2NvZ25pdG9BZG1pbi9pbmRleC50c1wiLFxuICAgICAgICBkZXBzTG9ja0ZpbGVQYXRoOiBcIi4vYXBpL2xhbWJkYS9wYWNrYWdlLWxvY2suanNvblwiLFxuICAgICAgICBhcmNoaXRlY3R1cmU6IGF3c19sYW1iZGEuQXJjaGl0ZWN0dXJlLkFSTV82NCxcbiAgICAgICAgdGltZW91dDogRHVyYXRpb24uc2Vjb25kcygzMCksXG4gICAgICAgIHRyYWNpbmc6IGF3c19sYW1iZGEuVHJhY2luZy5BQ1RJVkUsXG4gICAgICAgIGVudmlyb25tZW50OiB7XG4gICAgICAgICAgVVNFUl9QT09MX0lEOiBwcm9wcy5jb2duaXRvLnVzZXJQb29sLnVzZXJQb29sSWQsXG4gICAgICAgICAgVE9LRU5fVVJMOiBwcm9wcy5jb2duaXRvLmNvZ25pdG9QYXJhbXMudG9rZW5VcmwsXG4gICAgICAgICAgQVVESVRfRlVOQ1RJT05fTkFNRTogYXVkaXRGbi5mdW5jdGlvbk5hbWUsXG4gICAgICAgIH0sXG4gICAgICAgIGJ1bmRsaW5nOiB7XG4gICAgICAgICAgZXh0ZXJuYWxNb2R1bGVzOiBbXCJAYXdzLXNkay8qXCJdLCAvLyB1c2UgU0RLIHYzIGZyb20gTGFtYmRhIHJ1bnRpbWVcbiAgICAgICAgfSxcbiAgICAgIH1cbiAgICApO1xuICAgIHRoaXMubGFtYmRhRnVuY3Rpb25OYW1lc1tcImNvZ25pdG9BZG1pbkZuXCJdID0gY29nbml0b0FkbWluRm4uZnVuY3Rpb25OYW1lO1xuICAgIGNvZ25pdG9BZG1pbkZuLmFkZFRvUm9sZVBvbGljeShcbiAgICAgIG5ldyBhd3NfaWFtLlBvbGljeVN0YXRlbWVudCh7XG4gICAgICAgIGFjdGlvbnM6IFtcbiAgICAgICAgICBcImNvZ25pdG8taWRwOkxpc3RVc2VyUG9vbENsaWVudHNcIixcbiAgICAgICAgICBcImNvZ25pdG8taWRwOkRlc2NyaWJlVXNlclBvb2xDbGllbnRcIixcbiAgICAgICAgICBcImNvZ25pdG8taWRwOkNyZWF0ZVVzZXJQb29sQ2xpZW50XCIsXG4gICAgICAgICAgXCJjb2duaXRvLWlkcDpEZWxldGVVc2VyUG9vbENsaWVudFwiLFxuICAgICAgICAgIFwiY29nbml0by1pZHA6TGlzdFVzZXJzXCIsXG4gICAgICAgICAgXCJjb2duaXRvLWlkcDpBZG1pbkdldFVzZXJcIixcbiAgICAgICAgICBcImNvZ25pdG8taWRwOkFkbWluQ3JlYXRlVXNlclwiLFxuICAgICAgICAgIFwiY29nbml0by1pZHA6QWRtaW5MaXN0R3JvdXBzRm9yVXNlclwiLFxuICAgICAgICAgIFwiY29nbml0by1pZHA6TGlzdFVzZXJzSW5Hcm91cFwiLFxuICAgICAgICAgIFwiY29nbml0by1pZHA6QWRtaW5BZGRVc2VyVG9Hcm91cFwiLFxuICAgICAgICAgIFwiY29nbml0by1pZHA6QWRtaW5SZW1vdmVVc2VyRnJvbUdyb3VwXCIsXG4gICAgICAgICAgXCJjb2duaXRvLWlkcDpBZG1pbkVuYWJsZVVzZXJcIixcbiAgICAgICAgICBcImNvZ25pdG8taWRwOkFkbWluRGlzYWJsZVVzZXJcIixcbiAgICAgICAgICBcImNvZ25pdG8taWRwOkFkbWluUmVzZXRVc2VyUGFzc3dvcmRcIixcbiAgICAgICAgXSxcbiAgICAgICAgcmVzb3VyY2VzOiBbcHJvcHMuY29nbml0by51c2VyUG9vbC51c2VyUG9vbEFybl0sXG4gICAgICB9KVxuICAgICk7XG4gICAgYXVkaXRGbi5ncmFudEludm9rZShjb2duaXRvQWRtaW5Gbik7XG5cbiAgICAvLyBEYWlseSBwdXJnZSBvZiB0b21ic3RvbmVzIHBhc3QgdGhlIHJldGVudGlvbiB3aW5kb3cuIFJ1bnMgaW4gdGhlXG4gICAgLy8gZXZlbmluZywgd2hpbGUgdGhlIHNjaGVkdWxlZCBOZXB0dW5lIGNsdXN0ZXIgaXMgdXAuXG4gICAgY29uc3QgcHVyZ2VGbiA9IG5ldyBhd3NfbGFtYmRhX25vZGVqcy5Ob2RlanNGdW5jdGlvbih0aGlzLCBcInB1cmdlRm5cIiwge1xuICAgICAgLi4uTm9kZWpzRnVuY3Rpb25CYXNlUHJvcHMsXG4gICAgICBlbnRyeTogXCIuL2FwaS9sYW1iZGEvcHVyZ2VUb21ic3RvbmVzLnRzXCIsXG4gICAgICB0aW1lb3V0OiBEdXJhdGlvbi5taW51dGVzKDUpLFxuICAgICAgZW52aXJvbm1lbnQ6IHtcbiAgICAgICAgTkVQVFVORV9FTkRQT0lOVDogY2x1c3Rlci5jbHVzdGVyRW5kcG9pbnQuaG9zdG5hbWUsXG4gICAgICAgIE5FUFRVTkVfUE9SVDogY2x1c3Rlci5jbHVzdGVyRW5kcG9pbnQucG9ydC50b1N0cmluZygpLFxuICAgICAgICBUT01CU1RPTkVfUkVURU5USU9OX0RBWVM6IHRvbWJzdG9uZVJldGVudGlvbkRheXMudG9TdHJpbmcoKSxcbiAgICAgIH0sXG4gICAgfSk7XG4gICAgdGhpcy5sYW1iZGFGdW5jdGlvbk5hbWVzW1wicHVyZ2VGblwiXSA9IHB1cmdlRm4uZnVuY3Rpb25OYW1lO1xuICAgIHB1cmdlRm4uY29ubmVjdGlvbnMuYWxsb3dUbyhjbHVzdGVyLCBhd3NfZWMyLlBvcnQudGNwKDgxODIpKTtcblxuICAgIGNvbnN0IHB1cmdlU2NoZWR1bGVyUm9sZSA9IG5ldyBhd3NfaWFtLlJvbGUodGhpcywgXCJwdXJnZS1zY2hlZHVsZXItcm9sZVwiLCB7XG4gICAgICBhc3N1bWVkQnk6IG5ldyBhd3NfaWFtLlNlcnZpY2VQcmluY2lwYWwoXCJzY2hlZHVsZXIuYW1hem9uYXdzLmNvbVwiKSxcbiAgICB9KTtcbiAgICBwdXJnZUZuLmdyYW50SW52b2tlKHB1cmdlU2NoZWR1bGVyUm9sZSk7XG4gICAgbmV3IGF3c19zY2hlZHVsZXIuQ2ZuU2NoZWR1bGUodGhpcywgXCJwdXJnZS1zY2hlZHVsZVwiLCB7XG4gICAgICBkZXNjcmlwdGlvbjogYFB1cmdlIHRvbWJzdG9uZXMgb2xkZXIgdGhhbiAke3RvbWJzdG9uZVJldGVudGlvbkRheXN9IGRheXNgLFxuICAgICAgc2NoZWR1bGVFeHByZXNzaW9uVGltZXpvbmU6IFwiQW1lcmljYS9Mb3NfQW5nZWxlc1wiLFxuICAgICAgc2NoZWR1bGVFeHByZXNzaW9uOiBcImNyb24oMCAxOCAqICogPyAqKVwiLFxuICAgICAgZmxleGlibGVUaW1lV2luZG93OiB7IG1vZGU6IFwiT0ZGXCIgfSxcbiAgICAgIHRhcmdldDoge1xuICAgICAgICBhcm46IHB1cmdlRm4uZnVuY3Rpb25Bcm4sXG4gICAgICAgIHJvbGVBcm46IHB1cmdlU2NoZWR1bGVyUm9sZS5yb2xlQXJuLFxuICAgICAgfSxcbiAgICAgIHN0YXRlOiBcIkVOQUJMRURcIixcbiAgICB9KTtcblxuICAgIC8vIEJhY2tmaWxscyB0aGUgc2VhcmNoXyogc2hhZG93IHByb3BlcnRpZXMsIGZyb20gdGhlIExvYWRzIHBhZ2Ugb3IgYWZ0ZXJcbiAgICAvLyB0aGUgbG9hZHMgb2YgYW4gaW1wb3J0IGNvbXBsZXRlXG4gICAgY29uc3QgcmVpbmRleEZuID0gbmV3IGF3c19sYW1iZGFfbm9kZWpzLk5vZGVqc0Z1bmN0aW9uKHRoaXMsIFwicmVpbmRleEZuXCIsIHtcbiAgICAgIC4uLk5vZGVqc0Z1bmN0aW9uQmFzZVByb3BzLFxuICAgICAgZW50cnk6IFwiLi9hcGkvbGFtYmRhL3JlYnVpbGRTZWFyY2hJbmRleC50c1wiLFxuICAgICAgdGltZW91dDogRHVyYXRpb24ubWludXRlcygxNSksXG4gICAgICBlbnZpcm9ubWVudDoge1xuICAgICAgICBORVBUVU5FX0VORFBPSU5UOiBjbHVzdGVyLmNsdXN0ZXJFbmRwb2ludC5ob3N0bmFtZSxcbiAgICAgICAgTkVQVFVORV9QT1JUOiBjbHVzdGVyLmNsdXN0ZXJFbmRwb2ludC5wb3J0LnRvU3RyaW5nKCksXG4gICAgICB9LFxuICAgIH0pO1xuICAgIHRoaXMubGFtYmRhRnVuY3Rpb25OYW1lc1tcInJlaW5kZXhGblwiXSA9IHJlaW5kZXhGbi5mdW5jdGlvbk5hbWU7XG4gICAgcmVpbmRleEZuLmNvbm5lY3Rpb25zLmFsbG93VG8oY2x1c3RlciwgYXdzX2VjMi5Qb3J0LnRjcCg4MTgyKSk7XG5cbiAgICAvLyBGdW5jdGlvbiBVUkxcblxuICAgIGNvbnN0IGFsbG93ZWRTb3VyY2VQcmVmaXhlcyA9XG4gICAgICBidWxrTG9hZFByZWZpeGVzLmxlbmd0aCA+IDBcbiAgICAgICAgPyBidWxrTG9hZFByZWZpeGVzXG4gICAgICAgIDogW3MzVXJpLnZlcnRleCwgczNVcmkuZWRnZV0ubWFwKCh1cmkpID0+XG4gICAgICAgICAgICB1cmkuc3Vic3RyaW5nKDAsIHVyaS5sYXN0SW5kZXhPZihcIi9cIikgKyAxKVxuICAgICAgICAgICk7XG5cbiAgICAvLyBPbmUgaXRlbSBwZXIgTmVwdHVuZSBsb2FkIGlkOiB3aG8gc3RhcnRlZCBpdCwgaXRzIG9wdGlvbnMsIGFuZCBpdHNcbiAgICAvLyBsYXN0IGtub3duIHN0YXR1cywgY291bnRzIGFuZCBlcnJvcnNcbiAgICBjb25zdCBsb2FkSGlzdG9yeVRhYmxlID0gbmV3IGF3c19keW5hbW9kYi5UYWJsZSh0aGlzLCBcImxvYWRIaXN0b3J5XCIsIHtcbiAgICAgIHBhcnRpdGlvbktleTogeyBuYW1lOiBcImxvYWRJZFwiLCB0eXBlOiBhd3NfZHluYW1vZGIuQXR0cmlidXRlVHlwZS5TVFJJTkcgfSxcbiAgICAgIGJpbGxpbmdNb2RlOiBhd3NfZHluYW1vZGIuQmlsbGluZ01vZGUuUEFZX1BFUl9SRVFVRVNULFxuICAgICAgcG9pbnRJblRpbWVSZWNvdmVyeVNwZWNpZmljYXRpb246IHsgcG9pbnRJblRpbWVSZWNvdmVyeUVuYWJsZWQ6IHRydWUgfSxcbiAgICAgIHJlbW92YWxQb2xpY3k6IFJlbW92YWxQb2xpY3kuREVTVFJPWSxcbiAgICB9KTtcbiAgICBsb2FkSGlzdG9yeVRhYmxlLmFkZEdsb2JhbFNlY29uZGFyeUluZGV4KHtcbiAgICAgIGluZGV4TmFtZTogXCJieVN0YXJ0ZWRBdFwiLFxuICAgICAgcGFydGl0aW9uS2V5OiB7IG5hbWU6IFwia2luZFwiLCB0eXBlOiBhd3NfZHluYW1vZGIuQXR0cmlidXRlVHlwZS5TVFJJTkcgfSxcbiAgICAgIHNvcnRLZXk6IHsgbmFtZTogXCJzdGFydGVkQXRcIiwgdHlwZTogYXdzX2R5bmFtb2RiLkF0dHJpYnV0ZVR5cGUuU1RSSU5HIH0sXG4gICAgfSk7XG5cbiAgICAvLyBTdGFnaW5nIGFyZWEgb2YgdGhlIEltcG9ydCBwYWdlLiBCcm93c2VycyB1cGxvYWQgd2l0aCBwcmVzaWduZWQgVVJMcyxcbiAgICAvLyBzbyBpdCB0YWtlcyBjcm9zcy1vcmlnaW4gUFVUcyBmcm9tIHRoZSB3ZWIgYXBwJ3Mgb3JpZ2luczsgc3RhZ2VkIGZpbGVzXG4gICAgLy8gYXJlIG9ubHkga2VwdCBmb3IgYSB3ZWVrLlxuICAgIGNvbnN0IGltcG9ydEJ1Y2tldCA9IG5ldyBhd3NfczMuQnVja2V0KHRoaXMsIFwiaW1wb3J0QnVja2V0XCIsIHtcbiAgICAgIGJsb2NrUHVibGljQWNjZXNzOiBhd3NfczMuQmxvY2tQdWJsaWNBY2Nlc3MuQkxPQ0tfQUxMLFxuICAgICAgZW5jcnlwdGlvbjogYXdzX3MzLkJ1Y2tldEVuY3J5cHRpb24uUzNfTUFOQUdFRCxcbiAgICAgIGVuZm9yY2VTU0w6IHRydWUsXG4gICAgICB2ZXJzaW9uZWQ6IGZhbHNlLFxuICAgICAgcmVtb3ZhbFBvbGljeTogUmVtb3ZhbFBvbGljeS5ERVNUUk9ZLFxuICAgICAgYXV0b0RlbGV0ZU9iamVjdHM6IHRydWUsXG4gICAgICBjb3JzOlxuICAgICAgICB3ZWJPcmlnaW5zLmxlbmd0aCA+IDBcbiAgICAgICAgICA/IFtcbiAgICAgICAgICAgICAge1xuICAgICAgICAgICAgICAgIGFsbG93ZWRNZXRob2RzOiBbYXdzX3MzLkh0dHBNZXRob2RzLlBVVF0sXG4gICAgICAgICAgICAgICAgYWxsb3dlZE9yaWdpbnM6IHdlYk9yaWdpbnMsXG4gICAgICAgICAgICAgICAgYWxsb3dlZEhlYWRlcnM6IFtcImNvbnRlbnQtdHlwZVwiXSxcbiAgICAgICAgICAgICAgfSxcbiAgICAgICAgICAgIF1cbiAgICAgICAgICA6IHVuZGVmaW5lZCxcbiAgICAgIGxpZmVjeWNsZVJ1bGVzOiBbeyBwcmVmaXg6IFwiaW1wb3J0cy9cIiwgZXhwaXJhdGlvbjogRHVyYXRpb24uZGF5cyg3KSB9XSxcbiAgICB9KTtcbiAgICBjb25zdCBpbXBvcnRTb3VyY2VQcmVmaXggPSBgczM6Ly8ke2ltcG9ydEJ1Y2tldC5idWNrZXROYW1lfS9pbXBvcnRzL2A7XG5cbiAgICAvLyBMb2dpY2FsIGJhY2t1cHMgd3JpdHRlbiBieSBleHBvcnRGbjsga2VwdCB3aGVuIHRoZSBzdGFjayBpcyBkZWxldGVkXG4gICAgY29uc3QgZXhwb3J0QnVja2V0ID0gbmV3IGF3c19zMy5CdWNrZXQodGhpcywgXCJleHBvcnRCdWNrZXRcIiwge1xuICAgICAgYmxvY2tQdWJsaWNBY2Nlc3M6IGF3c19zMy5CbG9ja1B1YmxpY0FjY2Vzcy5CTE9DS19BTEwsXG4gICAgICBlbmNyeXB0aW9uOiBhd3NfczMuQnVja2V0RW5jcnlwdGlvbi5TM19NQU5BR0VELFxuICAgICAgZW5mb3JjZVNTTDogdHJ1ZSxcbiAgICAgIHZlcnNpb25lZDogZmFsc2UsXG4gICAgICByZW1vdmFsUG9saWN5OiBSZW1vdmFsUG9saWN5LlJFVEFJTixcbiAgICB9KTtcbiAgICBjb25zdCBleHBvcnRTb3VyY2VQcmVmaXggPSBgczM6Ly8ke2V4cG9ydEJ1Y2tldC5idWNrZXROYW1lfS9leHBvcnRzL2A7XG5cbiAgICBjb25zdCBidWxrTG9hZEZuID0gbmV3IGF3c19sYW1iZGFfbm9kZWpzLk5vZGVqc0Z1bmN0aW9uKFxuICAgICAgdGhpcyxcbiAgICAgIFwiYnVsa0xvYWRGblwiLFxuICAgICAge1xuICAgICAgICAuLi5Ob2RlanNGdW5jdGlvbkJhc2VQcm9wcyxcbiAgICAgICAgZW50cnk6IFwiLi9hcGkvbGFtYmRhL2Z1bmN0aW9uVXJsL2luZGV4LnRzXCIsXG4gICAgICAgIC8vIFdpZGVyIHByb2plY3Qgcm9vdCBmb3IgdGhlIENTViB2YWxpZGF0b3IgaW4gLi4vc2hhcmVkXG4gICAgICAgIHByb2plY3RSb290OiBcIi4vYXBpL2xhbWJkYVwiLFxuICAgICAgICBkZXBzTG9ja0ZpbGVQYXRoOiBcIi4vYXBpL2xhbWJkYS9mdW5jdGlvblVybC9wYWNrYWdlLWxvY2suanNvblwiLFxuICAgICAgICAvLyBSb29tIGZvciB2YWxpZGF0aW5nIHRoZSBzb3VyY2VzIGluIG1lbW9yeVxuICAgICAgICBtZW1vcnlTaXplOiAxMDI0LFxuICAgICAgICAvLyBUaGUgbG9uZ2VzdCBhIHJlc3BvbnNlIHN0cmVhbSBjYW4gc3RheSBvcGVuOyBsb2FkcyBzdGlsbCBydW5uaW5nXG4gICAgICAgIC8vIGFmdGVyd2FyZHMgYXJlIGZvbGxvd2VkIG9uIHRoZSAvbG9hZHMgcGFnZVxuICAgICAgICB0aW1lb3V0OiBEdXJhdGlvbi5taW51dGVzKDE1KSxcbiAgICAgICAgZW52aXJvbm1lbnQ6IHtcbiAgICAgICAgICBORVBUVU5FX0VORFBPSU5UOiBjbHVzdGVyLmNsdXN0ZXJFbmRwb2ludC5ob3N0bmFtZSxcbiAgICAgICAgICBORVBUVU5FX1BPUlQ6IGNsdXN0ZXIuY2x1c3RlckVuZHBvaW50LnBvcnQudG9TdHJpbmcoKSxcbiAgICAgICAgICBWRVJURVg6IHMzVXJpLnZlcnRleCxcbiAgICAgICAgICBFREdFOiBzM1VyaS5lZGdlLFxuICAgICAgICAgIFJPTEVfQVJOOiBjbHVzdGVyUm9sZS5yb2xlQXJuLFxuICAgICAgICAgIE5FUFRVTkVfUkVHSU9OOiBTdGFjay5vZih0aGlzKS5yZWdpb24sXG4gICAgICAgICAgQUxMT1dFRF9TT1VSQ0VfUFJFRklYRVM6IFtcbiAgICAgICAgICAgIC4uLmFsbG93ZWRTb3VyY2VQcmVmaXhlcyxcbiAgICAgICAgICAgIGltcG9ydFNvdXJjZVByZWZpeCxcbiAgICAgICAgICAgIGV4cG9ydFNvdXJjZVByZWZpeCxcbiAgICAgICAgICBdLmpvaW4oXCIsXCIpLFxuICAgICAgICAgIExPQURfSElTVE9SWV9UQUJMRTogbG9hZEhpc3RvcnlUYWJsZS50YWJsZU5hbWUsXG4gICAgICAgICAgTE9BRF9UUkFDS19USU1FT1VUX1NFQ09ORFM6IFwiODQwXCIsXG4gICAgICAgIH0sXG4gICAgICAgIHZwY1N1Ym5ldHM6IHtcbiAgICAgICAgICBzdWJuZXRzOiB2cGMucHVibGljU3VibmV0cyxcbiAgICAgICAgfSxcbiAgICAgICAgYnVuZGxpbmc6IHtcbiAgICAgICAgICBub2RlTW9kdWxlczogW1xuICAgICAgICAgICAgXCJAc21pdGh5L3NpZ25hdHVyZS12NFwiLFxuICAgICAgICAgICAgXCJAYXdzLXNkay9jcmVkZW50aWFsLXByb3ZpZGVyLW5vZGVcIixcbiAgICAgICAgICAgIFwiQGF3cy1jcnlwdG8vc2hhMjU2LWpzXCIsXG4gICAgICAgICAgICBcIkBzbWl0aHkvcHJvdG9jb2wtaHR0cFwiLFxuICAgICAgICAgIF0sXG4gICAgICAgIH0sXG4gICAgICAgIGFsbG93UHVibGljU3VibmV0OiB0cnVlLFxuICAgICAgfVxuICAgICk7XG4gICAgdGhpcy5sYW1iZGFGdW5jdGlvbk5hbWVzW1wiYnVsa0xvYWRGblwiXSA9IGJ1bGtMb2FkRm4uZnVuY3Rpb25OYW1lO1xuICAgIGJ1bGtMb2FkRm4uY29ubmVjdGlvbnMuYWxsb3dUbyhjbHVzdGVyLCBhd3NfZWMyLlBvcnQudGNwKDgxODIpKTtcbiAgICBsb2FkSGlzdG9yeVRhYmxlLmdyYW50UmVhZFdyaXRlRGF0YShidWxrTG9hZEZuKTtcbiAgICAvLyBTb3VyY2VzIGFyZSByZWFkIGZvciBgdmFsaWRhdGVgIHJlcXVlc3RzXG4gICAgYnVsa0xvYWRGbi5hZGRUb1JvbGVQb2xpY3koXG4gICAgICBuZXcgYXdzX2lhbS5Qb2xpY3lTdGF0ZW1lbnQoe1xuICAgICAgICBhY3Rpb25zOiBbXCJzMzpHZXRPYmplY3RcIiwgXCJzMzpMaXN0QnVja2V0XCJdLFxuICAgICAgICByZXNvdXJjZXM6IGFsbG93ZWRTb3VyY2VQcmVmaXhlcy5mbGF0TWFwKChwcmVmaXgpID0+IHtcbiAgICAgICAgICBjb25zdCBbYnVja2V0LCAuLi5rZXldID0gcHJlZml4LnJlcGxhY2UoL15zMzpcXC9cXC8vLCBcIlwiKS5zcGxpdChcIi9cIik7XG4gICAgICAgICAgcmV0dXJuIFtgYXJuOmF3czpzMzo6OiR7YnVja2V0fWAsIGBhcm46YXdzOnMzOjo6JHtidWNrZXR9LyR7a2V5LmpvaW4oXCIvXCIpfSpgXTtcbiAgICAgICAgfSksXG4gICAgICB9KVxuICAgICk7XG4gICAgaW1wb3J0QnVja2V0LmdyYW50UmVhZChidWxrTG9hZEZuKTtcbiAgICBleHBvcnRCdWNrZXQuZ3JhbnRSZWFkKGJ1bGtMb2FkRm4pO1xuXG4gICAgLy8gTGlzdHMgYW5kIGNhbmNlbHMgbG9hZHMgZm9yIHRoZSAvbG9hZHMgcGFnZSBhbmQgc3RhZ2VzIGFuZCBzdGFydHMgdGhlXG4gICAgLy8gbG9hZHMgb2YgdGhlIEltcG9ydCBwYWdlLiBJdCBzaGFyZXMgdGhlIGxvYWRlciBjbGllbnQgd2l0aCB0aGVcbiAgICAvLyBGdW5jdGlvbiBVUkwgYW5kIHRoZSByb2xlIGhlbHBlcnMgd2l0aCB0aGUgZ3JhcGggTGFtYmRhcywgaGVuY2UgdGhlXG4gICAgLy8gd2lkZXIgcHJvamVjdCByb290LlxuICAgIGNvbnN0IGxvYWRzRm4gPSBuZXcgYXdzX2xhbWJkYV9ub2RlanMuTm9kZWpzRnVuY3Rpb24odGhpcywgXCJsb2Fkc0ZuXCIsIHtcbiAgICAgIC4uLk5vZGVqc0Z1bmN0aW9uQmFzZVByb3BzLFxuICAgICAgZW50cnk6IFwiLi9hcGkvbGFtYmRhL2Z1bmN0aW9uVXJsL2xvYWRzLnRzXCIsXG4gICAgICBwcm9qZWN0Um9vdDogXCIuL2FwaS9sYW1iZGFcIixcbiAgICAgIGRlcHNMb2NrRmlsZVBhdGg6IFwiLi9hcGkvbGFtYmRhL2Z1bmN0aW9uVXJsL3BhY2thZ2UtbG9jay5qc29uXCIsXG4gICAgICAvLyBJbXBvcnRzIHJ1biBhc3luY2hyb25vdXNseSBhbmQgZm9sbG93IHRoZWlyIGxvYWRzOyBBcHBTeW5jIHN0aWxsXG4gICAgICAvLyBnaXZlcyB1cCBvbiB0aGUgb3RoZXIgZmllbGRzIGFmdGVyIDMwIHNlY29uZHNcbiAgICAgIHRpbWVvdXQ6IER1cmF0aW9uLm1pbnV0ZXMoMTUpLFxuICAgICAgLy8gUm9vbSBmb3IgdmFsaWRhdGluZyBpbXBvcnRzIGluIG1lbW9yeVxuICAgICAgbWVtb3J5U2l6ZTogMTAyNCxcbiAgICAgIGVudmlyb25tZW50OiB7XG4gICAgICAgIE5FUFRVTkVfRU5EUE9JTlQ6IGNsdXN0ZXIuY2x1c3RlckVuZHBvaW50Lmhvc3RuYW1lLFxuICAgICAgICBORVBUVU5FX1BPUlQ6IGNsdXN0ZXIuY2x1c3RlckVuZHBvaW50LnBvcnQudG9TdHJpbmcoKSxcbiAgICAgICAgTkVQVFVORV9SRUdJT046IFN0YWNrLm9mKHRoaXMpLnJlZ2lvbixcbiAgICAgICAgTE9BRF9ISVNUT1JZX1RBQkxFOiBsb2FkSGlzdG9yeVRhYmxlLnRhYmxlTmFtZSxcbiAgICAgICAgUk9MRV9BUk46IGNsdXN0ZXJSb2xlLnJvbGVBcm4sXG4gICAgICAgIElNUE9SVF9CVUNLRVQ6IGltcG9ydEJ1Y2tldC5idWNrZXROYW1lLFxuICAgICAgICBSRUlOREVYX0ZVTkNUSU9OX05BTUU6IHJlaW5kZXhGbi5mdW5jdGlvbk5hbWUsXG4gICAgICB9LFxuICAgICAgYnVuZGxpbmc6IHtcbiAgICAgICAgbm9kZU1vZHVsZXM6IFtcbiAgICAgICAgICBcIkBzbWl0aHkvc2lnbmF0dXJlLXY0XCIsXG4gICAgICAgICAgXCJAYXdzLXNkay9jcmVkZW50aWFsLXByb3ZpZGVyLW5vZGVcIixcbiAgICAgICAgICBcIkBhd3MtY3J5cHRvL3NoYTI1Ni1qc1wiLFxuICAgICAgICAgIFwiQHNtaXRoeS9wcm90b2NvbC1odHRwXCIsXG4gICAgICAgIF0sXG4gICAgICB9LFxuICAgIH0pO1xuICAgIHRoaXMubGFtYmRhRnVuY3Rpb25OYW1lc1tcImxvYWRzRm5cIl0gPSBsb2Fkc0ZuLmZ1bmN0aW9uTmFtZTtcbiAgICBsb2Fkc0ZuLmNvbm5lY3Rpb25zLmFsbG93VG8oY2x1c3RlciwgYXdzX2VjMi5Qb3J0LnRjcCg4MTgyKSk7XG4gICAgbG9hZEhpc3RvcnlUYWJsZS5ncmFudFJlYWRXcml0ZURhdGEobG9hZHNGbik7XG4gICAgLy8gUHJlc2lnbmVkIHVwbG9hZCBVUkxzIGNhcnJ5IHRoZSBwZXJtaXNzaW9ucyBvZiB0aGUgc2lnbmVyXG4gICAgaW1wb3J0QnVja2V0LmdyYW50UHV0KGxvYWRzRm4pO1xuICAgIGltcG9ydEJ1Y2tldC5ncmFudFJlYWQobG9hZHNGbik7XG4gICAgcmVpbmRleEZuLmdyYW50SW52b2tlKGxvYWRzRm4pO1xuXG4gICAgY29uc3QgZnVuY3Rpb25VcmwgPSBidWxrTG9hZEZuLmFkZEZ1bmN0aW9uVXJsKHtcbiAgICAgIGF1dGhUeXBlOiBhd3NfbGFtYmRhLkZ1bmN0aW9uVXJsQXV0aFR5cGUuQVdTX0lBTSxcbiAgICAgIGNvcnM6IHtcbiAgICAgICAgYWxsb3dlZE1ldGhvZHM6IFthd3NfbGFtYmRhLkh0dHBNZXRob2QuR0VULCBhd3NfbGFtYmRhLkh0dHBNZXRob2QuUE9TVF0sXG4gICAgICAgIGFsbG93ZWRPcmlnaW5zOiBbXCIqXCJdLFxuICAgICAgICBhbGxvd2VkSGVhZGVyczogW1wiKlwiXSxcbiAgICAgIH0sXG5cbiAgICAgIGludm9rZU1vZGU6IGF3c19sYW1iZGEuSW52b2tlTW9kZS5SRVNQT05TRV9TVFJFQU0sXG4gICAgfSk7XG5cbiAgICAvLyBXcml0ZXMgdGhlIHdob2xlIGdyYXBoIGFzIGJ1bGstbG9hZCBDU1YgdG8gdGhlIGV4cG9ydCBidWNrZXQsIGZyb20gdGhlXG4gICAgLy8gQWRtaW4gcGFnZSBvciBvbiB0aGUgc2NoZWR1bGVcbiAgICBjb25zdCBleHBvcnRGbiA9IG5ldyBhd3NfbGFtYmRhX25vZGVqcy5Ob2RlanNGdW5jdGlvbih0aGlzLCBcImV4cG9ydEZuXCIsIHtcbiAgICAgIC4uLk5vZGVqc0Z1bmN0aW9uQmFzZVByb3BzLFxuICAgICAgZW50cnk6IFwiLi9hcGkvbGFtYmRhL2V4cG9ydEdyYXBoLnRzXCIsXG4gICAgICB0aW1lb3V0OiBEdXJhdGlvbi5taW51dGVzKDE1KSxcbiAgICAgIG1lbW9yeVNpemU6IDEwMjQsXG4gICAgICAvLyBSb3dzIGFyZSBzdGFnZWQgaW4gL3RtcCBwZXIgbGFiZWxcbiAgICAgIGVwaGVtZXJhbFN0b3JhZ2VTaXplOiBTaXplLmdpYmlieXRlcyg0KSxcbiAgICAgIGVudmlyb25tZW50OiB7XG4gICAgICAgIE5FUFRVTkVfRU5EUE9JTlQ6IGNsdXN0ZXIuY2x1c3RlckVuZHBvaW50Lmhvc3RuYW1lLFxuICAgICAgICBORVBUVU5FX1BPUlQ6IGNsdXN0ZXIuY2x1c3RlckVuZHBvaW50LnBvcnQudG9TdHJpbmcoKSxcbiAgICAgICAgRVhQT1JUX0JVQ0tFVDogZXhwb3J0QnVja2V0LmJ1Y2tldE5hbWUsXG4gICAgICB9LFxuICAgIH0pO1xuICAgIHRoaXMubGFtYmRhRnVuY3Rpb25OYW1lc1tcImV4cG9ydEZuXCJdID0gZXhwb3J0Rm4uZnVuY3Rpb25OYW1lO1xuICAgIGV4cG9ydEZuLmNvbm5lY3Rpb25zLmFsbG93VG8oY2x1c3RlciwgYXdzX2VjMi5Qb3J0LnRjcCg4MTgyKSk7XG4gICAgZXhwb3J0QnVja2V0LmdyYW50UmVhZFdyaXRlKGV4cG9ydEZuKTtcblxuICAgIGlmIChleHBvcnRTY2hlZHVsZSkge1xuICAgICAgY29uc3QgZXhwb3J0U2NoZWR1bGVyUm9sZSA9IG5ldyBhd3NfaWFtLlJvbGUodGhpcywgXCJleHBvcnQtc2NoZWR1bGVyLXJvbGVcIiwge1xuICAgICAgICBhc3N1bWVkQnk6IG5ldyBhd3NfaWFtLlNlcnZpY2VQcmluY2lwYWwoXCJzY2hlZHVsZXIuYW1hem9uYXdzLmNvbVwiKSxcbiAgICAgIH0pO1xuICAgICAgZXhwb3J0Rm4uZ3JhbnRJbnZva2UoZXhwb3J0U2NoZWR1bGVyUm9sZSk7XG4gICAgICBuZXcgYXdzX3NjaGVkdWxlci5DZm5TY2hlZHVsZSh0aGlzLCBcImV4cG9ydC1zY2hlZHVsZVwiLCB7XG4gICAgICAgIGRlc2NyaXB0aW9uOiBcIkV4cG9ydCB0aGUgZ3JhcGggdG8gYnVsay1sb2FkIENTViBhcyBhIGxvZ2ljYWwgYmFja3VwXCIsXG4gICAgICAgIHNjaGVkdWxlRXhwcmVzc2lvblRpbWV6b25lOiBcIkFtZXJpY2EvTG9zX0FuZ2VsZXNcIixcbiAgICAgICAgLy8gVGhlIGRlZmF1bHQgcnVucyBvbiBTdW5kYXkgZXZlbmluZywgYmVmb3JlIHRoZSBuaWdodGx5IGNsdXN0ZXIgc3RvcFxuICAgICAgICBzY2hlZHVsZUV4cHJlc3Npb246IGV4cG9ydFNjaGVkdWxlLFxuICAgICAgICBmbGV4aWJsZVRpbWVXaW5kb3c6IHsgbW9kZTogXCJPRkZcIiB9LFxuICAgICAgICB0YXJnZXQ6IHtcbiAgICAgICAgICBhcm46IGV4cG9ydEZuLmZ1bmN0aW9uQXJuLFxuICAgICAgICAgIHJvbGVBcm46IGV4cG9ydFNjaGVkdWxlclJvbGUucm9sZUFybixcbiAgICAgICAgICBpbnB1dDogSlNPTi5zdHJpbmdpZnkoeyBzb3VyY2U6IFwic2NoZWR1bGVcIiB9KSxcbiAgICAgICAgfSxcbiAgICAgICAgc3RhdGU6IFwiRU5BQkxFRFwiLFxuICAgICAgfSk7XG4gICAgICBOYWdTdXBwcmVzc2lvbnMuYWRkUmVzb3VyY2VTdXBwcmVzc2lvbnMoXG4gICAgICAgIGV4cG9ydFNjaGVkdWxlclJvbGUsXG4gICAgICAgIFtcbiAgICAgICAgICB7XG4gICAgICAgICAgICBpZDogXCJBd3NTb2x1dGlvbnMtSUFNNVwiLFxuICAgICAgICAgICAgcmVhc29uOlxuICAgICAgICAgICAgICBcIldpbGRjYXJkIG9uIExhbWJkYSBBUk4gdmVyc2lvbiBpcyByZXF1aXJlZCBieSBncmFudEludm9rZSBmb3IgRXZlbnRCcmlkZ2UgU2NoZWR1bGVyXCIsXG4gICAgICAgICAgfSxcbiAgICAgICAgXSxcbiAgICAgICAgdHJ1ZVxuICAgICAgKTtcbiAgICB9XG5cbiAgICBncmFwaHFsRmllbGROYW1lLm1hcCgoZmlsZWROYW1lOiBzdHJpbmcpID0+IHtcbiAgICAgIC8vIERhdGEgc291cmNlc1xuICAgICAgbGV0IHRhcmdldEZuO1xuICAgICAgaWYgKENPR05JVE9fQURNSU5fRklFTERTLmluY2x1ZGVzKGZpbGVkTmFtZSkpIHtcbiAgICAgICAgdGFyZ2V0Rm4gPSBjb2duaXRvQWRtaW5GbjtcbiAgICAgIH0gZWxzZSBpZiAoTE9BRF9GSUVMRFMuaW5jbHVkZXMoZmlsZWROYW1lKSkge1xuICAgICAgICB0YXJnZXRGbiA9IGxvYWRzRm47XG4gICAgICB9IGVsc2UgaWYgKEVYUE9SVF9GSUVMRFMuaW5jbHVkZXMoZmlsZWROYW1lKSkge1xuICAgICAgICB0YXJnZXRGbiA9IGV4cG9ydEZuO1xuICAgICAgfSBlbHNlIGlmIChSRUlOREVYX0ZJRUxEUy5pbmNsdWRlcyhmaWxlZE5hbWUpKSB7XG4gICAgICAgIHRhcmdldEZuID0gcmVpbmRleEZuO1xuICAgICAgfSBlbHNlIGlmIChmaWxlZE5hbWUgPT09IFwiYXNrR3JhcGhcIikge1xuICAgICAgICB0YXJnZXRGbiA9IGFpUXVlcnlGbjtcbiAgICAgIH0gZWxzZSBpZiAoXG4gICAgICAgIGZpbGVkTmFtZS5zdGFydHNXaXRoKFwiZ2V0XCIpIHx8XG4gICAgICAgIGZpbGVkTmFtZS5zdGFydHNXaXRoKFwic2VhcmNoXCIpIHx8XG4gICAgICAgIGZpbGVkTmFtZS5zdGFydHNXaXRoKFwiZmluZFwiKSB8fFxuICAgICAgICBFWFRSQV9RVUVSWV9GSUVMRFMuaW5jbHVkZXMoZmlsZWROYW1lKVxuICAgICAgKSB7XG4gICAgICAgIHRhcmdldEZuID0gcXVlcnlGbjtcbiAgICAgIH0gZWxzZSB7XG4gICAgICAgIHRhcmdldEZuID0gbXV0YXRpb25GbjtcbiAgICAgIH1cbiAgICAgIGNvbnN0IGRhdGFzb3VyY2UgPSBncmFwaHFsLmFkZExhbWJkYURhdGFTb3VyY2UoXG4gICAgICAgIGAke2ZpbGVkTmFtZX1EU2AsXG4gICAgICAgIHRhcmdldEZuXG4gICAgICApO1xuICAgICAgcXVlcnlGbi5hZGRFbnZpcm9ubWVudChcIkdSQVBIUUxfRU5EUE9JTlRcIiwgdGhpcy5ncmFwaHFsVXJsKTtcbiAgICAgIC8vIFJlc29sdmVyXG4gICAgICBkYXRhc291cmNlLmNyZWF0ZVJlc29sdmVyKGAke2ZpbGVkTmFtZX1SZXNvbHZlcmAsIHtcbiAgICAgICAgZmllbGROYW1lOiBgJHtmaWxlZE5hbWV9YCxcbiAgICAgICAgdHlwZU5hbWU6XG4gICAgICAgICAgZmlsZWROYW1lLnN0YXJ0c1dpdGgoXCJnZXRcIikgfHxcbiAgICAgICAgICBmaWxlZE5hbWUuc3RhcnRzV2l0aChcImFza1wiKSB8fFxuICAgICAgICAgIGZpbGVkTmFtZS5zdGFydHNXaXRoKFwic2VhcmNoXCIpIHx8XG4gICAgICAgICAgZmlsZWROYW1lLnN0YXJ0c1dpdGgoXCJmaW5kXCIpIHx8XG4gICAgICAgICAgRVhUUkFfUVVFUllfRklFTERTLmluY2x1ZGVzKGZpbGVkTmFtZSlcbiAgICAgICAgICAgID8gXCJRdWVyeVwiXG4gICAgICAgICAgICA6IFwiTXV0YXRpb25cIixcbiAgICAgICAgcmVxdWVzdE1hcHBpbmdUZW1wbGF0ZTogTWFwcGluZ1RlbXBsYXRlLmZyb21GaWxlKFxuICAgICAgICAgIGAuL2FwaS9ncmFwaHFsL3Jlc29sdmVycy9yZXF1ZXN0cy8ke2ZpbGVkTmFtZX0udnRsYFxuICAgICAgICApLFxuICAgICAgICByZXNwb25zZU1hcHBpbmdUZW1wbGF0ZTogTWFwcGluZ1RlbXBsYXRlLmZyb21GaWxlKFxuICAgICAgICAgIGAuL2FwaS9ncmFwaHFsL3Jlc29sdmVycy9yZXNwb25zZXMvJHtcbiAgICAgICAgICAgIFJFU1BPTlNFX1RFTVBMQVRFU1tmaWxlZE5hbWVdID8/IFwiZGVmYXVsdC52dGxcIlxuICAgICAgICAgIH1gXG4gICAgICAgICksXG4gICAgICB9KTtcbiAgICB9KTtcblxuICAgIC8vIE91dHB1dHNcbiAgICBuZXcgQ2ZuT3V0cHV0KHRoaXMsIFwiR3JhcGhxbFVybFwiLCB7XG4gICAgICB2YWx1ZTogdGhpcy5ncmFwaHFsVXJsLFxuICAgIH0pO1xuICAgIG5ldyBDZm5PdXRwdXQodGhpcywgXCJGdW5jdGlvblVybFwiLCB7XG4gICAgICB2YWx1ZTogZnVuY3Rpb25VcmwudXJsLFxuICAgIH0pO1xuXG4gICAgLy8gU3VwcHJlc3Npb25zXG4gICAgTmFnU3VwcHJlc3Npb25zLmFkZFJlc291cmNlU3VwcHJlc3Npb25zKFxuICAgICAgZ3JhcGhxbCxcbiAgICAgIFtcbiAgICAgICAge1xuICAgICAgICAgIGlkOiBcIkF3c1NvbHV0aW9ucy1JQU01XCIsXG4gICAgICAgICAgcmVhc29uOiBcIkRhdGFzb3JjZSByb2xlXCIsXG4gICAgICAgIH0sXG4gICAgICBdLFxuICAgICAgdHJ1ZVxuICAgICk7XG5cbiAgICBOYWdTdXBwcmVzc2lvbnMuYWRkUmVzb3VyY2VTdXBwcmVzc2lvbnMoXG4gICAgICBsYW1iZGFSb2xlLFxuICAgICAgW1xuICAgICAgICB7XG4gICAgICAgICAgaWQ6IFwiQXdzU29sdXRpb25zLUlBTTVcIixcbiAgICAgICAgICByZWFzb246IFwiTmVlZCB0aGUgcGVybWlzc2lvbiBmb3IgYWNjZXNzaW5nIGRhdGFiYXNlIGluIFZwY1wiLFxuICAgICAgICB9LFxuICAgICAgXSxcbiAgICAgIHRydWVcbiAgICApO1xuICAgIE5hZ1N1cHByZXNzaW9ucy5hZGRSZXNvdXJjZVN1cHByZXNzaW9ucyhleHBvcnRCdWNrZXQsIFtcbiAgICAgIHtcbiAgICAgICAgaWQ6IFwiQXdzU29sdXRpb25zLVMxXCIsXG4gICAgICAgIHJlYXNvbjogXCJXcml0dGVuIG9ubHkgYnkgdGhlIGV4cG9ydCBMYW1iZGE7IGVhY2ggZXhwb3J0IGhhcyBhIG1hbmlmZXN0XCIsXG4gICAgICB9LFxuICAgIF0pO1xuICAgIE5hZ1N1cHByZXNzaW9ucy5hZGRSZXNvdXJjZVN1cHByZXNzaW9ucyhpbXBvcnRCdWNrZXQsIFtcbiAgICAgIHtcbiAgICAgICAgaWQ6IFwiQXdzU29sdXRpb25zLVMxXCIsXG4gICAgICAgIHJlYXNvbjogXCJTaG9ydC1saXZlZCBzdGFnaW5nIHVwbG9hZHM7IGxvYWRzIGFyZSByZWNvcmRlZCBpbiB0aGUgbG9hZCBoaXN0b3J5IHRhYmxlXCIsXG4gICAgICB9LFxuICAgIF0pO1xuICAgIE5hZ1N1cHByZXNzaW9ucy5hZGRSZXNvdXJjZVN1cHByZXNzaW9ucyhcbiAgICAgIHB1cmdlU2NoZWR1bGVyUm9sZSxcbiAgICAgIFtcbiAgICAgICAge1xuICAgICAgICAgIGlkOiBcIkF3c1NvbHV0aW9ucy1JQU01XCIsXG4gICAgICAgICAgcmVhc29uOlxuICAgICAgICAgICAgXCJXaWxkY2FyZCBvbiBMYW1iZGEgQVJOIHZlcnNpb24gaXMgcmVxdWlyZWQgYnkgZ3JhbnRJbnZva2UgZm9yIEV2ZW50QnJpZGdlIFNjaGVkdWxlclwiLFxuICAgICAgICB9LFxuICAgICAgXSxcbiAgICAgIHRydWVcbiAgICApO1xuICAgIE5hZ1N1cHByZXNzaW9ucy5hZGRSZXNvdXJjZVN1cHByZXNzaW9ucyhcbiAgICAgIGFpUXVlcnlSb2xlLFxuICAgICAgW1xuICAgICAgICB7XG4gICAgICAgICAgaWQ6IFwiQXdzU29sdXRpb25zLUlBTTVcIixcbiAgICAgICAgICByZWFzb246IFwiTmVlZCB0aGUgcGVybWlzc2lvbiBmb3IgQmVkcm9jayBhbmQgVlBDIGFjY2Vzc1wiLFxuICAgICAgICB9LFxuICAgICAgXSxcbiAgICAgIHRydWVcbiAgICApO1xuICAgIE5hZ1N1cHByZXNzaW9ucy5hZGRTdGFja1N1cHByZXNzaW9ucyhTdGFjay5vZih0aGlzKSwgW1xuICAgICAge1xuICAgICAgICBpZDogXCJBd3NTb2x1dGlvbnMtSUFNNFwiLFxuICAgICAgICByZWFzb246IFwiQ0RLIG1hbmFnZWQgcmVzb3VyY2VcIixcbiAgICAgICAgYXBwbGllc1RvOiBbXG4gICAgICAgICAgXCJQb2xpY3k6OmFybjo8QVdTOjpQYXJ0aXRpb24+OmlhbTo6YXdzOnBvbGljeS9zZXJ2aWNlLXJvbGUvQVdTTGFtYmRhQmFzaWNFeGVjdXRpb25Sb2xlXCIsXG4gICAgICAgIF0sXG4gICAgICB9LFxuICAgICAge1xuICAgICAgICBpZDogXCJBd3NTb2x1dGlvbnMtTDFcIixcbiAgICAgICAgcmVhc29uOiBcIkNESyBtYW5hZ2VkIHJlc291cmNlXCIsXG4gICAgICB9LFxuICAgICAge1xuICAgICAgICBpZDogXCJBd3NTb2x1dGlvbnMtSUFNNVwiLFxuICAgICAgICByZWFzb246IFwiQ0RLIG1hbmFnZWQgcmVzb3VyY2VcIixcbiAgICAgICAgYXBwbGllc1RvOiBbXCJSZXNvdXJjZTo6KlwiXSxcbiAgICAgIH0sXG4gICAgXSk7XG4gIH1cbn1cbiJdfQ==
\ No newline at end of file
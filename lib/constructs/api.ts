@@ -5,7 +5,12 @@ import {
   aws_lambda_nodejs,
   aws_lambda,
   aws_iam,
+  aws_scheduler,
+  aws_dynamodb,
+  aws_s3,
   CfnOutput,
+  RemovalPolicy,
+  Size,
 } from "aws-cdk-lib";
 import {
   AuthorizationType,
@@ -30,8 +35,63 @@ export interface BackendApiProps {
   clusterRole: aws_iam.Role;
   graphqlFieldName: string[];
   s3Uri: S3Uri;
+  /** Days a deleted vertex stays restorable before it is purged (default: 30) */
+  tombstoneRetentionDays?: number;
+  /**
+   * S3 URI prefixes the bulk-load Function URL may load from; empty means
+   * the folders of `s3Uri.vertex` and `s3Uri.edge`
+   */
+  bulkLoadPrefixes?: string[];
+  /**
+   * Origins of the web app (e.g. `https://xyz.cloudfront.net`) allowed to
+   * upload to the import bucket; empty means no browser uploads
+   */
+  webOrigins?: string[];
+  /** EventBridge Scheduler expression of the graph export, Pacific time; empty disables it */
+  exportSchedule?: string;
 }
 
+// Fields served by the Cognito admin Lambda instead of the graph Lambdas
+const COGNITO_ADMIN_FIELDS = [
+  "getIntegrationClients",
+  "createIntegrationClient",
+  "rotateIntegrationClient",
+  "revokeIntegrationClient",
+  "getUsers",
+  "inviteUser",
+  "setUserGroups",
+  "disableUser",
+  "enableUser",
+  "resetUserPassword",
+];
+
+// Fields served by the loads Lambda behind the /loads page
+const LOAD_FIELDS = [
+  "getLoads",
+  "getLoad",
+  "cancelLoad",
+  "createImportUploads",
+  "startImport",
+  "getImport",
+];
+
+// Fields served by the graph export Lambda
+const EXPORT_FIELDS = ["getExports", "exportGraph"];
+
+// Fields served by the search index Lambda
+const REINDEX_FIELDS = ["rebuildSearchIndex"];
+
+// Read-only fields of the query Lambda whose names do not start with
+// get/search/find
+const EXTRA_QUERY_FIELDS = ["exportSubgraph"];
+
+// Fields with their own response mapping template instead of default.vtl
+const RESPONSE_TEMPLATES: Record<string, string> = {
+  exportGraph: "exportGraph.vtl",
+  startImport: "startImport.vtl",
+  rebuildSearchIndex: "rebuildSearchIndex.vtl",
+};
+
 export type S3Uri = {
   vertex: string;
   edge: string;
@@ -45,8 +105,18 @@ export class Api extends Construct {
   constructor(scope: Construct, id: string, props: BackendApiProps) {
     super(scope, id);
 
-    const { schema, vpc, cluster, clusterRole, graphqlFieldName, s3Uri } =
-      props;
+    const {
+      schema,
+      vpc,
+      cluster,
+      clusterRole,
+      graphqlFieldName,
+      s3Uri,
+      tombstoneRetentionDays = 30,
+      bulkLoadPrefixes = [],
+      webOrigins = [],
+      exportSchedule = "cron(0 19 ? * SUN *)",
+    } = props;
 
     // AWS AppSync
     const graphql = new GraphqlApi(this, "graphql", {
@@ -85,6 +155,17 @@ export class Api extends Construct {
             defaultAction: UserPoolDefaultAction.ALLOW,
           },
         },
+        // Client-credentials access tokens of integration clients. They come
+        // from the same user pool but from other app clients, so the
+        // USER_POOL mode above rejects them. Fields opt in with @aws_oidc.
+        additionalAuthorizationModes: [
+          {
+            authorizationType: AuthorizationType.OIDC,
+            openIdConnectConfig: {
+              oidcProvider: props.cognito.userPool.userPoolProviderUrl,
+            },
+          },
+        ],
       },
       xrayEnabled: true,
     });
@@ -138,6 +219,7 @@ export class Api extends Construct {
       environment: {
         NEPTUNE_ENDPOINT: cluster.clusterReadEndpoint.hostname,
         NEPTUNE_PORT: cluster.clusterReadEndpoint.port.toString(),
+        TOMBSTONE_RETENTION_DAYS: tombstoneRetentionDays.toString(),
       },
     });
     this.lambdaFunctionNames["queryFn"] = queryFn.functionName;
@@ -213,6 +295,7 @@ export class Api extends Construct {
         environment: {
           NEPTUNE_ENDPOINT: cluster.clusterEndpoint.hostname,
           NEPTUNE_PORT: cluster.clusterEndpoint.port.toString(),
+          TOMBSTONE_RETENTION_DAYS: tombstoneRetentionDays.toString(),
         },
       }
     );
@@ -220,21 +303,196 @@ export class Api extends Construct {
     graphql.grantMutation(mutationFn);
     mutationFn.connections.allowTo(cluster, aws_ec2.Port.tcp(8182));
 
+    // Writes AuditEvents on behalf of Lambdas that cannot reach Neptune
+    const auditFn = new aws_lambda_nodejs.NodejsFunction(this, "auditFn", {
+      ...NodejsFunctionBaseProps,
+      entry: "./api/lambda/recordAudit.ts",
+      timeout: Duration.seconds(30),
+      environment: {
+        NEPTUNE_ENDPOINT: cluster.clusterEndpoint.hostname,
+        NEPTUNE_PORT: cluster.clusterEndpoint.port.toString(),
+      },
+    });
+    this.lambdaFunctionNames["auditFn"] = auditFn.functionName;
+    auditFn.connections.allowTo(cluster, aws_ec2.Port.tcp(8182));
+
+    // Manages users and integration clients in the user pool. It only calls
+    // Cognito and Lambda, so it runs outside the VPC, whose isolated subnets
+    // have no route to them; audit records go through auditFn.
+    const cognitoAdminFn = new aws_lambda_nodejs.NodejsFunction(
+      this,
+      "cognitoAdminFn",
+      {
+        runtime: aws_lambda.Runtime.NODEJS_20_X,
+        entry: "./api/lambda/cognitoAdmin/index.ts",
+        depsLockFilePath: "./api/lambda/package-lock.json",
+        architecture: aws_lambda.Architecture.ARM_64,
+        timeout: Duration.seconds(30),
+        tracing: aws_lambda.Tracing.ACTIVE,
+        environment: {
+          USER_POOL_ID: props.cognito.userPool.userPoolId,
+          TOKEN_URL: props.cognito.cognitoParams.tokenUrl,
+          AUDIT_FUNCTION_NAME: auditFn.functionName,
+        },
+        bundling: {
+          externalModules: ["@aws-sdk/*"], // use SDK v3 from Lambda runtime
+        },
+      }
+    );
+    this.lambdaFunctionNames["cognitoAdminFn"] = cognitoAdminFn.functionName;
+    cognitoAdminFn.addToRolePolicy(
+      new aws_iam.PolicyStatement({
+        actions: [
+          "cognito-idp:ListUserPoolClients",
+          "cognito-idp:DescribeUserPoolClient",
+          "cognito-idp:CreateUserPoolClient",
+          "cognito-idp:DeleteUserPoolClient",
+          "cognito-idp:ListUsers",
+          "cognito-idp:AdminGetUser",
+          "cognito-idp:AdminCreateUser",
+          "cognito-idp:AdminListGroupsForUser",
+          "cognito-idp:ListUsersInGroup",
+          "cognito-idp:AdminAddUserToGroup",
+          "cognito-idp:AdminRemoveUserFromGroup",
+          "cognito-idp:AdminEnableUser",
+          "cognito-idp:AdminDisableUser",
+          "cognito-idp:AdminResetUserPassword",
+        ],
+        resources: [props.cognito.userPool.userPoolArn],
+      })
+    );
+    auditFn.grantInvoke(cognitoAdminFn);
+
+    // Daily purge of tombstones past the retention window. Runs in the
+    // evening, while the scheduled Neptune cluster is up.
+    const purgeFn = new aws_lambda_nodejs.NodejsFunction(this, "purgeFn", {
+      ...NodejsFunctionBaseProps,
+      entry: "./api/lambda/purgeTombstones.ts",
+      timeout: Duration.minutes(5),
+      environment: {
+        NEPTUNE_ENDPOINT: cluster.clusterEndpoint.hostname,
+        NEPTUNE_PORT: cluster.clusterEndpoint.port.toString(),
+        TOMBSTONE_RETENTION_DAYS: tombstoneRetentionDays.toString(),
+      },
+    });
+    this.lambdaFunctionNames["purgeFn"] = purgeFn.functionName;
+    purgeFn.connections.allowTo(cluster, aws_ec2.Port.tcp(8182));
+
+    const purgeSchedulerRole = new aws_iam.Role(this, "purge-scheduler-role", {
+      assumedBy: new aws_iam.ServicePrincipal("scheduler.amazonaws.com"),
+    });
+    purgeFn.grantInvoke(purgeSchedulerRole);
+    new aws_scheduler.CfnSchedule(this, "purge-schedule", {
+      description: `Purge tombstones older than ${tombstoneRetentionDays} days`,
+      scheduleExpressionTimezone: "America/Los_Angeles",
+      scheduleExpression: "cron(0 18 * * ? *)",
+      flexibleTimeWindow: { mode: "OFF" },
+      target: {
+        arn: purgeFn.functionArn,
+        roleArn: purgeSchedulerRole.roleArn,
+      },
+      state: "ENABLED",
+    });
+
+    // Backfills the search_* shadow properties, from the Loads page or after
+    // the loads of an import complete
+    const reindexFn = new aws_lambda_nodejs.NodejsFunction(this, "reindexFn", {
+      ...NodejsFunctionBaseProps,
+      entry: "./api/lambda/rebuildSearchIndex.ts",
+      timeout: Duration.minutes(15),
+      environment: {
+        NEPTUNE_ENDPOINT: cluster.clusterEndpoint.hostname,
+        NEPTUNE_PORT: cluster.clusterEndpoint.port.toString(),
+      },
+    });
+    this.lambdaFunctionNames["reindexFn"] = reindexFn.functionName;
+    reindexFn.connections.allowTo(cluster, aws_ec2.Port.tcp(8182));
+
     // Function URL
 
+    const allowedSourcePrefixes =
+      bulkLoadPrefixes.length > 0
+        ? bulkLoadPrefixes
+        : [s3Uri.vertex, s3Uri.edge].map((uri) =>
+            uri.substring(0, uri.lastIndexOf("/") + 1)
+          );
+
+    // One item per Neptune load id: who started it, its options, and its
+    // last known status, counts and errors
+    const loadHistoryTable = new aws_dynamodb.Table(this, "loadHistory", {
+      partitionKey: { name: "loadId", type: aws_dynamodb.AttributeType.STRING },
+      billingMode: aws_dynamodb.BillingMode.PAY_PER_REQUEST,
+      pointInTimeRecoverySpecification: { pointInTimeRecoveryEnabled: true },
+      removalPolicy: RemovalPolicy.DESTROY,
+    });
+    loadHistoryTable.addGlobalSecondaryIndex({
+      indexName: "byStartedAt",
+      partitionKey: { name: "kind", type: aws_dynamodb.AttributeType.STRING },
+      sortKey: { name: "startedAt", type: aws_dynamodb.AttributeType.STRING },
+    });
+
+    // Staging area of the Import page. Browsers upload with presigned URLs,
+    // so it takes cross-origin PUTs from the web app's origins; staged files
+    // are only kept for a week.
+    const importBucket = new aws_s3.Bucket(this, "importBucket", {
+      blockPublicAccess: aws_s3.BlockPublicAccess.BLOCK_ALL,
+      encryption: aws_s3.BucketEncryption.S3_MANAGED,
+      enforceSSL: true,
+      versioned: false,
+      removalPolicy: RemovalPolicy.DESTROY,
+      autoDeleteObjects: true,
+      cors:
+        webOrigins.length > 0
+          ? [
+              {
+                allowedMethods: [aws_s3.HttpMethods.PUT],
+                allowedOrigins: webOrigins,
+                allowedHeaders: ["content-type"],
+              },
+            ]
+          : undefined,
+      lifecycleRules: [{ prefix: "imports/", expiration: Duration.days(7) }],
+    });
+    const importSourcePrefix = `s3://${importBucket.bucketName}/imports/`;
+
+    // Logical backups written by exportFn; kept when the stack is deleted
+    const exportBucket = new aws_s3.Bucket(this, "exportBucket", {
+      blockPublicAccess: aws_s3.BlockPublicAccess.BLOCK_ALL,
+      encryption: aws_s3.BucketEncryption.S3_MANAGED,
+      enforceSSL: true,
+      versioned: false,
+      removalPolicy: RemovalPolicy.RETAIN,
+    });
+    const exportSourcePrefix = `s3://${exportBucket.bucketName}/exports/`;
+
     const bulkLoadFn = new aws_lambda_nodejs.NodejsFunction(
       this,
       "bulkLoadFn",
       {
         ...NodejsFunctionBaseProps,
         entry: "./api/lambda/functionUrl/index.ts",
+        // Wider project root for the CSV validator in ../shared
+        projectRoot: "./api/lambda",
         depsLockFilePath: "./api/lambda/functionUrl/package-lock.json",
+        // Room for validating the sources in memory
+        memorySize: 1024,
+        // The longest a response stream can stay open; loads still running
+        // afterwards are followed on the /loads page
+        timeout: Duration.minutes(15),
         environment: {
           NEPTUNE_ENDPOINT: cluster.clusterEndpoint.hostname,
           NEPTUNE_PORT: cluster.clusterEndpoint.port.toString(),
           VERTEX: s3Uri.vertex,
           EDGE: s3Uri.edge,
           ROLE_ARN: clusterRole.roleArn,
+          NEPTUNE_REGION: Stack.of(this).region,
+          ALLOWED_SOURCE_PREFIXES: [
+            ...allowedSourcePrefixes,
+            importSourcePrefix,
+            exportSourcePrefix,
+          ].join(","),
+          LOAD_HISTORY_TABLE: loadHistoryTable.tableName,
+          LOAD_TRACK_TIMEOUT_SECONDS: "840",
         },
         vpcSubnets: {
           subnets: vpc.publicSubnets,
@@ -252,11 +510,64 @@ export class Api extends Construct {
     );
     this.lambdaFunctionNames["bulkLoadFn"] = bulkLoadFn.functionName;
     bulkLoadFn.connections.allowTo(cluster, aws_ec2.Port.tcp(8182));
+    loadHistoryTable.grantReadWriteData(bulkLoadFn);
+    // Sources are read for `validate` requests
+    bulkLoadFn.addToRolePolicy(
+      new aws_iam.PolicyStatement({
+        actions: ["s3:GetObject", "s3:ListBucket"],
+        resources: allowedSourcePrefixes.flatMap((prefix) => {
+          const [bucket, ...key] = prefix.replace(/^s3:\/\//, "").split("/");
+          return [`arn:aws:s3:::${bucket}`, `arn:aws:s3:::${bucket}/${key.join("/")}*`];
+        }),
+      })
+    );
+    importBucket.grantRead(bulkLoadFn);
+    exportBucket.grantRead(bulkLoadFn);
+
+    // Lists and cancels loads for the /loads page and stages and starts the
+    // loads of the Import page. It shares the loader client with the
+    // Function URL and the role helpers with the graph Lambdas, hence the
+    // wider project root.
+    const loadsFn = new aws_lambda_nodejs.NodejsFunction(this, "loadsFn", {
+      ...NodejsFunctionBaseProps,
+      entry: "./api/lambda/functionUrl/loads.ts",
+      projectRoot: "./api/lambda",
+      depsLockFilePath: "./api/lambda/functionUrl/package-lock.json",
+      // Imports run asynchronously and follow their loads; AppSync still
+      // gives up on the other fields after 30 seconds
+      timeout: Duration.minutes(15),
+      // Room for validating imports in memory
+      memorySize: 1024,
+      environment: {
+        NEPTUNE_ENDPOINT: cluster.clusterEndpoint.hostname,
+        NEPTUNE_PORT: cluster.clusterEndpoint.port.toString(),
+        NEPTUNE_REGION: Stack.of(this).region,
+        LOAD_HISTORY_TABLE: loadHistoryTable.tableName,
+        ROLE_ARN: clusterRole.roleArn,
+        IMPORT_BUCKET: importBucket.bucketName,
+        REINDEX_FUNCTION_NAME: reindexFn.functionName,
+      },
+      bundling: {
+        nodeModules: [
+          "@smithy/signature-v4",
+          "@aws-sdk/credential-provider-node",
+          "@aws-crypto/sha256-js",
+          "@smithy/protocol-http",
+        ],
+      },
+    });
+    this.lambdaFunctionNames["loadsFn"] = loadsFn.functionName;
+    loadsFn.connections.allowTo(cluster, aws_ec2.Port.tcp(8182));
+    loadHistoryTable.grantReadWriteData(loadsFn);
+    // Presigned upload URLs carry the permissions of the signer
+    importBucket.grantPut(loadsFn);
+    importBucket.grantRead(loadsFn);
+    reindexFn.grantInvoke(loadsFn);
 
     const functionUrl = bulkLoadFn.addFunctionUrl({
       authType: aws_lambda.FunctionUrlAuthType.AWS_IAM,
       cors: {
-        allowedMethods: [aws_lambda.HttpMethod.GET],
+        allowedMethods: [aws_lambda.HttpMethod.GET, aws_lambda.HttpMethod.POST],
         allowedOrigins: ["*"],
         allowedHeaders: ["*"],
       },
@@ -264,12 +575,75 @@ export class Api extends Construct {
       invokeMode: aws_lambda.InvokeMode.RESPONSE_STREAM,
     });
 
+    // Writes the whole graph as bulk-load CSV to the export bucket, from the
+    // Admin page or on the schedule
+    const exportFn = new aws_lambda_nodejs.NodejsFunction(this, "exportFn", {
+      ...NodejsFunctionBaseProps,
+      entry: "./api/lambda/exportGraph.ts",
+      timeout: Duration.minutes(15),
+      memorySize: 1024,
+      // Rows are staged in /tmp per label
+      ephemeralStorageSize: Size.gibibytes(4),
+      environment: {
+        NEPTUNE_ENDPOINT: cluster.clusterEndpoint.hostname,
+        NEPTUNE_PORT: cluster.clusterEndpoint.port.toString(),
+        EXPORT_BUCKET: exportBucket.bucketName,
+      },
+    });
+    this.lambdaFunctionNames["exportFn"] = exportFn.functionName;
+    exportFn.connections.allowTo(cluster, aws_ec2.Port.tcp(8182));
+    exportBucket.grantReadWrite(exportFn);
+
+    if (exportSchedule) {
+      const exportSchedulerRole = new aws_iam.Role(this, "export-scheduler-role", {
+        assumedBy: new aws_iam.ServicePrincipal("scheduler.amazonaws.com"),
+      });
+      exportFn.grantInvoke(exportSchedulerRole);
+      new aws_scheduler.CfnSchedule(this, "export-schedule", {
+        description: "Export the graph to bulk-load CSV as a logical backup",
+        scheduleExpressionTimezone: "America/Los_Angeles",
+        // The default runs on Sunday evening, before the nightly cluster stop
+        scheduleExpression: exportSchedule,
+        flexibleTimeWindow: { mode: "OFF" },
+        target: {
+          arn: exportFn.functionArn,
+          roleArn: exportSchedulerRole.roleArn,
+          input: JSON.stringify({ source: "schedule" }),
+        },
+        state: "ENABLED",
+      });
+      NagSuppressions.addResourceSuppressions(
+        exportSchedulerRole,
+        [
+          {
+            id: "AwsSolutions-IAM5",
+            reason:
+              "Wildcard on Lambda ARN version is required by grantInvoke for EventBridge Scheduler",
+          },
+        ],
+        true
+      );
+    }
+
     graphqlFieldName.map((filedName: string) => {
       // Data sources
       let targetFn;
-      if (filedName === "askGraph") {
+      if (COGNITO_ADMIN_FIELDS.includes(filedName)) {
+        targetFn = cognitoAdminFn;
+      } else if (LOAD_FIELDS.includes(filedName)) {
+        targetFn = loadsFn;
+      } else if (EXPORT_FIELDS.includes(filedName)) {
+        targetFn = exportFn;
+      } else if (REINDEX_FIELDS.includes(filedName)) {
+        targetFn = reindexFn;
+      } else if (filedName === "askGraph") {
         targetFn = aiQueryFn;
-      } else if (filedName.startsWith("get") || filedName.startsWith("search")) {
+      } else if (
+        filedName.startsWith("get") ||
+        filedName.startsWith("search") ||
+        filedName.startsWith("find") ||
+        EXTRA_QUERY_FIELDS.includes(filedName)
+      ) {
         targetFn = queryFn;
       } else {
         targetFn = mutationFn;
@@ -282,14 +656,21 @@ export class Api extends Construct {
       // Resolver
       datasource.createResolver(`${filedName}Resolver`, {
         fieldName: `${filedName}`,
-        typeName: filedName.startsWith("get") || filedName.startsWith("ask") || filedName.startsWith("search")
-          ? "Query"
-          : "Mutation",
+        typeName:
+          filedName.startsWith("get") ||
+          filedName.startsWith("ask") ||
+          filedName.startsWith("search") ||
+          filedName.startsWith("find") ||
+          EXTRA_QUERY_FIELDS.includes(filedName)
+            ? "Query"
+            : "Mutation",
         requestMappingTemplate: MappingTemplate.fromFile(
           `./api/graphql/resolvers/requests/${filedName}.vtl`
         ),
         responseMappingTemplate: MappingTemplate.fromFile(
-          "./api/graphql/resolvers/responses/default.vtl"
+          `./api/graphql/resolvers/responses/${
+            RESPONSE_TEMPLATES[filedName] ?? "default.vtl"
+          }`
         ),
       });
     });
@@ -324,6 +705,29 @@ export class Api extends Construct {
       ],
       true
     );
+    NagSuppressions.addResourceSuppressions(exportBucket, [
+      {
+        id: "AwsSolutions-S1",
+        reason: "Written only by the export Lambda; each export has a manifest",
+      },
+    ]);
+    NagSuppressions.addResourceSuppressions(importBucket, [
+      {
+        id: "AwsSolutions-S1",
+        reason: "Short-lived staging uploads; loads are recorded in the load history table",
+      },
+    ]);
+    NagSuppressions.addResourceSuppressions(
+      purgeSchedulerRole,
+      [
+        {
+          id: "AwsSolutions-IAM5",
+          reason:
+            "Wildcard on Lambda ARN version is required by grantInvoke for EventBridge Scheduler",
+        },
+      ],
+      true
+    );
     NagSuppressions.addResourceSuppressions(
       aiQueryRole,
       [
@@ -1,5 +1,7 @@
 import { Construct } from "constructs";
 import { Duration, aws_cognito, aws_iam } from "aws-cdk-lib";
+export declare const ROLE_GROUPS: readonly ["Viewer", "Editor", "Admin"];
+export declare const INTEGRATION_RESOURCE_SERVER = "graph-api";
 export interface CognitoProps {
     adminEmail: string;
     userName?: string;
@@ -9,6 +11,8 @@ export interface CognitoParams {
     userPoolId: string;
     userPoolClientId: string;
     identityPoolId: string;
+    /** OAuth2 token endpoint used by integration clients */
+    tokenUrl: string;
 }
 export declare class Cognito extends Construct {
     readonly cognitoParams: CognitoParams;
@@ -1,11 +1,31 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.Cognito = void 0;
+exports.Cognito = exports.INTEGRATION_RESOURCE_SERVER = exports.ROLE_GROUPS = void 0;
 const constructs_1 = require("constructs");
 const aws_cdk_lib_1 = require("aws-cdk-lib");
 const custom_resources_1 = require("aws-cdk-lib/custom-resources");
 const aws_cognito_identitypool_1 = require("aws-cdk-lib/aws-cognito-identitypool");
 const cdk_nag_1 = require("cdk-nag");
+// Role groups, lowest first; each includes the permissions of the ones
+// before it. api/lambda/shared/roles.ts and schema.graphql use the same names.
+exports.ROLE_GROUPS = ["Viewer", "Editor", "Admin"];
+const ROLE_DESCRIPTIONS = {
+    Viewer: "Read-only access to the graph",
+    Editor: "Viewer access plus creating, editing and deleting data",
+    Admin: "Editor access plus maintenance and infrastructure controls",
+};
+// Groups that may see Confidential/Restricted business services; the rule
+// lives in api/lambda/shared/classification.ts
+const CLASSIFICATION_GROUPS = {
+    "confidential-readers": "Can see Confidential business services",
+    "restricted-readers": "Can see Confidential and Restricted business services",
+};
+// OAuth2 resource server for integration clients (client-credentials
+// grant). api/lambda/shared/integration.ts maps fields to these scopes.
+exports.INTEGRATION_RESOURCE_SERVER = "graph-api";
+const INTEGRATION_SCOPES = {
+    ingest: "Create and upsert vertices and edges",
+};
 class Cognito extends constructs_1.Construct {
     constructor(scope, id, props) {
         super(scope, id);
@@ -53,15 +73,50 @@ class Cognito extends constructs_1.Construct {
             },
         });
         this.authenticatedRole = identityPool.authenticatedRole;
-        new CreatePoolUser(this, "admin-user", {
+        // Lower precedence wins when a user is in several groups
+        const groups = exports.ROLE_GROUPS.map((groupName, index) => new aws_cdk_lib_1.aws_cognito.CfnUserPoolGroup(this, `${groupName}Group`, {
+            userPoolId: this.userPool.userPoolId,
+            groupName,
+            description: ROLE_DESCRIPTIONS[groupName],
+            precedence: exports.ROLE_GROUPS.length - 1 - index,
+        }));
+        // Classification groups sit after the role groups so they never decide
+        // precedence
+        Object.entries(CLASSIFICATION_GROUPS).forEach(([groupName, description], index) => new aws_cdk_lib_1.aws_cognito.CfnUserPoolGroup(this, `${groupName}-group`, {
+            userPoolId: this.userPool.userPoolId,
+            groupName,
+            description,
+            precedence: exports.ROLE_GROUPS.length + index,
+        }));
+        // Integration clients are created at runtime from the admin UI; the
+        // domain hosts the /oauth2/token endpoint they get tokens from
+        this.userPool.addResourceServer("integration-resource-server", {
+            identifier: exports.INTEGRATION_RESOURCE_SERVER,
+            userPoolResourceServerName: "Graph API integrations",
+            scopes: Object.entries(INTEGRATION_SCOPES).map(([scopeName, scopeDescription]) => new aws_cdk_lib_1.aws_cognito.ResourceServerScope({ scopeName, scopeDescription })),
+        });
+        const domain = this.userPool.addDomain("integration-domain", {
+            cognitoDomain: {
+                // Prefixes are global and may not contain "cognito"
+                domainPrefix: `${aws_cdk_lib_1.Stack.of(this).stackName.toLowerCase()}-${aws_cdk_lib_1.Stack.of(this).account}`,
+            },
+        });
+        const adminUser = new CreatePoolUser(this, "admin-user", {
             email: props.adminEmail,
             username: props.userName,
             userPool: this.userPool,
         });
+        const adminMembership = new aws_cdk_lib_1.aws_cognito.CfnUserPoolUserToGroupAttachment(this, "admin-user-group", {
+            userPoolId: this.userPool.userPoolId,
+            groupName: "Admin",
+            username: props.userName,
+        });
+        adminMembership.node.addDependency(adminUser, groups[exports.ROLE_GROUPS.indexOf("Admin")]);
         this.cognitoParams = {
             userPoolId: this.userPool.userPoolId,
             userPoolClientId: userPoolClient.userPoolClientId,
             identityPoolId: identityPool.identityPoolId,
+            tokenUrl: `${domain.baseUrl()}/oauth2/token`,
         };
         new aws_cdk_lib_1.CfnOutput(this, "UserPoolId", {
             value: this.userPool.userPoolId,
@@ -72,6 +127,9 @@ class Cognito extends constructs_1.Construct {
         new aws_cdk_lib_1.CfnOutput(this, "IdentityPoolId", {
             value: identityPool.identityPoolId,
         });
+        new aws_cdk_lib_1.CfnOutput(this, "IntegrationTokenUrl", {
+            value: this.cognitoParams.tokenUrl,
+        });
         // Suppressions
         cdk_nag_1.NagSuppressions.addResourceSuppressions(this.userPool, [
             {
@@ -121,4 +179,4 @@ class CreatePoolUser extends constructs_1.Construct {
         });
     }
 }
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY29nbml0by5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImNvZ25pdG8udHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBQUEsMkNBQXVDO0FBQ3ZDLDZDQU1xQjtBQUVyQixtRUFJc0M7QUFFdEMsbUZBRzhDO0FBQzlDLHFDQUEwQztBQWMxQyxNQUFhLE9BQVEsU0FBUSxzQkFBUztJQUlwQyxZQUFZLEtBQWdCLEVBQUUsRUFBVSxFQUFFLEtBQW1CO1FBQzNELEtBQUssQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFFakIsSUFBSSxDQUFDLEtBQUssQ0FBQyxRQUFRO1lBQUUsS0FBSyxDQUFDLFFBQVEsR0FBRyxLQUFLLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUVyRSxJQUFJLENBQUMsUUFBUSxHQUFHLElBQUkseUJBQVcsQ0FBQyxRQUFRLENBQUMsSUFBSSxFQUFFLFVBQVUsRUFBRTtZQUN6RCxZQUFZLEVBQUUsR0FBRyxFQUFFLGVBQWU7WUFDbEMsYUFBYSxFQUFFO2dCQUNiLFFBQVEsRUFBRSxJQUFJO2dCQUNkLEtBQUssRUFBRSxJQUFJO2FBQ1o7WUFDRCxlQUFlLEVBQUUseUJBQVcsQ0FBQyxlQUFlLENBQUMsVUFBVTtZQUN2RCxhQUFhLEVBQUUsMkJBQWEsQ0FBQyxPQUFPO1lBQ3BDLGlCQUFpQixFQUFFLEtBQUs7WUFDeEIsK0dBQStHO1lBQy9HLDRCQUE0QixFQUFFLHlCQUFXLENBQUMsNEJBQTRCLENBQUMsYUFBYTtZQUNwRixtSEFBbUg7WUFDbkgsVUFBVSxFQUFFO2dCQUNWLEtBQUssRUFBRSxJQUFJO2FBQ1o7WUFDRCxjQUFjLEVBQUU7Z0JBQ2QsU0FBUyxFQUFFLENBQUM7Z0JBQ1osZ0JBQWdCLEVBQUUsSUFBSTtnQkFDdEIsYUFBYSxFQUFFLElBQUk7Z0JBQ25CLGNBQWMsRUFBRSxJQUFJO2FBQ3JCO1NBQ0YsQ0FBQyxDQUFDO1FBRUgsTUFBTSxjQUFjLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxTQUFTLENBQUMsY0FBYyxFQUFFO1lBQzdELFNBQVMsRUFBRTtnQkFDVCxPQUFPLEVBQUUsSUFBSTtnQkFDYixpQkFBaUIsRUFBRSxJQUFJO2FBQ3hCO1lBQ0QsMEJBQTBCLEVBQUUsSUFBSTtZQUNoQyxvQkFBb0IsRUFBRSxLQUFLLENBQUMsb0JBQW9CO1NBQ2pELENBQUMsQ0FBQztRQUVILE1BQU0sWUFBWSxHQUFHLElBQUksdUNBQVksQ0FBQyxJQUFJLEVBQUUsY0FBYyxFQUFFO1lBQzFELDhCQUE4QixFQUFFLEtBQUs7WUFDckMsdUJBQXVCLEVBQUU7Z0JBQ3ZCLFNBQVMsRUFBRTtvQkFDVCxJQUFJLHlEQUE4QixDQUFDO3dCQUNqQyxRQUFRLEVBQUUsSUFBSSxDQUFDLFFBQVE7d0JBQ3ZCLGNBQWM7cUJBQ2YsQ0FBQztpQkFDSDthQUNGO1NBQ0YsQ0FBQyxDQUFDO1FBRUgsSUFBSSxDQUFDLGlCQUFpQixHQUFHLFlBQVksQ0FBQyxpQkFBaUIsQ0FBQztRQUV4RCxJQUFJLGNBQWMsQ0FBQyxJQUFJLEVBQUUsWUFBWSxFQUFFO1lBQ3JDLEtBQUssRUFBRSxLQUFLLENBQUMsVUFBVTtZQUN2QixRQUFRLEVBQUUsS0FBSyxDQUFDLFFBQVE7WUFDeEIsUUFBUSxFQUFFLElBQUksQ0FBQyxRQUFRO1NBQ3hCLENBQUMsQ0FBQztRQUVILElBQUksQ0FBQyxhQUFhLEdBQUc7WUFDbkIsVUFBVSxFQUFFLElBQUksQ0FBQyxRQUFRLENBQUMsVUFBVTtZQUNwQyxnQkFBZ0IsRUFBRSxjQUFjLENBQUMsZ0JBQWdCO1lBQ2pELGNBQWMsRUFBRSxZQUFZLENBQUMsY0FBYztTQUM1QyxDQUFDO1FBRUYsSUFBSSx1QkFBUyxDQUFDLElBQUksRUFBRSxZQUFZLEVBQUU7WUFDaEMsS0FBSyxFQUFFLElBQUksQ0FBQyxRQUFRLENBQUMsVUFBVTtTQUNoQyxDQUFDLENBQUM7UUFDSCxJQUFJLHVCQUFTLENBQUMsSUFBSSxFQUFFLGtCQUFrQixFQUFFO1lBQ3RDLEtBQUssRUFBRSxjQUFjLENBQUMsZ0JBQWdCO1NBQ3ZDLENBQUMsQ0FBQztRQUNILElBQUksdUJBQVMsQ0FBQyxJQUFJLEVBQUUsZ0JBQWdCLEVBQUU7WUFDcEMsS0FBSyxFQUFFLFlBQVksQ0FBQyxjQUFjO1NBQ25DLENBQUMsQ0FBQztRQUVILGVBQWU7UUFDZix5QkFBZSxDQUFDLHVCQUF1QixDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUU7WUFDckQ7Z0JBQ0UsRUFBRSxFQUFFLG1CQUFtQjtnQkFDdkIsTUFBTSxFQUFFLHdCQUF3QjthQUNqQztTQUNGLENBQUMsQ0FBQztJQUNMLENBQUM7Q0FDRjtBQXJGRCwwQkFxRkM7QUFFRCxNQUFNLGNBQWUsU0FBUSxzQkFBUztJQUVwQyxZQUNFLEtBQWdCLEVBQ2hCLEVBQVUsRUFDVixLQUlDO1FBRUQsS0FBSyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQztRQUVqQixNQUFNLFNBQVMsR0FBRyxJQUFJLHFCQUFPLENBQUMsZUFBZSxDQUFDO1lBQzVDLE9BQU8sRUFBRSxDQUFDLDZCQUE2QixFQUFFLDZCQUE2QixDQUFDO1lBQ3ZFLFNBQVMsRUFBRSxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsV0FBVyxDQUFDO1NBQ3hDLENBQUMsQ0FBQztRQUVILElBQUksb0NBQWlCLENBQUMsSUFBSSxFQUFFLGNBQWMsRUFBRSxFQUFFLEVBQUU7WUFDOUMsUUFBUSxFQUFFO2dCQUNSLE9BQU8sRUFBRSxnQ0FBZ0M7Z0JBQ3pDLE1BQU0sRUFBRSxpQkFBaUI7Z0JBQ3pCLFVBQVUsRUFBRTtvQkFDVixVQUFVLEVBQUUsS0FBSyxDQUFDLFFBQVEsQ0FBQyxVQUFVO29CQUNyQyxRQUFRLEVBQUUsS0FBSyxDQUFDLFFBQVE7b0JBQ3hCLGNBQWMsRUFBRTt3QkFDZDs0QkFDRSxJQUFJLEVBQUUsT0FBTzs0QkFDYixLQUFLLEVBQUUsS0FBSyxDQUFDLEtBQUs7eUJBQ25CO3dCQUNEOzRCQUNFLElBQUksRUFBRSxnQkFBZ0I7NEJBQ3RCLEtBQUssRUFBRSxNQUFNO3lCQUNkO3FCQUNGO2lCQUNGO2dCQUNELGtCQUFrQixFQUFFLHFDQUFrQixDQUFDLEVBQUUsQ0FDdkMsY0FBYyxFQUFFLElBQUksS0FBSyxDQUFDLFFBQVEsRUFBRSxDQUNyQzthQUNGO1lBQ0QsUUFBUSxFQUFFO2dCQUNSLE9BQU8sRUFBRSxnQ0FBZ0M7Z0JBQ3pDLE1BQU0sRUFBRSxpQkFBaUI7Z0JBQ3pCLFVBQVUsRUFBRTtvQkFDVixVQUFVLEVBQUUsS0FBSyxDQUFDLFFBQVEsQ0FBQyxVQUFVO29CQUNyQyxRQUFRLEVBQUUsS0FBSyxDQUFDLFFBQVE7aUJBQ3pCO2FBQ0Y7WUFDRCxNQUFNLEVBQUUsMENBQXVCLENBQUMsY0FBYyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUM7U0FDNUQsQ0FBQyxDQUFDO0lBQ0wsQ0FBQztDQUNGIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgQ29uc3RydWN0IH0gZnJvbSBcImNvbnN0cnVjdHNcIjtcbmltcG9ydCB7XG4gIER1cmF0aW9uLFxuICBSZW1vdmFsUG9saWN5LFxuICBhd3NfY29nbml0byxcbiAgYXdzX2lhbSxcbiAgQ2ZuT3V0cHV0LFxufSBmcm9tIFwiYXdzLWNkay1saWJcIjtcblxuaW1wb3J0IHtcbiAgQXdzQ3VzdG9tUmVzb3VyY2UsXG4gIEF3c0N1c3RvbVJlc291cmNlUG9saWN5LFxuICBQaHlzaWNhbFJlc291cmNlSWQsXG59IGZyb20gXCJhd3MtY2RrLWxpYi9jdXN0b20tcmVzb3VyY2VzXCI7XG5cbmltcG9ydCB7XG4gIElkZW50aXR5UG9vbCxcbiAgVXNlclBvb2xBdXRoZW50aWNhdGlvblByb3ZpZGVyLFxufSBmcm9tIFwiYXdzLWNkay1saWIvYXdzLWNvZ25pdG8taWRlbnRpdHlwb29sXCI7XG5pbXBvcnQgeyBOYWdTdXBwcmVzc2lvbnMgfSBmcm9tIFwiY2RrLW5hZ1wiO1xuXG5leHBvcnQgaW50ZXJmYWNlIENvZ25pdG9Qcm9wcyB7XG4gIGFkbWluRW1haWw6IHN0cmluZztcbiAgdXNlck5hbWU/OiBzdHJpbmc7XG4gIHJlZnJlc2hUb2tlblZhbGlkaXR5PzogRHVyYXRpb247XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgQ29nbml0b1BhcmFtcyB7XG4gIHVzZXJQb29sSWQ6IHN0cmluZztcbiAgdXNlclBvb2xDbGllbnRJZDogc3RyaW5nO1xuICBpZGVudGl0eVBvb2xJZDogc3RyaW5nO1xufVxuXG5leHBvcnQgY2xhc3MgQ29nbml0byBleHRlbmRzIENvbnN0cnVjdCB7XG4gIHB1YmxpYyByZWFkb25seSBjb2duaXRvUGFyYW1zOiBDb2duaXRvUGFyYW1zO1xuICBwdWJsaWMgcmVhZG9ubHkgdXNlclBvb2w6IGF3c19jb2duaXRvLlVzZXJQb29sO1xuICBwdWJsaWMgcmVhZG9ubHkgYXV0aGVudGljYXRlZFJvbGU6IGF3c19pYW0uSVJvbGU7XG4gIGNvbnN0cnVjdG9yKHNjb3BlOiBDb25zdHJ1Y3QsIGlkOiBzdHJpbmcsIHByb3BzOiBDb2duaXRvUHJvcHMpIHtcbiAgICBzdXBlcihzY29wZSwgaWQpO1xuXG4gICAgaWYgKCFwcm9wcy51c2VyTmFtZSkgcHJvcHMudXNlck5hbWUgPSBwcm9wcy5hZG1pbkVtYWlsLnNwbGl0KFwiQFwiKVswXTtcblxuICAgIHRoaXMudXNlclBvb2wgPSBuZXcgYXdzX2NvZ25pdG8uVXNlclBvb2wodGhpcywgXCJ1c2VycG9vbFwiLCB7XG4gICAgICB1c2VyUG9vbE5hbWU6IGAke2lkfS1hcHAtdXNlcnBvb2xgLFxuICAgICAgc2lnbkluQWxpYXNlczoge1xuICAgICAgICB1c2VybmFtZTogdHJ1ZSxcbiAgICAgICAgZW1haWw6IHRydWUsXG4gICAgICB9LFxuICAgICAgYWNjb3VudFJlY292ZXJ5OiBhd3NfY29nbml0by5BY2NvdW50UmVjb3ZlcnkuRU1BSUxfT05MWSxcbiAgICAgIHJlbW92YWxQb2xpY3k6IFJlbW92YWxQb2xpY3kuREVTVFJPWSxcbiAgICAgIHNlbGZTaWduVXBFbmFibGVkOiBmYWxzZSxcbiAgICAgIC8vIGFkdmFuY2VkU2VjdXJpdHlNb2RlIGlzIGRlcHJlY2F0ZWQuIFVzZSBTdGFuZGFyZFRocmVhdFByb3RlY3Rpb25Nb2RlIGFuZCBDdXN0b21UaHJlYXRQcm90ZWN0aW9uTW9kZSBpbnN0ZWFkLlxuICAgICAgc3RhbmRhcmRUaHJlYXRQcm90ZWN0aW9uTW9kZTogYXdzX2NvZ25pdG8uU3RhbmRhcmRUaHJlYXRQcm90ZWN0aW9uTW9kZS5GVUxMX0ZVTkNUSU9OLFxuICAgICAgLy8gY3VzdG9tVGhyZWF0UHJvdGVjdGlvbk1vZGU6IGF3c19jb2duaXRvLkN1c3RvbVRocmVhdFByb3RlY3Rpb25Nb2RlLkVOQUJMRUQsIC8vIFVuY29tbWVudCBhbmQgY29uZmlndXJlIGFzIG5lZWRlZFxuICAgICAgYXV0b1ZlcmlmeToge1xuICAgICAgICBlbWFpbDogdHJ1ZSxcbiAgICAgIH0sXG4gICAgICBwYXNzd29yZFBvbGljeToge1xuICAgICAgICBtaW5MZW5ndGg6IDgsXG4gICAgICAgIHJlcXVpcmVVcHBlcmNhc2U6IHRydWUsXG4gICAgICAgIHJlcXVpcmVEaWdpdHM6IHRydWUsXG4gICAgICAgIHJlcXVpcmVTeW1ib2xzOiB0cnVlLFxuICAgICAgfSxcbiAgICB9KTtcblxuICAgIGNvbnN0IHVzZXJQb29sQ2xpZW50ID0gdGhpcy51c2VyUG9vbC5hZGRDbGllbnQoXCJ3ZWJhcHBDbGllbnRcIiwge1xuICAgICAgYXV0aEZsb3dzOiB7XG4gICAgICAgIHVzZXJTcnA6IHRydWUsXG4gICAgICAgIGFkbWluVXNlclBhc3N3b3JkOiB0cnVlLFxuICAgICAgfSxcbiAgICAgIHByZXZlbnRVc2VyRXhpc3RlbmNlRXJyb3JzOiB0cnVlLFxuICAgICAgcmVmcmVzaFRva2VuVmFsaWRpdHk6IHByb3BzLnJlZnJlc2hUb2tlblZhbGlkaXR5LFxuICAgIH0pO1xuXG4gICAgY29uc3QgaWRlbnRpdHlQb29sID0gbmV3IElkZW50aXR5UG9vbCh0aGlzLCBcImlkZW50aXR5UG9vbFwiLCB7XG4gICAgICBhbGxvd1VuYXV0aGVudGljYXRlZElkZW50aXRpZXM6IGZhbHNlLFxuICAgICAgYXV0aGVudGljYXRpb25Qcm92aWRlcnM6IHtcbiAgICAgICAgdXNlclBvb2xzOiBbXG4gICAgICAgICAgbmV3IFVzZXJQb29sQXV0aGVudGljYXRpb25Qcm92aWRlcih7XG4gICAgICAgICAgICB1c2VyUG9vbDogdGhpcy51c2VyUG9vbCxcbiAgICAgICAgICAgIHVzZXJQb29sQ2xpZW50LFxuICAgICAgICAgIH0pLFxuICAgICAgICBdLFxuICAgICAgfSxcbiAgICB9KTtcblxuICAgIHRoaXMuYXV0aGVudGljYXRlZFJvbGUgPSBpZGVudGl0eVBvb2wuYXV0aGVudGljYXRlZFJvbGU7XG5cbiAgICBuZXcgQ3JlYXRlUG9vbFVzZXIodGhpcywgXCJhZG1pbi11c2VyXCIsIHtcbiAgICAgIGVtYWlsOiBwcm9wcy5hZG1pbkVtYWlsLFxuICAgICAgdXNlcm5hbWU6IHByb3BzLnVzZXJOYW1lLFxuICAgICAgdXNlclBvb2w6IHRoaXMudXNlclBvb2wsXG4gICAgfSk7XG5cbiAgICB0aGlzLmNvZ25pdG9QYXJhbXMgPSB7XG4gICAgICB1c2VyUG9vbElkOiB0aGlzLnVzZXJQb29sLnVzZXJQb29sSWQsXG4gICAgICB1c2VyUG9vbENsaWVudElkOiB1c2VyUG9vbENsaWVudC51c2VyUG9vbENsaWVudElkLFxuICAgICAgaWRlbnRpdHlQb29sSWQ6IGlkZW50aXR5UG9vbC5pZGVudGl0eVBvb2xJZCxcbiAgICB9O1xuXG4gICAgbmV3IENmbk91dHB1dCh0aGlzLCBcIlVzZXJQb29sSWRcIiwge1xuICAgICAgdmFsdWU6IHRoaXMudXNlclBvb2wudXNlclBvb2xJZCxcbiAgICB9KTtcbiAgICBuZXcgQ2ZuT3V0cHV0KHRoaXMsIFwiVXNlclBvb2xDbGllbnRJZFwiLCB7XG4gICAgICB2YWx1ZTogdXNlclBvb2xDbGllbnQudXNlclBvb2xDbGllbnRJZCxcbiAgICB9KTtcbiAgICBuZXcgQ2ZuT3V0cHV0KHRoaXMsIFwiSWRlbnRpdHlQb29sSWRcIiwge1xuICAgICAgdmFsdWU6IGlkZW50aXR5UG9vbC5pZGVudGl0eVBvb2xJZCxcbiAgICB9KTtcblxuICAgIC8vIFN1cHByZXNzaW9uc1xuICAgIE5hZ1N1cHByZXNzaW9ucy5hZGRSZXNvdXJjZVN1cHByZXNzaW9ucyh0aGlzLnVzZXJQb29sLCBbXG4gICAgICB7XG4gICAgICAgIGlkOiBcIkF3c1NvbHV0aW9ucy1DT0cyXCIsXG4gICAgICAgIHJlYXNvbjogXCJObyBuZWVkIE1GQSBmb3Igc2FtcGxlXCIsXG4gICAgICB9LFxuICAgIF0pO1xuICB9XG59XG5cbmNsYXNzIENyZWF0ZVBvb2xVc2VyIGV4dGVuZHMgQ29uc3RydWN0IHtcbiAgcHVibGljIHJlYWRvbmx5IHVzZXJuYW1lOiBzdHJpbmcgfCB1bmRlZmluZWQ7XG4gIGNvbnN0cnVjdG9yKFxuICAgIHNjb3BlOiBDb25zdHJ1Y3QsXG4gICAgaWQ6IHN0cmluZyxcbiAgICBwcm9wczoge1xuICAgICAgdXNlclBvb2w6IGF3c19jb2duaXRvLklVc2VyUG9vbDtcbiAgICAgIHVzZXJuYW1lOiBzdHJpbmc7XG4gICAgICBlbWFpbDogc3RyaW5nIHwgdW5kZWZpbmVkO1xuICAgIH1cbiAgKSB7XG4gICAgc3VwZXIoc2NvcGUsIGlkKTtcblxuICAgIGNvbnN0IHN0YXRlbWVudCA9IG5ldyBhd3NfaWFtLlBvbGljeVN0YXRlbWVudCh7XG4gICAgICBhY3Rpb25zOiBbXCJjb2duaXRvLWlkcDpBZG1pbkRlbGV0ZVVzZXJcIiwgXCJjb2duaXRvLWlkcDpBZG1pbkNyZWF0ZVVzZXJcIl0sXG4gICAgICByZXNvdXJjZXM6IFtwcm9wcy51c2VyUG9vbC51c2VyUG9vbEFybl0sXG4gICAgfSk7XG5cbiAgICBuZXcgQXdzQ3VzdG9tUmVzb3VyY2UodGhpcywgYENyZWF0ZVVzZXItJHtpZH1gLCB7XG4gICAgICBvbkNyZWF0ZToge1xuICAgICAgICBzZXJ2aWNlOiBcIkNvZ25pdG9JZGVudGl0eVNlcnZpY2VQcm92aWRlclwiLFxuICAgICAgICBhY3Rpb246IFwiYWRtaW5DcmVhdGVVc2VyXCIsXG4gICAgICAgIHBhcmFtZXRlcnM6IHtcbiAgICAgICAgICBVc2VyUG9vbElkOiBwcm9wcy51c2VyUG9vbC51c2VyUG9vbElkLFxuICAgICAgICAgIFVzZXJuYW1lOiBwcm9wcy51c2VybmFtZSxcbiAgICAgICAgICBVc2VyQXR0cmlidXRlczogW1xuICAgICAgICAgICAge1xuICAgICAgICAgICAgICBOYW1lOiBcImVtYWlsXCIsXG4gICAgICAgICAgICAgIFZhbHVlOiBwcm9wcy5lbWFpbCxcbiAgICAgICAgICAgIH0sXG4gICAgICAgICAgICB7XG4gICAgICAgICAgICAgIE5hbWU6IFwiZW1haWxfdmVyaWZpZWRcIixcbiAgICAgICAgICAgICAgVmFsdWU6IFwidHJ1ZVwiLFxuICAgICAgICAgICAgfSxcbiAgICAgICAgICBdLFxuICAgICAgICB9LFxuICAgICAgICBwaHlzaWNhbFJlc291cmNlSWQ6IFBoeXNpY2FsUmVzb3VyY2VJZC5vZihcbiAgICAgICAgICBgQ3JlYXRlVXNlci0ke2lkfS0ke3Byb3BzLnVzZXJuYW1lfWBcbiAgICAgICAgKSxcbiAgICAgIH0sXG4gICAgICBvbkRlbGV0ZToge1xuICAgICAgICBzZXJ2aWNlOiBcIkNvZ25pdG9JZGVudGl0eVNlcnZpY2VQcm92aWRlclwiLFxuICAgICAgICBhY3Rpb246IFwiYWRtaW5EZWxldGVVc2VyXCIsXG4gICAgICAgIHBhcmFtZXRlcnM6IHtcbiAgICAgICAgICBVc2VyUG9vbElkOiBwcm9wcy51c2VyUG9vbC51c2VyUG9vbElkLFxuICAgICAgICAgIFVzZXJuYW1lOiBwcm9wcy51c2VybmFtZSxcbiAgICAgICAgfSxcbiAgICAgIH0sXG4gICAgICBwb2xpY3k6IEF3c0N1c3RvbVJlc291cmNlUG9saWN5LmZyb21TdGF0ZW1lbnRzKFtzdGF0ZW1lbnRdKSxcbiAgICB9KTtcbiAgfVxufVxuIl19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY29nbml0by5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImNvZ25pdG8udHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBQUEsMkNBQXVDO0FBQ3ZDLDZDQU9xQjtBQUVyQixtRUFJc0M7QUFFdEMsbUZBRzhDO0FBQzlDLHFDQUEwQztBQUUxQyx1RUFBdUU7QUFDdkUsK0VBQStFO0FBQ2xFLFFBQUEsV0FBVyxHQUFHLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxPQUFPLENBQVUsQ0FBQztBQUVsRSxNQUFNLGlCQUFpQixHQUFpRDtJQUN0RSxNQUFNLEVBQUUsK0JBQStCO0lBQ3ZDLE1BQU0sRUFBRSx3REFBd0Q7SUFDaEUsS0FBSyxFQUFFLDREQUE0RDtDQUNwRSxDQUFDO0FBRUYsMEVBQTBFO0FBQzFFLCtDQUErQztBQUMvQyxNQUFNLHFCQUFxQixHQUEyQjtJQUNwRCxzQkFBc0IsRUFBRSx3Q0FBd0M7SUFDaEUsb0JBQW9CLEVBQUUsdURBQXVEO0NBQzlFLENBQUM7QUFFRixxRUFBcUU7QUFDckUsd0VBQXdFO0FBQzNELFFBQUEsMkJBQTJCLEdBQUcsV0FBVyxDQUFDO0FBQ3ZELE1BQU0sa0JBQWtCLEdBQTJCO0lBQ2pELE1BQU0sRUFBRSxzQ0FBc0M7Q0FDL0MsQ0FBQztBQWdCRixNQUFhLE9BQVEsU0FBUSxzQkFBUztJQUlwQyxZQUFZLEtBQWdCLEVBQUUsRUFBVSxFQUFFLEtBQW1CO1FBQzNELEtBQUssQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFFakIsSUFBSSxDQUFDLEtBQUssQ0FBQyxRQUFRO1lBQUUsS0FBSyxDQUFDLFFBQVEsR0FBRyxLQUFLLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUVyRSxJQUFJLENBQUMsUUFBUSxHQUFHLElBQUkseUJBQVcsQ0FBQyxRQUFRLENBQUMsSUFBSSxFQUFFLFVBQVUsRUFBRTtZQUN6RCxZQUFZLEVBQUUsR0FBRyxFQUFFLGVBQWU7WUFDbEMsYUFBYSxFQUFFO2dCQUNiLFFBQVEsRUFBRSxJQUFJO2dCQUNkLEtBQUssRUFBRSxJQUFJO2FBQ1o7WUFDRCxlQUFlLEVBQUUseUJBQVcsQ0FBQyxlQUFlLENBQUMsVUFBVTtZQUN2RCxhQUFhLEVBQUUsMkJBQWEsQ0FBQyxPQUFPO1lBQ3BDLGlCQUFpQixFQUFFLEtBQUs7WUFDeEIsK0dBQStHO1lBQy9HLDRCQUE0QixFQUFFLHlCQUFXLENBQUMsNEJBQTRCLENBQUMsYUFBYTtZQUNwRixtSEFBbUg7WUFDbkgsVUFBVSxFQUFFO2dCQUNWLEtBQUssRUFBRSxJQUFJO2FBQ1o7WUFDRCxjQUFjLEVBQUU7Z0JBQ2QsU0FBUyxFQUFFLENBQUM7Z0JBQ1osZ0JBQWdCLEVBQUUsSUFBSTtnQkFDdEIsYUFBYSxFQUFFLElBQUk7Z0JBQ25CLGNBQWMsRUFBRSxJQUFJO2FBQ3JCO1NBQ0YsQ0FBQyxDQUFDO1FBRUgsTUFBTSxjQUFjLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxTQUFTLENBQUMsY0FBYyxFQUFFO1lBQzdELFNBQVMsRUFBRTtnQkFDVCxPQUFPLEVBQUUsSUFBSTtnQkFDYixpQkFBaUIsRUFBRSxJQUFJO2FBQ3hCO1lBQ0QsMEJBQTBCLEVBQUUsSUFBSTtZQUNoQyxvQkFBb0IsRUFBRSxLQUFLLENBQUMsb0JBQW9CO1NBQ2pELENBQUMsQ0FBQztRQUVILE1BQU0sWUFBWSxHQUFHLElBQUksdUNBQVksQ0FBQyxJQUFJLEVBQUUsY0FBYyxFQUFFO1lBQzFELDhCQUE4QixFQUFFLEtBQUs7WUFDckMsdUJBQXVCLEVBQUU7Z0JBQ3ZCLFNBQVMsRUFBRTtvQkFDVCxJQUFJLHlEQUE4QixDQUFDO3dCQUNqQyxRQUFRLEVBQUUsSUFBSSxDQUFDLFFBQVE7d0JBQ3ZCLGNBQWM7cUJBQ2YsQ0FBQztpQkFDSDthQUNGO1NBQ0YsQ0FBQyxDQUFDO1FBRUgsSUFBSSxDQUFDLGlCQUFpQixHQUFHLFlBQVksQ0FBQyxpQkFBaUIsQ0FBQztRQUV4RCx5REFBeUQ7UUFDekQsTUFBTSxNQUFNLEdBQUcsbUJBQVcsQ0FBQyxHQUFHLENBQzVCLENBQUMsU0FBUyxFQUFFLEtBQUssRUFBRSxFQUFFLENBQ25CLElBQUkseUJBQVcsQ0FBQyxnQkFBZ0IsQ0FBQyxJQUFJLEVBQUUsR0FBRyxTQUFTLE9BQU8sRUFBRTtZQUMxRCxVQUFVLEVBQUUsSUFBSSxDQUFDLFFBQVEsQ0FBQyxVQUFVO1lBQ3BDLFNBQVM7WUFDVCxXQUFXLEVBQUUsaUJBQWlCLENBQUMsU0FBUyxDQUFDO1lBQ3pDLFVBQVUsRUFBRSxtQkFBVyxDQUFDLE1BQU0sR0FBRyxDQUFDLEdBQUcsS0FBSztTQUMzQyxDQUFDLENBQ0wsQ0FBQztRQUVGLHVFQUF1RTtRQUN2RSxhQUFhO1FBQ2IsTUFBTSxDQUFDLE9BQU8sQ0FBQyxxQkFBcUIsQ0FBQyxDQUFDLE9BQU8sQ0FDM0MsQ0FBQyxDQUFDLFNBQVMsRUFBRSxXQUFXLENBQUMsRUFBRSxLQUFLLEVBQUUsRUFBRSxDQUNsQyxJQUFJLHlCQUFXLENBQUMsZ0JBQWdCLENBQUMsSUFBSSxFQUFFLEdBQUcsU0FBUyxRQUFRLEVBQUU7WUFDM0QsVUFBVSxFQUFFLElBQUksQ0FBQyxRQUFRLENBQUMsVUFBVTtZQUNwQyxTQUFTO1lBQ1QsV0FBVztZQUNYLFVBQVUsRUFBRSxtQkFBVyxDQUFDLE1BQU0sR0FBRyxLQUFLO1NBQ3ZDLENBQUMsQ0FDTCxDQUFDO1FBRUYsb0VBQW9FO1FBQ3BFLCtEQUErRDtRQUMvRCxJQUFJLENBQUMsUUFBUSxDQUFDLGlCQUFpQixDQUFDLDZCQUE2QixFQUFFO1lBQzdELFVBQVUsRUFBRSxtQ0FBMkI7WUFDdkMsMEJBQTBCLEVBQUUsd0JBQXdCO1lBQ3BELE1BQU0sRUFBRSxNQUFNLENBQUMsT0FBTyxDQUFDLGtCQUFrQixDQUFDLENBQUMsR0FBRyxDQUM1QyxDQUFDLENBQUMsU0FBUyxFQUFFLGdCQUFnQixDQUFDLEVBQUUsRUFBRSxDQUNoQyxJQUFJLHlCQUFXLENBQUMsbUJBQW1CLENBQUMsRUFBRSxTQUFTLEVBQUUsZ0JBQWdCLEVBQUUsQ0FBQyxDQUN2RTtTQUNGLENBQUMsQ0FBQztRQUNILE1BQU0sTUFBTSxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDLG9CQUFvQixFQUFFO1lBQzNELGFBQWEsRUFBRTtnQkFDYixvREFBb0Q7Z0JBQ3BELFlBQVksRUFBRSxHQUFHLG1CQUFLLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLFNBQVMsQ0FBQyxXQUFXLEVBQUUsSUFBSSxtQkFBSyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxPQUFPLEVBQUU7YUFDcEY7U0FDRixDQUFDLENBQUM7UUFFSCxNQUFNLFNBQVMsR0FBRyxJQUFJLGNBQWMsQ0FBQyxJQUFJLEVBQUUsWUFBWSxFQUFFO1lBQ3ZELEtBQUssRUFBRSxLQUFLLENBQUMsVUFBVTtZQUN2QixRQUFRLEVBQUUsS0FBSyxDQUFDLFFBQVE7WUFDeEIsUUFBUSxFQUFFLElBQUksQ0FBQyxRQUFRO1NBQ3hCLENBQUMsQ0FBQztRQUVILE1BQU0sZUFBZSxHQUFHLElBQUkseUJBQVcsQ0FBQyxnQ0FBZ0MsQ0FDdEUsSUFBSSxFQUNKLGtCQUFrQixFQUNsQjtZQUNFLFVBQVUsRUFBRSxJQUFJLENBQUMsUUFBUSxDQUFDLFVBQVU7WUFDcEMsU0FBUyxFQUFFLE9BQU87WUFDbEIsUUFBUSxFQUFFLEtBQUssQ0FBQyxRQUFRO1NBQ3pCLENBQ0YsQ0FBQztRQUNGLGVBQWUsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLFNBQVMsRUFBRSxNQUFNLENBQUMsbUJBQVcsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBRXBGLElBQUksQ0FBQyxhQUFhLEdBQUc7WUFDbkIsVUFBVSxFQUFFLElBQUksQ0FBQyxRQUFRLENBQUMsVUFBVTtZQUNwQyxnQkFBZ0IsRUFBRSxjQUFjLENBQUMsZ0JBQWdCO1lBQ2pELGNBQWMsRUFBRSxZQUFZLENBQUMsY0FBYztZQUMzQyxRQUFRLEVBQUUsR0FBRyxNQUFNLENBQUMsT0FBTyxFQUFFLGVBQWU7U0FDN0MsQ0FBQztRQUVGLElBQUksdUJBQVMsQ0FBQyxJQUFJLEVBQUUsWUFBWSxFQUFFO1lBQ2hDLEtBQUssRUFBRSxJQUFJLENBQUMsUUFBUSxDQUFDLFVBQVU7U0FDaEMsQ0FBQyxDQUFDO1FBQ0gsSUFBSSx1QkFBUyxDQUFDLElBQUksRUFBRSxrQkFBa0IsRUFBRTtZQUN0QyxLQUFLLEVBQUUsY0FBYyxDQUFDLGdCQUFnQjtTQUN2QyxDQUFDLENBQUM7UUFDSCxJQUFJLHVCQUFTLENBQUMsSUFBSSxFQUFFLGdCQUFnQixFQUFFO1lBQ3BDLEtBQUssRUFBRSxZQUFZLENBQUMsY0FBYztTQUNuQyxDQUFDLENBQUM7UUFDSCxJQUFJLHVCQUFTLENBQUMsSUFBSSxFQUFFLHFCQUFxQixFQUFFO1lBQ3pDLEtBQUssRUFBRSxJQUFJLENBQUMsYUFBYSxDQUFDLFFBQVE7U0FDbkMsQ0FBQyxDQUFDO1FBRUgsZUFBZTtRQUNmLHlCQUFlLENBQUMsdUJBQXVCLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRTtZQUNyRDtnQkFDRSxFQUFFLEVBQUUsbUJBQW1CO2dCQUN2QixNQUFNLEVBQUUsd0JBQXdCO2FBQ2pDO1NBQ0YsQ0FBQyxDQUFDO0lBQ0wsQ0FBQztDQUNGO0FBNUlELDBCQTRJQztBQUVELE1BQU0sY0FBZSxTQUFRLHNCQUFTO0lBRXBDLFlBQ0UsS0FBZ0IsRUFDaEIsRUFBVSxFQUNWLEtBSUM7UUFFRCxLQUFLLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBRWpCLE1BQU0sU0FBUyxHQUFHLElBQUkscUJBQU8sQ0FBQyxlQUFlLENBQUM7WUFDNUMsT0FBTyxFQUFFLENBQUMsNkJBQTZCLEVBQUUsNkJBQTZCLENBQUM7WUFDdkUsU0FBUyxFQUFFLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxXQUFXLENBQUM7U0FDeEMsQ0FBQyxDQUFDO1FBRUgsSUFBSSxvQ0FBaUIsQ0FBQyxJQUFJLEVBQUUsY0FBYyxFQUFFLEVBQUUsRUFBRTtZQUM5QyxRQUFRLEVBQUU7Z0JBQ1IsT0FBTyxFQUFFLGdDQUFnQztnQkFDekMsTUFBTSxFQUFFLGlCQUFpQjtnQkFDekIsVUFBVSxFQUFFO29CQUNWLFVBQVUsRUFBRSxLQUFLLENBQUMsUUFBUSxDQUFDLFVBQVU7b0JBQ3JDLFFBQVEsRUFBRSxLQUFLLENBQUMsUUFBUTtvQkFDeEIsY0FBYyxFQUFFO3dCQUNkOzRCQUNFLElBQUksRUFBRSxPQUFPOzRCQUNiLEtBQUssRUFBRSxLQUFLLENBQUMsS0FBSzt5QkFDbkI7d0JBQ0Q7NEJBQ0UsSUFBSSxFQUFFLGdCQUFnQjs0QkFDdEIsS0FBSyxFQUFFLE1BQU07eUJBQ2Q7cUJBQ0Y7aUJBQ0Y7Z0JBQ0Qsa0JBQWtCLEVBQUUscUNBQWtCLENBQUMsRUFBRSxDQUN2QyxjQUFjLEVBQUUsSUFBSSxLQUFLLENBQUMsUUFBUSxFQUFFLENBQ3JDO2FBQ0Y7WUFDRCxRQUFRLEVBQUU7Z0JBQ1IsT0FBTyxFQUFFLGdDQUFnQztnQkFDekMsTUFBTSxFQUFFLGlCQUFpQjtnQkFDekIsVUFBVSxFQUFFO29CQUNWLFVBQVUsRUFBRSxLQUFLLENBQUMsUUFBUSxDQUFDLFVBQVU7b0JBQ3JDLFFBQVEsRUFBRSxLQUFLLENBQUMsUUFBUTtpQkFDekI7YUFDRjtZQUNELE1BQU0sRUFBRSwwQ0FBdUIsQ0FBQyxjQUFjLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQztTQUM1RCxDQUFDLENBQUM7SUFDTCxDQUFDO0NBQ0YiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyBDb25zdHJ1Y3QgfSBmcm9tIFwiY29uc3RydWN0c1wiO1xuaW1wb3J0IHtcbiAgRHVyYXRpb24sXG4gIFJlbW92YWxQb2xpY3ksXG4gIGF3c19jb2duaXRvLFxuICBhd3NfaWFtLFxuICBDZm5PdXRwdXQsXG4gIFN0YWNrLFxufSBmcm9tIFwiYXdzLWNkay1saWJcIjtcblxuaW1wb3J0IHtcbiAgQXdzQ3VzdG9tUmVzb3VyY2UsXG4gIEF3c0N1c3RvbVJlc291cmNlUG9saWN5LFxuICBQaHlzaWNhbFJlc291cmNlSWQsXG59IGZyb20gXCJhd3MtY2RrLWxpYi9jdXN0b20tcmVzb3VyY2VzXCI7XG5cbmltcG9ydCB7XG4gIElkZW50aXR5UG9vbCxcbiAgVXNlclBvb2xBdXRoZW50aWNhdGlvblByb3ZpZGVyLFxufSBmcm9tIFwiYXdzLWNkay1saWIvYXdzLWNvZ25pdG8taWRlbnRpdHlwb29sXCI7XG5pbXBvcnQgeyBOYWdTdXBwcmVzc2lvbnMgfSBmcm9tIFwiY2RrLW5hZ1wiO1xuXG4vLyBSb2xlIGdyb3VwcywgbG93ZXN0IGZpcnN0OyBlYWNoIGluY2x1ZGVzIHRoZSBwZXJtaXNzaW9ucyBvZiB0aGUgb25lc1xuLy8gYmVmb3JlIGl0LiBhcGkvbGFtYmRhL3NoYXJlZC9yb2xlcy50cyBhbmQgc2NoZW1hLmdyYXBocWwgdXNlIHRoZSBzYW1lIG5hbWVzLlxuZXhwb3J0IGNvbnN0IFJPTEVfR1JPVVBTID0gW1wiVmlld2VyXCIsIFwiRWRpdG9yXCIsIFwiQWRtaW5cIl0gYXMgY29uc3Q7XG5cbmNvbnN0IFJPTEVfREVTQ1JJUFRJT05TOiBSZWNvcmQ8KHR5cGVvZiBST0xFX0dST1VQUylbbnVtYmVyXSwgc3RyaW5nPiA9IHtcbiAgVmlld2VyOiBcIlJlYWQtb25seSBhY2Nlc3MgdG8gdGhlIGdyYXBoXCIsXG4gIEVkaXRvcjogXCJWaWV3ZXIgYWNjZXNzIHBsdXMgY3JlYXRpbmcsIGVkaXRpbmcgYW5kIGRlbGV0aW5nIGRhdGFcIixcbiAgQWRtaW46IFwiRWRpdG9yIGFjY2VzcyBwbHVzIG1haW50ZW5hbmNlIGFuZCBpbmZyYXN0cnVjdHVyZSBjb250cm9sc1wiLFxufTtcblxuLy8gR3JvdXBzIHRoYXQgbWF5IHNlZSBDb25maWRlbnRpYWwvUmVzdHJpY3RlZCBidXNpbmVzcyBzZXJ2aWNlczsgdGhlIHJ1bGVcbi8vIGxpdmVzIGluIGFwaS9sYW1iZGEvc2hhcmVkL2NsYXNzaWZpY2F0aW9uLnRzXG5jb25zdCBDTEFTU0lGSUNBVElPTl9HUk9VUFM6IFJlY29yZDxzdHJpbmcsIHN0cmluZz4gPSB7XG4gIFwiY29uZmlkZW50aWFsLXJlYWRlcnNcIjogXCJDYW4gc2VlIENvbmZpZGVudGlhbCBidXNpbmVzcyBzZXJ2aWNlc1wiLFxuICBcInJlc3RyaWN0ZWQtcmVhZGVyc1wiOiBcIkNhbiBzZWUgQ29uZmlkZW50aWFsIGFuZCBSZXN0cmljdGVkIGJ1c2luZXNzIHNlcnZpY2VzXCIsXG59O1xuXG4vLyBPQXV0aDIgcmVzb3VyY2Ugc2VydmVyIGZvciBpbnRlZ3JhdGlvbiBjbGllbnRzIChjbGllbnQtY3JlZGVudGlhbHNcbi8vIGdyYW50KS4gYXBpL2xhbWJkYS9zaGFyZWQvaW50ZWdyYXRpb24udHMgbWFwcyBmaWVsZHMgdG8gdGhlc2Ugc2NvcGVzLlxuZXhwb3J0IGNvbnN0IElOVEVHUkFUSU9OX1JFU09VUkNFX1NFUlZFUiA9IFwiZ3JhcGgtYXBpXCI7XG5jb25zdCBJTlRFR1JBVElPTl9TQ09QRVM6IFJlY29yZDxzdHJpbmcsIHN0cmluZz4gPSB7XG4gIGluZ2VzdDogXCJDcmVhdGUgYW5kIHVwc2VydCB2ZXJ0aWNlcyBhbmQgZWRnZXNcIixcbn07XG5cbmV4cG9ydCBpbnRlcmZhY2UgQ29nbml0b1Byb3BzIHtcbiAgYWRtaW5FbWFpbDogc3RyaW5nO1xuICB1c2VyTmFtZT86IHN0cmluZztcbiAgcmVmcmVzaFRva2VuVmFsaWRpdHk/OiBEdXJhdGlvbjtcbn1cblxuZXhwb3J0IGludGVyZmFjZSBDb2duaXRvUGFyYW1zIHtcbiAgdXNlclBvb2xJZDogc3RyaW5nO1xuICB1c2VyUG9vbENsaWVudElkOiBzdHJpbmc7XG4gIGlkZW50aXR5UG9vbElkOiBzdHJpbmc7XG4gIC8qKiBPQXV0aDIgdG9rZW4gZW5kcG9pbnQgdXNlZCBieSBpbnRlZ3JhdGlvbiBjbGllbnRzICovXG4gIHRva2VuVXJsOiBzdHJpbmc7XG59XG5cbmV4cG9ydCBjbGFzcyBDb2duaXRvIGV4dGVuZHMgQ29uc3RydWN0IHtcbiAgcHVibGljIHJlYWRvbmx5IGNvZ25pdG9QYXJhbXM6IENvZ25pdG9QYXJhbXM7XG4gIHB1YmxpYyByZWFkb25seSB1c2VyUG9vbDogYXdzX2NvZ25pdG8uVXNlclBvb2w7XG4gIHB1YmxpYyByZWFkb25seSBhdXRoZW50aWNhdGVkUm9sZTogYXdzX2lhbS5JUm9sZTtcbiAgY29uc3RydWN0b3Ioc2NvcGU6IENvbnN0cnVjdCwgaWQ6IHN0cmluZywgcHJvcHM6IENvZ25pdG9Qcm9wcykge1xuICAgIHN1cGVyKHNjb3BlLCBpZCk7XG5cbiAgICBpZiAoIXByb3BzLnVzZXJOYW1lKSBwcm9wcy51c2VyTmFtZSA9IHByb3BzLmFkbWluRW1haWwuc3BsaXQoXCJAXCIpWzBdO1xuXG4gICAgdGhpcy51c2VyUG9vbCA9IG5ldyBhd3NfY29nbml0by5Vc2VyUG9vbCh0aGlzLCBcInVzZXJwb29sXCIsIHtcbiAgICAgIHVzZXJQb29sTmFtZTogYCR7aWR9LWFwcC11c2VycG9vbGAsXG4gICAgICBzaWduSW5BbGlhc2VzOiB7XG4gICAgICAgIHVzZXJuYW1lOiB0cnVlLFxuICAgICAgICBlbWFpbDogdHJ1ZSxcbiAgICAgIH0sXG4gICAgICBhY2NvdW50UmVjb3Zlcnk6IGF3c19jb2duaXRvLkFjY291bnRSZWNvdmVyeS5FTUFJTF9PTkxZLFxuICAgICAgcmVtb3ZhbFBvbGljeTogUmVtb3ZhbFBvbGljeS5ERVNUUk9ZLFxuICAgICAgc2VsZlNpZ25VcEVuYWJsZWQ6IGZhbHNlLFxuICAgICAgLy8gYWR2YW5jZWRTZWN1cml0eU1vZGUgaXMgZGVwcmVjYXRlZC4gVXNlIFN0YW5kYXJkVGhyZWF0UHJvdGVjdGlvbk1vZGUgYW5kIEN1c3RvbVRocmVhdFByb3RlY3Rpb25Nb2RlIGluc3RlYWQuXG4gICAgICBzdGFuZGFyZFRocmVhdFByb3RlY3Rpb25Nb2RlOiBhd3NfY29nbml0by5TdGFuZGFyZFRocmVhdFByb3RlY3Rpb25Nb2RlLkZVTExfRlVOQ1RJT04sXG4gICAgICAvLyBjdXN0b21UaHJlYXRQcm90ZWN0aW9uTW9kZTogYXdzX2NvZ25pdG8uQ3VzdG9tVGhyZWF0UHJvdGVjdGlvbk1vZGUuRU5BQkxFRCwgLy8gVW5jb21tZW50IGFuZCBjb25maWd1cmUgYXMgbmVlZGVkXG4gICAgICBhdXRvVmVyaWZ5OiB7XG4gICAgICAgIGVtYWlsOiB0cnVlLFxuICAgICAgfSxcbiAgICAgIHBhc3N3b3JkUG9saWN5OiB7XG4gICAgICAgIG1pbkxlbmd0aDogOCxcbiAgICAgICAgcmVxdWlyZVVwcGVyY2FzZTogdHJ1ZSxcbiAgICAgICAgcmVxdWlyZURpZ2l0czogdHJ1ZSxcbiAgICAgICAgcmVxdWlyZVN5bWJvbHM6IHRydWUsXG4gICAgICB9LFxuICAgIH0pO1xuXG4gICAgY29uc3QgdXNlclBvb2xDbGllbnQgPSB0aGlzLnVzZXJQb29sLmFkZENsaWVudChcIndlYmFwcENsaWVudFwiLCB7XG4gICAgICBhdXRoRmxvd3M6IHtcbiAgICAgICAgdXNlclNycDogdHJ1ZSxcbiAgICAgICAgYWRtaW5Vc2VyUGFzc3dvcmQ6IHRydWUsXG4gICAgICB9LFxuICAgICAgcHJldmVudFVzZXJFeGlzdGVuY2VFcnJvcnM6IHRydWUsXG4gICAgICByZWZyZXNoVG9rZW5WYWxpZGl0eTogcHJvcHMucmVmcmVzaFRva2VuVmFsaWRpdHksXG4gICAgfSk7XG5cbiAgICBjb25zdCBpZGVudGl0eVBvb2wgPSBuZXcgSWRlbnRpdHlQb29sKHRoaXMsIFwiaWRlbnRpdHlQb29sXCIsIHtcbiAgICAgIGFsbG93VW5hdXRoZW50aWNhdGVkSWRlbnRpdGllczogZmFsc2UsXG4gICAgICBhdXRoZW50aWNhdGlvblByb3ZpZGVyczoge1xuICAgICAgICB1c2VyUG9vbHM6IFtcbiAgICAgICAgICBuZXcgVXNlclBvb2xBdXRoZW50aWNhdGlvblByb3ZpZGVyKHtcbiAgICAgICAgICAgIHVzZXJQb29sOiB0aGlzLnVzZXJQb29sLFxuICAgICAgICAgICAgdXNlclBvb2xDbGllbnQsXG4gICAgICAgICAgfSksXG4gICAgICAgIF0sXG4gICAgICB9LFxuICAgIH0pO1xuXG4gICAgdGhpcy5hdXRoZW50aWNhdGVkUm9sZSA9IGlkZW50aXR5UG9vbC5hdXRoZW50aWNhdGVkUm9sZTtcblxuICAgIC8vIExvd2VyIHByZWNlZGVuY2Ugd2lucyB3aGVuIGEgdXNlciBpcyBpbiBzZXZlcmFsIGdyb3Vwc1xuICAgIGNvbnN0IGdyb3VwcyA9IFJPTEVfR1JPVVBTLm1hcChcbiAgICAgIChncm91cE5hbWUsIGluZGV4KSA9PlxuICAgICAgICBuZXcgYXdzX2NvZ25pdG8uQ2ZuVXNlclBvb2xHcm91cCh0aGlzLCBgJHtncm91cE5hbWV9R3JvdXBgLCB7XG4gICAgICAgICAgdXNlclBvb2xJZDogdGhpcy51c2VyUG9vbC51c2VyUG9vbElkLFxuICAgICAgICAgIGdyb3VwTmFtZSxcbiAgICAgICAgICBkZXNjcmlwdGlvbjogUk9MRV9ERVNDUklQVElPTlNbZ3JvdXBOYW1lXSxcbiAgICAgICAgICBwcmVjZWRlbmNlOiBST0xFX0dST1VQUy5sZW5ndGggLSAxIC0gaW5kZXgsXG4gICAgICAgIH0pXG4gICAgKTtcblxuICAgIC8vIENsYXNzaWZpY2F0aW9uIGdyb3VwcyBzaXQgYWZ0ZXIgdGhlIHJvbGUgZ3JvdXBzIHNvIHRoZXkgbmV2ZXIgZGVjaWRlXG4gICAgLy8gcHJlY2VkZW5jZVxuICAgIE9iamVjdC5lbnRyaWVzKENMQVNTSUZJQ0FUSU9OX0dST1VQUykuZm9yRWFjaChcbiAgICAgIChbZ3JvdXBOYW1lLCBkZXNjcmlwdGlvbl0sIGluZGV4KSA9PlxuICAgICAgICBuZXcgYXdzX2NvZ25pdG8uQ2ZuVXNlclBvb2xHcm91cCh0aGlzLCBgJHtncm91cE5hbWV9LWdyb3VwYCwge1xuICAgICAgICAgIHVzZXJQb29sSWQ6IHRoaXMudXNlclBvb2wudXNlclBvb2xJZCxcbiAgICAgICAgICBncm91cE5hbWUsXG4gICAgICAgICAgZGVzY3JpcHRpb24sXG4gICAgICAgICAgcHJlY2VkZW5jZTogUk9MRV9HUk9VUFMubGVuZ3RoICsgaW5kZXgsXG4gICAgICAgIH0pXG4gICAgKTtcblxuICAgIC8vIEludGVncmF0aW9uIGNsaWVudHMgYXJlIGNyZWF0ZWQgYXQgcnVudGltZSBmcm9tIHRoZSBhZG1pbiBVSTsgdGhlXG4gICAgLy8gZG9tYWluIGhvc3RzIHRoZSAvb2F1dGgyL3Rva2VuIGVuZHBvaW50IHRoZXkgZ2V0IHRva2VucyBmcm9tXG4gICAgdGhpcy51c2VyUG9vbC5hZGRSZXNvdXJjZVNlcnZlcihcImludGVncmF0aW9uLXJlc291cmNlLXNlcnZlclwiLCB7XG4gICAgICBpZGVudGlmaWVyOiBJTlRFR1JBVElPTl9SRVNPVVJDRV9TRVJWRVIsXG4gICAgICB1c2VyUG9vbFJlc291cmNlU2VydmVyTmFtZTogXCJHcmFwaCBBUEkgaW50ZWdyYXRpb25zXCIsXG4gICAgICBzY29wZXM6IE9iamVjdC5lbnRyaWVzKElOVEVHUkFUSU9OX1NDT1BFUykubWFwKFxuICAgICAgICAoW3Njb3BlTmFtZSwgc2NvcGVEZXNjcmlwdGlvbl0pID0+XG4gICAgICAgICAgbmV3IGF3c19jb2duaXRvLlJlc291cmNlU2VydmVyU2NvcGUoeyBzY29wZU5hbWUsIHNjb3BlRGVzY3JpcHRpb24gfSlcbiAgICAgICksXG4gICAgfSk7XG4gICAgY29uc3QgZG9tYWluID0gdGhpcy51c2VyUG9vbC5hZGREb21haW4oXCJpbnRlZ3JhdGlvbi1kb21haW5cIiwge1xuICAgICAgY29nbml0b0RvbWFpbjoge1xuICAgICAgICAvLyBQcmVmaXhlcyBhcmUgZ2xvYmFsIGFuZCBtYXkgbm90IGNvbnRhaW4gXCJjb2duaXRvXCJcbiAgICAgICAgZG9tYWluUHJlZml4OiBgJHtTdGFjay5vZih0aGlzKS5zdGFja05hbWUudG9Mb3dlckNhc2UoKX0tJHtTdGFjay5vZih0aGlzKS5hY2NvdW50fWAsXG4gICAgICB9LFxuICAgIH0pO1xuXG4gICAgY29uc3QgYWRtaW5Vc2VyID0gbmV3IENyZWF0ZVBvb2xVc2VyKHRoaXMsIFwiYWRtaW4tdXNlclwiLCB7XG4gICAgICBlbWFpbDogcHJvcHMuYWRtaW5FbWFpbCxcbiAgICAgIHVzZXJuYW1lOiBwcm9wcy51c2VyTmFtZSxcbiAgICAgIHVzZXJQb29sOiB0aGlzLnVzZXJQb29sLFxuICAgIH0pO1xuXG4gICAgY29uc3QgYWRtaW5NZW1iZXJzaGlwID0gbmV3IGF3c19jb2duaXRvLkNmblVzZXJQb29sVXNlclRvR3JvdXBBdHRhY2htZW50KFxuICAgICAgdGhpcyxcbiAgICAgIFwiYWRtaW4tdXNlci1ncm91cFwiLFxuICAgICAge1xuICAgICAgICB1c2VyUG9vbElkOiB0aGlzLnVzZXJQb29sLnVzZXJQb29sSWQsXG4gICAgICAgIGdyb3VwTmFtZTogXCJBZG1pblwiLFxuICAgICAgICB1c2VybmFtZTogcHJvcHMudXNlck5hbWUsXG4gICAgICB9XG4gICAgKTtcbiAgICBhZG1pbk1lbWJlcnNoaXAubm9kZS5hZGREZXBlbmRlbmN5KGFkbWluVXNlciwgZ3JvdXBzW1JPTEVfR1JPVVBTLmluZGV4T2YoXCJBZG1pblwiKV0pO1xuXG4gICAgdGhpcy5jb2duaXRvUGFyYW1zID0ge1xuICAgICAgdXNlclBvb2xJZDogdGhpcy51c2VyUG9vbC51c2VyUG9vbElkLFxuICAgICAgdXNlclBvb2xDbGllbnRJZDogdXNlclBvb2xDbGllbnQudXNlclBvb2xDbGllbnRJZCxcbiAgICAgIGlkZW50aXR5UG9vbElkOiBpZGVudGl0eVBvb2wuaWRlbnRpdHlQb29sSWQsXG4gICAgICB0b2tlblVybDogYCR7ZG9tYWluLmJhc2VVcmwoKX0vb2F1dGgyL3Rva2VuYCxcbiAgICB9O1xuXG4gICAgbmV3IENmbk91dHB1dCh0aGlzLCBcIlVzZXJQb29sSWRcIiwge1xuICAgICAgdmFsdWU6IHRoaXMudXNlclBvb2wudXNlclBvb2xJZCxcbiAgICB9KTtcbiAgICBuZXcgQ2ZuT3V0cHV0KHRoaXMsIFwiVXNlclBvb2xDbGllbnRJZFwiLCB7XG4gICAgICB2YWx1ZTogdXNlclBvb2xDbGllbnQudXNlclBvb2xDbGllbnRJZCxcbiAgICB9KTtcbiAgICBuZXcgQ2ZuT3V0cHV0KHRoaXMsIFwiSWRlbnRpdHlQb29sSWRcIiwge1xuICAgICAgdmFsdWU6IGlkZW50aXR5UG9vbC5pZGVudGl0eVBvb2xJZCxcbiAgICB9KTtcbiAgICBuZXcgQ2ZuT3V0cHV0KHRoaXMsIFwiSW50ZWdyYXRpb25Ub2tlblVybFwiLCB7XG4gICAgICB2YWx1ZTogdGhpcy5jb2duaXRvUGFyYW1zLnRva2VuVXJsLFxuICAgIH0pO1xuXG4gICAgLy8gU3VwcHJlc3Npb25zXG4gICAgTmFnU3VwcHJlc3Npb25zLmFkZFJlc291cmNlU3VwcHJlc3Npb25zKHRoaXMudXNlclBvb2wsIFtcbiAgICAgIHtcbiAgICAgICAgaWQ6IFwiQXdzU29sdXRpb25zLUNPRzJcIixcbiAgICAgICAgcmVhc29uOiBcIk5vIG5lZWQgTUZBIGZvciBzYW1wbGVcIixcbiAgICAgIH0sXG4gICAgXSk7XG4gIH1cbn1cblxuY2xhc3MgQ3JlYXRlUG9vbFVzZXIgZXh0ZW5kcyBDb25zdHJ1Y3Qge1xuICBwdWJsaWMgcmVhZG9ubHkgdXNlcm5hbWU6IHN0cmluZyB8IHVuZGVmaW5lZDtcbiAgY29uc3RydWN0b3IoXG4gICAgc2NvcGU6IENvbnN0cnVjdCxcbiAgICBpZDogc3RyaW5nLFxuICAgIHByb3BzOiB7XG4gICAgICB1c2VyUG9vbDogYXdzX2NvZ25pdG8uSVVzZXJQb29sO1xuICAgICAgdXNlcm5hbWU6IHN0cmluZztcbiAgICAgIGVtYWlsOiBzdHJpbmcgfCB1bmRlZmluZWQ7XG4gICAgfVxuICApIHtcbiAgICBzdXBlcihzY29wZSwgaWQpO1xuXG4gICAgY29uc3Qgc3RhdGVtZW50ID0gbmV3IGF3c19pYW0uUG9saWN5U3RhdGVtZW50KHtcbiAgICAgIGFjdGlvbnM6IFtcImNvZ25pdG8taWRwOkFkbWluRGVsZXRlVXNlclwiLCBcImNvZ25pdG8taWRwOkFkbWluQ3JlYXRlVXNlclwiXSxcbiAgICAgIHJlc291cmNlczogW3Byb3BzLnVzZXJQb29sLnVzZXJQb29sQXJuXSxcbiAgICB9KTtcblxuICAgIG5ldyBBd3NDdXN0b21SZXNvdXJjZSh0aGlzLCBgQ3JlYXRlVXNlci0ke2lkfWAsIHtcbiAgICAgIG9uQ3JlYXRlOiB7XG4gICAgICAgIHNlcnZpY2U6IFwiQ29nbml0b0lkZW50aXR5U2VydmljZVByb3ZpZGVyXCIsXG4gICAgICAgIGFjdGlvbjogXCJhZG1pbkNyZWF0ZVVzZXJcIixcbiAgICAgICAgcGFyYW1ldGVyczoge1xuICAgICAgICAgIFVzZXJQb29sSWQ6IHByb3BzLnVzZXJQb29sLnVzZXJQb29sSWQsXG4gICAgICAgICAgVXNlcm5hbWU6IHByb3BzLnVzZXJuYW1lLFxuICAgICAgICAgIFVzZXJBdHRyaWJ1dGVzOiBbXG4gICAgICAgICAgICB7XG4gICAgICAgICAgICAgIE5hbWU6IFwiZW1haWxcIixcbiAgICAgICAgICAgICAgVmFsdWU6IHByb3BzLmVtYWlsLFxuICAgICAgICAgICAgfSxcbiAgICAgICAgICAgIHtcbiAgICAgICAgICAgICAgTmFtZTogXCJlbWFpbF92ZXJpZmllZFwiLFxuICAgICAgICAgICAgICBWYWx1ZTogXCJ0cnVlXCIsXG4gICAgICAgICAgICB9LFxuICAgICAgICAgIF0sXG4gICAgICAgIH0sXG4gICAgICAgIHBoeXNpY2FsUmVzb3VyY2VJZDogUGh5c2ljYWxSZXNvdXJjZUlkLm9mKFxuICAgICAgICAgIGBDcmVhdGVVc2VyLSR7aWR9LSR7cHJvcHMudXNlcm5hbWV9YFxuICAgICAgICApLFxuICAgICAgfSxcbiAgICAgIG9uRGVsZXRlOiB7XG4gICAgICAgIHNlcnZpY2U6IFwiQ29nbml0b0lkZW50aXR5U2VydmljZVByb3ZpZGVyXCIsXG4gICAgICAgIGFjdGlvbjogXCJhZG1pbkRlbGV0ZVVzZXJcIixcbiAgICAgICAgcGFyYW1ldGVyczoge1xuICAgICAgICAgIFVzZXJQb29sSWQ6IHByb3BzLnVzZXJQb29sLnVzZXJQb29sSWQsXG4gICAgICAgICAgVXNlcm5hbWU6IHByb3BzLnVzZXJuYW1lLFxuICAgICAgICB9LFxuICAgICAgfSxcbiAgICAgIHBvbGljeTogQXdzQ3VzdG9tUmVzb3VyY2VQb2xpY3kuZnJvbVN0YXRlbWVudHMoW3N0YXRlbWVudF0pLFxuICAgIH0pO1xuICB9XG59XG4iXX0=
\ No newline at end of file
@@ -5,6 +5,7 @@ import {
   aws_cognito,
   aws_iam,
   CfnOutput,
+  Stack,
 } from "aws-cdk-lib";
 
 import {
@@ -19,6 +20,30 @@ import {
 } from "aws-cdk-lib/aws-cognito-identitypool";
 import { NagSuppressions } from "cdk-nag";
 
+// Role groups, lowest first; each includes the permissions of the ones
+// before it. api/lambda/shared/roles.ts and schema.graphql use the same names.
+export const ROLE_GROUPS = ["Viewer", "Editor", "Admin"] as const;
+
+const ROLE_DESCRIPTIONS: Record<(typeof ROLE_GROUPS)[number], string> = {
+  Viewer: "Read-only access to the graph",
+  Editor: "Viewer access plus creating, editing and deleting data",
+  Admin: "Editor access plus maintenance and infrastructure controls",
+};
+
+// Groups that may see Confidential/Restricted business services; the rule
+// lives in api/lambda/shared/classification.ts
+const CLASSIFICATION_GROUPS: Record<string, string> = {
+  "confidential-readers": "Can see Confidential business services",
+  "restricted-readers": "Can see Confidential and Restricted business services",
+};
+
+// OAuth2 resource server for integration clients (client-credentials
+// grant). api/lambda/shared/integration.ts maps fields to these scopes.
+export const INTEGRATION_RESOURCE_SERVER = "graph-api";
+const INTEGRATION_SCOPES: Record<string, string> = {
+  ingest: "Create and upsert vertices and edges",
+};
+
 export interface CognitoProps {
   adminEmail: string;
   userName?: string;
@@ -29,6 +54,8 @@ export interface CognitoParams {
   userPoolId: string;
   userPoolClientId: string;
   identityPoolId: string;
+  /** OAuth2 token endpoint used by integration clients */
+  tokenUrl: string;
 }
 
 export class Cognito extends Construct {
@@ -86,16 +113,68 @@ export class Cognito extends Construct {
 
     this.authenticatedRole = identityPool.authenticatedRole;
 
-    new CreatePoolUser(this, "admin-user", {
+    // Lower precedence wins when a user is in several groups
+    const groups = ROLE_GROUPS.map(
+      (groupName, index) =>
+        new aws_cognito.CfnUserPoolGroup(this, `${groupName}Group`, {
+          userPoolId: this.userPool.userPoolId,
+          groupName,
+          description: ROLE_DESCRIPTIONS[groupName],
+          precedence: ROLE_GROUPS.length - 1 - index,
+        })
+    );
+
+    // Classification groups sit after the role groups so they never decide
+    // precedence
+    Object.entries(CLASSIFICATION_GROUPS).forEach(
+      ([groupName, description], index) =>
+        new aws_cognito.CfnUserPoolGroup(this, `${groupName}-group`, {
+          userPoolId: this.userPool.userPoolId,
+          groupName,
+          description,
+          precedence: ROLE_GROUPS.length + index,
+        })
+    );
+
+    // Integration clients are created at runtime from the admin UI; the
+    // domain hosts the /oauth2/token endpoint they get tokens from
+    this.userPool.addResourceServer("integration-resource-server", {
+      identifier: INTEGRATION_RESOURCE_SERVER,
+      userPoolResourceServerName: "Graph API integrations",
+      scopes: Object.entries(INTEGRATION_SCOPES).map(
+        ([scopeName, scopeDescription]) =>
+          new aws_cognito.ResourceServerScope({ scopeName, scopeDescription })
+      ),
+    });
+    const domain = this.userPool.addDomain("integration-domain", {
+      cognitoDomain: {
+        // Prefixes are global and may not contain "cognito"
+        domainPrefix: `${Stack.of(this).stackName.toLowerCase()}-${Stack.of(this).account}`,
+      },
+    });
+
+    const adminUser = new CreatePoolUser(this, "admin-user", {
       email: props.adminEmail,
       username: props.userName,
       userPool: this.userPool,
     });
 
+    const adminMembership = new aws_cognito.CfnUserPoolUserToGroupAttachment(
+      this,
+      "admin-user-group",
+      {
+        userPoolId: this.userPool.userPoolId,
+        groupName: "Admin",
+        username: props.userName,
+      }
+    );
+    adminMembership.node.addDependency(adminUser, groups[ROLE_GROUPS.indexOf("Admin")]);
+
     this.cognitoParams = {
       userPoolId: this.userPool.userPoolId,
       userPoolClientId: userPoolClient.userPoolClientId,
       identityPoolId: identityPool.identityPoolId,
+      tokenUrl: `${domain.baseUrl()}/oauth2/token`,
     };
 
     new CfnOutput(this, "UserPoolId", {
@@ -107,6 +186,9 @@ export class Cognito extends Construct {
     new CfnOutput(this, "IdentityPoolId", {
       value: identityPool.identityPoolId,
     });
+    new CfnOutput(this, "IntegrationTokenUrl", {
+      value: this.cognitoParams.tokenUrl,
+    });
 
     // Suppressions
     NagSuppressions.addResourceSuppressions(this.userPool, [
@@ -50,6 +50,10 @@ export class Network extends Construct {
         S3: {
           service: aws_ec2.GatewayVpcEndpointAwsService.S3,
         },
+        // Load history table of the bulk loader, from the isolated subnets
+        DynamoDB: {
+          service: aws_ec2.GatewayVpcEndpointAwsService.DYNAMODB,
+        },
       },
     };
     if (props.natSubnet) {
@@ -93,9 +97,16 @@ export class Network extends Construct {
       }
     );
 
+    // The loads Lambda starts the search index rebuild after an import
+    const lambdaEndpoint = new aws_ec2.InterfaceVpcEndpoint(this, "lambda-vep", {
+      service: aws_ec2.InterfaceVpcEndpointAwsService.LAMBDA,
+      vpc: this.vpc,
+      privateDnsEnabled: true,
+    });
+
     // Nag supressions
     NagSuppressions.addResourceSuppressions(
-      [CWEndpoint, CWLEndpoint, bedrockEndpoint],
+      [CWEndpoint, CWLEndpoint, bedrockEndpoint, lambdaEndpoint],
       [
         {
           id: "CdkNagValidationFailure",
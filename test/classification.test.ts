@@ -0,0 +1,49 @@
+import { auditRecordVisible } from "../api/lambda/shared/classification";
+
+const viewer = { groups: ["Viewer"] };
+const restrictedReader = { groups: ["Viewer", "restricted-readers"] };
+
+const accountAudit = {
+  operation: "addProjectAccount",
+  targetId: "account_1",
+  targetLabel: "Account",
+  before: "null",
+  after: JSON.stringify({ Account_Name: "Prod", Account_Id: "123456789012", projectName: "Atlas" }),
+};
+
+describe("auditRecordVisible", () => {
+  test("hides an account audit under a Restricted project from a non-reader", () => {
+    const linked = new Map([["account_1", ["Restricted"]]]);
+    expect(auditRecordVisible(accountAudit, viewer, linked)).toBe(false);
+    expect(auditRecordVisible(accountAudit, restrictedReader, linked)).toBe(true);
+  });
+
+  test("hides an owned_by audit under a Confidential project from a non-reader", () => {
+    const record = { ...accountAudit, targetId: "edge_1", targetLabel: "owned_by" };
+    const linked = new Map([["edge_1", ["Confidential"]]]);
+    expect(auditRecordVisible(record, viewer, linked)).toBe(false);
+    expect(auditRecordVisible(record, restrictedReader, linked)).toBe(true);
+  });
+
+  test("shows an account audit under an unclassified or Internal project", () => {
+    expect(auditRecordVisible(accountAudit, viewer, new Map([["account_1", []]]))).toBe(true);
+    expect(auditRecordVisible(accountAudit, viewer, new Map([["account_1", ["Internal"]]]))).toBe(true);
+  });
+
+  test("shows a purged account's audit only to callers who see every classification", () => {
+    expect(auditRecordVisible(accountAudit, viewer, new Map())).toBe(false);
+    expect(auditRecordVisible(accountAudit, restrictedReader, new Map())).toBe(true);
+  });
+
+  test("hides a record whose snapshot is of a hidden project", () => {
+    const record = {
+      operation: "updateProject",
+      targetId: "project_data_1",
+      targetLabel: "Project_Data",
+      before: JSON.stringify({ projectName: "Atlas", DataClassification: "Internal" }),
+      after: JSON.stringify({ projectName: "Atlas", DataClassification: "Restricted" }),
+    };
+    expect(auditRecordVisible(record, viewer, new Map())).toBe(false);
+    expect(auditRecordVisible(record, restrictedReader, new Map())).toBe(true);
+  });
+});
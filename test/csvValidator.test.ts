@@ -0,0 +1,129 @@
+import { readFileSync } from "fs";
+import { join } from "path";
+import {
+  CsvSyntaxError,
+  describeReport,
+  parseCsv,
+  parseHeaderColumn,
+  validateCsvFiles,
+} from "../api/lambda/shared/csvValidator";
+
+const vertexHeader = "~id,~label,entityTypes:String,name:String,year:Int";
+const edgeHeader = "~id,~from,~to,~label,role:String";
+
+const codes = (report: ReturnType<typeof validateCsvFiles>) =>
+  report.issues.map((issue) => `${issue.severity} ${issue.code}`);
+
+describe("parseCsv", () => {
+  test("reads quoted cells with commas, doubled quotes and line breaks", () => {
+    const records = Array.from(parseCsv('a,b\n"x, y","say ""hi""\nthere"\n\nlast,'));
+    expect(records).toEqual([
+      { line: 1, fields: ["a", "b"] },
+      { line: 2, fields: ["x, y", 'say "hi"\nthere'] },
+      { line: 5, fields: ["last", ""] },
+    ]);
+  });
+
+  test("skips a byte order mark and accepts CRLF", () => {
+    expect(Array.from(parseCsv("\ufeffa,b\r\n1,2\r\n")).map((r) => r.fields)).toEqual([
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+  });
+
+  test("throws CsvSyntaxError on an unterminated quote", () => {
+    expect(() => Array.from(parseCsv('a\n"open'))).toThrow(CsvSyntaxError);
+  });
+});
+
+describe("parseHeaderColumn", () => {
+  test.each([
+    ["year:Int", { name: "year", type: "Int", array: false }],
+    ["tags:string[]", { name: "tags", type: "String", array: true }],
+    ["name:String(single)", { name: "name", type: "String", array: false }],
+    ["plain", { name: "plain", type: "String", array: false }],
+    ["size:Huge", { name: "size", type: null, array: false }],
+  ])("%s", (header, expected) => {
+    expect(parseHeaderColumn(header)).toEqual(expected);
+  });
+});
+
+describe("validateCsvFiles", () => {
+  test("accepts the sample data", () => {
+    const data = join(__dirname, "../data");
+    const report = validateCsvFiles(
+      ["vertex.csv", "edge.csv"].map((name) => ({
+        name,
+        content: readFileSync(join(data, name), "utf8"),
+      }))
+    );
+    expect(report.errorCount).toBe(0);
+    expect(report.valid).toBe(true);
+    expect(report.endpointsChecked).toBe(true);
+  });
+
+  test("reports type mismatches, duplicates and missing required properties", () => {
+    const report = validateCsvFiles([
+      {
+        name: "vertex.csv",
+        content: [
+          vertexHeader,
+          "v1,Entity,Customer,Ann,12x",
+          "v1,Entity,Customer,Bob,",
+          "v2,Entity,,Cid,",
+          "v3,Spaceship,,,",
+        ].join("\n"),
+      },
+    ]);
+    expect(report.valid).toBe(false);
+    expect(codes(report)).toEqual(
+      expect.arrayContaining([
+        "error TYPE_MISMATCH",
+        "error DUPLICATE_ID",
+        "error MISSING_REQUIRED",
+        "error UNKNOWN_LABEL",
+      ])
+    );
+    expect(report.files[0]).toMatchObject({ kind: "vertex", rows: 4 });
+  });
+
+  test("warns about endpoints outside the validated files without failing", () => {
+    const report = validateCsvFiles([
+      { name: "vertex.csv", content: `${vertexHeader}\nv1,Entity,Customer,Ann,` },
+      { name: "edge.csv", content: `${edgeHeader}\ne1,v1,v9,WORKS_FOR,owner` },
+    ]);
+    expect(codes(report)).toContain("warning MISSING_ENDPOINT");
+    expect(report.errorCount).toBe(0);
+    expect(report.valid).toBe(true);
+  });
+
+  test("does not check endpoints without a vertex file", () => {
+    const report = validateCsvFiles([
+      { name: "edge.csv", content: `${edgeHeader}\ne1,v1,v9,WORKS_FOR,owner` },
+    ]);
+    expect(report.endpointsChecked).toBe(false);
+    expect(report.countsByCode.MISSING_ENDPOINT).toBeUndefined();
+    expect(describeReport(report)).toContain("Edge endpoints were not checked");
+  });
+
+  test("rejects a header with an unknown type or a missing system column", () => {
+    const report = validateCsvFiles([
+      { name: "bad.csv", content: "~id,size:Huge\nv1,3" },
+    ]);
+    expect(report.valid).toBe(false);
+    expect(report.issues.map((issue) => issue.column)).toEqual(
+      expect.arrayContaining(["size:Huge", "~label"])
+    );
+  });
+
+  test("keeps the first maxIssues issues and counts the rest", () => {
+    const rows = Array.from({ length: 5 }, (_, i) => `v${i},Entity,Customer,Ann,x`);
+    const report = validateCsvFiles(
+      [{ name: "vertex.csv", content: [vertexHeader, ...rows].join("\n") }],
+      { maxIssues: 2 }
+    );
+    expect(report.issues).toHaveLength(2);
+    expect(report.errorCount).toBe(5);
+    expect(report.truncated).toBe(true);
+  });
+});
@@ -0,0 +1,60 @@
+import { matchEndpointId, matchEndpointName } from "../api/lambda/shared/endpoints";
+
+const editor = { groups: ["Editor"] };
+const restrictedReader = { groups: ["Editor", "restricted-readers"] };
+
+const project = (id: string, classification: string) => ({
+  id,
+  label: "Project_Data",
+  name: "Atlas",
+  entityType: "",
+  classification,
+});
+
+describe("matchEndpointName", () => {
+  test("never lists hidden projects among the candidates", () => {
+    const rows = [
+      project("project_1", "Restricted"),
+      project("project_2", "Internal"),
+      project("project_3", "Confidential"),
+    ];
+    const match = matchEndpointName("destination", "Project_Data", "Atlas", rows, editor);
+    expect(match).toEqual({ id: "project_2", candidates: [] });
+
+    const hiddenOnly = matchEndpointName("destination", "Project_Data", "Atlas", [rows[0], rows[2]], editor);
+    expect(hiddenOnly).toEqual({
+      error: { field: "destination", message: 'No Project_Data named "Atlas"' },
+      candidates: [],
+    });
+  });
+
+  test("lists the visible candidates of an ambiguous name", () => {
+    const rows = [project("project_1", "Restricted"), project("project_2", ""), project("project_3", "Public")];
+    const match = matchEndpointName("source", "Project_Data", "Atlas", rows, editor);
+    expect("error" in match && match.error.message).toBe(
+      '"Atlas" matches 2 Project_Data vertices; pass sourceId to choose one'
+    );
+    expect(match.candidates.map((c) => c.id)).toEqual(["project_2", "project_3"]);
+
+    const reader = matchEndpointName("source", "Project_Data", "Atlas", rows, restrictedReader);
+    expect(reader.candidates.map((c) => c.id)).toEqual(["project_1", "project_2", "project_3"]);
+  });
+});
+
+describe("matchEndpointId", () => {
+  test("treats a hidden project as not found", () => {
+    const rows = [project("project_1", "Restricted")];
+    expect(matchEndpointId("destination", "project_1", rows, editor)).toEqual({
+      error: { field: "destination", message: "Vertex not found: project_1" },
+      candidates: [],
+    });
+    expect(matchEndpointId("destination", "project_1", rows, restrictedReader)).toEqual({
+      id: "project_1",
+      candidates: [],
+    });
+  });
+
+  test("treats a missing vertex as not found", () => {
+    expect("error" in matchEndpointId("source", "asset_9", [], editor)).toBe(true);
+  });
+});
@@ -0,0 +1,86 @@
+import {
+  GraphError,
+  conflictError,
+  fieldValidationError,
+  forbiddenError,
+  parseProperties,
+  toErrorResult,
+} from "../api/lambda/shared/errors";
+
+describe("toErrorResult", () => {
+  test("keeps the code and info of a GraphError", () => {
+    expect(toErrorResult(conflictError("Name taken", { field: "projectName" }))).toEqual({
+      error: { message: "Name taken", type: "CONFLICT", info: { field: "projectName" } },
+    });
+    expect(toErrorResult(forbiddenError("Admins only")).error).toEqual({
+      message: "Admins only",
+      type: "FORBIDDEN",
+      info: null,
+    });
+  });
+
+  test("passes field errors on as info.fields", () => {
+    const fields = [
+      { field: "year", message: "must be a whole number" },
+      { field: "assetType", message: "Required" },
+    ];
+    const error = fieldValidationError(fields);
+    expect(error).toBeInstanceOf(GraphError);
+    expect(toErrorResult(error).error).toEqual({
+      message: "year: must be a whole number; assetType: Required",
+      type: "VALIDATION",
+      info: { fields },
+    });
+  });
+
+  test("keeps extra info such as endpoint candidates next to the fields", () => {
+    const fields = [{ field: "source", message: '"Acme" matches 2 Entity vertices; pass sourceId to choose one' }];
+    const candidates = [
+      { field: "source", id: "entity_1", label: "Entity", name: "Acme", entityType: "Company" },
+      { field: "source", id: "entity_2", label: "Entity", name: "Acme", entityType: "Customer" },
+    ];
+    expect(toErrorResult(fieldValidationError(fields, { candidates })).error).toEqual({
+      message: 'source: "Acme" matches 2 Entity vertices; pass sourceId to choose one',
+      type: "VALIDATION",
+      info: { candidates, fields },
+    });
+  });
+
+  test.each([
+    ["ECONNREFUSED", Object.assign(new Error("connect failed"), { code: "ECONNREFUSED" }), "CLUSTER_UNAVAILABLE"],
+    ["a closed websocket", new Error("Connection closed prematurely"), "CLUSTER_UNAVAILABLE"],
+    ["a 503", new Error("Unexpected server response: 503"), "CLUSTER_UNAVAILABLE"],
+    ["a concurrent write", new Error("ConcurrentModificationException: retry"), "CONFLICT"],
+    ["a reused id", new Error("Vertex with id already exists: v1"), "CONFLICT"],
+    ["anything else", new Error("Cannot read properties of undefined"), "INTERNAL"],
+    ["a thrown string", "plain string", "INTERNAL"],
+  ])("classifies %s", (_, error, type) => {
+    expect(toErrorResult(error).error.type).toBe(type);
+  });
+});
+
+describe("parseProperties", () => {
+  test("parses a JSON object and treats a missing one as empty", () => {
+    expect(parseProperties('{"vin":"1HGCM82633A004352","year":2021}')).toEqual({
+      vin: "1HGCM82633A004352",
+      year: 2021,
+    });
+    expect(parseProperties(undefined)).toEqual({});
+    expect(parseProperties("")).toEqual({});
+  });
+
+  test.each([
+    ["malformed JSON", '{"vin": '],
+    ["an array", "[1, 2]"],
+    ["a scalar", "42"],
+    ["null", "null"],
+  ])("rejects %s as a VALIDATION error on properties", (_, json) => {
+    let error: unknown;
+    try {
+      parseProperties(json);
+    } catch (e) {
+      error = e;
+    }
+    expect(toErrorResult(error).error).toMatchObject({ type: "VALIDATION", info: { field: "properties" } });
+  });
+});
@@ -0,0 +1,79 @@
+import { subgraphStrategy, validateGremlinQuery } from "../api/lambda/shared/gremlinScript";
+
+describe("validateGremlinQuery", () => {
+  test.each([
+    "V().hasLabel('Entity').has('entityTypes','Company').values('companyName').toList()",
+    "V('job_1').outE('HAS_LINE_ITEM').values('finalPrice').sum().next()",
+    "V().has('Entity','companyName','Northwest PPF Solutions').outE('DOES_WORK_FOR').where(inV().has('companyName','Elite Collision Center')).values('discountPercent').toList()",
+    "V('asset_v_1').bothE('SERVICE_ON').otherV().inV().dedup().toList()",
+    "V().has('Entity','companyName','Acme g.co').values('companyName').toList()",
+    "V().has('Entity','name','x.V(1); drop()').toList()",
+    'V().has("Entity","website","https://acme.example/").toList()',
+    "E().hasLabel('WORKS_FOR').count().next()",
+  ])("accepts %s", (query) => {
+    expect(() => validateGremlinQuery(query)).not.toThrow();
+  });
+
+  test.each([
+    ["addV", "V().addV('Entity')"],
+    ["drop", "V('job_1').drop()"],
+    ["property", "V('job_1').property('status', 'Approved')"],
+    ["sideEffect", "V().sideEffect(outE().count())"],
+    [
+      "mergeV",
+      "V('project_1').mergeV([(T.id): 'project_1']).option(Merge.onMatch, [DataClassification: 'Public'])",
+    ],
+    ["mergeE", "V('job_1').mergeE([(T.label): 'HAS_LINE_ITEM']).toList()"],
+    ["call", "V().call('tx', [op: 'commit']).toList()"],
+  ])("rejects %s as a mutation", (_, query) => {
+    expect(() => validateGremlinQuery(query)).toThrow("mutation operations");
+  });
+
+  test.each([
+    ["a second g.", "V().count().next(); g.V().toList()"],
+    ["g. after an operator", "V().limit(1).toList()+g.E().toList()"],
+    ["__.V()", "V('job_1').map(__.V().hasLabel('Project_Data')).toList()"],
+    ["a mid-traversal V()", "V('job_1').V().hasLabel('AuditEvent').toList()"],
+    ["a mid-traversal E()", "V('job_1').E().toList()"],
+    [
+      "a bare anonymous V()",
+      "V().hasLabel('Entity').union(V().hasLabel('Project_Data')).toList()",
+    ],
+    ["a query not opening with V() or E()", "inV().toList()"],
+    ["withStrategies", "withStrategies().V().toList()"],
+    ["withoutStrategies", "withoutStrategies(SubgraphStrategy).V().toList()"],
+  ])("rejects %s", (_, query) => {
+    expect(() => validateGremlinQuery(query)).toThrow("single traversal after g.");
+  });
+
+  test.each([
+    ["an interpolated string", 'V().has("name", "${g.E().count().next()}").toList()'],
+    ["a triple-quoted string", "V().has('name', '''a''' + g.E() + '''b''').toList()"],
+    ["a comment", "V().toList() /*'*/ + g.E().toList() /*'*/"],
+    ["a slashy string", "V().has('name', /'/ + g.E().toList() + /'/).toList()"],
+    ["an unterminated string", "V().has('name', 'Acme).toList()"],
+  ])("rejects %s", (_, query) => {
+    expect(() => validateGremlinQuery(query)).toThrow();
+  });
+});
+
+describe("subgraphStrategy", () => {
+  test("leaves out tombstoned elements and audit events", () => {
+    expect(subgraphStrategy([])).toBe(
+      "SubgraphStrategy.build()" +
+        '.vertices(and(hasNot("deletedAt"), not(hasLabel("AuditEvent"))))' +
+        '.edges(hasNot("deletedAt"))' +
+        ".create()"
+    );
+  });
+
+  test("leaves out projects of the hidden classifications", () => {
+    expect(subgraphStrategy(["Confidential", "Restricted"])).toBe(
+      "SubgraphStrategy.build()" +
+        '.vertices(and(hasNot("deletedAt"), not(hasLabel("AuditEvent")), ' +
+        "not(hasLabel('Project_Data').has('DataClassification', within(\"Confidential\", \"Restricted\")))))" +
+        '.edges(hasNot("deletedAt"))' +
+        ".create()"
+    );
+  });
+});
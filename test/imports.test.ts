@@ -0,0 +1,30 @@
+process.env.IMPORT_BUCKET = "graph-imports";
+
+import { ImportError, importSources } from "../api/lambda/functionUrl/imports";
+
+const owner = "0b6c2f4e-1111-4222-8333-944455556666";
+const upload = "3f2a9d1c-7b4e-4c1a-9e2f-5d6c7b8a9f01";
+
+describe("importSources", () => {
+  test("accepts the keys createUploads issued", () => {
+    const keys = [`imports/${owner}/${upload}/vertex.csv`, `imports/${owner}/${upload}/edge_2.CSV`];
+    expect(importSources(keys, owner)).toEqual([
+      `s3://graph-imports/imports/${owner}/${upload}/vertex.csv`,
+      `s3://graph-imports/imports/${owner}/${upload}/edge_2.CSV`,
+    ]);
+  });
+
+  test.each([
+    ["the owner's prefix", `imports/${owner}/`],
+    ["an upload's prefix", `imports/${owner}/${upload}/`],
+    ["an upload id without the slash", `imports/${owner}/${upload}`],
+    ["an import status file", `imports/${owner}/${upload}/import.json`],
+    ["a file without .csv", `imports/${owner}/${upload}/vertex`],
+    ["a nested key", `imports/${owner}/${upload}/more/vertex.csv`],
+    ["a parent directory", `imports/${owner}/${upload}/../other.csv`],
+    ["a folder that is not an upload id", `imports/${owner}/shared/vertex.csv`],
+    ["another user's upload", `imports/7c1d2e3f-1111-4222-8333-944455556666/${upload}/vertex.csv`],
+  ])("rejects %s", (_, key) => {
+    expect(() => importSources([key], owner)).toThrow(ImportError);
+  });
+});
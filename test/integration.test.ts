@@ -0,0 +1,39 @@
+import { GraphError } from "../api/lambda/shared/errors";
+import {
+  isIntegrationClient,
+  requireIntegrationOperations,
+  requireIntegrationScope,
+} from "../api/lambda/shared/integration";
+
+const ingestClient = { claims: { client_id: "client_1", scope: "graph-api/ingest" } };
+
+describe("integration clients", () => {
+  test("are told apart from users by the missing username", () => {
+    expect(isIntegrationClient(ingestClient)).toBe(true);
+    expect(isIntegrationClient({ username: "alice", claims: { client_id: "web", username: "alice" } })).toBe(false);
+  });
+
+  test("need the ingest scope for batchMutate", () => {
+    expect(() => requireIntegrationScope(ingestClient, "batchMutate")).not.toThrow();
+    expect(() => requireIntegrationScope({ claims: { client_id: "client_1" } }, "batchMutate")).toThrow(GraphError);
+    expect(() => requireIntegrationScope(ingestClient, "deleteVertex")).toThrow(GraphError);
+  });
+
+  test("may create vertices and edges in a batch", () => {
+    expect(() => requireIntegrationOperations([{ op: "CREATE_VERTEX" }, { op: "CREATE_EDGE" }])).not.toThrow();
+  });
+
+  test.each(["UPDATE_VERTEX", "DELETE_VERTEX", "UPDATE_EDGE", "DELETE_EDGE"])(
+    "may not run %s in a batch",
+    (op) => {
+      let error: unknown;
+      try {
+        requireIntegrationOperations([{ op: "CREATE_VERTEX" }, { op }]);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toBeInstanceOf(GraphError);
+      expect(error).toMatchObject({ code: "FORBIDDEN", info: { operationIndex: 1 } });
+    }
+  );
+});
@@ -0,0 +1,105 @@
+import {
+  LoadRequestError,
+  isAllowedSource,
+  loaderBody,
+  loaderOptionsJson,
+  parseLoadRequest,
+} from "../api/lambda/functionUrl/loadRequest";
+
+const defaults = {
+  sources: ["s3://graph-data/load/vertex.csv", "s3://graph-data/load/edge.csv"],
+  allowedPrefixes: ["s3://graph-data/load/", "s3://graph-imports/uploads"],
+};
+
+describe("isAllowedSource", () => {
+  test.each([
+    ["s3://graph-data/load/vertex.csv", true],
+    ["s3://graph-data/other/vertex.csv", false],
+    ["s3://graph-imports/uploads", true],
+    ["s3://graph-imports/uploads/2026/edge.csv", true],
+    ["s3://graph-imports/uploads-other/edge.csv", false],
+  ])("%s", (source, allowed) => {
+    expect(isAllowedSource(source, defaults.allowedPrefixes)).toBe(allowed);
+  });
+});
+
+describe("parseLoadRequest", () => {
+  test("fills in the defaults for an empty body", () => {
+    expect(parseLoadRequest(undefined, defaults)).toEqual({
+      sources: defaults.sources,
+      format: "csv",
+      parallelism: "MEDIUM",
+      updateSingleCardinalityProperties: false,
+      failOnError: false,
+      mode: "AUTO",
+      namedGraphUri: undefined,
+      baseUri: undefined,
+      validate: false,
+    });
+  });
+
+  test("matches options case-insensitively and accepts string flags", () => {
+    const request = parseLoadRequest(
+      { format: "CSV", parallelism: "high", mode: "new", failOnError: "TRUE", validate: true },
+      defaults
+    );
+    expect(request).toMatchObject({
+      format: "csv",
+      parallelism: "HIGH",
+      mode: "NEW",
+      failOnError: true,
+      validate: true,
+    });
+  });
+
+  test.each([
+    ["s3://graph-data/load/../secrets/vertex.csv", '".."'],
+    ["s3://graph-data/load/..", '".."'],
+    ["s3://graph-data/secrets/vertex.csv", "outside the allowed prefixes"],
+    ["https://graph-data/load/vertex.csv", "Invalid S3 URI"],
+  ])("rejects the source %s", (source, message) => {
+    expect(() => parseLoadRequest({ sources: [source] }, defaults)).toThrow(message);
+  });
+
+  test.each([
+    [[], "Request body must be a JSON object"],
+    [{ sources: [] }, "sources must be a non-empty array"],
+    [{ format: "xml" }, "format must be one of"],
+    [{ failOnError: "yes" }, "failOnError must be true or false"],
+    [{ format: "csv", namedGraphUri: "http://example.org/g" }, "namedGraphUri only applies"],
+    [{ format: "nquads", namedGraphUri: "http://example.org/g" }, "namedGraphUri only applies"],
+    [{ format: "turtle", baseUri: "not a uri" }, "baseUri must be an absolute URI"],
+    [{ format: "turtle", validate: true }, "validate only applies to the csv format"],
+  ])("rejects %j", (body, message) => {
+    expect(() => parseLoadRequest(body, defaults)).toThrow(LoadRequestError);
+    expect(() => parseLoadRequest(body, defaults)).toThrow(message);
+  });
+});
+
+describe("loaderBody", () => {
+  test("adds dependencies and the parser configuration only when set", () => {
+    const request = parseLoadRequest(
+      { format: "turtle", baseUri: "http://example.org/" },
+      defaults
+    );
+    const body = loaderBody(request, defaults.sources[1], {
+      region: "us-east-1",
+      dependencies: ["load-1"],
+    });
+    expect(body).toMatchObject({
+      source: defaults.sources[1],
+      failOnError: "FALSE",
+      queueRequest: "TRUE",
+      dependencies: ["load-1"],
+      parserConfiguration: { baseUri: "http://example.org/" },
+    });
+    expect(JSON.parse(loaderOptionsJson(body))).not.toHaveProperty("source");
+
+    const plain = loaderBody(parseLoadRequest({}, defaults), defaults.sources[0], {
+      region: "us-east-1",
+      dependencies: [],
+    });
+    expect(plain).not.toHaveProperty("dependencies");
+    expect(plain).not.toHaveProperty("parserConfiguration");
+  });
+});
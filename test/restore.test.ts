@@ -0,0 +1,63 @@
+import { GraphError } from "../api/lambda/shared/errors";
+import { CascadedEdge, restoreCascadedEdges } from "../api/lambda/shared/restore";
+import { EDGE_RULES, FieldError } from "../api/lambda/shared/schemaRegistry";
+
+// Live edges of a small graph and a cardinality check like checkEdgeRules'
+const graph = (live: CascadedEdge[]) => {
+  const checkRules = async (edge: CascadedEdge): Promise<FieldError[]> => {
+    const rule = EDGE_RULES[edge.label];
+    const toDestination = live.filter((e) => e.label === edge.label && e.target === edge.target).length;
+    if (rule.maxPerDestination && toDestination >= rule.maxPerDestination) {
+      return [{
+        field: "destination",
+        message: `${edge.label} allows at most ${rule.maxPerDestination} edge(s) per Job; this one already has ${toDestination}`,
+      }];
+    }
+    return [];
+  };
+  const restore = async (edge: CascadedEdge) => {
+    live.push(edge);
+  };
+  return { live, checkRules, restore };
+};
+
+const managesJob1 = { id: "e_1", label: "MANAGES_JOB", source: "entity_es_1", target: "job_1" };
+const managesJob2 = { id: "e_2", label: "MANAGES_JOB", source: "entity_es_1", target: "job_2" };
+
+describe("restoreCascadedEdges", () => {
+  test("restores the edges of a vertex nothing has replaced", async () => {
+    const { live, checkRules, restore } = graph([]);
+    await restoreCascadedEdges("entity_es_1", [managesJob1, managesJob2], checkRules, restore);
+    expect(live.map((e) => e.id)).toEqual(["e_1", "e_2"]);
+  });
+
+  test("refuses to give a Job a second estimator", async () => {
+    // Estimator es_1 was deleted with its MANAGES_JOB edges, then es_2 was
+    // linked to job_1
+    const replacement = { id: "e_3", label: "MANAGES_JOB", source: "entity_es_2", target: "job_1" };
+    const { checkRules, restore } = graph([replacement]);
+
+    let error: unknown;
+    try {
+      await restoreCascadedEdges("entity_es_1", [managesJob1, managesJob2], checkRules, restore);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(GraphError);
+    expect(error).toMatchObject({
+      code: "CONFLICT",
+      message:
+        "Restoring entity_es_1 would break the rules of its edges: MANAGES_JOB e_1: " +
+        "destination: MANAGES_JOB allows at most 1 edge(s) per Job; this one already has 1",
+      info: { id: "entity_es_1", edges: [expect.objectContaining({ id: "e_1", target: "job_1" })] },
+    });
+  });
+
+  test("checks each edge against the ones restored before it", async () => {
+    const duplicate = { ...managesJob1, id: "e_4", source: "entity_es_3" };
+    const { checkRules, restore } = graph([]);
+    await expect(
+      restoreCascadedEdges("job_1", [managesJob1, duplicate], checkRules, restore)
+    ).rejects.toMatchObject({ code: "CONFLICT", info: { edges: [expect.objectContaining({ id: "e_4" })] } });
+  });
+});
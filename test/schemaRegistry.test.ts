@@ -0,0 +1,122 @@
+import {
+  checkEdgeEndpoints,
+  coerceValue,
+  describeFieldErrors,
+  parseCsvHeaderColumn,
+  validateProperties,
+} from "../api/lambda/shared/schemaRegistry";
+
+describe("coerceValue", () => {
+  test.each([
+    ["String", 42, "42"],
+    ["Bool", " TRUE ", true],
+    ["Bool", false, false],
+    ["Int", "2019", 2019],
+    ["Byte", -128, -128],
+    ["Long", "9007199254740991", Number.MAX_SAFE_INTEGER],
+    ["Double", "12.5", 12.5],
+    ["Float", 3, 3],
+  ] as const)("%s %j", (type, value, expected) => {
+    expect(coerceValue(type, value)).toBe(expected);
+  });
+
+  test("parses dates", () => {
+    expect(coerceValue("Date", "2026-10-18")).toEqual(new Date("2026-10-18"));
+  });
+
+  test.each([
+    ["Bool", "yes", "must be true or false"],
+    ["Int", "12.5", "must be a whole number"],
+    ["Int", "", "must be a whole number"],
+    ["Byte", 128, "must be between -128 and 127"],
+    ["Short", "40000", "must be between -32768 and 32767"],
+    ["Double", "abc", "must be a number"],
+    ["Double", "Infinity", "must be a number"],
+    ["Date", "next week", "must be a date"],
+    ["String", ["a"], "must be a single value"],
+  ] as const)("rejects %s %j", (type, value, message) => {
+    expect(() => coerceValue(type, value)).toThrow(message);
+  });
+});
+
+describe("validateProperties", () => {
+  test("coerces values and drops empty ones", () => {
+    expect(
+      validateProperties("vertex", "Asset", {
+        assetType: "Boat",
+        year: "2019",
+        lengthFt: "22.5",
+        vin: "",
+        make: null,
+      })
+    ).toEqual({
+      values: { assetType: "Boat", year: 2019, lengthFt: 22.5 },
+      errors: [],
+    });
+  });
+
+  test("reports unknown, mistyped and missing required properties", () => {
+    const { errors } = validateProperties("vertex", "Asset", {
+      year: "soon",
+      color: "red",
+    });
+    expect(errors).toEqual([
+      { field: "year", message: "must be a whole number" },
+      { field: "color", message: "Unknown property for Asset" },
+      { field: "assetType", message: "Required" },
+    ]);
+    expect(describeFieldErrors(errors)).toBe(
+      "year: must be a whole number; color: Unknown property for Asset; assetType: Required"
+    );
+  });
+
+  test("does not ask for required properties in partial updates", () => {
+    expect(validateProperties("edge", "WORKS_FOR", {}, { partial: true }).errors).toEqual([]);
+    expect(validateProperties("edge", "WORKS_FOR", {}).errors).toEqual([
+      { field: "role", message: "Required" },
+    ]);
+  });
+
+  test("rejects unknown labels", () => {
+    expect(validateProperties("vertex", "Spaceship", { name: "x" })).toEqual({
+      values: {},
+      errors: [{ field: "vertex", message: "Unknown vertex label: Spaceship" }],
+    });
+  });
+});
+
+describe("checkEdgeEndpoints", () => {
+  test("matches any of a vertex's entity types", () => {
+    expect(
+      checkEdgeEndpoints(
+        "OFFERS_PART",
+        { label: "Entity", entityTypes: "Company; Jobber" },
+        { label: "Part" }
+      )
+    ).toEqual([]);
+  });
+
+  test("reports the wrong end", () => {
+    expect(
+      checkEdgeEndpoints("OWNS_ASSET", { label: "Job" }, { label: "Asset" })
+    ).toEqual([
+      { field: "source", message: "OWNS_ASSET must start at Entity (Customer), not Job" },
+    ]);
+    expect(
+      checkEdgeEndpoints(
+        "OWNS_ASSET",
+        { label: "Entity", entityTypes: "Customer" },
+        { label: "Part" }
+      )
+    ).toEqual([
+      { field: "destination", message: "OWNS_ASSET from Entity (Customer) must end at Asset, not Part" },
+    ]);
+  });
+});
+
+describe("parseCsvHeaderColumn", () => {
+  test("defaults to String without a type", () => {
+    expect(parseCsvHeaderColumn("retailCost:Double")).toEqual({ name: "retailCost", type: "Double" });
+    expect(parseCsvHeaderColumn("name")).toEqual({ name: "name", type: "String" });
+  });
+});
@@ -0,0 +1,43 @@
+import {
+  isSearchProperty,
+  normalizeSearchValue,
+  searchProperties,
+  searchPropertyName,
+} from "../api/lambda/shared/searchIndex";
+
+describe("normalizeSearchValue", () => {
+  test.each([
+    ["companyName", "  Acme-Marine,  Inc. ", "acme marine inc"],
+    ["name", "Zoë O'Brien", "zoë o brien"],
+    ["phone", "(206) 555-0101", "2065550101"],
+    ["roNumber", "RO 102938", "ro102938"],
+    ["vin", "1hg-cm8.2633", "1hgcm82633"],
+    ["email", "  Ann@Example.COM ", "ann@example.com"],
+    ["name", null, ""],
+  ])("%s %j", (field, value, expected) => {
+    expect(normalizeSearchValue(field, value)).toBe(expected);
+  });
+});
+
+describe("searchProperties", () => {
+  test("mirrors only searchable, non-empty fields", () => {
+    expect(
+      searchProperties({
+        companyName: "Acme Marine",
+        phone: "206-555-0101",
+        email: "",
+        notes: "Not searchable",
+        vin: null,
+      })
+    ).toEqual({
+      search_companyName: "acme marine",
+      search_phone: "2065550101",
+    });
+  });
+
+  test("names the mirrors with the search_ prefix", () => {
+    expect(searchPropertyName("partName")).toBe("search_partName");
+    expect(isSearchProperty("search_partName")).toBe(true);
+    expect(isSearchProperty("partName")).toBe(false);
+  });
+});
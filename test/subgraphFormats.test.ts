@@ -0,0 +1,90 @@
+import { Subgraph, serializeSubgraph } from "../api/lambda/shared/subgraphFormats";
+
+const subgraph: Subgraph = {
+  rootId: "v1",
+  depth: 1,
+  nodes: [
+    {
+      id: "v1",
+      label: "Entity",
+      name: "Ann",
+      properties: { name: "Ann", label: "VIP", entityTypes: ["Customer", "Jobber"], year: 2019 },
+    },
+    {
+      id: "v2",
+      label: "Asset",
+      name: "Boat <22'>",
+      properties: { year: 20.5, notes: "a\u0001b" },
+    },
+  ],
+  edges: [
+    {
+      id: "e1",
+      label: "OWNS_ASSET",
+      source: "v1",
+      target: "v2",
+      properties: { label: "primary", since: "2020" },
+    },
+  ],
+};
+
+const serialize = (format: Parameters<typeof serializeSubgraph>[1]) =>
+  serializeSubgraph(subgraph, format).content;
+
+describe("serializeSubgraph", () => {
+  test("names the file after the root and depth", () => {
+    expect(serializeSubgraph(subgraph, "GRAPHML")).toMatchObject({
+      fileName: "subgraph-v1-1.graphml",
+      contentType: "application/graphml+xml",
+    });
+    expect(serializeSubgraph({ ...subgraph, rootId: null }, "GEXF").fileName).toBe(
+      "subgraph-sample-1.gexf"
+    );
+  });
+
+  test("prefixes GraphML properties named like the reserved keys", () => {
+    const graphml = serialize("GRAPHML");
+    expect(graphml.match(/attr\.name="label"/g)).toHaveLength(1);
+    expect(graphml.match(/attr\.name="name"/g)).toHaveLength(1);
+    expect(graphml).toContain('for="node" attr.name="property_label" attr.type="string"');
+    expect(graphml).toContain('for="node" attr.name="property_name" attr.type="string"');
+    expect(graphml).toContain('for="edge" attr.name="property_label" attr.type="string"');
+    expect(graphml).toContain('<data key="label">Entity</data>');
+    expect(graphml).toContain('<data key="label">OWNS_ASSET</data>');
+  });
+
+  test("prefixes GEXF properties named label", () => {
+    const gexf = serialize("GEXF");
+    expect(gexf.match(/title="label"/g)).toHaveLength(1);
+    expect(gexf.match(/title="property_label"/g)).toHaveLength(2);
+    expect(gexf).toContain('<attvalue for="label" value="Entity"/>');
+    expect(gexf).toMatch(/<attvalue for="n\d+" value="VIP"\/>/);
+    expect(gexf).toContain('label="OWNS_ASSET"');
+    expect(gexf).toMatch(/<attvalue for="e\d+" value="primary"\/>/);
+  });
+
+  test("widens numbers, joins lists and escapes XML", () => {
+    const graphml = serialize("GRAPHML");
+    expect(graphml).toContain('attr.name="year" attr.type="double"');
+    expect(graphml).toContain(">Customer;Jobber</data>");
+    expect(graphml).toContain("Boat &lt;22&apos;&gt;");
+    expect(graphml).toContain(">ab</data>");
+  });
+
+  test("keeps lists in the JSON formats and lets the element fields win", () => {
+    const nodeLink = JSON.parse(serialize("NODE_LINK_JSON"));
+    expect(nodeLink.nodes[0]).toMatchObject({
+      id: "v1",
+      label: "Entity",
+      entityTypes: ["Customer", "Jobber"],
+    });
+    expect(nodeLink.links[0]).toMatchObject({ key: "e1", source: "v1", label: "OWNS_ASSET" });
+
+    const cytoscape = JSON.parse(serialize("CYTOSCAPE_JSON"));
+    expect(cytoscape.elements.edges[0].data).toMatchObject({
+      id: "e1",
+      label: "OWNS_ASSET",
+      since: "2020",
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import { GraphError } from "../api/lambda/shared/errors";
+import { inTransaction } from "../api/lambda/shared/transaction";
+import { UpsertCandidate, liveUpsertMatch } from "../api/lambda/shared/upsert";
+
+const conflict = (count: number) => `${count} owned_by edges join account_1 to project_1`;
+
+describe("liveUpsertMatch", () => {
+  test("creates when nothing matches", () => {
+    expect(liveUpsertMatch([], conflict)).toBeNull();
+  });
+
+  test("matches the single live candidate", () => {
+    expect(liveUpsertMatch([{ id: "e1", deletedAt: null }], conflict)).toBe("e1");
+  });
+
+  test("matches the live edge next to a tombstoned duplicate", () => {
+    const candidates = [
+      { id: "e1", deletedAt: "2026-10-01T00:00:00.000Z" },
+      { id: "e2", deletedAt: "" },
+    ];
+    expect(liveUpsertMatch(candidates, conflict)).toBe("e2");
+  });
+
+  test("creates instead of restoring a tombstoned vertex with the natural key", () => {
+    const candidates = [{ id: "asset_1", deletedAt: "2026-10-01T00:00:00.000Z" }];
+    expect(liveUpsertMatch(candidates, conflict)).toBeNull();
+  });
+
+  test("refuses several live candidates as a conflict", () => {
+    const candidates = [{ id: "e1" }, { id: "e2" }, { id: "e3", deletedAt: "2026-10-01T00:00:00.000Z" }];
+    let error: unknown;
+    try {
+      liveUpsertMatch(candidates, conflict);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(GraphError);
+    expect(error).toMatchObject({
+      code: "CONFLICT",
+      message: "2 owned_by edges join account_1 to project_1",
+      info: { ids: ["e1", "e2"] },
+    });
+  });
+});
+
+// Accounts keyed by Account_Id. Like Neptune, a transaction that writes
+// after another one committed since it began fails with a concurrent
+// modification and leaves nothing behind.
+class FakeGraph {
+  accounts: Array<{ id: string; Account_Id: string }> = [];
+  commits = 0;
+
+  tx() {
+    const graph = this;
+    let startedAt = 0;
+    const writes: Array<{ id: string; Account_Id: string }> = [];
+    return {
+      begin() {
+        startedAt = graph.commits;
+        return {
+          find: async (accountId: string): Promise<UpsertCandidate[]> => {
+            const found = graph.accounts.filter((a) => a.Account_Id === accountId);
+            // Let the other upsert read before either one writes
+            await new Promise((resolve) => setImmediate(resolve));
+            return found;
+          },
+          add: (account: { id: string; Account_Id: string }) => writes.push(account),
+        };
+      },
+      async commit() {
+        if (writes.length > 0 && graph.commits !== startedAt) {
+          throw new Error("ConcurrentModificationException: Conflict with another transaction");
+        }
+        graph.accounts.push(...writes);
+        graph.commits++;
+      },
+      async rollback() {},
+    };
+  }
+}
+
+describe("upserts in a transaction", () => {
+  type Session = ReturnType<ReturnType<FakeGraph["tx"]>["begin"]>;
+  const upsertAccount = (graph: FakeGraph, accountId: string, attempts?: number) =>
+    inTransaction(
+      graph,
+      async (gtx: Session) => {
+        const match = liveUpsertMatch(await gtx.find(accountId), conflict);
+        if (match) return "MATCHED";
+        gtx.add({ id: `account_${graph.accounts.length + 1}`, Account_Id: accountId });
+        return "CREATED";
+      },
+      attempts
+    );
+
+  test("two concurrent upserts create one vertex", async () => {
+    const graph = new FakeGraph();
+    const outcomes = await Promise.all([upsertAccount(graph, "123"), upsertAccount(graph, "123")]);
+    expect(outcomes.sort()).toEqual(["CREATED", "MATCHED"]);
+    expect(graph.accounts).toHaveLength(1);
+  });
+
+  test("gives up after the last attempt", async () => {
+    const graph = new FakeGraph();
+    const results = await Promise.allSettled([upsertAccount(graph, "123", 1), upsertAccount(graph, "123", 1)]);
+    expect(results.map((r) => r.status).sort()).toEqual(["fulfilled", "rejected"]);
+    expect(graph.accounts).toHaveLength(1);
+  });
+
+  test("does not retry a rejected upsert", async () => {
+    const graph = new FakeGraph();
+    graph.accounts.push({ id: "account_1", Account_Id: "123" }, { id: "account_2", Account_Id: "123" });
+    const rollback = jest.fn(async () => {});
+    const tx = graph.tx.bind(graph);
+    const calls = jest.spyOn(graph, "tx").mockImplementation(() => ({ ...tx(), rollback }));
+    await expect(upsertAccount(graph, "123")).rejects.toMatchObject({ code: "CONFLICT" });
+    expect(calls).toHaveBeenCalledTimes(1);
+    expect(rollback).toHaveBeenCalledTimes(1);
+  });
+});